@@ -0,0 +1,133 @@
+import React from 'react';
+import { Download, Eye, Play, Trash2, X } from 'lucide-react';
+
+const STATUS_CLASSES = {
+  queued: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-800',
+  done: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-amber-100 text-amber-800'
+};
+
+const statusText = (item) => {
+  if (item.status === 'processing') return `${item.progress.toFixed(0)}%`;
+  if (item.status === 'done') return `${item.subtitles.length} subtitles`;
+  if (item.status === 'failed') return 'Failed';
+  if (item.status === 'cancelled') return 'Cancelled';
+  return 'Queued';
+};
+
+// Videos waiting to be extracted one after another, each with its own preset
+export default function BatchQueue({
+  items,
+  presetNames,
+  formats,
+  exportFormats,
+  running,
+  onStart,
+  onRemove,
+  onClear,
+  onOpen,
+  onPresetChange,
+  onFormatsChange,
+  onDownload
+}) {
+  const waiting = items.filter(item => ['queued', 'failed', 'cancelled'].includes(item.status)).length;
+  const finished = items.filter(item => item.status === 'done').length;
+
+  const toggleFormat = (format, checked) => {
+    onFormatsChange(checked ? [...formats, format] : formats.filter(candidate => candidate !== format));
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800">
+          Batch Queue ({finished}/{items.length} done)
+        </h3>
+        <div className="flex gap-1 text-xs text-gray-700">
+          <button
+            onClick={onStart}
+            disabled={running || waiting === 0}
+            className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Extract every queued video in turn, retrying failed and cancelled ones"
+          >
+            <Play className="h-4 w-4" />
+            Process {waiting}
+          </button>
+          <button
+            onClick={onClear}
+            disabled={running}
+            className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Empty the queue"
+          >
+            <Trash2 className="h-4 w-4" />
+            Clear
+          </button>
+        </div>
+      </div>
+      <div className="max-h-72 overflow-y-auto">
+        {items.map(item => (
+          <div key={item.id} className="flex items-center gap-2 border-b border-gray-200 py-1 text-sm">
+            <span className="flex-1 truncate" title={item.path}>{item.path}</span>
+            <select
+              value={item.preset || ''}
+              onChange={(e) => onPresetChange(item.id, e.target.value || null)}
+              disabled={item.status === 'processing' || item.status === 'done'}
+              className="border border-gray-300 rounded px-1 text-xs disabled:opacity-60"
+              title="Settings preset for this video"
+            >
+              <option value="">Current settings</option>
+              {presetNames.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <span className={`w-28 text-center text-xs px-1 rounded ${STATUS_CLASSES[item.status]}`} title={item.error || ''}>
+              {statusText(item)}
+            </span>
+            <div className="w-16 bg-gray-200 rounded-full h-1.5">
+              <div className="bg-blue-600 h-1.5 rounded-full" style={{ width: `${item.status === 'done' ? 100 : item.progress}%` }} />
+            </div>
+            <button
+              onClick={() => onOpen(item.id)}
+              disabled={running || item.status !== 'done'}
+              className="p-1 rounded hover:bg-gray-200 disabled:opacity-40"
+              title="Open in the editor"
+            >
+              <Eye className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => onRemove(item.id)}
+              disabled={item.status === 'processing'}
+              className="p-1 rounded hover:bg-gray-200 disabled:opacity-40"
+              title="Remove from the queue"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-sm text-gray-700">
+        {exportFormats.map(([format, label]) => (
+          <label key={format} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={formats.includes(format)}
+              onChange={(e) => toggleFormat(format, e.target.checked)}
+              className="rounded"
+            />
+            {label}
+          </label>
+        ))}
+        <button
+          onClick={onDownload}
+          disabled={finished === 0 || formats.length === 0}
+          className="ml-auto bg-green-600 text-white px-3 py-1 rounded-lg font-semibold hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+        >
+          <Download className="h-4 w-4" />
+          Download Zip
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { DEFAULT_GUIDELINES, GUIDELINE_RULES } from './core/validate.js';
+
+// Editable limits, as [guideline, label, unit, step]
+const LIMITS = [
+  ['maxWordsPerMinute', 'Max reading speed', 'wpm', 5],
+  ['maxCharsPerLine', 'Max characters per line', 'chars', 1],
+  ['maxLines', 'Max lines', 'lines', 1],
+  ['minDuration', 'Min duration', 's', 0.1],
+  ['maxDuration', 'Max duration', 's', 0.5],
+  ['minGap', 'Min gap between cues', 's', 0.01]
+];
+
+// Guideline summary: score, issue counts per rule, the limits, and report downloads
+export default function ComplianceReport({ report, guidelines, onChange, onExportJSON, onExportCSV }) {
+  const { summary } = report;
+  const scoreClass = summary.score >= 90 ? 'text-green-600' : summary.score >= 70 ? 'text-yellow-600' : 'text-red-600';
+
+  const setLimit = (key, value) => onChange({ ...guidelines, [key]: value });
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800">
+          Guideline Compliance{' '}
+          <span className={scoreClass}>{summary.score}%</span>
+        </h3>
+        <div className="flex gap-1 text-xs text-gray-700">
+          <button onClick={onExportJSON} className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200" title="Download the report as JSON">
+            <Download className="h-4 w-4" />
+            JSON
+          </button>
+          <button onClick={onExportCSV} className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200" title="Download the issues as CSV">
+            <Download className="h-4 w-4" />
+            CSV
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-gray-600 mb-2">
+        {summary.passing} of {summary.cues} cues pass, {summary.issues} issue{summary.issues === 1 ? '' : 's'} found
+      </p>
+      <div className="flex flex-wrap gap-1 mb-3 text-xs">
+        {Object.entries(summary.issuesByRule)
+          .filter(([, count]) => count > 0)
+          .map(([rule, count]) => (
+            <span key={rule} className="px-1 rounded bg-red-100 text-red-800">
+              {GUIDELINE_RULES[rule]}: {count}
+            </span>
+          ))}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-xs text-gray-700">
+        {LIMITS.map(([key, label, unit, step]) => (
+          <label key={key} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={guidelines[key] !== null}
+              onChange={(e) => setLimit(key, e.target.checked ? DEFAULT_GUIDELINES[key] : null)}
+            />
+            <span className="flex-1">{label}</span>
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={guidelines[key] === null ? '' : guidelines[key]}
+              disabled={guidelines[key] === null}
+              onChange={(e) => setLimit(key, e.target.value === '' ? null : parseFloat(e.target.value))}
+              className="w-16 border border-gray-300 rounded px-1 disabled:opacity-40"
+            />
+            {unit}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import React, { useEffect, useRef } from 'react';
+import { Undo2, Redo2, Scissors, Merge, Plus, Trash2, RefreshCw, Minus, Italic } from 'lucide-react';
+import { TELETEXT_COLOURS } from './core/teletext.js';
+import { formatTime } from './core/time.js';
+import { classifyCue } from './core/classify.js';
+import {
+  canSplitCue,
+  deleteCue,
+  insertCue,
+  mergeCues,
+  nudgeCue,
+  splitCue,
+  toggleItalic,
+  updateCueText
+} from './core/edit.js';
+import { GUIDELINE_RULES } from './core/validate.js';
+
+// Badges for cues without speech; speech is the default and has none
+const KIND_BADGES = {
+  sound: { label: 'Sound', className: 'bg-purple-100 text-purple-800' },
+  music: { label: 'Music', className: 'bg-pink-100 text-pink-800' }
+};
+
+const KindBadge = ({ cue }) => {
+  const badge = KIND_BADGES[classifyCue(cue).kind];
+  if (!badge) return null;
+  return (
+    <span className={`px-1 rounded ${badge.className}`} title="Left out of exports with the speech-only option">
+      {badge.label}
+    </span>
+  );
+};
+
+const actionClass = 'flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Mark the words OCR correction changed, with what was read in the tooltip
+const highlightCorrections = (text, corrections) => {
+  if (!corrections || corrections.length === 0) return text;
+  return text.split(/(\s+)/).map((part, index) => {
+    const word = part.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}']+$/gu, '');
+    const correction = corrections.find(candidate => candidate.to === word);
+    if (!correction) return part;
+    return (
+      <mark key={index} className="bg-green-300 text-black rounded-sm" title={`Corrected from "${correction.from}" (${correction.rule})`}>
+        {part}
+      </mark>
+    );
+  });
+};
+
+// Review list for extracted cues: edit, retime, split/merge/insert/delete, synced to the video
+export default function CueEditor({
+  cues,
+  currentTime,
+  frameRate,
+  busy,
+  canUndo,
+  canRedo,
+  onChange,
+  onUndo,
+  onRedo,
+  onSeek,
+  onReOCR,
+  issues = []
+}) {
+  const rowRefs = useRef([]);
+  const frame = 1 / frameRate;
+  const activeIndex = cues.findIndex(cue => currentTime >= cue.start && currentTime < cue.end);
+
+  // Keep the cue being played in view
+  useEffect(() => {
+    if (activeIndex >= 0 && rowRefs.current[activeIndex]) {
+      rowRefs.current[activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+  }, [activeIndex]);
+
+  const timeControl = (cue, index, field) => (
+    <span className="flex items-center gap-0.5">
+      <button
+        onClick={() => onChange(nudgeCue(cues, index, field, -frame))}
+        className="p-0.5 rounded hover:bg-gray-200"
+        title="Back one frame"
+      >
+        <Minus className="h-3 w-3" />
+      </button>
+      <button onClick={() => onSeek(cue[field])} className="font-mono hover:text-blue-600" title="Seek video here">
+        {formatTime(cue[field])}
+      </button>
+      <button
+        onClick={() => onChange(nudgeCue(cues, index, field, frame))}
+        className="p-0.5 rounded hover:bg-gray-200"
+        title="Forward one frame"
+      >
+        <Plus className="h-3 w-3" />
+      </button>
+    </span>
+  );
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800">
+          Extracted Subtitles ({cues.length})
+        </h3>
+        <div className="flex gap-1 text-xs text-gray-700">
+          <button onClick={onUndo} disabled={!canUndo} className={actionClass} title="Undo (Ctrl+Z)">
+            <Undo2 className="h-4 w-4" />
+            Undo
+          </button>
+          <button onClick={onRedo} disabled={!canRedo} className={actionClass} title="Redo (Ctrl+Shift+Z)">
+            <Redo2 className="h-4 w-4" />
+            Redo
+          </button>
+        </div>
+      </div>
+      {cues.map((sub, index) => (
+        <div
+          key={index}
+          ref={el => { rowRefs.current[index] = el; }}
+          className={`border-b border-gray-200 py-2 px-2 ${index === activeIndex ? 'bg-yellow-50 border-l-4 border-l-yellow-400' : ''}`}
+        >
+          <div className="flex justify-between items-center">
+            <div className="text-xs text-gray-500 flex items-center gap-1">
+              {timeControl(sub, index, 'start')}
+              →
+              {timeControl(sub, index, 'end')}
+            </div>
+            <div className="flex items-center gap-1 text-xs">
+              {(issues[index] || []).map((issue, issueIndex) => (
+                <span
+                  key={issueIndex}
+                  className={`px-1 rounded ${issue.severity === 'error' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}
+                  title={`${issue.message} (limit ${issue.limit})`}
+                >
+                  {GUIDELINE_RULES[issue.rule]}
+                </span>
+              ))}
+              <KindBadge cue={sub} />
+              {sub.confidence > 0 && (
+                <span className="text-gray-400">
+                  {sub.confidence.toFixed(0)}% confidence
+                </span>
+              )}
+            </div>
+          </div>
+          {sub.lines && sub.lines.length > 0 && (
+            <div
+              onClick={() => onSeek(sub.start)}
+              className="text-sm mt-1 flex flex-col gap-0.5 cursor-pointer"
+              title="Seek video to this cue"
+            >
+              {sub.lines.map((line, lineIndex) => (
+                <span
+                  key={lineIndex}
+                  className={`bg-black px-1 rounded font-mono ${line.italic ? 'italic ' : ''}${line.align === 'left' ? 'self-start' : line.align === 'right' ? 'self-end' : 'self-center'}`}
+                  style={{ color: TELETEXT_COLOURS[line.colour] }}
+                  title={line.row ? `${line.colour}, row ${line.row}, ${line.align}` : line.colour}
+                >
+                  {highlightCorrections(line.text, sub.corrections)}
+                </span>
+              ))}
+            </div>
+          )}
+          <textarea
+            key={`${index}:${sub.text}`}
+            defaultValue={sub.text}
+            onFocus={() => onSeek(sub.start)}
+            onBlur={(e) => {
+              if (e.target.value !== sub.text) onChange(updateCueText(cues, index, e.target.value));
+            }}
+            rows={Math.max(sub.text.split('\n').length, 1)}
+            className="w-full mt-1 text-sm text-gray-800 border border-gray-300 rounded px-2 py-1 font-mono"
+          />
+          {sub.corrections && sub.corrections.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1 mt-1 text-xs text-gray-500">
+              Corrected:
+              {sub.corrections.map((correction, correctionIndex) => (
+                <span key={correctionIndex} className="px-1 rounded bg-green-100 text-green-800 font-mono" title={correction.rule}>
+                  {correction.from} → {correction.to}
+                </span>
+              ))}
+            </div>
+          )}
+          {sub.readings && sub.readings.some(reading => reading.text !== sub.text) && (
+            <div className="flex flex-wrap items-center gap-1 mt-1 text-xs text-gray-500">
+              Also read as:
+              {sub.readings
+                .filter(reading => reading.text !== sub.text)
+                .map((reading, readingIndex) => (
+                  <button
+                    key={readingIndex}
+                    onClick={() => onChange(updateCueText(cues, index, reading.text))}
+                    className="px-1 rounded bg-gray-100 hover:bg-gray-200 font-mono"
+                    title={`Read ${reading.count}× at ${reading.confidence.toFixed(0)}% confidence; click to use`}
+                  >
+                    {reading.text.replace(/\n/g, ' / ')}
+                  </button>
+                ))}
+            </div>
+          )}
+          <div className="flex flex-wrap gap-1 mt-1 text-xs text-gray-600">
+            <button
+              onClick={() => onChange(splitCue(cues, index, currentTime))}
+              disabled={!canSplitCue(sub)}
+              className={actionClass}
+              title="Split at the playhead, or in the middle"
+            >
+              <Scissors className="h-3 w-3" />
+              Split
+            </button>
+            <button
+              onClick={() => onChange(mergeCues(cues, index))}
+              disabled={index === cues.length - 1}
+              className={actionClass}
+              title="Merge with the next cue"
+            >
+              <Merge className="h-3 w-3" />
+              Merge
+            </button>
+            <button onClick={() => onChange(insertCue(cues, index))} className={actionClass} title="Insert a cue after this one">
+              <Plus className="h-3 w-3" />
+              Insert
+            </button>
+            <button onClick={() => onChange(deleteCue(cues, index))} className={actionClass} title="Delete this cue">
+              <Trash2 className="h-3 w-3" />
+              Delete
+            </button>
+            <button onClick={() => onChange(toggleItalic(cues, index))} className={actionClass} title="Mark this cue as italic (off-screen voice or narration), or clear it">
+              <Italic className="h-3 w-3" />
+              Italic
+            </button>
+            <button onClick={() => onReOCR(index)} disabled={busy} className={actionClass} title="Read this cue again with the current settings">
+              <RefreshCw className="h-3 w-3" />
+              Re-OCR
+            </button>
+          </div>
+        </div>
+      ))}
+      {cues.length === 0 && (
+        <div className="flex items-center justify-between py-2 px-2 text-sm text-gray-500">
+          No subtitles
+          <button onClick={() => onChange(insertCue(cues, -1))} className={`${actionClass} text-xs text-gray-700`} title="Add a cue at the start of the video">
+            <Plus className="h-3 w-3" />
+            Insert
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { Download, X } from 'lucide-react';
+import { formatTime } from './core/time.js';
+
+const OP_CLASSES = {
+  substitute: 'bg-yellow-200',
+  delete: 'bg-red-200 line-through',
+  insert: 'bg-green-200'
+};
+
+const KIND_LABELS = {
+  match: null,
+  missed: 'Missed',
+  spurious: 'Spurious'
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+const seconds = (value) => (value === null ? '–' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}s`);
+
+// One side of a diff row: the words of that side, mismatches highlighted
+const diffWords = (diff, side) => diff
+  .filter(step => step[side] !== null)
+  .map((step, index) => (
+    <span key={index} className={step.op === 'equal' ? '' : OP_CLASSES[step.op]}>
+      {step[side]}{' '}
+    </span>
+  ));
+
+const bucketLabel = ({ from, to }) => {
+  if (from === null) return `under ${to}s`;
+  if (to === null) return `${from}s or more`;
+  return `${from}s to ${to}s`;
+};
+
+const OffsetHistogram = ({ label, offsets }) => {
+  const tallest = Math.max(1, ...offsets.histogram.map(bucket => bucket.count));
+  return (
+    <div className="flex-1">
+      <div className="text-xs text-gray-600 mb-1">
+        {label}: median {seconds(offsets.median)}, 90% within {offsets.p90Absolute === null ? '–' : `${offsets.p90Absolute.toFixed(2)}s`}
+      </div>
+      <div className="flex items-end gap-px h-12 bg-white border border-gray-200 px-1">
+        {offsets.histogram.map((bucket, index) => (
+          <div
+            key={index}
+            className={`flex-1 ${bucket.from === 0 || bucket.to === 0 ? 'bg-blue-500' : 'bg-blue-300'}`}
+            style={{ height: `${(bucket.count / tallest) * 100}%` }}
+            title={`${bucketLabel(bucket)}: ${bucket.count}`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-400">
+        <span>-1s</span>
+        <span>0</span>
+        <span>+1s</span>
+      </div>
+    </div>
+  );
+};
+
+// Accuracy against a reference file: error rates, timing offsets and a side-by-side word diff
+export default function EvaluationView({ evaluation, reference, cues, referenceName, onSeek, onExport, onClose }) {
+  const [mismatchesOnly, setMismatchesOnly] = useState(true);
+  const { summary } = evaluation;
+  const pairs = mismatchesOnly
+    ? evaluation.pairs.filter(pair => pair.kind !== 'match' || pair.wordErrors > 0)
+    : evaluation.pairs;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800">Accuracy against {referenceName}</h3>
+        <div className="flex gap-1 text-xs text-gray-700">
+          <button onClick={onExport} className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200" title="Download the evaluation as JSON">
+            <Download className="h-4 w-4" />
+            JSON
+          </button>
+          <button onClick={onClose} className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200" title="Remove the reference">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-3 text-sm">
+        <div><span className="text-gray-500">WER</span> <strong>{percent(summary.wer)}</strong></div>
+        <div><span className="text-gray-500">CER</span> <strong>{percent(summary.cer)}</strong></div>
+        <div><span className="text-gray-500">Matched</span> <strong>{summary.matched}</strong>/{summary.referenceCues}</div>
+        <div><span className="text-gray-500">Missed</span> <strong>{summary.missed}</strong></div>
+        <div><span className="text-gray-500">Spurious</span> <strong>{summary.spurious}</strong></div>
+      </div>
+      <div className="flex gap-4 mb-3">
+        <OffsetHistogram label="Start offset" offsets={summary.startOffset} />
+        <OffsetHistogram label="End offset" offsets={summary.endOffset} />
+      </div>
+      <label className="flex items-center gap-2 text-xs text-gray-700 mb-2">
+        <input type="checkbox" checked={mismatchesOnly} onChange={(e) => setMismatchesOnly(e.target.checked)} />
+        Only show mismatches ({pairs.length} of {evaluation.pairs.length})
+      </label>
+      <div className="max-h-96 overflow-y-auto">
+        <div className="grid grid-cols-2 gap-2 text-xs font-semibold text-gray-600 border-b border-gray-300 pb-1">
+          <div>Reference</div>
+          <div>Extracted</div>
+        </div>
+        {pairs.map(pair => {
+          const referenceCue = pair.reference === null ? null : reference[pair.reference];
+          const extractedCues = pair.extracted.map(index => cues[index]);
+          return (
+            <div
+              key={`${pair.reference}:${pair.extracted.join(',')}`}
+              onClick={() => onSeek(pair.start)}
+              className="grid grid-cols-2 gap-2 border-b border-gray-200 py-1 text-sm cursor-pointer hover:bg-gray-100"
+              title="Seek video here"
+            >
+              <div>
+                <div className="text-xs text-gray-500 font-mono">
+                  {referenceCue ? `${formatTime(referenceCue.start)} → ${formatTime(referenceCue.end)}` : ''}
+                  {KIND_LABELS[pair.kind] && <span className="ml-1 px-1 rounded bg-red-100 text-red-800 font-sans">{KIND_LABELS[pair.kind]}</span>}
+                </div>
+                <div className="font-mono">{diffWords(pair.diff, 'reference')}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500 font-mono">
+                  {extractedCues.length > 0 && `${formatTime(extractedCues[0].start)} → ${formatTime(extractedCues[extractedCues.length - 1].end)}`}
+                  {pair.kind === 'match' && ` (${seconds(pair.startOffset)} / ${seconds(pair.endOffset)})`}
+                </div>
+                <div className="font-mono">{diffWords(pair.diff, 'extracted')}</div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,277 +1,867 @@
-import React, { useState, useRef } from 'react';
-import { createWorker } from 'tesseract.js';
-import { Upload, Play, Download, Settings, AlertCircle } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Upload, Play, Pause, Square, Download, Settings, AlertCircle, Scan, RotateCcw, Eye, FolderOpen, Save, FileText } from 'lucide-react';
+import BatchQueue from './BatchQueue.js';
+import ComplianceReport from './ComplianceReport.js';
+import CueEditor from './CueEditor.js';
+import EvaluationView from './EvaluationView.js';
+import LivePanel from './LivePanel.js';
+import MuxControls from './MuxControls.js';
+import PresetControls from './PresetControls.js';
+import PreprocessPreview from './PreprocessPreview.js';
+import RegionOverlay from './RegionOverlay.js';
+import useHistory from './useHistory.js';
+import { DEFAULT_SETTINGS, extractSubtitles } from './core/extract.js';
+import { ExtractionCancelledError, createRunControl } from './core/control.js';
+import { replaceCue } from './core/edit.js';
+import { evaluateSubtitles } from './core/evaluate.js';
+import { createSubtitleScheduler, createSubtitleWorker } from './core/ocr.js';
+import { extractSubtitlesParallel } from './core/parallel.js';
+import { detectRegions, getRegions } from './core/regions.js';
+import { preprocessCanvas } from './core/image.js';
+import { LANGUAGE_PROFILES } from './core/languages.js';
+import { captureThumbnails } from './core/thumbnails.js';
+import { speechOnly } from './core/classify.js';
+import { formatTime } from './core/time.js';
+import { DEFAULT_GUIDELINES, validateSubtitles } from './core/validate.js';
+import { buildAuditReport } from './formats/audit.js';
+import { buildComplianceCSV, buildComplianceJSON } from './formats/compliance.js';
+import { buildEBUSTL } from './formats/ebustl.js';
+import { buildEBUTTD } from './formats/ebuttd.js';
+import { createLiveOutput } from './formats/live.js';
+import { buildProject, parseProject } from './formats/project.js';
+import { buildSRT, parseSRT } from './formats/srt.js';
+import { buildVTT, parseVTT } from './formats/vtt.js';
+import { buildZip } from './formats/zip.js';
+import { MUX_CONTAINERS, MUX_TRACKS } from './mux/targets.js';
+import { droppedVideoFiles, pickedVideoFiles } from './sources/files.js';
+import { createPreprocessPool } from './sources/preprocessPool.js';
+import { captureVideoElement, createStreamSource, openDeviceStream, openDisplayStream } from './sources/stream.js';
+import { deleteCheckpoint, fingerprintFile, loadCheckpoint, saveCheckpoint } from './storage/checkpoints.js';
+import {
+  buildPresetsJSON,
+  deletePreset,
+  importPresets,
+  loadActivePreset,
+  loadPresets,
+  saveActivePreset,
+  savePreset
+} from './storage/presets.js';
+import {
+  closeVideoElements,
+  createBitmapVideoSource,
+  createVideoSource,
+  measureFrameRate,
+  openVideoElements
+} from './sources/video.js';
 
-export default function SubtitleExtractor() {
+// Extraction defaults plus the checkpoint, export and guideline options of the app
+const APP_SETTINGS = {
+  ...DEFAULT_SETTINGS,
+  checkpointInterval: 60,
+  ttmlTimeBase: 'media',
+  stlStartTimecode: '10:00:00:00',
+  stlDoubleHeight: true,
+  speechOnly: false,
+  muxContainer: 'mkv',
+  muxCodec: 'srt',
+  muxTracks: ['sdh'],
+  guidelines: DEFAULT_GUIDELINES,
+  batchFormats: ['srt']
+};
+
+// Subtitle files a batch can be downloaded as, built with the settings each video was extracted with
+const EXPORT_FORMATS = {
+  srt: { label: 'SRT', extension: 'srt', build: subtitles => buildSRT(subtitles) },
+  vtt: { label: 'WebVTT', extension: 'vtt', build: subtitles => buildVTT(subtitles) },
+  ttml: {
+    label: 'EBU-TT-D',
+    extension: 'ttml',
+    build: (subtitles, settings) => buildEBUTTD(subtitles, {
+      timeBase: settings.ttmlTimeBase,
+      frameRate: settings.frameRate,
+      language: settings.language
+    })
+  },
+  stl: {
+    label: 'EBU STL',
+    extension: 'stl',
+    build: (subtitles, settings) => buildEBUSTL(subtitles, {
+      frameRate: settings.frameRate,
+      startTimecode: settings.stlStartTimecode,
+      doubleHeight: settings.stlDoubleHeight,
+      language: settings.language
+    })
+  }
+};
+
+// The cues an export writes: only the spoken ones when a plain transcript track is wanted
+const exportCues = (subtitles, settings) => (settings.speechOnly ? speechOnly(subtitles) : subtitles);
+
+// Settings of a saved preset, filling in options added since it was saved
+const presetSettings = (presets, name) => ({ ...APP_SETTINGS, ...presets[name] });
+
+// `onLiveCue(cue, output)` hears each cue of a live capture as it finishes, with the rolling output from `createLiveOutput`
+export default function SubtitleExtractor({ onLiveCue } = {}) {
   const [video, setVideo] = useState(null);
+  const [videoFile, setVideoFile] = useState(null);
+  const [videoName, setVideoName] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [ocrProgress, setOcrProgress] = useState('');
-  const [subtitles, setSubtitles] = useState([]);
+  const history = useHistory([]);
+  const subtitles = history.present;
+  const [currentTime, setCurrentTime] = useState(0);
   const [logs, setLogs] = useState([]);
-  const [settings, setSettings] = useState({
-    frameInterval: 500,
-    subtitleRegionY: 80,
-    subtitleRegionHeight: 20,
-    minConfidence: 60,
-    similarityThreshold: 0.85,
-    preprocessImage: true,
-    language: 'eng'
+  const [presets, setPresets] = useState(loadPresets);
+  const [activePreset, setActivePreset] = useState(() => {
+    const name = loadActivePreset();
+    return name && presets[name] ? name : null;
   });
+  const [settings, setSettings] = useState(() => (activePreset ? presetSettings(presets, activePreset) : APP_SETTINGS));
+  // Checked only when the cues or limits change, not on every playback tick
+  const compliance = useMemo(() => validateSubtitles(subtitles, settings.guidelines), [subtitles, settings.guidelines]);
   const [showSettings, setShowSettings] = useState(false);
+  const [showRegions, setShowRegions] = useState(true);
+  const [isDetecting, setIsDetecting] = useState(false);
+  const [previews, setPreviews] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [fingerprint, setFingerprint] = useState(null);
+  const [savedRun, setSavedRun] = useState(null);
+  const [reference, setReference] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [isBatchRunning, setIsBatchRunning] = useState(false);
+  const [openItemId, setOpenItemId] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [liveSource, setLiveSource] = useState(null);
+  const [isLive, setIsLive] = useState(false);
+  const [liveCues, setLiveCues] = useState([]);
+  const [isMuxing, setIsMuxing] = useState(false);
+  const [muxProgress, setMuxProgress] = useState(0);
+  // The measured frame rate again as state, so the cue editor nudges by the video's real frames
+  const [videoFps, setVideoFps] = useState(null);
+  const evaluation = useMemo(() => reference && evaluateSubtitles(reference.cues, subtitles), [reference, subtitles]);
   
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
+  const controlRef = useRef(null);
+  const liveOutputRef = useRef(null);
+  // The loaded video's measured frame rate: null until measured, 0 when it could not be
+  const frameRateRef = useRef(null);
+  // Cues with their thumbnails, so unchanged cues are not captured again on the next export
+  const thumbnailsRef = useRef(new WeakMap());
+  const queueRef = useRef(queue);
+  const nextItemIdRef = useRef(1);
+  queueRef.current = queue;
 
   const addLog = (message) => {
     setLogs(prev => [...prev, `${new Date().toLocaleTimeString()}: ${message}`]);
   };
 
+  const loadVideo = async (file) => {
+    const url = URL.createObjectURL(file);
+    if (video) URL.revokeObjectURL(video);
+    setVideo(url);
+    setVideoFile(file);
+    setVideoName(file.name);
+    frameRateRef.current = null;
+    setVideoFps(null);
+    setOpenItemId(null);
+    history.reset([]);
+    setLogs([]);
+    setSavedRun(null);
+    addLog(`Video loaded: ${file.name}`);
+
+    // Offer to pick up an earlier run of the same file
+    try {
+      const id = await fingerprintFile(file);
+      setFingerprint(id);
+      const checkpoint = await loadCheckpoint(id);
+      if (checkpoint) {
+        setSavedRun(checkpoint);
+        addLog(`Found an unfinished run stopped at ${formatTime(checkpoint.time)}`);
+      }
+    } catch (error) {
+      addLog(`Checkpoints unavailable: ${error.message}`);
+    }
+  };
+
+  // Queue each video to be extracted with the selected preset
+  const enqueueVideos = (files) => {
+    const items = files.map(({ file, path }) => ({
+      id: nextItemIdRef.current++,
+      file,
+      path,
+      preset: activePreset,
+      status: 'queued',
+      progress: 0,
+      subtitles: null,
+      settings: null,
+      error: null
+    }));
+    setQueue(prev => [...prev, ...items]);
+    addLog(`Added ${items.length} video${items.length === 1 ? '' : 's'} to the batch queue`);
+  };
+
+  // One file opens in the editor; several files or a folder go to the batch queue
+  const addVideos = (files, fromFolder) => {
+    if (files.length === 0) {
+      addLog('No video files found');
+    } else if (files.length === 1 && !fromFolder && queue.length === 0) {
+      loadVideo(files[0].file);
+    } else {
+      enqueueVideos(files);
+    }
+  };
+
   const handleVideoUpload = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      const url = URL.createObjectURL(file);
-      setVideo(url);
-      setSubtitles([]);
-      setLogs([]);
-      addLog(`Video loaded: ${file.name}`);
+    const files = pickedVideoFiles(e.target.files);
+    const fromFolder = files.some(({ path }) => path.includes('/'));
+    e.target.value = '';
+    addVideos(files, fromFolder);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    try {
+      const files = await droppedVideoFiles(e.dataTransfer);
+      addVideos(files, files.some(({ path }) => path.includes('/')));
+    } catch (error) {
+      addLog(`Could not read the dropped files: ${error.message}`);
     }
   };
 
-  const stringSimilarity = (str1, str2) => {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-    
-    if (longer.length === 0) return 1.0;
-    
-    const editDistance = (s1, s2) => {
-      const costs = [];
-      for (let i = 0; i <= s1.length; i++) {
-        let lastValue = i;
-        for (let j = 0; j <= s2.length; j++) {
-          if (i === 0) {
-            costs[j] = j;
-          } else if (j > 0) {
-            let newValue = costs[j - 1];
-            if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
-              newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-            }
-            costs[j - 1] = lastValue;
-            lastValue = newValue;
-          }
-        }
-        if (i > 0) costs[s2.length] = lastValue;
+  const updateQueueItem = (id, changes) => {
+    setQueue(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const saveFile = (content, type, filename) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z for the cue editor, leaving text fields their own undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        history.redo();
+      } else {
+        history.undo();
       }
-      return costs[s2.length];
     };
-    
-    return (longer.length - editDistance(longer, shorter)) / longer.length;
-  };
-
-  const cleanText = (text) => {
-    return text
-      .replace(/[^\w\s.,!?'-]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  };
-
-  const preprocessCanvas = (canvas, ctx) => {
-    if (!settings.preprocessImage) return;
-    
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
-    
-    // Convert to grayscale and increase contrast
-    for (let i = 0; i < data.length; i += 4) {
-      const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
-      
-      // Increase contrast for subtitle text (typically white on dark background)
-      const enhanced = avg > 128 ? 255 : 0;
-      
-      data[i] = enhanced;
-      data[i + 1] = enhanced;
-      data[i + 2] = enhanced;
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const seekTo = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+  };
+
+  const updateRegions = (regions) => {
+    setSettings(prev => ({ ...prev, regions }));
+  };
+
+  const detectSubtitleRegions = async () => {
+    if (!videoRef.current) return;
+
+    setIsDetecting(true);
+    setProgress(0);
+    addLog('Sampling frames to detect subtitle regions...');
+
+    try {
+      const source = createVideoSource(videoRef.current, canvasRef.current);
+      const regions = await detectRegions(source, { onProgress: setProgress });
+
+      if (regions.length > 0) {
+        updateRegions(regions);
+        regions.forEach((region, index) => {
+          addLog(`Region ${index + 1}: x ${region.x}%, y ${region.y}%, ${region.width}% × ${region.height}%`);
+        });
+      } else {
+        addLog('No subtitle text found, keeping the current region');
+      }
+    } catch (error) {
+      addLog(`Region detection failed: ${error.message}`);
+    } finally {
+      setIsDetecting(false);
+    }
+  };
+
+  // Show each region at the playhead before and after preprocessing, for tuning per source
+  const previewPreprocessing = async () => {
+    if (!videoRef.current) return;
+
+    const source = createVideoSource(videoRef.current, canvasRef.current);
+    const time = videoRef.current.currentTime;
+    const results = [];
+    for (const region of getRegions(settings)) {
+      const canvas = await source.grab(time, region);
+      const raw = canvas.toDataURL();
+      const { width, height } = canvas;
+      const { scale, boxesFound, boxes } = preprocessCanvas(canvas, canvas.getContext('2d', { willReadFrequently: true }), settings);
+      results.push({ raw, processed: canvas.toDataURL(), width, height, scale, boxesFound, boxes });
     }
-    
-    ctx.putImageData(imageData, 0, 0);
+    setPreviews(results);
   };
 
-  const formatTime = (seconds) => {
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-    const ms = Math.floor((seconds % 1) * 1000);
-    return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
+  // Keep an open preview in step with the preprocessing settings being tuned
+  useEffect(() => {
+    if (previews) previewPreprocessing();
+  }, [settings.binarisation, settings.detectBoxes, settings.polarity, settings.upscale, settings.denoise]);
+
+  // Extract a whole video: one decoding <video> per segment, with preprocessing in Web Workers
+  // Measure the loaded video's frame rate once, so cue boundaries land on its real frames
+  const videoFrameRate = async () => {
+    if (frameRateRef.current === null && videoRef.current) {
+      const measured = await measureFrameRate(videoRef.current).catch(() => null);
+      frameRateRef.current = measured || 0;
+      setVideoFps(measured || null);
+      addLog(measured
+        ? `Video frame rate: ${measured} fps`
+        : `Could not measure the video frame rate, so cue boundaries are refined at ${settings.frameRate} fps`);
+    }
+    return frameRateRef.current || undefined;
   };
 
-  const processVideo = async () => {
+  const runExtraction = async (url, runSettings, { frameRate, ...options }) => {
+    addLog(`Initializing Tesseract OCR engine (${runSettings.workers} worker${runSettings.workers === 1 ? '' : 's'})...`);
+    const scheduler = await createSubtitleScheduler(runSettings.language, runSettings.workers, progress => {
+      setOcrProgress(`OCR: ${Math.round(progress * 100)}%`);
+    }, { fontAttributes: runSettings.fontAttributes });
+
+    addLog('OCR engine initialized');
+
+    const elements = await openVideoElements(url, runSettings.workers);
+    const pool = createPreprocessPool(runSettings.workers);
+    try {
+      return await extractSubtitlesParallel(
+        elements.map(element => createBitmapVideoSource(element, frameRate)),
+        async image => (await scheduler.addJob('recognize', image)).data,
+        runSettings,
+        { prepare: pool.prepare, onLog: addLog, ...options }
+      );
+    } finally {
+      pool.terminate();
+      closeVideoElements(elements);
+      await scheduler.terminate();
+    }
+  };
+
+  const processVideo = async (resume = null) => {
     if (!videoRef.current) return;
 
+    // A resumed run carries on with the settings it was started with
+    const runSettings = resume ? resume.settings : settings;
+    if (resume) setSettings(runSettings);
+
+    const control = createRunControl();
+    controlRef.current = control;
+    setSavedRun(null);
     setIsProcessing(true);
+    setIsPaused(false);
     setProgress(0);
-    setSubtitles([]);
-    addLog('Initializing Tesseract OCR engine...');
-
-    // Create Tesseract worker
-    const worker = await createWorker(settings.language, 1, {
-      logger: m => {
-        if (m.status === 'recognizing text') {
-          setOcrProgress(`OCR: ${Math.round(m.progress * 100)}%`);
+    history.reset(resume ? resume.cues : []);
+    let partial = resume ? resume.cues : [];
+
+    try {
+      const extractedSubs = await runExtraction(video, runSettings, {
+        frameRate: await videoFrameRate(),
+        control,
+        resume: resume && { cues: resume.cues, time: resume.time },
+        checkpointInterval: runSettings.checkpointInterval,
+        onCheckpoint: async ({ cues, time }) => {
+          partial = cues;
+          history.reset(cues);
+          if (fingerprint) {
+            await saveCheckpoint({ fingerprint, settings: runSettings, cues, time }).catch(error => {
+              addLog(`Could not save checkpoint: ${error.message}`);
+            });
+          }
+        },
+        onProgress: setProgress
+      });
+
+      history.reset(extractedSubs);
+      if (fingerprint) await deleteCheckpoint(fingerprint).catch(() => {});
+      addLog(`✓ Extraction complete! Found ${extractedSubs.length} subtitles.`);
+    } catch (error) {
+      // Keep what the last checkpoint had; the saved run can still be resumed later
+      history.reset(partial);
+      if (fingerprint) setSavedRun(await loadCheckpoint(fingerprint).catch(() => null));
+      addLog(error instanceof ExtractionCancelledError
+        ? `Extraction cancelled, kept ${partial.length} subtitles from the last checkpoint`
+        : `Extraction failed: ${error.message}. Kept ${partial.length} subtitles from the last checkpoint`);
+    } finally {
+      controlRef.current = null;
+      setIsProcessing(false);
+      setIsPaused(false);
+      setOcrProgress('');
+    }
+  };
+
+  // Extract each waiting video in turn; failed and cancelled ones are tried again
+  const processQueue = async () => {
+    const control = createRunControl();
+    controlRef.current = control;
+    setIsBatchRunning(true);
+    setIsProcessing(true);
+    setIsPaused(false);
+
+    const attempted = new Set();
+    const next = () => queueRef.current.find(item => (
+      !attempted.has(item.id) && ['queued', 'failed', 'cancelled'].includes(item.status)
+    ));
+    let completed = 0;
+
+    for (let item = next(); item; item = next()) {
+      attempted.add(item.id);
+      const itemSettings = item.preset && presets[item.preset] ? presetSettings(presets, item.preset) : settings;
+      updateQueueItem(item.id, { status: 'processing', progress: 0, error: null });
+      setProgress(0);
+      addLog(`Batch: extracting ${item.path}${item.preset ? ` with preset ${item.preset}` : ''}`);
+
+      const url = URL.createObjectURL(item.file);
+      try {
+        const extracted = await runExtraction(url, itemSettings, {
+          control,
+          onProgress: progress => {
+            setProgress(progress);
+            updateQueueItem(item.id, { progress });
+          }
+        });
+        updateQueueItem(item.id, { status: 'done', progress: 100, subtitles: extracted, settings: itemSettings });
+        addLog(`✓ ${item.path}: ${extracted.length} subtitles`);
+        completed++;
+      } catch (error) {
+        if (error instanceof ExtractionCancelledError) {
+          updateQueueItem(item.id, { status: 'cancelled', progress: 0 });
+          addLog(`Batch cancelled at ${item.path}`);
+          break;
         }
+        updateQueueItem(item.id, { status: 'failed', error: error.message });
+        addLog(`✗ ${item.path}: ${error.message}`);
+      } finally {
+        URL.revokeObjectURL(url);
       }
-    });
+    }
 
-    // Configure Tesseract for subtitle text
-    await worker.setParameters({
-      tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .,!?\'-',
-      tessedit_pageseg_mode: '6', // Assume uniform block of text
-    });
+    controlRef.current = null;
+    setIsBatchRunning(false);
+    setIsProcessing(false);
+    setIsPaused(false);
+    setOcrProgress('');
+    addLog(`Batch finished: ${completed} video${completed === 1 ? '' : 's'} extracted`);
+  };
 
-    addLog('OCR engine initialized');
+  // Review a finished batch video in the editor; edits go back to the queue for the zip
+  const openQueueItem = (id) => {
+    const item = queue.find(candidate => candidate.id === id);
+    setQueue(prev => prev.map(candidate => (
+      candidate.id === openItemId ? { ...candidate, subtitles } : candidate
+    )));
+    // The previous video's URL would otherwise keep its file in memory
+    if (video) URL.revokeObjectURL(video);
+    setVideo(URL.createObjectURL(item.file));
+    setVideoFile(item.file);
+    setVideoName(item.file.name);
+    frameRateRef.current = null;
+    setVideoFps(null);
+    setFingerprint(null);
+    setSavedRun(null);
+    setReference(null);
+    setOpenItemId(id);
+    history.reset(item.subtitles);
+    addLog(`Opened ${item.path} from the batch queue`);
+  };
 
-    const videoElement = videoRef.current;
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    const duration = videoElement.duration;
-    
-    const extractedSubs = [];
-    let currentTime = 0;
-    let lastText = '';
-    let lastStartTime = 0;
-    let frameCount = 0;
-
-    addLog(`Processing video (duration: ${duration.toFixed(2)}s)...`);
-
-    while (currentTime < duration) {
-      videoElement.currentTime = currentTime;
-      
-      await new Promise(resolve => {
-        videoElement.onseeked = resolve;
+  const removeQueueItem = (id) => {
+    setQueue(prev => prev.filter(item => item.id !== id));
+    if (id === openItemId) setOpenItemId(null);
+  };
+
+  const clearQueue = () => {
+    setQueue([]);
+    setOpenItemId(null);
+  };
+
+  // One file per finished video and chosen format, keeping dropped folder structure
+  const downloadBatch = () => {
+    const files = [];
+    queue.filter(item => item.status === 'done').forEach(item => {
+      const cues = item.id === openItemId ? subtitles : item.subtitles;
+      const base = item.path.replace(/\.[^./]+$/, '');
+      settings.batchFormats.forEach(key => {
+        const format = EXPORT_FORMATS[key];
+        try {
+          files.push({ name: `${base}.${format.extension}`, content: format.build(exportCues(cues, item.settings), item.settings) });
+        } catch (error) {
+          addLog(`${format.label} export of ${item.path} failed: ${error.message}`);
+        }
       });
+    });
+
+    saveFile(buildZip(files), 'application/zip', 'subtitles.zip');
+    addLog(`Zip downloaded with ${files.length} subtitle file${files.length === 1 ? '' : 's'}`);
+  };
+
+  const applyPreset = (name) => {
+    setSettings(name ? presetSettings(presets, name) : APP_SETTINGS);
+    setActivePreset(name);
+    saveActivePreset(name);
+    addLog(name ? `Preset applied: ${name}` : 'Default settings restored');
+  };
 
-      const videoWidth = videoElement.videoWidth;
-      const videoHeight = videoElement.videoHeight;
-      canvas.width = videoWidth;
-      canvas.height = videoHeight;
-
-      // Draw full frame
-      ctx.drawImage(videoElement, 0, 0, videoWidth, videoHeight);
-
-      // Extract subtitle region
-      const regionY = Math.floor((settings.subtitleRegionY / 100) * videoHeight);
-      const regionHeight = Math.floor((settings.subtitleRegionHeight / 100) * videoHeight);
-      
-      // Create a temporary canvas for the subtitle region
-      const regionCanvas = document.createElement('canvas');
-      regionCanvas.width = videoWidth;
-      regionCanvas.height = regionHeight;
-      const regionCtx = regionCanvas.getContext('2d');
-      
-      regionCtx.drawImage(canvas, 0, regionY, videoWidth, regionHeight, 0, 0, videoWidth, regionHeight);
-      
-      // Preprocess for better OCR
-      if (settings.preprocessImage) {
-        preprocessCanvas(regionCanvas, regionCtx);
+  const savePresetAs = (name) => {
+    setPresets(savePreset(name, settings));
+    setActivePreset(name);
+    saveActivePreset(name);
+    addLog(`Preset saved: ${name}`);
+  };
+
+  const removePreset = (name) => {
+    setPresets(deletePreset(name));
+    setActivePreset(null);
+    addLog(`Preset deleted: ${name}`);
+  };
+
+  const exportPresets = () => {
+    saveFile(buildPresetsJSON(presets), 'application/json', 'getsubs-presets.json');
+    addLog(`Exported ${Object.keys(presets).length} presets`);
+  };
+
+  const openPresets = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const before = Object.keys(presets).length;
+      const merged = importPresets(await file.text());
+      setPresets(merged);
+      addLog(`Imported presets from ${file.name} (${Object.keys(merged).length - before} new)`);
+    } catch (error) {
+      addLog(`Could not import presets: ${error.message}`);
+    }
+  };
+
+  const openLive = async (kind) => {
+    try {
+      const stream = kind === 'screen'
+        ? await openDisplayStream()
+        : kind === 'device' ? await openDeviceStream() : captureVideoElement(videoRef.current);
+      const source = await createStreamSource(stream);
+      // Sharing can be ended from the browser's own controls
+      if (source.track) {
+        source.track.addEventListener('ended', () => {
+          if (controlRef.current) controlRef.current.stop();
+          setLiveSource(null);
+          addLog('Live source ended');
+        });
       }
-      
-      // Perform OCR
-      try {
-        const { data: { text, confidence } } = await worker.recognize(regionCanvas);
-        const cleanedText = cleanText(text);
-
-        if (cleanedText && confidence > settings.minConfidence) {
-          const similarity = stringSimilarity(cleanedText, lastText);
-          
-          if (similarity < settings.similarityThreshold) {
-            // New subtitle detected
-            if (lastText) {
-              extractedSubs.push({
-                start: lastStartTime,
-                end: currentTime,
-                text: lastText,
-                confidence: confidence
-              });
-              addLog(`[${formatTime(lastStartTime)} -> ${formatTime(currentTime)}] "${lastText}"`);
-            }
-            lastText = cleanedText;
-            lastStartTime = currentTime;
+      setLiveSource(source);
+      setLiveCues([]);
+      addLog(`Live source opened (${source.track ? source.track.label : 'no video track'})`);
+    } catch (error) {
+      addLog(`Could not open the live source: ${error.message}`);
+    }
+  };
+
+  const closeLive = () => {
+    liveSource.stop();
+    setLiveSource(null);
+    addLog('Live source closed');
+  };
+
+  // Read the live source until stopped; each cue reaches the editor, the output and `onLiveCue` as it ends
+  const startLive = async () => {
+    const source = liveSource;
+    const control = createRunControl();
+    const output = createLiveOutput(settings);
+    controlRef.current = control;
+    liveOutputRef.current = output;
+    setIsLive(true);
+    setIsProcessing(true);
+    setLiveCues([]);
+    history.reset([]);
+    let worker = null;
+
+    try {
+      addLog('Initializing Tesseract OCR engine...');
+      worker = await createSubtitleWorker(settings.language, undefined, { fontAttributes: settings.fontAttributes });
+      addLog('Reading the live source, stop it to finish');
+      source.resetClock();
+
+      await extractSubtitles(
+        source,
+        async canvas => (await worker.recognize(canvas)).data,
+        // Past frames cannot be seeked back to, so boundaries stay at the samples
+        { ...settings, refineBoundaries: false },
+        {
+          control,
+          onLog: addLog,
+          onCue: cue => {
+            output.add(cue);
+            setLiveCues([...output.cues]);
+            history.reset([...output.cues]);
+            if (onLiveCue) onLiveCue(cue, output);
           }
-        } else if (lastText && (!cleanedText || confidence <= settings.minConfidence)) {
-          // Subtitle disappeared
-          extractedSubs.push({
-            start: lastStartTime,
-            end: currentTime,
-            text: lastText,
-            confidence: confidence
-          });
-          addLog(`[${formatTime(lastStartTime)} -> ${formatTime(currentTime)}] "${lastText}"`);
-          lastText = '';
         }
+      );
+      history.reset([...output.cues]);
+      addLog(`✓ Live capture stopped with ${output.cues.length} subtitles`);
+    } catch (error) {
+      // Cues that had finished are kept; the one on screen is dropped
+      history.reset([...output.cues]);
+      addLog(error instanceof ExtractionCancelledError
+        ? `Live capture cancelled, kept ${output.cues.length} subtitles`
+        : `Live capture failed: ${error.message}. Kept ${output.cues.length} subtitles`);
+    } finally {
+      if (worker) await worker.terminate().catch(() => {});
+      controlRef.current = null;
+      setIsLive(false);
+      setIsProcessing(false);
+    }
+  };
+
+  const stopLive = () => {
+    if (!controlRef.current) return;
+    controlRef.current.stop();
+    addLog('Stopping live capture...');
+  };
+
+  const saveLiveVTT = () => {
+    saveFile(liveOutputRef.current.vtt, 'text/vtt', 'live.vtt');
+    addLog(`Live WebVTT downloaded (${liveOutputRef.current.cues.length} subtitles)`);
+  };
+
+  const saveLiveJSON = () => {
+    saveFile(liveOutputRef.current.json(), 'application/json', 'live.getsubs.json');
+    addLog(`Live project downloaded (${liveOutputRef.current.cues.length} subtitles)`);
+  };
+
+  // Copy the video into MKV or MP4 with the cues as soft subtitle tracks, all in the browser
+  const downloadMuxed = async () => {
+    const [code] = settings.language.split('+');
+    const languageName = LANGUAGE_PROFILES[code] ? LANGUAGE_PROFILES[code].name : code;
+    const tracks = settings.muxTracks.map(key => ({
+      subtitles: MUX_TRACKS[key].select(subtitles),
+      title: `${languageName}${MUX_TRACKS[key].titleSuffix}`,
+      hearingImpaired: MUX_TRACKS[key].hearingImpaired
+    }));
+    const container = MUX_CONTAINERS[settings.muxContainer];
+    const ffmpegLog = [];
+
+    setIsMuxing(true);
+    setMuxProgress(0);
+    addLog(`Remuxing ${videoName} to ${container.label} with ${tracks.length} subtitle track${tracks.length === 1 ? '' : 's'} (loading ffmpeg.wasm)...`);
+    try {
+      // ffmpeg.wasm is an optional dependency, only loaded when a video is remuxed
+      const { muxSubtitles } = await import('./mux/remux.js');
+      const blob = await muxSubtitles(videoFile, tracks, {
+        container: settings.muxContainer,
+        codec: settings.muxCodec,
+        language: settings.language,
+        onLog: message => ffmpegLog.push(message),
+        onProgress: setMuxProgress
+      });
+      saveFile(blob, container.type, `${videoName.replace(/\.[^.]+$/, '')}.subtitled.${container.extension}`);
+      addLog(`✓ ${container.label} downloaded with ${tracks.map(track => track.title).join(', ')}`);
+    } catch (error) {
+      addLog(`Remux failed: ${error.message}`);
+      ffmpegLog.slice(-5).forEach(addLog);
+    } finally {
+      setIsMuxing(false);
+    }
+  };
+
+  const togglePause = () => {
+    const control = controlRef.current;
+    if (!control) return;
+
+    if (control.state === 'paused') {
+      control.resume();
+      setIsPaused(false);
+      addLog('Extraction resumed');
+    } else {
+      control.pause();
+      setIsPaused(true);
+      addLog('Extraction paused');
+    }
+  };
+
+  const cancelProcessing = () => {
+    if (!controlRef.current) return;
+    controlRef.current.cancel();
+    setIsPaused(false);
+    addLog('Cancelling extraction...');
+  };
+
+  const discardSavedRun = async () => {
+    if (fingerprint) await deleteCheckpoint(fingerprint).catch(() => {});
+    setSavedRun(null);
+    addLog('Saved run discarded');
+  };
+
+  const reOcrCue = async (index) => {
+    if (!videoRef.current) return;
+
+    const cue = subtitles[index];
+    setIsProcessing(true);
+    setProgress(0);
+    addLog(`Re-reading cue ${index + 1} (${formatTime(cue.start)} -> ${formatTime(cue.end)})...`);
+    let worker = null;
+
+    try {
+      worker = await createSubtitleWorker(settings.language, progress => {
+        setOcrProgress(`OCR: ${Math.round(progress * 100)}%`);
+      }, { fontAttributes: settings.fontAttributes });
+
+      const source = createVideoSource(videoRef.current, canvasRef.current, await videoFrameRate());
+      const cueSettings = cue.region ? { ...settings, regions: [cue.region] } : settings;
+      const replacement = await extractSubtitles(
+        source,
+        async canvas => (await worker.recognize(canvas)).data,
+        cueSettings,
+        { from: cue.start, to: cue.end, onLog: addLog, onProgress: setProgress }
+      );
+
+      if (replacement.length > 0) {
+        history.set(cues => {
+          const at = cues.indexOf(cue);
+          return at >= 0 ? replaceCue(cues, at, replacement) : cues;
+        });
+        addLog(`✓ Cue ${index + 1} replaced with ${replacement.length} cue${replacement.length === 1 ? '' : 's'}`);
+      } else {
+        addLog(`No text found for cue ${index + 1}, keeping the original`);
+      }
+    } catch (error) {
+      addLog(`Could not re-read cue ${index + 1}: ${error.message}`);
+    } finally {
+      if (worker) await worker.terminate().catch(() => {});
+      setIsProcessing(false);
+      setOcrProgress('');
+    }
+  };
+
+  // The cues with region thumbnails at their first and last frame, taken from the loaded video
+  const withThumbnails = async () => {
+    if (!videoRef.current) return subtitles;
+
+    const missing = subtitles.filter(cue => !thumbnailsRef.current.has(cue));
+    if (missing.length > 0) {
+      setIsProcessing(true);
+      setProgress(0);
+      addLog(`Capturing thumbnails for ${missing.length} subtitle${missing.length === 1 ? '' : 's'}...`);
+      try {
+        const source = createVideoSource(videoRef.current, canvasRef.current);
+        const captured = await captureThumbnails(source, missing, settings, { onProgress: setProgress });
+        missing.forEach((cue, index) => thumbnailsRef.current.set(cue, captured[index]));
       } catch (error) {
-        addLog(`OCR error at ${currentTime.toFixed(2)}s: ${error.message}`);
+        addLog(`Could not capture thumbnails, continuing without them: ${error.message}`);
+      } finally {
+        setIsProcessing(false);
       }
+    }
+    return subtitles.map(cue => thumbnailsRef.current.get(cue) || cue);
+  };
 
-      currentTime += settings.frameInterval / 1000;
-      frameCount++;
-      setProgress((currentTime / duration) * 100);
+  const saveProject = async () => {
+    const cues = await withThumbnails();
+    saveFile(buildProject(cues, settings, { videoName }), 'application/json', 'subtitles.getsubs.json');
+    addLog('Project saved');
+  };
+
+  const downloadAuditReport = async () => {
+    const cues = await withThumbnails();
+    saveFile(buildAuditReport(cues, settings, { videoName }), 'text/html', 'subtitles.audit.html');
+    addLog(`Audit report downloaded (${cues.length} subtitles)`);
+  };
+
+  // Restore cues, settings and glossary; the video is loaded separately
+  const openProject = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const project = parseProject(await file.text());
+      setSettings(prev => ({ ...prev, ...project.settings }));
+      history.reset(project.subtitles);
+      addLog(`Project opened: ${project.subtitles.length} subtitles${project.videoName ? ` for ${project.videoName}` : ''}`);
+    } catch (error) {
+      addLog(`Could not open project: ${error.message}`);
     }
+  };
 
-    // Handle final subtitle if still active
-    if (lastText) {
-      extractedSubs.push({
-        start: lastStartTime,
-        end: duration,
-        text: lastText,
-        confidence: 0
-      });
-      addLog(`[${formatTime(lastStartTime)} -> ${formatTime(duration)}] "${lastText}"`);
+  // Reference subtitles for the same video, to measure how accurate the extraction is
+  const openReference = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const cues = /^\uFEFF?WEBVTT/.test(text) ? parseVTT(text) : parseSRT(text);
+      if (cues.length === 0) throw new Error('no cues found');
+      setReference({ name: file.name, cues });
+      addLog(`Reference loaded: ${cues.length} cues from ${file.name}`);
+    } catch (error) {
+      addLog(`Could not read reference: ${error.message}`);
     }
+  };
 
-    await worker.terminate();
-    setSubtitles(extractedSubs);
-    setIsProcessing(false);
-    setOcrProgress('');
-    addLog(`✓ Extraction complete! Found ${extractedSubs.length} subtitles.`);
+  const downloadEvaluation = () => {
+    saveFile(JSON.stringify({ reference: reference.name, ...evaluation }, null, 2), 'application/json', 'evaluation.json');
+    addLog(`Evaluation downloaded (WER ${(evaluation.summary.wer * 100).toFixed(1)}%)`);
   };
 
-  const downloadSRT = () => {
-    let srt = '';
-    subtitles.forEach((sub, index) => {
-      srt += `${index + 1}\n`;
-      srt += `${formatTime(sub.start)} --> ${formatTime(sub.end)}\n`;
-      srt += `${sub.text}\n\n`;
-    });
+  const downloadComplianceJSON = () => {
+    saveFile(buildComplianceJSON(subtitles, compliance, settings.guidelines), 'application/json', 'compliance.json');
+    addLog(`Compliance report downloaded (${compliance.summary.score}% of cues pass)`);
+  };
 
-    const blob = new Blob([srt], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'subtitles.srt';
-    a.click();
-    URL.revokeObjectURL(url);
+  const downloadComplianceCSV = () => {
+    saveFile(buildComplianceCSV(subtitles, compliance), 'text/csv', 'compliance.csv');
+    addLog(`Compliance issues downloaded (${compliance.summary.issues} issues)`);
+  };
+
+  const downloadSRT = () => {
+    saveFile(buildSRT(exportCues(subtitles, settings)), 'text/plain', 'subtitles.srt');
     addLog('SRT file downloaded');
   };
 
   const downloadVTT = () => {
-    let vtt = 'WEBVTT\n\n';
-    subtitles.forEach((sub, index) => {
-      const startVTT = formatTime(sub.start).replace(',', '.');
-      const endVTT = formatTime(sub.end).replace(',', '.');
-      vtt += `${index + 1}\n`;
-      vtt += `${startVTT} --> ${endVTT}\n`;
-      vtt += `${sub.text}\n\n`;
-    });
-
-    const blob = new Blob([vtt], { type: 'text/vtt' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'subtitles.vtt';
-    a.click();
-    URL.revokeObjectURL(url);
+    saveFile(buildVTT(exportCues(subtitles, settings)), 'text/vtt', 'subtitles.vtt');
     addLog('WebVTT file downloaded');
   };
 
+  const downloadEBUTTD = () => {
+    const ttml = EXPORT_FORMATS.ttml.build(exportCues(subtitles, settings), settings);
+    saveFile(ttml, 'application/ttml+xml', 'subtitles.ttml');
+    addLog(`EBU-TT-D file downloaded (${settings.ttmlTimeBase} timebase)`);
+  };
+
+  const downloadSTL = () => {
+    let stl;
+    try {
+      stl = EXPORT_FORMATS.stl.build(exportCues(subtitles, settings), settings);
+    } catch (error) {
+      addLog(`EBU STL export failed: ${error.message}`);
+      return;
+    }
+
+    saveFile(stl, 'application/octet-stream', 'subtitles.stl');
+    addLog(`EBU STL file downloaded (${settings.frameRate} fps, starting ${settings.stlStartTimecode})`);
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 to-slate-800 p-6">
       <div className="max-w-6xl mx-auto">
@@ -296,10 +886,19 @@ export default function SubtitleExtractor() {
             </div>
 
             {/* Video Upload */}
-            <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center hover:border-blue-500 transition-colors">
+            <div
+              onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+              }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+              className={`border-2 border-dashed rounded-lg p-8 text-center hover:border-blue-500 transition-colors ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+            >
               <input
                 type="file"
                 accept="video/*"
+                multiple
                 onChange={handleVideoUpload}
                 className="hidden"
                 id="video-upload"
@@ -310,29 +909,137 @@ export default function SubtitleExtractor() {
                   Click to upload video or drag and drop
                 </p>
                 <p className="text-xs text-gray-500 mt-1">
-                  MP4, WebM, AVI, or any video format
+                  MP4, WebM, AVI, or any video format. Several files or a folder go to the batch queue
                 </p>
               </label>
+              <input
+                type="file"
+                webkitdirectory=""
+                onChange={handleVideoUpload}
+                className="hidden"
+                id="folder-upload"
+              />
+              <label htmlFor="folder-upload" className="inline-flex items-center gap-1 mt-3 mr-4 text-sm text-blue-600 hover:text-blue-800 cursor-pointer">
+                <FolderOpen className="h-4 w-4" />
+                Queue a folder
+              </label>
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={openProject}
+                className="hidden"
+                id="project-open"
+              />
+              <label htmlFor="project-open" className="inline-flex items-center gap-1 mt-3 text-sm text-blue-600 hover:text-blue-800 cursor-pointer">
+                <FolderOpen className="h-4 w-4" />
+                Open a saved project
+              </label>
             </div>
 
+            {/* Batch Queue */}
+            {queue.length > 0 && (
+              <BatchQueue
+                items={queue}
+                presetNames={Object.keys(presets).sort()}
+                formats={settings.batchFormats}
+                exportFormats={Object.entries(EXPORT_FORMATS).map(([key, format]) => [key, format.label])}
+                running={isBatchRunning}
+                onStart={processQueue}
+                onRemove={removeQueueItem}
+                onClear={clearQueue}
+                onOpen={openQueueItem}
+                onPresetChange={(id, preset) => updateQueueItem(id, { preset })}
+                onFormatsChange={(batchFormats) => setSettings({ ...settings, batchFormats })}
+                onDownload={downloadBatch}
+              />
+            )}
+
+            {/* Live Capture */}
+            <LivePanel
+              source={liveSource}
+              regions={getRegions(settings)}
+              running={isLive}
+              busy={isProcessing || isDetecting}
+              canCaptureVideo={Boolean(video)}
+              cues={liveCues}
+              onOpen={openLive}
+              onRegionsChange={updateRegions}
+              onStart={startLive}
+              onStop={stopLive}
+              onClose={closeLive}
+              onSaveVTT={saveLiveVTT}
+              onSaveJSON={saveLiveJSON}
+            />
+
             {/* Video Preview */}
             {video && (
               <div className="space-y-4">
-                <video
-                  ref={videoRef}
-                  src={video}
-                  controls
-                  className="w-full rounded-lg shadow-lg"
-                />
+                <div className="relative">
+                  <video
+                    ref={videoRef}
+                    src={video}
+                    controls
+                    onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+                    className="w-full rounded-lg shadow-lg"
+                  />
+                  {showRegions && !isProcessing && !isDetecting && (
+                    <RegionOverlay regions={getRegions(settings)} onChange={updateRegions} />
+                  )}
+                </div>
                 <canvas ref={canvasRef} className="hidden" />
+                <div className="flex items-center gap-4">
+                  <button
+                    onClick={detectSubtitleRegions}
+                    disabled={isProcessing || isDetecting}
+                    className="bg-gray-700 text-white px-4 py-2 rounded-lg font-semibold hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                  >
+                    <Scan className="h-5 w-5" />
+                    {isDetecting ? `Detecting... ${progress.toFixed(0)}%` : 'Detect Subtitle Regions'}
+                  </button>
+                  <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={showRegions}
+                      onChange={(e) => setShowRegions(e.target.checked)}
+                      className="rounded"
+                    />
+                    Show regions on the preview (drag to move, corner to resize)
+                  </label>
+                  <button
+                    onClick={previewPreprocessing}
+                    disabled={isProcessing || isDetecting}
+                    className="ml-auto text-sm text-gray-700 px-3 py-2 rounded-lg border border-gray-300 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+                    title="Compare the raw crop with the image sent to OCR at the playhead"
+                  >
+                    <Eye className="h-4 w-4" />
+                    Preview Preprocessing
+                  </button>
+                </div>
+                {previews && (
+                  <PreprocessPreview
+                    previews={previews}
+                    busy={isProcessing || isDetecting}
+                    onRefresh={previewPreprocessing}
+                    onClose={() => setPreviews(null)}
+                  />
+                )}
               </div>
             )}
 
             {/* Settings */}
             <div className="bg-gray-50 rounded-lg p-4">
+              <PresetControls
+                presets={presets}
+                active={activePreset}
+                onApply={applyPreset}
+                onSave={savePresetAs}
+                onDelete={removePreset}
+                onExport={exportPresets}
+                onImport={openPresets}
+              />
               <button
                 onClick={() => setShowSettings(!showSettings)}
-                className="flex items-center gap-2 text-gray-700 font-semibold"
+                className="flex items-center gap-2 text-gray-700 font-semibold mt-4"
               >
                 <Settings className="h-5 w-5" />
                 Advanced Settings
@@ -356,6 +1063,53 @@ export default function SubtitleExtractor() {
                     <p className="text-xs text-gray-500 mt-1">How often to sample frames. Lower = more accurate but slower.</p>
                   </div>
                   
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Parallel Workers: {settings.workers}
+                    </label>
+                    <input
+                      type="range"
+                      min="1"
+                      max="8"
+                      value={settings.workers}
+                      onChange={(e) => setSettings({...settings, workers: parseInt(e.target.value)})}
+                      className="w-full"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">OCR workers and decoding video elements. Each takes a segment of the video; results match a single-worker run.</p>
+                  </div>
+                  
+                  {settings.regions.length > 0 ? (
+                    <div>
+                      <div className="flex justify-between items-center mb-1">
+                        <span className="text-sm font-medium text-gray-700">
+                          Subtitle Regions ({settings.regions.length})
+                        </span>
+                        <div className="flex gap-3 text-xs">
+                          <button
+                            onClick={() => updateRegions([...settings.regions, { x: 10, y: 5, width: 80, height: 15 }])}
+                            className="text-blue-600 hover:underline"
+                          >
+                            Add region
+                          </button>
+                          <button
+                            onClick={() => updateRegions([])}
+                            className="text-blue-600 hover:underline"
+                          >
+                            Use single region
+                          </button>
+                        </div>
+                      </div>
+                      <ul className="text-xs text-gray-600 space-y-0.5">
+                        {settings.regions.map((region, index) => (
+                          <li key={index}>
+                            Region {index + 1}: x {region.x}%, y {region.y}%, {region.width}% × {region.height}%
+                          </li>
+                        ))}
+                      </ul>
+                      <p className="text-xs text-gray-500 mt-1">Each region is read separately. Drag the rectangles on the preview to adjust them.</p>
+                    </div>
+                  ) : (
+                  <>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
                       Subtitle Region Y Position (%): {settings.subtitleRegionY}
@@ -385,6 +1139,8 @@ export default function SubtitleExtractor() {
                     />
                     <p className="text-xs text-gray-500 mt-1">Height of the region to scan for subtitles.</p>
                   </div>
+                  </>
+                  )}
                   
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -417,6 +1173,22 @@ export default function SubtitleExtractor() {
                     <p className="text-xs text-gray-500 mt-1">How similar text must be to be considered the same subtitle.</p>
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Checkpoint Every: {settings.checkpointInterval}s of video
+                    </label>
+                    <input
+                      type="range"
+                      min="15"
+                      max="600"
+                      step="15"
+                      value={settings.checkpointInterval}
+                      onChange={(e) => setSettings({...settings, checkpointInterval: parseInt(e.target.value)})}
+                      className="w-full"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">How often progress is saved so an interrupted run can be resumed.</p>
+                  </div>
+
                   <div className="flex items-center gap-2">
                     <input
                       type="checkbox"
@@ -426,7 +1198,143 @@ export default function SubtitleExtractor() {
                       className="rounded"
                     />
                     <label htmlFor="preprocess" className="text-sm font-medium text-gray-700">
-                      Preprocess images (convert to high contrast B&W)
+                      Preprocess images (binarise to black text on white)
+                    </label>
+                  </div>
+
+                  {settings.preprocessImage && (
+                    <div className="space-y-3 pl-6">
+                      <div className="grid grid-cols-3 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Threshold
+                          </label>
+                          <select
+                            value={settings.binarisation}
+                            onChange={(e) => setSettings({...settings, binarisation: e.target.value})}
+                            className="w-full border border-gray-300 rounded px-3 py-2"
+                          >
+                            <option value="otsu">Otsu per box</option>
+                            <option value="adaptive">Adaptive (local mean)</option>
+                            <option value="fixed">Fixed (grey 128)</option>
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Text Polarity
+                          </label>
+                          <select
+                            value={settings.polarity}
+                            onChange={(e) => setSettings({...settings, polarity: e.target.value})}
+                            className="w-full border border-gray-300 rounded px-3 py-2"
+                          >
+                            <option value="auto">Automatic</option>
+                            <option value="light">Light on dark</option>
+                            <option value="dark">Dark on light</option>
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Upscale
+                          </label>
+                          <select
+                            value={settings.upscale}
+                            onChange={(e) => setSettings({...settings, upscale: parseInt(e.target.value)})}
+                            className="w-full border border-gray-300 rounded px-3 py-2"
+                          >
+                            <option value={0}>Automatic</option>
+                            <option value={1}>1×</option>
+                            <option value={2}>2×</option>
+                            <option value={3}>3×</option>
+                            <option value={4}>4×</option>
+                          </select>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          id="detectBoxes"
+                          checked={settings.detectBoxes}
+                          onChange={(e) => setSettings({...settings, detectBoxes: e.target.checked})}
+                          className="rounded"
+                        />
+                        <label htmlFor="detectBoxes" className="text-sm font-medium text-gray-700">
+                          Only threshold inside the black teletext boxes
+                        </label>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          id="denoise"
+                          checked={settings.denoise}
+                          onChange={(e) => setSettings({...settings, denoise: e.target.checked})}
+                          className="rounded"
+                        />
+                        <label htmlFor="denoise" className="text-sm font-medium text-gray-700">
+                          Remove specks left by compression
+                        </label>
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="change-detection"
+                      checked={settings.changeDetection}
+                      onChange={(e) => setSettings({...settings, changeDetection: e.target.checked})}
+                      className="rounded"
+                    />
+                    <label htmlFor="change-detection" className="text-sm font-medium text-gray-700">
+                      Only run OCR when the subtitle region changes
+                    </label>
+                  </div>
+
+                  {settings.changeDetection && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Change Threshold (%): {(settings.changeThreshold * 100).toFixed(1)}
+                      </label>
+                      <input
+                        type="range"
+                        min="0.002"
+                        max="0.1"
+                        step="0.002"
+                        value={settings.changeThreshold}
+                        onChange={(e) => setSettings({...settings, changeThreshold: parseFloat(e.target.value)})}
+                        className="w-full"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Share of the region that must change before OCR runs again. Raise if noisy sources trigger OCR on every frame.</p>
+                    </div>
+                  )}
+
+                  {settings.changeDetection && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Readings per Subtitle: {settings.consensusReadings}
+                      </label>
+                      <input
+                        type="range"
+                        min="1"
+                        max="5"
+                        value={settings.consensusReadings}
+                        onChange={(e) => setSettings({...settings, consensusReadings: parseInt(e.target.value)})}
+                        className="w-full"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Unchanged frames are still read until each subtitle has this many readings (first, middle and last), so the consensus vote can fix a misread. 1 is fastest but keeps the first reading as it is.</p>
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="refine-boundaries"
+                      checked={settings.refineBoundaries}
+                      onChange={(e) => setSettings({...settings, refineBoundaries: e.target.checked})}
+                      className="rounded"
+                    />
+                    <label htmlFor="refine-boundaries" className="text-sm font-medium text-gray-700">
+                      Refine cue start and end to the exact frame (uses the frame rate below)
                     </label>
                   </div>
 
@@ -439,37 +1347,187 @@ export default function SubtitleExtractor() {
                       onChange={(e) => setSettings({...settings, language: e.target.value})}
                       className="w-full border border-gray-300 rounded px-3 py-2"
                     >
-                      <option value="eng">English</option>
-                      <option value="fra">French</option>
-                      <option value="spa">Spanish</option>
-                      <option value="deu">German</option>
-                      <option value="ita">Italian</option>
+                      {Object.entries(LANGUAGE_PROFILES).map(([code, profile]) => (
+                        <option key={code} value={code}>{profile.name}</option>
+                      ))}
                     </select>
                   </div>
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="correctErrors"
+                      checked={settings.correctErrors}
+                      onChange={(e) => setSettings({...settings, correctErrors: e.target.checked})}
+                      className="rounded"
+                    />
+                    <label htmlFor="correctErrors" className="text-sm font-medium text-gray-700">
+                      Correct OCR confusions (l/I/1, 0/O, rn/m, apostrophes) against the language dictionary
+                    </label>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="fontAttributes"
+                      checked={settings.fontAttributes}
+                      onChange={(e) => setSettings({...settings, fontAttributes: e.target.checked})}
+                      className="rounded"
+                    />
+                    <label htmlFor="fontAttributes" className="text-sm font-medium text-gray-700">
+                      Detect italics from Tesseract font attributes (loads the slower legacy engine as well)
+                    </label>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Glossary
+                    </label>
+                    <textarea
+                      value={settings.glossary.join('\n')}
+                      onChange={(e) => setSettings({...settings, glossary: e.target.value.split('\n')})}
+                      rows={3}
+                      placeholder="One name per line"
+                      className="w-full border border-gray-300 rounded px-3 py-2 text-sm font-mono"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Names of people and places in the series. They count as words when checking for OCR confusions. Saved with the project.</p>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        TTML Timebase
+                      </label>
+                      <select
+                        value={settings.ttmlTimeBase}
+                        onChange={(e) => setSettings({...settings, ttmlTimeBase: e.target.value})}
+                        className="w-full border border-gray-300 rounded px-3 py-2"
+                      >
+                        <option value="media">Media time (EBU-TT-D)</option>
+                        <option value="smpte">SMPTE timecode (EBU-TT)</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Frame Rate (fps)
+                      </label>
+                      <select
+                        value={settings.frameRate}
+                        onChange={(e) => setSettings({...settings, frameRate: parseInt(e.target.value)})}
+                        className="w-full border border-gray-300 rounded px-3 py-2"
+                      >
+                        <option value="25">25</option>
+                        <option value="30">30</option>
+                      </select>
+                      <p className="text-xs text-gray-500 mt-1">Also where cue boundaries are refined to when the browser cannot measure the video's own frame rate, and for batch runs.</p>
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        STL Programme Start (HH:MM:SS:FF)
+                      </label>
+                      <input
+                        type="text"
+                        value={settings.stlStartTimecode}
+                        onChange={(e) => setSettings({...settings, stlStartTimecode: e.target.value})}
+                        className="w-full border border-gray-300 rounded px-3 py-2 font-mono"
+                      />
+                    </div>
+                    <div className="flex items-center gap-2 mt-6">
+                      <input
+                        type="checkbox"
+                        id="stl-double-height"
+                        checked={settings.stlDoubleHeight}
+                        onChange={(e) => setSettings({...settings, stlDoubleHeight: e.target.checked})}
+                        className="rounded"
+                      />
+                      <label htmlFor="stl-double-height" className="text-sm font-medium text-gray-700">
+                        STL double-height teletext rows
+                      </label>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="speech-only"
+                      checked={settings.speechOnly}
+                      onChange={(e) => setSettings({...settings, speechOnly: e.target.checked})}
+                      className="rounded"
+                    />
+                    <label htmlFor="speech-only" className="text-sm font-medium text-gray-700">
+                      Speech only: leave sound effects and music out of exports, for a plain transcript track
+                    </label>
+                  </div>
                 </div>
               )}
             </div>
 
+            {/* Unfinished run saved for this file */}
+            {savedRun && !isProcessing && (
+              <div className="flex items-center justify-between gap-2 bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-800">
+                <span>
+                  A previous run of this file stopped at {formatTime(savedRun.time)} with {savedRun.cues.length} subtitles.
+                </span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => processVideo(savedRun)}
+                    className="flex items-center gap-1 bg-amber-600 text-white px-3 py-1 rounded hover:bg-amber-700"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                    Resume
+                  </button>
+                  <button onClick={discardSavedRun} className="px-3 py-1 rounded border border-amber-300 hover:bg-amber-100">
+                    Discard
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* Process Button */}
-            {video && (
-              <button
-                onClick={processVideo}
-                disabled={isProcessing}
-                className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 rounded-lg font-semibold hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-              >
-                {isProcessing ? (
-                  <>
-                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                    Processing... {progress.toFixed(1)}%
-                    {ocrProgress && <span className="text-sm">({ocrProgress})</span>}
-                  </>
-                ) : (
+            {(video || isBatchRunning) && (
+              <div className="flex gap-2">
+                <button
+                  onClick={() => processVideo()}
+                  disabled={!video || isProcessing || isDetecting}
+                  className="flex-1 bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 rounded-lg font-semibold hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {isProcessing ? (
+                    <>
+                      {!isPaused && <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>}
+                      {isPaused ? 'Paused' : 'Processing...'} {progress.toFixed(1)}%
+                      {ocrProgress && <span className="text-sm">({ocrProgress})</span>}
+                    </>
+                  ) : (
+                    <>
+                      <Play className="h-5 w-5" />
+                      Extract Subtitles with OCR
+                    </>
+                  )}
+                </button>
+                {isProcessing && (
                   <>
-                    <Play className="h-5 w-5" />
-                    Extract Subtitles with OCR
+                    <button
+                      onClick={togglePause}
+                      className="px-4 rounded-lg bg-gray-200 text-gray-800 hover:bg-gray-300 flex items-center gap-1"
+                      title={isPaused ? 'Resume extraction' : 'Pause extraction'}
+                    >
+                      {isPaused ? <Play className="h-5 w-5" /> : <Pause className="h-5 w-5" />}
+                      {isPaused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button
+                      onClick={cancelProcessing}
+                      className="px-4 rounded-lg bg-red-100 text-red-700 hover:bg-red-200 flex items-center gap-1"
+                      title="Stop and keep the cues saved at the last checkpoint"
+                    >
+                      <Square className="h-5 w-5" />
+                      Cancel
+                    </button>
                   </>
                 )}
-              </button>
+              </div>
             )}
 
             {/* Progress Bar */}
@@ -483,7 +1541,7 @@ export default function SubtitleExtractor() {
             )}
 
             {/* Subtitles Display */}
-            {subtitles.length > 0 && (
+            {(subtitles.length > 0 || history.canUndo) && (
               <div className="space-y-4">
                 <div className="flex gap-2">
                   <button
@@ -500,28 +1558,99 @@ export default function SubtitleExtractor() {
                     <Download className="h-5 w-5" />
                     Download WebVTT
                   </button>
+                  <button
+                    onClick={downloadEBUTTD}
+                    className="flex-1 bg-blue-600 text-white py-2 rounded-lg font-semibold hover:bg-blue-700 flex items-center justify-center gap-2"
+                  >
+                    <Download className="h-5 w-5" />
+                    Download EBU-TT-D
+                  </button>
+                  <button
+                    onClick={downloadSTL}
+                    className="flex-1 bg-orange-600 text-white py-2 rounded-lg font-semibold hover:bg-orange-700 flex items-center justify-center gap-2"
+                  >
+                    <Download className="h-5 w-5" />
+                    Download EBU STL
+                  </button>
+                  <button
+                    onClick={saveProject}
+                    className="flex-1 bg-gray-700 text-white py-2 rounded-lg font-semibold hover:bg-gray-800 flex items-center justify-center gap-2"
+                    title="Save the cues with the settings, glossary, OCR readings and frame thumbnails"
+                  >
+                    <Save className="h-5 w-5" />
+                    Save Project
+                  </button>
+                  <button
+                    onClick={downloadAuditReport}
+                    className="flex-1 bg-gray-700 text-white py-2 rounded-lg font-semibold hover:bg-gray-800 flex items-center justify-center gap-2"
+                    title="An HTML page with each cue next to its frame crops and OCR readings, for review without the video"
+                  >
+                    <FileText className="h-5 w-5" />
+                    Audit Report
+                  </button>
+                  <input
+                    type="file"
+                    accept=".srt,.vtt,text/vtt"
+                    onChange={openReference}
+                    className="hidden"
+                    id="reference-open"
+                  />
+                  <label
+                    htmlFor="reference-open"
+                    className="flex-1 bg-gray-200 text-gray-800 py-2 rounded-lg font-semibold hover:bg-gray-300 flex items-center justify-center gap-2 cursor-pointer"
+                    title="Load an SRT or WebVTT file of the same video to measure accuracy"
+                  >
+                    <FolderOpen className="h-5 w-5" />
+                    Compare Reference
+                  </label>
                 </div>
 
-                <div className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto">
-                  <h3 className="font-semibold text-gray-800 mb-2">
-                    Extracted Subtitles ({subtitles.length})
-                  </h3>
-                  {subtitles.map((sub, index) => (
-                    <div key={index} className="border-b border-gray-200 py-2">
-                      <div className="flex justify-between items-center">
-                        <div className="text-xs text-gray-500">
-                          {formatTime(sub.start)} → {formatTime(sub.end)}
-                        </div>
-                        {sub.confidence > 0 && (
-                          <div className="text-xs text-gray-400">
-                            {sub.confidence.toFixed(0)}% confidence
-                          </div>
-                        )}
-                      </div>
-                      <div className="text-sm text-gray-800 mt-1">{sub.text}</div>
-                    </div>
-                  ))}
-                </div>
+                {videoFile && (
+                  <MuxControls
+                    container={settings.muxContainer}
+                    codec={settings.muxCodec}
+                    tracks={settings.muxTracks}
+                    busy={isMuxing || isProcessing}
+                    progress={muxProgress}
+                    onChange={(changes) => setSettings({ ...settings, ...changes })}
+                    onMux={downloadMuxed}
+                  />
+                )}
+
+                {evaluation && (
+                  <EvaluationView
+                    evaluation={evaluation}
+                    reference={reference.cues}
+                    cues={subtitles}
+                    referenceName={reference.name}
+                    onSeek={seekTo}
+                    onExport={downloadEvaluation}
+                    onClose={() => setReference(null)}
+                  />
+                )}
+
+                <ComplianceReport
+                  report={compliance}
+                  guidelines={settings.guidelines}
+                  onChange={(guidelines) => setSettings({ ...settings, guidelines })}
+                  onExportJSON={downloadComplianceJSON}
+                  onExportCSV={downloadComplianceCSV}
+                />
+
+                <CueEditor
+                  cues={subtitles}
+                  currentTime={currentTime}
+                  frameRate={videoFps || settings.frameRate}
+                  busy={isProcessing || isDetecting}
+                  canUndo={history.canUndo}
+                  canRedo={history.canRedo}
+                  onChange={history.set}
+                  onUndo={history.undo}
+                  onRedo={history.redo}
+                  onSeek={seekTo}
+                  onReOCR={reOcrCue}
+                  issues={compliance.results}
+                />
               </div>
             )}
 
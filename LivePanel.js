@@ -0,0 +1,128 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Camera, Download, Monitor, Play, Radio, Square, Video, X } from 'lucide-react';
+import RegionOverlay from './RegionOverlay.js';
+import { formatTime } from './core/time.js';
+
+const buttonClass = 'flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Read subtitles from a screen share, capture card or playing video as it plays
+export default function LivePanel({
+  source,
+  regions,
+  running,
+  busy,
+  canCaptureVideo,
+  cues,
+  onOpen,
+  onRegionsChange,
+  onStart,
+  onStop,
+  onClose,
+  onSaveVTT,
+  onSaveJSON
+}) {
+  const previewRef = useRef(null);
+  const [elapsed, setElapsed] = useState(0);
+
+  useEffect(() => {
+    if (previewRef.current) previewRef.current.srcObject = source ? source.stream : null;
+  }, [source]);
+
+  // The run's clock only moves while reading, so tick it for the display
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(() => setElapsed(source.now()), 500);
+    return () => clearInterval(timer);
+  }, [running, source]);
+
+  const lastCue = cues[cues.length - 1];
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <Radio className={`h-5 w-5 ${running ? 'text-red-600' : ''}`} />
+          Live Capture
+          {running && (
+            <span className="text-sm font-normal text-gray-600">
+              {formatTime(elapsed).split(',')[0]}, {cues.length} subtitle{cues.length === 1 ? '' : 's'}
+            </span>
+          )}
+        </h3>
+        <div className="flex gap-1 text-xs text-gray-700">
+          <button onClick={onSaveVTT} disabled={cues.length === 0} className={buttonClass} title="Download the cues so far as WebVTT">
+            <Download className="h-4 w-4" />
+            WebVTT
+          </button>
+          <button onClick={onSaveJSON} disabled={cues.length === 0} className={buttonClass} title="Download the cues so far as a project file">
+            <Download className="h-4 w-4" />
+            JSON
+          </button>
+          {source && (
+            <button onClick={onClose} disabled={running} className={buttonClass} title="Stop sharing">
+              <X className="h-4 w-4" />
+              Close
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!source && (
+        <div className="flex flex-wrap gap-2 text-sm">
+          <button onClick={() => onOpen('screen')} disabled={busy} className={`${buttonClass} border border-gray-300`}>
+            <Monitor className="h-4 w-4" />
+            Screen or Tab
+          </button>
+          <button onClick={() => onOpen('device')} disabled={busy} className={`${buttonClass} border border-gray-300`}>
+            <Camera className="h-4 w-4" />
+            Capture Device
+          </button>
+          <button
+            onClick={() => onOpen('video')}
+            disabled={busy || !canCaptureVideo}
+            className={`${buttonClass} border border-gray-300`}
+            title="Read the loaded video while it plays"
+          >
+            <Video className="h-4 w-4" />
+            Playing Video
+          </button>
+        </div>
+      )}
+
+      {source && (
+        <div className="space-y-2">
+          <div className="relative">
+            <video ref={previewRef} autoPlay muted playsInline className="w-full rounded-lg shadow" />
+            {!running && <RegionOverlay regions={regions} onChange={onRegionsChange} />}
+          </div>
+          <div className="flex items-center gap-2">
+            {running ? (
+              <button
+                onClick={onStop}
+                className="px-4 py-2 rounded-lg bg-red-100 text-red-700 hover:bg-red-200 flex items-center gap-1"
+                title="Stop reading and keep the cues in the editor"
+              >
+                <Square className="h-5 w-5" />
+                Stop
+              </button>
+            ) : (
+              <button
+                onClick={onStart}
+                disabled={busy}
+                className="px-4 py-2 rounded-lg bg-gradient-to-r from-blue-600 to-purple-600 text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1"
+              >
+                <Play className="h-5 w-5" />
+                Start Reading
+              </button>
+            )}
+            {lastCue && (
+              <span className="flex-1 truncate text-sm text-gray-700" title={lastCue.text}>
+                Last: {lastCue.text.replace(/\n/g, ' / ')}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
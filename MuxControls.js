@@ -0,0 +1,65 @@
+import React from 'react';
+import { Film } from 'lucide-react';
+import { MUX_CONTAINERS, MUX_TRACKS } from './mux/targets.js';
+
+// Codec names as shown to the user
+const CODEC_LABELS = {
+  srt: 'SRT',
+  ass: 'ASS',
+  mov_text: 'mov_text'
+};
+
+// Remux the loaded video with the cues as selectable subtitle tracks
+export default function MuxControls({ container, codec, tracks, busy, progress, onChange, onMux }) {
+  const codecs = MUX_CONTAINERS[container].codecs;
+
+  const toggleTrack = (track, checked) => {
+    onChange({ muxTracks: checked ? [...tracks, track] : tracks.filter(candidate => candidate !== track) });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 bg-gray-50 rounded-lg p-3 text-sm text-gray-700">
+      <span className="font-medium">Add to video</span>
+      <select
+        value={container}
+        onChange={(e) => onChange({ muxContainer: e.target.value, muxCodec: MUX_CONTAINERS[e.target.value].codecs[0] })}
+        className="border border-gray-300 rounded px-2 py-1"
+      >
+        {Object.entries(MUX_CONTAINERS).map(([key, target]) => (
+          <option key={key} value={key}>{target.label}</option>
+        ))}
+      </select>
+      <select
+        value={codec}
+        onChange={(e) => onChange({ muxCodec: e.target.value })}
+        disabled={codecs.length === 1}
+        className="border border-gray-300 rounded px-2 py-1 disabled:opacity-60"
+        title="Subtitle format inside the file"
+      >
+        {codecs.map(key => (
+          <option key={key} value={key}>{CODEC_LABELS[key]}</option>
+        ))}
+      </select>
+      {Object.entries(MUX_TRACKS).map(([key, track]) => (
+        <label key={key} className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={tracks.includes(key)}
+            onChange={(e) => toggleTrack(key, e.target.checked)}
+            className="rounded"
+          />
+          {track.label}
+        </label>
+      ))}
+      <button
+        onClick={onMux}
+        disabled={busy || tracks.length === 0}
+        className="ml-auto bg-gray-700 text-white px-3 py-1 rounded-lg font-semibold hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+        title="Copy the video and audio into a new file with the subtitles as soft tracks, tagged with the OCR language"
+      >
+        <Film className="h-4 w-4" />
+        {busy ? `Remuxing... ${progress.toFixed(0)}%` : 'Download Video'}
+      </button>
+    </div>
+  );
+}
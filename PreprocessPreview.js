@@ -0,0 +1,58 @@
+import React from 'react';
+import { RefreshCw, X } from 'lucide-react';
+
+// Debug view: each region's raw crop, with the teletext boxes found, next to the image sent to OCR
+export default function PreprocessPreview({ previews, busy, onRefresh, onClose }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800">Preprocessing Preview</h3>
+        <div className="flex gap-1 text-xs text-gray-700">
+          <button
+            onClick={onRefresh}
+            disabled={busy}
+            className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-40"
+            title="Preview the frame at the playhead"
+          >
+            <RefreshCw className="h-4 w-4" />
+            Refresh
+          </button>
+          <button onClick={onClose} className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-200" title="Close the preview">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+      {previews.map((preview, index) => (
+        <div key={index} className="mb-3">
+          <div className="text-xs text-gray-500 mb-1">
+            Region {index + 1}: {preview.boxesFound ? `${preview.boxes.length} box${preview.boxes.length === 1 ? '' : 'es'}` : 'no boxes, whole region'}
+            {', '}{preview.scale}× upscale
+            {preview.boxes.map((box, boxIndex) => (
+              <span key={boxIndex}>
+                {', '}threshold {box.threshold} ({box.textIsLight ? 'light' : 'dark'} text)
+              </span>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="relative bg-black">
+              <img src={preview.raw} alt={`Region ${index + 1} raw`} className="w-full" />
+              {preview.boxesFound && preview.boxes.map((box, boxIndex) => (
+                <div
+                  key={boxIndex}
+                  className="absolute border border-red-500"
+                  style={{
+                    left: `${(box.x / preview.width) * 100}%`,
+                    top: `${(box.y / preview.height) * 100}%`,
+                    width: `${(box.width / preview.width) * 100}%`,
+                    height: `${(box.height / preview.height) * 100}%`
+                  }}
+                />
+              ))}
+            </div>
+            <img src={preview.processed} alt={`Region ${index + 1} processed`} className="w-full border border-gray-300" />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Download, FolderOpen, Save, Trash2 } from 'lucide-react';
+
+const buttonClass = 'flex items-center gap-1 px-2 py-1 rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Pick, save, delete, import and export named settings presets
+export default function PresetControls({ presets, active, onApply, onSave, onDelete, onExport, onImport }) {
+  const [name, setName] = useState(active || '');
+  const names = Object.keys(presets).sort();
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <label className="font-medium text-gray-700">Preset</label>
+      <select
+        value={active || ''}
+        onChange={(e) => {
+          setName(e.target.value);
+          onApply(e.target.value || null);
+        }}
+        className="border border-gray-300 rounded px-2 py-1"
+      >
+        <option value="">Default settings</option>
+        {names.map(preset => (
+          <option key={preset} value={preset}>{preset}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Preset name, e.g. BBC One"
+        className="border border-gray-300 rounded px-2 py-1 flex-1 min-w-40"
+      />
+      <button
+        onClick={() => onSave(name.trim())}
+        disabled={!name.trim()}
+        className={buttonClass}
+        title={presets[name.trim()] ? 'Overwrite this preset with the current settings' : 'Save the current settings under this name'}
+      >
+        <Save className="h-4 w-4" />
+        Save
+      </button>
+      <button onClick={() => onDelete(active)} disabled={!active} className={buttonClass} title="Delete the selected preset">
+        <Trash2 className="h-4 w-4" />
+        Delete
+      </button>
+      <button onClick={onExport} disabled={names.length === 0} className={buttonClass} title="Download every preset as JSON">
+        <Download className="h-4 w-4" />
+        Export
+      </button>
+      <input type="file" accept=".json,application/json" onChange={onImport} className="hidden" id="presets-import" />
+      <label htmlFor="presets-import" className={`${buttonClass} cursor-pointer`} title="Add presets from an exported JSON file">
+        <FolderOpen className="h-4 w-4" />
+        Import
+      </label>
+    </div>
+  );
+}
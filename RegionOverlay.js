@@ -0,0 +1,80 @@
+import React, { useRef } from 'react';
+import { X } from 'lucide-react';
+import { clampRegion } from './core/regions.js';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Draggable, resizable subtitle regions drawn over the video preview
+export default function RegionOverlay({ regions, onChange }) {
+  const overlayRef = useRef(null);
+
+  const startDrag = (e, index, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const bounds = overlayRef.current.getBoundingClientRect();
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const original = regions[index];
+
+    const onMove = (moveEvent) => {
+      const dx = ((moveEvent.clientX - startX) / bounds.width) * 100;
+      const dy = ((moveEvent.clientY - startY) / bounds.height) * 100;
+      const next = mode === 'move'
+        ? clampRegion({ ...original, x: original.x + dx, y: original.y + dy })
+        : {
+            ...original,
+            width: Math.min(Math.max(original.width + dx, 2), 100 - original.x),
+            height: Math.min(Math.max(original.height + dy, 2), 100 - original.y)
+          };
+
+      onChange(regions.map((region, i) => (i === index
+        ? { x: round(next.x), y: round(next.y), width: round(next.width), height: round(next.height) }
+        : region)));
+    };
+
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  };
+
+  return (
+    <div ref={overlayRef} className="absolute inset-0 pointer-events-none">
+      {regions.map((region, index) => (
+        <div
+          key={index}
+          onPointerDown={(e) => startDrag(e, index, 'move')}
+          className="absolute border-2 border-yellow-400 bg-yellow-400 bg-opacity-10 pointer-events-auto cursor-move touch-none"
+          style={{
+            left: `${region.x}%`,
+            top: `${region.y}%`,
+            width: `${region.width}%`,
+            height: `${region.height}%`
+          }}
+        >
+          <div className="absolute -top-6 left-0 flex items-center gap-1 bg-yellow-400 text-black text-xs font-semibold px-1 rounded-t">
+            Region {index + 1}
+            {regions.length > 1 && (
+              <button
+                onPointerDown={(e) => e.stopPropagation()}
+                onClick={() => onChange(regions.filter((_, i) => i !== index))}
+                className="hover:text-red-700"
+                title="Remove region"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            )}
+          </div>
+          <div
+            onPointerDown={(e) => startDrag(e, index, 'resize')}
+            className="absolute -right-1.5 -bottom-1.5 h-3 w-3 bg-yellow-400 cursor-se-resize"
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Regression check: getsubs-evaluate <folder> [options]
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { DEFAULT_SETTINGS } from '../core/extract.js';
+import { parseProject } from '../formats/project.js';
+import { evaluateFolder } from '../node/evaluate.js';
+
+const USAGE = `Usage: getsubs-evaluate <folder> [options]
+
+Extracts every video in <folder> that has reference subtitles next to it
+(clip.ref.srt, clip.ref.vtt, clip.srt or clip.vtt for clip.mp4) and reports
+word and character error rates, missed and spurious cues and timing offsets.
+
+Options:
+      --settings <file>      Extraction settings as JSON, or a saved GetSubs project
+      --workers <n>          Parallel OCR workers per clip (default: from the settings)
+      --detect-regions       Detect the subtitle regions of each clip automatically
+  -o, --output <file>        Write the full results as JSON
+      --max-wer <n>          Exit with an error when the pooled WER is above n, 0-1
+      --case-sensitive       Count differences in case as errors
+      --keep-punctuation     Count differences in punctuation as errors
+      --ffmpeg <path>        ffmpeg binary (default: ffmpeg)
+      --ffprobe <path>       ffprobe binary (default: ffprobe)
+  -q, --quiet                Only print the results table and errors
+  -h, --help                 Show this help`;
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`.padStart(7);
+const seconds = (value) => (value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}s`).padStart(7);
+
+const row = (name, summary) => [
+  name.padEnd(32).slice(0, 32),
+  percent(summary.wer),
+  percent(summary.cer),
+  `${summary.matched}/${summary.referenceCues}`.padStart(9),
+  String(summary.missed).padStart(7),
+  String(summary.spurious).padStart(8),
+  seconds(summary.startOffset.median),
+  seconds(summary.endOffset.median)
+].join(' ');
+
+const readSettings = async (file) => {
+  if (!file) return { ...DEFAULT_SETTINGS };
+  const json = JSON.parse(await readFile(file, 'utf8'));
+  const settings = json.format === 'getsubs-project' ? parseProject(json).settings : json;
+  return { ...DEFAULT_SETTINGS, ...settings };
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      settings: { type: 'string' },
+      workers: { type: 'string' },
+      'detect-regions': { type: 'boolean' },
+      output: { type: 'string', short: 'o' },
+      'max-wer': { type: 'string' },
+      'case-sensitive': { type: 'boolean' },
+      'keep-punctuation': { type: 'boolean' },
+      ffmpeg: { type: 'string', default: 'ffmpeg' },
+      ffprobe: { type: 'string', default: 'ffprobe' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const settings = await readSettings(values.settings);
+  if (values.workers) {
+    const workers = Number(values.workers);
+    if (!Number.isInteger(workers) || workers < 1) throw new Error('--workers must be a whole number of at least 1');
+    settings.workers = workers;
+  }
+  const maxWer = values['max-wer'] === undefined ? null : Number(values['max-wer']);
+  if (maxWer !== null && !(maxWer >= 0 && maxWer <= 1)) throw new Error('--max-wer must be a number between 0 and 1');
+
+  const log = values.quiet ? () => {} : message => console.error(message);
+  const lines = [];
+
+  const results = await evaluateFolder(positionals[0], settings, {
+    ffmpeg: values.ffmpeg,
+    ffprobe: values.ffprobe,
+    detect: values['detect-regions'],
+    evaluation: {
+      ignoreCase: !values['case-sensitive'],
+      ignorePunctuation: !values['keep-punctuation']
+    },
+    onLog: log,
+    onClip: clip => lines.push(row(path.basename(clip.video), clip.summary))
+  });
+  if (results.clips.length === 0) throw new Error(`No videos with reference subtitles found in ${positionals[0]}`);
+
+  console.log(['Clip'.padEnd(32), '    WER', '    CER', '  Matched', ' Missed', 'Spurious', '  Start', '    End'].join(' '));
+  lines.forEach(line => console.log(line));
+  console.log(row('All clips', results.summary));
+
+  if (values.output) {
+    await writeFile(values.output, JSON.stringify({ settings, ...results }, null, 2));
+    log(`Wrote ${values.output}`);
+  }
+  if (maxWer !== null && results.summary.wer > maxWer) {
+    console.error(`getsubs-evaluate: WER ${percent(results.summary.wer).trim()} is above the limit of ${percent(maxWer).trim()}`);
+    process.exitCode = 2;
+  }
+};
+
+main().catch(error => {
+  console.error(`getsubs-evaluate: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Headless subtitle extraction: getsubs <video> [options]
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { evaluateSubtitles } from '../core/evaluate.js';
+import { speechOnly } from '../core/classify.js';
+import { DEFAULT_SETTINGS } from '../core/extract.js';
+import { clampRegion } from '../core/regions.js';
+import { DEFAULT_GUIDELINES, validateSubtitles } from '../core/validate.js';
+import { buildAuditReport } from '../formats/audit.js';
+import { buildComplianceCSV, buildComplianceJSON } from '../formats/compliance.js';
+import { buildProject } from '../formats/project.js';
+import { buildSRT } from '../formats/srt.js';
+import { buildVTT } from '../formats/vtt.js';
+import { readReference } from '../node/evaluate.js';
+import { extractFile } from '../node/extract.js';
+import { captureFileThumbnails } from '../node/thumbnails.js';
+
+const USAGE = `Usage: getsubs <video> [options]
+
+Options:
+  -o, --output <path>        Output path without extension (default: next to the video)
+  -f, --format <list>        Comma-separated formats: srt, vtt, json, project (a .getsubs.json
+                             project with OCR evidence and thumbnails, to open in the editor)
+                             and html (a .audit.html review page) (default: srt)
+      --region <y,height>    Subtitle region as percentages of the frame (default: 80,20).
+                             Also accepts x,y,width,height; repeat for several regions
+      --detect-regions       Sample the video and detect the subtitle regions automatically
+      --interval <ms>        Frame sampling interval in milliseconds (default: 500)
+      --lang <code>          Tesseract language: eng, fra, spa, deu, ita, cym, or combined
+                             like eng+fra; sets the allowed characters (default: eng)
+      --min-confidence <n>   Minimum OCR confidence, 0-100 (default: 60)
+      --similarity <n>       Text similarity threshold, 0.5-1 (default: 0.85)
+      --workers <n>          Parallel OCR workers, each decoding its own segment (default: 2)
+      --no-preprocess        Skip binarisation and send the raw colour region to OCR
+      --threshold <method>   Binarisation: otsu, adaptive or fixed (default: otsu)
+      --polarity <mode>      Text polarity: auto, light or dark (default: auto)
+      --upscale <n>          Enlarge the region n times before OCR, 0 for automatic (default: 0)
+      --no-boxes             Threshold the whole region instead of only the teletext boxes
+      --no-denoise           Keep small specks in the binarised image
+      --glossary <file>      Names of people and places, one per line, used by OCR correction
+      --no-correct           Keep OCR confusions (l/I/1, 0/O, rn/m, apostrophes) uncorrected
+      --no-change-detection  Run OCR on every sample, even when the region is unchanged
+      --readings <n>         With change detection, OCR each subtitle at least n times, spread over
+                             its frames, for the consensus vote (default: 3)
+      --no-refine            Keep cue boundaries on the sample grid instead of seeking to the exact frame
+      --italics              Load Tesseract's legacy engine as well, so italic lines are found from
+                             its font attributes and written as <i>
+      --speech-only          Leave sound effects, e.g. (LAUGHTER), and music out of the subtitle files,
+                             for a plain transcript track
+      --report               Also write a guideline compliance report (.compliance.json and .compliance.csv)
+      --max-wpm <n>          Reading speed limit for the report, in words per minute (default: 180)
+      --max-chars <n>        Characters per line limit for the report (default: 37)
+      --reference <file>     Score the result against an SRT or WebVTT file of the same video,
+                             writing .evaluation.json (WER, CER, missed cues, timing offsets)
+      --ffmpeg <path>        ffmpeg binary (default: ffmpeg)
+      --ffprobe <path>       ffprobe binary (default: ffprobe)
+  -q, --quiet                Only print errors
+  -h, --help                 Show this help`;
+
+// Each format's file extension and builder; project and html keep every cue with its evidence and thumbnails
+const FORMATS = {
+  srt: { extension: 'srt', build: buildSRT },
+  vtt: { extension: 'vtt', build: buildVTT },
+  json: { extension: 'json', build: subtitles => JSON.stringify(subtitles, null, 2) },
+  project: {
+    extension: 'getsubs.json',
+    evidence: true,
+    build: (subtitles, settings, videoName) => buildProject(subtitles, settings, { videoName })
+  },
+  html: {
+    extension: 'audit.html',
+    evidence: true,
+    build: (subtitles, settings, videoName) => buildAuditReport(subtitles, settings, { videoName })
+  }
+};
+
+const parseNumber = (name, value, min, max) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`--${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const parseSettings = (values) => {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  if (values.region) {
+    settings.regions = values.region.map(value => {
+      const parts = value.split(',').map(part => parseNumber('region', part, 0, 100));
+      if (parts.length === 2) return clampRegion({ x: 0, y: parts[0], width: 100, height: parts[1] });
+      if (parts.length === 4) return clampRegion({ x: parts[0], y: parts[1], width: parts[2], height: parts[3] });
+      throw new Error('--region takes y,height or x,y,width,height');
+    });
+  }
+  if (values.interval) settings.frameInterval = parseNumber('interval', values.interval, 1, 60000);
+  if (values.lang) settings.language = values.lang;
+  if (values['min-confidence']) settings.minConfidence = parseNumber('min-confidence', values['min-confidence'], 0, 100);
+  if (values.similarity) settings.similarityThreshold = parseNumber('similarity', values.similarity, 0, 1);
+  if (values.workers) settings.workers = Math.round(parseNumber('workers', values.workers, 1, 64));
+  if (values['no-preprocess']) settings.preprocessImage = false;
+  if (values.threshold) {
+    if (!['otsu', 'adaptive', 'fixed'].includes(values.threshold)) {
+      throw new Error('--threshold must be otsu, adaptive or fixed');
+    }
+    settings.binarisation = values.threshold;
+  }
+  if (values.polarity) {
+    if (!['auto', 'light', 'dark'].includes(values.polarity)) {
+      throw new Error('--polarity must be auto, light or dark');
+    }
+    settings.polarity = values.polarity;
+  }
+  if (values.upscale) settings.upscale = Math.round(parseNumber('upscale', values.upscale, 0, 4));
+  if (values['no-boxes']) settings.detectBoxes = false;
+  if (values['no-denoise']) settings.denoise = false;
+  if (values['no-correct']) settings.correctErrors = false;
+  if (values['no-change-detection']) settings.changeDetection = false;
+  if (values.readings) settings.consensusReadings = Math.round(parseNumber('readings', values.readings, 1, 10));
+  if (values['no-refine']) settings.refineBoundaries = false;
+  if (values.italics) settings.fontAttributes = true;
+  if (values['speech-only']) settings.speechOnly = true;
+
+  settings.guidelines = { ...DEFAULT_GUIDELINES };
+  if (values['max-wpm']) settings.guidelines.maxWordsPerMinute = parseNumber('max-wpm', values['max-wpm'], 1, 1000);
+  if (values['max-chars']) settings.guidelines.maxCharsPerLine = Math.round(parseNumber('max-chars', values['max-chars'], 1, 200));
+
+  return settings;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f', default: 'srt' },
+      region: { type: 'string', multiple: true },
+      'detect-regions': { type: 'boolean' },
+      interval: { type: 'string' },
+      lang: { type: 'string' },
+      'min-confidence': { type: 'string' },
+      similarity: { type: 'string' },
+      workers: { type: 'string' },
+      'no-preprocess': { type: 'boolean' },
+      threshold: { type: 'string' },
+      polarity: { type: 'string' },
+      upscale: { type: 'string' },
+      'no-boxes': { type: 'boolean' },
+      'no-denoise': { type: 'boolean' },
+      glossary: { type: 'string' },
+      'no-correct': { type: 'boolean' },
+      'no-change-detection': { type: 'boolean' },
+      readings: { type: 'string' },
+      'no-refine': { type: 'boolean' },
+      italics: { type: 'boolean' },
+      'speech-only': { type: 'boolean' },
+      report: { type: 'boolean' },
+      'max-wpm': { type: 'string' },
+      'max-chars': { type: 'string' },
+      reference: { type: 'string' },
+      ffmpeg: { type: 'string', default: 'ffmpeg' },
+      ffprobe: { type: 'string', default: 'ffprobe' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const [input] = positionals;
+  const settings = parseSettings(values);
+  if (values.glossary) settings.glossary = (await readFile(values.glossary, 'utf8')).split('\n');
+  const formats = values.format.split(',').map(format => format.trim().toLowerCase());
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length > 0) throw new Error(`Unknown format: ${unknown.join(', ')}`);
+
+  const reference = values.reference ? await readReference(values.reference) : null;
+
+  const log = values.quiet ? () => {} : message => console.error(message);
+  const output = values.output || path.join(path.dirname(input), path.parse(input).name);
+
+  const extracted = await extractFile(input, settings, {
+    ffmpeg: values.ffmpeg,
+    ffprobe: values.ffprobe,
+    detect: values['detect-regions'],
+    onLog: log
+  });
+
+  let subtitles = extracted;
+  if (formats.some(format => FORMATS[format].evidence)) {
+    log('Capturing cue thumbnails...');
+    subtitles = await captureFileThumbnails(input, extracted, settings, { ffmpeg: values.ffmpeg, ffprobe: values.ffprobe });
+  }
+  for (const format of formats) {
+    const file = `${output}.${FORMATS[format].extension}`;
+    const cues = settings.speechOnly && !FORMATS[format].evidence ? speechOnly(subtitles) : subtitles;
+    await writeFile(file, FORMATS[format].build(cues, settings, path.basename(input)));
+    log(`Wrote ${file}`);
+  }
+  if (values.report) {
+    const report = validateSubtitles(subtitles, settings.guidelines);
+    await writeFile(`${output}.compliance.json`, buildComplianceJSON(subtitles, report, settings.guidelines));
+    await writeFile(`${output}.compliance.csv`, buildComplianceCSV(subtitles, report));
+    log(`Wrote ${output}.compliance.json and ${output}.compliance.csv: ${report.summary.score}% of cues pass, ${report.summary.issues} issues`);
+  }
+  if (reference) {
+    const evaluation = evaluateSubtitles(reference, subtitles);
+    const { summary } = evaluation;
+    await writeFile(`${output}.evaluation.json`, JSON.stringify(evaluation, null, 2));
+    log(`Wrote ${output}.evaluation.json: WER ${(summary.wer * 100).toFixed(1)}%, CER ${(summary.cer * 100).toFixed(1)}%, ${summary.missed} missed, ${summary.spurious} spurious`);
+  }
+  log(`✓ Extraction complete! Found ${subtitles.length} subtitles.`);
+};
+
+main().catch(error => {
+  console.error(`getsubs: ${error.message}`);
+  process.exitCode = 1;
+});
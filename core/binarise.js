@@ -0,0 +1,370 @@
+// Adaptive binarisation of subtitle regions: find the teletext boxes, threshold inside
+// them, and write black text on white at a size Tesseract reads well
+
+// Box detection works on cells of this many pixels
+const CELL = 4;
+
+// Share of a cell's pixels that must be box background for the cell to count as box
+const CELL_BOX_SHARE = 0.3;
+
+// Shortest box, in cells, so single dark patches in the picture are not taken for boxes
+const MIN_BOX_CELLS = 6;
+
+// Grey levels above the darkest pixels that still count as (lifted) box black
+const BLACK_LIFT = 48;
+
+// Tesseract is most accurate with text about this many pixels tall
+const TARGET_TEXT_HEIGHT = 32;
+const MAX_UPSCALE = 4;
+
+// Offset from the local mean for adaptive thresholding
+const ADAPTIVE_OFFSET = 12;
+
+// Brightest channel per pixel, so saturated teletext colours (yellow, blue) stay bright
+export const greyLevels = (imageData) => {
+  const { data, width, height } = imageData;
+  const grey = new Uint8ClampedArray(width * height);
+  for (let p = 0, i = 0; p < grey.length; p++, i += 4) {
+    grey[p] = Math.max(data[i], data[i + 1], data[i + 2]);
+  }
+  return grey;
+};
+
+const histogram = (grey, width, box) => {
+  const counts = new Uint32Array(256);
+  for (let y = box.y; y < box.y + box.height; y++) {
+    for (let x = box.x; x < box.x + box.width; x++) {
+      counts[grey[y * width + x]]++;
+    }
+  }
+  return counts;
+};
+
+const percentile = (counts, fraction) => {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  let seen = 0;
+  for (let level = 0; level < 256; level++) {
+    seen += counts[level];
+    if (seen >= total * fraction) return level;
+  }
+  return 255;
+};
+
+// Otsu's method: the level that best separates the histogram into two classes
+export const otsuThreshold = (counts) => {
+  let total = 0;
+  let sum = 0;
+  for (let level = 0; level < 256; level++) {
+    total += counts[level];
+    sum += level * counts[level];
+  }
+
+  let best = 127;
+  let bestVariance = -1;
+  let backgroundCount = 0;
+  let backgroundSum = 0;
+  for (let level = 0; level < 255; level++) {
+    backgroundCount += counts[level];
+    backgroundSum += level * counts[level];
+    const foregroundCount = total - backgroundCount;
+    if (backgroundCount === 0 || foregroundCount === 0) continue;
+
+    const meanDifference = backgroundSum / backgroundCount - (sum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * meanDifference * meanDifference;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = level;
+    }
+  }
+  return best;
+};
+
+/**
+ * Find the dark background boxes teletext draws behind each line of text.
+ *
+ * The region is split into small cells and a cell counts as box when enough
+ * of it is close to the darkest level in the region, which copes with lifted
+ * blacks in off-air recordings. Long horizontal runs of box cells are grouped
+ * into rectangles, and only rectangles with something bright inside are kept.
+ * Returns pixel rectangles `{ x, y, width, height }`, possibly none.
+ */
+export const findTextBoxes = (grey, width, height) => {
+  const columns = Math.floor(width / CELL);
+  const rows = Math.floor(height / CELL);
+  if (columns < MIN_BOX_CELLS || rows < 2) return [];
+
+  const whole = { x: 0, y: 0, width, height };
+  const darkLevel = percentile(histogram(grey, width, whole), 0.05) + BLACK_LIFT;
+
+  const isBox = new Uint8Array(columns * rows);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let dark = 0;
+      for (let y = row * CELL; y < (row + 1) * CELL; y++) {
+        for (let x = column * CELL; x < (column + 1) * CELL; x++) {
+          if (grey[y * width + x] <= darkLevel) dark++;
+        }
+      }
+      isBox[row * columns + column] = dark >= CELL * CELL * CELL_BOX_SHARE ? 1 : 0;
+    }
+  }
+
+  // Runs of box cells per row, bridging one-cell gaps left by wide glyphs
+  const runsByRow = [];
+  for (let row = 0; row < rows; row++) {
+    const runs = [];
+    let run = null;
+    for (let column = 0; column < columns; column++) {
+      if (!isBox[row * columns + column]) continue;
+      if (run && column - run.end <= 2) {
+        run.end = column;
+      } else {
+        run = { start: column, end: column };
+        runs.push(run);
+      }
+    }
+    runsByRow.push(runs.filter(r => r.end - r.start + 1 >= MIN_BOX_CELLS));
+  }
+
+  // Stack overlapping runs on consecutive rows into rectangles
+  const open = [];
+  const closed = [];
+  runsByRow.forEach((runs, row) => {
+    const continued = new Set();
+    runs.forEach(run => {
+      const box = open.find(candidate => !continued.has(candidate) &&
+        candidate.bottom === row - 1 && run.start <= candidate.right && run.end >= candidate.left);
+      if (box) {
+        box.left = Math.min(box.left, run.start);
+        box.right = Math.max(box.right, run.end);
+        box.bottom = row;
+        continued.add(box);
+      } else {
+        const created = { left: run.start, right: run.end, top: row, bottom: row };
+        open.push(created);
+        continued.add(created);
+      }
+    });
+    for (let i = open.length - 1; i >= 0; i--) {
+      if (!continued.has(open[i])) closed.push(...open.splice(i, 1));
+    }
+  });
+  closed.push(...open);
+
+  return closed
+    .filter(box => box.bottom - box.top + 1 >= 2)
+    .map(box => ({
+      x: box.left * CELL,
+      y: box.top * CELL,
+      width: (box.right - box.left + 1) * CELL,
+      height: (box.bottom - box.top + 1) * CELL
+    }))
+    .filter(box => {
+      const counts = histogram(grey, width, box);
+      return percentile(counts, 0.99) > darkLevel;
+    })
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+};
+
+// Height of the text lines, from runs of rows that contain text pixels
+const estimateTextHeight = (grey, width, boxes, isText) => {
+  const heights = [];
+  boxes.forEach(box => {
+    let run = 0;
+    for (let y = box.y; y < box.y + box.height; y++) {
+      let found = false;
+      for (let x = box.x; x < box.x + box.width && !found; x++) {
+        found = isText(grey[y * width + x], box);
+      }
+      if (found) {
+        run++;
+      } else if (run > 0) {
+        heights.push(run);
+        run = 0;
+      }
+    }
+    if (run > 0) heights.push(run);
+  });
+
+  if (heights.length === 0) return 0;
+  heights.sort((a, b) => a - b);
+  return heights[Math.floor(heights.length / 2)];
+};
+
+// Bilinear resize of a grey image by a whole-number factor
+const upscaleGrey = (grey, width, height, scale) => {
+  if (scale === 1) return grey;
+
+  const scaledWidth = width * scale;
+  const scaled = new Uint8ClampedArray(scaledWidth * height * scale);
+  for (let y = 0; y < height * scale; y++) {
+    const sourceY = Math.min(Math.max((y + 0.5) / scale - 0.5, 0), height - 1);
+    const y0 = Math.floor(sourceY);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const fy = sourceY - y0;
+    for (let x = 0; x < scaledWidth; x++) {
+      const sourceX = Math.min(Math.max((x + 0.5) / scale - 0.5, 0), width - 1);
+      const x0 = Math.floor(sourceX);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const fx = sourceX - x0;
+      const top = grey[y0 * width + x0] * (1 - fx) + grey[y0 * width + x1] * fx;
+      const bottom = grey[y1 * width + x0] * (1 - fx) + grey[y1 * width + x1] * fx;
+      scaled[y * scaledWidth + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return scaled;
+};
+
+// Summed-area table for mean-of-window lookups in adaptive thresholding
+const integralImage = (grey, width, height) => {
+  const table = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += grey[y * width + x];
+      table[(y + 1) * (width + 1) + x + 1] = table[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  return table;
+};
+
+// Drop 8-connected specks of text smaller than `minArea` pixels
+const removeSpecks = (mask, width, height, minArea) => {
+  const seen = new Uint8Array(mask.length);
+  const stack = [];
+  const component = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+
+    component.length = 0;
+    stack.push(start);
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const p = stack.pop();
+      component.push(p);
+      const x = p % width;
+      const y = (p - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const q = ny * width + nx;
+          if (mask[q] && !seen[q]) {
+            seen[q] = 1;
+            stack.push(q);
+          }
+        }
+      }
+    }
+
+    if (component.length < minArea) {
+      component.forEach(p => { mask[p] = 0; });
+    }
+  }
+};
+
+/**
+ * Turn a colour subtitle region into black text on white for OCR.
+ *
+ * `settings.binarisation` picks the threshold: 'otsu' (per box), 'adaptive'
+ * (local mean) or 'fixed' (grey 128). With `detectBoxes`, thresholding only
+ * runs inside the teletext boxes and everything outside them is blanked.
+ * `polarity` is 'light' or 'dark' text, or 'auto' to take whichever class
+ * covers less of the box. `upscale` is a whole-number factor, or 0 to scale
+ * small text up to about 32px. `denoise` removes specks left by compression.
+ *
+ * Returns `{ data, width, height, scale, boxesFound, boxes }`, where `data`
+ * is RGBA at the scaled size and each box (the whole region when none were
+ * found) is in source pixels with its `threshold` and `textIsLight`.
+ */
+export const binariseRegion = (imageData, settings) => {
+  const { width, height } = imageData;
+  const grey = greyLevels(imageData);
+  const method = settings.binarisation || 'otsu';
+  const polarity = settings.polarity || 'auto';
+
+  const detected = settings.detectBoxes === false ? [] : findTextBoxes(grey, width, height);
+  const boxes = detected.length > 0 ? detected : [{ x: 0, y: 0, width, height }];
+
+  // Threshold and text polarity per box, decided at the source size
+  const boxInfo = new Map();
+  boxes.forEach(box => {
+    const counts = histogram(grey, width, box);
+    const threshold = method === 'fixed' ? 128 : otsuThreshold(counts);
+    let above = 0;
+    for (let level = threshold + 1; level < 256; level++) above += counts[level];
+    const textIsLight = polarity === 'auto' ? above <= box.width * box.height / 2 : polarity === 'light';
+    boxInfo.set(box, { threshold, textIsLight });
+  });
+
+  const isText = (level, box) => {
+    const { threshold, textIsLight } = boxInfo.get(box);
+    return textIsLight ? level > threshold : level <= threshold;
+  };
+
+  let scale = Math.round(settings.upscale || 0);
+  if (scale < 1) {
+    const textHeight = estimateTextHeight(grey, width, boxes, isText);
+    scale = textHeight > 0 ? Math.ceil(TARGET_TEXT_HEIGHT / textHeight) : 1;
+  }
+  scale = Math.min(Math.max(scale, 1), MAX_UPSCALE);
+
+  const scaledWidth = width * scale;
+  const scaledHeight = height * scale;
+  const scaled = upscaleGrey(grey, width, height, scale);
+  const mask = new Uint8Array(scaledWidth * scaledHeight);
+  const table = method === 'adaptive' ? integralImage(scaled, scaledWidth, scaledHeight) : null;
+
+  boxes.forEach(box => {
+    const { threshold, textIsLight } = boxInfo.get(box);
+    const left = box.x * scale;
+    const top = box.y * scale;
+    const right = (box.x + box.width) * scale;
+    const bottom = (box.y + box.height) * scale;
+    const radius = Math.max(4, Math.round(Math.min(box.height * scale, scaledHeight) / 4));
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const level = scaled[y * scaledWidth + x];
+        let text;
+        if (table) {
+          const x0 = Math.max(left, x - radius);
+          const x1 = Math.min(right, x + radius + 1);
+          const y0 = Math.max(top, y - radius);
+          const y1 = Math.min(bottom, y + radius + 1);
+          const sum = table[y1 * (scaledWidth + 1) + x1] - table[y0 * (scaledWidth + 1) + x1] -
+            table[y1 * (scaledWidth + 1) + x0] + table[y0 * (scaledWidth + 1) + x0];
+          const mean = sum / ((x1 - x0) * (y1 - y0));
+          text = textIsLight ? level > mean + ADAPTIVE_OFFSET : level < mean - ADAPTIVE_OFFSET;
+        } else {
+          text = textIsLight ? level > threshold : level <= threshold;
+        }
+        if (text) mask[y * scaledWidth + x] = 1;
+      }
+    }
+  });
+
+  if (settings.denoise !== false) {
+    removeSpecks(mask, scaledWidth, scaledHeight, Math.max(3, scale * scale * 2));
+  }
+
+  const data = new Uint8ClampedArray(scaledWidth * scaledHeight * 4);
+  for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+    const value = mask[p] ? 0 : 255;
+    data[i] = value;
+    data[i + 1] = value;
+    data[i + 2] = value;
+    data[i + 3] = 255;
+  }
+
+  return {
+    data,
+    width: scaledWidth,
+    height: scaledHeight,
+    scale,
+    boxesFound: detected.length > 0,
+    boxes: boxes.map(box => ({ ...box, ...boxInfo.get(box) }))
+  };
+};
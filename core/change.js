@@ -0,0 +1,38 @@
+// Cheap change detection on the subtitle region, used to skip OCR on unchanged frames
+
+const GRID_WIDTH = 64;
+const GRID_HEIGHT = 16;
+
+// Grey levels a grid cell has to move by before it counts as changed
+const CELL_TOLERANCE = 24;
+
+// Downscale the region to a small grid of average grey levels
+export const regionSignature = (imageData) => {
+  const { data, width, height } = imageData;
+  const sums = new Float32Array(GRID_WIDTH * GRID_HEIGHT);
+  const counts = new Uint32Array(GRID_WIDTH * GRID_HEIGHT);
+
+  for (let y = 0; y < height; y++) {
+    const cellY = Math.min(GRID_HEIGHT - 1, Math.floor((y / height) * GRID_HEIGHT));
+    for (let x = 0; x < width; x++) {
+      const cellX = Math.min(GRID_WIDTH - 1, Math.floor((x / width) * GRID_WIDTH));
+      const i = (y * width + x) * 4;
+      const cell = cellY * GRID_WIDTH + cellX;
+      sums[cell] += (data[i] + data[i + 1] + data[i + 2]) / 3;
+      counts[cell]++;
+    }
+  }
+
+  return sums.map((sum, cell) => (counts[cell] > 0 ? sum / counts[cell] : 0));
+};
+
+// Fraction of grid cells that changed between two signatures (0 = identical)
+export const signatureDistance = (a, b) => {
+  if (!a || !b) return 1;
+
+  let changed = 0;
+  for (let cell = 0; cell < a.length; cell++) {
+    if (Math.abs(a[cell] - b[cell]) > CELL_TOLERANCE) changed++;
+  }
+  return changed / a.length;
+};
@@ -0,0 +1,100 @@
+// Speech, sound effects, music and italics in UK-style subtitles, from the text and Tesseract's font attributes
+
+// Sound labels in brackets, e.g. (LAUGHTER) or [DOOR SLAMS]
+const SOUND_LABEL = /[([][^)\]]*[)\]]/g;
+
+// A speaker label such as "JOHN:" starts speech, so it is not read as a sound effect
+const SPEAKER_LABEL = /^[\p{Lu}][\p{Lu} .'-]*:\s*/u;
+
+// Fewer capital letters than this is an interjection ("OK!", "I"), not a sound effect
+const MIN_SOUND_LETTERS = 3;
+
+const letters = (text) => text.match(/\p{L}/gu) || [];
+
+// Effects written in capitals without brackets, as UK guidance has them
+const isCapitalised = (text) => {
+  if (SPEAKER_LABEL.test(text)) return false;
+  const found = letters(text);
+  return found.length >= MIN_SOUND_LETTERS && found.every(letter => letter === letter.toUpperCase() && letter !== letter.toLowerCase());
+};
+
+// Spaces and punctuation left between labels are not speech
+const isSpoken = (span) => span.kind === 'speech' && /[\p{L}\p{N}]/u.test(span.text);
+
+/**
+ * Split one line of text into `{ text, kind }` spans covering it exactly,
+ * `kind` being 'speech', 'sound' or 'music'. A line with ♪ is music,
+ * bracketed labels are sounds, and a line in capitals (not a speaker label)
+ * is a sound effect.
+ */
+export const classifyLine = (text) => {
+  if (text.includes('♪')) return [{ text, kind: 'music' }];
+  if (isCapitalised(text)) return [{ text, kind: 'sound' }];
+
+  const spans = [];
+  let last = 0;
+  for (const match of text.matchAll(SOUND_LABEL)) {
+    if (match.index > last) spans.push({ text: text.slice(last, match.index), kind: 'speech' });
+    spans.push({ text: match[0], kind: 'sound' });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) spans.push({ text: text.slice(last), kind: 'speech' });
+
+  // Spaces and punctuation between labels belong with the label before them
+  return spans.reduce((merged, span) => {
+    const previous = merged[merged.length - 1];
+    if (previous && span.kind === 'speech' && !isSpoken(span)) {
+      previous.text += span.text;
+    } else {
+      merged.push({ ...span });
+    }
+    return merged;
+  }, []);
+};
+
+// Tesseract reports italics per word (with its legacy engine); a line is italic when most of its words are
+export const fontItalic = (words) => {
+  if (!words || words.length === 0) return false;
+  return words.filter(word => word.is_italic).length * 2 > words.length;
+};
+
+/**
+ * The cue with each line's `spans` and `kind`, and the `kind` of the whole
+ * cue: 'speech' when any of it is spoken, otherwise 'music' or 'sound'.
+ * Lines keep their `italic` flag, set from the font attributes or by hand.
+ */
+export const classifyCue = (cue) => {
+  const source = cue.lines && cue.lines.length > 0
+    ? cue.lines
+    : cue.text.split('\n').map(text => ({ text, colour: 'white' }));
+  const lines = source.map(line => {
+    const spans = classifyLine(line.text);
+    const kind = spans.some(isSpoken) || spans.length === 0
+      ? 'speech'
+      : spans.some(span => span.kind === 'music') ? 'music' : 'sound';
+    return { ...line, spans, kind };
+  });
+  const kinds = lines.map(line => line.kind);
+  const kind = kinds.includes('speech') || kinds.length === 0 ? 'speech' : kinds.includes('music') ? 'music' : 'sound';
+  return { ...cue, kind, lines };
+};
+
+/**
+ * A plain transcript track: cues with no speech are dropped, and sound labels
+ * and music are taken out of the rest, e.g. "(SIGHS) Fine." becomes "Fine.".
+ */
+export const speechOnly = (subtitles) => {
+  return subtitles
+    .map(classifyCue)
+    .filter(cue => cue.kind === 'speech')
+    .map(cue => {
+      const lines = cue.lines
+        .filter(line => line.kind === 'speech')
+        .map(line => {
+          const text = line.spans.filter(isSpoken).map(span => span.text).join(' ').replace(/\s+/g, ' ').trim();
+          return { ...line, text, spans: [{ text, kind: 'speech' }] };
+        })
+        .filter(line => line.text);
+      return { ...cue, text: lines.map(line => line.text).join('\n'), lines };
+    });
+};
@@ -0,0 +1,150 @@
+// Combine every OCR reading of a cue into one text by character alignment and weighted voting
+import { withText } from './edit.js';
+
+/**
+ * Group readings `{ text, confidence, lines }` by text. Each group is
+ * `{ text, confidence, count, lines }`: the mean confidence, how many times
+ * the text was read, and the lines (colour and layout) of its best reading.
+ */
+export const groupReadings = (readings) => {
+  return mergeReadings([], readings.map(({ text, confidence, lines }) => ({ text, confidence, count: 1, lines })));
+};
+
+// Add grouped readings to another set of groups, keeping first-seen order
+export const mergeReadings = (groups, additions) => {
+  const merged = groups.map(group => ({ ...group }));
+  additions.forEach(addition => {
+    const group = merged.find(candidate => candidate.text === addition.text);
+    if (!group) {
+      merged.push({ ...addition });
+      return;
+    }
+    const count = group.count + addition.count;
+    if (addition.confidence > group.confidence) group.lines = addition.lines;
+    group.confidence = (group.confidence * group.count + addition.confidence * addition.count) / count;
+    group.count = count;
+  });
+  return merged;
+};
+
+// Levenshtein alignment of `other` against `pivot`: for each pivot character
+// the aligned character ('' when deleted), and the text inserted before each
+const align = (pivot, other) => {
+  const rows = pivot.length + 1;
+  const columns = other.length + 1;
+  const cost = new Uint16Array(rows * columns);
+  for (let i = 0; i < rows; i++) cost[i * columns] = i;
+  for (let j = 0; j < columns; j++) cost[j] = j;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < columns; j++) {
+      const substitution = cost[(i - 1) * columns + j - 1] + (pivot[i - 1] === other[j - 1] ? 0 : 1);
+      cost[i * columns + j] = Math.min(substitution, cost[(i - 1) * columns + j] + 1, cost[i * columns + j - 1] + 1);
+    }
+  }
+
+  const aligned = new Array(pivot.length).fill('');
+  const inserted = new Array(pivot.length + 1).fill('');
+  let i = pivot.length;
+  let j = other.length;
+  while (i > 0 || j > 0) {
+    const here = cost[i * columns + j];
+    if (i > 0 && j > 0 && here === cost[(i - 1) * columns + j - 1] + (pivot[i - 1] === other[j - 1] ? 0 : 1)) {
+      aligned[i - 1] = other[j - 1];
+      i--;
+      j--;
+    } else if (i > 0 && here === cost[(i - 1) * columns + j] + 1) {
+      i--;
+    } else {
+      inserted[i] = other[j - 1] + inserted[i];
+      j--;
+    }
+  }
+  return { aligned, inserted };
+};
+
+const winner = (votes) => {
+  let best = '';
+  let bestWeight = -1;
+  votes.forEach((weight, value) => {
+    if (weight > bestWeight) {
+      best = value;
+      bestWeight = weight;
+    }
+  });
+  return { value: best, weight: bestWeight };
+};
+
+/**
+ * Vote on the text of grouped readings. The most trusted reading is the
+ * pivot; every other reading is aligned to it character by character and
+ * each position (and each gap between positions) takes the character with
+ * the most weight, where a reading weighs its confidence times its count.
+ * Returns `{ text, agreement }`, agreement being the mean share of the total
+ * weight behind each character of the result.
+ */
+export const voteText = (groups) => {
+  const weighted = groups
+    .map(group => ({ ...group, weight: Math.max(group.confidence, 1) * group.count }))
+    .sort((a, b) => b.weight - a.weight);
+  if (weighted.length === 0) return { text: '', agreement: 0 };
+
+  const pivot = weighted[0].text;
+  const total = weighted.reduce((sum, group) => sum + group.weight, 0);
+  const columns = Array.from({ length: pivot.length }, () => new Map());
+  const gaps = Array.from({ length: pivot.length + 1 }, () => new Map());
+
+  weighted.forEach(group => {
+    const { aligned, inserted } = group.text === pivot
+      ? { aligned: [...pivot], inserted: new Array(pivot.length + 1).fill('') }
+      : align(pivot, group.text);
+    aligned.forEach((character, index) => {
+      columns[index].set(character, (columns[index].get(character) || 0) + group.weight);
+    });
+    inserted.forEach((text, index) => {
+      gaps[index].set(text, (gaps[index].get(text) || 0) + group.weight);
+    });
+  });
+
+  let text = '';
+  let support = 0;
+  let characters = 0;
+  const take = ({ value, weight }) => {
+    if (!value) return;
+    text += value;
+    support += (weight / total) * value.length;
+    characters += value.length;
+  };
+  for (let index = 0; index < pivot.length; index++) {
+    take(winner(gaps[index]));
+    take(winner(columns[index]));
+  }
+  take(winner(gaps[pivot.length]));
+
+  return { text, agreement: characters > 0 ? support / characters : 0 };
+};
+
+/**
+ * Consensus for a cue from its grouped readings: `{ text, lines, confidence }`.
+ * Lines take their colour and layout from the best reading with the same
+ * number of lines. The confidence is the mean OCR confidence over every
+ * reading, scaled by how strongly the readings agree on the result. With no
+ * readings the result is empty, with no confidence.
+ */
+export const buildConsensus = (groups) => {
+  if (groups.length === 0) return { text: '', lines: [], confidence: 0 };
+
+  const { text, agreement } = voteText(groups);
+  const lineTexts = text.split('\n').map(line => line.trim()).filter(line => line);
+  const byConfidence = [...groups].sort((a, b) => b.confidence - a.confidence);
+  const layout = byConfidence.find(group => (group.lines || []).length === lineTexts.length) || byConfidence[0];
+
+  const count = groups.reduce((sum, group) => sum + group.count, 0);
+  const meanConfidence = groups.reduce((sum, group) => sum + group.confidence * group.count, 0) / count;
+  const { lines } = withText({ lines: layout.lines || [] }, lineTexts.join('\n'));
+
+  return {
+    text: lineTexts.join('\n'),
+    lines,
+    confidence: meanConfidence * agreement
+  };
+};
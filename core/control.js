@@ -0,0 +1,45 @@
+// Pause, resume, stop and cancel for a running extraction
+
+export class ExtractionCancelledError extends Error {
+  constructor() {
+    super('Extraction cancelled');
+    this.name = 'ExtractionCancelledError';
+  }
+}
+
+// The pipeline calls `wait()` before each sample: it blocks while paused and throws once cancelled.
+// `stop()` instead ends the run after the current sample and keeps its cues, e.g. for live capture
+export const createRunControl = () => {
+  let state = 'running';
+  let paused = null;
+  let release = () => {};
+
+  return {
+    get state() {
+      return state;
+    },
+    pause() {
+      if (state !== 'running') return;
+      state = 'paused';
+      paused = new Promise(resolve => { release = resolve; });
+    },
+    resume() {
+      if (state !== 'paused') return;
+      state = 'running';
+      release();
+    },
+    stop() {
+      if (state === 'cancelled') return;
+      state = 'stopped';
+      release();
+    },
+    cancel() {
+      state = 'cancelled';
+      release();
+    },
+    async wait() {
+      if (state === 'paused') await paused;
+      if (state === 'cancelled') throw new ExtractionCancelledError();
+    }
+  };
+};
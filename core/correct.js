@@ -0,0 +1,108 @@
+// Dictionary-checked correction of classic OCR confusions, plus a glossary of proper nouns
+import { loadDictionary } from './languages.js';
+import { formatTime } from './time.js';
+
+// Character confusions Tesseract makes on subtitle fonts, as [read, meant]
+const CONFUSIONS = [
+  ['l', 'I'], ['I', 'l'], ['1', 'l'], ['1', 'I'], ['l', '1'], ['I', '1'],
+  ['0', 'O'], ['0', 'o'], ['O', '0'], ['o', '0'],
+  ['rn', 'm'], ['m', 'rn'], ['vv', 'w']
+];
+
+// How many confusions may be undone in one word
+const MAX_SUBSTITUTIONS = 2;
+
+const WORD = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+const NUMBER = /^\d+$/;
+
+const capitals = (text) => (text.match(/\p{Lu}/gu) || []).length;
+
+// Every spelling one confusion (or one dropped apostrophe) away from `word`
+const variants = (word) => {
+  const found = [];
+  CONFUSIONS.forEach(([read, meant]) => {
+    let index = word.indexOf(read);
+    while (index !== -1) {
+      found.push({ text: word.slice(0, index) + meant + word.slice(index + read.length), rule: 'confusion' });
+      index = word.indexOf(read, index + 1);
+    }
+  });
+  if (!word.includes('\'')) {
+    for (let index = 1; index < word.length; index++) {
+      found.push({ text: `${word.slice(0, index)}'${word.slice(index)}`, rule: 'apostrophe' });
+    }
+  }
+  return found;
+};
+
+/**
+ * Load the language's bundled dictionary and return `correct(line)`, which
+ * returns `{ text, corrections }`. A word is only changed when it is not
+ * in the dictionary or glossary and undoing one or two confusions (l/I/1, 0/O,
+ * rn/m, vv/w) or restoring an apostrophe turns it into one that is. Each
+ * correction is `{ from, to, rule }`, rule being 'confusion' or 'apostrophe'.
+ */
+export const createCorrector = async ({ language, glossary = [] }) => {
+  const dictionary = await loadDictionary(language);
+  const names = new Set(glossary.map(term => term.trim().toLowerCase()).filter(term => term));
+
+  const known = (word) => dictionary.has(word.toLowerCase()) || names.has(word.toLowerCase());
+
+  // Digits only make sense as a whole number, e.g. 2O10 → 2010
+  const acceptable = (candidate, word) => known(candidate) || (/\d/.test(word) && NUMBER.test(candidate));
+
+  const correctWord = (word) => {
+    if (known(word) || NUMBER.test(word)) return null;
+
+    let frontier = [{ text: word, rule: null }];
+    for (let depth = 0; depth < MAX_SUBSTITUTIONS; depth++) {
+      const next = frontier.flatMap(({ text, rule }) => variants(text)
+        .filter(variant => !(rule === 'apostrophe' && variant.rule === 'apostrophe'))
+        .map(variant => ({ text: variant.text, rule: rule || variant.rule })));
+      const matches = next.filter(candidate => acceptable(candidate.text, word));
+
+      // Only correct when every match agrees on the word, ignoring case
+      const meanings = new Set(matches.map(match => match.text.toLowerCase()));
+      if (meanings.size === 1) {
+        // Keep the word's case, e.g. Lond0n → London rather than LondOn
+        const shouting = word === word.toUpperCase();
+        const best = matches.reduce((a, b) => ((shouting ? capitals(b.text) > capitals(a.text) : capitals(b.text) < capitals(a.text)) ? b : a));
+        return { from: word, to: best.text, rule: best.rule };
+      }
+      if (meanings.size > 1) return null;
+      frontier = next;
+    }
+    return null;
+  };
+
+  return (line) => {
+    const corrections = [];
+    const text = line.replace(WORD, word => {
+      const correction = correctWord(word);
+      if (!correction) return word;
+      corrections.push(correction);
+      return correction.to;
+    });
+    return { text, corrections };
+  };
+};
+
+// Run a corrector over each line of each cue, logging and recording what changed
+export const correctCues = (cues, correct, onLog = () => {}) => {
+  return cues.map(cue => {
+    const corrections = [];
+    const fix = (text) => {
+      const result = correct(text);
+      corrections.push(...result.corrections);
+      return result.text;
+    };
+
+    const lines = (cue.lines || []).map(line => ({ ...line, text: fix(line.text) }));
+    const text = lines.length > 0 ? lines.map(line => line.text).join('\n') : fix(cue.text);
+
+    corrections.forEach(({ from, to, rule }) => {
+      onLog(`Corrected "${from}" → "${to}" (${rule}) at ${formatTime(cue.start)}`);
+    });
+    return corrections.length > 0 ? { ...cue, text, lines, corrections } : cue;
+  });
+};
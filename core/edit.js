@@ -0,0 +1,137 @@
+// Pure cue-list operations for the review editor; each returns a new list
+
+const MIN_DURATION = 0.04;
+
+// Replace a cue's text, keeping the colour and layout of the lines that survive
+export const withText = (cue, text) => {
+  const texts = text.split('\n').map(line => line.trim()).filter(line => line);
+  const previous = cue.lines || [];
+  const lines = texts.map((lineText, index) => ({
+    colour: 'white',
+    ...(previous[index] || previous[previous.length - 1] || {}),
+    text: lineText
+  }));
+  return { ...cue, text: texts.join('\n'), lines };
+};
+
+export const updateCueText = (cues, index, text) => {
+  return cues.map((cue, i) => (i === index ? withText(cue, text) : cue));
+};
+
+// Turn italics on or off for all of a cue's lines, e.g. for an off-screen voice Tesseract did not report
+export const toggleItalic = (cues, index) => {
+  return cues.map((cue, i) => {
+    if (i !== index) return cue;
+    const { lines } = withText(cue, cue.text);
+    const italic = !lines.every(line => line.italic);
+    return { ...cue, lines: lines.map(line => ({ ...line, italic })) };
+  });
+};
+
+// Move the start or end of a cue by `delta` seconds without inverting it
+export const nudgeCue = (cues, index, field, delta) => {
+  return cues.map((cue, i) => {
+    if (i !== index) return cue;
+    if (field === 'start') {
+      return { ...cue, start: Math.min(Math.max(cue.start + delta, 0), cue.end - MIN_DURATION) };
+    }
+    return { ...cue, end: Math.max(cue.end + delta, cue.start + MIN_DURATION) };
+  });
+};
+
+const cueWords = (cue) => cue.text.split(/\s+/).filter(word => word);
+
+// A cue can be split when it has more than one line or word to share between the halves
+export const canSplitCue = (cue) => cue.text.includes('\n') || cueWords(cue).length > 1;
+
+// Split a cue at `time` (its midpoint if outside the cue), dividing lines or else words
+export const splitCue = (cues, index, time) => {
+  const cue = cues[index];
+  if (!canSplitCue(cue)) return cues;
+
+  const at = time > cue.start + MIN_DURATION && time < cue.end - MIN_DURATION
+    ? time
+    : (cue.start + cue.end) / 2;
+
+  const lines = cue.text.split('\n');
+  let firstText;
+  let secondText;
+  if (lines.length > 1) {
+    const half = Math.ceil(lines.length / 2);
+    firstText = lines.slice(0, half).join('\n');
+    secondText = lines.slice(half).join('\n');
+  } else {
+    const words = cueWords(cue);
+    const half = Math.ceil(words.length / 2);
+    firstText = words.slice(0, half).join(' ');
+    secondText = words.slice(half).join(' ');
+  }
+
+  const secondLines = lines.length > 1 ? (cue.lines || []).slice(Math.ceil(lines.length / 2)) : cue.lines;
+  // The OCR readings were of the whole cue, so neither half keeps them; the frames and thumbnails go by time
+  const frames = cue.frames || [];
+  const thumbnails = cue.thumbnails || {};
+  const first = withText({
+    ...cue,
+    end: at,
+    readings: [],
+    frames: frames.filter(frame => frame.time < at),
+    thumbnails: { start: thumbnails.start }
+  }, firstText);
+  const second = withText({
+    ...cue,
+    start: at,
+    lines: secondLines,
+    readings: [],
+    frames: frames.filter(frame => frame.time >= at),
+    thumbnails: { end: thumbnails.end }
+  }, secondText);
+  return [...cues.slice(0, index), first, second, ...cues.slice(index + 1)];
+};
+
+// Merge a cue with the one after it
+export const mergeCues = (cues, index) => {
+  if (index >= cues.length - 1) return cues;
+
+  const cue = cues[index];
+  const next = cues[index + 1];
+  const merged = {
+    ...cue,
+    start: Math.min(cue.start, next.start),
+    end: Math.max(cue.end, next.end),
+    text: `${cue.text}\n${next.text}`,
+    lines: [...(cue.lines || []), ...(next.lines || [])],
+    confidence: Math.min(cue.confidence, next.confidence),
+    readings: [],
+    corrections: [...(cue.corrections || []), ...(next.corrections || [])],
+    frames: [...(cue.frames || []), ...(next.frames || [])],
+    thumbnails: { start: (cue.thumbnails || {}).start, end: (next.thumbnails || {}).end }
+  };
+  return [...cues.slice(0, index), merged, ...cues.slice(index + 2)];
+};
+
+// Insert a short cue in the gap after `index` (or at the start when index is -1)
+export const insertCue = (cues, index, text = 'New subtitle') => {
+  const previous = cues[index];
+  const next = cues[index + 1];
+  const start = previous ? previous.end : 0;
+  const end = next ? Math.max(Math.min(next.start, start + 2), start + MIN_DURATION) : start + 2;
+  const cue = withText({
+    start,
+    end,
+    text: '',
+    lines: [],
+    region: previous ? previous.region : next && next.region,
+    confidence: 100
+  }, text);
+  return [...cues.slice(0, index + 1), cue, ...cues.slice(index + 1)];
+};
+
+export const deleteCue = (cues, index) => {
+  return cues.filter((_, i) => i !== index);
+};
+
+// Swap one cue for the cues found when it was read again
+export const replaceCue = (cues, index, replacement) => {
+  return [...cues.slice(0, index), ...replacement, ...cues.slice(index + 1)];
+};
@@ -0,0 +1,211 @@
+// Score extracted cues against a reference subtitle file: WER, CER, missed/spurious cues and timing
+
+// Width of the timing histogram buckets, and how far either side of zero they go
+const OFFSET_BUCKET = 0.1;
+const OFFSET_RANGE = 1;
+
+// Words of a text, each with the form used for comparison; punctuation-only tokens are dropped
+const tokenise = (text, { ignoreCase, ignorePunctuation }) => {
+  return text.split(/\s+/)
+    .map(word => {
+      let key = ignorePunctuation ? word.replace(/[^\p{L}\p{N}']/gu, '').replace(/^'+|'+$/g, '') : word;
+      if (ignoreCase) key = key.toLowerCase();
+      return { word, key };
+    })
+    .filter(token => token.key);
+};
+
+/**
+ * Minimal edit script turning `reference` into `extracted` (arrays compared
+ * with `===`), as `{ op, reference, extracted }` steps where op is 'equal',
+ * 'substitute', 'delete' (missing from the extraction) or 'insert'.
+ */
+export const editOperations = (reference, extracted) => {
+  const rows = reference.length + 1;
+  const columns = extracted.length + 1;
+  const cost = new Uint32Array(rows * columns);
+  for (let i = 0; i < rows; i++) cost[i * columns] = i;
+  for (let j = 0; j < columns; j++) cost[j] = j;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < columns; j++) {
+      const substitution = cost[(i - 1) * columns + j - 1] + (reference[i - 1] === extracted[j - 1] ? 0 : 1);
+      cost[i * columns + j] = Math.min(substitution, cost[(i - 1) * columns + j] + 1, cost[i * columns + j - 1] + 1);
+    }
+  }
+
+  const operations = [];
+  let i = reference.length;
+  let j = extracted.length;
+  while (i > 0 || j > 0) {
+    const here = cost[i * columns + j];
+    if (i > 0 && j > 0 && here === cost[(i - 1) * columns + j - 1] + (reference[i - 1] === extracted[j - 1] ? 0 : 1)) {
+      operations.push({ op: reference[i - 1] === extracted[j - 1] ? 'equal' : 'substitute', reference: i - 1, extracted: j - 1 });
+      i--;
+      j--;
+    } else if (i > 0 && here === cost[(i - 1) * columns + j] + 1) {
+      operations.push({ op: 'delete', reference: i - 1, extracted: null });
+      i--;
+    } else {
+      operations.push({ op: 'insert', reference: null, extracted: j - 1 });
+      j--;
+    }
+  }
+  return operations.reverse();
+};
+
+const countErrors = (operations) => operations.filter(step => step.op !== 'equal').length;
+
+/**
+ * Mean, median, 90th percentile of the absolute value, range and a histogram
+ * of timing offsets in seconds. Histogram buckets are `{ from, to, count }`
+ * with `from`/`to` null for the open-ended buckets beyond ±1s.
+ */
+export const summariseOffsets = (offsets) => {
+  const sorted = [...offsets].sort((a, b) => a - b);
+  const absolute = offsets.map(Math.abs).sort((a, b) => a - b);
+  const percentile = (values, p) => (values.length > 0 ? values[Math.min(values.length - 1, Math.floor(p * values.length))] : null);
+
+  const buckets = [{ from: null, to: -OFFSET_RANGE, count: 0 }];
+  for (let from = -OFFSET_RANGE; from < OFFSET_RANGE - 1e-9; from += OFFSET_BUCKET) {
+    buckets.push({ from: Math.round(from * 100) / 100 || 0, to: Math.round((from + OFFSET_BUCKET) * 100) / 100 || 0, count: 0 });
+  }
+  buckets.push({ from: OFFSET_RANGE, to: null, count: 0 });
+  offsets.forEach(offset => {
+    const bucket = buckets.find(({ from, to }) => (from === null || offset >= from) && (to === null || offset < to));
+    bucket.count++;
+  });
+
+  return {
+    count: offsets.length,
+    mean: offsets.length > 0 ? offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length : null,
+    median: sorted.length > 0 ? (sorted[Math.floor((sorted.length - 1) / 2)] + sorted[Math.ceil((sorted.length - 1) / 2)]) / 2 : null,
+    p90Absolute: percentile(absolute, 0.9),
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    histogram: buckets
+  };
+};
+
+const overlap = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+/**
+ * Pair each extracted cue with the reference cue it overlaps most in time.
+ * A reference cue may collect several extracted cues (OCR splitting it up);
+ * reference cues left without any are missed and extracted cues overlapping
+ * no reference cue are spurious. Returns `{ reference, extracted }` index
+ * groups in time order, with `reference` null for spurious cues.
+ */
+export const alignCues = (reference, extracted) => {
+  const assigned = reference.map(() => []);
+  const spurious = [];
+  extracted.forEach((cue, index) => {
+    let best = -1;
+    let bestOverlap = 0;
+    reference.forEach((candidate, candidateIndex) => {
+      const shared = overlap(cue, candidate);
+      if (shared > bestOverlap) {
+        best = candidateIndex;
+        bestOverlap = shared;
+      }
+    });
+    if (best === -1) {
+      spurious.push(index);
+    } else {
+      assigned[best].push(index);
+    }
+  });
+
+  const startOf = (group) => (group.reference === null ? extracted[group.extracted[0]] : reference[group.reference]).start;
+  return [
+    ...assigned.map((indices, index) => ({ reference: index, extracted: indices })),
+    ...spurious.map(index => ({ reference: null, extracted: [index] }))
+  ].sort((a, b) => startOf(a) - startOf(b));
+};
+
+/**
+ * Evaluate `extracted` cues against `reference` cues (e.g. from `parseSRT`).
+ *
+ * Word and character error rates count every substitution, deletion and
+ * insertion over all aligned cues, so words of missed cues are deletions and
+ * words of spurious cues insertions, divided by the reference length. By
+ * default case and punctuation are ignored. Start and end offsets are
+ * extracted minus reference time, so positive means the extraction is late.
+ *
+ * Returns `{ summary, pairs }`. Each pair is one aligned group with its kind
+ * ('match', 'missed' or 'spurious'), error counts, timing offsets and a
+ * word-level `diff` of `{ op, reference, extracted }` with the original words.
+ */
+export const evaluateSubtitles = (reference, extracted, { ignoreCase = true, ignorePunctuation = true } = {}) => {
+  const options = { ignoreCase, ignorePunctuation };
+  const characters = (tokens) => [...tokens.map(token => token.key).join(' ')];
+
+  let referenceWords = 0;
+  let wordErrors = 0;
+  let referenceChars = 0;
+  let charErrors = 0;
+  const startOffsets = [];
+  const endOffsets = [];
+
+  const pairs = alignCues(reference, extracted).map(group => {
+    const referenceCue = group.reference === null ? null : reference[group.reference];
+    const extractedCues = group.extracted.map(index => extracted[index]);
+    const referenceTokens = referenceCue ? tokenise(referenceCue.text, options) : [];
+    const extractedTokens = tokenise(extractedCues.map(cue => cue.text).join(' '), options);
+
+    const wordSteps = editOperations(referenceTokens.map(token => token.key), extractedTokens.map(token => token.key));
+    const referenceCharacters = characters(referenceTokens);
+    const pairWordErrors = countErrors(wordSteps);
+    const pairCharErrors = countErrors(editOperations(referenceCharacters, characters(extractedTokens)));
+
+    referenceWords += referenceTokens.length;
+    wordErrors += pairWordErrors;
+    referenceChars += referenceCharacters.length;
+    charErrors += pairCharErrors;
+
+    const kind = !referenceCue ? 'spurious' : extractedCues.length === 0 ? 'missed' : 'match';
+    let startOffset = null;
+    let endOffset = null;
+    if (kind === 'match') {
+      startOffset = extractedCues[0].start - referenceCue.start;
+      endOffset = extractedCues[extractedCues.length - 1].end - referenceCue.end;
+      startOffsets.push(startOffset);
+      endOffsets.push(endOffset);
+    }
+
+    return {
+      kind,
+      reference: group.reference,
+      extracted: group.extracted,
+      start: referenceCue ? referenceCue.start : extractedCues[0].start,
+      wordErrors: pairWordErrors,
+      charErrors: pairCharErrors,
+      startOffset,
+      endOffset,
+      diff: wordSteps.map(step => ({
+        op: step.op,
+        reference: step.reference === null ? null : referenceTokens[step.reference].word,
+        extracted: step.extracted === null ? null : extractedTokens[step.extracted].word
+      }))
+    };
+  });
+
+  const count = (kind) => pairs.filter(pair => pair.kind === kind).length;
+  return {
+    summary: {
+      wer: referenceWords > 0 ? wordErrors / referenceWords : (wordErrors > 0 ? 1 : 0),
+      cer: referenceChars > 0 ? charErrors / referenceChars : (charErrors > 0 ? 1 : 0),
+      referenceWords,
+      wordErrors,
+      referenceChars,
+      charErrors,
+      referenceCues: reference.length,
+      extractedCues: extracted.length,
+      matched: count('match'),
+      missed: count('missed'),
+      spurious: count('spurious'),
+      startOffset: summariseOffsets(startOffsets),
+      endOffset: summariseOffsets(endOffsets)
+    },
+    pairs
+  };
+};
@@ -0,0 +1,286 @@
+import { cleanText, stringSimilarity } from './text.js';
+import { buildConsensus, groupReadings } from './consensus.js';
+import { correctCues, createCorrector } from './correct.js';
+import { classifyColour, prepareCanvas } from './image.js';
+import { signatureDistance } from './change.js';
+import { getRegions } from './regions.js';
+import { cueLayout, lineLayout } from './layout.js';
+import { fontItalic } from './classify.js';
+import { formatTime } from './time.js';
+
+export const DEFAULT_SETTINGS = {
+  frameInterval: 500,
+  subtitleRegionY: 80,
+  subtitleRegionHeight: 20,
+  regions: [],
+  minConfidence: 60,
+  similarityThreshold: 0.85,
+  preprocessImage: true,
+  language: 'eng',
+  frameRate: 25,
+  workers: 2,
+  changeDetection: true,
+  changeThreshold: 0.01,
+  consensusReadings: 3,
+  refineBoundaries: true,
+  binarisation: 'otsu',
+  detectBoxes: true,
+  polarity: 'auto',
+  upscale: 0,
+  denoise: true,
+  correctErrors: true,
+  glossary: [],
+  fontAttributes: false
+};
+
+// Map a bounding box on the (possibly upscaled) OCR image back to raw region pixels
+const unscaleBox = (bbox, scale) => ({
+  x0: Math.floor(bbox.x0 / scale),
+  y0: Math.floor(bbox.y0 / scale),
+  x1: Math.ceil(bbox.x1 / scale),
+  y1: Math.ceil(bbox.y1 / scale)
+});
+
+/**
+ * Run the OCR pipeline over a frame source and return the timed cues.
+ *
+ * - `source`: `{ duration, frameRate, grab(time, region), now }`, where `grab`
+ *   resolves to a canvas holding just the subtitle region at `time`; a live
+ *   source has an infinite duration and a `now()` clock
+ * - `recognize(image)`: resolves to Tesseract's `data` for the image
+ * - `settings`: see `DEFAULT_SETTINGS`
+ * - `from`, `to`: limit the run to part of the video, e.g. to re-read one cue
+ * - `countFrom`: readings before it only prime the run and are left out of
+ *   each cue's `readings`
+ * - `prepare(grabbed, settings)`: resolves to `{ rawRegion, signature,
+ *   getImage }`; defaults to `prepareCanvas`
+ * - `control`: from `createRunControl`, to pause, stop or cancel the run
+ * - `correct`: a corrector from `createCorrector`, or `null` for none
+ * - `onCue`, `onLog`, `onProgress`: called with each cue as it ends, each log
+ *   line and the percentage done
+ *
+ * The README's Extraction Pipeline section describes what happens in between.
+ */
+export const extractSubtitles = async (source, recognize, settings, {
+  from = 0,
+  to,
+  countFrom = from,
+  prepare = prepareCanvas,
+  control,
+  correct,
+  onCue = () => {},
+  onLog = () => {},
+  onProgress = () => {}
+} = {}) => {
+  const duration = Math.min(to === undefined ? source.duration : to, source.duration);
+  const corrector = correct !== undefined ? correct : settings.correctErrors ? await createCorrector(settings) : null;
+  const frameRate = source.frameRate || settings.frameRate;
+  const step = settings.frameInterval / 1000;
+
+  const extractedSubs = [];
+  let sampleIndex = 0;
+  let currentTime = from;
+  let sampleCount = 0;
+  let ocrCount = 0;
+
+  const trackers = getRegions(settings).map(region => ({
+    region,
+    lastText: '',
+    readings: [],
+    lastStartTime: from,
+    previousSignature: null,
+    ocrSignature: null,
+    skipped: []
+  }));
+
+  // OCR a prepared region into a reading, or null when there is no legible text
+  const readRegion = async ({ rawRegion, getImage }, region, time) => {
+    const { image, scale } = await getImage();
+    const { text, confidence, lines, words } = await recognize(image);
+    const cleanedText = cleanText(text, settings.language);
+    ocrCount++;
+    if (!cleanedText || confidence <= settings.minConfidence) return null;
+
+    const readLines = (lines || [])
+      .map(line => ({
+        text: cleanText(line.text, settings.language).replace(/\n/g, ' '),
+        colour: classifyColour(rawRegion, unscaleBox(line.bbox, scale)),
+        italic: fontItalic(line.words),
+        ...lineLayout(unscaleBox(line.bbox, scale), rawRegion.width, rawRegion.height, region)
+      }))
+      .filter(line => line.text);
+    const readText = readLines.length > 0 ? readLines.map(line => line.text).join('\n') : cleanedText;
+    const evidence = (items) => (items || []).map(item => ({
+      text: item.text.trim(),
+      confidence: item.confidence,
+      bbox: unscaleBox(item.bbox, scale)
+    }));
+    return {
+      text: readText,
+      confidence,
+      lines: readLines,
+      time,
+      frame: {
+        time,
+        text: readText,
+        confidence,
+        width: rawRegion.width,
+        height: rawRegion.height,
+        lines: evidence(lines),
+        words: evidence(words)
+      }
+    };
+  };
+
+  // Go back for samples change detection skipped, the middle one and the last, until the cue has enough readings
+  const readSkipped = async (tracker) => {
+    const wanted = settings.consensusReadings - tracker.readings.length;
+    const skipped = tracker.skipped.filter(time => time >= countFrom);
+    if (source.now || wanted <= 0 || skipped.length === 0) return;
+
+    const times = new Set(Array.from({ length: wanted }, (_, index) => (
+      skipped[Math.round(((index + 1) / wanted) * (skipped.length - 1))]
+    )));
+    for (const time of times) {
+      try {
+        const reading = await readRegion(await prepare(await source.grab(time, tracker.region), settings), tracker.region, time);
+        if (reading) tracker.readings.push(reading);
+      } catch (error) {
+        onLog(`OCR error at ${time.toFixed(2)}s: ${error.message}`);
+      }
+    }
+    tracker.readings.sort((a, b) => a.time - b.time);
+  };
+
+  const pushCue = async (tracker, end) => {
+    await readSkipped(tracker);
+    tracker.skipped = [];
+
+    const counted = tracker.readings.filter(reading => reading.time >= countFrom);
+    const readings = groupReadings(counted);
+    const voters = readings.length > 0 ? readings : groupReadings(tracker.readings);
+    const { text, lines, confidence } = buildConsensus(voters);
+    const cue = {
+      start: tracker.lastStartTime,
+      end,
+      text,
+      lines,
+      ...cueLayout(lines),
+      region: tracker.region,
+      confidence,
+      readings,
+      frames: counted.map(reading => reading.frame)
+    };
+    onLog(`[${formatTime(tracker.lastStartTime)} -> ${formatTime(end)}] "${text.replace(/\n/g, ' / ')}" (${tracker.readings.length} reading${tracker.readings.length === 1 ? '' : 's'})`);
+    const finished = corrector ? correctCues([cue], corrector, onLog)[0] : cue;
+    extractedSubs.push(finished);
+    onCue(finished);
+  };
+
+  const grabSignature = async (time, region) => {
+    const { signature } = await prepare(await source.grab(time, region), settings);
+    return signature;
+  };
+
+  // Binary-search the frames between two samples for the first one showing the new state
+  const findBoundary = async (tracker, from, to, toSignature) => {
+    const fromSignature = tracker.previousSignature;
+    if (!settings.refineBoundaries || source.now || !fromSignature) return to;
+
+    let lo = Math.round(from * frameRate);
+    let hi = Math.round(to * frameRate);
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      const signature = await grabSignature(mid / frameRate, tracker.region);
+      if (signatureDistance(signature, toSignature) <= signatureDistance(signature, fromSignature)) {
+        hi = mid;
+      } else {
+        lo = mid;
+      }
+    }
+    return hi / frameRate;
+  };
+
+  const processRegion = async (tracker, previousTime) => {
+    // Keep the colour pixels for speaker identification before thresholding
+    const prepared = await prepare(await source.grab(currentTime, tracker.region), settings);
+    const { signature } = prepared;
+    const unchanged = settings.changeDetection &&
+      signatureDistance(signature, tracker.ocrSignature) < settings.changeThreshold;
+    // A live source cannot go back for skipped samples, so it reads unchanged ones while the cue is short of readings
+    const wantsReading = tracker.lastText && source.now && tracker.readings.length < settings.consensusReadings;
+    sampleCount++;
+
+    if (unchanged && !wantsReading) {
+      if (tracker.lastText) tracker.skipped.push(currentTime);
+    } else {
+      // Perform OCR on the preprocessed region
+      try {
+        const reading = await readRegion(prepared, tracker.region, currentTime);
+        tracker.ocrSignature = signature;
+
+        if (reading) {
+          // Compare with every reading so far, so one misread does not start a new cue
+          const similarity = tracker.lastText
+            ? Math.max(...tracker.readings.map(previous => stringSimilarity(reading.text, previous.text)))
+            : 0;
+
+          if (similarity < settings.similarityThreshold) {
+            // New subtitle detected
+            const boundary = await findBoundary(tracker, previousTime, currentTime, signature);
+            if (tracker.lastText) {
+              await pushCue(tracker, boundary);
+            }
+            tracker.lastText = reading.text;
+            tracker.readings = [reading];
+            tracker.lastStartTime = boundary;
+          } else {
+            // Another reading of the same subtitle, for the vote
+            tracker.readings.push(reading);
+          }
+        } else if (tracker.lastText) {
+          // Subtitle disappeared
+          const boundary = await findBoundary(tracker, previousTime, currentTime, signature);
+          await pushCue(tracker, boundary);
+          tracker.lastText = '';
+        }
+      } catch (error) {
+        onLog(`OCR error at ${currentTime.toFixed(2)}s: ${error.message}`);
+      }
+    }
+
+    tracker.previousSignature = signature;
+  };
+
+  onLog(Number.isFinite(duration)
+    ? `Processing video (duration: ${(duration - from).toFixed(2)}s, ${trackers.length} region${trackers.length === 1 ? '' : 's'})...`
+    : `Processing live video (${trackers.length} region${trackers.length === 1 ? '' : 's'})...`);
+
+  let previousTime = from;
+  while (currentTime < duration) {
+    if (control) await control.wait();
+    if (control && control.state === 'stopped') break;
+
+    for (const tracker of trackers) {
+      await processRegion(tracker, previousTime);
+    }
+
+    // Count samples rather than adding up intervals so long runs do not drift
+    previousTime = currentTime;
+    sampleIndex++;
+    // A live source cannot go back, so skip samples that went by during OCR
+    if (source.now) sampleIndex = Math.max(sampleIndex, Math.ceil((source.now() - from) / step));
+    currentTime = from + sampleIndex * step;
+    onProgress(((currentTime - from) / (duration - from)) * 100);
+  }
+
+  // Handle final subtitles if still active; a stopped run ends them at the last sample
+  for (const tracker of trackers) {
+    if (tracker.lastText) {
+      await pushCue(tracker, Math.min(currentTime, duration));
+    }
+  }
+
+  onLog(`OCR ran on ${ocrCount} of ${sampleCount} samples`);
+  return extractedSubs.sort((a, b) => a.start - b.start);
+};
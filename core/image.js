@@ -0,0 +1,79 @@
+import { TELETEXT_COLOURS } from './teletext.js';
+import { regionSignature } from './change.js';
+import { binariseRegion } from './binarise.js';
+
+const PALETTE = Object.entries(TELETEXT_COLOURS).map(([name, hex]) => [
+  name,
+  parseInt(hex.slice(1, 3), 16),
+  parseInt(hex.slice(3, 5), 16),
+  parseInt(hex.slice(5, 7), 16)
+]);
+
+// Binarise the canvas in place (resizing it when the text is upscaled) and return what was found
+export const preprocessCanvas = (canvas, ctx, settings = {}) => {
+  const result = binariseRegion(ctx.getImageData(0, 0, canvas.width, canvas.height), settings);
+
+  canvas.width = result.width;
+  canvas.height = result.height;
+  const imageData = ctx.createImageData(result.width, result.height);
+  imageData.data.set(result.data);
+  ctx.putImageData(imageData, 0, 0);
+
+  return result;
+};
+
+/**
+ * Read a grabbed region on the main thread: the raw colour pixels, the change
+ * signature, and the OCR input, binarised in place when it is first needed.
+ * `getImage()` resolves to `{ image, scale }`, where `scale` is how much the
+ * image was enlarged over `rawRegion`. Worker-based front ends provide their
+ * own `prepare` with the same shape.
+ */
+export const prepareCanvas = (canvas, settings) => {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const rawRegion = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  return {
+    rawRegion,
+    signature: regionSignature(rawRegion),
+    getImage: async () => {
+      if (!settings.preprocessImage) return { image: canvas, scale: 1 };
+      const { scale } = preprocessCanvas(canvas, ctx, settings);
+      return { image: canvas, scale };
+    }
+  };
+};
+
+export const classifyColour = (imageData, bbox) => {
+  const { data, width, height } = imageData;
+  const votes = {};
+
+  for (let y = Math.max(0, bbox.y0); y < Math.min(height, bbox.y1); y++) {
+    for (let x = Math.max(0, bbox.x0); x < Math.min(width, bbox.x1); x++) {
+      const i = (y * width + x) * 4;
+      const peak = Math.max(data[i], data[i + 1], data[i + 2]);
+
+      // Only bright pixels belong to the glyphs, the rest is the black box
+      if (peak < 128) continue;
+
+      // Stretch to full brightness so dim encodes still match the palette
+      const r = (data[i] / peak) * 255;
+      const g = (data[i + 1] / peak) * 255;
+      const b = (data[i + 2] / peak) * 255;
+
+      let nearest = 'white';
+      let nearestDistance = Infinity;
+      PALETTE.forEach(([name, pr, pg, pb]) => {
+        const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+        if (distance < nearestDistance) {
+          nearest = name;
+          nearestDistance = distance;
+        }
+      });
+      votes[nearest] = (votes[nearest] || 0) + 1;
+    }
+  }
+
+  const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : 'white';
+};
@@ -0,0 +1,110 @@
+// Character profiles per OCR language, shared by the Tesseract whitelist and cleanText
+
+const LATIN = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const DIGITS = '0123456789';
+
+// Punctuation every subtitle language can use, including '#' for the teletext music marker
+const COMMON = ' .,!?\'"-:;()[]£€$%&/#♪…‘’“”';
+
+/**
+ * Tesseract language code → `{ name, tag, stlCode, letters, punctuation, dictionary }`,
+ * where `tag` is its BCP 47 tag for TTML, `stlCode` its EBU STL (Tech 3264)
+ * language code, `letters` and `punctuation` are the characters a language
+ * adds to the Latin letters, digits and common punctuation, and
+ * `dictionary()` resolves to a module whose default export is its word list
+ * for OCR correction. Add a language with `registerLanguageProfile`.
+ */
+export const LANGUAGE_PROFILES = {
+  eng: {
+    name: 'English',
+    tag: 'en',
+    stlCode: '09',
+    letters: '',
+    punctuation: '',
+    dictionary: () => import('../dictionaries/eng.js')
+  },
+  fra: {
+    name: 'French',
+    tag: 'fr',
+    stlCode: '0F',
+    letters: 'àâæçéèêëîïôœùûüÿÀÂÆÇÉÈÊËÎÏÔŒÙÛÜŸ',
+    punctuation: '«»',
+    dictionary: () => import('../dictionaries/fra.js')
+  },
+  spa: {
+    name: 'Spanish',
+    tag: 'es',
+    stlCode: '0A',
+    letters: 'áéíñóúüÁÉÍÑÓÚÜ',
+    punctuation: '¡¿«»',
+    dictionary: () => import('../dictionaries/spa.js')
+  },
+  deu: {
+    name: 'German',
+    tag: 'de',
+    stlCode: '08',
+    letters: 'äöüßÄÖÜ',
+    punctuation: '„«»',
+    dictionary: () => import('../dictionaries/deu.js')
+  },
+  ita: {
+    name: 'Italian',
+    tag: 'it',
+    stlCode: '15',
+    letters: 'àèéìíîòóùúÀÈÉÌÍÎÒÓÙÚ',
+    punctuation: '«»',
+    dictionary: () => import('../dictionaries/ita.js')
+  },
+  cym: {
+    name: 'Welsh',
+    tag: 'cy',
+    stlCode: '05',
+    letters: 'âêîôûŵŷäëïöüÿáéíóúẃýàèìòùẁỳÂÊÎÔÛŴŶÄËÏÖÜŸÁÉÍÓÚẂÝÀÈÌÒÙẀỲ',
+    punctuation: '',
+    dictionary: () => import('../dictionaries/cym.js')
+  }
+};
+
+export const registerLanguageProfile = (code, profile) => {
+  LANGUAGE_PROFILES[code] = { name: code, tag: code, stlCode: '00', letters: '', punctuation: '', dictionary: async () => ({ default: '' }), ...profile };
+};
+
+// The first language of an 'eng+fra' style code, which files that hold one language are tagged with
+export const primaryLanguage = (language) => String(language || 'eng').split('+')[0];
+
+const profilesFor = (language) => {
+  const profiles = String(language || 'eng')
+    .split('+')
+    .map(code => LANGUAGE_PROFILES[code])
+    .filter(profile => profile);
+  return profiles.length > 0 ? profiles : [LANGUAGE_PROFILES.eng];
+};
+
+// Lower-case word set for a language from its bundled word lists
+export const loadDictionary = async (language) => {
+  const lists = await Promise.all(profilesFor(language).map(async profile => (await profile.dictionary()).default));
+  return new Set(lists.flatMap(list => (Array.isArray(list) ? list : list.split(/\s+/)))
+    .map(word => word.toLowerCase())
+    .filter(word => word));
+};
+
+// Every character allowed for a language; 'eng+fra' style codes combine profiles
+export const languageCharacters = (language) => {
+  const extra = profilesFor(language)
+    .map(profile => profile.letters + profile.punctuation)
+    .join('');
+  return [...new Set(LATIN + DIGITS + COMMON + extra)].join('');
+};
+
+const disallowed = new Map();
+
+// Regex matching anything outside the language's characters, cached per language
+export const disallowedCharacters = (language) => {
+  if (!disallowed.has(language)) {
+    const allowed = languageCharacters(language)
+      .replace(/ /g, '')
+      .replace(/[\\\]^-]/g, '\\$&');
+    disallowed.set(language, new RegExp(`[^\\s${allowed}]`, 'gu'));
+  }
+  return disallowed.get(language);
+};
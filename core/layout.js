@@ -0,0 +1,39 @@
+// On-screen layout of OCR'd lines, in percent of the full frame
+
+// Teletext subtitle rows run 1-23 down a 24-row screen
+const TELETEXT_ROWS = 24;
+
+// How far from the middle a line's centre may sit and still count as centred
+const CENTRE_TOLERANCE = 10;
+
+export const lineLayout = (bbox, imageWidth, imageHeight, region) => {
+  const x = region.x + (bbox.x0 / imageWidth) * region.width;
+  const y = region.y + (bbox.y0 / imageHeight) * region.height;
+  const width = ((bbox.x1 - bbox.x0) / imageWidth) * region.width;
+  const height = ((bbox.y1 - bbox.y0) / imageHeight) * region.height;
+  const centre = x + width / 2;
+
+  let align = 'center';
+  if (Math.abs(centre - 50) > CENTRE_TOLERANCE) {
+    align = centre < 50 ? 'left' : 'right';
+  }
+
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    align,
+    row: Math.min(Math.max(Math.round((y / 100) * TELETEXT_ROWS), 1), 23),
+    position: { x: round(x), y: round(y), width: round(width), height: round(height) }
+  };
+};
+
+// A cue takes its row from its first line and the alignment most of its lines share
+export const cueLayout = (lines) => {
+  const placed = lines.filter(line => line.position);
+  if (placed.length === 0) return {};
+
+  const counts = {};
+  placed.forEach(line => { counts[line.align] = (counts[line.align] || 0) + 1; });
+  const align = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+  return { align, row: placed[0].row };
+};
@@ -0,0 +1,37 @@
+import { createScheduler, createWorker } from 'tesseract.js';
+import { languageCharacters } from './languages.js';
+
+// Engine modes: LSTM only, or LSTM combined with the legacy engine that reports font attributes
+const OEM_LSTM = 1;
+const OEM_COMBINED = 2;
+
+// Create a Tesseract worker configured for subtitle text in the language's character set.
+// With `fontAttributes`, the legacy engine and data are loaded too, so words report italics
+export const createSubtitleWorker = async (language, onProgress, { fontAttributes = false } = {}) => {
+  const worker = await createWorker(language, fontAttributes ? OEM_COMBINED : OEM_LSTM, {
+    legacyCore: fontAttributes,
+    legacyLang: fontAttributes,
+    logger: m => {
+      if (m.status === 'recognizing text' && onProgress) {
+        onProgress(m.progress);
+      }
+    }
+  });
+
+  await worker.setParameters({
+    tessedit_char_whitelist: languageCharacters(language),
+    tessedit_pageseg_mode: '6', // Assume uniform block of text
+  });
+
+  return worker;
+};
+
+// Spread recognition over several workers; jobs run as soon as a worker is free
+export const createSubtitleScheduler = async (language, workerCount, onProgress, options) => {
+  const scheduler = createScheduler();
+  const workers = await Promise.all(
+    Array.from({ length: workerCount }, () => createSubtitleWorker(language, onProgress, options))
+  );
+  workers.forEach(worker => scheduler.addWorker(worker));
+  return scheduler;
+};
@@ -0,0 +1,116 @@
+import { extractSubtitles } from './extract.js';
+import { buildConsensus, mergeReadings } from './consensus.js';
+import { correctCues, createCorrector } from './correct.js';
+import { cueLayout } from './layout.js';
+
+const sameRegion = (a, b) => {
+  if (!a || !b) return a === b;
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+};
+
+// Append segment results to the stitched list, joining cues continued across a segment start
+const stitch = (stitched, results) => {
+  results.forEach(({ start, leadIn, cues }) => {
+    cues.forEach(cue => {
+      if (cue.start !== leadIn || leadIn === start) {
+        stitched.push(cue);
+        return;
+      }
+
+      const open = stitched.find(previous => previous.end === start && sameRegion(previous.region, cue.region));
+      if (open) {
+        // Vote again over the readings from both sides of the segment start
+        open.end = cue.end;
+        open.readings = mergeReadings(open.readings || [], cue.readings || []);
+        open.frames = [...(open.frames || []), ...(cue.frames || [])];
+        const { text, lines, confidence } = buildConsensus(open.readings);
+        Object.assign(open, { text, lines, ...cueLayout(lines), confidence });
+      } else {
+        stitched.push({ ...cue, start });
+      }
+    });
+  });
+
+  return stitched.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Split the video into one time segment per source and extract them at the
+ * same time, then stitch the cues back into one ordered list.
+ *
+ * Every segment that does not start the run starts one sample early. That
+ * lead-in sample primes the segment with whatever was on screen at the end
+ * of the previous segment, so boundary refinement and first-read text match
+ * a sequential run. A cue that starts on the lead-in sample continues the cue
+ * the previous segment closed at its end, and the two are joined with their
+ * readings voted on together. Lead-in readings are not counted twice.
+ *
+ * With `checkpointInterval` (seconds of video), the run goes through the
+ * video in chunks of that length and calls `onCheckpoint({ cues, time })`
+ * after each one. Passing that object back as `resume` continues from it.
+ * Checkpoints hold uncorrected cues; OCR correction (the `correct` option of
+ * `extractSubtitles`) runs once on the stitched result.
+ */
+export const extractSubtitlesParallel = async (sources, recognize, settings, {
+  from = 0,
+  to,
+  prepare,
+  control,
+  correct,
+  resume,
+  checkpointInterval = Infinity,
+  onCheckpoint = () => {},
+  onLog = () => {},
+  onProgress = () => {}
+} = {}) => {
+  const duration = Math.min(to === undefined ? sources[0].duration : to, sources[0].duration);
+  const step = settings.frameInterval / 1000;
+  const chunkSamples = Math.max(1, Math.floor(checkpointInterval / step));
+  const corrector = correct !== undefined ? correct : settings.correctErrors ? await createCorrector(settings) : null;
+
+  const stitched = resume ? resume.cues.map(cue => ({ ...cue })) : [];
+  let position = resume ? resume.time : from;
+
+  if (resume) {
+    onLog(`Resuming at ${position.toFixed(2)}s with ${stitched.length} cues`);
+  }
+
+  while (position < duration) {
+    const chunkStart = position;
+    const chunkEnd = Math.min(chunkStart + chunkSamples * step, duration);
+    const samplesPerSegment = Math.ceil(Math.ceil((chunkEnd - chunkStart) / step) / sources.length);
+
+    const segments = sources
+      .map((source, index) => ({
+        source,
+        start: chunkStart + index * samplesPerSegment * step,
+        end: Math.min(chunkStart + (index + 1) * samplesPerSegment * step, chunkEnd)
+      }))
+      .filter(segment => segment.start < segment.end);
+
+    const progress = segments.map(() => 0);
+    const results = await Promise.all(segments.map((segment, index) => {
+      const leadIn = segment.start > from ? segment.start - step : segment.start;
+      return extractSubtitles(segment.source, recognize, settings, {
+        from: leadIn,
+        to: segment.end,
+        countFrom: segment.start,
+        prepare,
+        control,
+        correct: null,
+        onLog: segments.length > 1 ? message => onLog(`[segment ${index + 1}] ${message}`) : onLog,
+        onProgress: percent => {
+          progress[index] = percent;
+          const chunkDone = (progress.reduce((sum, value) => sum + value, 0) / segments.length / 100) * (chunkEnd - chunkStart);
+          onProgress(((chunkStart - from + chunkDone) / (duration - from)) * 100);
+        }
+      }).then(cues => ({ ...segment, leadIn, cues }));
+    }));
+
+    stitch(stitched, results);
+    position = chunkEnd;
+    await onCheckpoint({ cues: stitched.map(cue => ({ ...cue })), time: position });
+  }
+
+  return corrector ? correctCues(stitched, corrector, onLog) : stitched;
+};
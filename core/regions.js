@@ -0,0 +1,110 @@
+// Subtitle regions (in percent of the frame) and automatic detection of them
+
+export const FULL_FRAME = { x: 0, y: 0, width: 100, height: 100 };
+
+const GRID_COLUMNS = 64;
+const GRID_ROWS = 100;
+
+// Luma step between neighbouring pixels that counts as a text edge
+const EDGE_CONTRAST = 128;
+
+// The regions to OCR: the detected or drawn ones, else the full-width slider band
+export const getRegions = (settings) => {
+  if (settings.regions && settings.regions.length > 0) return settings.regions;
+  return [{ x: 0, y: settings.subtitleRegionY, width: 100, height: settings.subtitleRegionHeight }];
+};
+
+export const clampRegion = (region) => {
+  const width = Math.min(Math.max(region.width, 1), 100);
+  const height = Math.min(Math.max(region.height, 1), 100);
+  return {
+    x: Math.min(Math.max(region.x, 0), 100 - width),
+    y: Math.min(Math.max(region.y, 0), 100 - height),
+    width,
+    height
+  };
+};
+
+// Count sharp horizontal light/dark steps, as made by text inside teletext boxes
+const accumulateEdges = (imageData, grid) => {
+  const { data, width, height } = imageData;
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(GRID_ROWS - 1, Math.floor((y / height) * GRID_ROWS));
+    let previous = null;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      if (previous !== null && Math.abs(luma - previous) > EDGE_CONTRAST) {
+        const column = Math.min(GRID_COLUMNS - 1, Math.floor((x / width) * GRID_COLUMNS));
+        grid[row * GRID_COLUMNS + column]++;
+      }
+      previous = luma;
+    }
+  }
+};
+
+// Group rows whose edge density stands out into bands, allowing small gaps between text lines
+const findBands = (scores, threshold, maxGap) => {
+  const bands = [];
+  let band = null;
+
+  scores.forEach((score, index) => {
+    if (score < threshold) return;
+    if (band && index - band.end <= maxGap + 1) {
+      band.end = index;
+    } else {
+      band = { start: index, end: index };
+      bands.push(band);
+    }
+  });
+
+  return bands;
+};
+
+/**
+ * Sample frames across the video and propose regions around bands of
+ * high-contrast text boxes. Returns regions in percent, top to bottom, or an
+ * empty list when no text was found.
+ */
+export const detectRegions = async (source, { samples = 24, padding = 2, minHeight = 6, onProgress = () => {} } = {}) => {
+  const grid = new Float32Array(GRID_COLUMNS * GRID_ROWS);
+
+  for (let i = 0; i < samples; i++) {
+    const time = ((i + 0.5) / samples) * source.duration;
+    const canvas = await source.grab(time, FULL_FRAME);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    accumulateEdges(ctx.getImageData(0, 0, canvas.width, canvas.height), grid);
+    onProgress(((i + 1) / samples) * 100);
+  }
+
+  const rowScores = [];
+  for (let row = 0; row < GRID_ROWS; row++) {
+    let total = 0;
+    for (let column = 0; column < GRID_COLUMNS; column++) total += grid[row * GRID_COLUMNS + column];
+    rowScores.push(total);
+  }
+
+  const best = Math.max(...rowScores);
+  if (best === 0) return [];
+
+  return findBands(rowScores, best * 0.25, 2).map(band => {
+    const columnScores = [];
+    for (let column = 0; column < GRID_COLUMNS; column++) {
+      let total = 0;
+      for (let row = band.start; row <= band.end; row++) total += grid[row * GRID_COLUMNS + column];
+      columnScores.push(total);
+    }
+
+    const columnThreshold = Math.max(...columnScores) * 0.1;
+    const first = columnScores.findIndex(score => score >= columnThreshold);
+    const last = columnScores.length - 1 - [...columnScores].reverse().findIndex(score => score >= columnThreshold);
+
+    const x = Math.floor((first / GRID_COLUMNS) * 100) - padding;
+    const right = Math.ceil(((last + 1) / GRID_COLUMNS) * 100) + padding;
+    const y = band.start - padding;
+    const height = Math.max(band.end + 1 + padding - y, minHeight);
+
+    return clampRegion({ x, y, width: right - x, height });
+  });
+};
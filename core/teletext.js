@@ -0,0 +1,10 @@
+// Teletext foreground palette (black is reserved for the background box)
+export const TELETEXT_COLOURS = {
+  white: '#FFFFFF',
+  yellow: '#FFFF00',
+  cyan: '#00FFFF',
+  green: '#00FF00',
+  red: '#FF0000',
+  magenta: '#FF00FF',
+  blue: '#0000FF'
+};
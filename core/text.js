@@ -0,0 +1,51 @@
+import { disallowedCharacters } from './languages.js';
+
+export const stringSimilarity = (str1, str2) => {
+  const longer = str1.length > str2.length ? str1 : str2;
+  const shorter = str1.length > str2.length ? str2 : str1;
+  
+  if (longer.length === 0) return 1.0;
+  
+  const editDistance = (s1, s2) => {
+    const costs = [];
+    for (let i = 0; i <= s1.length; i++) {
+      let lastValue = i;
+      for (let j = 0; j <= s2.length; j++) {
+        if (i === 0) {
+          costs[j] = j;
+        } else if (j > 0) {
+          let newValue = costs[j - 1];
+          if (s1.charAt(i - 1) !== s2.charAt(j - 1)) {
+            newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
+          }
+          costs[j - 1] = lastValue;
+          lastValue = newValue;
+        }
+      }
+      if (i > 0) costs[s2.length] = lastValue;
+    }
+    return costs[s2.length];
+  };
+  
+  return (longer.length - editDistance(longer, shorter)) / longer.length;
+};
+
+// Teletext subtitles mark music with '#', written as ♪ everywhere else
+const normaliseSymbols = (line) => {
+  return line
+    .replace(/#/g, '♪')
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"');
+};
+
+// Clean each line on its own so multi-line subtitles keep their line breaks
+export const cleanText = (text, language = 'eng') => {
+  const disallowed = disallowedCharacters(language);
+  return text
+    .split('\n')
+    .map(line => normaliseSymbols(line.replace(disallowed, ' '))
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(line => line)
+    .join('\n');
+};
@@ -0,0 +1,56 @@
+import { getRegions } from './regions.js';
+
+// Width of a region thumbnail in pixels; teletext rows stay legible at this size
+export const THUMBNAIL_WIDTH = 320;
+
+// JPEG quality of the thumbnails, small enough for a project file of a whole programme
+const THUMBNAIL_QUALITY = 0.7;
+
+const browserCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const captureThumbnail = async (source, time, region, { width, createCanvas }) => {
+  const grabbed = await source.grab(time, region);
+  const scale = Math.min(1, width / grabbed.width);
+  const canvas = createCanvas(Math.max(1, Math.round(grabbed.width * scale)), Math.max(1, Math.round(grabbed.height * scale)));
+  canvas.getContext('2d').drawImage(grabbed, 0, 0, canvas.width, canvas.height);
+  return { time, image: canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY) };
+};
+
+/**
+ * Add `thumbnails: { start, end }` to each cue: a JPEG data URL of its region
+ * on the first and the last frame it is shown, as `{ time, image }`.
+ * Thumbnails a cue already has are kept while its timing has not changed, so
+ * a project opened without the video keeps them.
+ *
+ * `source` is a frame source as for `extractSubtitles`; pass `createCanvas`
+ * (e.g. node-canvas's) outside the browser.
+ */
+export const captureThumbnails = async (source, cues, settings, {
+  width = THUMBNAIL_WIDTH,
+  createCanvas = browserCanvas,
+  onProgress = () => {}
+} = {}) => {
+  const frameRate = source.frameRate || settings.frameRate;
+  const options = { width, createCanvas };
+  const result = [];
+
+  for (const [index, cue] of cues.entries()) {
+    const region = cue.region || getRegions(settings)[0];
+    const lastFrame = Math.max(cue.start, cue.end - 1 / frameRate);
+    const thumbnails = cue.thumbnails || {};
+    const start = thumbnails.start && thumbnails.start.time === cue.start
+      ? thumbnails.start
+      : await captureThumbnail(source, cue.start, region, options);
+    const end = thumbnails.end && thumbnails.end.time === lastFrame
+      ? thumbnails.end
+      : await captureThumbnail(source, lastFrame, region, options);
+    result.push({ ...cue, thumbnails: { start, end } });
+    onProgress(((index + 1) / cues.length) * 100);
+  }
+  return result;
+};
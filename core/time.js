@@ -0,0 +1,17 @@
+export const formatTime = (seconds) => {
+  // Round to the millisecond first, so 1.2s is 00:00:01,200 and not 1,199
+  const total = Math.round(seconds * 1000);
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor((total % 3600000) / 60000);
+  const s = Math.floor((total % 60000) / 1000);
+  const ms = total % 1000;
+  return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
+};
+
+// Parse an SRT/WebVTT timestamp (hh:mm:ss,mmm, hh:mm:ss.mmm or mm:ss.mmm) to seconds
+export const parseTime = (text) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/.exec(text.trim());
+  if (!match) throw new Error(`Invalid timestamp "${text}"`);
+  const [, h = '0', m, s, ms] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000;
+};
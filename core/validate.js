@@ -0,0 +1,118 @@
+// Check cues against subtitling guidelines (reading speed, line length, timing)
+
+// UK teletext-style defaults; set a limit to null to turn its rule off
+export const DEFAULT_GUIDELINES = {
+  maxWordsPerMinute: 180,
+  maxCharsPerLine: 37,
+  maxLines: 2,
+  minDuration: 1,
+  maxDuration: 7,
+  minGap: 0.08
+};
+
+export const GUIDELINE_RULES = {
+  readingSpeed: 'Reading speed',
+  lineLength: 'Characters per line',
+  lineCount: 'Number of lines',
+  minDuration: 'Minimum duration',
+  maxDuration: 'Maximum duration',
+  minGap: 'Gap to previous cue',
+  overlap: 'Overlap',
+  zeroLength: 'Zero length'
+};
+
+// Measure durations and gaps to the millisecond, so a cue exactly at a limit is not flagged for a rounding error
+const toMilliseconds = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const regionKey = (cue) => {
+  const region = cue.region;
+  return region ? `${region.x},${region.y},${region.width},${region.height}` : '';
+};
+
+/**
+ * Validate every cue against `guidelines` (see `DEFAULT_GUIDELINES`).
+ *
+ * Gaps and overlaps are measured to the previous cue in the same region, so
+ * subtitles shown at the top and bottom of the screen at once are not
+ * flagged. Returns `{ results, summary }`: `results[i]` holds the issues for
+ * `subtitles[i]`, each `{ rule, severity, message, value, limit }`, and the
+ * summary counts issues per rule and scores the share of cues that pass.
+ */
+export const validateSubtitles = (subtitles, guidelines = DEFAULT_GUIDELINES) => {
+  const rules = { ...DEFAULT_GUIDELINES, ...guidelines };
+  const enabled = (limit) => limit !== null && limit !== undefined && limit !== '' && Number.isFinite(Number(limit));
+
+  const previousByRegion = new Map();
+  const order = subtitles
+    .map((cue, index) => ({ cue, index }))
+    .sort((a, b) => a.cue.start - b.cue.start || a.index - b.index);
+  const previousOf = new Array(subtitles.length).fill(null);
+  order.forEach(({ cue, index }) => {
+    const key = regionKey(cue);
+    previousOf[index] = previousByRegion.get(key) || null;
+    previousByRegion.set(key, cue);
+  });
+
+  const results = subtitles.map((cue, index) => {
+    const issues = [];
+    const flag = (rule, severity, message, value, limit) => {
+      issues.push({ rule, severity, message, value, limit });
+    };
+    const duration = toMilliseconds(cue.end - cue.start);
+    const lines = cue.text.split('\n');
+
+    if (duration <= 0) {
+      flag('zeroLength', 'error', 'Cue ends before or when it starts', duration, 0);
+    } else {
+      const words = cue.text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+      const wordsPerMinute = words / (duration / 60);
+      if (enabled(rules.maxWordsPerMinute) && wordsPerMinute > rules.maxWordsPerMinute) {
+        flag('readingSpeed', 'warning', `${Math.round(wordsPerMinute)} words per minute`, wordsPerMinute, rules.maxWordsPerMinute);
+      }
+      if (enabled(rules.minDuration) && duration < rules.minDuration) {
+        flag('minDuration', 'warning', `Shown for ${duration.toFixed(2)}s`, duration, rules.minDuration);
+      }
+      if (enabled(rules.maxDuration) && duration > rules.maxDuration) {
+        flag('maxDuration', 'warning', `Shown for ${duration.toFixed(2)}s`, duration, rules.maxDuration);
+      }
+    }
+
+    if (enabled(rules.maxCharsPerLine)) {
+      lines.forEach((line, lineIndex) => {
+        if (line.length > rules.maxCharsPerLine) {
+          flag('lineLength', 'warning', `Line ${lineIndex + 1} has ${line.length} characters`, line.length, rules.maxCharsPerLine);
+        }
+      });
+    }
+    if (enabled(rules.maxLines) && lines.length > rules.maxLines) {
+      flag('lineCount', 'error', `${lines.length} lines`, lines.length, rules.maxLines);
+    }
+
+    const previous = previousOf[index];
+    if (previous) {
+      const gap = toMilliseconds(cue.start - previous.end);
+      if (gap < 0) {
+        flag('overlap', 'error', `Overlaps the previous cue by ${(-gap).toFixed(2)}s`, gap, 0);
+      } else if (enabled(rules.minGap) && gap < rules.minGap) {
+        flag('minGap', 'warning', `${gap.toFixed(2)}s after the previous cue`, gap, rules.minGap);
+      }
+    }
+
+    return issues;
+  });
+
+  const issuesByRule = Object.fromEntries(Object.keys(GUIDELINE_RULES).map(rule => [rule, 0]));
+  results.flat().forEach(issue => { issuesByRule[issue.rule]++; });
+  const passing = results.filter(issues => issues.length === 0).length;
+
+  return {
+    results,
+    summary: {
+      cues: subtitles.length,
+      passing,
+      issues: results.reduce((sum, issues) => sum + issues.length, 0),
+      issuesByRule,
+      score: subtitles.length > 0 ? Math.round((passing / subtitles.length) * 100) : 100
+    }
+  };
+};
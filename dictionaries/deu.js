@@ -0,0 +1,5697 @@
+// German words for OCR correction, lower case, whitespace separated: common spoken words, the
+// 10,000 most frequent words (most-common-words-by-language, MIT), then their inflections from
+// all-the-german-words (MIT).
+export default `
+ab aber alle alles als also alt am an andere anders arbeit auch auf aus bald bei beide bin bis bist
+bitte bleiben brauche brauchen bruder da dabei damit danach dank danke dann darf darum das dass dem
+den denen denke denn der des dich die dies diese diesen dieser dir doch dort drei du durch
+eigentlich ein eine einem einen einer eines einfach einmal ende er erst es essen etwas euch euer
+falsch fertig finden frage frau frei freund freunde früh für ganz gar geben gegen geht geld genau
+gerade gern gesagt gestern gibt glaube gott gut gute guten habe haben hast hat hatte hätte haus
+heißt heute hey hier hilfe hin hör ich ihm ihn ihnen ihr ihre immer in ist ja jahr jahre jetzt
+jemand jeder kann kannst keine keinen kind kinder klar komm komme kommen kommt können könnte kopf
+lass lassen leben leid leute lieber los machen macht mal man mann mehr mein meine meinen mich mir
+mit morgen muss müssen mutter nach nacht nein nicht nichts nie noch nun nur ob oder ohne okay
+problem recht richtig sache sagen sagt schnell schon sehen sehr sein seine seit sich sie sind so
+soll sollen sollte sondern später stadt tag tage tot tun über um und uns unser unsere vater viel
+vielleicht vier vom von vor wahr war wäre waren warte warum was weg weil weiß weißt welt wenn wer
+werde werden wie wieder will wir wird wirklich wissen wo woher wohl wollen zeit zu zum zur zurück
+zwei im oh hab gehen deine würde kein wurde wollte lch dein willst na sicher mr tut hallo gesehen
+gemacht sir sagte passiert reden anderen dachte daß möchte wirst lhr gehört raus paar besser her
+musst ordnung meiner diesem meinem lange dieses helfen selbst ach mädchen ins schön weiter gleich
+menschen deinen wieso hause sollten davon zusammen ok machst angst viele sieht ganze getan rein
+moment unter dafür herr wegen jack geht's liebe genug bringen 'ne sag abend hatten mach hören sohn
+steht scheiße mag sei konnte habt familie geh baby gefunden seid kam nehmen sprechen sofort jahren
+seinen daran junge minuten bevor beim sterben warst glauben darüber deiner lhre deinem he dinge
+namen allein natürlich töten bekommen männer vergessen dazu gab wusste augen jungs halten warten
+glück kennen 'n hi dr auto sage gehe mache uhr sehe teufel sonst art jeden könnten ihren halt fall
+dad film bisschen weit gib vorbei verstehe drin name ganzen musik würden tür verrückt solltest
+denken dran sieh darauf stimmt john kerl letzte job verloren wurden kenne ahnung seiner grund toll
+verdammt bereit all jemanden hinter hand frauen idee runter draußen lang land typ hätten egal
+arbeiten spät stehen gekommen etwa kleine schwester wasser spielen geschichte seinem liegt sah mom
+seite wenig ruhig meinst überhaupt fahren ruhe echt versucht tochter ging braucht fast neue ziemlich
+siehst polizei stunden musste spiel gewesen gerne finde erzählt tod ort chance bedeutet sagst fragen
+letzten sogar ersten sachen wahrheit einzige kurz spaß oben mama schwer schule je eben gesicht
+bestimmt treffen niemand woche entschuldigung sorgen schlecht große getötet verstehen hoffe ah
+zimmer hoch unserer teil wann suchen verlassen zeigen wollten lässt wort eins zwischen schatz
+versuchen nett kriegen arsch kleinen weiss erste läuft kommst freundin mensch beiden ding niemals
+endlich nimm muß gehst denkst herz waffe tust dollar nehme schau holen oft drauf anderes unten wagen
+yeah wichtig mrs hättest allen miss ihrer gedacht nummer würdest erzählen bleibt hände blut bloß
+bringt bett eltern gefällt schuld eure plan krieg neuen retten guter während ihrem wären fehler
+scheint lasst gegeben glücklich platz vielen unseren schlafen nächsten fünf sorge fest bereits
+alleine möglich irgendwie papa lernen hierher schiff irgendwas menge keiner brauchst typen stunde
+szene hölle einige deshalb geworden telefon feuer alter captain probleme verstanden alten gibt's
+zwar eigenen new körper hört gebe kumpel hund nochmal hab's trinken besten meines schaffen alte luft
+dürfen meister erde zukunft kaum funktioniert voll bleib reicht weh stellen kleiner großen waffen
+büro wahl verlieren wochen stück lieben allem getroffen äh geschafft tue gefallen tja boss überall
+passieren lustig licht gebracht nennen folge gefühl völlig denkt schlüssel drüben leuten buch laufen
+spielt früher sam krank gegangen fand pass fühle himmel froh leicht direkt langsam wolltest erinnern
+zuerst krankenhaus beste welche genommen arzt unserem idiot glaubst jede groß hattest jungen rest
+versuche tagen nächste entschuldigen doktor spricht könnt hält team kämpfen heiraten könntest wow
+mike straße mist könig redest kleines lebt erklären worden millionen wiedersehen onkel # kennst
+sitzen weniger kaffee ernst wollt tragen zeug trotzdem michael kaufen liste ändern kampf hasse
+person mund umbringen präsident boden wohin machte party gefragt seht irgendwo kümmern frank kennt
+verletzt nachricht willkommen hart lasse total gefängnis außer sicherheit wem ehrlich interessiert
+sex sagten ziehen augenblick angerufen aufhören klasse bild stark zehn sinn david vorstellen tom
+traum länger manchmal anrufen sechs arschloch sollst gestorben tages war's verschwinden kraft
+gesprochen heraus genauso wärst damals heißen liebling wahrscheinlich stelle lhren bill erwartet
+solche meisten bringe still umgebracht stimme general entschuldige vergiss rede führen bewegung höre
+geschäft werdet konnten wartet anfangen hinten fällt wen sekunden gerettet naja jemals meinung
+geschehen antwort schlimm findet scheiß gewinnen tu gedanken erinnere george mögen herren york earl
+klingt vorher auge hab' setzen cool anfang monate lebens benutzen fühlen ärger arbeite rolle
+gefährlich gelernt fallen böse werd nähe geschickt liebt tisch ziel raum jedem fliegen wohnung lhnen
+erfahren dumm by eher vorsichtig herum klappe schicken laden aufs großer charlie arbeitet worte
+richtige flugzeug firma bezahlen falls schreiben tat starb schluss fenster liegen wär's verzeihung
+niemanden neues benutzt 'nen jedes schätze finger wert rüber halte besonders daddy witz nachdem
+nimmt kontrolle großartig herzen gutes gewonnen the bier kamen stolz komisch bitten randy plötzlich
+joe bring informationen neu glaubt hörte rum lage sowieso bekommt ruf dagegen richtung nötig johnny
+minute lesen behalten selber verkaufen geschrieben lhrer entscheidung unterwegs insel hotel harry
+voller bob monat rufe verdient rachel gearbeitet james wenigstens wünschte schöne seele stand geist
+gefahr unmöglich gelesen glaub bezahlt schicksal verstehst leider monaten weile verheiratet mussten
+agent rufen jemandem beispiel kalt sitzt anruf sekunde schneller verdammte peter hole sarah bauer
+karte aller du's befehl darfst bekannt opfer unglaublich steckt unbedingt zug perfekt witzig amerika
+kamera führt passt schlagen kriegt homer nennt bin's gefühle ständig verändert tolle gottes heiß
+partner mörder folgen computer dahin ansehen außerdem wovon klein zerstört suche i nämlich versuch
+schlimmer sheriff unfall müsste vorsicht nase sowas schießen geburtstag beschützen müde beziehung
+gestohlen stirbt geheimnis süß offen geschenk punkt hilft dame bewegen solange sauer tasche schritt
+claire sie's setz arm meinte müsst erwischt gehabt bart vertrauen erreichen wär alex gebäude ähm
+versprochen o fort erledigt armee nahm näher weitere rücken chef paul regierung preis hm wunder
+verbindung bescheid boot lst dan situation normal erledigen mußt ehre planeten fürs darin kriegst
+ich's drehen denk prinzessin ben drogen reise mord schwöre zeiten schlampe regeln aussehen verliebt
+position redet scheisse möglichkeit sonne hol letzter kontakt and damen deswegen gekauft schwert
+hunger frieden ctu tony persönlich blick nachrichten maul verraten hoffnung geboren untertitel
+kaputt soldaten eigene ans übrig hältst aufhalten zeichen dauert versteckt tatsächlich schwein band
+laß haare wütend hochzeit schrecklich fühlt energie chloe traurig sauber leiche links super bord
+möchten magst fangen gesucht beschäftigt wisst weisst erwarten verschwunden joey professor buffy
+sobald billy geredet brief acht lauf robin zeigt show hübsch sucht ross verkauft sagtest namens
+fernsehen ließ heiße fährt tanzen nervös findest gegessen fehlt vergangenheit miteinander deines
+neben handy anderer tief ran aufgabe richtigen foto verdammten tee sieben fuß geschlafen brauch of
+kindern beine ewig lhrem absolut schlechte unsinn irgendetwas hörst bombe bekam herrn gelassen tante
+angefangen hals vorne bullen bank weise verantwortlich paris öffnen schwierig seh bleibe rechts
+operation anwalt verspreche bleibst a glückwunsch entscheiden entfernt brachte zerstören lied
+gespielt aussieht lust vaters uh bilder kriege feind händen jung ball stecken geholfen gleichen
+gehören wach genannt zahlen nahe aufnahme achtung gleiche lee eddie you mission bekomme laut schmerz
+schlag lisa jawohl fleisch legen möchtest wozu weihnachten erinnerst zieh schwierigkeiten park
+wussten meint gesellschaft vince gebeten erhalten bedeuten verstecken respekt dasselbe gehirn
+entschieden zieht liebst dachten witze ' volk rat lebe präsidenten schuhe monster dauern beweise
+hälfte schauen kirche e hintern spur lehrer hilf gold lieb fbi wunderbar güte jim geliebt fahre loch
+geschlagen ganzes wunderschön lachen colonel beweisen zeig gegenüber bus großes verstand trägt
+herausfinden gewartet niemandem gegend schönen seltsam bewegt kate haut fotos nah angriff erzähl
+interessant schlaf wind jesus messer lag fürchte beginnt überrascht to richard stell gefangen bein
+eier singen überraschung dorf besorgen glas besuchen geändert beginnen henry echte pferd held taxi
+freunden mitnehmen gruppe sorry besorgt system jimmy ruft steh nimmst obwohl falschen susan leisten
+schwanger fahr adresse gemeinsam b entkommen übel vermisst lady küche flug besuch hängt werfen
+falsche ring verschwinde überleben nick gesetz tor wald ungefähr s patienten maschine fräulein gehts
+ehe schauspieler dach übersetzung kannte wir's drinnen kim blöd blumen joy freiheit seines ecke
+knast karten pro leg helfe wein wette vergnügen unterschied chuck verbrechen gibst gesund zweite
+steve erkennen danny meter euren weder schüler bisher welcher mut davor bar wohnen statt pause
+auftrag hoffentlich tschüss wand schreit männern spreche kostet erfolg wofür soweit teilen
+erschossen entlang eis 'nem amerikaner abendessen mistkerl übernehmen danken irgendwann gebaut bobby
+schützen beenden andy van polizist gefahren chris bericht test monsieur arme wüsste majestät
+versteht trifft meer hut zuvor lief & doug haltet zeitung mami schuldig bauen freude zufrieden
+zuhause versuchte drink sprach indem gemeint fühlst deren quatsch kugel hielt gericht furchtbar
+verpasst ohren rose neuer fanden haufen drehbuch schätzchen deal ma'am haar stehe fassen ehemann
+funktionieren fragte verhaftet drüber sergeant stimmt's verantwortung major feiern bücher kümmere
+ähnlich unterhalten stein kümmert nächstes gewusst schöner aufpassen katze geschieht brüder
+mitgebracht unseres lord letztes dessen mitten erinnert wahnsinn vorhin neuigkeiten setzt zufällig
+kleid jedenfalls angebot erklärt stellt monica restaurant serie melden clark brücke erinnerungen
+gestellt schmerzen besteht wwwtvuserde verdienen offensichtlich fisch hängen gelegenheit konntest
+doctor bekommst al idioten virus größte gingen strand geplant betrunken fängt keinem bringst süße
+nancy irgendwelche thema date machten diesmal guck figur ne brechen lacht angetan druck mitkommen
+reich mark fluss wirkt traf schließlich gewalt gelaufen ari ray daten hunde großvater wahre
+nachgedacht falle eigenes au gang sahen erreicht willen tommy solchen schlechter einzigen ermordet
+tiere 'ner längst don autos wohnt max jeff fiel hose mary leiden hau sprichst freue gebrochen baum
+kyle gehalten träume reihe la medizin halb gezeigt meilen lieutenant hieß wunsch erster befehle
+bastard rief toten frühstück schaffst ihres hat's aufgeben jake gespräch engel verbringen
+terroristen erfahrung brauchte schätzen seien nehmt bad vogel anna roger wochenende neun fantastisch
+zweiten vollkommen verfolgen schläft bemerkt marge wichser signal schließen pistole lächerlich filme
+geschlossen de übrigens phoebe fragt detective president beweis wichtiger weinen zeitpunkt pläne
+matt manche welches schlägt club carter schönes küssen chandler scherz behandelt madame halbe london
+fair weiteren farbe sara natur entdeckt seiten selben langweilig kuchen bessere bürgermeister treten
+lautet größer stehlen knie besonderes aha heim regen hingehen beeil gefeuert martin koffer verfolgt
+geschäfte zumindest umsonst wayne million dorthin daraus bißchen antworten lösung hinaus leer
+krankheit geblieben city hank hasst kräfte sieg rauf frag passierte zufall san füße geschossen
+college heisst einiges dankbar see mochte flughafen erklärung charles gebrauchen flasche englisch
+sterbe soldat wurdest kurs getrunken isst fühlte fliegt reichen erinnerung derjenige einigen nachts
+geschichten story schande passen toilette jones fern peinlich eric dreck welchem töte schafft doc
+mädels worauf solltet lüge verhindern holt erwähnt tatsache pete langer erlaubt eingeladen code
+pflicht anzug angegriffen palmer karen steig einsatz zweifel königin england direktor schwanz
+gewinnt schloss erschießen versteh trottel fähigkeiten dreht tötet spiele klug zulassen lügen house
+hmm form runde verlangt scharf lösen hassen wünschen tier richter karriere vorbereitet stock luke
+vertraut sprache panik martha kuss interesse zustand überprüfen stören ln kontrollieren freuen
+schuss risiko gilt überlebt mannes huh bruce zurückkommen ryan opa erzählte übersetzt knochen
+gelogen kunden wesen usa nachdenken gekriegt big braut wahnsinnig oma streit polizisten stehst
+hinterlassen adam jane toller jagen nutzen red enden blödsinn sommer rache gebraucht urlaub irre
+gebt kino radio merken zeige abholen kann's keller stoppen labor stopp versprechen schwach robert
+verliert commander schreien officer geschah milch schade hinein geklaut punkte maria schlage
+publikum kerle scheinen gebiet echten staaten schaffe entweder entführt einfacher fragst wart
+vermisse überlegen schaut dienst rennen beendet warm kompliziert herein vertrag vermutlich feinde
+anführer außerhalb lächeln geglaubt washington soviel reparieren einsam scott gäste bat ausgehen
+überzeugt stärker programm geheiratet akte verschiedene trick lager großmutter lex knapp fing fang
+hoffen handelt erwachsen ehren berg wusstest lebst götter gäbe fernseher fahrer zugang schutz
+gezogen fayed song penny geb d verräter geheimnisse eh annehmen blind schickt riesen gesamte wünsche
+zählt verändern kiste behandeln grenze bauch schrieb riecht nachmittag vergeben willow vorstellung
+video sendung landen erstes woanders fahrt echter liebte komplett getrennt affen sprich prinz
+gedreht dringend daniel cia verbunden schlechten nackt gas carl audrey schwul deckung schicke gras
+suchst gentlemen beeilung verletzen trage desto zunge springen gewehr fliehen aufgenommen angeles
+merkwürdig weiterhin stuhl star tode irgend teuer mühe zähne nirgendwo erzähle episode ändert
+schnitt mindestens eurer jerry satt helden aufmerksamkeit blöde freundschaft treffe sydney
+freundlich f schwarzen leitung folgt brian wieviel szenen norden ms gesetzt chief verursacht roboter
+bender rechnung trauen mister hexe ohr nehm junger freut dieb bedeutung allerdings h dingen ma
+schlange klappt pilot morgens grab arbeitest extra bewusst vorwärts heilige verlässt taylor halben
+endet ed selbstmord mond ideen absicht walter projekt einheit umgehen pferde gehofft leichen
+explosion aufnahmen wilson schatten wählen türen kleider geister zweimal william schief morgan
+garten erzählst schönheit hurensohn begann existiert bestes bühne verdammter langen ton nachbarn
+mitgenommen worüber schien handeln gemein brust unternehmen netter bester aufgehört reinkommen
+hubschrauber befindet weitermachen harvey wirklichkeit rauchen genie einander verbrecher spielst
+aufgeregt vincent rom größe gegenseitig unterstützung me killer hemd erlaubnis ärzte schreibt
+kapitän größten fuhr nachher fährst entlassen stop stimmen nerven freitag entwickelt beobachtet
+tränen text nee mitte st geraten gegner simpson josh dadurch julie herauszufinden gast blieb strom
+karma schnauze müssten kunst besprechen tritt jacke alkohol prozent zelle stich papier kenn verboten
+m geduld angeht theater sag's nr menschliche schlau gerufen agenten verpassen staffel kapiert
+herzlichen entschuldigt emily wußte menschheit maggie ertragen bricht verwirrt hoheit howard beeilen
+abteilung victor ums schaden nette chaos abhauen abgeschlossen pfund innerhalb botschaft regisseur
+dunkel straßen senator antun ziehe klo gewählt unschuldig termin wolf enttäuscht vertraue erkannt
+liest wachen stellte schwimmen ha fick erlebt ergibt gründe familien älter wüste spielte trägst
+irgendjemand flucht bieten alarm schmeckt riskieren konzentrieren flotte armen nadia übergeben
+spiegel selten hure befreien starten lebendig vernichten vermissen mach's wahren spüren betrifft
+angekommen schlacht richtiger priester lm durcheinander begleiten truppen singt krebs gerechtigkeit
+information angesehen überzeugen tötete satz kuh bulle bomben zählen normalerweise lügner kugeln
+dreh arbeitete akzeptieren zeugen trennen hungrig c stört mehrere ebenfalls vorn stoff steigen dave
+beinahe umzubringen talent stammt müll films strafe spannende lauter fähigkeit katie westen
+verschwindet logan locker leonard leiter jonathan dahinter angenommen zuhören verlor ted sexy feld
+beruhige aufnehmen schwarz kollegen is walt voraus verhaften grad gleichzeitig versuchst universum
+dummkopf boardtvuserde saß mexiko draussen begegnet gucken geholt einverstanden marian brille wohne
+notfall verzeihen spuren pizza quelle mitglied leichter dämon brennt herausgefunden fehlen erwarte
+details begraben vegas texas halt's geöffnet verbracht steigt klinik beruhigen sack kochen
+auseinander kohle jackson soll's rock nathan sonntag set presse ebenso bravo beerdigung angreifen
+untersuchung legt japan bestellt süden donna dicht gefolgt tv treppe stärke ruiniert manager leise
+kosten eurem eindruck dürfte besiegen trinke militär kevin gift deutlich welchen weißen 's klingelt
+bye schädel dinger wichtige taten vorschlag hintergrund dienen rechtzeitig montag drehten wartest
+untersuchen rausfinden dunkelheit brot wundervoll thomas kommando führer vorgestellt nenne nahmen
+maschinen wetter inspektor geschmack erfüllt post mittagessen schlafzimmer harte gezwungen überlegt
+hood sitze landes dauernd beobachten überprüft tollen schweine gelegt elizabeth personen kämpft
+ergeben china zurückkehren wechseln turk zahl wache schiffe ritter perfekte hergekommen gelebt
+frisch samstag roten lippen admiral wirken schnappen samurai öfter klamotten arthur tim street
+realität pech kleidung geiseln erlauben russen haben's bereich figuren dumme aufstehen anhalten
+staat geführt zog streiten schnee patient beruf tests curtis sally roy irgendeine zuviel verhalten
+tote regel interessieren aufgegeben schlug neulich madam heimat gegenteil atmen vampir lebte fähig
+erleben entscheidungen beschlossen prozess mitleid geworfen drücken ließen jedoch cop befinden shane
+osten gerät chicago wege unterhaltung esse eifersüchtig tanz lebend genießen chase schwarze high
+beeindruckt abgesehen rote stil hosen geräusch cousin wehtun verlangen wird's for zusehen station
+seitdem schreibe lucy betrogen anderem reaktion nannte erfolgreich beweg aufregend simon glaubte
+whoa turtle tempel teams setze linie lincoln heilen feuern casey liebes geburt unterschreiben
+schulden larry gewissen ethan erfunden sterne planet internet dritte möglichkeiten dieselbe dean
+anweisungen gedanke cent besseres trink locke häuser crew theorie schulter raten ist's politik
+jederzeit himmels fass schrank magen einstellung zigaretten vögel rauskommen griff gemerkt lois
+knopf ralph chinesen tunnel smith ratte fry ficken artikel einziges warnen verstärkung schwestern
+nieder k jason gewisse gaben frankreich behauptet aufgefallen versteck r gewarnt erstmal babys
+verschiedenen einziger mittag krankenwagen altes sturm motor fische drama beten besseren begonnen
+west trug titel teile rechten meins cops treibt vieles unterstützen sieht's loswerden geträumt decke
+besucht grunde daher weiße gefühlt dritten stücke schild empfangen chancen zylonen fange vernünftig
+reisen packen holz erfreut emma buchanan bestätigt aussage anfassen studio leck greifen zweck
+stimmung scheck richten michelle lewis helft angelegenheit erschreckt zuschauer zucker vertrau
+verteidigen probieren führte angezogen sender patrick offenbar hiermit gelandet spüre besitz wut
+verarschen leo rot kaiser jesse group geheim normale fühl celia bürger anbieten verdammtes praktisch
+einheiten arima wiederhole spieler sequenz prima mantel kindheit geküsst beigebracht verabredung
+scheißkerl käse j fälle spike schneiden jackie gedächtnis lügt herkommen freundinnen ei worum real
+informiert gemeldet dämonen beantworten barry amerikanische zigarette suppe stern hauen gesteckt
+erschaffen scofield schlechtes happy bewahren magie hass anziehen wenn's hinweis fabrik charlie°
+unheimlich todd stanley hinterher schuldest schreibtisch krieger kameras höhle ernsthaft wiederholen
+verlust on kalifornien geschenkt entfernen definitiv steckst sprachen sand daneben zurecht uniform
+künstler gekämpft überlassen spitze simpsons schritte drachen besitzt würd schwere schulde fluch
+anrufe trinkt solch erfüllen lügst kenny bedrohung yo schlafe durchgemacht alice unrecht sollt lernt
+habs wild wachsen my feigling aaron winter mittel kreis anstatt alan zahlt ursache stress versagt
+reingelegt amsterdam gewöhnt akten starke spazieren hauptmann champagner bestraft wenige tolles
+mitternacht geruch paradies hübsche umgebung schießt ausruhen abenteuer rita papiere behaupten
+begeistert schokolade zwingen t eingesperrt terry musstest melde jordan abmachung laura anteil
+wissenschaft verliere spass media zahle amy welch treiben stinkt brauchten rechte läßt fuck flügel
+angelogen verrückte täglich störung klären gewohnt geflogen dschungel schickte material herrgott
+grenzen womit unterricht sicht besessen beschissen training posten laßt ladies gnade gesichter
+beschützt berührt auftritt us rauch neugierig zuletzt xander verwandelt regie gehörte durchs lana
+wissenschaftler verschwenden öffne kopfschmerzen eilig bösen amanda streng kilo data truck riechen
+reagiert nigger munition karl irgendein gordon donnerstag bekämpfen äußerst übernehme kaufe hirn
+hilfst waschen kreuz geil bud blöden antrag stirbst nennst gekostet fieber burns vergisst schwerer
+rausholen knarre gesamten deutsche legende giles fett beziehungen nenn morris berge mitmachen fred
+miststück merkt gefangenen edward verwenden sklaven erscheint bäume badezimmer schock heutzutage
+angestellt such rächen maske gewinner geschaffen erscheinen amen technik gehöre zentrale übers
+subbed penner heutigen el beruhigt nina kauft zugeben steine spinner otaru hof erkläre benzin kurze
+it bestellen lege gehörst europa würdet sandy rodney ken entspann ziehst trotz mußte basis unglück
+menschlichen medikamente linda höher erstaunlich verteidigung öffentlichkeit lese einfluss berühmt
+berlin stellung leon kühlschrank kette amerikanischen verwickelt möglicherweise koch erwischen eng
+aufzuhalten woran tasse reingehen besitzer belohnung warnung voran verflucht üben probe geschnappt
+füßen erfährt dusche besiegt puppe maya mac empfang briefe berühren ausziehen wenigen vorteil
+organisation läuft's gefiel einladung cäsar umständen miller inzwischen geschenke farm abgehauen
+weib selbstverständlich oliver köpfe kelly find derek clever burt bond piloten kilometer april zwölf
+schüsse freiwillig erwähnen zack sammy riley pillen liebsten lauft hütte humor erkennt aktiviert
+vorbereiten trafen scylla galactica fürst diamanten carlos anzurufen angeschossen achten vernichtet
+vermute schenken offizier jin eindeutig bestens wirft wirf weshalb testen sayid julia johnson drum
+bestätigen anscheinend wunde wäsche start sdi offiziell einfache hopper ausweis todes suchte schrei
+kabel fresse dale version starben scheidung km green fan einstellen blume versaut urteil per lhres
+jan bestehen kämpfer burke wünscht ewigkeit elliot angela abschluss wade vereinigten sohnes reis
+langsamer betty zeigte volle verschwand süßer miete junior flehe dick brav übung springt sicherer
+seil lektion kennenzulernen jungfrau brachten tour staub rettung bande zurückgekommen verdacht
+verbrannt tiefer identifizieren hiro ergebnis cooper albern sport schwachsinn netz höhe fressen
+einst aufmachen verabschieden uni tanzt öffnet kamst jo ausgezeichnet wetten werk verzweifelt
+verfügung phil gestört beibringen tiger schläfst penis iss auftauchen king eile doyle dennoch
+bekamen bahnhof sebastian rufst linken blau behandlung überfallen prüfung markt koma gelöst geisel
+gary farben ausdruck atem weiteres silas einfallen blauen zorn taschen söhne existieren entschlossen
+aufgetaucht tausend soeben sawyer reagieren murphy liefern lernte koordinaten hohen half black
+worten taub notwendig klauen katzen einladen begangen uhm titten leiten lecker assad huhn ergebnisse
+sprung seelen plätze planen geschnitten besondere bescheuert oberst nachsehen more marie lehrerin
+kanada helen ausgesucht zone vampire schlimmste sammeln mauer ausgang anschauen anklage = spielchen
+jagd gewicht affe reiten know autor yen bereuen wie's schreckliche satelliten rückkehr reporter
+prost versuchten hollywood dienstag berichten scheinst mäuse hässlich gabe stellst nutte nass kurzem
+gekümmert umstände tausende sun präsentiert krise jugend hättet gesundheit bestimmten anstellen
+affäre wettbewerb vermögen sharon nebenan kamui extrem verwendet verbergen unangenehm tricks tatort
+school miyazawa wunderbare sparen marty besitzen arschlöcher verlange verdiene unterwäsche museum
+kanal hörten frankie ziele zeitungen verurteilt season irgendeinem carol weitergehen verzeih standen
+kara frische ann action vermasselt stets schick lucas lärm führerschein anschlag versicherung this
+nützlich mannschaft hä gredenko wichtiges tyler täter sheldon modell kopie schweigen rätsel
+leidenschaft grosse beides stirb spion las indien deutschen veränderung se gepäck entwickeln eingang
+blaue wenden verlasse rakete marshall klingen heiligen großartige explodiert beliebt technologie
+schließt normalen kekse keitarô getragen wächst versetzt doppelt appetit verpiss universität
+momentan diener asche angel verließ treffer summer stift springfield dunklen verwandeln verlierer
+hitze herausforderung haken echtes weich verbrennen lloyd kämpfe gouverneur gag erkenne wendy
+sinnlos repariert nation jahrhundert gerüchte aufgewacht antworte sünde mum aye tapfer puls pool
+laune identität hügel gefälligst brett unglücklich null niedlich gegenwart fremden francisco
+eingesetzt camp zurückgehen motorrad master gedauert fingerabdrücke brüste vermeiden unterstützt
+molly handschellen christus botschafter attraktiv wichtigen tracy streichen schnappt geschwindigkeit
+fox eingestellt durfte befreundet aussteigen zeuge rückzug persönlichen jobs entspannen atlantis
+abgeben wirkung white meistens handel filmen exzellenz deutschland applaus widerstand mutig
+mitbringen geleistet geklappt führe aua wichtigste schluck hill ebene beleidigt aufwachen aah
+unhöflich panzer innen golf eingehen jay jägerin heiratet gangster dachtest bezahle beeilt wessen
+weint narr fans enkel tokyo schauspielerin jenny gründen gefasst fahrzeug einsetzen chip behalte
+befreit zurückbringen schüchtern persönliche jünger daheim beteiligt aufgewachsen zauberer
+verabredet pfarrer mommy louis carla bilden bewusstsein abnehmen x überfall schaue käme hausaufgaben
+führung walsh stan ooh jäger hauses bibel aufmerksam arten animation werbung verkehr sicheren pleite
+klappen greg eva brach ankommen rich reicht's nannten mio ginge gesetze fürchten bibliothek
+verprügelt verhandeln ungern riesigen rasse miles meredith leihen ladung garage dutzend beth
+telefonieren tauschen steuern roman nutzlos male tschüs seltsame schaust klopfen kannten furcht
+freien felsen weglaufen schmecken nichtmal kram jd hammer hafen ausweg werd's spanisch seth
+september ratten mächtig lies bequem albtraum trocken tokio stecke kennengelernt gewollt besonderen
+vietnam untersucht senden ruhm kunde könne beginn pünktlich parkplatz miami getrieben conrad
+arbeiter weggehen tara steht's phase papi nächte grace gaius fein einig außen anblick wolken
+verdächtigen übertrieben stufe stöhnt south sitz schwäche schuh schieß mittwoch lerne hübsches
+grausam funk bestie welten verlierst selbe phillip haaren freie clown bauern angeboten aktion abends
+wwwsubcentralde wohnst stürzen sid katastrophe hielten gisborne enterprise darnell ausrüstung
+verärgert schlimmes rick jean bergen träumen sicherlich schmutzig paket netten milliarden handtuch
+annie whistler schaff rebellen minister marcus königs kauf grün ware trainieren studiert scheiss
+möge hundert göttin geirrt frohe benehmen spielzeug socken schreie malen highschool entgegen durst
+be anakin vergiftet tagebuch raumschiff komische hühnchen gewöhnen geflohen fakten experiment
+erschöpft brown bestimmte gewöhnlich dürft berichte angenehm zellen wonach sorgt prüfen no möglichen
+meiste mai kürzlich korrekt juli festhalten feier bedroht bedanken aufregung angeblich versager
+vergesse nervt mönch lou little leela küste greift dna betrüger weiterer triffst schlägst pater
+morde kontrolliert grade ehefrau deck wächter leistung immernoch ereignisse dana bereitet akt
+verschlossen toter geheimen bär safe patientin opfern mies leeren hattet eingeschlafen bedingungen
+aufzug z verlaufen palast ned marine lampe hinweg herrscht größere erstens charakter brennen batman
+anzeichen anhören teller solle sandwich nettes kommentar interessante geladen dunkeln cox uboot tipp
+reifen profi nirgends last getreten geräusche fantasie draus apartment verständnis rund reine
+leutnant leib hitler geheime unterschrieben ruinieren momente hauptquartier blödmann apparat ankunft
+wecken unterlagen rosen hugo dennis ausgesetzt your ungewöhnlich symbol revier n lieferung köder
+keins juden hübscher heimlich garantiert flur fahrrad diejenige bishop anne abgemacht verrückten
+shannon riesig regnet raketen mädel glücklicher bereiten autoren studieren spinnst normales indianer
+ignorieren heil dummen betreten armer versprich vergangen romantisch nebel moskau kombination bau
+übernommen protokoll müsstest mitarbeiter marke linc keinerlei joseph gesichert desmond
+beeindruckend yuki viertel trainer positiv pinkeln nähern leber kehle freu einkaufen crichton
+absichtlich vorfall nicole motel illegal cliff blue baut ausgerechnet warne verhandlung unwichtig
+umziehen tragödie richie parker leidet leb heut ern bietet beinen ausmachen ausgegangen wartete
+verfassung vaughn teppich laster friedlich folgendes bezweifle ausbildung willie trainiert paß
+kindes hell glocke genauer cole catalina bruders besucher bailey aussicht ripped kapitel diejenigen
+ai wille santa gewachsen genügt geheilt friedhof evan entscheidet entdecken deepthought sinne
+ordentlich loslassen käfig harris taucht segen schildkröte scheißegal original losgehen kommandant
+hoffte gestanden dreimal behörden verkaufe übertragen trauer russland kurzen brieftasche beute
+vergleich unfair turner tradition sünden schweren mick isabelle halloween gelacht florida beweist
+anfängt amüsieren ubahn tal stiefel segne konto jennifer jahres gefreut g französisch fliege
+existenz er's cowboy zauber vertragen op löst gefehlt café ausflug abschaum wehgetan unterbrechen
+rausgefunden infiziert guy gentleman gefickt flieger festung faust auftaucht salat revolution kungfu
+kids harten gerissen einzelnen anzeige amt zerstörung vergaß schieben ruhen jersey gerücht gemeinde
+entfernung denselben beschädigt ausgedacht wegnehmen überraschen treu teddy ohnmächtig moses kanone
+juliet hurley couch brad ausgeben atmet andrew symptome randall rad menschlich linke ho einzig
+darunter atme anderson zoe versuch's versichere überwachen schämen glatt ärztin abschalten zettel
+wunderschöne telefonnummer spring schönste schlimmsten mademoiselle konzert gesessen ali verrat tu's
+trinkst strasse riesige faith turm strecke sorte schilde sarge platte letztendlich lernst gejagt
+gegensatz durchsuchen daumen ciao befohlen nen negativ mitglieder korrektur informieren hurra
+helikopter charlotte abgelehnt zurückgeben toast henderson gibts gewünscht geklärt fleck donald
+akzent setzte rate köstlich fremde ersetzen block allzu starken nützt normaler hohe han graben
+frühling flog faul eingeschlossen bestimmen vision saft pack heben frisur feder barbara aufgrund
+schlief schläger plus irren glen gewinne geweint gene dodge blicken afrika zurückkommt russischen
+lynn kofferraum jedi großzügig diebe blitz bewaffnet betrachten beherrschen avenue zugehört tenchi
+steuer sieger nix holst flammen ellie einzelne dummes zelt wunden nahrung jene i'm genügend berühmte
+andrea vertreten service rette one lime liebhaber irrtum hübschen heroin /font font begrüßen baxter
+ärsche zentrum verkauf richtiges religion grossen diskutieren zivilisten want steven schlimme oz
+neil narren milo klienten immerhin gross gemalt gelangen ferien fängst ernte derselben boy bloss
+billie ausrichten air visit verdienst hinweise explodieren blatt atmosphäre angehen sitzung sherry
+reg missverständnis löcher lichter hitomi heiliger albert vergewaltigt übersehen sozusagen live
+lawrence heirate esel brooklyn bewiesen betrügen aufgehalten abwarten unterschrift schonmal
+hauptsache gray gewinn geliebte entwicklung basiert abstand wahrer timing sake rollen orte mordes
+methode ldee krankenstation kostüm konsequenzen bezug umdrehen therapie sektor salz gekocht scheiden
+qualität mitteilen höchstens grünen begriff yang warf vorm verlieben truppe sarg pflanzen kane
+gerecht erneut diego cola bewusstlos unsicher schreibst schrecklichen rettet respektieren rausgehen
+kisten harold evelyn drückt anwesenheit tempo stattdessen matthew l kultur kreatur gefangene drinks
+davis county bursche böser aufgebaut anzahl wüssten wohnzimmer verarscht sophie quitt nicholas mutti
+hilfreich drehte befürchte zach verdächtige starbuck passagiere jill jessica genial frodo chips
+blöder billig werte ori lebten junta identifiziert dreckskerl blutdruck bittet vielmals sloane
+scheinbar rennt moral mei mädchens enttäuschen einsteigen eimer betrachtet abschied williams
+übernimmt typisch riggs psst nachzudenken nachbar länder hugh ford diskussion connor vorüber
+verbessern travis seattle kommissar boone ausnahme abhalten wiederkommen verteilt irgendeinen
+gretchen gemütlich gemüse entführung duschen deins dawn color= bryce australien ausgelöst anzusehen
+wohnwagen verpflichtet sylvia stirn ryo rusty got getestet gestehen engländer ellen dummer daniels
+bingo arbeiteten zaun täuschen probiert objekt nachbarschaft lediglich herzinfarkt geliefert elf
+beeinflussen aufgaben vollständig verdanken sowie sakura nummern marines intelligent infektion
+gefesselt erschrecken eigener dieselben zurückgelassen wörter telefoniert christopher begreifen bahn
+apollo winkel volkes überfahren senat rieche programmiert meinetwegen medizinische mafia jener
+carson andauernd zusammenarbeiten muskeln küsst kratzer klavier eigenartig zwillinge weihnachtsmann
+señor schreib mickey japaner fortschritte benutze bemerken anständig zähle wong vergesst tvuserde
+süßen rezept picard persönlichkeit naomi meeting liege klang kameraden handlung fußball entworfen
+begehen aufhört wolle vorbeikommen superman sonnenuntergang sofa oberfläche nicky mason liegst
+kissen kaufte ersetzt christina bestrafen basil zusammenarbeit widerstehen reißen over mitchell
+kleinigkeit kennenlernen hergestellt gemälde ermittlungen erden durchgehen bestanden aufgehoben
+ärgern ankommt zeigst wände vernunft unsichtbar that studenten steckte sekretärin schachtel operiert
+hervorragend erledige erfahrungen angelegenheiten zeile verspätung versehen umlegen republik pfad
+isabel greta gabriel früheren etage beschreiben spannung sichern raines narusegawa herbert flugzeuge
+erheben erdbeben echo bewundere zustimmen weggenommen unterscheiden personal jenem heran gratuliere
+gestalt eröffnen craig anlage zugriff vorschlagen tank schirm sau raymond märchen legst landet
+kummer gesungen gesprungen generation gebissen fuhren dünn director dicke abgenommen zogen tabletten
+schiessen not löschen ladys kehren judy huo houston franzosen durchsucht doof design derselbe
+dankeschön aufzeichnungen schulen schlangen ron räumen krawatte kent italien gemocht gelöscht
+forschung fetten datum aushalten assistent anruft andi akzeptiert widerlich verschwörung schmerzt
+reizend reichweite passe nochmals mckay kontaktieren hasste fahrstuhl diebstahl dämlich bewegungen
+bestimmung ausschalten zurücklassen shawn sean politiker pat lane könntet interview graf fasse
+durchführen beißen zurückrufen wölfe verletzungen traue staatsanwalt reißt meldet lenny kelso guckt
+gelungen christian cheng breit bevölkerung bete bestätigung bestand benötigt aussuchen ausgegeben
+atombombe anlegen verzichten verursachen töchter stuart schwieriger schicht putzen narbe harter
+erkannte blockiert beunruhigt würstchen tötest teenager rand produzent produktion laufenden hector
+halbes front forderungen ausgewählt alfred tropfen treibst queen psychiater piraten ohh noah louie
+hans finsternis butter verbinden städte schnapp rosa prinzip notaufnahme melissa maus kansas dvd
+durchmachen drück dreckig besetzt anfing abgeholt zweites überwacht tshirt ripley prophet
+öffentlichen nutzt nadel mm laufe hierhin hayes gespräche german gerichtet gerede festgehalten
+durchziehen dunkle cody brand blutet ausführen umso special spaziergang seist nähert läufst kennedy
+kaugummi großartiger fawlty ente decken debbie botwin besserer wolltet wars verwundet verlobt
+verbindungen ticket stamm spruch security schwierige schönsten rückwärts rauskommt oktober metall
+höchste hickey geständnis gefressen fließt erwachsene enthält belogen zwischenzeit schalter mögliche
+korea gekannt dicken beiseite wieviele weist weiber w vinnie verlass ursprünglich tatara systeme
+stammen spanien schütze mitgefühl margaret krach jamie guckst go füllen einnehmen drache brutal
+böses benutzte anpassung zurückgekehrt zugestimmt zahn warren wahres verrate umarmen sprengen münze
+krankenschwester kong hyunseo gestrichen gehalt ekelhaft einrichtung edgar dient bonnie befördert
+ausser wichtigsten trost trinkgeld tiefe spritze songs route rocky räuber paula nikki irak
+hoffnungen herunter gesang cm bauteil baseball ansicht womöglich weis visiontext verprügeln
+verknallt schultern schublade nudeln muster moe love lohn justin gebet dorothy clyde brillant betrug
+vorkommen vergraben tina sklave kreditkarte kätzchen heissen gespannt gepackt einfachen bären
+aufzunehmen zufolge zeitverschwendung wirkliche wiederzusehen versprach verschaffen universums tüte
+spezies marissa inneren graham ex cameron beschloss austausch aufbauen anton verzeiht verwandten
+verrückter riskiert pierre löffel kern gestoßen fröhlich erwartest cousine buddha boston ausdrücken
+anlass villa marvin lj kompliment keith heftig genosse bräuchte bargeld anwälte andern verlegen tess
+single schließ online mütter hunderte heirat goldene gehasst gefährliche freak bäumen august zweiter
+whisky vergebung ronnie pfeil out meldung island hinunter glückliche ersatz einbruch dazwischen burg
+begegnen ausgedrückt aktivieren vorgeht valley steak sheppard samantha level kommunikation galaxie
+gab's erhielt dallas cal ausgeraubt zuständig zurückziehen visionen vieh stevens schrott schein
+pflanze öffentliche nüchtern nottingham lohnt jagt höflich herzens gruppen geschworen flagge
+eigentum durchaus damaja ca biete ahh wovor weisheit vergiß riker problemen lmmer leine juni
+größeren gedicht freddy dauerte cohen assistentin angehalten wacht überraschungen sullivan rob papst
+königreich jude hinsetzen geschieden gefühlen erleichtert dylan danielle brunnen ausmacht aufgepasst
+unterrichten helm heb gewinnst geraucht experte ereignis einzelheiten einspruch ricky nächster
+medien lungen kollege eingefallen dc baden trete temperatur stattfinden sicherstellen schwuchtel
+schießerei leiser heisse geweckt festgenommen collier buchstaben box bohnen besorge besatzung
+aussiehst amber weggelaufen verlegt tödlich terrorist sanft respektiere rannte plant ofen noten müßt
+lagen drehe diane bezüglich beileid batterien bach witwe vollidiot reed omar mhm leere krieges kasse
+kalte interessanter hausmeister bewacht ausgebildet zivilisation verhindert tafel schwören reist
+rechnen polly manny lunge loyalität lade kocht härter gesorgt gelände geheimdienst frosch freundes
+detail amüsiert zoo verschieben summe steck schneider schmuck schläge schinken schalten platten
+nebenbei kehrt kat heutige harmlos geopfert gauner erwachsenen dealer bla besprechung aussagen
+argument angestellten absolute zb vorzustellen verfluchte treue schriftsteller neffe kerzen gloria
+football fette berater army alptraum verdächtig trennung leichte lagerhaus knöchel karre hotels
+holte gib's empfinde darling blutung begriffen abgeschnitten zurzeit walker spielten riskant
+priorität politische nacken musiker kurzer kellner erschien berichtet aufbrechen aktiv abby wilde
+werfe verhältnis verbreiten subtitles schieße organisiert motiv micah magazin lustige joel jahrelang
+hal gestank erhält burger buddy büchern babysitter ausland anweisung zwerg welle verlobte vergeht
+stabil sodass scotch reif quellen leitet kümmerst krusty käufer herstellen herrlich hergebracht
+halle grey füttern feige erhöhen einiger besprochen belästigen aeryn werkzeug weinst umgeben stephen
+sichere reingekommen pfannkuchen kloster hahn gotham gitarre garza elefanten do dateien cheyenne
+ausrede anstrengend tarnung süßes schließe sämtliche realistisch ozean linus legte kreaturen kang
+fur frech benötigen befolgen ablenken zweitens wellen vorgehen methoden manieren irgendeiner hühner
+goldenen flaschen finale beurteilen auswahl anlügen allah wraith vergib stille road rechnungen
+rauszufinden perfekten öi hochzeitstag gewann gefangener freier dienste chinesischen biest
+autounfall angerichtet versteckst vereinbarung unterbrochen überreden überlebenden stahl river oskar
+nichte narben lhm henker funkgerät exfrau engagiert caroline bins befragen ausreden auflegen
+ansonsten zusammenhang zirkus weltkrieg weine vorhaben unnötig tetsu sexuelle reiß produkt
+production ohnehin lennox klinge frisst five entspricht debatte anzufangen wiederholt virginia
+verteilen tankstelle schach reiche redete radar luthor krone jon grand folgenden endgültig
+einsamkeit clan chan booth bildschirm bewährung beeindrucken baltar alpha allison alexander
+abzuholen zweit versorgt unglaubliche überstehen tickets täte streifen stöhnen statue signale
+sanitäter petrelli partei loszuwerden loser kay isaac fremder eklig champion beschaffen
+ausgeschlossen archer wesley vierten vergleichen tauchte strahlung status schlauer roberts ranch
+peggy mars lautsprecher klimaanlage juan hodes gutmachen gelächter fragten ey beantwortet aufrichtig
+veränderungen russische rohr panama offenen kokain joan hinlegen grüne gespürt gate bunker baker
+angesicht allan zurückholen zentimeter vorbild überwachung sauerstoff öffentlich niederlage li legal
+heulen geschützt fu feuerwerk diagnose caprica ausgesprochen aufrecht anfall vorgesetzten sprang
+spezielle sandra prophezeiung notizen manipuliert jericho heller gratis führst eisen bezahlung
+beleidigen ansieht aliens adams vertreter torte paps organisieren mmhmm mexikaner kid kaution
+gezeichnet gehorchen farik experten emotional drew beschissene aussah aufwacht angebracht ablehnen
+zeremonie weiterleben verletzung töteten süßigkeiten rausgekommen orten mitspielen lügnerin heiss
+geh' empfinden direktorin diana beruflich beauftragt ausschau album wüsstest vorschriften vertraust
+schwarzer prinzen november merkte marc makeup irgendwer fingern erschienen austin anthony
+aktivitäten zeitplan zahnarzt wodka weltraum wanda verbreitet umbringt üblich überlege privat oje
+nanu mmm kredit ignoriert grüße fliegst fällen beschissenen ausprobieren amerikas wärt wärme
+unschuld u schwager schiffes perry nich maurice lupin long langes herkommt gürtel geschäftsmann
+furchtbare force darwyn ausgesehen abzug verwandt tumor sylar stieg spürt sensoren schwachkopf raja
+merke kontakte kampagne gründlich glaub's gestritten from flecken effekt bewachen beseitigen
+wundervolle versichert tschüß transport self saßen ruhestand rettete restlichen leibwächter knoten
+jacks gewaschen gestiegen frequenz fordern erschießt entspannt entscheide christine arrangiert
+alaska vögeln versichern versammlung überlebende traurige suchten solcher situationen russisch
+rollstuhl p naiv meile kutsche küss kassette gesperrt flitterwochen festnehmen email eiern
+egoistisch duft bree begleitet angefasst zuhälter übernachten pommes lain konzentriert komplette
+joker hauptstadt ganzer für's fingen falsches ergreifen erbe denver aufeinander ash anhänger
+wwwgermansubsde vizepräsident stadtrat sona schuldet saiga reserviert otto natalie naniten mütze
+möglichst großartigen gereist eröffnet edie central break stoßen nsa manuel lachst keines hinsicht
+genaue gemeinsame gedrückt fischer ernähren erhöht entführen codes aussprechen ausgebrochen
+aufzugeben aufstellen www verschwendet rendezvous reicher q präsidentin nirgendwohin kündigen klemme
+kinderspiel kälte irrst hervor hawkins geht´s gehandelt foreman darsteller cheza beschäftigen
+begeben absichten versorgen trat shakespeare partys nüsse möbel milhouse kabine jess initiative
+grosser gerechnet fotografieren folter endete drohne woody vollen versammelt tyrell starren
+sprengstoff schnaps schäden nest nervengas makoto knall gitter gewechselt gewahrsam gebete folgte
+durchgedreht bezeichnen beherrscht auf's zutritt zehen wirkte verbrachte überwinden stargate stab
+schwör's schneide mode mischung lahm kumpels korb kämpfst käfer herzschlag hawaii gruselig gezählt
+delta beruhig behilflich afghanistan achte zerbrochen wärs überzeugend standort sackgasse pfeife
+passwort oscar nora much melodie kürze kleingeld kalten janet hongkong gewehre garantieren fürsten
+erfindung erbärmlich disziplin aspirin angeordnet adama abbrechen will's verschieden verderben
+umgelegt überlasse treffpunkt sicherheitsdienst saison pst operationen nate menschliches kanzler
+jährigen hudson heilmittel freundchen flanders ertönt ernstes dar bh apropos abschließen abhängig
+abgelaufen zueinander zeichnen yuji wertvoll viktor verschafft vermutet vereint umschlag
+thanksgiving tango schrie schnelle schluß marionette lernten kartoffeln hierbleiben erfasst entstand
+datenbank colin bewohner beschweren beschütze berühmten aufregen arrangieren abel yakuza wundern
+wang vorgeschlagen mach' luther ldiot langem kämpfte haltung geteilt gesendet feststellen entschied
+eingezogen coole choi blieben belästigt anwesend antreten anfühlt wilden verteidigt tauchen schuhen
+sammlung rasen owen norman navy löwen konsulat konkurrenz instinkt höhepunkt gewisser getanzt erfuhr
+einsperren dynamit drake deunan cannes burrows behindert bedeutete bedenken autorität angefahren
+alibi aktien werkstatt weitergeht umwerfend umkehren sound singe si schoss revolver rauszukommen
+operieren ollie mel linderman le kommunizieren klingst katrin eid dummheit diensten camillo abgesagt
+zugelassen wiegt wes werd' unschuldige truthahn time scherze rohit picknick pfeift obiwan messen
+kaninchen jun januar intelligenz hätt göttern erfinden entgehen einzigartig eichhörnchen demokratie
+deanie beck autsch anya absurd abschneiden zustimmung verklagen überprüfe tieren shit offizielle
+magische lynette louise liter klarstellen kirk jährige hilflos heather gefährden fit dreckigen
+dialog babe assistenten zero willy wiederhaben wagt vergewaltigung spinnt schäme ruder quasi
+mittlerweile mächtige laptop kümmer jacob hing gestoppt geschworenen gelten einfällt brutus blasen
+beschreibung apfel yep weibliche vorlesen verkehrt spannend sonny schmerzhaft scheune ryoko rhythmus
+reichtum rauszuholen pressekonferenz päckchen nö murtaugh monroe merkwürdige lieder langley
+konferenz kagura gefährlicher durchgeführt don't chefin bennett benimmst badewanne are angeklagt
+analyse absagen abgestürzt verkäufer ungerecht thron seife pflichten mitbekommen mehrmals lebewesen
+koche irgendwohin ian herrscher gestürzt ermorden entdeckte dicker chen aufstand andenken weswegen
+times supermarkt shirt saunders sal neuesten moore mitch landung korrektur/anpassung kellnerin hai
+geradeaus feuerwehr east drecksack buchhalter boxer blödes bastarde autogramm arnie alternative
+zwischenfall vorgesehen verzweiflung verbindet strategie papierkram orange neidisch nachfolger
+lucius lily krüppel hobby herzog geschäftlich gelingt gefährdet fürchtet frühen einkaufszentrum
+eingebrochen anzugreifen versagen verluste schafe nieren mine miese kalender hills hase grob
+geregelt geeignet geehrt euro en budget beförderung bedingung außergewöhnlich ausgezogen wundert
+wunderbarer träumte schöpfer rauche preise mccarthy lustiger kater italiener höchst gestattet
+genehmigung gekündigt gehn formel ego bestellung begleitung anerkennung zähnen whiskey übertragung
+türe schrieben schrecken runden romeo patty orleans meist lehren könige knien interessen innere
+heylia hänge handschuhe glaubten gemeinsamen geliehen flüssigkeit eventuell drunter beeinflusst
+bauten ausbruch aß zukommen wiederhören väter uturn ungut überein tanze sousuke sonnenschein
+seltsamen schlimmeres probier miki komplizierter klopft herzlich heilung genick funktionierte
+erteilt dude dinner callahan bildern benny barney auslösen angeheuert wwwtvfreaksdlam vorsprung troy
+telegramm teilt tauben klüger jeremy jeffrey heißes häufig getäuscht donny altar almeida zoidberg
+wehe vorbereitungen vorbeigekommen verfahren stellten proben oper glocken geschrei erzeugen anspruch
+andermal abgelenkt zwingt verwirrend untersuchungen unglücklicherweise störe sofia schwerter rex
+profis premierminister pardon orden netzwerk lauten josef izzie ironie hinauf herbst heiratest
+gestartet gefilmt freigelassen dj deprimiert deckard bezirk betrieb begannen aufzubauen anschließen
+anfänger zurückzukehren weste weißer unterrichtet umgehend teilnehmen susie staubsauger smithers
+silber schüssel schmeißen scheißer rente öl kyoto jaime generationen garantie fangt emotionen dog
+deutsch detroit conan ausstehen aufheben akzeptiere zwerge zahlst yohko würdig wunderschönen
+wunderbaren übergabe philip münzen mitfahren liess junges jenseits jefferson hot have gus
+gratulieren faszinierend erfordert dose detektiv chinesische chad can büßen bude bogen blocks
+angemessen abgegeben abgebrochen ziege wettkampf standpunkt sachte regelmäßig olivia mexico macht's
+krankheiten komödie françois erzogen benutzten benjamin beach aufzuhören auftreten attentat
+antwortet alarmstufe absturz zeig's wurmloch wuchs schützt schadet ruh reverend reichlich
+produzenten notruf natürliche kuba kanonen hoffnungslos hinzu haft geringste gerannt full
+französische flüstert fischen erteilen empfehlen eingetroffen dokument billiger besagt base
+ausgeschaltet zunächst wohnte wagst vertreiben verkaufte vergeuden sing sehnsucht schaute rüstung
+rumlaufen robbie offene nelson mieser mehreren märz konzentration komischer ketten einwohner duke
+breche besonderer beschuldigt vorsprechen stimmte schmutzige privatleben pistolen neffen müßte
+merlin lüg logisch lippenstift liebste knacken katsumi huren hummer grossmutter gleichgewicht
+gebunden experimente ertrage cartman bischen besorg bell amerikanischer ägypten zuliebe vorfahren
+tôdai state startet sloan schlucken replikatoren pearl medizinischen locksley komischen kaufst
+hingegangen hinfahren gelben federn bräutigam ausgeht attentäter angriffe ana wrack wirfst
+versteckte verkleidet timmy stur speer seoul satan risiken respektiert prison persönliches o'brian
+mississippi maler kotzen kooperieren jet innerlich infos höschen herkunft hässliche hälst
+gemeinschaft find's erschieß ermordung entsteht elend einmischen bräuchten bierko beverly
+beschrieben bereite behälter banditen ausgelöscht abgezogen zeichnungen weichei vic verhör unterm
+symptom studium streich sonnenaufgang sektion rennst rausgeworfen private passte north lilly kräftig
+jahrhunderts hingerichtet handtasche glenn elvis elefant donner bumsen auswendig anzunehmen
+angewiesen abgeschaltet yuan worf wegwerfen vorzubereiten verschwendung versammeln unbekannt umsehen
+testament tattoo siegen schülerin quälen potter pakt outfit manipulieren leite kompanie kommt's
+kacke höchsten highway händler gelegen bock bluten basketball zwanzig zurückhalten verängstigt up
+steige spione sheriffs schlampen sag' rekord rang rahmen platt organe lastwagen hinüber hinrichtung
+higgins hausarrest hamburger erwähnte erinnerte droge dreharbeiten bess balkon annahme ängstlich
+abziehen wolke wirklichen weisen vorhat vierte vermuten verirrt verhandlungen verabschiedet
+überredet tussi 'tschuldigung totale te take schwung sahst saal ruht quarantäne privaten pittsburgh
+motto monats mitzunehmen kriechen hinterhalt heißer geschlecht evakuieren erregt erkältung edo droht
+charmant binden abgefahren wobei we warme versetzen verhaftung verdorben umkreis substanz stürzt
+stars schrift schneidet rucksack ritual regnen nubu mina manhattan hindern geldes gefüllt francis
+flach doris daisy bewahrt beruhigungsmittel begleite bedienen beamten ausgeführt yorker wurm wurf
+verstoßen suite sternen shinku riefen pegasus moya maßnahmen magier lecken konzept kitty harper
+gnädig geantwortet ferne fälschung erweisen ernste erholt dent clayton bürgerkrieg baue axt zeigten
+yu with verhungern teal'c tageslicht russell riesiges riechst reinigung pornos pille pfadfinder
+nützen megan lampen kammer hindurch geprüft friseur freizeit fabelhaft erkennst ehrlichkeit dezember
+charme butler begegnung antoine wünschst weinte verhält übertreiben schrecklicher schicksals
+rumhängen rudy neugier mahlzeit mächtiger keks hoher hintertür genossen gefällt's gedient fuss
+erstellt dokumente chili burschen briten benimmt bak aufgelöst aufgebracht ablegen zeh vermitteln
+verhört unterschätzt üblichen tausch rückgängig quer prügel pissen pentagon nimm's nachforschungen
+mochten metal marwan lauren kaitlin ingenieur heinrich gezahlt geschwister gefecht fremd fließen
+evakuierung ertrunken entstehen einstein blake ausländer ausgemacht antonio alien abkürzung
+zuzusehen world wärter ursprung ungeheuer überstanden speck sichergehen schere schaffte rückseite
+philosophie pa orson option o'malley lionel kongress komisches kerze kennzeichen kathy kämpften iris
+ganzem fordere fielen ewige einziehen dichter datei bienen benommen befürchtet bedürfnisse ansehe
+ankam angestellte verurteilen schlachtfeld rosie ranger marschieren magischen kommunisten japanisch
+ihr's honey hebt hauptsächlich gutem gläser gewöhnlicher geübt gelitten gelehrt gelangt gedichte
+empfindlich eintreten dosis chow bush briareos betracht batterie aufgeschrieben aufenthalt ashley
+angeschlossen ablenkung zögern wurzeln winston weltweit weggegangen stundenlang so'n mischen minus
+klemmt jakob honig herrin gesammelt fernbedienung einzusetzen einbrecher countdown center bezaubernd
+bernard automatisch anschläge alkoholiker wallace versuchung v untergang traust tinte secret schoß
+samen reinigen privatsphäre premiere peg nagel manchen leitungen kündige kämen julius hinbringen
+haftbefehl glückspilz glotzt genießt geistes geier felix fehlte februar erobern erlösung erholen
+depp chirurgen cd bischof beträgt bedaure becher somit setzten semester schuppen schale paranoid
+orbit marcello männliche livia liebster kranken irgendwelchen hündchen größeres greif geste
+gefoltert französischen fester duck cleveland betroffen besuche adler abwechslung zeugin zerocl
+zeitmaschine wünsch vortrag veröffentlicht vergeltung überraschend tore topf top starker sorgfältig
+simone schickten rühr puppen pop mumm mangel lebenden kopien kopfgeldjäger homeland hingekriegt
+feucht festplatte extreme duell besoffen beißt ausleihen ausgefallen arrest äpfel angeklagte zoll
+vorschläge vorhang viper tiefen stange skinner sehn schwangerschaft phoenix oberen mercedes länge
+kühe janice ichich 'ich hüte griechenland fargo falken exakt erzeugt element einsame chirurg camden
+bläst ausfindig aufzupassen athena abkommen à zuschlagen zuneigung verwandte südlich steif speed
+sorgst schreckliches schenke schalt sanchez moon meinten meg lebende lache kristall hochgehen
+herrschaft hasen ging's geschaut gegenstand fortschritt fordert entsprechend elemente dinosaurier
+casino bot billige bezahlst ärmel arbeitslos angepasst züge weiten unauffällig treppen träumt
+touristen terrorismus rico reinste plastik nachtisch männlich kritik klettern kamin hüfte helene
+gefäß gebäudes gasse forrest durften dads colorado bekannten befehlen autobahn aussehe anwesen ami
+zurückkomme yuri winzig wehren untergehen takumi schockiert rückweg regt logik kleinste klage
+kapelle jammer interessantes geliebten gelbe gegenmittel gefährlichen firmen dummheiten cooler
+chemie boris blinder billigen besitze aufgelegt armes wesentlich unterschiedliche unerwartet turnier
+sorg schloß redeten quartier professionell oswald nackte melanie limonade läufer kragen kostüme
+kindermädchen kameramann istja harvard habib geleitet feierabend fasziniert einschlafen didi diät
+betäubt beschuldigen beleidigung auslöschen arnold angeschaut zittern weggeworfen wanne vorwürfe
+vorhänge verschwindest verrät trank tonnen server schwimmt schnellste saubere rebecca quinn quere
+pussy parken naru mitzuteilen min liz kaname jen holly generator für'n feste fällst erpressung erin
+entdeckung dreckige distanz check beschwert bemühen bedient allergisch verlobter tequila spitzel
+sock schiss reingezogen reese rechtfertigen rasiert picasso nägel mauern mahone leslie ländern lake
+kandidaten illusion hunden herausfindet grossartig formular erschlagen dolch bestehe beitrag
+ausnutzen aufgestanden american aggressiv abgeschossen zielen würfel videos vereinbart unterkunft
+umher themen sucre spürte scheine satellit ruhiger paco miranda loslegen klaren kanister gramm glory
+gewiss geplatzt foltern fluß fernhalten fassung ersparen eingenommen eindringen dirk d'argo connie
+betteln bereue änderte voneinander volltreffer vermutung vasser umgekehrt struktur schlimmen schenkt
+salazar rathaus rahul profil petey packt öffnete niveau nachbarin miguel langweilen heilig guillermo
+grünes grant genehmigt funktion fritz fahne drittel dessert cummings brüllt beobachte aufspüren
+aufgemacht anmachen anhaben anflug akira adoptiert zutiefst zeichnung yankees visier überqueren trip
+trevor reihenfolge rausbringen rasieren qual preston pompeius perspektive notiz nonne nickerchen
+konflikt knurrt klassiker kamerad jj helena hängst handys grüß glücklicherweise gewährt gefälscht
+fotograf erwacht entwickelte elena drohung dankbarkeit catherine busch brady betrügt beschleunigen
+bereden bay baron auswirkungen ausstellung angeklagten agentin windeln wertlos weiblichen wandern
+verwechselt verkaufst trailer toby student schwarzes rührt richte richards raucht positionen platzen
+nazis modernen leinwand landete körpers japanische insgesamt herzustellen herrschaften gefeiert
+garantiere flut flüchten flittchen explosionen eiskalt durchhalten derart comics clowns carmen
+callie boxen bewundert bernie bedenkt ausdenken aufräumen angehört ähnlichkeit abe zeilen würmer
+verlorene transporter tänzer stone springe siegel ruth ruby regieren ohnmacht nakamura mitgehen
+marsch marilyn liebten laute kriminelle kg kenntnis june jf hör' hofft hinkriegen heult geräte
+gehängt fürchterlich früchte fernando erpressen entstanden einwände einsätze drücke darcy clans
+charley buck blätter bemüht befragt aufpasst aufbewahrt ätzend abschnitt vader unterscheidet ufer
+sturz streik speziellen skandal shuttle sheila roll roland restaurants pferden peyton monitor
+memphis marcel liefert lächelt kräften komiker klient klassische investiert hierfür herhören helf
+heiratete geriet geboten erstaunt erklärte cordelia coleman brooks aufschreiben aufenthaltsort
+abstellen abgesetzt verschluckt unterhose trag stufen skynet sidney sicherzustellen schuß schmeißt
+räume philadelphia marshal laszlo klaut jr irrer inspector inhalt gin faden ehrliche cents cash
+bunny beinhaltet banken autopsie as arizona ando abfall zurückzukommen warner wal verstecke
+versiegelt üble spinne sperren sowohl solches sky saul rasch po mitteln mittagspause liefen lach
+knight ivan hiervon hexen großem gonna glaub' glanz garnicht garderobe frohes entscheidest
+ehemaligen direkten darstellung damm busen boote bereitschaft behalt ayeka anwältin andererseits
+zurückkommst zigarre wirtschaft werft vorbereitung verschwendest verbesserung veranda sinken
+shepherd seufzt sensibel schwerkraft sätze roscoe ringe produziert prinzipien michigan markov man's
+kotzt kontaktiert koks jessie jamal hingabe grüßen gewaltig folgende flamme ermitteln eifersucht
+dunkler draht dixon clint blutgruppe birne bedeckt ausschlag anbetracht ampel altmodisch zweifellos
+zusammenhalten zerbrechen vorhast verwirrung umzingelt terminal tardis shh seltsamer schlamm royal
+relativ reinlegen recording ratschläge pudding police passagier nationen mikey lokal läden glückstag
+getränke gegrüßt führten floß falscher erbarmen entwurf emails dingern cathy bucht brennan betet
+bern aufstieg arrogant armut agrestic abhängen zusätzliche zugestoßen übersetzen tresor teufels
+techniker software selbstvertrauen perücke optionen nötigen mieten luxus lass' lädt groening gelang
+feuerzeug elegant durchbruch demselben betten bemerkte antiker wißt vorübergehend vertraute
+verschoben uniformen ungeduldig übliche sprecher servieren serena scotty schuldgefühle reinlassen
+reiner rauslassen präsentieren politischen poker pflegen pension och munter locken letztlich
+heiligkeit gral gina franklin eunice ersticken entkommt empfehle durchsuchungsbefehl durchkommen
+besetzung beseitigt berkeley ballett auszeit aufgezogen wing wildnis vati unverständlich überlass
+toiletten teyla tatsachen stall speziell söldner schickst schauspielern schätzt sänger rippen
+provinz polen now nördlich nord lenken kiefer hörer höhere gesegnet georgie genieße fussball
+evolution erwartungen erwartete erlangen entlassung englische eliza deinetwegen dampf britische
+branche bonus anhörung angelegt unwahrscheinlich unschuldigen unheil tuch traut tomoe stechen
+sparrow smallville robinson prügeln praxis ´n militärische lucky klarer kinn jahreszeit herbringen
+hawk häuschen griechen gespart filmstar fasst ermittler eingedrungen columbine cindy cheerleaderin
+britney betrachte ausgabe aufhält antibiotika älteren ältere abwesenheit zerrissen won verständlich
+tomaten stu strafzettel spinnen schuf schreist pinocchio persönlicher nationale merkst look lizenz
+lapd landschaft kühl kreuzung kostete kluger inspiration igitt hung hospital hoppla halts geguckt
+freddie fortsetzen flüchtlinge exemplar erregen ermittlung einsatzbereit dämmerung dab coolen
+brandon blühen blase bianca ahnen vorschrift versehentlich verfolgung verbrennt valentinstag urin
+sumpf stimmts stecker spar soul schwindel sähe rauchst quatschen platzt menschenleben kriminellen
+kratzen körperlich knabe just jedesmal horn hinzufügen hinterließ herde gerührt genutzt freuden
+fortsetzung erstickt durchsage drohen digital dee claude bullshit brötchen bescheiden belügen
+anstelle agentur zylon zeitschrift wechselt vin versauen verleihen verhören vergebe verfluchten
+veranstaltung vera unterzeichnet unsterblich theorien tänzerin spontan serviert schweig schülern
+scarraner reue pest peng pastor napoleon nachnamen mythos meinerseits mathe masse martine marlene
+linien lester küsse karev jegliche herd hannah grippe gotho glückwünsche gegründet geduldig
+freilassen francs erreiche erfüllung entwischt eko eingebildet durchgeknallt diamant coach brichst
+blair ausserdem anzugträger anzubieten anita anfangs amüsant absetzen weichen wahrscheinlichkeit
+verbessert unfähig unabhängig umarmung stützpunkt sprecht schmutzigen rangehen opfers offiziere
+neuling moderne massage letztens lance kurve kasten jonah improvisiert get geliebter gegenleistung
+forge first ewigen erlitten erklärungen durchschaut dauer darren chenzhen beneide angerührt
+anderthalb aktionen akademie wußten warteten uhren terrance technisch taube schaf raptor parfüm
+muschi mokona marlowe köpfen km/h gewöhnliche füreinander fuer franz festen fehlst duncan darstellen
+cuddy corax collins braun bewegst beamte aufzeichnung aufruhr anpassen analysieren adria zuzuhören
+wa vornamen verschont vereinen verbirgt vala unverzüglich trösten totoro todesstrafe toaster
+stipendium starkes spencer sonde scooby schwächen que parn model katherine junkie japanischen hong
+hoffman herrschen grundstück gingst gibbs gebetet fortfahren flöte fee eures enorm einschlagen down
+douglas checken betreiben benannt befürchten allmählich zustößt zurückgebracht zeitalter wei wehen
+wechselgeld wär' wählt vorsitzende vieler verdächtiger verbringt urteilen tut's tschuldigung suzy
+suresh studentin sich's sentox sdh schütteln schließfach schecks sato säcke rohre riesiger renn
+rauswerfen portland paulie panic night misstrauisch ming melancholische martini marion löwe liberty
+lesbisch lebensmittel lars kichert judah journalist inspiriert hotelzimmer homie höhlen global
+geschmissen futter föderation fleißig festgestellt feiglinge erforschen eigenschaften ehrgeiz denise
+colt clubs broadway bluse beutel befolgt befahl auserwählt angespannt wirkst valerie überleg
+überbringen tigger soße sherman schwindelig reitet rausgeholt popcorn peppone paßt parade
+menschlicher lacher krabbenmann kneipe klub kirsten juwelen hierbei hebel geburtstagsparty fran fies
+fersen fels fähre enttäuschung einrichten drucken brüdern blond beschissener berufung belegt
+belasten bedürfnis baltimore bälle arbeitsplatz anvertrauen anstand albträume zukünftige wüßte
+vorräte veranstalten unterhosen unfälle transcript sushi sirene shaw rücksitz retter qin pedro
+partnerin nutten niedergeschlagen metropolis lamm komm' köchin knurren joyce informanten häuptling
+hall gnaden geradezu geahnt garfield feinden eingerichtet davonkommen dates cloud blockieren
+besuchte besessenheit befragung ausflippen aufhängen allianz abgrund wiederum vorstand verpasse
+verfügbar tower tätig steinen starrst stanford seltene schwächer schimmer scheibe sahne routine
+reparatur reinen pilze pam nasa murray madison leugnen jenen ii hemden haustür größter geistig
+fantastische ertrinken erschrocken ereignet eigentliche drehort darbietung connelly carrie
+britischen bradley bildung begeisterung beamter aufzustehen armband änderung weeds vorsichtiger
+verpaßt verborgen überflüssig überdenken taxifahrer stückchen spenden sendet schurken schlamassel
+schalte rechtsanwalt pfoten obst nervst lindsey kaplan kapierst kakerlake jeep husten herab
+grundschule gesichtet gemietet franzose frachter fesseln fällig einlassen eingebaut einfaches
+crawford chu bull brei blonde blicke bezieht berührung bert bedrückt anzünden zwecklos wähle
+vorsitzender vorführung verwirren vertraulich ungewöhnliche übernahm resultat pullover prüfungen
+princeton like lehre klempner jonas intakt inklusive ichi hyperraum hera granate gleicht geschluckt
+gelähmt freust erraten erobert entführer empfange einholen dreckiger doppelte donuts demnächst blass
+bing bestrafung belohnt atlanta araber wally vollmond verschonen verführen vagina th taschentuch
+talentiert stühle stéphane skript shin schwitzen schlitten qualen pressen pot polizistin physik
+pfeile patrouille mount monte mieses mccoy may matthews marihuana ludo lnformationen komitee
+klarkommen jap hauptrolle good gainax friede forschungen finn erstochen ehemalige éclair diskutiert
+chinesisch chauffeur cassie birthday beziehen berechnungen beleuchtung beachten baute ausliefern
+ausgeliefert ausgeflippt aufseher anrufbeantworter wonka wachte vorname unteren tabak stiehlt
+staatsanwaltschaft schwanzlutscher schwänze sammelt rohan reinkommt rachael piepsen nerv ´ne metern
+mayday mace lkw lara köter kolonien kleinigkeiten kindisch jeans irene installiert holden gps
+geistern fünften frühstücken einschalten dimension cat bildet aufsicht anordnung abflug zurückkehrt
+zugesehen weite vornehmen vorenus verstorben vargas vance unerträglich umgang träger stürmen
+stattfindet stadion solo shaolan schoker schneid schmeiß scarlett rausgeschmissen prostituierte
+presents nunja nachtwächter myers mittelpunkt mengen massaker kranke klugscheißer klare kiki
+jahrhunderte intensiv improvisieren immerzu höheren herstellungsleiter haust gilliam gabst felder
+feiert eli deutet come chemikalien butch bremsen bezeichnet bekämpft bannister apotheke anwenden
+annähernd angesprochen angeln ähnliches ähnelt abzuhalten £ yards wwwtvfreaksto wo's wood wecker
+verziehen vertrieben verfickte unterwelt union überstunden übermorgen tsubasa tödlichen termine
+tassen startklar aarons abbreche abbrechend abbrechende abbrechendem abbrechenden abbrechender
+abbrechendes abbrechens abbrecher abbrecherin abbrechern abbrechers abbrecht abele abelie abels
+abenaki abendakt abende abenden abendessend abendessens abendlob abendrot abendsaal abendshow
+abendtau abendtee abendtyp abendzug abens abenteuerbox abenteuerin abenteuern abenteuers abenteurer
+aberle aberlin abern abernte aberzog abfahre abfahrt abfallarm abfallart abfalle abfallen abfallend
+abfallens abfalls abfallt abfand abfang abfange abfangt abfasen abfasse abfasst abfaule abfault
+abflaue abflaut abflexe abflext abflog abflogt abfloss abfluges abflugort abflugruf abflugs
+abflugtag abfluss abflute abfluten abflutet abflüge abgebakt abgebaut abgebbar abgebe abgebeert
+abgebeizt abgebend abgebende abgebendem abgebenden abgebender abgebendes abgeber abgeberin abgebern
+abgebers abgebeten abgebetet abgebrochene abgebrochenem abgebrochenen abgebrochener abgebrochenes
+abgebrockt abgebt abgebüßt abgefahrene abgefahrenem abgefahrenen abgefahrener abgefahrenes
+abgegebene abgegebenem abgegebenen abgegebener abgegebenes abgehackt abgehakt abgehakte abgehauene
+abgehauenem abgehauenen abgehauener abgehauenes abgehaut abgehe abgehen abgehend abgehoben
+abgeholfen abgeholte abgeholtem abgeholten abgeholter abgeholtes abgeholzt abgeholzte abgehst abgeht
+abgehört abgelaufene abgelaufenem abgelaufenen abgelaufener abgelaufenes abgeld abgelebt abgelebte
+abgeleckt abgelegen abgelegt abgelegte abgelehnte abgelehntem abgelehnten abgelehnter abgelehntes
+abgelenkte abgelenktem abgelenkten abgelenkter abgelenktes abgelesen abgemachte abgemachtem
+abgemachten abgemachter abgemachtes abgemahnt abgemalt abgemalte abgenommene abgenommenem
+abgenommenen abgenommener abgenommenes abgesackt abgesagte abgesagtem abgesagten abgesagter
+abgesagtes abgesahnt abgesandt abgesang abgesangs abgesaugt abgeschaltete abgeschaltetem
+abgeschalteten abgeschalteter abgeschaltetes abgeschlossene abgeschlossenem abgeschlossenen
+abgeschlossener abgeschlossenes abgeschnittene abgeschnittenem abgeschnittenen abgeschnittener
+abgeschnittenes abgeschossene abgeschossenem abgeschossenen abgeschossener abgeschossenes abgeseift
+abgeseiht abgeseilt abgesengt abgesenkt abgesetzte abgesetztem abgesetzten abgesetzter abgesetztes
+abgestürzte abgestürztem abgestürzten abgestürzter abgestürztes abgestützt abgesägt abgetan
+abgezockt abgezogene abgezogenem abgezogenen abgezogener abgezogenes abgeäst abgrabe abgrabt abgrase
+abgrast abgriff abgrub abgruben abgrundes abgrunds abgräbt abhacke abhackt abhake abhaken abhakst
+abhakt abhakte abhalf abhalte abhaltend abhaltende abhaltendem abhaltenden abhaltender abhaltendes
+abhaltens abhaltet abhaltung abhang abhangs abhaue abhauend abhauende abhauendem abhauenden
+abhauender abhauendes abhauens abhaust abhaut abhaute abhauten abhautet abhob abhoben abhoble
+abhobst abhobt abhold abholde abholdem abholden abholder abholdes abhole abholend abholende
+abholendem abholenden abholender abholendes abholens abholer abholerin abholern abholers abholst
+abholt abholtag abholte abholten abholtet abholung abholze abholzen abholzt abholzte abhänge
+abhängend abhängende abhängendem abhängenden abhängender abhängendes abhängens abhängige abhängigem
+abhängigen abhängiger abhängigere abhängiges abhängigste abhängst abhängt abhängte abhängten
+abhängtet abkomme abkommend abkommende abkommendem abkommenden abkommender abkommendes abkommens
+abkommst abkommt abkürze abkürzen abkürzend abkürzens abkürzest abkürzt abkürzte abkürzten abkürztet
+abkürzungen ableben ablebte ablecke ableckt ablegat ablegbar ablege ablegend ablegende ablegendem
+ablegenden ablegender ablegendes ablegens ableger ablegern ablegers ablegst ablegt ablegte ablegten
+ablegtet ablegung ablehnbar ablehne ablehnend ablehnende ablehnendem ablehnenden ablehnender
+ablehnendes ablehnens ablehnst ablehnt ablehnte ablehnten ablehntet ablehnung ableite ablenkbar
+ablenke ablenkend ablenkende ablenkendem ablenkenden ablenkender ablenkendes ablenkens ablenkst
+ablenkt ablenkte ablenkten ablenktet ablenkungen ablese ablesen ableser ablest abmache abmachen
+abmachend abmachens abmachst abmacht abmachte abmachten abmachtet abmachungen abnehmbar abnehme
+abnehmend abnehmende abnehmendem abnehmenden abnehmender abnehmendes abnehmens abnehmer abnehmerin
+abnehmern abnehmers abnehmt absacke absackt absage absagend absagende absagendem absagenden
+absagender absagendes absagens absagst absagt absagte absagten absagtet absah absahen absahne
+absahnt absahst absaht absalom absang absank absankt absatz absauge absaugt absaven absaß absaßen
+abschabe abschaben abschabst abschabt abschabte abschach abschaffe abschafft abschaltbar abschalte
+abschaltend abschaltende abschaltendem abschaltenden abschaltender abschaltendes abschaltens
+abschaltest abschaltet abschaltete abschalteten abschaltetet abschaltung abschauen abschauend
+abschauens abschaumes abschaums abschere abschert abscheu abscheus abschicke abschickt abschiebe
+abschieben abschiebst abschiebt abschiede abschieden abschiedes abschiedest abschiedet abschieds
+abschiedst abschieße abschießen abschießt abschirme abschirmt abschlag abschlage abschlags abschlagt
+abschließbar abschließe abschließend abschließende abschließendem abschließenden abschließender
+abschließendes abschließens abschließest abschließt abschließung abschliff abschloss abschlug
+abschlugen abschlugst abschlugt abschlussakt abschlussart abschlusses abschlussort abschlusstag
+abschlusstür abschläge abschlägt abschneide abschneidend abschneidende abschneidendem abschneidenden
+abschneidender abschneidendes abschneidens abschneider abschneidest abschneidet abschneidung
+abschnitte abschnitten abschnittes abschnittest abschnittet abschnitts abschnittst abschnüre
+abschnürt abschob abschobt abschor abschort abschoss abschrot abschule abschult abschuss abschwor
+abschäle abschält absetzbar absetze absetzend absetzende absetzendem absetzenden absetzender
+absetzendes absetzens absetzer absetzest absetzt absetzte absetzten absetztet absetzung absichere
+absichern absichert absichtliche absichtlichem absichtlichen absichtlicher absichtliches absieht
+absinge absingt absinke absinkt absinth absitze absitzt absolutem absoluten absoluter absolutes
+absolution absolutist absolutiv absolutmaß abstach abstamme abstammt abstanden abstandes abstands
+abstarb abstatte abstaube abstaubt abstehe absteht abstellbar abstelle abstellend abstellende
+abstellendem abstellenden abstellender abstellendes abstellens abstellort abstellst abstellt
+abstellte abstellten abstelltet abstellung abstich abstieg abstieß abstoß abstoße abstoßt abstrus
+abstufe abstufen abstufst abstuft abstufte absturzes absturzort abstöße abstößt absuche absucht
+absud absude absuden absudes absuds absurde absurdem absurden absurder absurdere absurdes absurdste
+absurdum abteil abteilbar abteile abteilen abteilend abteilens abteils abteilst abteilt abteilte
+abteilten abteiltet abteiltür abteilungen abwarb abwarben abwarbst abwarbt abwarf abwarfen abwarfst
+abwarft abwarte abwartend abwartende abwartendem abwartenden abwartender abwartendes abwartens
+abwartest abwartet abwartete abwarteten abwartetet abwechsle abwechslungen abwesenheiten abziehbar
+abziehe abziehend abziehende abziehendem abziehenden abziehender abziehendes abziehens abzieher
+abziehern abziehers abziehst abzieht abziele abzielen abzielst abzielt abzielte abzuges abzugs
+abzuhaltende abzuhaltendem abzuhaltenden abzuhaltender abzuhaltendes abzuholende abzuholendem
+abzuholenden abzuholender abzuholendes abzuholzen abzupfe abzupft abzutun achtbar achteck achtecke
+achtecks achtel achtele achteln achtelnd achtels achtelst achtelt achtelte achtem achtend achtende
+achtendem achtenden achtender achtendes achtens achter achtern achters achtes achtest achtet achtete
+achteten achtetet achtfuß achtlos achtmal achtsam achtungen achtzig actio actionfan activex adamant
+adamaoua adamek adameks adamsgut adamshof adamspik adle adlerart adlern adlers adlertag adlertor
+adlerweg admin admins admirale admiralen admirals admiräle adoptiere adoptieren adoptierend
+adoptierst adoptierte adoptiertem adoptierten adoptierter adoptiertes adoptiertest adoptiertet
+adoption adressant adressat adressbit adressbus adressen adresstyp adrett adrette adrian adriana
+adriane adrianes adrians adrig adrige adrigem adrigen adriger adriges affekt affekte affekts
+affenart affenohr affentor affären afghanisch afghanische afghanistans afrikaans afrikaner afrikas
+afrikatag agency agenda agenden agens agententyp agentinnen agenturen aggression aggressive
+aggressivem aggressiven aggressiver aggressivere aggressives aggressivste aggressor aggressors ahne
+ahneby ahnend ahnende ahnendem ahnenden ahnender ahnendes ahnengut ahnens ahnungen akademiehof
+akademien akademierat akademiker akademisch aktei aktende aktenden aktendes aktentyp aktes akteur
+akteure akteurs aktie aktienart aktin aktionist aktionär aktionäre aktionärs aktiva aktivbox aktive
+aktivem aktiven aktiver aktivere aktives aktivgas aktivierbar aktiviere aktivierend aktivierende
+aktivierendem aktivierenden aktivierender aktivierendes aktivierens aktivierst aktivierte
+aktiviertem aktivierten aktivierter aktiviertes aktiviertest aktiviertet aktivierung aktivisch
+aktivist aktivität aktivste aktivum akzentart akzente akzenten akzentes akzentlos akzents akzentton
+akzenttyp akzept akzepte akzeptierbar akzeptierend akzeptierende akzeptierendem akzeptierenden
+akzeptierender akzeptierendes akzeptierens akzeptierst akzeptierte akzeptiertem akzeptierten
+akzeptierter akzeptiertes akzeptiertest akzeptiertet akzeptierung aland alane alanin alanins alant
+alanus alarich alarme alarmen alarmist alarmruf alarms alarmstart alarmstoff alarmstufen alarmton
+alaskas albe albedo alben alberad albere alberei albergo alberich albernd albernde alberndem
+albernden albernder alberndes alberne albernem albernen alberner albernes albernste albero albers
+alberst alberta albertas alberte alberten albertest albertet albertina albertine alberto alberts
+albertus albtrauf albuin albumin albums albus alexa alexanders alexanderzug alexandra alexandras
+alexandre alexandria alexandrit alexej alexejs alexie alexis alexius alfrad alfreda alfredo alfredos
+alfreds alfrich alfried alibis alices alkoholarm alkoholart alkohole alkoholen alkoholika
+alkoholikerin alkoholikern alkoholikers alkoholisch alkohols alkopop alkoven allahs allasch allativ
+alledem allee alleen allegro alleinerbe alleinig alleinige allel allele allelen allels allemal
+allende allendes allergen allergie allergien allergiker allergische allergischem allergischen
+allergischer allergisches allerlei allesamt allianzen allium allmähliche allmählichem allmählichen
+allmählicher allmähliches allzeit almen almend almende almería alphabet alphabus alphajet alphard
+alphatop alphons alphorn alptraumes alptraums alta altach altadel altai altair altakte altan altane
+altanen altans altarbau altare altareal altares altargut altarm altarme altarmen altars altarzt
+altauto alteln altem altena altenaer altenau altenhof altere alterlos altern alternation alternativ
+alternativem alternativen alternativer alternatives alternativler alternativlos alternativort
+alternativweg alternd alternde alterns alters alterst altert alterte alterten altertet altertum
+alterung altmodische altmodischem altmodischen altmodischer altmodischere altmodisches altmodischste
+amandas amberg amberger americium amerikanebel amerikanerin amerikanern amerikaners amerikanertum
+amerikanisch amerikanischem amerikanisches amerikanismus amerikanist amerikanisten amerikanistik
+amerikanistin amero ampeln ampelos amper ampere amsterdamer amsterdamern amsterdamers amsterdams
+amüsante amüsantem amüsanten amüsanter amüsantes amüsiere amüsierend amüsierende amüsierendem
+amüsierenden amüsierender amüsierendes amüsierens amüsierst amüsierte amüsiertem amüsierten
+amüsierter amüsiertes amüsiertest amüsiertet anal analcim anale analem analen analer anales analfuß
+analog analoge analsex analysans analyseart analysen analysierbar analysiere analysierend
+analysierende analysierendem analysierenden analysierender analysierendes analysierens analysierst
+analysiert analysierte analysiertem analysierten analysierter analysiertes analysiertet analysis
+analyst analysten analystin analytik anbiedre anbiete anbietend anbietende anbietendem anbietenden
+anbietender anbietendes anbietens anbieter anbieterin anbietern anbieters anbietest anbietet anblase
+anblast anblicke anblicken anblickend anblickens anblicks anblickst anblickt anblickte anblickten
+anblicktet anblies anbläst andauere andauern andauernde andauerndem andauernden andauernder
+andauerndes andauerns andauerst andauert andauerte andauerten andauertet andechs andel anden
+andenkens andermatt andernach andersch anderschs andersen andersens andersrum anderswie anderswo
+anderthalbmal anderß andesin andesit andeute andicke andickt andiene andient andocke andockt andorn
+andorra andrang andreas andrehe andrehen andrehst andreht andrehte andrej andrejs andrews androhe
+androht android andruck andrzej andré andrés andys anerkennbar anerkenne anerkennen anerkennend
+anerkennens anerkennst anerkennt anerkennungen anfache anfacht anfahre anfahrt anfalle anfallen
+anfallend anfallens anfalles anfalls anfallt anfand anfanden anfandet anfange anfangend anfangende
+anfangendem anfangenden anfangender anfangendes anfangens anfanges anfangsgag anfangsmaß anfangsort
+anfangston anfangszug anfangt anfasen anfasend anfasse anfassend anfassende anfassendem anfassenden
+anfassender anfassendes anfassens anfasser anfassest anfasst anfasste anfassten anfasstet anfaule
+anfault anficht anfiel anfiele anfielt anfinde anfinden anfindet anfinge anfingen anfingst anfingt
+anfixe anfixen anfixt anfixte anflehe anfleht anflog anflugart anfluges anflugs anflugweg anflüge
+anfährt anfälle anfällt anfänge anfängen anfängerin anfängern anfängers anfängst anfüge anfügen
+anfügst anfügt anfügte anfühle anfühlen anfühlend anfühlens anfühlst anfühlte anfühlten anfühltest
+anfühltet anführbar anführe anführen anführend anführende anführens anführerin anführern anführers
+anführst anführt anführte anführten anführtet anführung anfüllt angebaut angebbar angebe angeben
+angebend angebens angeber angebern angebers angebliche angeblichem angeblichen angeblicher
+angebliches angeblickt angeblickte angeblinkt angeblitzt angebohrt angeboren angebote angebotene
+angebotenem angebotenen angebotener angebotenes angebotes angebots angebrachte angebrachtem
+angebrachten angebrachter angebrachtere angebrachtes angebrannt angebraten angebt angefacht
+angefahrene angefahrenem angefahrenen angefahrener angefahrenes angefangene angefangenem
+angefangenen angefangener angefangenes angefasste angefasstem angefassten angefasster angefasstes
+angefast angefault angegriffene angegriffenem angegriffenen angegriffener angegriffenes angehabt
+angehaltene angehaltenem angehaltenen angehaltener angehaltenes angehe angeheizt angehend angehende
+angehendem angehenden angehender angehendes angehens angeheuerte angeheuertem angeheuerten
+angeheuerter angeheuertes angehst angehöre angehören angehörend angehörens angehörig angehörige
+angehörst angehörte angehörtem angehörten angehörter angehörtes angehörtest angehörtet angeklagtem
+angeklagter angeklagtes angeklebt angekok angekommene angekommenem angekommenen angekommener
+angekommenes angelacht angelangt angelas angele angelegen angelegene angelegte angelegtem angelegten
+angelegter angelegtes angelehnt angelei angeleimt angeleint angelernt angelesen angelesene angelika
+angelina angelnd angelnde angelndem angelnden angelnder angelndes angelns angelnut angelo angelobt
+angelobte angelockt angelogene angelogenem angelogenen angelogener angelogenes angelos angelsee
+angelst angelt angelte angelten angeltet angelus angemessene angemessenem angemessenen angemessener
+angemessenere angemessenes angemessenste angenagt angenehme angenehmem angenehmen angenehmer
+angenehmere angenehmes angenehmst angenehmste angenervt angenommene angenommenem angenommenen
+angenommener angenommenes angenäht angeordnete angeordnetem angeordneten angeordneter angeordnetes
+angepackt angepampt angepappt angepasste angepasstem angepassten angepasster angepasstere
+angepasstes anger angerichtete angerichtetem angerichteten angerichteter angerichtetes angern angers
+angert angerufene angerufenem angerufenen angerufener angerufenes angerückt angerührte angerührtem
+angerührten angerührter angerührtes angeschafft angeschaute angeschautem angeschauten angeschauter
+angeschautes angeschlossene angeschlossenem angeschlossenen angeschlossener angeschlossenes
+angeschossene angeschossenem angeschossenen angeschossener angeschossenes angesehene angesehenem
+angesehenen angesehener angesehenere angesehenes angesehenste angeseilt angesengt angesenkt
+angesetzt angesichter angesichtern angesichtes angesichts angespannte angespanntem angespannten
+angespannter angespanntere angespanntes angespart angesparte angesprochene angesprochenem
+angesprochenen angesprochener angesprochenes angesteckt angestelltem angestellter angestelltes
+angesät angetane angetanem angetanen angetaner angetanes angetanzt angetaut angewiesene angewiesenem
+angewiesenen angewiesener angewiesenes angezogene angezogenem angezogenen angezogener angezogenes
+angreifbar angreife angreifend angreifende angreifendem angreifenden angreifender angreifendes
+angreifens angreifer angreiferin angreifern angreifers angreifst angreift angriffen angriffes
+angriffs angrinse angrinst angster angstlos angstruf anhabe anhabend anhabende anhabendem anhabenden
+anhabender anhabendes anhabt anhafte anhalt anhalte anhaltend anhaltende anhaltendem anhaltenden
+anhaltender anhaltendes anhaltens anhalter anhalterin anhaltern anhalters anhaltet anhalteweg
+anhalts anhand anhang anhangs anhast anhat anhatte anhaut anhänge anhängen anhängend anhängende
+anhängens anhängerbau anhängerin anhängern anhängers anhängig anhängige anhängsel anhängst anhängt
+anhängte anhängten anhöhe anhöhen anhöre anhörend anhörende anhörendem anhörenden anhörender
+anhörendes anhörens anhörst anhört anhörte anhörten anhörtet anhörungen animateur animationen
+animator anitas ankamen ankamst ankamt ankara ankaras ankarre ankarrt ankauf ankaufe ankaufs ankauft
+anklagen anklagend anklagende anklagens anklagst anklagt anklagte anklagten anklagtet anklam anklang
+anklangs anklebe anklebt ankomme ankommend ankommende ankommendem ankommenden ankommender
+ankommendes ankommens ankommst ankotze ankotzt ankum anlache anlacht anlag anlageart anlagegut
+anlagemaß anlagen anlagere anlagern anlagernd anlagerns anlagerst anlagert anlagerte anlagetag
+anlagetyp anlange anlangt anlasse anlassen anlassend anlassens anlasser anlassern anlassers anlasses
+anlasslos anlasst anlaste anlasten anlastet anlauf anlaufe anlaufs anlauft anlaut anlaute anlauts
+anlege anlegend anlegende anlegendem anlegenden anlegender anlegendes anlegens anleger anlegerin
+anlegern anlegers anlegst anlegt anlegte anlegten anlegtet anlegung anlehne anlehnt anleihe anleime
+anleimt anleine anleite anlerne anlernt anlese anlesen anlüge anlügend anlügende anlügendem
+anlügenden anlügender anlügendes anlügens anlügst anlügt anmache anmachend anmachende anmachendem
+anmachenden anmachender anmachendes anmachens anmachst anmacht anmachte anmachten anmachtet annage
+annagen annagle annagst annagt annagte annahm annahmen annahmst annahmt annalen annam annans annas
+annehmbar annehme annehmend annehmende annehmendem annehmenden annehmender annehmendes annehmens
+annehmt annelie annes annette annexe annexen annexes anni annies annika annikas annimmt annähe
+annähen annähens annähere annähern annähernde annäherndem annähernden annähernder annäherndes
+annäherns annäherst annähert annäherte annäherten annähertet annäherung anordne anordnen anordnend
+anordnens anordnest anordnet anordnete anordnungen anpassbar anpasse anpassend anpassende
+anpassendem anpassenden anpassender anpassendes anpassens anpassest anpasst anpasste anpassten
+anpasstet anpassungen anrufbeantwortern anrufbeantworters anrufbeantwortung anrufbus anrufend
+anrufende anrufendem anrufenden anrufender anrufendes anrufens anrufer anruferin anrufern anrufers
+anrufes anrufs anrufst anrufung anschaffe anschafft anschalte anschaue anschauend anschauende
+anschauendem anschauenden anschauender anschauendes anschauens anschaust anschaut anschaute
+anschauten anschautet anschauung anschein anscheinen anscheinende anscheinendem anscheinenden
+anscheinender anscheinendes anscheinens anscheins anschiss anschlagart anschlage anschlagen
+anschlagend anschlagens anschlages anschlags anschlagt anschlagtür anschlich anschließbar anschließe
+anschließend anschließende anschließendem anschließenden anschließender anschließendes anschließens
+anschließest anschließt anschliff anschloss anschlug anschlugt anschluss anschlägen anschlägst
+anschlägt anschob anschobt anschoss anschrie anschub anschubs anschüre anschürt ansehend ansehende
+ansehendem ansehenden ansehender ansehendes ansehens anseht ansehung anseile anseilt anselm anselms
+ansenge ansengt ansetze ansetzt ansi ansichten ansiedle ansiehst ansinge ansingt ansitz ansprach
+ansprang anspruches anspruchs anstach anstacht anstalt anstanden anstandes anstands anstarre
+anstarrt anstaue anstauen anstaune anstaunt anstaust anstaut anstaute ansteche anstecht anstecke
+ansteckt anstehe anstehen anstehst ansteht ansteige ansteigt anstellend anstellende anstellendem
+anstellenden anstellender anstellendes anstellens anstellig anstellige anstellst anstellt anstellte
+anstellten anstelltet anstellung anstich anstieg anstieß anstoß anstoße anstoßt anstrenge anstrengen
+anstrengende anstrengendem anstrengenden anstrengender anstrengendere anstrengendes anstrengendste
+anstrengens anstrengst anstrengt anstrengte anstrengten anstrengtet anstrengung ansturm anständige
+anständigem anständigen anständiger anständigere anständiges anständigste anstöße anstößt ante
+anteile anteilen anteilig anteilige anteillos anteils antenne antexte anthere anthonys anthrax anti
+antibiotikum antibiotikums antibiotisch antidot antifa antifon antigen antigua antik antike antikem
+antiken antikern antikerne antikernen antikes antimon antiopa antipol antippe antippt antiqua
+antiton antityp antivir antoines antoinette antonia antonias antonios antoniter antonius antons
+antonym antonyme antrabe antraben antrabst antrabt antrabte antraf antrafen antrafst antraft antrage
+antragen antragend antrages antrags antragt antrank antrankt antrat antraten antratet antratst
+antreffe antrefft antreibe antreibt antrete antretend antretende antretendem antretenden antretender
+antretendes antretet antrieb antrim antritt antrug antrugt antrunk anträfe anträge anträgt antue
+antuend anturne anturnt antust antut antwortend antwortende antwortendem antwortenden antwortender
+antwortendes antwortens antwortest antwortete antworteten antwortetest antwortetet antwortzug
+anvertraue anvertrauend anvertrauende anvertrauendem anvertrauenden anvertrauender anvertrauendes
+anvertrauens anvertraust anvertraut anvertraute anvertrautem anvertrauten anvertrauter anvertrautes
+anvertrautet anwahl anwaltes anwalts anwarb anwarbt anwarf anwarft anwehe anwehen anwehst anweht
+anwehte anweise anweisen anweisend anweisens anweiser anweisern anweisers anweisest anweist
+anwendbar anwende anwendend anwendende anwendendem anwendenden anwendender anwendendes anwendens
+anwender anwenderin anwendern anwenders anwendest anwendet anwendete anwendeten anwendetet anwendung
+anwerbe anwerbt anwerfe anwesende anwesendem anwesenden anwesender anwesendes anwesenheiten anwesens
+anwähle anwählt anwälten anwältinnen anzahle anzahlen anzahlend anzahlens anzahlst anzahlt anzahlte
+anzahlten anzahltet anzahlung anzapfe anzapft anzeichens anzeichne anzeichnen anzeichnet anzeigeart
+anzeigebit anzeigen anzeigend anzeigende anzeiger anzeigers anzeigetag anzeigetyp anzeigst anzeigt
+anzeigte anzeigten anzeigtet anziehe anziehend anziehende anziehendem anziehenden anziehender
+anziehendes anziehens anziehst anzieht anziehung anziele anzielen anzielst anzielt anzielte
+anzubietende anzubietendem anzubietenden anzubietender anzubietendes anzucht anzuges anzugreifende
+anzugreifendem anzugreifenden anzugreifender anzugreifendes anzugs anzugträgern anzugträgers
+anzunehmende anzunehmendem anzunehmenden anzunehmender anzunehmendes anzurufende anzurufendem
+anzurufenden anzurufender anzurufendes anzusehende anzusehendem anzusehenden anzusehender
+anzusehendes anzutun anzünde anzündend anzündende anzündendem anzündenden anzündender anzündendes
+anzünder anzündest anzündet anzündete anzündeten anzündetet anzündung apartments apfelart apfelhof
+apfelmus apfelpo apfelpos apfels apfeltag apfeltee apfelweg apolda apoleis apoll apollon apollonia
+apollons apollos apolls apollyon apotheken apotheker apothekerin apothekern apothekers apothema
+apotheose appajim apparate apparaten apparates apparativ apparative apparats apparatur apparatus
+appeal appeals appel appell appelle appells appetenz appetitlos appetits appetizer applauses apple
+apples applet applets apricot aprils apriltag apriori arabella araberin arabern arabers arabesk
+arabeske arabica arabien arabist arbeitend arbeitende arbeitendem arbeitenden arbeitender
+arbeitendes arbeitens arbeiterin arbeitern arbeiterrat arbeiters arbeitertag arbeitertyp arbeiterweg
+arbeiterzug arbeitetest arbeitetet arbeitsam arbeitsame arbeitsamt arbeitsart arbeitsgas arbeitshof
+arbeitshub arbeitslage arbeitsland arbeitslast arbeitslatz arbeitslauf arbeitsleid arbeitslied
+arbeitslohn arbeitslohns arbeitslose arbeitslosem arbeitslosen arbeitsloser arbeitsloses arbeitslust
+arbeitslärm arbeitsort arbeitsplan arbeitsplaner arbeitsplanes arbeitsplans arbeitsplatte
+arbeitsplatten arbeitsplatzes arbeitsplatzmaß arbeitsplatztyp arbeitspläne arbeitsrat arbeitstag
+arbeitstyp arbeitsweg arbeitswut arbeitszug archaea arche archen archetyp archiv archive archivs
+argumente argumenten argumentes arguments argumenttyp arizonas armbad armbades armbandes armbands
+armbanduhr armbein armblei armbund armeen armeerat armeetyp armeeuhr armem armenden armenhof
+armenien armenier armutei arnika arnim arnims arnis arno arnoldina arnolds arnos arrangiere
+arrangierend arrangierende arrangierendem arrangierenden arrangierender arrangierendes arrangierens
+arrangierst arrangierte arrangiertem arrangierten arrangierter arrangiertes arrangiertest
+arrangiertet arrestant arreste arresten arrestes arrests arrogante arrogantem arroganten arroganter
+arrogantere arrogantes arroganz arschen arsches arschig arschin arschland arschling arschloches
+arschlochs arschlöchern arte artel artemis artenarm artentod arteria arterie artern artet artete
+arteten arthurs artig artige artigem artigen artiger artiges artikelart artikelgut artikellos
+artikeln artikels artikeltyp artist artium arztes asch aschau aschearm aschen aschend ascher aschern
+aschers aschram aschug aspie aspik aspiks aspirant aspirata aspiriere aspiriert aspirins assads
+assai assam assistentinnen assistenz assistenzen atembar atemgas atemhub atemlos atemnot atems
+atemtyp atemweg atemzug atheist athen athenas athene athener athenern atheners athenes athens
+athenäum atherom atlant atlantas atlanten atlantiden atlantik atlantiker atlantiks atlantisch
+atlantische atlas atlatl atmend atmende atmendem atmenden atmender atmendes atmens atmest atmete
+atmeten atmetest atmetet atmosphären atombomben atombomber atombombern atombombers attentate
+attentaten attentates attentats attentäterin attentätern attentäters attraktion attraktive
+attraktivem attraktiven attraktiver attraktivere attraktives attraktivste attraktor audreys aufbacke
+aufbackt aufbahre aufbahrt aufband aufbau aufbauart aufbaue aufbauend aufbauende aufbauendem
+aufbauenden aufbauender aufbauendes aufbauens aufbaues aufbaumaß aufbaus aufbaust aufbaut aufbaute
+aufbauten aufbautet aufbewahre aufbewahren aufbewahrend aufbewahrens aufbewahrst aufbewahrte
+aufbewahrtem aufbewahrten aufbewahrter aufbewahrtes aufbewahrtest aufbewahrtet aufbewahrung
+aufbreche aufbrechend aufbrechende aufbrechenden aufbrechender aufbrechendes aufbrechens aufbrecht
+aufeinanderlag aufeinandersaß aufenthalte aufenthalten aufenthaltes aufenthalts aufenthaltsorte
+aufenthaltsorten aufenthaltsortes aufenthaltsorts aufenthaltstag aufgab aufgabegut aufgabeln
+aufgabelns aufgabelst aufgabelt aufgabelte aufgabenart aufgabentyp aufgabeort aufgabst aufgabt
+aufgang aufgangs aufgebahrt aufgebaute aufgebautem aufgebauten aufgebauter aufgebautes aufgebe
+aufgebend aufgebende aufgebendem aufgebenden aufgebender aufgebendes aufgebens aufgebot aufgebote
+aufgebots aufgebrachte aufgebrachtem aufgebrachten aufgebrachter aufgebrachtes aufgebrannt
+aufgebraten aufgebraust aufgebt aufgefallene aufgefallenem aufgefallenen aufgefallener aufgefallenes
+aufgefaltet aufgegebene aufgegebenem aufgegebenen aufgegebener aufgegebenes aufgegeilt aufgehabt
+aufgehakt aufgehalst aufgehaltene aufgehaltenem aufgehaltenen aufgehaltener aufgehaltenes aufgehe
+aufgehen aufgehend aufgehens aufgehobene aufgehobenem aufgehobenen aufgehobener aufgehobenes
+aufgeholt aufgeholte aufgehst aufgeht aufgeile aufgeilt aufgeld aufgelder aufgeldes aufgelds
+aufgelebt aufgelebte aufgeleckt aufgelegen aufgelegene aufgelegte aufgelegtem aufgelegten
+aufgelegter aufgelegtes aufgelehnt aufgeleimt aufgelesen aufgellen aufgellte aufgelöste aufgelöstem
+aufgelösten aufgelöster aufgelöstere aufgelöstes aufgelötet aufgemachte aufgemachtem aufgemachten
+aufgemachter aufgemachtes aufgemalt aufgemalte aufgenommene aufgenommenem aufgenommenen
+aufgenommener aufgenommenes aufgepasste aufgepasstem aufgepassten aufgepasster aufgepasstes
+aufgeragt aufgeraut aufgereckt aufgeregte aufgeregtem aufgeregten aufgeregter aufgeregtere
+aufgeregtes aufgereiht aufgereizt aufgeschriebene aufgeschriebenem aufgeschriebenen aufgeschriebener
+aufgeschriebenes aufgeschrien aufgestandene aufgestandenem aufgestandenen aufgestandener
+aufgestandenes aufgetan aufgetauchte aufgetauchtem aufgetauchten aufgetauchter aufgetauchtes
+aufgetaut aufgetaute aufgetautem aufgetauten aufgetauter aufgetautes aufgewachsene aufgewachsenem
+aufgewachsenen aufgewachsener aufgewachsenes aufgewachte aufgewachtem aufgewachten aufgewachter
+aufgewachtes aufgewallt aufgewalzt aufgewandt aufgezogene aufgezogenem aufgezogenen aufgezogener
+aufgezogenes aufgibt aufging aufgoss aufgriff aufguss aufhabe aufhabt aufhakt aufhalf aufhalfen
+aufhalfst aufhalft aufhalsen aufhalste aufhaltbar aufhalte aufhaltend aufhaltende aufhaltendem
+aufhaltenden aufhaltender aufhaltendes aufhaltens aufhaltet aufhast aufhat aufhebbar aufhebe
+aufhebele aufhebeln aufhebelst aufhebelt aufhebelte aufhebend aufhebende aufhebendem aufhebenden
+aufhebender aufhebendes aufhebens aufhebst aufhebt aufhebung aufheize aufheizt aufhelfe aufhelft
+aufhelle aufhellt aufhetze aufhetzt aufheule aufheult aufhin aufhob aufhobt aufhole aufholt
+aufhältig aufhältst aufhänge aufhängend aufhängende aufhängendem aufhängenden aufhängender
+aufhängendes aufhängens aufhänger aufhängern aufhängers aufhängst aufhängt aufhängte aufhängten
+aufhängung aufhäufe aufhäuft aufhöre aufhörend aufhörende aufhörendem aufhörenden aufhörender
+aufhörendes aufhörens aufhörst aufhörte aufhörten aufhörtest aufhörtet auflebe aufleben auflebst
+auflebt auflebte auflecke aufleckt auflege auflegend auflegende auflegendem auflegenden auflegender
+auflegendes auflegens auflegst auflegt auflegte auflegten auflegtet auflegung auflehne auflehnt
+aufleime aufleimt auflese auflesen auflest aufmache aufmachend aufmachende aufmachendem aufmachenden
+aufmachender aufmachendes aufmachens aufmacher aufmachst aufmacht aufmachte aufmachten aufmachtet
+aufmachung aufmerke aufmerken aufmerkend aufmerkens aufmerksame aufmerksamem aufmerksamen
+aufmerksamer aufmerksamere aufmerksames aufmerksamkeiten aufmerksamste aufnahm aufnahmeakt
+aufnahmeamt aufnahmeart aufnahmeort aufnahmetag aufnahmetyp aufnahmeweg aufnahmst aufnahmt
+aufnehmbar aufnehme aufnehmend aufnehmende aufnehmendem aufnehmenden aufnehmender aufnehmendes
+aufnehmens aufnehmer aufnehmern aufnehmers aufnehmt aufpasse aufpassend aufpassende aufpassendem
+aufpassenden aufpassender aufpassendes aufpassens aufpasser aufpasserin aufpassern aufpassers
+aufpassest aufpasste aufpassten aufpasstest aufpasstet aufrage aufragt aufraue aufraut aufrechne
+aufrechnen aufrechnet aufrechte aufrechtem aufrechten aufrechter aufrechtes aufrege aufregende
+aufregendem aufregenden aufregender aufregendere aufregendes aufregendste aufregens aufreger
+aufregst aufregt aufregte aufregten aufregtet aufregungen aufreibe aufreibt aufreihe aufreiht
+aufreize aufreizt aufreiße aufreißt aufrichtbar aufrichte aufrichten aufrichtend aufrichtens
+aufrichtest aufrichtet aufrichtete aufrichtige aufrichtigem aufrichtigen aufrichtiger aufrichtigere
+aufrichtiges aufrichtigste aufrichtung aufrieb aufrief aufriss aufruf aufrufe aufrufen aufrufer
+aufrufes aufrufs aufrufst aufruft aufruhrs aufrunde aufräume aufräumend aufräumende aufräumendem
+aufräumenden aufräumender aufräumendes aufräumens aufräumst aufräumt aufräumtag aufräumte aufräumten
+aufräumtet aufsage aufsagt aufsah aufsaht aufsatz aufsaß aufsaßt aufschrei aufschreibe aufschreibend
+aufschreibende aufschreibendem aufschreibenden aufschreibender aufschreibendes aufschreibens
+aufschreibst aufschreibt aufschreie aufschreien aufschreiend aufschreiens aufschreis aufschreist
+aufschreit aufsehe aufsehen aufsehend aufsehende aufsehens aufseherin aufsehern aufsehers aufseht
+aufsetze aufsetzt aufsichten aufsieht aufsitze aufsitzt aufspüre aufspürend aufspürende aufspürendem
+aufspürenden aufspürender aufspürendes aufspürens aufspürer aufspürst aufspürt aufspürte aufspürten
+aufspürtet aufspürung aufstach aufstacht aufstanden aufstandes aufstandest aufstandet aufstands
+aufstandst aufstaple aufstau aufstaue aufstauen aufstaus aufstaust aufstaut aufstaute aufsteche
+aufstecht aufstecke aufsteckt aufstehe aufstehend aufstehende aufstehendem aufstehenden aufstehender
+aufstehendes aufstehens aufstehst aufsteht aufsteige aufsteigt aufstellbar aufstelle aufstellend
+aufstellende aufstellendem aufstellenden aufstellender aufstellendes aufstellens aufsteller
+aufstellern aufstellers aufstellort aufstellst aufstellt aufstellte aufstellten aufstelltet
+aufstellung aufstemme aufstemmt aufsticht aufsticke aufstickt aufstiege aufstiegen aufstieges
+aufstiegs aufstiegst aufstiegt aufstieß aufstob aufstoße aufstoßt aufstufe aufstuft aufstößt aufsäße
+auftakt auftat auftauche auftauchend auftauchende auftauchendem auftauchenden auftauchender
+auftauchendes auftauchens auftauchst auftauchte auftauchten auftauchtest auftauchtet auftaue
+auftauen auftauend auftauens auftaust auftaut auftaute auftauten auftautet aufteen auftraf auftrafen
+auftrage auftragen auftragend auftragens auftrages auftrags auftragt auftragung auftrat auftraten
+auftratet auftratst auftreffe auftrefft auftreibe auftreibt auftrenne auftrennt auftrete auftretend
+auftretende auftretendem auftretenden auftretender auftretendes auftretens auftretet auftrieb
+auftriebe auftriebs auftriebt auftrifft auftritte auftritten auftrittes auftritts auftrittst auftrug
+aufträge aufträgt aufträte auftue auftun auftust auftut aufwache aufwachend aufwachende aufwachendem
+aufwachenden aufwachender aufwachendes aufwachens aufwachse aufwachsen aufwachst aufwachte
+aufwachten aufwachtest aufwachtet aufwalle aufwallt aufwand aufwands aufwarf aufwarft aufwarte
+aufwasch aufzeichne aufzeichnen aufzeichnend aufzeichnens aufzeichnest aufzeichnet aufzeichnete
+aufzog aufzubauende aufzubauendem aufzubauenden aufzubauender aufzubauendes aufzucht aufzuckt
+aufzugbau aufzugebende aufzugebendem aufzugebenden aufzugebender aufzugebendes aufzugehen aufzuges
+aufzugs aufzugtür aufzuhalsen aufzuhaltende aufzuhaltendem aufzuhaltenden aufzuhaltender
+aufzuhaltendes aufzunehmende aufzunehmendem aufzunehmenden aufzunehmender aufzunehmendes aufzutun
+aufzüge augenart augenbad augenblicke augenblicken augenblickes augenblicks augenlid augenlos
+augenmaß augentyp auges augur auguren augusta augustas auguste augustheu augusthof augustin
+augustine augustins augusts augusttag augusttor augustus ausbilde ausbilden ausbildend ausbildens
+ausbilder ausbildern ausbilders ausbildest ausbildet ausbildete ausbildungen ausbrach ausbruches
+ausbruchs ausbrüte ausdenkbar ausdenke ausdenkend ausdenkende ausdenkendem ausdenkenden ausdenkender
+ausdenkendes ausdenkens ausdenkst ausdenkt ausdrehe ausdreht ausdruckbar ausdrucke ausdrucken
+ausdruckend ausdruckens ausdruckes ausdrucks ausdruckst ausdruckt ausdruckte ausdruckten ausdrucktet
+ausdrusch ausdrückbar ausdrücke ausdrückend ausdrückende ausdrückendem ausdrückenden ausdrückender
+ausdrückendes ausdrückens ausdrückst ausdrückt ausdrückte ausdrückten ausdrücktet auseinanderbog
+auseinanderlag auseinanderzog auserwähle auserwählen auserwählst auserwählte auserwähltem
+auserwählten auserwählter auserwähltes auserwähltest ausfall ausfege ausfegt ausfiel ausfinde
+ausfinden ausfindend ausfindest ausfindet ausflippend ausflippens ausflippt ausflog ausfloss
+ausflucht ausfluges ausflugs ausfluss ausflüge ausfraß ausfuge ausfugt ausfuhr ausführbar ausführe
+ausführend ausführende ausführendem ausführenden ausführender ausführendes ausführens ausführer
+ausführerin ausführern ausführers ausführst ausführt ausführte ausführten ausführtet ausführung
+ausgab ausgabebit ausgabebus ausgaben ausgabeort ausgabepin ausgabetag ausgabst ausgabt ausganges
+ausgangs ausgasen ausgast ausgaste ausgebaut ausgebe ausgebeint ausgebend ausgebende ausgebendem
+ausgebenden ausgebender ausgebendes ausgebens ausgeber ausgebern ausgebeten ausgebeult ausgebildete
+ausgebildetem ausgebildeten ausgebildeter ausgebildetes ausgebrochene ausgebrochenem ausgebrochenen
+ausgebrochener ausgebrochenes ausgebt ausgebuht ausgeburt ausgebüxt ausgedachte ausgedachtem
+ausgedachten ausgedachter ausgedachtes ausgedrückte ausgedrücktem ausgedrückten ausgedrückter
+ausgedrücktes ausgefallene ausgefallenem ausgefallenen ausgefallener ausgefallenere ausgefallenes
+ausgefallenste ausgeflickt ausgeflippte ausgeflipptem ausgeflippten ausgeflippter ausgeflipptes
+ausgeführte ausgeführtem ausgeführten ausgeführter ausgeführtes ausgefüllt ausgegangene
+ausgegangenem ausgegangenen ausgegangener ausgegangenes ausgegebene ausgegebenem ausgegebenen
+ausgegebener ausgegebenes ausgehakt ausgehe ausgeheckt ausgeheilt ausgehend ausgehende ausgehendem
+ausgehenden ausgehender ausgehendes ausgehens ausgeholt ausgehst ausgehtipp ausgeixt ausgelebt
+ausgelegt ausgelieferte ausgeliefertem ausgelieferten ausgelieferter ausgeliefertes ausgelobt
+ausgelost ausgelöschte ausgelöschtem ausgelöschten ausgelöschter ausgelöschtes ausgelöste
+ausgelöstem ausgelösten ausgelöster ausgelöstes ausgelötet ausgemachte ausgemachtem ausgemachten
+ausgemachter ausgemachtes ausgemalt ausgemalte ausgeraubte ausgeraubtem ausgeraubten ausgeraubter
+ausgeraubtes ausgeraucht ausgerechnete ausgerechnetem ausgerechneten ausgerechneter ausgerechnetes
+ausgeschaltete ausgeschaltetem ausgeschalteten ausgeschalteter ausgeschaltetes ausgeschlossene
+ausgeschlossenem ausgeschlossenen ausgeschlossener ausgeschlossenes ausgesetzte ausgesetztem
+ausgesetzten ausgesetzter ausgesetztes ausgesprochene ausgesprochenem ausgesprochenen
+ausgesprochener ausgesprochenes ausgesuchte ausgesuchtem ausgesuchten ausgesuchter ausgesuchtere
+ausgesuchtes ausgesät ausgewählte ausgewähltem ausgewählten ausgewählter ausgewähltes ausgezeichnete
+ausgezeichnetem ausgezeichneten ausgezeichneter ausgezeichnetes ausgezogene ausgezogenem
+ausgezogenen ausgezogener ausgezogenes ausgezont ausgeübt ausgibt ausging ausgoss ausgrub ausguck
+ausguss ausgäbe aushalf aushalte aushaltend aushaltende aushaltendem aushaltenden aushaltender
+aushaltendes aushaltens aushaltet auslache auslacht auslade ausladen ausladet auslag auslage
+auslagen auslandes auslands auslange auslangen auslangt auslangte auslas auslass auslasse auslasst
+auslaste auslauf auslaufe auslaufs auslauft auslaugt auslaut auslaute auslebe auslebt auslege
+auslegt ausleiere ausleiern ausleiert ausleihbar ausleihe ausleihend ausleihende ausleihendem
+ausleihenden ausleihender ausleihendes ausleihens ausleiher ausleiherin ausleihern ausleihers
+ausleihst ausleiht ausleihung ausleite ausleiten ausleitet auslese auslest auslief ausliefen
+ausliefere auslieferer auslieferern ausliefernd ausliefernde auslieferndem ausliefernden
+ausliefernder auslieferndes auslieferns auslieferst ausliefert auslieferte auslieferten ausliefertet
+auslieferung ausliefre auslieh ausließ auslobe auslobt auslose auslost auslote auslud auslug auslädt
+ausländeramt ausländerin ausländern ausländerrat ausländers auslösbar auslöschbar auslösche
+auslöschend auslöschende auslöschendem auslöschenden auslöschender auslöschendes auslöschens
+auslöschest auslöschst auslöscht auslöschte auslöschten auslöschtet auslöschung auslöse auslöseart
+auslösend auslösende auslösendem auslösenden auslösender auslösendes auslösens auslöser auslösern
+auslösers auslösest auslöst auslöste auslösten auslöstet auslösung auslöte auslöten auslötet
+ausmache ausmachend ausmachende ausmachendem ausmachenden ausmachender ausmachendes ausmachens
+ausmachst ausmachte ausmachten ausmachtest ausmachtet ausmale ausmalen ausmalst ausmalt ausmalte
+ausmaß ausmaße ausmaßen ausmaßes ausmaßt ausnahm ausnahmeamt ausnahmebau ausnahmen ausnahmetag
+ausnahmetyp ausnahmst ausnahmt ausnutzbar ausnutze ausnutzend ausnutzende ausnutzendem ausnutzenden
+ausnutzender ausnutzendes ausnutzens ausnutzest ausnutzt ausnutzte ausnutzten ausnutztet ausnutzung
+ausprobiere ausprobierend ausprobierende ausprobierendem ausprobierenden ausprobierender
+ausprobierendes ausprobierens ausprobierst ausprobiert ausprobierte ausprobiertem ausprobierten
+ausprobierter ausprobiertes ausprobiertet ausredend ausredende ausredendem ausredenden ausredender
+ausredendes ausredens ausredest ausredet ausredete ausredeten ausredetet ausreibe ausreibt ausreife
+ausreift ausreise ausreist ausreite ausreize ausreizt ausreiße ausreißt ausrenke ausrenkt ausrichte
+ausrichtend ausrichtende ausrichtendem ausrichtenden ausrichtender ausrichtendes ausrichtens
+ausrichter ausrichterin ausrichtest ausrichtet ausrichtete ausrichteten ausrichtetet ausrichtung
+ausrieb ausrief ausriss ausritt ausruf ausrufe ausrufen ausrufer ausrufs ausrufst ausruft ausruhe
+ausruhend ausruhende ausruhendem ausruhenden ausruhender ausruhendes ausruhens ausruhst ausruht
+ausruhte ausruhten ausruhtet ausrupft ausrüstbar ausrüste ausrüsten ausrüstend ausrüstens ausrüster
+ausrüstern ausrüsters ausrüstest ausrüstet ausrüstete ausrüstungen aussaat aussageakt aussagend
+aussagende aussagendem aussagenden aussagender aussagendes aussagens aussagetyp aussagst aussagt
+aussagte aussagten aussagtet aussahen aussahst aussaht aussann aussatz aussauge aussaugt aussaß
+aussaßen ausschabe ausschaben ausschabst ausschabt ausschabte ausschale ausschalen ausschalend
+ausschalens ausschalst ausschalt ausschaltbar ausschalte ausschaltend ausschaltende ausschaltendem
+ausschaltenden ausschaltender ausschaltendes ausschaltens ausschalter ausschaltern ausschalters
+ausschaltest ausschaltet ausschaltete ausschalteten ausschaltetet ausschaltung ausschalung ausschank
+ausschanks ausschaue ausschauen ausschauend ausschauens ausschaust ausschaut ausschaute ausschauten
+ausschautet ausschere ausschert ausschied ausschlafe ausschlafen ausschlaft ausschlage ausschlagen
+ausschlagend ausschlagens ausschlags ausschlagt ausschlagung ausschlief ausschloss ausschlug
+ausschluss ausschläft ausschläge ausschlägt ausschote ausschule ausschult ausschuss ausschäle
+ausschält aussehend aussehende aussehendem aussehenden aussehender aussehendes aussehens ausseht
+aussende aussetze aussetzt aussichten aussieben aussiebst aussiebt aussiebte aussiedle aussinne
+aussinnt aussitze aussitzt aussog aussogt ausspie ausspreche aussprechend aussprechende
+aussprechendem aussprechenden aussprechender aussprechendes aussprechens aussprecht aussteche
+ausstecht ausstehe ausstehend ausstehende ausstehendem ausstehenden ausstehender ausstehendes
+ausstehens ausstehst aussteht aussteige aussteigend aussteigende aussteigendem aussteigenden
+aussteigender aussteigendes aussteigens aussteiger aussteigerin aussteigern aussteigers aussteigst
+aussteigt ausstellbar ausstelle ausstellen ausstellend ausstellens aussteller ausstellern
+ausstellers ausstellst ausstellt ausstellte ausstellten ausstelltet ausstellungen aussterbe
+aussteuer ausstoß aussuche aussuchend aussuchende aussuchendem aussuchenden aussuchender
+aussuchendes aussuchens aussuchst aussucht aussuchte aussuchten aussuchtet aussäen aussäge aussägt
+aussähe aussäht austauschbar austauschbau austausche austauschen austauschend austauschens
+austauscher austausches austauschest austauschs austauschst austauscht austauschte austauschten
+austauschtet auster austern austicke austickt austilge austilgt austins austobe austobt austrag
+austral australiens australier australierin australiern australiers australis australisch austrat
+austria austrug auswahlbox auswahltyp auswalke auswalkt auswarf auswarft auswege auswegen ausweglos
+auswegs ausweiche ausweicht ausweiden ausweine ausweinen ausweinst ausweint ausweinte ausweisbar
+ausweise ausweisen ausweisend ausweisens ausweises ausweisest ausweist ausweisung ausweite ausweiten
+ausweitet auswerfe auswerft auswerte auswetze auswetzt auswich auswies auswirkung auswog auswurf
+auszehre auszehrt auszeiten ausziehbar ausziehe ausziehend ausziehens auszieher ausziehern
+ausziehers ausziehst auszieht auszog auszogt auszug auszugs auszüge autobahnamt autobahnbau
+autobahnen autobahnnah autobahnsee autobank autobau autobauer autobaues autobaus autobild autoboom
+autoboot autobox autoboy autoboys autobus autocar autocue autofan autogam autogas autogen autograf
+autografen autografie autogramme autogrammen autogramms autograph autogrill autohof automat
+automatik automatiken automation automatische automatischem automatischen automatischer
+automatisches automatismen automatismus autonom autonym autopass autophon autopsien autoput autorad
+autoraub autorecht autoreise autorenduo autorennen autoriese autorin autoritär autoritäre
+autoritärem autoritären autoritärer autoritäres autoritäten autors autoruf autorufe autosatz
+autosave autosex autoshow autositz autosom autosoms autospur autotyp autotür autouhr autounfalls
+autoweg autozug autoöl autoöle außenamt außenbau außenfuß außenhof außenmaß außenohr außenrad
+außensee außenski außentor außentür außenvor außergewöhnliche außergewöhnlichem außergewöhnlichen
+außergewöhnlicher außergewöhnlichere außergewöhnliches außergewöhnlichste avend avenida avenuen
+babel babels babett babette babybär babyfon babyfuß babylon babypo babysex babysitten babysitterin
+babysittern babysitting babyöl bachaue bache baches bachhof bachmut bachs bachtor bade badekur
+badend badende badendem badenden badender badendes badener badenern badenixe badenova badens
+badenser badeort bader badern baders bades badesee badest badet badetag badete badeten badetet
+badetod badewagen badewannen badezimmern badezimmers badezimmertür bahnart bahnbau bahnbus bahne
+bahnen bahnend bahnfan bahnhaus bahnhofbau bahnhofes bahnhofs bahnhofstr bahnhöfe bahnhöhe bahnrad
+bahnst bahnt bahntag bahnte bahnten bahntet bahntyp bahnweg bahnzug bailli bake bakel bakelit baken
+balda balder baldger baldig baldige baldo baldram balduin baldur baldurs balkan balkans balken
+balkens balkone balkonen balkonien balkons balkontür ballade ballart ballast balle ballei ballen
+ballend ballende ballens ballere ballerei ballern ballernd ballerns ballerst ballert ballerte balles
+ballettes balletts balley ballhof ballon ballone ballons ballre balls ballst ballt ballte ballten
+balltet balltyp ballung ballweg balte balten baltica baltimores baltin baltrum banda bandage bandana
+bandarm bandbus bandecho bandecke banden bandende bandes bandest bandet bandeule bandidee bandido
+bandidos bandit banditentum banditin bandmaß bands bandst bandtyp bandura bankart bankenhof
+bankentag banker bankerin bankern bankers bankert bankett bankette banketts bankier banking banktag
+barb barbados barbar barbaras barbarei barbaren barbarin barbarina barbarine barbe barbera barbi
+barbie barbier barbies barbing barbla barbli barbro barbuda barby barg bargelder bargeldern
+bargeldes bargeldlos bargelds bargen bargst bargt barnaul barnd barnim barnims barock barocke
+barocks barolo barone baronen baroness baronin barons barras barrel barren barrens bartalk bartaxt
+barte bartel barten bartes barth barthel bartlos bartoli bartsch barttyp bartók bartóks baseballfan
+baseballs basedow basel baseler basels basen basic basics basiere basieren basierend basierte
+basiertem basierten basierter basiertes basiertest basiertet basilekt basilia basilika basilisk
+basilius basisbau basisch basische basisgut basismaß basisnah basisruß basiston basistyp basisweg
+basiszug basketballer basketballern basketballers basketballfan basketballs bast basta bastarden
+bastardes bastards bastei bastele basteln bastelt basten bastes bastian bastion bastle bastler
+batterieart batterieei batterietyp batterieuhr batteriezug bauches bauchfuß bauchig bauchige bauchs
+bauchweh bauend bauende bauendem bauenden bauender bauendes bauens bauerbe bauerben bauerle
+bauernart bauernbad bauernbub bauerndom bauernduo bauerngut bauernhof bauernnot bauernort bauernrat
+bauernsee bauerntag bauerntum bauernweg bauernzug bauers baues bauetat baumann baumarm baumart
+baumast baumboa baumele baumeln baumelt baumert baumes baumgut baumhof baumine baumle baumlos
+baumole baums baumtag baumtyp baumöl baumöle bautag bautage bauteam bauteams bauteile bauteilen
+bauteiles bauteils bauteiltyp bautempo bautest bautet bautier bauturm bautyp bautyps bautzen beachte
+beachtend beachtende beachtendem beachtenden beachtender beachtendes beachtens beachtest beachtet
+beachtete beachtetem beachteten beachteter beachtetes beachtetet beachtung beame beamen beamend
+beamer beamern beamers beamst beamt beamteneid beamtenort beamtenrat beamtentum beamtest beamtet
+beamtete beamtetem beamteten beamteter beamtetes beamtin beamtstg beamtvg beantwortbar beantworte
+beantwortend beantwortende beantwortendem beantwortenden beantwortender beantwortendes beantwortens
+beantworter beantworterin beantwortern beantworters beantwortest beantwortete beantwortetem
+beantworteten beantworteter beantwortetes beantwortetest beantwortetet beantwortung beauftrage
+beauftragen beauftragend beauftragens beauftragst beauftragte beauftragtem beauftragten beauftragter
+beauftragtes beauftragtest beauftragtet beauftragung bechere becherhof bechern bechernd bechernde
+becherns bechers becherst bechert becherte becherten bechertet becken beckens becker beckers beckett
+becks beckum becky beckys bedacht bedanke bedankend bedankende bedankendem bedankenden bedankender
+bedankendes bedankens bedankst bedankt bedankte bedankten bedanktet bedarf bedarfe bedarfs bedauere
+bedauern bedauert bede bedecke bedecken bedeckend bedeckens bedeckst bedeckte bedecktem bedeckten
+bedeckter bedecktes bedecktest bedecktet bedeckung bedenke bedenkend bedenkende bedenkendem
+bedenkenden bedenkender bedenkendes bedenkenlos bedenkens bedenkst bedeute bedeutend bedeutende
+bedeutendem bedeutenden bedeutender bedeutendes bedeutens bedeutest bedeuteten bedeutetest
+bedeutetet bedeutsam bedeutungen bedien bedienbar bediene bedienend bedienende bedienendem
+bedienenden bedienender bedienendes bedienens bediener bedienerin bedienern bedieners bedienort
+bedienst bediente bedienteil bedientem bedienten bedienter bedientes bedientest bedientet bedienung
+bedinge bedingen bedingend bedingens bedingest bedingst bedingt bedingte bedingtem bedingten
+bedingter bedingtes bedingtet bedrohe bedrohen bedrohend bedrohens bedrohst bedrohte bedrohtem
+bedrohten bedrohter bedrohtes bedrohtest bedrohtet bedrohungen bedrücke bedrücken bedrückend
+bedrückens bedrückst bedrückte bedrücktem bedrückten bedrückter bedrücktes bedrücktest bedrücktet
+bedrückung bedürfe bedürfen bedürfend bedürfnislos bedürfnissen bedürfnisses bedürft bedürfte
+bedürften bedürftig beeide beeiden beeidet beeile beeilend beeilende beeilendem beeilenden
+beeilender beeilendes beeilens beeilst beeilte beeilten beeiltest beeiltet beeindruckbar beeindrucke
+beeindruckende beeindruckendem beeindruckenden beeindruckender beeindruckendes beeindruckendste
+beeindruckens beeindruckst beeindruckte beeindrucktem beeindruckten beeindruckter beeindrucktes
+beeindrucktest beeindrucktet beeinflussbar beeinflusse beeinflussend beeinflussende beeinflussendem
+beeinflussenden beeinflussender beeinflussendes beeinflussens beeinflussest beeinflusste
+beeinflusstem beeinflussten beeinflusster beeinflusstes beeinflusstest beeinflusstet beeinflussung
+beende beendend beendende beendendem beendenden beendender beendendes beendens beendest beendete
+beendetem beendeten beendeter beendetes beendetest beendetet beendige beendigt beendung beeng beenge
+beengen beengst beengt beengte beerdige beerdigen beerdigend beerdigens beerdigst beerdigt beerdigte
+beerdigtem beerdigten beerdigter beerdigtes beerdigtet beerdigungen befahlen befahlst befahlt
+befahre befahren befahrt befall befalls befand befasse befasst befehden befehdet befehlend
+befehlende befehlendem befehlenden befehlender befehlendes befehlens befehlige befehligt befehls
+befehlt befinde befindend befindende befindendem befindenden befindender befindendes befindens
+befindest befohlene befohlenem befohlenen befohlener befohlenes befolge befolgend befolgende
+befolgendem befolgenden befolgender befolgendes befolgens befolger befolgst befolgte befolgtem
+befolgten befolgter befolgtes befolgtest befolgtet befolgung befotzt befrackt befrage befragend
+befragende befragendem befragenden befragender befragendes befragens befrager befragerin befragst
+befragte befragtem befragten befragter befragtes befragtest befragtet befragungen befranst befreie
+befreiend befreiende befreiendem befreienden befreiender befreiendes befreiens befreier befreierin
+befreiern befreiers befreist befreite befreitem befreiten befreiter befreites befreitest befreitet
+befreiung befremde befreunde befreunden befreundend befreundende befreundest befreundete
+befreundetem befreundeten befreundeter befreundetes befreundetest befreundetet befördere beförderer
+befördern befördernd befördernde beförderns beförderst beförderte befördertem beförderten
+beförderter befördertes befördertest befördertet beförderungen befördre befürchtend befürchtende
+befürchtendem befürchtenden befürchtender befürchtendes befürchtens befürchtest befürchtete
+befürchtetem befürchteten befürchteter befürchtetes befürchtetest befürchtetet befürchtung begab
+begaben begabst begabt begabte begafft begangene begangenem begangenen begangener begangenes
+begannst begannt begasen begast begatte begebe begebend begebende begebendem begebenden begebender
+begebendes begebens begebt begegne begegnend begegnende begegnendem begegnenden begegnender
+begegnendes begegnens begegnest begegnete begegneten begegnetest begegnetet begegnungen begehbar
+begehe begehend begehende begehendem begehenden begehender begehendes begehens begehr begehre
+begehren begehrst begehrt begehrte begehst begeht begehung begeistere begeistern begeisternd
+begeisternde begeisterns begeisterst begeisterte begeistertem begeisterten begeisterter begeistertes
+begeistertest begeistertet begeisterungen begeistre begib begibst begibt begier begieße begießt
+beging beginge begingen begingst begingt beginne beginnend beginnende beginnendem beginnenden
+beginnender beginnendes beginnens beginner beginners beginns beginnst begleiche begleicht begleitart
+begleitend begleitende begleitendem begleitenden begleitender begleitendes begleitens begleiter
+begleiterin begleitern begleiters begleitest begleitete begleitetem begleiteten begleiteter
+begleitetes begleitetest begleitetet begleitgas begleitungen begleitzug begonie begonien begonnene
+begonnenem begonnenen begonnener begonnenes begrabe begrabend begrabene begrabenem begrabenen
+begrabener begrabenes begrabens begrabt begrannt begreifbar begreife begreifend begreifende
+begreifendem begreifenden begreifender begreifendes begreifens begreifst begreift begriffe
+begriffene begriffenem begriffenen begriffener begriffenes begriffes begriffs begriffst begrifft
+begrub begrubt begräbt begrübe begrüben begrübet begründe begrünen begrünt begrünte begrüß begrüße
+begrüßend begrüßende begrüßendem begrüßenden begrüßender begrüßendes begrüßens begrüßest begrüßt
+begrüßte begrüßtem begrüßten begrüßter begrüßtes begrüßtet begrüßung behaart behage behagen behagst
+behagt behagte behalf behalfen behalfst behalft behaltend behaltende behaltendem behaltenden
+behaltender behaltendes behaltene behaltenem behaltenen behaltener behaltenes behaltens behaltet
+behandelbar behandele behandelnd behandelnde behandelndem behandelnden behandelnder behandelndes
+behandelns behandelst behandelte behandeltem behandelten behandelter behandeltes behandeltest
+behandeltet behandle behandler behandlern behandlers behandlungen behang behangs beharre beharrt
+behaue behauen behaupte behauptend behauptende behauptendem behauptenden behauptender behauptendes
+behauptens behauptest behauptete behauptetem behaupteten behaupteter behauptetes behauptetest
+behauptetet behauptung behause behaust behaut behaute beherrsch beherrschbar beherrsche beherrschend
+beherrschende beherrschendem beherrschenden beherrschender beherrschendes beherrschens beherrscher
+beherrscherin beherrschers beherrschest beherrschst beherrschte beherrschtem beherrschten
+beherrschter beherrschtes beherrschtest beherrschtet beherrschung behilfliche behilflichem
+behilflichen behilflicher behilfliches behindere behindern behindernd behindernde behinderns
+behinderst behinderte behindertem behinderten behinderter behindertes behindertest behindertet
+behinderung behindre behält behälterart behälterbau behältern behälters behältertyp behälterzug
+behältnis behältst behörde behördenakt behördenbau behördenhof behördenweg beibringe beibringend
+beibringende beibringendem beibringenden beibringender beibringendes beibringens beibringst
+beibringt beibringung beidem beider beidl beigebrachte beigebrachtem beigebrachten beigebrachter
+beigebrachtes beigebrauch beil beilag beilage beilast beile beilege beilegen beilegst beilegt
+beilegte beileibe beileides beileids beilen beiles beils beimann beimaß beimaßt beimpft beimäße
+beinah beiname beinamen beinart beinende beinendes beinern beinerne beines beinhalte beinhalten
+beinhaltend beinhaltende beinhaltens beinhalter beinhaltern beinhalters beinhaltest beinhaltete
+beinhaltetem beinhalteten beinhalteter beinhaltetes beinhaltetest beinhaltetet beinhaltung beinlos
+beins beisegel beiseil beiseile beiseilen beiseils beisein beiseins beisel beisetze beisetzt
+beispielart beispiele beispielen beispieles beispiellos beispielort beispiels beitel beiten beitrage
+beitragen beitragend beitragens beitrages beitrags beitragt beitrat beitraten beitratet beitratst
+beitrete beitritt beitrug beitrugt beiträge beiträgt beiträte beitrüge beitrügt beiß beiße beißend
+beißende beißendem beißenden beißender beißendes beißens beißer beißerei bekamst bekamt bekannte
+bekanntem bekannter bekanntere bekannterem bekannteren bekannterer bekannteres bekanntes bekanntest
+bekannteste bekanntet bekanntgab bekoche bekocht bekomm bekommend bekommende bekommendem bekommenden
+bekommender bekommendes bekommens bekäme bekämen bekämpfbar bekämpfe bekämpfend bekämpfende
+bekämpfendem bekämpfenden bekämpfender bekämpfendes bekämpfens bekämpfst bekämpfte bekämpftem
+bekämpften bekämpfter bekämpftes bekämpftest bekämpftet bekämpfung bekämst bekämt belas belasse
+belassen belasst belastbar belaste belastend belastende belastendem belastenden belastender
+belastendes belastens belastest belastet belastete belastetem belasteten belasteter belastetes
+belastetet belastung belebe beleben belebst belebt belebte belecke beleckt beleg belegart belegbar
+belege belegen belegend belegens beleges belegs belegst belegtag belegtage belegte belegtem belegten
+belegter belegtes belegtest belegtet belegung belehnt belehre belehrt beleibt beleidige beleidigend
+beleidigende beleidigendem beleidigenden beleidigender beleidigendes beleidigens beleidiger
+beleidigerin beleidigern beleidigers beleidigst beleidigte beleidigtem beleidigten beleidigter
+beleidigtes beleidigtest beleidigtet beleidigungen beleihe beleiht belesen beleuchte beleuchten
+beleuchtend beleuchtens beleuchter beleuchtern beleuchters beleuchtest beleuchtet beleuchtete
+beleuchtungen belial beliar beliebe belieben beliebend beliebens beliebig beliebige beliebst
+beliebte beliebtem beliebten beliebter beliebtere beliebtes beliebtest beliebtet belief beliefen
+belieh beliehen beliehst belieht beließ beließe beließen beließt belize belizer bella belle bellen
+bellend bellens bellis bello bellos bells bellst bellt bellte bellten belltet belog belogene
+belogenem belogenen belogener belogenes belogst belogt belohn belohne belohnen belohnend belohnens
+belohnst belohnte belohntem belohnten belohnter belohntes belohntest belohntet belohnungen belästige
+belästigend belästigende belästigendem belästigenden belästigender belästigendes belästigens
+belästigst belästigte belästigtem belästigten belästigter belästigtes belästigtest belästigtet
+belästigung belüge belügend belügende belügendem belügenden belügender belügendes belügens belügst
+belügt bemehlt bemerkbar bemerke bemerkend bemerkende bemerkendem bemerkenden bemerkender
+bemerkendes bemerkens bemerkst bemerktem bemerkten bemerkter bemerktes bemerktest bemerktet
+bemerkung bemesse bemesst bemühe bemühend bemühende bemühendem bemühenden bemühender bemühendes
+bemühens bemühst bemühte bemühtem bemühten bemühter bemühtes bemühtest bemühtet bemühung bemützt
+benage benagen benagst benagt benagte benahm benahmt benamst benannte benanntem benannten benannter
+benanntes benanntest benanntet bendorf beneble benefit benefiz benehme benehmend benehmende
+benehmendem benehmenden benehmender benehmendes benehmens benehmt beneiden beneidend beneidende
+beneidens beneidest beneidet beneidete beneidetem beneideten beneideter beneidetes beneidetet
+benelux benenn benenne benennt benetze benetzt benigna benigne benimm benin beniner benins benito
+benitos benjamins benn benno bennos benns benommene benommenem benommenen benommener benommenes
+benutzbar benutzend benutzende benutzendem benutzenden benutzender benutzendes benutzens benutzer
+benutzerin benutzern benutzers benutzest benutztem benutzter benutztes benutztest benutztet
+benutzung benz benzidin benzinart benzinbad benzinbus benziner benzinern benziners benzingen benzins
+benzinuhr benzinwut benzoe benzol benzols benötige benötigend benötigende benötigendem benötigenden
+benötigender benötigendes benötigens benötigst benötigte benötigtem benötigten benötigter benötigtes
+benötigtest benötigtet beobachtbar beobachtend beobachtende beobachtendem beobachtenden
+beobachtender beobachtendes beobachtens beobachter beobachterin beobachtern beobachters beobachtest
+beobachtete beobachtetem beobachteten beobachteter beobachtetes beobachtetest beobachtetet
+beobachtung bequeme bequemem bequemen bequemend bequemer bequemere bequemes bequemst bequemste
+bequemt bequemte bequemten bequemtet berankt berannt berappe berappt berate beraten beratend
+beratende beratene beratenem beratenen beratener beratenes beratens beraterin beratern beraters
+beratet beratung beraube beraubt beraumt berechnung berede beredend beredende beredendem beredenden
+beredender beredendes beredens beredest beredet beredete beredetem beredeten beredeter beredetes
+beredetet beredsam beredt beredte beredtem beredten beredter beredtes bereiche bereichen bereichere
+bereichern bereichert bereiches bereichs bereifen bereift bereifte bereise bereisen bereist bereiste
+bereitend bereitende bereitendem bereitenden bereitender bereitendes bereitens bereiter bereitest
+bereitete bereitetem bereiteten bereiteter bereitetes bereitetest bereitetet bereitlag
+bereitschaften bereitung bereuend bereuende bereuendem bereuenden bereuender bereuendes bereuens
+bereust bereut bereute bereutem bereuten bereuter bereutes bereutet bergab bergamo bergamt bergan
+bergart bergauf bergbad bergbau bergend bergende bergendem bergenden bergender bergendes bergens
+bergente bergenten berger bergers berges bergfex bergfuß berggut berghof berghut bergig bergige
+bergler bergnot bergort bergrad bergrat bergruf bergs bergsee bergski bergt bergtal bergtee bergtod
+bergtor bergtyp bergung bergweg bergzoo bergzug berichtend berichtende berichtendem berichtenden
+berichtender berichtendes berichtens berichtes berichtest berichtete berichtetem berichteten
+berichteter berichtetes berichtetest berichtetet berichtige berichtigt berichts berief beriefe
+berieft beriet bering beringe beringt berit beritt berkel berkeleys berkelium berlinale berliner
+berlinern berliners berlinert berlinnah berlins berlitz bernards bernau bernauer bernaus bernd
+bernds berner bernern berners bernisch berns bernt berta bertas bertha berthas berti bertis bertolt
+bertram berts berufe berufen berufend berufene berufens berufes berufliche beruflichem beruflichen
+beruflicher berufliches berufs berufst beruft berufungen beruhe beruhen beruhend beruhens beruhigend
+beruhigende beruhigendem beruhigenden beruhigender beruhigendes beruhigens beruhigst beruhigte
+beruhigtem beruhigten beruhigter beruhigtes beruhigtest beruhigtet beruhigung beruhigungsmitteln
+beruhigungsmittels beruhst beruht beruhte beruhten beruhtet berücke berückt berühmtem berühmter
+berühmtere berühmterem berühmteren berühmterer berühmteres berühmtes berühmteste berühmung berührbar
+berühre berührend berührende berührendem berührenden berührender berührendes berührens berührst
+berührte berührtem berührten berührter berührtes berührtest berührtet berührungen besage besagen
+besagend besagens besagst besagte besagtem besagten besagter besagtes besagtest besagtet besah
+besahen besahst besaht besaite besame besamen besamst besamt besamte besan besang besann besannt
+besatz besatzer besatzern besatzers besatzes besatzungen besaufe besauft besaß besaßen besaßt besch
+beschaff beschaffbar beschaffe beschaffend beschaffende beschaffendem beschaffenden beschaffender
+beschaffendes beschaffene beschaffenem beschaffenen beschaffener beschaffenes beschaffens beschaffst
+beschafft beschaffte beschafftem beschafften beschaffter beschafftes beschafftet beschaffung beschau
+beschaue beschaut bescheide bescheidend bescheidende bescheidendem bescheidenden bescheidender
+bescheidendes bescheidene bescheidenem bescheidenen bescheidener bescheidenere bescheidenes
+bescheidens bescheidenste bescheides bescheidest bescheidet bescheids bescheidung bescheine
+bescheinen bescheinst bescheint bescheißen bescheißt beschenke beschenkt beschere bescheren
+bescherst beschert bescherte bescheuerte bescheuertem bescheuerten bescheuerter bescheuertere
+bescheuertes bescheuertste beschied beschien beschiss beschissenem beschissenere beschissenerem
+beschisseneren beschissenerer beschisseneres beschissenes beschlafe beschlaft beschlag beschlage
+beschlags beschlagt beschleunige beschleunigend beschleunigende beschleunigendem beschleunigenden
+beschleunigender beschleunigendes beschleunigens beschleuniger beschleunigern beschleunigers
+beschleunigst beschleunigt beschleunigte beschleunigtem beschleunigten beschleunigter beschleunigtes
+beschleunigtet beschleunigung beschlich beschlief beschlossene beschlossenem beschlossenen
+beschlossener beschlossenes beschlossest beschlosst beschlug beschlugt beschluss beschläft beschläge
+beschlägt beschoss beschreibbar beschreibe beschreibend beschreibende beschreibendem beschreibenden
+beschreibender beschreibendes beschreibens beschreibst beschreibt beschreibungen beschreien
+beschreiens beschreite beschreiten beschreitet beschrieb beschriebe beschriebene beschriebenem
+beschriebenen beschriebener beschriebenes beschriebest beschriebet beschriebst beschriebt
+beschuldige beschuldigend beschuldigende beschuldigendem beschuldigenden beschuldigender
+beschuldigendes beschuldigens beschuldigst beschuldigte beschuldigtem beschuldigten beschuldigter
+beschuldigtes beschuldigung beschult beschuss beschwerde beschwerden beschwere beschwerend
+beschwerende beschwerendem beschwerenden beschwerender beschwerendes beschwerens beschwernis
+beschwerst beschwerte beschwertem beschwerten beschwerter beschwertes beschwertest beschwertet
+beschwerung beschwor beschwort beschwöre beschwört beschädige beschädigen beschädigend beschädigens
+beschädigst beschädigte beschädigtem beschädigten beschädigter beschädigtes beschädigtest
+beschädigtet beschädigung beschäftige beschäftigend beschäftigende beschäftigendem beschäftigenden
+beschäftigender beschäftigendes beschäftigens beschäftigst beschäftigte beschäftigtem beschäftigten
+beschäftigter beschäftigtes beschäftigtest beschäftigtet beschäftigung beschält beschäme beschämt
+beschürzt beschützend beschützende beschützendem beschützenden beschützender beschützendes
+beschützens beschützer beschützerin beschützern beschützers beschützest beschützte beschütztem
+beschützten beschützter beschütztes beschütztest beschütztet beschützung bese beseele beseelt besehe
+besehen beseht beseitige beseitigend beseitigende beseitigendem beseitigenden beseitigender
+beseitigendes beseitigens beseitigst beseitigte beseitigtem beseitigten beseitigter beseitigtes
+beseitigtest beseitigtet beseitigung besen besens besessene besessenem besessenen besessener
+besessenes besetzbar besetze besetzen besetzend besetzens besetzer besetzern besetzest besetzte
+besetztem besetzten besetzter besetztes besetztest besetztet besetzungen besiedle besiege besiegele
+besiegeln besiegelnd besiegelns besiegelst besiegelt besiegelte besiegend besiegende besiegendem
+besiegenden besiegender besiegendes besiegens besieger besiegle besiegst besiegte besiegtem
+besiegten besiegter besiegtes besiegtest besiegtet besiegung besieht besinge besingt besinn besinne
+besinnt besitzend besitzende besitzendem besitzenden besitzender besitzendes besitzens besitzerben
+besitzerin besitzern besitzers besitzes besitzest besitzlos besitzteil besitztum besitztums
+besitzung besoff besoffene besoffenem besoffenen besoffener besoffenes besoffst besofft besohle
+besohlt besolde besonderem besonne besonnt besorgend besorgende besorgendem besorgenden besorgender
+besorgendes besorgens besorgnis besorgst besorgte besorgtem besorgten besorgter besorgtere besorgtes
+besorgtest besorgtet besorgung bespreche besprechend besprechende besprechendem besprechenden
+besprechender besprechendes besprechens besprecht besprechungen besprochene besprochenem
+besprochenen besprochener besprochenes besserem bessern bessernd bessernde besserns besserst bessert
+besserte besserten bessertet besserung bessre best-of bestach bestacht bestahl bestahlt bestallt
+bestandene bestandenem bestandenen bestandener bestandenes bestandes bestandest bestandet bestands
+bestatte bestaune bestaunt besteche bestecht besteck bestecke besteckt bestehend bestehende
+bestehendem bestehenden bestehender bestehendes bestehens bestehle bestehlen bestehlt bestehst
+besteige besteigt bestellbar bestelle bestellend bestellende bestellendem bestellenden bestellender
+bestellendes bestellens besteller bestellerin bestellern bestellers bestellmaß bestellnr bestellst
+bestellte bestelltem bestellten bestellter bestelltes bestelltest bestelltet bestelltext
+bestellungen bestem bestich besticht besticke bestickt bestieg bestiegen bestiegst bestiegt
+bestiehlt bestien bestimmbar bestimme bestimmend bestimmende bestimmendem bestimmenden bestimmender
+bestimmendes bestimmens bestimmst bestimmtem bestimmter bestimmtere bestimmterem bestimmteren
+bestimmterer bestimmteres bestimmtes bestimmtest bestimmteste bestimmtet bestimmungen bestirnt
+bestrafe bestrafend bestrafende bestrafendem bestrafenden bestrafender bestrafendes bestrafens
+bestrafst bestrafte bestraftem bestraften bestrafter bestraftes bestraftest bestraftet bestrafungen
+bestrahle bestrahlt bestrebe bestrebt bestreue bestreut bestrich bestritt bestätigbar bestätige
+bestätigend bestätigende bestätigendem bestätigenden bestätigender bestätigendes bestätigens
+bestätigst bestätigte bestätigtem bestätigten bestätigter bestätigtes bestätigtest bestätigtet
+bestätigungen besuchbar besuchend besuchende besuchendem besuchenden besuchender besuchendes
+besuchens besucherhof besucherin besuchern besuchers besucherweg besuches besuchs besuchst besuchtem
+besuchten besuchter besuchtes besuchtest besuchtet besudle beteilige beteiligen beteiligend
+beteiligens beteiligst beteiligte beteiligtem beteiligten beteiligter beteiligtes beteiligtest
+beteiligtet beteiligung betel betend betende betendem betenden betender betendes betens beter
+beterin betest betete beteten betetest betetet bethaus bethel betr betrachtend betrachtende
+betrachtendem betrachtenden betrachtender betrachtendes betrachtens betrachter betrachterin
+betrachtern betrachters betrachtest betrachtete betrachtetem betrachteten betrachteter betrachtetes
+betrachtetest betrachtetet betrachtung betraf betrafen betrafst betraft betrag betrage betragen
+betrages betrags betragt betrank betrankt betrat betraten betratet betratst betraue betrauen betraum
+betraust betraut betraute betreff betreffe betreffs betrefft betreibbar betreibe betreibend
+betreibende betreibendem betreibenden betreibender betreibendes betreibens betreiber betreiberin
+betreibern betreibers betreibst betreibt betreibung betresst betretbar betrete betretend betretende
+betretendem betretenden betretender betretendes betretene betretenem betretenen betretener
+betretenes betretens betretet betretung betreue betreuen betreuer betreust betreut betreute betriebe
+betrieben betriebene betriebes betriebs betriebsam betriebst betriebt betriffst betrinke betrinkt
+betritt betroffene betroffenem betroffenen betroffener betroffenere betroffenes betroffenste betrog
+betrogene betrogenem betrogenen betrogener betrogenes betrogst betrogt betrugen betruges betrugs
+betrugst betrugt betrunkene betrunkenem betrunkenen betrunkener betrunkenes betrvg beträfe beträfen
+beträge beträgen beträgst betröge betrübe betrüben betrübst betrübt betrübte betrüge betrügend
+betrügende betrügendem betrügenden betrügender betrügendes betrügens betrügerei betrügerin betrügern
+betrügers betrügst bettag bette bettel bettelarm bettele bettelei bettelnarr bettelnd bettelnde
+bettelndem bettelnden bettelnder bettelndes bettelns bettelruf bettelst bettelt bettelte bettelten
+betteltet bettenbau bettend bettende bettendem bettenden bettender bettendes bettens bettes bettest
+bettet bettete betteten bettetet betti bettina bettis bettle bettler betts bettung bettys betäube
+betäuben betäubend betäubens betäubst betäubte betäubtem betäubten betäubter betäubtes betäubtest
+betäubtet betäubung beunruhige beunruhigen beunruhigend beunruhigens beunruhigst beunruhigte
+beunruhigtem beunruhigten beunruhigter beunruhigtes beunruhigtest beunruhigtet beunruhigung
+beurteilbar beurteile beurteilend beurteilende beurteilendem beurteilenden beurteilender
+beurteilendes beurteilens beurteiler beurteilern beurteilst beurteilt beurteilte beurteiltem
+beurteilten beurteilter beurteiltes beurteiltet beurteilung beuteakt beutearm beuteart beutegut
+beutelbär beutele beuteln beutelnd beutelnde beutels beutelst beutelt beutelte beuteltee beutelten
+beuteltet beutelust beuten beutest beutet beutete beuteten beutewal beutezug beuth beuthen beutle
+beverau bevölkere bevölkern bevölkernd bevölkernde bevölkerns bevölkerst bevölkert bevölkerte
+bevölkertem bevölkerten bevölkerter bevölkertes bevölkertet bevölkerungen bewache bewachend
+bewachende bewachendem bewachenden bewachender bewachendes bewachens bewacher bewacherin bewachern
+bewachers bewachsen bewachst bewachte bewachtem bewachten bewachter bewachtes bewachtest bewachtet
+bewachung bewaffne bewaffnen bewaffnend bewaffnende bewaffnens bewaffnest bewaffnete bewaffnetem
+bewaffneten bewaffneter bewaffnetes bewaffnetest bewaffnetet bewaffnung bewahre bewahrend bewahrende
+bewahrendem bewahrenden bewahrender bewahrendes bewahrens bewahrer bewahrerin bewahrern bewahrers
+bewahrst bewahrte bewahrtem bewahrten bewahrter bewahrtes bewahrtest bewahrtet bewahrung bewandt
+bewarb bewarbt bewarf bewarft bewegbar bewege bewegend bewegende bewegendem bewegenden bewegender
+bewegendes bewegens beweger bewegern bewegers bewegte bewegtem bewegten bewegter bewegtere bewegtes
+bewegtest bewegtet bewehrt beweiben beweibt beweiden beweidet beweine beweinen beweinst beweint
+beweinte beweisart beweisbar beweisend beweisende beweisendem beweisenden beweisender beweisendes
+beweisens beweiser beweisern beweisers beweises beweisest beweismaß beweisnot beweisteil beweistyp
+beweistyps beweisweg bewerb bewerbe bewerbt bewerfe bewerte bewies bewiesene bewiesenem bewiesenen
+bewiesener bewiesenes bewiesest bewiest bewohnbar bewohne bewohnen bewohnend bewohnende bewohnerin
+bewohnern bewohners bewohnst bewohnt bewohnte bewohntem bewohnten bewohnter bewohntes bewohntet
+bewuchs bewunderer bewunderern bewunderers bewunderin bewundern bewundernd bewundernde bewunderns
+bewunderst bewunderte bewundertem bewunderten bewunderter bewundertes bewundertest bewundertet
+bewunderung bewundre bewurf bewusste bewusstem bewussten bewusster bewusstere bewusstes bewusstlose
+bewusstlosem bewusstlosen bewusstloser bewusstloses bewusstseins bewähre bewähren bewährend
+bewährens bewährst bewährt bewährte bewährtem bewährten bewährter bewährtes bewährtet bewährungen
+bezahlbar bezahlend bezahlende bezahlendem bezahlenden bezahlender bezahlendes bezahlens bezahlte
+bezahltem bezahlten bezahlter bezahltes bezahltest bezahltet bezahlungen bezaubere bezaubern
+bezaubernde bezauberndem bezaubernden bezaubernder bezauberndes bezauberndste bezauberns bezauberst
+bezaubert bezauberte bezaubertem bezauberten bezauberter bezaubertes bezaubertet bezauberung
+bezeichne bezeichnend bezeichnende bezeichnendem bezeichnenden bezeichnender bezeichnendes
+bezeichnens bezeichner bezeichnern bezeichners bezeichnest bezeichnete bezeichnetem bezeichneten
+bezeichneter bezeichnetes bezeichnetest bezeichnetet bezeichnung bezieh beziehbar beziehe beziehend
+beziehende beziehendem beziehenden beziehender beziehendes beziehens bezieher bezieherin beziehern
+beziehers beziehst bezirke bezirken bezirkes bezirks bezirzen bezirzt bezuges bezugs bezweifele
+bezweifeln bezweifelt bezügliche bezüglichem bezüglichen bezüglicher bezügliches biancas bibelfan
+bibelhit bibeln bibeltyp biber bibern bibliotaph bibliothekar bibliothekare bibliothekars
+bibliotheken bien biene bienenart bienenhof bienenweg bienn bierart bierbar bierbon biere bieren
+bieres bierhof bierkrug bierkäse biermaß biers biersud biertor bierulk bierzug biese biesen biester
+biestern biestes biestig biestige bietend bietende bietendem bietenden bietender bietendes bietens
+bieter bieterin bietern bieters bietest bietsch bildart bildbar bilde bildecke bildend bildende
+bildendem bildenden bildender bildendes bildens bilderlos bildes bildest bildete bildeten bildetest
+bildetet bildethik bildgut bildlob bildlos bildmaß bildner bildnis bilds bildschau bildschema
+bildschicht bildschirme bildschirmen bildschirmes bildschirmmaß bildschirms bildschirmtyp bildschön
+bildschöne bildtyp bildungen bildunion bildurne billard bille billet billett billigem billigend
+billigende billigendem billigenden billigender billigendes billigens billigere billigerem billigeren
+billigerer billigeres billiges billiggut billigjob billigrad billigst billigste billigt billigte
+billigten billigtet billigung billion bills billys bind binde bindearm bindeart bindend bindende
+bindendem bindenden bindender bindendes bindens binder binderei binderin bindern binders bindest
+bindet bindeton bindung bingen bingend bingens binse binsen birnen birthe bischkek bischofs bischöfe
+bisherig bisherige bistro bistros bistum bistums bittend bittende bittendem bittenden bittender
+bittendes bittens bitter bittere bitterem bitteren bitterer bitteres bittest bitttag blach blackbox
+blackout blacky blairs blaken blakend blakig blas blasend blasende blasendem blasenden blasender
+blasendes blasenfuß blasens blasentee blasig blasige blasius blasse blassem blassen blasser blassere
+blasses blassrot blasstab blast blastäa blattart blattbau blatter blattern blattes blattgut blattlos
+blatts blatttee blatttyp blaubär blauem blauend blauer blauerz blaues blauhai blauhof blauohr
+blaurot blauton blauwal blei bleibach bleibad bleiband bleibaum bleibend bleibende bleibendem
+bleibenden bleibender bleibendes bleibens bleibenzin bleiberg bleibtreu bleiburg bleich bleiche
+bleicht bleiern bleierz bleifuß bleilot bleis blich blichen blichst blicht blickend blickende
+blickendem blickenden blickender blickendes blickens blickes blicklos blicks blickst blickt blickte
+blickten blicktet bliebe bliebst bliebt blies bliesen blinde blindekuh blindem blinden blindes
+blindhai blindort blini blinke blinken blinker blinkst blinkt blinkte blinzle blitzart blitze
+blitzeis blitzen blitzend blitzens blitzer blitzes blitzest blitzmob blitzrad blitzt blitzte
+blitzten blitztet blitzzug bloch blocher blochs blockade blockbau blocke blocken blockend blockes
+blockierbar blockiere blockierend blockierende blockierendem blockierenden blockierender
+blockierendes blockierens blockierer blockierern blockierst blockierte blockiertem blockierten
+blockierter blockiertes blockiertest blockiertet blockierung blocksatz blockspan blockst blockstil
+blockt blockte blockten blocktet blockung blockzug blondem blonden blonder blondes blondine bloße
+bloßem bloßen bloßer bloßes blues blumenart blumenbar blumenelf blumenfee blumenhof blumentag
+blumental blumentyp blumenuhr blumenweg blumig blumige blusen blutarm blutart blutbad blutbär
+blutdrucke blutdrucken blutdruckes blutdrucks blutdrüse blute blutegel blutend blutende blutendem
+blutenden blutender blutendes blutengel blutens bluter bluterbe blutes blutest blutete bluteten
+blutetest blutetet blutgas blutgruppen blutig blutige blutlos blutmai blutrat blutrot blutruf bluts
+blutsee blutt bluttag bluttat blutungen blutweg bläser bläsern blässe blässer blättere blättern
+blätternd blätternde blätterns blätterst blättert blätterte blättertee blätterten blättertet blättre
+blödele blödelei blödeln blödelnd blödelns blödelst blödelt blödelte blödem blödere blöderem
+blöderen blöderer blöderes blödeste blödestem blödesten blödester blödestes blödian blödsinnig
+blödsinnige blödsinns blühe blühend blühende blühendem blühenden blühender blühendes blühens blühst
+blüht blühte blühten blühtet bobbahn bobbau bobbaus bobbycar bockau bocke bocken bockend bockes
+bockfuß bockhuf bockig bockige bocks bockst bockt bockte bockten bocktet bode bodega bodegas
+bodenalm bodenart bodenbau bodeneis bodengut bodenjob bodenkür bodenlos bodennah bodens bodensee
+bodental bodentor bodentyp bodentür bogenarm bogenart bogenbau bogenmaß bogens bogentor bogentyp
+bogey bogeys bohne bohnenart bohnenmus bohnere bohnern bohnernd bohnerns bohnerst bohnert bohnerte
+bohnre bombast bombay bombays bombenbau bombentag bombentyp bomber bombern bombers bombig bombige
+bombo bombte bombten bondage bondia bondias bonding bonds bonn bonner bonnern bonners bonnet bonns
+bonusse bootaxt bootbau booten bootend bootende bootes bootest bootet bootete booteten bootetet
+bootfan boothaus bootleg boots boottyp bordbar borde bordell borden bordes bords borduhr bordun
+bordüre bosse bosseln bossen bosses bostoner bostons botschaften botschafteramt botschafterin
+botschaftern botschafterrat botschafters botschen boxe boxend boxende boxendem boxenden boxender
+boxendes boxens boxerin boxern boxerohr boxers brache brachen brachest brachet brachial brachlag
+brachst bracht brachtest brachtet brack brackig branchen brande branden brandend brander brandes
+brandest brandet brandete brandgas brandgut brandhof brandhub brandig brandige branding brandmal
+brandneu brandort brandorte brandrat brandrot brands brandt brandtag brandtod brandts brandung
+brandweg brandy brandys brannte brauart brauchbar brauchend brauchende brauchendem brauchenden
+brauchender brauchendes brauchens brauches brauchs brauchtest brauchtet brauchtum brauchtums braue
+brauen brauend brauens brauer brauern brauers brauhof braunau braunbär braune braunem braunen
+brauner braunerz braunes braunhai braunhof braunrot brauns braunton braus brause brausen braust
+brauste brautag brautbad braute brauten brautest brautet brauttag brauttür brautzug brauweg brave
+bravem braven braver bravere braves bravoruf bravour bravste breaks brechend brechende brechendem
+brechenden brechender brechendes brechens brecher brechern brechers brecht brechts brechung breie
+breien breiig breiige breis breitaxt breitbar breitbau breite breitem breiten breitend breiter
+breitere breites breitest breitet breitete breitfuß bremen bremens bremer bremern bremers bremsarm
+bremsart bremsbar bremse bremsend bremsende bremsendem bremsenden bremsender bremsendes bremsens
+bremser bremserin bremsern bremsers bremsest bremsrad bremst bremste bremsten bremstet bremsung
+bremsweg bremszug brenda brennbar brenne brennecke brennend brennende brennendem brennenden
+brennender brennendes brennens brenner brennerei brennerle brennern brenners brenngas brenngut
+brennhof brennst brenntag brenntage brenntest brenntorf brennweg brennöl brennöle brent brenz breton
+bretone brettart bretter brettere brettern brettert brettes bretts bretzel brich brie briefen
+briefende briefes brieffuß briefing briefs brieftaschen bries briet brieten brietet brietst
+brillante brillantem brillanten brillanter brillantere brillantes brillantest brillantine brillanz
+brillen brilli brilon bringend bringende bringendem bringenden bringender bringendes bringens
+bringer bringerin brink brit brite britin britisch britischem britischer britisches british britpop
+britta brittas broadways brooklyns broot brotart brote broten brotes brotjob brotlos brottyp brownie
+brownies browning browse browsen browser browst bruch bruchei bruches bruchs bruck bruderhof
+bruderrat brudersinn brudersohn brunch bruneck brunei bruneis brunft brunnenbau brunnenhof
+brunnenkur brunnens brunner bruno brunos brunst brunzen brustfuß brustsex brusttee brustton brut
+brutale brutalem brutalen brutaler brutalere brutales brutalo brutalos brutalste brutei bruten
+brutort brutto bräuche bräuchen bräuchtest bräuchtet bräutigams brötchenrad brötchens brüche brüchen
+brüchig brücken brückner brülle brüllen brüllend brüllens brüller brüllst brüllte brüllten brülltest
+brülltet brülltüte brüsk brüske brüskem brüsken brüsker brüskes brüssel brüsten brüstend brüstens
+brüstest brüstet brüstete brüsteten brüstetet brüstung buchadel buchara buchare bucharen buchart
+buchau buchaus buchbar buche buchen buchend buchens buches buchhalm buchhalme buchhalmen buchhalten
+buchhalterin buchhaltern buchhalters buchhaltung buchhit buchloe buchs buchse buchsen buchst
+buchstabe buchstabenart buchstabenrad buchstabens buchstabes buchstadt buchtage buchte buchteil
+buchtel buchten buchter buchtest buchtet buchtext buchtipp buchtyp buchtyps buchung buchweg buckel
+buckele buckeln buckels buckelt buckle bucklig buckow buckows bucks buddel buddele buddeln buddelt
+buddhas buddhist buddys buden budgets budgetär budgetäre buff buffalo buffet buffets buffo bulldog
+bullenhai bullensee bullerei bullern bullernd bullerns bulletin bulli bullig bullige bullis bully
+bullös bullöse bums bumse bumsend bumsende bumsendem bumsenden bumsender bumsendes bumsens bumsest
+bumst bumste bumsten bumstet bunkerbau bunkern bunkernd bunkerns bunkers bunkert bunkerte bunkerten
+bunkertor bunkertyp bunkertür bunkeröl burgart burgau burgbau burgen burgern burgers burggut burghof
+burgort burgos burgsee burgtor burgtyp burgul burgund burgus burgweg burka burkart burkas burkina
+burkini burnout burnus burren burrito bursa burse burst burton burtons buschart buschau buschbad
+buschen busches buschido buschig buschige buschweg busende busenlos busens busensex bushof bushs
+butlern butlers butt butte buttere butterei butterfly butterig butterige buttern butternd butternde
+butterns butterrum butterst buttert butterte buttertee butterten buttertet buttjer button buttons
+buttrig bällebad bällen bärenart bärenaue bärenbad bärenkot bärenohr bärensee bärenweg bärenwut
+bäumend bäumens bäumst bäumt bäumte bäumten bäumtet bösem bösere böserem böseren böserer böseres
+böseste bösestem bösesten bösester bösestes bücherbus bücherbär bücherei büchernarr büchernetz
+bücherrad bücherwut büchner büchse büchsen bühnen bürge bürgen bürgend bürgende bürgens bürgeralm
+bürgeramt bürgerbad bürgerbus bürgere bürgereid bürgergut bürgerhof bürgerin bürgerkreis
+bürgerkriege bürgerkriegen bürgerkrieges bürgerkriegs bürgerkrone bürgermeisteramt bürgermeisterei
+bürgermeisterin bürgermeistern bürgermeisters bürgern bürgernah bürgerrat bürgers bürgersee bürgerst
+bürgert bürgerte bürgerten bürgertum bürgin bürgst bürgt bürgte bürgten bürgtet bürobau bürojob
+büros büroset bürotür büße büßend büßende büßendem büßenden büßender büßendes büßens büßer büßerin
+büßern büßers büßest cafés callas callboy camelot cameo camerons camilla camillas camion campari
+campe campen campend camper campern campers campher camping camps campst campt campte campten campus
+canna capri caprice capricen caprivi captains carlas carlo carlow carls carlton carmens carola
+carolas carolin carolina carolinas carolines carolins carols carotin carrara carrera carrier carroll
+carsta carsten cartier cartoon casein caseine casinos cassirer cassis cassius catherines cathys
+celine celines centavo centern centers centime centre centro centrum champ champagne champagners
+champions champs chancenarm chancenlos chancentod chandlers chanel channel chanson chantal chaot
+chaoten chaotin charade charakterart charaktere charakteren charakterlos charakters charaktertyp
+charakterzug charedi charge chargen charité charkow charleston charlies charlottes charly charm
+charmante charmantem charmanten charmanter charmantere charmantes charmes charmeur charmeurs charoit
+charon charpie chart charta charter chartre charts chassid chassis chauffeure chauffeuren
+chauffeurin chauffeurs chauffeuse checkbox checke checkend checkens checker checkerin checkern
+checkers checks checkst checkt checkte checkten cheerleader cheerleaderinnen cheerleadern
+cheerleaders chefinnen chefität chefs chemieklo chemikalie chemikalienbad chemikalienzug chemiker
+chemisch chengdu chic chicagoer chicagos chice chicem chicen chicer chicere chices chick chickee
+chicken chicste chile chilene chiles chiliast chilis chille chillen chillig chillst chillt chillte
+chiloé chinas chinese chinesentum chinesin chinesischem chinesischer chinesisches chinin chinins
+chino chinon chinone chintz chippen chippie chippin chipsatz chipset chipsets chirac chiracs chiral
+chirurgie chirurgin chlor chlorid chlorit chlors chloé choice chrisam christ christa christas
+christel christels christen christi christiane christianes christians christiansen christie christin
+christinas christines christinnen christl christlob christls christo christof christoph christophe
+christophers christophs christtag chucks citynah cityruf citys claim claims claires clara claras
+clare claudes claudia claudias claudine claudio claudios claudius claus clause clausus clevelands
+clevere cleverem cleveren cleverer cleverere cleveres cleverle cleverste clevner clinch clingen
+clinton clintons clou clownesk clubshow clubsong clubstil coachen coaches coaching coachs codeart
+codec codecs codein codeins coden codend codex colani colas collage colleges collie colliers
+collierüde collies collin cologne colombo colonia colorados coltan colts columbia columbias columbit
+columbium columbus comedy comic comicfan comicstar comicstil computerbau computerbus computerfan
+computern computers computertyp computing conakry connors conny conrads coolem coolere coolerem
+cooleren coolerer cooleres cooles coolste coopers corazon cordelias couchs council count countdowns
+counter countess country cousinen cousins cowboyart cowboyhut cowboys crews curtius cäsaren cäsars
+dachart dachau dachaus dachbau dachbox daches dachfuß dachs dachse dachsen dachses dachteil
+dachteile dachteils dachtet dachturm dachweg daddele daddeln daddelt daddys daherkam dahinein
+dahinten dahinterkam dahinzog dalles dalli damalig damalige damast damaste damenbad damenhof
+damenhut damenklo damenpo damenrad damenski damenuhr damenweg damenzug damian damians damisch dammar
+dammbau dammer dammes damms dammtor dammweg damper dampfart dampfbad dampfdom dampfe dampfen
+dampfend dampfens dampfer dampfern dampfers dampfes dampfig dampfige dampflok dampfrad dampfs
+dampfst dampft dampftag dampfte dampften dampftet dampfuhr dampfweg dampfzug danebenlag danebensaß
+danelag danieden danieder daniela danielas dankbare dankbarem dankbaren dankbarer dankbarere
+dankbares dankbarste dankberg dankend dankende dankendem dankenden dankender dankendes dankens
+dankes dankeschöns danklef danks dankst dankt danktag dankte dankten danktet dannen daraufhin
+darbiete darbieten darbietend darbietens darbietest darbietet darbietungen darfur dari darinnen
+dario darios darius dariusz darlege darlegt darlehn darre darrend darstellbar darstelle darstellend
+darstellende darstellendem darstellenden darstellender darstellendes darstellens darstellerin
+darstellern darstellers darstellst darstellt darstellte darstellten darstelltet darstellungen
+darumkam darwin darwins dassow dataset dateiart dateiende dateienden dateiendes dateityp datenarm
+datenart datenbahn datenbanken datenbanktyp datenbankzug datenbasen datenbasis datenberg datenbild
+datenbit datenbits datenbuch datenbus datenbyte datend datenklo datenrad datentod datentyp datenweg
+datev datex datums dauerbad dauerbau dauere dauerehe dauereis dauergag dauergut dauernass dauernde
+dauerndem dauernden dauernder dauerndes dauerns dauerst dauerten dauertest dauertests dauertet
+dauerton dauertyp dauertyps daumenmaß daumenrad daumens davida davidis davidoff davids davidson
+davina davinia daviscup davit davonkam davonkomme davonkommend davonkommende davonkommendem
+davonkommenden davonkommender davonkommendes davonkommens davonkommst davonkommt davonzog davos
+davoser dazugab dazukam dazumal dazutat dazutue dazutun dazutut dazwischenkam dazwischenlag deale
+dealen dealend dealende dealerin dealern dealers deals dealst dealt dealte dealten dealtet debakel
+debatten deckakt deckakte deckarm deckarme deckarmen deckarms deckel deckeln deckelnd deckels
+deckenart deckenbau deckend deckende deckendem deckenden deckender deckendes deckens decker deckgut
+decks deckst deckt deckte deckten decktet deckungen definiens definiere definiert definit definite
+definitem definiten definiter definites definition definitive definitivem definitiven definitiver
+definitives deinige deltaarm deltas demokrat demokraten demokratien demokratin demokratisch
+demokratur denim denims denkakt denkart denkbar denkend denkende denkendem denkenden denkender
+denkendes denkens denker denkerin denkern denkers denkmal denkort denkstein denkstil denkstile
+denkstils denkstuhl denktest denktipp denkweg dental dentale dentin dentist denvers deppe deppen
+deppere depperl deppern deppert deppre depps deprimiere deprimieren deprimierend deprimierens
+deprimierst deprimierte deprimiertem deprimierten deprimierter deprimiertes deprimiertest
+deprimiertet derartig derartige derem derer derjenigen designat designduo designe designen designend
+designer designern designers designmai designs designst designt designte designtem designten
+designter designtes desmal desman desmosom dessau dessem desserts dessin dessins dessous detailtyp
+detektei detektiere detektiert detektion detektive detektiven detektivin detektivs detektor
+detektors detroiter detroits deut deutbar deute deutele deutelei deuteln deutelns deutelst deutelt
+deutelte deuten deutend deutende deutens deutest deutete deuteten deutetest deutetet deutliche
+deutlichem deutlichen deutlicher deutlichere deutliches deutlichst deutlichste deutschem deutscher
+deutschere deutscherem deutscheren deutscherer deutscheres deutsches deutscheste deutschlandes
+deutschlandrat deutschlands deutschlandtag deutschlandweg deutschtum deutung deutz deutzer dezembers
+dezembertag dezemberweg diagnoseart diagnosen diagnoseweg diagnostik dialekt dialer dialogarm
+dialogbox dialoge dialogen dialoges dialogort dialogs dialyse diamantene diamantenem diamantenen
+diamantener diamantenes diamantrad diamantweg dianas diandra dianetik dichtart dichtauf dichte
+dichtem dichten dichtend dichtende dichtens dichtere dichterei dichterem dichteren dichterer
+dichteres dichterin dichtern dichterort dichters dichtertag dichtertum dichterweg dichtes dichtest
+dichteste dichtet dichtete dichteten dichtetet dichtung dichtweg dickem dickens dickere dickerem
+dickeren dickerer dickeres dickes dickeste dicketat dicketun dicketut dickhut dickste dickte dicktun
+didier dieben dieberei diebes diebin diebs diebstahles diebstahls dieburg diegese diegos diene
+dienend dienende dienendem dienenden dienender dienendes dienens dienerin dienern dieners dienstadel
+dienstage dienstagen dienstags dienstakte dienstamt dienstart dienstauto dienstbar dienstehen
+diensteid diensteide dienstelle dienstende dienstenden dienstendes dienstes dienstgut dienstort
+diensts diensttyp dienstweg dienstzug diente dienten dientest dientet diesbar diesel dieselbus
+diesellok dieselruß diesels dieselzug dieselöl dieselöle dieselöls diesig diesige diesmalige digicam
+digitale digitalem digitalen digitaler digitales digitalis digitalton digitaluhr digitus dimensional
+dimensionale dimensionen dingel dingend dingens dinges dingi dingle dingo dingos dings dingsda
+dinners dinnies dinosaurierart dinosauriern dinosauriers dinosaurus directories directory direktbus
+direkte direktem direkter direktere direkterem direkteren direkterer direkteres direktes direkteste
+direktion direktiv direktiva direktive direktorat direktorate direktorats direktoren direktorien
+direktorinnen direktorium direktoriums direktors direktruf direktweg direktzug direx dirks dirksen
+diskusse diskussen diskusses diskussionen diskutierbar diskutiere diskutierend diskutierende
+diskutierendem diskutierenden diskutierender diskutierendes diskutierens diskutierst diskutierte
+diskutiertem diskutierten diskutierter diskutiertes diskutiertest diskutiertet distal distale
+distalem distalen distaler distales distanzen distanzlos distanzmaß distel disteln distich
+disziplinen disziplinlos disziplinär disziplinäre diäten diätkur docht dochte dochten dochtes dochts
+doktere doktern doktorand doktoren doktorhut doktorin doktors doktrin dokumentar dokumentare
+dokumentart dokumenten dokumentende dokumentes dokumention dokuments dokumenttyp dolce dolcharm
+dolche dolchen dolchs doll dollars dolle dollem dollen doller dollere dolles dollfuß dolly dollys
+donalds donar donator donau donnas donnere donnern donnernd donnernde donnerns donners donnerst
+donnerstage donnerstagen donnerstages donnerstags donnerstein donnert donnerte donnerten donnertet
+donnre donut doofe doofem doofen doofer doofere doofes doofi doofis doofste doppel doppelakt
+doppelaxt doppelbau doppelbit doppelbug doppelbus doppele doppelehe doppelhof doppelhub doppelhut
+doppeln doppelnd doppelnde doppelns doppelrad doppels doppelsee doppelst doppelteam doppelteams
+doppeltem doppelten doppelter doppeltes doppeltest doppeltet doppeltier doppeltor doppeltore
+doppeltour doppeltuba doppeltuch doppelturm doppeltür doppeltüre doppelung doppelweg doppelzug
+doppik dopple doppler dorfaue dorfbad dorfbub dorfe dorfen dorfes dorfrat dorfs dorftyp dorfuhr
+dorfweg doria dorier doriern dorisch dorische dorit dorothea dorotheas dorothee dorothees dorten
+dorther dortig dortige dosen dosiere dosiert douglasie douglasien doyles drachenart drachenbau
+drachenei drachens drachensee drachentee drachentod drachentor drachentyp drachenweg drachin drachme
+drachmen dracht dracula drahte drahten drahtend drahtes drahtest drahtet drahtete drahtig drahtige
+drahtlos drahttor drahtzug drahtöse dram dramas dramatik dramen drang drangab drangen dranges drangs
+drangst drangt drankam draufhat draufkam drauflos dreckes dreckigem dreckigere dreckigerem
+dreckigeren dreckigerer dreckigeres dreckiges dreckigste drecks drecksache drecksachen drecksackes
+drecksacks drecksau drecksjob dreckskerle dreckskerlen dreckskerls drecksäue dreckt dreharbeit
+dreharm drehbahn drehbake drehbank drehbar drehbare drehbase drehbaum drehbild drehbuches drehbuchs
+drehend drehende drehendem drehenden drehender drehendes drehens dreher dreherei dreherin drehern
+drehers drehko drehofen drehorgel drehorte drehorten drehortes drehrad drehs drehst drehtag drehtage
+drehtanz drehteam drehteams drehteil drehteile drehteils drehtest drehtet drehtor drehtore drehturm
+drehtür drehtüre drehung drehweg dreidel dreieck dreien dreier dreiern dreiers dreifuß dreihof
+dreimalige drein dreirad dreist dreiste dreiweg dreißig drewanz drewitz dringe dringen dringende
+dringendem dringenden dringender dringendere dringendes dringendst dringendste dringst dringt dritt
+dritteln drittelnd drittels drittelten drittem drittens dritter drittes drittrad drogentod drogenzar
+drogerie drogist drohe drohend drohende drohendem drohenden drohender drohendes drohens drohn
+drohnen drohst drohte drohten drohtest drohtet drohungen druckarm druckart druckbar druckdia drucke
+druckend druckende druckendem druckenden druckender druckendes druckens drucker druckerei druckerin
+druckern druckers druckes druckgas druckgut druckjob drucklos druckort drucks druckse drucksen
+druckst druckste druckt druckte druckten drucktet druckzug drucköl drucköle drummer drums drumset
+drunten drüberzog drückend drückende drückendem drückenden drückender drückendes drückens drücker
+drückern drückst drückte drückten drücktest drücktet dschungeln dschungelort dschungels dschungelweg
+dschunke dschunken ducke ducken duckend duckens duckst duckt duckte duckten ducktet dudele dudelei
+dudeln dudelnd dudelns dudelst dudelt dudelte duden dudens duellant duelle duellen duells duftbad
+dufte duftem duften duftend duftens dufter duftes duftest duftet duftete duftig duftige duftlos
+dufts duftöl dummem dummerjan dummerl dummerle dummi dummkopfes dummkopfs dummy dummys dunkelhaft
+dunkelheiten dunkelnd dunkelnde dunkelndem dunkelnden dunkelnder dunkelndes dunkelrot dunkels
+dunkelst dunkelste dunkelt dunkelte dunkelten dunking dunklem dunklere dunklerem dunkleren dunklerer
+dunkleres dunkles durchbog durchbrach durchbriet durchbruchs durchbrät durcheinanderkam
+durcheinanders durchführbar durchführe durchführend durchführende durchführendem durchführenden
+durchführender durchführendes durchführens durchführst durchführt durchführte durchführten
+durchführtet durchführung durchgab durchgebe durchgeben durchgebt durchgedrehte durchgedrehtem
+durchgedrehten durchgedrehter durchgedrehtes durchgeführte durchgeführtem durchgeführten
+durchgeführter durchgeführtes durchgehe durchgeheizt durchgehend durchgehende durchgehendem
+durchgehenden durchgehender durchgehendes durchgehens durchgehst durchgeht durchgeixt durchgeknallte
+durchgeknalltem durchgeknallten durchgeknallter durchgeknalltes durchgemachte durchgemachtem
+durchgemachten durchgemachter durchgemachtes durchhaltbar durchhalte durchhaltend durchhaltende
+durchhaltendem durchhaltenden durchhaltender durchhaltendes durchhaltens durchhaltet durchhau
+durchkam durchkomme durchkommend durchkommende durchkommendem durchkommenden durchkommender
+durchkommendes durchkommens durchkommst durchkommt durchlas durchlud durchmache durchmachend
+durchmachende durchmachendem durchmachenden durchmachender durchmachendes durchmachens durchmachst
+durchmacht durchmachte durchmachten durchmachtet durchmaß durchsacke durchsackt durchsagen
+durchsagend durchsagende durchsagens durchsagst durchsagt durchsagte durchsagten durchsagtet
+durchsah durchsahst durchsaht durchsatz durchschaben durchschau durchschaubar durchschaue
+durchschauen durchschauend durchschauens durchschauere durchschauern durchschauert durchschaust
+durchschaute durchschautem durchschauten durchschauter durchschautes durchschautest durchschautet
+durchschien durchschlag durchschlug durchschoss durchschuss durchsehe durchseht durchsuchbar
+durchsuche durchsuchend durchsuchende durchsuchendem durchsuchenden durchsuchender durchsuchendes
+durchsuchens durchsuchst durchsuchte durchsuchtem durchsuchten durchsuchter durchsuchtes
+durchsuchtest durchsuchtet durchsuchung durchsuchungsbefehle durchsuchungsbefehlen
+durchsuchungsbefehls durchsäge durchsägt durchweg durchwob durchziehe durchziehend durchziehende
+durchziehendem durchziehenden durchziehender durchziehendes durchziehens durchzieher durchziehern
+durchziehers durchziehst durchzieht durchzog durchzug durftest durftet durste dursten durstend
+durstens durstes durstest durstete durstig durstige duschbad duschecke duschend duschende duschendem
+duschenden duschender duschendes duschens duschgel duschst duscht duschte duschten duschtet duschtür
+dutzende dutzenden dutzender dutzendmal dylans dynamik dynamiken dynamisch dynamits dynamo dynamos
+dynast dämlack dämliche dämlichem dämlichen dämlicher dämlichere dämliches dämlichste dämmere
+dämmerig dämmerige dämmern dämmernd dämmernde dämmerns dämmerst dämmert dämmerte dämmerten dämmertet
+dämmerungen dämonentor dämonenzug dämonie dämonien dämonin dämons dünne dünnem dünnen dünner dünnere
+dünnes dünnst dünnste dünnt dünnte dünnten dünnöl dünnöle dürfe dürfend dürfens dürfest dürften
+dürftest dürftet dürftig dürftige earls ebenda ebender ebenem ebenen ebener ebenes ebenmaß echoen
+echoend echolot echos echozug echtem echtere echterem echteren echterer echteres echteste echtestem
+echtesten echtester echtestes ecken ecker eckerde eckerle eckert edding eddings edgars ediere
+edieren edierst ediert edierte edwards effeff effekte effekten effektes effektiv effektive effektor
+effektors effekts effendi effet effets egoistin egoistische egoistischem egoistischen egoistischer
+egoistischere egoistisches egoistischste eheform ehefrauen ehemalig ehemaligem ehemaliger ehemaliges
+ehemals ehemannes ehemanns ehering ehern eherne ehernem ehernen eherner ehernes ehrenakt ehrenamt
+ehrenbär ehrend ehrende ehrendem ehrenden ehrender ehrendes ehrengut ehrenhof ehrenlob ehrenmal
+ehrenrat ehrens ehrentag ehrentod ehrenton ehrentor ehrenzug ehrgeizes ehrgeizig ehrgeizige
+ehrgeizler ehrlichem ehrlichen ehrlicher ehrlichere ehrlicherem ehrlicheren ehrlicherer ehrlicheres
+ehrliches ehrlichste ehrlos ehrlose eichhörnchens eiere eiernd eiernde eierndem eiernden eiernder
+eierndes eierns eierst eiert eierte eierten eieruhr eifersüchtige eifersüchtigem eifersüchtigen
+eifersüchtiger eifersüchtigere eifersüchtiges eifersüchtigst eifersüchtigste eigelb eigelbe eigelbs
+eigen eigenamt eigenart eigenarten eigenartige eigenartigem eigenartigen eigenartiger eigenartigere
+eigenartiges eigenartigste eigenartikel eigenbau eigenem eigenerben eigenerlös eigengut eigenhof
+eigenlob eigens eigenschaft eigenste eigenteil eigentest eigentlichem eigentlichen eigentlicher
+eigentliches eigentlichste eigentor eigentore eigentors eigentums eigenweg eileen eileens eilen
+eilend eilende eilends eilens eilers eilige eiligem eiligen eiliger eiligere eiliges eiligst
+eiligste eimern eimers einbrach einbrand einbreche einbrechen einbrechend einbrechende einbrechens
+einbrecherin einbrechern einbrechers einbrecht einbrenn einbruches einbruchs eindeutige eindeutigem
+eindeutigen eindeutiger eindeutigere eindeutiges eindeutigste eindrang eindringe eindringend
+eindringende eindringendem eindringenden eindringender eindringendes eindringens eindringst
+eindringt eindrucke eindrucken eindruckes eindrucks einehe einehen eineiig einend einende einendem
+einenden einender einendes einenge einengen einengst einengt einengte einens einerlei einfachem
+einfachere einfacherem einfacheren einfacherer einfacheres einfachjob einfachst einfachste einfahre
+einfahrt einfall einfalle einfallend einfallende einfallendem einfallenden einfallender einfallendes
+einfallens einfalles einfalls einfallt einfalltor einfalt einfalten einfand einfang einfange
+einfangt einfasse einfasst einfeld einfiel einfing einflog einfloss einflug einfluges einflugs
+einflusses einflusslos einflussweg einflöße einflößt einflüge einfraß einfror einfuhr einfädle
+einfährt einfälle einfällen einfällst einfältig einfängt einfärbe einfärbt einfüge einfügt eingab
+eingabe eingabel eingaben eingabst eingabt einganges eingangrad eingangs eingebaute eingebautem
+eingebauten eingebauter eingebautes eingebbar eingebe eingeben eingebend eingebens eingebildete
+eingebildetem eingebildeten eingebildeter eingebildetes eingebrochene eingebrochenem eingebrochenen
+eingebrochener eingebrochenes eingebrockt eingebt eingebung eingebüßt eingedrungene eingedrungenem
+eingedrungenen eingedrungener eingedrungenes eingefallene eingefallenem eingefallenen eingefallener
+eingefallenes eingefaltet eingehakt eingehe eingehegt eingehegte eingeheizt eingehend eingehende
+eingehendem eingehenden eingehender eingehendes eingehendst eingehens eingeholt eingehst eingeht
+eingehung eingeladene eingeladenem eingeladenen eingeladener eingeladenes eingenommene eingenommenem
+eingenommenen eingenommener eingenommenes eingerichte eingerichten eingerichtes eingerichtete
+eingerichtetem eingerichteten eingerichteter eingerichtetes eingeschlafene eingeschlafenem
+eingeschlafenen eingeschlafener eingeschlafenes eingeschlagen eingeschlossene eingeschlossenem
+eingeschlossenen eingeschlossener eingeschlossenes eingesehen eingeseift eingesenkt eingesetzte
+eingesetztem eingesetzten eingesetzter eingesetztes eingespeist eingesperrte eingesperrtem
+eingesperrten eingesperrter eingesperrtes eingesteckt eingestehe eingestehen eingestehst eingesteht
+eingestellte eingestelltem eingestellten eingestellter eingestelltes eingetroffene eingetroffenem
+eingetroffenen eingetroffener eingetroffenes eingezogene eingezogenem eingezogenen eingezogener
+eingezogenes eingeölt eingeübt eingibt einging einglas eingoss eingrub einguss einhake einhakt
+einhalt einhand einhard einhaue einhaut einhebe einheben einhebst einhebt einhefte einhegen
+einheilen einheimse einheimst einheirat einheize einheizen einheizt einheizte einher einhieb einhob
+einhoben einhobt einholbar einhole einholend einholende einholendem einholenden einholender
+einholendes einholens einholm einholst einholt einholte einholten einholtet einholung einhorn
+einhorns einhält einhöre einhört einhüte einigele einigeln einigelnd einigelns einigelst einigelt
+einigelte einigem einigend einigende einigendem einigenden einigender einigendes einigens einigst
+einigt einigte einigten einigtet einigung einkauf einkaufbar einkaufe einkaufend einkaufende
+einkaufendem einkaufenden einkaufender einkaufendes einkaufens einkaufes einkaufs einkaufst
+einkaufszentrale einkaufszentren einkaufszentrums einkauft einkaufte einkauften einkauftet einlade
+einladend einladende einladendem einladenden einladender einladendes einladens einladers einladet
+einladungen einlage einlagen einlagig einlas einlasen einlass einlasse einlassend einlassende
+einlassendem einlassenden einlassender einlassendes einlassens einlasses einlasst einlassung
+einlasten einlauf einlaufe einlaufs einlauft einmach einmache einmacht einmahne einmahnt einmalig
+einmalige einmaß einmaßen einmische einmischend einmischende einmischendem einmischenden
+einmischender einmischendes einmischens einmischer einmischern einmischers einmischest einmischst
+einmischt einmischte einmischten einmischtet einmischung einnehmbar einnehme einnehmend einnehmende
+einnehmendem einnehmenden einnehmender einnehmendes einnehmens einnehmer einnehmern einnehmers
+einnehmt einrichte einrichtend einrichtende einrichtendem einrichtenden einrichtender einrichtendes
+einrichtens einrichter einrichterin einrichtest einrichtet einrichtete einrichteten einrichtetet
+einrichtungen einsaat einsacke einsackt einsage einsagen einsagst einsagt einsagte einsah einsahen
+einsahst einsaht einsalbe einsalbt einsalze einsalzt einsamem einsamen einsamer einsamere einsamerem
+einsameren einsamerer einsameres einsames einsamig einsamige einsammle einsamste einsang einsank
+einsasse einsatzart einsatzbereich einsatzbereiche einsatzbereichs einsatzbereite einsatzbereitem
+einsatzbereiten einsatzbereiter einsatzbereites einsatzbus einsatzes einsatzgut einsatzort
+einsatztag einsatztyp einsatzuhr einsatzweg einsatzzug einsaue einsauen einsauge einsaugt einsaust
+einsaut einsaute einsaß einsaßen einschalen einschalig einschalige einschaltbar einschalte
+einschaltend einschaltende einschaltendem einschaltenden einschaltender einschaltendes einschaltens
+einschalter einschaltern einschalters einschaltest einschaltet einschaltete einschalteten
+einschaltetet einschaltung einschalung einschl einschlaf einschlafe einschlafend einschlafende
+einschlafendem einschlafenden einschlafender einschlafendes einschlafens einschlaft einschlag
+einschlage einschlagend einschlagende einschlagendem einschlagenden einschlagender einschlagendes
+einschlagens einschlages einschlags einschlagt einsehe einseht einsen einser einsern einsers
+einsetzbar einsetze einsetzend einsetzende einsetzendem einsetzenden einsetzender einsetzendes
+einsetzens einsetzest einsetzt einsetzte einsetzten einsetztet einsetzung einsog einsogt einsperre
+einsperrend einsperrende einsperrendem einsperrenden einsperrender einsperrendes einsperrens
+einsperrst einsperrt einsperrte einsperrten einsperrtet einsperrung einsprach einsprang einspruches
+einspruchs einsprung einsprühe einsprüht einstach einstand einsteche einstecke einsteckt einstehe
+einstehen einsteher einstehst einsteht einsteige einsteigend einsteigende einsteigendem
+einsteigenden einsteigender einsteigendes einsteiger einsteigerin einsteigern einsteigers einsteigst
+einsteigt einsteine einsteinium einsteins einstellbar einstelle einstellend einstellende
+einstellendem einstellenden einstellender einstellendes einstellens einsteller einstellern
+einstellers einstellig einstellige einstellrad einstellst einstellt einstellte einstellten
+einstelltet einstellungen einstemme einstemmt einsteuer einstich einstieg einstig einstige einstoße
+einstoßt einstrom einstufe einstuft einsturz einsäe einsäen einsäge einsägen einsägst einsägt
+einsägte einsähe einsäst einsät einsäte einsäten einsätest einsätzen eintreffe eintrefft eintreibe
+eintreibt eintrete eintretend eintretende eintretendem eintretenden eintretender eintretendes
+eintretens eintretet einverstandene einverstandenem einverstandenen einverstandener einverstandenes
+einwohnen einwohnende einwohneramt einwohnerarm einwohnerin einwohnern einwohnerrat einwohners
+einwohnertyp einwohnung einwähle einwählt einwänden einwärts einzahl einzel einzelakt einzelart
+einzelbau einzelbit einzelbon einzelbox einzelehe einzelfuß einzelgut einzelheit einzelhof einzeljet
+einzeljob einzeller einzellig einzellos einzeln einzelname einzelnem einzelner einzelnes einzelnest
+einzelnetze einzelnorm einzelnote einzelrad einzelruf einzels einzelsee einzeltag einzeltat
+einzelton einzeltyp einzeluhr einzelzug einziehbar einziehe einziehend einziehende einziehendem
+einziehenden einziehender einziehendes einziehens einziehst einzieht einziehung einzigartige
+einzigartigem einzigartigen einzigartiger einzigartiges einzigem einzog einzogt einzug einzugs
+einzusetzende einzusetzendem einzusetzenden einzusetzender einzusetzendes einzüge eise eisenach
+eisenarm eisenaxt eisenbau eisenerz eisenfuß eisengut eisenhub eisenhut eisenkur eisenrad eisens
+eisensau eisente eisenten eisentor eisentür eisenuhr eisenweg eisern eiserne eises eiskalte
+eiskaltem eiskalten eiskalter eiskaltes eiskanal eiskappe eiskarte eiskeil eiskern eisklub eiskorn
+eiskram eiskrem eiskufe ekelhafte ekelhaftem ekelhaften ekelhafter ekelhaftere ekelhaftes
+ekelhaftest eklige ekligem ekligen ekliger ekligere ekliges ekligste eklipse elefantenart
+elefantenfuß elefantenklo elefantenkot elefantenkuh elefantenohr elefantensee elefantentor
+elefantenuhr elefantös elegante elegantem eleganten eleganter elegantere elegantes eleganz elegie
+elegien elementar elementare elementart elementen elementes elements elementtyp elenas elende
+elendem elenden elender elendere elendes elendig elendige elends elendste elizas elle ellenmaß eller
+elli ellipse ellis elter elternart elternlos elternrat elterntag elterntyp elvira emailen emailend
+emaille emil emile emilia emilias emilie emilio emils emmas emmaus emotion emotionale emotionalem
+emotionalen emotionaler emotionalere emotionales emotionalste emotionell emotionelle empfahl
+empfahlt empfand empfanden empfandet empfandst empfangbar empfangend empfangende empfangendem
+empfangenden empfangender empfangendes empfangene empfangenem empfangenen empfangener empfangenes
+empfangens empfanges empfangs empfangt empfehlend empfehlende empfehlendem empfehlenden empfehlender
+empfehlendes empfehlens empfehlt empfehlung empfiehl empfindelei empfindend empfindende empfindendem
+empfindenden empfindender empfindendes empfindens empfindest empfindet empfindliche empfindlichem
+empfindlichen empfindlicher empfindlichere empfindliches empfindlichste empfindsam empfindung
+empfing empfinge empfingen empfingst empfingt endemie endemit endend endende endendem endenden
+endender endendes endens endes endest endeten endetest endetet endgültige endgültigem endgültigen
+endgültiger endgültigere endgültiges endgültigste endlage endland endlauf endlaut endliche endlichem
+endlichen endlicher endliches endlinie endloch endlos endlose energiearm energieart energiebad
+energiebau energiebus energielos energiemix energien energisch engagiere engagieren engagierend
+engagierens engagierst engagierte engagiertem engagierten engagierter engagiertere engagiertes
+engagiertest engagiertet enge engelaut engelein engelhai engelhof engelin engeln engels engem engen
+enger engere engerem engeren engerer engeres engern enges engl englands englischem englischen
+englischer englischere englischerem englischeren englischerer englischeres englisches englischrot
+englischste engländerin engländern engländers enkelin enkeln enkels enorme enormem enormen enormer
+enormere enormes enormste entdeckbar entdecke entdeckend entdeckende entdeckendem entdeckenden
+entdeckender entdeckendes entdeckens entdecker entdeckerin entdeckern entdeckers entdeckst
+entdecktem entdeckten entdeckter entdecktes entdecktest entdecktet entdeckungen entebbe entehre
+entehrt enteile enteilt enteise enteist enten entenei entente enteral enterbe enterbt entere entern
+enternd enteron enterst entert enterte entfernbar entferne entfernend entfernende entfernendem
+entfernenden entfernender entfernendes entfernens entferner entfernst entfernte entferntem
+entfernten entfernter entferntere entferntes entferntest entferntet entfernungen entfette entführe
+entführend entführende entführendem entführenden entführender entführendes entführens entführerin
+entführern entführers entführst entführte entführtem entführten entführter entführtes entführtest
+entführtet entführungen entgegenkam entgegensah entgegenzog entgegne entgegnen entgegnet entgehbar
+entgehe entgehend entgehende entgehendem entgehenden entgehender entgehendes entgehens entgehst
+entgeht entgelt entgelte entgelts enthebe enthebt enthob enthobt enthältst enthäute entkommbar
+entkomme entkommend entkommende entkommendem entkommenden entkommender entkommendes entkommene
+entkommenem entkommenen entkommener entkommenes entkommens entkommst entkorke entkorkt entlade
+entladen entlader entladet entlangkam entlangzog entlarve entlarvt entlasse entlassend entlassende
+entlassendem entlassenden entlassender entlassendes entlassene entlassenem entlassenen entlassener
+entlassenes entlassens entlasst entlassungen entlaste entlasten entlastet entlaube entlaubt entlaufe
+entlauft entlause entlaust entlein entlief entlieh entließ entlobe entlobt entlud entlädt entscheid
+entscheidbar entscheidend entscheidende entscheidendem entscheidenden entscheidender entscheidendes
+entscheidens entscheider entscheidern entscheiders entscheides entscheids entschiede entschiedene
+entschiedenem entschiedenen entschiedener entschiedenere entschiedenes entschiedenste entschiedest
+entschiedet entschiedst entschloss entschlossene entschlossenem entschlossenen entschlossener
+entschlossenere entschlossenes entschlossenste entschlossest entschlosst entschuldbar entschulde
+entschulden entschuldend entschuldens entschuldest entschuldet entschuldete entschuldigend
+entschuldigende entschuldigendem entschuldigenden entschuldigender entschuldigendes entschuldigens
+entschuldigst entschuldigte entschuldigtem entschuldigten entschuldigter entschuldigtes
+entschuldigtest entschuldigtet entschuldigungen entschuldung entspanne entspannend entspannende
+entspannendem entspannenden entspannender entspannendes entspannens entspannst entspannte
+entspanntem entspannten entspannter entspanntere entspanntes entspanntest entspanntet entspannung
+entsparen entspreche entsprechen entsprechende entsprechendem entsprechenden entsprechender
+entsprechendes entsprechens entsprecht entsprechung entsprichst entsprieße entsprießt entspringe
+entspringt entstamme entstammt entstandene entstandenem entstandenen entstandener entstandenes
+entstandest entstandet entstaube entstaubt entstehe entstehend entstehende entstehendem entstehenden
+entstehender entstehendes entstehens entstehst entstehung entsteigt entsteint entstelle entstellt
+entstieg entstört enttäusche enttäuschend enttäuschende enttäuschendem enttäuschenden enttäuschender
+enttäuschendes enttäuschens enttäuschest enttäuschst enttäuschte enttäuschtem enttäuschten
+enttäuschter enttäuschtes enttäuschtest enttäuschtet enttäuschungen entwand entwarf entweihe
+entweiht entwende entwerfe entwerft entwerte entwesen entwich entwickelbar entwickele entwickelnd
+entwickelnde entwickelndem entwickelnden entwickelnder entwickelndes entwickelns entwickelst
+entwickeltem entwickelten entwickelter entwickeltere entwickelterem entwickelteren entwickelterer
+entwickelteres entwickeltes entwickeltest entwickeltet entwickeltste entwickelung entwickle
+entwickler entwicklern entwicklers entwicklungen entwirf entwische entwischen entwischend
+entwischens entwischest entwischst entwischte entwischtem entwischten entwischter entwischtes
+entwischtest entwischtet entworfene entworfenem entworfenen entworfener entworfenes entwuchs
+entwurfes entwurfs entwurmen entwurmst entwurmt entwurmte entwurzle episch epische episkop episoden
+epistel epistyl erbarme erbarmend erbarmende erbarmendem erbarmenden erbarmender erbarmendes
+erbarmens erbarmer erbarmst erbarmt erbarmte erbarmten erbarmtet erbarmung erbarzt erbebe erbeben
+erbebst erbebt erbebte erben erbend erbende erbens erbes erbeten erbeute erbärmliche erbärmlichem
+erbärmlichen erbärmlicher erbärmlichere erbärmliches erbärmlichst erbärmlichste erdbebens erdbeer
+erdbeere erdberg erdbergs erdbeton erdbezug erdefeu erdend erdende erdendem erdenden erdender
+erdendes erdenke erdenken erdenkst erdenkt erdens erdentag erdest erdet erdete erdeten erdetet
+erdeule ereigne ereignen ereignend ereignende ereignens ereignest ereignete ereigneten ereignetest
+ereignetet ereignisart ereignislos ereignisort ereignissen ereignisses ereignistyp erfahrbar erfahre
+erfahrend erfahrende erfahrendem erfahrenden erfahrender erfahrendes erfahrene erfahrenem erfahrenen
+erfahrener erfahrenere erfahrenes erfahrens erfahrenste erfahrt erfand erfassbar erfasse erfassen
+erfassend erfassens erfassest erfasste erfasstem erfassten erfasster erfasstes erfasstest erfasstet
+erfassung erfinde erfindend erfindende erfindendem erfindenden erfindender erfindendes erfindens
+erfinder erfinderin erfindern erfinders erfindest erfindet erfindungen erfocht erfolge erfolgen
+erfolgend erfolgens erfolges erfolglos erfolgreiche erfolgreichem erfolgreichen erfolgreicher
+erfolgreichere erfolgreiches erfolgreichste erfolgs erfolgst erfolgt erfolgte erfolgtem erfolgten
+erfolgter erfolgtes erfolgtet erfordere erfordern erfordernd erfordernde erfordernis erforderns
+erforderst erforderte erfordertem erforderten erforderter erfordertes erfordertest erfordertet
+erfordre erforschbar erforsche erforschend erforschende erforschendem erforschenden erforschender
+erforschendes erforschens erforscher erforscherin erforschern erforschers erforschest erforschst
+erforscht erforschte erforschtem erforschten erforschter erforschtes erforschtet erforschung erfrage
+erfragt erfrecht erfreue erfreuen erfreuend erfreuens erfreunis erfreust erfreute erfreutem
+erfreuten erfreuter erfreutes erfreutest erfreutet erfror erfrort erfuhren erfuhrst erfuhrt
+erfundene erfundenem erfundenen erfundener erfundenes erfurt erfurts erfährst erfände erfühle
+erfühlt erführe erfüllbar erfülle erfüllend erfüllende erfüllendem erfüllenden erfüllender
+erfüllendes erfüllens erfüllst erfüllte erfülltem erfüllten erfüllter erfülltere erfülltes
+erfülltest erfülltet erfüllungen ergebe ergebend ergebende ergebendem ergebenden ergebender
+ergebendes ergebene ergebenem ergebenen ergebener ergebenes ergebens ergebenst ergebenste
+ergebnisbit ergebnislos ergebnisseite ergebnissen ergebnisses ergebnistyp ergebt ergebung ergehe
+ergehen ergehst ergeht ergetag ergetzt ergibst ergieße ergießt erging erginge ergingt ergreife
+ergreifend ergreifende ergreifendem ergreifenden ergreifender ergreifendes ergreifens ergreifst
+ergreift ergreifung erhalt erhalte erhaltend erhaltende erhaltendem erhaltenden erhaltender
+erhaltendes erhaltene erhaltenem erhaltenen erhaltener erhaltenes erhaltens erhalter erhaltes
+erhaltet erhalts erhaltung erhebbar erhebe erhebend erhebende erhebendem erhebenden erhebender
+erhebendes erhebens erhebst erhebt erhebung erhelle erhellt erhielte erhielten erhieltest erhieltet
+erhieltst erhitze erhitzt erhob erhoben erhobst erhobt erhoffe erhofft erhole erholend erholende
+erholendem erholenden erholender erholendes erholens erholsam erholst erholte erholtem erholten
+erholter erholtes erholtest erholtet erholung erhältst erhänge erhängt erhärte erhöbe erhöben
+erhöbet erhöhe erhöhend erhöhende erhöhendem erhöhenden erhöhender erhöhendes erhöhens erhöhst
+erhöhte erhöhtem erhöhten erhöhter erhöhtes erhöhtest erhöhtet erhöhung erhöre erhören erhörst
+erhört erhörte erica erich erichs erics erinnernd erinnernde erinnerndem erinnernden erinnernder
+erinnerndes erinnerns erinnertem erinnerten erinnerter erinnertes erinnertest erinnertet erinnre
+erinnye erinnyen erinnys erinye erkalte erkanntem erkannten erkannter erkanntes erkanntest erkanntet
+erkaufe erkauft erkeckt erkennbar erkennend erkennende erkennendem erkennenden erkennender
+erkennendes erkennens erkenntnis erkennung erker erkern erkers erklang erklomm erklärbar erklärend
+erklärende erklärendem erklärenden erklärender erklärendes erklärens erklärer erklärst erklärtem
+erklärten erklärter erklärtes erklärtest erklärtet erkälte erkälten erkältend erkältens erkältest
+erkältet erkältete erkältungen erlag erlagen erlagst erlagt erlahme erlahmt erlange erlangend
+erlangende erlangendem erlangenden erlangender erlangendes erlangens erlanger erlangerin erlangst
+erlangt erlangte erlangtem erlangten erlangter erlangtes erlangtet erlangung erlass erlasse erlasst
+erlaube erlaubend erlaubende erlaubendem erlaubenden erlaubender erlaubendes erlaubens erlaubnisse
+erlaubnissen erlaubst erlaubte erlaubtem erlaubten erlaubter erlaubtes erlaubtest erlaubtet erlaucht
+erlaufen erle erlebbar erlebe erlebend erlebende erlebendem erlebenden erlebender erlebendes
+erlebens erlebnis erlebst erlebte erlebtem erlebten erlebter erlebtes erlebtest erlebtet erledigend
+erledigende erledigendem erledigenden erledigender erledigendes erledigens erledigst erledigte
+erledigtem erledigten erledigter erledigtes erledigtest erledigtet erledigung erlege erlegen erlegst
+erlegt erlegte erleichtere erleichtern erleichternd erleichternde erleichterns erleichterst
+erleichterte erleichtertem erleichterten erleichterter erleichtertes erleichtertest erleichtertet
+erleichterung erleide erlen erlerne erlernt erlesen erlitt erlittene erlittenem erlittenen
+erlittener erlittenes erlittest erlittet erlös erlösche erlöscht erlöse erlösen erlösend erlösens
+erlöser erlösern erlösers erlöses erlösest erlöst erlöste erlöstem erlösten erlöster erlöstes
+erlöstet erlösungen ermittelbar ermittele ermittelnd ermittelnde ermittelndem ermittelnden
+ermittelnder ermittelndes ermittelns ermittelst ermittelt ermittelte ermitteltem ermittelten
+ermittelter ermitteltes ermitteltet ermittelung ermittle ermittlerin ermittlern ermittlers ermorde
+ermordend ermordende ermordendem ermordenden ermordender ermordendes ermordens ermordest ermordete
+ermordetem ermordeten ermordeter ermordetes ermordetest ermordetet ermordungen ernenne ernennt
+ernest ernesto erneuen erneuend erneuere erneuern erneuert erneute erneutem erneuten erneuter
+erneutes ernstem ernsten ernster ernstere ernsterem ernsteren ernsterer ernsteres ernsteste
+ernstestem ernstesten ernstester ernstestes ernsthafte ernsthaftem ernsthaften ernsthafter
+ernsthaftere ernsthaftes erntegut ernten erntend erntende erntens erntest erntet erntetag erntete
+ernteten erntetet ernteweg ernting ernähre ernährend ernährende ernährendem ernährenden ernährender
+ernährendes ernährens ernährer ernährerin ernährern ernährers ernährst ernährt ernährte ernährtem
+ernährten ernährter ernährtes ernährtet ernährung erobere eroberer eroberern eroberers eroberin
+erobernd erobernde eroberndem erobernden erobernder eroberndes eroberns eroberst eroberte erobertem
+eroberten eroberter erobertes erobertest erobertet eroberung erpressbar erpresse erpressend
+erpressende erpressendem erpressenden erpressender erpressendes erpressens erpresser erpresserin
+erpressern erpressers erpressest erpresst erpresste erpresstem erpressten erpresster erpresstes
+erpresstet erpressungen errang errangt errata errate erratend erratende erratendem erratenden
+erratender erratendes erratene erratenem erratenen erratener erratenes erratens erratet erratum
+erregbar errege erregend erregende erregendem erregenden erregender erregendes erregens erreger
+erregern erregers erregst erregte erregtem erregten erregter erregtes erregtest erregtet erregung
+erreichbar erreichend erreichende erreichendem erreichenden erreichender erreichendes erreichens
+erreichst erreichte erreichtem erreichten erreichter erreichtes erreichtest erreichtet erreichung
+errette ersann ersannt ersatzart ersatzbau ersatzbus ersatzes ersatzlok ersatzlos ersatzmaß
+ersatzrad ersatztor ersatztyp ersatzweg ersatzzug ersaufe ersauft erschaff erschaffe erschaffend
+erschaffende erschaffendem erschaffenden erschaffender erschaffendes erschaffene erschaffenem
+erschaffenen erschaffener erschaffenes erschaffens erschaffer erschafferin erschaffern erschaffers
+erschaffst erschafft erschaffung erschaue erschaut erscheine erscheinend erscheinende erscheinendem
+erscheinenden erscheinender erscheinendes erscheinens erscheinst erscheinung erschiene erschienene
+erschienenem erschienenen erschienener erschienenes erschienst erschient erschieße erschießend
+erschießende erschießendem erschießenden erschießender erschießendes erschießens erschießest
+erschießung erschlaffe erschlafft erschlage erschlagend erschlagende erschlagendem erschlagenden
+erschlagender erschlagendes erschlagene erschlagenem erschlagenen erschlagener erschlagenes
+erschlagens erschlagt erschlagung erschlug erscholl erschoss erschossene erschossenem erschossenen
+erschossener erschossenes erschossest erschosst erschrak erschrecke erschreckend erschreckende
+erschreckendem erschreckenden erschreckender erschreckendes erschreckens erschreckst erschreckte
+erschrecktem erschreckten erschreckter erschrecktes erschrecktest erschrecktet erschrockene
+erschrockenem erschrockenen erschrockener erschrockenes erschuf erschuft erschöpfbar erschöpfe
+erschöpfen erschöpfend erschöpfens erschöpfst erschöpfte erschöpftem erschöpften erschöpfter
+erschöpftes erschöpftest erschöpftet erschöpfung ersehe ersehen ersehne ersehnt erseht ersetzbar
+ersetze ersetzend ersetzende ersetzendem ersetzenden ersetzender ersetzendes ersetzens ersetzest
+ersetzte ersetztem ersetzten ersetzter ersetztes ersetztest ersetztet ersetzung erspar erspare
+ersparend ersparende ersparendem ersparenden ersparender ersparendes ersparens ersparnis ersparst
+erspart ersparte erspartem ersparten ersparter erspartes erspartet erstach erstacht erstand erstarb
+erstarke erstarkt erstarre erstarrt erstart erstatte erstaune erstaunen erstaunend erstaunens
+erstaunliche erstaunlichem erstaunlichen erstaunlicher erstaunlichere erstaunliches erstaunlichst
+erstaunlichste erstaunst erstaunte erstauntem erstaunten erstaunter erstauntes erstauntest
+erstauntet erstautor erstbau ersteche erstecht erstehe erstehen erstehst ersteht ersteige ersteigt
+erstelle erstellen erstellend erstellens ersteller erstellern erstellers erstellst erstellte
+erstelltem erstellten erstellter erstelltes erstelltest erstelltet erstellung erstem ersterbe
+ersterben ersterbt erstere ersterem ersteren ersterer ersteres ersti erstichst ersticht ersticke
+erstickend erstickende erstickendem erstickenden erstickender erstickendes erstickens erstickst
+erstickte ersticktem erstickten erstickter ersticktes ersticktest ersticktet erstickung erstieg
+erstiegt erstirbt erstmalig erstmalige erstmals erstochene erstochenem erstochenen erstochener
+erstochenes erstrat ersttag erteile erteilend erteilende erteilendem erteilenden erteilender
+erteilendes erteilens erteilst erteilte erteiltem erteilten erteilter erteiltes erteiltest erteiltet
+erteilung ertrag ertragbar ertragend ertragende ertragendem ertragenden ertragender ertragendes
+ertragene ertragenem ertragenen ertragener ertragenes ertragens ertrages ertraglos ertrags ertragt
+ertrank ertrankt ertrinke ertrinkend ertrinkende ertrinkendem ertrinkenden ertrinkender ertrinkendes
+ertrinkens ertrinkst ertrinkt ertrug ertrugt ertrunkene ertrunkenem ertrunkenen ertrunkener
+ertrunkenes erträge erträgt ertrüge ertöne ertönen ertönend ertönst ertönte ertöntem ertönten
+ertönter ertöntes ertöntest ertöntet ertöten ertötet erwache erwachen erwachend erwachens erwachse
+erwachsend erwachsende erwachsendem erwachsenden erwachsender erwachsendes erwachsenem erwachsener
+erwachsenes erwachst erwachte erwachtem erwachten erwachter erwachtes erwachtest erwachtet erwahrt
+erwarb erwarben erwarbst erwarbt erwartbar erwartend erwartende erwartendem erwartenden erwartender
+erwartendes erwartens erwartetem erwarteten erwarteter erwartetes erwartetest erwartetet erwartung
+erweiche erweicht erweis erweise erweisend erweisende erweisendem erweisenden erweisender
+erweisendes erweisens erweises erweisest erweist erweisung erweitre erwische erwischend erwischende
+erwischendem erwischenden erwischender erwischendes erwischens erwischest erwischst erwischte
+erwischtem erwischten erwischter erwischtes erwischtest erwischtet erwäge erwägen erwägst erwägt
+erwähle erwählen erwählst erwählt erwählte erwähne erwähnend erwähnende erwähnendem erwähnenden
+erwähnender erwähnendes erwähnens erwähnst erwähntem erwähnten erwähnter erwähntes erwähntest
+erwähntet erwähnung erwärme erwärmt erze erzen erzend erzes erzeugbar erzeuge erzeugend erzeugende
+erzeugendem erzeugenden erzeugender erzeugendes erzeugens erzeuger erzeugerin erzeugern erzeugers
+erzeugnis erzeugst erzeugte erzeugtem erzeugten erzeugter erzeugtes erzeugtest erzeugtet erzeugung
+erzog erzogene erzogenem erzogenen erzogener erzogenes erzogst erzogt erzählbar erzählend erzählende
+erzählendem erzählenden erzählender erzählendes erzählens erzähler erzählerin erzählern erzählers
+erzählstoff erzähltem erzählten erzählter erzähltes erzähltest erzähltet erzähltext erzähltexte
+erzähltexts erzählton erzählung eröffne eröffnend eröffnende eröffnendem eröffnenden eröffnender
+eröffnendes eröffnens eröffnest eröffnete eröffnetem eröffneten eröffneter eröffnetes eröffnetest
+eröffnetet eröffnung eselei eselein eselin eseln esels essecke essend essende essendem essenden
+essender essendes essener essenern essens essenz essenzen esser esserei essern essers essex etagen
+etagere ethanal ethanol ethanols ethans etwaig etwaige euregio eurobau eurobus eurojet eurone
+europabad europacup europakai europarat europark europarks europart europas europasch europass
+europatag europazug europein europem europid europide europium europol europort europost europäer
+europäid euros evakuiere evakuierend evakuierende evakuierendem evakuierenden evakuierender
+evakuierendes evakuierens evakuierst evakuiert evakuierte evakuiertem evakuierten evakuierter
+evakuiertes evakuiertet evakuierungen eveline evelyne evelyns eventuelle eventuellem eventuellen
+eventueller eventuelles evolutionist evolutionär evolutionäre evolutiv evolutive evolutivem
+evolutiven evolutiver evolutives ewigem ewiger ewiges ewigkeiten exakte exaktem exakten exakter
+exaktere exaktes exempel exempeln exempels exemplare exemplaren exemplares exemplars exemplum
+exfrauen existent existente existentem existenten existenter existentes existenzen existenznot
+existiere existierend existierende existierendem existierenden existierender existierendes
+existierens existierst existierte existierten existiertest existiertet experimentell experimentelle
+experimenten experimentes experiments expert expertenrat expertin expertise explodiere explodierend
+explodierende explodierendem explodierenden explodierender explodierendes explodierens explodierst
+explodierte explodiertem explodierten explodierter explodiertes explodiertest explodiertet explosiv
+explosive explosivem explosiven explosiver explosives extrakt extrakte extrakts extranet extras
+extratag extrazug extrema extremem extremen extremer extremere extremerem extremeren extremerer
+extremeres extremes extremist extremste extremum extremums exzellent exzellente exzellentem
+exzellenten exzellenter exzellentes exzellenzen fabelhafte fabelhaftem fabelhaften fabelhafter
+fabelhaftes fabrikant fabrikat fabrikate fabrikats fabrikbau fabriken fabrikgut fabrikhof fabrikjob
+fabrikneu fabrikrat fabriktor fabrikweg fade fadem fadenmaß fadens fader fadere faderem faderen
+faderer faderes fades fadesse fadeste fahnde fahnden fahnder fahndet fahnen fahrarm fahrbar fahrend
+fahrende fahrendem fahrenden fahrender fahrendes fahrens fahrerei fahrerin fahrerlos fahrern fahrers
+fahrertyp fahrertür fahrhof fahrig fahrige fahrnis fahrort fahrradbau fahrrades fahrradhof
+fahrradrad fahrrads fahrradtag fahrradtyp fahrradweg fahrraum fahrstand fahrsteig fahrstift fahrstil
+fahrstile fahrstils fahrstrom fahrstufe fahrstufen fahrstuhles fahrstuhls fahrstuhlsex fahrstuhltür
+fahrstunde fahrtage fahrten fahrtest fahrtor fahrtore fahrtrum fahrtweg fahrweg fahrzeit fahrzeugart
+fahrzeugbau fahrzeugbus fahrzeuge fahrzeugen fahrzeuges fahrzeugmaß fahrzeugrad fahrzeugs
+fahrzeugtyp fahrzeugtür fahrziel fahrzug faire fairem fairen fairer fairere faires fairste fairway
+fakt faktes faktor faktors fakts faktum faktums faktur faktura falk falke falkenart falkensee
+falkner fallada fallart fallbö fallböe fallend fallende fallendem fallenden fallender fallendes
+fallens falles fallfuß falllot fallott fallout fallt falltor falltyp falltür fallweg falscheid
+falscheide falschem falschere falscherem falscheren falscherer falscheres falscheste falschestem
+falschesten falschester falschestes falschlag falsett familienbad familiengut familienrat
+familientag familientyp familienzug familiär familiäre family fandest fandet fandst fangarm fangend
+fangende fangendem fangenden fangender fangendes fangens fanges fango fangs fangtuch fanshop fanta
+fantasiearm fantasielos fantasien fantasiere fantasieren fantasierst fantasiert fantasierte fantast
+fantasten fantastik fantastin fantastischem fantastischen fantastischer fantastischere
+fantastischerem fantastischeren fantastischerer fantastischeres fantastisches fantastischste fantasy
+farbart farbbad farbdia farbecht farbei farbeier farberde farbhof farbig farbige farblos farbmix
+farbort farbrad farbton farbtyp farmen farmer farmern farmers fassade fassbar fassend fassende
+fassendem fassenden fassender fassendes fassens fasses fassest fassette fasson fasste fassten
+fasstest fasstet fassungen faste fasten fastend fastens fastest fastet fastete fasttag fasziniere
+faszinieren faszinierende faszinierendem faszinierenden faszinierender faszinierendere
+faszinierendes faszinierendste faszinierens faszinierst faszinierte fasziniertem faszinierten
+faszinierter fasziniertes fasziniertest fasziniertet faule faulem faulen faulend faulens fauler
+faulere faules faulgas faulig faulige faulst faulste fault faulte faulten faultet faulung fausten
+fausts faustus faye fayence febril febrile februars februartag federal federarm federart federboa
+federbox federe federhut federico federlos federnd federnde federndem federnden federnder federndes
+federns federohr federrad federst federt federte federten federtet federtyp federung federweg
+federzug fehl fehlbar fehle fehlend fehlende fehlendem fehlenden fehlender fehlendes fehlens
+fehlerart fehlerbit fehlerlos fehlermaß fehlern fehlernte fehlerort fehlers fehlertyp fehlmaß
+fehlstand fehlstart fehlstoß fehltag fehltage fehltags fehlteil fehlteile fehlteils fehlten fehltest
+fehltet fehlton fehltrat fehlweg feien feiend feierabende feierabenden feiere feierei feiernd
+feiernde feierndem feiernden feiernder feierndes feierns feierst feiertag feiertage feiertags
+feierte feierten feiertest feiertet feig feigem feigen feiger feigere feigerem feigeren feigerer
+feigeres feiges feiglingen feiglings feigste feinbau feindes feindest feindete feindeten feindin
+feine feinem feinen feiner feinere feinerz feines feingut feinhub feinort feinst feinste feinzug
+feldakt feldbau feldbus felde feldecke feldende felderbse feldern feldes feldhof feldhut feldmaß
+feldpol feldruf felds feldsee feldtag feldtor feldtyp feldweg feldzug felin feline felinem felinen
+feliner felines felipe felsart felsbau felsdom felsenau felsenbad felsendom felsenge felsenhof
+felsens felsental felsentee felsentor felsenweg felsenzug felsig felsige felstor fensterart
+fensterbau fensterln fensterlnd fensterlos fenstern fensters fenstertag fenstertyp fenstertür ferial
+ferid ferienhof ferienjob ferienort ferientag ferienzug fernab fernamt fernamts fernanda fernandas
+fernandez fernandos fernanruf fernauge fernbedienbar fernbedienen fernbedienens fernbedient
+fernbediente fernbedientem fernbedienten fernbedienter fernbedientes fernbedienungen fernbus fernem
+fernen ferner fernere fernerem ferneren fernerer ferneres fernes ferngas fernhaltend fernhaltende
+fernhaltendem fernhaltenden fernhaltender fernhaltendes fernhaltung fernher fernlag fernost fernruf
+fernsah fernsehe fernsehend fernsehende fernsehendem fernsehenden fernsehender fernsehendes
+fernsehens fernseherin fernsehern fernsehers fernsehhit fernsehoma fernsehrat fernseht fernsehton
+fernste fernuni fernweg fernweh fernzug ferse fersler fertigbau fertige fertigem fertigen fertigend
+fertigens fertiger fertigere fertiges fertigmaß fertigst fertigste fertigt fertigte fertigtee
+fertigten fertigtet fertigung fertil fertile fertilem fertilen fertiler fertiles fessel fessele
+fessellos fesselnd fesselnde fesselndem fesselnden fesselnder fesselndes fesselns fesselst fesselt
+fesselte fesselten fesseltet fesselung fessle festakt festamt festem festend festende festere
+festerem festeren festerer festeres festes festeste festgehalt festgehalte festgehaltene
+festgehaltenem festgehaltenen festgehaltener festgehaltenes festgehalts festgenommene festgenommenem
+festgenommenen festgenommener festgenommenes festgesteckt festgestein festgesteine festgestellte
+festgestelltem festgestellten festgestellter festgestelltes festhalle festhallen festhaltbar
+festhalte festhaltend festhaltende festhaltendem festhaltenden festhaltender festhaltendes
+festhaltens festhaltet festhaltung festhof festige festigt festlag festnehme festnehmend
+festnehmende festnehmendem festnehmenden festnehmender festnehmendes festnehmens festnehmt feston
+festplatten festplatz festplatzes festruf fests festsaß feststellbar feststelle feststellend
+feststellende feststellendem feststellenden feststellender feststellendes feststellens feststeller
+feststellern feststellers feststellst feststellt feststellte feststellten feststelltet feststellung
+festtag festtyp festungen festzog festzug fettarm fettart fettbad fettecke fettem fettend fettens
+fetter fettere fetterem fetteren fetterer fetteres fettes fettest fetteste fettet fettete fetteten
+fettig fettige fettlos feuchte feuchtem feuchten feuchtend feuchtens feuchter feuchtere feuchtes
+feuchtest feuchtet feuchtete feueraal feuerart feueraxt feuerbad feuere feuerfuß feuergas feuerlos
+feuermal feuernd feuernde feuerndem feuernden feuernder feuerndes feuerns feuerrad feuerrot feuers
+feuersee feuerst feuert feuerte feuerten feuertet feuertod feuerton feuertyp feuertür feueruhr
+feuerung feuerwall feuerwand feuerweg feuerwege feuerwegen feuerweges feuerwegs feuerwehraxt
+feuerwehren feuerwehrtag feuerwehrzug feuerweihe feuerwein feuerwelle feuerwerfer feuerwerke
+feuerwerken feuerwerker feuerwerkern feuerwerkers feuerwerks feuerwesen feuerwind feuerzahn
+feuerzeit feuerzeuge feuerzeugen feuerzeugs feuerzone ficke fickend fickende fickendem fickenden
+fickender fickendes fickens ficker fickerei fickerig fickerin fickern fickers fickrig ficks ficksau
+fickst fickt fickte fickten ficktet fiebere fieberig fieberige fiebern fiebernd fiebernde fieberns
+fiebers fieberst fiebert fieberte fieberten fiebertet fiebertod fiebertyp fiebre fiebrig fiele
+fielst fielt fiesco fiescos fiese fiesele fieseln fieselt fiesem fiesen fieser fiesere fieses fiesta
+fiestas figural figurale figurenart figurine filmakt filmamt filmart filmbar filmbau filmbox filmduo
+filmecho filmend filmende filmendem filmenden filmender filmendes filmens filmepos filmer filmerbe
+filmerei filmes filmexil filmfan filmgag filmhai filmhit filmhof filmrat filmsaal filmsatz filmset
+filmsets filmsnob filmsohn filmsong filmspaß filmspur filmst filmstab filmstabes filmstabs filmstadt
+filmstapel filmstars filmstart filmstarts filmstativ filmstatus filmstaub filmsteg filmstege
+filmstil filmstile filmstils filmstock filmstoff filmstory filmstäbe filmstück filmsäle filmt filmte
+filmten filmtet filmtod filmtyp filmzar fina final finalem finalen finaler finales finalist finals
+finaltag finanz findbar findend findende findendem findenden findender findendes findens finder
+finderin findern finders findig findige findung finge fingerabdrücken fingere fingerhub fingerhut
+fingerig fingerige fingernd fingernde fingerndem fingernden fingernder fingerndes fingernerv fingers
+fingerst fingert fingerte fingerten fingerzug fingrig fingst fingt finne finnen finnig finnin
+finnwal finster finstere finsterem finsteren finsterer finsterere finsteres finstern finsternisse
+finsternissen finsterste firm firmenakt firmenart firmend firmenhof firmenjet firmenjob firmentyp
+firmung firste firsten firstes firsts fischarm fischart fischbai fischbar fischegel fischei
+fischeier fischeln fischend fischende fischendem fischenden fischender fischendes fischens fischenz
+fischerei fischergut fischerhof fischerin fischern fischerort fischers fischertag fischertor
+fischerweg fisches fischeule fischhof fischig fischige fischkot fischs fischsee fischst fischsud
+fischt fischtag fischte fischten fischtet fischtor fischuhu fischweg fischzug fischöl fischöle
+fischöls flachbau flache flachem flachen flacher flachere flaches flachfuß flachs flachse flachsee
+flachsen flachses flachste flacht flachte flachten flachtyp flackre flacon flaggen flaggend
+flaggende flaggst flaggt flaggte flaggten flaggtet flame flamen flammbar flammend flammende
+flammendem flammenden flammender flammendes flammenort flammentod flammeri flammst flammt flammte
+flammten flammtet flandern flanderns flaschenart flaschengas flaschentyp flaschenzug flaschner flash
+flashen flashs flechte flecke fleckend fleckenlos fleckenrat fleckens fleckenuhu fleckerl fleckes
+fleckig fleckige flecks fleckung flehen flehend flehende flehens flehmen flehst fleht flehte flehten
+flehtet fleischarm fleischart fleischer fleischern fleischers fleisches fleischig fleischige
+fleischlos fleischrot fleischs fleischton fleischtyp fleischzug fleiß fleißes fleißige fleißigem
+fleißigen fleißiger fleißigere fleißiges fleißigste flieder flieg fliegenarm fliegenart fliegend
+fliegende fliegendem fliegenden fliegender fliegendes fliegenhof fliegens fliegentür fliegerass
+fliegerei fliegerfan fliegerin fliegern fliegers fliegertod fliegeruhr flieh fliehe fliehend
+fliehende fliehendem fliehenden fliehender fliehendes fliehens fliehst flieht fliese fliesen fliest
+flieste fließ fließe fließend fließende fließendem fließenden fließender fließendes fließens
+fließest fließtext fließweg flittchens flogen flogst flogt flor flora floral florale floren florenz
+flores florett flori florian florians florid floridas floriere floriert florin florine florinen
+florins floris florist flott flottem flotten flotter flottere flotterem flotteren flotterer
+flotteres flottes flotteste flottweg floßes fluche fluchen fluchend fluchens flucher fluchern
+fluchers fluches fluchs fluchst fluchtbus fluchte fluchten fluchtend fluchtest fluchtet fluchtort
+fluchttor fluchttür fluchtung fluchtweg flugart flugbau fluge fluges flughaare flughafenbau
+flughafenbus flughafens flughafenuhr flughafer flughafers flughahn flughahns flughalle flughaut
+flugjob flugruf flugs flugtag flugtee flugweg flugzeit flugzeugart flugzeugbau flugzeugbox
+flugzeugen flugzeuges flugzeugs flugzeugtyp flugziel flugzone flure fluren flures flurhof flurs
+flurtyp flurtür flurweg fluse flusen flush flussaal flussab flussarm flussart flussau flussaue
+flussauf flussbad flussbau flusseis flusses flusskai flussmaß flussnah flusstal flusstor flussweg
+flutaue fluten flutend flutens flutest flutet flutete fluttor flutung flöten flötend flötende
+flötens flötest flötet flötete flöteten flötetet flötist flüche flüchen flüchte flüchtend flüchtende
+flüchtendem flüchtenden flüchtender flüchtendes flüchtens flüchtest flüchtet flüchtete flüchteten
+flüchtetet flüchtig flüchtige flüchtling flüchtlingen flüchtlings flüge flügelbau flügelbug
+flügellos flügeln flügelnd flügelrad flügels flügeltor flügeltyp flügeltür flügelung flügelzug
+flügen flügge flüggem flüggen flügger flügges flüssigkeiten flüstere flüstern flüsternd flüsternde
+flüsterns flüsterst flüsterte flüsterten flüstertest flüstertet flüsterton flüstertons flüstertüte
+flüstre folgend folgendem folgender folgenlos folgens folgere folgern folgernd folgerns folgerst
+folgert folgerte folgetag folgeton folgezug folgsam folgst folgten folgtest folgtet foltere folterer
+folternd folternde folterndem folternden folternder folterndes folterns folterst foltert folterte
+folterten foltertet foltertod folterung fontane fonts fontäne footballer footballern footballers
+footballs forderer fordernd fordernde forderndem fordernden fordernder forderndes forderns forderst
+forderte forderten fordertest fordertet forderung fordre fords forelle foren forma formal formale
+formant format formate formats formbar formbau forme formelbau formell formelle formellem formellen
+formeller formelles formeln formen formend formende formens former formerei formerin formlos formosa
+formst formt formte formten formtet formulare formularen formulars formung formzug formöl forsch
+forsche forschem forschen forschend forschens forscher forschere forschern forschers forsches
+forschest forschst forscht forschte forschten forschtet fortan forte fortfahre fortfahrend
+fortfahrende fortfahrendem fortfahrenden fortfahrender fortfahrendes fortfahrt forth fortis fortkam
+fortran forts fortschrieb fortschriebt fortschritten fortschritts fortschrittst fortsetzbar
+fortsetze fortsetzend fortsetzende fortsetzendem fortsetzenden fortsetzender fortsetzendes
+fortsetzens fortsetzerin fortsetzest fortsetzt fortsetzte fortsetzten fortsetztet fortsetzungen
+fortuna fortune fortzog fortzug fortüne fotogen fotogene fotograben fotografen fotografie
+fotografien fotografiere fotografierend fotografierende fotografierendem fotografierenden
+fotografierender fotografierendes fotografierens fotografierst fotografiert fotografierte
+fotografiertem fotografierten fotografierter fotografiertes fotografiertet fotografik fotografin
+fotogramm fotogramme fotogravur foton fotosatz fracht frachten frachtern frachters frachtgut
+frachthof frachthub frachtjet frachttor frachttür frachtzug fragbar fragend fragende fragendem
+fragenden fragender fragendes fragens frager fragerei fragerin fragern fragers fragil fragile
+fraglos fragtest fragtet franc france frances franciscos francium franco francos franka franke
+franken frankens frankiere frankieren frankierst frankiert frankierte franklins franko frankreichs
+franks franse fransen fransig franst franste franzi franzis französiert französin französischem
+französischer französisches französismus français françoise frauenakt frauenalb frauenarm frauenau
+frauenbad frauenbau fraueneis frauenfuß frauengut frauenhof frauenlob frauenlos frauenmut frauenpo
+frauenpos frauenrad frauenrat frauensee frauentag frauentor frauentyp frauke fraukes freakig
+freakige freaks freche frechem frechen frecher frechere freches frechst frechste freddies freia
+freiamt freibad freiem freiend freiende freiendem freienden freiender freiendes freiere freierem
+freieren freierer freieres freiern freiers freies freieste freigab freigelassene freigelassenem
+freigelassenen freigelassener freigelassenes freigut freihabe freihabt freihand freihang freihaus
+freiheide freiheiten freiherr freiherrn freihof freihält freiin freikam freilasse freilassend
+freilassende freilassendem freilassenden freilassender freilassendes freilassens freilassing
+freilasst freilassung freilos freimaß freimut freist freiste freit freitage freitagen freitags
+freital freitals freite freiten freitest freitet freitext freitod freitode freiung freiweg freiwild
+freiwildes freiwillige freiwilligem freiwilligen freiwilliger freiwilliges freizeile freizeilen
+freizeitbad freizeiten freizeitort freizeitsee freizeitweg freizone fremdeln fremdelnd fremdelns
+fremdelt fremdelte fremdem fremdes fremdeste fremdgas fremdgut frequent frequenzen frequenzhub
+frequenznot freske fresken fresko fressaal fressbar fressend fressende fressendem fressenden
+fressender fressendes fressens fresser fresserei fresserin fressern fressers fresst freud freudenarm
+freudenruf freudentag freudental freudig freudige freudlos freuds freuend freuende freuendem
+freuenden freuender freuendes freuens freundest freundet freundete freundeten freundliche
+freundlichem freundlichen freundlicher freundlichere freundliches freundlichst freundlichste freunds
+freundschaften freute freuten freutest freutet frieda friedel friedels friedenau friedenaus friedens
+friedensau frieder friedest friedet friedete friedeten friedhelm friedhofes friedhofs friedhöfe
+friedland friedliche friedlichem friedlichen friedlicher friedlichere friedliches friedlichste
+friedlos friedlose friedsam friere frieren frierst friert fries friese friesen frieses friesin
+frisbee frischauf frischei frischeis frischem frischen frischend frischens frischer frischere
+frischerem frischeren frischerer frischeres frisches frischeste frischgas frischkur frischst
+frischste frischt frischte frischten frischweg friseure friseuren friseurin friseurs friseuse
+friseusen friso friss frist friste fristen fristet frisuren frisör frites fritte fritten fritter
+fritze fritzen fritzens fritzlar frohem frohen froher frohere froherem froheren froherer froheres
+froheste frohestem frohesten frohester frohestes frohmut frohste fromm fromme frommem frommen
+frommer frommes frommt fron fronen frongut fronhof frontal frontale fronten frontend frontex
+frontnah fronttür froschart frosches froschs frost frosten froster frostes frostig frosts fräuleins
+fröhliche fröhlichem fröhlichen fröhlicher fröhlichere fröhliches fröhlichste früchteart früchten
+früchtetee frühbau frühe frühehe frühehen frühem frühere früherem früherer früheres frühes frühest
+früheste frühlicht frühlinge frühlings frühstart frühste frühstem frühsten frühster frühstes
+frühstil frühstile frühstils frühstücke frühstückend frühstückende frühstückendem frühstückenden
+frühstückender frühstückendes frühstückes frühstücks frühstücksei frühstückst frühstückt frühstückte
+frühstückten frühstücktet frühtau frühtyp frühzug fuckeln fucking fuhre fuhrst fuhrt funkamt funke
+funkele funkeln funkelt funken funkend funkens funker funkern funkers funkes funkgeräte funkgeräten
+funkgerätes funkgeräts funkle funklig funkruf funks funkst funkt funktaxi funkte funkteil funkten
+funktest funktet funktional funktionale funktionell funktionen funktioniere funktionierend
+funktionierende funktionierendem funktionierenden funktionierender funktionierendes funktionierens
+funktionierst funktionierten funktioniertest funktioniertet funktionär funktionäre funktionärs
+funktisch funktor funktore funktors funkturm funkuhr funkweg furche furchen furchend furchig
+furchige furchtbarem furchtbaren furchtbarer furchtbarere furchtbarerem furchtbareren furchtbarerer
+furchtbareres furchtbares furchtbarste furchtlos furchtsam furchung fussel fusseln futteral
+futterale futterals futterart futterbau futtere futterheu futtern futternd futternde futterns
+futters futterst futtert futterte futterten futtertet futtertyp futtre fußbach fußbad fußbades
+fußball-em fußball-wm fußballelf fußballen fußballens fußballer fußballern fußballers fußballes
+fußballfan fußballs fußballtag fußballtor fußbalsam fußbank fußbau fußbaues fußbett fußbote fähige
+fähigem fähigen fähiger fähigere fähiges fähigste fähren fährhof fährnis fährsee fährseen fährseil
+fährte fährten fährtor fährtore fährturm fährtyp fährtyps fährweg fährzug fällbad fällend fällende
+fällendem fällenden fällender fällendes fällens fällige fälligem fälligen fälliger fälliges fällte
+fällten fälltest fälltet fällung fälschbar fälsche fälschen fälschend fälschens fälscher fälschern
+fälschers fälschest fälschst fälscht fälschte fälschten fälschtet fälschungen fänge fängen fänger
+fängern fängers föderationen föderativ föderative föderativem föderativen föderativer föderatives
+fühlbar fühlend fühlende fühlendem fühlenden fühlender fühlendes fühlens fühler fühlern fühlers
+fühllos fühlten fühltest fühltet fühlung führbar führend führende führendem führenden führender
+führendes führens führerbau führerin führerlos führern führerrat führers führerschaft führerscheine
+führerscheinen führerscheins führerschiff führerschule führtest führtet führungen füll füllbar
+füllbit fülle füllecke füllend füllende füllendem füllenden füllender füllendes füllens füller
+füllern füllers füllgas füllgut füllig füllige füllsel füllst füllt füllte füllten fülltet füllung
+fünfeck fünfen fünfer fünfern fünfers fünfmal fünfmaß fünft fünfte fünftel fünfteln fünftelnd
+fünftels fünftem fünftens fünfter fünftes fünfzig fürchtend fürchtende fürchtendem fürchtenden
+fürchtender fürchtendes fürchtens fürchterliche fürchterlichem fürchterlichen fürchterlicher
+fürchterlichere fürchterliches fürchterlichste fürchtest fürchtete fürchteten fürchtetest fürchtetet
+fürstenau fürstenbad fürstenbau fürstenhof fürstenlob fürstenrat fürstensee fürstentag fürstentum
+fürstenweg fürstenzug fürstin füttere fütternd fütternde fütterndem fütternden fütternder fütterndes
+fütterns fütterst füttert fütterte fütterten füttertet fütterung füttre füßeln füßelnd gabel gabele
+gabelig gabeln gabelnd gabelns gabelst gabelt gabelte gabriela gabrielas gabriele gabrieles
+gabrielle gabriels gainze gala galactose galan galant galante galatag galater galaxien galaxis
+gangart gangbar gangbau gange gangelt ganges gangklo gangnam gangrad gangrän gangs gangsteig
+gangsteige gangsterin gangstern gangsters gangstertum gangstil gangstils gangtür gangway gangzug
+ganztag ganzton ganzzug garagen garant garanten garantieart garantien garantierecht garantierend
+garantierende garantierendem garantierenden garantierender garantierendes garantierens garantierente
+garantierenten garantierst garantierte garantiertem garantierten garantierter garantiertes
+garantiertest garantiertet garaus garderoben garderober garderobier garni garnichts garniere
+garniert garnison garnitur gart garte garteln gartelnd gartenamt gartenart gartenbad gartenbau
+gartengut gartenhof gartens gartensee gartentee gartentor gartentyp gartentür gartenweg gartz garz
+garzeit gassack gasseite gassen gassi gasstau gassteg gasstoß gastank gasteig gasteil gaster gastes
+gastest gasthof gastod gastode gaston gastons gastorf gastral gastro gasträa gasturm gates gateway
+gaunerei gaunerin gaunern gauners geahndet geahnte geahntem geahnten geahnter geahntes gearbeitete
+gearbeitetem gearbeiteten gearbeiteter gearbeitetes gebackt gebadet gebahnt gebalge gebalgt gebalkt
+geballt gebalzt gebangt gebannt gebar gebaren gebarmt gebarst gebart gebauer gebauers gebaute
+gebautem gebauten gebauter gebautes gebeamt gebebt gebeigt gebein gebeine gebeins gebeizt gebell
+gebells gebellt gebend gebende gebendem gebenden gebender gebendes gebens geber geberin gebern
+gebers gebesee gebetene gebetenem gebetenen gebetener gebetenes gebetes gebets gebettel gebettet
+gebeugt gebeult gebierst gebiert gebiete gebieten gebietend gebietens gebieter gebietern gebieters
+gebietes gebietest gebietet gebiets gebikt gebilde gebimst gebinde gebingt gebirge gebiss gebissart
+gebisse gebissene gebissenem gebissenen gebissener gebissenes gebisses gebliebene gebliebenem
+gebliebenen gebliebener gebliebenes gebockt gebogen gebohrt gebolzt gebombt gebongt geboomt geborene
+geborenem geborenen geborener geborenes geborgen geborgt geborgte gebot gebote gebotene gebotenem
+gebotenen gebotener gebotenes gebotes gebotest gebotet gebots gebowlt geboxt gebrach gebrachte
+gebrachtem gebrachten gebrachter gebrachtes gebrannt gebraten gebrauch gebrauche gebrauchend
+gebrauchende gebrauchendem gebrauchenden gebrauchender gebrauchendes gebrauchens gebrauches
+gebrauchs gebrauchst gebrauchte gebrauchtem gebrauchten gebrauchter gebrauchtes gebrauchtest
+gebrauchtet gebrause gebraust gebrauste gebraut gebraute gebrautem gebrauten gebrauter gebrautes
+gebrochene gebrochenem gebrochenen gebrochener gebrochenes gebrockt gebucht gebuhlt gebumse gebumst
+gebundene gebundenem gebundenen gebundener gebundenes geburten geburtsart geburtsbad geburtshof
+geburtsmal geburtsmaß geburtsort geburtsrad geburtstage geburtstagen geburtstages geburtstags
+geburtstagsparade geburtstagspartys geburtsweg gebäck gebäcke gebäcks gebäht gebälk gebälks gebärde
+gebäre gebären gebärst gebärt gebäudeart gebäudebau gebäuden gebäudespur gebäudetyp gebäudezug
+gebäumt gedachte gedachtem gedachten gedachter gedachtes gedachtest gedachtet gedackt gedankenarm
+gedankenbau gedankengut gedankenlos gedankens gedankenzug gedankt gedankte gedanktem gedankten
+gedankter gedanktes gedarbt gedarrt gedatet gedauerte gedauertem gedauerten gedauerter gedauertes
+gedichten gedichtes gedichtet gedichtete gedichtetem gedichteten gedichteter gedichtetes gedichts
+gediegen gedieh gediehen gediehst gedieht gediente gedientem gedienten gedienter gedientes gedimmt
+gedinge gedingt gedippt gedisst gedrehte gedrehtem gedrehten gedrehter gedrehtes gedresst gedroht
+gedräut gedröhn gedrückte gedrücktem gedrückten gedrückter gedrücktes geduckt gedudel gedulde
+gedulden geduldend geduldens geduldest geduldet geduldete geduldige geduldigem geduldigen geduldiger
+geduldigere geduldiges geduldigst geduldigste gedurft geduzt geduzte gedächtnislos gedächtnisort
+gedächtnisse gedächtnissen gedächtnisses gedächtnistag gedächtnisweg geehrte geehrtem geehrten
+geehrter geehrtes geeignete geeignetem geeigneten geeigneter geeignetere geeignetes geeignetste
+gefach gefahrenart gefahrene gefahrenem gefahrenen gefahrener gefahrenes gefahrengut gefahrgut
+gefahrlos gefakt gefalle gefallend gefallene gefallenem gefallenen gefallener gefallenes gefallens
+gefallt gefalten gefaltet gefalzt gefalzte gefangenem gefangenenbus gefangenes gefasel gefasels
+gefaselt gefasert gefasste gefasstem gefassten gefasster gefasstere gefasstes gefast gefastet
+gefault gefaxt gefaxte gefechst gefechte gefechten gefechtes gefechts gefegt gefegte gefehlte
+gefehltem gefehlten gefehlter gefehltes gefeierte gefeiertem gefeierten gefeierter gefeiertes
+gefeilt gefeilte gefeit gefeite gefeitem gefeiten gefeiter gefeites gefeixt gefell gefenzt
+gefesselte gefesseltem gefesselten gefesselter gefesseltes gefetzt gefeuerte gefeuertem gefeuerten
+gefeuerter gefeuertes gefickte geficktem gefickten gefickter geficktes gefiedel gefieder gefiele
+gefielen gefielst gefielt gefiert gefilde gefilden gefilmte gefilmtem gefilmten gefilmter gefilmtes
+gefilzt gefilzte gefirmt gefirnt gefixt gefixte gefizt geflogene geflogenem geflogenen geflogener
+geflogenes geflohene geflohenem geflohenen geflohener geflohenes gefohlt gefolge gefolgen gefolgert
+gefolges gefolterte gefoltertem gefolterten gefolterter gefoltertes gefoppt geformt gefotzt gefoult
+gefrackt gefrage gefragte gefragtem gefragten gefragter gefragtes gefranst gefrees gefreit gefreite
+gefressene gefressenem gefressenen gefressener gefressenes gefrett gefror gefrort gefräst gefrönt
+gefundene gefundenem gefundenen gefundener gefundenes gefunkel gefunkt gefunkte gefunzt gefährde
+gefährdend gefährdende gefährdendem gefährdenden gefährdender gefährdendes gefährdens gefährder
+gefährdern gefährders gefährdest gefährdete gefährdetem gefährdeten gefährdeter gefährdetere
+gefährdetes gefährdetest gefährdetet gefährdetste gefährdung gefährlichem gefährlichere
+gefährlicherem gefährlicheren gefährlicherer gefährlicheres gefährliches gefährlichste gefährt
+gefährte gefährten gefährtin gefährts gefälle gefällen gefälles gefällig gefällige gefälligem
+gefälligen gefälliger gefälligere gefälliges gefälligste gefälligstem gefälligsten gefälligster
+gefälligstes gefällst gefällte gefälltem gefällten gefällter gefälltes gefälschte gefälschtem
+gefälschten gefälschter gefälschtes gefängnisbau gefängnisbus gefängnishof gefängnisse gefängnissen
+gefängnisses gefängnistor gefängnistyp gefängnistür gefärbt gefäße gefäßen gefäßes gefüge gefügen
+gefüges gefügig gefügt gefügte gefühlig gefühlige gefühllos gefühls gefühlte gefühltem gefühlten
+gefühlter gefühltes geführte geführtem geführten geführter geführtes gefüllte gefülltem gefüllten
+gefüllter gefülltes gegangene gegangenem gegangenen gegangener gegangenes gegebene gegebenem
+gegebenen gegebener gegebenes gegehrt gegeigt gegeit gegeizt gegellt gegenamt gegendamm gegendemo
+gegenden gegendert gegenfuß gegenhof gegenion gegenlas gegenleiste gegenleisten gegenleistungen
+gegenmitteln gegenmittels gegenohr gegenpol gegenrad gegenruf gegensaldo gegensatze gegensatzes
+gegensatzung gegensee gegenseil gegenseile gegenseilen gegenseite gegenseiten gegenseitige
+gegenseitigem gegenseitigen gegenseitiger gegenseitiges gegensinn gegenspur gegenstadt gegenstande
+gegenstandes gegenstands gegenstoß gegenstrom gegenstöße gegenstück gegentakt gegenteam gegenteams
+gegenteile gegenteilen gegenteilig gegenteilige gegenteils gegenteiltag gegenterme gegentest
+gegentests gegentor gegentore gegentors gegentyp gegentyps gegenwaffe gegenwall gegenwarte
+gegenwarten gegenweg gegenwege gegenwehr gegenwelt gegenwert gegenwind gegenwort gegenwurf gegenzug
+gegenüberlag gegenübers gegenübersah gegerbt gegessene gegessenem gegessenen gegessener gegessenes
+geglart geglaubte geglaubtem geglaubten geglaubter geglaubtes gegneißt gegnerin gegnern gegners
+gegraut gegrämt gegröle gegrölt gegrübel gegründete gegründetem gegründeten gegründeter gegründetes
+gegrünt gegrüßte gegrüßtem gegrüßten gegrüßter gegrüßtes gegurkt gegurrt gehaart gehabe gehaben
+gehabert gehabes gehabte gehabtem gehabten gehabter gehabtes gehackt gehader gehakt gehallt gehalst
+gehalte gehaltene gehaltenem gehaltenen gehaltener gehaltenes gehaltes gehaltlos gehalts gehandelte
+gehandeltem gehandelten gehandelter gehandeltes geharft geharkt geharnt geharrt geharzt gehascht
+gehasste gehasstem gehassten gehasster gehasstes gehastet gehaue gehauen gehaust gehaut geheckt
+geheft gehege gehegen geheges gehegt gehegte gehehlt geheien geheiligt geheilte geheiltem geheilten
+geheilter geheiltes geheimdienstakt geheimdienste geheimdiensten geheimdienstes geheimdienstler
+geheimdiensts geheimem geheimer geheimere geheimerem geheimeren geheimerer geheimeres geheimes
+geheimnisart geheimnissen geheimnisses geheimrat geheimst geheimste geheimtür geheimweg geheiratete
+geheiratetem geheirateten geheirateter geheiratetes geheizt geheizte geheiß geheißen geheißes
+geheißt gehemmt gehend gehende gehendem gehenden gehender gehendes gehenk gehenkt gehenkte gehenna
+gehens geher geherzt gehetze gehetzt geheuer geheul geheule geheuls geheult geheut gehext gehievt
+gehilfe gehinkt gehirne gehirnen gehirnes gehirns gehirntod gehirntyp gehisst gehoben gehockt
+geholper geholte geholtem geholten geholter geholtes gehont gehopst gehorche gehorchend gehorchende
+gehorchendem gehorchenden gehorchender gehorchendes gehorchens gehorchst gehorcht gehorchte
+gehorchten gehorchtet gehsteig gehstock gehänge gehängen gehänges gehängte gehängtem gehängten
+gehängter gehängtes gehänsel gehäuft gehäuse gehöft gehöfte gehöfts gehöhnt gehölz gehölze gehör
+gehörend gehörende gehörendem gehörenden gehörender gehörendes gehörens gehörig gehörige gehörlos
+gehörn gehörnt gehörnte gehörs gehörsand gehörsinn gehörtem gehörten gehörter gehörtes gehörtest
+gehörtet geien geiend geiern geiernd geiers geile geilem geilen geiler geilere geiles geilst geilste
+geilt geilte geilten geisa geiser geisern geisers geisha geishas geising geiste geisterart
+geisterbär geistere geisterfuß geisterhai geisternd geisternde geisterndem geisternden geisternder
+geisterndes geisternetz geisternote geisterns geisterrad geisterst geistert geisterte geisterten
+geistertet geisterzug geistesart geistesgut geistesohr geistesweg geistige geistigem geistigen
+geistiger geistiges geistlos geistre geists gejagte gejagtem gejagten gejagter gejagtes gejammt
+gejapst gejaule gejault gejazzt gekackt gekalbt gekalkt gekannte gekanntem gekannten gekannter
+gekanntes gekantet gekappt gekarrt gekauert gekaufte gekauftem gekauften gekaufter gekauftes gekaut
+gekaute gekautem gekauten gekauter gekautes geklafft geklagt geklapper geklappert geklappte
+geklapptem geklappten geklappter geklapptes geklapst geklaubt geklaute geklautem geklauten geklauter
+geklautes geklebt gekleht geklirr geklont gekläff gekläffe gekläffs gekläfft geklärte geklärtem
+geklärten geklärter geklärtes geklönt gekochte gekochtem gekochten gekochter gekochtes gekohlt
+gekokst gekommene gekommenem gekommenen gekommener gekommenes gekonnt gekoppt gekoren gekorkt
+gekostete gekostetem gekosteten gekosteter gekostetes gekotet gekotzt gekrippt gekämmt gekämmte
+gekühlt gekümmelt gekündet gekündigte gekündigtem gekündigten gekündigter gekündigtes gekürt gekürte
+gekürzt geküsste geküsstem geküssten geküsster geküsstes gelaber gelabt gelabte gelackt geladene
+geladenem geladenen geladener geladenes gelage gelagen gelages gelahmt gelallt gelammt gelandete
+gelandetem gelandeten gelandeter gelandetes gelange gelangend gelangende gelangendem gelangenden
+gelangender gelangendes gelangst gelangte gelangtem gelangten gelangter gelangtes gelangtest
+gelangtet gelappt gelascht gelass gelasse gelassene gelassenem gelassenen gelassener gelassenere
+gelassenes gelassenste gelasses gelastet gelauert gelaufe gelaufene gelaufenem gelaufenen gelaufener
+gelaufenes gelaufes gelaugt gelaunt gelaunte gelaust gelauste gelautet gelb gelbaal gelbem gelber
+gelbes gelbfuß gelbrot gelbton geldart geldbad gelde gelder geldern geldfuß geldhai geldhof geldlos
+geldnot gelds geldzug geleakt geleast gelebte gelebtem gelebten gelebter gelebtes geleckt gelee
+geleert gelees gelege gelegene gelegenem gelegenen gelegener gelegenes gelegenheiten geleges gelegte
+gelegtem gelegten gelegter gelegtes gelehnt gelehrig gelehrige gelehrsam gelehrte gelehrtem
+gelehrten gelehrter gelehrtere gelehrtes geleier geleiert geleimt geleimte geleis geleise geleisen
+geleises geleistete geleistetem geleisteten geleisteter geleistetes geleit geleite geleiten
+geleitend geleitende geleitens geleitest geleitete geleitetem geleiteten geleiteter geleitetes
+geleitetest geleitetet geleits geleitzug gelenk gelenke gelenks gelenkt gelenzt gelernte gelerntem
+gelernten gelernter gelerntes gelesene gelesenem gelesenen gelesener gelesenes geletzt geliebtem
+geliebtes geliebteste gelieferte geliefertem gelieferten gelieferter geliefertes geliehene
+geliehenem geliehenen geliehener geliehenes gelieren geliert gelierte gelikt gelind gelinde gelindem
+gelinden gelinder gelindes gelinge gelingen gelingend gelingens gelingst gelinkt gelinkte gelinst
+gelittene gelittenem gelittenen gelittener gelittenes gelobe geloben gelobst gelobt gelobte gelocht
+gelockt gelogene gelogenem gelogenen gelogener gelogenes geloggt gelohnt geloht gelost geloste
+gelotet gelotst gelte geltend geltende geltendem geltenden geltender geltendes geltens geltet
+geltung gelungene gelungenem gelungenen gelungener gelungenere gelungenes gelungenste gelungert
+gelunzt gelächelt gelächtern gelächters gelähmte gelähmtem gelähmten gelähmter gelähmtes geländeart
+geländer geländerad geländern geländers geländes geländetyp geländezug gelänge gelängen geläppt
+gelärme gelärmt geläuf geläut geläute gelöckt gelöhnt gelöschte gelöschtem gelöschten gelöschter
+gelöschtes gelöste gelöstem gelösten gelöster gelöstere gelöstes gelötet gema gemach gemache
+gemaches gemachs gemachte gemachtem gemachten gemachter gemachtes gemahl gemahls gemahnt gemailt
+gemalert gemalmt gemalte gemaltem gemalten gemalter gemaltes gemara gemault gemaust gemehrt
+gemeindeamt gemeindeart gemeindebad gemeindebau gemeindegut gemeindehof gemeinden gemeindenah
+gemeindeort gemeinderat gemeinderuf gemeindetag gemeindetyp gemeindeweg gemeine gemeinem gemeinen
+gemeiner gemeinere gemeines gemeingut gemeinhin gemeinsamem gemeinsamer gemeinsames gemeinschaften
+gemeinsinn gemeinst gemeinste gemeinstem gemeinsten gemeinster gemeinstes gemeinte gemeintem
+gemeinten gemeinter gemeintes gemeldete gemeldetem gemeldeten gemeldeter gemeldetes gemelkt gemenge
+gemengt gemerkte gemerktem gemerkten gemerkter gemerktes gemieden gemieft gemietete gemietetem
+gemieteten gemieteter gemietetes gemobbt gemochte gemochtem gemochten gemochter gemochtes gemoppt
+gemopst gemorst gemoser gemotze gemotzt gemächt gemählt gemäht gemähte gemälden gemäldes gemäuer
+gemäß gemäße gemäßem gemäßen gemäßer gemäßes gemüht gemünzt gemüseart gemüsen gemüses gemüsesud
+gemüt gemüte gemüter gemütes gemütliche gemütlichem gemütlichen gemütlicher gemütlichere gemütliches
+gemütlichste gemütlos gemütlose gemüts genagt genagte genaht genannte genanntem genannten genannter
+genanntes genant genarbt genarrt genas genasen genast genauem genauen genauere genauerem genaueren
+genauerer genaueres genaues genaueste geneckt genehen genehm genehme genehmem genehmen genehmer
+genehmere genehmes genehmige genehmigen genehmigend genehmigens genehmigst genehmigte genehmigtem
+genehmigten genehmigter genehmigtes genehmigtest genehmigtet genehmigungen genehmste geneigt genen
+geneppt genera generalabt generale generalen generales generalin generalist generalrat generals
+generaltag generat generativ generative generativem generativen generativer generatives generatoren
+generatorgas generators generell generika genervt genervte generäle generös generöse genese genesen
+genesis genest genetik genette genetzt genever geniale genialem genialen genialer genialere geniales
+genialste genicke genicken genicks genickt geniere genieren genierst geniert genierte genies geniest
+genietet genieß genießbar genießend genießende genießendem genießenden genießender genießendes
+genießens genießer genießerin genießern genießers genießest genippt genisa genital genitiv genius
+genom genome genomen genommene genommenem genommenen genommener genommenes genoms genoppt genormt
+genort genoss genossene genossenem genossenen genossener genossenes genossest genossin genosst
+genotyp genozid genua genuas genuese genugsam genugtun genuin genuine genullt genus genuss genutet
+genutzte genutztem genutzten genutzter genutztes genüge genügen genügende genügendem genügenden
+genügender genügendere genügendes genügendste genügens genügsam genügst genügte genügten genügtest
+genügtet genüsse genützt geopferte geopfertem geopferten geopferter geopfertes georg georgelt
+georges georgette georgi georgia georgias georgien georgiens georgier georgierin georgiern georgiers
+georgios georgis georgisch georgius georgs geortet gepaart gepackte gepacktem gepackten gepackter
+gepacktes gepafft gepalt gepappt gepard geparde geparkt geparst gepasst gepatzt gepaukt geplackt
+geplagt geplagte geplante geplantem geplanten geplanter geplantes geplatzte geplatztem geplatzten
+geplatzter geplatztes geplärr geprobt gepräge geprägt geprüfte geprüftem geprüften geprüfter
+geprüftes gepäcks gepäckzug gera geradebog geradehin geradelt geradem geraden gerader gerades
+geradeso gerafft geragt gerahmt gerald gerallt gerammt gerangel geranie geranien gerankt gerann
+gerannen gerappt gerard gerards geras gerast gerate geratend geratene geratenem geratenen geratener
+geratenes geratens geratet geratter geratzt geraubt geraubte gerauchte gerauchtem gerauchten
+gerauchter gerauchtes gerauft geraum geraume geraumem geraumen geraumer geraumes geraune geraunt
+geraunte geraunzt geraut gerechnete gerechnetem gerechneten gerechneter gerechnetes gerechte
+gerechtem gerechten gerechter gerechtere gerechtes gerechtet gerechtigkeiten gereckt gereckte
+geredes gerefft geregelte geregeltem geregelten geregelter geregeltes geregnet geregt gereiche
+gereicht gereift gereifte gereiht gereihte gereimt gereimte gereiste gereistem gereisten gereister
+gereistes gereizt gereizte geren gerenne gerettete gerettetem geretteten geretteter gerettetes
+gereuen gereut gerichte gerichten gerichtes gerichtete gerichtetem gerichteten gerichteter
+gerichtetes gerichts gerieben geriehen geriere gerieren gerierst geriert gerierte geriesel geriete
+gerieten gerietest gerietet gerietst gerillt gering geringe geringelt geringem geringen geringer
+geringere geringes geringst geringstem geringsten geringster geringstes gerinne gerinnt gerippe
+gerippt geriss gerissene gerissenem gerissenen gerissener gerissenere gerissenes gerissenste geritzt
+germ germain germana germane germanen germania germanien germanin germanist germanium germany germer
+gernot geruches geruchlos geruchs geruckel geruckt geruckte gerufe gerufene gerufenem gerufenen
+gerufener gerufenes geruhe geruhen geruhst geruht geruhte gerumst gerupft gerusia gerußt gerächt
+geräteart gerätebau gerätebox geräten gerätes gerätetyp geräts gerätst geräumig geräumt geräumte
+geräuscharm geräuschen geräusches geräuschlos geräuschs geräuschtyp geräusper gerüche gerüchen
+gerüchten gerüchtes gerüchts gerückt gerückte gerügt gerügte gerühmt gerühmte gerührte gerührtem
+gerührten gerührter gerührtes gerüst gerüste gesa gesackt gesagte gesagtem gesagten gesagter
+gesagtes gesalbt gesalzt gesammelte gesammeltem gesammelten gesammelter gesammeltes gesamt gesamtakt
+gesamtart gesamtbau gesamtem gesamter gesamterbe gesamtes gesamtetat gesamtgut gesamthof gesamthub
+gesamtkot gesamtmaß gesamtmix gesamtrat gesamtsee gesamtton gesamtweg gesandet gesandt gesandte
+gesanges gesangs gesas gesaugt gesause gesaust gesaut gesavt geschabt geschabte geschadet
+geschaffene geschaffenem geschaffenen geschaffener geschaffenes geschaffte geschafftem geschafften
+geschaffter geschafftes geschahen geschallt geschanzt gescharrt geschart gescharte geschasst
+geschauert geschaukel geschaute geschautem geschauten geschauter geschautes gesche gescheckt
+geschehe geschehend geschehende geschehenden geschehendes geschehene geschehenem geschehenen
+geschehener geschehenes geschehens geschehnis gescheid geschein gescheit gescheite geschellt
+geschenkbox geschenken geschenkes geschenketui geschenks geschenkset geschenktag geschenktage
+geschenktags geschenkte geschenktem geschenkten geschenkter geschenktes geschenktipp gescher
+geschert gescherte gescherzt gescheut gescheute geschichtet geschichtete geschichtetem geschichteten
+geschichteter geschichtetes geschick geschicke geschicken geschickert geschickes geschicks
+geschickte geschicktem geschickten geschickter geschicktere geschicktes geschicktest geschiebe
+geschiebes geschiedene geschiedenem geschiedenen geschiedener geschiedenes geschielt geschielte
+geschienen geschient geschiente geschieße geschifft geschippt geschirmt geschirr geschirre geschirrs
+geschiss geschlackt geschlagene geschlagenem geschlagenen geschlagener geschlagenes geschlammt
+geschlampt geschlechte geschlechter geschlechtern geschlechtes geschlechts geschleckt geschleckte
+geschleift geschleimt geschleißt geschlemmt geschlenzt geschleppe geschleppt geschleuft geschleust
+geschlossene geschlossenem geschlossenen geschlossener geschlossenes geschlossenste geschluchze
+geschluchzt geschluckte geschlucktem geschluckten geschluckter geschlucktes geschlupft geschlurft
+geschlurrt geschmackes geschmacklos geschmacks geschmatze geschmatzt geschmaust geschmeiß geschmier
+geschmissene geschmissenem geschmissenen geschmissener geschmissenes geschmort geschmult geschmuse
+geschmust geschmäht geschmökt geschnacke geschnackt geschnallt geschnalzt geschnarrt geschnaubt
+geschnauft geschnauzt geschnittene geschnittenem geschnittenen geschnittener geschnittenes
+geschnitzt geschnitzte geschont geschort geschoss geschossart geschossbau geschosse geschossene
+geschossenem geschossenen geschossener geschossenes geschosses geschosstyp geschosszug geschoß
+geschreckt geschreie geschreis geschriebene geschriebenem geschriebenen geschriebener geschriebenes
+geschrien geschriene geschrienem geschrienen geschriener geschrienes geschrägt geschrämt geschrüht
+geschult geschwindigkeiten geschwisterehe geschwisterlos geschwistern geschwoft geschworene
+geschworenem geschworener geschworenes geschwür geschäften geschäftes geschäftig geschäftige
+geschäftliche geschäftlichem geschäftlichen geschäftlicher geschäftliches geschäfts geschäftsmannes
+geschäftsmanns geschähe geschähen geschäker geschält geschälte geschämt geschämte geschärft geschärt
+geschätzt geschäumt geschönt geschöpf geschürft geschürt geschürte geschürzt geschüttet geschütz
+geschütze geschützen geschützes geschützte geschütztem geschützten geschützter geschütztes
+geschützturm gesegelt gesegnete gesegnetem gesegneten gesegneter gesegnetes gesehene gesehenem
+gesehenen gesehener gesehenes gesehnt geseich geseier geseift geseiht geseilt geseire geseke gesell
+geselle gesellschaften gesellschafter gesellschaftern gesellschafters gesellt gesendete gesendetem
+gesendeten gesendeter gesendetes gesengt gesengte gesenk gesenke gesenkt gesenkte gesennt gesenst
+gesessene gesessenem gesessenen gesessener gesessenes gesetzen gesetzes gesetzlos gesetzte gesetztem
+gesetzten gesetzter gesetztere gesetztes gesext gesichelt gesicherte gesichertem gesicherten
+gesicherter gesichertes gesichtern gesichtes gesichtete gesichtetem gesichteten gesichteter
+gesichtetes gesichts gesickt gesiebt gesiegt gesiezt gesims gesimse gesimst gesinde gesine gesinge
+gesinnt gesirrt gesocks gesockt gesogen gesollt gesonnt gespan gespann gespanne gespannen gespanns
+gespannte gespanntem gespannten gespannter gespanntere gespanntes gesparte gespartem gesparten
+gesparter gespartes gespaßt gespeist gespenst gesperrte gesperrtem gesperrten gesperrter gesperrtes
+gespickt gespiele gespielen gespielin gespielte gespieltem gespielten gespielter gespieltes gespien
+gespiene gespienem gespienen gespiener gespienes gespiesen gespießt gespießte gespinst gespitzt
+gespons gesprayt gesprochene gesprochenem gesprochenen gesprochener gesprochenes gesprungene
+gesprungenem gesprungenen gesprungener gesprungenes gesprächen gespräches gesprächig gesprächige
+gesprächs gesprüht gespukt gespult gespurt gespäht gespänt gespött gespült gespülte gespür gespürs
+gespürte gespürtem gespürten gespürter gespürtes gest gestade gestaden gestagen gestakst gestakt
+gestalkt gestaltbar gestalte gestalten gestaltend gestaltens gestalter gestaltern gestalters
+gestaltest gestaltet gestaltete gestaltlos gestaltung gestammt gestand gestandene gestandenem
+gestandenen gestandener gestandenes gestandest gestandet gestandst gestankes gestanks gestanzt
+gestanzte gestapft gestapo gestarrt gestartete gestartetem gestarteten gestarteter gestartetes
+gestation gestatte gestatten gestattend gestattende gestattens gestattest gestattete gestatteten
+gestattetest gestattetet gestattung gestaubt gestaunt gestaut gestaute gesteck gestecke gestecken
+gesteckte gestecktem gesteckten gesteckter gestecktes gestehe gestehend gestehende gestehendem
+gestehenden gestehender gestehendes gestehens gestehst gesteht gesteift gestein gesteine gesteins
+gestell gestelle gestellen gestelles gestells gestellte gestelltem gestellten gestellter gestelltes
+gestellung gestelzt gestelzte gestemmt gesten gesteppt gestiebt gestiegene gestiegenem gestiegenen
+gestiegener gestiegenes gestielt gestielte gestiert gestik gestirn gestoben gestocht gestockt
+gestohlene gestohlenem gestohlenen gestohlener gestohlenes gestopft gestopfte gestoppelt gestoppte
+gestopptem gestoppten gestoppter gestopptes gestorbene gestorbenem gestorbenen gestorbener
+gestorbenes gestoßene gestoßenem gestoßenen gestoßener gestoßenes gestrichelt gestrichelte
+gestrichene gestrichenem gestrichenen gestrichener gestrichenes gestrick gestrickt gestrickte
+gestrig gestrittene gestrittenem gestrittenen gestrittener gestrittenes gestuft gestukt gestus
+gestylt gestände geständen geständig geständige geständnisse geständnissen geständnisses gestöber
+gestöhn gestöhne gestöhns gestöhnt gestör gestörte gestörtem gestörten gestörter gestörtes gestühl
+gestühle gestühls gestülpt gestürmt gestürmte gestürzte gestürztem gestürzten gestürzter gestürztes
+gestüt gestüte gestüten gestütes gestüts gestützt gesuch gesuche gesuchen gesuches gesuchs gesuchte
+gesuchtem gesuchten gesuchter gesuchtere gesuchtes gesudel gesuhlt gesulzt gesumme gesummt gesums
+gesunde gesundem gesunden gesundend gesundens gesunder gesundes gesundest gesundet gesundete
+gesundung gesungene gesungenem gesungenen gesungener gesungenes gesunken gesuppt gesurft gesurrt
+geta getagt getagte getalkt getane getanem getanen getaner getanes getankt getankte getanzte
+getanztem getanzten getanzter getanztes getappt getapst getapt getarnt getauft getaugt getaut
+getaute geteert geteilte geteiltem geteilten geteilter geteiltes getestete getestetem getesteten
+getesteter getestetes geteuft getrabt getrackt getragene getragenem getragenen getragener getragenes
+getrampt getrauen getraut getraute getreckt getreide getrekkt getrennte getrenntem getrennten
+getrennter getrenntes getrenzt getretene getretenem getretenen getretener getretenes getreu getreue
+getreuem getreuen getreuer getreues getriebe getriebeart getriebebau getriebelos getriebenabe
+getriebene getriebenem getriebenen getriebener getriebenes getrieberad getriebes getriebezug
+getriebeöl getriebeöle getrieft getriefte getrielt getriezt getroffene getroffenem getroffenen
+getroffener getroffenes getrunkene getrunkenem getrunkenen getrunkener getrunkenes getränk
+getränkeart getränkebox getränkemaß getränken getränkes getränks getränkt getränkte getränktem
+getränkten getränkter getränktes getränt geträumte geträumtem geträumten geträumter geträumtes
+getäuschte getäuschtem getäuschten getäuschter getäuschtes getönt getönte getöse getöses getötete
+getötetem getöteten getöteter getötetes gewachsene gewachsenem gewachsenen gewachsener gewachsenes
+gewachst gewachste gewachstem gewachsten gewachster gewachstes gewacht gewachte gewachtem gewachten
+gewachter gewachtes gewagt gewagte gewahr gewahrsams gewahrsein gewahrt gewahrte gewahrtem gewahrten
+gewahrter gewahrtes gewaleit gewalkt gewalkte gewallt gewallte gewalmt gewaltakt gewalten gewaltet
+gewaltige gewaltigem gewaltigen gewaltiger gewaltigere gewaltiges gewaltigste gewaltkur gewaltlos
+gewaltsam gewalttat gewalttod gewalzt gewalzte gewand gewande gewandes gewandet gewandt gewandte
+gewankt gewannen gewannst gewannt gewarnte gewarntem gewarnten gewarnter gewarntes gewartete
+gewartetem gewarteten gewarteter gewartetes gewaschene gewaschenem gewaschenen gewaschener
+gewaschenes gewatet gewebe geweben gewebes gewebt gewebte gewechselte gewechseltem gewechselten
+gewechselter gewechseltes geweckte gewecktem geweckten geweckter gewecktes gewehren gewehres gewehrs
+gewehrt geweht gewehte gewehtem gewehten gewehter gewehtes geweicht geweidet geweih geweihe geweihen
+geweihs geweiht geweihte geweilt geweitet geweißt geweißte gewelkt gewellt gewerbe gewerk gewerke
+gewerks gewerkt gewese gewesene gewesenem gewesenen gewesener gewesenes gewetzt gewichen gewichene
+gewichst gewichste gewichte gewichtelt gewichten gewichtend gewichtens gewichtes gewichtest
+gewichtet gewichtete gewichtig gewichtige gewichts gewichtung gewieft gewiegt gewillt gewimmt
+gewinde gewinden gewindes gewindet gewinkt gewinnbar gewinnend gewinnende gewinnendem gewinnenden
+gewinnender gewinnendes gewinnens gewinnerin gewinnern gewinners gewinnertyp gewinnes gewinnler
+gewinnlos gewinns gewinnsatz gewinnshow gewinnstrom gewinnstufe gewinntopf gewinnung gewinnweg
+gewinnzug gewinsel gewinst gewippt gewirk gewirke gewirkt gewirr gewirrs gewischt gewisper gewissem
+gewissenlos gewissens gewisses gewitzt gewoben gewoge gewogen gewogt gewohnte gewohntem gewohnten
+gewohnter gewohntes gewollte gewolltem gewollten gewollter gewolltere gewolltes gewonnene gewonnenem
+gewonnenen gewonnener gewonnenes geworben gewordene gewordenem gewordenen gewordener gewordenes
+geworfelt geworfene geworfenem geworfenen geworfener geworfenes gewuppt gewurmt gewurzt gewusel
+gewusels gewuselt gewusste gewusstem gewussten gewusster gewusstes gewächs gewägt gewählte gewähltem
+gewählten gewählter gewähltere gewähltes gewähnt gewähnte gewähr gewährbar gewähre gewähren
+gewährend gewährens gewährst gewährte gewährtem gewährten gewährter gewährtes gewährtest gewährtet
+gewährung gewällt gewälzt gewände gewänne gewännt gewärmt gewäsch gewöhne gewöhnend gewöhnende
+gewöhnendem gewöhnenden gewöhnender gewöhnendes gewöhnens gewöhnlichem gewöhnlichen gewöhnlichere
+gewöhnlicherem gewöhnlicheren gewöhnlicherer gewöhnlicheres gewöhnliches gewöhnlichste gewöhnst
+gewöhnte gewöhntem gewöhnten gewöhnter gewöhntes gewöhntest gewöhntet gewöhnung gewölbe gewölbt
+gewölk gewölke gewölkt gewölle gewöllt gewönne gewönnt gewünschte gewünschtem gewünschten
+gewünschter gewünschtes gezackt gezagt gezahlte gezahltem gezahlten gezahlter gezahltes gezahnt
+gezahnte gezanke gezankt gezapft gezappt gezaust gezecht gezeckt gezehrt gezeichnete gezeichnetem
+gezeichneten gezeichneter gezeichnetes gezeigte gezeigtem gezeigten gezeigter gezeigtes gezeit
+gezeiten gezerft gezergt gezerre gezerrt gezeter gezeug gezeugt gezockt gezofft gezogene gezogenem
+gezogenen gezogener gezogenes gezollt gezoomt gezwungene gezwungenem gezwungenen gezwungener
+gezwungenes gezähe gezählte gezähltem gezählten gezählter gezähltes gezähmt gezähmte gezähnt
+gezähnte gezänk gezänks gezäumt gezäunt geänderte geändertem geänderten geänderter geändertes
+geöffnete geöffnetem geöffneten geöffneter geöffnetes geübte geübtem geübten geübter geübtere
+geübtes gibbon gibbons gifte giften giftend giftens giftes giftest giftet giftete giftgas giftig
+giftige giftler gifts gifttod gilet gillef giltst ginas ginger gingiva gingt gitarren gitarrist
+gitta gitterbau gitterbox gittern gitters gittersee gittertor gittertyp gittertür gitti glan glans
+glanze glanzes glanzlos glanztat glanzton glasaal glasart glasau glasbad glasbau glasbox glasdia
+glasdom glaseis glasen glaser glasers glases glasgow glasig glasige glaslot glass glast glastyp
+glastür glasur glasweg glatte glatteis glattem glatten glatter glattere glattes glatthai glattwal
+glattweg glatz glatze glatzen glatzer glaubend glaubende glaubendem glaubenden glaubender glaubendes
+glaubens glaubtest glaubtet glauk glaukom gleichauf gleichem gleichend gleichende gleichendem
+gleichenden gleichender gleichendes gleichens gleicher gleichere gleicherem gleicheren gleicherer
+gleicheres gleiches gleichgewichte gleichgewichten gleichgewichtes gleichgewichtig gleichgewichtige
+gleichgewichts gleichgewichtung gleichkam gleichmaß gleichmut gleichnis gleichsam gleichst
+gleichtakt gleichtat gleichteil gleichton gleichtue gleichtun gleichtust gleichtut gleichung
+gleichwie gleichzeit gleichzeiten gleichzeitige gleichzeitigem gleichzeitigen gleichzeitiger
+gleichzeitiges gleichzog gleichzug gleis gleise gleisen gleises gleite gleiten gleiter gleitet
+gleiße gleißen globale globalem globalen globaler globales globen globin globine globuli globus
+glockenarm glockenbau glockengut glockenhof glockenhut glockenton glockentor glockentyp glockenuhr
+glockenzug glockig glockige glorias glorie gloriole glorios gloriose glottal glottis glotz glotze
+glotzen glotzend glotzens glotzest glotzte glotzten glotztest glotztet gläsern gläserne gläsernem
+gläsernen gläserner gläsernes glückauf glücke glücken glückend glückens glückes glücklichem
+glücklichen glücklichere glücklicherem glücklicheren glücklicherer glücklicheres glückliches
+glücklichste glücklos glücklose glücks glücksfee glückshof glückslos glückspille glückspillen
+glückspilze glückspilzen glückspilzes glückspost glücksrad glückssee glückst glückstadt glückstage
+glückstagen glückstages glückstags glückstaler glückstier glückt glückte glückten glücktet
+glückwunsches glückwünschen gnadau gnadenakt gnadenlos gnadentod gnadenweg gnädige gnädigem gnädigen
+gnädiger gnädigere gnädiges gnädigste golda goldap goldbär golde goldei golden goldenem goldener
+goldenes goldengel golderz golderze goldes goldesel goldeule goldeuro goldfuß goldhit goldhub
+goldhut goldig goldige goldlot goldman goldohr goldoni goldrot golds goldsee goldton golduhr golfe
+golfen golfend golfer golfern golfers golfes golffan golfs golfst golft golftag golfte golften
+golfzug goodbye gotha gothaer gothas gothic gothics gothild gotte gottesaue gotteslob gottestor
+gottesweg gottlob gottlos gouverneure gouverneuren gouverneurin gouverneurs grabbau grabbe grabbes
+grabe grabenart grabenbau grabend grabende grabendem grabenden grabender grabendes grabenfuß
+grabenhof grabens grabensee grabentor grabenweg graberde grabes grabfuß grabgut grabmal grabow grabs
+grabt grabtyp grabung gracche graces gracht gracia graden grader grades gradmaß grads gradweg grafem
+grafeme grafen graffel grafie grafik grafit grafite grafits grals gram grammel grammeln gramms
+grammy grammys grams gran granada granadas granat granaten granates granatrot granats grande granden
+grandeur grandios granit granite granits granne grannen granny gransee grantele granteln grantelt
+grantig grantige grasart grase grasen grasend grasens grases grasest grashof grasig grasige grass
+grassau grasski grast graste grasten grastet grasweg grat grate graten grates gratin gratler grats
+gratulierend gratulierende gratulierendem gratulierenden gratulierender gratulierendes gratulierens
+gratulierst gratuliert gratulierte gratulierten gratuliertet grau graubär graue grauem grauen
+grauend grauens grauer graues graulen graupe graupel graupen graus grausame grausamem grausamen
+grausamer grausamere grausames grausamst grausamste grause grausen grausend grausens grausest
+grausig grausige graust grauste grausten graustet graut graute grauten grautet grauton grauwal grede
+greenfee gregor gregors gregory greifarm greifbar greife greifend greifende greifendem greifenden
+greifender greifendes greifens greifer greifern greifers greiffuß greifrad greifst greifzeh greifzug
+greinen greis greise greisem greisen greiser greises greisin greiz grenada grenzach grenzbar
+grenzend grenzende grenzendem grenzenden grenzender grenzendes grenzenlos grenzens grenzer grenzest
+grenzhof grenzkap grenzmal grenzmaß grenznah grenzort grenzrat grenzruf grenzsee grenzt grenzte
+grenzten grenztet grenztor grenzweg grenzzug gretchens grete gretel gretels gretes grethe grieche
+griechenlands griechentum griechin griffart griffe griffel griffeln griffels griffen griffes
+griffest griffig griffige griffon griffs griffst grifft grip grippal grippale grippoid grippös grips
+grobe grobem groben grober grobes grobian grobort gros grosny grossist grosz groupie groupies
+großartigem großartigere großartigerem großartigeren großartigerer großartigeres großartiges
+großartigste großartikel großau großbau großdia großdyn großenkel großepen großepos großerben
+großessay großessen großfuß großgut großhof großmut großmutes großmuts großmutters großmutti großohm
+großohr großrad großrat großsee großtat großtue großtun großtut großvaters großvati großzeh großzog
+großzug großzügige großzügigem großzügigen großzügiger großzügigere großzügiges großzügigste
+grundakt grundart grundbar grundbau grundecke grundegel grundeis grundel grundeln grundes grundgas
+grundgut grundhai grundhof grundig grundlos grundmaß grundrat grundschatz grundschein grundschema
+grundschild grundschlag grundschuld grundschulden grundschulen grundschultag grundschulung
+grundschulzug grundschutt grundschutz grundsee grundstahl grundstamm grundstein grundstile
+grundstock grundstoff grundstolz grundstory grundstrom grundstufe grundstücke grundstücken
+grundstückes grundstücks grundtau grundton grundtyp grundzug grunge grunze grunzen grunzer grunzt
+grunzte grupp gruppenehe gruppenrat gruppenruf gruppensex gruppentyp gruppenzug gruppetto grusel
+grusele gruselige gruseligem gruseligen gruseliger gruseliges gruseln gruselnd gruselnde gruselns
+gruselst gruselt gruselte gruselten gruseltet größen größerem größerer größtem größtes größtmaß
+grünau gründeln gründend gründende gründendem gründenden gründender gründendes gründens gründer
+gründerin gründern gründers gründest gründet gründete gründeten gründetet gründliche gründlichem
+gründlichen gründlicher gründlichere gründliches gründlichst gründlichste gründling gründorf
+gründung grünem grünend grünende grünendem grünenden grünender grünendes grüner grünerde grünere
+grünerem grüneren grünerer grüneres grünst grünste grünt grünte grünten grüntet grünton grüßend
+grüßende grüßendem grüßenden grüßender grüßendes grüßens grüßest grüßfuß grüßt grüßte grüßten
+grüßtet gucke guckend guckende guckendem guckenden guckender guckendes guckens gucker guckte guckten
+gucktest gucktet gutedel gutmachbar gutmache gutmachend gutmachende gutmachendem gutmachenden
+gutmachender gutmachendes gutmachens gutmachst gutmacht gutmachte gutmachten gutmachtet gutmachung
+gäben gäbest gästebau gästefan gästeklo gästen göttername götterrat göttertee göttingen göttinger
+göttinnen gürtelfuß gürteln gürtels gürten gürtend gürtens gürtet güter gütern haarart haardt
+haarend haarende haarendem haarenden haarender haarendes haares haarfuß haargel haarig haarige
+haarkur haarlem haarlos haars haarsee haarst haart haarte haarten haartyp haarweg haaröl haaröle
+haaröls habend habende habendem habenden habender habendes habens haberer habern habernd habest
+habet habibi habicht habil habilis habit habitat habits habitus habitué habschi hafenamt hafenarm
+hafenart hafenbar hafenbau hafenbus hafenhai hafenkai hafenort hafens hafensee hafentor hafentyp
+hafenweg hafer haferl hafers haftarm haftart haftbar haftbefehle haftbefehlen haftbefehles
+haftbefehls hafte haftel haften haftend haftens haftest haftet haftete haftort hafttag haftung
+haftöl haftöle hahnium hahnrei hahns hake hakelig hakeln hakelnd hakend hakende hakendem hakenden
+hakender hakendes hakenhof hakens halbakt halbbad halbdot halbedel halbedle halbelfe halbem
+halbengel halber halbesel halbeseln halbesels halbfuß halbgar halbgas halbhof halbnah halbsüß
+halbtag halbton halbtot halbweg halbzug halfen halfest halfst halft halfter halle/s. hallel hallen
+hallend hallende hallens haller halley halleys hallig hallodri hallore halloren halls hallt hallte
+hallten halsass halse halsen halsend halses halslos halsnah halstee halsuhr halsung halsweh haltbar
+haltearm haltenase haltend haltende haltendem haltenden haltender haltendes haltenote haltens halter
+halteren halterin haltern halters haltes haltetank haltetau halteteil haltig haltlos haltungen
+hamburg hamburgerin hamburgern hamburgers hamburgs hamm hammel hammeln hammels hammerart hammerbär
+hammerhai hammers hammersee hammerweg hammerzeh hammerzug hamms handart handaxt handelbar handele
+handelnd handelnde handelndem handelnden handelnder handelndes handelns handels handelst handelte
+handelten handeltest handeltet handeule handgas handjob handke handkes handlang handlauf handle
+handlese handlich handling handloch handlohn handlot handlote handlungen handlupe handlupen handorf
+handout handrad handrup hands handsam handschar handschelle handschere handschild handschlag
+handschock handschuh handschuhbox handschuhehe handschuhen handschuhs handschur handschuss
+handschutz handset handtanz handtaschen handtaste handtasten handteil handtier handtuches handtuchs
+handtuchtag handweg handy-tv handyuhr handzar handzug hanna hannahs hannas hanne hannel hannes hanni
+hanno hanns hansa hanse hanseat hansel hansen hanser hansi happen happens happig happige happyend
+harm harmen harmlose harmlosem harmlosen harmloser harmlosere harmloses harolds harpune harpyie harr
+harre harren harrend harrens harriet harring harrison harrisons harro harros harrst harrt harrte
+harrten harrtet harrys hartau hartem hartes hartgen hartha hartheu harthof hartlot hartmut hartrad
+hartung hartweg hartwig hartz hartzen harvards harveys hasel haselau haseln hasenart hasenfan
+hasenfuß hasenhof hasenhut hasenohr hasenrat hasenweg hassan hassans hassels hassend hassende
+hassendem hassenden hassender hassendes hasser hasses hassest hassium hasso hassos hassten hasstest
+hasstet haste hasten hastend hastest hastet hastete hastig hastige haue hauend hauende hauendem
+hauenden hauender hauendes hauens hauer hauerei hauern hauers haufe haufens hauff hauffs hauptmacht
+hauptmagen hauptmangel hauptmanko hauptmankos hauptmannes hauptmanns hauptmarke hauptmarkt
+hauptmasse hauptmast hauptmauer hauptmaß hauptmeer hauptmenü hauptmilz hauptmond hauptquartiere
+hauptquartieren hauptquartiers hauptrohr hauptrohre hauptrohrs hauptrollen hauptrotor hauptroute
+hauptsaal hauptsachen hauptsalon hauptsatz hauptstaat hauptstab hauptstabes hauptstadien
+hauptstadion hauptstadium hauptstadtbau hauptstadtsog hauptstamm hauptstand hauptstange hauptstapel
+hauptstar hauptstars hauptstart hauptstein hauptstern hauptstiel hauptstil hauptstile hauptstils
+hauptstock hauptstoff hauptstoß hauptstrom hauptstufe hauptstuhl hauptsturm hauptstäbe hauptstöße
+hauptstück hauptsächliche hauptsächlichem hauptsächlichen hauptsächlicher hauptsächlichere
+hauptsächliches hauptsächlichste hausa hausach hausamt hausarreste hausarresten hausarrestes
+hausarrests hausaufgabe hausbar hausbau hausboy hauseck hausecke hausehre hauselfe hausen hausend
+hausende hausente hauser hausesel hauseseln hausesels hausest hausgut haushof hauskai hausmeisterin
+hausmeistern hausmeisters hausrat hausruf haussa hausse haussen hauste haustee haustees hausteil
+haustein hausten haustest haustet haustier haustor haustore haustyp haustyps haustüre haustüren
+hausuhr haute hauten hauteng hautest hautet hautnah hautton hauttyp havel hawaiis hawaiisch heathrow
+hebe hebearm hebei hebelarm hebele hebeln hebelnd hebelnde hebels hebelst hebelt hebelte hebelten
+hebeltet hebend hebende hebendem hebenden hebender hebendes hebens heber heberin hebern hebers
+hebezug heft heftart hefte heften heftend heftens hefter heftern hefters heftes heftest heftet
+heftete heftige heftigem heftigen heftiger heftigere heftiges heftigst heftigste hefts heftung
+heiland heilart heilbad heilbar heile heilem heilend heilende heilendem heilenden heilender
+heilendes heilens heiler heilerde heilere heilerem heileren heilerer heileres heilerin heilern
+heilers heiles heilgen heiligem heiligend heiligens heiligensee heiligere heiligerem heiligeren
+heiligerer heiligeres heiliges heiligst heiligste heiligt heiligte heiligten heiligtum heiligung
+heilkur heillos heilmitteln heilmittels heilmut heilrat heilruf heils heilsam heilst heilste heilt
+heilte heiltee heilten heiltet heilungen heimatduo heimatfan heimathof heimatlos heimatnah heimatort
+heimatsee heimattag heimatweg heimatzoo heime heimen heimes heimfan heimhof heimkam heimland
+heimlauf heimliche heimlichem heimlichen heimlicher heimlichere heimliches heimlichst heimlichste
+heimrad heims heimse heimsen heimst heimste heimweg heimweh heimzug heinrichs heiratend heiratende
+heiratendem heiratenden heiratender heiratendes heiratens heirateten heiratetest heiratetet heisa
+heische heischt heiser heisere heister heißa heißem heißend heißende heißendem heißenden heißender
+heißendes heißere heißerem heißeren heißerer heißeres heißest heißeste heißestem heißesten heißester
+heißestes heldenduo heldengut heldenmal heldenmut heldentat heldentod heldentor heldentum heldentyp
+heldin helds heldt helenas helenes helens helfant helfend helfende helfendem helfenden helfender
+helfendes helfer helferin helfern helfers helikoptern helikopters hella hellas hellauf helle hellem
+hellen hellend hellende hellene hellenen hellenin hellerau hellere hellerem helleren hellerer
+helleres hellers helles helling hellrot hellst hellste hellt hellte hellten helltet hellweg helma
+helme helmen helmes helms helmut helmuth helmuts hemdes hemds henkel henkeln henkels henken henkend
+henkerin henkern henkers henri henrich henrik henris henrys herabbat herabbog herabkam herabsah
+herabzog heraion herald herankam heranzog herauf herausfinde herausfindend herausfindende
+herausfindendem herausfindenden herausfindender herausfindendes herausfindest herausfordere
+herausforderer herausforderern herausforderers herausforderin herausfordern herausfordernd
+herausfordernde herausforderst herausfordert herausforderte herausforderten herausfordertet
+herausforderungen herausgab herausgefundene herausgefundenem herausgefundenen herausgefundener
+herausgefundenes heraushat heraushob herauskam herauslas heraustun herauszog herauszufindende
+herauszufindendem herauszufindenden herauszufindender herauszufindendes heraußen herb herbar herbe
+herbei herbekam herbem herben herber herbere herberem herberen herberer herberes herberge herbergen
+herberger herberts herbes herborn herbringe herbringend herbringende herbringendem herbringenden
+herbringender herbringendes herbringens herbringst herbringt herbstart herbste herbstein herbsteln
+herbstem herbsten herbstend herbster herbstes herbstruf herbsttag herbstzug herbsüß herbsüße herdart
+herdecke herden herder herders herdes herdis herdorf herds hereinbat hereinbog hereingab hereinkam
+hereinzog herero hereros hergebrachte hergebrachtem hergebrachten hergebrachter hergebrachtes
+hergekommene hergekommenem hergekommenen hergekommener hergekommenes hergestellte hergestelltem
+hergestellten hergestellter hergestelltes herhöre herhörend herhörenden herhörender herhörendes
+herhörens herhörst herhört herhörte herhörten herhörtet herkomme herkommend herkommende herkommendem
+herkommenden herkommender herkommendes herkommens herkommst herkules hero heroben herodes herodot
+heroe heroen heroide heroine heroins heroisch herold herolde herolds heron heroon heros herreise
+herrenalb herrenart herrenbad herrenbau herrengut herrenhof herrenhub herrenhut herrenklo herrenlob
+herrenlos herrenpo herrenrad herrentag herrentor herrenuhr herrenweg herrgotts herrinnen herrisch
+herrje herrliche herrlichem herrlichen herrlicher herrlichere herrliches herrlichste herrnhut
+herrsche herrschend herrschende herrschendem herrschenden herrschender herrschendes herrschens
+herrscheramt herrscherhof herrscherin herrscherlob herrschern herrscherrat herrschers herrschertum
+herrschertyp herrschest herrschst herrschte herrschten herrschtest herrschtet herrufe herruft
+herstellart herstellbar herstelle herstellend herstellende herstellendem herstellenden herstellender
+herstellendes herstellens hersteller herstellerin herstellern herstellers herstellst herstellt
+herstellte herstellten herstelltet herstellung herstellungsleitern herstellungsleiters
+herstellungsleitung herumkam herumlag herumrät herumsaß herumtun herumzog herunten herunterbat
+herunterbog heruntergab herunterhob herunterkam heruntersah herunterzog hervorhob hervorkam
+hervorrage hervorragen hervorragende hervorragendem hervorragenden hervorragender hervorragendere
+hervorragendes hervorragendste hervorragens hervorragst hervorragt hervorragte hervorragten
+hervorragtet hervorsah hervortat hervortue hervortun hervortut hervorzog herzass herzbad herzeige
+herzeigt herzend herzenge herzengen herzensgut herzenstür herzhof herzig herzige herzinfarkte
+herzinfarkten herzinfarktes herzinfarkts herzl herzland herzlast herzlaub herzleid herzliche
+herzlichem herzlicher herzlichere herzlicherem herzlicheren herzlicherer herzlicheres herzliches
+herzlichst herzlichste herzlilie herzlinie herzloch herzlos herzlose herznah herzoge herzogen
+herzogin herzogs herzogst herzogt herzogtum herzschall herzschild herzschlagen herzschlages
+herzschlags herzschlauch herzschläge herzschuss herzschutz herzt herztag herzte herzten herztod
+herzton herzu herzustellende herzustellendem herzustellenden herzustellender herzustellendes herzweg
+herzweh herzöge heule heulend heulende heulendem heulenden heulender heulendes heulens heuler
+heulerei heulern heulers heulst heultag heulte heulten heultest heultet heulton heultons heultöne
+heutig heutigem heutiger heutiges hexenbad hexend hexende hexendem hexenden hexender hexendes
+hexenei hexenmal hexenrat hexens hexensud hexenzug hexer hexerei hexest hickory hicks hielte
+hieltest hieltet hieltst hieran hierauf hieraus hierbleibe hierbleibens hierbleibst hierbleibt
+hierein hierherum hierherzog hierin hierro hierum hiervor hierzu hieße hießen hießest hießt
+highschools highways hilfeart hilfen hilferuf hilflose hilflosem hilflosen hilfloser hilflosere
+hilfloses hilflosest hilfreiche hilfreichem hilfreichen hilfreicher hilfreichere hilfreiches
+hilfreichste hilfsakt hilfsarm hilfsbit hilfsgas hilfsgut hilfsjob hilfsrad hilfsteam hilfstext
+hilfstool hilfsturm hilfsweg hilfszug hillary hille himmelan himmele himmelhof himmeln himmelsohn
+himmelspol himmelssee himmelst himmelstau himmelstor himmelstür himmelszug himmelt himmelte
+himmelten himmler hinab hinan hinaufbat hinaufbog hinaufgab hinaufhob hinaufkam hinauftun hinaufzog
+hinauskam hinaustun hinbringe hinbringend hinbringende hinbringendem hinbringenden hinbringender
+hinbringendes hinbringens hinbringst hinbringt hinde hindere hindernd hindernde hinderndem
+hindernden hindernder hinderndes hindernis hinderns hinderst hindert hinderte hinderten hindertet
+hinderung hindeute hindi hindre hindu hindurchaß hindurchaßt hindurchkam hindurchsah hindurchzog
+hindus hineile hineilen hineilst hineilt hineilte hineinbat hineinbog hineinhob hineinkam hineinsah
+hineintat hineintue hineintun hineintut hineinzog hinfahre hinfahrend hinfahrende hinfahrendem
+hinfahrenden hinfahrender hinfahrendes hinfahrens hinfahrt hinfahrten hingab hingaben hingabst
+hingabt hingang hingangs hinge hingebe hingeben hingebt hingegangene hingegangenem hingegangenen
+hingegangener hingegangenes hingegen hingehe hingehend hingehende hingehendem hingehenden
+hingehender hingehendes hingehens hingehst hingeht hingehöre hingehört hingen hingerichtete
+hingerichtetem hingerichteten hingerichteter hingerichtetes hingerät hingibt hinging hingst hingt
+hinkriege hinkriegend hinkriegende hinkriegendem hinkriegenden hinkriegender hinkriegendes
+hinkriegens hinkriegst hinkriegt hinkriegte hinkriegten hinkriegtet hinlege hinlegend hinlegende
+hinlegendem hinlegenden hinlegender hinlegendes hinlegens hinlegst hinlegt hinlegte hinlegten
+hinlegtet hinleite hinlenke hinlenkt hinrichte hinrichten hinrichtend hinrichtens hinrichtest
+hinrichtet hinrichtete hinrichtungen hinsetze hinsetzend hinsetzende hinsetzendem hinsetzenden
+hinsetzender hinsetzendes hinsetzens hinsetzest hinsetzt hinsetzte hinsetzten hinsetztet hinsichten
+hinsieht hinsinke hintan hintat hintenrum hinteralp hinterbau hintere hinterem hinteren hinterer
+hinteres hinterfuß hintergrat hintergrate hintergrunde hintergrundes hintergrundgas hintergrundjob
+hintergrunds hinterhaken hinterhals hinterhalte hinterhalten hinterhaltes hinterhalts hinterhand
+hinterhang hinterhaupt hinterhaus hinterhaxe hinterhaxen hinterheck hinterheide hinterherkam
+hinterhesse hinterhirn hinterhof hinterhofs hinterholz hinterhorn hinterhuf hinterhufe hinterhöfe
+hinterlage hinterland hinterlasse hinterlassend hinterlassende hinterlassendem hinterlassenden
+hinterlassender hinterlassendes hinterlassene hinterlassenem hinterlassenen hinterlassener
+hinterlassenes hinterlassens hinterlasst hinterlassung hinterlauf hinterlege hinterlegt hinterleib
+hinterließe hinterließen hinterließest hinterließt hinterlinse hinterlist hinterm hinterns hinterrad
+hinters hintersee hinterste hinterteil hintertor hintertore hintertüre hintertüren hinterzog hintrat
+hintrug hintun hintust hintut hinunterbat hinunterbog hinuntersah hinunterzog hinwarf hinwegsah
+hinwegzog hinweisen hinweisend hinweisende hinweisens hinweises hinweisest hinweist hinwelke
+hinwelkt hinwende hinwerfe hinwerft hinwies hinwill hinz hinzog hinzogt hinzufüge hinzufügend
+hinzufügende hinzufügendem hinzufügenden hinzufügender hinzufügendes hinzufügens hinzufügst
+hinzufügt hinzufügte hinzufügten hinzufügtet hinzufügung hinzukam hinzutun hinzuzog hinzöge hinzögt
+hinüberbat hinüberbog hinübergab hinüberhob hinüberkam hinübersah hinübertun hinüberzog hirne hirnen
+hirnes hirni hirnlos hirns hirntod hirntot hirntyp hitlers hitlertum hitzepol hitzetag hitzetod
+hitzig hitzige hobbit hobbyist hobbys hochalm hochamt hochbau hochbog hochgebet hochgehe hochgehend
+hochgehende hochgehendem hochgehenden hochgehender hochgehendes hochgehens hochgehst hochgeht
+hochgeist hochgemut hochgenau hochhob hochhut hochkam hochlud hochmut hochrad hochrot hochruf hochs
+hochsee hochtal hochton hochtor hochweg hochzahl hochzeiten hochzeiter hochzeitstafel hochzeitstage
+hochzeitstagen hochzeitstages hochzeitstags hochzeitstaler hochzeitstanz hochzeitsturm hochzeitszug
+hochzeittag hochzeitzug hochziel hochzins hochzog hochzogt hochzoll hochzone hoden hodens hoffart
+hoffeld hoffend hoffende hoffendem hoffenden hoffender hoffendes hoffens hoffest hoffeste hoffie
+hoffmann hoffmanns hoffnungslauf hoffnungslose hoffnungslosem hoffnungslosen hoffnungsloser
+hoffnungslosere hoffnungsloses hofform hoffrau hoffst hofften hofftest hofftet hoffuß hoheiten hohem
+hohes hold hold'em holde holdem holder holdes holding holdung holend holende holendem holenden
+holender holendes holens holla holland holle holler hollywoods holstein holsten holster holstern
+holsters holten holtenau holtest holtet holzalm holzarm holzart holzbau holzbox holzbär holzdom
+holzei holzen holzer holzes holzfuß holzgas holzhof holzig holzige holzmaß holznot holzohr holzrad
+holzski holzt holzte holzten holztor holztür holzweg holzöl holzöle home homelands homers homilet
+homilie hominid homizid honen honend honett honette hongkonger hongkongs honiara honigart honige
+honigen honigs honigsee honigsüß honigtau hoodie hoody hopp hoppel hoppele hoppeln hoppelnd hoppelst
+hoppelt hoppelte hopple hornes hornig hornige hornist hornito horns hornung hosea hosenart
+hospitales hospitals hospitant hospitanz hospitier hospiz hospizen hospizes hotelbad hotelbar
+hotelbau hotelboy hotelbus hotelhof hotelier hotelsafe hotelsong hoteltür hotelzimmern hotelzimmers
+hotelzug houstons howards hubschrauberbau hubschraubern hubschraubers hubschraubertyp hudsonbai
+hugos huhns hummel hummeln hummern hummers hummus humoral humorale humorig humorige humorist
+humorlos humors humos hundeaas hundeart hundebad hundebox hundefan hundeklo hundekot hundename
+hundenapf hundenarr hundenase hundeohr hundeopa hunderteck hundertecks hundertein hunderteins
+hundertelf hunderten hunderter hundertern hundertmal hundertpro hundertste hundes hundetor hundetyp
+hunds hungen hungerast hungere hungerkur hungern hungernd hungernde hungerns hungers hungerst
+hungert hungerte hungerten hungertet hungertod hungrige hungrigem hungrigen hungriger hungrigere
+hungriges hungrigste hurend hurende hurendem hurenden hurender hurendes hurensau hurensex
+hurensohnes hurerei hurraruf huste hustend hustende hustendem hustenden hustender hustendes hustens
+hustentee hustest hustet hustete husteten hustetet hyundai hälften hälftig hälftige hälftung hälse
+hälsen händel händels händige händigt händlerin händlern händlers hängefuß hängenapf hängend
+hängende hängendem hängenden hängender hängendes hängenest hängens hängeohr hänger hängetal hängig
+hängige hängte hängten hängtest hängtet hängung härte härtebad härten härtend härtende härtens
+härtere härterei härterem härteren härterer härteres härtest härteste härtet härtete härteten
+härtetet härtung hässler hässlichem hässlichen hässlicher hässlichere hässlicherem hässlicheren
+hässlicherer hässlicheres hässliches hässlichste häufe häufeln häufen häufend häufens häufige
+häufigem häufigen häufiger häufigere häufiges häufigste häufst häuft häufte häuften häuftet häufung
+häuptlinge häuptlingen häuptlings häuschens häuserart häuserbau häusern häuserrat häusertyp
+häuserzug häusl häusler höchstadt höchstem höchster höchstes höchstmaß höchstädt höfliche höflichem
+höflichen höflicher höflichere höfliches höflichst höflichste höfling höflinge höhen höhepunkte
+höhepunkten höhepunktes höhepunkts höherem höherer höheres höhlenart höhlenbad höhlenbau höhlenbär
+höhlens höhlensee höhlentor höhlentyp höhlenweg höhlst höhlt höhlte höhlten höhltet höhlung höllen
+hörend hörende hörendem hörenden hörender hörendes hörens hörerin hörern hörers hörsaal hörsel
+hörsinn hörstel hörsturz hörstück hörsäle hörtest hörtests hörtet hörtext hörtexte hörtipp höschens
+hübschem hübschere hübscherem hübscheren hübscherer hübscheres hübscheste hübschestem hübschesten
+hübschester hübschestes hüften hüftmaß hüftzug hügelab hügelan hügelauf hügelfuß hügelhof hügelig
+hügelige hügeln hügels hügelzug hühnerart hühnerei hühnereis hühnerhof hühnerkot hühnern hühnertod
+hündchens hüten hütend hütende hütens hüter hüterin hütern hüters hütest hütet hütete hüteten
+hütetet hütten ideell ideelle ideenarm ideengut ideenlos ideenzug identifizierbar identifiziere
+identifizierend identifizierende identifizierendem identifizierenden identifizierender
+identifizierendes identifizierens identifizierst identifizierte identifiziertem identifizierten
+identifizierter identifiziertes identifiziertest identifiziertet identifizierung identisch identitiv
+identitive identity identitär identitäre identitärem identitären identitärer identitäres identitäten
+idiom idiome idiomen idioms idiotie idiotin ignoriere ignorierend ignorierende ignorierendem
+ignorierenden ignorierender ignorierendes ignorierens ignorierst ignorierte ignoriertem ignorierten
+ignorierter ignoriertes ignoriertest ignoriertet ihne illegale illegalem illegalen illegaler
+illegales iller illern illernd illusionen illusionist illusionär illusionäre illuster illustre imme
+immen immens immense immerath immerdar immersiv improvisierbar improvisiere improvisierend
+improvisierende improvisierendem improvisierenden improvisierender improvisierendes improvisierens
+improvisierst improvisierte improvisiertem improvisierten improvisierter improvisiertes
+improvisiertest improvisiertet improvisierung inder inderin indern inders indes index indexe indexen
+indexes indiana indianas indianerin indianern indianers indianist indices indie indienne indiens
+indigen indigo indigos indik indiks indio indios indira indiras indisch indium indiz indizes infekt
+infekte infekten infektes infektionen infektiös infektiöse infekts infiziere infizieren infizierend
+infizierens infizierst infizierte infiziertem infizierten infizierter infiziertes infiziertest
+infiziertet infizierung info infobox infolge informant informantin informatik informatiker
+informationell informationelle informativ informative informativem informativen informativer
+informatives informiere informierend informierende informierendem informierenden informierender
+informierendes informierens informierst informierte informiertem informierten informierter
+informiertes informiertest informiertet infosatz infotag infotyp ingenieurbau ingenieure ingenieuren
+ingenieurin ingenieurs ingenium ingeniös ingeniöse inhaber inhalte inhalten inhaltes inhalts
+initiation initiativ initiativem initiativen initiativer initiatives initiator initiators inkluse
+inklusion inklusiv inklusivem inklusiven inklusiver inklusives inne innehab innehat innenbad
+innenbau innenfuß innenhof innenmaß innenohr innenrad innensee innenski innentor innentür innenzug
+inner innerei innereien innerem innerer inneres innerliche innerlichem innerlichen innerlicher
+innerliches innerlichst innerlichste innerlinke innern innerste innert insekt insekts inselart
+inselbad inseldom inselhof inseln inselort inselrat inselsee inseltyp inselzoo inserat insert
+inserts inspekteur inspektion inspektoren inspektorin inspektors inspirationen inspirativ
+inspirative inspirativem inspirativen inspirativer inspiratives inspirator inspirators inspiriere
+inspirieren inspirierend inspirierens inspirierst inspirierte inspiriertem inspirierten inspirierter
+inspiriertes inspiriertest inspiriertet installierbar installiere installieren installierend
+installierens installierst installierte installiertem installierten installierter installiertes
+installiertest installiertet installierung instinkte instinkten instinktes instinktiv instinktive
+instinktlos instinkts institut intakte intaktem intakten intakter intaktere intaktes intelligente
+intelligentem intelligenten intelligenter intelligentere intelligentes intelligenzart intelligenzen
+intelligenzler intelligenzmaß intelligenztyp intension intensität intensive intensivem intensiven
+intensiver intensivere intensives intensivste interessantem interessanten interessantere
+interessanterem interessanteren interessanterer interessanteres interessanteste interessantestem
+interessantesten interessantester interessantestes interesselos interessent interessenten
+interessentin interesses interessiere interessierend interessierende interessierendem
+interessierenden interessierender interessierendes interessierens interessierst interessierte
+interessiertem interessierten interessierter interessiertes interessiertest interessiertet interfax
+interfix interim interims intern interna internal internat internate internats interne internem
+internen interner internes internetfan internethit internets internetzug internist internum interpol
+intersex intervall intervent interviewe interviewen interviewend interviewer interviewern
+interviewers interviews interviewst interviewt interviewte interviewtem interviewten interviewter
+interviewtes interviewtet interviewung investiere investieren investierend investierens investierst
+investierte investiertem investierten investierter investiertes investiertest investiertet
+investierung investitur investiv iraker irakern irakers iraks iren irenes irenik irgendeines
+irgendeinmal irgendjemandem irgendjemanden irgendjemandes irgendwelchem irgendwelcher irgendwelches
+irgendwem irgendwen irgendwoher irisch irische irisöl irisöls ironiker ironisch ironman irreal
+irreale irrem irrend irrende irrendem irrenden irrender irrendes irrens irrere irrerem irreren
+irrerer irreres irres irrsal irrsein irrsinn irrste irrstem irrsten irrster irrstern irrstes irrt
+irrte irrten irrtest irrtet irrtumes irrtums isaacs isaak isaaks isabell isabella isabellas
+isabelles isabells islam islamit islams islands italer italic italienerin italienern italieners
+italiens italienzug italiker italisch italo ivans jacken jackett jacketts jackpot jacksons jackstag
+jacky jacobi jacobs jacobsen jacobus jacoby jacobys jaconet jagdart jagdbar jagden jagdgut jagdhof
+jagdhub jagdhut jagdjet jagdruf jagdtag jagdweg jagdzug jage jagend jagende jagendem jagenden
+jagender jagendes jagens jagte jagten jagtest jagtet jahraus jahrein jahrelange jahrelangem
+jahrelangen jahrelanger jahrelanges jahresabo jahresbox jahreshit jahreslos jahresrad jahrestag
+jahresuhr jahresweg jahreszahl jahreszeiten jahresziel jahreszins jahreszone jahrhundertealt
+jahrhunderten jahrhundertende jahrhunderttor jahrhundertuhr jahrhundertweg jahrs jakobi jakobit
+jakobs jakobson jakobus jamaika jamies jamila jammen jammend jammere jammern jammernd jammernde
+jammerns jammerruf jammers jammerst jammert jammertag jammertal jammerte jammerten jammertet jammre
+jammst jammt jammte jammten janeiro janina janinas janine janines januars januartag janus japanerin
+japanern japaners japanischem japanischer japanisches japans jawort jaworte jaworts jeanne jeannie
+jeanstyp jederart jederlei jederzeitig jederzeitige jedesmalige jeeps jeffersons jeglichem jeglichen
+jeglicher jegliches jemandes jenenser jenes jenni jennifers jennis jennys jenseitig jenseitige
+jensen jeremia jeremias jeremys jerewan jerez jerichos jerichow jerrys jerseys jessen jesses
+jessicas jesu jesuit jetzig jetzige joels johnnys johns johnsons joke jokern jokers jokertor jona
+jonathans jordanien jordanier jordans jordantal josefa josefine josefs josephine josephs josephus
+joshua joshuas journal journale journalen journalismus journalisten journalistik journalistin
+journals juana juanas juans juda judaist judas judenbad judeneid judenfan judenhof judenhut judenohr
+judenrat judentor judentum judenweg jugendamt jugendart jugendbad jugendelf jugendhof jugendrad
+jugendrat jugendtag julian juliana julianas juliane julianes julians julias julien juliende julienne
+juliens julier julierin juliern juliers juliette julis julitag juneau jungbad jungem jungens
+jungenten jungessig jungeule jungfer jungfern jungfrauen jungfront junghai junghof jungkuh jungrat
+jungsau jungsein jungst jungstar jungzug juniorat junioren juniorin juniors junis junitag junius
+junk junker junkern junkers junkies junktim junktiv junktor junktur juntas justage justiere justiert
+justine justinian justinus justitia justiz justus juwel juwelier juwels jägerart jägerei jägerhof
+jägerhut jägerinnen jägern jägers jägerspr jägertee jägertor jägertyp jägerzug jähre jähren jährend
+jährig jährigem jähriger jähriges jährst jährt jährte jährten jährtet jüngere jüngerem jüngeren
+jüngerer jüngeres jüngerin jüngern jüngers jüngst jüngste kabelart kabelbau kabelbox kabele kabelhut
+kabeljau kabellos kabeln kabelnd kabelnde kabels kabelst kabelt kabeltau kabelte kabelten kabeltet
+kabeltod kabeltyp kabelweg kabelzug kabinen kabinett kabinette kabinetts kabis kack kacken kackend
+kacker kackerin kackst kackt kackte kackten kaff kaffeebar kaffeebau kaffeeeis kaffeefan kaffeefee
+kaffees kaffeesud kaffer kaffern kaffers kaffs kais kaiseramt kaiseraue kaiserbad kaiserbau
+kaiserboa kaiserdom kaiserhof kaiserin kaiserkai kaisern kaiserrat kaisers kaiserstr kaisertag
+kaisertee kaisertor kaisertum kaiserweg kaiserzug kakerlak kakerlaken kakerlaks kalenden kalendern
+kalenders kalendertag kalenderuhr kalenner kaliforniens kalifornier kalifornierin kaliforniern
+kalifornisch kalifornium kaltbad kaltem kalter kaltes kaltgas kalthof kamee kameen kamel kamele
+kamelen kamelie kamelle kamels kamenz kamenzer kameraderie kameradin kameralia kameramannes
+kameramanns kamerazug kamerun kameruns kami kamilla kamille kaminbau kamine kaminen kamins kaminski
+kaminuhr kaminzug kamm kammel kammeramt kammerbau kammergut kammerhof kammerhub kammern kammerrat
+kammersee kammertag kammerton kammertor kammertür kammes kammrad kamms kammweg kamp kampagnen
+kampala kampele kampeln kampen kampfart kampfe kampfer kampfers kampfes kampfgas kampfjet kampflos
+kampfmut kampfort kampfruf kampfs kampftag kampfweg kampfwut kanaan kanaans kanacke kanadas
+kanadatee kanadier kanake kanaken kanalaue kanalbau kanalbit kanales kanalgas kanalig kanalige
+kanals kanaltal kanaltyp kanalweg kanalzug kanapee kanaren kanari kanarie kandidat kandidatengen
+kandidatenkür kandidatenzug kandidatin kandidatur kaneel kanevas kaninchenart kaninchenbau
+kaninchens kanistern kanisters kannada kanne kannen kanntest kanntet kanon kanonade kanonenhof
+kanonentor kanonentyp kanonenweg kanonier kanonist kanons kanope kanopus kanossa kanzel kanzele
+kanzeln kanzelt kanzle kanzlei kanzleien kanzleramt kanzlerin kanzlern kanzlers kapellen kapelletat
+kaper kaperei kaperer kapern kapernd kaperns kaperst kapert kaperte kapier kapiere kapieren
+kapierend kapierte kapiertem kapierten kapierter kapiertes kapiertest kapiertet kapital kapitale
+kapitals kapitell kapitelle kapitellen kapitells kapiteln kapitels kapitol kapitols kapittel
+kapitäne kapitänen kapitänin kapitäns kaplans kaput kaputte kaputtem kaputten kaputter kaputtes
+kapuze kapuzen karachi karacho karaffe karaibe karajan karakal karaoke karas karasee karat karate
+karates karel karenina karens karenz karette karezza karla karlas karlist karls karmas karmel
+karmels karmen karmin karree karrees karren karrend karrende karrens karrer karrieren karrieretag
+karrieretyp karriereweg karrierist karriol karrst karrt karrte karrten karrtet kart kartei karteien
+kartell kartelle kartells karteln kartelnd kartenart kartenmaß kartentyp kartler kartoffel
+kartoffelbau kartoffelig kartoffelmus kartoffelnase kartoffelnest karton kartons kassel kasseler
+kassels kassen kassetten kassia kassie kassier kassler kaste kasteie kasteien kasteist kasteit
+kasteite kastell kastelle kastells kastenalm kastenamt kastenbau kastenfuß kastenhof kastenlos
+kastenmaß kastens kastensee kastor kastors kastrat katastrophal katastrophale katastrophen katen
+katern katers kath katherines kathete kathi kathis kathode kathole kathrin kati katia katias kation
+kations katrice katrins katschi katz katzenart katzenaue katzenbox katzenbär katzenhai katzenklo
+katzenkot katzensee katzentag katzentyp katzoff katzuff kaufakt kaufbar kaufehe kaufend kaufende
+kaufendem kaufenden kaufender kaufendes kaufens kaufes kaufgut kaufhof kaufort kaufs kaufstand
+kaufstark kauftag kauftage kaufteil kaufteile kaufteils kauften kauftest kauftet kauftipp kaufwut
+kaugummis kaut kaute kautel kauten kautest kautet kautionen kautsky kehl kehlen kehlig kehlige
+kehlung kehr kehraus kehre kehrend kehrende kehrendem kehrenden kehrender kehrendes kehrens kehrer
+kehreule kehrgut kehrrad kehrst kehrte kehrten kehrtest kehrtet kehrung keinmal keitel keitels
+keksen kekses kelle kellen kelleramt kellerbar kellere kellerei kellerhof kellern kellers kellersee
+kellerst kellert kellerte kellerten kellertet kellertür kellerweg kellion kellnere kellnerei
+kellnerinnen kellnerjob kellnern kellnernd kellnerns kellners kellnerst kellnert kellnerte
+kellnerten kellys kennart kennbit kennecke kennedys kennel kennend kennende kennendem kennenden
+kennender kennendes kennenlerne kennenlernend kennenlernens kennenlernst kennenlernt kennenlernte
+kennenlernten kennens kenner kennerin kennern kenners kenning kennsatz kenntage kennte kennten
+kenntest kenntnisse kenntnissen kennung kennzeichenbit kennzeichens kennzeichentyp kennzeichne
+kennzeichnen kennzeichner kennzeichnet kentaur kentere kentern kentert kents kerlen kerls kernbau
+kerndia kernduo kerne kernel kernels kernen kerner kerners kerngut kernhof kernig kernige kernlos
+kernort kerns kerntyp kernöl kernöle kerzenfuß kerzenruß kerzentyp kerzenuhr kettcar kettel ketteln
+kettelnd kettenart kettend kettende kettendem kettenden kettender kettendes kettenlos kettenrad
+kettentyp kettenzug kettest kettet kettete ketteten kettetet kettung kevins kicher kichere kicherei
+kichern kichernd kichernde kicherns kicherst kicherte kicherten kichertest kichertet kieferart
+kieferbau kieferfuß kieferlos kiefern kiefers kill kille killefit killen killend killende killens
+killerin killern killers killerwal killst killt killte killten killtet kilometerbau kilometern
+kilometers kilometeruhr kilos kinderakt kinderehe kinderei kinderfuß kinderlos kindermädchens
+kindername kindernarr kindernazi kindernetz kinderpo kinderrad kindersex kinderspaß kinderspiele
+kinderspielen kinderspieles kinderspiels kinderspital kindersport kinderspott kinderspäße kindertag
+kindertee kinderuhr kinderuni kinderzoo kinderzug kindesnot kindestod kindhaft kindheiten kindische
+kindischem kindischen kindischer kindischere kindisches kindischste kindl kindler kindlos kinne
+kinnes kinns kinobau kinodia kinofan kinohit kinos kinotag kinoton kirch kirchbau kirchen kirchende
+kirchgut kirchhof kirchner kirchort kirchsee kirchtag kirchtor kirchtür kirchuhr kirchweg kirs
+kirsch kirsche kissens kitt kitte kittel kitteln kittels kitten kittend kittest kittet kittete kitts
+klagbar klageart klagen klagend klagende klagens klageruf klagetag klageton klageweg klaglos klagst
+klagt klagte klagten klagtet klamotte klan klangart klangbad klangen klanges klanglos klangs klangst
+klangt klangtyp klans klapp klappbar klappend klappende klappendem klappenden klappender klappendes
+klappens klapper klappere klapperig klappern klappernd klapperns klapperst klappert klapperte
+klapphut klapprad klappre klapprig klappst klappte klappten klapptest klapptet klapptor klapptors
+klapptür klaps klapse klapsen klara klaras klareis klarem klarere klarerem klareren klarerer
+klareres klares klarkam klarkomme klarkommend klarkommende klarkommendem klarkommenden klarkommender
+klarkommendes klarkommens klarkommst klarkommt klaro klarste klarstelle klarstellend klarstellende
+klarstellendem klarstellenden klarstellender klarstellendes klarstellens klarstellst klarstellt
+klarstellte klarstellten klarstelltet klarstellung klart klarte klassem klassen klassiert klassik
+klassikerin klassikern klassikers klassisch klassischem klassischen klassischer klassischere
+klassischerem klassischeren klassischerer klassischeres klassisches klassischste klau klaube klauben
+klauber klaubst klaubt klaubte klaudia klaue klauend klauende klauendem klauenden klauender
+klauendes klauenfuß klauens klauerei klaus klause klausel klausen klaust klausur klaute klauten
+klautest klautet klavierbau klavierduo klaviere klavieren klavieres klaviers klavierton klavus klei
+kleiber kleide kleiden kleidend kleidende kleidens kleiderbad kleidern kleides kleidest kleidet
+kleidete kleideten kleidetet kleids kleidsam kleidungen kleie kleien kleinart kleinau kleinbau
+kleinbub kleinbus kleinbär kleinecke kleinem kleinepen kleinepos kleinere kleinerem kleineren
+kleinerer kleineres kleingeige kleingeist kleingeldes kleingelds kleingerät kleingut kleinhof
+kleinmut kleinod kleinode kleinods kleinrad kleinrat kleinsein kleinstaat kleinstadt kleinstand
+kleinstein kleinsteine kleinstem kleinsten kleinster kleinstes kleinsthof kleinstück kleinuhr
+kleinwal kleinzoo kleinöl kleinöle kleist kleists klemens klemm klemmen klemmend klemmende klemmens
+klemmer klemmhof klemmmaß klemmst klemmte klemmteil klemmten klemmtest klemmtet klemmung klempnerei
+klempnerin klempnern klempnernd klempnerns klempners klett klette kletten kletter kletterart
+klettere kletterei kletterer kletterern kletterers kletterfuß kletterin kletternd kletternde
+kletterndem kletternden kletternder kletterndes kletternetz kletterns kletterst klettert klettertag
+kletterte kletterten klettertet kletterweg kletterzug klettre klieben klientel klientele klientelen
+klientin klieren klimaanlagen kline klingel klingele klingelfee klingeln klingelnd klingelnde
+klingelns klingelst klingelte klingelten klingeltest klingeltet klingelton klingeltons klingeltöne
+klingelzug klingend klingende klingendem klingenden klingender klingendes klingens klinger klingone
+klingstein klinikbau kliniken kliniker klinikgel klinikum klinikums klinisch klinke klinken klinker
+klinkst klinkt klinkte klopf klopfe klopfend klopfende klopfendem klopfenden klopfender klopfendes
+klopfens klopfer klopfern klopfers klopfst klopfte klopften klopftest klopftet kloppe kloppen
+kloppst kloppt kloppte klops klopse klopsen klos klose klosett klosteramt klosterbau klostergel
+klostergut klosterhof klostern klosterort klosterrat klosters klostersee klostertod klostertor
+klostertür klosterweg klubgut klubs kluge klugem klugen kluges klugscheißen klugscheißerei
+klugscheißerin klugscheißern klugscheißers klär klärbad klärbar kläre klärend klärende klärendem
+klärenden klärender klärendes klärens klärgas klärst klärt klärte klärten klärtet klärung klügelei
+klügeln klügelns klügere klügerem klügeren klügerer klügeres klügler klügste knabber knabbre knaben
+knabenpo knack knacke knackend knackende knackendem knackenden knackender knackendes knackens
+knacker knackfuß knacki knackig knackige knackis knackpo knacks knacksen knackst knackste knackt
+knackte knackten knacktet knalle knallen knallend knalleng knallens knaller knallern knallers
+knalles knallgas knallig knallige knallrot knalls knallst knallt knallte knallten knalltet knappe
+knappem knappen knapper knappere knappes knappste knapsen knarr knarren knarrend knarrende knarrens
+knarrst knarrt knarrte knarrten knarrtet knarzen knarzt knarzte knaster knastes knasti kneif kneife
+kneifen kneifer kneifst kneift kneipen kneipier kneippen kniebau kniebis kniend kniende kniendem
+knienden kniender kniendes kniens knies kniest kniet kniete knieten knietet knigge knigges
+knochenart knochenbau knochenjob knochenlos knochens knochenöl knochenöle knochenöls knochig
+knochige knopfes knopfs knoppix knote knotenamt knotenart knotenast knotend knotende knotendem
+knotenden knotender knotendes knotens knotentyp knotest knotet knotete knoteten knotetet knotig
+knotige knurr knurre knurrend knurrende knurrendem knurrenden knurrender knurrendes knurrens knurrig
+knurrige knurrst knurrte knurrten knurrtest knurrtet knöcheln knöchels knöcherig knöchern knöcherne
+kochbar kochecht kochecke kochemer kochend kochende kochendem kochenden kochender kochendes kochens
+kocher kocherei kochern kochers kochete kochgas kochgut kochs kochst kochte kochteam kochten
+kochtest kochtet kochtipp kochtopf kochtüte kochum koffein koffeins kofferdam kofferduo koffern
+kofferradio kofferraumes kofferraums koffers kohl kohlart kohleart kohlegas kohlehof kohlen kohlend
+kohlezug kohls kohlung koka kokains kokarde kokse koksen koksend koksens kokser kokses koksgas kokst
+kokste koksten kollage kollaps kollar kolleg kollegial kollegien kollegin kollegium kollegs kollekte
+koller kollere kollern kollernd kollers kollerst kollert kollerte kollier kollin kollo kolloid
+kollre kolon kolone kolonial koloniale kolonie kolonist kolonne kolonnen komas komatös kombinat
+kombinate kombinaten kombinationen kombinats komi komik komikerin komikern komikers komischem
+komischere komischerem komischeren komischerer komischeres komischste komitat komitate komitees
+komma kommandanten kommandantin kommandantur kommandeur kommandoamt kommandoarm kommandorat
+kommandoruf kommandos kommandoton kommandozug kommas kommata kommend kommende kommendem kommenden
+kommender kommendes kommens kommentare kommentaren kommentarlos kommentars kommentator kommers
+kommerz kommis kommiss kommissare kommissaren kommissariat kommissarin kommissars kommisses
+kommission kommissiv kommissär kommod kommode kommun kommune kommunikationen kommunikativ
+kommunikative kommunikativem kommunikativen kommunikativer kommunikatives kommunikator kommunismus
+kommunist kommunistin kommuniziere kommunizierend kommunizierende kommunizierendem kommunizierenden
+kommunizierender kommunizierendes kommunizierens kommunizierst kommuniziert kommunizierte
+kommuniziertem kommunizierten kommunizierter kommuniziertes kommuniziertet kompakt kompakte
+kompanieart kompanien komparse kompass kompasse komplenym komplet kompletion komplettbau komplettem
+kompletten kompletter komplettere kompletterem kompletteren kompletterer kompletteres komplettes
+kompletteste komplettrad komplex komplexe komplexem komplexen komplexer komplexes komplice
+komplimente komplimenten komplimentes kompliments komplize kompliziere komplizieren komplizierend
+komplizierens komplizierst komplizierte kompliziertem komplizierten kompliziertere komplizierterem
+komplizierteren komplizierterer komplizierteres kompliziertes kompliziertest komplizierteste
+kompliziertet komplizierung komplizin komplott komödiant komödien konferenzen konferenzort
+konferenzrat konferenztag konfliktarm konflikte konflikten konfliktes konfliktlos konflikts
+konfliktär kongo kongos kongressbau kongresse kongressen kongresses kongressort kongresstag
+konkurrent konkurrenten konkurrentin konkurrenzart konkurrenzbad konkurrenzbau konkurrenzbus
+konkurrenzen konkurrenzlos konkurrenzweg konnex konnexe konntet konsequent konsequente konsequentem
+konsequenten konsequenter konsequentes konsequenz konsul konsular konsulare konsularem konsularen
+konsularer konsulares konsulate konsulaten konsulates konsulats konsulent konsulin konsuln konsuls
+konsultor konsum konsums kontaktarm kontaktart kontakten kontaktend kontaktes kontaktet kontakthof
+kontaktiere kontaktierend kontaktierende kontaktierendem kontaktierenden kontaktierender
+kontaktierendes kontaktierens kontaktierst kontaktierte kontaktiertem kontaktierten kontaktierter
+kontaktiertes kontaktiertest kontaktiertet kontaktierung kontaktiv kontaktive kontaktivem
+kontaktiven kontaktiver kontaktives kontaktlos kontaktpin kontaktruf kontakts kontakttag kontaktweg
+konten konter kontere kontern kontert kontext kontoart kontor kontore kontoren kontors kontos
+kontotyp kontra kontre kontrollamt kontrollbit kontrollen kontroller kontrolleur kontrolleure
+kontrolleurs kontrollierbar kontrolliere kontrollierend kontrollierende kontrollierendem
+kontrollierenden kontrollierender kontrollierendes kontrollierens kontrollierst kontrollierte
+kontrolliertem kontrollierten kontrollierter kontrolliertes kontrolliertest kontrolliertet
+kontrollmaß kontrollor kontrollrat kontrolltyp kontrolluhr kontrollweg konträr kontur konz
+konzentrat konzentrate konzentraten konzentrationen konzentrats konzentriere konzentrierend
+konzentrierende konzentrierendem konzentrierenden konzentrierender konzentrierendes konzentrierens
+konzentrierst konzentrierte konzentriertem konzentrierten konzentrierter konzentriertere
+konzentriertes konzentriertest konzentriertet konzentrierung konzentrisch konzepte konzepten
+konzeptes konzeption konzeptlos konzepts konzern konzerne konzernen konzerns konzertakt konzertant
+konzertbau konzerte konzerten konzertes konzertina konzertort konzerts konzerttag konzil konzile
+konzils konzis konzise kooperiere kooperierend kooperierende kooperierendem kooperierenden
+kooperierender kooperierendes kooperierens kooperierst kooperiert kooperierte kooperierten
+kooperiertet koordinate koordination koordinativ koordinative koordinator koordinators kopfbau kopfe
+kopfes kopfgeldjägerei kopfgeldjägern kopfgeldjägers kopflos kopfrad kopfs kopfschmerz kopfschmerzes
+kopfschmerztyp kopfweh kopiere kopieren kopierer kopierst kopiert kopierte kopilot kopist korbach
+korbes korbs kore koreaner koreas korral korrekte korrektem korrekten korrekter korrektere korrektes
+korrektion korrektiv korrektive korrektivs korrektor korrektors korrekturbit korrekturen
+korrekturtag korrekturzug korrelat korrupt kost kostbar koste kostenart kostend kostende kostendem
+kostenden kostender kostendes kostenhof kostenlos kostenmaß kostens kostest kosteten kostetest
+kostetet kostow kostowa kostümen kostümepos kostüms kostümtag kostümtyp kotze kotzebue kotzend
+kotzende kotzendem kotzenden kotzender kotzendes kotzens kotzest kotzig kotzige kotzte kotzten
+kotztest kotztet kotztüte krache krachen krachend krachens kracher kracherl kraches krachs krachst
+kracht krachte krachten krachtet kraftakt kraftarm kraftei kraftgas krafthub kraftlos kraftmaß
+kraftrad kraftweg kragarm kragenbär kragenlos kragens krame kramen kramend kramens kramer krammet
+krampe krampen krampf krampfe krampft krampus krams kramst kramt kramte kramten kramtet kramuri kran
+kranbau kranen kranes krangel krangen kranial kranich kranium krankem krankenbau krankend krankende
+krankendem krankenden krankender krankendes krankengut krankenhagen krankenhausart krankenhausbad
+krankenhausbau krankenhauses krankenhausgel krankenhaustag krankenhaustyp krankenhausuhr krankenheft
+krankenheim krankens krankenschwestern krankenstationen krankentag krankenwache krankenwagens
+krankenwart krankenöl krankenöle kranker krankes krankhaft krankst krankt krankte krankten kranktet
+krans kranz kranzes kranzug krater kratern kraters kratler kratz kratze kratzend kratzende
+kratzendem kratzenden kratzender kratzendes kratzens kratzern kratzers kratzest kratzfuß kratzig
+kratzige kratzt kratzte kratzten kratztet krawall krawalle krawalls krawatten kreatin kreation
+kreativ kreative krebsart krebse krebsen krebsend krebses krebsgen krebsrot krebssud krebstod
+krebstyp kredenz kredibel kreditart kredite krediten kredites kredithai kreditkarten kreditkasse
+kreditkauf kreditkaufs kreditnot kreditor kredits kreditweg kredo kreide kreiden kreidet kreidig
+kreiere kreiert kreisamt kreisbad kreische kreischt kreise kreisel kreisele kreiseln kreisels
+kreiselt kreisen kreisend kreisens kreises kreisest kreisky kreiskys kreisle kreisrat kreist
+kreistag kreiste kreisten kreistet kreißen kreucht kreuth kreuzarm kreuzart kreuzass kreuzau kreuze
+kreuzeck kreuzen kreuzend kreuzens kreuzer kreuzern kreuzers kreuzes kreuzest kreuzfuß kreuzhof
+kreuzige kreuzigt kreuzkap kreuzsee kreuzt kreuztag kreuztal kreuzte kreuzten kreuztet kreuztod
+kreuztor kreuzuhr kreuzungen kreuzweg kreuzweh kreuzzug krieche kriechend kriechende kriechendem
+kriechenden kriechender kriechendes kriechens kriecher kriecherei kriechfuß kriechst kriecht
+kriegend kriegende kriegendem kriegenden kriegender kriegendes kriegens kriegerin kriegern kriegers
+kriegs kriegsakt kriegsamt kriegsart kriegsehe kriegsfuß kriegsgut kriegsnot kriegsort kriegsrat
+kriegsruf kriegstag kriegstage kriegstanz kriegstier kriegstod kriegstor kriegstors kriegstote
+kriegswut kriegszug kriegte kriegten kriegtest kriegtet kriminell kriminellem krimineller
+kriminellere kriminellerem kriminelleren kriminellerer kriminelleres kriminelles kriminellste
+krisele kriseln kriselnd kriselns kriselt kriselte krisen krishna krisis kristallart kristalle
+kristallen kristallene kristallin kristalline kristallit kristallite kristalls kristin kristina
+kristins kritiken kritiker kritikern kritikers kritiklos kritikus kritisch kritzle kronach kronau
+kronen kronerbe krongut kronos kronrad kronrat kruscht kruse kruste krusten krustig krustige
+kräftige kräftigem kräftigen kräftigend kräftigens kräftiger kräftigere kräftiges kräftigst
+kräftigste kräftigt kräftigte kräftigten kräftigtet kräftigung krüppelig krüppelige krüppeln
+krüppels kubaner kubas kubatur kuchenrad kuchens kugelbad kugele kugelhof kugelig kugelige kugelnd
+kugelnde kugelndem kugelnden kugelnder kugelndes kugelnest kugelrad kugelst kugelt kugelte kugeltee
+kugelten kugeltet kult kultbau kulte kulten kultes kultig kultige kults kulturamt kulturart
+kulturbau kulturell kulturen kulturgut kulturhof kulturkai kulturlos kulturort kulturrat kulturtag
+kulturtod kulturtyp kulturweg kultus kumme kummers kummet kumpan kumpane kumpans kumpeln kund
+kundenfuß kundennah kundentyp kundgab kundig kundige kundin kundtat kundtue kundtun kundtut kundus
+kungeln kungelt kunstakt kunstamt kunstarm kunstart kunstbad kunstbau kunstbus kunsteis kunstgut
+kunsthof kunstlos kunstrad kunstrat kunstuhr kunstweg kursaal kursart kurse kursen kurses kursiv
+kursive kursk kursor kurst kurstag kurstyp kursus kurszug kursäle kurven kurvend kurvende kurvens
+kurvig kurvige kurvst kurvt kurvte kurvten kurvtet kurzarm kurzehen kurzeit kurzelle kurzepen
+kurzepik kurzepos kurzes kurzhub kurzohr kurzski kurztag kurzum kurzweg kurzzug kusses kutschen
+kutscher kutscherin kutschern kutschers käferart käfern käfers käfige käfigen käfigrad käfigs
+käfigtür kältebad kältebus kältepol kälter kältere kälterem kälteren kälterer kälteres kälteste
+kältetod kämest kämet kämpe kämpen kämpfend kämpfende kämpfendem kämpfenden kämpfender kämpfendes
+kämpfens kämpferin kämpfern kämpfers kämpftest kämpftet käseart käsefuß käsen käsend käser käserei
+käses käsetyp kätzchens käufe käufen käuferin käufern käufers köche köcheln köchelt köchen köcher
+köchern köchers köchinnen ködere ködern ködernd köderns köders köderst ködert köderte köderten
+königen königinnen königreiche königreichen königreiches königreichs königsaal königsalm königsamt
+königsaue königsbad königsbau königsboa königsee königsfan königsfuß königsgut königshof königshub
+königsnah königsrat königssee königstor königstür königsweg königszug königsäle königtum könnend
+könnende könnendem könnenden könnender könnendes könnens könner könnerin könnern könners könnest
+köpfeln köpfelnd köpfend köpfende köpfendem köpfenden köpfender köpfendes köpfens köpfer köpfern
+köpfers köpfst köpft köpfte köpften köpftet köpfung körperbad körperbau körperlage körperlast
+körperliche körperlichem körperlichen körperlicher körperliches körperlinie körperlos körperlose
+körpermaß körpern körpersaft körpersinn körperspaß körpertyp köstliche köstlichem köstlichen
+köstlicher köstlichere köstliches köstlichste kötel kötern köters küchel küchen kühen kühlbar
+kühlbox kühle kühlem kühlen kühlend kühlens kühler kühlere kühles kühlgas kühlgut kühlschrankes
+kühlschranks kühlschranktyp kühlschranktür kühlst kühlste kühlt kühlte kühlten kühltet kühlung
+kühlzug kümmel kümmeln kümmelnd kümmels kümmelöl kümmerer kümmernd kümmernde kümmerndem kümmernden
+kümmernder kümmerndes kümmernis kümmerns kümmerte kümmerten kümmertest kümmertet kümmre kündbar
+künde künden kündend künder kündest kündet kündete kündigend kündigende kündigendem kündigenden
+kündigender kündigendes kündigens kündigst kündigt kündigte kündigten kündigtet kündigung künste
+künsteln künsten künstlerart künstlerduo künstlerhof künstlerin künstlern künstlerrat künstlerruf
+künstlers künstlertum künstlertyp künstlich kürzel kürzeln kürzels kürzen kürzend kürzende kürzens
+kürzer kürzere kürzerem kürzeren kürzerer kürzeres kürzest kürzeste kürzliche kürzlichem kürzlichen
+kürzlicher kürzliches kürzt kürzte kürzten kürztet kürzung küssend küssende küssendem küssenden
+küssender küssendes küssens küsser küssest küsste küssten küsstest küsstet küsten küster küsterei
+küstern küsters küstrin laboe laborant labore laboren labors laboruhr labour lachend lachende
+lachendem lachenden lachender lachendes lachens lachern lachers lachgas lachs lachsack lachse
+lachsen lachses lachte lachten lachter lachtest lachtet ladearm ladegut lademaß ladenbau ladend
+ladende ladendem ladenden ladender ladendes ladenetz ladens ladentyp ladentür ladeort lader ladern
+laders ladet ladetor ladetür ladiner ladino ladins ladungen lagerart lagerbar lagerbau lagere
+lagerei lagergel lagergut lagerhaft lagerhalde lagerhalle lagerhauses lagerhaustür lagerheim
+lagerhof lagerholz lagerist lagerlöf lagern lagernd lagernde lagerns lagerort lagers lagerst lagert
+lagerte lagerten lagertet lagertor lagertyp lagerung lahme lahmem lahmen lahmend lahmens lahmer
+lahmere lahmes lahmst lahmste lahmt lahmte lahmten lahmtet laken lakens lammen lammend lammes lamms
+lampenbau lampentor lampentyp lampenöl lampenöls lampion lampist lancelot lancia landab landamt
+landarm landart landau landauf landaus landbau landbus lande landecho landecke landegel landegge
+landei landeies landein landeis landend landende landendem landenden landender landendes landenge
+landengen landens landenten landeort lander landerad landerat landesamt landesart landesbad
+landescup landesdom landeseil landeshut landespur landesrat landest landestag landesteg landestor
+landeten landetest landetests landetet landeweg landgut landhai landhof landlos landmaß landnot
+landrat landruf landrum lands landschach landschachs landschaden landschaf landschafe landschafen
+landschaften landschau landschiff landschilf landschlag landschule landschutz landsee landser
+landtag landtor landtyp landungen landunion landweg landzug langage langarm langbau langego langeln
+langenau langend langende langendem langenden langender langendes langens langeoog langesche langfuß
+langgut langhof langhub langland langlauf langlebig langlege langlegen langlegt langleine langloch
+langlogo langmut langohr langsame langsamem langsamen langsamere langsamerem langsameren langsamerer
+langsameres langsames langsamste langsieb langsitz langst langstab langt langtag langte langten
+langtet langton langue langweg langweile langweilend langweilende langweilendem langweilenden
+langweilender langweilendes langweilens langweiler langweilige langweiligem langweiligen
+langweiliger langweiligere langweiliges langweiligste langweilst langweilt langweilte langweilten
+langweiltet langzog langzug langöl langöle laptops laras lassa lassan lassas lassend lassende
+lassendem lassenden lassender lassendes lassens lasset lassi lasso lassos lastarm lastart laste
+lasten lastend lastende lastens lastern lasters lastesel lastest lastet lastete lasteten lastetet
+lastwagenbau lastwagens lastzug lasziv laszive laufend laufende laufendem laufender laufendes
+laufens laufente laufenten lauferei laufes lauffen laufmaß laufrad laufs lauftage laufteam laufterm
+lauftest lauftext lauftyp lauftyps laufweg launch launchs launen launig launige lauras laureat
+laurent lauta lautem lautend lautende lautendem lautenden lautender lautendes lautens lautere
+lauterem lauteren lauterer lauteres lautertal lautes lautest lauteste lautete lauteten lautetest
+lautetet lautlos lautsprecherbox lautsprechern lautsprechers lautung lawrences lawrencium lebendem
+lebender lebendes lebendige lebendigem lebendigen lebendiger lebendigere lebendiges lebendigste
+lebensakt lebensart lebensgut lebensmitte lebensmittelbon lebensmitteln lebensmittelnot
+lebensmittels lebensmittelöl lebensmittelöle lebensmut lebensnah lebensnot lebensort lebensrad
+lebensrat lebenstag lebensuhr lebensweg lebenswut leberau leberkas leberkäs lebern lebersee leberöl
+leberöls lebewesens lebtag lebtest lebtet leckage lecke leckem leckend leckende leckendem leckenden
+leckender leckendes leckere leckerei leckerem leckeren leckerer leckeres leckerli leckerlis
+leckerste leckes leckgas lecks leckst leckt leckte leckten lecktet leerem leerend leerende leerendem
+leerenden leerender leerendes leerens leerer leerere leererem leereren leererer leereres leeres
+leergut leerort leerst leerste leert leerte leerten leertet leerung leerweg legale legalem legalen
+legaler legalere legales legalste legat legaten legatin legato legend legendar legendem legenden
+legender legendes legendär legendäre legens leger legere legerem legeren legerer legeres legern
+legers legten legtest legtet lehramt lehrart lehrbar lehrbub lehrecke lehrend lehrende lehrendem
+lehrenden lehrender lehrendes lehrens lehreramt lehrerinnen lehrern lehrerrat lehrers lehrertyp
+lehrhof lehrort lehrst lehrt lehrte lehrten lehrter lehrtet lehrweg lehrzug leibe leiben leiber
+leiberl leibern leibes leibniz leibs leibt leibung leibwächterin leibwächtern leibwächters leica
+leich leichenhof leichenweg leichenzug leichnam leichtbau leichtem leichten leichtere leichterem
+leichteren leichterer leichteres leichtern leichternd leichtes leichtest leichteste leichtfuß
+leichtgut leichthin leichtöl leichtöle leichtöls leide leidend leidende leidendem leidenden
+leidender leidendes leidener leidenern leidens leidenschaften leides leidest leidig leidige leids
+leidsam leidtat leidtun leidtut leih leihamt leihe leihend leihende leihendem leihenden leihender
+leihendes leihens leihrad leihst leiht lein leinen leinene leinenem leinenen leinener leinenes
+leinöl leis leisem leisen leisere leiserem leiseren leiserer leiseres leises leiseste leisnig
+leistbar leiste leistend leistende leistendem leistenden leistender leistendes leistens leistest
+leistet leistete leisteten leistetet leistungen leitart leitbau leitend leitende leitendem leitenden
+leitender leitendes leitens leiterart leiterfuß leiterin leitern leiters leitertyp leiterweg
+leiterzug leitest leitete leiteten leitetest leitetet leitgen leitkuh leitner leitrad leitruß
+leitton leitweg lekt lektionar lektionen lektor lektors lektüre lenkbar lenke lenkend lenkende
+lenkendem lenkenden lenkender lenkendes lenkens lenker lenkerin lenkern lenkers lenkhof lenkrad
+lenksam lenkst lenkt lenkte lenkten lenktet lenkung lennard lenne lennon lennons leonardo leonardos
+leone leoner leones leonid leonids leonie leonies leonora leonore leons lernart lernbar lernend
+lernende lernendem lernenden lernender lernendes lernens lerner lernern lerners lernort lernstand
+lernstil lernstile lernstils lernstoff lernstufe lernstück lerntag lerntage lerntempo lerntest
+lerntests lerntet lerntipp lerntyp lerntyps lernweg lesbier lesbische lesbischem lesbischen
+lesbischer lesbisches leseakt lesegut lesend lesende lesendem lesenden lesender lesendes lesens
+leser leserei leserin lesern lesers lesewut lest letzen letzend letzt letztem letztendliche
+letztendlichem letztendlichen letztendlicher letztendliches letztere letzterem letzteren letzterer
+letzteres letzthin letztliche letztlichem letztlichen letztlicher letztliches leugne leugnend
+leugnende leugnendem leugnenden leugnender leugnendes leugnens leugner leugnern leugners leugnest
+leugnet leugnete leugneten leugnetet leugnung leutnants leve leveke levels libelle libera liberal
+liberale liberia liberias liberier libero liberos libertin libertär libertäre lich lichen lichtalb
+lichtarm lichtart lichtbad lichtdom lichte lichtecht lichtelfe lichtem lichten lichtenau lichtend
+lichtende lichtens lichtere lichteren lichterloh lichtern lichtes lichtest lichtet lichtete
+lichteten lichtetet lichthof lichtlos lichtlot lichtmaß lichtrot lichts lichttag lichtton lichttyp
+lichtuhr lichtung lichtweg liebelei liebeln liebem liebenau liebend liebende liebendem liebenden
+liebender liebendes liebens lieberam liebere lieberem lieberen lieberer lieberes lieberose liebesakt
+liebesart liebesehe liebesfuß liebesmüh liebesruf liebestat liebestod liebhabe liebhaben liebhabend
+liebhaberei liebhaberin liebhabern liebhabers liebhabt liebhast liebhat liebhatte liebig lieblich
+liebliche lieblinge lieblingen lieblingin lieblings lieblos lieblose liebstadt liebstem liebstes
+liebtest liebtet liedergut liedern liedes liedgut lieds liefe liefer lieferant lieferbar liefere
+liefernd liefernde lieferndem liefernden liefernder lieferndes liefernetz lieferns lieferort
+lieferst liefertag liefertage liefertags lieferte lieferten liefertest liefertet liefertour
+lieferungen lieferweg liefest liefre liefst lieft liegekur liegend liegende liegendem liegenden
+liegender liegendes liegens liegerad liese liesing liestal liestals ließe ließest ließet ließt liken
+likend likes lille lilli lillis lillys limes limette limonaden limone limonen limonit lincolns lind
+lindas lindau lindauer linde lindem linden linder lindere lindern lindernd lindernde linderns
+linderst lindert linderte linderten lindertet linderung lindes lindlar lindner lindow lindre lindsay
+lindt linienart linienbus linienjet linientyp linienweg linienzug linieren liniert linierte link
+linkedin linkem linkend linkende linkendem linkenden linkender linkendes linker linkes linksfuß
+linksher linkshin linksrum linkst linkstyp linksum linkt linkte linkten linktet linum linux lions
+lippe lippenbär lippenrot lippenstand lippenstifte lippenstiften lippenstiftes lisas list listen
+listend listende listest listet listete listeten listetet listig listige listing literal literat
+litermaß litern liters litewka litt litte litten littest littet littst liveact liven livid livide
+livisch livius lizenzart lizenzbau lizenzen lizenziat lizenztag lizenztyp lloyds lochau loche lochen
+lochend lochens locher lochern lochers loches lochien lochmaß lochs lochst locht lochte lochten
+lochtet lochung lockend lockende lockendem lockenden lockender lockendes lockens lockente lockenten
+lockerbie lockere lockerem lockeren lockerer lockerere lockeres lockern lockernd lockernde lockerns
+lockerst lockerste lockert lockerte lockerten lockertet lockerung lockig lockige lockout lockre
+lockruf lockst lockt lockte lockten locktet lockung logical logiere logiert logiken logiker logikern
+logikers login logins logis logische logischem logischen logischer logischere logisches logischste
+logismus logistik lohnart lohne lohnen lohnend lohnens lohnes lohnhof lohnjob lohns lohnst lohntag
+lohntage lohnte lohnteil lohnten lohntest lohntet lohntüte loisach lokalart lokale lokalem lokalen
+lokaler lokales lokalhit lokalrat lokals lokaltyp lokalzug lokativ londoner londonern londoners
+londons looks lordose lords lose loseise loseist losem losen losend losende losens losere loserem
+loseren loserer loseres loses losest loseste losgeben losgehe losgehend losgehende losgehendem
+losgehenden losgehender losgehendes losgehens losgeheult losgehst losgeht loslasse loslassend
+loslassende loslassendem loslassenden loslassender loslassendes loslassens loslasst loslege
+loslegend loslegende loslegendem loslegenden loslegender loslegendes loslegens loslegst loslegt
+loslegte loslegten loslegtet loswerde loswerdend loswerdende loswerdendem loswerdenden loswerdender
+loswerdendes loswerdet loszuwerdende loszuwerdendem loszuwerdenden loszuwerdender loszuwerdendes
+louisa louisdor louises lover loyalist loyalitäten luca lucia luciana luciano lucka luckau luftakt
+luftamt luftart luftbad luftgas luftig luftige luftnot luftrad luftsog luftweg luftzug luken
+lungenzug lungere lungern lungernd lungerns lungerst lungert lungerte lupine lupinen lustbad luster
+lusthof lustigem lustigen lustigere lustigerem lustigeren lustigerer lustigeres lustiges lustigste
+lustlos lustren lustrum lustsee luthers luthertum luxusbad luxusbus luxusgut luxuszug lächele
+lächelnd lächelnde lächelndem lächelnden lächelnder lächelndes lächelns lächelst lächelte lächelten
+lächeltest lächeltet lächerliche lächerlichem lächerlichen lächerlicher lächerlichere lächerliches
+lächerlichste lächle länderehe länderei ländername länderrat ländle ländler längen längere längerem
+längeren längerer längeres längs längste längstem längsten längstens längster längstes lärme lärmen
+lärmend lärmens lärmer lärmig lärmige lärms lärmst lärmt lärmte lärmten lärmtet lässig lässige läufe
+läufen läuferin läufern läufers läuferzug läufig läufige löchere löcherig löcherige löchern löchernd
+löchernde löcherns löcherst löchert löcherte löcherten löchertet löchrig löffele löffelhof löffeln
+löffelnd löffelnde löffelns löffels löffelst löffelt löffelte löffelten löffeltet löffle löffler
+löschakt löscharm löschbar lösche löschend löschende löschendem löschenden löschender löschendes
+löschens löscher löschest löschfan löschgas löschmaß löschst löscht löschtag löschte löschten
+löschtet löschung löschweg löschwut löschzug löse lösend lösende lösendem lösenden lösender lösendes
+lösens löser lösest löste lösten löstest löstet lösungen löwenbau löwenhof löwenkot löwenmut
+löwenohr löwenruf löwentor lügend lügende lügendem lügenden lügender lügendes lügenohr lügens
+lügerei lügnerinnen lügnerisch lügnern lügners machart machbar machend machende machendem machenden
+machender machendes machens macher macherin machern machers machete macheten machile macho machos
+machs machtest machtet machtgel machtlos machtort mademoiselles madig madige madigem madigen madiger
+madiges madita mafios mafiose mafiosi mafioso mafiös mafiöse magazine magazinen magazins magenlos
+magens magenta magenweh mager magere magerem mageren magerer mageres magern magerst magert magerte
+maggi maggiore magierin magiern magiers maginot magirus magisch magischem magischer magisches
+magister magistra mahlzahn mahlzeiten mahomed mahonie majestas majestix majestäten majo majoran
+majorans majorat majore majoren majorenn majorin majors make-up makel makelei makeln makelnd makels
+makossa maleate malefiz malejka malend malende malendem malenden malender malendes malens malente
+malerei malerin malern malernd malers mamas mamille manage managen managend managende managens
+managerin managern managers managertod managertyp managst managt managte managten managtet managua
+managuas manama manaslu manasse manati manaus manch manchem mancher manches manching mang manga
+mangaka mangan mangans mangas mange mangele mangeln mangelnd mangelnde mangelns mangels mangelst
+mangelt mangelte mangelten mangeltet mangle mango mangold mangos manhattans manie manien manier
+manierist manipulierbar manipuliere manipulierend manipulierende manipulierendem manipulierenden
+manipulierender manipulierendes manipulierens manipulierst manipulierte manipuliertem manipulierten
+manipulierter manipuliertes manipuliertest manipuliertet manipulierung manna mannas mannbar manne
+mannen mannesmut mannit mannose manns mannschaften manntag manta mantas mantelart mantels manteltyp
+mantik mantra mantras mantua manual manuale manuals manuela manuelas manuell manuelle manuellem
+manuellen manueller manuelles manuels marcellos marcellus marcels marco marcos marcs marcuse
+marcuses marga margarete margareten margaretes margaretha margarethe margarethes margarine margarita
+margen margit margits margot margots margret mari mariahof marianen marianne mariannes marias
+maribor mariel marien mariens maries marietta marihuanas marika marille marillen marilyns marin
+marina marinade marinas marineamt marinem marinen mariner marinerat marinesaal marinestab marinetor
+marinetyp marino marinos marinus mario marionetten marions marios marita maritas maritim marius
+mariä markant marken marker markere markern markernd markers markerst markert markerte markes market
+markig markige markise marklos marko markos markovs marks marktart marktbar marktbau marktes
+markthof marktort marktrat markts markttag markttor markttyp marktweg marktzug markung markup markus
+marl marlen marlenes marler marlern marley marlies marlis marlon marlow marlowes marls marsala
+marschall marsches marschiere marschierend marschierende marschierendem marschierenden
+marschierender marschierendes marschierens marschierer marschierern marschierst marschiert
+marschierte marschierten marschiertet marschs marschtag marschweg marschzug marser marshaller marta
+martell martens marter martere marterl martern martert marthas martina martinas martinez martinique
+martinis martins martinus martitz martre marvins marwitz maryam marys mascha maschal maschbau masche
+maschen mascherl maschinell maschinelle maschinenart maschinenbau maschinenhub maschinenmaß
+maschinennah maschinenrad maschinentyp maschinenweg maschinenöl maschinenöle maschinerie maschinist
+maschrik maskat masken maskil mass massa massageart massagen massageöl massageöle massageöls massai
+massakern massakers massas massebe massel massen masseur masseure masseurs masseuse massier massig
+massige massimo massiv massive massivs mast mastaba mastbox masten mastente masters mastes mastino
+mastkur masttop mater materialart materiale materialien materialist materialmix materials
+materialzug materie materiell materien matern maternd mathetik matta matte mattem matten matter
+mattere mattes matthei mattheit matthias matthäi matthäus matti mattrot maue mauem mauen mauerbau
+mauere mauernd mauernde mauerndem mauernden mauernder mauerndes mauerns mauerst mauert mauerte
+mauerten mauertet mauertor mauerweg mauerzug maues maule maulen maulend maulens maules maulig
+maulige mauls maulst mault maulte maulten maultet maure mauren maurer maurern maurers maurices
+maurisch mauritz maurizio mausbär mause mausen mausend mauser mausere mausern mausert mausohr
+mauspad mausrad mausre maustot mayas maßnahme mccarthys mccartney mccarty mccoys medial mediale
+medialem medialen medialer mediales median mediane medianen medianes medians medias mediat mediator
+medich medici medicis medienart medienbox medienbus medienmix medienrat medientag medientyp
+medienzar medikament medikamenten medikamentes medikaments medikamentös medikamentöse medikus medina
+medinas medium mediums mediziner medizinern mediziners medizinisch medizinischem medizinischer
+medizinisches meeraal meerane meere meereis meeren meeres meers meetings mega megabit megafon
+megaohm megara megaron mehre mehrehe mehrehen mehren mehrend mehrende mehrens mehrer mehrerer
+mehrerlei mehrerlös mehring mehrmalig mehrmalige mehrmann mehrst mehrt mehrte mehrten mehrtet
+mehrung mehrweg meiler meilern meilers meineid meineide meineids meinend meinende meinendem
+meinenden meinender meinendes meinens meinhof meinige meintat meintest meintet meinungen meise
+meisen meisner meistere meisterei meisterelf meisterin meistern meisternd meisternde meisterns
+meisterrad meisterrat meisters meisterst meistersud meistert meisterte meisterten meistertet
+meisterung melamin melancholisch melancholischem melancholischen melancholischer melancholischere
+melancholischerem melancholischeren melancholischerer melancholischeres melancholisches
+melancholischste melange melanies melanin melanins melano melanom melanome melanoms melanose melasse
+meldeamt meldeart meldend meldende meldendem meldenden meldender meldendes meldens melder meldern
+melders meldest meldete meldeten meldetest meldetet meldeweg meldezug meldorf meldungen meliert
+melilla melina melisma melissas melisse melissen melitta melodica melodielos melodien melodik
+melodisch melodiös melodiöse melodram melone melonen melos mengele mengenmaß mengens mengentyp
+mengst mengt mengte mengten mengtet mengung mensa menscheln menschelnd menschelt menschenarm
+menschenart menschenbär menschenfuß menschenhai menschenkot menschenlebens menschenleer
+menschenleere menschenleib menschenlos menschenmaß menschennot menschentod menschentum menschentyp
+menschenweg menschewik menschlein menschlichem menschlichere menschlicherem menschlicheren
+menschlicherer menschlicheres menschlichste mensen menses mensur merk merkbar merkel merkels merkend
+merkende merkendem merkenden merkender merkendes merkens merker merkmal merksatz merkten merktest
+merktet merkur merkurs merkwürdigem merkwürdigen merkwürdiger merkwürdigere merkwürdigerem
+merkwürdigeren merkwürdigerer merkwürdigeres merkwürdiges merkwürdigste merlan merlot message
+messarm messart messbar messbox messbus messe messeamt messebau messebus messeden messegut messehof
+messel messels messename messend messende messendem messenden messender messendes messenetz
+messenger messens messeort messerart messerfuß messerhub messern messers messertyp messetag messgas
+messgut messi messias messie messies messina messing messlot messmer messner messort messrad messt
+messton messuhr messung messweg messzug meta metallart metallbad metallbau metallbox metalle
+metallen metallene metaller metallern metallerz metallfuß metallic metallion metalloid metallrad
+metalls metalltor metalltyp metalltür metallurg metallöse metaxa metelen meteor meteore meteors
+metermaß meters methan methans methodenart methodentyp methodik methodist methyl metropol metropole
+metropolen metropolit metropolitan metropoliten mexikanerin mexikanern mexikaners mexikos miamis
+micha michaela michaelas michaeli michaelis michaels michail michas michel michelau michele micheles
+michelin michelins michelles michels michi michigans michigansee micker mickrig micks micky mickys
+miesem miesen miesere mieserem mieseren mieserer mieseres mieseste miesestem miesesten miesester
+miesestes mietbar mietbus mietend mietende mietendem mietenden mietender mietendes mietens mieter
+mieterin mietern mieters mietest mietet mietete mieteten mietetet miethai mietrad mietung miguels
+mikes milchart milchbad milchbar milcheis milchhof milchig milchige milchkuh milchkur milchmix
+milchner milchsee milchtag milchtee milchtyp milchuhu milchweg milena milesier milet milets milich
+milieu milieus militant militanz military militärbad militärbau militärbus militärisch militärischem
+militärischen militärischer militärisches militärjet militärrat militärs militärtyp militärzug miliz
+milizen mille milliarde milliardste milliardär milliardäre milliardärs millibar milliona
+millionenhit millionenrad millionste millionär millionäre millionärs millirem milos mindeste
+mindesten mindestmaß minen mineral minerva mineur mings minis miniski miniskis minislip ministar
+ministeramt ministerial ministerien ministerin ministerium ministern ministerrat ministers minuend
+minuskel minuspol minustyp minutenrad minuterie minutiös mira mirage mirakel miras misch mischa
+mischbar mische mischehe mischehen mischend mischende mischendem mischenden mischender mischendes
+mischens mischer mischers mischest mischgas mischgut mischpol mischst mischt mischte mischten
+mischtet mischton mischtyp mischungen missa missal missale misse missen missend missens missest
+missile missiles missionar missionare missionars missionen missis mississippis missmut missrät misst
+misste missten misstet misston misstrauische misstrauischem misstrauischen misstrauischer
+misstrauischere misstrauisches misstrauischste missverständnisse missverständnissen
+missverständnisses miste mistel misteln misten mistend mistende mistens mistest mistet mistete
+misteten mistetet mistig mistige mistkerle mistkerlen mistkerls mistral miststock miststücke
+miststücken miststücks mitarbeit mitarbeite mitarbeiten mitarbeitend mitarbeitende mitarbeitens
+mitarbeiterin mitarbeitern mitarbeiters mitarbeitest mitarbeitet mitarbeitete mitarbeiteten
+mitarbeitetet mitbekomme mitbekommend mitbekommende mitbekommendem mitbekommenden mitbekommender
+mitbekommendes mitbekommens mitbekommst mitbekommt mitbringe mitbringend mitbringende mitbringendem
+mitbringenden mitbringender mitbringendes mitbringens mitbringsel mitbringst mitbringt miteinanders
+mitfahre mitfahrend mitfahrende mitfahrendem mitfahrenden mitfahrender mitfahrendes mitfahrens
+mitfahrer mitfahrerin mitfahrern mitfahrers mitfahrt mitfahrten mitgebe mitgeben mitgebrachte
+mitgebrachtem mitgebrachten mitgebrachter mitgebrachtes mitgebrauch mitgebt mitgefühle mitgefühlen
+mitgefühls mitgefühlt mitgefühlte mitgefühlten mitgefühlter mitgefühltes mitgeführt mitgeführte
+mitgehabt mitgehe mitgehend mitgehende mitgehendem mitgehenden mitgehender mitgehendes mitgehens
+mitgehst mitgeht mitgehört mitgenommene mitgenommenem mitgenommenen mitgenommener mitgenommenes
+mitgliedern mitgliederrat mitgliedes mitglieds mitkomme mitkommend mitkommende mitkommendem
+mitkommenden mitkommender mitkommendes mitkommst mitkommt mitlauf mitlaut mitleide mitleiden
+mitleidend mitleidens mitleides mitleidest mitleidet mitleidig mitleidige mitleidlos mitleids
+mitleiter mitlese mitlesen mitleser mitlest mitlief mitmache mitmachend mitmachende mitmachendem
+mitmachenden mitmachender mitmachendes mitmachens mitmacher mitmachern mitmachers mitmachst mitmacht
+mitmachte mitmachten mitmachtet mitnehme mitnehmend mitnehmende mitnehmendem mitnehmenden
+mitnehmender mitnehmendes mitnehmens mitnehmer mitnehmern mitnehmers mitnehmt mitspiele mitspielend
+mitspielende mitspielendem mitspielenden mitspielender mitspielendes mitspielens mitspieler
+mitspielerin mitspielern mitspielers mitspielst mitspielt mitspielte mitspielten mitspieltet mittage
+mittagen mittagessens mittags mittagspausen mitteilbar mitteile mitteilend mitteilende mitteilendem
+mitteilenden mitteilender mitteilendes mitteilens mitteiler mitteilern mitteilers mitteilsam
+mitteilst mitteilt mitteilte mitteilten mitteiltet mitteilung mittelakt mittelalt mittelarm
+mittelbar mittelbau mittelbug mittele mittelfuß mittelgut mittelhof mittellos mittellot mittelmaß
+mittelname mittelnd mittelnde mittelndem mittelnden mittelnder mittelndes mittelnerv mittelns
+mittelohr mittelort mittelost mittelpunkte mittelpunkten mittelpunktes mittelpunkts mittels
+mittelsee mittelst mittelt mitteltal mittelte mittelten mitteltet mittelton mitteltor mitteltür
+mittelung mittelweg mittelzug mittelöl mittelöle mitternachts mittig mittige mittle mittler mittrug
+mittun mittwoche mittwochen mittwoches mittwochs mitzunehmende mitzunehmendem mitzunehmenden
+mitzunehmender mitzunehmendes mitzuteilende mitzuteilendem mitzuteilenden mitzuteilender
+mitzuteilendes mochtest mochtet modebad modefan modegag modele modellage modellart modellbau modelle
+modellen modellgas modellhut modells modelltyp modeln modelnd modelos models modelst modelt modelte
+modelten modem modems moden modena modenas moder moderat moderate moderato modere moderig moderige
+modern modernd modernde moderndem modernden modernder moderndes modernem moderner modernere
+modernerem moderneren modernerer moderneres modernes modernist modernste moders moderst modert
+moderte moderten modertet modest modezar moll mollath molle molli mollig mollige mollis momentane
+momentanem momentanen momentaner momentanes momenten momentes moments momentum momme mommsen mona
+monaco monacos monade monaden monako monakon monakos monarch monates monatstag monde mondego monden
+mondes mondgas mondhof mondlos mondsee mondtag mondtor monduhr mondzug mondän mondäne moni moniere
+moniert monika monikas monique monis monist monita monitorarm monitore monitoren monitoring monitors
+monitum monroes monrovia mons monsterart monsterbau monsterfan monsterhai monstern monsters
+monstertyp monsterzug monstra monstren monstrum monströs monsun monsuns mont montage montagen
+montags montague montan montana montanas montane montanem montanen montaner montanes monterey
+monteur monteure monteurs montur monty moor moorart moorbad mooren moorende moorente moorerde moores
+moorgut moorhof moorig moorige moorkur moors moorsee moortyp moorweg moralin moralist morast
+mordecho morden mordend mordende mordens mordente mordest mordet mordete mordeten mordetet mordgas
+mordio mordrat mords mordtag mordtat morelle mores morgana morgenbad morgenhof morgenlob morgenrot
+morgenshow morgenstau morgentau morgentee morgentyp morgig morgige morrison morrisons mose mosel
+moser mosere mosern mosernd moserns mosers moserst mosert moserte moskauer moskauern moskauers
+moskaus moskito moskwa motels motette motion motive motiven motivik motivs motorart motorbau
+motorbus motoren motorik motorjet motorola motorradart motorradbau motorrades motorradfan motorrads
+motorradtyp motorraum motorraums motors motortyp motoröl motoröle motown motte mottek motten mottos
+mountain mounte mounten mountest mountet mountete mummeln mumms mundart munde munden mundend mundens
+mundes mundet mundete mundlos mundsex mundtot muntere munterem munteren munterer munterere munteres
+munterst munterste muntert munterte muntjak murre murren murrend murrens murrst murrt murrte murrten
+murrtet muscat muschel muscheln muschik muschis muse museal museale museen musen museums musical
+musikact musikant musikart musikbit musikbox musikduo musikecke musikepos musikerbe musikerben
+musikerin musikern musikers musikfan musikgut musikmix musikpub musikrat musikton musiktyp musikuhr
+musikus musikzug musil musils musisch musizi muskat muskau muskel muskelart muskelfan muskelname
+muskelnerv muskels muskeltyp muskelzug muskete musketen muskote mussehe mussel musstet mustafa
+mustang musterbau mustere musterehe mustergut musterhof mustermix mustern musternd musternde
+musterns musters musterst mustert musterte musterten mustertet musterung musterzug mustre mutiere
+mutiert mutige mutigem mutigen mutiger mutigere mutiges mutigste mutist mutität mutterbau mutterhof
+mutterkuh mutterlos muttermal muttern mutterort mutters muttersau muttertag muttertyp mutteruhr
+muttis mythe mythen mythus mächte mächten mächtigem mächtigen mächtigere mächtigerem mächtigeren
+mächtigerer mächtigeres mächtiges mächtigste mädchenakt mädchenarm mädchenduo mädchenklo mädchenpo
+mädchenpos mädchenslip mädeln mädesüß männerakt männerarm männerbad männerhut männername männerpo
+männerpos männerrad männerrat männertag männertyp männin männlein männlichem männlichen männlicher
+männlichere männlicherem männlicheren männlicherer männlicheres männliches männlichste märchendom
+märchenfee märchengut märchens märchensee märchenton märchentyp märchenweg märchenzoo märzen märztag
+mäuseart mäusen mäusle möbelbau möbeln möbels möbeltyp möchtet mögend mögende mögendem mögenden
+mögender mögendes mögens mögest möget möglichem möglicher möglichere möglicherem möglicheren
+möglicherer möglicheres mögliches möglichste möglichstem möglichsten möglichster möglichstes mönche
+mönchen mönches mönchs mönchtum mörderin mördern mörders müdem müden müder müdere müderem müderen
+müderer müderes müdes müdeste mühelos mühen mühend mühende mühens müllart müllen müller müllern
+müllers mülls müllst müllzug münzamt münzbox münzend münzende münzendem münzenden münzender
+münzendes münzer münzest münzfuß münzhof münzt münztag münzte münzten münztet münztor münztyp müsse
+müssend müssende müssendem müssenden müssender müssendes müssens müssest müsstet müttern mützen
+nachbarart nachbarast nachbargau nachbargut nachbarhof nachbarhub nachbarinnen nachbarinsel
+nachbarnetz nachbarnote nachbarock nachbarort nachbars nachbarschaften nachbarschiff nachbarschlag
+nachbarsee nachbartal nachbartor nachbartür nachbau nachbaue nachbauen nachbauer nachbaus nachbaust
+nachbaut nachbaute nachbebt nachbete nachbild nachdenke nachdenkend nachdenkende nachdenkendem
+nachdenkenden nachdenkender nachdenkendes nachdenkens nachdenkst nachdenkt nachen nachens nachfolge
+nachfolgebau nachfolgehit nachfolgen nachfolgend nachfolgende nachfolgens nachfolgerin nachfolgern
+nachfolgers nachfolgetyp nachfolgezug nachfolgst nachfolgt nachfolgte nachfolgten nachfolgtet
+nachforschung nachgab nachhake nachhakt nachhalf nachhall nachhelfe nachhelft nachherbst nachherige
+nachhing nachhirn nachhole nachholt nachhut nachhöre nachhört nachkam nachlud nachmittage
+nachmittagen nachmittags nachnahme nachname nachnamens nacho nachrichtenamt nachrichtenarm
+nachrichtenart nachrichtentyp nachrichtenweg nachrichtenzug nachrichter nachruf nachsah nachsehbar
+nachsehe nachsehend nachsehende nachsehendem nachsehenden nachsehender nachsehendes nachsehens
+nachseht nachsende nachsetze nachsetzt nachtalb nachtalp nachtbar nachtbus nachteil nachthai
+nachtischs nachtrag nachtrat nachtrug nachtsafe nachtshow nachtsong nachtspur nachtun nachtwut
+nachtwächterin nachtwächtern nachtwächters nachtzug nachtöne nachtönt nachwog nachzog nachzug
+nackedei nackend nackende nackendem nackenden nackender nackendes nackens nackert nackerte nackig
+nackige nacktem nackten nackter nacktes nadelart nadele nadeln nadelt nadelte nadelten nadelton
+nadeltyp nadelöhr nadine nadines nadir nage nagelart nagele nagelhai nageln nagelnd nagelnde
+nagelneu nagelns nagels nagelst nagelt nagelte nagelten nageltet nageltyp nagelung nagen nagend
+nagende nagens nager nagern nagers nahebei nahekam nahelag nahem nahen nahend nahende naher nahes
+nahezu nahmst nahmt nahrungen naive naivem naiven naiver naivere naives naivste najade namenlos
+namensduo namensgut namenstag namenstyp namenszug nancys nanning nanntest nanntet nanny napola
+napoleondor napoleonide napoleons napoli napoléon narbenast narbig narbige narre narrend narrende
+narrendem narrenden narrender narrendes narrenhut narrenrat narrenruf narrentag narrentum narrentyp
+narrenweg narrenzug narretei narrst narrt narrte narrten narrtet nasal nasale nasalem nasalen
+nasaler nasales nasaruk nasen nassau nassaus nasse nassem nassen nasser nassere nasses nasskot natal
+natale natali natalia natalias natalies natalität natalja nataljas natals nathalie nathanael nathans
+national nationalbau nationalelf nationalem nationalen nationalepen nationalepos nationaler
+nationalerbe nationales nationalgut nationalist nationalrat nationaltag nationalzoo nationencup
+nativ native nativem nativen nativer natives natura natural naturbad naturbau nature natureis
+naturell naturen naturgas naturgut naturist naturmaß naturnah natursee naturton naturtyp naturweg
+naturzoo naturzug natürlichem natürlichen natürlicher natürlichere natürlicherem natürlicheren
+natürlicherer natürlicheres natürliches natürlichste nazi nazismus nazisohn nebelarm nebelart
+nebelbad nebelig nebelige nebeln nebelnd nebels nebelsee nebelst nebelt nebeltag nebeltau nebelte
+nebelten nebeltod nebeltyp nebelung nebenakt nebenakte nebenamt nebenarm nebenarme nebenarms
+nebenart nebenauge nebenbach nebenbahn nebenband nebenbank nebenbau nebenbein nebenbeine nebenbeinen
+nebenbeleg nebenberuf nebenbett nebenbild nebenbuch nebenbund nebenburg nebendom nebengut nebenher
+nebenhin nebenhof nebenjob nebenort nebental nebenton nebentor nebentür nebenuhr nebenweg nebenzug
+negation negative negativem negativen negativer negativere negatives negativs negativste negativtyp
+negativum negator negators negatum negatums nehmend nehmende nehmendem nehmenden nehmender nehmendes
+nehmens nehmer nehmers neidische neidischem neidischen neidischer neidischere neidisches neidischste
+neill neins nelsons nennbar nennecke nennend nennende nennendem nennenden nennender nennendes
+nennens nenner nennern nenners nennhub nennmaß nennsohn nennstrom nennung nerval nervale nerve
+nervenast nervend nervende nervendem nervenden nervender nervendes nervengase nervengasen
+nervengases nervengift nervens nerventod nervenweg nerverei nervig nervige nervs nervte nervten
+nervtest nervtet nervus nervöse nervösem nervösen nervöser nervösere nervöses nestbau nesteln
+nestelt nester nestern nestes nestlé nestor nestors nestroy nests nettem nettere netterem netteren
+netterer netteres netteste nettestem nettesten nettester nettestes nettetal netto netzart netzbau
+netze netzen netzend netzer netzes netzort netztyp netzwahl netzwand netzwelt netzwerkbit
+netzwerkbus netzwerke netzwerken netzwerkend netzwerker netzwerkern netzwerkers netzwerkes netzwerks
+netzwerktyp netzwertig netzwurf neuem neuenahr neuerde neuere neuerem neueren neuerer neueres neuern
+neuernd neuerung neueste neuestem neuestens neuester neuestes neugierde neugierige neugierigem
+neugierigen neugieriger neugierigere neugieriges neugierigst neugierigste neugrad neuguss neugut
+neuigkeit neulack neuland neulicht neulichtes neulinden neulinge neulingen neulings neuliste neulohe
+neulot neulote neune neuneck neunen neuner neunern neuners neunmal neunt neunte neuntel neuntem
+neunten neunter neuntes neunzig nicholson nichten nichtig nichtige nichtort nichtrum nichtsein
+nichtsinn nichtstun nichttun nicke nickel nickels nicken nickend nickens nickerchens nicki nickis
+nickst nickt nickte nickten nicktet nico nicola nicolai nicolais nicolas nicolaus nicoles nicoletta
+nicosia nicotin niederalm niederamt niederau niedere niederem niederems niederen niederer niederes
+niedergeschlagene niedergeschlagenem niedergeschlagenen niedergeschlagener niedergeschlagenere
+niedergeschlagenes niedergeschlagenste niederhof niederhut niederkam niederl niederlagen niederlande
+niederlasse niederlasst niederlauch niederlauer niederlege niederlegt niederließ niedermaß niederrad
+niedersee niederste niedertor niederung niederzug niedliche niedlichem niedlichen niedlicher
+niedlichere niedliches niedlichste niedrig niemandes niemegk niere nierenhof nierentee nierentyp
+niers niggerin niggern niggers nikkei nimmer ninas nivea niveauarm niveaulos niveaus noahs
+nochmalige nonn nonnen noras nordarm nordbad nordbau nordecke nordelch nordende nordendes nordengen
+nordenham nordens nordest nordfuß nordgau nordhof nordire nordist nordkai nordkap nordost nordpol
+nordsee nordsüd nordtor nordung nordweg norm norma normalbus normalem normalere normalerem
+normaleren normalerer normaleres normalmaß normalo normalos normalrad normalste normalton normaltyp
+normaluhr normalweg normalzug normandie normanne normannen normativ norme normen normend normmaß
+normung northeim northern northild norton nortorf notaufnahmen note notentyp notepad noterbe
+notfallart notfalles notfallort notfalls notfeld notfunk notiere notiert notion notraum notring
+notruder notrufe notrufen notrufend notrufes notrufs nottinghams notwendige notwendigem notwendigen
+notwendiger notwendigere notwendiges notwendigste novembers novembertag nubuk nudel nullen nullend
+nullode nullte nulltel nulltem nullten nullter nulltes nullum nuttig nuttige nutzbar nutzbau nutze
+nutzehe nutzehen nutzend nutzende nutzendem nutzenden nutzender nutzendes nutzens nutzer nutzerin
+nutzern nutzers nutzest nutzland nutzlast nutzlose nutzlosem nutzlosen nutzloser nutzlosere
+nutzloses nutzmaß nutzte nutzteil nutzten nutztest nutztet nutztier nutzung nächst nächstem
+nächstens nächten nächtens nächtige nächtigt nägeln nähen nähend nähende nähens nähere näherei
+näherem näheren näherer näheres näherin näherkam nähernd nähernde näherndem nähernden nähernder
+näherndes näherns näherst näherte näherten nähertest nähertet nähertrat näherung nämliche nämlichem
+nämlichen nämlicher nämliches nördliche nördlichem nördlichen nördlicher nördlichere nördliches
+nördlichst nördlichste nötige nötigem nötigend nötigende nötigendem nötigenden nötigender nötigendes
+nötigens nötiger nötigere nötigerem nötigeren nötigerer nötigeres nötiges nötigst nötigste nötigt
+nötigte nötigten nötigtet nötigung nüchterne nüchternem nüchternen nüchterner nüchternere nüchternes
+nüchternste nüssen nütze nützend nützende nützendem nützenden nützender nützendes nützest nützliche
+nützlichem nützlichen nützlicher nützlichere nützliches nützlichste nützling nützlinge nützte
+nützten nütztest nütztet obenan obenauf obenher obenhin obenrum ober oberalp oberamt oberarm oberau
+oberaue oberbau oberbug obere obereck oberecke oberelbe oberem oberems oberende oberenden oberendes
+oberer obererde oberes oberflächen oberhof oberhub oberhut oberin oberlid obermaß obernai oberode
+oberort oberrat obers obersaal obersalm obersalz obersatz obersee oberseen obersees obersieb
+obersieg obersims obersinn oberstaat oberstab oberstadt oberstand oberste obersteg oberstege
+oberstein oberstem obersten oberster oberstern oberstes oberstift oberstock oberstoff oberstrom
+oberstube oberstufe oberstäbe oberstück obersulm oberton obertor obertyp oberweg objektart objekte
+objekten objektes objektiv objektive objekts objekttyp obstart obstbau obstes obsthof obstler
+obstmus obsttag obstweg ofenbau ofens ofensau ofentür offenbach offenbachs offenbare offenbarem
+offenbaren offenbarend offenbarens offenbarer offenbares offenbarst offenbart offenbarte offenbartem
+offenbarten offenbarter offenbartes offenbartet offenbarung offenburg offenem offener offenere
+offenerem offeneren offenerer offeneres offenes offensichtliche offensichtlichem offensichtlichen
+offensichtlicher offensichtlichere offensichtliches offensichtlichste offensiv offenste offerte
+office offizial offiziellem offiziellen offizieller offiziellere offiziellerem offizielleren
+offiziellerer offizielleres offizielles offiziellste offizieren offizierin offiziers offizin
+offizium offiziums offiziös offiziöse ohnmachten ohnmächtige ohnmächtigem ohnmächtigen ohnmächtiger
+ohnmächtiges ohre ohres ohreule oktobern oktobers oktobertag oktogon oktole oktopus oliv olive
+olivem oliven olivenöl olivers olives olivetti olivier olli omaruru onkelehe onkeln onkels onlineabo
+opera operand operant operateur operating operational operationale operationell operationelle
+operativ operative operativem operativen operativer operatives operator operators operierbar
+operiere operierend operierende operierendem operierenden operierender operierendes operierens
+operierst operierte operiertem operierten operierter operiertes operiertest operiertet opern operon
+opfere opfermut opfernd opfernde opferndem opfernden opfernder opferndes opferns opfersein opfersinn
+opferst opfert opferte opferten opfertet opfertod opferung opti optical optiere optiert optik
+optiken optiker optima optimal optimat optimum optional optionale optisch orang orangeade orangeat
+orangeate orangem orangen orangenöl oranger orangerie orangerot oranges oranien oranier oranje orbis
+orbita orbital orbitale orbitals orbiter orbitern orbiters orbits ordens ordentliche ordentlichem
+ordentlichen ordentlicher ordentlichere ordentliches ordentlichste order ordere ordern ordernd
+orderns orders orderst ordert orderte ordne ordnen ordnend ordnens ordner ordnern ordners ordnest
+ordnet ordnete ordnungen organ organart organell organelle organells organen organik organisational
+organisationale organisationen organisator organisators organisierbar organisiere organisierend
+organisierende organisierendem organisierenden organisierender organisierendes organisierens
+organisierst organisierte organisiertem organisierten organisierter organisiertes organisiertest
+organisiertet organisierung organist organon organons organs organtyp organum organza originalbau
+originale originalem originalen originaler originales originalort originals originalton originell
+originär originäre ortega ortend ortende ortendem ortenden ortender ortendes ortens ortes ortest
+ortet ortete orteten ortetet oscars oskars ostecke ostend ostende ostendes ostens ostensiv osterei
+osteria osterle ostern oswalds ottokar ottoman ottone ottonen ottos outfits overall overath ozeane
+ozeanen ozeanien ozeans paare paaren paarend paarens paares paarig paarige paarmal paars paarst
+paart paarte paarten paartet paarung package packard packe packeis packelei packend packende
+packendem packenden packender packendes packens packer packerei packerin packern packers packesel
+packhof packrat packs packset packst packte packten packtest packtet packtier packung paketart
+pakete paketen paketes pakets pakettyp pakte pakten paktes pakts palace paladin palais palas
+palastbau palastes palastgel palasthof palasts palastsee palasttür palatal palatin palatum palau
+palauer palaver palavre palazzi palazzo palm palma palmar palmare palmas palme palmen palmette
+palmin palms palmtop palmyra palmöl palmöls panade panaden panamaer panamahut panamas panasch
+panazee panier paniere paniers paniert paniken panisch panzerbau panzerbär panzerei panzern panzernd
+panzerrad panzers panzertyp panzertür panzerung panzerweg panzerzug papabel papagei papas papaya
+papayas papierakt papierart papieren papierende papierene papierenem papierenen papierener
+papierenes papieres papierfax papierhut papierkorb papierkragen papierkrams papierkrieg papierkrone
+papierlos papiermaß papiern papierne papiernem papiernen papierner papiernes papiernot papiers
+papiertyp papille papist papstamt papstes papsthof papsttod papsttum para parabel paraden paradiere
+paradieren paradierst paradiert paradierte paradiese paradiesen paradieses paradiestor paradigma
+paradox paradoxa paradoxe paragon paranoia paranoide paranoidem paranoiden paranoider paranoides
+paranoiker paranoisch paranuss parapet paraphe parasit parasol parat pard pardauz pardel parder
+parfait parfum parfums parfümeur parfüms pari paria parias pariere pariert pariser parisern parisers
+parität parka parkas parkaue parkbad parkbox parke parkend parkende parkendem parkenden parkender
+parkendes parkens parkern parkers parkes parkett parketts parkgel parkplan parkplanes parkplatzes
+parkrat parks parksee parkst parkt parkte parkten parktet parktor parktyp parkuhr parkweg parnass
+part parte parteiamt parteien parteilos parteinah parteirat parteitag parteityp parteiung parteiweg
+parteiwut parterre parther partial partie partien partnerarm partnerbär partnerinnen partnerlos
+partnern partnerort partners partout parts partybus partysaal passa passage passagen passager
+passagieren passagiergut passagierin passagierjet passagierkai passagiers passagiertür passagierzug
+passah passamt passant passas passat passats passau passaus passee passeier passend passende
+passendem passenden passender passendes passens passes passest passierbar passiere passierend
+passierende passierendem passierenden passierender passierendes passierens passierst passiertem
+passierten passierter passiertes passiertest passiertet passiertuch passim passion passiv passiva
+passive passivem passiven passiver passives passivs passivum passow passteil passteile passteils
+passten passtest passtet passung passus passweg passwege passworte passworten passwortes passworts
+passwurf passé past pasta paste pastell pasten pastete pasteur pastis pastoral pastorale pastorat
+pastoren pastorin pastors pastös pastöse pate patella paten patent patente patents patern paters
+patience patiencen patiens patientengut patiententyp patientinnen patin patina patio patras patres
+patria patric patricia patricias patricks patriot patrizia patrizid patron patrone patrons
+patrouillen patt patte pattern pattex patts paulas pauli paulina pauline paulines pauling paulis
+paulo pauls paulus pauly paulys pausa pausen pausend pausende paust pauste pausten paustet pecher
+pechig pechige pechs pedros pegasos pegau peggys peinliche peinlichem peinlichen peinlicher
+peinlichere peinliches peinlichst peinlichste penibel penible penig penil penisse penissen penistyp
+pennal penne pennen pennend pennens pennerin pennern penners pennst pennt pennte pennten pennys
+pensionat pensionate pensionen pensionist pensionär pensionäre pensionärs pensum pensums pentade
+pentagonal pentagonale pentagons pentan peppe peppen peppig peppige pepping peppst peppt peppte
+peppten perfektem perfekter perfektes perfektion perfektiv perfektum perfid perfide perrier perron
+perser persern persers perseus persien persil persis perso persona personalakt personalamt
+personalbau personale personalem personalen personaler personales personalia personalie personalien
+personalist personalnot personalrat personals personell personelle personenbus personentag
+personentyp personenzug perspektiven perspektivlos persönlichem persönlichere persönlicherem
+persönlicheren persönlicherer persönlicheres persönlichkeiten persönlichst persönlichste perücken
+pesto pesttod petent petereit peterero peterhof peters petersen pfadart pfade pfaden pfades
+pfadfinden pfadfinderin pfadfindern pfadfinders pfadlos pfads pfannkuchens pfarrakt pfarramt pfarre
+pfarrei pfarreien pfarren pfarrerin pfarrern pfarrers pfarrgut pfarrhof pfarrort pfarrtor pfeifen
+pfeifend pfeifende pfeifens pfeifente pfeifer pfeiferei pfeiffer pfeifst pfeifton pfeiftons
+pfeiftöne pfeilart pfeilen pfeilende pfeiler pfeilern pfeilers pfeiles pfeils pferch pferche pfercht
+pferdeart pferdebox pferdebus pferdefuß pferdehof pferdehuf pferdekot pferdekur pferdename
+pferdenarr pferdenase pferdenote pferdes pferdetag pferdetod pferdetor pferdetyp pferdeweg pferdezug
+pflanzenart pflanzenbau pflanzend pflanzende pflanzendem pflanzenden pflanzender pflanzendes
+pflanzengut pflanzens pflanzentod pflanzentyp pflanzenöl pflanzenöle pflanzer pflanzerin pflanzern
+pflanzers pflanzest pflanzgut pflanzt pflanzte pflanzten pflanztet pflanzung pflaum pflaume pflege
+pflegeamt pflegearm pflegebad pflegend pflegende pflegendem pflegenden pflegender pflegendes
+pflegenetz pflegens pfleger pflegerat pflegerin pflegern pflegers pflegetag pfleghof pflegst pflegt
+pflegte pflegten pflegtet pflegung pflichte pflichter pflichterbe pflichtern pflichtes pflichtest
+pflichtet pflichtete pflichteten pflichtetet pflichtig pflichtige pflichtkür pfote pfunde pfunden
+pfundes pfundig pfundige pfunds phasen phaser philadelphias philadelphie philadelphier
+philadelphisch philadelphus philine philipp philippe philipper philippes philippi philippis philipps
+philippus philips phillips philosoph philosophem philosophen philosophicum philosophien
+philosophiere philosophieren philosophierst philosophiert philosophierte philosophin philosophisch
+physika physikbau physiker physikern physikers physikum physikus physis physisch picardie picassos
+picknicke picknicken picknicks picknickst picknickt picknickte picknickten piep piepe piepen piepend
+piepens pieper piepern piepers pieps piepse piepsend piepsende piepsendem piepsenden piepsender
+piepsendes piepsens piepser piepsern piepsers piepsig piepsige piepst piepste piepsten piept piepte
+piepten pieptet piepton pier pierce piercen pierres pierrot pierrots piers pilotin pilotwal pilz
+pilzart pilzen pilzes pilzhut pilztyp pink pinke pinkel pinkele pinkelnd pinkelnde pinkelndem
+pinkelnden pinkelnder pinkelndes pinkelns pinkelst pinkelt pinkelte pinkelten pinkle pinkler
+pinocchios piranha pirat piratenakt piratenbar piratenhut piratentum piratenzug piraterie piratin
+piss pisse pissend pissende pissendem pissenden pissender pissendes pissens pisser pissern pissoir
+pisst pisste pissten pisstet piste pisten pistill pistoia pistol pistolenbox pistons pittsburghs
+pizzas pizzen planar planare planbar planche planck plancks plane planegg planend planende planendem
+planenden planender planendes planens planer planern planers planes planetar planetare planetennah
+planetenrad planetenton planetenweg planetoid planke planken planlos plans planst plantage plantar
+plante planten plantest plantet planum planung plasma plasmas plasmen plasmid plast plaste plastide
+plastiden plastikbox plastiken plastiker plastiks plastilin plastisch plastron platane plateau
+platin platine platins plato platon platons platos platsch platteise plattem plattenbau plattenhof
+plattensee plattentyp plattenweg plattenzug platter plattere platterem platteren platterer platteres
+plattes platteste plattfuß plattler platts platzart platze platzeck platzecke platzend platzende
+platzendem platzenden platzender platzendes platzens platzes platzhof platzmaß platznot platzset
+platztanz platzte platzten platztest platztet platzturm platzweg pleiten pleitier pluspol plänen
+plätte plätten plättet plätzen plötzliche plötzlichem plötzlichen plötzlicher plötzlichere
+plötzliches plötzlichste pokemon pokere pokerer pokern pokernd pokernde pokerns pokerst pokert
+pokerte pokerten pokertet pole poleis polemik polens polenta polente polenten polentum polesje
+policen polier poliere poliert polig polige poligem poligen poliger poliges polin polio polis
+politeia politeur politiken politikerin politikern politikers politikum politisch politischem
+politischer politisches politruk politur polizeiamt polizeibus polizeien polizeifan polizeirat
+polizeiruf polizistinnen polizze pollack polle pollen poller pollern pollex pollux pommern pommerns
+pompeji pompejis poolbar poole poolen poolend pools poolst poolt poolte poolten popcorns porno
+pornoshow pornostar portlands posiere posiert positional positionale positionell positionelle
+positive positivem positiven positiver positivere positives positivist positivst positivste
+positivum positron positur postalm postamt postau postbub postbus postdoc poste postei postend
+postende postendem postenden postender postendes postens poster postern posters postest postet
+postete posteten postgel postgut posthof posthum posting postjob postler postort postrat postrum
+posttag postum postume postweg postzug pott potte potters pottsau pottwal praktik praktika praktiken
+praktiker praktikum praktische praktischem praktischen praktischer praktischere praktisches
+praktischste praxen praxie praxisnah preisamt preisen preisend preisende preisens preises preisest
+preisgab preishit preist preistyp preisung premier premieren premierministerin premierministern
+premierministers premiers premium presche prescht presley pressant pressath presseamt pressebox
+pressekonferenzen pressend pressende pressendem pressenden pressender pressendes pressens presserat
+pressest pressezar pressing pression presst presste pressten presstet pressung prestige presto
+prestos pries priese priesen priesest priess priest priesteramt priesterehe priesterin priesterlos
+priestern priesterrat priesters priestertum priestertyp priesterweg prim primaner primar primark
+primas primat primate primaten primates primats prime primel primeln primen primer primers primiz
+primus primär primäre princeps print printe printen printer prints prinzenbad prinzessinnen
+prinzipal prinzipale prinzipat prinzipate prinzipats prinzipiat prinzipiell prinzipielle
+prinzipienlos prinzips priori prioritär prioritäre prioritärem prioritären prioritärer prioritäres
+prioritäten prise prisen priska prism prisma prismas prismen privatbad privatbau privatem privater
+privatere privaterem privateren privaterer privateres privates privateste privatexil privatgel
+privatgut privatier privatim privation privativ privatjet privatlebens privatleute privatrat
+privatsee privatsphären privatweg privatzoo privatzug proband probat probate probeabo probeehe
+probegas probend probende probendem probenden probender probendes probengut probens probenset
+probentag probetag probezug probiere probierend probierende probierendem probierenden probierender
+probierendes probierens probierst probierte probierten probiertest probiertet problemart problembär
+problemlos problems problemtyp probst probt probte probten probtet prodrom producer produktart
+produkte produkten produktes produktidee produktionen produktiv produktive produktivem produktiven
+produktiver produktives produktmaß produktmix produkts produkttyp produzentin produzierbar
+produziere produzieren produzierend produzierens produzierst produzierte produziertem produzierten
+produzierter produziertes produziertest produziertet prof profan profane profession professional
+professionals professionelle professionellem professionellen professioneller professionellere
+professionelles professionellste professionen professoral professorale professoren professorin
+professorium professors professur profile profilen profiler profilern profilers profiliga profiling
+profillos profilrad profils profilzug profit profite profiten profits proform profos profund
+prograder programmart programmbus programme programmen programmes programmicon programmidee
+programmierart programmierbar programmiere programmieren programmierend programmierens programmierer
+programmierern programmierers programmierst programmierte programmiertem programmierten
+programmierter programmiertes programmiertest programmiertet programmierung programmrat programms
+programmtyp programmuhr progress projektart projektbau projekte projekten projektes projektil
+projektile projektils projektion projektiv projektive projektor projektors projekts projekttag
+projekttyp propan propans propen proper propere prophase propheten prophetie prophetien prophetin
+prophezeie prophezeien prophezeiend prophezeiens prophezeist prophezeit prophezeite prophezeitem
+prophezeiten prophezeiter prophezeites prophezeitet prophezeiungen propin proporz proppen propst
+prosa prosit prosod prostata proste prosten prostend prostens prostest prostet prostete prostituiere
+prostituieren prostituierend prostituierst prostituiert prostituiertem prostituierten prostituierter
+prostituiertes prostituiertest prostituiertet prostituierung protokollant protokolle protokollen
+protokollhof protokolls protokolltyp proviant provider provinzen provinzial provinzler provinzrat
+prozedur prozente prozenten prozentig prozentige prozents prozentual prozessart prozesse prozessen
+prozesses prozessgas prozession prozessor prozessors prozesstag prozesstyp prozessual prozessweg
+präsentia präsentierbar präsentiere präsentierend präsentierende präsentierendem präsentierenden
+präsentierender präsentierendes präsentierens präsentierst präsentierte präsentiertem präsentierten
+präsentierter präsentiertes präsentiertest präsentiertet präsentisch präsidentenamt präsidentinnen
+präsidial präsidien präsidium prüfamt prüfbad prüfbar prüfbau prüfbit prüfbus prüfe prüfend prüfende
+prüfendem prüfenden prüfender prüfendes prüfens prüfer prüferin prüfern prüfers prüfgas prüfmaß
+prüfrad prüfst prüft prüfte prüften prüftet prüfzug prügele prügelei prügelnd prügelnde prügelndem
+prügelnden prügelnder prügelndes prügelns prügelst prügelt prügelte prügelten prügeltet prügle
+psychiaterin psychiatern psychiaters psychiatrie publico publik publike publikem publiken publiker
+publikes publikums puddings pullovern pullovers pulsar pulsare pulse pulsen pulsend pulses pulst
+pulste pulsten punk punker punkern punkers punkig punkige punks punktart punkten punktes punktest
+punktet punktete punkteten punktion punktmaß punktmut punkto punkts punkttyp punktum punktzug
+puppenfee puppenset puppig pusseln pussys putz putzar putzbau putze putzend putzende putzendem
+putzenden putzender putzendes putzens putzer putzerei putzes putzest putzfee putzig putzige putzjob
+putzt putztag putzte putzten putztet päckchens pünktliche pünktlichem pünktlichen pünktlicher
+pünktlichere pünktliches pünktlichst pünktlichste quale quali quality qualitäten qualle quallen
+qualm qualme qualmen qualmig qualms qualmst qualmt qualmte quart quarta quartal quartale quartals
+quarte quarten quartett quartiere quartieren quartierens quartiers quartierst quartiert quartierte
+quartierten quartil quartile quartole quartär quasar quasare quasars quassie quast quaste quasten
+quasts quatsche quatschend quatschende quatschendem quatschenden quatschender quatschendes
+quatschens quatscherei quatsches quatschig quatschige quatschst quatscht quatschte quatschten queens
+quell quellarm quellenart quellend quellende quellendem quellenden quellender quellendes quellenhof
+quellenlos quellens quellenweg queller quellort quellsee quellt quellung quellweg querab querarm
+queraxt querbau quercus querele querelen queren querend querende querner quernut quersee querst
+quert querte querten querung querweg quinnat quinoa quint quinta quintal quinte quinten quintus
+quinär quito quitos quitte quitten quittje quittung quäle quälend quälende quälendem quälenden
+quälender quälendes quälens quäler quälerei quälern quälers quälst quält quälte quälten quältet
+racheakt rachels rachen rachens radarbug radars radart radarten radartyp radau radi radial radiale
+radiant radien radiere radiert radikal radiobus radiofan radiogen radiohit radiojet radiojod
+radiolot radios radiotag radiouhr radium radius rahm rahmenbau rahmenbit rahmend rahmenerz rahmenlos
+rahmens rahmentyp rahmig rahms rahmst rahmt rahmte rahmten rahmung rain raine rainen rainer rainers
+rains rakel rakeln raketenart raketenbau raketenfan raketentyp ralphs randale randalen randalls
+randalpen rande randes randlos randnah randori randtyp randweg range rangehe rangehend rangehende
+rangehendem rangehenden rangehender rangehendes rangehst rangeht rangelei rangeln rangelnd rangen
+rangern rangers ranges ranggen rangig ranging rangs rangst rangt rangun rann rannahm rannen rannten
+ranntest ranntet rasche raschele rascheln raschelt raschem raschen rascher raschere rasches raschle
+raschste rase rasend rasende rasendem rasenden rasender rasendes rasens raser raserei raserin rasern
+rasest raseur rasier rasiere rasierend rasierende rasierendem rasierenden rasierender rasierendes
+rasierens rasierer rasierern rasierers rasiergel rasierst rasierte rasiertem rasierten rasierter
+rasiertes rasiertest rasiertet rassel rassele rasseln rasselnd rasselns rasselst rasselt rasselte
+rassen rassig rassige rassist rassle ratend ratende ratendem ratenden ratender ratendes ratens rates
+ratet rathausbau rathauses ratschlag ratschlags ratschluss ratschlägen rattan rattenart rattere
+rattern ratternd ratterns ratterst rattert ratterte rattige rattre raucharm rauchbar rauchend
+rauchende rauchendem rauchenden rauchender rauchendes rauchens raucher raucherei raucherin rauchern
+rauchers rauches rauchfuß rauchgas rauchgut rauchig rauchige rauchlos rauchs rauchsalz rauchsatz
+rauchspur rauchstau rauchstaus rauchstil rauchstile rauchstils rauchstube rauchte rauchtee rauchtees
+rauchten rauchtest rauchtet rauchzug raufe raufen raufend raufens raufkam raufst rauft raufte
+rauften rauftet raume raumes raumlos raummaß raumnot raums raumschach raumschaft raumschall
+raumschema raumschiffbau raumschiffe raumschiffen raumschiffes raumschiffs raumschots raumschutz
+raumton rausch rausche rauscht rausfinde rausfindest rausgeben rausgebt rausgeholte rausgeholtem
+rausgeholten rausgeholter rausgeholtes rausgehst rausgeht rausgekommene rausgekommenem
+rausgekommenen rausgekommener rausgekommenes rausgeworfene rausgeworfenem rausgeworfenen
+rausgeworfener rausgeworfenes raushole rausholend rausholende rausholendem rausholenden rausholender
+rausholendes rausholst rausholt rausholte rausholten rauskam rauskomme rauskommend rauskommende
+rauskommendem rauskommenden rauskommender rauskommendes rauskommst raust rauste raustem rausten
+rauster raustes rauswerfe rauszufindende rauszufindendem rauszufindenden rauszufindender
+rauszufindendes rauszuholende rauszuholendem rauszuholenden rauszuholender rauszuholendes reagiere
+reagierend reagierende reagierendem reagierenden reagierender reagierendes reagierens reagierst
+reagierte reagierten reagiertest reagiertet reaktanz reaktionen reaktionär reaktionäre reaktionärs
+reaktiv reaktive reaktivem reaktiven reaktiver reaktives reaktor reaktors realakt reale realem
+realen realer reales realien realist realistin realistische realistischem realistischen
+realistischer realistischere realistisches realistischste realiter reality realitäten realo realos
+rebe rebeccas rebekka rebell rebellin rebellion rebeln rebelnd reben rechaud reche rechen rechend
+rechens rechne rechnend rechnende rechnendem rechnenden rechnender rechnendes rechnens rechner
+rechnerei rechnern rechners rechnest rechnet rechnete rechneten rechnetet rechst rechteck rechtecke
+rechtecks rechtem rechtend rechtens rechter rechtes rechtest rechtet rechtfertigbar rechtfertige
+rechtfertigend rechtfertigende rechtfertigendem rechtfertigenden rechtfertigender rechtfertigendes
+rechtfertigens rechtfertigst rechtfertigt rechtfertigte rechtfertigten rechtfertigtet rechtfertigung
+rechtler rechtlos rechtsakt rechtsamt rechtsanwaltes rechtsanwalts rechtsarm rechtsart rechtsfuß
+rechtsgut rechtshin rechtshof rechtsrat rechtsrum rechtstyp rechtsum rechtsweg rechtszug
+rechtzeitige rechtzeitigem rechtzeitigen rechtzeitiger rechtzeitiges recorder recordern recorders
+redend redende redendem redenden redender redendes redens rederei redesign redestil redestile
+redestils redestrom redeteil redeteile redeteils redetempo redetest redetet redetext redetexte
+redeton redetons reede reeden reeder reedern reeders rees rege regelbar regelbau regele regellos
+regelmaß regelmäßige regelmäßigem regelmäßigen regelmäßiger regelmäßigere regelmäßiges regelmäßigste
+regelnd regelnde regelndem regelnden regelnder regelndes regelns regelset regelst regelt regelte
+regelten regeltet regelung regelweg regelwut regelzug regem regenalm regenarm regenart regenbö
+regend regende regendem regenden regender regendes regenhut regenruf regens regent regentag regentee
+regenten regentin reger regere regerem regeren regerer regeres reges regest regex regierbar regiere
+regierend regierende regierendem regierenden regierender regierendes regierens regierst regiert
+regierte regiertem regierten regierter regiertes regiertet regierungen regime regimen regimes regina
+reginas regine region regisseure regisseuren regisseurin regisseurs regizid regne regnend regnende
+regnendem regnenden regnender regnendes regnens regner regnest regnete regneten regnetest regnetet
+regnitz regnum regte regten regtest regtet reichem reichenau reichend reichende reichendem
+reichenden reichender reichendes reichere reicherem reicheren reicherer reicheres reichern reichert
+reicherte reicherten reiches reichliche reichlichem reichlichen reichlicher reichlichere reichliches
+reichlichste reichs reichst reichste reichte reichten reichtest reichtet reichtums reichwein
+reichweins reichweiten reife reifem reifenart reifenbau reifend reifende reifendem reifenden
+reifender reifendes reifengas reifenhof reifenmaß reifenrad reifens reifentyp reifer reifere
+reiferem reiferen reiferer reiferes reifes reifst reifste reift reifte reiften reiftet reifung
+reihen reihend reihende reihenfolgen reihenform reihenfotos reiher reihern reihernd reihers reihn
+reihst reiht reihte reihten reihtet reihum reihung reinald reinbek reineke reinekes reinem reinerbig
+reinere reinerem reineren reinerer reineres reinerlös reines reinette reineweg reingehe reingehend
+reingehende reingehendem reingehenden reingehender reingehendes reingehst reingeht reingehört
+reingelegten reingezogene reingezogenem reingezogenen reingezogener reingezogenes reinige reinigend
+reinigende reinigendem reinigenden reinigender reinigendes reinigens reiniger reinigern reinigst
+reinigt reinigte reinigten reinigtet reinigungen reinkam reinkomme reinkommend reinkommende
+reinkommendem reinkommenden reinkommender reinkommendes reinkommst reinlassend reinlegst reinlegt
+reinlegte reinlegten reinstecke reinsteckt reinstem reinsten reinster reinstes reinstieß reinstoße
+reinstoßt reinstößt reintat reintun reintut reinweg reinzog reiseart reisebus reisehut reisend
+reisende reisendem reisenden reisender reisendes reisens reiseort reiser reiserad reiserat reisers
+reiseruf reises reisest reisetag reisetyp reiseuhr reiseweg reisewut reisezug reisig reisigs reiste
+reisten reistest reistet reisöl reite reitend reitende reitendem reitenden reitender reitendes
+reitens reiter reiterei reiterin reitern reiters reitest reithof reitweg reiz reizbar reize reizen
+reizende reizendem reizenden reizender reizendes reizendste reizens reizes reizest reizgas reizker
+reizlos reizort reizt reizte reizten reiztet reizung reißaus reiße reißend reißende reißendem
+reißenden reißender reißendes reißens reißer reißest rekorde rekordelf rekorden rekorder rekordern
+rekordler rekordrad rekords rekordtag rekordzug relais relation relative relativem relativen
+relativer relativere relatives relativste relativum relax relaxe relaxed relaxen relaxt religionen
+religiös religiöse rennau renne rennend rennende rennendem rennenden rennender rennendes rennens
+renner rennerle rennern rennerod renners rennes rennfan rennort rennrad rennsieg rennsitz rennstall
+rennstart rennsteig rennstein rennstil rennstile rennstils rennstufe rennstute renntag renntage
+rennteam renntyp renntyps rennweg rentamt renten rentier rentner reparabel reparable reparateur
+reparation reparaturen reparaturkit reparaturset reparierbar repariere reparierend reparierende
+reparierendem reparierenden reparierender reparierendes reparierens reparierst reparierte
+repariertem reparierten reparierter repariertes repariertest repariertet replikator replikators
+report reportage reporte reporten reportergen reporterin reportern reporters reporting reports
+republiken reserviere reservieren reservierend reservierens reservierst reservierte reserviertem
+reservierten reservierter reserviertes reserviertest reserviertet reservierung reservist resp
+respektanz respektes respektierend respektierende respektierendem respektierenden respektierender
+respektierendes respektierens respektierst respektierte respektiertem respektierten respektierter
+respektiertes respektiertest respektiertet respektierung respektive respektlos respekts restanz
+restart restaurativ restaurator restbau reste restei resten restes restgas restgut resthof restlich
+restliche restlichem restlicher restliches restlicht restlichtes restlos rests resultante resultate
+resultaten resultates resultativ resultative resultatlos resultats rettend rettende rettendem
+rettenden rettender rettendes rettens retterin rettern retters rettest retteten rettetest rettetet
+rettich rettungen reuelos reuen reuend reverenz revers reverse reversem reversen reverser reverses
+reversiv reviere revieren revierend reviers reviert review reviewen reviews revisor revival revolte
+revolten revolutionen revolutionier revolutionär revolutionäre revolutionärs revolvern revolvers
+rezent rezente rezepte rezepten rezeptes rezeption rezeptiv rezeptive rezeptor rezeptors rezepts
+rezeptur rezess rhythmen rhythmik richardis richardson richtend richtende richtendem richtenden
+richtender richtendes richtens richteramt richterin richtern richterrat richters richtest richtet
+richtete richteten richtetet richthof richtigem richtigere richtigerem richtigeren richtigerer
+richtigeres richtigste richtlot richtmaß richtrad richtungen richtweg ricke ricken rickert ricklef
+rickmer ricotta riechbar riechend riechende riechendem riechenden riechender riechendes riechens
+riecher riechern riechers riechsalz riefe riefest riefst rieft ries riesa riese riesele rieseln
+rieselnd rieselns rieselst rieselt rieselte riesenalk riesenast riesenbau riesenei riesenfan
+riesenhai riesenhit riesenhof riesenjet riesenjob riesenohr riesenrad riesentor riesenweg rieses
+riesigem riesigere riesigerem riesigeren riesigerer riesigeres riesigste riesin riester ringbau
+ringecke ringeln ringelnd ringelt ringelte ringen ringend ringende ringens ringer ringerin ringern
+ringers ringes ringgau ringmaß ringnut ringo rings ringst ringsum ringt ringweg ringzug rippe
+rippend rippentyp ripperl ripple risikoarm risikoart risikolos risikos riskante riskantem riskanten
+riskanter riskantere riskantes riskiere riskierend riskierende riskierendem riskierenden
+riskierender riskierendes riskierens riskierst riskierte riskiertem riskierten riskierter riskiertes
+riskiertest riskiertet ritas ritt ritte ritten ritterbad ritterbau rittergut ritterhof ritterin
+rittern ritterode ritterrat ritters rittertag rittertum ritterweg ritterzug rittest rittet rittst
+ritualbad rituale ritualen rituals rituell ritus roadie roadies roadmap robbe robben robbend robbens
+robbst robbt robbte robbten robbtet robe roben roberta robertas roberto robertos robinie robinien
+robins robinsonade robinsons robot roboten robotend roboterarm roboterart robotern roboters
+robotertyp robotet robotik rockau rockbar rocke rocken rockend rocker rockern rockers rockes rockfan
+rockig rockige rockoon rocks rockst rockt rockte rockten rogen rogers rohrahm rohrart rohrau rohrbau
+rohreis rohren rohrende rohres rohrgut rohrhof rohrmaß rohrs rohrsee rohrtyp rolands rollbar rollend
+rollende rollendem rollenden rollender rollendes rollens rollenset rollentyp rollenzug roller
+rollern rollers rollgut rollhof rolli rollig rollige rolling rollis rollkur rollo rollos rollrad
+rollski rollst rollsteg rollstege rollsteig rollstein rollstube rollstuhles rollstuhls rollt rollte
+rollten rolltet rolltor rolltür rollweg roma romagna romandie romane romanen romanes romani romania
+romanik romanist romano romanos romanow romanows romans romantik romantiker romantische romantischem
+romantischen romantischer romantischere romantisches romantischste romantitel romanum romanze
+romanzen romeos ronny rosalia rosalie rosanna rosarot rosaton rosazea roseau rosel rosenart rosenbad
+rosenfee rosenhof rosenohr rosenort rosenrot rosentod rosenweg rosenöl rosenöle rosenöls roses
+rosetta rosette rosi rosig rosige rosigem rosigen rosiger rosiges rosina rosine rosinen rosis rosse
+rossen rosses rossini rosskur roteibe rotem roter roterde roterle rotes routen router routern
+routers routinejob routinen routing routings routinier royale royalen royaler royales royalist rucks
+rucksackes rucksacks rucksen ruckst rudel rudeln rudels ruderart rudere ruderer ruderern ruderers
+ruderfuß ruderin rudern rudernd rudernde ruderns ruderrad ruders rudersee ruderst rudert rudertag
+ruderte ruderten rudertet rufend rufende rufendem rufenden rufender rufendes rufens rufer rufers
+rufes rufs rufstrom ruftaxi rufton ruhelos ruhend ruhende ruhendem ruhenden ruhender ruhendes ruhens
+ruheort ruhepol ruhestandes ruhestands ruhestatus ruhestein ruhestrom ruhestück ruhetag ruhige
+ruhigem ruhigen ruhigere ruhigerem ruhigeren ruhigerer ruhigeres ruhiges ruhigste ruhmes ruhmlos
+ruhms ruhte ruhten ruhtest ruhtet ruiniere ruinierend ruinierende ruinierendem ruinierenden
+ruinierender ruinierendes ruinierens ruinierst ruinierte ruiniertem ruinierten ruinierter ruiniertes
+ruiniertest ruiniertet rumhängens rumlaufe rundbau rundecke rundem rundend rundende rundendem
+rundenden rundender rundendes rundens runder rundere runderem runderen runderer runderes rundes
+rundest rundet rundete rundeten rundetet rundhof rundnut rundruf rundum rundung rundweg runterkam
+runterzog russe russells russentum russin russischem russischer russisches russistik russki
+russlands ruthene ruths ryanair räche rächend rächende rächendem rächenden rächender rächendes
+rächens rächer rächerin rächern rächers rächst rächt rächte rächten rächtet rätsele rätselei rätseln
+rätselnd rätselnde rätselns rätsels rätselst rätselt rätselte rätselten rätseltet rätsle rätst
+räuberei räuberin räubern räubernd räubers räumdig räumend räumende räumendem räumenden räumender
+räumendes räumens räumst räumt räumte räumten räumtet räumung rübe rüben rübenau rüberkam rückbau
+rücke rückenakt rückenbau rückend rückende rückendem rückenden rückender rückendes rückens rückert
+rückerts rückgut rückgänge rückgängen rückgängige rückgängigem rückgängigen rückgängiger
+rückgängiges rückhof rückhub rückkauf rückkehren rückkehrend rückkehrer rückkehrern rückkehrers
+rückruf rückseiten rückseitig rückseitige rückserie rücksetze rücksetzt rücksicht rücksitze
+rücksitzen rücksitzes rücksog rücksoge rückst rückstau rückstoß rückt rückte rückten rücktet
+rückwand rückwege rückwegen rückwegs rückwende rückwurf rückwände rückwärtig rückwärtige rückzoll
+rückzuge rückzuges rückzugs rückzüge rühre rührei rühreis rühren rührend rührens rührer rührig
+rührige rührst rührte rührteig rührten rührtest rührtet rührung rüste rüsten rüstend rüstens rüster
+rüstern rüstest rüstet rüstete rüstig rüstige rüstungen saalbau saale saales saals saaltür sachau
+sachepos sacher sachers sachgut sachs sachse sachsen sachso sacht sachteil sachteile sachteils
+sachtem sachten sachter sachtes sachtext sachtexte sacke sacken sackend sackerl sackes sackgassen
+sacks sackst sackt sackte sackten sacktet safed safes saftbar saften saftend saftes saftig saftige
+saftkur saftlos safts safttag sagend sagende sagendem sagenden sagender sagendes sagens sager sagtet
+sahel sahnen sahnig sahnige sahnst sahnt sahnte sahnten saigon saigons saisonal saisonale saisonehe
+saisonjob saisons saisontor saladin salam salami salatart salatbar salate salaten salates salats
+salatöl salatöle salatöls salland sallys salzach salzamt salzarm salzart salzbad salzdom salze
+salzen salzend salzens salzes salzest salzhof salzig salzige salzkur salzlos salzsee salzt salzte
+salzten salztet salzton salztor salzweg same samenbau samenhof samenrat samens samenweg sammelart
+sammelbau sammelbox sammele sammelei sammelgut sammelname sammelnd sammelnde sammelndem sammelnden
+sammelnder sammelndes sammelns sammelort sammelruf sammelst sammeltag sammeltage sammeltank
+sammeltaxi sammelte sammelten sammeltest sammeltet sammeltopf sammeltopp sammeltour sammeltyp
+sammeltyps sammeltüte sammelweg sammelwut sammet sammle sammler sammlern sammlers sammlungen sams
+samson samsons samstage samstagen samstags samsung samuel samuels sanctus sandaal sandale sandart
+sandau sandbad sandboa sandbox sanddom sande sanden sandend sander sanders sandes sandhi sandhof
+sandig sandige sandler sandlot sandlöß sandoz sandras sandratte sandraupe sandriff sandro sandrock
+sandrohr sandrose sands sandte sandten sandtet sanduhr sandwall sandwatt sandweg sandwege sandwelt
+sandwiches sandwichs sandwiese sandwind sandwinde sandwirt sandwurf sandwurm sandys sandzug sanfte
+sanftem sanften sanfter sanftere sanftes sanftmut sanitär sanitäre sanitärem sanitären sanitärer
+sanitäres sanität sanitäterin sanitätern sanitäters santana santanas sarahs saras saratow sargecke
+sarges sargs satanas satang satanist satans satellitenbau satellitenbus satellitentyp satellitenuhr
+satellitenzug satte sattel sattele satteln sattels sattelt sattem satten satter sattere sattes
+sattle sattler sattrot sattsah sattsam satzart satzbau satze satzes satztyp satzung sauberem
+sauberen sauberer sauberere saubererem saubereren saubererer saubereres sauberes sauberste saublöd
+saue sauen sauend sauende sauens sauerbad sauerei sauerer sauergas sauerste sauerstein sauerstem
+sauersten sauerster sauerstes sauerstoffarm sauerstoffbad sauerstoffe sauerstoffen sauerstoffes
+sauerstoffgas sauerstoffjet sauerstofflos sauerstoffs saulgau sauls saulus saßest schaab schaaf
+schaan schab schabe schaben schaber schabst schabt schabte schacher schachern schachert schachfan
+schachs schacht schachtag schachtage schachte schachteil schachteile schachteils schachteln
+schachtelnd schachtelung schachten schachtend schachtes schachtest schachtet schachtete schachteten
+schachts schachuhr schachzug schadend schadende schadendem schadenden schadender schadendes schadens
+schadest schadete schadeten schadetest schadetet schadgas schadlos schadow schafart schafbad schafen
+schafes schaffarm schaffbar schaffeld schaffell schaffelle schaffells schaffels schaffend schaffende
+schaffendem schaffenden schaffender schaffendes schaffens schaffner schafften schafftest schafftet
+schaffung schafhof schafkot schafott schafs schaft schaftes schafts schah schahs schakal schal
+schalem schalen schaler schalere schalerem schaleren schalerer schaleres schales schalk schalkau
+schalke schalken schalker schalkes schalks schall schalle schallen schalles schalls schallst schallt
+schallte schalmei schalom schals schalste schaltbar schaltbau schaltdom schaltend schaltende
+schaltendem schaltenden schaltender schaltendes schaltens schaltern schalters schaltest schaltet
+schaltete schalteten schaltetet schaltier schaltrad schaltst schalttag schaltuhr schaltung schaltweg
+schaltzug schalu schalung scham schamo schandbar schandeck schanden schandmal schandtat schang
+schani schank schanker schanz schanze schanzen schanzer schanzt schanzte schapel schapka schapp
+schar scharade scharaff scharbe schare scharen scharend scharens scharfe scharfem scharfen scharfer
+scharfes scharia scharon scharpie scharre scharren scharrst scharrt scharrte scharst schart scharte
+scharten schartet schartig schasse schasst schattenlos schattens schattenuhr schattig schattige
+schatzalp schatzamt schatzes schatzi schatzrat schauder schaudre schauend schauende schauendem
+schauenden schauender schauendes schauens schauer schauere schauern schauernd schauers schauerst
+schauert schauerte schaufel schaufle schaufuß schauhof schaukel schaukle schaum schaumig schaums
+schaurig schauseil schauspiegel schauspiel schauspiele schauspielen schauspielende schauspielerei
+schauspielerinnen schauspielerisch schauspielernd schauspielernde schauspielerndem schauspielernden
+schauspielernder schauspielerndes schauspielerns schauspielers schauspielerst schauspielert
+schauspielerte schauspielerten schauspielertum schauspieles schauspielort schauspiels schaustall
+schaustern schaustück schausäle schautag schautage schautanz schauteil schauteile schauteils
+schauten schautest schautet schauturm schauwal schebat schecke scheckig scheckige scheel scheele
+scheer scheiben scheich scheicha scheiche scheichs scheide scheidegg scheidend scheidende
+scheidendem scheidenden scheidender scheidendes scheidens scheidest scheidet scheideweg scheiding
+scheidungen scheinart scheinbare scheinbarem scheinbaren scheinbarer scheinbarere scheinbares
+scheinbarste scheinberg scheinbild scheinbuch scheinehe scheinehen scheinend scheinende scheinendem
+scheinenden scheinender scheinendes scheinens scheines scheinlot scheins scheinsatz scheinstaat
+scheinstamm scheinstrom scheintod scheintode scheintor scheintore scheintot scheintote scheints
+scheintyp scheintyps scheintür scheintüre scheit scheite scheitel scheiten scheites scheitle
+scheitre scheißen scheißend scheißende scheißens scheißerei scheißest scheißkerle scheißkerlen
+scheißkerls scheißt scheißtag schekel schelde scheler schelf schell schelle schellt schelm schelme
+schelms schelte schem schema schemas schemel schemen schemm schengen schenk schenkel schenkeln
+schenkels schenkend schenkende schenkendem schenkenden schenkender schenkendes schenkens schenker
+schenkst schenkte schenkten schenktest schenktet schenkung scheol schepp scheqel scher scherbe
+scherben scheren scherend scherende scherens scherer schererei scherern scherers scherf scherge
+schergen scherst schert scherte scherten schertet scherung scherzel scherzen scherzend scherzende
+scherzens scherzes scherzest scherzl scherzo scherzos scherzt scherzte scherzten scherztet scheu
+scheuch scheuche scheucht scheue scheuem scheuen scheuend scheuens scheuer scheuere scheuern
+scheuert scheues scheunen scheusal scheust scheuste scheut scheute scheuten scheutet schewat schi
+schia schiach schibob schichte schichten schichtend schichtens schichtest schichtet schichtete
+schichtung schickem schickend schickende schickendem schickenden schickender schickendes schickens
+schicker schickere schickerem schickeren schickerer schickeres schickeria schickern schickernd
+schickes schickeste schicks schicksale schicksalen schicksalsort schicksalsrad schicksalstag
+schicksalsweg schickse schicksel schicksl schicktest schicktet schickung schieb schiebbar schiebe
+schiebeeis schiebend schiebende schiebendem schiebenden schiebender schiebendes schiebens schieber
+schieberei schiebern schiebers schiebetor schiebetür schiebeweg schiebst schiebt schiebung schiech
+schied schiedam schieden schiedet schiedst schiefe schiefem schiefen schiefer schiefere schiefern
+schiefers schiefes schiefrig schiefste schiege schiele schielen schielo schielst schielt schielte
+schiene schienen schienend schienst schient schiente schienten schientet schienung schier schiere
+schierem schieren schierer schieres schierke schiet schießart schießend schießende schießendem
+schießenden schießender schießendes schießens schießereien schießerker schießest schießtest
+schießwut schiffbar schiffbau schiffen schiffend schiffende schiffer schifferin schiffern schiffers
+schiffs schiffst schifft schiffte schifften schifftet schiften schiit schilauf schilda schildart
+schildas schildau schildecke schilden schilder schildere schildern schildernd schilderns schilderst
+schildert schilderte schildes schildfuß schildgen schildhof schildkraut schildkrebs schildkröten
+schildlos schildow schilds schilduhr schilf schilfe schilfen schilfes schilfig schilfs schilh
+schilift schill schiller schilt schiltst schily schimmel schimmele schimmelig schimmeln schimmelnd
+schimmelns schimmels schimmelst schimmelt schimmelte schimmere schimmern schimmernd schimmernde
+schimmerns schimmers schimmerst schimmert schimmerte schimmerten schimmertet schimmle schimmlig
+schimmre schimpf schimpfe schimpft schimäre schinde schindel schinden schinder schindet schinkel
+schinkels schinkens schinn schipp schippe schirch schiri schiris schirmart schirme schirmen
+schirmend schirmens schirmes schirmmaß schirmpin schirms schirmst schirmt schirmte schirmten
+schirmtet schirmtyp schirmung schirrt schis schischa schisma schismas schismen schisse schissen
+schisser schissest schisst schiwa schlachtbar schlachte schlachten schlachtend schlachtens
+schlachter schlachters schlachtest schlachtet schlachtete schlachtfeier schlachtfelder
+schlachtfeldern schlachtfeldes schlachtfelds schlachtfest schlachtfeste schlachthof schlachtort
+schlachtruf schlachttag schlachtung schlachtzug schlacke schlacken schlackig schlackst schlackt
+schlackte schlafbus schlafend schlafende schlafendem schlafenden schlafender schlafendes schlafens
+schlafes schlaff schlaffe schlaffem schlaffen schlaffer schlaffes schlaffi schlaffst schlafft
+schlaffte schlafhai schlaflos schlafrad schlafs schlaft schlaftod schlafzimmern schlafzimmers
+schlafzimmertür schlagalm schlagarm schlagart schlagbar schlagend schlagende schlagendem schlagenden
+schlagender schlagendes schlagens schlager schlagern schlagers schlages schlagetot schlagmal schlags
+schlagt schlagton schlaguhr schlaks schlamasseln schlamassels schlamastik schlammbad schlammes
+schlammig schlammige schlamms schlammsee schlampend schlampens schlamper schlamperei schlampert
+schlampig schlampige schlampst schlampt schlampte schlampten schland schlang schlangenaal
+schlangenart schlangenbad schlangenei schlangenfuß schlangenhai schlangenweg schlangst schlangt
+schlank schlanke schlankem schlanken schlanker schlankes schlapp schlappe schlauch schlauche
+schlauchs schlaucht schlaue schlauem schlauen schlauere schlauerem schlaueren schlauerer schlaueres
+schlauerle schlaues schlaueste schlaufe schlaufen schlauste schlechtem schlechtere schlechterem
+schlechteren schlechterer schlechteres schlechtest schlechteste schlechtestem schlechtesten
+schlechtester schlechtestes schlechthin schlechtweg schleck schlecke schlecken schlecker schleckig
+schleckst schleckt schleckte schlegel schlehe schlehen schlei schleich schleie schleier schleife
+schleift schleim schleime schleims schleimt schleiz schleiße schlemme schlemmt schlenze schlepp
+schleppe schleppt schleuse schleust schleyer schlich schliche schlicht schlick schlicks schlieben
+schliefbar schliefe schliefen schliefend schliefer schliefest schlieffen schliefig schliefst
+schlieft schlier schliere schlieren schlierig schließbar schließend schließende schließendem
+schließenden schließender schließendes schließens schließer schließerin schließers schließest
+schließfaches schließfachs schließung schließweg schlifen schliff schliffe schliffs schlifft
+schlimmem schlimmere schlimmerem schlimmeren schlimmerer schlimmstem schlimmster schlimmstes
+schlinge schlingt schlips schlipse schliss schlisse schlisst schlittenbau schlittens schlittenzug
+schlittere schlittern schlitternd schlitterns schlitterst schlittert schlitterte schlittre schlitz
+schlitze schlitzen schlitzer schlitzes schlitzt schlitzte schlossbad schlossbau schlossen schlosser
+schlossern schlossers schlosses schlossest schlossgel schlossgut schlosshof schlosst schlosstor
+schlossuhr schlossweg schlot schlote schloten schlotes schlots schloße schlucht schluchze schluchzt
+schluckakt schluckauf schlucke schluckend schluckende schluckendem schluckenden schluckender
+schluckendes schluckens schlucker schluckern schluckes schlucks schluckst schluckt schluckte
+schluckten schlucktet schluf schluff schlugen schlugst schlugt schlumpe schlumpf schlund schlunds
+schlupf schlupfs schlurfe schlurft schlussakt schlussart schlusses schlussgag schlusstag schlusston
+schlusszug schläfe schläfen schläfer schläfere schläfern schläfers schläfert schläfrig schlägel
+schlägeln schlägen schlägerei schlägern schlägernd schlägers schlägertyp schlämme schlämmt schläue
+schlüge schlüsse schlüsselart schlüsselbad schlüssele schlüsseln schlüsselns schlüsselrad schlüssels
+schlüsselsee schlüsselst schlüsselt schlüsselte schlüsselten schlüsseltyp schlüsselzug schlüssen
+schlüssig schlüssige schma schmach schmafu schmal schmale schmalz schmand schmant schmatz schmaus
+schmeck schmeckbar schmecke schmeckend schmeckende schmeckendem schmeckenden schmeckender
+schmeckendes schmeckens schmeckst schmeckte schmeckten schmecktest schmecktet schmeiße schmeißend
+schmeißende schmeißendem schmeißenden schmeißender schmeißendes schmeißens schmeißest schmelz
+schmelze schmelzt schmer schmerzarm schmerzart schmerze schmerzend schmerzende schmerzendem
+schmerzenden schmerzender schmerzendes schmerzens schmerzes schmerzest schmerzhafte schmerzhaftem
+schmerzhaften schmerzhafter schmerzhaftere schmerzhaftes schmerzlos schmerztag schmerzte schmerzten
+schmerztest schmerztet schmid schmidt schmied schmier schmilz schmiss schmitt schmitz schmock schmok
+schmoll schmolz schmore schmort schmu schmuckart schmuckbau schmucke schmuckem schmucken schmucker
+schmuckere schmuckes schmuckhof schmucklos schmucks schmuckuhr schmuckzug schmulen schmus schmuse
+schmusen schmust schmuste schmutt schmutz schmutze schmutzen schmutzend schmutzes schmutzest
+schmutzigem schmutziger schmutzigere schmutzigerem schmutzigeren schmutzigerer schmutzigeres
+schmutziges schmutzigste schmutzt schmutzte schmutzten schmutztet schmäh schmähe schmäht schnabel
+schnack schnacke schnackt schnafte schnake schnaken schnalle schnallt schnalz schnalze schnalzt
+schnappauf schnappe schnappend schnappende schnappendem schnappenden schnappender schnappendes
+schnappens schnapper schnappst schnappte schnappten schnapptest schnapptet schnapsen schnapses
+schnarch schnarre schnarrt schnatz schnaube schnauben schnaubst schnaubt schnaubte schnauf schnaufe
+schnaufen schnaufer schnaufst schnauft schnaufte schnaupe schnauz schnauzen schnauzend schnauzer
+schnauzern schnauzers schnauzt schnauzte schnauzten schnecke schneearm schneeart schneebö schneedom
+schneeeis schneeig schneeige schneeohr schnees schneetag schnegel schneiben schneidarm schneidbar
+schneideart schneidegut schneidend schneidende schneidendem schneidenden schneidender schneidendes
+schneidens schneiderad schneideraum schneidere schneiderei schneiderin schneidern schneidernd
+schneidernde schneiderns schneiders schneiderst schneidert schneiderte schneiderten schneidertet
+schneidest schneideteil schneidgas schneidgut schneidig schneidige schneidrad schneidre schneids
+schneie schneien schneiend schneiens schneise schneisen schneist schneit schneite schneiten
+schneitet schnellamt schnellbus schnellecke schnellem schnellen schnellend schnellende schnellens
+schnellere schnellerem schnelleren schnellerer schnelleres schnelles schnellfuß schnellst
+schnellstart schnellstem schnellsten schnellstens schnellster schnellstes schnellstufe schnellt
+schnellte schnellten schnelltet schnellweg schnellzug schnepfe schniefe schnieft schnieke schnippe
+schnippt schnipst schnittart schnitte schnitten schnitter schnittes schnittest schnittet schnittgut
+schnittig schnittige schnitts schnittst schnitze schnitzel schnitzen schnitzer schnitzt schnitzte
+schnupp schnur schnurr schnurz schnute schnöd schnöde schnüre schnürt schoah schob schoben schober
+schobst schobt schochen schocke schocken schockend schockens schocker schockern schockers schockiere
+schockieren schockierend schockierst schockierte schockiertem schockierten schockierter schockiertes
+schockiertest schockiertet schocks schockst schockt schockte schockten schocktet schocktod schofar
+schofel schogun schoko schokoladen schokoladenei schokoladig schokoladige schola scholar scholie
+scholl scholle scholli scholz scholze schone schonen schonend schonens schoner schonern schoners
+schongau schonst schont schonte schonten schontet schonung schoof schopf schopfe schopfs schor
+schore schoren schorf schorfs schorle schorst schort schose schossen schosser schossest schosst
+schot schote schoten schott schotte schotts schoße schoßes schraden schraffe schragen schrak
+schraken schrakst schrakt schram schramme schrammt schrankbau schranke schranken schrankes schranks
+schranktür schranne schranze schraps schrat schraube schraubt schreck schrecke schreckend
+schreckende schreckendem schreckenden schreckender schreckendes schreckens schreckhof schrecklaut
+schrecklichem schrecklichere schrecklicherem schrecklicheren schrecklicherer schrecklicheres
+schrecklichst schrecklichste schrecknis schreckst schreckt schreckte schreckten schrecktet
+schreibaby schreibakt schreibarm schreibart schreibbar schreibend schreibende schreibendem
+schreibenden schreibender schreibendes schreibens schreiber schreiberei schreiberin schreibern
+schreibers schreibgag schreibort schreibsaal schreibsand schreibstift schreibstil schreibstile
+schreibstils schreibstock schreibstoff schreibstrom schreibstube schreibtest schreibtinte
+schreibtischboy schreibtische schreibtischen schreibtisches schreibtischjob schreibtischs
+schreibtischset schreibtischsex schreibtischuhr schreibturm schreibung schreibwut schreiend
+schreiende schreiendem schreienden schreiender schreiendes schreiens schreier schreierei schreierin
+schreiern schreiers schrein schreine schreinen schreiner schreines schreins schreis schreite
+schreiten schreitend schreitens schreitest schreitet schreitweg schriebe schriebst schriebt schrieen
+schrien schriest schriet schriftakt schriftart schriften schriftgut schriftlos schriftmaß schriftrat
+schriftstellen schriftstellere schriftstellerei schriftstellerin schriftstellern schriftstellernd
+schriftstellernde schriftstellers schriftstellerst schriftstellert schriftstellerte
+schriftstellerten schriftstellertum schrifttum schrifttyp schriftzug schrill schrille schrillt
+schrimp schrimps schrippe schritten schrittes schrittest schrittet schritts schrittst schroff
+schroffe schrot schroten schrots schrottbau schrotten schrottend schrottig schrottige schrotts
+schrund schräg schräge schub schuber schubes schubladen schubs schubse schubst schufa schufen
+schufest schufst schuft schufte schuften schuftet schuftig schufts schuhart schuhs schuhtyp schulakt
+schulamt schulart schulbad schulbar schulbau schulbub schulbus schuldach schuldart schuldekan
+schuldend schuldende schuldendem schuldenden schuldender schuldendes schuldenruf schuldens
+schuldenuhr schuldete schuldeten schuldetest schuldetet schuldgefühl schuldgefühlen schuldgefühls
+schuldige schuldigem schuldigen schuldiger schuldigere schuldigern schuldiges schuldigste schuldlos
+schuldner schuldorf schulecke schulend schulende schulendem schulenden schulender schulendes
+schulens schulepos schuletat schulhof schulort schulp schulrat schulst schult schultag schultage
+schultags schultanz schulte schulteam schulteams schulteich schulteil schulteile schulteils schulten
+schultere schulternd schulternde schulterndem schulternden schulternder schulterndes schulterns
+schulterst schultert schulterte schulterten schultes schultest schultests schultet schultexte
+schultipp schultor schultore schultors schultour schultyp schultyps schultz schultze schultzes
+schultür schultüte schuluhr schulung schulweg schulz schulze schulzen schulzug schumi schund schupo
+schupos schuppe schuppend schuppende schuppendem schuppenden schuppender schuppendes schuppenkur
+schuppenlos schuppens schuppentür schuppig schuppige schuppst schuppt schuppte schuppten schupptet
+schuppung schupsen schur schura schuren schurf schurke schurkerei schurkin schurre schurz schurzes
+schussel schussels schusser schusses schusslig schuster schute schuten schutt schutts schutzart
+schutzbau schutzbit schutze schutzes schutzgas schutzgut schutzlos schutzort schutztor schutztür
+schutzweg schwa schwaan schwabe schwaben schwabo schwache schwachem schwachen schwacher schwaches
+schwachmat schwachrot schwachsinnig schwachsinnige schwachsinns schwade schwaden schwafle
+schwagerehe schwagers schwalbe schwall schwalle schwalls schwalm schwamm schwamms schwammt schwan
+schwand schwanden schwandet schwandst schwanen schwanens schwanes schwang schwange schwangen
+schwangere schwangerem schwangeren schwangerer schwangeres schwangerschaften schwangst schwangt
+schwank schwanke schwanken schwankst schwankt schwankte schwans schwant schwante schwantje schwanze
+schwanzes schwanzlos schwanzlutschen schwanzlutschens schwanzlutscherei schwanzlutscherin
+schwanzlutschern schwanzlutschers schwanztyp schwappe schwappt schwarm schwarmes schwarms schwartau
+schwarte schwarten schwarzach schwarzalb schwarzaue schwarzbar schwarzbau schwarzbär schwarzelfe
+schwarzem schwarzenbek schwarzente schwarzenten schwarzerde schwarzerden schwarzerle schwarzerlen
+schwarzesche schwarzfuß schwarzhai schwarzhut schwarzlot schwarzohr schwarzort schwarztee schwarzton
+schwarzwal schwatz schwatze schwatzt schwaz schwebe schweben schwebst schwebt schwebte schwede
+schweden schwedin schwedt schwefel schwefle schweiben schweich schweif schweife schweifen schweifs
+schweifst schweift schweifte schweige schweigend schweigende schweigendem schweigenden schweigender
+schweigendes schweigens schweiger schweigerin schweigern schweigers schweigsam schweigst schweigt
+schweinehof schweinemut schweinen schweineohr schweinerei schweinern schweines schweinesee
+schweinetor schweins schweiz schweizer schweiß schweiße schweißen schweißer schweißes schweißig
+schweißt schweißte schwejk schwejks schwele schwelen schwelge schwelgt schwelle schwellt schwelm
+schwelst schwelt schwelte schwemme schwemmt schwen schwenk schwenke schwenks schwenkt schwerelos
+schwerem schwererden schwerere schwererem schwereren schwererer schwereres schweres schwergut
+schwerin schwerins schwerion schwerkrank schwerkranke schwermut schwerst schwerste schwertarm
+schwertart schwertat schwerte schwertern schwertes schwerts schwerttyp schwertun schwertust
+schwertut schwertwal schweröl schweröle schwesing schwesterart schwesterbau schwestergut
+schwesternart schwesternbau schwesternuhr schwesternweg schwieg schwiegen schwiegst schwiegt
+schwiele schwielen schwielig schwierigem schwierigen schwierigere schwierigerem schwierigeren
+schwierigerer schwierigeres schwieriges schwierigkeit schwierigste schwillt schwimmart schwimmbad
+schwimme schwimmend schwimmende schwimmendem schwimmenden schwimmender schwimmendes schwimmens
+schwimmente schwimmenten schwimmer schwimmerin schwimmern schwimmers schwimmfuß schwimmst
+schwimmtank schwimmteam schwimmtest schwimmzug schwinde schwindele schwindelei schwindelige
+schwindeligem schwindeligen schwindeliger schwindeliges schwindeln schwindelnd schwindelnde
+schwindelns schwindels schwindelst schwindelt schwindelte schwindelten schwindeltet schwinden
+schwindend schwindende schwindens schwindest schwindet schwindle schwindler schwindlig schwindung
+schwinge schwingel schwingen schwinger schwinget schwingst schwingt schwips schwirl schwirre
+schwirrt schwitzbad schwitze schwitzend schwitzende schwitzendem schwitzenden schwitzender
+schwitzendes schwitzens schwitzest schwitzig schwitzige schwitzkur schwitzt schwitzte schwitzten
+schwitztet schwof schwofe schwoft schwoll schwor schwort schwuchteln schwule schwulem schwulen
+schwuler schwulere schwules schwulst schwulste schwund schwundes schwunds schwungarm schwunglos
+schwungrad schwungs schwupp schwuppe schwur schwurs schwyz schwäbin schwächele schwächeln
+schwächelnd schwächelst schwächelt schwächelte schwächend schwächende schwächendem schwächenden
+schwächender schwächendes schwächens schwächere schwächerem schwächeren schwächerer schwächeres
+schwächst schwächste schwächt schwächte schwächten schwächtet schwächung schwäher schwämme schwäne
+schwänen schwänge schwänin schwänke schwänken schwänzele schwänzelei schwänzeln schwänzelnd
+schwänzelst schwänzelt schwänzelte schwänzen schwänzend schwänzende schwänzens schwänzer schwänzerin
+schwänzern schwänzest schwänzle schwänzt schwänzte schwänzten schwänztet schwär schwäre schwären
+schwärme schwärmt schwärze schwärzt schwätzt schwölle schwömme schwör schwörend schwörende
+schwörendem schwörenden schwörender schwörendes schwörens schwörst schwört schwül schwüle schwüre
+schäbe schäbig schädelbau schädellos schädelmaß schädeln schädels schädeltyp schädelweh schädige
+schädigt schäfer schäfte schäkel schäker schäle schälen schäler schälle schälst schält schälte schäm
+schämend schämende schämendem schämenden schämender schämendes schämens schämst schämt schämte
+schämten schämtet schände schänke schäpel schäre schären schärfe schärft schärpe schätzbar
+schätzchens schätzend schätzende schätzendem schätzenden schätzender schätzendes schätzens schätzer
+schätzern schätzers schätzest schätzte schätzteil schätzten schätztest schätztet schätzung schäume
+schäumt schöbe schöffe schöler schönau schöneck schönem schönend schönere schönerem schöneren
+schönerer schöneres schönfuß schönhaar schönhaus schönheide schönheiten schönherr schönsee schönsein
+schönstem schönster schönstes schöntal schöntun schönung schönweg schöpfe schöpfen schöpfend
+schöpfende schöpfens schöpferin schöpfern schöpfers schöpfertum schöpfrad schöpfst schöpft schöpfte
+schöpften schöpftet schöpfung schöpp schöps schörl schösse schöße schößen schübe schüben schüchterne
+schüchternem schüchternen schüchterner schüchternere schüchternes schüchternste schüchterst
+schüchtert schüchterte schüchterten schüfe schülergag schülerinnen schülerjux schülerrat schülers
+schülertag schülerulk schülerzug schülpe schümli schünke schüppe schüre schüren schürfe schürft
+schürst schürt schürte schürze schürzt schüsseln schüssen schütte schüttele schüttelnd schüttelnde
+schüttelndem schüttelnden schüttelnder schüttelndes schüttelns schüttelst schüttelt schüttelte
+schüttelten schütteltet schütten schüttend schüttende schüttens schütter schüttere schütterem
+schütteren schütterer schütteres schüttest schüttet schüttete schütteten schüttetet schüttgut
+schüttle schüttler schüttorf schüttung schütz schützbar schützenaue schützend schützende schützendem
+schützenden schützender schützendes schützenhof schützens schützenzug schützer schützerin schützern
+schützers schützest schützte schützten schütztest schütztet scoop scooter scots scotts seat seato
+seattles sebastiana sebastiane sebastians sebastina sebastine sech sechsbit sechseck sechsen sechser
+sechsern sechsers sechsmal sechsmaß sechsrad sechst sechste sechstel sechstem sechsten sechster
+sechstes sechzig securities seelage seeland seeleben seelenamt seelenlos seelennot seelentag seeler
+seelesen seeleute seelord seelos seelow seeluft seelze seelöwe segel segele segelei segeln segelnd
+segelns segels segelst segelt segelte segens segnen segnend segnende segnens segnest segnet segnete
+segneten segnetet segnung sehend sehende sehendem sehenden sehender sehendes sehens seher seherin
+sehern sehers sehnde sehne sehnen sehnend sehnens sehnerv sehnig sehnige sehnst sehnt sehnte sehnten
+sehntet sehraum sehren sehrohr sehtest seide seidel seidels seiden seidene seidig seidige seidl
+seiend seiende seiendem seienden seiender seiendes seiern seif seifen seifend seifens seifert seifig
+seifige seifst seift seifte seiften seiftet seilart seile seilen seilend seilens seiler seilern
+seiles seilhof seilmaß seilrad seils seilst seilt seilte seilten seiltet seiltyp seilweg seilzug
+seinearm seinige seins seismik seitab seitenarm seitenast seitenaus seitenbau seitenhof seitenout
+seitenrad seitens seitental seitentor seitentyp seitentür seitenweg seitenzug seither sekretär
+sekretäre sekretären sekretärinnen sekretärs sekt sekte sekten sektes sektgut sektionen sektoral
+sektorale sektoren sektors sekts sekunda sekundant sekundenrad sekundentod sekundenuhr sekundenweg
+sekundär sekundäre sekurit selb selbem selbes selbig selbige selbitz selbstakt selbstbau selbstgen
+selbstlob selbstlos selbstmatt selbstmordakt selbstmorde selbstmorden selbstmordes selbstmords
+selbsttod selbsttor selbstverständliche selbstverständlichem selbstverständlichen
+selbstverständlicher selbstverständliches selbstverständlichste selbstvertrauens selfie selfien
+selfies seltenem seltenen seltener seltenere seltenerem selteneren seltenerer selteneres seltenes
+seltenst seltenste selters seltsamem seltsamere seltsamerem seltsameren seltsamerer seltsameres
+seltsames seltsamste semestern semesters senate senaten senates senatoren senatorin senators senats
+sende sendeart sendend sendende sendendem sendenden sendender sendendes sendenetz sendenorm sendens
+sendeort senderate senderaum sendern senders sendest sendetag sendetage sendetakt sendete sendeteil
+sendeten sendetest sendetet sendeturm sendeweg sendungen sensibelste sensible sensiblem sensiblen
+sensibler sensibles sensitiv sensor sensorbus sensorik sensorium sensors sensortyp senta sentenz
+seouler seouls septembers septembertag sequel sequels sequenzen sequenzer sequenzern sequenzers
+sequoia seren serenade serenaden serenas serer serge sergeanten sergeants sergej sergejs serial
+seriell serielle serien serife serifen serin seriös seriöse servern servers services serviere
+servierend servierende servierendem servierenden servierender servierendes servierens servierer
+serviererin servierst servierte serviertem servierten servierter serviertes serviertest serviertet
+serviette servil servile servilem servilen serviler serviles servitut servlet servus setzbar setzei
+setzend setzende setzendem setzenden setzender setzendes setzens setzer setzerei setzern setzers
+setzest setztest setztet setzung seufz seufze seufzen seufzend seufzens seufzer seufzern seufzers
+seufzest seufzte seufzten seufztest seufztet sexuell sexuellem sexuellen sexueller sexuelles señora
+señoras señores señorita señors shakespeares shanty shantys sharing sharons sharp shaws sheilas
+shell shelley shells sherpa sherpas sherrys shinto shiraz shire shirley shirts showbiz shows
+shuttlebus shuttlen shuttles sichel sicheln sichelnd sicherem sicherere sichererem sichereren
+sichererer sichereres sicheres sichergehe sichergehend sichergehende sichergehendem sichergehenden
+sichergehender sichergehendes sichergehst sichergeht sicherheiten sicherheitsdienste
+sicherheitsdiensten sicherheitsdienstes sicherheitsdiensts sichernd sichernde sicherndem sichernden
+sichernder sicherndes sicherns sicherst sicherste sicherstelle sicherstellend sicherstellende
+sicherstellendem sicherstellenden sicherstellender sicherstellendes sicherstellens sicherstellst
+sicherstellt sicherstellte sicherstellten sicherstelltet sicherstellung sichert sicherte sicherten
+sichertet sicherung sicherzustellende sicherzustellendem sicherzustellenden sicherzustellender
+sicherzustellendes sichler sichtbar sichte sichten sichtend sichtens sichtest sichtet sichtete
+sichttag sichtung sichuan sieb siebe siebenakt siebend siebende siebendem siebenden siebender
+siebendes siebeneck siebener siebenern siebeners siebenmal siebens siebent siebente siebentel
+siebentem siebenten siebenter siebentes sieber siebert sieberts siebes siebs siebst siebt siebte
+siebtel siebtem siebten siebter siebtes siebtet siebung siebzig siege siegele siegeln siegelnd
+siegelnde siegelns siegels siegelst siegelt siegelte siegelten siegeltet siegend siegende siegendem
+siegenden siegender siegendes siegens siegerin siegern siegers siegertyp sieges siegle sieglos siegs
+siegst siegt siegte siegten siegtet siegtor siehe signalart signalbau signalen signalhub signalrot
+signalruf signals signalton signaltyp signaluhr signalweg signatar signatur signet signets signora
+signore signum silage silau silbe silben silberaal silberart silberbad silbererz silbergut silberig
+silberion silberlot silbern silberne silbernem silbernen silberner silbernes silbers silbersee
+silbersud silberton silberweg silberzug silbrig simona simonas simones simonie simonist simons
+simpel simple simplem simplen simpler simples simplex simplon sindbad sindhi singbar singend
+singende singendem singenden singender singendes singener singens singer singles singst sington
+sinkbar sinke sinkend sinkende sinkendem sinkenden sinkender sinkendes sinkens sinkst sinkt sinnen
+sinnend sinnende sinnens sinnes sinnig sinnige sinnleer sinnlich sinnlose sinnlosem sinnlosen
+sinnloser sinnlosere sinnloses sinns sinnst sinnt sire sirenen situativ situative situativem
+situativen situativer situatives sitzbad sitzecke sitzend sitzende sitzendem sitzenden sitzender
+sitzendes sitzens sitzes sitzest sitzklo sitztanz sitzteil sitzungen skandale skandalen skandalon
+skandals skandalös skandalöse skandium skin skins sklavenart sklavensee sklaverei sklavin skripte
+skripten skriptes skripts skriptum smiths socke sockel sockeln sockels sockend socket sockets soda
+sodala sodann sodas sofas sofias sofie sofortig sofortige soforttyp softwareart softwarebug
+softwarekey softwaremaß softwaretyp sohne sohns solala solana solanas solang solanin solanum solar
+solare solarem solaren solarer solares solaris solchem solcherart solcherlei sold soldatenbad
+soldatenbau soldateneid soldatenrat soldatentod soldatentum soldatentyp soldateska soldatin solde
+solden soldes soldo solds sollend sollende sollendem sollenden sollender sollendes sollens sollmaß
+solon solons solos somme sommeralm sommerart sommerau sommerbad sommerdom sommereis sommerhit
+sommerhof sommerhut sommerjob sommern sommers sommersee sommertag sommertyp sommerwal sommerweg
+sonant sonar sonare sonars sonate sonaten sondage sonden sonder sonderbar sonderbau sonderbus
+sondere sondergut sonderhof sonderlob sondermaß sondername sondernd sondernetz sondernote sonderrat
+sonders sonderst sondert sonderte sonderten sondertet sondertyp sonderung sonderweg sonderzug sondre
+songstil sonnen sonnenaufganges sonnenaufgangs sonnend sonnens sonnenscheibe sonnenscheiben
+sonnenscheins sonnenscheintag sonnenschiff sonnenschild sonnenschirm sonnenschute sonnenschutz
+sonnenunterganges sonnenuntergangs sonnenöl sonnig sonnige sonnst sonnt sonntage sonntagen sonntages
+sonntags sonnte sonnten sonntest sonntet sonnyboy sonstig sonstige sonstwie sonstwo sophia sophias
+sophies sophisma sophist sorgend sorgende sorgendem sorgenden sorgender sorgendes sorgenlos sorgens
+sorgfältige sorgfältigem sorgfältigen sorgfältiger sorgfältigere sorgfältiges sorgfältigste sorghum
+sorglos sorgsam sorgsame sorgte sorgten sorgtest sorgtet sorrent sorten sorter soulig sounds soundso
+soutane southern sowenig soweto sowetos soßen span spandau spanen spanes spange spangen spaniel
+spaniels spaniens spanier spanierin spaniern spaniers spanische spanischem spanischen spanischer
+spanisches spanlos spann spannarm spannbar spanne spannen spannendem spannenden spannender
+spannendere spannenderem spannenderen spannenderer spannenderes spannendes spannendste spannens
+spanner spannerin spannern spanners spannhub spannmaß spannort spannrad spanns spannst spannt
+spannte spannten spanntet spannungen spans spant spanten sparc spare sparend sparende sparendem
+sparenden sparender sparendes sparens sparer sparerin sparern sparers sparetat spargel sparhof
+sparrad sparrate sparre sparren sparrens sparring sparsam sparsee sparst spart sparta spartas sparte
+sparten spartet sparton sparwut spasmen spasmus spasti spastik spaziere spazierend spazierende
+spazierendem spazierenden spazierender spazierendes spazierens spaziergange spazierganges
+spaziergangs spazierst spaziert spazierte spazierten spaziertet spazierweg spaßbad spaße spaßen
+spaßend spaßens spaßes spaßest spaßig spaßige spaßt spaßte spaßten spaßtet specht spechte spechts
+specials species speckig speckige specks speedrun speedway speere speeren speeres speers spende
+spendend spendende spendendem spendenden spendender spendendes spendenrat spendens spendentag
+spendenuhr spender spenderin spendern spenders spendest spendet spendete spendeten spendetet
+spendung spenge sperber sperma spermas spermen sperr sperrarm sperrbar sperre sperrend sperrende
+sperrendem sperrenden sperrender sperrendes sperrens sperrgas sperrgel sperrgut sperrig sperrige
+sperrmaß sperrrad sperrst sperrt sperrte sperrten sperrtet sperrtor sperrung spezi spezial speziale
+speziellem spezieller speziellere speziellerem spezielleren speziellerer spezielleres spezielles
+speziellste spezimen spezis spie spieen spiegelarm spiegelau spiegelbau spiegele spiegelei
+spiegeleis spiegelhub spiegellos spiegeln spiegelnd spiegelnde spiegelns spiegelrad spiegels
+spiegelsee spiegelst spiegelt spiegeltag spiegelte spiegelten spiegeltet spiegeltyp spiegeltür
+spiegelung spiegelweg spiegle spielart spielbad spielbar spielbox spielchens spielchip spielchips
+spielclub spielecke spielend spielende spielendem spielenden spielender spielendes spielens
+spielerei spielerin spielern spielerrat spielers spielertyp spieles spielfuß spielgel spielgut
+spielhof spielort spiels spielsaal spielsand spielsatz spielset spielsets spielshow spielsieg
+spielsinn spielspaß spielstab spielstadt spielstand spielstark spielstart spielstein spielstil
+spielstile spielstils spielstock spielstopp spielstube spielstufe spielstäbe spielstück spieltag
+spieltage spieltags spieltanz spielteil spielteile spielteils spieltempo spieltenor spieltenors
+spieltest spieltet spieltext spieltexte spieltipp spieltor spieltore spieltuch spielturm spieltyp
+spieltyps spieluhr spielweg spielwut spielzahl spielzeit spielzeuge spielzeugen spielzeugs spielziel
+spielzone spielzug spielzugs spielzüge spien spiest spiet spieß spieße spießen spießer spießes
+spießig spießt spießte spikes spin spina spinal spinale spinat spind spinde spindel spinden spindes
+spinds spinett spinnenart spinnend spinnende spinnendem spinnenden spinnender spinnendes spinnens
+spinnerei spinnerin spinnern spinners spinnert spinnerte spinnertem spinnerten spinnerter spinnertes
+spinning spinnrad spinoza spins spint spinös spionage spionen spionin spions spital spitale spitals
+spittel spitz spitzaxt spitzbub spitzele spitzelei spitzeln spitzelnd spitzelnde spitzelns spitzels
+spitzelst spitzelt spitzelte spitzelten spitzeltet spitzem spitzen spitzend spitzende spitzens
+spitzer spitzere spitzerem spitzeren spitzerer spitzeres spitzes spitzest spitzeste spitzfuß
+spitzhut spitzig spitzige spitzle spitzt spitzte spitzten spitztet spitzweg sponsor spontane
+spontanem spontanen spontaner spontanere spontanes spontanste spore sporen sporn sporne spornen
+sporns spornst spornt spornte sportamt sportart sportbad sportbar sportel sportele sporteln sportelt
+sportes sportfan sportgel sporthit sportiv sportive sportler sportrad sportrat sports sportsee
+sporttag sporttop sporttyp sportuhr sportweg sportzug spraak sprachbad sprachbau sprachbox
+sprachecke sprachentod sprachest sprachgut sprachlos sprachrat sprachst spracht sprachtag sprachtod
+sprachton sprachtyp sprachzug sprangen spranger sprangst sprangt spray spraye sprayen sprayer sprays
+sprayst sprayt sprayte sprech sprechakt sprechart sprechbar sprechend sprechende sprechendem
+sprechenden sprechender sprechendes sprechens sprecherin sprechern sprechers sprechkur sprechtag
+sprechtage sprechtags sprechtakt sprechtext sprechtrio spree spreiz spreize spreizt sprenge sprengel
+sprengeln sprengels sprengend sprengende sprengendem sprengenden sprengender sprengendes sprengens
+sprenger sprenggut sprengruf sprengst sprengstoffart sprengstoffe sprengstoffen sprengstoffes
+sprengstoffs sprengstoffzug sprengstück sprengt sprengte sprengten sprengtet sprengung sprenkel
+sprenkle spreu sprieße sprießt springebbe springend springende springendem springenden springender
+springendes springens springer springerin springerle springerli springern springers springsee
+springst springtanz springtide sprint sprinte sprinten sprinter sprintet sprints sprit spriten
+spritig sprits spritz spritzarm spritzen spritzend spritzende spritzens spritzer spritzern spritzers
+spritzest spritzig spritzige spritzt spritzte spritzten spritztet spritzöl spritzöle spruches
+spruchs sprudel sprudle sprungart sprunges sprungmaß sprungort sprungs sprungtor sprungtyp spurbus
+spurend spurengas spurlos spurt spurte spurten spurtet spurts späte spätem späten spätere späterem
+späteren späterer späteres späterhin spätes spätest späteste späti spättod spättyp spätzle spürbar
+spürend spürende spürendem spürenden spürender spürendes spürens spürst spürten spürtest spürtet
+staate staatenlos staates staats staatsanwaltes staatsanwalts staatsanwaltschaften staben stabes
+stabile stabilem stabilen stabiler stabilere stabiles stabilste stabs stad stade stadel stader
+stades stadial stadien stadionbad stadionbau stadiongig stadions stadionuhr stadium stadiums
+stadtakt stadtamt stadtbad stadtbau stadtbus stadtgas stadtgut stadthof stadtilm stadtnah stadtrad
+stadtrades stadtradio stadtrand stadtrande stadtrang stadtrates stadtrats stadtraum stadtraums
+stadtring stadtroda stadträte stadttor stadttyp stadtweg staff staffage staffele staffelei staffeln
+staffelnd staffelnde staffelns staffelst staffelt staffelte staffelten staffeltet staffelung staffle
+stahlart stahlbad stahlbau stahlbox stahle stahlen stahlhof stahlhut stahlmaß stahlrad stahls
+stahlst stahlt stahltau stahltor stahltür stalin stalins stalken stalker stalles stallone stalls
+stalltür stallung stambul stammart stammbau stamme stammele stammelf stammeln stammelnd stammelns
+stammelst stammelt stammelte stammend stammende stammendem stammenden stammender stammendes stammens
+stammes stammfuß stammgut stammhof stammle stammler stammort stamms stammst stammte stammteam
+stammteil stammten stammtest stammtet stammton stammtons stammtyp stammtyps stampe stampf stampfe
+stampft standard standby stande stander standes standest standet standfuß standgas standing
+standorgel standorte standorten standortes standorts standpumpe standpunkte standpunkten
+standpunktes standpunkts standrad stands standst standuhr standöl standöle stangen stank stanken
+stankst stankt stanleys stanz stanze stanzen stanzt stanzte starbst starbt starbucks stare staren
+stargard stargards stargast starkem starkoch starkult starlet starr starre starrem starrend
+starrende starrendem starrenden starrender starrendes starrens starrer starrere starrerem starreren
+starrerer starreres starres starrsinn starrste starrstem starrsten starrster starrstes starrt
+starrte starrten starrtet startart startbar startbit startbox starte startecke startelf startend
+startende startendem startenden startender startendes startenor startenors startens startenöre
+starter starterin startern starters startest startete starteten startetest startetet startgas
+startgel startkern startklappe startklare startklarem startklaren startklarer startklares
+startklasse startkurs startmaß startort starts starttag starttyp startuhr startup startups startweg
+startz statik statiker statin stationen stationär stationäre statisch statist stativ stative
+stativen stativs stator statte statten stattest stattet stattete stattfinde stattfindend
+stattfindende stattfindendem stattfindenden stattfindender stattfindendes stattgab statuen statuette
+statur staturen statusbit statut statuten statutes statuts stau staubahn staubart staubbad staube
+stauben staubend staubens staubes staubig staubige staubs staubsauge staubsaugen staubsaugend
+staubsaugens staubsaugern staubsaugers staubsaugst staubsaugt staubsaugte staubsaugten staubsaugtet
+staubst staubt staubte staubten staubtet staubweg stauche staucht staude stauden staue stauen
+stauend stauens stauer stauern staufen staufer staune staunen staunst staunt staunte staupe staupen
+staus stausee staust staut staute stauten stautet stauung steaks steamer stearin stechau steche
+stechend stechende stechendem stechenden stechender stechendes stechens stecher stecherei stecherin
+stechern stecht stechuhr steckbar steckend steckende steckendem steckenden steckender steckendes
+steckens steckerl steckern steckerpin steckers steckertyp steckhof steckstift steckteil steckteile
+steckteils steckten stecktest stecktet stecktopf stecktuch stehend stehende stehendem stehenden
+stehender stehendes stehens steher stehern stehers stehle stehlend stehlende stehlendem stehlenden
+stehlender stehlendes stehlens stehler stehlerin stehlt stehsatz steife steifem steifen steifend
+steifens steifer steifere steifes steiff steifst steifste steift steifte steiften steiftet steigaal
+steigend steigende steigendem steigenden steigender steigendes steigens steiger steigere steigerer
+steigerin steigern steigernd steigerns steigers steigerst steigert steigerte steiges steighof
+steigrad steigs steigst steigung steil steile steilem steilen steiler steiles steinach steinalt
+steinart steinau steinaue steinaxt steinbau steinecke steineibe steiner steinern steinerne steiners
+steines steineule steingen steingut steinhof steinig steinige steinigt steinle steinlot steinort
+steins steinsee steintal steintor steinuhr steinway steinweg steinöl steinöle steirer steiß steiße
+steißen steißes stele stelen stella stellage stellar stellare stellend stellende stellendem
+stellenden stellender stellendes stellenlos stellens steller stellers stellige stellrad stellstift
+stellstrom stellteil stellteile stellteils stelltest stelltet stellungen stellweg stelze stelzen
+stelzt stelzte stephan stephans stephens steppe steppen stepper steppke steppst steppt steppte ster
+sterbeakt sterbend sterbende sterbendem sterbenden sterbender sterbendes sterbens sterbeort
+sterbetag sterbeuhr sterbt stereo steril sterile sterke sternart sternbau sternelfe sternenweg
+sternes sternhof sternlos sternrad sterns sternsee sterntag sterntor sterntyp sternuhr sternum
+sternzug steroid sterup sterz stet stete stetem steten steter stetes stetig stetige stetl stetson
+stetten stettin steuben steueramt steuerart steuerbar steuerbit steuerbus steuere steuerfuß
+steuerlos steuernd steuernde steuerndem steuernden steuernder steuerndes steuerns steuernut
+steuerrad steuerrat steuers steuerst steuert steuerte steuerten steuertet steuerung stevenson
+stevensons steves stevia stichart stiche stichel stichele sticheln stichels stichelt stichen stichig
+stichige stichle stichmaß stichs stichst sticht stichtag stichtyp stick sticke sticken sticker
+stickig sticks stickst stickt stickte stiebe stieben stiebst stiebt stiebte stief stiefele stiefeln
+stiefelnd stiefelnde stiefels stiefelst stiefelt stiefelte stiefelten stiefeltet stiefle stiege
+stiegen stiegst stiegt stiehl stiehlst stiekum stiel stiele stielen stieles stiels stienke stier
+stiere stieren stieres stierig stierln stiers stierst stiert stierte stiesel stieß stieße stießen
+stießet stießt stiftakt stiftart stifte stiften stiftend stifter stiftern stifters stiftes stiftest
+stiftet stiftete stiftrad stifts stiftung stiftweg stilart stile stilen stiles stilett stilist
+stillem stillen stillend stillende stillens stiller stillere stillerem stilleren stillerer stilleres
+stilles stillos stillose stillst stillste stillt stillte stillten stilltet stillung stilmix stils
+stimmart stimmbad stimmend stimmende stimmendem stimmenden stimmender stimmendes stimmens stimmer
+stimmern stimmers stimmig stimmige stimmlos stimmst stimmten stimmtest stimmtet stimmton stimmungen
+stimmweg stimmzug stimuli stinke stinken stinkend stinkens stinker stinkern stinkers stinkig
+stinkige stinkst stinktier stinkwut stinnes stino stipendiat stipendien stipendiums stirne stirnen
+stirnrad stochen stockach stockbus stockcar stocke stocken stockend stockens stockerl stockes
+stockgut stockmaß stocks stocksee stockst stockt stockte stockten stocktet stockton stocktyp
+stockuhr stockung stoffart stoffbär stoffe stoffel stoffels stoffen stoffes stoffs stoffuhr stola
+stollen stolpe stolpen stolper stolpre stolze stolzem stolzen stolzer stolzes stoned stones stopbit
+stopf stopfe stopfen stopfer stopfst stopft stopfte stoppe stoppel stoppele stoppelig stoppeln
+stoppelnd stoppelst stoppelte stoppend stoppende stoppendem stoppenden stoppender stoppendes
+stoppens stopper stoppern stoppers stopps stoppst stoppt stoppte stoppten stopptet stoppuhr storage
+storch storchs store stores storkow storm storms storno stornos storys stoß stoßart stoßaxt stoße
+stoßend stoßende stoßendem stoßenden stoßender stoßendes stoßens stoßerin stoßes stoßt stoßton
+strack stracks strafamt strafart strafbar strafecke strafen strafend strafende strafens straff
+straffe straffem straffen straffer straffes straffst strafft straffte strafhof straflos strafmaß
+strafort strafst straft straftag straftat strafte straften straftet straftor strafzetteln
+strafzettels strafzug strahl strahle strahlen strahlend strahlens strahler strahlern strahlers
+strahles strahls strahlst strahlt strahlte strahlten strahltet strahlungen stramin stramm stramme
+strandbad strandbar strande stranden strandend strandens strandes strandest strandet strandete
+strandgut strandkai strandort strands strang stranges strangs straps strapse strass strassen
+stratege strategen strategien strategin strategisch strauch strauss strauß strauße strazze straßauf
+straßenart straßenbau straßenbus straßenkot straßenrad straßentod straßentyp straßenweg straßenzug
+streame streamt streb strebe streben streber strebst strebt strebte streck streckbar strecken
+streckend streckende streckens strecker streckern streckers streckfuß streckst streckt streckte
+streckten strecktet streckung strehla streichbar streiche streichele streichelei streicheln
+streichelnd streichelns streichelst streichelt streichelte streichend streichende streichendem
+streichenden streichender streichendes streichens streicher streicherin streichern streiches
+streichle streichmaß streichs streichst streicht streichung streif streife streifend streifende
+streifendem streifenden streifender streifendes streifengnu streifens streifenuhu streifig streifige
+streifst streift streifte streiften streiftet streifung streifzug streike streiken streikend
+streikens streikes streikhof streiks streikst streikt streiktag streikte streikten streiktet
+streitaxt streitbar streite streitend streitende streitendem streitenden streitender streitendes
+streitens streiter streiterei streiterin streitern streiters streites streitest streitet streithof
+streitig streitige streits stremel strenge strengem strengen strenger strengere strenges strengst
+strengste strengt strengte strengten strengtet stresse stressen stressend stresses stressest
+stressig stressige stressor stresst stresste stressten stresstet stretch streu streue streuen
+streuer streune streunt streust streut streute strobe stroh strohen strohig strohs strolch stroma
+stromab stromarm stromart stromaue stromauf strombad strombus strome stromer stromern stromes
+stromlos strommix stroms stromtal stromtod stromweg stromzug stroom strophe strosse strotze strotzt
+strukturell strukturen strukturgel strukturgen strukturlos strukturton strukturtyp stuarts
+studentenbar studentenjob studentenrat studententag studententyp studentenulk studentinnen
+studentisch studi studie studien studiere studierend studierende studierendem studierenden
+studierender studierendes studierens studierst studierte studiertem studierten studierter studiertes
+studiertest studiertet studies studiker studios studiosus studiums stufenbau stufend stufende
+stufendem stufenden stufender stufendes stufenlos stufenweg stufig stufige stufst stuft stufte
+stuften stuftet stufung stuhlbau stuhle stuhles stuhls stuhr stundend stundenlager stundenlange
+stundenlangem stundenlangen stundenlanger stundenlanges stundenlauf stundenlied stundenlohn
+stundenrad stundens stundentag stundenuhr stundet stundete stundeten stundung stunk stunks stunt
+stunts sture sturem sturen sturer sturere stures sturmart sturmbox sturmbö sturmböe sturmduo sturme
+sturmes sturmhut sturmkap sturms sturmsee sturmtag sturste sturzbad sturzes sturzgut sturzsee
+städtebau städtelob städten städter städterat städterin städtern städters städtetag städtetyp
+städtezug stände ständen ständer ständern ständers ständest ständige ständigem ständigen ständiger
+ständiges ständisch stängel stänke stänker stänkre stärken stärkend stärkende stärkens stärkere
+stärkerem stärkeren stärkerer stärkeres stärkst stärkste stärkt stärkte stärkten stärktet stärkung
+stöhne stöhnend stöhnende stöhnendem stöhnenden stöhnender stöhnendes stöhnens stöhnst stöhnte
+stöhnten stöhntest stöhntet stör störart störbar störche störecho störend störende störendem
+störenden störender störendes störens störer störern störrig störs störst störte störten störtest
+störtet störungen stückchens stückele stückeln stückelnd stückelns stückelst stückelt stückelte
+stücken stückend stückes stückgut stückig stückige stückle stückmaß stücks stühlen stürbe stürben
+stürbet stürme stürmend stürmende stürmendem stürmenden stürmender stürmendes stürmens stürmer
+stürmerin stürmern stürmers stürmst stürmt stürmte stürmten stürmtet stürze stürzend stürzende
+stürzendem stürzenden stürzender stürzendes stürzens stürzest stürzgut stürzte stürzten stürztest
+stürztet stützpunkte stützpunkten stützpunktes stützpunkts subband subbass substantiv substanzarm
+substanzen substanzlos substil substile substils substrat suchard suchbox suchend suchende suchendem
+suchenden suchender suchendes suchens sucher sucherin suchern suchers suchstein suchteam suchteams
+suchterm suchterme suchtest suchtet suchtext suchtexte suchtipp suchtool suchweg suiten suitier summ
+summa summand summen summend summende summern summers summerton summst summt summte summten summtet
+summton sumpfart sumpfaue sumpferz sumpfes sumpfgas sumpfgel sumpfig sumpfige sumpfs sumpfsee superb
+superbad superbe superbem superben superber superbes supercup supergau supergen superhet superhit
+superior superjet supermacht supermann supermannes supermarine supermarktes supermarkts supermaus
+superzug superzäh supp suppen suppend suppig supplik supply support sure suren susa susanna susannas
+susanne susannes sushibar susi susis sydneys sylvias sylvie symbole symbolen symbolik symbolist
+symbolort symbols symboltyp symptomarm symptomen symptomlos symptoms systemart systembau systembus
+systemen systemende systemlos systemnah systemoid systemruf systems systemtyp systemuhr systole
+szenar szenerie szenig säckel säckeln säcken säckend sähen sähest sähet sämtlich sämtlichem
+sämtlichen sämtlicher sämtliches sänge sängen sängerin sängern sängers sätzen söhnen söhnst söhnt
+söhnte söhnten söhntet sölde sölden söldens söldnern söldners südecke südende südenden südendes
+südens südlage südland südlenz südliche südlichem südlichen südlicher südlichere südliches südlichst
+südlichste südlicht südlichter südlichtes südlinie südlohn sündenlos sündentod sünder sünderin
+sündern sünders sündig sündige sündigt sündlos süßem süßend süßende süßendem süßenden süßender
+süßendes süßere süßerem süßeren süßerer süßeres süßest süßeste süßestem süßesten süßester süßestes
+süßigkeit tabakart tabakbau tabaks tabaksud tabasco tablet tablett tablette tabletts tafele tafelgut
+tafeln tafelnd tafelnde tafelst tafelt tafelte tafelten tafeltet tafelöl tafelöle tagebau tagebaue
+tagebaus tagebuches tagebuchs tagein tagend tagende tagendem tagenden tagender tagendes tagens
+tageslichtbad tageslichter tageslichtern tageslichtes tageslichts tageslinie tagesliste tagesweg
+tageszug tagetes takel takele takeln takelnd takelns takels takelst takelt takelte talenge talengen
+talente talenten talentes talentierte talentiertem talentierten talentierter talentiertere
+talentiertes talentlos talents taler talern talers tales tang tanga tangas tangen tangens tanger
+tangers tangos tangram tangs tanka tankbau tanke tankei tanken tankend tankens tanker tankern
+tankers tankini tanks tankst tankstellen tankt tankte tankten tanktet tankuhr tankzug tantal tantals
+tanten tantra tanzart tanzbar tanzbär tanzend tanzende tanzendem tanzenden tanzender tanzendes
+tanzens tanzerei tanzes tanzest tanztage tanzte tanzteam tanztee tanztees tanzten tanztest tanztet
+tanzwut tapfere tapferem tapferen tapferer tapferere tapferes tapferste taran taranto tardiv tardive
+tardivem tardiven tardiver tardives tarne tarnen tarnend tarnens tarner tarnst tarnt tarnte tarnten
+tarntet tarnungen taschenhof taschenrad taschensee taschentier taschentuches taschentuchs
+taschenturm taschenuhr taschenzug tascherl tassilo tatami tatar tatare tataren tatars tatenlos
+tatest tatet tatorgan tatorte tatorten tatortes tatorts tatsächliche tatsächlichem tatsächlichen
+tatsächlicher tatsächliches tatt tattag tattags tattern tattje tattoos tattrig taubem taubenart
+taubenei taubenkot tauber taubere tauberem tauberen tauberer tauberes tauberl taubes taubste taucha
+tauchbad tauche tauchend tauchende tauchendem tauchenden tauchender tauchendes tauchens tauchente
+tauchenten taucher taucherei taucherin tauchern tauchers tauchfan tauchst tauchtank tauchteam
+tauchteams tauchten tauchtest tauchtests tauchtet tauchtour tauchturm tauchzug tausalz tauschakt
+tauschbar tausche tauschend tauschende tauschendem tauschenden tauschender tauschendes tauschens
+tauscher tausches tauschest tauschgut tauschst tauscht tauschtag tauschte tauschten tauschtet
+tauschweg tausendeck tausenden tausender tausendern tausenders tausendmal tausendste taust taxie
+taxiere taxiert taxifahrens taxifahrerin taxifahrern taxifahrers taxifahrt taxifahrten taxiruf taxis
+taylors teamer technicus techniken technikerin technikern technikers technikum technikums technische
+technischem technischen technischer technischere technisches technischste techno technoid technologe
+technologen technologieart technologien technologies technologin technologisch teddybär teddys
+teenagerin teenagern teenagers teilakt teilart teilbad teilbar teilbus teileart teilebau teilename
+teilend teilende teilendem teilenden teilender teilendes teilens teiler teilerbe teilern teilers
+teiles teilhat teilnehme teilnehmend teilnehmende teilnehmendem teilnehmenden teilnehmender
+teilnehmendes teilnehmens teilnehmer teilnehmerin teilnehmern teilnehmers teilnehmt teilort teils
+teilsee teilst teilte teilten teilterm teiltest teiltet teiltext teilton teiltone teiltons teiltor
+teiltore teiltour teiltöne teilung teilweg teilzug tele telebar telebox teleboy telefax telefaxe
+telefilm telefonamt telefonat telefonate telefonats telefonbau telefone telefonen telefonie
+telefonier telefoniere telefonierend telefonierende telefonierendem telefonierenden telefonierender
+telefonierendes telefonierens telefoniererei telefonierst telefonierte telefonierten telefoniertest
+telefoniertet telefonisch telefonist telefonitis telefonnummern telefons telefonsex telefontyp
+telefoto telefotos telege telegen telegraf telegrafen telegrafie telegramme telegrammen telegramms
+telegraph telejet telekom telemus teletyp telex tell tellerfuß tellern tellers tells tellur tellurs
+tempelbau tempelhof tempeln tempels tempera temperat temperaturen temperaturhub tempern tempernd
+tempi templer templin tempomat tempora temporal tempore temporär tempos tempus teppiche teppichen
+teppichhai teppichs tequilas term terme termen terminale terminalem terminalen terminaler terminales
+terminals terminator terminei terminen termines termingut termini terminnot termins terminuhr
+terminus termite termiten terms terra terrain terrains terraner terranern terraners terrasse
+terrazzo terrier terrine terroir terror terrorakt terroristin terrors tessa tessin tessins
+testamente testamenten testamentes testaments testart testat testate testbar testbit testbox teste
+testeid testend testende testendem testenden testender testendes testens tester testerin testern
+testers testest testet testete testeten testetet testgas testgel testorf testpin testsatz teststab
+testtag testtyp testung testzug teuerste teuerung teufe teufelei teufelin teufeln teufelsbad
+teufelsei teufen teufend texaco texaner textart textbox texte texten textend textens texter textern
+texters textes textest textet textete textgut textil textile textils texttyp textur textura textzug
+thea theaterbau theaterbus theaterduo theaterehe theaterfan theaterhof theatern theaterort theaters
+theatertag theatral themar themas thematik thementag themenweg themse theo theodor theorbe theorem
+theoreme theorems theos therapeut therapien therapier therapierad therapiere therapieren therapierst
+therapiert therapierte thomson throne throneid thronen thronend thronens thrones thronrat throns
+thronst thront thronte thronten throntet tick ticke ticken tickend tickende ticker tickern tickers
+ticketing ticks tickst tickt tickte tickten ticktet tiefbau tiefem tiefensee tiefere tieferem
+tieferen tieferer tieferes tiefernst tiefes tiefrot tiefs tiefsee tiefst tiefste tiefton tiefweg
+tierart tierbau tierepos tieres tierfuß tierkot tiers tiersex tierzug tigere tigerhai tigerin tigern
+tigernd tigerns tigers tigerst tigert tigerte tigerten timen timend timeout timer timers timid
+timide timings timm timms timmys tinas tinten tippe tippele tippeln tippelt tippen tippend tippens
+tipper tipple tipps tippse tippst tippt tippte tippten tipptet tische tischen tisches tischfuß
+tischler tischlre tischri tischs tischset tischst tischt tischte tischten tischuhr titelart titele
+titelei titeln titelnd titels titelst titelt titelte titelten titelzug titer titte toaste toasten
+toastend toastende toastens toastern toasters toastest toastet toastete toasteten toastetet toasts
+tochterart tochtersee tochteruhr toddy todesakt todesart todesfee todesmut todesnot todesort
+todesstrafen todesstrahl todesstrahls todesstraße todesstraßen todesstrom todesstroms todestag
+todestor todestür todeszug toilettensex toilettentür tokios tokioter tollem tollend tollende
+tollendem tollenden tollender tollendes tollere tollerem tolleren tollerer tolleres tollst tollste
+tollt tollte tollten tolltet tollwut tomate tomatenhai tomatenrot tonnage tonname tonne tonnetz
+topfen topfes topfit topform topfs toreck torecke torecks toren torero toreros tores toreut tort
+torten tortuga tortur torturm totalem totalen totaler totales toteis totem totems totenamt totenmal
+totenort totentag totenuhr totenweg totes toto totos touren tourend touri touring touris tourismus
+tourist touristenamt touristenbus touristengag touristenort touristensee touristentyp touristenweg
+touristenzug touristik touristin tournai tournee tours tourt tourte tourten towers tracer trachea
+trachee trachom tracht trachte trachyt track tracke tracken tracker tracks trackst trackt trackte
+traditionell traditionen trafest traffic trafik trafo trafos trafst traft tragarm tragbar trageart
+tragebox tragedia tragend tragende tragendem tragenden tragender tragendes tragens tragerl tragesel
+traggas tragik tragrad tragt tragöde tragöden tragödien tragödin trail trailern trailers trails
+train trainee trainees traineramt trainerduo trainerin trainerjob trainern trainers trainiere
+trainierend trainierende trainierendem trainierenden trainierender trainierendes trainierens
+trainierst trainierte trainiertem trainierten trainierter trainiertes trainiertest trainiertet
+trainings tran trance trancen tranche trane tranen tranig tranige tranken trankes trankest tranks
+trankst trankt trans transe transit transportart transportbox transporte transporten transportern
+transporters transportes transporteur transporteure transporteurs transportgut transportjet
+transportjob transportlos transportmaß transportrad transports transportweg transportzug transposon
+traten tratest tratet tratsch tratst tratte tratten trau traube trauben traudl trauend trauende
+trauendem trauenden trauender trauendes trauens trauerakt trauere trauern trauernd trauernde
+trauerns trauerst trauert trauertag trauerte trauerten trauertet trauerzug trauf traufe traufel
+traufen trauma traumas traumata traumbad traumboy traumduo traumes traumjob traumlos traummaß traums
+traumsee traumtag traumton traumtor traumtyp traurede traurigem traurigen trauriger traurigere
+traurigerem traurigeren traurigerer traurigeres trauriges traurigste trauring trauringe traurings
+trausaal traute trautem trauten trauter trautes trautest trautet trauung trave traviata treff
+treffass treffend treffende treffendem treffenden treffender treffendes treffens treffern treffers
+treffpunkte treffpunkten treffpunktes treffpunkts treffs trefft treffurt treib treibe treibeis
+treibend treibende treibendem treibenden treibender treibendes treibens treiber treiberin treibern
+treibers treibgas treibgut treibrad treibsack treibsand treibsatz treibsee treibstock treibstoff
+treibstufe treibzug treiböl treiböle treidel treidle treif treife trend trendig trends trendy
+trennbar trennbit trenne trennend trennende trennendem trennenden trennender trennendes trennens
+trenner trennern trenners trenngut trennst trennt trennte trennten trenntet trennungen trense
+trensen trenzen treppab treppauf treppenart treppenbau treppenweg treptow tresen tresens tresore
+tresoren tresors trespe trester tretakt tretend tretende tretendem tretenden tretender tretendes
+tretens treter tretern treters tretet tretrad treueeid treuegel treueid treueide treueids treuem
+treuen treuer treuere treuerem treueren treuerer treueres treues treueste treulos treuste treviso
+tricia trickse tricksen tricksend tricksens trickser tricksern tricksers trickshot trickski
+trickskis trickst trickstar trickste tricksten trickstet tricky triff trift triften triftig trinkbar
+trinkel trinkend trinkende trinkendem trinkenden trinkender trinkendes trinkens trinker trinkerei
+trinkerin trinkern trinkers trinkgefäß trinkgelage trinkgelder trinkgeldern trinkgeldes trinkglas
+trinkgut trinkkur trinkspaß trinkstube trinom trinär trinäre tripel tripeln tripels triple triples
+tripoli tripper tripple trips triptis tripura tritium triton tritons trittau tritte tritten trittes
+trittfuß trittin tritts trittst trittweg trittyen trockenbau trockene trockenei trockeneis trockenem
+trockenen trockener trockenere trockenes trockengas trockengut trockenklo trockenmaß trockensee
+trockenste trockental trockne trocknen trockner trocknet tropen tropez tropf tropfe tropfend
+tropfende tropfendem tropfenden tropfender tropfendes tropfens tropfs tropfst tropft tropfte
+tropften tropftet trophäe troppo tropus tross trosse trossen trosses trostes trostlos trosts trott
+trotte trottelig trottelige trotteln trottelnd trottels trotten trottend trottende trottens trottest
+trottet trottete trotteten trottetet trottoir trotts trotze trotzen trotzend trotzens trotzest
+trotzig trotzige trotzki trotzkis trotzt trotzte trotzten trotztet troyer trucker trucks trugen
+trugst trugt trupp truppenamt truppenart truppentyp truppenzug trupps truthahnes truthuhn träg träge
+trägem trägen trägere trägerem trägeren trägerer trägeres trägergas trägerin trägerlos trägern
+trägers trägertyp träges trägste trägstem trägsten trägster trägstes träne tränend tränende
+tränendem tränenden tränender tränendes tränengas tränens tränensee tränenweg tränke tränken tränkst
+tränkt tränkte tränst tränt tränte tränten träntet träufle träum träumend träumende träumendem
+träumenden träumender träumendes träumens träumer träumerei träumerin träumern träumers träumst
+träumten träumtest träumtet tröstau tröste tröstend tröstende tröstendem tröstenden tröstender
+tröstendes tröstens tröster trösterin tröstern trösters tröstest tröstet tröstete trösteten
+tröstetet tröstung tschad tschads tschako tschau tschego tscheka tschick tsching tschunk tsuba tuche
+tuchen tuchend tuchent tuches tuchs tumorart tumore tumoren tumors tumortyp tunnelart tunnelbau
+tunneln tunnelnd tunnels tunneltag tunneltal tunnelzug turkey turko turku turmart turmbau turme
+turmes turmfuß turmhof turmlos turms turmtor turmuhr turmweg turmzug turn turne turnen turnend
+turnende turnens turnerei turnerin turnern turners turngau turnieramt turnierart turniere turnieren
+turnierhof turniermaß turnierort turniers turniertag turniertor turnrat turnst turnt turntag turnte
+turnten turntet turnton turnus turtele turteln turtelt tussaud tusse type typenrad typik typische
+typischem typischen typischer typischere typisches typischste tägliche täglichem täglichen täglicher
+tägliches tänze tänzele tänzeln tänzelnd tänzelns tänzelst tänzelt tänzelte tänzen tänzerinnen
+tänzerisch tänzern tänzers tänzle täten täterin tätern täters täterätä tätest tätet tätige tätigem
+tätigen tätigend tätigens tätiger tätigere tätiges tätigst tätigste tätigt tätigte tätigten tätigtet
+tätigung täusche täuschend täuschende täuschendem täuschenden täuschender täuschendes täuschens
+täuscher täuscherin täuschern täuschers täuschest täuschst täuscht täuschte täuschten täuschtet
+täuschung töchtern tödliche tödlichem tödlicher tödlichere tödlicherem tödlicheren tödlicherer
+tödlicheres tödliches tödlichste tötend tötende tötendem tötenden tötender tötendes tötens tötetest
+tötetet tüten tütest tütete tüteten uferaas uferbau uferkai uferlos ufern ufernah uferort ufers
+ufert uferte uferten uferweg umarme umarmend umarmende umarmendem umarmenden umarmender umarmendes
+umarmens umarmst umarmt umarmte umarmtem umarmten umarmter umarmtes umarmtet umarmungen umbricht
+umbrien umbriens umbringe umbringend umbringende umbringendem umbringenden umbringender umbringendes
+umbringens umbringst umbrisch umdrehe umdrehend umdrehende umdrehendem umdrehenden umdrehender
+umdrehendes umdrehens umdrehst umdreht umdrehte umdrehten umdrehtet umdrehung umgab umgaben umgabst
+umgabt umgangen umgangene umganges umgangs umgarne umgarnt umgebaut umgebe umgebend umgebende
+umgebendem umgebenden umgebender umgebendes umgebene umgebenem umgebenen umgebener umgebenes
+umgebens umgebrachte umgebrachtem umgebrachten umgebrachter umgebrachtes umgebt umgebucht umgebunden
+umgebungen umgehabt umgehbar umgehe umgehende umgehendem umgehenden umgehender umgehendes umgehens
+umgehst umgeht umgehung umgehört umgekehrte umgekehrtem umgekehrten umgekehrter umgekehrtes umgeld
+umgelegte umgelegtem umgelegten umgelegter umgelegtes umgelenkt umgelernt umhege umhegen umhegst
+umhegt umhegte umherzog umkehr umkehrbad umkehrbar umkehre umkehrend umkehrende umkehrendem
+umkehrenden umkehrender umkehrendes umkehrens umkehrruf umkehrst umkehrt umkehrte umkehrten
+umkehrtet umkehrung umkehrzug umkreise umkreisen umkreisend umkreisens umkreises umkreisest umkreist
+umkreiste umkreistem umkreisten umkreister umkreistes umkreistet umkreisung umlegbar umlege umlegend
+umlegende umlegendem umlegenden umlegender umlegendes umlegens umlegst umlegt umlegte umlegten
+umlegtet umlegung umleite umlenke umlenkt umlerne umlernt umschau umschaue umschaut umschlage
+umschlagen umschlagend umschlagens umschlages umschlagort umschlags umschlagt umschlang umschlangt
+umschloss umschlug umschluss umschläge umschlägt umschule umschult umsegle umsehe umsehend umsehende
+umsehendem umsehenden umsehender umsehendes umsehens umseht umsetze umsetzt umsorge umsorgt umwerfe
+umwerfen umwerfende umwerfendem umwerfenden umwerfender umwerfendes umwerfens umwerfer umwerft
+umziehe umziehend umziehende umziehendem umziehenden umziehender umziehendes umziehens umziehst
+umzieht umzingele umzingeln umzingelnd umzingelnde umzingelns umzingelst umzingelte umzingeltem
+umzingelten umzingelter umzingeltes umzingeltest umzingeltet umzingelung umzingle umzubringende
+umzubringendem umzubringenden umzubringender umzubringendes unabhängige unabhängigem unabhängigen
+unabhängiger unabhängigere unabhängiges unabhängigste unangenehme unangenehmem unangenehmen
+unangenehmer unangenehmere unangenehmes unangenehmste unauffällige unauffälligem unauffälligen
+unauffälliger unauffälligere unauffälliges unauffälligste unbedient unbedingte unbedingtem
+unbedingten unbedingter unbedingtes unbekannte unbekanntem unbekannten unbekannter unbekanntere
+unbekanntes unerträgliche unerträglichem unerträglichen unerträglicher unerträglichere
+unerträgliches unerträglichste unerwartete unerwartetem unerwarteten unerwarteter unerwartetere
+unerwartetes unerwartetste unfaire unfairem unfairen unfairer unfairere unfaires unfairste unfallart
+unfalles unfalllos unfallort unfalls unfalltag unfalltod unfalltyp unfallzug unfähige unfähigem
+unfähigen unfähiger unfähigere unfähiges unfähigste unfällen ungeduld ungeduldige ungeduldigem
+ungeduldigen ungeduldiger ungeduldigere ungeduldiges ungeduldigste ungefährdet ungefähre ungefährem
+ungefähren ungefährer ungefähres ungefärbt ungefüge ungeheilt ungeheizt ungehemmt ungeheuern
+ungeheuers ungeheuerste ungeheure ungeheurem ungeheuren ungeheurer ungeheures ungeil ungeile ungeist
+ungeld ungenau ungerade ungerechnet ungerechte ungerechtem ungerechten ungerechter ungerechtere
+ungerechtes ungereimt ungerne ungetan ungetüm ungewöhnlichem ungewöhnlichen ungewöhnlicher
+ungewöhnlichere ungewöhnlicherem ungewöhnlicheren ungewöhnlicherer ungewöhnlicheres ungewöhnliches
+ungewöhnlichste ungeübt unglaublichem unglaublichen unglaublicher unglaubliches unglaublichste
+unglücke unglücken unglückliche unglücklichem unglücklichen unglücklicher unglücklichere
+unglückliches unglücklichst unglücklichste unglücks unguis ungunst ungustl ungute ungutem unguten
+unguter ungutes unheilbar unheiles unheilig unheilige unheils unheilsam unheimliche unheimlichem
+unheimlichen unheimlicher unheimlichere unheimliches unheimlichste unhöfliche unhöflichem
+unhöflichen unhöflicher unhöflichere unhöfliches unhöflichste uniforme uniformem uniformer uniformes
+unionen unionist universal universale universell universen university universitär universitäre
+universitärem universitären universitärer universitäres universitäten unmögliche unmöglichem
+unmöglichen unmöglicher unmöglichere unmögliches unmöglichste unnötige unnötigem unnötigen unnötiger
+unnötigere unnötiges unnötigste unreal unreale unrechte unrechtem unrechten unrechter unrechtes
+unrechts unreell unreif unreife unrein unreine unscharf unschuldigem unschuldiger unschuldigere
+unschuldigerem unschuldigeren unschuldigerer unschuldigeres unschuldiges unschuldigste unschwer
+unschön unschöne unsegen unselig unsereins unseriös unsexy unsichere unsicherem unsicheren
+unsicherer unsicherere unsicheres unsicherste unsichtbare unsichtbarem unsichtbaren unsichtbarer
+unsichtbarere unsichtbares unsichtbarste unsichtig unsinnes unsinnig unsinnige unsinns unsitte
+unsterbliche unsterblichem unsterblichen unsterblicher unsterbliches untenan untenrum unteralm
+unteramt unterarm unterart unterbau unterbot unterbrechbar unterbreche unterbrechend unterbrechende
+unterbrechendem unterbrechenden unterbrechender unterbrechendes unterbrechens unterbrecher
+unterbrechern unterbrechers unterbrecht unterbrechung unterbrochene unterbrochenem unterbrochenen
+unterbrochener unterbrochenes unterbug unterbär unterdes untere unterelbe unterem unterende
+unterenden unterendes unterer unterere untererem untereren untererer untereres unteres untergange
+unterganges untergangs untergarbe untergarde untergasse untergeben untergebot untergehakt untergehe
+untergehend untergehende untergehendem untergehenden untergehender untergehendes untergehens
+untergehst untergeht untergenre unterging untergott untergrab untergraf untergras untergrub
+untergurt unterhaar unterhain unterhake unterhakt unterhalb unterhalle unterhals unterhalses
+unterhalt unterhalte unterhaltend unterhaltende unterhaltendem unterhaltenden unterhaltender
+unterhaltendes unterhaltene unterhaltenem unterhaltenen unterhaltener unterhaltenes unterhaltens
+unterhalter unterhalterin unterhaltern unterhalters unterhaltes unterhaltet unterhalts unterhaltsam
+unterhaltungen unterhang unterharz unterhaus unterhaut unterhebe unterhebt unterhefe unterhemd
+unterhof unterhofes unterholz unterhorn unterhub unterhält unterkam unterlag unterlage unterlagenart
+unterlager unterlagern unterlagers unterlagst unterlagt unterlamm unterland unterlands unterlass
+unterlasse unterlasst unterlast unterlatte unterlauf unterlaufe unterlaufs unterlauft unterlid
+untermain untermale untermalt untermann untermars untermast untermaß untermenü untermoos untern
+unternehme unternehmend unternehmende unternehmendem unternehmenden unternehmender unternehmendes
+unternehmens unternehmer unternehmerin unternehmern unternehmers unternehmt unternehmung unterort
+unterrichte unterrichtend unterrichtende unterrichtendem unterrichtenden unterrichtender
+unterrichtendes unterrichtens unterrichtes unterrichtest unterrichtete unterrichtetem unterrichteten
+unterrichteter unterrichtetes unterrichtetest unterrichtetet unterrichts unterrichtung unterriese
+unterring unterringe unters unterschale unterschall unterscheibe unterscheiben unterscheidbar
+unterscheide unterscheidend unterscheidende unterscheidendem unterscheidenden unterscheidender
+unterscheidendes unterscheidens unterscheider unterscheidest unterscheidung unterschicht
+unterschiebe unterschieben unterschiebst unterschiebt unterschiede unterschieden unterschiedene
+unterschiedes unterschiedest unterschiedet unterschiedlich unterschiedlichem unterschiedlichen
+unterschiedlicher unterschiedlichere unterschiedlicherem unterschiedlicheren unterschiedlicherer
+unterschiedlicheres unterschiedliches unterschiedlichst unterschiedlichste unterschieds unterschiff
+unterschiffe unterschiffs unterschlug unterschob unterschobt unterschrank unterschreibe
+unterschreibend unterschreibende unterschreibendem unterschreibenden unterschreibender
+unterschreibendes unterschreibens unterschreiber unterschreibern unterschreibers unterschreibst
+unterschreibt unterschreibung unterschreite unterschreiten unterschreitet unterschrieb
+unterschriebene unterschriebenem unterschriebenen unterschriebener unterschriebenes unterschriebst
+unterschriebt unterschriften unterschritt unterschuh unterschuhe unterschule unterschuss
+unterschätze unterschätzen unterschätzend unterschätzens unterschätzest unterschätzte unterschätztem
+unterschätzten unterschätzter unterschätztes unterschätztest unterschätztet unterschätzung untersee
+unterst unterste unterstück unterstücke unterstücks unterstühle unterstünde unterstütze
+unterstützend unterstützende unterstützendem unterstützenden unterstützender unterstützendes
+unterstützens unterstützer unterstützerin unterstützern unterstützte unterstütztem unterstützten
+unterstützter unterstütztes unterstütztest unterstütztet unterstützungen untersuchbar untersuche
+untersuchend untersuchende untersuchendem untersuchenden untersuchender untersuchendes untersuchens
+untersucher untersuchern untersuchers untersuchst untersuchte untersuchtem untersuchten untersuchter
+untersuchtes untersuchtest untersuchtet untersumme untertan untertitelfan untertiteln untertitels
+untertitelt untertitelte untertiteltem untertitelten untertitelter untertiteltes unterton untertor
+untertyp unterwald unterwall unterwarf unterwart unterweg unterweise unterweist unterwelten
+unterweltler unterwerfe unterwerft unterwerk unterwerke unterwerks unterweser unterwies unterwind
+unterwäschen unterzeichen unterzeichens unterzeichne unterzeichnen unterzeichnend unterzeichnende
+unterzeichnens unterzeichner unterzeichnern unterzeichners unterzeichnest unterzeichnete
+unterzeichnetem unterzeichneten unterzeichneter unterzeichnetes unterzeichnetest unterzeichnetet
+unterzeichnung unterzog unterzug unverständliche unverständlichem unverständlichen unverständlicher
+unverständlichere unverständliches unverständlichste unverzügliche unverzüglichem unverzüglichen
+unverzüglicher unverzügliches unwahrscheinliche unwahrscheinlichem unwahrscheinlichen
+unwahrscheinlicher unwahrscheinlichere unwahrscheinliches unwahrscheinlichste unwichtige unwichtigem
+unwichtigen unwichtiger unwichtigere unwichtiges unwichtigste urinal urinale urinals urins urlaube
+urlauben urlaubend urlauber urlaubern urlaubers urlaubes urlaubs urlaut urlaute urlauten urlautes
+urlauts ursachen ursprunges ursprungs ursprüngliche ursprünglichem ursprünglichen ursprünglicher
+ursprünglichere ursprüngliches ursprünglichste urte urteile urteilend urteilende urteilendem
+urteilenden urteilender urteilendes urteilens urteils urteilst urteilt urteilte urteilten urteiltet
+urtext urtexte urtexts vagiert vagil vaginal vaginale vaginalem vaginalen vaginaler vaginales
+vaginen valabel valentins valentinstage valentinstagen valentinstages valentinstags valenz valeria
+valerian valerians valerius valet valletta vamp vampiren vampirin vampirs vamps vampyr vaterlos
+vatertag vatertyp vatikan vatis vegan vegane veganem veganen veganer veganes veraast verabrede
+verabreden verabredend verabredende verabredens verabredest verabredete verabredetem verabredeten
+verabredeter verabredetes verabredetest verabredetet verabredungen verabschiede verabschiedend
+verabschiedende verabschiedendem verabschiedenden verabschiedender verabschiedendes verabschiedens
+verabschiedest verabschiedete verabschiedetem verabschiedeten verabschiedeter verabschiedetes
+verabschiedetest verabschiedetet verabschiedung veralte verandatür veranden verankre veranstalte
+veranstaltend veranstaltende veranstaltendem veranstaltenden veranstaltender veranstaltendes
+veranstaltens veranstalter veranstalterin veranstaltern veranstalters veranstaltest veranstaltet
+veranstaltete veranstaltetem veranstalteten veranstalteter veranstaltetes veranstaltetet
+veranstaltungen verantwortbar verantworte verantworten verantwortend verantwortens verantwortest
+verantwortet verantwortete verantwortliche verantwortlichem verantwortlichen verantwortlicher
+verantwortlichere verantwortliches verantwortlichste verantwortungen verarge verargt verarme verarmt
+verarsche verarschend verarschende verarschendem verarschenden verarschender verarschendes
+verarschens verarscherei verarschest verarschst verarschte verarschtem verarschten verarschter
+verarschtes verarschtest verarschtet verarschung verberge verbergend verbergende verbergendem
+verbergenden verbergender verbergendes verbergens verbergt verbesserbar verbessere verbesserer
+verbesserern verbessernd verbessernde verbesserndem verbessernden verbessernder verbesserndes
+verbesserns verbesserst verbesserte verbessertem verbesserten verbesserter verbessertes
+verbessertest verbessertet verbesserungen verbessre verbieg verbiege verbiegt verbiet verbiete
+verbind verbindbar verbinde verbindend verbindende verbindendem verbindenden verbindender
+verbindendes verbindens verbinder verbindern verbindest verbirg verbirgst verbis verbiss verbisst
+verbitte verbockt verbog verbogen verbogst verbogt verbohre verbohrt verborgend verborgene
+verborgenem verborgenen verborgener verborgenere verborgenes verborgenste verborgt verbot verbote
+verbotene verbotenem verbotenen verbotener verbotenes verbotes verbotest verbotet verbots verbotst
+verbrach verbrachen verbrachst verbrachtem verbrachten verbrachter verbrachtes verbrachtest
+verbrachtet verbrannte verbranntem verbrannten verbrannter verbranntes verbranntest verbranntet
+verbraten verbrauch verbraune verbraunt verbreche verbrechend verbrechende verbrechendem
+verbrechenden verbrechender verbrechendes verbrechens verbrecherin verbrechern verbrechers
+verbrechertum verbrechertyp verbrecht verbreite verbreitend verbreitende verbreitendem verbreitenden
+verbreitender verbreitendes verbreitens verbreiter verbreitere verbreitern verbreiternd verbreiterns
+verbreiterst verbreitert verbreiterte verbreitest verbreitete verbreitetem verbreiteten verbreiteter
+verbreitetere verbreitetes verbreitetest verbreitetet verbreitetste verbreitre verbreitung verbremst
+verbrennbar verbrenne verbrennend verbrennende verbrennendem verbrennenden verbrennender
+verbrennendes verbrennens verbrenner verbrennern verbrenners verbrennst verbrennung verbrich
+verbricht verbriefe verbrieft verbring verbringe verbringend verbringende verbringendem
+verbringenden verbringender verbringendes verbringens verbringst verbringung verbund verbundbau
+verbunde verbundene verbundenem verbundenen verbundener verbundenes verbundes verbunds verdachte
+verdachtem verdachten verdachter verdachtes verdachts verdachung verdamme verdammen verdammend
+verdammens verdammnis verdammst verdammtem verdammtere verdammterem verdammteren verdammterer
+verdammteres verdammtest verdammteste verdammtestem verdammtesten verdammtester verdammtestes
+verdammtet verdammung verdampfe verdampft verdana verdanke verdankend verdankende verdankendem
+verdankenden verdankender verdankendes verdankens verdankst verdankt verdankte verdanktem verdankten
+verdankter verdanktes verdanktet verdarb verdarbt verdaue verdauen verdaust verdaut verdaute verderb
+verderbe verderbend verderbende verderbendem verderbenden verderbender verderbendes verderbens
+verderber verderbnis verderbt verderbtem verderbter verderbtes verdi verdicke verdickt verdienend
+verdienende verdienendem verdienenden verdienender verdienendes verdienens verdiener verdienste
+verdiensten verdienstes verdienstlos verdiente verdientem verdienten verdienter verdientes
+verdientest verdientet verdikt verdikte verdikts verdinge verdingt verdirbt verdis verdorbene
+verdorbenem verdorbenen verdorbener verdorbenere verdorbenes verdorbenste verdorre verdorren
+verdorrst verdorrt verdorrte verdächtigem verdächtigend verdächtigende verdächtigendem
+verdächtigenden verdächtigender verdächtigendes verdächtigens verdächtigere verdächtigerem
+verdächtigeren verdächtigerer verdächtigeres verdächtiges verdächtigst verdächtigste verdächtigt
+verdächtigte verdächtigtem verdächtigten verdächtigter verdächtigtes verdächtigtet verdächtigung
+verebbe verebbt veredle verehre verehrt verein vereinbar vereinbare vereinbarem vereinbaren
+vereinbarend vereinbarens vereinbarer vereinbares vereinbarst vereinbarte vereinbartem vereinbarten
+vereinbarter vereinbartes vereinbartest vereinbartet vereinbarungen vereine vereinend vereinende
+vereinendem vereinenden vereinender vereinendes vereinens vereines vereinige vereinigen vereinigend
+vereinigens vereinigst vereinigt vereinigte vereinigtem vereinigter vereinigtes vereinigtest
+vereinigtet vereinigung vereins vereinst vereinte vereintem vereinten vereinter vereintes vereintest
+vereintet vereise vereisen vereist vereiste verena verenas verende verenge verengt vererbe vererbt
+verfahr verfahre verfahrend verfahrende verfahrendem verfahrenden verfahrender verfahrendes
+verfahrene verfahrenem verfahrenen verfahrener verfahrenes verfahrens verfahrt verfasse verfassen
+verfassend verfassens verfasser verfassern verfassers verfassest verfasst verfasste verfasstem
+verfassten verfasster verfasstes verfasstet verfassungen verficht verficken verfickend verfickt
+verficktem verfickten verfickter verficktes verfluche verfluchen verfluchend verfluchens verfluchst
+verfluchtem verfluchter verfluchtere verfluchterem verfluchteren verfluchterer verfluchteres
+verfluchtes verfluchtest verfluchteste verfluchtet verfluchung verfocht verfolgbar verfolge
+verfolgend verfolgende verfolgendem verfolgenden verfolgender verfolgendes verfolgens verfolger
+verfolgerin verfolgern verfolgers verfolgst verfolgte verfolgtem verfolgten verfolgter verfolgtes
+verfolgtest verfolgtet verfolgungen verforme verformt verfügbare verfügbarem verfügbaren verfügbarer
+verfügbares verfügbarste verfüge verfügen verfügend verfügens verfügst verfügt verfügte verfügtem
+verfügten verfügter verfügtes verfügtet verfügungen verführbar verführe verführend verführende
+verführendem verführenden verführender verführendes verführens verführer verführerin verführern
+verführers verführst verführt verführte verführtem verführten verführter verführtes verführtet
+verführung vergab vergabe vergaben vergabst vergabt vergaffe vergafft vergagt vergalt vergangene
+vergangenem vergangenen vergangener vergangenes vergase vergasen vergaser vergast vergaste vergaßen
+vergaßest vergaßt vergebbar vergebend vergebende vergebendem vergebenden vergebender vergebendes
+vergebene vergebenem vergebenen vergebener vergebenes vergebens vergebt vergebungen vergeh vergehe
+vergehen vergehend vergehens vergehst vergeigt vergelte vergelten vergeltend vergeltens vergeltet
+vergeltungen vergenz vergessend vergessende vergessendem vergessenden vergessender vergessendes
+vergessene vergessenem vergessenen vergessener vergessenes vergessens vergeude vergeudend
+vergeudende vergeudendem vergeudenden vergeudender vergeudendes vergeudens vergeuder vergeuderin
+vergeudern vergeuders vergeudest vergeudet vergeudete vergeudetem vergeudeten vergeudeter
+vergeudetes vergeudetet vergeudung vergewaltige vergewaltigen vergewaltigend vergewaltigens
+vergewaltiger vergewaltigern vergewaltigers vergewaltigst vergewaltigte vergewaltigtem
+vergewaltigten vergewaltigter vergewaltigtes vergewaltigtest vergewaltigtet vergewaltigungen
+vergibst vergibt vergieße vergießt vergifte vergiften vergiftend vergiftende vergiftens vergiftest
+vergiftete vergiftetem vergifteten vergifteter vergiftetes vergiftetest vergiftetet vergiftung
+vergil vergilbt vergils vergilt verging verginge vergingt vergipse vergipst vergl vergleichbar
+vergleiche vergleichend vergleichende vergleichendem vergleichenden vergleichender vergleichendes
+vergleichens vergleiches vergleichs vergleichst vergleicht vergleichung verglüh vergnüge vergnügend
+vergnügende vergnügendem vergnügenden vergnügender vergnügendes vergnügens vergnügst vergnügt
+vergnügte vergnügtem vergnügten vergnügter vergnügtes vergnügtet vergnügung vergor vergoss vergrabe
+vergrabend vergrabende vergrabendem vergrabenden vergrabender vergrabendes vergrabene vergrabenem
+vergrabenen vergrabener vergrabenes vergrabens vergrabt vergraule vergrault vergraut vergrub verguck
+verguss vergäße vergüte verhafte verhaftend verhaftende verhaftendem verhaftenden verhaftender
+verhaftendes verhaftens verhaftest verhaftete verhaftetem verhafteten verhafteter verhaftetes
+verhaftetest verhaftetet verhaftungen verhake verhakt verhalf verhalfen verhalfst verhalft verhalle
+verhallen verhallt verhallte verhalte verhaltend verhaltende verhaltendem verhaltenden verhaltender
+verhaltendes verhaltene verhaltenem verhaltenen verhaltener verhaltenere verhaltenes verhaltens
+verhaltenste verhaltet verhandelbar verhandele verhandelnd verhandelnde verhandelndem verhandelnden
+verhandelnder verhandelndes verhandelns verhandelst verhandelt verhandelte verhandeltem verhandelten
+verhandelter verhandeltes verhandeltet verhandle verhandler verhandlern verhandlers verhau verhaue
+verhaus verhaut verhebe verhebt verheirate verheiraten verheiratend verheiratende verheiratens
+verheiratest verheiratete verheiratetem verheirateten verheirateter verheiratetes verheiratetest
+verheiratetet verheiratung verhexe verhext verhieß verhilf verhinderbar verhindere verhinderer
+verhinderern verhinderers verhindernd verhindernde verhinderndem verhindernden verhindernder
+verhinderndes verhinderns verhinderst verhinderte verhindertem verhinderten verhinderter
+verhindertes verhindertest verhindertet verhinderung verhindre verhob verholt verhungere verhungernd
+verhungernde verhungerndem verhungernden verhungernder verhungerndes verhungerns verhungerst
+verhungert verhungerte verhungertem verhungerten verhungerter verhungertes verhungertet verhältnisse
+verhältnissen verhältnisses verhältst verhänge verhängt verhärmt verhärte verhöhne verhöhnt verhökre
+verhöre verhörend verhörende verhörendem verhörenden verhörender verhörendes verhörens verhörer
+verhöres verhörs verhörst verhörte verhörtem verhörten verhörter verhörtes verhörtest verhörtet
+verhüte verirre verirren verirrend verirrens verirrst verirrte verirrtem verirrten verirrter
+verirrtes verirrtest verirrtet verirrung veritas verkable verkacke verkackt verkalke verkalkt verkam
+verkamen verkamst verkamt verkannt verkante verkappe verkappt verkaufend verkaufende verkaufendem
+verkaufenden verkaufender verkaufendes verkaufens verkaufes verkaufs verkaufsakt verkaufsbox
+verkaufshit verkaufsort verkaufstag verkaufstage verkaufsteam verkaufstour verkaufsweg verkauftem
+verkauften verkaufter verkauftes verkauftest verkauftet verkehre verkehren verkehrend verkehrens
+verkehres verkehrs verkehrst verkehrte verkehrtem verkehrten verkehrter verkehrtere verkehrtes
+verkehrtest verkehrtet verkehrung verkeile verkeilt verkeimt verkenne verkennt verkette verklag
+verklagbar verklage verklagend verklagende verklagendem verklagenden verklagender verklagendes
+verklagens verklagst verklagt verklagte verklagtem verklagten verklagter verklagtes verklagtet
+verklagung verklang verklangt verklapp verklappe verklappt verkleb verkleide verkleiden verkleidend
+verkleidende verkleidens verkleidest verkleidete verkleidetem verkleideten verkleideter verkleidetes
+verkleidetest verkleidetet verkleidung verkleinre verklär verknacke verknackt verknall verknalle
+verknallen verknallend verknallens verknallst verknallte verknalltem verknallten verknallter
+verknalltes verknalltest verknalltet verknappe verknappt verkokt verkomm verkäufe verkäufen
+verkäuferin verkäufern verkäufers verl verlache verlacht verlade verladen verladet verlag verlage
+verlagen verlages verlags verlanden verlandet verlangend verlangende verlangendem verlangenden
+verlangender verlangendes verlangens verlangst verlangte verlangtem verlangten verlangter verlangtes
+verlangtest verlangtet verlas verlasen verlasest verlassend verlassende verlassendem verlassenden
+verlassender verlassendes verlassene verlassenem verlassenen verlassener verlassenes verlassens
+verlasses verlasst verlast verlaub verlauf verlaufe verlaufend verlaufende verlaufendem verlaufenden
+verlaufender verlaufendes verlaufene verlaufenem verlaufenen verlaufener verlaufenes verlaufens
+verlaufes verlaufs verlauft verlaust verlauste verlaute verlauten verlautet verlebe verleben
+verlebst verlebt verlebte verleg verlegbar verlege verlegend verlegende verlegendem verlegenden
+verlegender verlegendes verlegene verlegenem verlegenen verlegener verlegenes verlegens verleger
+verlegerin verlegern verlegers verlegst verlegte verlegtem verlegten verlegter verlegtes verlegtest
+verlegtet verlegung verleib verleibe verleiben verleibst verleibt verleibte verleide verleiden
+verleidet verleih verleihbar verleihe verleihend verleihende verleihendem verleihenden verleihender
+verleihendes verleiher verleiherin verleihern verleihers verleihes verleihs verleihst verleiht
+verleihung verleime verleimen verleimst verleimt verleimte verleite verleiten verleitet verlerne
+verlernt verlese verlesen verleser verlest verletzbar verletze verletzend verletzende verletzendem
+verletzenden verletzender verletzendes verletzens verletzer verletzers verletzest verletzte
+verletztem verletzten verletzter verletztes verletztest verletztet verliebe verliebend verliebende
+verliebendem verliebenden verliebender verliebendes verliebens verliebst verliebte verliebtem
+verliebten verliebter verliebtes verliebtest verliebtet verlief verliefe verliefen verliefst
+verlieft verlieh verliehen verliehst verlieht verlierend verlierende verlierendem verlierenden
+verlierender verlierendes verlierens verliererin verlierern verlierers verlierertyp verlies verliese
+verliesen verlieses verliest verließe verließen verließest verließt verlinke verlinkt verlobe
+verloben verlobend verlobens verlobst verlobtem verlobten verlobtes verlobtest verlobtet verlobung
+verlocke verlockt verlogen verlorenem verlorenen verlorener verlorenes verlorengab verlorst verlort
+verlose verlosen verlost verloste verlud verluden verludet verludst verlumpt verlupft verlustarm
+verlusten verlustes verlustgut verlustig verlustlos verlusts verlädst verlädt verläufe verläuft
+verlöre verlöte vermach vermag vermassele vermasseln vermasselnd vermasselnde vermasselns
+vermasselst vermasselte vermasseltem vermasselten vermasselter vermasseltes vermasseltest
+vermasseltet vermassle vermaß vermaßt vermeer vermeidbar vermeide vermeidend vermeidende
+vermeidendem vermeidenden vermeidender vermeidendes vermeidens vermeidest vermeidet vermeidung
+vermeil vermeine vermeinen vermeinst vermeint vermeinte vermerk vermied vermieft vermiese vermiest
+vermiete verminen vermint verminte vermische vermischt vermiss vermissend vermissende vermissendem
+vermissenden vermissender vermissendes vermissest vermisste vermisstem vermissten vermisster
+vermisstes vermisstest vermisstet vermittelbar vermittele vermittelnd vermittelnde vermittelndem
+vermittelnden vermittelnder vermittelndes vermittelns vermittels vermittelst vermittelt vermittelte
+vermitteltem vermittelten vermittelter vermitteltes vermitteltet vermittle vermittler vermixe
+vermixen vermixt vermixte vermont vermumm vermumme vermummt vermutend vermutende vermutendem
+vermutenden vermutender vermutendes vermutens vermutest vermutete vermutetem vermuteten vermuteter
+vermutetes vermutetest vermutetet vermutliche vermutlichem vermutlichen vermutlicher vermutliches
+vermutungen vermöge vermögend vermögende vermögendem vermögenden vermögender vermögendes vermögens
+vermögest vermöget vermögt vernichtbar vernichte vernichtend vernichtende vernichtendem
+vernichtenden vernichtender vernichtendes vernichtens vernichter vernichtest vernichtete
+vernichtetem vernichteten vernichteter vernichtetes vernichtetest vernichtetet vernichtung
+vernunftehe vernunftlos vernünftele vernünfteln vernünftelt vernünftige vernünftigem vernünftigen
+vernünftiger vernünftigere vernünftiges vernünftigste vernünftler verpaart verpacke verpackt
+verpassend verpassende verpassendem verpassenden verpassender verpassendes verpassens verpassest
+verpasste verpasstem verpassten verpasster verpasstes verpasstest verpasstet verpatze verpatzt
+verpflichte verpflichten verpflichtend verpflichtende verpflichtens verpflichtest verpflichtete
+verpflichtetem verpflichteten verpflichteter verpflichtetes verpflichtetest verpflichtetet
+verpflichtung verpisse verpissen verpissend verpissens verpisst verpisste verpisstem verpissten
+verpisster verpisstes verpolt verprügele verprügelnd verprügelnde verprügelndem verprügelnden
+verprügelnder verprügelndes verprügelns verprügelst verprügelte verprügeltem verprügelten
+verprügelter verprügeltes verprügeltest verprügeltet verprügle verputz verpöne verpönt verrann
+verrannt verratend verratende verratendem verratenden verratender verratendes verratene verratenem
+verratenen verratener verratenes verratens verrates verratet verrats verratzt verratzte verrieb
+verriet verriss verrohe verroht verruf verrufs verrußt verräterin verrätern verräters verrätst
+verrückbar verrücke verrücken verrückend verrückens verrückst verrücktem verrücktere verrückterem
+verrückteren verrückterer verrückteres verrücktes verrücktest verrückteste verrücktet verrückung
+verrühre verrührt vers versace versag versage versagend versagende versagendem versagenden
+versagender versagendes versagens versagerin versagern versagers versagst versagte versagtem
+versagten versagter versagtes versagtest versagtet versagung versah versahen versahst versaht versal
+versalie versalze versalzt versamen versammele versammelnd versammelnde versammelndem versammelnden
+versammelnder versammelndes versammelns versammelst versammelte versammeltem versammelten
+versammelter versammeltes versammeltest versammeltet versammle versammlungen versand versande
+versands versandt versank versankt versatil versatz versaue versauend versauende versauendem
+versauenden versauender versauendes versauens versauere versauern versauernd versauerns versauerst
+versauert versauerte versaufe versaufen versauft versaust versaute versautem versauten versauter
+versautes versautest versautet versbau verschaff verschaffe verschaffend verschaffende
+verschaffendem verschaffenden verschaffender verschaffendes verschaffens verschaffst verschaffte
+verschafftem verschafften verschaffter verschafftes verschafftest verschafftet verschale verschalen
+verschalkt verschallt verschalst verschalt verschalte verschanze verschanzt verscharre verscharrt
+verschaut verschiebbar verschiebe verschiebend verschiebende verschiebendem verschiebenden
+verschiebender verschiebendes verschiebens verschieber verschiebst verschiebt verschiebung verschied
+verschiedenem verschiedener verschiedenere verschiedenerem verschiedeneren verschiedenerer
+verschiedeneres verschiedenes verschiedenste verschiedest verschiedet verschiedst verschieße
+verschießen verschießt verschiss verschlag verschloss verschlossene verschlossenem verschlossenen
+verschlossener verschlossenes verschlossest verschlosst verschlucke verschlucken verschluckend
+verschluckens verschluckst verschluckte verschlucktem verschluckten verschluckter verschlucktes
+verschlucktest verschlucktet verschlug verschlugen verschlugst verschlugt verschluss verschob
+verschobene verschobenem verschobenen verschobener verschobenes verschobst verschobt verschone
+verschonend verschonende verschonendem verschonenden verschonender verschonendes verschonens
+verschonst verschonte verschontem verschonten verschonter verschontes verschontest verschontet
+verschonung verschorft verschoss verschosst verschrie verschult verschwamm verschwammt verschwanden
+verschwandest verschwandet verschwandst verschweig verschweiß verschwende verschwendend
+verschwendende verschwendendem verschwendenden verschwendender verschwendendes verschwendens
+verschwender verschwenderin verschwendern verschwenders verschwendete verschwendetem verschwendeten
+verschwendeter verschwendetes verschwendetest verschwendetet verschwendungen verschwieg verschwiegt
+verschwimme verschwimmt verschwindend verschwindende verschwindendem verschwindenden verschwindender
+verschwindendes verschwindens verschwitze verschwitzt verschwor verschwort verschwundene
+verschwundenem verschwundenen verschwundener verschwundenes verschwöre verschwören verschwörend
+verschwörens verschwörer verschwörern verschwörers verschwörst verschwört verschwörungen verschämt
+verschöbe verschürt verschütt verse versehe versehend versehende versehendem versehenden versehender
+versehendes versehene versehenem versehenen versehener versehenes versehens versehentliche
+versehentlichem versehentlichen versehentlicher versehentliches versehre versehren versehrst
+versehrt versehrte verseht verseife verseift versen versende versenge versengt versenke versenkt
+versepen versepos verses versetze versetzend versetzende versetzendem versetzenden versetzender
+versetzendes versetzens versetzest versetzte versetztem versetzten versetzter versetztes versetztest
+versetztet versetzung versfuß versicherbar versicherer versicherern versicherers versicherin
+versichernd versichernde versicherndem versichernden versichernder versicherndes versicherns
+versicherst versicherte versichertem versicherten versicherter versichertes versichertest
+versichertet versicherungen versiebe versiebt versiege versiegele versiegeln versiegelnd
+versiegelnde versiegelns versiegelst versiegelte versiegeltem versiegelten versiegelter versiegeltes
+versiegeltest versiegeltet versiegelung versiegen versiegend versiegende versiegens versiegle
+versiegst versiegt versiegte versiegtem versiegten versiegter versiegtes versiegtet versieht
+versiert versifft versinke versinkt versionen versippt versmaß versoff versofft versohle versohlt
+versorge versorgend versorgende versorgendem versorgenden versorgender versorgendes versorgens
+versorger versorgerin versorgern versorgers versorgst versorgte versorgtem versorgten versorgter
+versorgtes versorgtest versorgtet versorgung versprachen versprachest versprachst verspracht
+versprechend versprechende versprechendem versprechenden versprechender versprechendes versprechens
+versprecher versprechern versprechers versprecht versprechung versprenge versprengt versprichst
+verspricht verspritze verspritzt versprochene versprochenem versprochenen versprochener
+versprochenes versprühe versprüht verspäte verspäten verspätend verspätens verspätest verspätet
+verspätete verspätungen verstande verstandene verstandenem verstandenen verstandener verstandenes
+verstandes verstandest verstandet verstands verstandst verstarb verstarbt verstaube verstaubt
+verstaue verstauen verstaust verstaut verstaute versteckend versteckende versteckendem versteckenden
+versteckender versteckendes versteckens versteckes verstecks verstecktem versteckten versteckter
+verstecktere versteckterem versteckteren versteckterer versteckteres verstecktes verstecktest
+versteckteste verstecktet verstehbar verstehend verstehende verstehendem verstehenden verstehender
+verstehendes verstehens versteife versteift verstell verstelle verstellt verstieg verstieß verstirb
+verstockt verstopfe verstopft verstorbene verstorbenem verstorbenen verstorbener verstorbenes
+verstoß verstoße verstoßend verstoßende verstoßendem verstoßenden verstoßender verstoßendes
+verstoßene verstoßenem verstoßenen verstoßener verstoßenes verstoßens verstoßes verstoßt verstoßung
+verstände verständen verständest verständet verständig verständige verständigt verständliche
+verständlichem verständlichen verständlicher verständlichere verständliches verständlichste
+verständnislos verständnisse verständnissen verständnisses verstärke verstärken verstärkend
+verstärkens verstärker verstärkern verstärkers verstärkst verstärkt verstärkte verstärktem
+verstärkten verstärkter verstärktes verstärktet verstärkungen verstöre verstört verstöße verstößt
+versuchend versuchende versuchendem versuchenden versuchender versuchendes versuchens versucher
+versucherin versuchern versuchers versuches versuchs versuchsamt versuchsart versuchsbau versuchsbox
+versuchsgel versuchsgut versuchstag versuchstage versuchsteil versuchstext versuchstier versuchsturm
+versuchstyp versuchstyps versuchszug versuchtem versuchter versuchtes versuchtest versuchtet
+versuchungen versus versäge versägt versüße versüßt vertage vertagt vertan vertane verteidigbar
+verteidige verteidigend verteidigende verteidigendem verteidigenden verteidigender verteidigendes
+verteidigens verteidiger verteidigerin verteidigern verteidigers verteidigst verteidigte
+verteidigtem verteidigten verteidigter verteidigtes verteidigtest verteidigtet verteidigungen
+verteil verteilbar verteile verteilend verteilende verteilendem verteilenden verteilender
+verteilendes verteilens verteiler verteilern verteilers verteilst verteilte verteiltem verteilten
+verteilter verteiltes verteiltest verteiltet verteilung vertellt vertex vertigo vertiko vertone
+vertont vertrackt vertrage vertragend vertragende vertragendem vertragenden vertragender
+vertragendes vertragens vertrages vertrags vertragt vertrank vertrankt vertrat vertraten vertratet
+vertratst vertrauend vertrauende vertrauendem vertrauenden vertrauender vertrauendes vertrauens
+vertrauert vertrauerte vertrauliche vertraulichem vertraulichen vertraulicher vertraulichere
+vertrauliches vertraulichste vertrautem vertrauten vertrauter vertrautere vertrauterem vertrauteren
+vertrauterer vertrauteres vertrautes vertrautest vertrauteste vertrautet vertreib vertreibe
+vertreibend vertreibende vertreibendem vertreibenden vertreibender vertreibendes vertreibens
+vertreiber vertreibern vertreibers vertreibst vertreibt vertreibung vertretbar vertrete vertretend
+vertretende vertretendem vertretenden vertretender vertretendes vertretene vertretenem vertretenen
+vertretener vertretenes vertretens vertreterin vertretern vertreters vertretertag vertretet
+vertretung vertrieb vertriebe vertriebene vertriebenem vertriebenen vertriebener vertriebenes
+vertriebler vertriebs vertriebst vertriebt vertrink vertritt vertrug vertrugt verträge verträgt
+vertränt verträte vertue vertun vertuns vertust vertäut verursache verursachend verursachende
+verursachendem verursachenden verursachender verursachendes verursachens verursacher verursacherin
+verursachern verursachers verursachst verursachte verursachtem verursachten verursachter
+verursachtes verursachtest verursachtet verursachung verurteile verurteilend verurteilende
+verurteilendem verurteilenden verurteilender verurteilendes verurteilens verurteilst verurteilte
+verurteiltem verurteilten verurteilter verurteiltes verurteiltest verurteiltet verurteilung verwahre
+verwahrt verwaise verwaist verwalte verwand verwandele verwandelnd verwandelnde verwandelndem
+verwandelnden verwandelnder verwandelndes verwandelns verwandelst verwandelte verwandeltem
+verwandelten verwandelter verwandeltes verwandeltest verwandeltet verwandelung verwandle verwandtem
+verwandter verwandtere verwandterem verwandteren verwandterer verwandteres verwandtes verwandtest
+verwandteste verwanzen verwanzt verwanzte verwarf verwarft verwarne verwarnt verwechselbar
+verwechsele verwechseln verwechselnd verwechselnde verwechselns verwechselst verwechselte
+verwechseltem verwechselten verwechselter verwechseltes verwechseltest verwechseltet verwechselung
+verwechsle verwendbar verwende verwendend verwendende verwendendem verwendenden verwendender
+verwendendes verwendens verwender verwendern verwenders verwendest verwendete verwendetem
+verwendeten verwendeter verwendetes verwendetest verwendetet verwendung verwickele verwickeln
+verwickelnd verwickelnde verwickelns verwickelst verwickelte verwickeltem verwickelten verwickelter
+verwickeltes verwickeltest verwickeltet verwickelung verwickle verwies verwiest verwinde verwirf
+verwirfst verwirft verwirke verwirken verwirkst verwirkt verwirkte verwirre verwirrende verwirrendem
+verwirrenden verwirrender verwirrendere verwirrendes verwirrendste verwirrens verwirrst verwirrte
+verwirrtem verwirrten verwirrter verwirrtes verwirrtest verwirrtet verwirrungen verwitwe verwitwt
+verwundbar verwunde verwunden verwundend verwundende verwundens verwundere verwundern verwundernd
+verwunderns verwunderst verwundert verwunderte verwundest verwundete verwundetem verwundeten
+verwundeter verwundetes verwundetest verwundetet verwundre verwundung verzage verzagt verzapf
+verzehr verzehre verzehrs verzehrt verzeigen verzeigt verzeihbar verzeihe verzeihend verzeihende
+verzeihendem verzeihenden verzeihender verzeihendes verzeihens verzeihst verzeihungen verzerr
+verzerre verzerrt verzicht verzichtbar verzichte verzichtend verzichtende verzichtendem
+verzichtenden verzichtender verzichtendes verzichtens verzichtes verzichtest verzichtet verzichtete
+verzichtetem verzichteten verzichteter verzichtetes verzichtetet verzichts verzieh verziehe
+verziehend verziehende verziehendem verziehenden verziehender verziehendes verziehene verziehenem
+verziehenen verziehener verziehenes verziehens verziehst verzieht verzier verziere verzieren
+verzierst verziert verzierte verzog verzogt verzug verzuge verzugs verzweifele verzweifeln
+verzweifelnd verzweifelnde verzweifelns verzweifelst verzweifelte verzweifeltem verzweifelten
+verzweifelter verzweifeltes verzweifeltest verzweifeltet verzweifle verzweiflungen verzähl verzück
+veränderbar verändere verändernd verändernde veränderndem verändernden verändernder veränderndes
+veränderns veränderst veränderte verändertem veränderten veränderter verändertes verändertest
+verändertet verändre verängstige verängstigen verängstigend verängstigens verängstigst verängstigte
+verängstigtem verängstigten verängstigter verängstigtere verängstigtes verängstigtest verängstigtet
+verängstigung verärgere verärgern verärgernd verärgernde verärgerns verärgerst verärgerte
+verärgertem verärgerten verärgerter verärgertes verärgertest verärgertet verärgerung veröffentliche
+veröffentlichen veröffentlichend veröffentlichens veröffentlichst veröffentlichte veröffentlichtem
+veröffentlichten veröffentlichter veröffentlichtes veröffentlichtest veröffentlichtet
+veröffentlichung victoria victorias victors videoart videobus videospur videoton viehart viehes
+viehhof viehruf viehs viehtor viehweg viehzug vieleck vielecke vielecks vielehe vielehen vielem
+vielerlei vielmalige vielmehr viere viereck vieren vierer vierfuß viermal vierpol vierrad viersen
+viert viertakt vierteile vierteilt viertelalm viertele viertelhof vierteln viertelnd viertelns
+viertels viertelst viertelt viertelte viertelten viertelton viertelzug viertem viertens vierter
+viertes vierung vierzig vietnamese vietnams viktoria viktorias viktors villach villachs villen
+vincenter vincents vinci vincis vipern virgil virgils virginal virginale virginias virginisch
+virginität virusart virustyp visiere visieren visierend visierens visiers visierst visiert visierte
+visiertem visierten visierter visiertes visiertet visierung visionär visionäre visionärs visite
+visiten visits vizepräsidenten vizepräsidentin vogelart vogelbad vogelei vogeleis vogelfuß vogelhof
+vogelkot vogelruf vogels vogeltor vogeluhr vogelweg vogelzoo vogelzug vogesen volkach volke volker
+volkers volkert volkmar volks vollakt vollamt vollauf vollbad vollei vollem vollende vollenden
+vollender vollendet vollends vollerde vollere vollerem volleren vollerer volleres volles volley
+vollgas vollgel vollhof vollhuf vollidioten vollidiotin vollkommene vollkommenem vollkommenen
+vollkommener vollkommenere vollkommenes vollkommenste vollmann vollmars vollmast vollmer vollmers
+vollmonde vollmonden vollmondes vollmonds vollmondtag vollpol vollrad vollrat vollste vollständige
+vollständigem vollständigen vollständiger vollständigere vollständiges vollständigste volltag
+volltreffern volltreffers volltyp vollweg vollzog vollzug vorab vorahne vorahnt voramt voranbau
+vorankam vorarm vorarme voraue vorauen vorauf voraushat voraussah vorbach vorbad vorband vorbau
+vorbaus vorbeben vorbeikam vorbeikomme vorbeikommend vorbeikommende vorbeikommendem vorbeikommenden
+vorbeikommender vorbeikommendes vorbeikommens vorbeikommst vorbeikommt vorbein vorbeizog vorbeizug
+vorbereich vorbereiche vorbereichs vorbereite vorbereitend vorbereitende vorbereitendem
+vorbereitenden vorbereitender vorbereitendes vorbereitens vorbereiter vorbereiterin vorbereitern
+vorbereiters vorbereitest vorbereitete vorbereitetem vorbereiteten vorbereiteter vorbereitetes
+vorbereitetest vorbereitetet vorberg vorberge vorbergs vorbete vorbeten vorbeter vorbetet vorbeuge
+vorbeugt vorbildbau vorbildens vorbilder vorbildern vorbildes vorbilds vorbildung vorbiss vorbisse
+vorbote vorburg vorecho voreile voreilt vorende vorerbe vorerst vorfach vorfachs vorfahr vorfahre
+vorfahrend vorfahrende vorfahrendem vorfahrenden vorfahrender vorfahrendes vorfahrens vorfahrt
+vorfahrten vorfallen vorfallens vorfalles vorfalls vorfand vorfeld vorfiel vorfilm vorflug vorflut
+vorform vorfuhr vorfuß vorführe vorführen vorführend vorführens vorführer vorführern vorführers
+vorführst vorführt vorführte vorführten vorführtet vorführungen vorgab vorgabe vorgabt vorgang
+vorgarn vorgebe vorgeben vorgebet vorgebt vorgehabt vorgehe vorgeheizt vorgehend vorgehende
+vorgehendem vorgehenden vorgehender vorgehendes vorgehens vorgehst vorgeschlagene vorgeschlagenem
+vorgeschlagenen vorgeschlagener vorgeschlagenes vorgesehene vorgesehenem vorgesehenen vorgesehener
+vorgesehenes vorgesetzt vorgesetzte vorgesetztem vorgesetzter vorgesetztes vorgesteckt vorgestellte
+vorgestelltem vorgestellten vorgestellter vorgestelltes vorgestern vorgibt vorging vorhabe vorhabend
+vorhabens vorhabt vorhafen vorhalle vorhalt vorhalte vorhand vorhanden vorhanges vorhangs vorharz
+vorharze vorhatte vorhatten vorhaus vorhaut vorheizt vorherig vorherige vorhersah vorhielt vorhinein
+vorhof vorhofs vorhole vorholt vorholz vorhub vorhut vorhält vorhängen vorhätte vorhäute vorhöfe
+vorkomme vorkommend vorkommende vorkommendem vorkommenden vorkommender vorkommendes vorkommens
+vorkommentar vorkommnis vorkommst vorkommt vorleben vorlebst vorlebt vorlebte vorlege vorlegen
+vorleger vorlegst vorlegt vorlegte vorlehre vorlese vorlesend vorlesende vorlesendem vorlesenden
+vorlesender vorlesendes vorlesens vorleser vorleserin vorlesern vorlesers vorlest vorlesung vorleute
+vormahd vormals vormann vormast vormoos vormund vormärz vornacht vornahm vornahme vornahmt vornamens
+vornehm vornehme vornehmem vornehmend vornehmens vornehmer vornehmere vornehmerem vornehmeren
+vornehmerer vornehmeres vornehmern vornehmes vornehmst vornehmste vorneweg vornorm vornote vornweg
+vorrang vorrat vorrats vorraum vorrede vorreim vorritt vorruf vorrufe vorränge vorräten vorrätig
+vorrätige vorräume vorschau vorschein vorschiff vorschlage vorschlagend vorschlagende vorschlagendem
+vorschlagenden vorschlagender vorschlagendes vorschlagens vorschlages vorschlags vorschlagt
+vorschleim vorschloss vorschlug vorschlugt vorschlägen vorschlägst vorschlägt vorschnur vorschob
+vorschock vorschoss vorschrieb vorschriebt vorschritt vorschritte vorschub vorschubs vorschule
+vorschuss vorschübe vorsichtige vorsichtigem vorsichtigen vorsichtigere vorsichtigerem
+vorsichtigeren vorsichtigerer vorsichtigeres vorsichtiges vorsichtigst vorsichtigste vorsieb
+vorsieht vorsilbe vorsinge vorsingt vorsitz vorsitze vorsitzen vorsitzend vorsitzendem vorsitzenden
+vorsitzendes vorsitzens vorsitzerin vorsitzes vorsitzest vorsitzt vorsprach vorsprang vorspreche
+vorsprechend vorsprechende vorsprechendem vorsprechenden vorsprechender vorsprechendes vorsprechens
+vorsprecher vorsprechern vorsprechers vorsprecht vorspruch vorsprunges vorsprungs vorstadt
+vorstanden vorstandes vorstands vorstatus vorstehe vorsteht vorstellbar vorstelle vorstellend
+vorstellende vorstellendem vorstellenden vorstellender vorstellendes vorstellens vorstellig
+vorstellige vorstellst vorstellt vorstellte vorstellten vorstelltet vorstellungen vorstich vorstieß
+vorstoß vorstoße vorstoßt vorstrom vorstufe vorstöße vortag vortage vortags vortanz vorteich
+vorteiche vorteig vorteige vorteigen vorteile vorteilen vorteiles vorteils vortest vortests vortex
+vortext vortexte vortopp vortor vortore vortrab vortrage vortragen vortragend vortragens vortrages
+vortrags vortragt vortrat vortraten vortrete vortrieb vortritt vortrug vortrupp vorträge vorträgt
+vortuch vorturm vorwähle vorwählt vorwände vorwärme vorwärmen vorwärmer vorwärmst vorwärmt vorwärmte
+vorwärtszog vorwürfen vorzubereitende vorzubereitendem vorzubereitenden vorzubereitender
+vorzubereitendes vorzustellende vorzustellendem vorzustellenden vorzustellender vorzustellendes
+vorübergehe vorübergehen vorübergehende vorübergehendem vorübergehenden vorübergehender
+vorübergehendes vorübergehens vorübergehst vorübergeht vorüberkam vorüberzog vorübung vätern vögele
+vögelei vögelein vögelnd vögelnde vögelndem vögelnden vögelnder vögelndes vögelns vögelst vögelt
+vögelte vögelten vögeltet völle völler völlige völligem völligen völliger völliges wachau wachbau
+wachem wachend wachende wachendem wachenden wachender wachendes wachens wacher wachere wacherem
+wacheren wacherer wacheres waches wachhof wachs wachsaal wachsam wachsame wachsart wachse wachsein
+wachseins wachsend wachsende wachsendem wachsenden wachsender wachsendes wachsens wachses wachsmut
+wachst wachste wachstem wachsten wachster wachstes wachstum wachsäle wachtang wachtel wachtelei
+wachteln wachten wachtest wachtet wachturm wachzug waden wadern waffel waffeln waffen-ss waffenamt
+waffenarm waffenart waffenbau waffenlos waffentyp wage wagemut wagenart wagenbau wagend wagende
+wagendem wagenden wagender wagendes wagener wagenhof wagenhub wagenrad wagens wagentyp wagentür
+wagenzug wagte wagten wagtest wagtet wahlakt wahlamt wahlart wahlen wahllos wahlort wahlrat wahltag
+wahltyp wahns wahnsinnige wahnsinnigem wahnsinnigen wahnsinniger wahnsinnigere wahnsinniges
+wahnsinnigste wahnsinns wahrem wahrend wahrende wahrendem wahrenden wahrender wahrendes wahrens
+wahrere wahrerem wahreren wahrerer wahreres wahrhaft wahrheiten wahrig wahrigs wahrscheinliche
+wahrscheinlichem wahrscheinlichen wahrscheinlicher wahrscheinlichere wahrscheinliches
+wahrscheinlichkeiten wahrscheinlichst wahrscheinlichste wahrst wahrste wahrt wahrte wahrten wahrung
+waldarm waldart waldau waldaue waldbad waldbau waldbus waldbär walde waldeck waldems waldes waldfee
+waldgel waldgut waldhof waldi waldig waldige waldis waldlos waldnah waldorf waldsee waldtal waldtor
+waldtyp waldung waldweg waldzoo walke walken walkend walkende walkerin walkern walkers walking
+walkman walkst walkt walkte walkten walküre wall wallaby wallach wallache wallachen wallachs walle
+wallen wallend wallens waller walles wallgau wallis wallner wallone walls wallst wallt wallte
+wallten walltet wallung wals walser walsers walte walten waltend waltende walters waltest waltet
+waltete walteten waltetet walther waltran waltrop wandale wandalen wandalin wandarm wandbau wandecke
+wandel wandele wandeln wandelnd wandelns wandels wandelst wandelt wandelte wanden wanderart wandere
+wanderer wanderern wanderers wanderin wandernd wandernde wanderndem wandernden wandernder wanderndes
+wandernetz wanderns wanderst wandert wandertag wanderte wanderten wandertet wanderung wanderweg
+wanderzoo wanderzug wandest wandet wandfuß wandle wandler wandrer wandst wandte wandten wandtet
+wanduhr wandung wandweg wandzug wange wangen wangens wannen wannsee warenart warentyp warenweg
+warenzug warfen warfest warfst warft warften warm-up warmbad warmbau warmem warmen warmer warmes
+warmgas warmien warmup warna warnau warnecke warnend warnende warnendem warnenden warnender
+warnendes warnens warnern warngas warngau warnitz warnow warnruf warnst warnt warnte warnten warntet
+warnton warnungen warrant warstein wartbar wartend wartende wartendem wartenden wartender wartendes
+wartens warterei wartes wartesaal wartestall wartestand wartesteg wartestege wartesäle wartetest
+wartetet wartezug warthe wartung wasch waschbar waschbär wasche waschecht waschecke waschend
+waschende waschendem waschenden waschender waschendes waschens waschfee waschgut waschrad waschsee
+wascht waschtag waschung washingtoner washingtons wasseralm wasseramt wasserarm wasserart wasseraue
+wasserbad wasserbau wasserbus wassere wassereis wasserfee wassergas wasserjet wasserkur wasserlos
+wassern wassernd wassernde wassernot wasserrad wasserreh wassers wasserski wassersog wasserst
+wassert wasserte wasserten wassertet wassertor wassertyp wasseruhr wasserung wasserweg wasserzug
+wassili wassre wechsel wechselart wechselbad wechselbar wechsele wechselgebet wechselgelder
+wechselgeldern wechselgeldes wechselgelenk wechselgrab wechselguss wechselnd wechselnde wechselndem
+wechselnden wechselnder wechselndes wechselnote wechselns wechselrad wechsels wechselst wechseltakt
+wechselte wechselteil wechselten wechseltest wechseltet wechselzug wechsle wechsler weck wecke
+weckend weckende weckendem weckenden weckender weckendes weckens weckerl weckern weckers weckruf
+weckst weckt weckte weckten wecktet weckton wedel wedele wedeln wedelnd wedelns wedels wedelst
+wedelt wedelte weed wegebau wegeile wegende wegendes wegenetz wegenge wegengen weges weggebe
+weggeben weggeber weggebt weggegangene weggegangenem weggegangenen weggegangener weggegangenes
+weggehabt weggehe weggehend weggehende weggehendem weggehenden weggehender weggehendes weggehens
+weggeholt weggehst weggeht weggelaufene weggelaufenem weggelaufenen weggelaufener weggelaufenes
+weggeld weggenommene weggenommenem weggenommenen weggenommener weggenommenes weggetan weggeworfene
+weggeworfenem weggeworfenen weggeworfener weggeworfenes weglaufe weglaufend weglaufende weglaufendem
+weglaufenden weglaufender weglaufendes weglaufens weglauft wegnehme wegnehmend wegnehmende
+wegnehmendem wegnehmenden wegnehmender wegnehmendes wegnehmens wegnehmt wegwerfe wegwerfend
+wegwerfende wegwerfendem wegwerfenden wegwerfender wegwerfendes wegwerfens wegwerft wehend wehende
+wehendem wehenden wehender wehendes wehens wehr wehrarm wehrbau wehrden wehre wehrend wehrende
+wehrendem wehrenden wehrender wehrendes wehrens wehretat wehrhof wehrig wehrlos wehrs wehrst wehrt
+wehrte wehrten wehrtet wehrtor weht wehtat wehte wehten wehtest wehtet wehtue wehtuend wehtust
+wehtut weibe weibel weiberart weiberhof weiberjob weibern weibes weiblich weiblichem weiblicher
+weiblichere weiblicherem weiblicheren weiblicherer weiblicheres weibliches weiblichste weiche
+weicheier weicheiern weicheisen weichem weichend weichende weichendem weichenden weichender
+weichendes weichens weicher weichere weicherem weicheren weicherer weicheres weiches weichlot
+weichsel weichst weichste weicht weichte weichten weichtet weihnacht weihnachtend weihnachtsmahl
+weihnachtsmanne weihnachtsmannes weihnachtsmanns weihnachtsmarke weihnachtsmarkt weihnachtsmenü
+weiland weilen weilend weilende weilens weiler weilern weilers weill weills weilst weilt weilte
+weilten weiltet weinart weinbar weinbau weinend weinende weinendem weinenden weinender weinendes
+weinens weines weingut weinhof weinig weinmaß weinort weinrot weins weinsaal weinsee weinseen
+weinsoße weinstadt weinstand weinstein weinstile weinstock weinstrom weinstube weinsud weintage
+weintank weinten weintest weintet weintipp weintor weintore weintour weintyp weinweg weisel weisem
+weisend weisende weisendem weisenden weisender weisendes weisens weiser weisere weiserem weiseren
+weiserer weiseres weises weisest weiseste weisheiten weissach weissage weissagt weistum weisung
+weitab weitaus weitem weiterbau weiterem weiteressen weitergab weitergabe weitergabt weitergang
+weitergebe weitergeben weitergeber weitergebt weitergehe weitergehend weitergehende weitergehendem
+weitergehenden weitergehender weitergehendes weitergehens weitergehst weitergibt weiterging
+weitergäbe weiterhalf weiterhilft weiterkam weiterlas weiterlebe weiterlebend weiterlebende
+weiterlebendem weiterlebenden weiterlebender weiterlebendes weiterlebens weiterlebst weiterlebt
+weiterlebte weiterlebten weiterlebtet weiterleite weiterlese weiterlesen weiterlest weitermache
+weitermachend weitermachende weitermachendem weitermachenden weitermachender weitermachendes
+weitermachens weitermachst weitermacht weitermachte weitermachten weitermachtet weiters weiterung
+weiterzog weiterzug weites weitest weiteste weitet weitete weiteten weitetet weither weithin weitung
+weißei weißeln weißelnd weißem weißend weißende weißender weißendes weißensee weißes weißte weißtest
+weißton weißtons weißtöne weißwal wellenart wellenbad wellend wellende wellendem wellenden wellender
+wellendes wellenfuß wellenhof wellenlos wellens wellental wellentyp wellenuhu wellenzug welli wellig
+wellige wellrad wellsee wellst wellt wellte wellten welltet weltall weltbad weltcup weltecho
+weltecke weltekel weltende weltenden weltendes welterbe weltgas welthit weltkreis weltkriege
+weltkriegen weltkrieges weltkriegs weltkrise weltkrisen weltrang weltrasse weltrat weltrates
+weltraumbar weltraumes weltraumrat weltraums weltraumtor weltruf weltrufe weltrufs weltruhm welttag
+weltuhr weltwehe weltweise weltweisen weltweite weltweitem weltweiten weltweiter weltweites
+weltwesen weltwind weltwitz wendbar wende wendel wendelin wendeln wendend wendende wendendem
+wendenden wendender wendendes wendens wenders wendest wendet wendete wendeten wendetet wendezug
+wendig wendige wendin wendung wenigem weniges wenigste wenigstem wenigsten wenigster wenigstes werbe
+werben werbend werbens werber werbern werbt werbungen werdau werdend werdende werdendem werdenden
+werdender werdendes werdens werder werders werdich werdohl werfall werfel werfels werfend werfende
+werfendem werfenden werfender werfendes werfens werfer werferin werfern werfers werften werkart
+werkbau werkbus werke werkel werkele werkeln werkelt werken werkend werkens werkes werkgel werkhof
+werkle werkrad werks werkst werkstattbau werkstattrat werkstatttor werkstattuhr werkstatus werksteam
+werksteil werkstein werkstil werkstils werkstoff werkstor werkstore werkstufe werksturm werkstyp
+werkstyps werkstück werkt werktag werkte werkten werktet werktor werktyp werkzeugbau werkzeugbox
+werkzeuge werkzeugen werkzeuglos werkzeugs werkzeugset werkzeugtyp werkzeugweg werkzink werkzoll
+werkzug wertart wertbon wertem werten wertend wertende wertens werter wertere werterem werteren
+werterer werteres wertes wertest werteste wertet wertete werteten wertetet wertetyp wertgen werth
+werther wertig wertlage wertlogik wertlose wertlosem wertlosen wertloser wertlosere wertloses
+wertmaß wertpin werts werttyp wertung wertvolle wertvollem wertvollen wertvoller wertvollere
+wertvolles wertvollste wesel weseler wesels wesenlos wesens wesentliche wesentlichem wesentlichen
+wesentlicher wesentlichere wesentliches wesentlichst wesentlichste weser wessel wessels wessi wessis
+westarm westaue westbad westbau westebbe westecke westend westende westenden westendes westens
+westensee western westfuß westhof westjet westkap westlb westler westrom westsee westtor westtür
+westweg westzug wett wettart wettbewerbe wettbewerben wettbewerber wettbewerbern wettbewerbers
+wettbewerbes wettbewerbs wettend wettende wettendem wettenden wettender wettendes wettengel wettens
+wetteramt wetterau wettere wetterfee wettern wetternd wetternde wetterns wetters wettersee wetterst
+wettert wetterte wetterten wettertet wettest wettet wettete wetteten wettetet wetthof wettin
+wettkampfart wettkampfbad wettkampfes wettkampfort wettkampfs wettkampftag whiskas whisker whiskeys
+whiskys whist whitman whitney wich wiche wichen wichest wichs wichse wichsen wichsend wichsende
+wichsens wichserei wichsest wichst wichste wichsten wichstet wicht wichte wichtel wichteln wichtels
+wichten wichtigem wichtigere wichtigerem wichtigeren wichtigerer wichtigeres wichtigst wichtigstem
+wichtigster wichtigstes wichtigtat wichtigtue wichtigtun wichtigtut widerlege widerlegt widerliche
+widerlichem widerlichen widerlicher widerlichere widerliches widerlichste widerling widerlinge
+widerlings widerst widerstanden widerstandes widerstandest widerstandet widerstands widerstandst
+widerstehe widerstehend widerstehende widerstehendem widerstehenden widerstehender widerstehendes
+widerstehens widerstehst widersteht wied wiede wieden wiedergab wiederhabe wiederhabend wiederhabt
+wiederhast wiederhat wiederhatte wiederholbar wiederholend wiederholende wiederholendem
+wiederholenden wiederholender wiederholendes wiederholens wiederholer wiederholern wiederholst
+wiederholte wiederholteil wiederholtem wiederholten wiederholter wiederholtes wiederholtest
+wiederholtet wiederholung wiederhörens wiederkam wiederkomme wiederkommend wiederkommende
+wiederkommendem wiederkommenden wiederkommender wiederkommendes wiederkommens wiederkommst
+wiederkommt wiedersah wiedersehe wiedersehend wiedersehende wiedersehendem wiedersehenden
+wiedersehender wiedersehendes wiedersehens wiederseht wiedertun wiedtal wiegand wiege wiegele
+wiegeln wiegelt wiegen wiegend wiegens wiegst wiegte wiegten wiegtest wiegtet wies wiese wiesel
+wieseln wiesels wiesen wiesest wieslet wiesn wiest wievielmal wievielte wievieltem wievielten
+wievielter wievieltes wildalm wildart wildau wildbad wildem wildente wildenten wilder wildere
+wilderei wilderem wilderen wilderer wilderes wilderin wildern wildernd wilderns wilderst wildert
+wilderte wildes wildesel wildeste wildgen wildheu wildhof wildnisse wildnissen wildsau wildsee
+wildtyp wildweg willenlos willens willi willia williamson williamsons willich willig willige
+willigem willigen williger williges willigis willigst willigt willigte willis willisch willkommene
+willkommenem willkommenen willkommener willkommenere willkommenes willkommenste willkür willys
+wilsons wilster windart windau windbö windböe winde windeck windecke windegge windei windeier
+windeis windel windelnd winden windend windende windens windes windest windet windgas windhof
+windhuk windig windige windjet windorf window windows windrad winds windsee windsog windsor windtor
+windtür winduhr windung windzug wingert wink winke winkelalm winkelart winkelbau winkele winkelehe
+winkelhub winkelig winkelige winkelmaß winkeln winkelnd winkels winkelsee winkelst winkelt winkelte
+winkelten winkelzug winken winkend winkende winkens winker winkern winkers winkler winklig winks
+winkst winkt winkte winkten winktet winsch winsele winseln winselt winsen winsens winsle winterart
+winterbau winterdom wintereis winterhof winterkur wintermai wintern winternd winters wintertag
+wintertee wintertyp winterweg winterzug winzer winzern winzers winzige winzigem winzigen winziger
+winzigere winziges winzigste wirke wirkend wirkende wirkendem wirkenden wirkender wirkendes wirkens
+wirker wirkerin wirkern wirkers wirklichem wirklicher wirklichere wirklicherem wirklicheren
+wirklicherer wirklicheres wirkliches wirklichkeiten wirklichste wirksam wirksame wirkstoff wirkten
+wirktest wirktet wirkungen wirsch wirsing wirtschafte wirtschaften wirtschaftend wirtschaftens
+wirtschafter wirtschaftern wirtschafters wirtschaftest wirtschaftet wirtschaftete wirtschaftler
+wissbar wisse wissend wissende wissendem wissenden wissender wissendes wissens wissenschaften
+wissenschafter wissenschaftlerin wissenschaftlern wissenschaftlers wissenschaftlich wissest witwen
+witwer witwern witwers witzele witzelei witzeln witzelnd witzelns witzelst witzelt witzelte witzen
+witzes witzige witzigem witzigen witziger witzigere witziges witzigste witzle witzlos woandershin
+wochenendabo wochenenden wochenendes wochenends wochenendtag wochenendzug wochentag wodkas woherum
+wohinein wohinter wohlan wohlauf wohle wohler wohles wohlig wohlige wohlmut wohls wohlste wohltat
+wohltue wohltun wohltut wohnbau wohnbus wohnend wohnende wohnendem wohnenden wohnender wohnendes
+wohnens wohnhof wohnklo wohnort wohnrad wohnsaal wohnsilo wohnsitz wohnspur wohnstadt wohnstall
+wohnstatt wohnstift wohnstil wohnstile wohnstils wohnstock wohnstube wohnsäle wohnteil wohnteile
+wohnteils wohnten wohntest wohntet wohnturm wohnungen wohnwagens wohnwand wohnweg wohnzimmern
+wohnzimmers wohnzimmertür wohnzimmeruhr wolfach wolfegg wolfes wolff wolfram wolfs wolkenart
+wolkenbau wolkenhof wolkenlos wolkentor wolkentyp wolkenweg wolkenzug wolkig wolkige wollart wollend
+wollende wollendem wollenden wollender wollendes wollene wollenem wollenen wollener wollenes wollens
+wollest wollig wollige wolltuch wolltyp wolltyps wollust womögliche womöglichem womöglichen
+womöglicher womögliches woods woraufhin woraus word worfeln worldcup wortarm wortart wortbau
+wortende wortenden wortendes wortes wortgut wortlos worts wortton worttyp wrackgut wracks wucher
+wuchere wuchern wuchers wuchert wuchsen wuchses wuchsest wuchsort wuchst wucht wuchte wuchten
+wuchtet wuchtig wuchzen wund wundart wundem wunderakt wunderbarem wunderbarere wunderbarerem
+wunderbareren wunderbarerer wunderbareres wunderbares wunderbarste wunderbau wunderbaues wunderbaum
+wunderbaums wunderbild wunderblut wunderbuch wunderburg wundere wundereis wunderem wunderen wunderer
+wunderes wunderkur wunderle wunderlen wundernahm wundernase wundernd wundernde wunderndem wundernden
+wundernder wunderndes wundernetz wunderns wunderrad wunders wundersam wunderschönem wunderschöner
+wunderschönes wundersee wunderst wundertat wunderte wunderteam wunderten wundertest wundertet
+wundertext wundertier wundertoll wundertopf wundertür wundertüte wunderuhr wundervogel wundervollem
+wundervollen wundervoller wundervollere wundervollerem wundervolleren wundervollerer wundervolleres
+wundervolles wundervollste wunderweg wundes wundlag wundmal wundre wundste wunsche wunsches
+wunschlos wunschs wurdet wurfarm wurfart wurfaxt wurfes wurfmal wurfrad wurfs wurfuhr wurfweg wurme
+wurmen wurmend wurmens wurmes wurmig wurmige wurmkur wurmloches wurmlochs wurmlöwe wurms wurmst
+wurmt wurmte wurmten wurmtet wurz wurzach wurzel wurzelbau wurzele wurzellos wurzelnd wurzelnde
+wurzelndem wurzelnden wurzelnder wurzelndes wurzelnetz wurzelns wurzelnuss wurzelst wurzelt wurzelte
+wurzelten wurzeltet wurzeltyp wurzen wurzend wurzle wusstet wächsern wächterin wächtern wächters
+wählbar wählend wählende wählendem wählenden wählender wählendes wählens wähler wählerin wählern
+wählers wählst wählte wählten wähltest wähltet währe währen währenddem währende währendem währenden
+währender währendes währens währing währst währt währte währten währtet währung wänden wärest wäret
+wärmebad wärmekap wärmen wärmend wärmende wärmens wärmer wärmere wärmerem wärmeren wärmerer wärmeres
+wärmetod wärmst wärmste wärmt wärmte wärmten wärmtet wärterin wärtern wärters wäschebox wäschen
+wäscher wäscherei wäscherin wäschern wäschers wäschst wäscht wölfen wölfin wörtern wörth wörther
+wünschbar wünschend wünschende wünschendem wünschenden wünschender wünschendes wünschens wünschest
+wünschten wünschtest wünschtet würdelos würdige würdigem würdigen würdigend würdigens würdiger
+würdigere würdiges würdigst würdigste würdigt würdigte würdigten würdigtet würdigung würfe würfele
+würfelfan würfelig würfelige würfeln würfelnd würfelnde würfelns würfels würfelst würfelt würfelte
+würfelten würfeltet würfeltyp würfen würfle würflig würm würmern würmsee würstchens wüsstet wüst
+wüstem wüsten wüstenei wüster wüstere wüsterem wüsteren wüsterer wüsteres wüstes wüsteste wüstung
+wüte wüten wütende wütendem wütenden wütender wütendere wütendes wütendste wütens wüterei wütest
+wütet wütete wüteten wütetet xandra yangtse yankee yard yorkerin yorkern yorkers yorks zacke zacken
+zackern zackig zackige zahlbar zahlbox zahlenart zahlend zahlende zahlendem zahlenden zahlender
+zahlendes zahlenmaß zahlens zahlentyp zahler zahlern zahlers zahlgut zahllos zahlstein zahltag
+zahltage zahltags zahlte zahlten zahltest zahltet zahltyp zahltyps zahlung zahna zahnarme zahnarmen
+zahnarmer zahnarten zahnarztes zahnbau zahnen zahnend zahnens zahnes zahnfee zahngel zahnhof zahnig
+zahnlos zahnrad zahns zahntyp zahnung zahnwal zahnweh zauberbär zaubere zauberei zaubereien
+zauberern zauberers zauberfee zauberhut zauberin zaubern zaubernd zaubernde zauberns zaubers
+zaubersee zauberst zaubert zaubertag zauberte zauberten zaubertet zaubertyp zauberuhr zaubre zaunbau
+zaunes zauns zauntür zehe zehneck zehner zehnerl zehnern zehners zehnmal zehnt zehnte zehntel
+zehntem zehnten zehnter zehntes zehnts zeichenart zeichenbox zeichens zeichentyp zeichne zeichnend
+zeichnende zeichnendem zeichnenden zeichnender zeichnendes zeichnens zeichner zeichnerin zeichnern
+zeichners zeichnest zeichnet zeichnete zeichneten zeichnetet zeigend zeigende zeigendem zeigenden
+zeigender zeigendes zeigens zeiger zeigern zeigers zeigtest zeigtet zeil zeilenart zeilenbau
+zeilenmaß zeilentyp zeitaltern zeitalters zeitalterung zeitehe zeitgut zeither zeithof zeitig
+zeitige zeitigt zeitlos zeitmaschinen zeitmaschinist zeitmaß zeitnah zeitnot zeitplanen zeitplanens
+zeitplanes zeitplans zeitplanung zeitpläne zeitpunkte zeitpunkten zeitpunktes zeitpunkts zeitrum
+zeitschriften zeitschritt zeitschritte zeitton zeittor zeituhr zeitverschwender zeitverschwendungen
+zeitz zeitzer zell zellart zellbau zellenbau zellenrad zellentod zellentyp zellentür zellenzym
+zeller zellern zellers zellgut zellhof zellsee zelltod zelltyp zeltart zeltbau zelte zelten zeltend
+zeltens zelter zeltes zeltest zeltet zeltete zelttyp zeltweg zenta zentaur zentimetermaß zentimetern
+zentimeters zentner zentral zentralamt zentralbad zentralbau zentralbus zentralem zentralen
+zentraler zentralere zentralerem zentraleren zentralerer zentraleres zentrales zentralhof zentralhub
+zentralort zentralost zentralrat zentralruf zentralste zentraltal zentraluhr zentren zentrier
+zentrums zerbreche zerbrechend zerbrechende zerbrechendem zerbrechenden zerbrechender zerbrechendes
+zerbrechens zerbrecht zerbrochene zerbrochenem zerbrochenen zerbrochener zerbrochenes zeremoniell
+zeremonielle zeremoniells zeremonien zeremoniös zeremoniöse zerriss zerrisse zerrissene zerrissenem
+zerrissenen zerrissener zerrissenes zerrissest zerrisset zerrisst zerstach zerstieb zerstieß zerstob
+zerstoße zerstoßt zerstreu zerstöbe zerstör zerstörbar zerstöre zerstörend zerstörende zerstörendem
+zerstörenden zerstörender zerstörendes zerstörens zerstörer zerstörern zerstörers zerstörst
+zerstörte zerstörtem zerstörten zerstörter zerstörtes zerstörtest zerstörtet zerstörungen zerstößt
+zett zettelbox zettele zetteln zettels zettelst zettelt zettelte zettelten zetteltet zettle zeugamt
+zeugend zeugende zeugendem zeugenden zeugender zeugendes zeugeneid zeugens zeuger zeuginnen zeugma
+zeugnis zeugs zeugst zeugt zeugte zeugten zeugtet zeugung ziegel ziegelei ziegeln ziegelnd ziegels
+ziegen zieger ziegler ziehend ziehende ziehendem ziehenden ziehender ziehendes ziehens zieher
+ziehers ziehhol ziehsohn ziehung zielart zielecho zielecke zielend zielende zielendem zielenden
+zielender zielendes zielens zielenzym zieles zielgen ziellos zielort ziels zielst zielt zielte
+zielten zieltet zielton zieltor zieltyp zielweg ziemliche ziemlichem ziemlichen ziemlicher
+ziemliches zigarettenbox zigarettentyp zigarren zimmerart zimmere zimmerei zimmerer zimmerern
+zimmerers zimmerhof zimmern zimmernd zimmernde zimmers zimmerst zimmert zimmerte zimmerten zimmertet
+zimmertür zirka zirkel zirkele zirkeln zirkels zirkelt zirkle zirkon zirkular zirkulär zirkusbau
+zirkusbär zirkusrad zirkusse zirkussen zirkuszug zittau zittaus zitter zitteraal zittere zitterig
+zitterige zitternd zitternde zitterndem zitternden zitternder zitterndes zitterns zitterst zittert
+zitterte zitterten zittertet zittre zittrig zivilisationen zivilist zivilistin zollamt zolle zollen
+zollend zollens zollgut zollhof zollmaß zollrad zollrat zolls zollst zollt zollte zollten zolltet
+zolltor zollwut zonen zornes zornig zornige zornrot zorns zuck zucke zuckeln zuckelnd zuckelst
+zuckelt zuckelte zucken zuckend zuckende zuckens zuckerart zuckere zuckerfee zuckerhut zuckerig
+zuckerige zuckerl zuckerln zuckern zuckernd zuckernde zuckers zuckerst zuckersüß zuckert zuckerte
+zuckerten zuckertet zuckertyp zuckrig zuckst zuckt zuckte zuckten zucktet zuckung zufahre zufahrt
+zufalle zufallen zufallend zufallens zufalles zufalls zufallt zufasse zufasst zufaxen zufriedene
+zufriedenem zufriedenen zufriedener zufriedenere zufriedenes zufriedengab zufriedenste zufriere
+zufrieren zufrierst zufriert zufälle zufällen zufällige zufälligem zufälligen zufälliger zufälligere
+zufälliges zufälligste zufällst zufällt zugab zugabe zugaben zugabst zugabt zugange zuganges zugangs
+zuganker zugarm zugarme zugarms zugart zuge zugebaut zugebe zugebend zugebende zugebendem zugebenden
+zugebender zugebendes zugebens zugebt zugegen zugehabt zugehakt zugehe zugehen zugehend zugehens
+zugehst zugeht zugehör zugehöre zugehören zugehörend zugehörens zugehörig zugehörige zugehörst
+zugehörte zugehörten zugehörtest zugehörtet zugelassene zugelassenem zugelassenen zugelassener
+zugelassenes zugende zuges zugeselle zugesellt zugesetzt zugestimmte zugestimmtem zugestimmten
+zugestimmter zugestimmtes zugestopft zugetan zugrad zugraub zugriffe zugriffen zugriffes zugriffs
+zugrind zugrohr zuhaben zuhaken zuhalte zuhaue zuhauen zuhauend zuhauens zuhauf zuhauses zuhaust
+zuhaut zuhaute zuhauten zuhautet zuhält zuhälterei zuhälterin zuhältern zuhälters zuhältst zuhöre
+zuhörend zuhörende zuhörendem zuhörenden zuhörender zuhörendes zuhörens zuhörer zuhörerin zuhörern
+zuhörers zuhörst zuhört zuhörte zuhörten zuhörtet zukomme zukommend zukommende zukommendem
+zukommenden zukommender zukommendes zukommens zukommst zukommt zukünftig zukünftigem zukünftigen
+zukünftiger zukünftiges zulasse zulassend zulassende zulassendem zulassenden zulassender zulassendes
+zulassens zulasst zulassung zulasten zulege zulegen zulegst zulegt zulegte zuleid zuleide zuleite
+zulief zuliefe zuliefen zuließ zuließe zuließen zuließt zumindestens zuneige zuneigen zuneigend
+zuneigens zuneigst zuneigt zuneigte zuneigten zuneigtet zuneigungen zungen zungen-r zurechne
+zurechnen zurechnet zurechtkam zurede zureden zuredet zureist zureite zurek zurenne zurennt
+zurückbog zurückbringe zurückbringend zurückbringende zurückbringendem zurückbringenden
+zurückbringender zurückbringendes zurückbringens zurückbringst zurückbringt zurücken zurückgab
+zurückgebaut zurückgebe zurückgebend zurückgebende zurückgebendem zurückgebenden zurückgebender
+zurückgebendes zurückgebens zurückgebrachte zurückgebrachtem zurückgebrachten zurückgebrachter
+zurückgebrachtes zurückgebt zurückgehe zurückgehend zurückgehende zurückgehendem zurückgehenden
+zurückgehender zurückgehendes zurückgehens zurückgeholt zurückgehst zurückgeht zurückgekehrte
+zurückgekehrtem zurückgekehrten zurückgekehrter zurückgekehrtes zurückgekommene zurückgekommenem
+zurückgekommenen zurückgekommener zurückgekommenes zurückgelassene zurückgelassenem zurückgelassenen
+zurückgelassener zurückgelassenes zurückhalf zurückhalfen zurückhalfst zurückhalft zurückhalte
+zurückhaltend zurückhaltende zurückhaltendem zurückhaltenden zurückhaltender zurückhaltendes
+zurückhaltens zurückhaltet zurückhaltung zurückhole zurückholend zurückholende zurückholendem
+zurückholenden zurückholender zurückholendes zurückholens zurückholst zurückholt zurückholte
+zurückholten zurückholtet zurückkam zurückkehre zurückkehrend zurückkehrende zurückkehrendem
+zurückkehrenden zurückkehrender zurückkehrendes zurückkehrens zurückkehrst zurückkehrte
+zurückkehrten zurückkehrtest zurückkehrtet zurückkommend zurückkommende zurückkommendem
+zurückkommenden zurückkommender zurückkommendes zurückkommens zurücklag zurücklasse zurücklassend
+zurücklassende zurücklassendem zurücklassenden zurücklassender zurücklassendes zurücklassens
+zurücklasst zurücklassung zurückrufe zurückrufend zurückrufende zurückrufendem zurückrufenden
+zurückrufender zurückrufendes zurückrufens zurückrufst zurückruft zurücktun zurückziehbar
+zurückziehe zurückziehend zurückziehende zurückziehendem zurückziehenden zurückziehender
+zurückziehendes zurückziehens zurückzieher zurückziehern zurückziehers zurückziehst zurückzieht
+zurückziehung zurückzog zurüste zusammenarbeite zusammenarbeitend zusammenarbeitende
+zusammenarbeitendem zusammenarbeitenden zusammenarbeitender zusammenarbeitendes zusammenarbeitens
+zusammenarbeitest zusammenarbeitet zusammenarbeitete zusammenarbeiteten zusammenarbeitetet
+zusammenbau zusammenhabe zusammenhaben zusammenhabt zusammenhalt zusammenhalte zusammenhaltend
+zusammenhaltende zusammenhaltendem zusammenhaltenden zusammenhaltender zusammenhaltendes
+zusammenhaltens zusammenhaltes zusammenhaltet zusammenhalts zusammenhaltung zusammenhanges
+zusammenhanglos zusammenhangs zusammenharke zusammenharkt zusammenhast zusammenhatte zusammenhaue
+zusammenhauen zusammenhaust zusammenhaut zusammenhaute zusammenhing zusammenhole zusammenholt
+zusammenhält zusammenkam zusammenlog zusammensaß zusammentat zusammentue zusammentun zusammentut
+zusammenzog zusammenzug zusamt zuschalte zuschanze zuschanzt zuschaue zuschauen zuschauend
+zuschauende zuschauens zuschauerin zuschauern zuschauers zuschauerweg zuschaust zuschaut zuschaute
+zuschauten zuschautet zuschlag zuschlage zuschlagend zuschlagende zuschlagendem zuschlagenden
+zuschlagender zuschlagendes zuschlagens zuschlages zuschlags zuschlagt zuse zusehe zusehend
+zusehende zusehendem zusehenden zusehender zusehendes zusehends zusehens zuseher zuseherin zuseht
+zusende zusetze zusetzt zustach zustande zustanden zustandes zustandest zustandet zustands
+zustandsnr zustapfe zustapft zustehe zusteht zustieg zustieß zustimme zustimmend zustimmende
+zustimmendem zustimmenden zustimmender zustimmendes zustimmens zustimmst zustimmt zustimmte
+zustimmten zustimmtet zustimmungen zustoße zustoßt zustrom zustupf zustände zuständen zuständige
+zuständigem zuständigen zuständiger zuständiges zusätzlich zusätzlichem zusätzlichen zusätzlicher
+zusätzliches zutraf zutrage zutragt zutrat zutraue zutraut zutrifft zutrinke zutrinkt zutrittes
+zutritts zutrug zuträfe zuträgt zuvorkam zuvortue zuvortun zuvortut zwane zwang zwangen zwanges
+zwangs zwangst zwangt zwanziger zwanzigern zwanzigmal zwanzigste zweckbau zwecke zweckehe zwecken
+zweckes zwecklose zwecklosem zwecklosen zweckloser zwecklosere zweckloses zwecklüge zwecks zweibad
+zweien zweier zweifach zweifele zweifelei zweifellose zweifellosem zweifellosen zweifelloser
+zweifellosere zweifelloses zweifeln zweifelnd zweifelnde zweifelns zweifels zweifelst zweifelt
+zweifelte zweifelten zweifeltet zweifle zweifler zweifuß zweig zweige zweigen zweiges zweigs zweigst
+zweigt zweigte zweimalige zweipol zweirad zweisam zweitakt zweitbau zweitehe zweitehen zweiteile
+zweiteilt zweitem zweitjob zweitrat zweituhr zweiweg zwerch zwerche zwergboa zwergelfe zwergen
+zwergente zwerges zwerghai zwergin zwergs zwergwal zwillich zwilling zwillingen zwillings zwing
+zwinge zwingend zwingende zwingendem zwingenden zwingender zwingendes zwingens zwinger zwingern
+zwingers zwingli zwinglis zwingst zwischenakt zwischenart zwischenbau zwischenfach zwischenfachs
+zwischenfalles zwischenfalls zwischenfarbe zwischenfazit zwischenfilm zwischenform zwischengas
+zwischenrad zwischenruf zwischentag zwischenton zwischentor zwischentyp zwischentür zwischenweg
+zwischenzeile zwischenzeilen zwischenzeiten zwischenzelle zwischenziel zwischenzins zwischenzone
+zwischenzug zwölfeck zwölfer zwölfern zwölfers zwölfmal zwölft zwölfte zwölftel zwölftem zwölften
+zwölfter zwölftes zählbar zählebig zählend zählende zählendem zählenden zählender zählendes zählens
+zähler zählern zählers zählmaß zählst zählte zählten zähltest zähltet zählung zähnend zöge zögen
+zögere zögerer zögerin zögernd zögernde zögerndem zögernden zögernder zögerndes zögerns zögerst
+zögert zögerte zögerten zögertet zögerung zögest zöget zügel zügele zügeln zügelnd zügelns zügels
+zügelst zügelt zügelte zügen ägyptens ägypter ägypterin ägyptern ägypters ähnele ähneln ähnelnd
+ähnelnde ähnelns ähnelst ähnelte ähnelten ähneltest ähneltet ähnliche ähnlichem ähnlichen ähnlicher
+ähnlichere ähnlicherem ähnlicheren ähnlicherer ähnlicheres ähnlichkeiten ähnlichste älte älterem
+älterer älteres älteste änderbar ändere ändernd ändernde änderndem ändernden ändernder änderndes
+änderns änderst änderten ändertest ändertet änderungen ängstliche ängstlichem ängstlichen
+ängstlicher ängstlichere ängstliches ängstlichste äpfeln äpfelnd ärgere ärgerem ärgeren ärgerer
+ärgeres ärgernd ärgernde ärgerndem ärgernden ärgernder ärgerndes ärgernis ärgers ärgerst ärgert
+ärgerte ärgerten ärgertet ärmellos ärmeln ärmels ärmer ärmere ärmerem ärmeren ärmerer ärmeres
+ärschen ärschend ärzten ärztetag ärztinnen ätze ätzen ätzende ätzendem ätzenden ätzender ätzendes
+ätzens ätzest äußere äußerem äußeren äußerer äußeres äußerln äußern äußernd äußernde äußerns
+äußerste äußerstem äußersten äußerster äußerstes äußert äußerte äußerten äußertet äußerung
+öffentlichem öffentlicher öffentlichere öffentlicherem öffentlicheren öffentlicherer öffentlicheres
+öffentliches öffentlichkeiten öffentlichste öffnend öffnende öffnendem öffnenden öffnender öffnendes
+öffnens öffner öffnest öffneten öffnetest öffnetet öffnung öfteren öfters übeln übels übelst übelste
+übeltat übend übende übendem übenden übender übendes übens überallhin überaus überaß überaßen
+überaßt überbau überbot überbringe überbringend überbringende überbringendem überbringenden
+überbringender überbringendes überbringens überbringer überbringerin überbringern überbringers
+überbringst überbringt überbringung überdenke überdenkend überdenkende überdenkendem überdenkenden
+überdenkender überdenkendes überdenkens überdenkst überdenkt übereck übereifer übereigne übereile
+übereilen übereilig übereilst übereilt übereilte übereinkam überesse überesst überfahre überfahrend
+überfahrende überfahrendem überfahrenden überfahrender überfahrendes überfahrene überfahrenem
+überfahrenen überfahrener überfahrenes überfahrens überfahrt überfahrten überfalle überfallend
+überfallende überfallendem überfallenden überfallender überfallendes überfallene überfallenem
+überfallenen überfallener überfallenes überfallens überfalles überfalls überfallt überfang überfass
+überfeld überfiel überflog überflug überflut überflüsse überflüssen überflüssige überflüssigem
+überflüssigen überflüssiger überflüssigere überflüssiges überflüssigste überfrau überfraß überfuhr
+übergab übergabeakt übergaben übergabeort übergabst übergabt übergang übergange übergangs übergebe
+übergebend übergebende übergebendem übergebenden übergebender übergebendes übergebene übergebenem
+übergebenen übergebener übergebenes übergebens übergebot übergebote übergebt übergebühr übergehe
+übergehen übergehst übergeht übergeist übergenau übergenug übergibt überging übergoss übergroß
+überguss überhand überhang überhangs überhart überhaste überhaus überhauses überhin überhob überkam
+überlade überladen überladet überlage überlagen überlang überlange überlappe überlappt überlas
+überlasen überlasest überlassend überlassende überlassendem überlassenden überlassender
+überlassendes überlassene überlassenem überlassenen überlassener überlassenes überlassens überlasst
+überlassung überlast überlaste überlasten überlastet überlauf überlaufe überlaufs überlauft überlaut
+überlaute überlebe überlebend überlebendem überlebender überlebendes überlebens überlebst überlebte
+überlebtem überlebten überlebter überlebtes überlebtest überlebtet überlegend überlegende
+überlegendem überlegenden überlegender überlegendes überlegene überlegenem überlegenen überlegener
+überlegenes überlegens überlegst überlegte überlegtem überlegten überlegter überlegtes überlegtest
+überlegtet überlegung überleite überlese überlesen überlest überlief überließ überlud überlädt überm
+übermaß übermut übern übernachte übernachtend übernachtende übernachtendem übernachtenden
+übernachtender übernachtendes übernachtens übernachtest übernachtet übernachtete übernachtetem
+übernachteten übernachteter übernachtetes übernachtetet übernachtung übernahme übernahmen übernahmst
+übernahmt übername übernatur übernehmend übernehmende übernehmendem übernehmenden übernehmender
+übernehmendes übernehmens übernehmer übernehmers übernehmt übernimm übernimmst übernommene
+übernommenem übernommenen übernommener übernommenes überohr überpreis überprüfbar überprüfend
+überprüfende überprüfendem überprüfenden überprüfender überprüfendes überprüfens überprüfer
+überprüfern überprüfers überprüfst überprüfte überprüftem überprüften überprüfter überprüftes
+überprüftest überprüftet überprüfung überquelle überquellt überquere überquerend überquerende
+überquerendem überquerenden überquerender überquerendes überquerens überquerst überquert überquerte
+überquertem überquerten überquerter überquertes überquertet überquerung überrasche überraschende
+überraschendem überraschenden überraschender überraschendes überraschendste überraschens überrascher
+überraschest überraschst überraschte überraschtem überraschten überraschter überraschtes
+überraschtest überraschtet überraschungsei überredbar überrede überredend überredende überredendem
+überredenden überredender überredendes überredens überredest überredete überredetem überredeten
+überredeter überredetes überredetest überredetet überredung überreich überreif überreife überreiz
+überreize überreizt überreiße überreißt überrenne überrennt überrest überreste überrests übersah
+übersaht übersatt übersee übersehbar übersehe übersehend übersehende übersehendem übersehenden
+übersehender übersehendes übersehene übersehenem übersehenen übersehener übersehenes übersehens
+überseht übersein überseite übersende übersetzbar übersetze übersetzend übersetzende übersetzendem
+übersetzenden übersetzender übersetzendes übersetzens übersetzer übersetzerei übersetzerin
+übersetzern übersetzers übersetzest übersetzte übersetztem übersetzten übersetzter übersetztes
+übersetztest übersetztet übersetzungen übersinn übersitz überstand überstandene überstandenem
+überstandenen überstandener überstandenes überstandest überstandet überstehe überstehend
+überstehende überstehendem überstehenden überstehender überstehendes überstehens überstehst
+übersteht übersteige übersteigt überstein übersteine überstellt überstunde übersäe übersäen übersähe
+übersäst übersät übersäte übertraf übertrafen übertrafst übertraft übertrag übertragbar übertrage
+übertragend übertragende übertragendem übertragenden übertragender übertragendes übertragene
+übertragenem übertragenen übertragener übertragenes übertragens übertrages übertrags übertragt
+übertragungen übertrat übertraten übertratet übertratst übertreibe übertreibend übertreibende
+übertreibendem übertreibenden übertreibender übertreibendes übertreibens übertreibst übertreibt
+übertreibung übertrieb übertriebene übertriebenem übertriebenen übertriebener übertriebenes
+übertriebst übertriebt übertun überwache überwachend überwachende überwachendem überwachenden
+überwachender überwachendes überwachens überwacher überwachern überwachers überwachsen überwachst
+überwachte überwachtem überwachten überwachter überwachtes überwachtest überwachtet überwachungen
+überwaffe überwallt überwand überwarf überweg überwindbar überwinde überwindend überwindende
+überwindendem überwindenden überwindender überwindendes überwindens überwinder überwindern
+überwinders überwindest überwindet überwindung überwintre überwog überzeit überzeug überzeugbar
+überzeuge überzeugende überzeugendem überzeugenden überzeugender überzeugendere überzeugendes
+überzeugendste überzeugens überzeugs überzeugst überzeugte überzeugtem überzeugten überzeugter
+überzeugtes überzeugtest überzeugtet überzeugung überzog überzug üblem üblen übler üblere üblerem
+übleren üblerer übleres übles üblichem üblicher üblichere üblicherem üblicheren üblicherer
+üblicheres übliches üblichste übrige übrigem übrigen übriger übriges übungen
+`;
@@ -0,0 +1,5957 @@
+// English words for OCR correction, lower case, whitespace separated: common spoken words, then
+// SCOWL sizes 10–50 with British spellings (wordlist-english, MIT).
+export default `
+a able about above absolutely accept accepted accident across act acting action actually add added
+address afraid after afternoon again against age ago agree agreed ah ahead air alive all allow
+allowed almost alone along already alright also although always am amazing america american among
+amount an and angry animal animals another answer any anybody anymore anyone anything anyway
+anywhere apart apartment apologise apologize appear apple apples are area aren't arm arms army
+around arrest arrested arrive arrived art as ask asked asking asleep at attack attention aunt away
+awful baby back bad badly bag ball band bank bar bath be beach bear beat beautiful became because
+become bed bedroom been beer before began begin beginning behind being believe believed bell below
+beside best bet better between big bigger bill bird birds birthday bit bite black blame blind blood
+blow blue board boat body book books born boss both bother bottle bottom bought box boy boyfriend
+boys brain brand brave bread break breakfast breath breathe bring bringing britain british broke
+broken brother brothers brought brown build building built burn burning bus business busy but buy
+buying by bye cake call called calling calm came camera camp can can't cancer cannot captain car
+card care careful carry case cash cat catch caught cause cell centre century certain certainly chair
+chance change changed chat cheap check cheese chicken chief child children chip chips choice choose
+chose christmas church city class clean clear clearly clever close closed closer clothes club coat
+coffee cold college colour come comes coming company complete completely computer concerned contact
+control cook cool cop cops corner correct cost could couldn't council count country couple course
+court cousin cover crazy cream crime cross crowd cry crying cup cut cute dad daddy damn dance
+dancing danger dangerous dark darling date daughter day days dead deal dear death decide decided
+decision deep definitely delicious department desk detective did didn't die died difference
+different difficult dinner direction dirty do doctor does doesn't dog dogs doing don't done door
+double doubt down dream dress drink drive driver driving drop dropped drove drug drugs drunk dry
+during each ear earlier early earth easier easy eat eating egg eggs eight either else email empty
+end ended enemy england english enjoy enough enter entire especially even evening event ever every
+everybody everyone everything everywhere evidence exactly example excellent except excited exciting
+excuse expect expected experience explain eye eyes face fact fair fall fallen family famous fan
+fancy far farm fast fat father fault favour favourite fear feel feeling feelings feet fell fellow
+felt few field fight fighting figure fill film final finally find fine finger finish finished fire
+first fish five fix flat floor flower flowers fly follow food fool foot football for force forever
+forget forgive forgot forgotten form forward found four free french fresh friday friend friendly
+friends from front fucking full fun funny future game games garden gas gave get gets getting ghost
+girl girlfriend girls give given giving glad glass go god goes going gold gone gonna good goodbye
+goodnight got gotta gotten government grab grand grandma great green grew ground group grow guard
+guess guest gun guy guys had hadn't hair half hall hand handle hands hang happen happened happening
+happens happy hard hardly has hasn't hat hate have haven't having he he'd he'll he's head health
+hear heard hearing heart heat heaven heavy hell hello help helped helping her here here's hey hi
+hide high hill him himself his history hit hold hole holiday home honest honestly honey hope
+horrible horse hospital hot hotel hour hours house how how's however huge human hundred hungry hurry
+hurt husband i i'd i'll i'm i've ice idea if ill important impossible in inside instead interested
+interesting into is isn't it it'll it's its itself jack job jobs john join joke joking judge jump
+just keep keeping kept key kid kids kill killed killer killing kind king kiss kitchen knew knock
+know knowing known knows lady lake land language large last late later laugh law lawyer lay lead
+leader learn learned learnt least leave leaving led left leg legs less let let's letter lie lied
+lies life light like liked likes line list listen listening little live lived lives living lock
+london long look looked looking looks lord lose losing lost lot lots loud love loved lovely lucky
+lunch mad made magic main make makes making man manager many mark market married marry match matter
+may maybe me mean meaning means meant meet meeting member memory men mess message met middle might
+mile miles mind mine minute minutes miss missed missing mister mistake modern mom moment monday
+money month months more morning most mother mouth move moved movie moving mr mrs ms much mum mummy
+murder music must my myself name named names nasty near nearly neck need needed needs neighbour
+neither nervous never new news next nice night nine no nobody noise none nor normal north nose not
+note nothing notice now number nurse o'clock of off offer office officer often oh ok okay old on
+once one ones only onto open opened opposite or order other others our ours ourselves out outside
+over own owner pack page paid pain paint pair paper parents park part party pass passed past pay
+paying peace people perfect perhaps person personal phone pick picked picture piece place places
+plan plane play played player playing please pleased pocket point police poor position possible post
+pound pounds power present president press pretty prison private probably problem problems promise
+proud prove pub public pull push put quick quickly quiet quite race radio rain raise ran rather
+reach read reading ready real really reason red relax remember report rest right ring risk river
+road rock role room round rule rules run running sad safe said same saturday save saved saw say
+saying says scared school sea search second seconds secret see seeing seem seems seen sell send
+sense sent serious seriously set seven several sex shall shame she she'd she'll she's ship shit
+shoes shoot shop short shot should shouldn't show shut sick side sign silly simple since sing single
+sir sister sit sitting situation six size skin sleep sleeping slow slowly small smart smell smile
+smoke so some somebody someone something sometimes somewhere son song soon sorry sort sound south
+space speak special spend spent spot staff stage stand star start started state station stay stayed
+step stick still stop stopped story straight strange street strong stuck student stuff stupid such
+suddenly sugar summer sun sunday supper supposed sure surprise sweet sweetheart system table take
+taken taking talk talked talking tea teach team tell telling ten terrible test than thank thanks
+that that's the their them themselves then there there's these they they'd they'll they're they've
+thing things think thinking third this those though thought thousand three threw through throw
+thursday tickets till time times tired to today together told tomorrow tonight too took top total
+totally touch town track train travel tree trial trip trouble true trust truth try trying tuesday
+turn turned tv twenty twice two uncle under understand understood unless until up upon upset
+upstairs us use used using usual usually very victim view village visit voice wait waiting wake walk
+walked walking wall want wanted wanting wants war warm warn was wash washing wasn't watch watched
+watching water way ways we we'd we'll we're we've wear wearing weather wedding wednesday week
+weekend weeks weird welcome well went were weren't west what what's whatever when where where's
+whether which while white who who's whole whom whose why wife wild will win wind window wine wish
+with within without woman women won won't wonder wonderful word words work worked working works
+world worried worry worse worst worth would wouldn't wow write writing wrong wrote yard yeah year
+years yellow yes yesterday yet you you'd you'll you're you've young your yours yourself yourselves
+abilities ability absence absolute abuse academic acceptable accepting accepts access accessible
+accidental accidentally accord accorded according accordingly accords account accounts accuracy
+accurate achieve achieved achieves achieving acquire acquired acquires acquiring acted actions
+active activities activity acts actual adding addition additional addressed addresses addressing
+adds adequate adjust administration admit admits admitted admittedly admitting adopt adopted
+adopting adopts advance advanced advances advancing advantage advantages advertise advertised
+advertises advertising advice advise advised advises advising affair affairs affect affected
+affecting affects afford afterwards agency ages agreeing agreement agrees aid aim aimed aiming aims
+alarm album algorithm algorithms alias allowing allows alter altered altering alternate alternative
+alternatively alternatives alters altogether ambiguous amounts amuse amused amuses amusing analogue
+analysis ancient angle announce announcement annoy annoyed annoying annoys annual anonymous answered
+answering answers anyplace apologies apology apparent apparently appeal appearance appeared
+appearing appears application applications applied applies apply applying appreciate appreciated
+appreciates appreciating approach appropriate approval approve approved approves approving arbitrary
+areas argue argued argues arguing argument arguments arise arises arithmetic arrange arranged
+arrangement arrangements arranges arranging arrives arriving article articles artificial artist
+aside asks aspect aspects assembler assembly assistant associate associated associates associating
+association assume assumed assumes assuming assumption assure assured assures assuring ate
+atmosphere attach attached attaching attachés attempt attempted attempting attempts attend attended
+attending attends attitude attract attractive audience author authorities authority authors
+automatic automatically automobile autumn available average avoid avoided avoiding avoids awake
+award aware awkward backed background backing backs backwards balance ban bars base based bases
+basic basically basing basis battery bearing bears becomes becoming beforehand begins begun behalf
+behave believes believing belong belongs benefit benefits besides bets betting beyond bid bidding
+bids biggest binary bind binding binds biology bites biting bits bitten bizarre blank block boards
+bodies boot bore borne borrow borrowed borrowing borrows bothered bothering bothers bound boxes
+bracket brackets branch branches breach breaking breaks bridge brief briefly bright brings broadcast
+broadcasting broadcasts bucket budget buffer bug bugs buildings builds bulk bulletin buried buries
+bury burying button buys byte bytes calculate calculation calculations calls campaign candidate
+capable capacity capital cardboard cards carefully cares carried carries carrying cases cassette
+catches catching categories category caused causes causing cease cent central chain chairman chances
+changes changing channel channels chaos chapter char character characters charge charged charges
+charging chars cheaper cheapest checked checking checks chemical chooses choosing chosen circle
+circuit circulation circumstance circumstances citizen claim claimed claiming claims clarify classes
+cleared clearer clearest clearing clears clock closely closes closest closing clue code coded codes
+coding collapse collect collected collecting collection collects colleges column combination
+combinations combine combined combines combining command commands comment commented commenting
+comments commercial commission commitment committee common commonly communicate communication
+communications community comparable comparatively compare compared compares comparing comparison
+compatibility compatible competition compiler complain complained complaining complains complaint
+complaints completed completes completing complex complexity complicate complicated complicates
+complicating component components compose composed composes composing composition comprehensive
+compromise compulsory compute computed computers computes computing concept concern concerning
+concerns conclusion concrete condition conditions conference confident confirm confirmed confirming
+confirms confuse confused confuses confusing confusion connect connected connecting connection
+connections connects consequence consequences consequently consider considerable considerably
+consideration considered considering considers consist consistency consistent consists constant
+constraint constraints construct consumption contain contained containing contains content contents
+context continually continuation continue continued continues continuing continuous continuously
+contract contrary contrast contribute contribution contributions controlled controlling controls
+convenient convention conventional conventions conversation convert convince convinced convinces
+convincing cope copied copies copy copying core corners corrected correcting correction correctly
+corrects corrupt corrupted corrupting corrupts costing costs counted counter counting counts county
+courses covered covering covers crash crashed crashes crashing create created creates creating
+creation creature credit crisis crisp crisps critical criticism cs culture cumming cums cure curious
+current currently cursor customer cuts cutting cycle cycles daily damage damaged damages damaging
+dare data database dated dates dating datum dealing deals dealt debate decade decent decides
+deciding decisions declare declared declares declaring decrease dedicate dedicated dedicates
+dedicating deduce deem deemed deeming deems deeply default define defined defines defining definite
+definition definitions definitive degree degrees delay delete deleted deletes deleting deliberate
+deliberately deliver delivered delivering delivers delivery demand demands democratic demonstrate
+demonstration depend depended depending depends depth derive derived derives deriving describe
+described describes describing description descriptions design designed designing designs desirable
+desire desired desires desiring desperate despite destroy destroyed destroying destroys detail
+detailed detailing details detect detected detecting detects determine determined determines
+determining develop developed developing development develops device devices devote devoted devotes
+devoting dictionary dies differ differences differently difficulties difficulty digit digital digits
+direct directed directing directions directly director directory directs disadvantage disagree
+disappear disappeared disappearing disappears disaster disc discipline discount discourage
+discouraged discourages discouraging discover discovered discovering discovers discs discuss
+discussed discusses discussing discussion discussions disk dislike display displayed displaying
+displays distance distant distinct distinction distinctly distinguish distribute distributed
+distributes distributing distribution district disturb disturbed disturbing disturbs ditto divide
+divided divides dividing division document documentation documented documenting documents doe dollar
+domain doors doubtful dozen dozens drastic draw drawing drawn draws drew driven drivers drives
+dropping drops dubious due dumb dump duty dying earliest ease easiest easily east eaten eats
+economic economy edge edit edited editing edition editor editors edits education educational effect
+effective effectively effects efficient effort efforts elect elected electing election electric
+electronic electronics elects element elements elevator elsewhere embarrass embarrassed embarrasses
+embarrassing emergency emphasis employee enable enables encounter encountered encountering
+encounters encourage encouraged encourages encouraging ending ends engineer engineered engineering
+engineers enormous ensure ensured ensures ensuring entered entering enters entirely entitle entitled
+entitles entitling entity entrance entries entry environment equal equally equipment equivalent
+eraser err error errors escape essential essentially establish established establishes establishing
+establishment estimate evened evenings evens events eventually exact examine examined examines
+examining examples exception exceptions excess excessive exchange exclude excluded excludes
+excluding exclusive execute executed executes executing exercise exist existed existence existing
+exists expand expanded expanding expands expansion expecting expects expense expensive experienced
+experiences experiencing experiment experimental experiments expert experts explained explaining
+explains explanation explicit express expressed expresses expressing expression extend extended
+extending extends extension extensive extent external extra extract extreme extremely facilities
+facility factor factors facts fail failed failing fails failure fairly faith falling falls false
+familiar farther farthest fashion faster fastest fatal fate faults feasible feature features fed
+federal feed feedback feeding feeds feels fewer fewest fields figures file filed files filing filled
+filling fills financial finding finds fingers finishes finishing finite firm firmly firstly fiscal
+fishes fit fits fitted fitting fixed fixes fixing flag flash flashed flashes flashing flew flexible
+flied flies flight float floated floating floats flow flown flying folk folks followed following
+follows forced forces forcing foreign forgets forgetting formal format formed former forming forms
+forth forthcoming fortunately fortune fourth fraction frame freedom freely frequent frequently fries
+fry fully function functions fund fundamental fundamentally funds further furthest gain gained
+gaining gains gap garbage gasoline gather general generally generate generated generates generating
+generation genuine gives global goods governor gradually graduate grands grant granted granting
+grants graph graphic graphics grateful grave greater greatest greatly grind grinding grinds gross
+grosses grounds groups growing grown grows growth guarantee guaranteed guaranteeing guarantees
+guessed guesses guessing guide habit habits hack handed handing handled handles handling handy
+hanged hanging hangs happily harder hardest hardware harm harmful harmless headed header heading
+heads healthy hears heavily held helpful helps hence hereby herself hes hid hidden hides hiding
+higher highest highly hint hints historical hits hitting holding holds holes holidays hoped
+hopefully hopes hoping horses host hundreds hung hunt ideal ideas identical identify identity ignore
+ignored ignores ignoring illegal image images imagination imagine immediate immediately impact
+implement implemented implementing implements implication implications implied implies imply
+implying importance importantly impose imposed imposes imposing impression improve improved
+improvement improvements improves improving inability inadequate inch inches incident incidentally
+incline inclined inclines inclining include included includes including income incompatible
+incomplete inconsistent inconvenience incorrect increase increased increases increasing indeed
+independent independently index indicate indicates indication individual individually individuals
+industrial industry inevitably inferior infinite influence info inform information informed
+informing informs initial initially initials inner innocent input inputs inputted inputting insert
+inserted inserting inserts insist insisted insisting insists install installed installing installs
+instance instant instantly institution institutions instruction instructions insurance integer
+integers integral intelligence intelligent intend intended intending intends intention interact
+interest interests interface internal international interpret interpretation interpreted
+interpreting interprets interval intervals intervention introduce introduced introduces introducing
+introduction invalid invariably invent invented inventing invents investigate invisible invitation
+invite invited invites inviting involve involved involves involving irrelevant irritate irritated
+irritates irritating isolate isolated isolates isolating issue issued issues issuing item items
+joined joining joins joint joy jumps junk justification justified justifies justify justifying keen
+keeps keyboard keys kills kindly kinds knocked knocking knocks knowledge label labels laboratory
+lack lacked lacking lacks ladies lain landed landing lands languages largely larger largest lasts
+latest latter laws layout lazy leach leaded leading leads leaf learning learns leaved leaves lecture
+lectures legal legally lend length lesser lesson lessons lets letters letting level levels liable
+libraries library lifetime lift lights likely likewise liking limit limited limiting limits linear
+lines link linked linking links listed listing lists literally literature load loaded loading loads
+loan local location locations locked locking locks log logged logging logic logical logs longer
+longest loop loose lorries lorry loses loss loudly low lower lowest luck lying machine machines
+magnetic magnitude mail mainly maintain maintained maintaining maintains major majority manage
+managed manages managing manipulation manner manual manuals map march marked marking marks marriage
+mass massive master matches material materials mathematical mathematics matters maximum meaningful
+meaningless meanings measure measured measures measuring mechanic mechanics mechanism media medical
+medium mediums meetings meets members membership mention mentioned mentioning mentions mere merely
+merit merits messages messy metal method methods midnight military million millions minded minding
+minds minimal minimum minor minority mislead misleading misleads misled misses mistaken mistakes
+mistaking mistook misunderstand misunderstanding misunderstands misunderstood misuse mix mixed mixes
+mixing mod mode model models modified modifies modify modifying monitor moral mornings mostly motion
+movement movements moves multiple mysterious naive namely naming nation national natural naturally
+nature naughty nearby nearer nearest necessarily necessary necessity needing negative net network
+networks nevertheless nicer nicest noisy nonsense normally noted notes noticed notices noticing
+notify noting novel nowadays nowhere numb numbers numbest numerical numerous obey object objected
+objecting objection objections objects obscure observation observe observed observes observing
+obtain obtained obtaining obtains obvious obviously occasion occasional occasionally occasions
+occupied occupies occupy occupying occur occurred occurring occurs odd odds offered offering offers
+offices official oil older oldest omit omits omitted omitting opening opens operate operated
+operates operating operation operations operator operators opinion opinions opportunities
+opportunity oppose opposed opposes opposing opposition option optional options ordered ordering
+orders ordinary origin original originally otherwise ought outer output overall owe owed owes owing
+owners package packages packet pages painful pairs papers paragraph parallel parent partial
+partially particular particularly parties partly parts passes passing patch path patient pattern
+patterns pause payed pays peak peculiar pen per perfectly perform performance performed performing
+performs period permanent permanently permission permit permits permitted permitting personally
+persons persuade persuaded persuades persuading petrol phase phenomenon philosophy phrase phrases
+physical pi picking picks pictures pieces pile pint pipe placed placing plain planet planned
+planning plans plant plastic plays plea pleasant pleases pleasing plenty plot plots plug plus poem
+poet pointed pointing pointless points policies policy political poll pool pop popular population
+port positions positive possibilities possibility possibly posted posting postmaster posts potential
+potentially powerful powers practical practically practice precise precisely prefer preferable
+preferably preference preferred preferring prefers preparation prepare prepared prepares preparing
+presence presented presenting presents preserve pressed presses pressing pressure presumably presume
+prevent prevented preventing prevents previous previously price prices primary prime primitive
+principle principles print printed printer printers printing printout prints prior procedure process
+processed processes processing processor processors produce produced produces producing product
+production products professional program programmed programmer programmers programming programs
+progress project projects promised promises promising prompt promptly prone proof proper properly
+properties property proportion proposal propose proposed proposes proposing prospect protect
+protected protecting protection protects protest proved proves provide provided provides providing
+proving publication publicity publicly publish published publishes publishing pulled pulling pulls
+punctuation puncture purchase pure purely purpose purposes pushed pushes pushing puts putt putted
+putting putts qualified qualifies qualify qualifying quality quantities quantity quarter question
+questions queue quicker quickest quietly quit quits quitting quote quoted quotes quoting raised
+raises raising random randomly range rapid rapidly rare rarely rate rates raw re reached reaches
+reaching react reaction readable reader readers readily reads reality reasonable reasonably reasons
+recall receive received receives receiving recent recently reception recognition recommend
+recommendation recommended recommending recommends record recorded recording records recover
+recovered recovering recovers reduce reduced reduces reducing reduction redundant refer reference
+references referred referring refers reflect reflected reflecting reflection reflects refuse refused
+refuses refusing regard regarded regarding regardless regards region register registered registering
+registers regret regular regularly regulation regulations reject rejected rejecting rejects relate
+related relates relating relation relationship relative relatively release released releases
+releasing relevance relevant reliable religion religious reluctant rely remain remained remaining
+remains remark remarks remembered remembering remembers remind reminded reminding reminds remote
+remotely removal remove removed removes removing repair repeat repeated repeatedly repeating repeats
+replace replaced replacement replaces replacing replied replies reply replying reported reporting
+reports represent representation representative represented representing represents reproduce
+request requested requesting requests require required requirement requirements requires requiring
+research reserve reserved reserves reserving resident resolution resort resource resources respect
+respectively respects respond response responses responsibility responsible restart restore restored
+restores restoring restrict restricted restricting restricts result resulted resulting results
+retain return returned returning returns reveal revealed revealing reveals reverse review rewrite
+rid ridding ride ridiculous rids rights rise roll rooms root rough roughly route routine row rubber
+rubbish runs rush sadly safely safer safest safety saint sake sale sales sample sat satisfied
+satisfies satisfy satisfying saves saving scale scan scene scheme schools science sciences
+scientific score scores scrap scratch screen screens script searched searches searching season
+secondary secondly secretary section sections secure security seek seeking seeks seemed seeming sees
+select selected selecting selection selects self selling sells seminar sending sends senior sensible
+sensibly sensitive sentence sentences separate separately sequence sequences serial series serve
+served server serves service services serving session sessions sets setting settle settled settles
+settling severe severely shape share shared shares sharing sharp sheet shelf shell shift shopped
+shopping shops shortage shorter shortest shortly showed showing shown shows shuts shutting sides
+sight signal signals signed significance significant significantly signing signs similar similarly
+simpler simplest simply simultaneous simultaneously sincerely site sites sits situations sizes skill
+skills slight slightly slip slower slowest smaller smallest smooth social society soft software sold
+solely solid solution solutions solve solved solves solving somehow someplace sometime somewhat
+sooner soonest sophisticate sophisticated sophisticates sophisticating sorted sorting sorts sought
+sounded sounding sounds source sources southern spaces spare speaker speakers speaking speaks
+specially specific specifically specified specifies specify specifying speech speed spell spelling
+spells spending spends spirit spite split splits splitting spoke spoken spots spotted spotting
+spread spreading spreads spring square stable stages standard standards standing stands starting
+starts stated statement statements states stating stations statistic statistical statistics status
+staying stays steal sticking sticks stock stone stones stood stopping stops storage store stored
+stores storing straightforward strategy stream strength strict strictly strike strikes striking
+string strings strongly struck structure structures students studied studies study studying style
+subject subjects submit submits submitted submitting subsequent subset substantial substitute subtle
+succeed success successful successfully sudden suffer suffered suffering suffers suffice sufficient
+sufficiently suggest suggested suggesting suggestion suggestions suggests suit suitable suitably
+suited suiting suits sum summary superior supervisor supplied supplies supply supplying support
+supported supporting supports suppose supposedly supposes supposing surely surface surprised
+surprises surprising survey survive survived survives surviving suspect suspected suspecting
+suspects suspend suspended suspending suspends suspicion switch switched switches switching symbol
+symbols syntax systems tables takes talks tank tanks tape tapes target task tasks taste taught tax
+teacher teaches teaching technical technique techniques technology tedious teeth telephone
+television tells temperature temporarily temporary tend tendency tends term terminal terminals
+terminology terms terribly tested testing tests text theoretical theory thereby therefore thin
+thinks thoroughly thoughts thousands threat throughout throwing thrown throws thus ticket tie tied
+ties tight timed timing tin title titles token tooth topic topics touched touches touching toward
+towards trace tracks traditional traffic trained training trains transfer transferred transferring
+transfers translate translated translates translating translation transport trap trapped trapping
+traps trash treat treated treating treatment treats trees trick tried tries trivial truck trucks
+truly trunk trusted trusting trusts tune turning turns twelve tying type typed types typical typing
+ugly ultimate ultimately unable unacceptable unaware uncertain unclear undergraduate undergraduates
+underneath understanding understands unfortunate unfortunately unhappy uniform unique unit unite
+units universal universities university unknown unlike unlikely unlimited unnecessarily unnecessary
+unpleasant unreasonable unsuitable unusual unwanted update updated updates updating upper upsets
+upsetting upwards usage useful useless user users uses utility utterly vacation vacations vague
+vaguely valid validity valuable value values van vans variable variables variation varied varies
+variety various vary varying vast vastly vector version versions via vice video views virtually
+virtue visible vision vital volume vote votes waited waits walks walls warned warning warns waste
+wasted wastes wasting watches weapon wears weight welcomed welcomes welcoming western whatsoever
+wheel wheels whenever whereas whereby wherever whilst whoever wide widely wider widespread widest
+willed willing wills windows winning wins winter wire wise wished wishes wishing withdraw wondered
+wondering wonders wooden worded wording wore worker workers worn worries worrying worthwhile worthy
+writer writes written zero amongst behaviour catalogue cheque chequed cheques chequing colours
+defence flavour grey judgement labelled labelling labour organisation organise organised organises
+organising practise programme programmes realise realised realises realising recognise recognised
+recognises recognising rumour saki spelled spelt storey aardvark abandon abandoned abandoning
+abandons abbreviate abbreviated abbreviates abbreviating abbreviation abbreviations abide abnormal
+abnormally abolish abolished abolishes abolishing abolition abort aborted aborting abortion aborts
+abroad absent absorb absorbed absorbing absorbs abstract abstraction absurd abused abuses abusing
+abusive abysmal academics accelerate accent accents acceptance accessed accesses accessing accidents
+accommodate accommodation accompanied accompanies accompany accompanying accomplish accomplished
+accomplishes accomplishing accordance accountant accountants accounted accounting accumulate
+accumulated accumulates accumulating accurately accusation accusations accuse accused accuses
+accusing accustom accustomed accustoming accustoms ace achievement achievements acid acknowledge
+acknowledged acknowledges acknowledging acorn acoustic acquaintance acquisition acronym acronyms
+activate activated activates activating actively actor actors acute adapt adaptation adapted
+adapting adapts addict addicted addicting addictive addicts additionally additions adequately adhere
+adhered adheres adhering adjacent adjective adjusted adjusting adjustment adjustments adjusts
+administer administered administering administers administrative admirable admiration admire
+admission adoption adult adults advantageous advent adventure adventures adventurous adverse
+adversely advert advertisement advertisements adverts advisable adviser advisers advisory advocate
+advocated advocates advocating aerial aesthetic aesthetically affection aforementioned afternoons
+aged agenda agent agents aggressive agony agreements agricultural aided aiding aids aircraft airport
+akin alarmed alarming alarms alas albeit albums alcohol alcoholic alert algebra algebraic aliases
+alien aliens align aligned aligning alignment aligns alike allegation allegations allege alleged
+allegedly alleges alleging allergic alleviate alliance allies allocate allocated allocates
+allocating allocation allocations allowable allowance allowances ally alongside aloud alpha alphabet
+alphabetic alphabetical alteration alterations amateur amaze amazed amazes amazingly ambassador
+amber ambient ambiguities ambiguity ambitious amend amended amending amendment amends amp ample
+amplifier amusement anagram analogous analogy analyses analyst anarchy anatomy ancestor ancestors
+anecdote anecdotes angel angels anger angles anguish anniversary announced announcements announces
+announcing annoyance annually anomalies anomaly anorak anoraks anthology anticipate anticipated
+anticipates anticipating anticipation antidote antique antisocial anxious anyhow apathetic apathy
+apostrophe appalled appalling appallingly apparatus apparatuses appealed appealing appeals
+appearances append appended appending appendix appends applause applicable applicant applicants
+appoint appointed appointing appointment appointments appoints appraisal appreciation approached
+approaches approaching appropriately approximate approximately approximation apt arbitrarily arc
+arcade arcane arch archaic architecture archive archived archives archiving arena arguable arguably
+arisen arising armed arming arose array arrays arresting arrests arrival arrogance arrogant arrow
+arrows artificially artistic artists arts ascend ascended ascending ascends ash ashamed ashcan ashes
+ass assault assemble assembled assembles assembling assert asserted asserting assertion asserts
+assess assessed assesses assessing assessment asset assets assign assigned assigning assignment
+assignments assigns assist assistance assisted assisting assists associations assort assorted
+assorting assorts assumptions asterisk asterisks astronomer astronomers astronomy asynchronous
+atheism atheist atheists atlas atmospheric atom atomic atoms atrocities atrocity attachment attacked
+attacking attacks attain attendance attendant attentions attitudes attorney attorneys attracted
+attracting attraction attracts attribute attributed attributes attributing audible audiences audio
+authentic autobiography automate automated automates automating automobiles availability await
+awaited awaiting awaits awarded awarding awards awareness awfully axes axiom axioms axis babies
+backbone backgrounds backlog backspace backward bacteria bacterium badge baffle baffled baffles
+baffling baggage bags bake baked bakes baking balanced balances balancing ballet ballot balls banal
+banana bananas bands bandwagon bandwidth bang bankrupt banks banned banner banning bans bare barely
+bargain bark barked barking barks baroque barred barrel barrier barriers barring barrister
+barristers basement bash bashed bashes bashing basics basket bass basses bastard bastards bat batch
+bathroom baths batteries battle baud bay beam bean beans beard bearded bearding beards beast beasts
+beaten beating beats beautifully beauty beds beef beers beg beginner beginners behaved behaves
+behaving beings belief beliefs believable believer believers bells belonged belonging beloved belt
+bench bend bending bends beneath beneficial bent beta beware bias biased biases biasing bible
+biblical bicycle bicycles bigot bigoted bigotry billfold billion billions bills bin biochemistry
+biography biological biologist biologists birth biscuit biscuits bishop bitmap bitter blackboard
+blackmail blacks blade blades blamed blames blaming blanket blanks blast blasted blasting blasts
+blatant blatantly bless blessed blesses blessing blew blindly blink bliss blob blocked blocking
+blocks bloody blowing blown blows blues blurb boats bob bobs bog bogged bogging boggle boggles bogs
+bogus boil boiled boiling boils bold bolt bomb bombed bombing bombs bond bone bones bonus booked
+booking booklet bookshop bookshops bookstore boom boost boots border borderline bored boredom bores
+boring bottles bounce boundaries boundary bounds bout bow bowl bracketed bracketing brains brake
+brakes branded branding brands brass breakdown breathed breathes breathing bred breed breeding
+breeds breeze brethren brick bricks bridges brigade brighter brightest brightly brightness brilliant
+brilliantly broad broadly browse browsed browses browsing brush brutal bubble buck bucks buffered
+buffering buffers bugger buggers bulb bulbs bull bullet bullets bump bunch bundle burden bureaucracy
+burned burns burnt burst bursting bursts buses bush businesses buss bust butter buttons buyer buyers
+bypass cabbage cabinet cable cabled cables cabling caffeine café cage cakes calculated calculates
+calculating calculator calculus calendar caller cam cameras campaigned campaigning campaigns camps
+campus cancel cancels candidates canonical cans cant cap capabilities capability capitalism
+capitalist capitals caps capture captured captures capturing carbon cared career careers careless
+caring carpet carriage carrier carrot carrots cars cartoon cartoons cartridge cartridges cased
+casing cassettes cast casting castle casts casual catastrophic categorically cater catered catering
+caters cathedral catholic cats cattle causal causality caution cave caveat ceased ceases ceasing
+ceiling celebrate celebrated celebrates celebrating celebration cells cellular censor censored
+censoring censors censorship centrally centuries ceremony certainty certificate chains chairs chalk
+challenge challenged challenges challenging chamber champagne champion chancellor changeover chaotic
+chap chapel chaps chapters characteristic characteristics charitable charities charity charm charmed
+charming charms chart charter charts chase chased chases chasing chats chatted chatting cheaply
+cheat cheated cheating cheats checker cheek cheer cheerful cheers chemicals chemist chemistry
+chemists chess chest chestnut chew chewed chewing chews chickens childhood childish chocolate
+choices choir chop chopped chopping chops choral chord chorus chuck chucked chucking chucks chunk
+chunks churches cider cigarette cinema circa circles circuitry circuits circular circulate
+circulated circulates circulating cite cited cites cities citing citizens civil civilian
+clarification clarified clarifies clarifying clarity clash clashes classed classic classical
+classics classification classified classifies classify classifying classing clause clauses cleaned
+cleaner cleaners cleanest cleaning cleanly cleans clearance cleverer cleverest cliché click client
+clients cliff climate climb climbed climbing climbs clinic clinical clip clipped clipping clips
+clique clocks clog clone clones closet closure cloth clothe clothed clothing cloud clouds clubs
+clues clumsy cluster clusters coach coal coarse coast coats cobbler cobblers coherent coin coincide
+coincidence coined coining coins coke collaboration collapsed collapses collapsing collar collate
+collated collates collating colleague colleagues collections collective colon colony columns combat
+comedy comfort comfortable comfortably comic comics comma commandment commandments commas commence
+commentary commentator commentators commercially commissioned commissioning commissions commit
+commitments commits committed committees committing commodity commons communal communicated
+communicates communicating communism communist communists communities compact companies companion
+comparative comparisons compassion compel compelled compelling compels compensate compensation
+compete competed competence competent competes competing competitive competitor competitors
+compilation compile compiled compilers compiles compiling complacent complement complementary
+completeness completion complication complications compliment comply composer composers composite
+compound comprehend comprehensible comprehension compress compressed compresses compressing
+compression comprise comprised comprises comprising compulsion computation computational con
+concatenate concatenated concatenates concatenating conceal concealed concealing conceals concede
+conceivable conceivably conceive conceived conceives conceiving concentrate concentrated
+concentrates concentrating concentration conception concepts conceptual concert concerto concerts
+concise conclude concluded concludes concluding conclusions concur concurrently condemn condemnation
+condemned condemning condemns condense condensed condenses condensing conditional conditioned
+conditioning condom condone conduct conducted conducting conductor conducts conferences confess
+confidence confidential confidentiality configuration configurations configure configured configures
+configuring confine confined confines confining confirmation conflict conflicted conflicting
+conflicts conform confront confronted confronting confronts congest congested congesting congestion
+congests congratulate congratulations conjecture conjunction connector connotation connotations
+conscience conscious consciously consciousness consecutive consensus consent consented consenting
+consents consequent conservation conservative conservatives considerate considerations consisted
+consistently consisting consolation console conspicuous conspiracy constantly constants constituency
+constituent constituents constitute constitutes constitution constitutional constrain constrained
+constraining constrains constructed constructing construction constructions constructive constructs
+consult consultancy consultant consultants consultation consulted consulting consults consume
+consumed consumer consumes consuming contacted contacting contacts container contemplate
+contemplated contemplates contemplating contemporary contempt contend contention contentious contest
+contexts continent continental continual continuations continuity continuum contour contraception
+contracted contracting contracts contradict contradicted contradicting contradiction contradictory
+contradicts contravention contributed contributes contributing contributor contributors contrive
+contrived contrives contriving controller controllers controversial controversy convenience
+conveniently conversations converse conversely conversion conversions converted converter converting
+converts convey convict convicted convicting conviction convictions convicts convincingly cooked
+cookie cookies cooking cooks cooled cooling cools cooperate cooperation coordinate coordinates
+coordination coped copes coping copper copyright corn corporate corporation corpse corpses
+corrections correlate correlation correspond corresponded correspondence correspondent corresponding
+corresponds corridor corruption cosmic cosmology costed costly cotton cough councils counsel
+counsels counterexample counterpart counterparts countless countries countryside coupled couples
+coupling courage courier courtesy courts coverage cow cows crack cracked cracking cracks craft cramp
+cramped cramping cramps crap crass crawl crawled crawling crawls creative creator creatures
+credibility credible credits creed creep crew cricket cried cries crimes criminal criminals criteria
+criterion critic criticisms critics crop crops crossed crosses crossing crossroad crossroads
+crossword crowded crowding crowds crown crucial crude cruel cruelty cruise cruised cruises cruising
+crunch crunched crunches crunching crush crushed crushes crushing cryptic crystal crystals cube
+cubic cuckoo cuddly cue culprit cult cultural cultures cumbersome cumulative cunning cupboard cups
+cured cures curing curiosity curiously curly currency curriculum curry curse curtain curtains curve
+curves custard custom customary customers customs cycled cycling cyclist cyclists cylinder cynic
+cynical daft damnation damned damning damns damp danced dances dangerously dangers dared dares
+daring darkness dash dashed dashes dashing databases dawn daylight daytime deadline deadly deaf
+dealer dealers deaths debatable debated debates debating debt debug debugged debugger debugging
+debugs decades decay decimal deck declaration declarations decline declined declines declining
+decode decoded decodes decoding decreased decreases decreasing deduced deduces deducing deduction
+deductions deed deeds deeper deepest defaults defeat defeated defeating defeats defect defective
+defects defend defended defending defends defensive deficiencies deficiency defy degenerate
+degradation degrade degraded degrades degrading deity delayed delaying delays deletion delicate
+delight delighted delightful delighting delights delimiters delta delusion demanded demanding
+demented demise democracy democratically demolish demolished demolishes demolishing demonstrated
+demonstrates demonstrating demonstrations denied denies denominator denote denotes dense density
+dentist deny denying departmental departments departure dependence dependent deposit depress
+depressed depresses depressing depression deprive deprived deprives depriving depths deputy derange
+deranged deranges deranging derivative derogatory descend descended descending descends descriptive
+desert deserted deserting deserts deserve deserved deserves deserving designate designated
+designates designating designer designers desktop despair desperately despise destination destine
+destined destines destining destruction destructive detach detached detaches detaching detectable
+detection detector deter determination deterrent detract devastate devastated devastates devastating
+developer developers developments deviation devil devious devise devised devises devising devoid
+diagnosis diagnostic diagnostics diagonal diagram diagrams dial dialect dialects dialogue dials
+diameter diary dice dictate dictator dictatorship dictionaries diesel diet differed differential
+differentiate differing differs dig digest digging dignity digs dilemma dim dimension dimensional
+dimensions dine dined diner dines dining dip diplomatic dire directive directives directories
+directors dirt disable disabled disables disabling disadvantages disagreed disagreeing disagreement
+disagrees disappoint disappointed disappointing disappointment disappoints disasters disastrous
+discard discarded discarding discards discharge disciplinary disclaimer disco disconnect
+disconnected disconnecting disconnects discontinue discontinued discontinues discontinuing discounts
+discoveries discovery discrepancy discrete discretion discriminate discriminated discriminates
+discriminating discrimination disease diseases disguise disguised disguises disguising disgust
+disgusted disgusting disgusts dish dishes dishonest disliked dislikes disliking dismal dismiss
+dismissed dismisses dismissing disorder disposable disposal dispose disposed disposes disposing
+disposition dispute disregard disrupt disruption dissertation dissimilar distances distasteful
+distinctions distinctive distinguished distinguishes distinguishing distort distorted distorting
+distortion distorts distract distracted distracting distracts distress distressed distresses
+distressing disturbance ditch dive dived diverse diversity divert diverted diverting diverts dives
+divine diving divisions divorce doctors doctrine documentary dodge dogma dole dollars domestic
+dominant dominate dominated dominates dominating don donate donated donates donating donation
+donations dons doom doomed dooming dooms dose doses dot dots dotted dotting doubled doubles doubling
+doubtless doubts downhill downright downstairs downwards draft drafted drafting drafts drag dragged
+dragging dragon drags drain drained draining drains drama dramatic dramatically drank drastically
+drawback drawbacks drawings dread dreaded dreadful dreading dreads dreaming dreams dreary dressed
+dresses dressing dried dries drift drill drinking drinks drip dripped dripping drips drivel drown
+drowned drowning drowns drum drums drunken drying dual duck ducks duff dug dull duly dummy dumped
+dumping dumps dumpster duplicate duplicated duplicates duplicating duplication duration dust dustbin
+dusty duties dynamic dynamically dynamics eager eagerly eagle earn earned earning earns ears eastern
+eater eccentric echo echoed echoes echoing ecological ecology economical economically economics
+economies edges editions editorial educate educated educates educating effectiveness efficiency
+efficiently ego egos eh eighteen eighth elaborate elderly elections electoral electorate electrical
+electricity electron electronically elegant elementary elephant elephants elevators eleven eligible
+eliminate eliminated eliminates eliminating elite elitist em embarrassment embed embedded embedding
+embeds emerge emerged emerges emerging eminent eminently emit emotion emotional emotionally emotions
+empire empirical employ employed employees employer employers employing employment employs emptied
+empties emptying emulate emulation emulator emulators enabled enabling enclose enclosed encloses
+enclosing encode encoded encodes encoding encouragement endings endless endlessly enemies energy
+enforce enforced enforces enforcing engage engaged engages engaging engine engines enhance enhanced
+enhancement enhances enhancing enjoyable enjoyed enjoying enjoyment enjoys enlarge enlarged enlarges
+enlarging enlighten enlightened enlightening enlightenment enlightens enormously entail entails
+enterprise entertain entertained entertaining entertainment entertains enthusiasm enthusiastic
+entirety entities envelope envelopes environmental environments envisage envisaged envisages
+envisaging envy epic episode episodes equality equals equate equation equations equilibrium equip
+equipped equipping equips equivalents era erase erased erases erasing ergo erroneous escaped escapes
+escaping esoteric essay essays essence establishments estate estimated estimates estimating
+estimation eternal eternity ethic ethical ethics ethnic etymology evaluate evaluated evaluates
+evaluating evaluation evenly eventual everyday evident evidently evil evils evolution evolutionary
+evolve evolved evolves evolving exaggerate exaggerated exaggerates exaggerating exam examination
+examiner exams exceed exceeded exceeding exceedingly exceeds excepted excepting exceptional
+exceptionally excepts excessively exchanged exchanges exchanging excite excitement excites
+exclamation exclusion exclusively excuses executable execution executive exempt exercised exercises
+exercising exhaust exhausted exhausting exhaustive exhausts exhibit exhibition exit exited exiting
+exits exotic expectation expectations expedition expenditure expenses experimentally experimentation
+experimented experimenting expertise expire expired expires expiring expiry explanations explanatory
+explicitly explode exploded explodes exploding exploit exploitation exploited exploiting exploits
+exploration explore explored explores exploring explosion explosions explosive exponential export
+expose exposed exposes exposing exposure expressions expressway expressways extant extensions
+extensively extents externally extinction extracted extracting extraction extracts extraneous
+extraordinarily extraordinary extras extremes extremist eyesight fabric faced faces facilitate
+facing factories factory factual factually faculties faculty failures faint fainter faintest fairer
+fairest fairness fairy faithful fake fallacious fallacy fame familiarity families famine fans
+fantasies fantastic fantasy farce fare farewell farmer farmers fascinate fascinated fascinates
+fascinating fascist fashionable fashioned fashioning fashions fathers fatuous faucet faulty feared
+fearing fears feasibility feat featured featuring fee feeble fees fellows female females feminist
+feminists fence fender fenders festival fetch fever fiction fictional fiddle fiddled fiddles
+fiddling fierce fifteen fifth fifty fighter fights figured figuring filmed filming films filter
+filtered filtering filters filthy finals finance finances financially findings fined finer fines
+finest fining fired fires firework fireworks firing firms fished fishing fiver fizzy flagged
+flagging flags flame flames flaw flawed flawing flaws fleet flesh flexibility flip flipped flipping
+flips flood flooded flooding floods floors floppy flour flowed flowing flows fluctuation
+fluctuations fluent fluffy fluid flush flushed flushes flushing flute foam focus fog fold folded
+folder folders folding folds follower followers fond font fonts foods fooled fooling foolish fools
+footnote footnotes forbade forbid forbidden forbidding forbids forcibly forecast forecasting
+forecasts foreigner foreigners foreseeable forest forests forgave forgiven forgives forgiving fork
+formally formation formats formatted formatting formerly formula formulation fortnight fortunate
+forty forum forwarded forwarding forwards fossil fought foul foundation foundations founded founding
+founds fountain fourteen fractions fragile fragment fragments frames framework frank frankly frantic
+fraud freak freaks freed freeing frees freeway freeways freeze freezes freezing frequencies
+frequency friction fried friendship frighten frightened frightening frightens fringe frivolous frog
+frogs frown frowned frowning frowns froze frozen fruit fruits frustrate frustrated frustrates
+frustrating frustration frying fudge fuel fulfilled fulfilling fuller fullest fume fumes functional
+functionality functioned functioning fundamentalist funded funding funeral funnier funniest fur
+furniture furry furthermore fuse fusion fuss fussy futile fuzzy galactic galaxy gang gaps garage
+garble garbled garbles garbling gardens gasp gate gates gateway gathered gathering gathers gay gear
+geared gearing gears gender gene generations generator generators generic generous genes genetic
+genetically genetics genius genocide genre gentle gentleman gentlemen gently genuinely geographical
+geography geology geometry gesture ghastly giant gibberish gift gifts gig gin gladly glance glasses
+glean gleaned gleaning gleans globally glorious glory glossy glove gloves glow glowed glowing glows
+glue gnome goal goals goat gods golden goldfish goldfishes golf goodies goodness goody gorgeous
+gospel gossip govern governed governing governments governs gown grabbed grabbing grabs grace grade
+grades gradual graduated graduates graduating graduation graffiti graffito grain grammar grammatical
+grandfather grandmother graphical graphs grasp grass gratefully gratuitous gratuitously
+gravitational gravity greasy greed greedy grid grief grim grip grips groan grossly grouped grouping
+guarded guarding guards guests guidance guided guideline guidelines guides guiding guilt guilty
+guinea guitar gulf gullible gum guns gut guts gutter ha hacked hacker hackers hacking hacks hail
+haircut hairs hairy halls halt halted halting halts halve halves ham hammer handbook handful
+handicap handler hangover happier happiest happiness hardback harden hardened hardening hardens
+hardship hardy harmony harsh hash hassle hasten hasty hated hates hating hatred hats havoc hay
+hazard hazards hazy headache headers headline headlines heap heartily hearts heated heating heats
+heavens heavier heaviest heel heels height heights helicopter helmet helpless henceforth herd heresy
+heritage hero heroes heroic heroin herring herrings hesitate heterosexual hexadecimal hided hideous
+hideously hierarchical hierarchy highlight highlighted highlighting highlights highway highways
+hilarious hills hindsight hinted hinting hip hire hired hires hiring historian historians historic
+historically hitherto ho hobby hog holder holders hollow holy homes homosexual homosexuality honesty
+honorary hook hooked hooking hooks hopeful hopeless hopelessly horde hordes horizon horizontal
+horizontally horn horrendous horrendously horribly horrid horrific horrified horrifies horrify
+horrifying horror hospitals hostile hosts housed household houses housing hugely huh hum humane
+humanity humans humble humbly humorous hunted hunting hunts hurting hurts hut hydrogen hyphen
+hypocrisy hypocrite hypocritical hypothesis hypothetical hysterical icon icons id idealistic ideally
+ideals identically identification identified identifier identifiers identifies identifying
+ideological ideology idiom idiosyncratic idiot idiotic idiots idle ignorance ignorant illegally
+illiterate illness illogical illusion illustrate illustrated illustrates illustrating illustration
+illustrations imaginary imaginative imagined imagines imagining imbalance immature immense immensely
+imminent immoral immortal immune impair impaired impairing impairs impend impended impending impends
+imperative imperfect imperial impersonal implausible implementation implementations implicit
+implicitly import imported importing imports impractical impress impressed impresses impressing
+impressions impressive imprison imprisoned imprisoning imprisons improbable impulse inaccessible
+inaccuracies inaccuracy inaccurate inadvertently inane inappropriate incapable incarnation incentive
+incidence incidental incidents inclination inclusion inclusive incoherent incoming incompetence
+incompetent incomprehensible inconsistencies inconsistency inconvenienced inconveniences
+inconveniencing inconvenient incorporate incorporated incorporates incorporating incorrectly
+increasingly incredible incredibly increment incur incurred incurring incurs indefensible indefinite
+indefinitely indent independence indeterminate indexed indexes indexing indicated indicating
+indications indicative indicator indicators indictment indirect indirection indirectly
+indistinguishable induce induced induces inducing induction indulge indulged indulges indulging
+industries ineffective inefficiency inefficient inequality inertia inevitable inexperienced
+infallible infamous infant infantile infect infected infecting infection infects infelicity infer
+inference inferiority infinitely infinity inflation inflexible inflict influenced influences
+influencing influential informal informally informative infrastructure infrequent infringement
+ingenious ingredient ingredients inhabit inhabitant inhabitants inhabited inhabiting inhabits
+inherent inherently inherit inheritance inherited inheriting inherits inhibit inhibited inhibiting
+inhibition inhibits initiate initiated initiates initiating initiative inject injure injured injures
+injuries injuring injury injustice ink innocence innovation innovative insane insect insects
+insecure insensitive insertion insidious insight insignificant insistence insofar inspect inspected
+inspecting inspection inspects inspiration inspire inspired inspires inspiring installation
+installations instances instinct institute instruct instructed instructing instructs instrument
+instrumental instruments insufficient insult insulted insulting insults intact intake integrate
+integrated integrates integrating integration integrity intellect intellectual intense intensely
+intensity intensive intent intentional intentionally intentions inter interacted interacting
+interaction interactions interactive interactively interacts intercourse interestingly interfaced
+interfaces interfacing interfere interfered interference interferes interfering interim interior
+intermediate intermittent internally internals interpretations interpreter interrogate interrupt
+interrupted interrupting interruption interruptions interrupts intersection intersections intervene
+intervened intervenes intervening interview interviewed interviewing interviews intimate intolerance
+intrinsic intrinsically introductory intuitive invade invaded invades invading invalidate invaluable
+invasion invention inventions inventor inverse invert inverted inverting inverts invest investigated
+investigates investigating investigation investigations investment invoke invoked invokes invoking
+involvement ion irate iron ironic irony irrational irrespective irresponsible irritation island
+islands isolation jacket jackets jail jam jammed jamming jams jargon jazz jealous jeans jellies
+jelly jerk jest jet jointly joints joked jokes jolly journal journalist journalists journals journey
+judged judges judging juice jumped jumping junction jungle junior jury justice justifiable
+justifiably juvenile keeper ken kernel kettle keyboards keyed keying keystroke keystrokes keyword
+keywords kick kicked kicking kicks kidded kidding kidnap kidnapped kidnapping kidnaps kidney
+kindness kingdom kings kit kits knee knees knife knight lab labs lad ladder lag lager laid lamp
+landlord landscape lane lark laser lasers lasted lasting lately laughed laughing laughs laughter
+launch launched launches launching lavatory lawn lawyers layer layers laying lays laziness leaders
+leadership leaflet leaflets league leak lean leaned leaning leans leap leather lectured lecturer
+lecturers lecturing legend legendary legible legislation legitimate legitimately leisure lemon
+lending lends lengths lengthy lenient lens lenses lent lesbian lest lethal liability liaison libel
+liberal liberties liberty librarian license licensed licenses licensing lid lifestyle lifted lifting
+lifts lighted lighter lightest lighting lightly lightning lightninged lightnings likelihood limb
+limbs limitation limitations lined linguistic lining linkage lion lip lips liquid liquor lisp
+listened listener listens listings lit literal literary literate litter lively liver livest loader
+loans lobby locally locals locate located locates locating lodge logically logo lonely loophole
+loops loosely lords losses louder loudest lousy lover lovers loves loving lowered lowering lowers
+loyal luckily ludicrous ludicrously luggage lump lumps lunatic lunchtime lung lungs lurk lurked
+lurking lurks lust luxury lyric lyrics machinery madness magazine magazines magical magnificent
+mailbox mailed mailing mails mainframe mainframes mains mainstream maintenance maize maker makers
+male males malfunction malicious management managers mandate mandatory mangle mangled mangles
+mangling mania manifestation manifestly manifesto manipulate manipulated manipulates manipulating
+mankind manned manning manpower mans manually manufacture manufactured manufacturer manufacturers
+manufactures manufacturing mapped mapping maps margin marginal marginally margins marital marker
+markers marketed marketing markets marries marrying mask masses massively masters matched matching
+mate mathematically mathematician mathematicians matrices matrix mature mayor maze meal meals
+meantime meanwhile measurement measurements meat mechanical mechanisms medicine medieval megabyte
+megabytes melody melt memorable memories mend mended mending mends mental mentality mentally menu
+menus mercury mercy merge merged merges merging merry messed messes messing metaphor meter meters
+metric metro metros mice microcomputer microcomputers microprocessor microwave midday mighty migrate
+migrated migrates migrating migration mild mildly mileage milk mill mimic mindless mined mines
+minimalist mining minister ministers minorities mint minus miracle miracles miraculous mirror
+mirrors miscellaneous misdirect misdirected misdirecting misdirects miserable miserably misery
+misfortune misguide misguided misguides misguiding misinterpret misinterpreted misinterpreting
+misinterprets misplace misplaced misplaces misplacing misprint misread misreading misreads
+misrepresent misrepresented misrepresenting misrepresents missile missiles mission mist mistakenly
+mists mixture mnemonic moan moaned moaning moans mob mobile mock moderate moderately moderation
+modes modest modification modifications module modules mole molecular molecule molecules momentarily
+moments momentum monarch monitored monitoring monitors monkey monkeys monochrome monopoly monster
+monsters monthly mood moon moons morality morally morals moreover moron morons mortal mortality
+mortals mothers motions motivate motivated motivates motivating motivation motive motives motor
+motors motorway motorways motto mount mountain mountains mounted mounting mounts mouse movies muck
+mucked mucking mucks mud muddle muddled muddles muddling mug mugs multiples multiplication
+multiplied multiplies multiply multiplying mumble mundane murdered murderer murdering murders muscle
+muscles museum museums musical musician musicians mutter muttered muttering mutters mutual mutually
+mysteries mysteriously mystery mystic myth mythical mythology myths nail nailed nailing nails naked
+nameless narrative narrow narrower narrowest nastier nastiest nationally nations native natives nay
+neat neatly needle needles needless needlessly negate neglect neglected neglecting neglects
+negligible negotiable negotiate negotiated negotiates negotiating negotiation negotiations nerve
+nerves nest nested nesting nests nets networked networking neural neutral newcomer newcomers newer
+newest newly newsletter newsletters newspaper newspapers nicely nick nicked nicking nickname
+nicknames nicks nightmare nights nil noble node nodes noises nominal nominally nominate nominated
+nominates nominating nonetheless noon norm normality northern noses nostalgia notable notably
+notation noticeable noticeably notification notified notifies notifying notion notions notorious
+notwithstanding noun nouns novels novelty novice novices nuclear nuisance null numbered numbering
+numeral numerals numeric nun nuns nurses nut nuts oar obeyed obeying obeys objectionable objective
+obligation obligatory oblige obliged obliges obliging obnoxious obscene obscured obscures obscuring
+obscurity observations observer observers obsess obsessed obsesses obsessing obsession obsolete
+obstruct obstructed obstructing obstructs obtainable occupation occurrence occurrences ocean oddly
+offend offended offender offenders offending offends offensive offerings offhand officers officially
+officials offset offsets offsetting offspring omission omissions oneself ongoing onion onus openly
+opera operas operational opponent opponents oppress oppressed oppresses oppressing oppression opt
+opted optic optical optimal optimistic optimum opting optionally opts opus opuses oral orange orbit
+orbital orchestra orchestral organ organic organs orient oriental orientate orientated orientates
+orientating orientation oriented orienting orients originals originate originated originates
+originating originator origins orthodox outcome outcomes outcry outdated outgoing outline outlined
+outlines outlining outlook outputs outrage outraged outrageous outrages outraging outright outset
+outstanding outweigh outweighs overcame overcome overcomes overcoming overdraft overdue overflow
+overhead overheads overlap overload overloaded overloading overloads overlong overlook overlooked
+overlooking overlooks overly overnight overprice overpriced overprices overpricing overridden
+override overrides overriding overrode overseas overtime overtone overtones overview overwhelm
+overwhelmed overwhelming overwhelms overwriting overwritten owned ownership owning owns oxygen ozone
+pace pacifier packaged packaging packed packets packing packs pad padded padding pads paged paging
+painfully painless pains painted painting paintings paints palace pale pan panel panels panic pant
+pants paperback par parade paradise paradox paragraphs parallels parameter parameters paranoia
+paranoid paraphrase pardon parentheses parenthesis parity parked parking parks parliament parochial
+parody parrot parse parsed parses parsing participant participants participate participated
+participates participating particle particles partition partitioned partitioning partitions partner
+partners passage passages passenger passengers passion passionate passive passport password
+passwords paste pat patched patches patching patent pathetic paths patience patients paused pauses
+pausing pavement payment payments peaceful peaks peanut peanuts peasant peasants pedal pedant
+pedantic pedantry pedants pedestrian pedestrians peer peers penalties penalty pence pencil pended
+pending pends penguin pennies penny pens peoples perceive perceived perceives perceiving percent
+percentage percents perception perfection performances periodic periodically periods peripheral
+peripherals permissible perpetual persecute persecuted persecutes persecuting persist persistent
+personalities personality personnel perspective persuasion perverse pet petty pharmacies pharmacy
+phased phases phasing phenomena phenomenons philosopher philosophers philosophical philosophies
+phoenix phoned phones phoning photo photocopy photograph photographic photographs photos phrased
+phrasing physic physically physicist physicists physics physiology piano pie pig pigeon pigs piles
+pill pills pilot pin pinch pinched pinches pinching pink pins pints pipeline pipes pit pitch pitfall
+pitfalls pity pizza pizzas plague plagued plagues plaguing plainly planes planetary planets planted
+planting plants plaster plastered plastering plasters plate plates platform plausible players
+playground pleasantly pleasure plotted plotter plotting ploy plugged plugging plugs plural pockets
+poems poetic poetry poets pointer pointers poison poisoned poisoning poisons poke polar pole
+policeman polish polished polishes polishing polite politeness politically politician politicians
+politics polls pollution polynomial pompous poorer poorest poorly pope popped popping pops populace
+popularity populate populated populates populating populations pork pornography portability portable
+ported porter porters porting portion portions portray portrayed portraying portrays ports pose
+posed poses posing positioned positioning positively possess possessed possesses possessing
+possession postage postal postcard poster posters postpone postponed postpones postponing postscript
+postulate pot potato potatoes pour poured pouring pours poverty powder powered powering practicable
+practicals practices pragmatic praise pray prayed prayer prayers praying prays preach preached
+preaches preaching precaution precautions precede preceded precedence precedent precedes preceding
+precious precision predecessor predecessors predict predictable predicted predicting prediction
+predictions predicts predominantly preface preferences prefix prefixed prefixes prefixing pregnancy
+pregnant prejudice prejudiced prejudices prejudicing preliminary premature prematurely premise
+premises premium prerequisite prescribe prescribed prescribes prescribing prescription presentation
+presently preserved preserves preserving pressures presumed presumes presuming pretend pretended
+pretending pretends pretentious prevail prevalent prevention preview previewer priced pricing pride
+priest priests primarily primes primitives prince principal principally printouts priorities
+priority prisoner prisoners privacy privately privilege privileged privileges privileging prize
+prizes pro probabilities probability probable procedures proceed proceeded proceeding proceedings
+proceeds proclaim producer producers productive productivity profession professionals professor
+profile profiles profit profitable profits profound programmable progressed progresses progressing
+prohibit prohibited prohibiting prohibits projected projecting projection proliferation prolong
+prolonged prolonging prolongs prominent promote promoted promotes promoting promotion prompted
+prompting prompts pronoun pronounce pronounced pronounces pronouncing pronunciation proofs
+propaganda prophet proportional proportions proposals proposition proprietary prose prosecute
+prosecuted prosecutes prosecuting prosecution prospective prospects prostitute prostitutes protein
+protocol protocols prototype proven provision provisional provisions provocative provoke provoked
+provokes provoking proximity pseudo psychological psychologist psychologists psychology publications
+publisher publishers pudding pulp pulse pulses pump pumped pumping pumps pun punch punched punches
+punching punish punished punishes punishing punishment puns punt punts pupil pupils purchased
+purchases purchasing purge purity purple pursue pursued pursues pursuing pursuit puzzle puzzled
+puzzles puzzling python qualification qualifications qualifier qualifiers qualities quantum quarters
+queen queens queries query quest questionable questioned questioning questionnaire queued queues
+queuing quibble quieter quietest quiz quota quotas quotation quotations rabbit rabbits rabid raced
+races racial racing racism racist rack racket racks radar radiation radical radically radios radius
+rag rage raid raids rail railroad rails railway rainbow rained raining rains ram rampant rang ranged
+ranges ranging rank ranks rant ranted ranting rants rape rarer rarest rash rat rated rating ratio
+rational rationale rationally ratios rats rattle rattled rattles rattling rave raved raves raving
+ray razor reacted reacting reactionary reactions reactor reacts readership readings realistic realm
+realms rear rearrange rearranged rearranges rearranging reasoned reasoning reassure reassured
+reassures reassuring rebuild rebuilding rebuilds rebuilt recalled recalling recalls receipt receiver
+recipe recipes recipient recipients reckless reckon reckoned reckoning reckons reclaim recollection
+recommendations reconcile reconsider recorder recordings recovery recreational recruit recruited
+recruiting recruitment recruits rectangle rectangular rectified rectifies rectify rectifying
+recursion recursive recycle recycled recycles recycling redefine redefined redefines redefining
+redirect reductions redundancy referenced referencing referendum refine refined refines refining
+reflex reform reformat reformed reforming reforms refrain refresh refreshed refreshes refreshing
+refund refusal refute regain regime regional regions registration regrets regrettably regretted
+regretting reign reinstate reinstated reinstates reinstating reiterate rejection relations
+relationships relatives relativity relaxed relaxes relaxing relay reliability reliably relied relief
+relies relieve relieved relieves relieving religions relocation reluctance reluctantly relying
+remainder remarkable remarkably remarked remarking remedy reminder reminiscent rename renamed
+renames renaming rend render rendered rendering renders rending rendition rends renew renewed
+renewing renews rent repaired repairing repairs repeatable repent repertoire repetition repetitive
+rephrase replacements reporter representations representatives reproduced reproduces reproducing
+reproduction repulsive reputation requisite reread rereading rereads rescue researcher researchers
+resemblance resemble resembled resembles resembling resent reservation reservations reset resets
+resetting reside residence residents resides resign resignation resigned resigning resigns resist
+resistance resolve resolved resolves resolving resorted resorting resorts respectable respected
+respecting respective responded responding responds responsibilities restarted restarting restarts
+restaurant restaurants rested resting restrain restrained restraining restrains restriction
+restrictions restrictive rests resume resumed resumes resuming resurrection retail retained
+retaining retains retire retired retirement retires retiring retract retrieval retrieve retrieved
+retrieves retrieving reuse revelation revenge revenue reversed reverses reversing revert reviewed
+reviewing reviews revise revised revises revising revision revolt revolted revolting revolts
+revolution revolutionary reward rewards rewrites rewriting rewritten rewrote rhetorical rhyme rhythm
+ribbon rice rich richer richest ridden rides ridiculously riding rightly rigid rigorous ringed
+ringing rings riot rip ripped ripping rips risen rises rising risked risking risks risky ritual
+rituals rival rivals rivers roads robot robots robust rocket rocks rod rode roles rolled rolling
+rolls roman romance romantic roof roots rope rose rot rotate rotated rotates rotating rotation
+rotten roundabout rounded rounding rounds rout routed routes routinely routines routing routs rows
+royal royalties rub rude ruin ruined ruining ruins ruled ruler rulers ruling rung rural rushed
+rushes rushing rusty sabotage sack sacked sacking sacks sacred sacrifice sacrificed sacrifices
+sacrificing sadden saddened saddening saddens safeguard safeguards saga sail sailed sailing sails
+salaries salary salesman salt salvation sampled samples sampling sand sandwich sandwiches sane sang
+sanity sank sarcasm sarcastic satellite satellites satire satisfaction satisfactorily satisfactory
+sauce savings scaled scales scaling scandal scanned scanner scanning scans scarce scarcely scare
+scares scarf scaring scarlet scatter scattered scattering scatters scenario scenarios scenery scenes
+schedule scheduled scheduler schedules scheduling schemes scholar scholars scientifically scientist
+scientists scope scored scoring scotch scrapped scrapping scraps scratched scratches scratching
+scream screamed screaming screams screw screwed screwing screws scripts scroll scrolled scrolling
+scrolls scum seal sealed sealing seals seat seats seconded seconding secretaries secretly secrets
+sect sector sects secular seed seemingly segment segments seldom selective selectively selfish
+semantic semantics seminars sender sensation senses sensitivity sentenced sentencing sentient
+sentiment sentimental sentiments separated separates separating separation separator separators
+sequel sequential seriousness sermon servant servants servers settings seventh severity sexes sexist
+sexual sexuality sexually sexy shade shades shadow shake shaken shakes shaking shaky shallow shaped
+shapes shaping shareholder shareholders sharply shed shedding sheds sheep sheer sheets shells
+shelter shelve shelves shifted shifting shifts shine shined shines shining shiny shipped shipping
+ships shirt shock shocked shocking shocks shoe shone shook shooting shoots shorten shortened
+shortening shortens shorthand shorts shots shoulder shoulders shout shouted shouting shouts shove
+shower showers shutdown shy sic sicken sickened sickening sickens sided sideways siding sigh sighted
+sighting sights sigma signature signatures silence silent silicon sillier silliest silver
+similarities similarity simplicity simplified simplifies simplify simplifying simplistic simulate
+simulated simulates simulating simulation sin sincere sine sinful singer singers singing singles
+sings singular singularly sinister sink sinking sinks sins situate situated situates situating
+sixteen sixth sixties sixty sized sizing skeleton sketch sketches skilled skip skipped skipping
+skips skirt skull sky slag slang slash slave slaves sleeps slept slice sliced slices slicing slid
+slide slides sliding slighter slightest slim slipped slippery slipping slips slogan slope sloppy
+slot slots slowed slowing slows smallish smash smashed smashes smashing smells smelly smiled smiles
+smiling smith smoked smoker smokers smokes smoking smoothly smug snack snag snail sneak sneaked
+sneaking sneaks sneaky sniff snobbery snow soap sober socialism socialist socially societies sock
+socket sockets socks sod soil solar soldier soldiers sole soles solicitor solicitors solo songs sons
+sordid sore soul souls soundtrack soup spaced spacing span spares spatial specialist species
+specification specifications specimen spectacular spectrum speculate speculation sped speeches
+speeding speeds spellings sphere spies spigot spike spill spin spiral spirits spiritual spit spits
+spitted spitting splendid spoil spoiling spoils spokesman sponsor sponsored sponsoring sponsors
+spontaneous spontaneously spoof spool sport sports spout sprang spray springing springs sprung spur
+spurious spy squad squared squares squaring squash squashed squashes squashing squeeze squeezed
+squeezes squeezing stability stack stacks stagger staggered staggering staggers stair staircase
+stairs stake stale stall stamp stamped stamping stamps stance standpoint stare stared stares staring
+stark starred starring stars starter starters startle startled startles startling starve starved
+starves starving static stationary steadily steady stealing steals steam steel steep steer steered
+steering steers stem stems stepped stepping steps stereo stereotype stereotypes sterile sterling
+sticky stiff stimulate stimulated stimulates stimulating stimulation stir stirred stirring stirs
+stocks stole stolen stomach stories storm storms strain strains strangely stranger strangest
+strategic strategies straw stray streams streets strengthen stress stressed stresses stressing
+stretch stretched stretches stretching stringent strip stripped stripping strips strive stroke
+stronger strongest structural structured structuring struggle struggled struggles struggling studio
+stuffed stuffing stuffs stumble stumbled stumbles stumbling stun stunned stunning stuns stunt
+stupidity styles subjected subjecting subjective submission subroutine subroutines subscribe
+subscription subsequently subsidiary substance substances substantially substituted substitutes
+substituting substitution subtleties subtlety subtly subway subways succeeded succeeding succeeds
+succession successive successor sue sued sues sufferer sufferers suffix suicidal suicide suing
+suitability suite summaries summed summing sums sundry sung sunk sunlight sunny sunrise sunshine
+super superb superficial superficially superfluous superiority supermarket supernatural supervise
+supervised supervises supervising supervision supervisions supervisors supplement supplementary
+supplier suppliers supporter supporters suppress suppressed suppresses suppressing suppression
+supreme surfaces surgery surname surplus surprisingly surround surrounded surrounding surroundings
+surrounds surveys survival susceptible suspension suspicious suspiciously sustain sustained
+sustaining sustains swallow swallowed swallowing swallows swam swamp swamped swamping swamps swap
+swapped swapping swaps swear swearing swears sweat sweating sweats sweep sweeping sweeps swept swim
+swimming swims swing sword swore sworn swum symbolic symmetric symmetry sympathetic sympathies
+sympathy symphonies symphony symptom symptoms syndicate syndrome synonym synonymous synonyms
+syntactic syntactically synthesis synthesizer systematic tab tabs tack tacked tacking tackle tackled
+tackles tackling tacks tactic tactical tactics tactless tag tail tailor tailored tailoring tailors
+tails taker takers tale talent talented talents tales tall tame tangent tap targets tasted tasteless
+tastes tasting taxation taxes taxi taxpayer taxpayers teachers teams teapot tear teared tearing
+tears technically technological teenage teenager teenagers telephones telescope temper temperatures
+temple tempt temptation tempted tempting tempts tended tendencies tender tending tennis tens tense
+tension tentative tentatively tenth termed terminally terminate terminated terminates terminating
+termination terminator terming terrified terrifies terrify terrifying territory terror terrorism
+terrorist terrorists terse textbook textbooks texts textual thanked thankful thankfully thanking
+thee theft theirs theme themes theological theology theorem theorems theoretically theories therapy
+thereabouts thereafter therein thereof theses thesis thick thickness thief thieve thieves thirst
+thirty thorough thoroughfare thoroughfares thou thous thread threaten threatened threatening
+threatens threats threshold throat throats throughput thrust thrusting thrusts thumb thy tick tidied
+tidies tidy tidying tiger tightly tile tiles timer timescale timetable tins tiny tip tips tire tires
+tiresome tiring toad toast tobacco toe toes toggle toilet toilets tokens tolerance tolerant tolerate
+tolerated tolerates tolerating toll tomato tomatoes tome ton tone tones tongue tons tool tools
+topical tops tore torn torture toss tough tour tourist tourists tower towers towns toy toys traced
+traces tracing tracked tracking trade traded trades trading tradition traditionally traditions
+tragedy tragic trail trailed trailing trails transaction transactions transcript transform
+transformation transformed transforming transforms transient transit transition translations
+translator transmission transmissions transmit transmits transmitted transmitter transmitters
+transmitting transparent transported transporting transports trashcan travels tray tread treasure
+treaty trek tremendous tremendously trend trends trendy trials triangle triangles tribe tribes
+tricks tricky trifle trigger triggered triggering triggers trilogy trinity triple tripos trips
+triumph trivia trivially trolley troop troops troubles trouser trousers trumpet truncate truncated
+truncates truncating trunks trusty truths tube tubes tuned tunes tuning tunnel tunnels turntable
+tutor tutorial twentieth twin twins twist twisted twisting twists typeset typesets typesetting
+typewriter typically ugh umbrella unaffected unambiguous unattended unavailable unavoidable
+unbalanced unbearable unbelievable unbelievably unbiased uncertainty unchanged uncomfortable
+uncommon unconnected unconscious unconvincing undefined underestimate undergo undergoes undergoing
+undergone underground undergrounds underlain underlay underlie underlies underline underlined
+underlines underlining underlying understandable undertake undertaken undertakes undertaking
+undertook underwent undesirable undid undo undocumented undoes undoing undone undoubtedly unduly
+uneasy unemployed unemployment unexpected unexpectedly unexplained unfair unfamiliar unfinished
+unfounded unfriendly unhealthy unhelpful unified unifies uniformly unify unifying unimportant
+uninteresting union unions uniquely united unites uniting unity universally universe unjustified
+unload unlock unlocked unlocking unlocks unlucky unnatural unobtainable unofficial unpopular
+unpredictable unread unreadable unrealistic unrelated unreliable unsafe unsatisfactory unseen unset
+unsolicited unsound unspecified unstable unsuccessful unsupported unsure unsuspecting untidy unto
+untrue unusable unused unusually unwelcome unwilling unwise unworkable upbringing upgrade upgraded
+upgrades upgrading upright ups upside upward urban urge urged urgency urgent urgently urges urging
+usable usefully usefulness utilities utter vacancies vacancy vacuum vain valley valued valuing valve
+valves vandalism vanish vanished vanishes vanishing variance variant variants variations varieties
+vat vectors vegetable vegetables vegetarian vehicle vehicles vein velocity vend vended vending
+vendor vends venture venue venues verb verbal verbally verbatim verbose verbs verdict verification
+verified verifies verify verifying versatile verse verses versus vertical vertically vessel vet
+viable vicar vicinity vicious victims victory viewed viewer viewing viewpoint viewpoints vigorously
+vile villages vintage vinyl violate violation violence violent violently violin virgin virtual
+virtues virus viruses visited visiting visitor visitors visits visual visually vocabulary vocal
+voices void voltage volumes voluntarily voluntary volunteer volunteered volunteering volunteers
+vomit voted voter voters voting vouch vowel vulnerable wade waded wades wading waffle wage wages
+waked wakes waking wallet wander wandered wandering wanders ward warehouse warmed warming warms
+warnings warp warped warping warps warrant warranty wars wartime wary washed washes wasteful waters
+wave waved waves waving weak weakness weaknesses wealth wealthy weapons weary weasel weasels wed
+wedded weds wee weekday weekends weekly weigh welfare wet wets wetting whale whales whence whereupon
+whichever whim whistle whistles whites wholeheartedly wholly whoop whoops wicked width wildly
+willingly winded winding windowing winds wines wing wings winner winners wipe wiped wipes wiping
+wired wires wiring wisdom wiser wisest wit witch withdrawal withdrawing withdrawn withdraws withdrew
+witness witnessed witnesses witnessing witty wive wives wizard woke woken wolf wombat wonderfully
+wondrous wont wood woods workable workings workload workshop workstation workstations worlds
+worldwide worm worms worship worthless wound wrap wrapped wrapper wrappers wrapping wraps wrath
+wreck wrecked wrecker wrecking wrecks wren wretched wrist writers writings wrongly wrongs yards yawn
+yearly yeti yield yields younger youngest youth zeros zone zones zoom adaptor ageing analyse
+analysed analysing apologised apologises apologising appal appals arse authorisation authorise
+authorised authorises authorising axe busses cancelled cancelling catalogues centred centres
+centring chequer civilisation civilise civilised civilises civilising coloured colouring computerise
+computerised computerises computerising cosy counselled counselling criticise criticised criticises
+criticising dependant dialled dialling diallings dialog draught draughts dreamed dreamt emphasise
+emphasised emphasises emphasising endeavour enquire enquired enquires enquiries enquiring enquiry
+favourable favoured favouring favourites favours fibre fibres finalise finalised finalises
+finalising formulae fulfil fulfils generalisation generalisations generalise generalised generalises
+generalising honour honoured honouring honours humour initialisation initialise initialised
+initialises initialising inquire inquired inquires inquiries inquiring inquiry judgements licence
+licences litre marvellous maximise metre metres minimise modelled modelling modellings mould
+neighbourhood neighbours offence offences optimisation optimise optimised optimises optimising
+organisations organiser organisers patronise patronised patronises patronising practised practises
+practising prise prises privatisation publicise publicised publicises publicising realisation
+recognisable rumoured rumouring rumours sceptical signalled signalling specialise specialised
+specialises specialising speciality spoiled spoilt standardise standardised standardises
+standardising storeys subsidise subsidised subsidises subsidising summarise summarised summarises
+summarising sympathise theatre travelled travelling travellings tyre tyres unauthorised whisky aback
+abacus abacuses abandonment abate abated abates abating abbey abbeys abbot abbots abdicate abdicated
+abdicates abdicating abdication abdications abdomen abdomens abdominal abduct abducted abducting
+abducts aberration aberrations abet abets abetted abetting abhor abhorred abhorrence abhorrent
+abhorring abhors abides abiding abject ablaze abler ablest ably abnormalities abnormality aboard
+abode abodes abominable abomination aboriginal aborigine aborigines abortions abortive abound
+abounded abounding abounds aboveboard abrasive abrasives abreast abridge abridged abridges abridging
+abrupt abrupter abruptest abruptly abscess abscessed abscesses abscessing abscond absconded
+absconding absconds absences absented absentee absentees absenting absents absolutes absolutest
+absolve absolved absolves absolving absorbent absorbents absorption abstain abstained abstaining
+abstains abstention abstentions abstinence abstracted abstracting abstractions abstracts abstruse
+absurder absurdest absurdities absurdity absurdly abundance abundances abundant abundantly abuser
+abusers abyss abysses academically academies academy accede acceded accedes acceding accelerated
+accelerates accelerating acceleration accelerations accelerator accelerators accented accenting
+accentuate accentuated accentuates accentuating acceptability acceptably acceptances accessibility
+accessories accessory accidentals acclaim acclaimed acclaiming acclaims acclimate acclimated
+acclimates acclimating accolade accolades accommodated accommodates accommodating accommodations
+accompaniment accompaniments accompanist accompanists accomplice accomplices accomplishment
+accomplishments accordion accordions accost accosted accosting accosts accountability accountable
+accountancy accredit accredited accrediting accredits accrue accrued accrues accruing accumulation
+accumulations accuser accusers aced aces ache ached aches achievable aching acidity acids acing acne
+acorns acoustics acquaint acquaintances acquainted acquainting acquaints acquiesce acquiesced
+acquiescence acquiesces acquiescing acquisitions acquit acquits acquittal acquittals acquitted
+acquitting acre acreage acreages acres acrid acrider acridest acrimonious acrimony acrobat acrobatic
+acrobatics acrobats acrylic acrylics actives activist activists actress actresses actualities
+actuality actuary acumen acupuncture acutely acuter acutes acutest ad adage adages adamant adaptable
+adaptations adaptive addendum addiction addictions additive additives addressee addressees adept
+adepts adherence adherent adherents adhesion adhesive adhesives adjectives adjoin adjoined adjoining
+adjoins adjourn adjourned adjourning adjournment adjournments adjourns adjunct adjuncts adjustable
+administrations administrator administrators admirably admiral admirals admired admirer admirers
+admires admiring admissible admissions admittance admonish admonished admonishes admonishing
+admonition admonitions ado adobe adobes adolescence adolescences adolescent adolescents adoptions
+adorable adoration adore adored adores adoring adorn adorned adorning adornment adornments adorns
+adrift adroit adroitly ads adulation adulterate adulterated adulterates adulterating adulteration
+adulteries adultery adulthood advancement advancements advantaged advantaging adventured adventurer
+adventurers adventuring adverb adverbial adverbials adverbs adversaries adversary adverser adversest
+adversities adversity advertiser advertisers advisories aerials aerodynamic aerodynamics aerosol
+aerosols aerospace afar affable affably affectation affectations affectionate affectionately
+affections affidavit affidavits affiliate affiliated affiliates affiliating affiliation affiliations
+affinities affinity affirm affirmation affirmations affirmative affirmatives affirmed affirming
+affirms affix affixed affixes affixing afflict afflicted afflicting affliction afflictions afflicts
+affluence affluent affordable afforded affording affords affront affronted affronting affronts
+afield aflame afloat afoot aforesaid afresh aftereffect aftereffects afterlife afterlives aftermath
+aftermaths afterthought afterthoughts agencies agendas aggravate aggravated aggravates aggravating
+aggravation aggravations aggregate aggregated aggregates aggregating aggression aggressively
+aggressiveness aggressor aggressors aghast agile agility agitate agitated agitates agitating
+agitation agitations agitator agitators aglow agnostic agnosticism agnostics agonies agreeable
+agreeably agriculture aground ahoy aide aides ail ailed ailing ailment ailments ails aimless
+aimlessly airborne aired airfield airfields airier airiest airing airline airliner airliners
+airlines airmail airmailed airmailing airmails airports airs airstrip airstrips airtight airy aisle
+aisles ajar alarmingly alarmist alarmists albino albinos alcoholics alcoholism alcohols alcove
+alcoves ale alerted alerting alerts ales alga algae aliased aliasing alibi alibied alibiing alibis
+alienate alienated alienates alienating alienation aliened aliening alight alighted alighting
+alights alignments alimony alkali alkalies alkaline allay allayed allaying allays allegiance
+allegiances allegorical allegories allegory allergies allergy alleviated alleviates alleviating
+alley alleys alliances allied alligator alligators allot allotment allotments allots allotted
+allotting alloy alloyed alloying alloys allude alluded alludes alluding allure allured allures
+alluring allusion allusions allying almanac almanacs almighty almond almonds alms aloft aloof
+alphabetically alphabets alphanumeric altar altars alterable alternated alternately alternates
+alternating alternation alternator altitude altitudes alto altos altruism altruistic amalgamate
+amalgamated amalgamates amalgamating amalgamation amalgamations amass amassed amasses amassing
+amateurish amateurs amazement ambassadors ambidextrous ambiguously ambition ambitions ambitiously
+ambivalence ambivalent amble ambled ambles ambling ambulance ambulances ambush ambushed ambushes
+ambushing amen amenable amendments amenities amenity amethyst amethysts amiable amiably amicable
+amicably amid amiss ammonia ammunition amnesia amnestied amnesties amnesty amnestying amoeba amoebas
+amok amoral amorous amorphous amounted amounting ampere amperes ampersand ampersands amphetamine
+amphetamines amphibian amphibians amphibious ampler amplest amplification amplifications amplified
+amplifiers amplifies amplify amplifying amplitude amply amps amputate amputated amputates amputating
+amputation amputations amulet amulets amusements amusingly anachronism anachronisms anal analgesic
+analgesics analogies analysts analytic analytical anarchic anarchism anarchist anarchists anathema
+anatomical anatomies ancestral ancestries ancestry anchor anchorage anchorages anchored anchoring
+anchors anchovies anchovy ancienter ancientest ancients android androids anew angelic angered
+angering angers angled angler anglers angling angrier angriest angrily angst anguished anguishes
+anguishing angular animate animated animates animating animation animations animosities animosity
+ankle ankles annals annex annexation annexations annexed annexes annexing annihilate annihilated
+annihilates annihilating annihilation anniversaries annotate annotated annotates annotating
+annotation annotations announcer announcers annoyances annoyingly annuals annuities annuity annul
+annulled annulling annulment annulments annuls anoint anointed anointing anoints anomalous anon
+anonymity anonymously answerable ant antagonism antagonisms antagonist antagonistic antagonists
+anteater anteaters antelope antelopes antenna antennae antennas anthem anthems anthill anthills
+anthologies anthrax anthropological anthropologist anthropologists anthropology antibiotic
+antibiotics antibodies antibody antic anticipations anticlimax anticlimaxes antics antidotes
+antifreeze antipathies antipathy antiquate antiquated antiquates antiquating antiqued antiques
+antiquing antiquities antiquity antiseptic antiseptics antitheses antithesis antler antlers antonym
+antonyms ants anus anuses anvil anvils anxieties anxiety anxiously anybodies anythings aorta aortas
+apartheid apartments ape aped aperture apertures apes apex apexes aphorism aphorisms apiece aping
+aplomb apocryphal apologetic apologetically apostle apostles apostrophes apparel apparels apparition
+apparitions appease appeased appeasement appeasements appeases appeasing appendage appendages
+appendices appendicitis appendixes appetite appetites applaud applauded applauding applauds
+appliance appliances applicability applicator applicators appointee appointees apposite appraisals
+appraise appraised appraises appraising appreciable appreciations appreciative apprehend apprehended
+apprehending apprehends apprehension apprehensions apprehensive apprentice apprenticed apprentices
+apprenticeship apprenticeships apprenticing approachable appropriated appropriates appropriating
+appropriation appropriations approvals approximated approximates approximating approximations
+apricot apricots apron aprons apter aptest aptitude aptitudes aptly aquamarine aquamarines aquarium
+aquariums aquatic aquatics aqueduct aqueducts arable arbiter arbiters arbitrate arbitrated
+arbitrates arbitrating arbitration arbitrator arbitrators arcades arced archaeological archaeologist
+archaeologists archaeology archbishop archbishops arched archer archers archery arches archest
+archetypal arching archipelago archipelagos architect architects architectural architectures archway
+archways arcing arcs ardent ardently arduous arduously arenas ares argumentative aria arias arid
+aristocracies aristocracy aristocrat aristocratic aristocrats ark arks armadillo armadillos armament
+armaments armchair armchairs armies armistice armistices armpit armpits aroma aromas aromatic
+aromatics arouse aroused arouses arousing arraign arraigned arraigning arraigns arrayed arraying
+arrears arrivals arrogantly arsenal arsenals arsenic arson arterial arteries artery artful arthritic
+arthritics arthritis artichoke artichokes articulate articulated articulately articulates
+articulating articulation articulations artifice artifices artillery artisan artisans artistically
+artistry artwork asbestos ascension ascensions ascent ascents ascertain ascertained ascertaining
+ascertains ascetic ascetics ascribe ascribed ascribes ascribing asexual ashed ashen ashing ashore
+ashtray ashtrays asides askance askew asparagus aspen aspens aspersion aspersions asphalt asphalted
+asphalting asphalts asphyxiate asphyxiated asphyxiates asphyxiating asphyxiation asphyxiations
+aspirant aspirants aspiration aspirations aspire aspired aspires aspirin aspiring aspirins assail
+assailant assailants assailed assailing assails assassin assassinate assassinated assassinates
+assassinating assassination assassinations assassins assaulted assaulter assaulting assaults
+assemblers assemblies assent assented assenting assents assertions assertive asses assessments
+assessor assessors assimilate assimilated assimilates assimilating assimilation assistants
+associative assortment assortments assurance assurances assureds asterisked asterisking asteroid
+asteroids asthma astonish astonished astonishes astonishing astonishingly astonishment astound
+astounded astounding astounds astray astride astringent astringents astrological astrology astronaut
+astronauts astronomical astute astutely astuter astutest asylum asylums asymmetry asynchronously
+atheistic athlete athletes athletic athletics atlases atmospheres atone atoned atonement atones
+atoning atrocious atrociously attachments attaché attacker attained attaining attainment attainments
+attains attendances attendants attentive attentively attest attested attesting attests attic attics
+attire attired attires attiring attractions attractiveness attributable attribution auburn auction
+auctioned auctioneer auctioneers auctioning auctions audacious audacity audibles audibly audios
+audit audited auditing audition auditioned auditioning auditions auditor auditorium auditoriums
+auditors auditory audits augment augmented augmenting augments august auguster augustest aunts aura
+aural auras auspicious austere austerer austerest austerities austerity authentically authenticate
+authenticated authenticates authenticating authenticity authored authoring authoritarian
+authoritative authoritatively authorship auto autobiographical autobiographies autocracies autocracy
+autocrat autocratic autocrats autograph autographed autographing autographs automatics automation
+automobiled automobiling automotive autonomous autonomy autopsied autopsies autopsy autopsying autos
+autumnal autumns auxiliaries auxiliary avail availed availing avails avalanche avalanches avarice
+avaricious avenge avenged avenges avenging avenue avenues averaged averages averaging averse
+aversion aversions avert averted averting averts aviation aviator aviators avid avocado avocados
+avoidable avoidance avow avowal avowals avowed avowing avows awaken awakened awakening awakens
+awakes awaking awe awed awes awesome awfuller awfullest awhile awing awkwarder awkwardest awkwardly
+awkwardness awning awnings awoke awoken awry axed axing axiomatic axle axles aye ayes azalea azaleas
+azure azures babble babbled babbles babbling babe babes babied babier babiest baboon baboons babying
+babyish bachelor bachelors backbones backer backers backfire backfired backfires backfiring
+backgammon backhand backhanded backhanding backhands backings backlash backlashes backlogged
+backlogging backlogs backpack backpacked backpacking backpacks backside backslash backstage
+backtrack backtracked backtracking backtracks backwoods bacon bacterial badder baddest bade badger
+badgered badgering badgers badges badminton badness bagel bagels bagged baggier baggiest bagging
+baggy bail bailed bailing bails bait baited baiting baits baker bakeries bakers bakery balconies
+balcony bald balded balder baldest balding baldness balds bale baled bales baling ballad ballads
+ballast ballasted ballasting ballasts balled ballerina ballerinas ballets balling ballistics balloon
+ballooned ballooning balloons balloted balloting ballots ballroom ballrooms balm balmier balmiest
+balms balmy baloney bamboo bamboos bamboozle bamboozled bamboozles bamboozling bandage bandaged
+bandages bandaging banded bandied bandier bandies bandiest banding bandit bandits bandstand
+bandstands bandwagons bandy bandying banged banging bangs bani banish banished banishes banishing
+banister banisters banjo banjos banked banker bankers banking banknote banknotes bankruptcies
+bankruptcy bankrupted bankrupting bankrupts banners banquet banqueted banqueting banquets banter
+bantered bantering banters baptism baptisms barb barbarian barbarians barbaric barbarous barbecue
+barbecued barbecues barbecuing barbed barber barbered barbering barbers barbing barbiturate
+barbiturates barbs bard bards bareback bared barefoot barer bares barest bargained bargainer
+bargaining bargains barge barged barges barging baring baritone baritones barley barman barn
+barnacle barnacles barns barnyard barnyards barometer barometers baron barons barrage barraged
+barrages barraging barrels barren barrener barrenest barrens barrette barrettes barricade barricaded
+barricades barricading barrings bartender bartenders barter bartered bartering barters baseball
+baseballs baseline basements baser basest bashful basil basin basins bask basked basketball
+basketballs baskets basking basks bassoon bassoons baste basted bastes basting batched batches
+batching bathe bathed bathes bathing bathrooms bathtub bathtubs baton batons bats batsman battalion
+battalions batted batter battered battering batters batting battled battlefield battlefields battles
+battleship battleships battling bawdier bawdiest bawdy bawl bawled bawling bawls bayed baying
+bayonet bayoneted bayoneting bayonets bayou bayous bays bazaar bazaars beached beaches beaching
+beacon beacons bead beaded beadier beadiest beading beads beady beagle beagles beak beaked beaker
+beakers beaks beamed beaming beams beaned beaning bearable bearer bearers bearings beater beaters
+beautician beauticians beauties beautified beautifies beautify beautifying beaver beavered beavering
+beavers beckon beckoned beckoning beckons bedbug bedbugs bedclothes bedded bedder bedding bedlam
+bedlams bedridden bedrock bedrocks bedrooms bedside bedsides bedspread bedspreads bedtime bedtimes
+bee beech beeches beefed beefier beefiest beefing beefs beefy beehive beehives beeper bees beeswax
+beet beetle beetled beetles beetling beets beeves befall befallen befalling befalls befell befit
+befits befitted befitting befriend befriended befriending befriends beggar beggared beggaring
+beggars begged begging beginnings begrudge begrudged begrudges begrudging begs beguile beguiled
+beguiles beguiling behalves behead beheaded beheading beheads beheld behinds behold beholder
+beholding beholds beige belated belatedly belch belched belches belching belfries belfry belie
+belied belies belittle belittled belittles belittling bellboy bellboys belled bellhop bellhops
+bellied bellies belligerent belligerents belling bellow bellowed bellowing bellows belly bellying
+belongings beloveds belted belting belts belying bemoan bemoaned bemoaning bemoans bemuse bemused
+bemuses bemusing benched benches benching bender benediction benedictions benefactor benefactors
+beneficiaries beneficiary benefited benefiting benevolence benevolences benevolent benighted benign
+bents bequeath bequeathed bequeathing bequeaths bequest bequests bereave bereaved bereavement
+bereavements bereaves bereaving bereft beret berets berried berries berry berrying berserk berth
+berthed berthing berths beseech beseeches beseeching beset besets besetting besiege besieged
+besieges besieging besought bested bestial bestiality besting bestow bestowed bestowing bestows
+bests betcha betray betrayal betrayals betrayed betraying betrays betrothal betrothals bettered
+bettering betterment betters bettor bettors beverage beverages bewared bewares bewaring bewilder
+bewildered bewildering bewilderment bewilders bewitch bewitched bewitches bewitching bib
+bibliographic bibliographies bibliography bibs bicentennial bicentennials bicker bickered bickering
+bickers bicycled bicycling bidden bide bides biding biennial biennials bifocals bigamist bigamists
+bigamous bigamy bigots bike biked bikes biking bikini bikinis bilateral bile bilingual bilinguals
+billboard billboards billed billfolds billiards billing billow billowed billowing billows binaries
+binder binders bindings bingo binned binning binomial bins biochemical biodegradable biographer
+biographers biographical biographies biologically bipartisan biped bipeds biplane biplanes birch
+birched birches birching birdcage birdcages birded birding birthdays birthed birthing birthmark
+birthmarks birthplace birthplaces births bisect bisected bisecting bisects bisexual bisexuals
+bishops bison bitch bitched bitches bitching bitterer bitterest bitterly bitterness bittersweet
+bittersweets blab blabbed blabbing blabs blackberries blackberry blackberrying blackbird blackbirds
+blackboards blacked blacken blackened blackening blackens blacker blackest blackhead blackheads
+blacking blackjack blackjacked blackjacking blackjacks blacklist blacklisted blacklisting blacklists
+blackmailed blackmailer blackmailers blackmailing blackmails blackout blackouts blacksmith
+blacksmiths blacktop blacktopped blacktopping blacktops bladder bladders blameless blamer blanch
+blanched blanches blanching blancmange bland blander blandest blanked blanker blankest blanketed
+blanketing blankets blanking blankly blare blared blares blaring blaspheme blasphemed blasphemes
+blasphemies blaspheming blasphemous blasphemy blaster blasé blaze blazed blazer blazers blazes
+blazing bleach bleached bleaches bleaching bleak bleaker bleakest blearier bleariest bleary bleat
+bleated bleating bleats bled bleed bleeding bleeds blemish blemished blemishes blemishing blend
+blended blending blends blessings blight blighted blighting blights blimp blimps blinded blinder
+blindest blindfold blindfolded blindfolding blindfolds blinding blindingly blindness blinds blinked
+blinker blinkered blinkering blinkers blinking blinks blip blips blissful blissfully blister
+blistered blistering blisters blithe blithely blither blithest blitz blitzed blitzes blitzing
+blizzard blizzards blobbed blobbing blobs bloc blockade blockaded blockades blockading blockage
+blockbuster blockbusters blockhead blockheads blocs blog blogged blogger bloggers blogging blogs
+blond blonde blonder blondes blondest blonds blooded bloodhound bloodhounds bloodied bloodier
+bloodies bloodiest blooding bloods bloodshed bloodshot bloodstream bloodthirstier bloodthirstiest
+bloodthirsty bloodying bloom bloomed blooming blooms blossom blossomed blossoming blossoms blot
+blotch blotched blotches blotching blots blotted blotter blotters blotting blouse bloused blouses
+blousing blowout blowouts blowtorch blowtorches blubber blubbered blubbering blubbers bludgeon
+bludgeoned bludgeoning bludgeons bluebell bluebells blueberries blueberry bluebird bluebirds blued
+bluegrass blueprint blueprinted blueprinting blueprints bluer bluest bluff bluffed bluffer bluffest
+bluffing bluffs bluing blunder blundered blundering blunders blunt blunted blunter bluntest blunting
+bluntly bluntness blunts blur blurred blurring blurs blurt blurted blurting blurts blush blushed
+blushes blushing bluster blustered blustering blusters boa boar boarded boarder boarders boarding
+boardwalk boardwalks boars boas boast boasted boastful boastfully boasting boasts boated boating
+bobbed bobbin bobbing bobbins bobcat bobcats bobsled bobsledded bobsledding bobsleds bode boded
+bodes bodice bodices bodily boding bodyguard bodyguards bodywork boggled boggling boiler boilers
+boisterous bolder boldest boldly boldness bologna bolster bolstered bolstering bolsters bolted
+bolting bolts bombard bombarded bombarding bombardment bombardments bombards bomber bombers bombings
+bondage bonded bonding bonds boned bonfire bonfires bonier boniest boning bonnet bonnets bonuses
+bony boo booby booed booing bookcase bookcases bookend bookends bookings bookkeeper bookkeepers
+bookkeeping booklets bookmark bookmarked bookmarking bookmarks bookshelf bookworm bookworms boomed
+boomerang boomeranged boomeranging boomerangs booming booms boon boons boor boorish boors boos
+boosted booster boosters boosting boosts booted bootee bootees booth booths booties booting bootleg
+bootlegged bootlegging bootlegs bootstrap booty booze bop bordered bordering borderlines borders
+boringly borough boroughs bosom bosoms bossed bosses bossier bossiest bossing bossy botanical
+botanist botanists botany botch botched botches botching bothersome bottled bottleneck bottlenecks
+bottling bottomed bottoming bottomless bottoms bough boughs boulder boulders boulevard boulevards
+bounced bounces bouncing bounded bounding boundless bounties bountiful bounty bouquet bouquets
+bourbon bourgeois bourgeoisie boutique boutiques bouts bovine bovines bowed bowel bowels bowing
+bowled bowlegged bowler bowling bowls bows boxcar boxcars boxed boxer boxers boxing boycott
+boycotted boycotting boycotts boyfriends boyhood boyhoods boyish bra brace braced bracelet bracelets
+braces bracing brackish brag braggart braggarts bragged bragging brags braid braided braiding braids
+brained brainier brainiest braining brainless brainstorm brainstormed brainstorming brainstorms
+brainwash brainwashed brainwashes brainwashing brainy braise braised braises braising braked braking
+bran branched branching brandied brandies brandish brandished brandishes brandishing brandy
+brandying bras brash brasher brashest brasses brassier brassiere brassieres brassiest brassy brat
+brats bravado braved bravely braver bravery braves bravest braving bravo bravos brawl brawled
+brawling brawls brawn brawnier brawniest brawny bray brayed braying brays brazen brazened brazening
+brazens brazier braziers breached breaches breaching breaded breading breads breadth breadths
+breadwinner breadwinners breakable breakables breakdowns breakfasted breakfasting breakfasts
+breakneck breakpoints breakthrough breakthroughs breakwater breakwaters breast breasted breasting
+breasts breather breathers breathless breaths breathtaking breeder breeders breezed breezes breezier
+breeziest breezing breezy brevity brew brewed breweries brewery brewing brews bribe bribed bribery
+bribes bribing bricked bricking bricklayer bricklayers bridal bridals bride bridegroom bridegrooms
+brides bridesmaid bridesmaids bridged bridging bridle bridled bridles bridling briefcase briefcases
+briefed briefer briefest briefing briefs brigades brighten brightened brightening brightens
+brilliance brilliants brim brimmed brimming brims brimstone brine brinier briniest brink brinks
+briny brisk brisked brisker briskest brisking briskly brisks bristle bristled bristles bristling
+britches brittle brittler brittlest broach broached broaches broaching broaden broadened broadening
+broadens broader broadest broads broadside broadsided broadsides broadsiding brocade brocaded
+brocades brocading broccoli brochure brochures broil broiled broiler broilers broiling broils broker
+brokered brokering brokers bronchitis bronco broncos bronze bronzed bronzes bronzing brooch brooches
+brood brooded brooding broods brook brooked brooking brooks broom brooms broth brotherhood
+brotherhoods brotherly broths brow browbeat browbeaten browbeating browbeats browned browner
+brownest brownie brownies browning browns brows bruise bruised bruises bruising brunch brunched
+brunches brunching brunette brunettes brunt brushed brushes brushing brusque brusquer brusquest
+brutalities brutality brutally brute brutes brutish bubbled bubbles bubblier bubbliest bubbling
+bubbly bucked bucketed bucketing buckets bucking buckle buckled buckles buckling bud budded buddies
+budding buddy budge budged budges budgeted budgeting budgets budging buds buff buffalo buffaloed
+buffaloes buffaloing buffed buffet buffeted buffeting buffets buffing buffoon buffoons buffs bugged
+buggier buggies buggiest bugging buggy bugle bugled bugler buglers bugles bugling builder builders
+bulbous bulge bulged bulges bulging bulked bulkier bulkiest bulking bulks bulky bulldog bulldogged
+bulldogging bulldogs bulldoze bulldozed bulldozer bulldozers bulldozes bulldozing bulled bulletined
+bulletining bulletins bullfight bullfighter bullfighters bullfights bullfrog bullfrogs bullied
+bullies bulling bullion bulls bully bullying bum bumblebee bumblebees bummed bummer bummest bumming
+bumped bumper bumpers bumpier bumpiest bumping bumps bumpy bums bun bunched bunches bunching bundled
+bundles bundling bung bungalow bungalows bungle bungled bungler bunglers bungles bungling bunion
+bunions bunk bunked bunker bunkers bunking bunks bunnies bunny buns buoy buoyancy buoyant buoyed
+buoying buoys burble burbled burbles burbling burdened burdening burdens burdensome bureau
+bureaucracies bureaucrat bureaucratic bureaucrats bureaus burger burgers burglar burglaries burglars
+burglary burgle burial burials burlap burlier burliest burly burner burners burnish burnished
+burnishes burnishing burp burped burping burps burr burred burring burro burros burrow burrowed
+burrowing burrows burrs bursar bushed bushel bushels bushes bushier bushiest bushing bushy busied
+busier busies busiest busily businessman businessmen businesswoman businesswomen busted busting
+bustle bustled bustles bustling busts busybodies busybody busying butcher butchered butcheries
+butchering butchers butchery butler butlers buts butt butte butted buttercup buttercups buttered
+butterflied butterflies butterfly butterflying buttering buttermilk butters butterscotch buttery
+buttes butting buttock buttocks buttoned buttonhole buttonholed buttonholes buttonholing buttoning
+buttress buttressed buttresses buttressing butts buxom buzz buzzard buzzards buzzed buzzer buzzers
+buzzes buzzing byes bygone bygones bypassed bypasses bypassing bystander bystanders byway byways cab
+cabaret cabarets cabbages cabbed cabbing cabin cabinets cabins caboose cabooses cabs cacao cacaos
+cache cached caches caching cackle cackled cackles cackling cacti cactus cad caddie caddied caddies
+caddying cadence cadences cadet cadets cafeteria cafeterias cafés caged cages cagey cagier cagiest
+caging cajole cajoled cajoles cajoling caked caking calamities calamity calcium calculators calculi
+calendared calendaring calendars calf calibrate calibrated calibrates calibrating calibration
+calibrations calico calicoes callable callers calligraphy callings callous calloused callouses
+callousing callow callus callused calluses callusing calmed calmer calmest calming calmly calmness
+calms calorie calories calve calves camaraderie camel camels cameo cameos camouflage camouflaged
+camouflages camouflaging campaigner campaigners camped camper campers camping campuses canal canals
+canaries canary cancellation cancellations cancers candid candidacies candidacy candidly candied
+candies candle candled candles candlestick candlesticks candling candy candying cane caned canes
+canine canines caning canister canisters canker cankered cankering cankers canned canneries cannery
+cannibal cannibalism cannibals cannier canniest canning cannon cannoned cannoning cannons canny
+canoe canoed canoeing canoes canon canons canopied canopies canopy canopying cantaloupe cantaloupes
+cantankerous canteen canteens canter cantered cantering canters canvas canvased canvases canvasing
+canvass canvassed canvasser canvassers canvasses canvassing canyon canyons capably capacitance
+capacities capacitor capacitors cape caped caper capered capering capers capes capillaries capillary
+capitalists capitulate capitulated capitulates capitulating capped capping caprice caprices
+capricious capriciously capsize capsized capsizes capsizing capsule capsuled capsules capsuling
+captained captaining captains caption captioned captioning captions captivate captivated captivates
+captivating captive captives captivities captivity captor captors caramel caramels carat carats
+caravan caravans carbohydrate carbohydrates carbons carcass carcasses carcinogenic carded cardiac
+cardigan cardigans cardinal cardinals carding careered careering carefree carefuller carefullest
+carefulness carelessly carelessness caress caressed caresses caressing caretaker caretakers cargo
+cargoes caribou caribous caricature caricatured caricatures caricaturing carnage carnal carnation
+carnations carnival carnivals carnivore carnivores carnivorous carol carols carouse caroused
+carouses carousing carp carped carpenter carpentered carpentering carpenters carpentry carpeted
+carpeting carpets carping carps carriages carriageway carriers carrion cart carted cartel cartels
+cartilage cartilages carting cartographer cartographers cartography carton cartons cartooned
+cartooning cartoonist cartoonists carts cartwheel cartwheeled cartwheeling cartwheels carve carved
+carves carving cascade cascaded cascades cascading cashed cashes cashew cashews cashier cashiered
+cashiering cashiers cashing cashmere casings casino casinos cask casket caskets casks casserole
+casseroled casseroles casseroling castaway castaways caste caster casters castes castigate
+castigated castigates castigating castings castled castles castling castoff castoffs castrate
+castrated castrates castrating casually casuals casualties casualty cataclysm cataclysmic cataclysms
+catapult catapulted catapulting catapults cataract cataracts catastrophe catastrophes catcall
+catcalled catcalling catcalls catchier catchiest catchings catchment catchy catechism catechisms
+categorical caterer caterers caterpillar caterpillars catfish catfishes cathedrals catnap catnapped
+catnapping catnaps catnip catwalk catwalks caucus caucused caucuses caucusing cauliflower
+cauliflowers caulk caulked caulking caulks causeway causeways caustic caustics cautioned cautioning
+cautions cautious cautiously cavalier cavaliers cavalries cavalry caveats caved cavern caverns caves
+caviar caving cavities cavity cavort cavorted cavorting cavorts caw cawed cawing caws ceasefire
+ceaseless ceaselessly cedar cedars cede ceded cedes ceding ceilings celebrations celebrities
+celebrity celery celestial celibacy celibate celibates cellar cellars cellist cellists cello
+cellophane cellos cellulars cellulose cement cemented cementing cements cemeteries cemetery censure
+censured censures censuring census censused censuses censusing centennial centennials centipede
+centipedes centrals centrifuge cents ceramic cereal cereals cerebral ceremonial ceremonials
+ceremonies ceremonious certainties certificated certificates certificating certified certifies
+certify certifying cervical cessation cessations chafe chafed chafes chaff chaffed chaffing chaffs
+chafing chagrin chagrined chagrining chagrins chained chaining chainsaw chaired chairing chairmen
+chairperson chairpersons chalet chalets chalice chalices chalked chalkier chalkiest chalking chalks
+chalky challenger challengers chambers chameleon chameleons champ champagnes champed champing
+championed championing champions championship championships champs chanced chancellors chancing
+chandelier chandeliers changeable chant chanted chanting chants chapels chaperoned chaperoning
+chaplain chaplains chapped chapping characteristically charcoal charcoals chargeable charger chariot
+chariots charisma charismatic charismatics charitably charlatan charlatans charred charring charted
+chartered chartering charters charting chasm chasms chassis chaste chasten chastened chastening
+chastens chaster chastest chastise chastised chastisement chastisements chastises chastising
+chastity chatter chatterbox chatterboxes chattered chattering chatters chattier chattiest chatty
+chauffeur chauffeured chauffeuring chauffeurs chauvinist chauvinists cheapen cheapened cheapening
+cheapens cheapness checkers checkout checkpoint checkup checkups cheeked cheeking cheeks cheep
+cheeped cheeping cheeps cheered cheerfuller cheerfullest cheerfully cheerfulness cheerier cheeriest
+cheering cheery cheesecloth cheesed cheeses cheesing cheetah cheetahs chef chefs chemically cherish
+cherished cherishes cherishing cherries cherry cherub cherubim cherubs chestnuts chests chewier
+chewiest chewy chi chic chicer chicest chick chickened chickening chicks chide chided chides chiding
+chiefer chiefest chiefly chiefs chieftain chieftains childbirth childbirths childhoods childlike
+chill chilled chiller chillest chillier chilliest chilling chills chilly chime chimed chimes chiming
+chimney chimneys chimp chimpanzee chimpanzees chimps chin china chink chinked chinking chinks
+chinned chinning chins chintz chipmunk chipmunks chipped chipper chippers chipping chiropractor
+chiropractors chirp chirped chirping chirps chisel chisels chivalrous chivalry chlorine chloroform
+chloroformed chloroforming chloroforms chlorophyll chocolates choicer choicest choirs choke choked
+chokes choking cholera cholesterol choosier choosiest choosy chopper choppered choppering choppers
+choppier choppiest choppy chorals chords chore choreographer choreographers choreography chores
+chortle chortled chortles chortling chorused choruses chorusing chow chowder chowders chowed chowing
+chows christen christened christening christenings christens chrome chromed chromes chroming
+chromium chromosome chromosomes chronic chronically chronicle chronicled chronicles chronicling
+chronological chronologically chronologies chronology chrysanthemum chrysanthemums chubbier
+chubbiest chubby chuckle chuckled chuckles chuckling chug chugged chugging chugs chum chummed
+chummier chummiest chumming chummy chums chunkier chunkiest chunky churn churned churning churns
+chute chutes ciders cigar cigarettes cigars cinch cinched cinches cinching cinder cindered cindering
+cinders cinemas cinnamon cipher ciphered ciphering ciphers circled circling circuited circuiting
+circuitous circulars circulations circulatory circumcise circumcised circumcises circumcising
+circumcision circumcisions circumference circumferences circumflex circumstanced circumstancing
+circumstantial circumvent circumvented circumventing circumvention circumvents circus circuses
+cistern cisterns citation citations citizenship citric citrus citruses civic civics civilians
+civilities civility clack clacked clacking clacks clad clairvoyance clairvoyant clairvoyants clam
+clamber clambered clambering clambers clammed clammier clammiest clamming clammy clamp clamped
+clamping clamps clams clan clandestine clang clanged clanging clangs clank clanked clanking clanks
+clans clap clapped clapper clappers clapping claps claptrap claret clarifications clarinet clarinets
+clashed clashing clasp clasped clasping clasps classifications classmate classmates classroom
+classrooms classy clatter clattered clattering clatters claustrophobia claw clawed clawing claws
+clay cleanlier cleanliest cleanliness cleanse cleansed cleanser cleansers cleanses cleansing
+clearances clearings clearness cleat cleats cleavage cleavages cleave cleaved cleaver cleavers
+cleaves cleaving clef clefs cleft clefts clemency clench clenched clenches clenching clergies clergy
+clergyman clergymen cleric clerical clerics clerk clerked clerking clerks cleverly cleverness
+clichés clicked clicking clicks clientèle clientèles cliffs climactic climates climax climaxed
+climaxes climaxing climber climbers clime climes clinch clinched clinches clinching cling clinging
+clings clinically clinics clink clinked clinking clinks clipboard clipboards clippings cliques
+clitoris cloak cloaked cloaking cloaks clocked clocking clockwise clockwork clockworks clod clods
+clogged clogging clogs cloister cloistered cloistering cloisters closeness closeted closeting
+closets closures clot clothespin clothespins cloths clots clotted clotting cloudburst cloudbursts
+clouded cloudier cloudiest clouding cloudy clout clouted clouting clouts clove cloven clover clovers
+cloves clown clowned clowning clowns clubbed clubbing clubhouse clubhouses cluck clucked clucking
+clucks clued clueless cluing clump clumped clumping clumps clumsier clumsiest clumsily clumsiness
+clung clustered clustering clutch clutched clutches clutching clutter cluttered cluttering clutters
+coached coaches coaching coagulate coagulated coagulates coagulating coagulation coaled coalesce
+coalesced coalesces coalescing coaling coalition coalitions coals coarsely coarsen coarsened
+coarseness coarsening coarsens coarser coarsest coastal coasted coaster coasters coasting coastline
+coastlines coasts coated coating coax coaxed coaxes coaxing cob cobalt cobble cobra cobras cobs
+cobweb cobwebs cocaine cock cocked cockeyed cockier cockiest cocking cockpit cockpits cockroach
+cockroaches cocks cocktail cocktails cocky cocoa cocoas coconut coconuts cocoon cocooned cocooning
+cocoons cod codded codding cods coefficient coefficients coerce coerced coerces coercing coercion
+coexist coexisted coexistence coexisting coexists coffees coffer coffers coffin coffined coffining
+coffins cog cogency cogent cognac cognacs cognitive cogs coherence coherently coil coiled coiling
+coils coinage coinages coincided coincidences coincidental coincidentally coincides coinciding coked
+cokes coking colander colanders colder coldest coldly coldness colds colic collaborate collaborated
+collaborates collaborating collaborations collaborative collaborator collaborators collage collages
+collapsible collarbone collarbones collared collaring collars collateral collation collectively
+collectives collector collectors collegiate collide collided collides colliding collie collies
+collision collisions colloquial colloquialism colloquialisms collusion colonel colonels colones
+colonial colonials colonies colons colossal colt colts coma comas comb combatant combatants combated
+combating combats combed combing combs combustible combustibles combustion comeback comedian
+comedians comedies comelier comeliest comely comestible comestibles comet comets comforted
+comforting comforts comical comings commandant commandants commanded commandeer commandeered
+commandeering commandeers commander commanders commanding commando commandos commemorate
+commemorated commemorates commemorating commemoration commemorations commenced commencement
+commencements commences commencing commend commendable commendation commendations commended
+commending commends commentaries commerce commercialism commercials commiserate commiserated
+commiserates commiserating commiseration commiserations commissioner commissioners commodities
+commodore commodores commoner commonest commonplace commonplaces commonwealth commonwealths
+commotion commotions commune communed communes communicable communicative communicator communing
+communion communions communique communiques commutative commute commuted commuter commuters commutes
+commuting compacted compacter compactest compacting compaction compacts companions companionship
+comparatives compartment compartments compass compassed compasses compassing compassionate
+compatibles compatriot compatriots compensated compensates compensating compensations competences
+competently competitions compilations complacency complemented complementing complements completer
+completest complexes complexion complexioned complexions complexities compliance compliant complied
+complies complimentary complimented complimenting compliments complying composites compositions
+compost composted composting composts composure compounded compounding compounds comprehended
+comprehending comprehends comprehensions comprehensively comprehensives compromised compromises
+compromising compulsions compulsive compulsories compunction compunctions computations comrade
+comrades comradeship concatenation concatenations concave concealment conceded concedes conceding
+conceit conceited conceits concentrations concentric conceptions conceptually concerted concerting
+concertos concession concessions conciliate conciliated conciliates conciliating conciliation
+concisely conciseness conciser concisest conclusive conclusively concoct concocted concocting
+concoction concoctions concocts concord concordance concourse concourses concreted concretes
+concreting concurred concurrence concurrences concurrency concurrent concurring concurs concussion
+concussions condemnations condensation condensations condescend condescended condescending
+condescends condiment condiments conditionally conditionals condolence condolences condominium
+condominiums condoms condoned condones condoning condor condors conducive conductors cone cones
+confection confections confederacies confederacy confederate confederated confederates confederating
+confederation confederations confer conferred conferrer conferring confers confessed confesses
+confessing confession confessions confetti confidant confidants confide confided confidences
+confidentially confidently confides confiding configurable confinement confinements confirmations
+confiscate confiscated confiscates confiscating confiscation confiscations conformed conforming
+conformity conforms confound confounded confounding confounds confrontation confrontations congeal
+congealed congealing congeals congenial conglomerate conglomerated conglomerates conglomerating
+congratulated congratulates congratulating congregate congregated congregates congregating
+congregation congregations congress congresses congressman congressmen congresswoman congresswomen
+congruent conical conifer coniferous conifers conjectured conjectures conjecturing conjugal
+conjugate conjugated conjugates conjugating conjugation conjugations conjunctions conjure conjured
+conjures conjuring connective connectivity connectors conned conning connoisseur connoisseurs
+connote connoted connotes connoting conquer conquered conquering conqueror conquerors conquers
+conquest conquests cons consciences conscientious consciousnesses consecrate consecrated consecrates
+consecrating consensuses consequential conservatism conservatories conservatory conserve conserved
+conserves conserving consign consigned consigning consignment consignments consigns consistencies
+consolations consoled consoles consolidate consolidated consolidates consolidating consolidation
+consolidations consoling consommé consonant consonants consort consorted consorting consortium
+consorts conspicuously conspiracies conspirator conspirators conspire conspired conspires conspiring
+constancy constellation constellations consternation constipation constituencies constituted
+constituting constitutionally constitutionals constitutions constrict constricted constricting
+constriction constrictions constricts construe construed construes construing consul consular
+consulate consulates consuls consultations consumable consumables consumerism consumers consummate
+consummated consummates consummating contagion contagions contagious containers contaminate
+contaminated contaminates contaminating contamination contemplation contemplative contemplatives
+contemporaries contemptible contemptuous contended contender contenders contending contends
+contented contenting contentions contentment contestant contestants contested contesting contests
+contextual contiguous continentals continents contingencies contingency contingent contingents
+contort contorted contorting contortion contortions contorts contoured contouring contours
+contraband contraceptive contraceptives contraction contractions contractor contractors contractual
+contradictions contraption contraptions contraries contrasted contrasting contrasts contravene
+contravenes contributory contrite controllable controversies convalesce convalesced convalescence
+convalescences convalescent convalescents convalesces convalescing convection convene convened
+convenes conveniences convening convent conventionally convents converge converged convergence
+converges converging conversant conversational conversed converses conversing converters convertible
+convertibles convex conveyance conveyances conveyed conveying conveys convoluted convoy convoyed
+convoying convoys convulse convulsed convulses convulsing convulsion convulsions convulsive coo
+cooed cooing cookbook cookbooks cooker cooler coolers coolest coolly coop cooped cooper cooperated
+cooperates cooperating cooperative cooperatives cooping coops coordinated coordinating coordinator
+coos copier copiers copious copiously copped copperhead copperheads coppers copping copulate
+copulation copyrighted copyrighting copyrights coral corals cord corded cordial cordially cordials
+cording cordless cordon cordoned cordoning cordons cords corduroy cored cores coring cork corked
+corking corks corkscrew corkscrewed corkscrewing corkscrews cornea corneas corned cornered cornering
+cornet cornets cornflakes cornier corniest corning cornmeal corns cornstarch corny corollary
+coronaries coronary coronation coronations coroner coroners corporal corporals corporations corps
+corpulent corpus corpuscle corpuscles corral corralled corralling corrals correcter correctest
+corrective correctness corrector correlated correlates correlating correlations correspondences
+correspondents correspondingly corridors corroborate corroborated corroborates corroborating
+corroboration corrode corroded corrodes corroding corrosion corrosive corrosives corrupter
+corruptest corruptible corruptions corsage corsages corset corseted corseting corsets cortex
+cosmetic cosmetics cosmonaut cosmonauts cosmopolitan cosmopolitans cosmos cosmoses costings costlier
+costliest costume costumed costumes costuming cot cots cottage cottages cottoned cottoning cottons
+cottontail cottontails cottonwood cottonwoods couch couched couches couching cougar cougars coughed
+coughing coughs countable countdown countdowns countenance countenanced countenances countenancing
+counteract counteracted counteracting counteracts counterattack counterattacked counterattacking
+counterattacks counterbalance counterbalanced counterbalances counterbalancing counterclockwise
+countered counterfeit counterfeited counterfeiting counterfeits countering counters countersign
+countersigned countersigning countersigns countess countesses counties countryman countrymen
+countrysides coup coupon coupons coups courageous courageously couriers coursed courser coursing
+courted courteous courteously courtesies courthouse courthouses courting courtroom courtrooms
+courtship courtships courtyard courtyards cousins cove covenant covenanted covenanting covenants
+covert covertly coverts coves covet coveted coveting covetous covets coward cowardice cowardly
+cowards cowboy cowboys cowed cower cowered cowering cowers cowgirl cowgirls cowhide cowhides cowing
+cox coy coyer coyest coyote coyotes crab crabbed crabbier crabbiest crabbing crabby crabs cracker
+crackers crackle crackled crackles crackling crackpot crackpots cradle cradled cradles cradling
+crafted craftier craftiest craftily crafting crafts craftsman craftsmen crafty crag craggier
+craggiest craggy crags cram crammed cramming crams cranberries cranberry crane craned cranes craning
+cranium craniums crank cranked crankier crankiest cranking cranks cranky crasser crassest crate
+crated crater cratered cratering craters crates crating crave craved craves craving cravings
+crayfish crayfishes crayon crayoned crayoning crayons craze crazed crazes crazier crazies craziest
+crazily craziness crazing creak creaked creakier creakiest creaking creaks creaky creamed creamier
+creamiest creaming creams creamy crease creased creases creasing creations creatively creatives
+creativity creators credence credential credentials creditable credited crediting creditor creditors
+credulous creeds creek creeks creepier creepiest creeping creeps creepy cremate cremated cremates
+cremating cremation cremations crepe crepes crept crescendo crescendos crescent crescents crest
+crested crestfallen cresting crests cretin cretinous cretins crevasse crevasses crevice crevices
+crewed crewing crews crib cribbed cribbing cribs crickets criminally crimson crimsoned crimsoning
+crimsons cringe cringed cringes cringing crinkle crinkled crinkles crinkling cripple crippled
+cripples crippling crises crisped crisper crispest crisping crisply crispy crisscross crisscrossed
+crisscrosses crisscrossing critically critique critiqued critiques critiquing croak croaked croaking
+croaks crochet crocheted crocheting crochets crock crockery crocks crocodile crocodiles crocus
+crocuses crofts cronies crony crook crooked crookeder crookedest crooking crooks croon crooned
+crooning croons cropped cropping croquet crossbow crossbows crosser crossest crossings crosswalk
+crosswalks crosswords crotch crotches crouch crouched crouches crouching crow crowbar crowbars
+crowed crowing crowned crowning crowns crows crucially crucified crucifies crucifix crucifixes
+crucifixion crucifixions crucify crucifying crudely cruder crudest crudity cruelly cruelties cruiser
+cruisers crumb crumbed crumbing crumble crumbled crumbles crumblier crumbliest crumbling crumbly
+crumbs crummier crummiest crummy crumple crumpled crumples crumpling crunchy crusade crusaded
+crusader crusaders crusades crusading crust crustacean crustaceans crusted crustier crustiest
+crusting crusts crusty crutch crutches crux cruxes crybabies crybaby crypt crypts cub cubed cubes
+cubicle cubicles cubing cubs cuckoos cucumber cucumbers cuddle cuddled cuddles cuddling cued cues
+cuff cuffed cuffing cuffs cuing cuisine cuisines culinary cull culled culling culls culminate
+culminated culminates culminating culmination culminations culpable culprits cultivate cultivated
+cultivates cultivating cultivation cults culturally cultured culturing cunninger cunningest
+cunningly cupboards cupful cupfuls cupped cupping cur curable curator curators curb curbed curbing
+curbs curd curdle curdled curdles curdling curds curfew curfews curio curios curiosities curl curled
+curling curls currant currants currencies currents curricula curried curries currying cursed curses
+cursing cursory curt curtail curtailed curtailing curtails curtained curtaining curter curtest
+curtsied curtsies curtsy curtsying curvature curvatures curved curving cushion cushioned cushioning
+cushions custards custodian custodians custody cutback cutbacks cuter cutest cuticle cuticles
+cutlery cutlet cutlets cutter cutters cutthroat cutthroats cuttings cyanide cybernetics cyclic
+cyclone cyclones cylinders cylindrical cymbal cymbals cynicism cynics cypress cypresses cyst cysts
+dab dabbed dabbing dabble dabbled dabbles dabbling dabs dachshund dachshunds daddies dads daemon
+daffodil daffodils dagger daggers dailies daintier dainties daintiest daintily dainty dairies dairy
+dais daises daisies daisy dallied dallies dally dallying dam dame dames dammed damming damnedest
+damped dampen dampened dampening dampens damper dampest damping dampness damps dams damsel damsels
+dancer dancers dandelion dandelions dandier dandies dandiest dandruff dandy dangle dangled dangles
+dangling dank danker dankest dapper dapperer dapperest daredevil daredevils darken darkened
+darkening darkens darker darkest darkly darlings darn darned darning darns dart darted darting darts
+dashboard dashboards dastardly daub daubed daubing daubs daughters daunt daunted daunting dauntless
+daunts dawdle dawdled dawdles dawdling dawned dawning dawns daybreak daydream daydreamed daydreaming
+daydreams daze dazed dazes dazing dazzle dazzled dazzles dazzling deacon deacons deaden deadened
+deadening deadens deader deadest deadlier deadliest deadlines deadlock deadlocked deadlocking
+deadlocks deafer deafest deafness dealings dean deans dearer dearest dearly dears dearth dearths
+deathbed deathbeds deaves debase debased debasement debasements debases debasing debaucheries
+debauchery debilitate debilitated debilitates debilitating debilities debility debit debited
+debiting debits debonair debrief debriefed debriefing debriefs debris debtor debtors debts debunk
+debunked debunking debunks debut debuted debuting debuts decadence decadent decadents decanter
+decanters decapitate decapitated decapitates decapitating decayed decaying decays decease deceased
+deceases deceasing deceit deceitful deceitfully deceits deceive deceived deceives deceiving
+decencies decency decently deception deceptions deceptive decibel decibels decidedly deciduous
+decimals decimate decimated decimates decimating decipher deciphered deciphering deciphers decisive
+decisively decked decking decks declension decoder decompose decomposed decomposes decomposing
+decomposition decorate decorated decorates decorating decoration decorations decorative decorator
+decorators decorous decorum decoy decoyed decoying decoys decree decreed decreeing decrees decrepit
+decried decries decry decrying dedication dedications deduct deducted deducting deductive deducts
+deeded deeding deepen deepened deepening deepens deeps deer deface defaced defaces defacing
+defamation defamatory defame defamed defames defaming defaulted defaulting defeatist defecate
+defecated defecates defecating defected defecting defectives defendant defendants defender defenders
+defensible defer deference deferential deferred deferring defers defiance defiant defiantly
+deficient deficit deficits defied defies defile defiled defiles defiling definable deflate deflated
+deflates deflating deflation deflect deflected deflecting deflection deflections deflects deform
+deformed deforming deformities deformity deforms defraud defrauded defrauding defrauds defrost
+defrosted defrosting defrosts deft defter deftest deftly defunct defying degenerated degenerates
+degenerating dehydrate dehydrated dehydrates dehydrating deified deifies deify deifying deign
+deigned deigning deigns deities deject dejected dejecting dejection dejects delectable delegate
+delegated delegates delegating delegation delegations deleterious deletions deli deliberated
+deliberates deliberating deliberation deliberations delicacies delicacy delicately delicatessen
+delicatessens deliciously delimit delimited delimiter delimiting delimits delinquencies delinquency
+delinquent delinquents delirious deliriously delirium deliriums delis deliverance deliveries deltas
+delude deluded deludes deluding deluge deluged deluges deluging delusions deluxe delve delved delves
+delving demagogue demagogues demean demeaned demeaning demeans dementia demerit demerits demised
+demises demising democracies democrat democrats demolition demolitions demon demons demonstrably
+demonstrative demonstratives demonstrator demonstrators demote demoted demotes demoting demotion
+demotions demount demure demurely demurer demurest den denial denials denigrate denim denims
+denomination denominations denominators denoted denoting denounce denounced denounces denouncing
+dens densely denser densest densities dent dental dented denting dentistry dentists dents
+denunciation denunciations deodorant deodorants depart departed departing departs departures
+dependable dependencies dependency depict depicted depicting depiction depicts deplete depleted
+depletes depleting deplorable deplore deplored deplores deploring deport deportation deportations
+deported deporting deportment deports depose deposed deposes deposing deposited depositing deposits
+depot depots deprave depraved depraves depraving depravities depravity deprecate deprecated
+deprecates deprecating depreciate depreciated depreciates depreciating depreciation depressingly
+depressions deprivation deprivations deputies derail derailed derailing derailment derailments
+derails derelict derelicts deride derided derides deriding derision derivation derivations
+derivatives derrick derricks descendant descendants descent descents describable descriptor
+descriptors desecrate desecrated desecrates desecrating desecration desegregation deserter deserters
+designation designations desirability desirous desist desisted desisting desists desks desolate
+desolated desolates desolating desolation despaired despairing despairs desperation despicable
+despised despises despising despondent despot despotic despots dessert desserts destinations
+destinies destiny destitute destitution destroyer destroyers detachable detachment detachments
+detain detained detaining detains detectives detectors detention detentions detergent detergents
+deteriorate deteriorated deteriorates deteriorating deterioration determinable determinations
+determinism deterministic deterred deterrents deterring deters detest detested detesting detests
+dethrone dethroned dethrones dethroning detonate detonated detonates detonating detonation
+detonations detonator detonators detour detoured detouring detours detracted detracting detracts
+detriment detrimental detriments devalue devastation deviant deviate deviated deviates deviating
+deviations devils devolution devolve devolved devolves devolving devotee devotees devotion devotions
+devour devoured devouring devours devout devouter devoutest devoutly dew dexterity dexterous
+diabetes diabetic diabetics diabolical diagnose diagnosed diagnoses diagnosing diagonally diagonals
+diagrammed diagramming dialogues diameters diametrically diamond diamonds diaper diapered diapering
+diapers diaphragm diaphragms diaries diatribe diced dices dicing dictated dictates dictating
+dictation dictations dictatorial dictators dictatorships diction dieseled dieseling diesels
+dietaries dietary dieted dieting diets differentiated differentiates differentiating differentiation
+diffuse diffused diffuses diffusing diffusion digested digestible digesting digestion digestions
+digestive digests digitally dignified dignifies dignify dignifying dignitaries dignitary dignities
+digress digressed digresses digressing digression digressions diked diking dilapidated dilate
+dilated dilates dilating dilation dilemmas diligence diligent diligently dill dills dilute diluted
+dilutes diluting dilution dime dimer dimes diminish diminished diminishes diminishing diminutive
+diminutives dimly dimmed dimmer dimmest dimming dimple dimpled dimples dimpling dims din diners
+dinghies dinghy dingier dingiest dingy dinned dinnered dinnering dinners dinning dinosaur dinosaurs
+dins diocese dioceses dioxide diphtheria diphthong diphthongs diploma diplomacy diplomas diplomat
+diplomata diplomatically diplomats dipped dipping dips directer directest directness direr direst
+dirge dirges dirtied dirtier dirties dirtiest dirtying disabilities disability disadvantaged
+disadvantageous disadvantaging disagreeable disagreeably disagreements disallow disallowed
+disallowing disallows disambiguate disappearance disappearances disappointments disapproval
+disapprove disapproved disapproves disapproving disarm disarmament disarmed disarming disarms
+disarray disarrayed disarraying disarrays disavow disavowed disavowing disavows disband disbanded
+disbanding disbands disbelief disbelieve disbelieved disbelieves disbelieving disburse disbursed
+disbursement disbursements disburses disbursing discern discerned discernible discerning discerns
+discharged discharges discharging disciple disciples disciplinarian disciplinarians disciplined
+disciplines disciplining disclaim disclaimed disclaiming disclaims disclose disclosed discloses
+disclosing disclosure disclosures discoloration discolorations discomfort discomforted discomforting
+discomforts disconcert disconcerted disconcerting disconcerts disconsolate disconsolately discontent
+discontented discontenting discontents discontinuity discord discordant discorded discording
+discords discos discounted discounting discouragement discouragements discourse discoursed
+discourses discoursing discourteous discourtesies discourtesy discredit discredited discrediting
+discredits discreet discreeter discreetest discreetly discrepancies discretionary discriminatory
+discus discuses disdain disdained disdainful disdaining disdains diseased disembark disembarkation
+disembarked disembarking disembarks disenchantment disengage disengaged disengages disengaging
+disentangle disentangled disentangles disentangling disfigure disfigured disfigures disfiguring
+disgrace disgraced disgraceful disgraces disgracing disgruntle disgruntled disgruntles disgruntling
+disgustingly dishearten disheartened disheartening disheartens dished dishing dishonestly dishonesty
+dishwasher dishwashers disillusion disillusioned disillusioning disillusionment disillusions
+disincentive disinfect disinfectant disinfectants disinfected disinfecting disinfects disingenuous
+disinherit disinherited disinheriting disinherits disintegrate disintegrated disintegrates
+disintegrating disintegration disinterested disjoint disjointed disjointing disjoints disks
+dislocate dislocated dislocates dislocating dislocation dislocations dislodge dislodged dislodges
+dislodging disloyal disloyalty dismally dismantle dismantled dismantles dismantling dismay dismayed
+dismaying dismays dismember dismembered dismembering dismembers dismissal dismissals dismissive
+dismount dismounted dismounting dismounts disobedience disobedient disobey disobeyed disobeying
+disobeys disordered disordering disorderly disorders disown disowned disowning disowns disparage
+disparaged disparages disparaging disparate disparities disparity dispassionate dispassionately
+dispatch dispatched dispatches dispatching dispel dispelled dispelling dispels dispensaries
+dispensary dispensation dispensations dispense dispensed dispenser dispensers dispenses dispensing
+dispersal disperse dispersed disperses dispersing dispersion displace displaced displacement
+displacements displaces displacing displease displeased displeases displeasing displeasure
+disposables disposals dispositions dispossess dispossessed dispossesses dispossessing
+disproportionate disprove disproved disproves disproving disputed disputes disputing disqualified
+disqualifies disqualify disqualifying disquiet disquieted disquieting disquiets disregarded
+disregarding disregards disrepair disreputable disrepute disrespect disrespected disrespectful
+disrespecting disrespects disrupted disrupting disruptions disruptive disrupts dissatisfaction
+dissatisfied dissatisfies dissatisfy dissatisfying dissect dissected dissecting dissection
+dissections dissects disseminate disseminated disseminates disseminating dissemination dissension
+dissensions dissent dissented dissenter dissenters dissenting dissents dissertations disservice
+disservices dissident dissidents dissimilarities dissimilarity dissipate dissipated dissipates
+dissipating dissipation dissociate dissociated dissociates dissociating dissociation dissolute
+dissolution dissolve dissolved dissolves dissolving dissonance dissonances dissuade dissuaded
+dissuades dissuading distanced distancing distantly distaste distastes distend distended distending
+distends distillation distillations distilled distiller distilleries distillers distillery
+distilling distincter distinctest distinctively distinguishable distorter distortions distraction
+distractions distraught distressingly distributions distributor distributors districts distrust
+distrusted distrustful distrusting distrusts disturbances disuse disused disuses disusing ditched
+ditches ditching dither dithered dithering dithers ditties dittoed dittoing dittos ditty diver
+diverge diverged divergence divergences divergent diverges diverging divers diversified diversifies
+diversify diversifying diversion diversions diversities divest divested divesting divests dividend
+dividends divined diviner divines divinest divining divinities divinity divisible divisive divisor
+divisors divorced divorces divorcing divorcée divorcées divulge divulged divulges divulging dizzied
+dizzier dizzies dizziest dizziness dizzy dizzying docile dock docked docking docks doctorate
+doctored doctoring doctrines documentaries dodged dodges dodging dodo doer doers dogged doggedly
+doggerel dogging doghouse doghouses dogmas dogmatic dogwood dogwoods doilies doily doldrums doled
+doleful dolefully doles doling doll dolled dollies dolling dolls dolly dolphin dolphins domains dome
+domed domes domesticate domesticated domesticates domesticating domesticity domestics domicile
+domiciled domiciles domiciling dominance dominants domination doming dominion dominions domino
+dominoes donkey donkeys donor donors doodle doodled doodles doodling doorman doormen doorstep
+doorsteps doorway doorways dope doped dopes dopey dopier dopiest doping dormant dormitories
+dormitory dorsal dos dosed dosing dote doted dotes doting doubly doubted doubtfully doubting dough
+doughnut doughnuts dour dourer dourest douse doused douses dousing dove doves dowdier dowdies
+dowdiest dowdy downcast downed downfall downfalls downgrade downgraded downgrades downgrading
+downhearted downhills downier downiest downing downpour downpours downs downstream downtown downward
+downy dowries dowry doze dozed dozes dozing drab drabber drabbest drabs draconian dragonflies
+dragonfly dragons drainage dramas dramatist dramatists drape draped draperies drapery drapes draping
+drawbridge drawbridges drawer drawers drawl drawled drawling drawls dreadfully dreamer dreamers
+dreamier dreamiest dreamy drearier dreariest dredge dredged dredges dredging dregs drench drenched
+drenches drenching dresser dressers dressier dressiest dressings dressmaker dressmakers dressy
+dribble dribbled dribbles dribbling drier driers driest drifted drifting drifts driftwood drilled
+drilling drills drinkable drinker drinkers drivels driveway driveways drizzle drizzled drizzles
+drizzling droll droller drollest drone droned drones droning drool drooled drooling drools droop
+drooped drooping droops dropout dropouts droppings dross drought droughts droves drowse drowsed
+drowses drowsier drowsiest drowsiness drowsing drowsy drudge drudged drudgery drudges drudging
+drugged drugging druggist druggists drugstore drugstores drummed drummer drummers drumming drumstick
+drumsticks drunkard drunkards drunkenly drunkenness drunker drunkest drunks dryer dryers dryness
+drys dualism dub dubbed dubbing dubiously dubs duchess duchesses ducked ducking duckling ducklings
+duct ducts dud dude duded dudes duding duds duel duels dues duet duets dugout dugouts duke dukes
+dulled duller dullest dulling dullness dulls dully dumbbell dumbbells dumber dumbest dumbfound
+dumbfounded dumbfounding dumbfounds dummies dumpier dumpiest dumpling dumplings dumpy dunce dunces
+dune dunes dung dunged dungeon dungeons dunging dungs dunk dunked dunking dunks dunno duo dupe duped
+dupes duping duplex duplexes duplicity durability durable duress dusk duskier duskiest dusky dusted
+dustier dustiest dusting dustmen dustpan dustpans dusts dutiful dutifully duvet dwarf dwarfed
+dwarfing dwarfs dwell dweller dwellers dwelling dwellings dwells dwelt dwindle dwindled dwindles
+dwindling dye dyed dyeing dyes dynamical dynamite dynamited dynamites dynamiting dynamo dynamos
+dynasties dynasty dysentery dyslexia débutante débutantes eagerer eagerest eagerness eagles earache
+earaches eardrum eardrums earl earls earmark earmarked earmarking earmarks earner earners earnest
+earnestly earnestness earnests earnings earring earrings earshot earthed earthier earthiest earthing
+earthlier earthliest earthly earthquake earthquakes earths earthworm earthworms earthy eased easel
+easels eases easing easterlies easterly eastward easygoing eave eaves eavesdrop eavesdropped
+eavesdropping eavesdrops ebb ebbed ebbing ebbs ebonies ebony eccentricities eccentricity eccentrics
+ecclesiastical eclectic eclipse eclipsed eclipses eclipsing ecologically ecologist ecologists
+economist economists ecosystem ecosystems ecstasies ecstasy ecstatic ecumenical eczema eddied eddies
+eddy eddying edged edger edgewise edgier edgiest edging edgy edible edibles edict edicts edifice
+edifices editorials editorship educations educator educators eel eels eerie eerier eeriest effected
+effecting effectual effeminate effervescent efficiencies effigies effigy effortless effortlessly
+effusive effusively egalitarian egged egging eggplant eggplants egocentric egoism egotism egotist
+egotists eigenvalue eighteens eighteenth eighteenths eighths eighties eightieth eightieths eights
+eighty ejaculate ejaculated ejaculates ejaculating ejaculation ejaculations eject ejected ejecting
+ejection ejections ejects eke eked ekes eking elaborated elaborately elaborates elaborating
+elaboration elaborations elapse elapsed elapses elapsing elastic elasticity elastics elation elbow
+elbowed elbowing elbows elder elders eldest elective electives elector electorates electors
+electrically electrician electricians electrified electrifies electrify electrifying electrocute
+electrocuted electrocutes electrocuting electrocution electrocutions electrode electrodes
+electrolysis electromagnetic electrons electrostatic elegance elegantly elegies elegy elemental
+elevate elevated elevates elevating elevation elevations elevens eleventh elevenths elf elicit
+elicited eliciting elicits eligibility elimination eliminations elites elitism elk elks ellipse
+ellipses ellipsis elliptic elliptical elm elms elongate elongated elongates elongating elope eloped
+elopement elopements elopes eloping eloquence eloquent eloquently elucidate elude eluded eludes
+eluding elusive elves emailed emailing emails emanate emanated emanates emanating emancipate
+emancipated emancipates emancipating emancipation embalm embalmed embalming embalms embankment
+embankments embargo embargoed embargoes embargoing embark embarked embarking embarks embarrassments
+embassies embassy embellish embellished embellishes embellishing embellishment embellishments ember
+embers embezzle embezzled embezzlement embezzles embezzling embitter embittered embittering
+embitters emblem emblems embodied embodies embodiment embody embodying emboss embossed embosses
+embossing embrace embraced embraces embracing embroider embroidered embroideries embroidering
+embroiders embroidery embryo embryonic embryos emerald emeralds emergence emergencies emergent
+emigrant emigrants emigrate emigrated emigrates emigrating emigration emigrations eminence eminences
+emir emirs emissaries emissary emission emissions emits emitted emitting emotive empathy emperor
+emperors emphases emphatic emphatically emphysema empires employments emporium emporiums empower
+empowered empowering empowers empress empresses emptier emptiest emptiness emulated emulates
+emulating emulations emulsion emulsions enact enacted enacting enactment enactments enacts enamel
+enamels encapsulate encapsulated encapsulates encapsulating encase encased encases encasing enchant
+enchanted enchanting enchantment enchantments enchants encircle encircled encircles encircling
+enclosure enclosures encompass encompassed encompasses encompassing encore encored encores encoring
+encouragements encroach encroached encroaches encroaching encrypted encryption encumber encumbered
+encumbering encumbers encumbrance encumbrances encyclopedia encyclopedias endanger endangered
+endangering endangers endear endeared endearing endearment endearments endears endemic endemics
+endive endives endorse endorsed endorsement endorsements endorses endorsing endow endowed endowing
+endowment endowments endows endurance endure endured endures enduring endways enema enemas energetic
+energetically energies enforcement engagement engagements engender engendered engendering engenders
+engrave engraved engraver engravers engraves engraving engravings engross engrossed engrosses
+engrossing engulf engulfed engulfing engulfs enhancements enigma enigmas enigmatic enjoyments
+enlargement enlargements enlist enlisted enlisting enlistment enlistments enlists enliven enlivened
+enlivening enlivens enmities enmity enormities enormity enrage enraged enrages enraging enrich
+enriched enriches enriching enrichment enrolled enrolling ensemble ensembles enshrine enshrined
+enshrines enshrining ensign ensigns enslave enslaved enslaves enslaving ensue ensued ensues ensuing
+entailed entailing entangle entangled entanglement entanglements entangles entangling enterprises
+enterprising entertainer entertainers entertainments enthralled enthralling enthusiasms enthusiast
+enthusiastically enthusiasts entice enticed enticement enticements entices enticing entomologist
+entomologists entomology entrails entranced entrances entrancing entrant entrants entrap entrapped
+entrapping entraps entreat entreated entreaties entreating entreats entreaty entrench entrenched
+entrenches entrenching entropy entrust entrusted entrusting entrusts entrée entrées entwine entwined
+entwines entwining enumerate enumerated enumerates enumerating enumeration enunciate enunciated
+enunciates enunciating enunciation envelop enveloped enveloping envelops enviable envied envies
+envious enviously environmentally environs envoy envoys envying enzyme enzymes ephemeral epics
+epidemic epidemics epidermis epidermises epilepsy epileptic epileptics epilogue epilogues epitaph
+epitaphs epithet epithets epitome epitomes epoch epochs epsilon equanimity equated equates equating
+equator equatorial equators equestrian equestrians equilateral equilaterals equine equines equinox
+equinoxes equitable equities equity equivalence equivalently equivocal eradicate eradicated
+eradicates eradicating eras erasers erasure erect erected erecting erection erections erects
+ergonomic erode eroded erodes eroding erosion erotic errand errands errant erratic erratically erred
+erring erroneously errs erstwhile erudite erupt erupted erupting eruption eruptions erupts escalate
+escalated escalates escalating escalation escalator escalators escapade escapades escapism escort
+escorted escorting escorts especial espionage essayed essaying essences essentials estates esteem
+esteemed esteeming esteems estimations estrangement estrangements etch etched etches etching
+etchings eternally eternities ether ethereal ethically ethnics ethos etiquette etymological
+etymologies eulogies eulogy euphemism euphemisms eureka euthanasia evacuate evacuated evacuates
+evacuating evacuation evacuations evade evaded evades evading evaluations evangelical evangelicals
+evangelism evangelist evangelistic evangelists evaporate evaporated evaporates evaporating
+evaporation evasion evasions evasive eve evener evenest evenness eventful eventualities eventuality
+evergreen evergreens everlasting everlastings evermore eves evict evicted evicting eviction
+evictions evicts evidenced evidences evidencing evocative evoke evoked evokes evoking ewe ewes
+exacerbate exacerbated exacerbates exacerbating exacted exacter exactest exacting exacts
+exaggeration exaggerations exalt exaltation exalted exalting exalts examinations examiners exampled
+exampling exasperate exasperated exasperates exasperating exasperation excavate excavated excavates
+excavating excavation excavations excel excelled excellence excellently excelling excels excerpt
+excerpted excerpting excerpts excesses excise excised excises excising excitable excitements exclaim
+exclaimed exclaiming exclaims exclamations exclusives excommunicate excommunicated excommunicates
+excommunicating excommunication excommunications excrement excrete excreted excretes excreting
+excruciating excursion excursions excusable excused excusing executioner executioners executions
+executives executor executors exemplary exemplified exemplifies exemplify exemplifying exempted
+exempting exemption exemptions exempts exert exerted exerting exertion exertions exerts exhale
+exhaled exhales exhaling exhaustion exhibited exhibiting exhibitions exhibits exhilarate exhilarated
+exhilarates exhilarating exhilaration exhort exhortation exhortations exhorted exhorting exhorts
+exhume exhumed exhumes exhuming exile exiled exiles exiling existences existent existential
+existentially exodus exoduses exonerate exonerated exonerates exonerating exoneration exorbitant
+exotics expandable expanse expanses expansions expansive expatriate expatriated expatriates
+expatriating expectancy expectant expediencies expediency expedient expedients expedite expedited
+expedites expediting expeditions expel expelled expelling expels expend expendable expendables
+expended expending expenditures expends expertly expiration expletive expletives explicable
+explorations explorer explorers explosives exponent exponentially exponents exported exporter
+exporters exporting exports exposition expositions exposures expound expounded expounding expounds
+expressive expressively expressly expulsion expulsions exquisite extemporaneous exterior exteriors
+exterminate exterminated exterminates exterminating extermination exterminations externals extinct
+extincted extincting extinctions extincts extinguish extinguished extinguisher extinguishers
+extinguishes extinguishing extol extolled extolling extols extort extorted extorting extortion
+extortionate extorts extractions extracurricular extradite extradited extradites extraditing
+extradition extraditions extrapolate extrapolated extrapolates extrapolating extrapolation
+extrapolations extraterrestrial extraterrestrials extravagance extravagances extravagant
+extravagantly extremer extremest extremists extremities extremity extricate extricated extricates
+extricating extrovert extroverts exuberance exuberant exude exuded exudes exuding exult exultant
+exultation exulted exulting exults eyeball eyeballed eyeballing eyeballs eyebrow eyebrows eyed
+eyeing eyelash eyelashes eyelid eyelids eyesore eyesores eyewitness eyewitnesses fable fables
+fabricate fabricated fabricates fabricating fabrication fabrications fabrics fabulous facade facades
+faceless facet faceted faceting facetious facets facial facials facile facilitated facilitates
+facilitating facsimile facsimiled facsimileing facsimiles faction factions factored factorial
+factoring fad fade faded fades fading fads faggot faggots failings fainted fainting faintly faints
+fairies fairs faithfully faithfulness faithfuls faithless faiths faked fakes faking falcon falcons
+fallacies fallible fallout falsehood falsehoods falsely falser falsest falsetto falsettos
+falsification falsifications falsified falsifies falsify falsifying falsities falsity falter
+faltered faltering falters famed familiars famines fanatic fanatical fanatics fancied fancier
+fancies fanciest fanciful fancying fanfare fanfares fang fangs fanned fanning fantasied
+fantastically fantasying faraway farces fared fares farewells faring farmed farming farmland farms
+fascination fascinations fascism fascists fashionably fasted fasten fastened fastener fasteners
+fastening fastenings fastens fastidious fasting fasts fatalistic fatalities fatality fatally fated
+fateful fates fathered fatherhood fathering fatherland fatherlands fatherly fathom fathomed
+fathoming fathoms fatigue fatigued fatigues fatiguing fating fats fatten fattened fattening fattens
+fatter fattest fattier fatties fattiest fatty faucets faulted faultier faultiest faulting faultless
+fauna faunas fawn fawned fawning fawns faze fazed fazes fazing fearful fearfully fearless fearlessly
+fearsome feast feasted feasting feasts feather feathered featherier featheriest feathering feathers
+feathery feats federalism federalist federalists federals federation federations feds feebler
+feeblest feeder feeders feeler feelers feign feigned feigning feigns feint feinted feinting feints
+feline felines felled feller fellest felling fellowship fellowships fells felon felonies felons
+felony felted felting felts feminine feminines femininity feminism fen fenced fences fencing fend
+fended fending fends ferment fermentation fermented fermenting ferments fern ferns ferocious
+ferociously ferocity ferret ferreted ferreting ferrets ferried ferries ferry ferrying fertile
+fertility fervent fervently fester festered festering festers festivals festive festivities
+festivity festoon festooned festooning festoons fetched fetches fetching feted fetid feting fetish
+fetishes fetter fettered fettering fetters fetus fetuses feud feudal feudalism feuded feuding feuds
+feverish feverishly fevers fez fezzes fiancé fiancée fiancées fiancés fiasco fiascoes fib fibbed
+fibber fibbers fibbing fibs fiche fickle fickler ficklest fictions fictitious fiddler fiddlers
+fiddly fidelity fidget fidgeted fidgeting fidgets fidgety fielded fielding fiend fiendish fiendishly
+fiends fiercely fierceness fiercer fiercest fierier fieriest fiery fiesta fiestas fifteens fifteenth
+fifteenths fifths fifties fiftieth fiftieths fig fighters figment figments figs figurative
+figuratively figurehead figureheads filament filaments filch filched filches filching filet filler
+fillet filleted filleting fillets fillies filly filmier filmiest filmy filth filthier filthiest fin
+finale finales finalist finalists finality financed financier financiers financing finch finches
+finely finesse finessed finesses finessing fingered fingering fingernail fingernails fingerprint
+fingerprinted fingerprinting fingerprints fingertip fingertips finickier finickiest finicky fins fir
+firearm firearms firecracker firecrackers firefighter firefighters fireflies firefly fireman firemen
+fireplace fireplaces fireproof fireproofed fireproofing fireproofs fireside firesides firewood
+firmed firmer firmest firming firmness firmware firs firsthand firsts fiscals fisher fisheries
+fisherman fishermen fishery fishier fishiest fishy fission fissure fissures fist fists fitful
+fitness fitter fittest fittings fives fixable fixation fixations fixture fixtures fizz fizzed fizzes
+fizzing fizzle fizzled fizzles fizzling flabbier flabbiest flabby flagpole flagpoles flagrant
+flagrantly flagship flagships flagstone flagstones flail flailed flailing flails flair flairs flak
+flake flaked flakes flakier flakiest flaking flaky flamboyance flamboyant flamboyantly flamed
+flaming flamingo flamingos flammable flammables flank flanked flanking flanks flannel flannels flap
+flapjack flapjacks flapped flapping flaps flare flared flares flaring flashback flashbacks flasher
+flashest flashier flashiest flashlight flashlights flashy flask flasks flatly flatness flats flatted
+flatten flattened flattening flattens flatter flattered flatterer flatterers flattering flatters
+flattery flattest flatting flaunt flaunted flaunting flaunts flawless flawlessly flea fleas fleck
+flecked flecking flecks fled fledged fledgling fledglings flee fleece fleeced fleeces fleecier
+fleeciest fleecing fleecy fleeing flees fleeted fleeter fleetest fleeting fleets fleshed fleshes
+fleshier fleshiest fleshing fleshy flex flexed flexes flexibly flexing flick flicked flicker
+flickered flickering flickers flicking flicks fliest flightier flightiest flightless flights flighty
+flimsier flimsiest flimsiness flimsy flinch flinched flinches flinching fling flinging flings flint
+flints flippant flipper flippers flippest flirt flirtation flirtations flirtatious flirted flirting
+flirts flit flits flitted flitting flock flocked flocking flocks flog flogged flogging flogs flooder
+floodlight floodlighted floodlighting floodlights floored flooring flop flopped floppier floppies
+floppiest flopping flops flora floral floras florid florist florists floss flossed flosses flossing
+flotilla flotillas flounce flounced flounces flouncing flounder floundered floundering flounders
+floured flouring flourish flourished flourishes flourishing flours flout flouted flouting flouts
+flowered flowerier floweriest flowering flowery flu fluctuate fluctuated fluctuates fluctuating flue
+fluency fluently flues fluff fluffed fluffier fluffiest fluffing fluffs fluids fluke flukes flung
+flunk flunked flunkies flunking flunks flunky fluorescent flurried flurries flurry flurrying flusher
+flushest fluster flustered flustering flusters fluted flutes fluting flutter fluttered fluttering
+flutters flux fluxed fluxes fluxing flyover flyovers foal foaled foaling foals foamed foamier
+foamiest foaming foams foamy focal focused focuses focusing fodder fodders foe foes fogged foggier
+foggiest fogging foggy foghorn foghorns fogs foible foibles foil foiled foiling foils foist foisted
+foisting foists foliage folklore folksier folksiest folksy follies followings folly foment fomented
+fomenting foments fonder fondest fondle fondled fondles fondling fondly fondness foodstuff
+foodstuffs foolhardier foolhardiest foolhardy foolishly foolishness foolproof footage footballs
+footed foothill foothills foothold footholds footing footings footlights footnoted footnoting
+footpath footpaths footprint footprints foots footstep footsteps footstool footstools footwear
+footwork forage foraged forages foraging foray forayed foraying forays forbear forbearance
+forbearing forbears forbiddings forbore forborne forceful forcefully forceps forcible ford forded
+fording fords fore forearm forearmed forearming forearms forebode foreboded forebodes foreboding
+forebodings forefather forefathers forefinger forefingers forefront forefronts forego foregoes
+foregoing foregone foreground foregrounded foregrounding foregrounds forehead foreheads foreleg
+forelegs foreman foremen foremost forensic forensics foreplay forerunner forerunners fores foresaw
+foresee foreseeing foreseen foresees foreshadow foreshadowed foreshadowing foreshadows foresight
+foreskin foreskins forestall forestalled forestalling forestalls forested foresting forestry
+foretaste foretasted foretastes foretasting foretell foretelling foretells forethought foretold
+forewarn forewarned forewarning forewarns forewent foreword forewords forfeit forfeited forfeiting
+forfeits forge forged forger forgeries forgers forgery forges forgetful forgetfulness forging
+forgiveness forgo forgoes forgoing forgone forked forking forks forlorn formalities formality
+formals formations formative formidable formless formulas formulate formulated formulates
+formulating formulations fornication forsake forsaken forsakes forsaking forsook forswear
+forswearing forswears forswore forsworn fort forte fortes forthright forthwith forties fortieth
+fortieths fortification fortifications fortified fortifies fortify fortifying fortitude fortnightly
+fortress fortresses forts fortuitous fortunes forums forwarder forwardest forwent fossils foster
+fostered fostering fosters fouled fouler foulest fouling fouls founder foundered foundering founders
+foundling foundlings foundries foundry fount fountains founts fours fourteens fourteenth fourteenths
+fourths fowl fowled fowling fowls fox foxed foxes foxier foxiest foxing foxy foyer foyers fracas
+fracases fractal fractional fracture fractured fractures fracturing fragility fragmentary
+fragmentation fragmented fragmenting fragrance fragrances fragrant frail frailer frailest frailties
+frailty framed frameworks framing franc franchise franchised franchises franchising francs franked
+franker frankest frankfurter frankfurters franking franks frantically fraternal fraternities
+fraternity frauds fraudulent fraudulently fraught fray frayed fraying frays freaked freaking freckle
+freckled freckles freckling freedoms freehand freelance freer freest freezer freezers freight
+freighted freighter freighters freighting freights frenzied frenzies frenzy frequented frequenter
+frequentest frequenting frequents freshen freshened freshening freshens fresher freshest freshly
+freshman freshmen freshness freshwater fret fretful fretfully frets fretted fretting friar friars
+friended friending friendlier friendlies friendliest friendliness friendships frieze friezes frigate
+frigates fright frighted frighteningly frightful frightfully frighting frights frigid frigidity
+frill frillier frilliest frills frilly fringed fringes fringing frisk frisked friskier friskiest
+frisking frisks frisky fritter frittered frittering fritters frivolities frivolity frizzier
+frizziest frizzy fro frock frocks frolic frolicked frolicking frolics frond fronds frontage
+frontages frontal fronted frontier frontiers fronting fronts frost frostbit frostbite frostbites
+frostbiting frostbitten frosted frostier frostiest frosting frostings frosts frosty froth frothed
+frothier frothiest frothing froths frothy frugal frugality frugally fruited fruitful fruitier
+fruitiest fruiting fruition fruitless fruitlessly fruity frustrations fudged fudges fudging fuels
+fugitive fugitives fulcrum fulcrums fulled fulling fullness fulls fumble fumbled fumbles fumbling
+fumed fumigate fumigated fumigates fumigating fumigation fuming functionally fundamentalism
+fundamentalists fundamentals funerals fungi fungicide fungicides fungus funnel funnels funner
+funnest funnies funnily furies furious furiously furl furled furling furlong furlongs furlough
+furloughed furloughing furloughs furls furnace furnaces furnish furnished furnishes furnishing
+furnishings furred furrier furriest furring furrow furrowed furrowing furrows furs furthered
+furthering furthers furtive furtively furtiveness fury fused fuselage fuselages fuses fusing fussed
+fusses fussier fussiest fussing futility futures futuristic fuzz fuzzed fuzzes fuzzier fuzziest
+fuzzing fête fêtes gab gabbed gabbing gable gables gabs gadget gadgets gag gagged gagging gags
+gaiety gaily gainful gait gaits gal gala galas galaxies gale gales gall gallant gallantry gallants
+galled galleries gallery galley galleys galling gallivant gallivanted gallivanting gallivants gallon
+gallons gallop galloped galloping gallops gallows galls galore gals gambit gambits gamble gambled
+gambler gamblers gambles gambling gamed gamer gamest gaming gamma gamut gamuts gander ganders ganged
+ganging gangling gangplank gangplanks gangrene gangrened gangrenes gangrening gangs gangster
+gangsters gangway gangways gape gaped gapes gaping garaged garages garaging garb garbed garbing
+garbs gardened gardener gardeners gardenia gardenias gardening gargle gargled gargles gargling
+gargoyle gargoyles garish garland garlanded garlanding garlands garlic garment garments garnet
+garnets garnish garnished garnishes garnishing garret garrets garrison garrisoned garrisoning
+garrisons garrulous garter garters gaseous gases gash gashed gashes gashing gasket gaskets gasped
+gasping gasps gassed gassing gastric gated gateways gatherings gating gaudier gaudiest gaudy gauge
+gauged gauges gauging gaunt gaunter gauntest gauntlet gauntlets gauze gavel gavels gawk gawked
+gawkier gawkiest gawking gawks gawky gayer gayest gays gaze gazed gazelle gazelles gazes gazette
+gazetted gazettes gazetting gazing gee geed geeing gees geese gel gelatin geld gelded gelding
+geldings gelds gem gems genders genealogical genealogies genealogy genera generality generals
+generics generosities generosity generously geneses genesis geneticist geneticists genial genially
+genie genies genii genital genitals geniuses genres gent gentile gentiles gentility gentled
+gentleness gentler gentles gentlest gentling gentries gentry gents genuineness genus geographic
+geographically geographies geological geologies geologist geologists geometric geometries geranium
+geraniums gerbil gerbils germ germicide germicides germinate germinated germinates germinating
+germination germs gestation gesticulate gesticulated gesticulates gesticulating gestured gestures
+gesturing getaway getaways geyser geysers ghastlier ghastliest ghetto ghettos ghosted ghosting
+ghostlier ghostliest ghostly ghosts ghoul ghouls giants gibber gibbered gibbering gibbers giddier
+giddiest giddiness giddy gifted gifting gigantic gigged gigging giggle giggled giggles giggling gigs
+gild gilded gilding gilds gill gills gilt gilts gimme gimmick gimmicks ginger gingerbread gingerly
+gingham ginned ginning gins giraffe giraffes girder girders girdle girdled girdles girdling
+girlfriends girlhood girlhoods girlish girth girths gist givens gizzard gizzards glacial glacier
+glaciers gladden gladdened gladdening gladdens gladder gladdest glade glades gladiator gladiators
+glads glamorous glamour glamoured glamouring glamours glanced glances glancing gland glands
+glandular glare glared glares glaring glassed glassier glassiest glassing glassware glassy glaze
+glazed glazes glazing gleam gleamed gleaming gleams glee glen glens glib glibber glibbest glibly
+glide glided glider gliders glides gliding glimmer glimmered glimmering glimmers glimpse glimpsed
+glimpses glimpsing glint glinted glinting glints glisten glistened glistening glistens glitter
+glittered glittering glitters gloat gloated gloating gloats globe globes globular globule globules
+gloom gloomier gloomiest gloomy gloried glories glorification glorified glorifies glorify glorifying
+gloriously glorying gloss glossaries glossary glossed glosses glossier glossies glossiest glossing
+gloved gloving glower glowered glowering glowers glucose glued glues gluing glum glummer glummest
+glut gluts glutted glutting glutton gluttons gluttony gnarl gnarled gnarling gnarls gnash gnashed
+gnashes gnashing gnat gnats gnaw gnawed gnawing gnaws gnomes gnu gnus goad goaded goading goads
+goalie goalies goalkeeper goalkeepers goatee goatees goats gob gobbed gobbing gobble gobbled gobbles
+gobbling goblet goblets goblin goblins gobs godchild godchildren goddess goddesses godfather
+godfathers godless godlier godliest godlike godly godmother godmothers godparent godparents godsend
+godsends goggle goggles goldener goldenest golds goldsmith goldsmiths golfed golfer golfers golfing
+golfs gondola gondolas goner goners gong gonged gonging gongs goo goodwill gooey goof goofed goofier
+goofiest goofing goofs goofy gooier gooiest goon goons goose goosed gooses goosing gopher gophers
+gore gored gores gorge gorged gorges gorging gorier goriest gorilla gorillas goring gory gosh
+gosling goslings gospels gossamer gossiped gossiping gossips gouge gouged gouges gouging goulash
+goulashes gourd gourds gourmet gourmets gout governess governesses governmental governors gowned
+gowning gowns grabber graced graceful gracefully graceless graces gracing gracious graciously
+graciousness gradation gradations graded grader gradient gradients grading graduations graft grafted
+grafting grafts grains gram grammars grammatically gramophone grams grandchild grandchildren
+granddaughter granddaughters grander grandest grandeur grandfathered grandfathering grandfathers
+grandiose grandly grandmothers grandparent grandparents grandson grandsons grandstand grandstanded
+grandstanding grandstands granite grannies granny granola granular granule granules grape grapefruit
+grapefruits grapes grapevine grapevines graphed graphically graphing graphite grapple grappled
+grapples grappling grasped grasping grasps grassed grasses grasshopper grasshoppers grassier
+grassiest grassing grassy grate grated grater graters grates gratification gratifications gratified
+gratifies gratify gratifying grating gratings gratitude gratuities gratuity graved gravel gravels
+gravely graven graver graves gravest gravestone gravestones graveyard graveyards gravies graving
+gravitate gravitated gravitates gravitating gravitation gravy graze grazed grazes grazing grease
+greased greases greasier greasiest greasing greatness greats greedier greediest greedily greediness
+greenback greenbacks greened greener greenery greenest greenhorn greenhorns greenhouse greenhouses
+greening greens greet greeted greeting greetings greets gregarious gremlin gremlins grenade grenades
+greyhound greyhounds griddle griddles gridiron gridirons grids griefs grievance grievances grieve
+grieved grieves grieving grievous grill grille grilled grilles grilling grills grimace grimaced
+grimaces grimacing grime grimed grimes grimier grimiest griming grimly grimmer grimmest grimy grin
+grinder grinders grindstone grindstones grinned grinning grins gripe griped gripes griping gripped
+gripping grislier grisliest grisly gristle grit grits gritted grittier grittiest gritting gritty
+grizzled grizzlier grizzlies grizzliest grizzly groaned groaning groans grocer groceries grocers
+grocery groggier groggiest groggy groin groins groom groomed grooming grooms groove grooved grooves
+groovier grooviest grooving groovy grope groped gropes groping grossed grosser grossest grossing
+grotesque grotesques grotto grottoes grouch grouched grouches grouchier grouchiest grouching grouchy
+grounded grounding groundless groundwork grouper groupers groupings grouse groused grouses grousing
+grove grovel grovels groves grower growers growl growled growling growls growths grub grubbed
+grubbier grubbiest grubbing grubby grubs grudge grudged grudges grudging gruel gruesome gruesomer
+gruesomest gruff gruffer gruffest gruffly grumble grumbled grumbles grumbling grumpier grumpiest
+grumpy grunt grunted grunting grunts guarantor guarantors guardian guardians gubernatorial guessable
+guesswork guested guesting guffaw guffawed guffawing guffaws guidebook guidebooks guild guilds guile
+guillotine guillotined guillotines guillotining guiltier guiltiest guiltily guiltless guise guises
+guitarist guitars gulch gulches gulfs gull gulled gullet gullets gullies gulling gulls gully gulp
+gulped gulping gulps gumdrop gumdrops gummed gummier gummiest gumming gummy gumption gums gunfire
+gunman gunmen gunned gunner gunners gunning gunpowder gunshot gunshots guppies guppy gurgle gurgled
+gurgles gurgling guru gurus gush gushed gusher gushers gushes gushing gust gusted gustier gustiest
+gusting gusts gusty gutted guttered guttering gutters gutting guyed guying guzzle guzzled guzzles
+guzzling gym gymnasium gymnasiums gymnast gymnastics gymnasts gyms gyrate gyrated gyrates gyrating
+gyration gyrations gyroscope gyroscopes habitable habitat habitation habitations habitats habitual
+habitually hackney hackneyed hackneying hackneys hacksaw hacksaws haddock haddocks hag haggard
+haggle haggled haggles haggling hags hailed hailing hails hailstone hailstones haircuts hairdo
+hairdos hairdresser hairdressers haired hairier hairiest hairline hairlines hale haled haler hales
+halest halfway halibut halibuts haling hallelujah hallelujahs hallmark hallmarked hallmarking
+hallmarks hallucination hallucinations hallway hallways halo haloed haloing halon halos halter
+haltered haltering halters halved halving hamburger hamburgers hamlet hamlets hammed hammered
+hammering hammers hamming hammock hammocks hamper hampered hampering hampers hams hamster hamsters
+hamstring hamstringing hamstrings hamstrung handbag handbags handbooks handcuff handcuffed
+handcuffing handcuffs handedness handfuls handicapped handicapping handicaps handicraft handicrafts
+handier handiest handiwork handkerchief handkerchiefs handlebar handlebars handlers handmade handout
+handouts handrail handrails handshake handshakes handsome handsomer handsomest handwriting hangar
+hangars hanger hangers hangings hangout hangouts hangovers hanker hankered hankering hankers
+haphazard hapless happenings harangue harangued harangues haranguing harass harassed harasses
+harassing harassment hardier hardiest hardliner hardliners hardships hardwood hardwoods hare
+harebrained hared harem harems hares haring hark harked harking harks harlot harlots harmed
+harmfully harming harmlessly harmonic harmonica harmonicas harmonies harmonious harms harness
+harnessed harnesses harnessing harp harped harping harpist harpists harpoon harpooned harpooning
+harpoons harps harpsichord harpsichords harried harries harrow harrowed harrowing harrows harry
+harrying harsher harshest harshly harshness hart harts harvest harvested harvester harvesters
+harvesting harvests hashed hashes hashing hassled hassles hassling haste hasted hastened hastening
+hastens hastes hastier hastiest hastily hasting hatch hatched hatches hatchet hatchets hatching
+hateful hatefully hatreds hatted hatting haughtier haughtiest haughtily haughtiness haughty haul
+hauled hauling hauls haunt haunted haunting haunts haven havens haves hawk hawked hawking hawks
+hayed haying hays haystack haystacks haywire hazarded hazarding hazardous haze hazed hazel hazels
+hazes hazier haziest hazing headaches headfirst headier headiest headings headland headlands
+headlight headlights headlined headlining headlong headmaster headphone headphones headquarter
+headquarters headrest headrests headroom headstone headstones headstrong headway heady heal healed
+healer healers healing heals healthcare healthful healthier healthiest heaped heaping heaps hearings
+hearsay hearse hearses heartache heartaches heartbeat heartbeats heartbreak heartbreaks heartbroken
+heartburn hearten heartened heartening heartens heartfelt hearth hearths heartier hearties heartiest
+heartless hearty heatedly heater heaters heath heathen heathens heather heave heaved heavenlier
+heavenliest heavenly heaves heavies heaviness heaving heavyweight heavyweights heckle heckled
+heckler hecklers heckles heckling hectic hedge hedged hedgehog hedgehogs hedges hedging heed heeded
+heeding heedless heeds heeled heeling heftier heftiest hefty heifer heifers heighten heightened
+heightening heightens heinous heir heirloom heirlooms heirs helicoptered helicoptering helicopters
+heliport heliports helium hellish hellos helm helmets helms helper helpers helpfully helpings
+helplessly hem hemisphere hemispheres hemlock hemlocks hemmed hemming hemp hems hen henchman
+henchmen hens hepatitis herald heralded heralding heralds herb herbivorous herbs herded herding
+herds hereabouts hereafter hereafters hereditary heredity herein heresies heretic heretical heretics
+herewith heritages hermaphrodite hermit hermits hernia hernias heroine heroins heroism heron herons
+herpes hers hesitancy hesitant hesitated hesitates hesitating hesitation hesitations heterogeneous
+heterosexuality heterosexuals heuristic hew hewed hewing hews hexagon hexagonal hexagons heyday
+heydays hiatus hiatuses hibernate hibernated hibernates hibernating hibernation hiccup hiccuped
+hiccuping hiccups hick hickories hickory hicks hideaway hideaways hierarchies hieroglyphic
+hieroglyphics highbrow highbrows highland highlands highs hijack hijacked hijacking hijacks hike
+hiked hiker hikers hikes hiking hilarity hillbillies hillbilly hillier hilliest hillside hillsides
+hilly hilt hilts hims hind hinder hindered hindering hinders hindrance hindrances hinds hinge hinged
+hinges hinging hinterland hinterlands hipped hipper hippest hippies hipping hippopotamus
+hippopotamuses hippy hips hiss hissed hisses hissing histogram histories hitch hitched hitches
+hitchhike hitchhiked hitchhiker hitchhikers hitchhikes hitchhiking hitching hither hive hived hives
+hiving hoard hoarded hoarder hoarders hoarding hoards hoarse hoarseness hoarser hoarsest hoax hoaxed
+hoaxes hoaxing hobbies hobbit hobble hobbled hobbles hobbling hobbyhorse hobbyhorses hobgoblin
+hobgoblins hobnob hobnobbed hobnobbing hobnobs hobo hobos hock hocked hockey hocking hocks
+hodgepodge hodgepodges hoe hoed hoeing hoes hogged hogging hogs hoist hoisted hoisting hoists holdup
+holdups holed holidayed holidaying holier holiest holiness holing holler hollered hollering hollers
+hollies hollowed hollower hollowest hollowing hollows holly holocaust holocausts holster holstered
+holstering holsters homage homages homed homeland homelands homeless homelier homeliest homely
+homemade homesick homesickness homespun homestead homesteaded homesteading homesteads homeward
+homework homey homeys homicidal homicide homicides homier homiest homing homogeneous homonym
+homonyms homophobic homosexuals hone honed hones honester honestest honeycomb honeycombed
+honeycombing honeycombs honeyed honeying honeymoon honeymooned honeymooning honeymoons honeys
+honeysuckle honeysuckles honing honk honked honking honks hood hooded hooding hoodlum hoodlums hoods
+hoodwink hoodwinked hoodwinking hoodwinks hoof hoofed hoofing hoofs hoop hooped hooping hoops hooray
+hoot hooted hooter hooting hoots hooves hop hopefuls hopped hopper hopping hops hopscotch
+hopscotched hopscotches hopscotching horded hording horizons horizontals hormone hormones horned
+hornet hornets hornier horniest horns horny horoscope horoscopes horrors horseback horsed horseman
+horseplay horsepower horseradish horseradishes horseshoe horseshoed horseshoeing horseshoes horsing
+horticultural horticulture hose hosed hoses hosiery hosing hospitable hospitality hostage hostages
+hosted hostel hosteled hosteling hostels hostess hostessed hostesses hostessing hostiles hostility
+hosting hotbed hotbeds hotels hothead hotheaded hotheads hotly hotter hottest hound hounded hounding
+hounds hourglass hourglasses hourly houseboat houseboats households housekeeper housekeepers
+housewarming housewarmings housewife housewives housework housings hove hovel hovels hover hovered
+hovering hovers howl howled howling howls hows hub hubbub hubbubs hubs huddle huddled huddles
+huddling hue hued hues huff huffed huffier huffiest huffing huffs huffy hug huger hugest hugged
+hugging hugs hulk hulking hulks hull hullabaloo hullabaloos hulled hulling hulls humanely humaner
+humanest humanism humanist humanitarian humanitarians humanities humanly humbled humbler humbles
+humblest humbling humbug humdrum humid humidified humidifies humidify humidifying humidity humiliate
+humiliated humiliates humiliating humiliation humiliations humility hummed humming hummingbird
+hummingbirds humorist humorists humorously hump humped humping humps hums hunch hunchback hunchbacks
+hunched hunches hunching hundredth hundredths hunger hungered hungering hungers hungrier hungriest
+hungrily hunk hunks hunter hunters hurdle hurdled hurdles hurdling hurl hurled hurling hurls hurrah
+hurrahed hurrahing hurrahs hurricane hurricanes hurried hurriedly hurries hurrying hurtful hurtle
+hurtled hurtles hurtling husbanded husbanding husbands hush hushed hushes hushing husk husked
+huskier huskies huskiest huskily huskiness husking husks husky hustle hustled hustler hustlers
+hustles hustling hutch hutches huts hyacinth hyacinths hybrid hybrids hydrant hydrants hydraulic
+hydraulics hydroelectric hydroplane hydroplaned hydroplanes hydroplaning hyena hyenas hygiene
+hygienic hymn hymnal hymnals hymned hymning hymns hyperbole hypertension hyphenate hyphenated
+hyphenates hyphenating hyphenation hyphened hyphening hyphens hypnosis hypnotic hypnotics hypnotism
+hypnotist hypnotists hypochondria hypochondriac hypochondriacs hypocrisies hypocrites hypotenuse
+hypotenuses hypotheses hysteria hysteric hysterically hysterics iceberg icebergs icebreaker
+icebreakers iced ices icicle icicles icier iciest icing icings icy idealist idealists identifiable
+identities ideologically ideologies idiocies idiocy idiomatic idioms idiosyncrasies idiosyncrasy
+idled idler idles idlest idling idly idol idols idyllic ifs igloo igloos ignite ignited ignites
+igniting ignition ignitions iguana iguanas ilk illegals illegible illegibly illegitimate illicit
+illiteracy illiterates illnesses ills illuminate illuminated illuminates illuminating illumination
+illuminations illusions illusory illustrative illustrator illustrators illustrious imaged imagery
+imaginable imaginations imaging imbalances imbecile imbeciles imitate imitated imitates imitating
+imitation imitations imitative imitator imitators immaculate immaculately immaterial immaturity
+immeasurable immeasurably immensities immensity immerse immersed immerses immersing immersion
+immersions immigrant immigrants immigrate immigrated immigrates immigrating immigration imminently
+immobile immoralities immorality immortality immortals immovable immunity imp impacted impacting
+impacts impairment impairments impale impaled impales impaling impart imparted impartial
+impartiality impartially imparting imparts impassable impasse impasses impassioned impassive
+impatience impatiences impatient impatiently impeach impeached impeaches impeaching impeccable
+impedance impede impeded impedes impediment impediments impeding impel impelled impelling impels
+impenetrable imperatives imperceptible imperceptibly imperfection imperfections imperfectly
+imperfects imperialism imperialist imperials imperil imperils impersonally impersonate impersonated
+impersonates impersonating impersonation impersonations impertinence impertinent impervious
+impetuous impetuously impetus impetuses impinge impinged impinges impinging impish implacable
+implant implanted implanting implants implementable implementer implicate implicated implicates
+implicating implore implored implores imploring impolite importation importations imposition
+impositions impossibilities impossibility impossibles impossibly impotence impotent impound
+impounded impounding impounds impoverish impoverished impoverishes impoverishing imprecise
+impregnable impregnate impregnated impregnates impregnating impressionable impressively imprint
+imprinted imprinting imprints imprisonment imprisonments improbabilities improbability improbably
+impromptu impromptus improper improperly improprieties impropriety improvisation improvisations
+improvise improvised improvises improvising imps impudence impudent impulsed impulses impulsing
+impulsive impulsively impunity impure impurer impurest impurities impurity inabilities inaction
+inactive inactivity inadequacies inadequacy inadequately inadmissible inadvertent inadvisable
+inalienable inaner inanest inanimate inapplicable inarticulate inasmuch inaudible inaugural
+inaugurals inaugurate inaugurated inaugurates inaugurating inauguration inaugurations inauspicious
+inborn inbred inbreed inbreeding inbreeds inbuilt incalculable incandescence incandescent
+incantation incantations incapacitate incapacitated incapacitates incapacitating incapacity
+incarcerate incarcerated incarcerates incarcerating incarceration incarcerations incarnate
+incarnated incarnates incarnating incarnations incendiaries incendiary incense incensed incenses
+incensing incentives inception inceptions incessant incessantly incest incestuous inched inching
+incidences incidentals incinerate incinerated incinerates incinerating incinerator incinerators
+incision incisions incisive incisor incisors incite incited incitement incitements incites inciting
+inclinations inclusions incognito incognitos incoherence incoherently incomes incomparable
+incompatibilities incompatibility incompatibles incompatibly incompetents inconceivable inconclusive
+incongruities incongruity incongruous inconsequential inconsiderable inconsiderate inconsolable
+inconspicuous inconveniently incorporation incorrigible incredulity incredulous incremental
+incremented increments incriminate incriminated incriminates incriminating incubate incubated
+incubates incubating incubation incubator incubators incumbent incumbents incurable incurables
+indebted indecencies indecency indecent indecision indecisive indefinable indelible indelibly
+indelicate indentation indentations indented indenting indents independents indescribable
+indestructible indicatives indices indict indicted indicting indictments indicts indifference
+indifferent indigenous indigestible indigestion indignant indignantly indignation indignities
+indignity indigo indiscreet indiscretion indiscretions indiscriminate indiscriminately indispensable
+indispensables indisposed indisputable indistinct individualism individualist individualists
+individuality indivisible indoctrinate indoctrinated indoctrinates indoctrinating indoctrination
+indolence indolent indomitable indoor indoors inducement inducements induct inducted inducting
+inductions inducts indulgence indulgences indulgent industrialist industrialists industrious
+inedible ineffectual inefficiencies inefficiently inelegant ineligible ineligibles inept ineptitude
+inequalities inert inertial inescapable inexact inexcusable inexhaustible inexorable inexorably
+inexpensive inexperience inexplicable inexplicably inextricably infamies infamy infancy infantries
+infantry infants infatuation infatuations infeasible infections infectious infelicities inferences
+inferiors inferno infernos inferred inferring infers infertile infest infestation infestations
+infested infesting infests infidel infidelities infidelity infidels infield infields infiltrate
+infiltrated infiltrates infiltrating infiltration infinitesimal infinitesimals infinities infinitive
+infinitives infirm infirmaries infirmary infirmities infirmity infix inflame inflamed inflames
+inflaming inflammable inflammation inflammations inflammatory inflatable inflate inflated inflates
+inflating inflationary inflicted inflicting inflicts influenza influx influxes informality informant
+informants informational informer informers infraction infractions infrared infrequently infringe
+infringed infringements infringes infringing infuriate infuriated infuriates infuriating infuse
+infused infuses infusing infusion infusions ingeniously ingenuity ingest ingested ingesting ingests
+ingrain ingrained ingraining ingrains ingratiate ingratiated ingratiates ingratiating ingratitude
+inhale inhaled inhaler inhalers inhales inhaling inheritances inhibitions inhospitable inhuman
+inhumane inhumanities inhumanity initiation initiations initiatives initiator initiators injected
+injecting injection injections injects injunction injunctions injurious injustices inked inkier
+inkiest inking inkling inklings inks inky inlaid inland inlay inlaying inlays inlet inlets inmate
+inmates inn innards innate innermost inning innings innkeeper innkeepers innocently innocents
+innocuous innovations inns innuendo innuendos innumerable inoculate inoculated inoculates
+inoculating inoculation inoculations inoffensive inoperative inopportune inordinate inquest inquests
+inquisition inquisitions inquisitive ins insanely insaner insanest insanity insatiable inscribe
+inscribed inscribes inscribing inscription inscriptions inscrutable insecticide insecticides
+insecurities insecurity insensitivity inseparable inseparables insertions insider insiders insides
+insights insignia insignificance insincere insincerely insincerity insinuate insinuated insinuates
+insinuating insinuation insinuations insipid insistent insolence insolent insoluble insolvency
+insolvent insolvents insomnia inspections inspector inspectors inspirations instability instanced
+instancing instantaneous instantaneously instants instep insteps instigate instigated instigates
+instigating instigation instilled instilling instinctive instincts instituted institutes instituting
+institutional instructive instructor instructors instrumentals instrumented instrumenting
+insubordinate insubordination insubstantial insufferable insufficiently insular insulate insulated
+insulates insulating insulation insulator insulators insulin insurances insure insured insurer
+insurers insures insurgent insurgents insuring insurmountable insurrection insurrections intakes
+intangible intangibles integrals intellects intellectually intellectuals intelligently intelligible
+intelligibly intenser intensest intensified intensifies intensify intensifying intensities
+intensives intents intercede interceded intercedes interceding intercept intercepted intercepting
+interception interceptions intercepts interchange interchangeable interchanged interchanges
+interchanging intercom intercoms interconnect intercontinental interdependence interdependent
+interiors interject interjected interjecting interjection interjections interjects interlock
+interlocked interlocking interlocks interloper interlopers interlude interluded interludes
+interluding intermarriage intermarriages intermarried intermarries intermarry intermarrying
+intermediaries intermediary intermediates interment interments interminable interminably intermingle
+intermingled intermingles intermingling intermission intermissions intermittently intern
+internationally internationals interned internet interning interns interplanetary interplay
+interpolation interpose interposed interposes interposing interpreters interracial interred
+interring interrogated interrogates interrogating interrogation interrogations interrogator
+interrogators inters intersect intersected intersecting intersects intersperse interspersed
+intersperses interspersing interstate interstates interstellar intertwine intertwined intertwines
+intertwining interventions interviewer interviewers interweave interweaves interweaving interwove
+interwoven intestinal intestine intestines intimacies intimacy intimated intimately intimates
+intimating intimation intimations intimidate intimidated intimidates intimidating intimidation
+intolerable intolerably intolerant intonation intonations intoxicate intoxicated intoxicates
+intoxicating intoxication intractable intramural intransitive intransitives intravenous
+intravenouses intrepid intricacies intricacy intricate intrigue intrigued intrigues intriguing
+introductions introspective introvert introverts intrude intruded intruder intruders intrudes
+intruding intrusion intrusions intrusive intuition intuitions intuitively inundate inundated
+inundates inundating inundation inundations invader invaders invalidated invalidates invalidating
+invalided invaliding invalids invariable invariables invariant invasions invective inventive
+inventoried inventories inventors inventory inventorying inversely inverses inversion inversions
+invertebrate invertebrates invested investigator investigators investing investments investor
+investors invests inveterate invigorate invigorated invigorates invigorating invincible invisibility
+invisibly invitations invocation invocations invoice invoiced invoices invoicing involuntarily
+involuntary involvements invulnerable inward inwardly inwards iodine ions iota iotas irascible ire
+iridescence iridescent iris irises irk irked irking irks ironed ironically ironies ironing irons
+irradiate irradiated irradiates irradiating irrationally irrationals irreconcilable irrefutable
+irregular irregularities irregularity irregulars irrelevance irrelevances irreparable irreplaceable
+irrepressible irreproachable irresistible irresponsibility irretrievable irretrievably irreverence
+irreverent irreversible irrevocable irrevocably irrigate irrigated irrigates irrigating irrigation
+irritability irritable irritably irritant irritants irritations islander islanders isle isles
+isthmus isthmuses italic italics itch itched itches itchier itchiest itching itchy iterate iteration
+iterations iterative itinerant itinerants itineraries itinerary ivies ivories ivory ivy jab jabbed
+jabber jabbered jabbering jabbers jabbing jabs jackal jackals jackass jackasses jackdaw jacked
+jacking jackknife jackknifed jackknifes jackknifing jackknives jackpot jackpots jacks jade jaded
+jades jading jagged jaggeder jaggedest jaguar jaguars jailed jailer jailers jailing jails jalopies
+jalopy jamb jamboree jamborees jambs jangle jangled jangles jangling janitor janitors jar jarred
+jarring jars jaundice jaundiced jaundices jaundicing jaunt jaunted jauntier jauntiest jauntily
+jaunting jaunts jaunty javelin javelins jaw jawbone jawboned jawbones jawboning jawed jawing jaws
+jay jays jaywalk jaywalked jaywalker jaywalkers jaywalking jaywalks jazzed jazzes jazzing jealousies
+jealously jealousy jeer jeered jeering jeers jell jelled jellied jelling jells jellyfish jellyfishes
+jellying jeopardy jerked jerkier jerkiest jerking jerks jerky jersey jerseys jested jester jesters
+jesting jests jets jetted jetties jetting jettison jettisoned jettisoning jettisons jetty jewel
+jewelries jewels jibe jibed jibes jibing jiffies jiffy jig jigged jigging jiggle jiggled jiggles
+jiggling jigs jigsaw jigsawed jigsawing jigsaws jilt jilted jilting jilts jingle jingled jingles
+jingling jinx jinxed jinxes jinxing jitterier jitteriest jitters jittery jobbed jobbing jockey
+jockeyed jockeying jockeys jocular jog jogged jogger joggers jogging jogs jointed jointing joker
+jokers jollied jollier jollies jolliest jollying jolt jolted jolting jolts jostle jostled jostles
+jostling jot jots jotted jotting journalism journeyed journeying journeys jovial jovially joyed
+joyful joyfuller joyfullest joyfully joying joyous joyously joys joystick jubilant jubilation
+jubilee jubilees judicial judicially judiciaries judiciary judicious judiciously judo jug jugged
+juggernaut jugging juggle juggled juggler jugglers juggles juggling jugs jugular jugulars juiced
+juices juicier juiciest juicing juicy jumble jumbled jumbles jumbling jumbo jumbos jumper jumpers
+jumpier jumpiest jumpy junctions juncture junctures jungles juniors juniper junipers junked junket
+junketed junketing junkets junkie junkies junking junks junta juntas juries jurisdiction juror
+jurors juster justest justices justifications justly jut jute juts jutted jutting juveniles
+juxtapose juxtaposed juxtaposes juxtaposing juxtaposition juxtapositions kaleidoscope kaleidoscopes
+kangaroo kangaroos karat karate karats kayak kayaked kayaking kayaks keel keeled keeling keels
+keened keener keenest keening keenly keens keepers keepsake keepsakes keg kegs kelp kennel kennels
+kerchief kerchiefs kernels kerosene ketchup kettles keyboarded keyboarding keyhole keyholes keynote
+keynoted keynotes keynoting keystone keystones khaki khakis kickback kickbacks kickoff kickoffs
+kidnapper kidnappers kidneys killers killings kiln kilned kilning kilns kilo kilobyte kilobytes
+kilogram kilograms kilos kilowatt kilowatts kilt kilts kimono kimonos kin kinda kinder kindergarten
+kindergartens kindest kindle kindled kindles kindlier kindliest kindling kindnesses kindred kinfolk
+kingdoms kingfisher kingfishers kink kinked kinkier kinkiest kinking kinks kinky kinship kiosk
+kiosks kipper kissed kisses kissing kitchenette kitchenettes kitchens kite kited kites kiting kitten
+kittens kitties kitty kiwi kiwis knack knacker knacks knapsack knapsacks knead kneaded kneading
+kneads kneecap kneecapped kneecapping kneecaps kneed kneeing kneel kneeling kneels knelt knickers
+knifed knifes knifing knighted knighthood knighthoods knighting knights knit knits knitted knitting
+knives knob knobs knocker knockers knockout knockouts knoll knolls knot knots knotted knottier
+knottiest knotting knotty knowingly knowings knowledgeable knuckle knuckled knuckles knuckling koala
+koalas kosher koshered koshering koshers kowtow kowtowed kowtowing kowtows kudos laboratories
+laborious laboriously labyrinth labyrinths lace laced lacerate lacerated lacerates lacerating
+laceration lacerations laces lacier laciest lacing lacquer lacquered lacquering lacquers lacrosse
+lacy laddered laddering ladders lade laded laden lades lading ladle ladled ladles ladling lads
+ladybug ladybugs ladylike laggard laggards lagged lagging lagoon lagoons lags lair lairs lakes lamb
+lambda lambed lambing lambs lame lamed lament lamentable lamentation lamentations lamented lamenting
+laments lamer lames lamest laming lampoon lampooned lampooning lampoons lamps lance lanced lances
+lancing lander landings landladies landlady landlocked landlords landmark landmarks landowner
+landowners landscaped landscapes landscaping landslid landslide landslides landsliding lanes languid
+languish languished languishes languishing languor languorous languors lankier lankiest lanky
+lantern lanterns lap lapel lapels lapped lapping laps lapse lapsed lapses lapsing larcenies larceny
+lard larded larding lards larges larked larking larks larva larvae larynges laryngitis larynx
+lascivious lash lashed lashes lashing lass lasses lastly latch latched latches latching latent
+lateral lateraled lateraling laterals latex lath lathe lathed lather lathered lathering lathers
+lathes lathing laths latitude latitudes latrine latrines lattice lattices laud laudable lauded
+lauding lauds laughable laughingstock laughingstocks launcher launchers launder laundered laundering
+launders laundries laundry laureate laureates laurel laurels lava lavatories lavender lavenders
+lavish lavished lavisher lavishes lavishest lavishing lawful lawless lawmaker lawmakers lawns
+lawsuit lawsuits lax laxative laxatives laxer laxest laxity layered layering layman laymen layouts
+lazied lazier lazies laziest lazying leaden leafed leafier leafiest leafing leafleted leafleting
+leafs leafy leagued leagues leaguing leakage leakages leaked leaking leaks leaky leaner leanest
+leapfrog leapfrogged leapfrogging leapfrogs leaping leaps lease leased leases leash leashed leashes
+leashing leasing leathery lectern lecterns ledge ledger ledgers ledges lee leech leeched leeches
+leeching leek leeks leer leered leerier leeriest leering leers leery leeway lefter leftest leftmost
+lefts legacies legacy legalistic legality legals legends legged legging leggings legibility legibly
+legion legions legislate legislated legislates legislating legislative legislator legislators
+legislature legislatures legitimacy legitimated legitimates legitimating legume legumes leisurely
+lemme lemonade lemons lengthen lengthened lengthening lengthens lengthier lengthiest lengthwise
+leniency lentil lentils leopard leopards leotard leotards leper lepers leprosy lesbians lesion
+lesions lessen lessened lessening lessens letdown letdowns lethargic lethargy lettered letterhead
+letterheads lettering lettuce lettuces letup letups levee levees lever leverage leveraged leverages
+leveraging levered levering levers levied levies levity levy levying lewd lewder lewdest lexical
+lexicon lexicons liabilities liaisons liar liars libels liberalism liberally liberals liberate
+liberated liberates liberating liberation libertarian librarians libretto lice lichen lichens lick
+licked licking licks licorices lids lieu lieutenant lieutenants lifeboat lifeboats lifeforms
+lifeguard lifeguards lifeless lifelike lifeline lifelines lifelong lifespan lifestyles lifetimes
+ligament ligaments ligature ligatures lighten lightened lightening lightens lighters lighthouse
+lighthouses lightness lightweight lightweights likelier likeliest likelihoods liken likened likeness
+likenesses likening likens liker likest lilac lilacs lilies lilt lilted lilting lilts lily limber
+limbered limbering limbers limbo lime limed limelight limerick limericks limes limestone liming
+limitless limousine limousines limp limped limper limpest limping limps linchpin linchpins lineage
+lineages linearly linefeed linen liner liners linger lingered lingerie lingering lingers lingo
+lingoes linguist linguistics linguists liniment liniments linings linker linoleum lint lioness
+lionesses lions lipstick lipsticked lipsticking lipsticks liquefied liquefies liquefy liquefying
+liqueur liqueurs liquidate liquidated liquidates liquidating liquidation liquidations liquids
+liquored liquoring liquors lisped lisping lisps listeners listless litanies litany literacy literals
+literates lithe lither lithest lithium litigation litterbug litterbugs littered littering litters
+littler littlest liturgical liturgies liturgy livelier liveliest livelihood livelihoods liveliness
+liven livened livening livens livers livestock livid livings lizard lizards llama llamas loadable
+loaf loafed loafer loafers loafing loafs loam loaned loaning loath loathe loathed loathes loathing
+loathings loathsome loaves lob lobbed lobbied lobbies lobbing lobbying lobbyist lobbyists lobe lobes
+lobotomy lobs lobster lobsters locale locales localities locality locker lockers locket lockets
+locksmith locksmiths locomotion locomotive locomotives locust locusts lodged lodger lodgers lodges
+lodging lodgings loft lofted loftier loftiest loftiness lofting lofts lofty logarithm logarithmic
+logger logician loin loincloth loincloths loins loiter loitered loiterer loiterers loitering loiters
+loll lolled lolling lollipop lollipops lolls lone lonelier loneliest loneliness lonesome longed
+longevity longhand longing longings longish longitude longitudes longitudinal longs longshoreman
+longshoremen lookout lookouts loom loomed looming looms loon loonie loonier loonies looniest loons
+loony looped loopholes looping loosed loosen loosened loosening loosens looser looses loosest
+loosing loot looted looting loots lop lope loped lopes loping lopped lopping lops lopsided lorded
+lording lore loser losers lotion lotions lotteries lottery lotus lotuses loudness loudspeaker
+loudspeakers lounge lounged lounges lounging louse louses lousier lousiest lovable lovelier lovelies
+loveliest loveliness lovingly lowdown lowed lowing lowlier lowliest lowly lows loyaler loyalest
+loyalties loyalty lozenge lozenges lubricant lubricants lubricate lubricated lubricates lubricating
+lubrication lucid lucked luckier luckiest lucking lucks lucrative lug lugged lugging lugs lukewarm
+lull lullabies lullaby lulled lulling lulls lumber lumbered lumbering lumberjack lumberjacks lumbers
+luminaries luminary luminous lumped lumpier lumpiest lumping lumpy lunacies lunacy lunar lunatics
+lunched luncheon luncheons lunches lunching lunge lunged lunges lunging lupine lurch lurched lurches
+lurching lure lured lures lurid luring luscious lush lusher lushes lushest lusted lustier lustiest
+lusting lustrous lusts lusty lute lutes luxuriant luxuriate luxuriated luxuriates luxuriating
+luxuries luxurious lye lymph lymphatic lymphatics lynch lynched lynches lynching lyre lyres lyrical
+m ma macabre macaroni macaronis mace maced maces machete machetes machined machining machinist
+machinists macho macing mackerel mackerels macroscopic madam madame madams madcap madcaps madden
+maddened maddening maddens madder maddest madhouse madhouses madly madman madmen mads maelstrom
+maelstroms magenta maggot maggots magically magician magicians magistrate magistrates magnanimity
+magnanimous magnanimously magnate magnates magnesium magnet magnetism magnets magnificence magnified
+magnifies magnify magnifying magnitudes magnolia magnolias magnum magpie magpies mahoganies mahogany
+maid maiden maidens maids mailboxes mailman mailmen maim maimed maiming maims mainland mainlands
+mainline mainstay mainstays maintainability maintainable maintainer maintainers maizes majestic
+majestically majesties majesty majored majoring majorities majors makeshift makeshifts makeup
+makeups maladies maladjusted malady malaria malevolence malevolent malformed malice maliciously
+malign malignancies malignancy malignant maligned maligning maligns mall mallard mallards malleable
+mallet mallets malls malnutrition malpractice malpractices malt malted malting maltreat maltreated
+maltreating maltreats malts mama mamas mamma mammal mammalian mammals mammoth mammoths manacle
+manacled manacles manacling manageable managerial mandated mandates mandating mandible mandibles
+mandolin mandolins mane manes mange manger mangers mangier mangiest mango mangoes mangrove mangroves
+mangy manhandle manhandled manhandles manhandling manhole manholes manhood maniac maniacal maniacs
+manias manic manicure manicured manicures manicuring manicurist manicurists manifest manifestations
+manifested manifesting manifestos manifests manifold manifolded manifolding manifolds manipulations
+manlier manliest manliness manly mannequin mannequins mannerism mannerisms manners mannish manor
+manors mansion mansions manslaughter mantel mantelpiece mantelpieces mantels mantle mantled mantles
+mantling manure manured manures manuring manuscript manuscripts maple maples mapper mappings mar
+marathon marathons marble marbled marbles marbling marched marcher marches marching mare mares
+margarine maria marigold marigolds marijuana marina marinas marinate marinated marinates marinating
+marine mariner mariners marines marionette marionettes maritime markedly marketable marketplace
+marketplaces markings marksman marksmen marmalade maroon marooned marooning maroons marquee marquees
+marred marriages marring marrow marrows mars marsh marshal marshals marshes marshier marshiest
+marshmallow marshmallows marshy marsupial marsupials mart martial martin marts martyr martyrdom
+martyred martyring martyrs marvel marvels mas mascara mascaraed mascaraing mascaras mascot mascots
+masculine masculines mash mashed mashes mashing masked masking masks masochist masochists mason
+masonry masons masquerade masqueraded masquerades masquerading massacre massacred massacres
+massacring massage massaged massages massaging massed massing mast mastered masterful mastering
+masterly mastermind masterminded masterminding masterminds masterpiece masterpieces mastery
+masticate masticated masticates masticating masts masturbation mat matador matadors matchbook
+matchbooks matchless matchmaker matchmakers mated materialism materialist materialistic materialists
+maternal maternity mates mating matinée matinées matriarch matriarchal matriarchs matriculate
+matriculated matriculates matriculating matriculation matrimonial matrimony matron matronly matrons
+mats matte matted mattered mattering mattes matting mattress mattresses matured maturer matures
+maturest maturing maturities maturity maudlin maul mauled mauling mauls mausoleum mausoleums mauve
+maverick mavericks maxim maxima maximal maxims maximums maybes mayhem mayonnaise mayors mazes meadow
+meadows mealier mealiest mealy meander meandered meandering meanders meaner meanest measles measlier
+measliest measly measurable meats mechanically medal medallion medallions medals meddle meddled
+meddler meddlers meddles meddlesome meddling median medias mediate mediated mediates mediating
+mediation mediator mediators medically medicals medicate medicated medicates medicating medication
+medications medicinal medicines mediocre mediocrities mediocrity meditate meditated meditates
+meditating meditation meditations medley medleys meek meeker meekest meekly meekness megalomaniac
+megaphone megaphoned megaphones megaphoning megaton megatons melancholy mellow mellowed mellower
+mellowest mellowing mellows melodic melodies melodious melodrama melodramas melodramatic melon
+melons melted melting melts memberships membrane membranes memento mementos memo memoir memoirs
+memorably memorandum memorandums memorial memorials memos menace menaced menaces menacing menagerie
+menageries menial menials menopause menstrual menstruate menstruated menstruates menstruating
+menstruation mentalities menthol mentor mentored mentoring mentors mercantile mercenaries mercenary
+merchandise merchandised merchandises merchandising merchant merchants mercies merciful mercifully
+merciless mercilessly meres merest merger mergers meridian meridians meringue meringues merited
+meriting mermaid mermaids merrier merriest merrily merriment mes mesdames mesh meshed meshes meshing
+messenger messengers messier messiest metabolic metabolism metabolisms metallic metallurgy metals
+metamorphose metamorphoses metamorphosis metaphorical metaphorically metaphors metaphysical
+metaphysics mete meted meteor meteoric meteorite meteorites meteorologist meteorologists meteorology
+meteors metered metering metes methodical methodology meticulous meting metropolis metropolises
+metropolitan mettle mew mewed mewing mews mezzanine mezzanines microbe microbes microbiology
+microcode microfiche microfilm microfilmed microfilming microfilms micrometer micrometers
+microorganism microorganisms microphone microphones microscope microscopes microscopic microsecond
+microseconds microwaved microwaves microwaving middleman middlemen middles midget midgets midriff
+midriffs midst midstream midsummer midway midways midwife midwifed midwifes midwifing midwives mien
+miens mightier mightiest migraine migraines migrant migrants migrations migratory mike miked mikes
+miking milder mildest mildew mildewed mildewing mildews mileages milestone milestones militancy
+militant militants militarily militate militated militates militating militia militias milked milker
+milkier milkiest milking milkman milkmen milks milky milled miller millers milligram milligrams
+milliner milliners millinery milling millionaire millionaires millionth millionths millisecond
+milliseconds mills mime mimed mimes mimicked mimicking mimicries mimicry mimics miming mince minced
+mincemeat minces mincing mindbogglingly mindedness mindful mindlessly minefield miner mineral
+minerals miners mingle mingled mingles mingling miniature miniatures minibus minibuses minicomputer
+minimalism minimally minimums minion minions ministered ministerial ministering ministries ministry
+mink minks minnow minnows minored minoring minors minstrel minstrels minted minting mints minuet
+minuets minuscule minuscules minuses minuted minuter minutest minuting miraculously mirage mirages
+mire mired mires miring mirrored mirroring mirth misadventure misadventures misapprehension
+misappropriate misappropriated misappropriates misappropriating misappropriation misappropriations
+misbehave misbehaved misbehaves misbehaving miscarriage miscarriages miscarried miscarries miscarry
+miscarrying miscellany mischief mischievous misconception misconceptions misconduct misconducted
+misconducting misconducts misconstrue misconstrued misconstrues misconstruing misdeed misdeeds
+misdirection miser miseries miserly misers misfit misfits misfitted misfitting misfortunes misgiving
+misgivings mishap mishaps misinform misinformation misinformed misinforming misinforms
+misinterpretation misjudge misjudged misjudges misjudging mislaid mislay mislaying mislays
+mismanagement mismatch mismatched mismatches mismatching misnomer misnomers misprinted misprinting
+misprints misquote misquoted misquotes misquoting misrepresentation misrepresentations misshapen
+missionaries missionary missions missive missives misspell misspelled misspelling misspellings
+misspells misted mistier mistiest misting mistletoe mistress mistresses mistrust mistrusted
+mistrusting mistrusts misty mistype mistyping misunderstandings misused misuses misusing mite mites
+mitigate mitigated mitigates mitigating mitt mitten mittens mitts mixer mixers mixtures mnemonics
+moat moats mobbed mobbing mobiles mobility mobs moccasin moccasins mocked mockeries mockery mocking
+mockingbird mockingbirds mocks modal moderated moderates moderating moderator moderators modernity
+moderns modestly modesty modicum modicums modifier modifiers modular modulate modulated modulates
+modulating modulation modulations mohair moist moisten moistened moistening moistens moister
+moistest moisture molar molars molasses moles molest molested molesting molests mollified mollifies
+mollify mollifying molten momentary momentous monarchies monarchs monarchy monasteries monastery
+monastic monastics monetarism monetary mongoose mongrel mongrels monies monk monkeyed monkeying
+monks monogamous monogamy monogram monogrammed monogramming monograms monolithic monologue
+monologues monopolies monorail monorails monosyllable monosyllables monotonically monotonous
+monotony monsoon monsoons monstrosities monstrosity monstrous monthlies monument monumental
+monuments moo moodier moodiest moodily moods moody mooed mooing moonbeam moonbeams mooned mooning
+moonlight moonlighted moonlighting moonlights moor moored mooring moorings moors moos moose moot
+mooted mooting moots mop mope moped mopes moping mopped mopping mops morale moralist moralists
+moralities morass morasses moratorium moratoriums morbid morgue morgues morn morns moronic morose
+morphine morphology morsel morsels mortally mortar mortared mortaring mortars mortgage mortgaged
+mortgages mortgaging mortification mortified mortifies mortify mortifying mortuaries mortuary mosaic
+mosaics mosque mosques mosquito mosquitoes moss mosses mossier mossiest mossy motel motels moth
+mothball mothballed mothballing mothballs mothered motherhood mothering motherly moths motif motifs
+motioned motioning motionless motivations motley motleys motlier motliest motorbike motorbikes
+motorcade motorcades motorcycle motorcycled motorcycles motorcycling motored motoring motorist
+motorists mottoes mound mounded mounding mounds mountaineer mountaineered mountaineering
+mountaineers mountainous mourn mourned mourner mourners mournful mourning mourns moused mouses
+mousier mousiest mousing mousse moussed mousses moussing mousy mouthed mouthful mouthfuls mouthing
+mouthpiece mouthpieces mouths movable movables mover movers mow mowed mower mowers mowing mows mu
+mucous mucus muddied muddier muddies muddiest muddy muddying muff muffed muffin muffing muffins
+muffle muffled muffler mufflers muffles muffling muffs mugged mugger muggers muggier muggiest
+mugginess mugging muggy mulch mulched mulches mulching mule mules mull mulled mulling mulls multi
+multinational multinationals multiplications multiplicative multiplicities multiplicity
+multiprocessing multitasking multitude multitudes mumbled mumbles mumbling mummies mummified
+mummifies mummify mummifying mumps munch munched munches munching municipal municipalities
+municipality municipals mural murals murderers murderous murkier murkiest murky murmur murmured
+murmuring murmurs muscled muscling muscular muse mused muses mush mushed mushes mushier mushiest
+mushing mushroom mushroomed mushrooming mushrooms mushy musically musicals musing musk musket
+muskets muss mussed mussel mussels musses mussing mustang mustangs mustard muster mustered mustering
+musters mustier mustiest musts musty mutant mutants mutate mutated mutates mutating mutation
+mutations mute muted mutely muter mutes mutest mutilate mutilated mutilates mutilating mutilation
+mutilations muting mutinied mutinies mutinous mutiny mutinying mutt mutton mutts muzzle muzzled
+muzzles muzzling myopic myriad myriads mys mystical mysticism mystics mystified mystifies mystify
+mystifying mythological mythologies nab nabbed nabbing nabs nag nagged nagging nags naively naiver
+naivest naivety naiveté nakedness namesake namesakes nap napalm napalmed napalming napalms nape
+napes napkin napkins napped nappies napping nappy naps narcotic narcotics narrate narrated narrates
+narrating narration narrations narratives narrator narrators narrowed narrowing narrowly narrowness
+narrows nasal nasals nastily nastiness nationalism nationalist nationalistic nationalists
+nationalities nationality nationals nationwide nativities nativity nattier nattiest natty naturalist
+naturalists naturalness naturals natures naughtier naughtiest naughtily naughtiness nausea nauseate
+nauseated nauseates nauseating nauseous nautical naval navel navels navies navigable navigate
+navigated navigates navigating navigation navigator navigators navy nays neared nearing nears
+nearsighted nearsightedness neater neatest neatness nebula nebulae nebulous necessaries necessitate
+necessitated necessitates necessitating necessities necked neckerchief neckerchiefs necking necklace
+necklaces neckline necklines necks necktie neckties necrophilia nectar nectarine nectarines needier
+neediest needled needlework needling needy negated negates negating negation negations negatived
+negatively negatives negativing neglectful negligee negligees negligence negligent negligently
+negotiator negotiators neigh neighed neighing neighs neon neophyte neophytes nephew nephews nepotism
+nerved nerving nervously nervousness nestle nestled nestles nestling nether netted netting nettle
+nettled nettles nettling neurologist neurologists neurology neuron neurons neuroses neurosis
+neurotic neurotics neuter neutered neutering neuters neutrality neutrals neutron neutrons newbie
+newbies newborn newborns newfangled newsagents newscast newscaster newscasters newscasts newsier
+newsiest newsprint newsstand newsstands newsy newt newton newts nibble nibbled nibbles nibbling
+niceties nicety niche niches nickel nickels nicknamed nicknaming nicotine niece nieces niftier
+niftiest nifty nigh nightclub nightclubbed nightclubbing nightclubs nightfall nightgown nightgowns
+nightingale nightingales nightly nightmares nightmarish nighttime nimble nimbler nimblest nimbly
+nincompoop nincompoops nines nineteen nineteens nineteenth nineteenths nineties ninetieth ninetieths
+ninety ninnies ninny ninth ninths nip nipped nippier nippiest nipping nipple nipples nippy nips nit
+nitrate nitrated nitrates nitrating nitrogen nits nitwit nitwits nobility nobleman noblemen nobler
+nobles noblest noblewoman noblewomen nobly nobodies nocturnal nod nodded nodding nods noes noised
+noiseless noiselessly noisier noisiest noisily noisiness noising nomad nomadic nomads nomenclature
+nomenclatures nomination nominations nominative nominatives nominee nominees non nonchalance
+nonchalant nonchalantly noncommittal nonconformist nonconformists nondescript nonentities nonentity
+nonfiction nonflammable nonpartisan nonpartisans nonprofit nonprofits nonresident nonresidents
+nonsensical nonstandard nonstop nontrivial nonviolence noodle noodled noodles noodling nook nooks
+noose nooses norms northeast northeasterly northeastern northerlies northerly northward northwest
+northwestern nosebleed nosebleeds nosed nosier nosiest nosing nostalgic nostril nostrils nosy
+notables notations notch notched notches notching notebook notebooks noteworthy nothingness nothings
+noticeboard noticeboards notifications notional notoriety notoriously nougat nougats nourish
+nourished nourishes nourishing nourishment nova novelist novelists novelties noxious nozzle nozzles
+nuance nuances nuclei nucleus nude nuder nudes nudest nudge nudged nudges nudging nudity nugget
+nuggets nuisances nullified nullifies nullify nullifying nulls numbed numbing numbness numbs
+numerate numerator numerators numerically nuptial nuptials nursed nursemaid nursemaids nurseries
+nursery nursing nurture nurtured nurtures nurturing nutcracker nutcrackers nutmeg nutmegs nutrient
+nutrients nutriment nutriments nutrition nutritional nutritious nutshell nutshells nutted nuttier
+nuttiest nutting nutty nuzzle nuzzled nuzzles nuzzling nylon nymph nymphs née oaf oafs oak oaks
+oared oaring oars oases oasis oath oaths oatmeal obedience obedient obediently obelisk obelisks
+obese obesity obfuscation obituaries obituary objectively objectives objectivity objector objectors
+obligate obligated obligates obligating obligations oblique obliques obliterate obliterated
+obliterates obliterating obliteration oblivion oblivious oblong oblongs oboe oboes obscener
+obscenest obscenities obscenity obscurer obscurest obscurities observable observance observances
+observant observatories observatory obsessions obsessive obsolescence obsolescent obsoleted
+obsoletes obsoleting obstacle obstacles obstetrician obstetricians obstetrics obstinacy obstinate
+obstruction obstructions obstructive obtrusive obtuse obtuser obtusest occasioned occasioning
+occupancy occupant occupants occupational occupations oceanic oceanography oceans octagon octagonal
+octagons octal octave octaves octopus octopuses ocular oculars odder oddest oddities oddity ode odes
+odious odometer odometers offbeat offbeats offed offensiveness offensives officiate officiated
+officiates officiating officious offing offings offload offs offshoot offshoots offshore offstage
+offstages oftener oftenest ogle ogled ogles ogling ogre ogres ohm ohms ohs oiled oilier oiliest
+oiling oils oily ointment ointments okra okras olden olfactories olfactory olive olives omega omen
+omens ominous ominously omnibus omnipotence omnipotent omnipresent omniscient oncoming onerous
+onions onlooker onlookers onomatopoeia onrush onrushes onset onsets onslaught onslaughts onuses
+onward oodles ooze oozed oozes oozing opal opals opaque opaqued opaquer opaques opaquest opaquing
+opener openers openest openings openness operand operands operatic operative operatives
+ophthalmologist ophthalmologists ophthalmology opinionated opium opossum opossums opportune
+opportunist opportunists opposites oppressive oppressor oppressors optician opticians optics optima
+optimism optimist optimists optimums optioned optioning optometrist optometrists opulent oracle
+oracles orals oranges orangutan orangutans oration orations orator oratories orators oratory
+orbitals orbited orbiting orbits orchard orchards orchestras orchestrate orchestrated orchestrates
+orchestrating orchestration orchestrations orchid orchids ordain ordained ordaining ordains ordeal
+ordeals orderlies orderly ordinance ordinances ordinaries ordinarily ordination ordinations ore ores
+organics organism organisms organist organists orgasm orgies orgy orientations orifice originality
+originators ornament ornamental ornamented ornamenting ornaments ornate ornately ornithologist
+ornithologists ornithology orphan orphanage orphanages orphaned orphaning orphans orthodontist
+orthodontists orthogonal orthogonality orthography oscillate oscillated oscillates oscillating
+oscillation oscillations oscilloscope osmosis ostensible ostensibly ostentation ostentatious ostrich
+ostriches otter otters ouch ounce ounces oust ousted ouster ousters ousting ousts outbound outbreak
+outbreaks outburst outbursts outcast outcasts outclass outclassed outclasses outclassing outcries
+outdid outdistance outdistanced outdistances outdistancing outdo outdoes outdoing outdone outdoor
+outdoors outed outermost outfield outfields outfit outfits outfitted outfitting outgrew outgrow
+outgrowing outgrown outgrows outgrowth outgrowths outhouse outhouses outing outings outlaid
+outlandish outlast outlasted outlasting outlasts outlaw outlawed outlawing outlaws outlay outlaying
+outlays outlet outlets outlive outlived outlives outliving outlooks outlying outmoded outnumber
+outnumbered outnumbering outnumbers outpatient outpatients outpost outposts outputted outputting
+outrageously outran outrun outrunning outruns outs outsets outshine outshines outshining outshone
+outsider outsiders outsides outskirt outskirts outsmart outsmarted outsmarting outsmarts outspoken
+outstandingly outstation outstations outstrip outstripped outstripping outstrips outward outwardly
+outwards outweighed outweighing outwit outwits outwitted outwitting ova oval ovals ovaries ovary
+ovation ovations oven ovens overalls overate overbear overbearing overbears overblown overboard
+overbore overborne overburden overburdened overburdening overburdens overcast overcasting overcasts
+overcharge overcharged overcharges overcharging overcoat overcoats overcrowd overcrowded
+overcrowding overcrowds overdid overdo overdoes overdoing overdone overdose overdosed overdoses
+overdosing overdraw overdrawing overdrawn overdraws overdrew overeat overeaten overeating overeats
+overestimate overestimated overestimates overestimating overflowed overflowing overflows overgrew
+overgrow overgrowing overgrown overgrows overhand overhands overhang overhanging overhangs overhaul
+overhauled overhauling overhauls overhear overheard overhearing overhears overheat overheated
+overheating overheats overhung overkill overlaid overlain overland overlapped overlapping overlaps
+overlay overlaying overlays overlie overlies overlying overnights overpass overpasses overpopulation
+overpower overpowered overpowering overpowers overprint overprinted overprinting overprints overran
+overrate overrated overrates overrating overreact overreacted overreacting overreacts overrule
+overruled overrules overruling overrun overrunning overruns overs oversampling oversaw oversee
+overseeing overseen overseer overseers oversees overshadow overshadowed overshadowing overshadows
+overshoot overshooting overshoots overshot oversight oversights oversimplification oversleep
+oversleeping oversleeps overslept overstate overstated overstates overstating overstep overstepped
+overstepping oversteps overt overtake overtaken overtakes overtaking overthrew overthrow
+overthrowing overthrown overthrows overtimes overtly overtook overture overtures overturn overturned
+overturning overturns overuse overused overuses overusing overweight overwhelmingly overwork
+overworked overworking overworks overwrite overwrites overwrought ovum owl owls ox oxen oxidation
+oxide oxides oyster oysters pa paced pacemaker pacemakers paces pacific pacified pacifiers pacifies
+pacifism pacifist pacifists pacify pacifying pacing packer packers pact pacts paddies paddle paddled
+paddles paddling paddock paddocked paddocking paddocks paddy padlock padlocked padlocking padlocks
+pagan pagans pageant pageantry pageants pager pagination pagoda pagodas pail pails pained painfuller
+painfullest paining painlessly painstaking painter paired pairing pal palaces palatable palate
+palates palatial paled paler pales palest palette palettes paling pall pallbearer pallbearers palled
+pallid palling pallor palls palm palmed palming palms palomino palominos palpable palpably pals
+paltrier paltriest paltry pamper pampered pampering pampers pamphlet pamphlets panacea panaceas
+pancake pancaked pancakes pancaking pancreas pancreases pancreatic panda pandas pandemonium pander
+pandered pandering panders pane panes pang pangs panhandle panhandled panhandler panhandlers
+panhandles panhandling panicked panicking panicky panics panned panning panorama panoramas panoramic
+pans pansies pansy panted panther panthers pantie panties panting pantomime pantomimed pantomimes
+pantomiming pantries pantry pap papa papacies papacy papal papas papaya papayas paperbacks papered
+papering paperweight paperweights paperwork paprika papyri papyrus parable parables parachute
+parachuted parachutes parachuting paraded parades paradigm parading paradises paradoxes paradoxical
+paradoxically paraffin paragon paragons paragraphed paragraphing parakeet parakeets paralleled
+paralleling paralyses paralysis paralytic paralytics paramount paranoids paraphernalia paraphrased
+paraphrases paraphrasing paraplegic paraplegics parasite parasites parasitic parasol parasols
+paratrooper paratroopers parcel parcels parch parched parches parching parchment parchments
+pardonable pardoned pardoning pardons pare pared parentage parental parented parenthetical
+parenthood parenting pares paring parish parishes parishioner parishioners parka parkas parkway
+parkways parliamentary parliaments parodied parodies parodying parole paroled paroles paroling
+parred parring parroted parroting parrots pars parsec parsecs parser parsley parsnip parsnips parson
+parsonage parsonages parsons partake partaken partakes partaking parted partiality partials
+participation participle participles particulars partied parting partings partisan partisans
+partnered partnering partnership partnerships partook partridge partridges partying pas passable
+passageway passageways passbook passbooks passer passionately passions passively passives passports
+passé pasta pastas pasted pastel pastels pastes pastiche pastier pasties pastiest pastime pastimes
+pasting pastor pastoral pastorals pastors pastries pastry pasts pasture pastured pastures pasturing
+pasty patchwork patchworks patchy pate patented patenting patently patents paternal paternalism
+paternity pates pathetically pathological pathologist pathologists pathology pathos pathway pathways
+patienter patientest patiently patio patios patriarch patriarchal patriarchs patrimonies patrimony
+patriot patriotic patriotism patriots patrol patrolled patrolling patrols patron patronage
+patronages patrons pats patted patter pattered pattering patterned patterning patters patties
+patting patty paucity paunch paunches paunchier paunchiest paunchy pauper paupers pave paved
+pavements paves pavilion pavilions paving paw pawed pawing pawn pawnbroker pawnbrokers pawned
+pawning pawns paws payable payer payers payload payoff payoffs payroll payrolls pea peaceable
+peacefully peacemaker peacemakers peaces peach peaches peacock peacocks peaked peaking peal pealed
+pealing peals pear pearl pearled pearling pearls pears peas peat pebble pebbled pebbles pebbling
+pecan pecans peck pecked pecking pecks peculiarities peculiarity peculiarly pedagogy pedals peddle
+peddled peddles peddling pedestal pedestals pedigree pedigrees peek peeked peeking peeks peel peeled
+peeling peels peep peeped peeping peeps peered peering peerless peeve peeved peeves peeving peevish
+peg pegged pegging pegs pelican pelicans pellet pelleted pelleting pellets pelt pelted pelting pelts
+pelvic pelvis pelvises penal penance penances penchant pencils pendant pendants pendulum pendulums
+penetrate penetrated penetrates penetrating penetration penetrations penguins penicillin peninsula
+peninsulas penis penises penitence penitent penitentiaries penitentiary penitents penknife penknives
+penmanship pennant pennants penned penniless penning pension pensioned pensioner pensioners
+pensioning pensions pensive pensively pentagon pentagonal pentagons penthouse penthouses penultimate
+peon peonies peons peony peopled peopling pep pepped pepper peppered peppering peppermint
+peppermints peppers pepping peps percentages perceptible perceptions perceptive perch perchance
+perched perches perching percolate percolated percolates percolating percolation percolator
+percolators percussion peremptory perennial perennials perfected perfecter perfectest perfecting
+perfectionist perfectionists perfections perfects perforate perforated perforates perforating
+perforation perforations performer performers perfume perfumed perfumes perfuming perfunctorily
+perfunctory peril perilous perilously perils perimeter perimeters periodical periodicals peripheries
+periphery periscope periscopes perish perishable perishables perished perishes perishing perjure
+perjured perjures perjuries perjuring perjury perk perked perkier perkiest perking perks perky
+permanence permanents permeate permeated permeates permeating permissions permissive permutation
+permutations pernicious peroxide peroxided peroxides peroxiding perpendicular perpendiculars
+perpetrate perpetrated perpetrates perpetrating perpetrator perpetrators perpetually perpetuals
+perpetuate perpetuated perpetuates perpetuating perplex perplexed perplexes perplexing perplexities
+perplexity persecution persecutions persecutor persecutors perseverance persevere persevered
+perseveres persevering persisted persistence persistently persisting persists persona personable
+personals personification personifications personified personifies personify personifying
+perspectives perspiration perspire perspired perspires perspiring persuasions persuasive
+persuasively pert pertain pertained pertaining pertains perter pertest pertinent perturb perturbed
+perturbing perturbs perusal perusals peruse perused peruses perusing pervade pervaded pervades
+pervading pervasive perversion perversions pervert perverted perverting perverts peskier peskiest
+pesky pessimism pessimist pessimistic pessimists pest pester pestered pestering pesters pesticide
+pesticides pestilence pestilences pests petal petals peter petered petering peters petite petites
+petition petitioned petitioning petitions petrified petrifies petrify petrifying petroleum pets
+petted petticoat petticoats pettier pettiest pettiness petting petulant petunia petunias pew pews
+pewter pewters phantom phantoms pharmaceutical pharmaceuticals pharmacist pharmacists pheasant
+pheasants phenomenal phenomenally philanthropic philanthropies philanthropist philanthropists
+philanthropy phlegm phlegmatic phobia phobias phonetic phonetics phonics phonied phonier phoniest
+phonograph phonographs phonying phosphor phosphorescence phosphorescent phosphorus photocopied
+photocopier photocopiers photocopies photocopying photoed photogenic photographed photographer
+photographers photographing photography photoing photon photons photosynthesis phototypesetter
+phraseology physicals physician physicians physiological physique physiques pianist pianists pianos
+piccolo piccolos pickax pickaxed pickaxes pickaxing picket picketed picketing pickets pickier
+pickiest pickle pickled pickles pickling pickpocket pickpockets pickup pickups picky picnic
+picnicked picnicking picnics pictorial pictorials pictured picturesque picturing piddle piddled
+piddles piddling pieced piecemeal piecework piecing pier pierce pierced pierces piercing piers pies
+piety pigeonhole pigeonholed pigeonholes pigeonholing pigeons pigged pigging piggish piggyback
+piggybacked piggybacking piggybacks pigheaded pigment pigments pigpen pigpens pigtail pigtails pike
+piked pikes piking piled pilfer pilfered pilfering pilfers pilgrim pilgrimage pilgrimages pilgrims
+piling pillage pillaged pillages pillaging pillar pillars pilled pilling pillow pillowcase
+pillowcases pillowed pillowing pillows piloted piloting pilots pimple pimples pimplier pimpliest
+pimply pincushion pincushions pine pineapple pineapples pined pines pining pinion pinioned pinioning
+pinions pinked pinker pinkest pinking pinks pinnacle pinnacles pinned pinning pinpoint pinpointed
+pinpointing pinpoints pioneer pioneered pioneering pioneers pious piped pipelines piping pique
+piqued piques piquing piracy piranha piranhas pirate pirated pirates pirating pirouette pirouetted
+pirouettes pirouetting pis pistachio pistachios pistol pistols piston pistons pitched pitcher
+pitchers pitches pitchfork pitchforked pitchforking pitchforks pitching piteous piteously pithier
+pithiest pithy pitied pities pitiful pitifully pitiless pits pittance pittances pitted pitting
+pitying pivot pivotal pivoted pivoting pivots pixie pixies placard placarded placarding placards
+placate placated placates placating placement placenta placentas placid placidly plagiarism
+plagiarisms plagiarist plagiarists plaice plaid plaids plainer plainest plains plaintiff plaintiffs
+plaintive planar planed planetarium planetariums planing plank planked planking planks plankton
+planner planners plantain plantains plantation plantations planter planters plaque plaques plasma
+plastics plateau plateaued plateauing plateaus plated platformed platforming platforms plating
+platinum platitude platitudes platoon platooned platooning platoons platter platters plausibility
+plausibly playable playback playful playfully playfulness playgrounds playhouse playhouses playmate
+playmates playpen playpens plaything playthings playwright playwrights plaza plazas plead pleaded
+pleading pleads pleas pleasanter pleasantest pleasantries pleasantry pleasings pleasurable pleasured
+pleasures pleasuring pleat pleated pleating pleats pledge pledged pledges pledging plentiful
+plentifully plethora pliable pliant plied pliers plies plight plighted plighting plights plod
+plodded plodding plods plop plopped plopping plops plotters ploys pluck plucked plucking plucks
+plucky plum plumage plumb plumbed plumber plumbers plumbing plumbs plume plumed plumes pluming
+plummet plummeted plummeting plummets plump plumped plumper plumpest plumping plumps plums plunder
+plundered plundering plunders plunge plunged plunger plungers plunges plunging plurality plurals
+pluses plush plusher plushest plutonium ply plying plywood pneumatic pneumonia poach poached poacher
+poachers poaches poaching pocketbook pocketbooks pocketed pocketing pockmark pockmarked pockmarking
+pockmarks pod podded podding podium podiums pods poetical poignancy poignant poinsettia poinsettias
+pointedly pointlessly poise poised poises poising poisonous poked poker pokers pokes pokey pokier
+pokiest poking poky polarity poled polemic polemics poles policed policemen polices policewoman
+policewomen policing poling polio polios politely politer politest polka polkaed polkaing polkas
+polled pollen pollinate pollinated pollinates pollinating pollination polling pollster pollsters
+pollutant pollutants pollute polluted pollutes polluting polo polygamous polygamy polygon polygons
+polynomials polyp polyps polytechnic pomegranate pomegranates pomp poncho ponchos pond ponder
+pondered pondering ponderous ponders ponds ponies pontoon pontoons pony poodle poodles pooled
+pooling pools poop pooped pooping poops popcorn poplar poplars poppies poppy populaces popularly
+populous porcelain porch porches porcupine porcupines pore pored pores poring pornographic porous
+porpoise porpoised porpoises porpoising porridge portables portal portals portend portended
+portending portends portent portents portfolio portfolios porthole portholes portico porticoes
+portioned portioning portlier portliest portly portrait portraits portrayal portrayals posies
+positional positives positivism possessions possessive possessives possessor possessors possibles
+possum possums postbox postcards postcode posterior posteriors posterity postgraduate postgraduates
+posthumous posthumously postman postmark postmarked postmarking postmarks postmasters postmen
+postponement postponements postscripts postulated postulates postulating posture postured postures
+posturing posy potassium potency potent pothole potholes potion potions pots potted potter pottered
+potteries pottering potters pottery potting pouch pouched pouches pouching poultry pounce pounced
+pounces pouncing pounded pounding pout pouted pouting pouts powdered powdering powders powdery
+powerfully powerhouse powerhouses powerless powwow powwowed powwowing powwows practicalities
+practicality practitioner practitioners pragmatics pragmatism prairie prairies praised praises
+praiseworthy praising pram prance pranced prances prancing prank pranks prattle prattled prattles
+prattling prawn prawned prawning prawns preacher preachers preamble preambled preambles preambling
+precarious precariously precautionary precedents precinct precincts precipice precipices precipitate
+precipitated precipitates precipitating precipitation precipitations precipitous preciser precisest
+preclude precluded precludes precluding precocious preconceive preconceived preconceives
+preconceiving preconception preconceptions precursor precursors predator predators predatory
+predefined predestination predicament predicaments predicate predicated predicates predicating
+predictably predictor predisposition predispositions predominance predominant predominate
+predominated predominates predominating preeminence preeminent preempt preempted preempting preempts
+preen preened preening preens prefab prefabbed prefabbing prefabs prefaced prefaces prefacing
+prefect preferential pregnancies prehistoric prejudicial preliminaries prelude preludes
+premeditation premier premiere premiered premieres premiering premiers premised premising premiums
+premonition premonitions prenatal preoccupation preoccupations preoccupied preoccupies preoccupy
+preoccupying prepaid preparations preparatory prepay prepaying prepays preponderance preponderances
+preposition prepositional prepositions preposterous prerequisites prerogative prerogatives
+prescriptions presences presentable presentations presenter preservation preservative preservatives
+preside presided presidencies presidency presidential presidents presides presiding pressings
+pressured pressuring prestige prestigious presto presumption presumptions presumptuous presuppose
+presupposed presupposes presupposing pretender pretenders pretension pretensions pretentiously
+pretentiousness pretext pretexts prettied prettier pretties prettiest prettying pretzel pretzels
+prevailed prevailing prevails prevalence preventable preventive preventives previewed previewers
+previewing previews prey preyed preying preys priceless prick pricked pricking prickle prickled
+prickles pricklier prickliest prickling prickly pricks prided prides priding pried pries priestess
+priestesses priesthood priesthoods prim primal primaries primate primates primed primer primers
+primeval priming primly primmer primmest primp primped primping primps primrose primroses princes
+princess princesses principalities principality principals printable printings priors prism prisms
+prisons privater privates privatest privation privations privier privies priviest privy
+probabilistic probables probation probe probed probes probing problematic procedural procession
+processional processionals processioned processioning processions proclaimed proclaiming proclaims
+proclamation proclamations procrastinate procrastinated procrastinates procrastinating
+procrastination procure procured procurement procures procuring prod prodded prodding prodigal
+prodigals prodigies prodigious prodigy prods productions profane profaned profanes profaning
+profanities profanity profess professed professes professing professionally professions professors
+proffer proffered proffering proffers proficiency proficient proficiently proficients profiled
+profiling profited profiteer profiteered profiteering profiteers profiting profounder profoundest
+profoundly profundities profundity profuse profusely profusion profusions progeny prognoses
+prognosis progression progressions progressive progressively progressives prohibition prohibitions
+prohibitive prohibitively projectile projectiles projections projector projectors proletarian
+proletarians proletariat proliferate proliferated proliferates proliferating prolific prologue
+prologues prom promenade promenaded promenades promenading prominence prominently promiscuity
+promiscuous promontories promontory promotions prompter promptest promptness proms promulgate
+promulgated promulgates promulgating prong prongs pronouncement pronouncements pronouns
+pronunciations proofed proofing proofread proofreading proofreads prop propagate propagated
+propagates propagating propagation propel propelled propeller propellers propelling propels
+propensities propensity properer properest prophecies prophecy prophesied prophesies prophesy
+prophesying prophetic prophets proponent proponents proportionality proportionally proportionals
+proportionate proportioned proportioning propositional propositioned propositioning propositions
+propped propping proprietaries proprietor proprietors propriety props propulsion pros prosecutions
+prosecutor prosecutors prospected prospecting prospector prospectors prospectus prospectuses prosper
+prospered prospering prosperity prosperous prospers prostituted prostituting prostitution prostrate
+prostrated prostrates prostrating protagonist protagonists protections protective protector
+protectors proteins protestant protested protesting protests proton protons prototypes protract
+protracted protracting protractor protractors protracts protrude protruded protrudes protruding
+protrusion protrusions protégé protégés prouder proudest proudly provable provably provenance
+proverb proverbial proverbs providence provider province provinces provincial provincials
+provisionally provisioned provisioning proviso provisos provocation provocations prow prowess prowl
+prowled prowler prowlers prowling prowls prows proxies proxy prude prudence prudent prudes prudish
+prune pruned prunes pruning pry prying précis psalm psalms pseudonym pseudonyms psych psyche psyched
+psychedelic psychedelics psyches psychiatric psychiatrist psychiatrists psychiatry psychic psychics
+psyching psychoanalysis psychoanalyst psychoanalysts psychologically psychologies psychopath
+psychopaths psychoses psychosis psychotherapies psychotherapy psychotic psychs puberty puck pucker
+puckered puckering puckers pucks puddings puddle puddled puddles puddling pudgier pudgiest pudgy
+pueblo pueblos puff puffed puffer puffier puffiest puffing puffs puffy pugnacious puke puked pukes
+puking pulley pulleys pullover pullovers pulmonary pulped pulping pulpit pulpits pulps pulsate
+pulsated pulsates pulsating pulsation pulsations pulsed pulsing puma pumas pumice pumices pummel
+pummels pumpernickel pumpkin pumpkins punchline punctual punctuality punctuate punctuated punctuates
+punctuating punctured punctures puncturing pundit pundits pungent punier puniest punishable
+punishments punitive punk punker punkest punks punned punning punted punter punters punting puny pup
+pupped puppet puppets puppies pupping puppy pups purchaser purchasers puree pureed pureeing purees
+purer purest purgatory purged purges purging purification purified purifies purify purifying
+puritanical purpler purples purplest purport purported purporting purports purposed purposeful
+purposing purr purred purring purrs purse pursed purses pursing pursuits purveyor pus pusher pushers
+pushier pushiest pushover pushovers pushy puss pusses pussier pussies pussiest pussy putative putrid
+putter puttered puttering putters puttied putties putty puttying pyramid pyramided pyramiding
+pyramids pyre pyres pythons qua quack quacked quacking quacks quadrangle quadrangles quadrant
+quadrants quadratic quadrilateral quadrilaterals quadruped quadrupeds quadruple quadrupled
+quadruples quadruplet quadruplets quadrupling quagmire quagmires quail quailed quailing quails
+quaint quainter quaintest quake quaked quakes quaking qualitative qualm qualms quandaries quandary
+quantifier quantify quantitative quarantine quarantined quarantines quarantining quark quarrel
+quarrels quarrelsome quarried quarries quarry quarrying quart quarterback quarterbacked
+quarterbacking quarterbacks quartered quartering quarterlies quarterly quartet quartets quarts
+quartz quash quashed quashes quashing quaver quavered quavering quavers quay quays queasier
+queasiest queasy queened queening queenlier queenliest queenly queer queered queerer queerest
+queering queers quell quelled quelling quells quench quenched quenches quenching queried querying
+quested questing questionnaires quests quibbled quibbles quibbling quiche quicken quickened
+quickening quickens quicksand quicksands quieted quieting quiets quill quills quilt quilted quilting
+quilts quinine quintessence quintessences quintet quintets quintuplet quintuplets quip quipped
+quipping quips quirk quirked quirking quirks quirky quitter quitters quiver quivered quivering
+quivers quizzed quizzes quizzical quizzing quorum quorums quotient quotients rabbi rabbis rabbited
+rabbiting rabble rabbles rabies raccoon racer racetrack racetracks racially racier raciest racists
+racked racketed racketeer racketeered racketeering racketeers racketing rackets racking racy radars
+radial radials radiance radiant radiate radiated radiates radiating radiations radiator radiators
+radicals radii radioactive radioactivity radioed radioing radish radishes radium raffle raffled
+raffles raffling raft rafted rafter rafters rafting rafts ragamuffin ragamuffins raged rages ragged
+raggeder raggedest ragging raging rags ragtime raided raider raiders raiding railed railing railings
+railroaded railroading railroads railways rainbows raincoat raincoats raindrop raindrops rainfall
+rainfalls rainier rainiest rainstorm rainstorms rainwater rainy raisin raisins rake raked rakes
+raking rallied rallies rally rallying ramble rambled rambler ramblers rambles rambling ramification
+ramifications rammed ramming ramp rampage rampaged rampages rampaging ramps ramrod ramrodded
+ramrodding ramrods rams ramshackle ranch ranched rancher ranchers ranches ranching rancid rancorous
+randomness ranger rangers ranked ranker rankest ranking rankle rankled rankles rankling ransack
+ransacked ransacking ransacks ransom ransomed ransoming ransoms rap raped rapes rapider rapidest
+rapidity rapids raping rapist rapists rapped rapping rapport rapports raps rapt rapture raptures
+rapturous rared rares raring rarities rarity rascal rascals rasher rashes rashest rashly rasp
+raspberries raspberry rasped rasping rasps raster ratification ratified ratifies ratify ratifying
+ratings ration rationales rationality rationals rationed rationing rations ratted ratting rattler
+rattlers rattlesnake rattlesnakes ratty raucous raucously ravage ravaged ravages ravaging ravel
+ravels raven ravened ravening ravenous ravenously ravens ravine ravines ravings ravish ravished
+ravishes ravishing rawer rawest rayon rays raze razed razes razing razors reactionaries reactive
+reactors readability readied readier readies readiest readiness readjust readjusted readjusting
+readjusts readying realer realest realism realist realistically realists realities reallocate
+reallocated reallocates reallocating reals realty ream reamed reaming reams reap reaped reaper
+reapers reaping reappear reappeared reappearing reappears reaps reared rearing rearrangement
+rearrangements rears reassurance reassurances rebate rebated rebates rebating rebel rebelled
+rebelling rebellion rebellions rebellious rebels rebind rebinding rebinds rebirth rebirths reborn
+rebound rebounded rebounding rebounds rebuff rebuffed rebuffing rebuffs rebuke rebuked rebukes
+rebuking rebut rebuts rebuttal rebuttals rebutted rebutting recalcitrant recant recanted recanting
+recants recap recapped recapping recaps recapture recaptured recaptures recapturing recede receded
+recedes receding receipted receipting receipts receivers recenter recentest receptacle receptacles
+receptionist receptionists receptions receptive recess recessed recesses recessing recession
+recessions recharge rechargeable recharged recharges recharging reciprocal reciprocals reciprocate
+reciprocated reciprocates reciprocating recital recitals recitation recitations recite recited
+recites reciting recklessly recklessness reclaimed reclaiming reclaims reclamation recline reclined
+reclines reclining recluse recluses recoil recoiled recoiling recoils recollect recollected
+recollecting recollections recollects recompense recompensed recompenses recompensing recompile
+recompiled recompiling reconciled reconciles reconciliation reconciliations reconciling recondition
+reconditioned reconditioning reconditions reconfigure reconfigured reconnaissance reconnaissances
+reconnect reconnected reconnecting reconnects reconsidered reconsidering reconsiders reconstruct
+reconstructed reconstructing reconstruction reconstructions reconstructs recorders recount recounted
+recounting recounts recoup recouped recouping recoups recourse recoverable recoveries recreate
+recreated recreates recreating recreation recreations rectal rectangles rector rectors rectum
+rectums recuperate recuperated recuperates recuperating recuperation recur recurred recurrence
+recurrences recurrent recurring recurs recursively redden reddened reddening reddens redder reddest
+redeem redeemable redeemed redeeming redeems redefinition redemption redesign redesigned redesigning
+redesigns redhead redheads redid redirected redirecting redirection redirects rediscover
+rediscovered rediscovering rediscovers redistribute redistributed redistributes redistributing
+redistribution redo redoes redoing redone redraft redraw redress redressed redresses redressing reds
+redundancies reed reeds reef reefed reefing reefs reek reeked reeking reeks reel reelect reelected
+reelecting reelects reeled reeling reels referee refereed refereeing referees referendums refill
+refilled refilling refills refinement refinements refineries refinery reflections reflective
+reflector reflectors reflexes reflexive reflexives reformation reformations reformatted reformatting
+reformer reformers refraction refrained refraining refrains refreshment refreshments refrigerate
+refrigerated refrigerates refrigerating refrigeration refrigerator refrigerators refuel refuels
+refuge refugee refugees refuges refunded refunding refunds refurbish refurbished refurbishes
+refurbishing refurbishment refusals refutation refuted refutes refuting regained regaining regains
+regal regale regaled regales regalia regaling regatta regattas regenerate regenerated regenerates
+regenerating regeneration regent regents regimen regimens regiment regimental regimented regimenting
+regiments regimes registrar registrars registrations registries registry regress regressed regresses
+regressing regression regressions regretful regrettable regularity regulars regulate regulated
+regulates regulating regurgitate regurgitated regurgitates regurgitating rehabilitate rehabilitated
+rehabilitates rehabilitating rehabilitation rehash rehashed rehashes rehashing rehearsal rehearsals
+rehearse rehearsed rehearses rehearsing reigned reigning reigns reimburse reimbursed reimbursement
+reimbursements reimburses reimbursing rein reincarnate reincarnated reincarnates reincarnating
+reincarnation reincarnations reindeer reined reinforce reinforced reinforcement reinforcements
+reinforces reinforcing reining reins reinstatement reiterated reiterates reiterating reiteration
+reiterations rejections rejoice rejoiced rejoices rejoicing rejoin rejoinder rejoinders rejoined
+rejoining rejoins rejuvenate rejuvenated rejuvenates rejuvenating rejuvenation relaid relapse
+relapsed relapses relapsing relational relativistic relaxation relaxations relayed relaying relays
+releasable relegate relegated relegates relegating relent relented relenting relentless relentlessly
+relents reliance reliant relic relics reliefs religiously relinquish relinquished relinquishes
+relinquishing relish relished relishes relishing relive relived relives reliving reload reloaded
+reloading reloads relocatable relocate relocated relocates relocating remade remainders remake
+remakes remaking remedial remedied remedies remedying remembrance remembrances reminders reminisce
+reminisced reminiscence reminiscences reminisces reminiscing remiss remission remissions remit
+remits remittance remittances remitted remitting remnant remnants remodel remodels remorse
+remorseful remorseless remoter remotes remotest removable removals remunerate remunerated
+remunerates remunerating remuneration remunerations renaissance rendezvous rendezvoused rendezvouses
+rendezvousing renditions renegade renegaded renegades renegading renege reneged reneges reneging
+renewable renewal renewals renounce renounced renounces renouncing renovate renovated renovates
+renovating renovation renovations renown renowned rental rentals rented renting rents renunciation
+renunciations reopen reopened reopening reopens repaid reparation repatriate repatriated repatriates
+repatriating repay repaying repayment repayments repays repeal repealed repealing repeals repel
+repelled repellent repellents repelling repels repentance repentant repented repenting repents
+repercussion repercussions repertoires repetitions repetitious replay replenish replenished
+replenishes replenishing replete repleted repletes repleting replica replicas replicate replicated
+replicates replicating replication reportedly reporters repose reposed reposes reposing repositories
+repository reprehensible repress repressed represses repressing repression repressions repressive
+reprieve reprieved reprieves reprieving reprimand reprimanded reprimanding reprimands reprint
+reprinted reprinting reprints reprisal reprisals reproach reproached reproaches reproaching
+reproductions reproductive reprogram reprogrammed reprogramming reprograms reprove reproved reproves
+reproving reptile reptiles republic republican republicans republics repudiate repudiated repudiates
+repudiating repudiation repudiations repugnance repugnant repulse repulsed repulses repulsing
+repulsion reputable reputations repute reputed reputedly reputes reputing requiem requisites
+requisition requisitioned requisitioning requisitions reroute rerouted reroutes rerouting resale
+reschedule rescheduled reschedules rescheduling rescind rescinded rescinding rescinds rescued
+rescuer rescuers rescues rescuing researched researches researching resemblances resented resentful
+resenting resentment resentments resents reservoir reservoirs reshuffle resided residences
+residential residing residual residuals residue residues resignations resilience resilient resin
+resins resistances resistant resisted resisting resistor resistors resists resolute resolutely
+resolutions resolver resonance resonances resonant resound resounded resounding resounds resourceful
+resourcefulness respectability respectably respectful respectfully respiration respirator
+respirators respiratory respite respites resplendent responsibly responsive restful restfuller
+restfullest restitution restive restless restlessly restlessness restoration restorations restraint
+restraints restructure restructured restructures restructuring resubmit resubmits resubmitted
+resubmitting resultant resultants resumption resumptions resurface resurfaced resurfaces resurfacing
+resurgence resurgences resurrect resurrected resurrecting resurrections resurrects resuscitate
+resuscitated resuscitates resuscitating resuscitation retailed retailer retailers retailing retails
+retainer retainers retaliate retaliated retaliates retaliating retaliation retaliations retard
+retarded retarding retards retch retched retches retching retention rethink reticence reticent
+retina retinas retirements retort retorted retorting retorts retrace retraced retraces retracing
+retracted retracting retraction retractions retracts retreat retreated retreating retreats
+retribution retributions retries retrievals retriever retrievers retroactive retrograde retrospect
+retrospected retrospecting retrospective retrospectively retrospectives retrospects retry returnable
+returnables retype reunion reunions reunite reunited reunites reuniting reused reuses reusing rev
+revamp revamped revamping revamps revel revelations revelries revelry revels revenged revengeful
+revenges revenging revenues reverberate reverberated reverberates reverberating reverberation
+reverberations revere revered reverence reverenced reverences reverencing reverent reverently
+reveres reverie reveries revering reversal reversals reversible reversion reverted reverting reverts
+reviewer reviewers revile reviled reviles reviling revisions revisit revisited revisiting revisits
+revival revivals revive revived revives reviving revoke revoked revokes revoking revolutionaries
+revolutions revolve revolved revolver revolvers revolves revolving revs revue revues revulsion
+revved revving rewarded rewarding rewind rework rhapsodies rhapsody rhetoric rheumatism rhino
+rhinoceros rhinoceroses rhinos rhododendron rhododendrons rhubarb rhubarbs rhymed rhymes rhyming
+rhythmic rhythms rib ribbed ribbing ribbons ribs riced rices riches richly richness ricing ricketier
+ricketiest rickety rickshaw rickshaws ricochet ricocheted ricocheting ricochets riddance riddle
+riddled riddles riddling rider riders ridge ridged ridges ridging ridicule ridiculed ridicules
+ridiculing rife rifer rifest rifle rifled rifles rifling rift rifted rifting rifts rig rigged
+rigging righted righteous righteously righteousness righter rightest rightful rightfully righting
+rightmost rightness rigidity rigidly rigorously rigs rile riled riles riling rim rimmed rimming rims
+rind rinds ringleader ringleaders ringlet ringlets ringworm rink rinks rinse rinsed rinses rinsing
+rioted rioter rioters rioting riotous riots ripe ripen ripened ripeness ripening ripens riper ripest
+riposte ripple rippled ripples rippling riser risers riskier riskiest risqué rite rites rivalries
+rivalry rivet riveted riveting rivets roach roaches roadblock roadblocked roadblocking roadblocks
+roadside roadsides roam roamed roaming roams roar roared roaring roars roast roasted roasting roasts
+rob robbed robber robberies robbers robbery robbing robe robed robes robin robing robins robs
+robuster robustest robustness rocked rocker rockers rocketed rocketing rockets rockier rockiest
+rocking rocky rodent rodents rodeo rodeos rods roe roes rogue rogues roguish roller rollers romanced
+romances romancing romantically romantics romp romped romping romps roofed roofing roofs rook rooked
+rookie rookies rooking rooks roomed roomier roomiest rooming roommate roommates roomy roost roosted
+rooster roosters roosting roosts rooted rooter rooting roped ropes roping rosaries rosary rosemary
+roses rosier rosiest roster rosters rostrum rostrums rosy rotaries rotary rotations rote rotisserie
+rotisseries rotor rotors rots rotted rottener rottenest rotting rotund rotunda rotundas rouge rouged
+rouges roughage roughed roughen roughened roughening roughens rougher roughest roughhouse
+roughhoused roughhouses roughhousing roughing roughness roughs rouging roulette roundabouts rounder
+roundest roundness rouse roused rouses rousing routeing router rowboat rowboats rowdier rowdies
+rowdiest rowdiness rowdy rowed rowing royally royals royalty rubbed rubbers rubbing rubbished
+rubbishes rubbishing rubble rubier rubies rubiest rubric rubs ruby rucksack ruckus ruckuses rudder
+rudders ruddier ruddiest ruddy rudely rudeness ruder rudest rudimentary rue rued rueful rues ruff
+ruffed ruffian ruffians ruffing ruffle ruffled ruffles ruffling ruffs rug rugby rugged ruggeder
+ruggedest rugs ruing ruinous rulings rum rumble rumbled rumbles rumbling ruminate ruminated
+ruminates ruminating rummage rummaged rummages rummaging rummer rummest rummy rump rumple rumpled
+rumples rumpling rumps rums runaway runaways rundown rundowns rune runes rungs runner runners
+runnier runniest runny runt runts runway runways rupture ruptured ruptures rupturing ruse ruses rust
+rusted rustic rustics rustier rustiest rusting rustle rustled rustler rustlers rustles rustling
+rusts rut ruthless ruthlessly ruthlessness ruts rutted rutting rye sabbatical sabotaged sabotages
+sabotaging saboteur saboteurs sac sacrament sacraments sacrificial sacrilege sacrileges sacrilegious
+sacs sadder saddest saddle saddled saddles saddling sades sadism sadist sadistic sadists sadness
+safari safaried safariing safaris safeguarded safeguarding safekeeping safes safeties saffron
+saffrons sag sagas sage sagebrush sager sages sagest sagged sagging sags sailboat sailboats sailor
+sailors saintlier saintliest saintly saints salad salads salami salamis salesmen salespeople
+salesperson salespersons saleswoman saleswomen salient salients saliva salivate salivated salivates
+salivating sallow sallower sallowest sally salmon salmons salon salons saloon saloons salted salter
+saltest saltier saltiest salting salts salty salutation salutations salute saluted salutes saluting
+salvage salvaged salvages salvaging salve salved salves salving sameness sames sampler sanatorium
+sanatoriums sanctified sanctifies sanctify sanctifying sanctimonious sanction sanctioned sanctioning
+sanctions sanctity sanctuaries sanctuary sandal sandals sandbag sandbagged sandbagging sandbags
+sanded sandier sandiest sanding sandman sandmen sandpaper sandpapered sandpapering sandpapers sands
+sandstone sandstorm sandstorms sandwiched sandwiching sandy saner sanest sangs sanitarium
+sanitariums sanitary sanitation sanserif sap sapling saplings sapped sapphire sapphires sapping saps
+sarcasms sarcastically sardine sardines sari saris sash sashes sassier sassiest sassy satanic
+satchel satchels satellited satelliting satin satires satirical satirist satirists satisfactions
+saturate saturated saturates saturating saturation sauced saucepan saucepans saucer saucers sauces
+saucier sauciest saucing saucy sauerkraut sauna saunaed saunaing saunas saunter sauntered sauntering
+saunters sausage sausages sauté sautéed sautéing sautés savage savaged savagely savager savageries
+savagery savages savagest savaging saver savvied savvier savvies savviest savvy savvying sawdust
+sawed sawing saws saxophone saxophones sayings scab scabbed scabbing scabs scaffold scaffolding
+scaffolds scalar scalars scald scalded scalding scalds scalier scaliest scallop scalloped scalloping
+scallops scalp scalped scalpel scalpels scalping scalps scaly scamper scampered scampering scampers
+scandalous scandals scanners scant scanted scanter scantest scantier scanties scantiest scanting
+scants scanty scapegoat scapegoated scapegoating scapegoats scar scarcer scarcest scarcity scarecrow
+scarecrows scarfed scarfing scarfs scarier scariest scarred scarring scars scarves scary scathing
+scatterbrain scatterbrained scatterbrains scavenger scavengers scenic scent scented scenting scents
+schemed schemer schemers scheming schizophrenia schizophrenic scholarly scholarship scholarships
+scholastic schoolboy schoolboys schoolchild schoolchildren schooled schooling schoolteacher
+schoolteachers schooner schooners scissor scissors scoff scoffed scoffing scoffs scold scolded
+scolding scolds scoop scooped scooping scoops scoot scooted scooter scooters scooting scoots scoped
+scopes scoping scorch scorched scorches scorching scorer scorn scorned scornful scorning scorns
+scorpion scorpions scotches scotchs scoundrel scoundrels scour scoured scourge scourged scourges
+scourging scouring scours scout scouted scouting scouts scowl scowled scowling scowls scrabble scram
+scramble scrambled scrambles scrambling scrammed scramming scrams scrapbook scrapbooks scrape
+scraped scrapes scraping scratchier scratchiest scratchy scrawl scrawled scrawling scrawls scrawnier
+scrawniest scrawny screech screeched screeches screeching screened screening screwdriver
+screwdrivers screwier screwiest screwy scribble scribbled scribbles scribbling scribe scribes
+scripted scripting scripture scriptures scriptwriter scriptwriters scrounge scrounged scrounges
+scrounging scrub scrubbed scrubbing scrubs scruff scruffier scruffiest scruffs scruffy scruple
+scrupled scruples scrupling scrupulous scrupulously scrutiny scuff scuffed scuffing scuffle scuffled
+scuffles scuffling scuffs sculptor sculptors sculpture sculptured sculptures sculpturing scummed
+scumming scums scurried scurries scurrilous scurry scurrying scuttle scuttled scuttles scuttling
+scythe scythed scythes scything seafaring seafood seam seaman seamed seamen seaming seams seamstress
+seamstresses seaport seaports sear searchlight searchlights seared searing sears seas seashell
+seashells seashore seashores seasick seasickness seaside seasides seasonable seasonal seasoned
+seasoning seasonings seasons seated seating seaweed secede seceded secedes seceding secession
+seclude secluded secludes secluding seclusion secondaries secondarily secrecy secretarial secrete
+secreted secretes secreting secretion secretions secretive sectioned sectioning sectors secured
+securely securer secures securest securing securities sedan sedans sedate sedated sedater sedates
+sedatest sedating sedative sedatives sedentary sediment sedimentary sediments seduce seduced seduces
+seducing seduction seductions seductive seeded seedier seediest seeding seedling seedlings seeds
+seedy seep seepage seeped seeping seeps seer seesaw seesawed seesawing seesaws seethe seethed
+seethes seething segmentation segmented segmenting segregate segregated segregates segregating
+segregation seize seized seizes seizing seizure seizures selections selector selectors selfishness
+seller sellers selves semantically semblance semblances semen semester semesters semicircle
+semicircles semicolon semicolons semiconductor semiconductors semifinal semifinals seminaries
+seminary senate senates senator senators senile senility seniority seniors sensational
+sensationalism sensations sensed senseless sensibilities sensibility sensing sensitives
+sensitivities sensor sensors sensory sensual sensuality sensuous sentience sentimentality sentries
+sentry separations sequels sequenced sequencer sequencing sequentially sequin sequins serenade
+serenaded serenades serenading serene serener serenest serenity sergeant sergeants serials sermons
+serpent serpents serum serums serviceable serviced serviceman servicemen servicing serviette
+serviettes servile servitude setback setbacks settable setter setters settlement settlements settler
+settlers sevens seventeen seventeens seventeenth seventeenths sevenths seventies seventy sever
+severance severances severed severer severest severing severs sew sewage sewed sewer sewers sewing
+sewn sews sexed sexing sexism shabbier shabbiest shabbily shabby shack shackle shackled shackles
+shackling shacks shaded shadier shadiest shading shadowed shadowier shadowiest shadowing shadows
+shadowy shady shaft shafted shafting shafts shaggier shaggiest shaggy shakier shakiest shallower
+shallowest shallows sham shamble shambles shamed shameful shamefully shameless shames shaming
+shammed shamming shampoo shampooed shampooing shampoos shamrock shamrocks shams shanties shanty
+shapelier shapeliest shapely shark sharked sharking sharks sharped sharpen sharpened sharpener
+sharpeners sharpening sharpens sharper sharpest sharping sharpness sharps shatter shattered
+shattering shatters shave shaved shaven shaver shavers shaves shaving shawl shawls sheaf shear
+sheared shearing shears sheath sheathe sheathed sheathes sheathing sheaths sheave sheaves sheen
+sheepish sheepishly sheered sheerer sheerest sheering sheers shelled sheller shellfish shellfishes
+shelling sheltered sheltering shelters shelved shelving shepherd shepherded shepherding shepherds
+sherbet sherbets sheriff sheriffs sherries sherry shes shied shield shielded shielding shields shies
+shiftier shiftiest shiftless shifty shimmer shimmered shimmering shimmers shin shingle shingled
+shingles shingling shinier shiniest shinned shinning shins shipment shipments shipshape shipwreck
+shipwrecked shipwrecking shipwrecks shire shirk shirked shirking shirks shirted shirting shirts
+shiver shivered shivering shivers shoal shoaled shoaling shoals shod shoddier shoddiest shoddy
+shoeing shoelace shoelaces shoestring shoestrings shoo shooed shooing shoos shopkeeper shopkeepers
+shoplifter shoplifters shopper shoppers shore shored shores shoring shortages shortcoming
+shortcomings shorted shortenings shortfall shorting shortlist shortness shotgun shotgunned
+shotgunning shotguns shouldered shouldering shoved shovel shovels shoves shoving showcase showcased
+showcases showcasing showdown showdowns showered showering showier showiest showings showman showmen
+showy shrank shrapnel shred shredded shredding shreds shrew shrewd shrewder shrewdest shrewdness
+shrews shriek shrieked shrieking shrieks shrill shrilled shriller shrillest shrilling shrills shrimp
+shrimped shrimping shrimps shrine shrines shrink shrinkage shrinking shrinks shrivel shrivels shroud
+shrouded shrouding shrouds shrub shrubberies shrubbery shrubs shrug shrugged shrugging shrugs shrunk
+shrunken shuck shucked shucking shucks shudder shuddered shuddering shudders shuffle shuffled
+shuffles shuffling shun shunned shunning shuns shunt shunted shunting shunts shutter shuttered
+shuttering shutters shuttle shuttled shuttles shuttling shyer shyest shying shyness sibling siblings
+sicked sicker sickest sicking sickle sickles sicklier sickliest sickly sickness sicknesses sicks
+sics sideline sidelined sidelines sidelining sidelong sideshow sideshows sidestep sidestepped
+sidestepping sidesteps sidetrack sidetracked sidetracking sidetracks sidewalk sidewalks sidings
+sidle sidled sidles sidling siege sieges sierra siesta siestas sieve sieved sieves sieving sift
+sifted sifting sifts sighed sighing sighs sightless signer signified signifies signify signifying
+signpost signposted signposting signposts silenced silences silencing silenter silentest silently
+silents silhouette silhouetted silhouettes silhouetting silk silken silks sill sillies silliness
+sills silo silos silt silted silting silts silvered silvering silvers silversmith silversmiths
+silverware silvery simile similes simmer simmered simmering simmers simplex simplification
+simulations simulator sincerer sincerest sincerity sinew sinews sinewy singe singed singeing singes
+singled singling singly singularity singulars sinned sinner sinners sinning sinus sinuses sip siphon
+siphoned siphoning siphons sipped sipping sips sire sired siren sirens sires siring sirloin sirloins
+sirs sissier sissies sissiest sissy sisterhood sisterhoods sisterly sisters sited siting sitter
+sitters sixes sixpence sixpences sixteens sixteenth sixteenths sixths sixtieth sixtieths sizer
+sizzle sizzled sizzles sizzling skate skateboard skateboarded skateboarding skateboards skated
+skater skaters skates skating skein skeins skeletons sketched sketchier sketchiest sketching sketchy
+skew skewed skewer skewered skewering skewers skewing skews ski skid skidded skidding skids skied
+skies skiing skillet skillets skim skimmed skimming skimp skimped skimpier skimpiest skimping skimps
+skimpy skims skinflint skinflints skinned skinnier skinniest skinning skinny skins skipper skippered
+skippering skippers skirmish skirmished skirmishes skirmishing skirted skirting skirts skis skit
+skits skittish skulk skulked skulking skulks skulls skunk skunked skunking skunks skying skylight
+skylights skyline skylines skyrocket skyrocketed skyrocketing skyrockets skyscraper skyscrapers slab
+slabbed slabbing slabs slack slacked slacken slackened slackening slackens slacker slackest slacking
+slacks slain slake slaked slakes slaking slam slammed slamming slams slander slandered slandering
+slanders slant slanted slanting slants slap slapped slapping slaps slapstick slashed slashes
+slashing slat slate slated slates slating slats slaughter slaughtered slaughtering slaughters slaved
+slavery slaving slavish slay slaying slays sleazier sleaziest sleazy sled sledded sledding
+sledgehammer sleds sleek sleeked sleeker sleekest sleeking sleeks sleeper sleepers sleepier
+sleepiest sleepless sleepy sleet sleeted sleeting sleets sleeve sleeveless sleeves sleigh sleighed
+sleighing sleighs slender slenderer slenderest slew slewed slewing slews slick slicked slicker
+slickest slicking slicks slighted slighting slights slime slimier slimiest slimmed slimmer slimmest
+slimming slims slimy sling slinging slings slingshot slingshots slink slinking slinks slipper
+slipperier slipperiest slippers slipshod slit slither slithered slithering slithers slits slitter
+slitting sliver slivered slivering slivers slob slobber slobbered slobbering slobbers slobs slog
+slogans slogged slogging slogs slop sloped slopes sloping slopped sloppier sloppiest slopping slops
+slosh sloshed sloshes sloshing sloth slothful sloths slotted slotting slouch slouched slouches
+slouching slovenlier slovenliest slovenly slowness sludge slug slugged slugging sluggish slugs
+sluice sluiced sluices sluicing slum slumber slumbered slumbering slumbers slummed slummer slumming
+slump slumped slumping slumps slums slung slunk slur slurred slurring slurs slush slut sluts sly
+slyly slyness smack smacked smacking smacks smallpox smalls smarted smarter smartest smarting
+smartly smarts smattering smatterings smear smeared smearing smears smelled smellier smelliest
+smelling smelt smelted smelting smelts smidgen smidgens smirk smirked smirking smirks smite smites
+smithereens smiths smiting smitten smock smocked smocking smocks smog smokestack smokestacks smokier
+smokiest smoky smoothed smoother smoothest smoothing smoothness smooths smote smother smothered
+smothering smothers smudge smudged smudges smudging smugger smuggest smuggle smuggled smuggler
+smugglers smuggles smuggling smugly smut smuts snacked snacking snacks snagged snagging snags
+snailed snailing snails snake snaked snakes snaking snap snapped snappier snappiest snapping snappy
+snaps snapshot snapshots snare snared snares snaring snarl snarled snarling snarls snatch snatched
+snatches snatching sneaker sneakers sneakier sneakiest sneer sneered sneering sneers sneeze sneezed
+sneezes sneezing snicker snickered snickering snickers snide snider snidest sniffed sniffing sniffle
+sniffled sniffles sniffling sniffs snip snipe sniped sniper snipers snipes sniping snipped snippet
+snippets snipping snips snitch snitched snitches snitching snob snobbish snobs snooker snoop snooped
+snooping snoops snootier snootiest snooty snooze snoozed snoozes snoozing snore snored snores
+snoring snorkel snorkels snort snorted snorting snorts snot snots snout snouts snowball snowballed
+snowballing snowballs snowdrift snowdrifts snowed snowfall snowfalls snowflake snowflakes snowier
+snowiest snowing snowplowed snowplowing snows snowstorm snowstorms snowy snub snubbed snubbing snubs
+snuff snuffed snuffer snuffing snuffs snug snugged snugger snuggest snugging snuggle snuggled
+snuggles snuggling snugly snugs soak soaked soaking soaks soaped soapier soapiest soaping soaps
+soapy soar soared soaring soars sob sobbed sobbing sobered soberer soberest sobering sobers sobriety
+sobs soccer sociable sociables socialists socials sociological sociologist sociologists sociology
+socked socking soda sodas sodded sodden sodding sodium sodomy sods sofa sofas softball softballs
+soften softened softening softens softer softest softly softness soggier soggiest soggy soiled
+soiling soils sojourn sojourned sojourning sojourns solace solaced solaces solacing solder soldered
+soldering solders soldiered soldiering soled solemn solemner solemnest solemnity solemnly solicit
+solicited soliciting solicitous solicits solidarity solider solidest solidified solidifies solidify
+solidifying solidity solidly solids soling solitaire solitaires solitaries solitary solitude soloed
+soloing soloist soloists solos soluble solubles solvent solvents somebodies someday someones
+somersault somersaulted somersaulting somersaults somethings somewhats sonata sonatas sonic sonnet
+sonnets sonorous soot soothe soothed soothes soothing sootier sootiest sooty sop sophistication
+sophistry sophomore sophomores sopped sopping soprano sopranos sops sorcerer sorcerers sorceress
+sorceresses sorcery sorely sorer sores sorest sororities sorority sorrier sorriest sorrow sorrowed
+sorrowful sorrowing sorrows sorta soufflé soufflés sounder soundest soundly soundproof soundproofed
+soundproofing soundproofs souped souping soups sour sourced sourcing soured sourer sourest souring
+sours southeast southeastern southerlies southerly southerner southerners southerns southpaw
+southpaws southward southwest southwestern souvenir souvenirs sovereign sovereigns sovereignty sow
+sowed sowing sown sows spa spacecraft spacecrafts spaceship spaceships spacial spacious spade spaded
+spades spading spaghetti spangle spangled spangles spangling spaniel spaniels spank spanked spanking
+spankings spanks spanned spanner spanners spanning spans spar spared sparer sparest sparing spark
+sparked sparking sparkle sparkled sparkler sparklers sparkles sparkling sparks sparred sparring
+sparrow sparrows spars sparse sparsely sparser sparsest spas spasm spasmodic spasms spat spate spats
+spatted spatter spattered spattering spatters spatting spatula spatulas spawn spawned spawning
+spawns spay spayed spaying spays spear speared spearhead spearheaded spearheading spearheads
+spearing spearmint spears specialists specials specifics specifier specimens specious speck specked
+specking specks spectacle spectacles spectacularly spectaculars spectator spectators spectra
+speculated speculates speculating speculations speculative speculator speculators speechless
+speedboat speedboats speedier speediest speedometer speedometers speedy spellbind spellbinding
+spellbinds spellbound speller spendthrift spendthrifts sperm sperms spew spewed spewing spews
+spheres spherical sphinx sphinxes spice spiced spices spicier spiciest spicing spicy spider spiders
+spied spigots spiked spikes spiking spilling spills spinach spinal spinals spindlier spindliest
+spindly spine spineless spines spinning spins spinster spinsters spirals spire spires spirited
+spiriting spiritually spirituals spited spiteful spitefuller spitefullest spites spiting spittle
+splash splashed splashes splashing splat splatter splattered splattering splatters spleen spleens
+splendider splendidest splendidly splice spliced splices splicing splint splinted splinter
+splintered splintering splinters splinting splints splurge splurged splurges splurging spokes
+spokesmen spokespeople spokesperson spokespersons spokeswoman spokeswomen sponge sponged sponges
+spongier spongiest sponging spongy sponsorship spontaneity spoofed spoofing spoofs spook spooked
+spookier spookiest spooking spooks spooky spooled spooling spools spoon spooned spoonful spoonfuls
+spooning spoons sporadic spore spores sporran sported sporting sportsmanship spotless spotlight
+spotlighted spotlighting spotlights spottier spottiest spotty spouse spouses spouted spouting spouts
+sprain sprained spraining sprains sprawl sprawled sprawling sprawls sprayed spraying sprays
+spreadsheet spreadsheets spree spreed spreeing sprees sprier spriest sprig sprigs springboard
+springboards springier springiest springtime springy sprinkle sprinkled sprinkler sprinklers
+sprinkles sprinkling sprinklings sprint sprinted sprinter sprinters sprinting sprints sprout
+sprouted sprouting sprouts spruce spruced sprucer spruces sprucest sprucing spry spud spuds spun
+spunk spurn spurned spurning spurns spurred spurring spurs spurt spurted spurting spurts sputter
+sputtered sputtering sputters spying squabble squabbled squabbles squabbling squadron squadrons
+squads squalid squalider squalidest squall squalled squalling squalls squalor squander squandered
+squandering squanders squarely squarer squarest squat squats squatted squatter squattest squatting
+squawk squawked squawking squawks squeak squeaked squeakier squeakiest squeaking squeaks squeaky
+squeal squealed squealing squeals squeamish squelch squelched squelches squelching squid squids
+squint squinted squinter squintest squinting squints squire squired squires squiring squirm squirmed
+squirming squirms squirrel squirrels squirt squirted squirting squirts stab stabbed stabbing stabled
+stabler stables stablest stabling stabs stacked stacking stadium stadiums staffed staffing staffs
+stag stagecoach stagecoaches staged staging stagnant stagnate stagnated stagnates stagnating
+stagnation stags staid staider staidest stain stained staining stains staircases stairway stairways
+staked stakes staking staled stalemate stalemated stalemates stalemating staler stales stalest
+staling stalk stalked stalking stalks stalled stalling stallion stallions stalls stalwart stalwarts
+stamina stammer stammered stammering stammers stampede stampeded stampedes stampeding stances stanch
+stanched stancher stanches stanchest stanching standby standbys standings standoff standoffs
+standpoints standstill standstills stank stanza stanzas staple stapled stapler staplers staples
+stapling starboard starch starched starches starchier starchiest starching starchy stardom starfish
+starfishes starker starkest starlight starrier starriest starry startlingly starvation statelier
+stateliest stately stater statesman statesmanship statesmen stationed stationery stationing
+statistically statistician statisticians statue statues stature statures statuses statute statutes
+statutory staunch staunched stauncher staunches staunchest staunching staunchly stave staved staves
+staving steadfast steadied steadier steadies steadiest steadying steak steaks stealth stealthier
+stealthiest stealthily stealthy steamed steamier steamiest steaming steamroller steamrollered
+steamrollering steamrollers steams steamy steeled steeling steels steeped steeper steepest steeping
+steeple steeples steeps stellar stemmed stemming stench stenches stencil stencils stenographer
+stenographers stenography stepladder stepladders stereos stereotyped stereotyping stern sterner
+sternest sternly sternness sterns stethoscope stethoscopes stew steward stewarded stewardess
+stewardesses stewarding stewards stewed stewing stews sticker stickers stickier stickies stickiest
+stickler sticklers stiffed stiffen stiffened stiffening stiffens stiffer stiffest stiffing stiffly
+stiffness stiffs stifle stifled stifles stifling stigma stigmas stigmata stillborn stilled stiller
+stillest stilling stillness stills stilted stimulant stimulants stimuli stimulus sting stinger
+stingers stingier stingiest stinginess stinging stings stingy stink stinking stinks stint stinted
+stinting stints stipulate stipulated stipulates stipulating stipulation stipulations stirrup
+stirrups stitch stitched stitches stitching stockade stockaded stockades stockading stockbroker
+stockbrokers stocked stockholder stockholders stockier stockiest stocking stockings stockpile
+stockpiled stockpiles stockpiling stocky stockyard stockyards stodgier stodgiest stodgy stoical
+stoke stoked stokes stoking stoles stolid stolider stolidest stolidly stomached stomaching stomachs
+stomp stomped stomping stomps stoned stonier stoniest stoning stony stool stools stoop stooped
+stooping stoops stopgap stopgaps stopover stopovers stoppage stoppages stopper stoppered stoppering
+stoppers stopwatch stopwatches storehouse storehouses storekeeper storekeepers storeroom storerooms
+stork storks stormed stormier stormiest storming stormy stout stouter stoutest stove stoves stow
+stowaway stowaways stowed stowing stows straddle straddled straddles straddling straggle straggled
+straggler stragglers straggles straggling straighten straightened straightening straightens
+straighter straightest straightforwardly straights strained strainer strainers straining strait
+straitjacket straitjacketed straitjacketing straitjackets straits strand stranded stranding strands
+strangeness strangers strangle strangled strangles strangling strangulation strap strapped strapping
+straps strata stratagem stratagems stratified stratifies stratify stratifying stratosphere
+stratospheres stratum strawberries strawberry strawed strawing straws strayed straying strays streak
+streaked streaking streaks streamed streamer streamers streaming streamline streamlined streamlines
+streamlining streetcar streetcars strengthened strengthening strengthens strengths strenuous
+strenuously stressful stretcher stretchers strew strewed strewing strewn strews stricken stricter
+strictest strictness stridden stride strides striding strife striker strikers strikings stringier
+stringiest stringing stringy stripe striped stripes striping stripper striven strives striving
+strode stroked strokes stroking stroll strolled stroller strollers strolling strolls stronghold
+strongholds strove structuralist strum strummed strumming strums strung strut struts strutted
+strutting stub stubbed stubbier stubbiest stubbing stubble stubborn stubborner stubbornest stubby
+stubs stud studded studding studentship studios studious studs stuffier stuffiest stuffings stuffy
+stump stumped stumping stumps stung stunk stunted stunting stunts stupefied stupefies stupefy
+stupefying stupendous stupider stupidest stupidities stupidly stupids stupor stupors sturdier
+sturdiest sturdy stutter stuttered stuttering stutters styled styling stylish stylistic stylus suave
+suaver suavest sub subbed subbing subcommittee subcommittees subconscious subconsciously subdivide
+subdivided subdivides subdividing subdivision subdivisions subdue subdued subdues subduing subgroup
+subjugate subjugated subjugates subjugating subjunctive sublet sublets subletting sublime sublimed
+sublimer sublimes sublimest subliming submarine submarines submerge submerged submerges submerging
+submersion submissions submissive subnormal subordinate subordinated subordinates subordinating
+subprogram subs subscribed subscriber subscribers subscribes subscribing subscript subscriptions
+subscripts subsection subsections subservient subsets subside subsided subsides subsidiaries
+subsidies subsiding subsidy subsist subsisted subsistence subsisting subsists substandard
+substantiate substantiated substantiates substantiating substitutions subsystem subterfuge
+subterfuges subterranean subtler subtlest subtract subtracted subtracting subtraction subtractions
+subtracts suburb suburban suburbans suburbs subversive subversives subvert subverted subverting
+subverts successes successions successively successors succinct succincter succinctest succinctly
+succulent succulents succumb succumbed succumbing succumbs suck sucked sucker suckered suckering
+suckers sucking suckle suckled suckles suckling sucks suction suctioned suctioning suctions suds
+suede sufferings sufficed suffices sufficing suffixed suffixes suffixing suffocate suffocated
+suffocates suffocating suffocation suffrage sugared sugarier sugariest sugaring sugars sugary
+suggester suggestive suicides suitcase suitcases suites suitor suitors sulk sulked sulkier sulkies
+sulkiest sulking sulks sulky sullen sullener sullenest sultan sultans sultrier sultriest sultry
+summarily summered summering summers summit summits summon summoned summoning summons summonsed
+summonses summonsing sumptuous sunbathe sunbathed sunbathes sunbathing sunburn sunburned sunburning
+sunburns sundae sundaes sundial sundials sundown sundowns sundries sunflower sunflowers sunglasses
+sunken sunlit sunned sunnier sunniest sunning sunrises suns sunscreen sunscreens sunset sunsets
+suntan suntanned suntanning suntans sunup sup superber superbest superbly supercomputer
+supercomputers superhuman superimpose superimposed superimposes superimposing superintendent
+superintendents superiors superlative superlatives supermarkets supernaturals supers superscript
+superscripts supersede superseded supersedes superseding supersonic superstar superstars
+superstition superstitions superstitious superstructure superstructures supervisory suppers supplant
+supplanted supplanting supplants supple supplemented supplementing supplements suppler supplest
+supportive supposition suppositions supremacy supremely surcharge surcharged surcharges surcharging
+surer surest surf surfaced surfacing surfboard surfboarded surfboarding surfboards surfed surfing
+surfs surge surged surgeon surgeons surgeries surges surgical surging surlier surliest surly surmise
+surmised surmises surmising surmount surmounted surmounting surmounts surnames surpass surpassed
+surpasses surpassing surpluses surplussed surplussing surreal surrender surrendered surrendering
+surrenders surreptitious surveillance surveyed surveying surveyor surveyors survivals survivor
+survivors suspender suspenders suspense suspensions suspicions sustainable sustenance swab swabbed
+swabbing swabs swagger swaggered swaggerer swaggering swaggers swampier swampiest swampy swan swans
+swarm swarmed swarming swarms swarthier swarthiest swarthy swat swathe swathed swathes swathing
+swats swatted swatting sway swayed swaying sways sweater sweaters sweaty sweeper sweepers sweepings
+sweeten sweetened sweetening sweetens sweeter sweetest sweethearts sweetly sweetness sweets swell
+swelled sweller swellest swelling swellings swells swerve swerved swerves swerving swift swifter
+swiftest swiftly swifts swig swigged swigging swigs swill swilled swilling swills swindle swindled
+swindler swindlers swindles swindling swine swines swinging swings swipe swiped swipes swiping swirl
+swirled swirling swirls swish swished swisher swishes swishest swishing switchable switchboard
+switchboards switcher swivel swivels swollen swoon swooned swooning swoons swoop swooped swooping
+swoops swordfish swordfishes swords swung syllable syllables syllabus syllabuses symbolism
+symmetrical sympathetically symphonic symptomatic synagogue synagogues synapse synapses synchronous
+syndicated syndicates syndicating syndromes synopses synopsis syntheses synthesizers synthetic
+synthetics syphilis syringe syringed syringes syringing syrup syrups systematically tabbed tabbies
+tabbing tabby tabernacle tabernacles tablecloth tablecloths tabled tablespoon tablespoonful
+tablespoonfuls tablespoons tablet tablets tabling tabloid tabloids taboo tabooed tabooing taboos
+tabulate tabulated tabulates tabulating tabulation tacit tacitly taciturn tackier tackiest tacky
+taco tacos tact tactful tactfully tactlessly tadpole tadpoles tagged tagging tags tailed tailgate
+tailgated tailgates tailgating tailing taillight taillights tailspin tailspins taint tainted
+tainting taints takeoff takeoffs takeover talc talisman talismans talkative talker talkers taller
+tallest tallied tallies tallow tally tallying talon talons tambourine tambourines tamed tamely
+tameness tamer tames tamest taming tamper tampered tampering tampers tan tandem tandems tang
+tangential tangents tangerine tangerines tangible tangibles tangle tangled tangles tangling tango
+tangoed tangoing tangos tangs tankard tankards tanked tanker tankers tanking tanned tanner tannest
+tanning tans tantamount tantrum tantrums taped taper tapered tapering tapers tapestries tapestry
+taping tapped tapping taps tar tarantula tarantulas tardier tardiest tardiness tardy targeted
+targeting tariff tariffs tarnish tarnished tarnishes tarnishing tarpaulin tarpaulins tarred tarried
+tarrier tarries tarriest tarring tarry tarrying tars tart tartan tartans tartar tartars tarter
+tartest tarts tasked tasking tassel tassels tasteful tastefully tastier tastiest tasty tattle
+tattled tattles tattling tattoo tattooed tattooing tattoos tatty taunt taunted taunting taunts taut
+tauter tautest tautology tavern taverns tawdrier tawdriest tawdry tawnier tawniest tawny taxable
+taxed taxicab taxicabs taxied taxiing taxing taxis teachings teacup teacups teak teaks teamed
+teaming teammate teammates teamster teamsters teamwork teapots teardrop teardrops tearful teas tease
+teased teases teasing teaspoon teaspoons teat teats technicalities technicality technician
+technicians technologically technologies tediously tedium tee teed teeing teem teemed teeming teems
+teen teens tees teeter teetered teetering teeters teethe teethed teethes teething teetotal
+telecommunications telegram telegrams telegraph telegraphed telegraphing telegraphs telepathic
+telepathy telephoned telephoning telescoped telescopes telescoping teletype televise televised
+televises televising televisions teller tellers telltale telltales temperament temperamental
+temperaments temperance temperate tempered tempering tempers tempest tempests tempestuous template
+temples tempo temporal temporaries tempos temptations tenable tenacious tenacity tenancies tenancy
+tenant tenanted tenanting tenants tendered tenderer tenderest tendering tenderly tenderness tenders
+tendon tendons tendril tendrils tenement tenements tenet tenets tenor tenors tensed tenser tenses
+tensest tensing tensions tensors tent tentacle tentacles tented tenths tenting tents tenuous tenure
+tenured tenures tenuring tepee tepees tepid terminators termini terminologies terminus termite
+termites termly terrace terraced terraces terracing terrain terrains terrestrial terrestrials
+terrier terriers terrific territorial territorials territories terrors tersely terseness terser
+tersest testable testament testaments tester testers testes testicle testicles testified testifies
+testify testifying testimonial testimonials testimonies testimony testis tetanus tether tethered
+tethering tethers textile textiles textually texture textured textures texturing thankless thatch
+thatched thatcher thatches thatching thaw thawed thawing thaws theatrical thefts theist theists
+thence theologian theologians theologies theoretic theorist theorists therapeutic therapies
+therapist therapists thereon thereupon thermal thermals thermodynamics thermometer thermometers
+thermostat thermostats thesauri thesaurus thesauruses theta thicken thickened thickening thickens
+thicker thickest thicket thickets thickly thicknesses thigh thighs thimble thimbles thinker thinkers
+thinly thinned thinner thinnest thinning thins thirds thirsted thirstier thirstiest thirsting
+thirsts thirsty thirteen thirteens thirteenth thirteenths thirties thirtieth thirtieths thistle
+thistles thong thongs thorn thornier thorniest thorns thorny thoroughbred thoroughbreds thorougher
+thoroughest thoughtful thoughtfully thoughtfulness thoughtless thoughtlessly thousandth thousandths
+thrash thrashed thrashes thrashing threadbare threaded threading threads threes thresh threshed
+thresher threshers threshes threshing thresholds thrice thrift thriftier thriftiest thrifts thrifty
+thrill thrilled thriller thrillers thrilling thrills thrive thrived thrives thriving throb throbbed
+throbbing throbs throne thrones throng thronged thronging throngs throttle throttled throttles
+throttling throwaway throwback throwbacks thud thudded thudding thuds thug thugs thumbed thumbing
+thumbs thumbtack thumbtacks thump thumped thumping thumps thunder thunderbolt thunderbolts thundered
+thundering thunderous thunders thunderstorm thunderstorms thunderstruck thwart thwarted thwarting
+thwarts thyme thyroid thyroids tiara tiaras ticked ticketed ticketing ticking tickle tickled tickles
+tickling ticklish ticks tidal tide tided tides tidier tidiest tiding tier tiers tiff tiffed tiffing
+tiffs tigers tighten tightened tightening tightens tighter tightest tightness tightrope tightropes
+tights tightwad tightwads tilde tiled tiling tilled tilling tills tilt tilted tilting tilts timber
+timbered timbering timbers timekeeper timekeepers timeless timelier timeliest timely timers
+timescales timetables timezone timid timider timidest timidity timidly timings tinder ting tinge
+tinged tingeing tinges tinging tingle tingled tingles tingling tings tinier tiniest tinker tinkered
+tinkering tinkers tinkle tinkled tinkles tinkling tinned tinnier tinniest tinning tinny tinsel
+tinsels tint tinted tinting tints tipped tipping tipsier tipsiest tipsy tiptoe tiptoed tiptoeing
+tiptoes tirade tirades tireder tiredest tireless tissue tissues tit titillate titillated titillates
+titillating titled titling tits titter tittered tittering titters toads toadstool toadstools toasted
+toaster toasters toasting toasts tobaccos toboggan tobogganed tobogganing toboggans toddle toddled
+toddler toddlers toddles toddling toed toeing toenail toenails toffee toffees toga togas toil toiled
+toileted toileting toiling toils tolerable tolerably tolerances tolled tolling tolls tomahawk
+tomahawked tomahawking tomahawks tomb tombed tombing tomboy tomboys tombs tombstone tombstones
+tomcat tomcats tomes tomorrows tonal toned tong tongs tongued tongues tonguing tonic tonics toning
+tonnage tonnages tonne tonnes tonsil tonsillitis tonsils tooled tooling toolkit toot tooted
+toothache toothaches toothbrush toothbrushes toothpaste toothpastes toothpick toothpicks tooting
+toots topaz topazes topographies topography topology topped topping topple toppled topples toppling
+torch torched torches torching torment tormented tormenting tormentor tormentors torments tornado
+tornadoes torpedo torpedoed torpedoes torpedoing torque torrent torrential torrents torrid torso
+torsos tortilla tortillas tortoise tortoises tortuous tortured tortures torturing tossed tosses
+tossing tot totalitarian totalitarianism totalitarians totalities totality totals tote toted totem
+totems totes toting tots totted totter tottered tottering totters totting toucan toucans touchdown
+touchdowns touchier touchiest touchings touchy toughen toughened toughening toughens tougher
+toughest toughness toughs toupee toupees toured touring tournament tournaments tourniquet
+tourniquets tours tousle tousled tousles tousling tout touted touting touts tow towed towel towels
+towered towering towing townspeople tows toxic toxin toxins toyed toying tract traction tractor
+tractors tracts trademark trademarked trademarking trademarks trader traders traditionalist
+trafficked trafficking traffics tragedies tragically trailer trailers trainee trainees trainer
+trainers trait traitor traitorous traitors traits tramp tramped tramping trample trampled tramples
+trampling trampoline trampolines tramps trance trances tranquil tranquiler tranquilest transact
+transacted transacting transacts transatlantic transcend transcended transcending transcends
+transcontinental transcribe transcribed transcribes transcribing transcription transcriptions
+transcripts transferable transformations transformer transformers transfusion transfusions
+transgress transgressed transgresses transgressing transgression transgressions transients
+transistor transistors transited transiting transitional transitioned transitioning transitions
+transitive transitives transitory transits translators transliteration translucent transparencies
+transparency transparently transpire transpired transpires transpiring transplant transplanted
+transplanting transplants transportable transportation transpose transposed transposes transposing
+transverse transverses trapdoor trapeze trapezes trapezoid trapezoids trapper trappers trappings
+trashed trashes trashier trashiest trashing trashy trauma traumas traumatic traverse traversed
+traverses traversing travestied travesties travesty travestying trawl trawled trawler trawlers
+trawling trawls trays treacheries treacherous treachery treacle treading treadmill treadmills treads
+treason treasured treasurer treasurers treasures treasuries treasuring treasury treaties treatise
+treatises treatments treble trebled trebles trebling treed treeing trekked trekking treks trellis
+trellised trellises trellising tremble trembled trembles trembling tremor tremors trench trenched
+trenches trenching trended trendier trendies trendiest trending trepidation trespass trespassed
+trespasser trespassers trespasses trespassing trestle trestles triangular tribal tribulation
+tribulations tribunal tribunals tributaries tributary tribute tributes tricked trickery trickier
+trickiest tricking trickle trickled trickles trickling trickster tricksters tricycle tricycles
+trifled trifles trifling trigonometry trill trilled trilling trillion trillions trills trilogies
+trim trimester trimesters trimmed trimmer trimmest trimming trims trinket trinkets trio trios tripe
+tripled triples triplet triplets triplicate triplicated triplicates triplicating tripling tripod
+tripods tripped tripping trite triter tritest triumphant triumphed triumphing triumphs triviality
+trod trodden troll trolled trolleys trolling trolls trombone trombones trooped trooper troopers
+trooping trophies trophy tropical trot trots trotted trotting troubled troublemaker troublemakers
+troublesome troubling trough troughs trounce trounced trounces trouncing troupe trouped troupes
+trouping trout trouts trowel trowels truancy truant truanted truanting truants truce truces trucked
+trucking trudge trudged trudges trudging trued truer trues truest truffle truffles truing truism
+truisms trump trumped trumpeted trumpeting trumpets trumping trumps truncation trunking trustee
+trustees trustful trustier trusties trustiest trustworthier trustworthiest trustworthy truthful
+truthfully truthfulness tryout tryouts tub tuba tubas tubed tuberculosis tubing tubs tubular tuck
+tucked tucking tucks tuft tufted tufting tufts tug tugged tugging tugs tuition tulip tulips tumble
+tumbled tumbler tumblers tumbles tumbling tummies tummy tumult tumults tumultuous tuna tunas tundra
+tundras tuneful tuner tuners tunic tunics turban turbans turbine turbines turbulence turbulent
+tureen tureens turf turfed turfing turfs turgid turkey turkeys turmoil turmoils turnaround turner
+turnip turnips turnout turnouts turnover turnovers turnpike turnpikes turnstile turnstiles
+turntables turpentine turquoise turquoises turret turrets turtle turtleneck turtlenecks turtles tusk
+tusks tussle tussled tussles tussling tutored tutorials tutoring tutors tuxedo tuxedos twang twanged
+twanging twangs tweak tweaked tweaking tweaks twee tweed tweet tweeted tweeting tweets tweezers
+twelfth twelfths twelves twenties twentieths twiddle twiddled twiddles twiddling twig twigged
+twigging twigs twilight twine twined twines twinge twinged twinges twinging twining twinkle twinkled
+twinkles twinkling twinned twinning twirl twirled twirling twirls twister twisters twitch twitched
+twitches twitching twitter twittered twittering twitters twos tycoon tycoons typeface typescript
+typesetter typewriters typhoid typhoon typhoons typhus typified typifies typify typifying typist
+typists typographic typographical tyrannical tyrannies tyranny tyrant tyrants ubiquitous udder
+udders uglier ugliest ugliness ulcer ulcers ulterior ultimatum ultimatums ultra ultrasonic
+ultraviolet umbrellas umpire umpired umpires umpiring umpteen unacceptably unaccepted unaccountable
+unaccountably unadulterated unaltered unambiguously unanimity unanimous unanimously unanswerable
+unanswered unarmed unassigned unassuming unattached unattainable unattractive unawares unbearably
+unbeatable unbecoming unbeliever unbelievers unblock unblocked unblocking unblocks unborn
+unbreakable unbroken unburden unburdened unburdening unburdens uncannier uncanniest uncanny
+unceasing uncertainties unchallenged uncharitable unchristian unclean uncleaner uncleanest uncles
+uncomfortably uncommoner uncommonest uncompromising unconcerned unconditional unconditionally
+unconfirmed unconsciously unconstitutional uncontrollable uncontrolled uncontroversial
+unconventional unconvinced uncountable uncouth uncover uncovered uncovering uncovers uncultured
+uncut undamaged undaunted undecidable undecided undecideds undemocratic undeniable undeniably
+underbrush undercover undercurrent undercurrents undercut undercuts undercutting underdog underdogs
+underestimated underestimates underestimating underflow underfoot undergarment undergarments
+undergrowth underhanded underlays undermine undermined undermines undermining underneaths
+undernourished underpants underpass underpasses underprivileged underrate underrated underrates
+underrating underscore underscored underscores underscoring undershirt undershirts underside
+undersides understandably understandings understate understated understatement understatements
+understates understating understudied understudies understudy understudying undertaker undertakers
+undertakings undertone undertones undertow undertows underwater underwear underweight underworld
+underworlds underwrite underwrites underwriting underwritten underwrote undeserved undesirables
+undetected undeveloped undisturbed undoings undoubted undress undressed undresses undressing undue
+undying unearth unearthed unearthing unearthly unearths uneasier uneasiest uneasily uneasiness
+uneconomic uneconomical uneducated unemployable unenlightened unequal unequivocal unerring unethical
+uneven unevenly uneventful unfailing unfairer unfairest unfairly unfaithful unfasten unfastened
+unfastening unfastens unfeasible unfeeling unfilled unfit unfits unfitted unfitting unfold unfolded
+unfolding unfolds unforeseen unforgettable unforgivable unfortunates unfriendlier unfriendliest
+unfunny unfurl unfurled unfurling unfurls ungainlier ungainliest ungainly ungodlier ungodliest
+ungodly ungrammatical ungrateful unhappier unhappiest unhappily unhappiness unhealthier unhealthiest
+unheard unhook unhooked unhooking unhooks unicorn unicorns unicycle unidentified unification
+uniformed uniforming uniformity uniforms unilateral unilaterally unimaginative unimpressed
+uninformative uninformed uninhibited uninitiated uninspired uninspiring unintelligent unintelligible
+unintended unintentional unintentionally uninterested uniqueness uniquer uniquest unison unities
+universals universes unjust unjustifiable unjustly unkempt unkind unkinder unkindest unkindlier
+unkindliest unkindly unknowns unlawful unleash unleashed unleashes unleashing unlikelier unlikeliest
+unloaded unloading unloads unluckier unluckiest unman unmanned unmanning unmans unmarked unmarried
+unmask unmasked unmasking unmasks unmistakable unmistakably unmitigated unmodified unmoved unnamed
+unnerve unnerved unnerves unnerving unnoticed unoccupied unoriginal unorthodox unpack unpacked
+unpacking unpacks unpaid unparalleled unpick unpleasantly unpleasantness unpopularity unprecedented
+unprepared unprincipled unprintable unprivileged unprotected unproven unprovoked unpublished
+unqualified unquestionable unquestionably unravel unravels unreal unreasonably unrelenting
+unreliability unremarkable unrepeatable unrepresentative unreservedly unresolved unrest unrestricted
+unruffled unrulier unruliest unruly unsafer unsafest unsaid unsanitary unsatisfied unsay unsaying
+unsays unscathed unscheduled unscientific unscrew unscrewed unscrewing unscrews unscrupulous
+unseasonable unseat unseated unseating unseats unseemlier unseemliest unseemly unsettle unsettled
+unsettles unsettling unsightlier unsightliest unsightly unsigned unskilled unsolved unsophisticated
+unsounder unsoundest unspeakable unstructured unstuck unsubstantiated unsuccessfully unsuited unsung
+unsupportable untangle untangled untangles untangling untenable unthinkable untidier untidiest untie
+untied unties untiring untold untouched untrained untruer untruest untrustworthy untying unveil
+unveiled unveiling unveils unwarranted unwary unwashed unwell unwieldier unwieldiest unwieldy
+unwillingness unwind unwinding unwinds unwiser unwisest unwittingly unworthy unwound unwrap
+unwrapped unwrapping unwraps unwritten upbeat upbeats upbringings upend upended upending upends
+upheaval upheavals upheld uphill uphills uphold upholding upholds upholster upholstered upholsterer
+upholsterers upholstering upholsters upholstery upkeep uplift uplifted uplifting uplifts upload
+upped uppermost uppers upping uprights uprising uprisings uproar uproars uproot uprooted uprooting
+uproots upshot upshots upstanding upstart upstarted upstarting upstarts upstream uptake uptight
+uptown upturn upturned upturning upturns upwardly uranium urbane urbaner urbanest urchin urchins
+urinate urinated urinates urinating urine urn urns usages uselessly uselessness usher ushered
+ushering ushers usurp usurped usurping usurps utensil utensils uteri uterus utilitarian
+utilitarianism utmost utterance utterances uttered uttering utters vacant vacate vacated vacates
+vacating vacationed vacationing vaccinate vaccinated vaccinates vaccinating vaccination vaccinations
+vaccine vaccines vacillate vacillated vacillates vacillating vacuous vacuumed vacuuming vacuums
+vagabond vagabonded vagabonding vagabonds vagaries vagary vagina vaginae vaginal vagrant vagrants
+vagueness vaguer vaguest vainer vainest valentine valentines valet valeted valeting valets valiant
+validate validated validates validating validation validly valise valises valleys valuables
+valueless valved valving vampire vampires vandal vandals vane vanes vanguard vanguards vanilla
+vanillas vanities vanity vanned vanning vanquish vanquished vanquishes vanquishing variously varnish
+varnished varnishes varnishing varsities varsity vase vases vaster vastest vastness vasts vats
+vatted vatting vault vaulted vaulting vaults veal veer veered veering veers vegetarianism
+vegetarians vegetation vehement vehemently veil veiled veiling veils veined veining veins velocities
+velour velvet velvety vendors veneer veneered veneering veneers venerable venerate venerated
+venerates venerating veneration vengeance vengeful venison venom venomous vent vented ventilate
+ventilated ventilates ventilating ventilation ventilator ventilators venting ventricle ventricles
+ventriloquist ventriloquists vents ventured ventures venturing veracity verbals verbiage verbosity
+verdicts verge verged verges verging verier veriest veritable vermin vernacular vernaculars
+versatility versed versing vertebra vertebrae vertebrate vertebrates verticals vertices vertigo
+verve vessels vest vested vestibule vestibules vestige vestiges vesting vestment vestments vests
+veteran veterans veterinarian veterinarians veterinaries veterinary veto vetoed vetoes vetoing vets
+vetted vetting vex vexation vexations vexed vexes vexing viability viaduct viaducts vial vials
+vibrant vibrate vibrated vibrates vibrating vibration vibrations vicarious vicariously vicars viced
+vices vicing viciously victor victories victorious victors videos videotape videotaped videotapes
+videotaping vie vied vies viewers vigil vigilance vigilant vigilante vigilantes vigils vigorous
+viler vilest vilified vilifies vilify vilifying villa villager villagers villain villainies
+villainous villains villainy villas vindicate vindicated vindicates vindicating vindictive vine
+vinegar vines vineyard vineyards vintages vinyls viola violas violated violates violating violations
+violet violets violins viper vipers viral virginity virgins virile virility virtuoso virtuous
+virtuously virulent visa visaed visaing visas vise vised vises visibility visibly vising visionaries
+visionary visioned visioning visions visitation visitations visor visors vista vistas visuals
+vitality vitally vitamin vitamins vitriolic vivacious vivaciously vivacity vivid vivider vividest
+vividly vivisection vocabularies vocalist vocalists vocals vocation vocational vocations vociferous
+vociferously vodka vogue vogues voiced voicing voided voiding voids volatile volcanic volcano
+volcanoes volition volley volleyball volleyballs volleyed volleying volleys volt voltages volts
+voluminous voluntaries voluptuous vomited vomiting vomits voodoo voodooed voodooing voodoos
+voracious vortex vortexes vouched voucher vouchers vouches vouching vow vowed vowels vowing vows
+voyage voyaged voyager voyagers voyages voyaging vulgar vulgarer vulgarest vulgarities vulgarity
+vulnerabilities vulnerability vulture vultures vying wad wadded wadding waddle waddled waddles
+waddling wads wafer wafers waffled waffles waffling waft wafted wafting wafts wag waged wager
+wagered wagering wagers wagged wagging waging wagon wagons wags waif waifs wail wailed wailing wails
+waist waistline waistlines waists waiter waiters waitress waitresses waive waived waiver waivers
+waives waiving waken wakened wakening wakens walker walkers walkout walkouts walled wallets walling
+wallop walloped walloping wallops wallow wallowed wallowing wallows wallpaper wallpapered
+wallpapering wallpapers walnut walnuts walrus walruses waltz waltzed waltzes waltzing wan wand
+wanderer wanderers wands wane waned wanes waning wanna wanner wannest wanton wantoned wantoning
+wantons warble warbled warbles warbling warded warden wardens warding wardrobe wardrobes wards
+warehoused warehouses warehousing warfare warhead warheads warier wariest warlike warmer warmest
+warmly warmth warpath warpaths warranted warrantied warranties warranting warrants warrantying
+warred warren warrens warring warrior warriors wart warts washable washables washcloth washcloths
+washer washers washings washout washouts washroom washrooms wasp wasps wastage wastebasket
+wastebaskets wastefully wasteland wastelands watchdog watchdogs watchful watchman watchmen watchword
+watchwords watered waterfall waterfalls waterfront waterfronts waterier wateriest watering
+waterlogged watermark watermarked watermarking watermarks watermelon watermelons waterproof
+waterproofed waterproofing waterproofs watershed watersheds watertight waterway waterways waterworks
+watery watt watts waveform wavelength wavelengths waver wavered wavering wavers wavier waviest wavy
+wax waxed waxes waxier waxiest waxing waxy waylaid waylay waylaying waylays wayside waysides wayward
+weaken weakened weakening weakens weaker weakest weakling weaklings weakly wealthier wealthiest wean
+weaned weaning weans weaponry wearied wearier wearies weariest wearily weariness wearisome wearying
+weathered weathering weathers weave weaved weaver weavers weaves weaving web webbed webbing webs
+wedder weddings wedge wedged wedges wedging wedlock weed weeded weedier weediest weeding weeds weedy
+weeing weekdays weekended weekending weeklies weep weeping weeps weer wees weest weighed weighing
+weighs weighted weightier weightiest weighting weights weighty weirder weirdest weirdness weirdo
+weirdos weld welded welder welders welding welds welled welling wellington wells welt welted welter
+weltered weltering welters welting welts wept werewolf werewolves westerlies westerly westerns
+westward wetter wettest whack whacked whacking whacks whaled whaler whalers whaling wharf wharves
+whats wheat wheedle wheedled wheedles wheedling wheelbarrow wheelbarrows wheelchair wheelchairs
+wheeled wheeling wheeze wheezed wheezes wheezing whens whereabouts wherein wheres wherewithal whet
+whets whetted whetting whew whiff whiffed whiffing whiffs whiled whiles whiling whimper whimpered
+whimpering whimpers whims whimsical whine whined whines whining whinnied whinnies whinny whinnying
+whip whipped whipping whips whirl whirled whirling whirlpool whirlpools whirls whirlwind whirlwinds
+whirred whirring whisk whisked whisker whiskered whiskers whisking whisks whiskys whisper whispered
+whispering whispers whistled whistling whiten whitened whiteness whitening whitens whiter whitest
+whitewash whitewashed whitewashes whitewashing whittle whittled whittles whittling whizzed whizzes
+whizzing whoa wholehearted wholes wholesale wholesaled wholesaler wholesalers wholesales wholesaling
+wholesome whooped whooping whopper whoppers whore whores whys wick wickeder wickedest wickedly
+wickedness wicker wickers wicket wickets wicks widen widened widening widens widow widowed widower
+widowers widowing widows widths wield wielded wielding wields wig wigged wigging wiggle wiggled
+wiggles wiggling wigs wigwam wigwams wildcat wildcats wildcatted wildcatting wilder wilderness
+wildernesses wildest wildfire wildfires wildlife wildness wilds wilier wiliest willingness willow
+willows willpower wilt wilted wilting wilts wily wince winced winces winch winched winches winching
+wincing windfall windfalls windier windiest windmill windmilled windmilling windmills windowpane
+windowpanes windpipe windpipes windscreen windscreens windshield windshields windy wined winged
+wingers winging wining wink winked winking winks winnings winsome winsomer winsomest wintered
+wintering winters wintertime wintrier wintriest wintry wiper wipers wirier wiriest wiry wisecrack
+wisecracked wisecracking wisecracks wisely wises wishbone wishbones wishful wisp wispier wispiest
+wisps wispy wist wistful wistfully witchcraft witched witches witching withdrawals wither withered
+withering withers withheld withhold withholding withholds withstand withstanding withstands
+withstood witless wits witticism witticisms wittier wittiest witting wiz wizards wizened wobble
+wobbled wobbles wobblier wobbliest wobbling wobbly woe woes wok woks wolfed wolfing wolfs wolves
+womanhood womankind womb wombats wombs wonderland wonderlands woo woodchuck woodchucks wooded
+woodener woodenest woodier woodies woodiest wooding woodland woodlands woodpecker woodpeckers
+woodsman woodsmen woodwind woodwinds woodwork woody wooed woof woofed woofing woofs wooing wool
+woollier woollies woolliest woolly woos wordier wordiest wordings wordy workbench workbenches
+workbook workbooks workforce workman workmanship workmen workout workouts workplace workshops
+worldlier worldliest worldly wormed wormhole wormholes worming worrisome worsen worsened worsening
+worsens worships worsted worsting worsts worthier worthies worthiest wot woulds wounded wounder
+wounding wounds wove woven wowed wowing wows wrangle wrangled wrangler wranglers wrangles wrangling
+wrappings wreak wreaked wreaking wreaks wreath wreathe wreathed wreathes wreathing wreaths wreckage
+wrench wrenched wrenches wrenching wrens wrest wrested wresting wrestle wrestled wrestler wrestlers
+wrestles wrestling wrests wretch wretcheder wretchedest wretches wriggle wriggled wriggles wriggling
+wright wring wringer wringers wringing wrings wrinkle wrinkled wrinkles wrinkling wrists wristwatch
+wristwatches writ writable writhe writhed writhes writhing writs wrongdoer wrongdoers wrongdoing
+wrongdoings wronged wronger wrongest wronging wrought wrung wry wryer wryest xenophobia xylophone
+xylophones yacht yachted yachting yachts yak yakked yakking yaks yam yams yank yanked yanking yanks
+yap yapped yapping yaps yardstick yardsticks yarn yarns yawned yawning yawns yearlies yearling
+yearlings yearn yearned yearning yearnings yearns yeast yeasts yell yelled yelling yellowed yellower
+yellowest yellowing yellows yells yelp yelped yelping yelps yen yens yeses yessed yessing yesterdays
+yew yews yielded yielding yodel yodels yoga yoke yoked yokel yokels yokes yoking yolk yolks yonder
+youngster youngsters yous youthful youths yowl yowled yowling yowls yuck zanier zanies zaniest zany
+zeal zealous zebra zebras zenith zeniths zeroed zeroing zest zests zeta zigzag zigzagged zigzagging
+zigzags zillion zillions zinc zincked zincking zincs zip zipped zipper zippered zippering zippers
+zipping zips zodiac zodiacs zombie zombies zoned zoning zoo zoological zoologist zoologists zoology
+zoomed zooming zooms zoos zucchini zucchinis éclair éclairs oked oking oks acclimatise acclimatised
+acclimatises acclimatising acknowledgement acknowledgements aeon aeons aeroplane aeroplanes agonise
+agonised agonises agonising aluminium ambience ambiences amidst amphitheatre amphitheatres anaemia
+anaemic anaesthesia anaesthetic anaesthetics analyser antagonise antagonised antagonises
+antagonising apparelled apparelling appetiser appetisers appetising arbour arbours ardour ardours
+armour armoured armouries armouring armours armoury arses artefact artefacts authorisations bandanna
+bandannas baptise baptised baptises baptising barrelled barrelling baulk baulked baulking baulks
+behavioural belabour belaboured belabouring belabours bushelled bushelling bushellings bussed
+bussing calibre calibres candour capitalisation capitalise capitalised capitalises capitalising
+carburettor carburettors carolled carolling catalogued cataloguing categorise categorised
+categorises categorising centimetre centimetres centralise centralised centralises centralising
+centrepiece centrepieces channelled channelling chaperone chaperones characterisation characterise
+characterised characterises characterising chequers chilli chillies chiselled chiselling
+civilisations clamour clamoured clamouring clamours colonisation colonise colonised colonises
+colonising coloureds colourful colourless commercialise commercialised commercialises
+commercialising cosier cosies cosiest cosily cosiness councillor councillors counsellor counsellors
+crueller cruellest crystallisation crystallise crystallised crystallises crystallising customisation
+customise customised customises customising decentralisation decentralise decentralised
+decentralises decentralising defenced defenceless defences defencing demeanour demoralise
+demoralised demoralises demoralising deodorise deodorised deodorises deodorising dependants
+descendent destabilise devilled devilling diarrhoea digitise digitised digitises digitising
+discolour discolouration discolourations discoloured discolouring discolours disfavour disfavoured
+disfavouring disfavours dishonour dishonourable dishonoured dishonouring dishonours distil distils
+dramatisation dramatisations dramatise dramatised dramatises dramatising draughtier draughtiest
+draughtsman draughtsmen draughty drily drivelled drivelling duelled duelling duellings economise
+economised economises economising enamelled enamelling enamellings encyclopaedia encyclopaedias
+endeavoured endeavouring endeavours enrol enrolment enrolments enrols enthral enthrals epaulette
+epaulettes equalise equalised equalises equalising equalled equalling eulogise eulogised eulogises
+eulogising eviller evillest factorisation faeces familiarise familiarised familiarises familiarising
+favourably favouritism fertilisation fertilise fertilised fertiliser fertilisers fertilises
+fertilising fervour fibreglass flannelled flannelling flautist flautists flavoured flavouring
+flavourings flavours flyer flyers fogey fogeys formalise formalised formalises formalising fossilise
+fossilised fossilises fossilising fraternise fraternised fraternises fraternising fuelled fuelling
+fulfilment funnelled funnelling furore furores galvanise galvanised galvanises galvanising glamorise
+glamorised glamorises glamorising glycerine gravelled gravelling greyed greyer greyest greying greys
+grovelled grovelling groyne groynes gruelling gruellings guerrilla guerrillas gybe gybed gybes
+gybing gynaecologist gynaecologists gynaecology haemoglobin haemophilia haemorrhage haemorrhaged
+haemorrhages haemorrhaging harbour harboured harbouring harbours harmonise harmonised harmonises
+harmonising homogenise homogenised homogenises homogenising honourable hospitalisation
+hospitalisations hospitalise hospitalised hospitalises hospitalising humanise humanised humanises
+humanising humoured humouring humours hypnotise hypnotised hypnotises hypnotising hypothesise
+hypothesised hypothesises hypothesising idealise idealised idealises idealising idolise idolised
+idolises idolising immobilise immobilised immobilises immobilising immunisation immunisations
+immunise immunised immunises immunising imperilled imperilling impostor impostors industrialisation
+industrialise industrialised industrialises industrialising inflection inflections inflexion
+inflexions initialled initialling instalment instalments instil instils institutionalise
+institutionalised institutionalises institutionalising italicise italicised italicises italicising
+itemise itemised itemises itemising jeopardise jeopardised jeopardises jeopardising jewelled
+jeweller jewellers jewellery jewelling kennelled kennelling kerb kerbed kerbing kerbs kilometre
+kilometres laboured labourer labourers labouring labours lacklustre leapt legalise legalised
+legalises legalising leukaemia levelled levelling libelled libelling libellous liberalisation
+liberalise liberalised liberalises liberalising likeable liquorice litres liveable localise
+localised localises localising lupin lupins lustre magnetise magnetised magnetises magnetising
+manoeuvre manoeuvred manoeuvres manoeuvring marshalled marshalling marvelled marvelling materialise
+materialised materialises materialising matt matts maximised maximises maximising meagre mechanise
+mechanised mechanises mechanising memorise memorised memorises memorising miaow miaowed miaowing
+miaows micrometre micrometres millimetre millimetres minimised minimises minimising misbehaviour
+misdemeanour misdemeanours mobilisation mobilisations mobilise mobilised mobilises mobilising
+modernisation modernise modernised modernises modernising mollusc molluscs monopolise monopolised
+monopolises monopolising motorise motorised motorises motorising moulded mouldier mouldiest moulding
+mouldings moulds mouldy moult moulted moulting moults moustache moustaches mums nationalise
+nationalised nationalises nationalising naturalisation naturalise naturalised naturalises
+naturalising neighboured neighbourhoods neighbouring neighbourliness neighbourly neutralise
+neutralised neutralises neutralising nought noughts odour odours oesophagi oesophagus okayed okaying
+okays omelette omelettes organisational orthopaedics ostracise ostracised ostracises ostracising
+oxidise oxidised oxidises oxidising paediatrician paediatricians paediatrics palaeontologist
+palaeontologists palaeontology panelled panelling panellings paralyse paralysed paralysing parcelled
+parcelling parlour parlours pasteurisation pasteurise pasteurised pasteurises pasteurising pedalled
+pedalling pedlar pedlars penalise penalised penalises penalising pencilled pencilling pencillings
+perilled perilling personalise personalised personalises personalising philosophise philosophised
+philosophises philosophising phoney phoneys plagiarise plagiarised plagiarises plagiarising plough
+ploughed ploughing ploughs polarisation polarise polarised polarises polarising popularise
+popularised popularises popularising pretence pretences prised prising privatise privatised
+privatises privatising pulverise pulverised pulverises pulverising pummelled pummelling pyjamas
+quarrelled quarrelling rancour rationalisation rationalise rationalised rationalises rationalising
+ravelled ravelling ravellings refuelled refuelling remodelled remodelling reorganisation reorganise
+reorganised reorganises reorganising revelled reveller revellers revelling revellings revolutionise
+revolutionised revolutionises revolutionising rigour rigours rivalled rivalling sabre sabres
+saleable satirise satirised satirises satirising saviour saviours savour savoured savourier
+savouries savouriest savouring savours savoury scandalise scandalised scandalises scandalising
+sceptic scepticism sceptics sceptre sceptres scrutinise scrutinised scrutinises scrutinising
+sepulchre sepulchred sepulchres sepulchring sheikh sheikhs shovelled shovelling shrivelled
+shrivelling sizeable skilful slyer slyest smoulder smouldered smouldering smoulders snorkelled
+snorkelling snowplough snowploughs socialise socialised socialises socialising sombre specialisation
+specialisations specialities spectre spectres spilled spilt spiralled spiralling splendour
+squirrelled squirrelling stabilise stabilised stabilises stabilising standardisation stencilled
+stencilling sterilisation sterilise sterilised sterilises sterilising succour succoured succouring
+succours sulphur sweepstake swivelled swivelling symbolise symbolised symbolises symbolising
+sympathised sympathises sympathising synchronisation synchronise synchronised synchronises
+synchronising synthesise synthesised synthesises synthesising tantalise tantalised tantalises
+tantalising tasselled tasselling teetotaller teetotallers tenderise tenderised tenderises
+tenderising terrorise terrorised terrorises terrorising theatres theorise theorised theorises
+theorising tinselled tinselling titbit titbits totalled totalling towelled towelling towellings
+tranquillise tranquillised tranquilliser tranquillisers tranquillises tranquillising tranquillity
+traumatise traumatised traumatises traumatising traveller travellers trialled trialling trowelled
+trowelling tsar tsars tumour tumours tunnelled tunnelling tunnellings tyrannise tyrannised
+tyrannises tyrannising unequalled unfavourable unionise unionised unionises unionising unlabelled
+unravelled unravelling unrecognised unrivalled unsavoury utilisation utilise utilised utilises
+utilising valour vandalise vandalised vandalises vandalising vaporise vaporised vaporises vaporising
+vapour vapours veranda verandas victimise victimised victimises victimising vigour visualise
+visualised visualises visualising watercolour watercolours weaselled weaselling whirr whirrs
+whiskies whizz wilful wilfully woollen woollens worshipped worshipper worshippers worshipping
+yodelled yodelling yogurt yogurts abash abashed abashes abashing abduction abductions abolitionist
+abolitionists aboriginals abrasively abruptness absenteeism absently abstinent abysmally acclimation
+accreditation accusingly acerbic achier achiest achiever achievers achy acidic activation activism
+adamantly adeptly adequacy adjectival adjudicate adjudicated adjudicates adjudicating adjudicator
+adjudicators admiringly adoptive adrenaline advents advocacy aerobic aerobics aesthetics
+affirmatively aftershave aftershaves aftershock aftershocks aggrieve aggrieved aggrieves aggrieving
+aha airfare airfares airily airings airless airspace airwaves alderman aldermen alderwoman
+alderwomen alfalfa alleviation aloha alohas alpine altercation altercations alternations alumna
+alumnae alumni alumnus ambassadorial ameliorate ameliorated ameliorates ameliorating amelioration
+ammo amnesiac amnesiacs amputee amputees anachronistic anagrams anchorman anchormen anchorwoman
+anchorwomen anecdotal angelically anorexia anorexic anorexics antacid antacids antagonistically ante
+antebellum anted anteing antes anticlimactic antihistamine antihistamines antiperspirant
+antiperspirants antitrust anytime aperitif aperitifs aphrodisiac aphrodisiacs apocalypse apocalypses
+apocalyptic apolitical apoplectic apoplexies apoplexy apostolic applesauce apportion apportioned
+apportioning apportions appreciatively apprise apprised apprises apprising approbation approbations
+approvingly arctic arctics armband armbands armful armfuls armhole armholes arousal arraignment
+arraignments arsonist arsonists artsier artsiest artsy artworks ascendancy assemblyman assemblymen
+assemblywoman assemblywomen assertively assertiveness assuredly asthmatic asthmatics astrologer
+astrologers attackers attainable attractively attributions attune attuned attunes attuning
+audiovisual auspice auspices authoritarians autistic autonomously autoworker autoworkers avidly
+awakenings awash b baa baaed baaing baas babysat babysit babysits babysitter babysitters babysitting
+backbreaking backdrop backdrops backpacker backpackers backsides backstroke backstroked backstrokes
+backstroking backup backups backyard backyards badlands badmouth badmouthed badmouthing badmouths
+bagpipe bagpipes bailiff bailiffs baleful ballistic ballpark ballparks banalities banality bane
+banes bangle bangles baptismal barbarism barbarisms barbell barbells barf barfed barfing barfs
+barometric barrack barracks barrio barrios barroom barrooms bassist bassists bate bated bates
+bathrobe bathrobes bating battleground battlegrounds beatings bebop bebops bedpan bedpans bedraggle
+bedraggled bedraggles bedraggling beeline beelines beep beeped beepers beeping beeps beholders
+belligerence bellybutton bellybuttons beltway beltways benchmark benchmarks berate berated berates
+berating bestseller bestsellers bevel bevels bibles bicep biceps bidder bidders biggie biggies
+bigmouth bigmouths bigotries bigwig bigwigs biker bikers bilaterally billionaire billionaires
+billionth billionths bimbo bimbos bimonthlies bimonthly binge binged binges binocular binoculars
+biopsied biopsies biopsy biopsying birdbrained birdseed birthrate birthrates bisection bisections
+bitchier bitchiest bitchy biweeklies biweekly blabbermouth blabbermouths blackness blah blandly
+blankness blastoff blastoffs bleacher bleachers bleakly bleakness blearily blender blenders bloat
+bloated bloating bloats blockages bloodbath bloodbaths bloodless bloodstain bloodstained bloodstains
+bloodstreams blooper bloopers blotchier blotchiest blotchy blowup blowups bluish blurbs blurrier
+blurriest blurry blusher blushers boardinghouse boardinghouses boardroom boardrooms bodybuilding
+bogeyman bogeymen bohemian bohemians boilings bombshell bombshells bonanza bonanzas bongo bongos
+bonkers boob boobed boobing boobs boogie boogied boogieing boogies bookie bookies bookmaker
+bookmakers bookstores boondocks bootlegger bootleggers bootstraps boozed boozer boozers boozes
+boozing bopped bopping bops borrower borrowers bossily bossiness bouncer bouncers bouncier bounciest
+bouncy bozo bozos brainchild brainchildren brazenly breadbasket breadbaskets breakup breakups
+breaststroke breaststrokes breathlessly breathtakingly brewer brewers bricklaying briefings
+broadcaster broadcasters brogue brogues brokenhearted brokerage brokerages broomstick broomsticks
+brothel brothels brownish brownstone brownstones browser browsers bucktoothed buddings buildup
+buildups bulletproof bulletproofed bulletproofing bulletproofs bullfighting bullish bullshit
+bullshits bullshitted bullshitting bumble bumbled bumbles bumbling bummers buoyantly bursars busboy
+busboys businesslike buster busters busywork butterfingers buyout buyouts buzzword buzzwords bylaw
+bylaws c cabbies cabby cachet cachets cadaver cadavers cadre cadres cahoot cahoots callously
+callousness camcorder camcorders camellia camellias cameraman cameramen camerawoman camerawomen
+campground campgrounds campsite campsites candlelight cannabis cannabises cannonball cannonballs
+capitol capitols capitulation capitulations cappuccino cappuccinos carbonate carbonated carbonates
+carbonating cardiology careen careened careening careens carjack carjacked carjacker carjackers
+carjacking carjackings carjacks carousel carousels carryout carvings casework caseworker caseworkers
+castigation castration castrations casualness catalyst catalysts catamaran catamarans caterings
+cattier cattiest catty cautionary caveman cavemen celluloid centenaries centenary centigrade
+ceramics certifiable certification certifications cervices cervix cesarean cesareans cesspool
+cesspools chainsawed chainsawing chainsaws chairmanship chairwoman chairwomen chalkboard chalkboards
+changeovers charade charades charmer charmers chateaus chauvinism chauvinistic cheapskate
+cheapskates cheater cheaters checklist checklists checkmate checkmated checkmates checkmating
+checkouts checkpoints cheddar cheekbone cheekbones cheerleader cheerleaders cheeseburger
+cheeseburgers cheesecake cheesecakes chemotherapy chessboard chessboards chickadee chickadees
+chiffon childbearing childcare childishly childless childproof childproofed childproofing
+childproofs chillings chino chinos chit chitchat chitchats chitchatted chitchatting chits chive
+chives chlorinate chlorinated chlorinates chlorinating choppiness chopstick chopsticks choreograph
+choreographed choreographing choreographs chump chumps churchgoer churchgoers churlish chutzpah
+château châteaux cinematographer cinematographers cirrhosis civilly clampdown clampdowns clapboard
+clapboarded clapboarding clapboards classically classier classiest classifieds claustrophobic
+cleanings cleanup cleanups clergywoman clergywomen cliffhanger cliffhangers climatic clinician
+clinicians clipper clippers clitorises cloakroom cloakrooms clobber clobbered clobbering clobbers
+cloned cloning closeout closeouts clothesline clotheslines cloudless clunk clunked clunking clunks
+coatings cobblestone cobblestones cockiness coed coeds coeducational coercive coffeehouse
+coffeehouses cogently cohabit cohabitation cohabited cohabiting cohabits cohesion cola colas
+coleslaw colloquially cologne colognes colonialism colonist colonists columnist columnists comatose
+combative comebacks comedown comedowns comeuppance comeuppances comfier comfiest comforter
+comforters comfy commemorative commentate commentated commentates commentating companionable
+compensatory competitively competitiveness complicity concierge concierges conciliatory concretely
+condescension conditioner conditioners condo condos conformist conformists congenital congratulatory
+congressional connivance connive connived connives conniving conscientiously consecration
+consecrations consecutively conservationist conservationists conservatively conservator conservators
+considerately consortia conspiratorial constipate constipated constipates constipating
+constructively consummation consummations contentedly contravened contravening contraventions
+contrition convivial cookout cookouts coolness coordinators copilot copilots copter copters
+copulated copulates copulating cordiality cornbread cornerstone cornerstones correctives
+corroborations corrugate corrugated corrugates corrugating costar costarred costarring costars
+counselings counterfeiter counterfeiters counterproductive countrywoman countrywomen coverall
+coveralls coverings coworker coworkers crackdown crackdowns craftsmanship crannies cranny crapped
+crappier crappiest crapping crappy craps cravat cravats credibly credo credos crematoria crematorium
+crematoriums creole creoles crick cricked cricking cricks crimp crimped crimping crimps crinklier
+crinkliest crinkly crispier crispiest critter critters croissant croissants crooner crooners
+crosscheck crosschecked crosschecking crosschecks crossfire crossfires crossover crossovers
+crosstown crud cruddier cruddiest cruddy crunchier crunchiest cryings cryptically cuddlier cuddliest
+culpability cupcake cupcakes curler curlers curlier curliest cursors curvier curviest curvy cuss
+cussed cusses cussing custodial customarily cutely cuteness cutoff cutoffs cyberspace cyclical
+cynically d dampers darkroom darkrooms darneder darnedest daydreamer daydreamers deaconess
+deaconesses deadpan deadpanned deadpanning deadpans deafen deafened deafening deafens dealership
+dealerships deathtrap deathtraps debriefings decaf decaffeinate decaffeinated decaffeinates
+decaffeinating decal decals decathlon decathlons deceitfulness deceptively decor decors deductible
+deductibles defeatists defection defections defector defectors defensively definitively
+deforestation deformation deformations defuse defused defuses defusing degeneration dehydration
+dejectedly delightfully delineate delineated delineates delineating demagogic demo demoed
+demographic demographics demoing demonic demos denigrated denigrates denigrating denture dentures
+depletion deplorably deploy deployed deploying deployment deployments deploys derbies derby
+desegregate desegregated desegregates desegregating desktops despondently detentes determiner
+determiners deterrence detox detoxed detoxes detoxing devaluation devaluations devalued devalues
+devaluing deviants devilish devotedly dicey dichotomies dichotomy dicier diciest dick dicks
+dilapidation dipstick dipsticks dis disaffect disaffected disaffecting disaffects disappointingly
+disapprovingly disastrously disavowal disavowals disclaimers discoed discoing disconnection
+disconnections discontinuation discontinuations discoverer discoverers disenchant disenchanted
+disenchanting disenchants disenfranchise disenfranchised disenfranchises disenfranchising
+disfigurement disfigurements disgracefully dishevel dishevels dishtowel dishtowels disinterest
+disinterests diskette diskettes disorient disorientation disoriented disorienting disorients
+dispensable dispirit dispirited dispiriting dispirits disproportionately disqualification
+disqualifications disrespectfully dissed dissidence dissing distastefully distention distentions
+distrustfully diversification divider dividers divinely docket docketed docketing dockets doctorates
+doggone doggoner doggones doggonest doggoning dollhouse dollhouses dollop dolloped dolloping dollops
+domineer domineered domineering domineers doodad doodads doohickey doohickeys doomsday doorbell
+doorbells doorknob doorknobs doormat doormats dork dorkier dorkiest dorks dorky dorm dorms dosage
+dosages dossier dossiers downer downers download downloaded downloading downloads downplay
+downplayed downplaying downplays downsize downsized downsizes downsizing downstate downtime
+downtrodden downturn downturns downwind drake drakes dramatics dreadlocks drifter drifters drinkings
+drivings drownings drowsily duos dyke dykes dynamism dysfunction dysfunctional dysfunctions dyslexic
+dyslexics détente e earlobe earlobes earmuff earmuffs earphone earphones earplug earplugs
+earsplitting earthiness earthshaking earwax eastbound easterner easterners eastwards eateries eaters
+eatery eavesdropper eavesdroppers ebullience ebullient edification edified edifies edify edifying
+educationally eerily effervescence egalitarianism egalitarians egghead eggheads eggshell eggshells
+egocentrics egotistical egregious egregiously elate elated elates elating elbowroom elfin elitists
+elucidated elucidates elucidating emaciate emaciated emaciates emaciating embarrassingly embattled
+embezzler embezzlers emblazon emblazoned emblazoning emblazons embroil embroiled embroiling embroils
+emcee emceed emceeing emcees emeritus emirate emirates empowerment enchilada enchiladas enclave
+enclaves enforceable enfranchise enfranchised enfranchises enfranchising ensconce ensconced
+ensconces ensconcing enthuse enthused enthuses enthusing entitlement entitlements entourage
+entourages entrapment entrepreneur entrepreneurial entrepreneurs entryway entryways environmentalist
+environmentalists envision envisioned envisioning envisions epigram epigrams episodic epistle
+epistles equivalences eradication erotically eroticism erudition es escalations escapist escapists
+eschew eschewed eschewing eschews espouse espoused espouses espousing espresso espressos estimable
+estrange estranged estranges estranging estuaries estuary eunuch eunuchs euphemistic euphemistically
+euphoria euphoric evacuee evacuees evenhanded everyplace ex excision excisions excitedly
+excruciatingly exec execs exes exhaustively exhibitionism exhibitionist exhibitionists exhibitor
+exhibitors exhumation exhumations exorcism exorcisms exorcist exorcists expansionist expansionists
+expectantly expensively exploratory expo exportation expos expropriate expropriated expropriates
+expropriating expropriation expropriations exquisitely exterminator exterminators extremism
+extroverted eyeglass eyeglasses eyeliner eyeliners f facetiously fag fagged fagging fags fairground
+fairgrounds falterings familiarly famish famished famishes famishing famously fanatically fanaticism
+fannies fanny farcical farmhouse farmhouses farmyard farmyards farsighted fart farted farting farts
+fatalism fax faxed faxes faxing fearlessness federate federated federates federating feedbag
+feedbags feedings feistier feistiest feisty fer fest fests fetal fiat fiats fibrous fieldwork
+filibuster filibustered filibustering filibusters filigree filigreed filigreeing filigrees fillings
+filmmaker filmmakers finagle finagled finagles finagling finder finders firebrand firebrands
+firewall firewalls fishbowl fishbowls fishnet fishnets fishtail fishtailed fishtailing fishtails
+fizzier fizziest fjord fjords flab flabbergast flabbergasted flabbergasting flabbergasts flaccid
+flamenco flamencos flamings flashers flatulence flextime floggings floodgate floodgates floodlit
+floozies floozy flophouse flophouses flowerbed flowerbeds flowerpot flowerpots flub flubbed flubbing
+flubs fluidity fluoride fluorides flyswatter flyswatters fogbound follicle follicles footbridge
+footbridges footlocker footlockers footloose footsie footsies foreclose foreclosed forecloses
+foreclosing foreclosure foreclosures forehand forehands forgivable forklift forklifts formaldehyde
+formidably fornicate fornicated fornicates fornicating fourthly foxhole foxholes foxtrot foxtrots
+foxtrotted foxtrotting fractionally fractious frankness frat frats freebie freebies freelanced
+freelancer freelancers freelances freelancing freeload freeloaded freeloader freeloaders freeloading
+freeloads freethinker freethinkers freethinking freewheel freewheeled freewheeling freewheels
+frenetic fridge fridges friendless frivolously frizz frizzed frizzes frizzing fruitcake fruitcakes
+frumpier frumpiest frumpy fuck fucked fucker fuckers fucks fungal funk funked funkier funkiest
+funking funks funky futilely g gabbier gabbiest gabby gaffe gaffes gaggle gaggles gallantly
+gallbladder gallbladders galosh galoshes gangland gargantuan gassier gassiest gassy gastronomic
+gasworks gatecrasher gatecrashers gauche gaucher gauchest gazebo gazebos gearshift gearshifts geek
+geekier geekiest geeks geeky geezer geezers geisha gelled gelling gels genealogist genealogists
+generically genitalia genteel gentrification genuflect genuflected genuflecting genuflects
+geographer geographers geologic geometrically geriatric geriatrics gerrymander gerrymandered
+gerrymandering gerrymanders gerund gerunds getup ghostwriter ghostwriters ghoulish giblet giblets
+gigabyte gigabytes gimmicky giveaway giveaways gizmo gizmos glamorously gleamings gleeful gleefully
+glitch glitches glitz glitzier glitziest glitzy glob globetrotter globetrotters globs gloomily
+gloominess glowingly glowworm glowworms glumly gnarlier gnarliest gnarly goalpost goalposts goddamn
+goddamned godforsaken gofer gofers goings gollies golly gorgeously governorship gracefulness grad
+graders grads grainier grainiest grainy granddad granddads grandmas grandpa grandpas granulate
+granulated granulates granulating grassland gratis greenish gridlock gridlocks gringo gringos
+groundhog groundhogs groundings groundlessly groundswell groundswells groupie groupies grunge
+grungier grungiest grungy gs guacamole guarantied guaranties guaranty guarantying guardedly
+guardrail guardrails guesstimate guesstimated guesstimates guesstimating guff guileless guitarists
+gullibility gumbo gumbos gunboat gunboats gunk gunnysack gunnysacks gunpoint gunrunner gunrunners
+gunrunning gushier gushiest gushy gusto gutsier gutsiest gutsy guttural gutturals guzzler guzzlers
+gyp gypped gypping gyps gypsies gypsy h haberdasheries haberdashery hairbrush hairbrushes hairnet
+hairnets hairpiece hairpieces hairsplitting hairstyle hairstyles hairstylist hairstylists
+halfhearted halfheartedly halftime halftimes hallow hallowed hallowing hallows hallucinate
+hallucinated hallucinates hallucinating hallucinogenic hallucinogenics hammerings handgun handguns
+handpick handpicked handpicking handpicks handsomely handstand handstands handwritten handyman
+handymen hankerings hankies haphazardly hardball hardcover hardcovers hardheaded hardhearted harelip
+harelips harmoniously hashish hatchback hatchbacks haunch haunches hazelnut hazelnuts hazings
+headband headbands headgear headhunter headhunters headmasters headmistress headmistresses headwind
+headwinds healthily heartbreaking heartland heartlands heartthrob heartthrobs heartwarming heck
+hedonism hedonist hedonistic hedonists heiress heiresses heist heisted heisting heists helpfulness
+helplessness hemline hemlines herbal herbivore herbivores hermetic heroically hertz hesitantly
+hickey hickeys hideout hideouts highlighter highlighters hijacker hijackers hijackings hilariously
+hilltop hilltops hindquarter hindquarters hippo hippos histrionic histrionics hoarsely hokey hokier
+hokiest holdings holdover holdovers holistic hologram holograms homecoming homecomings homelessness
+homemaker homemakers homeopathic homeopathy homeowner homeowners homer homered homering homeroom
+homerooms homers hometown hometowns homogeneity honcho honchos hooker hookers hooligan hooligans
+hopefulness hopelessness hospice hospices hostilities hotcake hotcakes hotshot hotshots housebound
+housebreak housebreaking housebreaks housebroke housebroken househusband househusbands housekeeping
+housewares howdy hubcap hubcaps humanists humanitarianism humankind humblings hunker hunkered
+hunkering hunkers hurdler hurdlers hygienically hype hyped hyper hyperactive hyperactivity
+hypersensitive hyperventilate hyperventilated hyperventilates hyperventilating hypes hyping
+hypocritically hypodermic hypodermics hypothermia hypothetically hysterectomies hysterectomy icebox
+iceboxes ickier ickiest icky idealism idiotically idleness idolatrous idolatry iffier iffiest iffy
+illegitimacy illogically imaginatively imbalanced imbibe imbibed imbibes imbibing imbue imbued
+imbues imbuing immediacy immobility immorally immutable impeachment impeachments impeccably
+imperialists impersonator impersonators implode imploded implodes imploding impolitely importer
+importers impressionistic impulsiveness inaccessibility inattention inattentive inaudibly
+incineration incompetently incompletely inconclusively inconsistently inconspicuously incontinence
+incontinent incrimination incurably indebtedness indecently indecisively indefinably indemnified
+indemnifies indemnify indemnifying indemnities indemnity indescribably indifferently indigent
+indigents indirectness indistinctly individualistic inebriate inebriated inebriates inebriating
+inebriation ineffectiveness ineligibility inequities inequity inessential inessentials inevitability
+inexpensively infallibility infatuate infatuated infatuates infatuating infertility infielder
+infielders infiltrator infiltrators inflatables inflexibility inflexibly infliction infomercial
+infomercials infrastructures infuriatingly inhalation inhalations innovate innovated innovates
+innovating innovator innovators inordinately inorganic inpatient inpatients inroad inroads
+insemination insensitively insignificantly insistently insomniac insomniacs inspirational
+instinctively instructively insufficiency insularity insureds insurgencies insurgency intendeds
+intensifier intensifiers intensively intently interchangeably interconnected interconnecting
+interconnects internist internists internment internship internships interpersonal interrelate
+interrelated interrelates interrelating intestate intransitively intricately introverted invasive
+investigative irrationality irregularly irreparably irresistibly irresponsibly irreverently
+itchiness j jackhammer jackhammers jazzier jazziest jazzy jeez jerkily jigger jiggered jiggering
+jiggers jive jived jives jiving jobless joblessness jock jocks jockstrap jockstraps jocularity johns
+jowl jowls joyfulness joyridden joyride joyrider joyriders joyrides joyriding joyrode joysticks
+jukebox jukeboxes jumpsuit jumpsuits junkyard junkyards k kw kaput karma keenness kiddie kiddies
+kiddo kiddos kidnappings kindhearted kingpin kingpins kleptomaniac kleptomaniacs klutz klutzes
+klutzier klutziest klutzy knickknack knickknacks knobbier knobbiest knobby knowledgeably ks l
+laminate laminated laminates laminating lampshade lampshades landfill landfills laptop laptops lasso
+lassoed lassoing lassos lawlessness layaway layoff layoffs layover layovers lazily leakier leakiest
+leanings lecherous leftover leftovers leggier leggiest leggy legit lender lenders leniently leprous
+lesbianism lethally levelheaded levitate levitated levitates levitating levitation liaise liaised
+liaises liaising lib libido libidos lickings lien liens lifesaver lifesavers liftoff liftoffs
+lighthearted limbos limitings limo limos linens lineup lineups linkages listlessly lite litigate
+litigated litigates litigating logbook logbooks logistical logistics logjam logjams logos loner
+loners longingly longtime lookalike lookalikes looter looters loudmouth loudmouthed loudmouths
+lovesick lowbrow lowbrows lowercase loyally ls lucidity lucidly lugubrious lumberyard lumberyards
+lunchbox lunchtimes luridly luxuriously lynchings lyricist lyricists macro macrocosm macrocosms
+macros maddeningly magnification magnifications magnificently mailings mainstreamed mainstreaming
+mainstreams majorly malaise malfunctioned malfunctioning malfunctions malnourished mandarin
+mandarins manhunt manhunts manics manipulative mantra mantras marinade marinaded marinades
+marinading markdown markdowns marketability marketer marketers markup markups marrieds masculinity
+masochism masochistic masseur masseurs masseuse masseuses masturbate masturbated masturbates
+masturbating matchbox matchboxes matchmaking matchstick matchsticks matriarchies matriarchy mawkish
+maxed maxes maxing mayday maydays mayo mealtime mealtimes meaningfully meatball meatballs meatier
+meatiest meatloaf meatloaves meaty mecca meccas medians meetinghouse meetinghouses meg megalomania
+megalomaniacs megs meld melded melding melds meltdown meltdowns memorabilia meningitis menorah
+menorahs metallurgist metallurgists meteorological methadone methane methodically methodological
+methodologies meticulously mi microchip microchips microcosm microcosms microprocessors midair
+midterm midterms midweek midweeks midwinter miff miffed miffing miffs mildness milieu milieus
+militarism millennia millennium millenniums minefields mini minis miniseries miniskirt miniskirts
+minivan minivans mintier mintiest minty miscalculate miscalculated miscalculates miscalculating
+miscalculation miscalculations mischievously misinterpretations mismanage mismanaged mismanages
+mismanaging misogynist misogynists misogyny mispronounce mispronounced mispronounces mispronouncing
+mispronunciation mispronunciations misreadings misspend misspending misspends misspent misstep
+missteps misters mistreat mistreated mistreating mistreatment mistreats mistrial mistrials
+mitigation modals modem modems molestation molester molesters mommies mommy moniker monikers mono
+monochromes monolingual monolinguals monolith monoliths mononucleosis monotone monotones
+monotonously montage montages mooch mooched mooches mooching moodiness moonlit mopeds moralistic
+mores mortarboard mortarboards mortician morticians motherboard motherboards motherfucker
+motherfuckers motorbiked motorbiking motorboat motorboats motorcyclist motorcyclists motormouth
+motormouths mottle mottled mottles mottling mountainside mountainsides mountings mournfully
+mouthwash mouthwashes mudslide mudslides mudslinging muggings mulatto mulattoes multicultural
+multilateral multimedia multimillionaire multimillionaires multiplex multiplexed multiplexes
+multiplexing munchies munition munitions musings mutability mutable mystique mêlée mêlées n
+nailbrush nailbrushes nannies nanny nappier nappiest narc narcissism narcissist narcissistic
+narcissists narcs nark nasally navigational nerd nerdier nerdiest nerds nerdy neurological newlywed
+newlyweds newness newsworthy nigger niggers niggle niggled niggles niggling nightie nighties
+nightlife noncommittally nondairy nondenominational nonevent nonevents nonexistent nonfat
+nonintervention nonplus nonplussed nonplussing nonproliferation nonrefundable nonrenewable nonsmoker
+nonsmokers nonsmoking nonstick nonverbal nonviolent nope normalcy northbound northeastward
+northerner northerners northernmost northwesterly northwestward nosedive nosedived nosedives
+nosediving nostalgically nudist nudists nuke nuked nukes nuking nylons nymphomania nymphomaniac
+nymphomaniacs o oat oats obligingly obnoxiously obsessively obsessives obstinately occult oddness
+odyssey odysseys offensively oilfield oilfields oink oinked oinking oinks oldie oldies ombudsman
+ombudsmen omniscience onetime oops operable operationally opportunism opportunistic optimistically
+optometry opulence orally ordinal ordinals organically orgasms orientals oriole orioles orthodontics
+orthodoxies orthodoxy ostentatiously ostracism outage outages outback outbacks outbid outbidding
+outbids outcrop outcropped outcropping outcroppings outcrops outfielder outfielders outperform
+outperformed outperforming outperforms outplacement outpouring outpourings outreach outreached
+outreaches outreaching outsource outsourced outsources outsourcing outspokenness outstretch
+outstretched outstretches outstretching ovarian overcompensate overcompensated overcompensates
+overcompensating overcompensation overextend overextended overextending overextends overjoy
+overjoyed overjoying overjoys overpopulate overpopulated overpopulates overpopulating
+oversimplifications oversimplified oversimplifies oversimplify oversimplifying overviews ow p
+pacesetter pacesetters padre padres pagers painkiller painkillers painstakingly paintbrush
+paintbrushes painters panache pantheism pantyhose paperboy paperboys papergirl papergirls paradigms
+paralegal paralegals paramedic paramedics paramilitaries paramilitary parquet parqueted parqueting
+parquets partway passerby passersby patchier patchiest paternalistic pathologically patriarchies
+patriarchy patricide patricides patriotically patrolman patrolmen patrolwoman patrolwomen paycheck
+paychecks payday paydays payee payees payloads peaceably peacefulness peacekeeping peacetime
+pedagogical pedantically pedigreed pee peed peeing peekaboo peephole peepholes pees pejorative
+pejoratives penchants pepperoni pepperonis peppier peppiest peppy percentile percentiles perceptibly
+perceptively perm permed perming perms perquisite perquisites personae persuasiveness perversely
+perversity pessimistically phalli phallic phallus pharmacologist pharmacologists pharmacology
+philistine philistines philosophically phobic phobics phoenixes phonetically phooey phosphate
+phosphates phrasings physiotherapy picker pickers pidgin pidgins piercings piggier piggies piggiest
+piggy piglet piglets pigmentation pigsties pigsty pileup pileups pilings pimp pimped pimping pimps
+pincer pincers ping pinged pinging pings pinkie pinkies pinprick pinpricks pinstripe pinstripes
+pinup pinups piously pipsqueak pipsqueaks piquancy piquant piss pissed pisses pissing pixel pixels
+pizzazz placebo placebos plainclothes plannings plantings plateful platefuls platonic playboy
+playboys playoff playoffs playroom playrooms plenaries plenary ploddings pluckier pluckiest plunk
+plunked plunking plunks pluralities plutocracies plutocracy pocketful pocketfuls pocketknife
+pocketknives podiatrist podiatrists podiatry poetically pogrom pogroms poignantly pointier pointiest
+pointlessness pointy poisonings polarities polemical polyester polyesters polygamist polygamists
+polygraph polygraphed polygraphing polygraphs polymer polymers polytechnics pompom pompoms pomposity
+pontiff pontiffs pontifical ponytail ponytails pooch pooched pooches pooching porn pornographer
+pornographers posh posher poshest posse posses postdate postdated postdates postdating postdoc
+postdoctoral postmortem postmortems postwar potbellied potbellies potbelly potluck potlucks
+potpourri potpourris pottier potties pottiest potty powerboat powerboats powerlessness pragmatist
+pragmatists prankster pranksters precept precepts precondition preconditioned preconditioning
+preconditions predate predated predates predating predestine predestined predestines predestining
+predetermine predetermined predetermines predetermining predilection predilections predispose
+predisposed predisposes predisposing preemptive preexist preexisted preexisting preexists
+prefabricate prefabricated prefabricates prefabricating prehistory prejudge prejudged prejudges
+prejudging premarital premeditate premeditated premeditates premeditating prep preparedness prepped
+preppier preppies preppiest prepping preppy preps preregister preregistered preregistering
+preregisters preregistration presage presaged presages presaging preschool preschooler preschoolers
+preschools prescriptive presupposition presuppositions prettily prewar pricey pricier priciest
+primacy primordial princelier princeliest princely principled prissier prissiest prissy pristine
+procreate procreated procreates procreating prof professionalism profitability profitably profs
+promo promos promoter promoters promotional promptings pronto propitious prosaic proscribe
+proscribed proscribes proscribing proscription proscriptions prostheses prosthesis protester
+protesters protraction provident provost provosts prudently prurience prurient psycho psychopathic
+psychos psychosomatic psychotherapist psychotherapists psychotics pubescence pubic publicist
+publicists pubs puerile pullout pullouts puppeteer puppeteers purgatories purist purists puritan
+puritans purposely purser pursers purvey purveyed purveying purveyors purveys pussycat pussycats
+pussyfoot pussyfooted pussyfooting pussyfoots pygmies pygmy pylon pylons q quad quads quantified
+quantifiers quantifies quantifying quarks quarterfinal quarterfinals queasiness quiches quickie
+quickies quietness quintessential quirkier quirkiest quixotic quotable r radiologist radiologists
+radiology radiotherapy radon ragtag ragtags rambunctious rankings rapprochement rapprochements
+raspier raspiest raspy raunchier raunchiest raunchy razz razzed razzes razzing readerships
+readjustment readjustments reappearance reappearances reasonableness reassuringly recalcitrance
+receivership reckonings reconstitute reconstituted reconstitutes reconstituting recruiter recruiters
+recyclable recyclables reddish redevelop redeveloped redeveloping redevelopment redevelopments
+redevelops redneck rednecks redness redouble redoubled redoubles redoubling redskin redskins redwood
+redwoods reeducate reeducated reeducates reeducating reeducation reelection reelections reenact
+reenacted reenacting reenactment reenactments reenacts reentries reentry ref reffed reffing
+refinance refinanced refinances refinancing refinish refinished refinishes refinishing refreshingly
+refs refundable refurbishments reggae regionally regretfully regroup regrouped regrouping regroups
+regurgitation rehab rehabbed rehabbing rehabs reinvent reinvented reinventing reinvents reissue
+reissued reissues reissuing rejoicings rekindle rekindled rekindles rekindling remarriage
+remarriages remarried remarries remarry remarrying remoteness remover removers renderings renter
+renters rep repatriation rephrased rephrases rephrasing replaceable replayed replaying replays
+replenishment replications repossess repossessed repossesses repossessing reprise reprises reprising
+reps reptilian reptilians requiems reran rerun rerunning reruns resales reshuffled reshuffles
+reshuffling residencies residency resonate resonated resonates resonating resoundingly
+responsiveness restate restated restatement restatements restates restating restructurings resurgent
+retake retaken retakes retaking retardation rethinking rethinks rethought retinue retinues retiree
+retirees retook retractable retread retreaded retreading retreads retrial retrials retroactively
+retrod retrodden revaluation revaluations revalue revalued revalues revaluing revealings rewinding
+rewinds reworked reworking reworks rewound rhetorically rhinestone rhinestones rhythmically ribald
+rigmarole rigmaroles ringside ritually ritzier ritziest ritzy riverbed riverbeds riverfront
+riverside riversides roadhouse roadhouses roadkill roadrunner roadrunners roadway roadways
+roadworthy robotics rollerskating rollick rollicked rollicking rollicks rooftop rooftops roomful
+roomfuls rootless roughshod roundup roundups rove roved roves roving rs rubberneck rubbernecked
+rubbernecking rubbernecks rubbery rubdown rubdowns rubella rudiment rudiments runaround runarounds
+rustproof rustproofed rustproofing rustproofs s sabbaticals saccharin sacrosanct sadistically
+sailboard sailboards sailings salaried salesclerk salesclerks salmonella salmonellae salsa salsas
+saltwater sandblast sandblasted sandblasting sandblasts sandcastle sandcastles sardonic sass sassed
+sasses sassing satanism satiny satirically savers sax saxes scad scads scalper scalpers scam scammed
+scamming scams scavenge scavenged scavenges scavenging schism schisms schizophrenics schlep
+schlepped schlepping schleps schlock schmaltz schmaltzier schmaltziest schmaltzy schmooze schmoozed
+schmoozes schmoozing schmuck schmucks schoolgirl schoolgirls scintillate scintillated scintillates
+scintillating scoldings scoreboard scoreboards scorecard scorecards scornfully scotched scotching
+scrabbled scrabbles scrabbling scragglier scraggliest scraggly scrappier scrappiest scrappy
+screenplay screenplays screwball screwballs scrimp scrimped scrimping scrimps scrooge scrooges
+seamless secondhand secretively secs sedation seedless selfishly selfless sellout sellouts
+semifinalist semifinalists seminal semiprecious senatorial sensationally sensitively separable
+sequoia sequoias serenely serrated servicewoman servicewomen servings setup setups seventieth
+seventieths sexier sexiest sexists sh shadings shakedown shakedowns shakeup shakeups shakily
+shallowness shamelessly shantytown shantytowns shenanigan shenanigans shinnied shinnies shinny
+shinnying shipload shiploads shipyard shipyards shirtsleeve shirtsleeves shits shittier shittiest
+shitting shitty shoddily shootings shoplift shoplifted shoplifting shoplifts shortchange
+shortchanged shortchanges shortchanging shortcut shortcuts shortfalls shortsighted shortwave
+shortwaves showbiz showmanship showpiece showpieces showroom showrooms shrewdly shuckses shush
+shushed shushes shushing shutdowns shuteye shyly shyster shysters sideburns sidekick sidekicks
+sightings sightread sightseeing sightseer sightseers signatories signatory signings silencer
+silencers silkier silkiest silky simper simpered simpering simpers simplifications simulators
+singsong singsonged singsonging singsongs sitcom sitcoms sittings skateboarder skateboarders skier
+skiers skinhead skinheads skintight skullcap skullcaps skydive skydived skydiver skydivers skydives
+skydiving slackers slalom slalomed slaloming slaloms slapdash slather slathered slathering slathers
+slaughterhouse slaughterhouses slayings sledgehammered sledgehammering sledgehammers sleepily
+sleeplessness sleepwalk sleepwalked sleepwalking sleepwalks sleepyhead sleepyheads sleuth sleuths
+sloppily slowdown slowdowns slowpoke slowpokes slurp slurped slurping slurps slushier slushiest
+slushy smoggier smoggiest smoggy smooch smooched smooches smooching smugness smuttier smuttiest
+smutty smörgåsbord smörgåsbords snafu snafus snazzier snazziest snazzy snit snits snobbier snobbiest
+snobby snottier snottiest snotty snowboard snowboarded snowboarding snowboards snowbound snowman
+snowmen snowmobile snowmobiled snowmobiles snowmobiling soakings socialite socialites socioeconomic
+sociopath sociopaths softhearted softies softy soliloquies soliloquy solvable someway songwriter
+songwriters soothingly sophomoric soporific soporifics sorbet sorbets soreness sorrowfully soulful
+soundness soundtracks sourdough sourdoughs sourly sourness southbound southeasterly southeastward
+southwesterly southwestward soybean soybeans spacey spacier spaciest spaciousness sparingly
+sparseness spastic spastics spates speckle speckled speckles speckling speedily speedway speedways
+spiel spieled spieling spiels spiffier spiffiest spiffy splashier splashiest splashy splats splatted
+splatting splay splayed splaying splays splittings spoilsport spoilsports sporadically sportier
+sportiest sportscast sportscasting sportscasts sportsman sportsmen sportswear sporty spunkier
+spunkiest spunky squatters stabbings staffer staffers staggeringly stagings stakeout stakeouts
+stalker stalkers stalkings standout standouts starvings stash stashed stashes stashing statesmanlike
+statewide stats steamboat steamboats steamroll steamrolled steamrolling steamrolls steeply steepness
+stepbrother stepbrothers stepchild stepchildren stepdaughter stepdaughters stepfather stepfathers
+stepmother stepmothers stepsister stepsisters stepson stepsons stereotypical sterility steroid
+steroids stiflings stillbirth stillbirths stilt stilts stinker stinkers stipend stipends stoic
+stoicism stoics stomachache stomachaches stonewall stonewalled stonewalling stonewalls stoplight
+stoplights storyteller storytellers stranglehold strangleholds strapless straplesses strategically
+streakier streakiest streaky streetlight streetlights strident strikingly strippers striptease
+stripteased stripteases stripteasing stubbornly stubbornness sturdiness stymie stymied stymieing
+stymies subculture subcultures subjectively subjunctives subliminal subordination subpoena
+subpoenaed subpoenaing subpoenas subservience subtitle subtitles suburbia suddenness sufficiency
+suggestible suggestively sullenly summertime summery sunblock sunblocks superhighway superhighways
+superpower superpowers supplemental surefire surfer surfers surgically surprisings surrealistic
+surrogate surrogates swank swanked swanker swankest swanking swanks swatch swatches sweatier
+sweatiest sweatpants sweatshirt sweatshirts sweatshop sweatshops sweetener sweeteners sweetie
+sweeties swelter sweltered sweltering swelters swimmer swimmers swimsuit swimsuits sycamore
+sycamores sycophant sycophants symbolically symmetrically sync synced syncing syncs syndication
+synod synods synthetically t tackiness tactically tad tads taffies taffy tailpipe tailpipes takeout
+takeouts takeovers takings tampon tampons tangier tangiest tangy tapeworm tapeworms tarmac tarmacked
+tarmacking tarmacs tarot tarots tarp tarps taster tasters tatter tattered tattering tatters
+tattletale tattletales tautly taxidermy teakettle teakettles teargas teargases teargassed
+teargassing teaspoonful teaspoonfuls technologist technologists telecommute telecommuted
+telecommuter telecommuters telecommutes telecommuting telescopic telethon telethons temp temped
+temping templates temps tenderhearted tequila tequilas terminations testier testiest testy thematic
+theoretician theoreticians thereabout thermonuclear thingamajig thingamajigs thirstily thoroughness
+thoughtlessness thrashings threateningly throatier throatiest throaty throwaways thumbnail
+thumbnails tic tics tiebreaker tiebreakers tightfisted tinderbox tinderboxes tinfoil tinglings
+tiredness tizzies tizzy toastier toastiest toasty tobacconist tobacconists toehold toeholds tofu tog
+togetherness toggled toggles toggling togs toiletries toiletry tokenism tollbooth tollbooths
+tollgate tollgates tomfooleries tomfoolery toolbar topless topographer topographers toppings tort
+torts torturer torturers touchstone touchstones tourism townhouse townhouses township townships
+toxicity toxicology tracer tracers traditionalists trailblazer trailblazers trajectories trajectory
+transcendence transcendental translucence transsexual transsexuals transvestite transvestites
+treatable treetop treetops trenchant triceps tricepses trident tridents trike trikes trimmings
+triumphantly tromp tromped tromping tromps tropic tropics troubadour troubadours troubleshoot
+troubleshooted troubleshooter troubleshooters troubleshooting troubleshoots troubleshot trucker
+truckers truckload truckloads truculent trumpeter trumpeters trundle trundled trundles trundling ts
+tubbier tubbiest tubby tugboat tugboats turd turds turnarounds turncoat turncoats tush tushes tux
+tuxes twerp twerps twit twits twitted twitting tyke tykes typecast typecasting typecasts typefaces
+typewrite typewrites typewriting typewritten typewrote typo typos u ubiquity uh ultrasound
+ultrasounds um umpteenth unabashed unabated unabridged unabridgeds unaccompanied unaided unavoidably
+unbeaten unbounded unbridled unbutton unbuttoned unbuttoning unbuttons uncannily uncertainly
+uncharacteristic uncharacteristically uncharted unchecked unclearer unclearest uncommonly
+unconscionable unconsciousness uncontrollably underage underclass underclassman underclassmen
+undergrad undergrads underpaid underpay underpaying underpays understaffed undetermined undisclosed
+unease unending unequally unfairness unfashionable ungratefully unholier unholiest unholy
+uninhabitable uninsured unisex unkindness unknowingly unleaded unlisted unnaturally unobtrusive
+unofficially unplug unplugged unplugging unplugs unproductive unprofessional unprofitable
+unquestioned unreserved unresponsive unrestrained unroll unrolled unrolling unrolls unruliness
+unspoken unsportsmanlike unsteadier unsteadiest unsteady unstoppable unthinking unthinkingly
+untimelier untimeliest untimely untouchable untouchables untoward untried untruthful unwitting
+unyielding unzip unzipped unzipping unzips upchuck upchucked upchucking upchucks upcoming upfront
+upliftings uppercase upperclassman upperclassmen uppity upscale upstage upstaged upstages upstaging
+upstate upsurge upsurged upsurges upsurging upswing upswings uptakes utopia utopias v vacantly
+vacationer vacationers vainly valedictorian valedictorians valiantly vanishings variability
+variances vasectomies vasectomy vegan vegans veggie veggies vehicular vendetta vendettas
+ventriloquism vibe vibes videocassette videocassettes viewings vindication vindications violinist
+violinists visage visages viscosity viscous volatility voracity voyeur voyeurism voyeurs w wackier
+wackiest wacky waistband waistbands wannabe wannabes ware wares warily warlock warlocks warlord
+warlords warmonger warmongering warmongers warship warships washbasin washbasins watchmaker
+watchmakers waterbed waterbeds waxiness website websites weeknight weeknights weightless
+weightlessness weightlifter weightlifters weightlifting welsh welshed welshes welshing westbound
+westerner westerners westwards wetback wetbacks wham whammed whamming whams whatchamacallit
+whatchamacallits whiner whiners whiplash whiplashes whippings whodunit whodunits whoosh whooshed
+whooshes whooshing wiener wieners wile wiles willowy wimp wimpier wimpiest wimps wimpy windbreaker
+windbreakers windowsill windowsills windsurf windsurfed windsurfing windsurfs windswept wineglass
+wineglasses wingspan wingspans wingtip wingtips wino winos wiretap wiretapped wiretapping wiretaps
+woebegone woozier wooziest woozy workaholic workaholics workfare workloads workmanlike worksheet
+worksheets worryings wrongful wrongfully wryly x xenophobic y yarmulke yarmulkes yeahs yearbook
+yearbooks yellowish yep yeps yest yippee yo yuckier yuckiest yucky yum yummier yummiest yummy yuppie
+yuppies z zap zapped zapping zaps zealously zit zits abridgement abridgements actualisation adaptors
+ageings agonisingly anaesthesiologist anaesthesiologists anaesthetise anaesthetised anaesthetises
+anaesthetising anaesthetist anaesthetists arsehole arseholes bevelled bevelling brutalise brutalised
+brutalises brutalising burglarise burglarised burglarises burglarising characterisations chequebook
+chequebooks chequerboard chequerboards chequered chequering collectable collectables colourblind
+compartmentalise compartmentalised compartmentalises compartmentalising decriminalise decriminalised
+decriminalises decriminalising dishevelled dishevelling dishonourably disorganisation disorganise
+disorganised disorganises disorganising empathise empathised empathises empathising enamour
+enamoured enamouring enamours energise energised energises energising epicentre epicentres epitomise
+epitomised epitomises epitomising faecal fantasise fantasised fantasises fantasising gobbledegook
+gonorrhoea greyish gynaecological haemophiliac haemophiliacs haemorrhoid haemorrhoids hanky
+harmonisation honourably immortalise immortalised immortalises immortalising judgemental
+kindergartener kindergarteners mechanisation medallist medallists mesmerise mesmerised mesmerises
+mesmerising millilitre millilitres misjudgement misjudgements moisturiser moisturisers
+monopolisation nationalisation nationalisations neutralisation normalisation normalise normalised
+normalises normalising oestrogen outmanoeuvre outmanoeuvred outmanoeuvres outmanoeuvring oversized
+panellist panellists patronisingly politicise politicised politicises politicising pressurise
+pressurised pressurises pressurising prioritise prioritised prioritises prioritising privatisations
+propagandise propagandised propagandises propagandising proselytise proselytised proselytises
+proselytising psychoanalyse psychoanalysed psychoanalysing pulverisation rationalisations
+recognisably reorganisations reprised revitalisation revitalise revitalised revitalises revitalising
+romanticise romanticised romanticises romanticising sanitise sanitised sanitises sanitising
+sceptically skilfully sombrely stigmatise stigmatised stigmatises stigmatising sympathiser
+sympathisers tantalisingly trivialise trivialised trivialises trivialising victimisation westernise
+westernised westernises westernising aardvarks abaft abalone abalones abase abased abasement abases
+abasing abatement abattoir abattoirs abbess abbesses abbé abbés abductee abductees abductor
+abductors abeam abed aberrant abeyance abjectly abjuration abjurations abjure abjured abjures
+abjuring ablative ablatives abloom ablution ablutions abnegate abnegated abnegates abnegating
+abnegation abominably abominate abominated abominates abominating abominations abortionist
+abortionists abracadabra abrade abraded abrades abrading abrasion abrasions abrasiveness abrogate
+abrogated abrogates abrogating abrogation abrogations abscissa abscissas absinthe absolution
+absolutism absorbency abstainer abstainers abstemious abstractedly abstractly abstractness
+abstractnesses abstrusely abstruseness abusively abusiveness abut abutment abutments abuts abutted
+abutting abuzz acacia acacias academia academical academician academicians acanthus acanthuses
+accentuation accessibly accession accessioned accessioning accessions acclamation accretion
+accretions accrual accruals acculturation accumulative accumulator accurateness accursed accusative
+accusatives accusatory acerbity acetaminophen acetate acetates acetic acetone acetylene achoo
+achromatic acidified acidifies acidify acidifying acidly acidulous acme acmes acolyte acolytes
+aconite aconites acoustical acoustically acquiescent acquirable acquirement acquisitive
+acquisitiveness acrostic acrostics actinium actionable actuarial actuaries actuate actuated actuates
+actuating actuator actuators acuity acupuncturist acupuncturists acuteness adagio adagios
+adaptability addend addenda addends adder adders addle addled addles addling addressable adduce
+adduced adduces adducing adenoid adenoidal adenoids adeptness adiabatic adieu adieus adipose adiós
+adjacently adjectivally adjudge adjudged adjudges adjudging adjudication adjuration adjurations
+adjure adjured adjures adjuring adjuster adjusters adjutant adjutants adman admen administrate
+administrated administrates administrating administratively admiralty admissibility admixture
+admixtures admonishment admonishments admonitory adorably adoringly adrenal adrenals adroitness
+adulate adulated adulates adulating adulterant adulterants adulterer adulterers adulteress
+adulteresses adulterous adumbrate adumbrated adumbrates adumbrating adumbration advantageously
+adventitious adventuresome adventuress adventuresses adventurously adversarial adverted adverting
+advisability advisedly advisement adware adze adzes aegis aerate aerated aerates aerating aeration
+aerator aerators aerialist aerialists aerie aeries aerobatics aerodynamically aeronautical
+aeronautics aesthete aesthetes affability affluently afforest afforestation afforested afforesting
+afforests affray affrays afghan afghans aficionado aficionados afire aflutter aforethought afoul aft
+afterbirth afterbirths afterburner afterburners aftercare afterglow afterglows aftertaste
+aftertastes afterword afterwords agape agar agate agates agave ageism ageless agglomerate
+agglomerated agglomerates agglomerating agglomeration agglomerations agglutinate agglutinated
+agglutinates agglutinating agglutination agglutinations aggregation aggregations agilely agleam
+aglitter agog agrarian agrarians agribusiness agribusinesses agriculturalist agriculturalists
+agronomist agronomists agronomy ague ahem aileron ailerons aimlessness airbrush airbrushed
+airbrushes airbrushing airdrop airdropped airdropping airdrops airhead airheads airiness airlift
+airlifted airlifting airlifts airman airmen airship airships airsick airsickness airway airways
+airworthy akimbo alabaster alacrity alb albacore albacores albatross albatrosses albs albumen
+albumin alchemist alchemists alchemy alder alders alertly alertness alfresco algebraically algebras
+algorithmic alienable alimentary alkalinity alkaloid alkaloids allegorically allegro allegros
+alleluia alleluias allergen allergenic allergens allergist allergists alleyway alleyways
+alliteration alliterations alliterative allover allspice allusive allusively alluvial alluvium
+alluviums aloe aloes aloofness alpaca alpacas alphas alternators altimeter altimeters altruist
+altruistically altruists alum alums amalgam amalgams amanuenses amanuensis amaranth amaranths
+amaryllis amaryllises amateurism amatory amazon amazons ambassadorship ambassadorships ambergris
+ambidextrously ambitiousness ambivalently ambrosia ambulatories ambulatory amendable amiability
+amicability amidships amigo amigos amino amity ammeter ammeters amniocenteses amniocentesis amoebic
+amorality amorally amorously amorousness amorphously amorphousness amour amours amperage amplitudes
+ampule ampules anaconda anacondas anaerobic analgesia analogously analogues analytically anapest
+anapests anarchically anarchistic anathemas anatomic anatomically anatomist anatomists ancestress
+ancestresses anchorite anchorites anchorpeople anchorperson anchorpersons ancillaries ancillary
+andante andantes andiron andirons androgen androgynous anemometer anemometers anemone anemones
+aneurysm aneurysms angina angioplasties angioplasty angiosperm angiosperms angleworm angleworms
+angora angoras angstrom angstroms angularities angularity animatedly animator animators anime
+animism animist animistic animists animus anion anions anise aniseed ankh ankhs anklet anklets
+anneal annealed annealing anneals annihilator annihilators annular anode anodes anodyne anodynes
+anointment anons anopheles antarctic antecedent antecedents antechamber antechambers antedate
+antedated antedates antedating antediluvian anterior anteroom anterooms anther anthers anthologist
+anthologists anthracite anthropocentric anthropoid anthropoids anthropomorphic anthropomorphism anti
+antiabortion antiaircraft anticipatory anticked anticking anticlockwise anticyclone anticyclones
+antidepressant antidepressants antigen antigens antihero antiheroes antiknock antimatter antimony
+antiparticle antiparticles antipasti antipasto antipastos antipathetic antipersonnel antiphonal
+antiphonals antipodes antiquarian antiquarians antiquaries antiquary antis antiseptically
+antislavery antithetical antithetically antitoxin antitoxins antiviral antivirals antivirus antiwar
+antlered apace apathetically aphasia aphasic aphasics aphelia aphelion aphelions aphid aphids
+aphoristic apiaries apiary aplenty apogee apogees apologia apologias apologist apologists apostasies
+apostasy apostate apostates apothecaries apothecary apotheoses apotheosis appeaser appeasers
+appellant appellants appellate appellation appellations appendectomies appendectomy appertain
+appertained appertaining appertains applejack appliqué appliquéd appliquéing appliqués appointive
+apportionment appositely appositeness apposition appositive appositives appraiser appraisers
+appreciably apprehensively apprehensiveness appropriateness apps appurtenance appurtenances apropos
+apse apses aptness aqua aquaculture aquanaut aquanauts aquaplane aquaplaned aquaplanes aquaplaning
+aquas aquavit aqueous aquifer aquifers aquiline arabesque arabesques arachnid arachnids
+arbitrariness arboreal arboretum arboretums arborvitae arborvitaes arbutus arbutuses archaically
+archaism archaisms archangel archangels archbishopric archbishoprics archdeacon archdeacons
+archdiocese archdioceses archduke archdukes archenemies archenemy archetype archetypes
+architecturally archivist archivists archly archness arduousness argon argosies argosy argot argots
+argumentation argyle argyles aridity aright aristocratically arithmetical arithmetically armada
+armadas armature armatures armlet armlets armrest armrests aromatherapy arpeggio arpeggios arranger
+arrangers arrant arrogate arrogated arrogates arrogating arrowhead arrowheads arrowroot arroyo
+arroyos arteriosclerosis artfully artfulness arthropod arthropods articulateness artier artiest
+artificer artificers artificiality artiste artistes artless artlessly artlessness arty ascendant
+ascendants ascertainable asceticism ascot ascots ascribable ascription aseptic asexually ashamedly
+ashcans ashier ashiest ashram ashrams ashy asinine asininities asininity aslant asocial asp
+aspartame asperities asperity asphyxia aspic aspics aspirate aspirated aspirates aspirating asps
+assailable assay assayed assaying assays assemblage assemblages asseverate asseverated asseverates
+asseverating assiduous assiduously assiduousness assignable assignation assignations assize assizes
+assonance assuage assuaged assuages assuaging aster astern asters astigmatic astigmatism
+astigmatisms astir astoundingly astrakhan astral astringency astronautics astronomic astronomically
+astrophysicist astrophysicists astrophysics astuteness asunder asymmetric asymmetrical
+asymmetrically asymptotic asymptotically atavism atavistic atelier ateliers atherosclerosis
+athletically atmospherically atoll atolls atonal atonality atop atria atrium atrociousness atrophied
+atrophies atrophy atrophying attar attender attentiveness attenuate attenuated attenuates
+attenuating attenuation attestation attestations attributive attributively attributives attrition
+atwitter atypical atypically audaciously audaciousness audibility audiophile audiophiles auger
+augers aught aughts augmentation augmentations augur augured auguries auguring augurs augury auk
+auks aurally aureole aureoles auricle auricles auspiciously auspiciousness austerely authentication
+authentications authoritarianism authoritativeness autism autocratically autoimmune automaton
+automatons autopilot autopilots avariciously avast avatar avatars avenger avengers aver averred
+averring avers avian aviaries aviary aviatrices aviatrix aviatrixes avidity avionics avocation
+avocations avoidably avoirdupois avowedly avuncular aweigh awesomely awestruck awfulness awl awls
+axial axiomatically axon axons ayatollah ayatollahs azimuth azimuths babbler babblers babel babels
+babushka babushkas babyhood baccalaureate baccalaureates bacchanal bacchanalian bacchanalians
+bacchanals bacilli bacillus backache backaches backbit backbite backbiter backbiters backbites
+backbiting backbitten backboard backboards backdate backdated backdates backdating backfield
+backfields backhoe backhoes backless backpedal backpedals backrest backrests backslapper
+backslappers backslashes backslid backslide backslider backsliders backslides backsliding backspaced
+backspaces backspacing backspin backstabbing backstairs backstop backstopped backstopping backstops
+backstories backstory backstretch backstretches backwardness backwash backwater backwaters
+bacteriological bacteriologist bacteriologists bacteriology badinage bafflement bagatelle bagatelles
+bagginess bah bailiwick bailiwicks bailout bailouts baize balalaika balalaikas balderdash baldly
+baleen balefully balkier balkiest balky balladeer balladeers balloonist balloonists ballplayer
+ballplayers ballpoint ballpoints ballsier ballsiest ballsy ballyhoo ballyhooed ballyhooing ballyhoos
+balminess balsa balsam balsams balsas baluster balusters balustrade balustrades banditry bandoleer
+bandoleers baneful banishment banjoist banjoists bankbook bankbooks bankroll bankrolled bankrolling
+bankrolls banns banshee banshees bantam bantams bantamweight bantamweights banyan banyans baobab
+baobabs baptist baptisteries baptistery baptists barbacoa barbarities barbarity barbarously
+barberries barberry barbershop barbershops barefaced barefooted barehanded bareheaded bareness
+barista baristas barium barker barkers barmaid barmaids barnstorm barnstormed barnstorming
+barnstorms baroness baronesses baronet baronets baronial barracuda barracudas barrenness barrow
+barrows basal basalt baseboard baseboards baseless baselines basely baseman basemen baseness
+bashfully bashfulness basilica basilicas bassinet bassinets basso bassoonist bassoonists bassos bast
+bastion bastions bather bathers bathhouse bathhouses bathmat bathmats bathos batik batiks batsmen
+batten battened battening battens battier battiest battlement battlements batty bauble baubles
+bauxite bawdily bawdiness bayberries bayberry bazillion bazillions bazooka bazookas beachcomber
+beachcombers beachhead beachheads beanbag beanbags bearish bearskin bearskins beastlier beastliest
+beastliness beastly beatific beatification beatifications beatified beatifies beatify beatifying
+beatitude beatitudes beatnik beatniks beau beaus beauteous beauteously beautification beautifier
+beautifiers becalm becalmed becalming becalms beck becks becomingly bedazzle bedazzled bedazzles
+bedazzling bedeck bedecked bedecking bedecks bedevil bedevilment bedevils bedfellow bedfellows
+bedroll bedrolls bedsore bedsores bedstead bedsteads beechnut beechnuts beefburger beefsteak
+beefsteaks beekeeper beekeepers beekeeping befog befogged befogging befogs befoul befouled befouling
+befouls befuddle befuddled befuddles befuddling begat beget begets begetting beggarly begone begonia
+begonias begot begotten begrudgingly beguilingly behemoth behemoths behest behests beholden belay
+belayed belaying belays beleaguer beleaguered beleaguering beleaguers belladonna belle belles
+bellicose bellicosity belligerency belligerently bellwether bellwethers bellyache bellyached
+bellyaches bellyaching bellyful bellyfuls benefaction benefactions benefactress benefactresses
+benefice beneficence beneficent beneficently benefices beneficially benevolently benignly benumb
+benumbed benumbing benumbs benzene berg bergs beriberi berm berms beryl beryllium beryls besieger
+besiegers besmirch besmirched besmirches besmirching besom besoms besot besots besotted besotting
+bespeak bespeaking bespeaks bespoke bespoken bestiaries bestiary bestir bestirred bestirring bestirs
+bestowal bestowals bestridden bestride bestrides bestriding bestrode betake betaken betakes betaking
+betas bethink bethinking bethinks bethought betide betided betides betiding betoken betokened
+betokening betokens betook betrayer betrayers betroth betrothed betrothing betroths betwixt bevies
+bevy bewail bewailed bewailing bewails biannual biannually biathlon biathlons bibliographer
+bibliographers bibliographical bibliophile bibliophiles bibulous bicameral bicuspid bicuspids
+bicyclist bicyclists biddies biddy bidet bidets bidirectional biennially bier biers bifocal
+bifurcate bifurcated bifurcates bifurcating bifurcation bifurcations bighearted bighorn bighorns
+bight bights bigness bilge bilges bilious bilk bilked bilking bilks billet billeted billeting
+billets billies billings billowy billy binderies bindery binnacle binnacles binomials biochemicals
+biochemist biochemists biodiversity biofeedback biomedical bionic biophysicist biophysicists
+biophysics biorhythm biorhythms biosphere biospheres biotechnology bipartite bipedal bipolar
+biracial birdbath birdbaths birdhouse birdhouses birdie birdied birdieing birdies birdwatcher
+birdwatchers biretta birettas birther birthers birthright birthrights birthstone birthstones
+bisector bisectors bisexuality bishopric bishoprics bismuth bisque bistro bistros bitcoin bitcoins
+bitingly bittern bitterns bitters bitumen bituminous bivalve bivalves bivouac bivouacked bivouacking
+bivouacs bizarrely blackball blackballed blackballing blackballs blackcurrant blackguard blackguards
+blackish blackthorn blackthorns blamelessly blameworthy blandishment blandishments blandness blarney
+blarneyed blarneying blarneys blasphemer blasphemers blasphemously blasters blazon blazoned
+blazoning blazons bleeder bleeders bleep bleeped bleeping bleeps blench blenched blenches blenching
+blessedly blessedness blinders blindside blindsided blindsides blindsiding bling blintz blintze
+blintzes blissfulness blockhouse blockhouses blondness bloodcurdling bloodlessly bloodmobile
+bloodmobiles bloodsucker bloodsuckers bloodthirstiness bloomer bloomers blower blowers blowgun
+blowguns bluebottle bluebottles bluefish bluefishes bluejacket bluejackets bluenose bluenoses
+bluestocking bluestockings bluffers blunderbuss blunderbusses blunderer blunderers blustery boaster
+boasters boastfulness boater boaters boatman boatmen boatswain boatswains bobbies bobble bobbled
+bobbles bobbling bobby bobolink bobolinks bobtail bobtails bobwhite bobwhites bodega bodegas bodkin
+bodkins bogey bogeyed bogeying bogeys boggier boggiest boggy bogie bogies boilerplate boisterously
+boisterousness bola bolas boldface bole bolero boleros boles boll bolls bombardier bombardiers
+bombast bombastic bonbon bonbons bondsman bondsmen bonehead boneheads boneless boner boners bong
+bonged bonging bongs bonito bonitos bonnier bonniest bonny bonsai boobies boodle boodles bookish
+bookmaking bookmobile bookmobiles bookseller booksellers bookshelves boondoggle boondoggled
+boondoggles boondoggling boorishly bootblack bootblacks bootless boozier booziest boozy borax
+bordello bordellos borderland borderlands borer borers boron borscht bosh botnet botnets botulism
+boudoir boudoirs bouffant bouffants bouillabaisse bouillabaisses bouillon bouillons bounden bounder
+bounders bounteous bountifully boutonnière boutonnières bower bowers bowlers bowman bowmen bowsprit
+bowsprits bowstring bowstrings boxwood boyishly boyishness boysenberries boysenberry bracken bract
+bracts brad brads bragger braggers braille brainteaser brainteasers brakeman brakemen bramble
+brambles brashly brashness brattier brattiest bratty bravura bravuras brawler brawlers brawniness
+brazenness breadfruit breadfruits breakage breakages breaker breakers breastbone breastbones
+breastplate breastplates breastwork breastworks breathable breathier breathiest breathlessness
+breathy breech breeches breezily breeziness breviaries breviary brickbat brickbats bridgehead
+bridgeheads bridgework briefness brig brigand brigandage brigands brigantine brigantines brigs
+brilliancy brimful brindled brinkmanship briquette briquettes brisket briskets briskness bristlier
+bristliest bristly brittleness broadband broadcloth broadloom broadness broadsword broadswords
+brogan brogans bromide bromides bromine bronchi bronchial bronchus brontosaur brontosaurs
+brontosaurus brontosauruses brooder brooders brotherliness brouhaha brouhahas brownout brownouts brr
+bruin bruins bruiser bruisers brunet brunets brushwood brusquely brusqueness brutishly buccaneer
+buccaneered buccaneering buccaneers buckboard buckboards bucketful bucketfuls buckeye buckeyes
+buckler bucklers buckram bucksaw bucksaws buckshot buckskin buckskins buckteeth bucktooth buckwheat
+buckyball buckyballs bucolic bucolics budgerigar budgerigars budgetary budgie budgies buffoonery
+bugaboo bugaboos bugbear bugbears builtin bulgier bulgiest bulgy bulimia bulimic bulimics bulkhead
+bulkheads bulkiness bullfinch bullfinches bullheaded bullhorn bullhorns bullock bullocks bullpen
+bullpens bullring bullrings bulrush bulrushes bulwark bulwarks bumbler bumblers bumpkin bumpkins
+bumptious bunged bunghole bungholes bunging bungs bunkhouse bunkhouses bunkum bunt bunted bunting
+buntings bunts bur burdock bureaucratically burg burgeon burgeoned burgeoning burgeons burgher
+burghers burgled burgles burgling burgs burlesque burlesqued burlesques burlesquing burliness
+burnoose burnooses burnout burnouts burrito burritos burs bursitis busbies busby bushiness bushings
+bushman bushmen bushwhack bushwhacked bushwhacker bushwhackers bushwhacking bushwhacks busyness
+butane butch butches butterfat butterier butteries butteriest butternut butternuts buzzkill
+buzzkills byline bylines byplay byproduct byproducts byword bywords cabal cabals cabana cabanas
+cabinetmaker cabinetmakers cablecast cablecasting cablecasts cablegram cablegrams caboodle
+cacophonies cacophonous cacophony cadaverous caddish cadenza cadenzas cadge cadged cadger cadgers
+cadges cadging cadmium cads caducei caduceus caesura caesuras caffeinated cagily caginess cairn
+cairns caisson caissons cajolery calabash calabashes calamine calamitous calcified calcifies calcify
+calcifying calcine calcined calcines calcining calcite calculable calfskin calibrator calibrators
+caliper calipered calipering calipers caliph caliphate caliphates caliphs calisthenic calligrapher
+calligraphers calliope calliopes callower callowest caloric calorific calumniate calumniated
+calumniates calumniating calumnies calumny calved calving calypso calypsos calyx calyxes camber
+cambered cambering cambers cambium cambiums cambric camisole camisoles campanile campaniles campfire
+campfires camphor campier campiest campy cams camshaft camshafts canapé canapés canard canards
+canasta cancan cancans cancerous candelabra candelabras candelabrum candidness cankerous
+cannibalistic cannily canniness cannonade cannonaded cannonades cannonading canoeist canoeists
+cantankerously cantankerousness cantata cantatas canted canticle canticles cantilever cantilevered
+cantilevering cantilevers canting canto canton cantons cantor cantors cantos cants canvasback
+canvasbacks capacious capaciously capaciousness caparison caparisoned caparisoning caparisons
+capitalistic caplet caplets capon capons capriciousness capstan capstans captaincies captaincy
+captious captivation carafe carafes carapace carapaces caraway caraways carbide carbides carbine
+carbines carbonation carboy carboys carbs carbuncle carbuncles carcinogen carcinogenics carcinogens
+carcinoma carcinomas cardio cardiogram cardiograms cardiologist cardiologists cardiopulmonary
+cardiovascular cardsharp cardsharps caregiver caregivers caret carets careworn carfare caricaturist
+caricaturists caries carillon carillons carmine carmines carnally carnelian carnelians carom caromed
+caroming caroms carotid carotids carousal carousals carouser carousers carpal carpals carpel carpels
+carpetbag carpetbagged carpetbagger carpetbaggers carpetbagging carpetbags carpi carport carports
+carpus carrel carrels carryall carryalls carsick carsickness cartilaginous carver carvers caryatid
+caryatids casein caseload caseloads casement casements cashback cassava cassavas cassia cassias
+cassock cassocks castanet castanets castigator castigators castor castors casuist casuistry casuists
+catacomb catacombs catafalque catafalques catalepsy cataleptic cataleptics catalpa catalpas
+catalysis catalytic catarrh catastrophically catatonic catatonics catbird catbirds catboat catboats
+catchall catchalls catcher catchers catchphrase catchword catchwords caterwaul caterwauled
+caterwauling caterwauls catgut catharses catharsis cathartic cathartics catheter catheters cathode
+cathodes catholicity cation cations catkin catkins cattail cattails cattily cattiness cattleman
+cattlemen caudal cauldron cauldrons causalities causally causation causative causeless caustically
+cautiousness cavalcade cavalcades cavalryman cavalrymen cavernous cavil cavils cayenne cedilla
+cedillas celebrant celebrants celebratory celerity celesta celestas cellulite cenotaph cenotaphs
+censer censers censorious censoriously centaur centaurs centenarian centenarians centigram
+centigrams centime centimes centrifugal centrifuged centrifuges centrifuging centripetal centrist
+centrists centurion centurions cephalic cerebellum cerebellums cerebra cerebrum cerebrums
+ceremonially ceremoniously cerise certitude cerulean cession cessions cetacean cetaceans chaffinch
+chaffinches chairlift chairlifts chaise chaises chamberlain chamberlains chambermaid chambermaids
+chambray chamois chamomile chamomiles chancel chancelleries chancellery chancels chanceries chancery
+chancier chanciest chancy chandler chandlers changeling changelings chanter chanters chantey
+chanteys chanticleer chanticleers chaotically chaparral chaparrals chaplaincies chaplaincy chaplet
+chaplets charbroil charbroiled charbroiling charbroils chargers charier chariest charily charioteer
+charioteers charmingly chartreuse charwoman charwomen chary chaser chasers chastely chasuble
+chasubles chattel chattels chatterer chatterers chattily chattiness checkroom checkrooms cheekier
+cheekiest cheekily cheekiness cheeky cheerily cheeriness cheerless cheerlessly cheerlessness
+cheesier cheesiest cheesy chemise chemises chenille cheroot cheroots cherubic chervil chessman
+chessmen chevron chevrons chewer chewers chiaroscuro chicaneries chicanery chichi chichis chickenpox
+chickpea chickpeas chickweed chicle chicories chicory chigger chiggers chignon chignons chilblain
+chilblains childishness childlessness chillers chilliness chimera chimeras chimerical chinchilla
+chinchillas chinstrap chinstraps chintzier chintziest chintzy chiropodist chiropodists chiropody
+chiropractic chiropractics chirrup chirruped chirruping chirrups chitin chitterlings chivalrously
+chloride chlorides chlorination chlorofluorocarbon chlorofluorocarbons chock chocked chocking chocks
+choker chokers choler choleric chomp chomped chomping chomps choppily chorale chorales choreographic
+chorister choristers chromatic chronicler chroniclers chronometer chronometers chrysalis chrysalises
+chubbiness chuckhole chuckholes chumminess chunkiness churchman churchmen churchyard churchyards
+churl churlishly churlishness churls chutney châtelaine châtelaines ciabatta ciabattas cicada
+cicadas cicatrices cigarillo cigarillos cilantro cilia cilium cinchona cinchonas cincture cinctures
+cinematic cinematography cinnabar circadian circlet circlets circuitously circularity circumflexes
+circumlocution circumlocutions circumnavigate circumnavigated circumnavigates circumnavigating
+circumnavigation circumnavigations circumscribe circumscribed circumscribes circumscribing
+circumscription circumscriptions circumspect circumspection circumstantially cirrus citadel citadels
+citizenry citron citronella citrons civet civets civvies claimant claimants clambake clambakes
+clamminess clamorous clandestinely clannish clarets clarion clarioned clarioning clarions classicism
+classicist classicists classifiable classiness classless clavichord clavichords clavicle clavicles
+clayey clayier clayiest cleanness clearinghouse clearinghouses clematis clematises clement
+clerestories clerestory clew clewed clewing clews clichéd clickable clincher clinchers clingier
+clingiest clingy clinker clinkers cliquish clit clitoral clits cloche cloches clodhopper clodhoppers
+clomp clomped clomping clomps clop clopped clopping clops closefisted closemouthed clothier
+clothiers cloture clotures cloudiness cloverleaf cloverleafs cloverleaves clownish clownishly
+clownishness cloy cloyed cloying cloys clubfeet clubfoot clunker clunkers clunkier clunkiest clunky
+coachman coachmen coagulant coagulants coalescence coauthor coauthored coauthoring coauthors cobbled
+cobbles cobbling cocci coccis coccus coccyges coccyx cochlea cochleae cochleas cockade cockades
+cockamamie cockatoo cockatoos cockerel cockerels cockfight cockfights cockily cockle cockles
+cockleshell cockleshells cockney cockneys cockscomb cockscombs cocksucker cocksuckers cocksure coda
+codas coddle coddled coddles coddling codeine codependency codependent codependents codex codfish
+codfishes codger codgers codices codicil codicils codification codifications codified codifies
+codify codifying coeducation coequal coequals coeval coevals coffeecake coffeecakes coffeepot
+coffeepots cogitate cogitated cogitates cogitating cogitation cognate cognates cognition cognomen
+cognomens cogwheel cogwheels cohere cohered coheres cohering cohesive cohesively cohesiveness cohort
+cohorts coif coiffed coiffing coiffure coiffured coiffures coiffuring coifs coincident coital coitus
+colicky coliseum coliseums colitis collations collectivism collectivist collectivists colleen
+colleens collegian collegians collier collieries colliers colliery collocate collocated collocates
+collocating collocation collocations colloid colloids colloquies colloquium colloquiums colloquy
+collude colluded colludes colluding collusive colonialist colonialists colonnade colonnades
+colonoscopies colonoscopy coloration coloratura coloraturas colossally colossi colossus cols coltish
+columbine columbines columned combo combos combustibility comedic comedienne comediennes comeliness
+comer comers comfortingly comically comity commendably commensurable commensurate commingle
+commingled commingles commingling commissar commissariat commissariats commissaries commissars
+commissary committal committals commode commodes commodious commoners communally communicant
+communicants communicators communistic commutation commutations compactly compactness compactor
+compactors companionway companionways comparability comparably compassionately compatibly
+compellingly compendium compendiums competencies competency complacence complacently complainant
+complainants complainer complainers complaisance complaisant complaisantly complected comport
+comported comporting comportment comports compositor compositors compote compotes comprehensibility
+comprehensiveness compressor compressors comptroller comptrollers compulsively compulsiveness
+compulsorily computationally concavities concavity concentrically concertina concertinaed
+concertinaing concertinas concertmaster concertmasters concessionaire concessionaires conch conchs
+conciliator conciliators conclave conclaves concomitant concomitants concordances concordant
+concubine concubines condemnatory condenser condensers condescendingly condole condoled condoles
+condoling conduce conduced conduces conducing conduction conductive conductivity conduit conduits
+confab confabbed confabbing confabs confectioner confectioneries confectioners confectionery
+conferencing conferment conferments confessedly confessional confessionals confessor confessors
+confidante confidantes confirmatory conflagration conflagrations confluence confluences confluent
+conformance conformation conformations confrontational confrère confrères confusedly confusingly
+confusions confute confuted confutes confuting conga congaed congaing congas congeniality
+congenially congenitally congestive conglomeration conglomerations congratulation congregational
+congruence congruities congruity congruous conic conics conjectural conjoin conjoined conjoining
+conjoins conjoint conjunctive conjunctives conjunctivitis conjuncture conjunctures conjurer
+conjurers conk conked conking conks connectives conniver connivers connotative connubial
+conquistador conquistadors consanguinity conscientiousness conscript conscripted conscripting
+conscription conscripts consensual consonance consonances constable constables constabularies
+constabulary constitutionality constrictive constrictor constrictors constructor constructors
+consultancies consultative consumptive consumptives contactable containment contaminant contaminants
+contemporaneous contemporaneously contemptibly contemptuously contentedness contentiously contiguity
+continence continua continuance continuances contortionist contortionists contractile contractually
+contradistinction contradistinctions contrail contrails contralto contraltos contrapuntal contrarily
+contrariness contrariwise contretemps contritely contrivance contrivances controversially controvert
+controverted controverting controverts contumacious contumelies contumely contuse contused contuses
+contusing contusion contusions conundrum conundrums conurbation conurbations conventionality
+convergences convergent conversationalist conversationalists conversationally convexity conveyor
+conveyors conviviality convocation convocations convoke convoked convokes convoking convolution
+convolutions convulsively cookeries cookers cookery coolant coolants coolie coolies coon coons
+cooperatively coopered coopering coopers coot cootie cooties coots copings coppery copra copse
+copses copula copulas copycat copycats copycatted copycatting copywriter copywriters coquette
+coquetted coquettes coquetting coquettish cordite corduroys corespondent corespondents coriander
+corm cormorant cormorants corms cornball cornballs corncob corncobs corneal cornflower cornflowers
+cornice cornices cornrow cornrowed cornrowing cornrows cornstalk cornstalks cornucopia cornucopias
+corolla corollaries corollas corona coronas coronet coronets corpora corporeal corpulence
+correctable correctional correlative correlatives corroborative corrugation corrugations corruptly
+corruptness corsair corsairs cortical cortices cortisone cortège cortèges coruscate coruscated
+coruscates coruscating cosign cosignatories cosignatory cosigned cosigner cosigners cosigning
+cosigns cosine cosmetically cosmetologist cosmetologists cosmetology cosmically cosmogonies
+cosmogony cosmological cosmologies cosmologist cosmologists cosplay cosponsor cosponsored
+cosponsoring cosponsors costliness cote coterie coteries cotes cotillion cotillions cotter cotters
+cottonmouth cottonmouths cottonseed cottonseeds cotyledon cotyledons councilman councilmen
+councilwoman councilwomen countably counteraction counteractions counterclaim counterclaimed
+counterclaiming counterclaims counterculture counterespionage counterexamples counterintelligence
+countermand countermanded countermanding countermands counteroffer counteroffers counterpane
+counterpanes counterpoint counterpoints counterrevolution counterrevolutionaries
+counterrevolutionary counterrevolutions countersink countersinking countersinks countersunk
+countertenor countertenors counterweight counterweights countrified coupe coupes couplet couplets
+couplings courteousness courtesan courtesans courtier courtiers courtlier courtliest courtliness
+courtly coven covens coverlet coverlets covetously covetousness covey coveys cowardliness cowbird
+cowbirds cowhand cowhands cowl cowlick cowlicks cowling cowlings cowls cowpoke cowpokes cowpox
+cowpuncher cowpunchers cowslip cowslips coxcomb coxcombs coxswain coxswains coyly coyness cozen
+cozened cozening cozens crabbily crabbiness crackerjack crackerjacks crackly crackup crackups
+craftiness cranial crankcase crankcases crankiness crankshaft crankshafts crape crapes crassly
+crassness craven cravenly cravens craw crawlspace crawlspaces craws creamer creameries creamers
+creamery creaminess creationism creativeness credenza credenzas creditably credulity credulously
+creel creels creeper creepers creepily creepiness crematories crematory creosote creosoted creosotes
+creosoting cress crewman crewmen cribbage cricketer cricketers crier criers criminologist
+criminologists criminology crinoline crinolines crispness crocked crone crones crookedly crookedness
+cropper croppers croquette croquettes crossbar crossbars crossbeam crossbeams crossbones crossbred
+crossbreed crossbreeding crossbreeds crossly crossness crosspiece crosspieces crosswise crotchet
+crotchets crotchety croup croupier croupiers croupiest croupy crowdfund crowdfunded crowdfunding
+crowdfunds croûton croûtons crucible crucibles cruciform cruciforms crudeness crudities crudités
+cruet cruets cruller crullers crumbier crumbiest crumby crumpet crumpets cruncher cryogenics
+cryptogram cryptograms cryptographer cryptographers cryptography crystalline crystallographic
+crystallography crèche crèches cubbyhole cubbyholes cubical cubism cubist cubists cubit cubits
+cuckold cuckolded cuckolding cuckolds cud cudgel cudgels cuds culotte culottes cultivator
+cultivators culvert culverts cumin cummerbund cummerbunds cumulatively cumuli cumulus cuneiform
+cunnilingus cunt cunts cupid cupidity cupids cupola cupolas curacies curacy curate curates curative
+curatives curer curie curies curlew curlews curlicue curlicued curlicues curlicuing curliness
+curmudgeon curmudgeons currycomb currycombed currycombing currycombs curs cursive cursorily
+curtailment curtailments curtly curtness curvaceous cushier cushiest cushy cusp cuspid cuspids cusps
+cutesier cutesiest cutesy cutlass cutlasses cutout cutouts cuttlefish cuttlefishes cutup cutups
+cyberbullies cyberbully cybernetic cyberpunk cyberpunks cybersex cyclamen cyclamens cyclically
+cyclonic cyclotron cyclotrons cygnet cygnets cynosure cynosures cystic cytology cytoplasm czarina
+czarinas db dabbler dabblers dacha dachas dactyl dactylic dactylics dactyls dado dadoes daemons
+daffier daffiest daffy dafter daftest daguerreotype daguerreotyped daguerreotypes daguerreotyping
+dahlia dahlias daintiness daiquiri daiquiris dairying dairymaid dairymaids dairyman dairymen dale
+dales dalliance dalliances dalmatian dalmatians damask damasked damasking damasks damnable damnably
+damply damson damsons dander dandle dandled dandles dandling dankly dankness dapple dappled dapples
+dappling daringly dartboard dartboards dashiki dashikis dashingly datatype dateline datelined
+datelines datelining dative datives dauber daubers dauntlessly dauntlessness dauphin dauphins
+davenport davenports davit davits dawdler dawdlers daybed daybeds daylights deactivate deactivated
+deactivates deactivating deadbeat deadbeats deadbolt deadbolts deadliness deadwood dearness
+deathblow deathblows deathless deathlike deathly deb debacle debacles debar debark debarkation
+debarked debarking debarks debarment debarred debarring debars debater debaters debauch debauched
+debauches debauching debenture debentures debilitation debonairly debs debuggers decadently decamp
+decamped decamping decamps decant decanted decanting decants decapitation decapitations decedent
+decedents deceiver deceivers decelerate decelerated decelerates decelerating deceleration
+deceptiveness decimation decipherable decisiveness deckhand deckhands declaim declaimed declaiming
+declaims declamation declamations declamatory declarative declassified declassifies declassify
+declassifying declensions declination declivities declivity decommission decommissioned
+decommissioning decommissions decompress decompressed decompresses decompressing decompression
+decongestant decongestants deconstruction deconstructions decontaminate decontaminated
+decontaminates decontaminating decontamination decorously decremented decrements decrepitude
+decrescendo decrescendos decryption deducible deejay deejays deepness deerskin deescalate
+deescalated deescalates deescalating defacement defaulter defaulters defeatism defecation
+defensiveness deferentially deferment deferments defilement definer definers definiteness deflector
+deflectors defogger defoggers defoliant defoliants defoliate defoliated defoliates defoliating
+defoliation deforest deforested deforesting deforests defray defrayal defrayed defraying defrays
+defroster defrosters deftness degeneracy degenerative dehumidified dehumidifier dehumidifiers
+dehumidifies dehumidify dehumidifying deice deiced deicer deicers deices deicing deification deism
+delectation deleverage deleveraged deleverages deleveraging deliciousness delineation delineations
+delinquently deliquescent deliverer deliverers dell dells delphinium delphiniums delusive
+demagoguery demagogy demarcate demarcated demarcates demarcating demarcation dementedly demesne
+demesnes demigod demigods demijohn demijohns demitasse demitasses demographer demographers
+demographically demography demoniac demoniacal demonstrable demonstratively demur demurred demurring
+demurs denature denatured denatures denaturing dendrite dendrites deniability denier deniers
+denigration denizen denizens denominate denominated denominates denominating denominational
+denotation denotations denouement denouements denouncement denouncements denseness dentifrice
+dentifrices denude denuded denudes denuding dependability dependably depictions depilatories
+depilatory deplane deplaned deplanes deplaning depopulate depopulated depopulates depopulating
+depopulation deposition depositions depositor depositories depositors depository deprecation
+deprecatory depredation depredations depressant depressants depressive depressives deprogram
+deprogrammed deprogramming deprograms deputation deputations depute deputed deputes deputing
+derangement deregulate deregulated deregulates deregulating deregulation dereliction derisive
+derisively derisory derivable dermatitis dermatologist dermatologists dermatology dermis derogate
+derogated derogates derogating derogation derringer derringers derrière derrières dervish dervishes
+desalinate desalinated desalinates desalinating desalination descant descanted descanting descants
+descender descried descries descriptively descry descrying desertion desertions deservedly desiccate
+desiccated desiccates desiccating desiccation desiderata desideratum desirably desolately
+desolateness despairingly desperado desperadoes despicably despoil despoiled despoiling despoils
+despondency despotism destruct destructed destructible destructing destructively destructiveness
+destructs desultory detainee detainees detainment determinant determinants determinate detestable
+detestation dethronement detoxification detoxified detoxifies detoxify detoxifying detraction
+detractor detractors detritus deuce deuces deuterium developmental deviance devilishly devilment
+devilries devilry deviltries deviltry deviously deviousness devotional devotionals devoutness
+dewberries dewberry dewdrop dewdrops dewier dewiest dewlap dewlaps dewy dexterously dextrose dharma
+dhoti dhotis diabolic diabolically diacritic diacritical diacritics diadem diadems diagnostician
+diagnosticians diagrammatic dialectal dialectic dialyses dialysis diametrical diaphanous diarist
+diarists diastolic diatom diatoms diatribes dibble dibbled dibbles dibbling dicker dickered
+dickering dickers dickey dickeys dicta dictum didactic diddle diddled diddles diddling diereses
+dieresis dieter dieters dietetic dietetics dietitian dietitians differentials diffidence diffident
+diffidently diffraction diffusely diffuseness digger diggers digitalis digraph digraphs digressive
+dilatory dilettante dilettantes dilettantism dillies dilly dillydallied dillydallies dillydally
+dillydallying dimensionless diminuendo diminuendos diminution diminutions dimmers dimness dimwit
+dimwits dimwitted dinette dinettes ding dinged dinginess dinging dingo dingoes dings dinkier dinkies
+dinkiest dinky dint diocesan diocesans diode diodes diorama dioramas dioxin dioxins dipole dipper
+dippers dipsomania dipsomaniac dipsomaniacs directional directorate directorates directorial
+directorship directorships dirigible dirigibles dirk dirks dirtiness disablement disabuse disabused
+disabuses disabusing disadvantageously disaffection disambiguation disapprobation disarrange
+disarranged disarrangement disarranges disarranging disassemble disassembled disassembles
+disassembling disassociate disassociated disassociates disassociating disbar disbarment disbarred
+disbarring disbars discernment discombobulate discombobulated discombobulates discombobulating
+discomfit discomfited discomfiting discomfits discomfiture discommode discommoded discommodes
+discommoding discompose discomposed discomposes discomposing discomposure disconnectedly
+discontentedly discontentment discontinuance discontinuances discontinuities discontinuous
+discotheque discotheques discountenance discountenanced discountenances discountenancing
+discouragingly discourteously discreditable discriminant discursive discussant discussants
+disdainfully disembodied disembodies disembody disembodying disembowel disembowels disencumber
+disencumbered disencumbering disencumbers disenfranchisement disengagement disengagements
+disentanglement disestablish disestablished disestablishes disestablishing disfranchise
+disfranchised disfranchisement disfranchises disfranchising disgorge disgorged disgorges disgorging
+disgustedly disharmonious disharmony dishcloth dishcloths dishpan dishpans dishrag dishrags
+dishwater disinclination disincline disinclined disinclines disinclining disinformation disinter
+disinterestedly disinterment disinterred disinterring disinters disjointedly disloyally
+dismemberment disobediently disoblige disobliged disobliges disobliging disorderliness disparagement
+dispatcher dispatchers displayable disport disported disporting disports dispossession disproof
+disproportion disproportions disputable disputant disputants disputation disputations disputatious
+disquisition disquisitions disreputably disrobe disrobed disrobes disrobing dissemble dissembled
+dissembles dissembling dissimulate dissimulated dissimulates dissimulating dissimulation dissolutely
+dissoluteness dissonant dissuasion distaff distaffs distemper distension distensions distillate
+distillates distinctiveness distrait distressful distributive disturbingly disunite disunited
+disunites disuniting disunity diuretic diuretics diurnal diurnally diva divan divans divas diversely
+diversionary divination diviners divisibility divisional divisively divisiveness divot divots
+divvied divvies divvy divvying dizzily doable doc docent docents docilely docility dockyard
+dockyards docs doctoral doctrinaire doctrinaires doctrinal docudrama docudramas dodder doddered
+doddering dodders dodger dodgers dodos doff doffed doffing doffs dogcatcher dogcatchers dogfight
+dogfights dogfish dogfishes doggedness doggier doggies doggiest doggy dogie dogies dogmatically
+dogmatism dogmatist dogmatists dogtrot dogtrots dogtrotted dogtrotting doings dolmen dolmens
+dolorous dolt doltish dolts domestically domestication dominantly donned donning doodler doodlers
+dories dormancy dormer dormers dormice dormouse dory dotage dotcom dotcoms doth dotingly dotty
+doublet doublets doubloon doubloons doubter doubters doubtlessly douche douched douches douching
+doughier doughiest doughtier doughtiest doughty doughy dourly dovetail dovetailed dovetailing
+dovetails dowager dowagers dowdily dowdiness dowel dowels downbeat downbeats downloadable downscale
+downstage downswing downswings dowse dowsed dowses dowsing doxologies doxology doyen doyens drably
+drabness drachma drachmas draftee draftees dragnet dragnets dragoon dragooned dragooning dragoons
+drainer drainers drainpipe drainpipes dram drams drawstring drawstrings dray drays dreadnought
+dreadnoughts dreamily dreamland dreamless dreamlike drearily dreariness dredger dredgers dressage
+dressiness dressmaking dribbler dribblers driblet driblets drippings drizzly drolleries drollery
+drollness drolly dromedaries dromedary droopier droopiest droopy droplet droplets dropper droppers
+dropsy drover drovers drub drubbed drubbing drubbings drubs druid druids dryad dryads drywall
+duality dubiety dubiousness ducal ducat ducats duchies duchy duckbill duckbills ductile ductility
+ducting ductless dudgeon duffer duffers duh dukedom dukedoms dulcet dulcimer dulcimers dullard
+dullards dumbly dumbness dumbwaiter dumbwaiters dun dungaree dungarees dunned dunner dunnest dunning
+duns duodena duodenal duodenum duplicator duplicators durably dustbins duster dusters dustiness
+dustless dustman duteous dutiable dwarfish dwarfism dweeb dweebs dyadic dyer dyers dyestuff dynastic
+dyspepsia dyspeptic dyspeptics décolleté dérailleur dérailleurs eaglet eaglets earbud earbuds earful
+earfuls earldom earldoms earliness earthen earthenware earthling earthlings earthward earthwork
+earthworks earwig earwigs easiness easternmost eatable eatables eccentrically ecclesiastic
+ecclesiastics echelon echelons eclectically eclecticism eclectics ecliptic econometric ecotourism
+ecru ecstatically ecumenically edamame edelweiss edginess edgings edibility editable editorially
+educable eeriness efface effaced effacement effaces effacing effectually effectuate effectuated
+effectuates effectuating effeminacy effervesce effervesced effervesces effervescing effete
+efficacious efficaciously efficacy effluent effluents effrontery effulgence effulgent effusion
+effusions effusiveness eggbeater eggbeaters eggnog eglantine eglantines egoist egoistic egoists
+egotistic egotistically egress egresses egret egrets eider eiderdown eiderdowns eiders eigenvalues
+elaborateness elderberries elderberry eldercare electioneer electioneered electioneering
+electioneers electrification electrocardiogram electrocardiograms electrocardiograph
+electrocardiographs electrodynamics electroencephalogram electroencephalograms electroencephalograph
+electroencephalographs electrolyte electrolytes electrolytic electromagnet electromagnetism
+electromagnets electronica electroplate electroplated electroplates electroplating elegiac elegiacs
+elephantine elfish elide elided elides eliding elision elisions elixir elixirs ell elliptically ells
+elocution elocutionist elocutionists elongation elongations elucidation elucidations elusively
+elusiveness emaciation emanation emanations emancipator emancipators emasculate emasculated
+emasculates emasculating emasculation embalmer embalmers embarkation embarkations emblematic
+embolden emboldened emboldening emboldens embolism embolisms embryologist embryologists embryology
+emend emendation emendations emended emending emends emery emetic emetics emo emoji emojis emollient
+emollients emolument emoluments emos emote emoted emotes emoting emotionalism empathetic empirically
+empiricism emplacement emplacements employable emptily ems emu emulsification emulsified emulsifies
+emulsify emulsifying emus encamp encamped encamping encampment encampments encamps encapsulation
+encapsulations encephalitis enchanter enchanters enchantingly enchantress enchantresses encirclement
+encoder encoders encouragingly encroachment encroachments encrust encrustation encrustations
+encrusted encrusting encrusts encrypt encrypts encyclical encyclicals encyclopedic endearingly
+endlessness endocrine endocrines endorser endorsers endue endued endues enduing endurable enervate
+enervated enervates enervating enervation enfeeble enfeebled enfeebles enfeebling enfold enfolded
+enfolding enfolds enforcer enforcers enfranchisement engagingly engorge engorged engorges engorging
+enhancer enigmatically enjoin enjoined enjoining enjoins enlarger enlargers enlistee enlistees
+enmesh enmeshed enmeshes enmeshing ennoble ennobled ennoblement ennobles ennobling ennui
+enormousness enrapture enraptured enraptures enrapturing enshroud enshrouded enshrouding enshrouds
+enslavement ensnare ensnared ensnares ensnaring entente ententes entertainingly enthrone enthroned
+enthronement enthronements enthrones enthroning entomb entombed entombing entombment entombs
+entomological entrenchment entrenchments enumerable enumerations envelopment enviably enviousness
+environmentalism epicure epicurean epicureans epicures epidemiology epidermal epiglottis
+epiglottises epigrammatic episcopacy episcopal episcopate epistemology epistolary epochal epoxied
+epoxies epoxy epoxying equability equable equably equestrienne equestriennes equidistant equinoctial
+equipage equipages equipoise equitably equivocally equivocate equivocated equivocates equivocating
+equivocation equivocations erasures ere erectile erectly erectness erg ergonomics ergs ermine
+ermines erogenous erosive erotica errata erratas erratum ersatz ersatzes eruditely erythrocyte
+erythrocytes escapee escapees escarole escaroles escarpment escarpments eschatology escrow escrows
+escutcheon escutcheons esoterically espadrille espadrilles espied espies esplanade esplanades
+espousal espy espying esquire esquires essayist essayists ester esters estimator estimators eta
+etcher etchers ethereally ethnically ethnicity ethnological ethnologist ethnologists ethnology
+etiologies etymologist etymologists eucalypti eucalyptus eucalyptuses eugenics eulogistic euphony
+euro euros eutectic evanescent evasively evasiveness eventfully eventfulness eventide eventuate
+eventuated eventuates eventuating everglade everglades evildoer evildoers evilly evince evinced
+evinces evincing eviscerate eviscerated eviscerates eviscerating evisceration evocation evocations
+ewer ewers exacerbation exactingly exactitude exactness excavator excavators exceptionable
+exchangeable exchequer exchequers excitability excitation excitingly exclamatory exclusiveness
+exclusivity excoriate excoriated excoriates excoriating excoriation excoriations excrescence
+excrescences excreta excretion excretions excretory exculpate exculpated exculpates exculpating
+execrable execrate execrated execrates execrating executrices executrix exegeses exegesis exemplar
+exemplars exemplification exemplifications exhalation exhalations exhaustible exigencies exigency
+exigent exiguous existentialism existentialist existentialists exoplanet exoplanets exorbitance
+exorbitantly exotically expansively expansiveness expatiate expatiated expatiates expatiating
+expatriation expectorant expectorants expectorate expectorated expectorates expectorating
+expectoration expedience expediences expediently expediter expediters expeditionary expeditious
+expeditiously experimenter experimenters expertness expiate expiated expiates expiating expiation
+explicate explicated explicates explicating explication explications explicitness exploitative
+exploiter exploiters explosively explosiveness exponentiation expository expostulate expostulated
+expostulates expostulating expostulation expostulations expressible expressionism expressionist
+expressionists expressionless expressiveness expunge expunged expunges expunging expurgate
+expurgated expurgates expurgating expurgation expurgations extemporaneously extempore extendable
+extensional extensiveness extenuate extenuated extenuates extenuating extenuation extinguishable
+extirpate extirpated extirpates extirpating extirpation extortionist extortionists extractor
+extractors extramarital extraneously extrasensory extravaganza extravaganzas extrication extrinsic
+extrinsically extroversion extrude extruded extrudes extruding extrusion extrusions exuberantly
+exultantly eyeful eyefuls eyelet eyelets eyepiece eyepieces eyestrain eyeteeth eyetooth fa fabled
+fabulously facetiousness facially facilitation facings factional factionalism factitious factotum
+factotums faddish fain fainer fainest fainthearted faintness fairway fairways fairyland fairylands
+faithlessly faithlessness faker fakers fakir fakirs falconer falconers falconry fallaciously
+fallibility fallibly falloff falloffs fallow fallowed fallowing fallows falseness falsifiable
+falteringly familial fanboy fanboys fanciers fancifully fancily fanciness fandom fanzine farina
+farinaceous farmhand farmhands farrow farrowed farrowing farrows farsightedness farthing farthings
+fashionista fashionistas fastidiously fastidiousness fastness fastnesses fatalist fatalists
+fatefully fathead fatheads fatherless fathomable fathomless fatness fatuously fatuousness
+faultfinding faultily faultiness faultlessly faun fauns fealty fearfulness feasibly featherbedding
+featherweight featherweights featureless febrile feckless fecund fecundity federally fedora fedoras
+feebleness feebly feelingly feldspar felicities felicitous felicity fellatio felonious femoral femur
+femurs fencer fencers fennel fens feral ferociousness ferric ferrous ferrule ferrules ferryboat
+ferryboats fervency fervid fervidly festal festively feta fetchingly fetishism fetishist fetishistic
+fetishists fetlock fetlocks fettle feudalistic fevered fey fibroid fibula fibulae fiches fickleness
+fiddlesticks fiduciaries fiduciary fie fief fiefs fielder fielders fieriness fife fifes figurine
+figurines filamentous filbert filberts filial filings fillers fillip filliped filliping fillips
+filmstrip filmstrips filterable filthiness filtrate filtrated filtrates filtrating filtration
+finagler finaglers fineness finery fingerboard fingerboards fingerings finis finises finisher
+finishers finitely fink finked finking finks finny fireball fireballs firebomb firebombed
+firebombing firebombs firebreak firebreaks firebug firebugs firefight firefighting firefights
+firehouse firehouses fireplug fireplugs firepower firestorm firestorms firetrap firetraps firewater
+firmament firmaments firstborn firstborns firth firths fiscally fishers fishhook fishhooks fishwife
+fishwives fistful fistfuls fisticuffs fitfully fitly fitters fittingly fixate fixated fixates
+fixating fixative fixatives fixedly fixer fixers fixings fixity flabbiness flack flacks flagella
+flagellate flagellated flagellates flagellating flagellation flagellum flagon flagons flagstaff
+flagstaffs flakiness flambeing flambes flambé flambéed flamethrower flamethrowers flammability flan
+flange flanges flannelette flapper flappers flashbulb flashbulbs flashgun flashguns flashily
+flashiness flatbed flatbeds flatboat flatboats flatcar flatcars flatfeet flatfish flatfishes
+flatfoot flatfooted flatfoots flatiron flatirons flatteringly flattop flattops flatulent flatware
+flax flaxen flay flayed flaying flays fleetingly fleetness fleshlier fleshliest fleshly
+flibbertigibbet flibbertigibbets flightiness flimflam flimflammed flimflamming flimflams flimsily
+flintier flintiest flintlock flintlocks flinty flippancy flippantly flirtatiously floater floaters
+floe floes floorboard floorboards floppiness floridly florin florins flotation flotations flotsam
+floury floweriness fluffiness fluidly flukier flukiest fluky flume flumes flummox flummoxed
+flummoxes flummoxing fluoresce fluoresced fluorescence fluoresces fluorescing fluoridate fluoridated
+fluoridates fluoridating fluoridation fluorine fluorite fluorocarbon fluorocarbons fluoroscope
+fluoroscopes fluttery flyby flybys flycatcher flycatchers flyleaf flyleaves flypaper flypapers
+flysheet flyspeck flyspecked flyspecking flyspecks flyweight flyweights flywheel flywheels fob
+fobbed fobbing fobs fogginess foldaway folio folios fomentation fondant fondants fondue fondues
+fooleries foolery foolhardiness foolscap footballer footballers footfall footfalls footman footmen
+footrest footrests footsore fop foppish fops forager foragers forbiddingly forcefulness forebear
+forebears forecaster forecasters forecastle forecastles forefeet forefoot foreknowledge forelock
+forelocks foremast foremasts forename forenames forenoon forenoons foreordain foreordained
+foreordaining foreordains foresail foresails foreshorten foreshortened foreshortening foreshortens
+forestation forester foresters forevermore forewoman forewomen forfeiture forgetfully forgettable
+forlornly formalism formlessly formlessness formulaic forsooth forsythia forsythias forthrightly
+forthrightness fortissimo fortnights fortuitously forwardness foully foulness fountainhead
+fountainheads fourfold fourscore foursome foursomes foursquare foxglove foxgloves foxhound foxhounds
+frack fracked fracking fracks fractals fractiously fragrantly framer framers franchisee franchisees
+franchiser franchisers frankincense frappes frappé fraternally fratricide fratricides fraudulence
+frazzle frazzled frazzles frazzling freakier freakiest freakish freaky freebase freebased freebases
+freebasing freebooter freebooters freedman freedmen freehold freeholder freeholders freeholds
+freeman freemen freestanding freestyle freestyles freewill frenetically frenziedly fresco frescoes
+freshet freshets fretfulness fretwork friable fricassee fricasseed fricasseeing fricassees frigidly
+fripperies frippery friskily friskiness frizzle frizzled frizzles frizzling frogman frogmen
+frolicsome frontally frontiersman frontiersmen frontispiece frontispieces frostily frostiness
+frowzier frowziest frowzy fructified fructifies fructify fructifying fructose fruitfully
+fruitfulness fruitlessness frump frumps fryer fryers fuchsia fuchsias fuddle fuddled fuddles
+fuddling fugue fugues fullback fullbacks fulminate fulminated fulminates fulminating fulmination
+fulminations fulsome fumbler fumblers fumigator fumigators functionaries functionary funereal
+funereally fungicidal fungous funicular funiculars funniness furbelow furbish furbished furbishes
+furbishing furriers furtherance furthermost furze fusible fusillade fusillades fusions fussbudget
+fussbudgets fussily fussiness fustian fustier fustiest fusty futon futons futurities futurity futz
+futzed futzes futzing fuzzily fuzziness gabardine gabardines gabble gabbled gabbles gabbling
+gaberdine gaberdines gabled gad gadabout gadabouts gadded gadding gadflies gadfly gadgetry gads gaff
+gaffed gaffing gaffs gainfully gainsaid gainsay gainsaying gainsays gaiter gaiters galena galleon
+galleons gallium gallstone gallstones galvanic galvanometer galvanometers gambol gambols gamecock
+gamecocks gamekeeper gamekeepers gamely gameness gamesmanship gamete gametes gamier gamiest gamin
+gamine gamines gamins gammas gamy ganglia ganglion gangrenous gannet gannets gantlet gantlets
+gantries gantry garbageman garbanzo garbanzos garishly garishness garlicky garner garnered garnering
+garners garnishee garnisheed garnisheeing garnishees garrote garroted garrotes garroting garrulity
+garrulously garrulousness gaslight gaslights gasohol gastritis gastrointestinal gastronomical
+gastronomy gatepost gateposts gatherer gatherers gaucho gauchos gaudily gaudiness gauntness gauzier
+gauziest gauzy gavotte gavottes gawkily gawkiness gayness gazer gazers gazetteer gazetteers
+gazillion gazillions gazpacho gearbox gearboxes gearwheel gearwheels gecko geckos gelatinous gelid
+gemstone gemstones gendarme gendarmes generalissimo generalissimos generalities generative geniality
+genitive genitives genome genomes gentian gentians gentlefolk gentlemanly gentlewoman gentlewomen
+gentrified gentrifies gentrify gentrifying genuflection genuflections geocache geocached geocaches
+geocaching geocentric geode geodes geodesic geodesics geoengineering geologically geometer
+geometrical geophysical geophysics geopolitical geopolitics geostationary geothermal germane
+germanium germicidal germinal gerontologist gerontologists gerontology gestate gestated gestates
+gestating gesticulation gesticulations gesundheit gewgaw gewgaws ghastliness gherkin gherkins
+ghostliness ghostwrite ghostwrites ghostwriting ghostwritten ghostwrote giantess giantesses gibbet
+gibbeted gibbeting gibbets gibbon gibbons giddily gigabit gigabits gigahertz gigapixel gigapixels
+giggler gigglers gigglier giggliest giggly gigolo gigolos gimcrack gimcracks gimlet gimleted
+gimleting gimlets gimmickry gimpy gingersnap gingersnaps gingivitis ginkgo ginkgoes ginseng gird
+girded girding girds girlishly girt girted girting girts glacially gladiatorial gladiola gladiolas
+gladioli gladiolus gladness glaringly glassful glassfuls glaucoma glazier glaziers glibness
+glimmerings glissandi glissando glittery gloaming gloamings glockenspiel glockenspiels glop
+glossiness glottis glottises gluey gluier gluiest glumness gluten glutinous gluttonous gluttonously
+glycerol glycogen glyph gneiss gnomish goaltender goaltenders goatherd goatherds goatskin goatskins
+gobbler gobblers goddaughter goddaughters godhood godliness godson godsons goggled goggling
+goldbrick goldbricked goldbricking goldbricks goldenrod goldfinch goldfinches gonad gonads gondolier
+gondoliers goober goobers goodbyes goodlier goodliest goodly google googled googles googling gook
+gooks goop gooseberries gooseberry goriness gorse gossipy gouger gougers gourmand gourmands goutier
+goutiest gouty governable governance gracelessly gracelessness grackle grackles grafter grafters
+grail grammarian grammarians granaries granary grandee grandees grandiloquence grandiloquent
+grandness grange granges granularity granulation graphologist graphologists graphology grapnel
+grapnels gratefulness gravelly graybeard graybeards greasepaint greasiness grebe grebes greengrocer
+greengrocers greenness greensward gregariously gregariousness grenadier grenadiers griddlecake
+griddlecakes grievously griffin griffins grimness grippe grist gristly grog groggily grogginess
+grommet grommets grosbeak grosbeaks grossness grotesquely grouchiness groundbreaking groundbreakings
+grounder grounders grout grouted grouting grouts grownup grownups grubbiness grubstake grudgingly
+gruesomely gruffness grumbler grumblers grumpily grumpiness guano guardhouse guardhouses
+guardianship guardroom guardrooms guardsman guardsmen guava guavas guesser guessers guilder guilders
+guileful guiltiness guineas gulag gulags gunfight gunfights gunnery gunny gunslinger gunslingers
+gunsmith gunsmiths gunwale gunwales gurney gurneys gusset gusseted gusseting gussets gustatory
+gutless guttersnipe guttersnipes gymnastic gymnosperm gymnosperms gypsum gyro gyros haberdasher
+haberdashers habitability habituate habituated habituates habituating habituation habitué habitués
+hacienda haciendas hackle hackles hacktivist hacktivists hafnium haft hafts haggler hagglers haiku
+hailstorm hailstorms hairbreadth hairbreadths hairdressing hairiness hairless hairpin hairpins
+hairsbreadth hairsbreadths hairspring hairsprings hake hakes halberd halberds halcyon halfback
+halfbacks halfheartedness halfpence halfpennies halfpenny halitosis hallucinatory hallucinogen
+hallucinogens halogen halogens haltingly halyard halyards hammerhead hammerheads handball handballs
+handbill handbills handcar handcars handcart handcarts handcraft handcrafted handcrafting handcrafts
+handheld handhelds handicapper handicappers handily handiness handmaid handmaiden handmaidens
+handmaids handset handsets handshaking handsomeness handspring handsprings handwork hangdog hangman
+hangmen hangnail hangnails hank hanks hansom hansoms happenstance happenstances harbinger harbingers
+hardbacks hardener hardeners hardheadedly hardheadedness hardheartedly hardheartedness hardily
+hardiness hardness hardtack hardtop hardtops harlequin harlequins harmfulness harmlessness
+harmonically harmonics harmoniousness harpies harpy harridan harridans hashtag hashtags hasp hasps
+hassock hassocks hastiness hatcheries hatchery hatchway hatchways hatefulness hater haters hath
+hatter hatters hauler haulers hauntingly hauteur haversack haversacks haw hawed hawing hawker
+hawkers hawkish haws hawser hawsers hawthorn hawthorns haycock haycocks hayloft haylofts haymow
+haymows hayseed hayseeds hazily haziness hazmat headboard headboards headdress headdresses headless
+headlock headlocks headset headsets headwaiter headwaiters headwaters headword headwords healthfully
+healthfulness healthiness hearer hearers hearken hearkened hearkening hearkens heartiness
+heartlessly heartlessness heartrending heartsick heartstrings heathenish heaths heatstroke
+heavenward heavenwards heavyset hectare hectares hectically hector hectored hectoring hectors
+hedgerow hedgerows heedful heedlessly heedlessness heehaw heehawed heehawing heehaws heft hefted
+hefting hefts hegemony heinously heinousness helical helices heliotrope heliotropes helix hellebore
+hellhole hellholes hellion hellions hellishly helmsman helmsmen helot helots helpline helplines
+helpmate helpmates hemispheric hemispherical hempen hemstitch hemstitched hemstitches hemstitching
+henceforward henna hennaed hennaing hennas henpeck henpecked henpecking henpecks hep hepatic hepper
+heppest heptagon heptagons heraldic heraldry herbaceous herbage herbalist herbalists herbicide
+herbicides herculean herder herders herdsman herdsmen hereabout hereof hereto heretofore hereupon
+hermaphrodites hermaphroditic hermetically hermitage hermitages heroics herringbone hesitatingly
+heterodox heterodoxy heterogeneity heuristics hewer hewers hex hexameter hexameters hexed hexes
+hexing hibachi hibachis hibiscus hibiscuses hiccough hiccoughed hiccoughing hiccoughs hidebound
+hideousness hie hied hieing hierarchically hies highball highballs highborn highboy highboys
+highchair highchairs highfalutin highness hightail hightailed hightailing hightails highwayman
+highwaymen hillock hillocks hindmost hireling hirelings hirsute histamine histamines histograms
+hitter hitters hoagie hoagies hoarfrost hoarier hoariest hoariness hoary hoaxer hoaxers hob hobbyist
+hobbyists hobnail hobnailed hobnailing hobnails hobs hockshop hockshops hod hods hoedown hoedowns
+hogan hogans hoggish hogshead hogsheads hogwash hokum holdout holdouts hollowly hollowness hollyhock
+hollyhocks holograph holographic holographs holography homburg homburgs homebodies homebody homeboy
+homeboys homegrown homeliness homepage homepages homesteader homesteaders homestretch homestretches
+homewards homewrecker homewreckers homeyness homilies homily hominy homogeneously homograph
+homographs homophobia homophone homophones honeybee honeybees honeydew honeydews honeymooner
+honeymooners honorarium honorariums honorific honorifics hooch hoodie hoodies hoodoo hoodooed
+hoodooing hoodoos hooey hookah hookahs hookup hookups hookworm hookworms hooky hooliganism hoopla
+hooters hoppers hormonal hornless hornpipe hornpipes horology horridly horseflies horsefly horsehair
+horsehide horsemanship horsemen horsetail horsetails horsewhip horsewhipped horsewhipping horsewhips
+horsewoman horsewomen horsey horsier horsiest horticulturist horticulturists hos hosanna hosannas
+hospitably hosteler hostelers hostelries hostelry hostilely hostler hostlers hotelier hoteliers
+hotheadedly hotheadedness hothouse hothouses hotkey hotkeys hotness houseclean housecleaned
+housecleaning housecleans housecoat housecoats houseflies housefly householder householders
+housemaid housemaids housemother housemothers houseplant houseplants housetop housetops hovercraft
+howdah howdahs howitzer howitzers howler howlers howsoever hubbies hubby hubris huckleberries
+huckleberry huckster huckstered huckstering hucksters huffily hugeness hula hulas humaneness
+humanistic humanness humanoid humanoids humbleness humbugged humbugging humbugs humdinger humdingers
+humeri humerus humidifier humidifiers humidor humidors hummock hummocks hummus humongous humpback
+humpbacked humpbacks humus hunchbacked hundredfold hundredweight hundredweights hungover huntress
+huntresses huntsman huntsmen hurler hurlers husbandry husker huskers hussar hussars hussies hussy
+hustings hydra hydrangea hydrangeas hydras hydrate hydrated hydrates hydrating hydraulically
+hydrocarbon hydrocarbons hydroelectricity hydrofoil hydrofoils hydrogenate hydrogenated hydrogenates
+hydrogenating hydrology hydrolysis hydrometer hydrometers hydrophobia hydroponic hydroponics
+hydrosphere hydrotherapy hygienist hygienists hygrometer hygrometers hying hymen hymens hyperbola
+hyperbolas hyperbolic hypercritical hypercritically hyperlink hyperlinked hyperlinking hyperlinks
+hypermarket hypersensitivities hypersensitivity hyperspace hypertext hyperventilation hyphenations
+hypnoses hypnotically hypo hypoallergenic hypoglycemia hypoglycemic hypoglycemics hypos hypothalami
+hypothalamus hysteresis iamb iambic iambics iambs ibex ibexes ibis ibises ibuprofen icebound icecap
+icecaps icily iciness iconoclast iconoclastic iconoclasts idealistically ideogram ideograms
+ideograph ideographs ideologist ideologists ides idiomatically idlers idolater idolaters ids idyll
+idylls igneous ignoble ignobly ignominies ignominious ignominiously ignominy ignoramus ignoramuses
+ignorantly ilks illegalities illegality illegibility illegitimately illiberal illicitly illicitness
+illumine illumined illumines illumining illusive imaginably imam imams imbecilic imbecilities
+imbecility imbroglio imbroglios immaculateness immanence immanent immaturely immemorial immersive
+imminence immoderate immoderately immodest immodestly immodesty immolate immolated immolates
+immolating immolation immortally immovably immunology immure immured immures immuring immutability
+immutably impala impalas impalement impalpable impassively impassivity impeccability impecunious
+impecuniousness impedimenta impenetrability impenetrably impenitence impenitent imperatively
+imperialistic imperially imperious imperiously imperiousness imperishable impermanence impermanent
+impermeable impermissible impertinently imperturbability imperturbable imperturbably impetigo
+impetuosity impieties impiety impingement impious impiously impishly impishness implacability
+implacably implantation implausibilities implausibility implausibly implosion implosions
+impoliteness impolitenesses impolitic imponderable imponderables importunate importune importuned
+importunes importuning importunity imposingly imposture impostures impotently impoverishment
+impracticable impracticably impracticality imprecation imprecations imprecisely imprecision
+impregnability impregnably impregnation impresario impresarios impressionism impressionist
+impressionists impressiveness imprimatur imprimaturs improvable improvidence improvident
+improvidently imprudence imprudent impudently impugn impugned impugning impugns impulsion impurely
+imputation imputations impute imputed imputes imputing inaccurately inadvertence inamorata
+inamoratas inanely inanities inanity inappropriately inapt inarticulately inboard inboards inbound
+inbox inboxes incalculably incapability incautious inchoate incipient incise incised incises
+incising incisively incisiveness incivilities incivility inclemency inclement inclusively
+incombustible incommensurate incommunicado incomparably incompleteness incomprehensibly
+inconceivably incongruously inconsequentially inconsiderately inconsiderateness inconspicuousness
+inconstancy inconstant incontestable incontestably incontrovertible incontrovertibly incorporeal
+incorrectness incorrigibility incorrigibly incorruptibility incorruptible incredibility
+incredulously incriminatory incrustation incrustations incubus incubuses inculcate inculcated
+inculcates inculcating inculcation inculpate inculpated inculpates inculpating incumbencies
+incumbency incurious incursion incursions indecipherable indecisiveness indecorous indefatigable
+indefatigably indefensibly indelicacies indelicacy indelicately indemnification indemnifications
+indenture indentured indentures indenturing indestructibly indeterminable indeterminacy
+indeterminately indictable indigence indiscernible indiscreetly indispensably indisposition
+indispositions indisputably indissoluble indistinctness indivisibility indivisibly indolently
+indomitably indubitable indubitably inductance inductee inductees inductive indulgently
+industrialism industrially industriously industriousness ineducable ineffable ineffably
+ineffectively ineffectually inelastic inelegance inelegantly ineluctable ineluctably ineptly
+ineptness inequitable inertly inertness inescapably inestimable inestimably inexcusably
+inexhaustibly inexpedient inexpert inexpressible inextinguishable inextricable infallibly infamously
+infanticide infanticides infantryman infantrymen infarction infectiously infectiousness infelicitous
+inferential infernal infighting infinitesimally infinitude inflect inflected inflecting inflectional
+inflects inflorescence inflow influentially infotainment infrequency ingenuous ingenuously
+ingenuousness ingestion inglorious ingot ingots ingrate ingrates ingratiatingly ingress ingresses
+ingrown ingénue ingénues inhabitable inhalant inhalants inhalator inhalators inhere inhered inheres
+inhering inheritor inheritors inhumanely inhumanly inimical inimically inimitable inimitably
+iniquities iniquitous iniquity injector injectors injudicious inkblot inkblots inkiness inkwell
+inkwells inline inmost innately innocuously inoffensively inoperable inquietude inquirer inquirers
+inquiringly inquisitively inquisitiveness inquisitor inquisitors insatiably inscrutably inseam
+inseams insectivore insectivores insectivorous insecurely inseminate inseminated inseminates
+inseminating insensate insensibility insensible insensibly insentience insentient inseparability
+inseparably inset insets insetting inshore insidiously insidiousness insightful insole insolently
+insoles insolubility insolvable insouciance insouciant instigator instigators instructional
+instrumentalist instrumentalists instrumentality instrumentation insufferably insuperable
+insupportable insurgence insurgences insurrectionist insurrectionists intaglio intaglios intangibly
+integrator integument integuments intellectualism intelligentsia intelligibility intemperance
+intemperate intensification intentness interbred interbreed interbreeding interbreeds interceptor
+interceptors intercession intercessions intercessor intercessors intercollegiate interconnection
+interconnections interdenominational interdepartmental interdict interdicted interdicting
+interdiction interdicts interdisciplinary interfaith interferon intergalactic interlace interlaced
+interlaces interlacing interlard interlarded interlarding interlards interleave interleaved
+interleaves interleaving interleukin interlink interlinked interlinking interlinks interlocutory
+intermezzi intermezzo intermezzos internationalism internecine internee internees interoffice
+interpolate interpolated interpolates interpolating interpolations interposition interpretative
+interpretive interrelation interrelations interrelationship interrelationships interrogative
+interrogatives interrogatories interrogatory interscholastic interstice interstices interurban
+interviewee interviewees intone intoned intones intoning intoxicant intoxicants intractability
+intranet intranets intransigence intransigent intransigents intravenously intrepidly intriguingly
+intros introspection introversion intuit intuited intuiting intuits inure inured inures inuring
+invalidation invalidity inveigh inveighed inveighing inveighs inveigle inveigled inveigles
+inveigling inventiveness investiture investitures invidious invidiously invigoration invincibility
+invincibly inviolability inviolable inviolate invitational invitationals invitingly invulnerability
+invulnerably ionizer ionizers ionosphere ionospheres ipecac ipecacs irascibility irately irateness
+iridium irksome ironclad ironclads ironical ironware ironwork irradiation irrecoverable irredeemable
+irregardless irrelevancies irrelevancy irrelevantly irreligious irremediable irremediably irresolute
+irresolutely irresolution irreversibly irritatingly irruption irruptions isinglass islet islets ism
+isms isobar isobars isolationism isolationist isolationists isometric isometrics isomorphic
+isosceles isotope isotopes isotopic isotropic issuance iterated iterates iterating iterator
+iterators jabberer jabberers jabot jabots jackboot jackboots jackdaws jackrabbit jackrabbits jag
+jaggedly jaggedness jags jailbreak jailbreaks jalapeño jalapeños jalousie jalousies janitorial japan
+japanned japanning japans jape japed japes japing jardinière jardinières jasmine jasmines jasper
+jauntiness jawbreaker jawbreakers jeep jeeps jeeringly jejune jellybean jellybeans jeremiad
+jeremiads jerkin jerkins jerkwater jetsam jib jibbed jibbing jibs jihad jihadist jihadists jihads
+jimmied jimmies jimmy jimmying jingoism jingoist jingoistic jingoists jinn jinni jinrikisha
+jinrikishas jitney jitneys jitterbug jitterbugged jitterbugging jitterbugs jobber jobbers jocose
+jocosely jocosity jocularly jocund jocundity jocundly jodhpurs joggle joggled joggles joggling
+joiner joiners joist joists jokingly jolliness jollity jonquil jonquils josh joshed joshes joshing
+jottings joule joules jounce jounced jounces jouncing journalese journalistic journeyman journeymen
+joust jousted jousting jousts joviality joyless joyousness jubilantly judgeship judicature
+judiciousness juggernauts juicer juicers juicily juiciness jujitsu jujube jujubes julep juleps
+julienne jumpiness junco juncos junker junkers junkier junkiest juridical jurisdictional
+jurisprudence jurist jurists justness khz kaboom kale kaleidoscopic kamikaze kamikazes kaolin kapok
+karakul karaoke karaokes katydid katydids kazoo kazoos kebab kebabs kenned kenning kens keratin
+kestrel kestrels ketch ketches kettledrum kettledrums keybinding keybindings keyboarder keyboarders
+keypunch keypunched keypunches keypunching khan khans kibbutz kibbutzim kibitz kibitzed kibitzer
+kibitzers kibitzes kibitzing kibosh kicker kickers kickier kickiest kickstand kickstands kicky
+kidder kidders kielbasa kielbasas killdeer killdeers killjoy killjoys kilocycle kilocycles kilohertz
+kiloton kilotons kilter kindliness kinematic kinematics kinetic kinfolks kinglier kingliest kingly
+kingship kinsman kinsmen kinswoman kinswomen kippered kippering kippers kismet kisser kissers
+kitchenware kith kitsch kitschy kittenish kleptomania knave knavery knaves knavish kneader kneaders
+knell knelled knelling knells knightly knitter knitters knitwear knockwurst knockwursts knothole
+knotholes knowable knucklehead knuckleheads kohlrabi kohlrabies kook kookaburra kookaburras kookier
+kookiest kookiness kooks kooky kopeck kopecks krone kroner kronor krypton króna krónur kudzu kudzus
+kumquat kumquats la labia labial labials labium laburnum laburnums labyrinthine lachrymal lachrymose
+lackadaisical lackadaisically lackey lackeys laconic laconically lactate lactated lactates lactating
+lactation lactic lactose lacuna lacunae laddie laddies ladings ladybird ladybirds ladyfinger
+ladyfingers ladyship lagers lagniappe lagniappes laity lam lama lamas lamaseries lamasery lambaste
+lambasted lambastes lambasting lambent lambkin lambkins lambskin lambskins lamebrain lamebrains
+lamely lameness lamentably lamination lammed lamming lampblack lamppost lampposts lamprey lampreys
+lams lancer lancers lancet lancets landfall landfalls landholder landholders landline landlines
+landlubber landlubbers landmass landmasses landscaper landscapers landward landwards languidly
+languorously lank lanker lankest lankiness lanolin lanyard lanyards lapidaries lapidary lapwing
+lapwings larboard larboards larcenous larch larches larder larders largeness largess largo largos
+lariat lariats larkspur larkspurs larval lasciviously lasciviousness lassie lassies lassitude
+lastingly latecomer latecomers latency lateness laterally latitudinal lats latte latterly lattes
+latticed latticework latticeworks laudably laudanum laudatory laughably laughingly launderer
+launderers laundress laundresses laundryman laundrymen lavishly lavishness lawbreaker lawbreakers
+lawfully lawfulness lawgiver lawgivers lawlessly lawrencium laxly laxness layette layettes laypeople
+layperson laypersons laywoman laywomen laze lazed lazes lazing lazybones lea leached leaches
+leaching leafless leanness learner learners leas leasehold leaseholder leaseholders leaseholds
+leastwise leatherneck leathernecks leathers leaven leavened leavening leavens leavings lecher
+lecherously lechers lechery lecithin lees leeward leewards lefties leftism leftist leftists
+leftwards lefty legalese legalism legalisms legate legatee legatees legates legation legations
+legato legatos legerdemain legionnaire legionnaires legless legman legmen legroom legrooms
+leguminous legwork lei leis leitmotif leitmotifs lemma lemmas lemming lemmings lemony lemur lemurs
+lengthily leonine leprechaun leprechauns lessee lessees lessor lessors lethargically letterbox
+leukocyte leukocytes levelheadedness levelness leviathan leviathans lewdly lewdness lexicographer
+lexicographers lexicography libation libations liberality liberator liberators libertarians
+libertine libertines libidinous librettist librettists librettos licensee licensees licentiate
+licentiates licentious licentiously licentiousness licit lidded lief liefer liefest liege lieges
+lieutenancy lifeblood lifer lifers lifesaving lifespans lifework lifeworks ligatured ligaturing
+lightheaded lightheartedly lightheartedness lignite limbless limeade limeades limier limiest limn
+limned limning limns limpet limpets limpid limpidity limpidly limply limpness limy linage linden
+lindens lineal lineally lineament lineaments linebacker linebackers lineman linemen linesman
+linesmen lingerer lingerers lingeringly lingerings lingual linkup linkups linnet linnets linseed
+lintel lintels lionhearted lipid lipids liposuction lipread lipreading lipreads liquefaction
+liquidator liquidators liquidity lira lire lisle listlessness litchi litchis literati lithograph
+lithographed lithographer lithographers lithographic lithographing lithographs lithography
+lithosphere lithospheres litigant litigants litigious litigiousness litmus littleness littoral
+littorals livability livelong livelongs liveried liveries liverwurst livery lividly llano llanos lo
+loaders loamier loamiest loamy loaner loaners loanword loanwords loathsomeness lobed lobotomies
+locavore locavores loci lockable lockjaw lockout lockouts lockstep lockup lockups loco locoweed
+locoweeds locus locution locutions lode lodes lodestar lodestars lodestone lodestones loftily
+loganberries loganberry logarithms loge loges loggerhead loggerheads loggers logicians login logins
+logistic logistically logoff logoffs logon logons logotype logotypes logout logouts logrolling
+lolcat lolcats lollygag lollygagged lollygagging lollygags longboat longboats longhair longhairs
+longhorn longhorns longitudinally loofah lookup loopier loopiest loopy looseness lopsidedly
+lopsidedness loquacious loquacity lordlier lordliest lordly lordship lordships lorgnette lorgnettes
+lorn lotto lousiness lout loutish louts lovebird lovebirds loveless lovelorn lovemaking lowish
+lowland lowlands lowliness lowness lox loyalist loyalists luau luaus lubber lubbers lube lubed lubes
+lubing lubricator lubricators lucidness luckiness luckless lucratively lucre ludicrousness
+lugubriously lugubriousness lumbago lumbar lumberman lumbermen luminescence luminescent luminosity
+luminously lummox lummoxes lumpiness lumpish luncheonette luncheonettes lunchroom lunchrooms lupus
+luridness lusciously lusciousness lushness lustful lustfully lustily lustiness luxuriance
+luxuriantly luxuriousness lyceum lyceums lymphoma lymphomas lynx lynxes lyrically macadam macaroon
+macaroons macaw macaws macerate macerated macerates macerating maceration machination machinations
+machismo mackinaw mackinaws mackintosh mackintoshes macramé macrobiotic macrobiotics macron macrons
+madders mademoiselle mademoiselles madras madrasa madrasah madrasahs madrasas madrases madrassa
+madrassas madrigal madrigals madwoman madwomen maestro maestros magisterial magisterially magma
+magnesia magnetically magneto magnetos magnetosphere magnifier magnifiers magnums maharajah
+maharajahs maharani maharanis maharishi maharishis mahatma mahatmas maidenhair maidenhead
+maidenheads maidenhood maidenly maidservant maidservants mailer mailers mainlined mainlines
+mainlining mainmast mainmasts mainsail mainsails mainspring mainsprings majorette majorettes makings
+maladjustment maladroit malapropism malapropisms malarial malarkey malcontent malcontents
+malediction maledictions malefactor malefactors maleness malevolently malfeasance malformation
+malformations malignantly malignity malinger malingered malingerer malingerers malingering malingers
+malleability mallow mallows malodorous malteds maltreatment malware mambo mamboed mamboing mambos
+mammalians mammary mammogram mammograms mammography mammon manageability manatee manatees mandrake
+mandrakes mandrill mandrills manful manfully manga manganese manikin manikins manipulator
+manipulators manna mannered mannerly mannishly mannishness manorial manqué mansard mansards manse
+manservant manses mantilla mantillas mantis mantises mantissa manumit manumits manumitted
+manumitting manège marabou marabous maraca maracas marathoner marathoners maraud marauded marauder
+marauders marauding marauds marchers marchioness marchionesses margarita margaritas marginalia
+mariachi mariachis marimba marimbas marjoram marksmanship marlin marlins marmoset marmosets marmot
+marmots marquess marquesses marquetry marquis marquise marquises marriageable marten martens
+martinet martinets martini martinis martins marzipan masher mashers mashup mashups masonic masque
+masquerader masqueraders masques massiveness mastectomies mastectomy masterfully masterstroke
+masterstrokes masterwork masterworks masthead mastheads mastication mastiff mastiffs mastodon
+mastodons mastoid mastoids materialistically materially maternally matins matricide matricides
+mattock mattocks maturation maturely matzo matzoh matzohs matzos matzot matzoth matériel maunder
+maundered maundering maunders maven mavens maw mawkishly maws maxilla maxillae maxillary maximally
+mayflies mayflower mayflowers mayfly mayoral mayoralty maypole maypoles mazurka mazurkas mead
+meadowlark meadowlarks meagerly meagerness meanly meanness measurably measureless mechanistic medial
+medic medicinally medics meditative meditatively medulla medullas megachurch megachurches megacycle
+megacycles megahertz megalith megaliths megalopolis megalopolises megapixel megapixels meh
+melancholia melancholic melancholics melange melanges melanin melanoma melanomas mellifluous
+mellifluously mellowness melodically melodiously melodiousness melodramatically membranous meme
+memes menacingly menage menages mendacious mendacity mender menders mendicant mendicants menfolk
+menhaden menially menopausal menservants menses menswear mentholated merchantman merchantmen
+mercurial mercuric meretricious merganser mergansers merino merinos meritocracies meritocracy
+meritorious meritoriously merman mermen merriness merrymaker merrymakers merrymaking mesa mesas
+mescal mescaline mescals mesdemoiselles mesmerism mesquite mesquites messiah messiahs messieurs
+messily messiness mestizo mestizos metacarpal metacarpals metacarpi metacarpus metallurgical
+metamorphic metamorphism metamorphosed metamorphosing metastases metastasis metatarsal metatarsals
+meteoroid meteoroids methanol methinks methought meticulousness metrical metrically metrication
+metrics metronome metronomes mettlesome mewl mewled mewling mewls miasma miasmas mica
+microaggression microaggressions microbiologist microbiologists microeconomics microloan microloans
+micron microns microscopically microscopy microsurgery mid middies middlebrow middlebrows
+middleweight middleweights middling middy midge midges midland midlands midmost midpoint midpoints
+midshipman midshipmen midtown midwiferies midwifery midyear midyears mightily mightiness mil milch
+milepost mileposts miler milers milf milfs militantly militarist militaristic militarists militiaman
+militiamen milkiness milkmaid milkmaids milkshake milkshakes milksop milksops milkweed milkweeds
+millage millennial millet millipede millipedes millrace millraces millstone millstones milquetoast
+milquetoasts mils mimeograph mimeographed mimeographing mimeographs mimetic mimosa mimosas minaret
+minarets minatory mindfully mindfulness mindlessness mineralogist mineralogists mineralogy
+minestrone minesweeper minesweepers miniaturist miniaturists minibike minibikes minicam minicams
+minicomputers minim minima minimalists minims ministrant ministrants ministration ministrations
+minster minuend minuends minutely minuteman minutemen minuteness minutia minutiae minx minxes
+mirthful mirthfully mirthless misalignment misalliance misalliances misanthrope misanthropes
+misanthropic misanthropist misanthropists misanthropy misapplication misapplied misapplies misapply
+misapplying misapprehend misapprehended misapprehending misapprehends misapprehensions misbegotten
+miscall miscalled miscalling miscalls miscast miscasting miscasts miscegenation miscellanies
+mischance mischances mischievousness miscommunication misconceive misconceived misconceives
+misconceiving misconstruction misconstructions miscount miscounted miscounting miscounts miscreant
+miscreants miscue miscued miscues miscuing misdeal misdealing misdeals misdealt misdiagnose
+misdiagnosed misdiagnoses misdiagnosing misdiagnosis misdid misdo misdoes misdoing misdoings misdone
+miserliness misfeasance misfire misfired misfires misfiring misgovern misgoverned misgoverning
+misgoverns misguidedly mishandle mishandled mishandles mishandling mishmash mishmashes misidentified
+misidentifies misidentify misidentifying misogynistic misplay misplayed misplaying misplays
+misquotation misquotations misrule misruled misrules misruling missal missals missilery misstate
+misstated misstatement misstatements misstates misstating mistily mistime mistimed mistimes
+mistiming mistiness mistranslated mistrustful mistypes mitosis mizzen mizzenmast mizzenmasts mizzens
+mkay mobster mobsters mocha mochas mocker mockers mockingly modernism modernist modernistic
+modernists modifiable modish modishly modishness mods modulator modulators modulus mogul moguls
+moieties moiety moire moires moistly moistness moldiness molehill molehills moleskin moll
+mollification molls mollycoddle mollycoddled mollycoddles mollycoddling molybdenum momentousness
+monarchic monarchical monarchism monarchist monarchists monasticism monaural monetarily moneybag
+moneybags moneyed moneymaker moneymakers moneymaking monger mongered mongering mongers mongolism
+mongooses monkeyshine monkeyshines monochromatic monocle monocles monocotyledon monocotyledons
+monograph monographs monomania monomaniac monomaniacs monophonic monopolist monopolistic monopolists
+monosyllabic monotheism monotheist monotheistic monotheists monotonic monoxide monoxides monsieur
+monsignor monsignors monstrance monstrances monstrously monumentally moocher moochers moonlighter
+moonlighters moonscape moonscapes moonshine moonshines moonshot moonshots moonstone moonstones
+moonstruck moorland moppet moppets moraine moraines moray morays morbidity morbidly mordant mordants
+moribund morocco morosely moroseness morpheme morphemes morphological morrow morrows mortgagee
+mortgagees mortgagor mortgagors mortise mortised mortises mortising mosey moseyed moseying moseys
+mote motes motherfucking motherland motherlands motherless motherliness motile motiles motility
+motivational motivator motivators motocross motocrosses motorcar motorcars motorman motormen
+mountaintop mountaintops mountebank mountebanks mournfulness mouser mousers mousetrap mousetrapped
+mousetrapping mousetraps mousiness mouthwatering movingly mozzarella mucilage muckier muckiest
+muckrake muckraked muckraker muckrakers muckrakes muckraking mucky muddiness mudguard mudguards
+mudslinger mudslingers muesli muezzin muezzins mufti muftis muggle muggles mukluk mukluks mulberries
+mulberry muleteer muleteers mulish mulishly mulishness mullah mullahs mullet mullets mulligatawny
+mullion mullions multiculturalism multidimensional multifaceted multifarious multifariousness
+multilingual multiplayer multiplexer multiplexers multiplicand multiplicands multiplier multipliers
+multipurpose multiracial multitudinous multivariate multiverse multiverses multivitamin
+multivitamins mumbler mumblers mummer mummers mummery mummification mundanely municipally
+munificence munificent muralist muralists murderess murderesses murderously murk murkily murkiness
+murks muscat muscatel muscatels muscularity musculature mushiness musicale musicales musicianship
+musicologist musicologists musicology muskellunge muskellunges musketeer musketeers musketry muskier
+muskiest muskiness muskmelon muskmelons muskrat muskrats musky muslin mussier mussiest mussy
+mustiness muteness mutineer mutineers mutinously mutuality muumuu muumuus myopia myrrh myrtle
+myrtles mysteriousness mystically mystification mythic mythologist mythologists métier métiers nabob
+nabobs nacho nachos nacre nadir nadirs naiad naiads nakedly nanosecond nanoseconds nanotechnology
+naphtha naphthalene narcissus narcosis narwhal narwhals nary nascent nasturtium nasturtiums natal
+nattily naturalism naturalistic nauseatingly nautically nautilus nautiluses nave naves navigability
+naysayer naysayers nearness neath nebular necromancer necromancers necromancy necrosis needful
+neediness needlepoint nefarious nefariously nefariousness negativity neglectfully negligibly
+nematode nematodes nemeses nemesis neoclassic neoclassical neoclassicism neocolonialism neocon
+neocons neoconservative neoconservatives neodymium neologism neologisms neonatal neonate neonates
+neoprene nephritis neptunium nerveless nervelessly nervier nerviest nervy nestlings netbook netbooks
+nethermost nettlesome neuralgia neuralgic neuritis neurosurgery neurotically neurotransmitter
+neurotransmitters neutrally neutrino neutrinos nevermore newel newels newsboy newsboys newsflash
+newsman newsmen newspaperman newspapermen newspaperwoman newspaperwomen newsreel newsreels newtons
+nexus nexuses niacin nib nibbler nibblers nibs niceness nickelodeon nickelodeons nigga niggard
+niggardliness niggardly niggards niggas niggaz nigher nighest nightcap nightcaps nightclothes
+nighthawk nighthawks nightshade nightshades nightshirt nightshirts nightstick nightsticks nihilism
+nihilist nihilistic nihilists nimbi nimbleness nimbus ninepin ninepins ninja ninjas nipper nippers
+nirvana nitpick nitpicked nitpicker nitpickers nitpicking nitpicks nitrogenous nix nixed nixes
+nixing nobleness nocturnally nocturne nocturnes nodal noddy nodular nodule nodules noel noels noggin
+noggins noiselessness noisemaker noisemakers noisome nonabrasive nonabsorbent nonabsorbents
+nonagenarian nonagenarians nonalcoholic nonaligned nonbeliever nonbelievers nonbreakable nonce
+noncom noncombatant noncombatants noncommercial noncommercials noncompetitive noncompliance noncoms
+nonconductor nonconductors nonconformity noncontagious noncooperation nondeductible nondrinker
+nondrinkers nonempty nonessential nonesuch nonesuches nonexempt nonexistence nonfatal
+nongovernmental nonhazardous nonhuman nonindustrial noninterference nonjudgmental nonliving
+nonmalignant nonmember nonmembers nonnegotiable nonobjective nonpareil nonpareils nonpayment
+nonpayments nonphysical nonpluses nonpoisonous nonpolitical nonpolluting nonprescription
+nonproductive nonprofessional nonprofessionals nonrefillable nonrepresentational nonrestrictive
+nonreturnable nonreturnables nonrigid nonscheduled nonseasonal nonsectarian nonsensically nonsexist
+nonskid nonsupport nontaxable nontechnical nontoxic nontransferable nonunion nonuser nonusers
+nonvoting nonwhite nonwhites nonzero noonday noontime normative northeaster northeasters northwards
+nosegay nosegays nosh noshed noshes noshing nosiness nostrum nostrums notaries notary notepad
+notepaper notionally nous novae novas novelette novelettes novella novellas novitiate novitiates
+noway nowise nth nu nuanced nub nubile nubs nucleic nudism nullification nullity numberless numbly
+numeracy numerated numerates numerating numeration numerations numerology numismatic numismatics
+numismatist numismatists nuncio nuncios nunneries nunnery nurseryman nurserymen nuthatch nuthatches
+nutmeat nutmeats nutria nutrias nutritionally nutritionist nutritionists nutritive nuttiness oafish
+oaken oakum oarlock oarlocks oarsman oarsmen oaten obduracy obdurate obdurately obeisance obeisances
+obeisant obfuscate obfuscated obfuscates obfuscating obit obits objectionably objectiveness oblate
+oblation oblations obliquely obliqueness obliviously obliviousness obloquy oboist oboists obscenely
+obscurely obsequies obsequious obsequiously obsequiousness obsequy observably observantly
+observational obsidian obstetric obstetrical obstreperous obstructionist obstructionists
+obstructively obstructiveness obtrude obtruded obtrudes obtruding obtrusively obtrusiveness obtusely
+obtuseness obverse obverses obviate obviated obviates obviating obviousness ocarina ocarinas
+occidental occidentals occlude occluded occludes occluding occlusion occlusions occlusive oceangoing
+oceanographer oceanographers oceanographic ocelot ocelots octane octet octets octogenarian
+octogenarians oculist oculists oddball oddballs odiously odium odoriferous odorous offal offertories
+offertory offhandedly officeholder officeholders officialdom officiously officiousness offloaded
+offloading offloads offshoring offside oft oftentimes oho oilcloth oilcloths oiliness oilskin
+oleaginous oleander oleanders oleo oleomargarine oligarch oligarchic oligarchies oligarchs oligarchy
+omegas omnibuses omnipresence omnivore omnivores omnivorous oncology oneness onionskin online
+onomatopoeic onrushing onshore onyx onyxes opacity opalescence opalescent opaquely opaqueness
+openhanded openwork operetta operettas ophthalmic opiate opiates opine opined opines opining
+oppressively opprobrious opprobrium optically oracular orangeade orangeades orate orated orates
+orating oratorical oratorio oratorios orb orbs orc orcs orderings orderliness ordinariness ordnance
+ordure oregano organelle organelles orgasmic orgiastic orifices origami origination ormolu
+ornamentation ornateness ornerier orneriest ornery orotund orthodontia orthodontic orthographic
+orthographies oscillator oscillators oscilloscopes osier osiers osmotic osprey ospreys ossification
+ossified ossifies ossify ossifying osteopath osteopaths osteopathy osteoporosis otherworldly otiose
+ottoman ottomans outbalance outbalanced outbalances outbalancing outbuilding outbuildings outfitter
+outfitters outflank outflanked outflanking outflanks outfox outfoxed outfoxes outfoxing outgo
+outgoes outlandishly outplay outplayed outplaying outplays outrank outranked outranking outranks
+outrider outriders outrigger outriggers outré outsell outselling outsells outsize outsizes outsold
+outspokenly outspread outspreading outspreads outstay outstayed outstaying outstays outtake outtakes
+outvote outvoted outvotes outvoting outwear outwearing outwears outwore outworn overabundance
+overabundant overachieve overachieved overachiever overachievers overachieves overachieving overact
+overacted overacting overactive overacts overage overages overambitious overanxious overawe overawed
+overawes overawing overbalance overbalanced overbalances overbalancing overbite overbites overbook
+overbooked overbooking overbooks overcautious overconfident overcook overcooked overcooking
+overcooks overdrafts overdress overdressed overdresses overdressing overdrive overeager
+overenthusiastic overexpose overexposed overexposes overexposing overexposure overfull overgenerous
+overgrowth overindulge overindulged overindulgence overindulges overindulging overlord overlords
+overmuch overmuches overpaid overpay overpaying overpays overplay overplayed overplaying overplays
+overproduce overproduced overproduces overproducing overproduction overprotective overqualified
+overreach overreached overreaches overreaching overreaction overreactions overripe oversell
+overselling oversells oversensitive oversexed overshare overshared overshares oversharing overshoe
+overshoes oversold overspend overspending overspends overspent overspread overspreading overspreads
+overstatement overstatements overstay overstayed overstaying overstays overstock overstocked
+overstocking overstocks overstuffed oversupplied oversupplies oversupply oversupplying overtax
+overtaxed overtaxes overtaxing overthink overthinking overthinks overthought overweening overzealous
+oviduct oviducts oviparous ovoid ovoids ovulate ovulated ovulates ovulating ovulation ovule ovules
+owlet owlets owlish oxbow oxbows oxford oxfords oxyacetylene oxygenate oxygenated oxygenates
+oxygenating oxygenation oxymora oxymoron ph pachyderm pachyderms pacifically pacification paean
+paeans paganism paginate paginated paginates paginating pailful pailfuls paintwork pairwise paisley
+paisleys palatal palatals palaver palavered palavering palavers palazzi palazzo paleface palefaces
+paleness palimony palimpsest palimpsests palindrome palindromes palindromic palings palisade
+palisades palladium pallet pallets palliate palliated palliates palliating palliation palliative
+palliatives palmetto palmettos palmier palmiest palmist palmistry palmists palmy palpate palpated
+palpates palpating palpation palpitate palpitated palpitates palpitating palpitation palpitations
+palsied palsies palsy palsying paltriness pampas pamphleteer pamphleteers panchromatic pandemic
+pandemics panderer panderers panegyric panegyrics pannier panniers panoplies panoply pantaloons
+pantheist pantheistic pantheists pantheon pantheons pantsuit pantsuits paperhanger paperhangers
+papery papilla papillae papoose papooses paps parabola parabolas parabolic parachutist parachutists
+paradigmatic paragliding parallax parallaxes parallelism parallelisms parallelogram parallelograms
+paramecia paramecium paramedical paramedicals paramour paramours paranormal parapet parapets
+paraplegia paraprofessional paraprofessionals parapsychology parasailing paratroops parboil
+parboiled parboiling parboils parenthetic parenthetically parfait parfaits pariah pariahs parings
+parkour parlance parlay parlayed parlaying parlays parley parleyed parleying parleys parliamentarian
+parliamentarians parochialism parolee parolees paroxysm paroxysms parquetry parricide parricides
+parried parries parry parrying parsimonious parsimony partaker partakers parterre parterres
+parthenogenesis participator participators participatory participial particularities particularity
+particulate particulates partisanship parturition parvenu parvenus paschal pasha pashas passably
+passel passels passionless passivity passkey passkeys pasteboard pastern pasterns pastiches
+pastorate pastorates pastrami pasturage patchiness patella patellae patellas paternally pathogen
+pathogenic pathogens patina patinas patois patrician patricians patrimonial patronymic patronymics
+patsies patsy pauperism pavings pawl pawls pawnshop pawnshops pawpaw pawpaws paymaster paymasters
+paywall paywalls peafowl peafowls peahen peahens pearlier pearliest pearly peasantry pebbly
+peccadillo peccadilloes peccaries peccary pecs pectin pectoral pectorals pecuniary pedagogic
+pedagogue pedagogues pederast pederasts pederasty pedicure pedicured pedicures pedicuring pediment
+pediments pedometer pedometers peelings peeper peepers peerage peerages peevishly peevishness peewee
+peewees pekoe pelagic pellagra pellucid pendent pendents pendulous penetrable penetrative penile
+peninsular penitential penitently penlight penlights pennon pennons pennyweight pennyweights
+penologist penologists penology pensiveness pent pentameter pentameters pentathlon pentathlons
+penultimates penurious penury peonage peppercorn peppercorns peppery pepsin peptic peptics
+perambulate perambulated perambulates perambulating perambulator perambulators percale percales
+perceivable perceptiveness perceptual percussionist percussionists perdition peregrination
+peregrinations peremptorily perennially perfectible perfectionism perfidies perfidious perfidy
+perforce perfumeries perfumery pericardia pericardium perigee perigees perihelia perihelion
+periodicity periodontal peripatetic peripatetics periphrases periphrasis peritoneum peritoneums
+peritonitis periwig periwigs periwinkle periwinkles perjurer perjurers perkiness permafrost
+permeability permeable permissibly permissively permissiveness permute permuted permutes permuting
+perniciously peroration perorations perpetration perpetuation perpetuity persiflage persimmon
+persimmons persnickety personage personages perspicacious perspicacity perspicuity perspicuous
+pertinacious pertinacity pertinence pertly pertness perturbation perturbations perverseness peseta
+pesetas peso pesos pestilent pestle pestled pestles pestling petard petards petiole petioles
+petitioner petitioners petrel petrels petrifaction petrochemical petrochemicals petrolatum pettifog
+pettifogged pettifogger pettifoggers pettifogging pettifogs pettily petulance petulantly pewee
+pewees peyote phalanges phalanx phalanxes phantasm phantasmagoria phantasmagorias phantasms pharaoh
+pharaohs pharmacopoeia pharmacopoeias pharyngeal pharynges pharynx phenobarbital phenotype pheromone
+pheromones phial phials philander philandered philanderer philanderers philandering philanders
+philanthropically philatelic philatelist philatelists philately philharmonic philharmonics philippic
+philippics philodendron philodendrons philological philologist philologists philology philosophic
+phish phished phisher phishers phishing phlebitis phlegmatically phloem phlox phoebe phoebes phoneme
+phonemes phonemic phonetician phoneticians phoneyed phoneying phonic phonically phoniness
+phonological phonologist phonologists phonology phosphoric phosphors photoelectric photographically
+photojournalism photojournalist photojournalists photosensitive phototypesetting phrasal phrenology
+phyla phylum physicked physicking physiognomies physiognomy physiologist physiologists
+physiotherapist physiotherapists pianissimo pianissimos pianoforte pianofortes piazza piazzas pica
+picante picaresque picayune piccalilli pickerel pickerels pickings picnicker picnickers pictograph
+pictographs pictorially piebald piebalds pied pieing piercingly piffle piggishness pigskin pigskins
+piing piker pikers pilaf pilafs pilaster pilasters pilchard pilchards pilferer pilferers pillbox
+pillboxes pillion pillions pilloried pillories pillory pillorying pilothouse pilothouses pimento
+pimentos pimiento pimientos pimpernel pimpernels pinafore pinafores pinball pinfeather pinfeathers
+pinhead pinheads pinhole pinholes pinkeye pinkish pinnate pinochle pinstriped pinto pintos pinwheel
+pinwheeled pinwheeling pinwheels pip piper pipers pipit pipits pipped pippin pipping pippins pips
+piratical piscatorial pistil pistillate pistils pita pitchblende pitchman pitchmen pith pithily
+pitiable pitiably pitilessly piton pitons pituitaries pituitary pizzeria pizzerias pizzicati
+pizzicato placation placeholder placements placental placentals placer placers placidity placket
+plackets plainclothesman plainclothesmen plainness plaint plaintively plaints plait plaited plaiting
+plaits plangent plasterboard plasterer plasterers plasticity plastique platelet platelets platen
+platens platitudinous platypus platypuses plaudit plaudits playact playacted playacting playacts
+playbacks playbill playbills playgoer playgoers playlist playlists pleader pleaders pleasantness
+pleasingly pleasurably plebeian plebeians plebiscite plebiscites plectra plectrum plectrums
+plenipotentiaries plenipotentiary plenitude plenitudes plenteous pleurisy plexus plexuses pliability
+pliancy plinth plinths plodder plodders plover plovers pluckiness plugin plugins plumpness plunderer
+plunderers pluperfect pluperfects pluralism pluralistic plushier plushiest plushy plutocrat
+plutocratic plutocrats pneumatically pock pocked pocking pocks podcast podcasting podcasts poesy
+poetess poetesses poi pointillism pointillist pointillists poisoner poisoners poisonously pokeys pol
+polecat polecats polestar polestars policyholder policyholders poliomyelitis polisher polishers
+politesse politic politico politicos polities polity polliwog polliwogs polluter polluters polonaise
+polonaises polonium pols poltergeist poltergeists poltroon poltroons polyamories polyamory
+polyethylene polyglot polyglots polygonal polyhedron polyhedrons polymath polymaths polymeric
+polymorphic polyphonic polyphony polystyrene polysyllabic polysyllable polysyllables polytheism
+polytheist polytheistic polytheists polythene polyunsaturated pomade pomaded pomades pomading pommel
+pommels pompadour pompadoured pompadours pompously pompousness ponderously pone pones poniard
+poniards pontificate pontificated pontificates pontificating pooh poohed poohing poohs poorhouse
+poorhouses popes popgun popguns popinjay popinjays poplin popover popovers poppa poppas poppycock
+populism populist populists porcine porno porosity porphyry porringer porringers portage portaged
+portages portaging portcullis portcullises portentous portentously porterhouse porterhouses
+portliness portmanteau portmanteaus portraitist portraitists portraiture poser posers poseur poseurs
+posit posited positing positron positrons posits possessively possessiveness postcodes posthaste
+postlude postludes postmistress postmistresses postmodern postnatal postoperative postpaid
+postpartum potable potables potash potboiler potboilers potentate potentates potentialities
+potentiality potentials potful potfuls potholder potholders pothook pothooks potpie potpies potsherd
+potsherds potshot potshots pottage poultice poulticed poultices poulticing powerlessly pox poxes
+practicability practicably pragmatically praiseworthiness praline pralines prancer prancers prate
+prated prates pratfall pratfalls prating preachier preachiest preachy prearrange prearranged
+prearrangement prearranges prearranging preceptor preceptors preciosity preciously preciousness
+precipitant precipitants precipitately precipitously preciseness precises preclusion precociously
+precociousness precocity precognition predecease predeceased predeceases predeceasing
+predetermination predication predicative predictability predictive preeminently preemption
+preemptively prefabrication prefatory prefects prefecture prefectures preferentially preferment
+prefigure prefigured prefigures prefiguring preheat preheated preheating preheats prehensile prelate
+prelates premenstrual premonitory prenup prenups preordain preordained preordaining preordains
+prepackage prepackaged prepackages prepackaging prepayment prepayments preponderant preponderate
+preponderated preponderates preponderating prepossess prepossessed prepossesses prepossessing
+preposterously prequel prequels prerecord prerecorded prerecording prerecords prescience prescient
+presentiment presentiments preserver preservers preset presets presetting preshrank preshrink
+preshrinking preshrinks preshrunk pressman pressmen prestos presumable presumptive presumptuously
+presumptuousness preteen preteens preternatural prettified prettifies prettify prettifying
+prettiness prevaricate prevaricated prevaricates prevaricating prevarication prevarications
+prevaricator prevaricators preventative preventatives priestlier priestliest priestly prig priggish
+prigs primitively primness primogeniture prioress prioresses priories priory prismatic prissiness
+prithee privateer privateers privet privets prizefight prizefighter prizefighters prizefighting
+prizefights proactive probate probated probates probating probationary probationer probationers
+probity problematical problematically proboscis proboscises proclivities proclivity procrastinator
+procrastinators procreation procreative proctor proctored proctoring proctors procurator procurators
+procurer procurers prodigality prodigiously productively productiveness profanation profanations
+profanely professorial professorship professorships profligacy profligate profligates proforma
+progenitor progenitors progesterone prognostic prognosticate prognosticated prognosticates
+prognosticating prognostication prognostications prognosticator prognosticators prognostics
+programmables prohibitionist prohibitionists prohibitory projectionist projectionists prolifically
+prolix prolixity prolongation prolongations promiscuously promisingly promissory prompters
+promulgation proneness pronged pronghorn pronghorns pronounceable proofreader proofreaders
+propagandist propagandists propane propellant propellants propertied prophetess prophetesses
+prophetically prophylactic prophylactics prophylaxis propinquity propitiate propitiated propitiates
+propitiating propitiation propitiatory proportionately proposer propound propounded propounding
+propounds proprietorship proprietress proprietresses propulsive prorate prorated prorates prorating
+prosaically proscenium prosceniums proselyte proselyted proselytes proselyting prosier prosiest
+prosodies prosody prosperously prostate prostates prosthetic prostration prostrations prosy protean
+protectively protectiveness protectorate protectorates protestants protestation protestations
+protoplasm protoplasmic prototyping protozoa protozoan protozoans protuberance protuberances
+protuberant provender proverbially providential providentially providently providers provincialism
+provocatively prudential prudery prudishly précised précising psalmist psalmists pshaw pshaws
+psoriasis psst psychical psychically psychobabble psychogenic psychokinesis ptarmigan ptarmigans
+pterodactyl pterodactyls ptomaine ptomaines pubescent publican publicans publishable puckish
+puerility puffball puffballs puffin puffiness puffins pug pugilism pugilist pugilistic pugilists
+pugnaciously pugnacity pugs pulchritude pullback pullbacks puller pullers pullet pullets pulpier
+pulpiest pulpy pulsar pulsars pumper pumpers punchier punchiest punchy punctilious punctiliously
+punctually pungency pungently punster punsters pupa pupae pupal puppetry purblind purchasable
+purebred purebreds pureness purgative purgatives purgatorial purifier purifiers purism puritanically
+puritanism purl purled purling purloin purloined purloining purloins purls purplish purportedly
+purposefully purposeless pursuance pursuant pursuer pursuers purulence purulent purview pushcart
+pushcarts pushiness pusillanimity pusillanimous pustule pustules putrefaction putrefied putrefies
+putrefy putrefying putrescence putrescent putsch putsches puzzlement puzzler puzzlers pwn pwned
+pwning pwns pyramidal pyrite pyromania pyromaniac pyromaniacs pyrotechnic pyrotechnics pyx pyxes
+quackery quadrangular quadraphonic quadrature quadrennial quadriceps quadricepses quadrille
+quadrilles quadriplegia quadriplegic quadriplegics quadruplicate quadruplicated quadruplicates
+quadruplicating quaff quaffed quaffing quaffs quahog quahogs quaintly quaintness qualitatively
+quanta quarterdeck quarterdecks quartermaster quartermasters quarto quartos quasar quasars quasi
+quatrain quatrains quavery queasily queerly queerness querulous querulously quesadilla quesadillas
+questionably questioner questioners questioningly quibbler quibblers quicklime quickness quicksilver
+quid quids quiescence quiescent quietude quietus quietuses quilter quilters quince quinces quintuple
+quintupled quintuples quintupling quire quires quisling quislings quizzically quoit quoited quoiting
+quoits quondam quoth quotidian rabbinate rabbinical racecourse racecourses racehorse racehorses
+raceme racemes racers raceway raceways racily raciness raconteur raconteurs racquetball racquetballs
+radially radiantly radicalism radiogram radiograms radioisotope radioisotopes radiotelephone
+radiotelephones radiotherapist radiotherapists raffia raffish raga ragas raggedier raggediest
+raggedly raggedness raggedy raglan raglans ragout ragouts ragweed railleries raillery raiment
+rainmaker rainmakers rajah rajahs rakish rakishly rakishness rambunctiousness ramified ramifies
+ramify ramifying rampantly rampart ramparts rancidity rancorously randier randiest randy rangier
+rangiest ranginess rangy rankness ranter rapacious rapaciously rapaciousness rapacity rapier rapiers
+rapine rapper rappers rapscallion rapscallions rarefied rarefies rarefy rarefying rareness rascally
+rashers rashness ratchet ratcheted ratcheting ratchets rathskeller rathskellers rationalism
+rationalist rationalistic rationalists rattan rattans rattier rattiest rattletrap rattletraps
+rattlings rattrap rattraps raucousness raunchiness ravioli raviolis ravishingly ravishment rawboned
+rawhide rawness reachable reactivate reactivated reactivates reactivating reactivation readabilities
+readmit readmits readmitted readmitting readout readouts reaffirm reaffirmed reaffirming reaffirms
+reagent reagents realign reallocation reamer reamers reanimate reanimated reanimates reanimating
+reapplied reapplies reapply reapplying reappoint reappointed reappointing reappointment reappoints
+reapportion reapportioned reapportioning reapportionment reapportions reappraisal reappraisals
+reappraise reappraised reappraises reappraising rearm rearmament rearmed rearming rearmost rearms
+rearward rearwards reassemble reassembled reassembles reassembling reassert reasserted reasserting
+reasserts reassess reassessed reassesses reassessing reassessment reassessments reassign reassigned
+reassigning reassigns reawaken reawakened reawakening reawakens rebelliously rebelliousness
+rebroadcast rebroadcasting rebroadcasts rebus rebuses recantation recantations recapitulate
+recapitulated recapitulates recapitulating recapitulation recapitulations recast recasting recasts
+receivable receptively receptiveness receptivity receptor receptors recessional recessionals
+recessive recessives recheck rechecked rechecking rechecks recherché recidivism recidivist
+recidivists reciprocally reciprocation reciprocity recitative recitatives reclassified reclassifies
+reclassify reclassifying recliner recliners reclusive recombination recombine recombined recombines
+recombining recommence recommenced recommences recommencing recompilation reconcilable recondite
+reconfiguration reconquer reconquered reconquering reconquers reconsideration reconvene reconvened
+reconvenes reconvening recopied recopies recopy recopying recreant recreants recriminate
+recriminated recriminates recriminating recrimination recriminations recrudescence rectifiable
+rectification rectifications rectifier rectifiers rectilinear rectitude rectories rectory recumbent
+recuperative redbreast redbreasts redcap redcaps redcoat redcoats redecorate redecorated redecorates
+redecorating rededicate rededicated rededicates rededicating redeemer redeemers redeploy redeployed
+redeploying redeployment redeploys redheaded rediscovery redistributor redistributors redistrict
+redistricted redistricting redistricts redolence redolent redoubt redoubtable redoubts redound
+redounded redounding redounds redrafted redrafting redrafts redrawing redrawn redraws redrew
+redundantly reedier reediest reedy reefer reefers reemerge reemerged reemerges reemerging reenlist
+reenlisted reenlisting reenlists reenter reentered reentering reenters reestablish reestablished
+reestablishes reestablishing reevaluate reevaluated reevaluates reevaluating reeve reeves reeving
+reexamine reexamined reexamines reexamining refashion refashioned refashioning refashions
+refectories refectory referent referential referral referrals refile refiled refiles refiling
+refillable refiner refiners refit refits refitted refitting reflexively refocus refocused refocuses
+refocusing reforest reforestation reforested reforesting reforests reformatories reformatory
+reformulate reformulated reformulates reformulating refract refracted refracting refractories
+refractory refracts refresher refreshers refrigerant refrigerants refulgence refulgent refurnish
+refurnished refurnishes refurnishing refutations regally regencies regency regenerative regicide
+regicides regimentation regionalism regionalisms registrant registrants regressive regulator
+regulators regulatory reheat reheated reheating reheats rehire rehired rehires rehiring reimpose
+reimposed reimposes reimposing reinsert reinserted reinserting reinserts reinstall reinstalled
+reinstalling reinterpret reinterpretation reinterpretations reinterpreted reinterpreting
+reinterprets reinvest reinvested reinvesting reinvests relabel relabels relaxant relaxants relearn
+relearned relearning relearns relegation relentlessness relevancy relevantly relinquishment
+remaindered remand remanded remanding remands rematch rematches remediable remissness remonstrance
+remonstrances remonstrate remonstrated remonstrates remonstrating remorsefully remorselessly
+remortgage remortgaged remortgages remortgaging remount remounted remounting remounts remunerative
+renaissances renal renascence renascences renascent renegotiate renegotiated renegotiates
+renegotiating rennet renovator renovators renumber renumbered renumbering renumbers reoccupied
+reoccupies reoccupy reoccupying reoccur reoccurred reoccurring reoccurs reorder reordered reordering
+reorders reorg reorged reorging reorgs repackage repackaged repackages repackaging repaint repainted
+repainting repaints repairable repairman repairmen reparations repartee repast repasts repayable
+repeatably repeater repeaters repertories repertory repletion reportage reposeful repossession
+repossessions reprehend reprehended reprehending reprehends reprehensibly representational
+reproachful reproachfully reprobate reprobates reprocess reprocessed reprocesses reprocessing
+reproducible reproof reproofed reproofing reproofs republicanism republish republished republishes
+republishing repulsively repulsiveness reputably requester requital requite requited requites
+requiting rescission resell reselling resells resend resentfully reservedly reservist reservists
+resettle resettled resettles resettling resignedly resiliency resinous resister resisters resold
+resoluteness resonantly resonator resonators resourcefully respell respelled respelling respells
+respire respired respires respiring resplendence resplendently respondent respondents responsively
+restaurateur restaurateurs restfully restfulness restively restiveness restock restocked restocking
+restocks restorative restoratives restorer restorers restrictively restroom restrooms restudied
+restudies restudy restudying resupplied resupplies resupply resupplying resuscitator resuscitators
+retaliatory retardant retardants retell retelling retells retentive retentiveness retinal retold
+retool retooled retooling retools retouch retouched retouches retouching retrain retrained
+retraining retrains retrench retrenched retrenches retrenching retrenchment retrenchments
+retributive retried retrievable retrofit retrofits retrofitted retrofitting retrograded retrogrades
+retrograding retrogress retrogressed retrogresses retrogressing retrogression retrogressive
+retrorocket retrorockets retrospection retrying returnee returnees retweet retweeted retweeting
+retweets retyped retypes retyping reunification reunified reunifies reunify reunifying reupholster
+reupholstered reupholstering reupholsters reusable reveille reverend reverends reverential
+revilement reviler revilers revivalist revivalists revivification revivified revivifies revivify
+revivifying revocable revocation revocations revoltingly revolutionist revolutionists rewindable
+rewire rewired rewires rewiring reword reworded rewording rewords rhapsodic rhea rheas rheostat
+rheostats rhetorician rhetoricians rheum rheumatic rheumatics rheumy rhizome rhizomes rho rhodium
+rhomboid rhomboids rhombus rhombuses rhythmical ribaldry riboflavin rick ricked rickets ricking
+ricks ricotta ridgepole ridgepoles ridiculousness riff riffed riffing riffle riffled riffles
+riffling riffraff riffs rifleman riflemen rightfulness rightist rightists rigidness rill rills rime
+rimed rimes riming ringer ringers ringmaster ringmasters ringtone ringtones ripely riposted ripostes
+riposting ripper rippers ripsaw ripsaws risible riskiness ritualism ritualistic riven riveter
+riveters rivulet rivulets roadbed roadbeds roadshow roadster roadsters roadwork roamer roamers roan
+roans roaster roasters robocall robocalled robocalling robocalls robotic robustly rocketry rockiness
+rococo roebuck roebucks roentgen roentgens roger rogered rogering rogers roguery roguishly roil
+roiled roiling roils roister roistered roisterer roisterers roistering roisters rollback rollbacks
+romaine romanticism romanticist romanticists romper rompers rood roods roofer roofers rookeries
+rookery roomer roomers roominess roseate rosebud rosebuds rosebush rosebushes rosette rosettes
+rosewood rosewoods rosily rosin rosined rosiness rosining rosins rotational rotogravure rotogravures
+rottenness rotundity rotundness roughneck roughnecked roughnecking roughnecks roundelay roundelays
+roundhouse roundhouses roundish roundly roundworm roundworms roustabout roustabouts roué roués rover
+rovers rowdyism rowel rowels rower rowers royalist royalists rubbishy rube rubes rubicund rubrics
+rucksacks ruddiness ruefully ruggedly ruggedness rugrat rugrats ruination ruinously rumba rumbaed
+rumbaing rumbas rumblings ruminant ruminants rumination ruminations rumpus rumpuses runabout
+runabouts runnel runnels runoff runoffs rupee rupees rusk rusks russet russets rustically rusticity
+rustiness rutabaga rutabagas sable sables saccharine sacerdotal sachem sachems sachet sachets
+sackcloth sackful sackfuls sacramental sacredly sacredness sacristan sacristans sacristies sacristy
+saddlebag saddlebags safeness safflower safflowers sagacious sagacity sago saguaro saguaros sahib
+sahibs sailcloth sailfish sailfishes sainthood saintliness saith salaam salaamed salaaming salaams
+salacious salaciously salaciousness salamander salamanders salesgirl salesgirls salesmanship
+salience saline salines salinity salivary salivation sallied sallies sallying saltcellar saltcellars
+saltine saltines saltiness saltshaker saltshakers salubrious salutary salvageable salver salvers
+salvo salvos samba sambaed sambaing sambas samovar samovars sampan sampans samplers samplings
+samurai sanctification sanctimoniously sanctum sanctums sandalwood sandbank sandbanks sandbar
+sandbars sandblaster sandblasters sandbox sandboxes sander sanders sandhog sandhogs sandiness
+sandlot sandlots sandpiper sandpipers sanely sangfroid sanguinary sanguine sans sapience sapient
+sappier sappiest sappy saprophyte saprophytes sapsucker sapsuckers sarcoma sarcomas sarcophagi
+sarcophagus sardonically sarong sarongs sarsaparilla sarsaparillas sartorial sartorially sashay
+sashayed sashaying sashays sassafras sassafrases satanically satay sate sated sateen sates satiate
+satiated satiates satiating satiety sating satinwood satinwoods satrap satraps saturnine satyr
+satyrs saucily sauciness savageness savanna savannas savant savants sawhorse sawhorses sawmill
+sawmills sawyer sawyers saxophonist saxophonists scabbard scabbards scabbier scabbiest scabby
+scabies scabrous scalawag scalawags scalene scallion scallions scammer scammers scamp scampi scamps
+scandalmonger scandalmongers scandalously scansion scantily scantiness scapula scapulae scarab
+scarabs scarceness scarified scarifies scarify scarifying scat scathingly scatological scats scatted
+scatting scenically schedulers schema schematic schematically schematics scherzo scherzos schismatic
+schismatics schist schizoid schizoids schlemiel schlemiels schnapps schnauzer schnauzers
+scholastically schoolbook schoolbooks schooldays schoolhouse schoolhouses schoolmarm schoolmarms
+schoolmaster schoolmasters schoolmate schoolmates schoolmistress schoolmistresses schoolroom
+schoolrooms schoolwork schoolyard schoolyards schuss schussed schusses schussing schwa schwas
+sciatic sciatica scimitar scimitars scintilla scintillas scintillation scion scions sclerosis
+sclerotic scofflaw scofflaws scoliosis sconce sconces scone scones scorcher scorchers scoreless
+scorers scoutmaster scoutmasters scow scows scrambler scramblers scraper scrapers scratchiness
+screechier screechiest screechy screenings screenshot screenshots screenwriter screenwriters
+scribbler scribblers scrimmage scrimmaged scrimmages scrimmaging scrimshaw scrimshawed scrimshawing
+scrimshaws scrip scrips scriptural scrod scrofula scrota scrotum scrounger scroungers scrubber
+scrubbers scrubbier scrubbiest scrubby scrumptious scrunch scrunched scrunches scrunchies scrunching
+scrunchy scuba scubaed scubaing scubas scud scudded scudding scuds scull sculled sculleries scullery
+sculling scullion scullions sculls sculpt sculpted sculpting sculpts sculptural scumbag scumbags
+scummier scummiest scummy scupper scuppered scuppering scuppers scurf scurfy scurrilously scurvier
+scurviest scurvy scuttlebutt scuzzier scuzziest scuzzy seabed seabeds seabird seabirds seaboard
+seaboards seacoast seacoasts seafarer seafarers seagoing sealant sealants sealer sealers sealskin
+seamanship seamier seamiest seamy seaplane seaplanes searcher searchers searchingly seascape
+seascapes seasonally seaward seawards seaway seaways seaworthy sebaceous secessionist secessionists
+seclusive secretariat secretariats secretiveness sectarian sectarianism sectarians sectional
+sectionalism sectionals secularism sedately sedge sedimentation sedition seditious seducer seducers
+seductively sedulous seediness seeings seeker seekers seemlier seemliest seemliness seemly seers
+seersucker segregationist segregationists segue segued segueing segues seismic seismically
+seismograph seismographic seismographs seismologist seismologists seismology selectivity selectman
+selectmen selenium selfie selfies selflessly selflessness selfsame selloff selloffs seltzer selvage
+selvages semaphore semaphored semaphores semaphoring semi semiannual semiautomatic semiautomatics
+semicircular semiconscious semimonthlies semimonthly seminarian seminarians semiotics semipermeable
+semiprivate semiprofessional semiprofessionals semiretired semis semiskilled semitone semitones
+semitrailer semitrailers semitropical semiweeklies semiweekly senders senna sensationalist
+sensationalists senselessly senselessness sensitiveness sensually sensuously sensuousness
+sententious sentimentalism sentimentalist sentimentalists sentimentally sentinel sentinels sepal
+sepals separatism separatist separatists sepia sepsis septa septet septets septic septuagenarian
+septuagenarians septum sepulchral sequencers sequester sequestered sequestering sequesters
+sequestration sequestrations sequined sequitur seraglio seraglios serape serapes seraph seraphic
+seraphs sere serendipitous serendipity sereneness serer serest serf serfdom serfs serge serially
+serous serpentine serried servility servo servomechanism servomechanisms servos sesame sesames
+settee settees severally sewerage sexagenarian sexagenarians sexily sexiness sexless sexpot sexpots
+sextant sextants sextet sextets sexting sexton sextons shabbiness shad shadiness shadowbox
+shadowboxed shadowboxes shadowboxing shads shag shagged shagginess shagging shags shah shahs shaker
+shakers shakiness shale shallot shallots shalt shaman shamans shambled shambling shamefaced
+shamefulness shandy shanghai shanghaied shanghaiing shanghais shank shanks shantung shapeless
+shapelessly shapelessness shapeliness shard shards shareable sharecropper sharecroppers sharia
+shariah sharkskin sharpers sharpshooter sharpshooters shatterproof shavings shearer shearers
+sheathings shebang shebangs sheepdog sheepdogs sheepfold sheepfolds sheepishness sheepskin
+sheepskins sheeting sheikdom sheikdoms shekel shekels shellac shellacked shellacking shellacs
+shepherdess shepherdesses shibboleth shibboleths shiftily shiftiness shiftlessness shiitake
+shiitakes shill shilled shillelagh shillelaghs shilling shillings shills shim shimmed shimmery
+shimmied shimmies shimming shimmy shimmying shims shinbone shinbones shindig shindigs shiner shiners
+shininess shipboard shipboards shipbuilder shipbuilders shipbuilding shipmate shipmates shipper
+shippers shipwright shipwrights shires shirker shirkers shirr shirred shirring shirrings shirrs
+shirttail shirttails shirtwaist shirtwaists shivery shocker shockers shockingly shockproof
+shoddiness shoehorn shoehorned shoehorning shoehorns shoemaker shoemakers shoeshine shoeshines
+shogun shoguns shooter shooters shootout shootouts shopaholic shopaholics shoptalk shopworn
+shoreline shorelines shortbread shortcake shortcakes shorthorn shorthorns shortish shortsightedly
+shortsightedness shortstop shortstops shovelful shovelfuls showboat showboated showboating showboats
+showery showgirl showgirls showily showiness showoff showoffs showplace showplaces shredder
+shredders shrewish shrift shrike shrikes shrillness shrilly shrinkable shrive shrived shriven
+shrives shriving shrubbier shrubbiest shrubby shtick shticks shuffleboard shuffleboards shuffler
+shufflers shutout shutouts shutterbug shutterbugs shuttlecock shuttlecocked shuttlecocking
+shuttlecocks sibilant sibilants sibyl sibyls sickbed sickbeds sickeningly sidearm sidearms sidebar
+sidebars sideboard sideboards sidecar sidecars sidelight sidelights sidereal sidesaddle sidesaddles
+sidesplitting sidestroke sidestroked sidestrokes sidestroking sideswipe sideswiped sideswipes
+sideswiping sidewall sidewalls sierras sifter sifters signally signboard signboards signers signet
+signets signification significations silage silica silicate silicates siliceous silicone silicosis
+silkworm silkworms silverfish silverfishes sim simian simians simpatico simpleness simpleton
+simpletons sims simulcast simulcasted simulcasting simulcasts sinecure sinecures sinfully sinfulness
+singleton singletons singularities sinkable sinker sinkers sinkhole sinkholes sinuous sinusitis
+sinusoidal sirocco siroccos sis sisal sises sitar sitars skedaddle skedaddled skedaddles skedaddling
+skeet skeletal skiff skiffs skimpiness skinless skinniness skitter skittered skittering skitters
+skivvied skivvies skivvy skivvying skulduggery skycap skycaps skyjack skyjacked skyjacker skyjackers
+skyjacking skyjacks skylark skylarked skylarking skylarks skyward skywards skywriter skywriters
+skywriting slackly slackness slags slammer slammers slanderer slanderers slanderous slangier
+slangiest slangy slantwise slaphappy slattern slatternly slatterns slaughterer slaughterers slaver
+slavered slavering slavers slavishly slaw slayer slayers sleaze sleazes sleazily sleaziness sledge
+sledged sledges sledging sleekly sleekness sleepiness sleepwalker sleepwalkers sleepwear sleety
+slenderness slicer slicers slickers slickly slickness slider sliders slideshow slideshows slightness
+slimness slinkier slinkiest slinky slipcover slipcovers slipknot slipknots slippage slippages
+slipperiness slithery sloe sloes sloop sloops sloppiness slothfulness slouchier slouchiest slouchy
+slough sloughed sloughing sloughs sloven slovenliness slovens slue slued slues sluggard sluggards
+slugger sluggers sluggishly sluggishness sluing slumberous slumdog slumdogs slumlord slumlords
+sluttish smacker smackers smallness smarmier smarmiest smarmy smarten smartened smartening smartens
+smartness smartphone smartphones smartwatch smartwatches smelter smelters smilingly smirch smirched
+smirches smirching smithies smithy smokehouse smokehouses smokeless smokiness smoothie smoothies
+smudgier smudgiest smudgy snaffle snaffled snaffles snaffling snakebite snakebites snakier snakiest
+snaky snapdragon snapdragons snapper snappers snappish snarkier snarkiest snarky sneeringly snifter
+snifters snippier snippiest snippy snivel snivels snobbishness snooper snoopers snoopier snoopiest
+snoopy snoot snootiness snoots snorer snorers snorkeler snorkelers snowblower snowblowers snowdrop
+snowdrops snowshoe snowshoeing snowshoes snowsuit snowsuits snuffbox snuffboxes snuffers snuffle
+snuffled snuffles snuffling soapbox soapboxes soapiness soapstone soapsuds soberly soberness
+sobriquet sobriquets sociability sociably socialistic societal sodomite sodomites softener softeners
+softwood softwoods soggily sogginess soirée soirées sol solaria solarium soldierly solecism
+solecisms solenoid solenoids solicitation solicitations solicitously solicitude solidification
+solidness sols solstice solstices solubility solvency solver solvers sombrero sombreros somnambulism
+somnambulist somnambulists somnolence somnolent sonar sonars songbird songbirds songster songsters
+sonnies sonny sonority sooth soothsayer soothsayers sophism sophist sophistries sophists soppier
+soppiest soppy sordidly sordidness sorehead soreheads sorghum sorrel sorrels sorter sorters sortie
+sortied sortieing sorties sot sots sottish sough soughed soughing soughs soulfully soulfulness
+soulless soulmate soulmates soundings soundless soundlessly soupier soupiest soupy soupçon soupçons
+sourpuss sourpusses souse soused souses sousing southernmost southwards southwester southwesters
+soviet soviets sower sowers soy spaceflight spaceflights spaceman spacemen spacesuit spacesuits
+spacewalk spacewalked spacewalking spacewalks spaciously spadeful spadefuls spadework spake spam
+spammed spammer spammers spamming spams spandex sparely spareness spareribs sparsity spartan
+spasmodically spatially speakeasies speakeasy spec specie specifiable specifiers speciously specs
+spectral spectroscope spectroscopes spectroscopic spectroscopy speeder speeders speedster speedsters
+speedup speedups spellbinder spellbinders spellcheck spellchecked spellchecker spellcheckers
+spellchecking spellchecks spellers spelunker spelunkers spender spenders spermatozoa spermatozoon
+spermicide spermicides spheroid spheroidal spheroids sphincter sphincters spiciness spidery spikier
+spikiest spiky spillage spillages spillway spillways spindle spindled spindles spindling spinet
+spinets spinier spiniest spinnaker spinnakers spinner spinners spinsterhood spiny spirally
+spiritless spiritualism spiritualist spiritualistic spiritualists spirituality spirituous spitball
+spitballs spitefully spitefulness spitfire spitfires spittoon spittoons splashdown splashdowns
+splenetic splicer splicers spline splines splodge splotch splotched splotches splotchier splotchiest
+splotching splotchy splutter spluttered spluttering splutters spoilage spoiler spoilers spoliation
+sponger spongers spoonbill spoonbills spoonerism spoonerisms spoor spoored spooring spoors spored
+sporing sportive sportscaster sportscasters sportsmanlike sportswoman sportswomen spotlessly
+spotlessness spotter spotters spottiness sprat sprats sprayer sprayers spreader spreaders
+sprightlier sprightliest sprightliness sprightly springiness sprite sprites spritz spritzed spritzes
+spritzing sprocket sprockets spryly spryness spume spumed spumes spuming spumoni spuriously
+spuriousness sputum spyglass spyglasses spyware squab squabs squareness squashier squashiest squashy
+squaw squaws squealer squealers squeamishly squeamishness squeegee squeegeed squeegeeing squeegees
+squeezer squeezers squiggle squiggled squiggles squiggling squiggly squirmier squirmiest squirmy
+squish squished squishes squishier squishiest squishing squishy sriracha staccato staccatos
+stagehand stagehands stagflation staidly stainless stairwell stairwells stalactite stalactites
+stalagmite stalagmites staleness stamen stamens stammerer stammerers stanchion stanchions
+standoffish staph staphylococci staphylococcus stargazer stargazers starkly starkness starless
+starlet starlets starling starlings starlit startup startups statehood statehouse statehouses
+stateless stateliness stateroom staterooms stateside statically stationer stationers statuary
+statuesque statuette statuettes stead steadfastly steadfastness steadiness steads steakhouse
+steakhouses steamer steamers steamship steamships steed steeds steelier steeliest steely
+steeplechase steeplechases steeplejack steeplejacks steerage stein steins stenographic stent
+stentorian stents stepdad stepdads stepmom stepmoms stepparent stepparents steppe steppes
+steppingstone steppingstones stereophonic stereoscope stereoscopes sternum sternums stevedore
+stevedores stewardship stickiness stickleback sticklebacks stickpin stickpins stickup stickups sties
+stiffener stiffeners stile stiles stiletto stilettos stingily stingray stingrays stipple stippled
+stipples stippling stirrer stirrers stirrings stoat stoats stochastic stockiness stockroom
+stockrooms stodginess stoically stoker stokers stolidity stoner stoners stoneware stonework stonily
+stooge stooges stopcock stopcocks stoppable storefront storefronts storied stormily storminess
+storybook storybooks stoutly stoutness stovepipe stovepipes strafe strafed strafes strafing
+stragglier straggliest straggly straightaway straightaways straightedge straightedges straightness
+straiten straitened straitening straitens strangler stranglers strangulate strangulated strangulates
+strangulating strategist strategists stratification streetwalker streetwalkers streetwise
+strenuousness strep streptococcal streptococci streptococcus streptomycin stretchier stretchiest
+stretchy striated stricture strictures stridently strikeout strikeouts stringed stringency
+stringently stringer stringers stripling striplings strobe strobes strongbox strongboxes strontium
+strop strophe strophes stropped stropping strops structurally strudel strudels strumpet strumpets
+strychnine stubbly stucco stuccoed stuccoes stuccoing studentships studiously stuffily stuffiness
+stultification stultified stultifies stultify stultifying stumbler stumblers stumpier stumpiest
+stumpy stunningly stupefaction stupendously sturdily sturgeon sturgeons stutterer stutterers sty
+styli stylishly stylishness stylist stylistically stylists styluses styptic styptics suavely suavity
+subatomic subbasement subbasements subclass subcompact subcompacts subcontinent subcontinents
+subcontract subcontracted subcontracting subcontractor subcontractors subcontracts subcutaneous
+subgroups subhead subheading subheadings subheads subhuman subhumans subjection subjectivity subjoin
+subjoined subjoining subjoins subjugation sublease subleased subleases subleasing sublimate
+sublimated sublimates sublimating sublimation sublimely subliminally sublimity submergence submerse
+submersed submerses submersible submersibles submersing submitter suborbital suborn subornation
+suborned suborning suborns subplot subplots subprime subprograms subsidence subsoil subsonic
+subspace substantiation substantiations substantive substantives substation substations substrata
+substrate substratum substructure substructures subsume subsumed subsumes subsuming subsystems
+subteen subteens subtitled subtitling subtotal subtotals subtrahend subtrahends subtropical
+suburbanite suburbanites subversion succinctness succotash succulence suchlike sucklings sucrose
+sudsier sudsiest sudsy suet sufferance suffragan suffragans suffragette suffragettes suffragist
+suffragists suffuse suffused suffuses suffusing suffusion sugarcane sugarcoat sugarcoated
+sugarcoating sugarcoats sugarless sukiyaki sulkily sulkiness sullenness sullied sullies sully
+sullying sultana sultanas sultanate sultanates sumac summation summations summerhouse summerhouses
+summitry summoner summoners sumo sump sumps sunbather sunbathers sunbeam sunbeams sunbonnet
+sunbonnets sunder sundered sundering sunders sunfish sunfishes sunlamp sunlamps sunless sunroof
+sunroofs sunspot sunspots sunstroke superabundance superabundances superabundant superannuate
+superannuated superannuates superannuating supercharge supercharged supercharger superchargers
+supercharges supercharging supercilious superconductivity superconductor superconductors superego
+superegos superficiality superfluity superintend superintended superintendence superintendency
+superintending superintends superlatively superman supermen supermodel supermodels supernova
+supernovae supernovas supernumeraries supernumerary supersize supersized supersizes supersizing
+superstitiously supertanker supertankers supervene supervened supervenes supervening supine supped
+supping suppleness suppliant suppliants supplicant supplicants supplicate supplicated supplicates
+supplicating supplication supplications supportable suppositories suppository suppurate suppurated
+suppurates suppurating suppuration supranational supremacist supremacists sups surcease surceased
+surceases surceasing surefooted sureness sureties surety surfeit surfeited surfeiting surfeits
+surliness surmountable surplice surplices surrealism surrealist surrealists surreptitiously surrey
+surreys surtax surtaxed surtaxes surtaxing susceptibility sushi suspenseful suture sutured sutures
+suturing svelte svelter sveltest swaddle swaddled swaddles swaddling swag swagged swagging swags
+swain swains swallowtail swallowtails swami swamis swankier swankiest swanky sward swards swash
+swashbuckler swashbucklers swashbuckling swashed swashes swashing swastika swastikas swath swaths
+swatter swattered swattering swatters swaybacked swearer swearers swearword swearwords sweetbread
+sweetbreads sweetbrier sweetbriers sweetish sweetmeat sweetmeats swellhead swellheaded swellheads
+swiftness swinger swingers swinish swirly switchback switchbacks switchblade switchblades swordplay
+swordsman swordsmen sybarite sybarites sybaritic sycophantic syllabic syllabication syllabification
+syllabified syllabifies syllabify syllabifying syllogism syllogisms syllogistic sylph sylphs sylvan
+symbioses symbiosis symbiotic symmetries symposium symposiums synchronously syncopate syncopated
+syncopates syncopating syncopation synergism synergistic synergy syntactical syphilitic syphilitics
+syrupy systemic systemics systolic séance séances tableau tableaux tableland tablelands tableware
+tabular tabulator tabulators tachometer tachometers tacitness taciturnity tackler tacklers tactician
+tacticians tactile tactlessness taffeta tailcoat tailcoats tailless tailwind tailwinds takeaways
+talkativeness tallness tallyho tallyhoed tallyhoing tallyhos tam tamable tamale tamales tamarind
+tamarinds tamers tamp tamped tamping tamps tams tanager tanagers tangelo tangelos tangibility
+tangibly tankful tankfuls tanneries tanners tannery tannin tansy tapioca tapir tapirs taproom
+taprooms taproot taproots tardily tare tared tares taring taro taros tarpon tarpons tarragon
+tarragons tartly tartness taser tasered tasering tasers taskmaster taskmasters tastelessly
+tastelessness tastiness tat tats tatted tatting tattler tattlers tattooist tattooists taupe tautness
+tautological tautologies tawdriness taxidermist taxidermists taxonomic taxonomies taxonomy teabag
+teachable teal tealight tealights teals tearfully tearier teariest tearjerker tearjerkers tearoom
+tearooms teary teasel teasels teaser teasers teatime techno technocracy technocrat technocrats techs
+tectonics tediousness teenier teeniest teeny telecast telecaster telecasters telecasting telecasts
+telecommunication teleconference teleconferenced teleconferences teleconferencing telegrapher
+telegraphers telegraphic telegraphy telekinesis telemarketing telemeter telemeters telemetries
+telemetry telepathically telephonic telephony telephoto telephotos teletypes teletypewriter
+teletypewriters televangelist televangelists telex telexed telexes telexing tellingly temblor
+temblors temerity tempera temperamentally temperas tempestuously tempestuousness temporally tempter
+tempters temptingly temptress temptresses tempura tenability tenaciously tendentious tendentiously
+tendentiousness tenderfoot tenderfoots tenderloin tenderloins tendinitis tenfold tenon tenoned
+tenoning tenons tenpin tenpins tensely tenseness tensile tensor tenuously tenuousness terabit
+terabits terabyte terabytes tercentenaries tercentenary termagant termagants terminable
+terminological tern terns terrapin terrapins terrarium terrariums terrifically terrifyingly terry
+tertiary testamentary testate testates testily testiness testosterone tetrahedron tetrahedrons
+texted texting textural thalami thalamus thallium thankfulness thanklessly thanksgiving
+thanksgivings theatrically thees theism theistic thematically thenceforth thenceforward theocracies
+theocracy theocratic theosophy therapeutically therapeutics therefrom thereto therewith thermally
+thermionic thermodynamic thermoplastic thermoplastics thermos thermoses thermostatic thespian
+thespians thiamine thickener thickeners thickenings thickset thieved thievery thieving thievish
+thighbone thighbones thimbleful thimblefuls thine thinners thinness thirdly thistledown thither tho
+thoracic thorax thoraxes thorium thoroughgoing thrall thralled thralling thralls thrasher thrashers
+threefold threescore threescores threesome threesomes threnodies threnody thriftily thriftiness
+throatily throatiness throe throes thromboses thrombosis thrower throwers thru thrum thrummed
+thrumming thrums thrush thrushes thumbscrew thumbscrews thunderclap thunderclaps thundercloud
+thunderclouds thunderhead thunderheads thunderously thundershower thundershowers thwack thwacked
+thwacking thwacks thymus thymuses thyself ti tibia tibiae ticker tickers tiddlywinks tidewater
+tidewaters tidily tidiness tidings tigress tigresses tildes tillable tillage tiller tillers
+timberland timberline timberlines timbre timbres timelessness timeline timelines timeliness
+timepiece timepieces timestamp timestamps timetabled timetabling timeworn timorous timorously
+timpani timpanist timpanists tincture tinctured tinctures tincturing tine tines tingly tinsmith
+tinsmiths tintinnabulation tintinnabulations tipper tippers tipple tippled tippler tipplers tipples
+tippling tipsily tipster tipsters tiptop tiptops tirelessly tirelessness tiresomely tiresomeness
+titan titanic titanium titans tithe tithed tithes tithing titillation titmice titmouse tittle
+tittles titular toadied toadies toady toadying toastmaster toastmasters tocsin tocsins toddies toddy
+toiler toilers toilette toilsome toke toked tokes toking tolerantly toleration tom toms tonalities
+tonality toneless toner tonier toniest tonsillectomies tonsillectomy tonsorial tonsure tonsured
+tonsures tonsuring tony toolbars toolbox toolboxes toothed toothier toothiest toothless toothsome
+toothy topcoat topcoats topically topknot topknots topmast topmasts topmost topographic
+topographical topological topologically topsail topsails topside topsides topsoil toque toques tor
+torchlight toreador toreadors torpid torpidity torpor torqued torques torquing tors torsion torte
+tortes tortoiseshell tortoiseshells tortuously torus tossup tossups totemic touchingly touché
+toughly tourmaline tourney tourneys towhead towheaded towheads townsfolk townsman townsmen towpath
+towpaths toxicologist toxicologists traceable traceries tracery trachea tracheae tracheotomies
+tracheotomy tracings tracker trackers tractable tradesman tradesmen traduce traduced traduces
+traducing trafficker traffickers tragedian tragedians tragicomedies tragicomedy traipse traipsed
+traipses traipsing tram trammed trammel trammels tramming trams tranquilly transceiver transceivers
+transcendent transcendentalism transcendentalist transcendentalists transcendentally transducer
+transducers transept transepts transferal transferals transference transfiguration transfigure
+transfigured transfigures transfiguring transfinite transfix transfixed transfixes transfixing
+transfuse transfused transfuses transfusing transgressor transgressors transience transiency
+transitively transliterate transliterated transliterates transliterating transliterations
+transmigrate transmigrated transmigrates transmigrating transmigration transmissible transmittable
+transmittal transmutation transmutations transmute transmuted transmutes transmuting transnational
+transnationals transoceanic transom transoms transpiration transplantation transponder transponders
+transporter transporters transposition transpositions transship transshipment transshipped
+transshipping transships transubstantiation transversely transvestism trapdoors trapezoidal
+trappable trapshooting trashcans travail travailed travailing travails travelogue travelogues
+treacherously treadle treadled treadles treadling treasonable treasonous treeless trefoil trefoils
+tremolo tremolos tremulous tremulously trenchantly tress tresses triad triads triage triangulation
+triathlon triathlons tribalism tribesman tribesmen tribune tribunes trice triceratops trickiness
+triennial triennials trifecta trifectas trifler triflers trifocals trig triglyceride triglycerides
+trigonometric trilateral trilaterals trillionth trillionths trimaran trimarans trimly trimmers
+trimness trinities tripartite triply triptych triptychs trisect trisected trisecting trisects
+tritely triteness triumphal triumvirate triumvirates trivet trivets trivialities trochee trochees
+troglodyte troglodytes troika troikas trollop trollops trombonist trombonists troopship troopships
+trope tropes tropism tropisms troposphere tropospheres troth trotter trotters trouper troupers
+trousseau trousseaux troy troys truckle truckled truckles truckling truculence truculently trumpery
+truncheon truncheons truss trussed trusses trussing trusteeship trusteeships trustfully trustfulness
+trustworthiness truther truthers truthiness tryst trysted trysting trysts tsunami tsunamis tubeless
+tuber tubercle tubercles tubercular tuberculous tuberous tubers tucker tuckered tuckering tuckers
+tulle tumbledown tumbleweed tumbleweeds tumid tun tunefully tuneless tunelessly tungsten tunnies
+tunny tuns turbid turbojet turbojets turboprop turboprops turbot turbots turbulently turducken
+turduckens turgidity turgidly turmeric turmerics turnabout turnabouts turners turnkey turnkeys
+turnoff turnoffs turpitude turtledove turtledoves tusked tussock tussocks tutelage tutu tutus
+twaddle twaddled twaddles twaddling twain tweedier tweediest tweeds tweedy tweeter tweeters twerk
+twerked twerking twerks twiggier twiggiest twiggy twill twilled twinklings twirler twirlers twofer
+twofers twofold twosome twosomes tympanum tympanums typescripts typesetters typographer typographers
+typographically typography tyrannically tyrannosaur tyrannosaurs tyrannosaurus tyrannosauruses
+tyrannous tyro tyros ubiquitously ukulele ukuleles ulcerate ulcerated ulcerates ulcerating
+ulceration ulcerations ulcerous ulna ulnae ultraconservative ultraconservatives ultramarine ultras
+ultrasonically ululate ululated ululates ululating umbel umbels umber umbilical umbilici umbilicus
+umbrage umiak umiaks umlaut umlauts ump umped umping umps unaccented unacceptability unaccustomed
+unacknowledged unacquainted unadorned unadvised unafraid unalterable unalterably unannounced
+unanticipated unappealing unappreciated unappreciative unapproachable unashamed unashamedly unasked
+unassailable unassisted unattributed unauthenticated unavailing unbar unbarred unbarring unbars
+unbelief unbend unbending unbends unbent unbidden unbind unbinding unbinds unblushing unbolt
+unbolted unbolting unbolts unbosom unbosomed unbosoming unbosoms unbound unbranded unbuckle
+unbuckled unbuckles unbuckling uncalled uncaring uncased uncatalogued unceasingly uncensored
+unceremonious unceremoniously unchanging uncharitably uncivil unclaimed unclasp unclasped unclasping
+unclasps unclassified uncleanlier uncleanliest uncleanly uncleanness unclothe unclothed unclothes
+unclothing uncluttered uncoil uncoiled uncoiling uncoils uncollected uncommitted uncommunicative
+uncomplaining uncompleted uncomplicated uncomplimentary uncomprehending uncompressed
+uncompromisingly unconcern unconcernedly unconquerable unconscionably unconsidered uncontaminated
+uncontested unconventionally unconvincingly uncooked uncooperative uncoordinated uncork uncorked
+uncorking uncorks uncorrelated uncorroborated uncounted uncouple uncoupled uncouples uncoupling
+uncritical unction unctions unctuous unctuously unctuousness uncultivated undated undeceive
+undeceived undeceives undeceiving undecipherable undeclared undefeated undefended undefinable
+undelivered undemanding undemonstrative undependable underachieve underachieved underachiever
+underachievers underachieves underachieving underact underacted underacting underacts underarm
+underarms underbellies underbelly underbid underbidding underbids undercarriage undercarriages
+undercharge undercharged undercharges undercharging underclothes underclothing undercoat undercoated
+undercoating undercoats underdeveloped underdone underemployed underexpose underexposed underexposes
+underexposing underfed underfeed underfeeding underfeeds underfunded underhand underhandedly
+underling underlings undermost underpin underpinned underpinning underpinnings underpins underplay
+underplayed underplaying underplays undersea undersecretaries undersecretary undersell underselling
+undersells undershoot undershooting undershoots undershorts undershot undersign undersigned
+undersigning undersigns undersized underskirt underskirts undersold understandingly underused
+undervalue undervalued undervalues undervaluing underwriter underwriters undeservedly undeserving
+undesirability undetectable undeterred undies undignified undiluted undiminished undisciplined
+undiscovered undiscriminating undisguised undisputed undistinguished undivided undulant undulate
+undulated undulates undulating undulation undulations unearned uneaten unedited unembarrassed
+unemotional unendurable unenforceable unenthusiastic unenviable unequivocally unerringly unevenness
+uneventfully unexampled unexceptionable unexceptional unexciting unexplored unexpurgated unfailingly
+unfaithfully unfaithfulness unfamiliarity unfathomable unfeelingly unfeigned unfetter unfettered
+unfettering unfetters unflagging unflappable unflattering unflinching unflinchingly unforeseeable
+unforgettably unforgiving unformed unfrequented unfriend unfriended unfriending unfriendliness
+unfriends unfrock unfrocked unfrocking unfrocks unfulfilled unfurnished ungainliness ungentlemanly
+ungovernable ungracious ungratefulness ungrudging unguarded unguent unguents ungulate ungulates
+unhand unhanded unhanding unhands unharmed unhealthful unheeded unhesitating unhesitatingly
+unhindered unhinge unhinged unhinges unhinging unhitch unhitched unhitches unhitching unhorse
+unhorsed unhorses unhorsing unhurried unhurt unicameral unicycles unidentifiable unidirectional
+unimaginable unimpaired unimpeachable unimplementable unimplemented unimpressive uninhabited
+uninjured uninstall uninstallable uninstalled uninstaller uninstallers uninstalling uninstalls
+unintelligibly uninterpreted uninterrupted uninvited uninviting unitary universality unknowable
+unknowing unknowings unlace unlaced unlaces unlacing unlatch unlatched unlatches unlatching
+unlawfully unlearn unlearning unlearns unleavened unlettered unlicensed unlikelihood unloose
+unloosed unlooses unloosing unloved unluckily unmade unmake unmakes unmaking unmanageable unmanlier
+unmanliest unmanly unmannerly unmatched unmemorable unmentionable unmentionables unmerciful
+unmercifully unmindful unmissed unmoral unneeded unnoticeable unnumbered unobjectionable unobservant
+unobserved unobstructed unobtrusively unoffensive unopened unopposed unpainted unpalatable
+unpardonable unpatriotic unpaved unperturbed unpin unpinned unpinning unpins unplanned unplumbed
+unpolluted unpredictability unprejudiced unpremeditated unpretentious unpreventable unpromising
+unprompted unpronounceable unproved unpunished unquenchable unquestioning unquestioningly unquote
+unquoted unquotes unquoting unreachable unready unrealistically unreasonableness unreasoning
+unreconstructed unrecorded unrefined unregenerate unregistered unregulated unrehearsed unreleased
+unrelentingly unrelieved unremitting unrepentant unrequited unrewarding unripe unriper unripest
+unromantic unsaddle unsaddled unsaddles unsaddling unsalted unsanctioned unsatisfying unsaturated
+unschooled unscramble unscrambled unscrambles unscrambling unscrupulously unscrupulousness unseal
+unsealed unsealing unseals unseasonably unseasoned unseeing unseemliness unselfish unselfishly
+unselfishness unsent unsentimental unshaven unsheathe unsheathed unsheathes unsheathing
+unsightliness unskillful unsmiling unsnap unsnapped unsnapping unsnaps unsnarl unsnarled unsnarling
+unsnarls unsociable unsold unsparing unspeakably unspecific unspoiled unstated unsteadily
+unsteadiness unstop unstopped unstopping unstops unstressed unstrung unstudied unsubscribe
+unsubscribed unsubscribes unsubscribing unsubstantial unsubtle unsuitably unsupervised unsurpassed
+unsurprising unsuspected unsweetened unswerving unsympathetic untainted untamed untapped untaught
+untested untidiness untimeliness untiringly untitled untreated untroubled untruth untruthfully
+untruths untutored untwist untwisted untwisting untwists unutterable unutterably unvarnished
+unvarying unverified unvoiced unwarier unwariest unwariness unwavering unwed unwholesome
+unwieldiness unwillingly unwisely unwonted unworldly unworthier unworthiest unworthiness upbraid
+upbraided upbraiding upbraids upcountry updater upland uplands upmarket uppercut uppercuts
+uppercutting upraise upraised upraises upraising uproarious uproariously upsides urbanity urea
+urethra urethrae uric urinal urinals urinalyses urinalysis urinary urination urologist urologists
+urology usability username usernames usherette usherettes usurer usurers usurious usurpation usurper
+usurpers usury uterine utilitarians uttermost uvula uvular uvulars uvulas vacillation vacillations
+vacuity vacuously vagrancy vainglorious vainglory valance valances vale valedictories valedictory
+valence valences vales validations validness valorous valuation valuations vamoose vamoosed vamooses
+vamoosing vamp vamped vamping vamps vanadium vantage vantages vape vaped vapes vapid vapidity
+vapidness vaping vaporous variably variate varicose variegate variegated variegates variegating
+varlet varlets varmint varmints vascular vassal vassalage vassals vaudeville vaulter vaulters vaunt
+vaunted vaunting vaunts vectored vectoring veep veeps vegetate vegetated vegetates vegetating
+vegetative vehemence veld velds vellum velours velveteen venal venality venally venereal vengefully
+venial venomously venous ventral ventricular venturesome venturous veracious verbena verbenas
+verdant verdigris verdigrised verdigrises verdigrising verdure verifiable verily verisimilitude
+veritably verities verity vermicelli vermilion verminous vermouth vernal versification versified
+versifies versify versifying vertebral vertex vertexes vertiginous vesicle vesicles vesper vespers
+vestigial vestries vestry vetch vetches vexatious viand viands vibrancy vibrantly vibraphone
+vibraphones vibrato vibrator vibrators vibratos viburnum viburnums vicarage vicarages viceroy
+viceroys vichyssoise viciousness vicissitude vicissitudes victoriously victual victuals vicuña
+vicuñas videodisc videodiscs viewfinder viewfinders vigilantism vigilantly vignette vignetted
+vignettes vignetting vilely vileness vilification villein villeins vim vinaigrette vindicator
+vindicators vindictively vindictiveness vinegary vintner vintners viol violable violator violators
+violist violists violoncello violoncellos viols virago viragoes vireo vireos virginal virginals
+virgule virgules virology virtuosity virtuousness virulence virulently viscera visceral viscid
+viscount viscountess viscountesses viscounts viscus vitals vitiate vitiated vitiates vitiating
+vitiation viticulture vitreous vitriol vituperate vituperated vituperates vituperating vituperation
+vituperative viva vivace vivaciousness vivas vividness vivified vivifies vivify vivifying viviparous
+vixen vixenish vixens vizier viziers vocalic vocally vocative vocatives vociferate vociferated
+vociferates vociferating vociferation voguish voiceless voicemail voicemails voile vole voles
+voltaic voltmeter voltmeters volubility voluble volubly voluminously voluptuaries voluptuary
+voluptuously voluptuousness voodooism voraciously votaries votary votive vouchsafe vouchsafed
+vouchsafes vouchsafing voyeuristic vulgarism vulgarisms vulgarly vulnerably vulva vulvae vuvuzela
+vuvuzelas wack wacker wackest wackiness wacko wackos wacks wader waders wadi wadis waggish waggle
+waggled waggles waggling wagoner wagoners wainscot wainscots waistcoat waistcoats wakeful
+wakefulness wale waled wales waling walkway walkways wallabies wallaby wallboard walleye walleyed
+walleyes wallflower wallflowers wallopings wampum wanderlust wanderlusts wangle wangled wangles
+wangling wanly wantonly wantonness wapiti wapitis warbler warblers warder warders wardroom wardrooms
+warhorse warhorses wariness warmers warmhearted warthog warthogs wartier wartiest warty washboard
+washboards washbowl washbowls washerwoman washerwomen washstand washstands washtub washtubs waspish
+wassail wassailed wassailing wassails wastefulness wastepaper waster wasters wastewater wastrel
+wastrels watchband watchbands watcher watchers watchfully watchfulness watchtower watchtowers
+waterboard waterboarded waterboarding waterboardings waterboards watercourse watercourses watercraft
+watercress waterfowl waterfowls waterline waterlines waterside watersides waterspout waterspouts
+wattage wattle wattled wattles wattling wavelet wavelets waviness waxen waxwing waxwings waxwork
+waxworks wayfarer wayfarers wayfaring wayfarings waywardly waywardness weakfish weakfishes weal
+weals wealthiness weaponless wearable wearer wearers weathercock weathercocks weatherman weathermen
+weatherproof weatherproofed weatherproofing weatherproofs webcam webcams webcast webcasting webcasts
+webinar webinars webisode webisodes webmaster webmasters webmistress webmistresses weeder weeders
+weeper weepers weepier weepies weepiest weepings weepy weevil weevils weft wefts weightiness weir
+weirdly weirs welkin wellspring wellsprings welterweight welterweights wen wench wenches wend wended
+wending wends wens westernmost wetland wetlands wetly wetness whalebone whammies whammy whatnot
+wheal wheals wheaten wheelbase wheelbases wheeler wheelwright wheelwrights wheezier wheeziest wheezy
+whelk whelked whelks whelp whelped whelping whelps whereat wherefore wherefores whereof whereon
+wheresoever whetstone whetstones whey whimsicality whimsically whimsies whimsy whinier whiniest
+whiny whipcord whippersnapper whippersnappers whippet whippets whippoorwill whippoorwills whirligig
+whirligigs whist whistler whistlers whit whitecap whitecaps whitefish whitefishes whitener whiteners
+whitewall whitewalls whither whiting whitings whitish whits whittler whittlers wholeness
+wholesomeness whomever whomsoever whoopee whoopees whopping whorehouse whorehouses whorl whorled
+whorls whosoever wickerwork wideness widescreen widescreens widowhood wifely wigeon wiggler wigglers
+wigglier wiggliest wiggly wight wights wigwag wigwagged wigwagging wigwags wiki wikis wildebeest
+wildebeests wildflower wildflowers wildfowl wiled wiliness wiling willies wimple wimpled wimples
+wimpling windbag windbags windbreak windbreaks windburn windiness windjammer windjammers windlass
+windlasses windowed windsock windsocks windstorm windstorms windup windups windward wineries winery
+winger wingless wingnut wingnuts wingspread wingspreads winnow winnowed winnowing winnows winsomely
+wintergreen wireless wirelesses wiriness wiseacre wiseacres wisher wishers wishfully wisteria
+wisterias wistfulness witchery withal witlessly wittily wittiness wittingly wizardry woeful
+woefuller woefullest woefully wolfhound wolfhounds wolfish wolfram wolverine wolverines womanish
+womanlier womanliest womanlike womanliness womanly womenfolk womenfolks wonderment wondrously wonted
+woodbine woodcarving woodcarvings woodcock woodcocks woodcraft woodcut woodcuts woodcutter
+woodcutters woodcutting woodenly woodenness woodiness woodman woodmen woodpile woodpiles woodshed
+woodsheds woodsier woodsiest woodsy woodworking woodworm wooer wooers woofer woofers woolgathering
+woolliness wooziness wordiness wordplay workaday workday workdays workflow workflows workhorse
+workhorses workhouse workhouses workingman workingmen workplaces workweek workweeks worldliness
+wormier wormiest wormwood wormy worrier worriers worrywart worrywarts worshipful worthily worthiness
+worthlessness wrack wraith wraiths wraparound wraparounds wrathful wrathfully wreckers wretchedly
+wretchedness wriggler wrigglers wriggly wrinklier wrinklies wrinkliest wrinkly wristband wristbands
+wrongfulness wrongheaded wrongheadedly wrongheadedness wrongness wroth wryness wuss wusses xenon
+xerographic xerography xylem xylophonist xylophonists yachtsman yachtsmen yahoo yahoos yammer
+yammered yammering yammers yardage yardages yardarm yardarms yaw yawed yawing yawl yawls yaws ye yea
+yeas yeastier yeastiest yeasty yeoman yeomen yeshiva yeshivas yesteryear yieldings yip yipped
+yipping yips yogi yogis yon yore youngish youthfully youthfulness yttrium yucca yuccas yuk yukked
+yukking yuks yule yuletide yup yups zaniness zapper zappers zealot zealots zealousness zebu zebus
+zed zeds zephyr zephyrs zeppelin zeppelins zestful zestfully zilch zing zinged zinger zingers
+zinging zings zinnia zinnias zippier zippiest zippy zircon zirconium zircons zither zithers zodiacal
+zonal zonked zwieback zygote zygotes éclat élan émigré émigrés épée épées étude études abetter
+abetters absinth acclimatisation accoutrements actualise actualised actualises actualising aerofoil
+aerofoils aetiology aggrandise aggrandised aggrandisement aggrandises aggrandising alphabetise
+alphabetised alphabetises alphabetising amortisation amortisations amortise amortised amortises
+amortising anaesthesiology analysers anthologise anthologised anthologises anthologising
+appetisingly armourer armourers atomiser atomisers attitudinise attitudinised attitudinises
+attitudinising backpedalled backpedalling bastardise bastardised bastardises bastardising bedevilled
+bedevilling behove behoved behoves behoving bevellings blowsier blowsiest blowsy bowdlerise
+bowdlerised bowdlerises bowdlerising briar briars burka burkas burqa burqas caesium callisthenics
+cannibalise cannibalised cannibalises cannibalising canonisation canonisations canonise canonised
+canonises canonising caroller carollers cataloguer cataloguers catalyse catalysed catalysing
+catechise catechised catechises catechising categorisation categorisations cauterise cauterised
+cauterises cauterising cavilled cavilling cavillings centilitre centilitres centralisation
+centrefold centrefolds chiseller chisellers cicatrix circularise circularised circularises
+circularising clangour clarinettist clarinettists cognisance cognisant collectivise collectivised
+collectivises collectivising coloniser colonisers colouration colourfast colourfully
+commercialisation computerisation conceptualisation conceptualisations conceptualise conceptualised
+conceptualises conceptualising crozier croziers cudgelled cudgelling cudgellings decolonisation
+decolonise decolonised decolonises decolonising decriminalisation dehumanisation dehumanise
+dehumanised dehumanises dehumanising demagnetisation demagnetise demagnetised demagnetises
+demagnetising demilitarisation demilitarise demilitarised demilitarises demilitarising
+demobilisation demobilise demobilised demobilises demobilising democratisation democratise
+democratised democratises democratising demoralisation dentine deodoriser deodorisers
+departmentalise departmentalised departmentalises departmentalising depoliticise depoliticised
+depoliticises depoliticising deputise deputised deputises deputising desensitisation desensitise
+desensitised desensitises desensitising digitisation disembowelled disembowelling dowelled dowelling
+draughtiness draughtsmanship duellist duellists editorialise editorialised editorialises
+editorialising encyclopaedic energiser energisers equalisation equaliser equalisers evangelise
+evangelised evangelises evangelising exorcise exorcised exorcises exorcising extemporise
+extemporised extemporises extemporising factorise factorising familiarisation fibreboard
+fictionalise fictionalised fictionalises fictionalising flavourful flavourless foregather
+foregathered foregathering foregathers formalisation fossilisation fraternisation gambolled
+gambolling globalisation goitre goitres greyness groveller grovellers haematologist haematologists
+haematology homogenisation humanisation humaniser humanisers humourless humourlessness hybridise
+hybridised hybridises hybridising idealisation immobilisation impanel impanelled impanelling
+impanels individualise individualised individualises individualising intellectualise
+intellectualised intellectualises intellectualising internalise internalised internalises
+internalising internationalise internationalised internationalises internationalising iodise iodised
+iodises iodising ionisation ionise ionised ionises ionising itemisation kaftan kaftans lasagne
+lasagnes legalisation legitimise legitimised legitimises legitimising leveller levellers libeller
+libellers liberalisations likeableness lionise lionised lionises lionising liquidise liquidised
+liquidises liquidising lissom localisation louvre louvred louvres magnetisation manoeuvrability
+manoeuvrable mantoes marvellously materialisation maximisation memorialise memorialised memorialises
+memorialising memorisation mercerise mercerised mercerises mercerising metabolise metabolised
+metabolises metabolising metastasise metastasised metastasises metastasising militarisation
+militarise militarised militarises militarising miniaturisation miniaturise miniaturised
+miniaturises miniaturising minimisation mitre mitred mitres mitring moisturise moisturised
+moisturises moisturising monetise monetised monetises monetising moralise moralised moralises
+moralising moulder mouldered mouldering moulders multicoloured mynah mynahes nasalise nasalised
+nasalises nasalising neutraliser neutralisers nitre nitroglycerine notarise notarised notarises
+notarising numbskull numbskulls ochre odourless oedema optimisations optimiser organdie orthopaedic
+orthopaedist orthopaedists overemphasise overemphasised overemphasises overemphasising
+overspecialise overspecialised overspecialises overspecialising oxidiser oxidisers paediatric
+parenthesise parenthesised parenthesises parenthesising particularisation particularise
+particularised particularises particularising patinae pauperise pauperised pauperises pauperising
+pedestrianise pedestrianised pedestrianises pedestrianising philtre philtres ploughman ploughmen
+ploughshare ploughshares pluralise pluralised pluralises pluralising polymerisation pommelled
+pommelling popularisation prejudgement prejudgements pressurisation preterite preterites pyorrhoea
+randomise randomised randomises randomising realisable recognisance recogniser reconnoitre
+reconnoitred reconnoitres reconnoitring reemphasise reemphasised reemphasises reemphasising
+regularise regularised regularises regularising reinitialise reinitialised relabelled relabelling
+rhapsodise rhapsodised rhapsodises rhapsodising rouble roubles routinise routinised routinises
+routinising rowelled rowelling rubberise rubberised rubberises rubberising saltpetre secularisation
+secularise secularised secularises secularising sensitisation sensitise sensitised sensitises
+sensitising sentimentalise sentimentalised sentimentalises sentimentalising septicaemia
+serialisation serialise serialised serialises serialising sermonise sermonised sermonises
+sermonising signalise signalised signalises signalising slenderise slenderised slenderises
+slenderising snivelled snivelling snowshoed socialisation solemnise solemnised solemnises
+solemnising soliloquise soliloquised soliloquises soliloquising spiraea spiraeas stabilisation
+stabiliser stabilisers steriliser sterilisers stylise stylised stylises stylising subsidisation
+subtotalled subtotalling sulphate sulphates sulphide sulphides sulphured sulphuric sulphuring
+sulphurous sulphurs symbolisation synchronisations systematise systematised systematises
+systematising temporise temporised temporises temporising tenderiser tenderisers thraldom throughway
+throughways toxaemia trammelled trammelling tricolour tricolours tumbril tumbrils unappetising
+unbeknown uncivilised unfavourably uninitialised unionisation unlearned unlearnt unorganised
+unrealised unrecognisable unshakeable updraught updraughts urbanisation urbanise urbanised urbanises
+urbanising vaporisation vaporiser vaporisers varicoloured verbalise verbalised verbalises
+verbalising victualled victualling visualisation vitalise vitalised vitalises vitalising
+vocalisation vocalisations vocalise vocalised vocalises vocalising vulcanisation vulcanise
+vulcanised vulcanises vulcanising vulgarisation vulgarise vulgarised vulgarises vulgarising
+wainscoted wainscoting wainscotings weatherise weatherised weatherises weatherising wilfulness
+winterise winterised winterises winterising womanise womanised womaniser womanisers womanises
+womanising yodeller yodellers
+`;
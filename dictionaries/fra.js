@@ -0,0 +1,4910 @@
+// French words for OCR correction, lower case, whitespace separated: common spoken words, the
+// 10,000 most frequent words (most-common-words-by-language, MIT), then their inflections from
+// an-array-of-french-words (MIT).
+export default `
+à a abord accord acheter adieu affaire âge ai aide aider aime aimé aimer ainsi air alle aller allez
+allons alors ami amie amis amour an ans appelle appeler après arrête arrêter arrive arriver as
+attend attendre attends au aucun aujourd'hui aussi autre autres aux avais avait avant avec avez
+avoir avons bah bas beau beaucoup besoin bien bientôt blanc bon bonjour bonne bonsoir bout bras
+bureau ça ce cela celle celui ces cet cette chambre chance chaque chef chercher chez chose choses
+ciel cinq c'est c'était chéri chérie coeur combien comme comment connais connaître contre corps côté
+coup cours crois croire d'abord d'accord dame dans de demain demande demander depuis dernier
+dernière des deux devant devez devoir dieu dire dis dit dites dix doit donc donne donner dont dors
+du eau elle elles en encore enfant enfants enfin ensemble ensuite entre envie es est et été êtes
+être eu eux faire fais fait faites famille faut femme femmes fille fils fin fini fois font frère
+gars gens grand grande gros guerre haut heure heures heureux hier histoire homme hommes ici idée il
+ils j'ai j'aime jamais je jeune jour jours juste l'air là laisse laisser le les leur leurs lui ma
+madame mademoiselle mais maintenant mal maman mari mec meilleur même merci mère mes messieurs met
+mettre mieux moi moins mois moment mon monde monsieur mort mot mots n'est n'ai nom non nos notre
+nous nouveau nouvelle nuit oh on ont ou où oui outre papa par parce parle parler pars part partir
+pas passe passer pendant pense penser père personne petit petite peu peur peut peut-être peux pièce
+place plaît plus police porte pour pourquoi pourrait pouvez pouvoir prendre prends près presque prêt
+problème quand quatre que quel quelle quelque quelqu'un question qui quoi raison regarde regarder
+rentrer reste rester retour revoir rien rue s'il sa sais sait salut sans savoir se sens sept ses
+seul seule seulement si sien soeur soir sommes son sont sors sortir souvent suis suite sur sûr ta
+tant tard te temps tes tête toi ton tôt toujours tous tout toute toutes travail très trois trop
+trouve trouver tu un une va vais vas venez venir veux vie viens vieux ville vingt vite voilà voir
+vois voit voiture votre vous vrai vraiment vu y la ne d'un d'une l marché d qu'il prix également
+effet pays cas millions belgique bef taux années groupe société soit bruxelles quelques sera
+entreprises f francs n'a était s'est sous actions milliards exemple compte belge premier s l'on
+terme produits d'autres niveau bénéfice partie hausse secteur valeur croissance rapport usd année
+base bourse lors vers l'entreprise peuvent surtout nombre fonds point personnes plusieurs certains
+d'affaires permet politique chiffre devrait produit l'année qualité france s'agit vente production
+action baisse résultats risque début banque qu'un qu' qu'on titre doute long d'ailleurs notamment fb
+droit qu'elle cependant service etats-unis qu'ils l'action belges ceux services seront économique
+car situation entreprise me nouvelles n'y possible toutefois nouveaux selon qu'une sociétés vient
+jusqu' marchés mise van semble clients serait fort frais lieu gestion capital gouvernement projet
+grands réseau l'autre données plan points pourtant ni type europe mesure actuellement public
+important mis parfois n'ont veut présent passé forme autant développement grandes vue investisseurs
+maison l'an moyen choix doivent nlg direction simple période dollars personnel assez programme
+général banques semaine président européenne moyenne loi certaines loin explique plupart jeunes
+contrat valeurs rendement nombreux fonction offre client activités environ ministre cadre étaient
+sécurité recherche paris sorte décembre davantage janvier cause conditions juin peine certain
+septembre l'indice pris laquelle directeur qu'en propose derniers étant fut portefeuille obligations
+afin différents technique ailleurs p l'ensemble américain ventes livre octobre sein or dollar petits
+tel durée domaine aurait présente pc lorsque puis l'un n'en tandis existe propre carte crise
+importante atteint revenus montant forte quant rapidement etc mars s'en premiers marque véritable
+ligne longtemps propres départ pu total série particulier concurrence élevé position connu principe
+tendance court n pages évidemment résultat aura parmi américaine face durant construction désormais
+distribution telle difficile autour européen pratique centre vendre juillet mai région sociale
+filiale film h mode représente réalité vaut tél aucune titres l'europe nombreuses différentes moyens
+formation chiffres générale prochain l'etat genre communication participation estime devient réalisé
+création novembre l'évolution pourra semaines consommation faible terrain site droits moitié puisque
+reprise compris projets avril vont call donné simplement six firme perte philippe prend via
+stratégie vos jeu j' petites marketing michel manque réaliser financiers constitue internet net
+charge nature second payer actuel investissements dispose financier d'achat membres date avaient
+gamme revanche décision l'avenir tour actionnaires s'y solution créer l'économie concerne l'époque
+belle lequel seconde version pays-bas cher chacun lire techniques décidé mouvement conseil
+nécessaire double sujet généralement restent celles politiques malgré confiance d'actions ayant
+papier commerce wallonie windows termes contraire informations l'industrie trimestre e différence
+certaine formule jusqu'au programmes actuelle permis dossier l'heure rendre février l'emploi main
+voire bons technologie européens éléments unique l'eau courant suffit l'ordre conserver maximum
+force fax largement milliard soient pierre devenir l'union franc minimum responsable possibilité
+presse affaires longue travers m bbl relativement présence européennes devraient groupes santé new
+bénéfices but compagnie publique revenu mesures table nettement questions d'avoir permettre l'homme
+qu'elles c majorité potentiel moindre récemment secteurs réduction large traitement perdu étrangers
+parents l'une fond capacité vitesse activité l'exercice l'objet tient taille éviter risques jean
+allemagne propos signifie voie jouer prévoit noir parti logiciel continue bois meilleure l'argent
+perspectives développer celui-ci oeuvre structure suivre tiers prise professionnels raisons
+néanmoins preuve social bénéficiaire couleurs mondial essentiellement prévu japon prévisions
+centrale international yeux pme l'a ait bonnes opérations pied l'art pourraient londres juge devra
+uniquement divers numéro réduire texte tenu budget l'étranger pression n'était style économiques
+jacques montre population analystes processus placement classique dividende publics fortement plein
+wallonne dem express faudra travailler crédit directement prime flandre monnaie précise appel
+travaux l'occasion put tableau terre permettent devenu rouge mémoire partenaires rapide travailleurs
+joue objectif salle musique milieu d'entreprise autorités chute régime d'autant liste opération
+performances électronique haute responsables lancé voitures patron affiche situe b l'image études
+microsoft condition retrouve revient belgacom route luxembourg campagne comptes hors culture
+commission d'entre possibilités semestre actifs finalement internationale l'achat monétaire passage
+of justice page tels poids celle-ci commercial entendu l'investisseur mondiale diverses totalement
+fil clair vin biens euro york parfaitement viennent division réseaux principal lancer supérieur
+atteindre référence téléphone management vins proche collection fiscale ceci informatique
+investissement volume matériel publicité train coupon progression tenir protection l'aide couleur
+nouvel change changement garantie somme plaisir importants privé besoins oeuvres américains
+relations peau moteur augmentation suivi volonté bancaire bureaux principalement intéressant
+logiciels sommet l'activité d'en vivre élevés robert contrats oublier performance réponse
+d'exploitation concept obtenir poste lignes consiste augmenté vert figure développé l'histoire
+magasins collaboration répondre tva holding g livres convient fonctions fera pouvait million paul
+britannique d'entreprises voix grande-bretagne disque minutes contexte limite mains commun réduit
+particuliers verre wallon d'etat allemand effets chine meilleurs rend applications d'ici procédure
+l'opération devait profit méthode pose commence l'internet d'eau créé nord capitaux options
+consommateur cartes soi métier probablement d'investissement facile importantes marc capitale devise
+prochaine transport street utilisateurs l'affaire image l'idée propriétaire facilement publiques
+disponible louis d'or veulent charleroi consommateurs devises difficultés sort national machines
+annoncé choisi découvrir soutien perdre cuisine telles travaille r ouvert phase certainement
+télévision pratiquement annuel bord paiement bank institutions seuls constate marques nationale
+regard représentent état libre rachat portes commandes permettant manager fiscal cinéma zone sauf
+avantages l'information voici dur effectivement puisse réel the puissance fixe belgium contact
+époque rythme principaux vendu utilisé étude sensible bref rencontre spécialistes brut mauvais
+néerlandais supplémentaire reprises nécessaires machine cd parts comprend fusion acquis totale
+voyage logique l'échéance concurrents idées trouvé dette sud réellement financement disponibles
+lance marge dirigeants avis changer conséquence sociales supérieure certes faisant ordinateur
+partenaire warrant fabrication redressement suffisamment délégué pourront poursuit chemin emplois
+l'environnement réalise frf évolution cour automobile ancien note parties pension professionnel
+assure garder l'administration guy est-il ibm climat d'acheter sicav département partout immobilier
+lancement rating réussi patrimoine feu expérience anvers anciens graphique fortis faveur retrouver
+droite responsabilité commande kredietbank d'argent direct l'inflation n'avait utiliser tonnes
+l'origine connaissance acheté américaines clairement semblent biais futur neuf faillite km équipe
+musée compagnies documents pertes sortie m'a seraient d'autre choisir l'instant tellement industriel
+précompte d'europe immédiatement avantage qu'au constituent déchets sport demeure garde maisons
+solvay conséquences kb l'offre active dépenses donnent employés sites élections détient n'importe
+obligation fruits véhicule l'égard investi mission profiter visite comprendre professionnelle
+affirme l'intérieur wall charges privée rares succession liberté rentabilité suivant efficace
+assurer images agences impossible john fournisseurs photo salaires compter l'est disposition formes
+bénéficiaires lesquels maintenir précisément couple enregistré recul offrir hauteur centres voulu
+industrielle positif luc administrateur intéressante commerciale interne pleine passant vision gsm
+faits retard lundi porter écrit cesse locaux délai trouvent classiques commencé réalisée alain
+vigueur gagner philips ceux-ci favorable pouvoirs participations annonce génération élément devenue
+touche conseils mer souligne respectivement rapports vacances lieux naturellement d'y lorsqu'il
+statut usa destiné défaut objectifs récente saison d'art industriels suisse catégorie complexe huit
+l'obligation fisc obtenu repris occupe sérieux émis comportement limité conjoncture gauche marche
+d'origine l'utilisateur ordre mobilier parcours perspective normes recours l'esprit communauté
+annuelle t lecteur objets fabricant niveaux réalisation amateurs conséquent présenter vise types
+détail mauvaise professeur progressé signe passée approche return jardin l'espace flamand namur
+bilan vif sensiblement utilise commune dimanche option partis analyse films surface warrants gbp
+prises secret historique journée l'ancien allemande d'assurance andré l'importance proposer avions x
+augmenter parc delhaize limitée appareils villes au-dessus diminution prochaines servir bernard
+faiblesse plus-value souhaite internationales producteur producteurs code belles cabinet
+fonctionnement ff gérer cm mouvements pratiques régions dossiers meilleures entrée vendredi actif
+sociaux supplémentaires café message physique communes dizaine faute sélection source facteurs
+milliers soleil tirer concernant bourses fallait sentiment bénéficier débat l'allemagne élevée
+ouvrage attention a-t-il bel constructeurs contribuable moderne passion primes in suit auquel
+dépasse spécialisée bruxellois déclaration multiples quartier vidéo dépend l'école liquidités
+correction ca comité web cherche filiales signé leader calcul gaz rens artistes déficit cadres
+fédéral probable remboursement and efforts restaurant couverture domicile soins devront luxe complet
+danger indispensable syndicats comporte faite juridique langue rendez-vous d'informations demandé
+respect continuer l'organisation lesquelles local l'impression n'existe rare restructuration
+automatiquement plat boursier sol cotées décide matériaux ordinateurs tradition v progressivement
+capable classe familiale réserve fonctionne solutions fabricants paie finances l'été réelle changé
+masse unités considéré fer auront noms riche patrick proposé salon territoire fixé magasin candidats
+marges asiatique inférieur réaction fleurs l'effet record tribunal recettes poursuivre dessous
+portant sabena acteurs dehors constructeur l'auteur relation offrent spectaculaire luf produire
+confort familles investir reprend sert montrer mérite places judiciaire textes quasi sncb jeux
+permettra étudiants membre photos positions cockerill lendemain cent gagné japonais l'absence mark
+pointe solide anglais présentent décisions législation médias victimes écran nécessairement
+découverte l'assuré club environnement noter crée exportations négociations jan répond entier
+business peinture s'était voisins faibles location promotion technologies auraient caisse entend
+simples maladie menu chances commerciaux printemps benelux poser asie l'utilisation usage pib
+actionnaire prennent résistance dow ii surprise etats mariage nécessité cote beauté exclusivement
+lettre payé rendu s'ils software utile gestionnaires bénéficie procédé vaste normal construire
+démarche emprunts naissance co d'information distance tourner attendant quantité roi l'assureur
+tourne ajoute bancaires ajouter géant automatique faux litres présenté argent confirme indépendants
+l'ordinateur énorme destinés l'avantage véhicules ressources standard auparavant construit
+principales disposer global écoles réputation fameux rappelle conseille veille difficulté l'état
+limites commerciales samedi palais vend vit tractebel connaissent reprendre village emploi
+budgétaire croit mises souci contient habitants weekend beaux bruxelloise faisait introduit
+intérieur outils précis chercheurs taxe salaire transactions christian portée réflexion ag d'emploi
+hasard matin assureurs réforme fournir recherches liés tenue proposent ferme l'enfant l'or secondes
+cger contenu quotidien flamande centaines course billet critique l'arrivée naturel principale
+support week-end dehaene gand chargé économies augmente guide proposition laissé spécialiste
+francophones importance vent conception préférence spectacle avenir d'entrée grave commencer
+d'années diminuer bonheur dizaines d'environ exactement outil scénario jones coups émissions
+éventuellement royale l'agence soumis d'exercice lecture monter central exigences assuré contacts
+consacré l'attention d'administration due faut-il réussite échéance recevoir tableaux évident ps art
+italie amélioration auteurs estimé quinze russie précédent vendeur événements autrement experts
+fortes furent possibles circonstances placer publication l'écran réserves sauce venu charles
+collaborateurs implique l'assurance obligataire établi cd-rom forcément l'essentiel l'enseignement
+remarquable vol claude tourisme internationaux directe compétences conseiller facteur plastique
+rarement royal affiché lutte relative actuels l'équipe ministres secrétaire capitalisation langage
+positive circulation convaincre notion visage vouloir ajoutée caractéristiques eric union paix
+puisqu'il courrier disposent développe présentation barre comparaison déterminer firmes fournisseur
+informatiques luxembourgeois achats solde serge globale propriété stratégique renault partage porté
+sources kong destinée absolument branche l'objectif ouvre plans productivité améliorer d'obtenir
+joué parlement dépit fichiers personnalité constitué gestionnaire né profession qualités conscience
+médecin celles-ci design décor faudrait participer forces appareil conduite longueur tarifs vérité
+lien locales francophone clubs correspond coupons d'émission estiment défi protéger réalisés
+d'emplois d'éviter l'ouverture méthodes revenir superbe volontiers document nommé tente financer
+scientifique georges travaillent l'investissement lié zones lettres ouverte hong murs philosophie
+rappeler utilisés suivante d'année représentant traduit remettre situé différente longs économie
+discours distributeur domaines l'introduction régional italien restera usine group l'informatique
+personnage portent attendu l'option jean-pierre articles changements fallu léger mener propriétaires
+spécifique récupérer voyages procéder locale médecins privés transmission concurrent courte quart
+baisser pieds publié ford menace réunion transfert composé dimension personnages ralentissement
+conclusion l'usage agents parfum rémunération difficiles l'entrée mettent proches réglementation
+salles grimpé prochains prévue électrique dynamique exposition installé plancher distributeurs
+déclare connue n'avons préparation réalisées beurre opérateurs achat province spécifiques albert
+l'usine l'existence renforcer téléphonique comptable effectuer trafic degré l'ont définitivement
+humain optique remarque talent appelé modifier définition peintre respecter stade statistiques
+certificats s'attend limiter livraison placements raconte volumes immobiliers anciennes chevaux
+médicaments peter feuilles football identique pouvons remise structures tenter accords cotisations
+indice neutre constituer montrent placé loyer proximité voient épouse canada entrer postes précision
+cité concours patrons populaire pétrole négatif allemands d'activité roman victime italienne ménages
+repas petrofina langues tendances pire prudence savent conduit mille rénovation égard exercice
+l'étude s'impose avance effectué fortune fournit lecteurs morgan découvert l'inverse différent
+emploie bleu technologique télécommunications amsterdam fiscales indique information lourd signal ed
+ancienne apporte nette prestations publicitaires sensibles l'émission lit volatilité étape assurance
+jusqu'en lancée résoudre garanti modification revue spéciale www chacune l'analyse différences
+messages priorité recommandation récent charme dividendes olivier passent finale immeubles logement
+pourcentage rire stabilité difficilement défense l'ancienne magazine eaux jeunesse l'intention
+continuent révolution étonnant organisation constater dos emprunt éditions daniel sel utilisée
+compartiment publicitaire article bande capacités centrales considérée milieux occasion quasiment
+pouvant vermeulen-raemdonck visiteurs chambres considérablement demi découvre essentiel broker
+dettes mardi reconnaissance salariés formules grosse perd radio allait multimédia partiellement
+seules gérard securities toucher jugement l'oeuvre considérer remplacer couvrir précieux segment
+dessins espace indices refuse chefs exemples rejoint spécialisé l'amour l'exportation objet
+précédente rose versions d'études destination deviennent l'italie personnelle plats vingtaine
+l'expérience virus chasse longues bases cotée final monnaies travaillé apporter aspects disparu
+david port racheter relever ing catalogue centaine chaleur profil représentants conclu réside
+scientifiques secondaire serveur xixe exige grimper immeuble l'université montants paysage vendus
+assurances catégories dure décote soutenir édition dangereux agréable voulait d'application
+disparition optimiste plus-values tomber erreur l'augmentation situations spécialisés subi suivent
+classement l'exemple norme rentable sang socialiste tombe attitude mines qu'aux liée plantes vague
+general l'immobilier légumes conflit excellent licence travailleur appris est-elle gagne préparer
+purement située vérifier jean-luc gain métal surfaces d'épargne douze expliquer lorsqu'on meubles
+yen chaussures créée institution l'accent solidarité maastricht basée journal soin sourire
+bouteilles flexibilité maintient appartient moments rouges basé devons installations bacob
+association d'obligations format city disques modem mélange ordinaire vide chimique disent
+pharmaceutique d'assurances numérique porteur répartition blanche composants future parvient évoque
+calme cru electrabel culturel grosses baissé lois moteurs principes trente éventuelle prévoir tours
+pentium acheteur dimensions fonctionnaires organisé rencontré russe savoir-faire établissements
+fédération créativité top application dépasser importe jaune l'application marqué mécanique
+socialistes tranche quelles envisage traiter acheteurs chinois claire l'institut vécu bail demandes
+diversification montré renseignements souscription tokyo entendre tests siemens filles unité bekaert
+dr ucb composition resté sinon agence modifications cash industrielles obtient permanence
+restaurants réels échange florins l'accord terrains émergents atouts offrant bouche champ chaud
+l'annonce monte preneur présents quitte tarif facture fiscaux modeste processeur fund avenue
+compétition relevé tenté est-ce w bijoux différentiel déclaré institutionnels l'employeur traité
+intel traditionnels victoire connus correctement pub dominique accessible rencontrer stocks espérer
+jouent menée nécessite provenant utilisent affichent délais inférieure sent spécial amérique
+acquérir album idéal l'écart véritables associé candidat connaissances l'énergie signes cheveux
+conserve stress d'anvers d'action directeurs donnée endroit l'emprunt l'impact der traditionnelle
+martin convention obligataires prouver espagne o dessin humaine l'huile lait thierry boursiers
+continent destinées flamands néerlandaise pensions commencent considérable nationales nul s'adresse
+conjoint crédits militaire morceaux privatisation repose sommeil traditionnel psc capables combat
+puissant s'agissait bill physiques richard allant créations toile évidence convaincu excellente
+retraite théorie transformer transaction visant deutsche mons attentes cycle détails héros l'artiste
+sérieusement uns considération impose propositions cap forts l'afrique usines quels aisément
+ressemble risquent totalité imaginer originale intégré intéressantes l'extérieur loyers auxquels
+circuit indépendant intérieure jus maintien cotisation l'asie moyennes quitter stable cvp compaq
+galerie liens souffle gib apprendre concert l'exception l'échelle liquide nez noire température
+transparence école champion diminué désir ressort voulons équipé alimentaire den organisations
+présidence raisonnable ratio recommande utilisant accepter accepté cache chocolat chuté comparer
+courts figurent passagers prison viande associés esprit froid jeudi liées revu satisfaction
+satisfaire test tiennent vraie contrairement dépassé extérieur qu'avec american etat complémentaire
+déclarations réactions artiste conclure déduction remis déterminée fiscalité grand-chose humaines
+réponses équipes itl michael systems aspect commercialisation manger rtbf engagé obligé proportion
+signature étranger imposé s'applique silence vote afrique mobistar cible contemporain fondateur
+jean-claude communiquer d'investir existent majeure ouvrir électroniques jpy tgv compétitivité
+erreurs notation rang apple gb accident certificat exceptionnel http proprement riches barco
+violence adapté bénéficient récession sentir armes arrivé crainte garanties l'automne ménage
+officiellement ouvriers discussion rejoindre époux citoyens concernés d'inflation définir paribas
+telecom d'aller fabrique feront née oblige patients pensent responsabilités sp doublé fraude
+l'article organise henri conclut désire l'appareil l'association l'installation législateur écrans
+choc gratuit mobile naturelle dialogue révision familial lourde poche décider négociation tort
+trésor constante cotation déterminé l'instar managers opté transformation life anniversaire
+compétence géographique i mandat réservé établir fins richesse cad commente intermédiaire l'univers
+retrouvé sciences sun banquier former monté parfait rené investit l'oeil n'aurait parvenir vieille
+di collections dirige fonctionner mauvaises tapis venus suez piste pistes tensions campagnes
+investis proposés sac tabac bataille britanniques fine liégeois partenariat privées remplir
+supérieurs beaux-arts christie's laser restauration dutroux chimie rendent textile brabant colruyt
+james préalable souvenir venue communal avocat comparable consolidé critiques interdit l'initiative
+mine quotidienne rigueur réduite tissu invest pain participants procédures profondeur retrouvent
+rues taxation mexique asiatiques conducteur demandent environs fermeture gris rumeurs accueille
+amoureux d'augmenter défendre l'immeuble pure souffre créneau d'énergie journaux s'explique seuil
+office auteur cash-flow fichier foi instruments séance véritablement yves attirer civil civile
+d'aujourd'hui l'épargne station courbe hectares influence ingénieurs tables vivent blancs couche
+cuir devenus extraordinaire patient aient animaux associations d'utiliser foie initiative l'amérique
+poursuite survie k apparemment consultant expansion l'exposition séjour champagne commentaires
+complexes cylindres décennie rendements retenu sujets cuivre offert réagir sec varie fondation
+artistique communications monétaires métaux permanente positifs électriques ph basse concentration
+investisseur provoqué doux stations coin modifié avocats estimations original souplesse frank
+hainaut annuels cellule clause exemplaires malheureusement minute normale frédéric nt sud-est atout
+latine logements pilotes susceptibles roger xviiie ordres remarquer actuelles bouteille constat
+opportunités prépare vendeurs accrue fruit jugé l'amélioration loisirs pur trentaine bus gendarmerie
+alimentaires coté modernes préciser réussir laissent parfaite spécialement évoluer dewaay maladies
+négligeable tension lion chansons dite festival négative préféré restant cera adopté coopération
+distingue douceur retirer technologiques editions bruit comptant démocratie exception mercredi
+offres sucre vedette évolue british compromis hauts élevées émission attendue d'appel jusqu'ici
+lourds soirée événement alternative chimiques conférence quitté serveurs brésil correspondant l'avis
+locataire matériau périodes utilisées d'emblée l'aspect morale équilibre sony fixer gratuitement
+trait adultes consacrer d'importance normalement parole prochainement suscite verra clé mesurer
+notes potentiels relatives francfort république l'armée transports portugal couvert joueurs coupe
+dispositions effort endroits aides contribution insiste s'inscrit souhaitent impact progresser
+sambre us administrateurs d'ordre deviendra dégager formations l'ouvrage souscrire cellules facilité
+gras militaires passés quinzaine souvient automobiles confortable essentielle officiel vive vols
+marcel combinaison distinction définitive japonaise liaison tissus cadeau canadien distribué
+existants ordinaires servi surveillance l'architecture l'aéroport médecine n'aura n'étaient récentes
+voies rappelons comptabilité fabriquer fasse intéressants peintures quartiers valable étapes
+bénéficié couvre diminue envers introduire missions s'attendre apparition coffre digne fibres
+initiatives littérature rembourser retrait bundesbank pascal pologne consacre employeur favorables
+l'approche manquent assurée battre chantier conclusions consulter craindre d'utilisation vivant
+internes apprend liégeoise observe provenance sortes marie cessé céder estimée marchandises balance
+copie cuisson négocier spéciaux traite bruges hollandais peut-on porteurs régler soutenue suivie
+stanley accueillir médical notoriété provoquer sensibilité su vocation for impression l'ampleur
+séduit conflits imposable journalistes manifeste provoque wallons éditeurs eur canal fondamentale
+futurs graves mené mur pommes racheté remonte solides suffisante chargée chers discussions garantit
+indicateurs provient soutenu sportif systématiquement zéro comptent recette récit subir évolué johan
+accorde faciliter hausses macintosh d'imposition débuts garantir portefeuilles susceptible
+universités glaverbel sotheby's actes brasserie caractéristique cherchent cp favoriser justement
+prudent stock échelle énormément compose couronne exceptionnelle flux j'étais justifier réfugiés
+téléphoniques accepte inspiré l'ombre pollution situent allemandes boissons douce gouvernements
+intervention motifs primaire world entrepreneurs l'efficacité représentation thomas apparaissent
+complémentaires cycliques franchement instrument rayon food conversion partager retenue simplicité
+confirmé devaient expériences front jeter logistique reconnu heureusement comédie historiques
+imposer l'actionnaire obligatoire recourir références traces témoigne gbl java acte appliquer
+catastrophe conduire contribué intervenir mettant pilote plafond remplacement tire berlin vincent
+portable profonde refusé repos béton fermé juges parlementaires prévention d'électricité dispositif
+forment neige suffisant louvain tv diffusion lentement prenant souris contenter douleur intervient
+j'avais look manoeuvre parquet poussé arguments billets consacrée dirigeant décoration holdings
+justifie levier majeur midi recyclage robe entre-temps appels directive initial intéressés pousser
+pouvaient secrets surpris univers d'avis poisson spécialisées séduire verser d'investissements
+générations nettoyage ouverts réductions vélo anne d'amsterdam explique-t-il l'abri l'intégration
+officielle résolution courses l'exploitation pari pousse revendre trace abonnés craint croissant
+juger régionale symbole touristes rome actives communautaire contraintes journaliste traditionnelles
+variable atelier budgets budgétaires clef d'ores détriment nationaux paquet relatif francis rupo
+d'enfants diesel gare l'acquisition parlent rapporte éventuel clabecq carrés psychologique rupture
+téléphonie danemark citoyen four permettrait puissent rapides dit-il développements enregistre
+envoyé intermédiaires l'issue liquidité réagi louise connues consolidation créateur idéale l'espoir
+profité prévus résulte similaire boeing didier mb willy agir coins constaté d'eux danse occidentale
+optimistes pensée professionnelles computer san tournai appliquée chanson déroule franchir
+liquidation morts nouveauté prestigieux suppression laurent mercedes existantes pleinement
+simultanément établissement cercle corruption discipline familiales l'avant laboratoire livrer
+montée participe adresse finance génie leasing versement bits concernées dents inclus maximale
+précédemment routes variations équipements declerck chemins constituée d'effectuer globalement
+libres proposant souligner ambitions croissante décennies fou l'influence littéralement motivation
+rubrique souvenirs surprises vendue bébé plainte stockage écrire énergie spector annonceurs d'olive
+débats ferait grain sont-ils séparation tournant vendues cools volvo accessoires constitution
+consultants dommages occupé s'appelle échanges adresses efficacité fixée frappe l'apparition
+monopole panneaux restée sentiments terminé utiles bruno appliqué donnant fondamentaux fréquemment
+l'aventure métiers planche suppose inc fourni japonaises mm payés profond programmation résolument
+d'amour d'ouvrir golf poudre proposées étoiles prl attaché concevoir dommage l'opinion main-d'oeuvre
+récents stratégiques vitesses peugeot philip apprécié connexion hommage jardins remonter supplément
+tessenderlo cheval entretien inutile l'espagne laissant mécanisme nouveautés placés repli régionales
+régionaux souple symbolique troubles évaluer mac cession confie moyennant numéros portrait établie
+cinquantaine d'assurer peuple promis retenir réception sexe utilisation visiblement acteur créateurs
+déposer expositions handicap lourdes plastiques procure proviennent sous-jacente quick virgin
+auxquelles banquiers baptisé finit venait volant fiat joseph lyonnais enseignants geste l'ucl
+sérieuse mignon royaume-uni classes doigts encadré froide niche prévision servent baudouin nicolas
+smeets arrivée domestique envisager espaces filet inflation posé promouvoir roues immense
+incontestablement lot pharmacie restructurations sportive ci-dessus d'activités engagements humains
+introduction organisée delvaux assiste couverts franchise annuellement arrivent causes pierres
+valent volet hanart karel lotus intention l'acheteur manifestement prendra profondément relance
+suivantes suspension commissions divisions développée employé fourchette qu'est s'occupe vendent
+clinton jean-marie maurice compenser d'octobre essayer fondé formidable graphiques professeurs
+tester george boutique caméra d'avance fondée label montagne pensons plate-forme temporaire tombé
+tribunaux évite bmw pb condamné culturelle d'air entrées installer perception sauver thé unilever
+accompagné externe franchi jadis manifestation miracle moral refus réunit révéler s'installe etienne
+evidemment bateau conseillé d'écart décrit fréquence l'occurrence s'adresser taxes company
+concentrer consultation dorénavant dynamisme installée profite réunions amateur avoirs calculé
+d'atteindre estimation exerce bloc circuits couper courante d'améliorer d'instruction effectués
+fameuse intéressé montage prévues subsides séduction traités trouvera équipés ingénieur réclame
+rémunérations tentent tournent égale émetteurs prenons agent attentif d'aide d'oeil existant
+fluctuations gré l'administrateur médicament partiel permanent s'installer situés sportifs vertu
+intranet appartements duquel kilos toit versées chaussée d'huile futures individuelle manifestations
+raisonnement sports christophe absolue appelée contente d'idées d'investisseurs intense money
+répondent tranches waterloo assurent calculer choisit citer doté fixes inférieurs mensuel promoteurs
+relais sorti télé voisin corée lynch dit-on hiver l'ulb naturelles preuves présentés souffert
+qu'est-ce attendent camions camp contenant curieux détente effectue géants l'endroit l'intermédiaire
+légale n'étant prestation publiés rente réalisent ski soigneusement cie conviction doubler morceau
+racines tenant universitaires visiter center démarrage entamé fondamental l'intervention magique
+procurer records universitaire vrais ateliers avion confronté contribuables doigt drame féminin
+habitudes l'immédiat lutter pétrolier supérieures aex bell afficher confirmer conservé d'offrir
+détour fusions l'avons l'équilibre lever malades ouvrages paradis prouve prévoient remplacé
+spéculation rwanda concernent départements dérivés identiques marquée n'avaient prince produisent
+résidence voulez turquie allocations démontrer enregistrée individuelles oublié parking proposée tom
+comprenant débuté engagement fit légal participé passées présentant présentes quantités échapper
+maystadt acquisitions affirment alentours assureur autonomie canaux inverse l'adresse l'automobile
+modes signaler signée goldman notons cancer carnet convergence foule indispensables intégrée
+nucléaire opérateur paiements palette pence priori promesses tentative belgian corporation dutch
+aérienne boutiques craignent débiteur entités ouverture procureur puisqu'elle sommets supporter
+traitements voyageurs anglaise argument d'établir imaginé l'appui mécanismes personnelles privilégié
+satisfait science terrasse tiré trésorerie télécoms chaude coupé esthétique inscrit poissons refuser
+s'effectue tennis unix appartement clavier démontre organismes pressions regroupe secours
+sous-traitance théorique accessibles courants d'été judiciaires l'innovation l'opérateur précédentes
+réaliste aventure d'internet effectifs gains l'opposition l'unité musées rock netscape bain déposé
+espoirs majoritaire semblait digital accorder attire d'échange feuille initiale installation krach
+malade opérationnel pauvres pont préserver publier rechercher recrutement représenter révélé
+sanctions traditionnellement vapeur cobepa confier considérés cultures hypothécaire illustre
+introduite l'échec menus multinationales paient pareil problématique quarantaine rentrée soutient
+terminée voudrait carré exemplaire lorsqu'ils nulle posent pratiquer sida versements visites étions
+étrange cbr berline distinguer durs défend efficaces essence exclu jolie photographe propriétés veau
+nobel atteinte chapitre concertation dégage extérieurs médicale pareille patience recueillis
+substance transforme voile échec léopold enthousiasme fédérale gloire préparations transmettre
+visiteur éd brederode jean-louis tony apporté d'importantes l'acier libéralisation observateurs
+panique présentée réserver signer tendre to touristique brillant conventions décret généreux
+industries joie stars égal sachs continué dessert espagnol légende passera rapprochement salariale
+scolaire assurément contraint coton curiosité entité entré l'architecte libéraux logo parlementaire
+parviennent portables provisoirement routier réservée tourné veiller fn hoogovens xviie arbres
+communs employeurs exercices faisons l'alimentation magazines maintenu roses répondu spécialité
+citibank moscou times accidents adapter amené avoue collectif d'évaluation dessus indépendante
+l'institution l'établissement peintres rappel réalisations s'avérer architectes comprise
+essentielles examen fidélité héritiers l'actualité préférable relancer s'adapter s'engage sable
+semestriels significative suisses cadeaux comportements constamment contribuer d'images offerts
+périphérie varient michelin caisses conscient cédé effectuées faisaient personnalités s'engager
+syndicat arbed opa abandonné cents destin drogue fines identité invités l'événement modalités
+négatifs paru répertoire s'intéresse disney isabelle roland william annoncée champignons défis
+générer russes situer supprimer élu jean-paul spa accordé acquise courtier d'attente foulée noirs
+résister section signaux sombre susciter compartiments correspondance créances discret dépassent
+florin formé frappé papiers représentait saurait versé absence d'acquérir d'avenir degrés envoyer
+joli occupent on-line percée priorités processeurs restés résume soie travaillant économistes etant
+affirmer ambitieux cerveau consensus coordination d'options l'appel magistrats qualifié rangs
+tournée alcatel toyota anonyme cassation cf (usually cf.) confusion discrétion fondamentalement
+initialement installés l'assemblée l'entretien l'émetteur nuances paraissent parfums saine vedettes
+dm nikkei dirigée duo enseigne indiqué kg lourdement module prononcer réalisateur réformes star
+équivalent danone adopter commis couches explication joint-venture malaise pantalon pomme reine sacs
+saumon toiles échéant agusta bond courir expert glace l'enseigne multiplier pluie salons teint
+european adaptée diriger gérant répartis saveurs souscrit substances vieilles vraisemblablement
+élaboré émettre certitude champions cotés cyclique détenteurs explications fonctionnent générales
+invite l'expression pauvre successeur zinc big claes brochure cave codes configuration
+d'enregistrement fragile féminine issus magnifique maintenance manuel qu'a recommandé spectaculaires
+subit traduction évidente fabrimétal kbc adaptés chronique d'ibm enregistrés fibre jazz jusque louer
+médiatique peser rentables réussit s'élevait saisir semble-t-il visible financial singapour absolu
+blanches boulevard commissaire comprennent créent faculté histoires individus issue multiplient
+prétexte quotidiens réfléchir satellites souffrent standards washington commercialise directs
+diversité gratuite l'office logiquement ouvertes renoncer calculs compléter couples d'entrer
+d'esprit d'importants l'acte organiser payant paysages récupération slogan electric pvc
+administratives arts avancé carrément changes crédibilité déplacement l'avance parvenu relatifs
+revues veste fgtb moody's assurés créés d'éléments immédiat jambes litre mousse prestige sentent
+souhait touché élus telinfo abrite considérables d'urgence disait faillites oeil religieux rédaction
+séries terres vice-président mhz system xxe cure dirigé don enregistrer juridiques pouce précises
+prétend réunis salade trouvait évaluation confié cuire indicateur l'avait origines parlé remet
+spéciales terrible témoignent étonnante buffett catherine research sap véronique achetée généraux
+imposée l'organisme l'édition mention merveille opposition réorganisation satellite scanner milan
+a-t-elle acier ch conteste créanciers d'acier intégrés l'habitude multiplication panier
+pharmaceutiques quelconque rayons spectateurs transformé troupes effectuée fromage géré
+interlocuteur législatives motif métalliques placée réclamation schéma surplus transition trio
+coca-cola motors proximus atteignent bleus chair conforme costume d'accueil intentions l'horizon
+l'électricité manqué sortent subsiste supermarchés d'ieteren amélioré avantageux d'applications
+engagée espoir exceptions fausse l'expansion l'équivalent plage plaide poivre chf cadastral chips
+comptait craintes d'ordinateurs durable démocratique exceptionnels factures fonctionnaire
+indépendance inventé issu maturité mobilité musiciens organisme recommandations spéculatif suscité
+titulaire traverse évolutions bd fed calendrier collective disposant dévaluation l'honneur pauvreté
+poursuivi qualifier savait suédois termine traduire valait csc forges hugo max vvpr appartiennent
+confrontés demeurent divorce dramatique déductibles efficacement existence fermeté imagine intégrer
+larges locataires orienté pensé variété administrations aériennes complexité entrent exercer
+photographie sauvage terminer venant corp amortissements champs déplacer désigné déterminant
+opportunité piano remontée s'agisse étroite at recticel bar concerné constructions l'identité
+merveilleux min moindres réunir survivre ultime étudié lambert rc caractérise choisie distribuer
+décidément limités livré luxembourgeoise modules progresse promet redresser tombée bains d'hommes
+dessine enfance finition jury mythe optimale pair plateau poussée resteront zaventem assurance-vie
+composée d'entretien décident hélas instant jet laine mobiles parcs préoccupations ramener
+représenté soudain éditeur josé morris nasdaq administrative autorise banking humour jouit l'actuel
+market n'ait organisateurs peint s'annonce s'assurer sculptures superbes équipée asbl cmb gates
+bronze catholique citron contributions couture disquette démarrer excellence fatigue imprimantes
+industrie l'aménagement l'effort l'encontre laboratoires menées meuble mondiaux réduits sont-elles
+sous-traitants talents christine henry administratif administration ailes aérien carrosserie
+d'économie découvertes exclure hautes hiérarchie impressionnant massivement métro possession
+remporté strictement suédoise utilisateur émises étage d'arbitrage expliquent file hebdomadaire
+intéresse l'hiver l'élaboration marbre performant personnels prévenir suivants verte viendra
+angleterre hongrie louvain-la-neuve os apportent automne bourgmestre branches carton contraste
+courage d'analyse datant dépendra feux importations plantations sidérurgie signale fmi jean-michel
+léon super venise adaptation allure attachés exploite folie instance naturels olympique populaires
+reprenant valorisation villa villages renaissance shell vienne architecture authentique autonome
+complicité d'au d'ouverture dépendance dépense fiable invention lancés partagent rencontres
+renouvellement évoluent akzo xavier ampleur analyses bandes canard collectionneurs compliqué
+culturelles d'avril donnera déplacements fermer jugée l'aise médaille notaire peut-il privilégier
+prototype regain wallonnes emile volkswagen accru caoutchouc cinquante communautaires conjoncturel
+créant durer délicat exigent précédents renforce s'ouvre évalué lille débute définitif engagés
+exploiter fur positives réparation soupe transferts ostende victor limitées nourriture offertes
+ramené reculé remédier similaires triste écarts data abaissé boire break chien consacrés
+cours-bénéfice fuite gigantesque imprimante l'ouest l'emballage l'église remplace salariaux
+spectacles vache velours étudie abn guido meuse mo d'exemple dotée défini définit délicate démission
+extérieure interventions jouant l'engagement n'ayant noires obligés motorola accéder affichait
+chemise espagnole fleur gardé habitation huile l'accueil légales multiplié revers architecte
+assister axes concerts contemporains discuter dose détiennent folle l'éditeur magie pompe provisions
+rapidité témoignages finlande ndlr contribue demandeurs démonstration exact numériques participent
+poignée puissants spécialités g-banque iii peeters sicafi technology applique copies flacon lunettes
+mixte nullement plante provisoire publie puissante regrette s'ajoute stratégies typique vocale anhyp
+brothers brokers concentre diagnostic faciles gestes guise hardware opérer orientée passionné
+refusent scénarios suffisent vagues écart chrysler sénat ambiance appartenant assisté attrayant
+bagages blocs d'essai d'histoire d'étude déduire forfait manquer restait surprenant sérénité vertus
+écouter dkk dirk gevaert hp wim accueilli affichés affronter coloris composent contiennent
+contrepartie fondamentales impressionnante largeur peaux proportions reconversion revente
+significatif écrite énormes network aiment cherché chinoise décharge député essais indiquent
+infrastructures jouets musicale mutation obstacle partant perdent étudiant accordée adjoint
+débarrasser débit dégustation déjeuner glisse individu l'éducation l'électronique organisées
+produite prétendre quotidiennement s'étend secondaires soucieux sous-évaluation verts écologique
+émet hollywood legrand pro améliorée bat e-mail excessive favorise joueur l'ocde marks phrase
+promenade prometteur stimuler séances tiendra valoir martine québec acquisition augmentent baisses
+distribue dus massif médiocre obtenus sales semblable transmis julie zar bouquet ceinture coalition
+comptables corporate d'actifs d'attendre différemment dits italiens journées l'assurance-vie
+linguistique marchands n'avoir opinion originales registre requis synergies tunnel vogue malaisie
+charbon emballages esprits examiner fléchi l'outil librement mentalité miroir occidentaux parité
+progressive sensation sonore supports synonyme vinaigre alliance barres chargés d'habitants dois
+fier gouverneur l'atelier l'humour n'avez origine payée pétroliers signalé variation xvie aliments
+caméras comportant consultance contemporaine déclin effectif invité j'en l'actif licenciement match
+millénaire salarié studio tenus triple équipement étoile bob californie smet abonnement baptisée
+commerces creux facilite flamandes jurisprudence l'ai l'attitude noyau portraits prononcé
+publications puce qu'aujourd'hui sinistre terminal dexia augmentations batterie cinéaste compare
+guides inconvénients instances l'avion retourner sympathique évaluée achetant bailleur bonus colonne
+compensation conseillers continu courbes déclarer enregistrées généré innovations ira jusqu'aux
+lente occuper pesé pot quarts épreuve congo courtrai powerfin admet attribuer championnat cités
+comble conquérir d'encre d'oeuvres d'office devenues excessif incertitudes intitulé l'évaluation
+périphériques réclamer réelles s'étaient ecolo nivelles allures camps dues exclus grandeur homard
+illustré inévitable inévitablement l'équipement mariés modération ont-ils positivement profits
+quarante sculpture spots stage universelle vainqueur édité étendue media novell poor's stéphane word
+changent communiqué conversation d'artistes effective interlocuteurs l'ambiance n'aime patronales
+permettront pneus qualifiés religion souffrir évoqué chirac chris forest herman hubert opel sek
+alternatives anversoise bateaux battu brillante d'introduire désert entrepreneur essayé interface
+intégralement lu modifie personnellement systématique arthur park admis blocage calls développent
+individuel l'onu l'appréciation modestes multinationale out parlant porcelaine pénétrer respecte
+soupapes spéculateurs étudier nestlé abus combler conservation donation fiabilité l'exclusion m'ont
+parcourir parisien remarquables retournement returns easdaq kodak pdg collecte d'alcool déception
+détérioration l'avoir l'échange lorsqu'elle palme phases privatisations répéter s'imposer valu
+voulais almanij infos procter smith tubize actuariel australien croient d'intervention d'objets
+encourager fiscalement hautement l'assiette marchand néerlandaises plaintes reproche retient sillage
+soldats témoins urbain feb adopte boutons chuter conjoints convaincus coopérative correspondent
+director n'hésite niches savez stables tend vain cv gamble servais apport chauffage commercialiser
+d'attirer d'existence d'organisation dangers foyer ingrédients négocie révolutionnaire score
+sidérurgique techniciens voyageur brown corluy herstal horta attiré com conférences constatation
+d'amérique douzaine duration détenir indemnités nuits plomb soumise sportives verres attribué
+corriger d'hiver domestiques faille foot home indemnité romantique simulation brussels swissair
+autrefois choisis communales d'angleterre dessinée disponibilité détenu engager exceptionnelles
+figurer habitant hollandaise immédiate intégration média électeurs amro moniteur acceptable
+apprécier centre-ville d'elle envisagé fantaisie habituellement posséder pourrez tentatives touches
+visibilité creyf's heineken régie sterk tchéquie analyser autorisé complets contrainte costumes
+d'agir doucement démarré eut posée raffinement rond sidérurgiste abb accroissement ajouté assiette
+autoroutes batteries d'asie disciplines décrocher essai essaie fréquent génétique inconnu l'avocat
+majeurs multimédias plume probabilité préavis publiée scandale spot sérieuses tomates égales die
+animé bleue d'utilisateurs danoise essentiels fondateurs fonde l'atlantique l'épreuve maquillage
+mexicaine oeufs opérationnelle prestigieuse renforcé rumeur soigner témoin blok prudential tonneau
+wavre affichée attendus ballon bouton chanteur chiens d'écrire entrepris exprimé nomination
+perfection photographies renommée sous-évaluée universel vives bt jacobs raymond axée cacher défauts
+l'aube l'octroi méritent occidentales planning rage testé barbara interbrew visa acquiert adulte
+affichant agricole annonces anversois atteignait cabinets centenaire confection culturels d'aucuns
+destinations doutes développant ha l'asbl l'autorisation l'émotion masque méfiance officiels
+outre-atlantique panne perdue pouces protégé rires sacré silhouette soeurs virtuelle vues écrits
+épreuves madrid appelés candidature chargement documentation dominante députés indications
+l'indépendance leaders listes mince opte énergétique étendu university aisé concepts d'achats
+d'agences d'alarme disquettes domine développés envoie exercé existante fauteuil habitations
+italiennes modifiée nets puces réclament tomate tons campo val aluminium assumer confortables
+d'ajouter dates démarre exotiques expose hall l'aluminium l'enregistrement licences navigation opter
+rapprocher émotions bertrand cpas compuserve jo klein swiss acquéreur courtiers doublement défaire
+l'ecole libération lin percevoir perdus plonger poésie process s'accompagne saisi signification
+songe séparément tentation trou variables collignon los accusé affecté apparu complément créatif
+exposé financé incite investissent limitation montagnes onze originaux ouvrier partagé professions
+préalablement tonne trajet visent magritte power st balle chercheur communale compression crises
+d'articles démontré détention détermination endettement gel inchangé incontournable l'enfance l'once
+l'écriture lent modernisation organes promotions présentées relief remboursé rencontrent sage accuse
+axe distances dépréciation détenteur fournissent gendarmes horaires imposables intercommunales
+lancent multitude particularité partisans provinces quelques-uns reviennent s'améliorer vernis
+volontaire ambition baux d'apprendre directives délégation détecter détermine exprimer individuels
+l'unanimité localisation miel optiques passif performants piles politiciens poussent privilégie
+restreint souligné supporte vallée ventre éthique assubel frans saint supposons vld activement
+analogue bassin boulot chapeau claires connaissait consortium culte d'administrateur dégradation
+hypothécaires l'exécution l'incertitude lumineux maux perles porte-parole privilégiée privilégiés
+qualifiée réagit résumé australie axa etre fernand jules apparence ci-contre comédiens connecter
+continuera convertibles correcte dessiné durées enjeux incapable libellées millier populations
+épargne évoquent clt capot charger communiste comparables congé correct d'inventaire gagnant
+intérimaire l'uem l'autorité l'envie libéral liquides orientale passait policiers redoutable
+solidité traitées mme sme affiches attente basés comparé consommer d'armes inconvénient jette maigre
+masculin négocié profitent vaches vitrine hotel index administratifs allaient avancée compétitions
+confiée contenir d'opérations description dormir exclusif gouvernementale joliment mailing modérée
+pénal raisins rempli royaume sanction spéculative terminaux chanel grand-duché leo accélération
+analyste coupable d'expérience d'honneur fabriqués mettra morte paye prudents récolte réduites
+s'intéresser saisons sexuelle sondage strict tenues tranquille agit briques concernée d'envoyer
+d'occupation débiteurs illustrations paroles passager payées piscine plages rapporter gillette
+banlieue commander commentaire composer d'appareils distribués détenus fabuleux génocide hésité
+indication indiquer industrialisés l'imagination l'individu l'évidence minimale musical nerveux
+plaisirs pop positionner rassurer réalités réservés sons séminaires trésors uniforme vis blue boston
+gold lisbonne snci vw affiliés appréciation avancées cafés casser chat compatible d'afrique
+d'actualité franchisés l'apport lots moules mécaniques préparé qu'auparavant souhaité traits
+éventuels cannes chicago lee cou d'espace d'expansion d'offres d'évaluer discrimination dépassant
+expliqué externes fédérations metteur mobiliers paire peseta polices productions préoccupation
+rappellent rentrées réparties spécialisation statuts traditions truffe éliminer étroit napoléon
+onkelinx audio av baroque brique carburant conducteurs docteur délocalisation désirent estimons
+flotte harmonie l'écrivain livrent marquer obstacles rapporté s'ajoutent sobre tandem timing
+travaillons électorale établis avermaete baudoux elisabeth picasso proton abandonner assiettes axé
+civilisation compréhension confirmation crime d'énormes diversifier dresse extension fantastique
+ignore incendie levé minoritaires négliger pacte panneau pratiquent raisonnables retenus retombées
+revenue sponsoring étages bayer mcdonald's nike pr aborde adoptée bouger cassettes certification
+exigeant frein fréquente imposées l'infrastructure manipulation optimisme pourvu profondes rassemble
+retiré shopping stabilisation vertes volontairement établit dior accompagnée admettre aurez
+automatiques concret constant d'organiser drogues fourneaux influencer interprétation intime
+magistrat occupée prouvé recommander sélectionner séparer tube voyager écrivain équivaut étroitement
+évoquer aud age oracle accueil approuvé boom construite continuité cotait dresser décors gravité
+l'eglise légers menaces mondialisation passionnés s'exprimer stricte styles superficie tas terroir
+versée applicable avancer boisson camion commercialisé composantes concrétiser conservateur dames
+diable diffuser fixés formulaire freiner l'enthousiasme l'élément mourir oublie placées péril
+raffinage rapproche remarqué rendue résiste réunies sponsors transférer verse denis hoechst hotels
+pfizer rnis walter averti conseillons disposé défunt failli grammes libérer nickel popularité
+pratiqués rassembler regards requiert spécifiquement successives théoriquement timide volontaires
+barcelone dell ligue simon zurich associée ci-dessous connaissons d'apporter douter fabriqué figures
+finesse innovation jeté justesse l'endettement mémoires neuve pile plaque promesse pénétration
+rouler répondant s'agira sachant situait chili florence acceptent accélérer adaptées adeptes
+adolescents attendait d'émettre foire habitués incontestable interview l'attente l'indique noix
+oiseaux permettait qu'aucun qualification rachats rendant réputé syndicale tombent touristiques
+valoriser voler écu alexandre dupont atteints clarté compact concurrentiel décroché enseignement
+herbes intelligent licenciements négatives rédigé répercussions salariales tempérament tutelle
+varier verdure cologne pnb sommaire aisée bijou bénéficiant combattre d'humour donnait exacte
+exposés expression fonctionnant gérés impérativement indépendantes l'opportunité levée lorsqu'un
+non-ferreux nostalgie nourrir pratiqué richesses robot saisie andersen king aborder assortie
+brutalement brute disparaissent engendre heureuse injection jaunes l'intelligence montent nuance
+officielles physiquement prudente refaire segments supposer synthétique vieillissement échéances
+dupuis elio cassette colonnes d'impression dépression fouet judicieux l'actuelle l'entrepreneur lac
+portait riz sauvages secrétariat situées solaire soucis souscripteur séparés transparent truc
+typiquement klm united améliore annoncer assemblée cahier chanter compétitif concession crédible
+d'accéder d'équipement dangereuse destruction envisagée glisser grimpe infrastructure insuffisant
+isolé minorité passionnant possédait recommandée régimes s'interroger s'offrir syndical trouble
+angeles barings equity merrill mouscron spitaels xerox abouti adéquate archives attribue boeuf
+directes directions filets fleuve indéniable interrogées l'alcool observer prescription
+revendications rude successifs tri trimestriels télécommunication eddy hasselt aboutir anticipé
+arrivés cohérence collaborateur compositeur cravate d'excellents d'outils dons indirectement
+interviennent l'estimation multiplie qualifie retenues réalisme suffisait variétés échappe antoine
+communautés hauspie larry petercam sofina accessoire bébés canadienne cuisinier d'imposer détenue
+existait explosion flexible licencié livraisons malheur militants minime notions opposé organisés
+particules ratios reprennent semblables tournage trous ip las pékin artistiques avancés cosmétiques
+fournis héritage implantation l'adoption originaire partielle passions proposera recherché
+renforcement sexualité suites téléphones témoignage vignes vitamines inde johnson mobutu
+méditerranée amoureuse brevet consomme cristal créées d'image descendre décline entame faim freins
+inspire l'explosion maritime menacé pervers poursuivent savons sols sorties soumettre strictes
+venues chantal exchange hans maroc nathalie pj arme bombe bouge chantiers chic extraits gants
+informer insuffisante l'unique liaisons limitent nourrit précautions rencontrés renforcée résolu
+s'ajouter s'occuper surveiller trimestres échappé éclairage élargir bosnie lyon nicole primo tintin
+accompli comportent considérées croyait définie enseignes estimer exiger fiches forcé forfaitaire
+gourmand identifier joint l'extension massive millésime minoritaire plaques restants s'imposent
+stabiliser virage vraies éventail belcofi vlaams audacieux aventures banal douche détection exprime
+honoraires jugés l'avenue littéraire marginal montres peloton procédés protocole rendus renoncé
+subissent suggestions sépare turbo voulaient achetées agricoles circulent confirment coucher
+d'aluminium détenues extérieures finement fondre fous horaire imposés inciter l'adaptation l'employé
+mondiales médicaux occidental occupait offerte orientés prévaut pureté reposer tendresse élégance
+iso nc xeu alliances amont annoncent appliquées appréciable appréciée artisans assis brasseur clairs
+cubes d'afficher d'auteur d'avion divisé débourser décevants emprunte fermement générosité horizon
+l'accroissement l'envoi l'examen originalité parent plongée scission sondages soumises surprenante
+triomphe vides virtuel émise botanique busquin consulting jean-marc ram vietnam young achetés
+africains apprécie attaque bruits cabine clichés criminalité densité exclusive extrait facilités
+fixation gastronomie inconnue investie l'agent l'humanité maintenue mythique piliers psychologie
+raconter récompense résidentiel signés situant songer thérapie touchent tromper échappent
+équivalente america explorer lux malines artificielle assistée branché brutale clos complice
+compétent emprunté enthousiaste entourage fierté formats genres loue marié mentalités
+ministre-président peines poupe prolonger pénale queue ressemblent rotation savoureux sensations
+tuer federal hewlett-packard investment jack johnny lernout boule chaise disposons délit démarches
+entouré informé l'élégance loué majoré n'hésitent pessimisme planification pompes puts syndicales
+triangle vitres épargnants first mozart real rotterdam albums amener appellent baron brevets carbone
+carnets combine consolider cycles d'accepter d'épuration diamant douloureux dépendent développées
+frigo l'hexagone masculine modernité nucléaires ouvrant pavillon recevra restrictions revirement
+rétrospective solitaire spontanément stages tubes ackermans ben institute warner calculée chasseurs
+circonstance cite commandé concurrencer conditionnement d'escompte d'ordinateur disposait
+exceptionnellement favorablement fiables frapper fédéraux grossesse généralisée inquiétant l'ue
+l'anglais m'en n'avais précieuse précieuses prévoyons rejet résiduelle réuni seconds solitude épais
+basf roumanie telenet ad approfondie catalogues circulaire colle composés concentré concepteurs
+contribuent d'architecture décidée délicieux excellentes inspirée intervenants joindre médicales
+plaindre plongé prévisible qu'aucune romans répétition stagnation stand suivies ticket vanille
+économiste élégant airlines indonésie lunch south trends-tendances accumuler ajoutant armée assorti
+bénéfique cigarettes conte d'économies désireux fiction finir fixées handicapés investies l'écoute
+manoeuvres nationalité onéreux paquets ponts prenne rattraper recouvre reflet reporter rwandais
+serait-il texture traverser visibles élargi établies irlande verviers bords composant conjoncturelle
+couteau credo d'installer d'édition descente désirs gagnent galeries imprimés intellectuel job
+l'appellation l'intéressé ludique parisienne prédilection publiées rebond reconstruction éventuelles
+bonn cofinimmo line améliorations angle brochures chaleureux conviennent d'andré détruire examine
+exonération familiaux l'américain laver linge légendaire matériels mensuelle n'est-il noblesse
+prévenu refroidissement retrouvera réguliers saut saveur surprendre tir versés dsm erik lyonnaise
+vlaamse chante chemises confirmée connexions d'identité déroulera fausses grille habite implantée
+imposant influencé intéresser l'autonomie mondes métallique n'arrive neufs pondération prédécesseur
+repreneur s'efforce sera-t-il sous-évalué trompe va-t-il vendant vidéos voudrais étiquettes évalue
+franki geert mitterrand plc adéquat autorité concessions convivialité cordes courtes d'avantages
+d'étudiants désigner essor exigence exploitation exportateurs habituel lancées livrés mets mineurs
+parlait pause primordial publicités recherchent émotion casterman deceuninck esp gm school shanghai
+west accompagner assemblées championnats classé col couvrent d'antan d'envergure dictionnaire exigé
+formés gérée jeans juifs justifié l'abandon l'attribution lenteur manifesté oreilles prononcée
+reconnaissent reconnue reproduction seize serait-ce soixantaine sortira spectateur vice-premier
+vingt-quatre voyez élégante dyck hollande laurette partners rover warren affirmé allé capteurs chant
+clinique corde d'annoncer douces dés excellents exercée faiblesses incapables moeurs nation occupés
+pesant prolonge proposons prospérité présentait reprocher réglé s'adressent sauvegarde sauvetage
+vitamine douglas eoe porsche winterthur bruxelloises calcule causé chauffeur concrets conscients
+conservée conversations crevettes d'albert découpe déterminées envisagent fermes fermés imposition
+infrarouge interactif l'ambition l'interdiction l'obtention langoustines oreille pencher pessimiste
+pessimistes pilotage policier porc prétendent quotité remous représentaient référendum répartir
+répression semblerait souffrance substantielle voisine walibi animal appellation couler coulisses
+d'usage disant diversifié déboucher débouchés dégagé déguster dérive fumée garage inculpé
+intellectuelle l'actionnariat l'essence lisse morales peut-elle prospectus raisonnablement
+rapportent retombé régulier s'attaque sauter scolaires servira soirées suffira ultérieurement
+usagers autriche delta economique itt iris reweghs assurant cardiaque catastrophique chaussure
+cocktail compatibles d'adresses d'immeubles durement détecteurs implanté intervenu intervenue jargon
+l'inde l'instruction mixtes peso promoteur précisé ralentir rayonnement remplit remporte
+successivement séminaire travaillait urgence équipées francisco gabriel london mélissa nederland
+pacific sipef sophie académique africain allie bougent chaises condamnation crus d'intégrer digitale
+doubles décédé exclue fromages habitude imaginaire jugent l'utiliser l'étiquette mortes notations
+obtenue partent retrouvée roue récits sortant tolérance trouveront vice visuel visé vivement vivons
+émetteur bp dassault elf genk ltd museum accusations bactéries bouillon brillants clauses collaborer
+consentis cri d'amélioration d'arriver desserts dynamiques débouché déposée désigne emballage fumé
+gibier inscrits intelligence l'angleterre l'assistance l'instauration l'optimisme l'égalité
+longuement légion ménagers noble normales polémique repérer secs sombres teneur traversé trucs
+évitant bnb belfox hervé kul moyen-orient n'oubliez aidant anonymes attrait avez-vous capitalisme
+censé clefs considérations d'atlanta d'échelle demeurant high-tech linguistiques manteau monstre
+n'auront posées proposait préférer remarquablement s'appuie sagesse simplifier surprend tablent
+trains écoulée écoute étiquette valérie aboutit conformes conjointement conquis d'aucune d'espoir
+d'intégration devienne donnés faveurs gratuits impliqué inclut intelligente l'irlande légalement
+nécessitent occasions perdant portera prenait propice rebelles religieuse réduisant sale sobriété
+sophistiqué sophistiqués spécificité transporteurs urgent usages haaren man notre-dame products
+robeco abondamment admirablement assistance casserole chaos citées confiant convenu d'échéance
+danois durables dépenser extraordinaires figurant installe l'agriculture manifestent marcher nappes
+paradoxe partagés protégés pédagogique raté renvoie résultant s'exprime soulignent temporairement
+trancher unes émanant épaules brande honda nissan capitaine communistes compositions convertible
+d'imagination doter détenait fassent fermentation fréquents incité indexé intéressées majoration
+marine maxi meurt musicien musiques navire oppose parkings performante produites remontent rigide
+récolter s'intéressent salarial salée spectre spread studios tirent trading yens électricité étendre
+black dax electrafina ernst gilbert jim pol wide accompagne annoncées anticipée clés condamnés
+contentent d'apprentissage d'il d'éducation del diamants doré douleurs défavorable dénomination
+entretient farine favori fiche fluide huiles incroyable l'erreur l'implantation mentionner modéré
+multiple musulmans n'exclut participant prioritairement préjudice préventive réalisant suivis tué
+épices équilibrée banksys cornet fontaine golfe lvmh nm secundo texas alimentation annoncés
+assistant attrayante caché chinoises communaux comédien continents crayon d'adapter d'attention
+d'égalité dessiner dignes dira dotés enveloppe exporte facettes gosses indépendamment interrogations
+intégrale issues jupe l'apprentissage livret n'est-ce opportun planches présidents pénurie ratings
+regroupement respectifs restons retourne soixante séjours sénateur tailleur volaille voter week-ends
+bsr jean-jacques vilvorde adversaires agressive complété conservent coutume croix d'attribution
+d'expression d'exécution d'habitation d'imaginer demandant disposés estimant gardent hoc hormis
+juristes mystérieux plonge réflexe s'agir s'interroge s'offre servant souples souscrite sus teintes
+cartier dixon geschäftsidee affectés apportées assume autorisation biologique cachent compatriotes
+conservant copains couvrant engouement grandir intégrées l'affichage l'attrait l'importation maigres
+mélanger plumes politiquement portugais pratiquée progressif proie qu'avant qu'ont reculer relier
+représentations respecté s'améliore soif statistique sympathie tenait trouvant vocabulaire armani
+caterpillar gimv koramic sriw steve ter vtm velde wathelet arbre d'appliquer desquels déboires
+entamer escompté exister illustration indirecte justifiée l'angle l'autoroute l'emporte leadership
+légitime nettoyer nier observé opéré orientation placent projette rachetée raffiné rails remises
+retiendra roulant réussie satisfaits signatures tienne vastes voyait états airways ardennes danvers
+degroof greenspan news olivetti rabobank systemat vanden xeikon aéroports barreau casse consenti
+convertir créance d'hier d'inspiration descend dominé dérapage filtre finissent fériés inutiles
+l'épouse librairie malheureux manifester n'auraient nippon parier patronat pis profile renseignement
+ressent robes réglementations réputés satin sculpteur transporter albin focus gaston greenpeace
+prague steel amendes audit avéré confrontée contradiction d'enfant d'intérim dédié explosé exécutif
+foires imprimer l'accident mandats ongles pensez-vous pensionnés persuadé poil provision provoquent
+radicalement remboursements renouveler représentés s'établir sexy supprimé suscitent téléphoner
+vignoble échoué écologiques éducation airbus bangkok carlo edouard grand-place janssens kinshasa
+time trust anticiper attendons basées biographie cliquet combiné conformément conservateurs
+d'espagne d'actionnaires d'adaptation d'elles d'occasion designer douteuses enlever ferroviaire
+fossé giron généreuse haine implantations inférieures l'onss lorsqu'une obligatoirement paisible
+plaire pressé reliés révolte s'établit sexuel souhaitait stocker survivant tactique terriblement
+viandes visés écrin évoquant baan desimpel engineering argumente attractif clan colorés comporter
+d'anciens demi-heure devenant définis départs envoyés forcer frappant hormones islamistes l'autriche
+poursuites pénible rangement regroupant représentée requise riverains sourit transformée truffes
+turbulences économiquement écrivains bordeaux cnp caroline clerck fina gilles gol prenez puilaetco
+yvan bilans blues bordure brin chef-d'oeuvre choisissent contestation d'electrabel d'italie
+d'exemplaires d'habitude d'équilibre d'éventuelles découle déflation emplacements entretenir
+entretiens freinage géographiques jolies l'otan l'affiche linéaire lune manquait nations payante
+précise-t-il quelques-unes radicale rattrapage renouveau restaurer semi-conducteurs statue
+sélectionnés touchant échanger atlanta auto chemical emi indiens packard alcool appétit attirent
+aurions banquette cessent comte céramique d'analystes d'introduction d'événements desquelles
+directrice décalage déclarés exposées grandi honte incarne interdiction l'indonésie l'utilité
+meurtre monuments must nés percer performantes préparent prévoyait purée rappelé rejeté relié
+rédiger rétablir révélateur révélation s'appliquer s'ouvrir temple textiles tirage traversée
+visuelle échecs étonné alan boris brigitte guillaume innogenetics jeanne picqué rtl-tvi sioen
+accordés attentivement autorisée banale basilic cacao cauchemar coupes d'agneau d'efforts
+d'emballage d'exploiter d'installation d'équipe décideurs défendu déficits délégués déroulent
+exercent exécuté finira garantis gardant humanitaire impératif introduites l'acteur l'indexation
+mineur modems passages perquisitions plaignent princesse présidente raffinée recueillir refuge soft
+sterling suffi tragique verront viendront élaborer agf gustave janssen kennedy kohl pascale
+apprentissage apprécient assise by catholiques chocs chrétien cl collectionneur compagnon d'ucb
+dangereuses demandés diffuse diffusé explicitement flou féminins gage honneur imprimé intelligents
+l'immense l'oreille l'émergence lacunes libellés majeures mexicain nu olympiques pairs penche
+pourparlers poursuivra privilégiées prépension remarques récupéré régulation s'inscrire s'inspire
+s'étendre saura schémas sensualité sociaux-chrétiens titulaires ultérieure urbaine vaccin valables
+voor voyons écriture épingle épisode anderlecht bird citons goossens j'y marianne roche agréablement
+aéronautique courtage d'aider debout devoirs distinctes dévoile interactive l'assassinat litige
+microprocesseur nomme osé parvenus patienter payement permanents protagonistes ralenti réplique
+subsistent symboles toxiques astra benetton eurotunnel floride hilton imperial japan navigator
+amende animés caution coquilles corrections d'emprunts d'influence déménagement déplace déroulement
+ensembles fermée folles ignorer individuellement installées interdite jambon l'empire libéré
+magnétique pionnier regret réflexions réunissant sud-africain séparé voté éloigné émettant deprez
+equipment nzd agenda briser cerner chaudes combiner compatibilité concurrentielle confrontation
+consécutive d'efficacité déclarent dénicher employées exotique fourniture guerres hutu idéalement
+interdire l'impulsion litiges législature masques mousseline nipponne octroyé précédé prénom
+préparés redonner respectant risqué réjouir réservation saturation senior trouverez ahold ancia lcd
+online pouvez-vous shakespeare bougies calmer confondre couloirs cuit d'effets d'excellentes duré
+démontrent euros fautes financée fortunes fournie grains inspiration intéressée intérieurs
+l'automatisation l'imprimerie modo motivations moulin mélodies ose persil reproduire régression sain
+scrutin succédé sursis survient séquences tracé éclat élan éprouve audi development limbourg
+philippines sprl aimerait augmentant bricolage bruts cesser charmes comprends comptoir curieusement
+d'assainissement d'avions demandait décoratifs décrire empire emporté emprunter envergure flot
+fraction féminité islamique jouera l'animal l'euphorie luxueux manipuler muscles nocturne persiste
+poches prématuré présentera présidentielle prévient rassurant routiers sceptiques serons somptueux
+sursaut séparée télévisée biest feiner forum munich vlaanderen abondante adressé arabe bulles
+cartons casque civiles commercialisés contacter courent d'environnement d'intervenir d'étonnant
+diffusée décroche dénonce dénoncer désastre entamée espérons except fortiori fournies homologues
+incertain instituts l'embauche l'héritage l'étudiant libérale lie mafia nie nuages oscille pianiste
+polyester rachetant ronde satisfaisante solaires spatiale syndicaux séduisant associates beke eh
+expo fidelity nothomb pet accomplir bulletin cascade chutes cirque colloque compétitifs coordonnées
+coquille couverte créancier d'experts douteux détruit fondu grec grecque houlette inattendu
+intellectuels l'encadré luxembourgeoises majoritairement marier mariée nominale notera obligée
+ouvertement paysans poétique prolongée prometteurs provincial reconnus regretter rentre ris rosé
+réparer réservoir résistant s'attendent segmentation sentiers substitution suffirait tournoi treize
+triplé téléspectateurs vaudra écologistes bourgogne burundi conservatoire cuba entreprendre iv
+saint-jacques schaerbeek signalons accélérée adaptations africaine agressif aidé autonomes chauds
+civils combustible comités concurrentes consentir d'expliquer d'exportation dense découvrent
+défensive dévolu engendré envol forgé fréquentation graisse impliqués imposent inédit l'australie
+l'anonymat l'imaginaire l'éclairage laps loisir molécules négoce pape pensait pensez phrases
+promenades ranger relevant s'inscrivent serre sollicité tentés thermique transparente cbf canon
+donaldson el jp alliés brosse coefficient comparaisons continueront coupables cultive cycliste
+d'allemagne datent débouche déco gourmandise gouvernementales griffe guichet indéterminée
+instructions interrogé l'adhésion l'assemblage l'audience l'océan l'énorme mobiliser pavé plantation
+ports puisqu'ils quatorze rationalisation renouer ridicule réglage réparti surmonter tarification
+tuyaux uniques cisco edi gallimard gandois jos mosane nokia usinor vande varsovie abandonne achevé
+ajoutent allusion annexes autoroute brusquement console cran d'ostende d'adopter d'assemblage
+d'exception d'innovation déceler dérégulation favorites gourou l'argentine l'allure l'enjeu made
+moelleux obtiennent panoplie photographique qu'ailleurs qu'entre redevable remonté remplie
+rentabiliser scandinaves serions sud-africaines suicide trim télétexte vierge vigoureuse visages
+voyant électoral antonio batc institut knp renard road rops abordable accueillent adresser approprié
+brillantes cachet casino catastrophes chargées ciment content courantes d'acquisition d'avant
+d'heures dysfonctionnements filtres gravures innombrables juriste jusqu'alors lampes mannequin
+parcouru polonais préférons prévenus pérennité quai quittent radiation refait regrouper revenant
+réduisent résisté réticences s'inquiéter solo temporaires ah cac carl gia gassée house jersey
+lufthansa pacifique travel accompagnés alimenter augmentée aval battus cohésion compensée complices
+compliquée conclus construits cuvée défaite flacons fuir habitué historiquement hit-parade
+improbable incluant informés l'argument l'indemnité l'originalité lires lumineuse managing mariages
+morosité mythes n'offre neuves offrait opérationnels peuples portés prolongé précaution puisqu'on
+pédophilie quasi-totalité retire rigoureux ristourne réalisable réalistes s'entendre tardive vies
+vital von argentine dvd distrigaz forem leys maria master monaco reserve verbaet witkowska z
+accéléré acquises antérieurement avancent avoué chapitres circuler consacrent corrélation d'affirmer
+d'élargir d'équipements diminuent espérant fonder fusionner für heurte hésiter jouissent l'aile
+laissez parution pleins profils prototypes quiconque rail rareté respire rythmes réservées sauvé
+scandales superbement trimestriel aaa beethoven commerzbank dgx inusop powerpc prins salomon accents
+accordées actrice annuelles antérieures brille cachés combinaisons contraints crucial d'enseignement
+demandée entoure fascinant fragiles globe haussier hérité inquiétudes juif manquera massifs mépris
+nippons odeurs ombre paille paraissait perceptible pertinence proportionnelle proportionnellement
+prévoyant psychologue recevront revendu reviendra risquer saga serez sous-jacent techniquement
+températures tiens échantillon cfe coca heysel ier jacob tobback trends uem vinck adoptent centimes
+centraux collants communisme consistait d'ail d'ensemble d'exposition devenait défenseurs dépendant
+dévoiler enregistrent fameuses gagnants indicatif indifférent intégrante intéressent inversement kw
+l'allemand l'apéritif l'important n'échappe objective occupants pains perle phares planétaire
+pointes poulet prioritaire précoce quo recommencer représentées roule réputée rétablissement sonne
+spirale tendent tiroirs traitent trouvaient validité variantes verticale vole église équilibré
+armand carlier fred monceau-zolder patriotique sgb shop toshiba absorbe acceptée agissent apparences
+appliqués ascension attaques attitudes autorisés blessures cathédrale contrer d'essence d'examiner
+divergences dix-huit détachement formuler implications l'effondrement l'habitacle libérales loup
+magnifiques mainframes miroirs offensive ondes organe porte-monnaie professionnalisme préside
+recueilli rentes report retards revendeurs rez-de-chaussée roulement ruines rénové sienne stimule
+toilette utilitaires voudraient audiofina colin continental ferrari laurence mba ups appelées
+artisanale automobilistes berceau bloquer brancher classés communique continentale convivial
+d'analyser d'intérieur détaillé détaillée estimait examiné facto glissement grise incident kit
+know-how l'occident légitimité nommer organisent photographes pionniers profitera prometteuse
+prudemment radical rater siens simplification small spécificités suspects tarder urbains veine
+vinaigrette vingt-cinq écoulé havas metropolitan agréables agréé animations caviar chauffeurs
+concepteur conteneurs coureurs d'union d'envisager d'opinion deuil débarque déclenche examens
+executive formalités fragilité gourmande gratuites inflationnistes introductions isolés justifient
+l'abbaye l'épargnant lacune limitant marin new-yorkais occupant parvenue relie remplacés reportage
+représentatif réparations s'attaquer sonores soutiennent tirés trouvons turbodiesel violent
+delaunois fafer manche med montréal one pérou sachez spadel stefaan bars bizarre blonde cercles
+chapelle compté conformité créatifs créatrice culpabilité d'apple d'exercer d'échapper d'étendre
+désordre exécuter gammes gastronomique guider générique homologue imagination immanquablement
+impressions impératifs initiés irlandais jouet kilo l'abonnement l'habitation l'inventeur l'élection
+loger marasme mutuelle médiocres n'est-elle nobles odeur oignons opinions plates-formes pratiquant
+provocation prédit retomber routine répandu répandue sous-sol soviétique subtil sélectionné tabou
+tache taxer touchés usées élaborée émane abn-amro bei beecham coib interim louvre mazda sablon
+smithkline a-t-on actualité ambiant antenne associe blessés boules bourgeois brun caves chirurgie
+classer colis consommé d'accompagnement d'affichage d'aménagement d'enregistrer d'école demandeur
+déploie désespoir emplacement ennemi envisageable essayons foyers frites gouttes illusion j jugées
+l'amateur l'axe l'opposé larmes lingerie longévité lorsqu'elles manches manne mette muni navires
+pharmacien potentielle procurent protégée préoccupe rigoureuse soyez strangle tentant transmet
+trouvée variant viser volés ariane bart bruxelles-capitale cola abaissa abaissai abaissais abaissait
+abaissant abaissas abaisse abaissent abaisser abaissera abaisses abaisseur abaissez abaissiez
+abaissons abaissât abaissée abaissées abaissés abandon abandonna abandonnai abandonnais abandonnait
+abandonnant abandonnas abandonnent abandonnera abandonnerai abandonnerais abandonnerait abandonneras
+abandonnerez abandonneriez abandonnerons abandonneront abandonnes abandonnez abandonniez abandonnons
+abandonnât abandonnée abandonnées abandonnés abandons abonda abondai abondais abondait abondance
+abondances abondant abondantes abondants abondas abondasse abonde abonder abondes abondez abondât
+abondé abonna abonnai abonnais abonnait abonnant abonnas abonne abonnements abonnent abonner
+abonnera abonnes abonnez abonni abonnie abonnies abonniez abonnir abonnira abonnis abonnit abonnons
+abonnât abonné abonnée abonnées abonnît aborda abordables abordage abordages abordai abordais
+abordait abordant abordas abordasse abordent abordera aborderai aborderais aborderait aborderas
+aborderez aborderiez aborderons aborderont abordes abordez abordiez abordons abords abordât abordé
+abordée abordées abordés abortif aboucha abouche abouché aboula aboulai aboulas aboule abouler
+aboules aboulez aboulie aboulât aboulé aboulée aboulés about abouta aboutai aboutais aboutait
+aboutant aboutas aboute aboutent abouter aboutera aboutes aboutez aboutiez aboutions aboutira
+aboutirai aboutirais aboutirait aboutiras aboutirent aboutirez aboutiriez aboutirons aboutiront
+aboutis aboutisse aboutons abouts aboutât abouté aboutée aboutées aboutés aboutît abri abricot abris
+abrita abritai abritais abritait abritant abritas abritent abriter abritera abriterai abriteras
+abriterez abrites abritez abritiez abritons abritât abrité abritée abritées abrités absences absent
+absente absenter absentes absentez absents absenté absentée absentés absolues absolus absolve
+absolves absolvez absorba absorbai absorbais absorbait absorbant absorbas absorbent absorber
+absorbera absorberai absorberas absorberez absorbes absorbeur absorbeurs absorbez absorbiez
+absorbons absorbât absorbé absorbée absorbées absorbés absous absout absoute abusa abusai abusais
+abusait abusant abusas abuse abusent abuser abusera abuses abusez abusiez abusif abusifs abusive
+abusons abusât abusé abusée abusées abusés académie académies académiques académisme accent accentua
+accentuai accentuas accentue accentuel accentuer accentues accentuez accentuât accentué accentuée
+accentués accepta acceptables acceptai acceptais acceptait acceptant acceptante acceptants acceptas
+acceptasse acceptera accepterai accepterais accepterait accepteras accepterez accepteriez
+accepterons accepteront acceptes accepteur accepteurs acceptez acceptiez acception acceptons
+acceptât acceptées acceptés accession accessions accessit accessits accessoirisa accessoirise
+accessoirisé accidenta accidentai accidentais accidentait accidentant accidentas accidente
+accidentel accidentels accidentent accidenter accidentera accidentes accidentez accidentiez
+accidentons accidentât accidenté accidentée accidentées accidentés accola accolai accolas accole
+accoler accoles accolez accolât accolé accolée accolés accompagna accompagnai accompagnais
+accompagnait accompagnant accompagnas accompagnent accompagnera accompagnerai accompagnerais
+accompagnerait accompagneras accompagnerez accompagneriez accompagnerons accompagneront accompagnes
+accompagnez accompagniez accompagnons accompagnât accompagnées accomplie accomplies accomplira
+accomplirai accomplirais accomplirait accompliras accomplirent accomplirez accompliriez accomplirons
+accompliront accomplis accomplisse accomplit accomplît accora accorai accorais accorait accorant
+accoras accorda accordai accordais accordait accordant accordas accordent accordera accorderai
+accorderais accorderait accorderas accorderez accorderiez accorderons accorderont accordes accordeur
+accordeurs accordez accordiez accordoir accordons accordât accordéon accordéons accore accorent
+accorer accorera accores accorez accoriez accorons accort accorte accortes accorts accorât accoré
+accorée accorées accorés accosta accoste accosté accot accota accotai accotas accote accoter accotes
+accotez accots accotât accoté accotée accotés accoua accouai accouas accoudé accoue accouer accoues
+accouez accoure accours accourt accouru accouât accoué accouée accoués accroc accrocs accrois
+accroissements accroît accrues accrus accrusse accrut accrût accu accueillais accueillait
+accueillant accueillera accueillerai accueilleras accueillerez accueilles accueillez accueillie
+accueillies accueilliez accueillions accueillirent accueillis accueillisse accueillit accueillons
+accueillît accueils accula acculai acculas accule acculer accules acculez acculât acculé acculée
+acculés accumula accumulai accumulais accumulait accumulant accumulas accumule accumulent accumulera
+accumulerai accumulerais accumulerait accumuleras accumulerez accumuleriez accumulerons accumuleront
+accumules accumulez accumuliez accumulons accumulât accumulé accumulée accumulées accumulés accus
+accusa accusai accusais accusait accusant accusas accusatif accusatifs accusation accusative
+accusatives accusent accuser accusera accuserai accuseras accuserez accuses accusez accusiez
+accusons accusât accusée accusées accusés accéda accédai accédais accédait accédant accédas accédera
+accéderai accéderais accéderait accéderas accéderez accéderiez accéderons accéderont accédez
+accédiez accédons accédât accédé accélère accéléra accélérai accélérais accélérait accélérant
+accéléras accélérateur accélérations accélérera accélérerai accélérerais accélérerait accéléreras
+accélérerez accéléreriez accélérerons accéléreront accélérez accélériez accélérons accélérât
+accélérées accélérés achards acharna acharne acharné acheta achetable achetai achetais achetait
+achetas achetasse acheteuse acheteuses achetez achetiez achetons achetât acheva achevai achevais
+achevait achevant achevas achever achevez acheviez achevons achevât achevée achevées achevés aciers
+acquiers acquiesce acquiescé acquiesça acquisitif acquisitifs acquisitive acquisitives acquisse
+acquisses acquit acquits acquitta acquitte acquitté acquière acquérais acquérait acquérant
+acquéresse acquéreurs acquérez acquériez acquérions acquérons acquêt acquêts acquît actent acter
+actera acterai acteras acterez actez actiez actinie actionna actionnable actionnai actionnaient
+actionnais actionnait actionnant actionnas actionnasse actionne actionner actionnes actionnez
+actionnât actionné actionnée actionnés activa activai activais activait activant activas activent
+activer activera activerai activeras activerez activeur activeurs activez activiez activions
+activisme activiste activons activât activé activée activées activés actrices actualisa actualisai
+actualisas actualise actualiser actualises actualisez actualisât actualisé actualisée actualisés
+actualités actuariat actuariats actuarielle actuarielles actuariels adapta adaptai adaptais adaptait
+adaptant adaptas adaptateur adaptatif adaptatifs adaptative adaptatives adapte adaptent adaptera
+adapterai adapterais adapterait adapteras adapterez adapteriez adapterons adapteront adaptes adaptez
+adaptiez adaptons adaptât adepte adjoigne adjoindra adjoindre adjoins adjointe adjointes adjoints
+admets admettais admettait admettant admette admettent admettes admettez admettiez admettons
+admettra admettrai admettrais admettrait admettras admettrez admettriez admettrons admettront
+administra administrable administrai administrais administrait administrant administras
+administrasse admira admirai admiras admire admirer admires admirez admirât admiré admirée admirés
+admise admises admisse admisses admit adolescence adolescences adolescent adolescente adolescentes
+adopta adoptai adoptais adoptait adoptant adoptas adoptera adopterai adopterais adopterait adopteras
+adopterez adopteriez adopterons adopteront adoptes adoptez adoptiez adoptif adoptifs adoption
+adoptive adoptons adoptât adoptées adoptés adressa adressage adressai adressais adressait adressant
+adressas adressent adressera adresserai adresserais adresserait adresseras adresserez adresseriez
+adresserons adresseront adressez adressiez adressons adressât adressée adressées adressés adret
+adrets adula adulai adulais adulait adulant adulas adule adulent aduler adulera adules adulez
+aduliez adulons adultère adultéra adultéré adulât adulé adulée adulées adulés adversaire adéquates
+adéquation adéquats affable affadi affadie affadir affadis affadit affadît affaibli affairer
+affairerez affairez affairiez affairons affairé affairée affairées affairés affaissa affaisse
+affaissé affala affalai affalas affale affaler affales affalez affalât affalé affalée affalés affama
+affamai affamas affame affamer affames affamez affamât affamé affamée affamés affect affecta
+affectai affectais affectait affectant affectas affecte affectent affecter affectera affectes
+affectez affectiez affectif affectifs affection affective affectons affects affectât affectée
+affectées afferma afferme affermi affermé afficha affichable affichage affichages affichai
+affichaient affichais affichas affichasse affichera afficherai afficherais afficherait afficheras
+afficherez afficheriez afficherons afficheront affichette afficheur afficheurs affichez affichiez
+affichons affichât affichées affidé affidée affidés affila affilage affilai affilais affilait
+affilant affilas affile affilent affiler affilera affiles affilez affilia affiliai affiliais
+affiliait affiliant affilias affilie affilient affilier affiliera affilies affiliez affiliiez
+affilions affiliât affilié affiliée affiliées affiloir affilons affilât affilé affilée affilées
+affilés affin affina affinai affinas affine affiner affines affinez affins affinât affiné affinée
+affinés affirma affirmai affirmais affirmait affirmant affirmas affirmera affirmerai affirmerais
+affirmerait affirmeras affirmerez affirmeriez affirmerons affirmeront affirmes affirmez affirmiez
+affirmons affirmât affirmée affirmées affirmés affixal affixe affixes affront affronta affrontai
+affrontais affrontait affrontant affrontas affronte affrontent affrontera affronterai affronterais
+affronterait affronteras affronterez affronteriez affronterons affronteront affrontes affrontez
+affrontiez affrontons affronts affrontât affronté affrontée affrontées affrontés africaines agencent
+agencer agencera agencerai agenceras agencerez agencez agenciez agencé agencée agencées agencés
+agendas agença agençai agenças agençât agira agirai agirais agirait agiras agirent agirez agiriez
+agirons agiront agissais agissait agissant agisse agisses agissez agissiez agissons agita agitai
+agitais agitait agitant agitas agitato agite agitent agiter agitera agites agitez agitiez agitons
+agitât agité agitée agitées agités agressa agressai agressais agressait agressant agressas agresse
+agressent agresser agressera agresses agresseur agressez agressiez agressifs agression agressions
+agressives agressivité agressons agressât agressé agressée agressées agressés agreste agrestes
+agricha agrichai agrichas agriche agricher agriches agrichez agrichât agriché agrichée agrichés
+agréa agréai agréais agréait agréant agréas agréasse agrée agréent agréer agréera agrées agréez
+agrégat agrégea agréger agrégez agrégé agrégée agrégés agréiez agréons agréât agréée agréées agréés
+aida aidai aidais aidait aidas aidasse aident aidera aiderai aiderais aiderait aideras aiderez
+aideriez aiderons aideront aidez aidée aidées aidés aile aileron ailette aille aillent ailler
+aillera aillerai ailleras aillerez ailles aillez aimera aimerai aimeraient aimerais aimeras aimerez
+aimeriez aimerons aimeront aimes aimez aimée aimées aimés aisées aisés ajour ajoura ajourai ajouras
+ajoure ajourer ajoures ajourez ajourna ajourne ajourné ajours ajourât ajouré ajourée ajourés ajout
+ajouta ajoutai ajoutais ajoutait ajoutas ajoutasse ajoutera ajouterai ajouterais ajouterait
+ajouteras ajouterez ajouteriez ajouterons ajouteront ajoutes ajoutez ajoutiez ajoutons ajouts
+ajoutât ajoutées ajoutés alaire alaires alaise alaises alangui alanine alberge alberges albinos
+albite albites albugo albugos albumen albumens albumine albuminé albumose alcade alcades alcali
+alcalin alcalis alcoolat alcoolats alcoolisa alcoolise alcoolisé alcools alcoolé alcoolés alcoyle
+alentour alexandra alexandrin alexandrine alexandrins aliment alimenta alimentai alimentaient
+alimentais alimentait alimentant alimentas alimentasse alimentations alimente alimentent alimentera
+alimenterai alimenterais alimenterait alimenteras alimenterez alimenteriez alimenterons alimenteront
+alimentes alimentez alimentiez alimentons alimentât alimentée alla allai allais allaita allaitai
+allaitais allaitait allaitant allaitas allaite allaitent allaiter allaitera allaites allaitez
+allaitiez allaitons allaitât allaité allaitée allaitées allaités allante allantes allants allas
+allasse allegro allergie allers allia alliacé alliacée alliacés alliage alliages alliai alliais
+alliait alliant allias alliasse allient allier alliera allierai allieras allierez allies alliez
+alliiez allions alliât allié alliée alliées allocation allonge allongea allonger allonges allongez
+allongé allongée allongés alloua allouai allouas alloue allouer alloues allouez allouât alloué
+allouée alloués alluma allumai allumas allume allumer allumes allumez allumât allumé allumée allumés
+alluré allurée allurées allurés allusif allusifs allusions allusive allusives allécha alléché allée
+allées allégea alléger allégez allégi allégie allégir allégis allégit allégua allégué allégé allégée
+allégés allégît allés almanach almandin alternat alternateur alternatif alternatifs alternats
+alumina aluminage aluminai aluminais aluminait aluminant aluminas aluminate alumine aluminent
+aluminer aluminera alumines alumineux aluminez aluminiage aluminiez aluminions aluminiums aluminons
+aluminât aluminé aluminée aluminées aluminés amati amatie amaties amatir amatira amatis amatit
+amatît ambiances ambiante ambiantes ambiants ambigu ambigus ambiguë ambitieuse ambitieuses
+ambitionna ambitionnai ambitionnas ambitionne ambitionner ambitionnes ambitionnez ambitionnât
+ambitionné ambitionnée ambitionnés amen amena amenai amenais amenait amenant amenas amenda amendai
+amendais amendait amendant amendas amendent amender amendera amenderai amenderas amenderez amendez
+amendiez amendons amendât amendé amendée amendées amendés amenez ameniez amenons amenât amenée
+amenées amenés amer amerri amerrir amerris amerrit amerrît amers amies amonts amortissement
+amourette amoureuses amours ample amples ampleurs ampli amplis améliora améliorai améliorais
+améliorait améliorant amélioras améliorent améliorera améliorerai améliorerais améliorerait
+amélioreras améliorerez amélioreriez améliorerons amélioreront améliores améliorez amélioriez
+améliorons améliorât améliorées améliorés américium anal anale anales analité analogie analogies
+analogon analogons analogues analysa analysai analysais analysait analysant analysas analysent
+analysera analyserai analyserais analyserait analyseras analyserez analyseriez analyserons
+analyseront analyseur analyseurs analysez analysiez analysons analysât analysé analysée analysées
+analysés ancienneté anciennetés andrène ange angelot angelots anges angevin anglaisa anglaisai
+anglaisais anglaisait anglaisant anglaisas anglaisent anglaiser anglaisera anglaiserai anglaiseras
+anglaiserez anglaises anglaisez anglaisiez anglaisons anglaisât anglaisé anglaisée anglaisées
+anglaisés angles anglet anglets anhydre anima animai animais animait animale animales animalier
+animalisa animalise animalisé animalité animant animas animasse animation anime animent animer
+animera animes animez animiez animons animât animée animées anneau anneaux annela annelai annelas
+anneler annelez annelle annelât annelé annelée annelés annexa annexai annexais annexait annexant
+annexas annexe annexent annexer annexera annexerai annexeras annexerez annexez annexiez annexion
+annexons annexât annexé annexée annexées annexés anniversaires annoncera annoncerai annoncerais
+annoncerait annonceras annoncerez annonceriez annoncerons annonceront annonceur annonceuse
+annonceuses annoncez annoncier annonciez annone annones annonça annonçai annonças annonçât annota
+annotai annotas annote annoter annotes annotez annotât annoté annotée annotés annuité annula annulai
+annulas annule annuler annules annulez annulât annulé annulée annulés anonymat anonymats ante
+antenais antennes antes antichar anticipa anticipai anticipais anticipait anticipant anticipas
+anticipe anticipent anticipera anticiperai anticiperais anticiperait anticiperas anticiperez
+anticiperiez anticiperons anticiperont anticipes anticipez anticipiez anticipons anticipât
+anticipées anticipés antonyme antérieur antérieure antérieurs appaira appaire appairé apparais
+apparaissais apparaissait apparaissant apparaisse apparaisses apparaissez apparaissiez apparaissons
+apparat apparats apparaux apparaît appareilla appareillai appareillas appareille appareiller
+appareilles appareillez appareillât appareillé appareillée appareillés apparent apparente apparenter
+apparentes apparentez apparents apparenté apparentée apparentés apparia appariai apparias apparie
+apparier apparies appariez appariteur apparitions appariât apparié appariée appariés appartenais
+appartenait appartenance appartenances appartenez apparteniez appartenir appartenons appartenu
+appartiendra appartienne appartiennes appartiens appartins appartint apparue apparues apparus
+apparusse apparut apparût appas appeau appeaux appela appelai appelais appelait appelant appelas
+appelez appeliez appellatif appellatifs appellations appellative appellatives appellera appellerai
+appelleras appellerez appelles appelons appelât appert applicables applicage applicages applicateur
+applicatif applicatifs appliqua appliquai appliquais appliquait appliquant appliquas appliquent
+appliquera appliquerai appliquerais appliquerait appliqueras appliquerez appliqueriez appliquerons
+appliqueront appliques appliquez appliquiez appliquons appliquât appoint apponta apponte apponté
+apporta apportai apportais apportait apportant apportas apportera apporterai apporterais apporterait
+apporteras apporterez apporteriez apporterons apporteront apportes apporteur apporteurs apportez
+apportiez apportons apports apportât apportée apportés apposa apposai apposas appose apposer apposes
+apposez apposât apposé apposée apposés apprenais apprenait apprenant apprendra apprendrai
+apprendrais apprendrait apprendras apprendrez apprendriez apprendrons apprendront apprends apprenez
+appreniez apprenne apprennes apprenons apprenti apprentie apprentis apprentissages apprise apprises
+apprisse apprisses apprit approcha approchai approchais approchait approchant approchas approchent
+approcher approchera approcherai approcheras approcherez approches approchez approchiez approchons
+approchât approché approchée approchées approchés approfondi approfondies approfondir approfondira
+approfondirai approfondiras approfondirez approfondis approfondisse approfondit approfondît
+appropria appropriai appropriais appropriait appropriant approprias approprie approprient approprier
+appropriera appropries appropriez appropriiez approprions appropriât appropriée appropriées
+appropriés approuva approuvai approuvais approuvait approuvant approuvas approuve approuvent
+approuver approuvera approuves approuvez approuviez approuvons approuvât approuvée approuvées
+approuvés apprécia appréciables appréciai appréciais appréciait appréciant apprécias appréciasse
+appréciateur appréciatif appréciatifs appréciations appréciative appréciatives appréciera
+apprécierai apprécierais apprécierait apprécieras apprécierez apprécieriez apprécierons apprécieront
+apprécies appréciez appréciiez apprécions appréciât appréciées appréciés apprêt apprêta apprête
+apprêts apprêté apprît appéta appétai appétais appétait appétant appétas appéter appétera appétez
+appétiez appétions appétits appétons appétât appété appétée appétées appétés arabes arabica arabisa
+arabise arabisé arable arables archiduc archipel architectura architecturai architecturais
+architecturait architectural architecturale architecturant architecturas architecturaux
+architecturent architecturer architecturera architecturerai architectureras architecturerez
+architectures architecturez architecturiez architecturons architecturât architecturé architecturée
+architecturées architecturés archiva archivage archivai archivais archivait archivant archivas
+archive archivent archiver archivera archiverai archiveras archiverez archivez archiviez archivons
+archivât archivé archivée archivées archivés ardent ardente ardentes ardents argenta argentai
+argentais argentait argentan argentans argentant argentas argente argentent argenter argentera
+argentes argenteur argentez argentier argentiers argentiez argentin argentines argentins argentions
+argentique argentite argentites argentons argents argenture argentât argenté argentée argentées
+argentés argumenta argumentai argumentais argumentait argumentant argumentas argumentent argumenter
+argumentera argumenterai argumenteras argumenterez argumentes argumentez argumentiez argumentons
+argumentât argumenté aria arias arma armada armadas armai armais armait armant armas armasse arment
+armer armera armerai armeras armerez armet armets armeuse armez armé armées armés arrima arrimai
+arrimas arrime arrimer arrimes arrimez arrimât arrimé arrimée arrimés arrisa arrisai arrisas arrise
+arriser arrises arrisez arrisât arrisé arriva arrivage arrivai arrivais arrivait arrivant arrivas
+arrivera arriverai arriverais arriverait arriveras arriverez arriveriez arriverons arriveront
+arrives arrivez arriviez arrivons arrivât arrivées arrière arriéra arriéré articula articule
+articulé artificiel artificielles artificiels artificier artificiers artificieuse artificieux
+artimon artisan artisanal artisanales artisanat artisanats artisanaux ascenseur ascensionna
+ascensionnai ascensionnas ascensionne ascensionnel ascensionner ascensionnes ascensionnez
+ascensionnât ascensionné ascensionnée ascensionnés ascensions aspe aspecta aspectai aspectais
+aspectait aspectant aspectas aspecte aspectent aspecter aspectera aspectes aspectez aspectiez
+aspectons aspectât aspecté aspectée aspectées aspectés asperge aspergé asperme aspes asse assembla
+assemblage assemblai assemblais assemblait assemblant assemblas assemble assemblent assembler
+assemblera assembles assembleur assemblez assembliez assemblons assemblât assemblé assemblés assena
+assenai assenas assener assenez assenât assené assenée assenés asseoir asservi asses asseye asseyes
+asseyez assidu assidue assidus assied assieds assiettée assiettées assigna assigne assigné assises
+assisse assisses assista assistai assistais assistait assistanat assistanats assistances assistante
+assistantes assistants assistas assistasse assistent assistera assisterai assisterais assisterait
+assisteras assisterez assisteriez assisterons assisteront assistes assistez assistiez assistons
+assistât assistées assistés assit assiège assiégé assiéra associa associai associais associait
+associant associas associasse associatif associatifs associative associatives associent associer
+associera associerai associeras associerez associes associez associiez associons associât associées
+assoie assoies assoira assois assoit assola assolai assolas assole assoler assoles assolez assolât
+assolé assolée assolés assomma assomme assommé assona assonai assonas assone assoner assones assonez
+assonât assoné assorties assortir assortira assortirai assortiras assortirez assortis assortisse
+assortit assortît assoupi assouvi assoyez assuma assumai assumais assumait assumant assumas assument
+assumera assumerai assumerais assumerait assumeras assumerez assumeriez assumerons assumeront
+assumes assumez assumiez assumons assumât assumé assumée assumées assumés assura assurable assurai
+assurais assurait assuras assurasse assurera assurerai assurerais assurerait assureras assurerez
+assureriez assurerons assureront assures assurez assuriez assurons assurât assurées astrakan astral
+astrale astrales astraux astre astres atlante atlantes atlas atour atours attabla attable attablé
+attacha attachai attachais attachait attachant attachas attache attachent attacher attachera
+attaches attachez attachiez attachons attachât attachée attachées attaqua attaquai attaquais
+attaquait attaquant attaquas attaquent attaquer attaquera attaquerai attaqueras attaquerez attaquez
+attaquiez attaquons attaquât attaqué attaquée attaquées attaqués attarda attarde attardé atteignable
+atteignaient atteignais atteignant atteigne atteignes atteignez atteigniez atteignis atteignit
+atteignons atteignît atteindra atteindrai atteindrais atteindrait atteindras atteindrez atteindriez
+atteindrons atteindront atteins atteintes attela attelai attelas atteler attelez attelle attelât
+attelé attelée attelés attenant attendaient attendais attende attendes attendez attendiez attendis
+attendit attendra attendrai attendrais attendrait attendras attendrez attendri attendrie attendries
+attendriez attendrir attendrira attendris attendrit attendrons attendront attendrît attendues
+attendît attenta attentai attentais attentait attentant attentas attentat attentats attentent
+attenter attentera attenterai attenteras attenterez attentez attentiez attentifs attentionné
+attentionnée attentionnés attentions attentisme attentiste attentive attentives attentons attentât
+attenté atterra atterre atterri atterré attesta atteste attesté attifa attifai attifas attife
+attifer attifes attifez attifât attifé attifée attifés attige attigea attiger attiges attigez attigé
+attique attira attirai attirail attirais attirait attirant attiras attirera attirerai attirerais
+attirerait attireras attirerez attireriez attirerons attireront attires attirez attiriez attirons
+attirât attirée attirées attirés attisa attisai attisas attise attiser attises attisez attisât
+attisé attisée attisés attitra attitrai attitras attitre attitrer attitres attitrez attitrât attitré
+attitrée attitrés attiédi attractifs attraction attractions attractive attractives attraits attrapa
+attrapai attrapas attrape attraper attrapes attrapez attrapât attrapé attrapée attrapés attrayantes
+attrayants attribua attribuai attribuais attribuait attribuant attribuas attribuent attribuera
+attribuerai attribuerais attribuerait attribueras attribuerez attribueriez attribuerons attribueront
+attribues attribuez attribuiez attribuons attribut attributif attributs attribuât attribuée
+attribuées attribués attriqua attrique attriqué attrista attriste attristé au-dessous aucuba aucubas
+audacieuse audacieuses audible auditeur auditif auditifs audition auditive audits augment augmenta
+augmentable augmentai augmentais augmentait augmentas augmentasse augmentatif augmentatifs
+augmentative augmentatives augmentera augmenterai augmenterais augmenterait augmenteras augmenterez
+augmenteriez augmenterons augmenteront augmentes augmentez augmentiez augmentons augments augmentât
+augmentées augmentés aurai aurai-je aurais aurait-il aurait-on auras auriez aurifia aurifie aurifié
+aurige auriges aurochs aurons aurore aurores aussitôt austral australe australes australienne
+australiennes australiens austraux autel autels authentifia authentifie authentifié authentiqua
+authentiquai authentiquais authentiquait authentiquant authentiquas authentiquent authentiquer
+authentiquera authentiquerai authentiqueras authentiquerez authentiques authentiquez authentiquiez
+authentiquons authentiquât authentiqué authentiquée authentiquées authentiqués autobus autocar
+automate automation automations automatisa automatisai automatisas automatise automatiser
+automatises automatisez automatisme automatisât automatisé automatisée automatisés automnal
+automnale automnaux automnes automobilisme automobilismes automobiliste autonomies autonomiste
+autonyme autorail autorisa autorisai autorisais autorisait autorisant autorisas autorisations
+autorisent autoriser autorisera autoriserai autoriseras autoriserez autorises autorisez autorisiez
+autorisons autorisât autorisées autoroutier autos autrichien autrui avait-il avait-on avala avalai
+avalais avalait avalant avalas avale avalent avaler avalera avales avaleur avalez avaliez avalisa
+avalise avalisé avalons avals avalât avalé avalée avalées avalés avancera avancerai avancerais
+avancerait avanceras avancerez avanceriez avancerons avanceront avances avancez avanciez avanie
+avanies avantagea avantageai avantageais avantageait avantageant avantageas avantagent avantageons
+avantager avantagera avantagerai avantageras avantagerez avantageuse avantageuses avantagez
+avantageât avantagiez avantagé avantagée avantagées avantagés avants avança avançai avanças avançât
+aven avenant avenirs avens aventura aventurai aventurais aventurait aventurant aventuras aventurent
+aventurer aventurera aventurerai aventureras aventurerez aventureuse aventureux aventurez aventurier
+aventuriez aventurine aventurons aventurât aventuré aventurée aventurées aventurés avenu avenues
+avenus avers averse averses avertie averties avertir avertira avertirai avertiras avertirez avertis
+avertisse avertit avertît avisa avisai avisais avisait avisant avisas avise avisent aviser avisera
+avises avisez avisiez aviso avisons avisos avisât avisé avisée avisées avisés avocate avocates
+avocatier avoine avoines avoua avouai avouais avouait avouant avouas avouent avouer avouera avouerai
+avoueras avouerez avoues avouez avouiez avouons avouât avouée avouées avoués avéra avérai avérais
+avérait avérant avéras avérer avérera avérez avériez avérons avérât avérée avérées avérés axées
+aériens aériez aérions aéronautiques aéroport aéroporté aéroportée aéroportées aéroportés bacon
+bactéridie bactérie bactérien bactérienne bactériens bagad bagads bagage bagarra bagarre bagarré
+bagasse bailla baillai baillais baillait baillant baillas baille baillent bailler baillera baillerai
+bailleras baillerez bailles bailleurs baillez bailli bailliez baillis baillons baillât baillé
+baillée baillées baillés bais baisa baisai baisais baisait baisant baisas baise baisent baiser
+baisera baisers baises baiseur baisez baisiez baisons baisota baisote baisoté baissa baissai
+baissais baissait baissant baissas baissent baissera baisserai baisserais baisserait baisseras
+baisserez baisseriez baisserons baisseront baissez baissier baissiez baissons baissât baissée
+baissées baissés baisât baisé baisée baisées baisés balada baladai baladas balade balader balades
+baladez baladin baladât baladé baladée baladés balafon balafra balafre balafré balai balaie balaies
+balais balancelle balancent balancer balancera balancerai balanceras balancerez balances balancez
+balancier balanciez balancine balancé balancée balancées balancés balane balanes balanite balança
+balançai balanças balançât balata balatas balaya balayai balayas balaye balayer balayes balayez
+balayât balayé balayée balayés balla ballade ballai ballais ballait ballant ballas ballast ballent
+baller ballera ballerai balleras ballerez balles ballet ballets ballez balliez ballonna ballonnai
+ballonnas ballonne ballonner ballonnes ballonnet ballonnez ballonnât ballonné ballonnée ballonnés
+ballons ballot ballote ballotes ballots ballotta ballotte ballotté ballât ballé banales banalisa
+banalise banalisé banalité banane bananes banaux bancable bancal bancale bancales bancals banda
+bandage bandai bandais bandait bandant bandas bandeau bandeaux bandent bander bandera banderai
+banderas banderez bandez bandiez bandit bandits bandons bandât bandé bandée bandées bandés bang
+bangs banlieues banqua banquai banquais banquait banquant banquas banquent banquer banquera
+banquerai banqueras banquerez banquet banqueta banquetai banquetais banquetait banquetant banquetas
+banqueter banqueteur banquetez banquetiez banquetons banquets banquettent banquettera banquetterai
+banquetteras banquetterez banquettes banquetât banqueté banquez banquiez banquions banquise
+banquises banquiste banquière banquons banquât banqué banquée banquées banqués baptisa baptisai
+baptisais baptisait baptisant baptisas baptise baptisent baptiser baptisera baptises baptisez
+baptisiez baptismal baptisme baptismes baptisons baptiste baptistes baptisât baptisées baptisés
+baptême barba barbai barbais barbait barbant barbante barbants barbaque barbare barbares barbarie
+barbaries barbas barbasse barbe barbeau barbelé barbent barber barbera barbes barbet barbets barbez
+barbier barbiez barbon barbons barbota barbote barboté barbu barbue barbues barbule barbus barbât
+barbé barbée barbées barbés baril barils bariola bariole bariolé baronna baronnai baronnas baronne
+baronner baronnes baronnet baronnez baronnie baronnât baronné baronnée baronnés barons baroques
+baroud barouda baroude barouds baroudé barouf baroufs barra barrage barrai barrais barrait barrant
+barras barreaux barrent barrer barrera barrerai barreras barrerez barrette barreur barreurs barreuse
+barrez barri barriez barrir barrira barris barrit barrons barrot barrots barrât barré barrée barrées
+barrés barrît baselle basent baser basera baserai baseras baserez basez basic basics baside basides
+basiez basilical basilicale basilicaux basilique basin basins basions basique basses bassesse basset
+bassets bassina bassinai bassinais bassinait bassinant bassinas bassine bassinent bassiner bassinera
+bassines bassinet bassinets bassinez bassiniez bassinons bassins bassinât bassiné bassinée bassinées
+bassinés bassiste basson bassons batailla bataillai bataillais bataillait bataillant bataillas
+bataillent batailler bataillera bataillerai batailleras bataillerez batailles batailleur batailleurs
+batailleuse bataillez batailliez bataillon bataillons bataillât bataillé batela batelai batelas
+bateler batelet batelez batelle batelât batelé batelée batelés battage battais battait battant batte
+battent battes batteur batteurs batteuse battez battiez battis battit battoir battons battra battrai
+battrais battrait battras battrez battriez battrons battront battue battues batture battures battée
+battées battît baud baudet baudets bauds bauxite baye bayent bayera bayerai bayerais bayerait
+bayeras bayerez bayeriez bayerons bayeront bayes bayez beauf beaufs beaupré beautés bercail berce
+berceaux bercent bercer bercera bercerai berceras bercerez berces berceur berceurs berceuse bercez
+berciez bercé bercée bercées bercés berlines berlingot berlue berna bernache bernacle bernai bernais
+bernait bernant bernardin bernardine bernardins bernas bernasse berne bernent berner bernera bernes
+bernez berniez bernons bernât berné bernée bernées bernés besogna besogne besogné beur beurra
+beurrai beurrais beurrait beurrant beurras beurrent beurrer beurrera beurrerai beurreras beurrerez
+beurrerie beurres beurrez beurrier beurriez beurrons beurrât beurré beurrée beurrées beurrés beurs
+biaisa biaisai biaisais biaisait biaisant biaisas biaise biaisent biaiser biaisera biaises biaisez
+biaisiez biaisons biaisât biaisé biaisée biaisées biaisés biennal bila bilabié bilai bilais bilait
+bilame bilames bilant bilas bilasse billard bille billes billette billettes billeté billetée
+billetées billetés billion billon billons billot billots bills biographe biographes biographies
+biographique biologie biologies biologiques biologiste bizarrerie bizarres blacks blanchet blanchets
+blancheur blancheurs blanchi blanchie blanchies blanchir blanchira blanchis blanchit blanchît blessa
+blessai blessais blessait blessant blessas blesse blessent blesser blessera blesses blessez blessiez
+blessons blessure blessât blessé blessée blessées bleues bleuet bleuets bleui bleuie bleuies bleuir
+bleuira bleuis bleuit bleuta bleutai bleutas bleute bleuter bleutes bleutez bleutât bleuté bleutée
+bleutés bleuît blocages blocus blond blondel blondels blondes blondeur blondeurs blondi blondie
+blondies blondin blondine blondins blondir blondis blondit blondoie blondoya blondoyé blonds blondît
+bloqua bloquai bloquais bloquait bloquant bloquas bloque bloquent bloquera bloquerai bloquerais
+bloquerait bloqueras bloquerez bloqueriez bloquerons bloqueront bloques bloquez bloquiez bloquons
+bloquât bloqué bloquée bloquées bloqués bluet bluets bluette boeufs boira boirai boirais boirait
+boiras boirez boiriez boirons boiront boisa boisage boisai boisais boisait boisant boisas boise
+boisent boiser boisera boises boiseur boisez boisiez boisons boisseau boisât boisé boisée boisées
+boisés bomba bombage bombai bombais bombait bombant bombas bombent bomber bombera bomberai bomberas
+bomberez bombes bombez bombiez bombons bombyx bombât bombé bombée bombées bombés bonda bondai
+bondais bondait bondant bondas bonde bondent bonder bondera bondes bondez bondi bondiez bondir
+bondira bondis bondit bondon bondons bondrée bonds bondât bondé bondée bondées bondés bondît
+bonheurs bonnet bonnets bonnette bonsaï bonsaïs booms borda bordage bordai bordais bordait bordant
+bordas borde bordel bordels bordent border bordera borderai borderas borderez borderie bordes bordez
+bordier bordiez bordons bordures bordât bordé bordée bordées bordés boriqué bostons botaniques
+botanisa botanisai botanisas botanise botaniser botanises botanisez botaniste botanisât botanisé
+bouc boucan boucana boucane boucans boucané boucau boucaus boucha bouchage bouchai bouchais bouchait
+bouchant bouchas bouchent boucher bouchera boucherai boucheras boucherez boucherie bouchers bouches
+bouchez bouchiez bouchon bouchons bouchot bouchots bouchât bouché bouchée bouchées bouchés boucla
+bouclai bouclas boucle boucler boucles bouclez bouclât bouclé bouclée bouclés boucs bougea bougeai
+bougeais bougeait bougeant bougeas bougeoir bougeons bougera bougerai bougerais bougerait bougeras
+bougerez bougeriez bougerons bougeront bouges bougez bougeât bougie bougiez bougions bougnat bougon
+bougons bougran bougre bougres bougé bougée bougées bougés bouillais bouillait bouillant bouille
+bouillent bouilles bouilleur bouillez bouilli bouillie bouillies bouilliez bouillir bouillira
+bouillis bouillit bouilloire bouillonna bouillonnai bouillonnas bouillonne bouillonner bouillonnes
+bouillonnez bouillonnât bouillonné bouillons bouillotta bouillotte bouillotté bouillît boula boulai
+boulaie boulais boulait boulant boulas bouleau bouleaux boulent bouler boulera boulerai bouleras
+boulerez boulet boulets boulette bouleté bouletée bouletés boulevardier boulevards boulez boulier
+bouliez boulin bouline boulins bouloir bouloirs boulon boulonna boulonne boulonné boulons boulots
+boulotta boulottai boulottas boulotte boulotter boulottes boulottez boulottât boulotté boulottée
+boulottés boulât boulé boulée boulées boulés bouquetier bouquetin bouquetins bouquets bouquin
+bouquina bouquine bouquins bouquiné bourbe bourbes bourbon bourda bourdai bourdas bourde bourder
+bourdes bourdez bourdon bourdât bourdé bourg bourgeoise bourgeoises bourgeoisial bourgeoisie
+bourgeoisies bourgeon bourgeonna bourgeonne bourgeonné bourgeons bourgeron bourgognes bourgs bourra
+bourrai bourras bourre bourrer bourres bourrez bourrin bourru bourrue bourrus bourrât bourré bourrée
+bourrés boursière bouta boutade boutai boutais boutait boutant boutas boute bouteiller bouteillers
+bouteillon bouteillons boutent bouter boutera boutes bouteur boutez boutiez boutions boutiquier
+boutisse boutoir boutoirs boutonna boutonnai boutonnas boutonne boutonner boutonnes boutonnez
+boutonnât boutonné boutonnée boutonnés boutre boutres bouts boutura bouture bouturé boutât bouté
+boutée boutées boutés brabants brabançon bran brancard brancha branchage branchai branchais
+branchait branchant branchas branchent branchera brancherai brancherais brancherait brancheras
+brancherez brancheriez brancherons brancheront branchette branchez branchial branchies branchiez
+branchons branchu branchue branchues branchus branchât branchée branchées branchés brandade brandes
+brandi brandie brandies brandir brandira brandis brandit brandon brandons brandy brandît branla
+branlai branlas branle branler branles branlez branlât branlé branlée branlés brans brante brantes
+brasa brasage brasai brasais brasait brasant brasas brase brasent braser brasera brasero brases
+brasez brasier brasiez brasons brassa brassage brassai brassais brassait brassant brassard brassas
+brasse brassent brasser brassera brasserai brasserais brasserait brasseras brasserez brasseries
+brasseriez brasserions brasserons brasseront brasses brasseurs brasseuse brasseuses brassez brassiez
+brassin brassins brassons brassât brassé brassée brassées brassés brasure brasât brasé brasée
+brasées brasés breaks brefs breveta brevetai brevetais brevetait brevetant brevetas breveter
+brevetez brevetiez brevetons brevette brevettes brevetât breveté brevetée brevetées brevetés bricola
+bricolages bricolai bricolais bricolait bricolant bricolas bricolasse bricole bricolent bricoler
+bricolera bricoles bricoleur bricolez bricoliez bricolons bricolât bricolé bricolée bricolées
+bricolés brilla brillai brillais brillait brillance brillances brillanta brillantage brillantai
+brillantais brillantait brillantant brillantas brillantent brillanter brillantera brillanterai
+brillanteras brillanterez brillantez brillantiez brillantina brillantine brillantiné brillantons
+brillantât brillanté brillantée brillantées brillantés brillas brillasse brillent briller brillera
+brillerai brilleras brillerez brilles brillez brilliez brillons brillât brillé bringue brins briqua
+briquai briquais briquait briquant briquas briquent briquer briquera briquerai briqueras briquerez
+briquet briqueta briquetai briquetas briqueter briquetez briquets briquette briquetât briqueté
+briquetée briquetés briquez briquiez briquons briquât briqué briquée briquées briqués bris brisa
+brisai brisais brisait brisant brisas brise brisent brisera briserai briserais briserait briseras
+briserez briseriez briserons briseront brises briseur briseurs briseuse brisez brisiez brisis briska
+briskas brisons brisque bristol brisure brisât brisé brisée brisées brisés brocha brochage brochai
+brochais brochait brochant brochas broche brochent brocher brochera broches brochet brochets
+brocheur brochez brochiez brochons brochât broché brochée brochées brochés broncha bronche broncho
+bronché bronza bronzage bronzai bronzais bronzait bronzant bronzas bronzent bronzer bronzera
+bronzerai bronzeras bronzerez bronzes bronzeur bronzeurs bronzez bronzier bronziez bronzons bronzât
+bronzé bronzée bronzées bronzés brossa brossage brossai brossais brossait brossant brossas brossent
+brosser brossera brosserai brosseras brosserez brosserie brosses brossez brossier brossiez brossons
+brossât brossé brossée brossées brossés browning brugnon brui bruie bruies bruina bruine bruiner
+bruines bruinât bruiné bruir bruira bruirai bruiras bruire bruirez bruis bruisse bruita bruitage
+bruitai bruitais bruitait bruitant bruitas bruite bruitent bruiter bruitera bruites bruiteur bruitez
+bruitiez bruitons bruitât bruité brunch brunchs brune brunes brunet brunets bruni brunie brunies
+brunir brunira brunis brunit bruns brunît brutal brutales brutalisa brutalise brutalisé brutalité
+brutaux brutes brésilien brésilla brésillai brésillas brésille brésiller brésilles brésillez
+brésillât brésillé brésillée brésillés buffet buffetier buffets buffle buffles bulle bulletins
+bulleuse bulleux bure burelle burelé burelée burelés burent bures burette businessman businessmen
+bénéficia bénéficiai bénéficiaient bénéficiais bénéficiait bénéficias bénéficiasse bénéficiera
+bénéficierai bénéficierais bénéficierait bénéficieras bénéficierez bénéficieriez bénéficierons
+bénéficieront bénéficies bénéficiez bénéficiiez bénéficions bénéficiât bénéfiques bétoine bétoire
+bétonna bétonnai bétonnas bétonne bétonner bétonnes bétonnez bétonnât bétonné bétonnée bétonnés
+bétons cabiai cabiais cabines caca cacaba cacabai cacabas cacabe cacaber cacabes cacabez cacabât
+cacabé cacaos cacaoté cacaotée cacaotés cacaoyer cacarda cacarde cacardé cacas cacha cachai cachais
+cachait cachant cachas cachera cacherai cacherais cacherait cacheras cacherez cacheriez cacherons
+cacheront caches cacheta cachetage cachetai cachetais cachetait cachetant cachetas cacheter cachetez
+cachetiez cachetons cachets cachette cachettes cachetât cacheté cachetée cachetées cachetés cachexie
+cachez cachiez cachons cachot cachots cachou cachous cachât cachée cachées cadastra cadastrai
+cadastrais cadastrait cadastrale cadastrales cadastrant cadastras cadastrasse cadastraux cadastre
+cadastrent cadastrer cadastrera cadastres cadastrez cadastriez cadastrons cadastrât cadastré
+cadastrée cadastrées cadastrés cade cadenas cadence cadencé cadença cades cadet cadets cadette cadra
+cadrage cadrai cadrais cadrait cadran cadrans cadrant cadras cadrat cadrats cadrent cadrer cadrera
+cadrerai cadreras cadrerez cadreur cadreurs cadreuse cadrez cadriez cadrons cadrât cadré cadrée
+cadrées cadrés caféier caféine cahiers caisserie caissette caissier caisson caissons calcin calcina
+calcine calcins calciné calcite calcium calcula calculai calculais calculait calculant calculas
+calculent calculera calculerai calculerais calculerait calculeras calculerez calculeriez calculerons
+calculeront calcules calculette calculeuse calculeux calculez calculiez calculons calculât calculées
+calculés calendriers californium californiums calleux calma calmai calmais calmait calmant calmar
+calmars calmas calment calmera calmerai calmerais calmerait calmeras calmerez calmeriez calmerons
+calmeront calmes calmez calmi calmiez calmir calmira calmis calmit calmons calmât calmé calmée
+calmées calmés calmît camionna camionnai camionnas camionne camionner camionnes camionnez camionnât
+camionné camionnée camionnés campa campagnard campagnol campagnols campai campais campait campane
+campanes campant campas campasse campe campent camper campera campes campeur campez camphre camphré
+campiez camping campons campos campus campât campé campée campées campés camée camées camélia
+camérier cana canadiennes canadiens canai canais canait canalisa canalise canalisé canant canapé
+canapés canarda canardai canardais canardait canardant canardas canarde canardeau canardent canarder
+canardera canardes canardez canardiez canardons canards canardât canardé canardée canardées canardés
+canari canaris canas canasse canasta cancale cancan cancana cancane cancans cancané cancel cancels
+cancers canche canches cancre cancres candi candidate candidates candidatures candide candides
+candie candies candir candira candirai candiras candirez candis candisse candit canna cannage cannai
+cannais cannait cannant cannas canne cannela cannelai cannelas canneler cannelez cannelle cannelât
+cannelé cannelée cannelés cannent canner cannera cannerai canneras cannerez canneur canneurs
+canneuse cannez canniez cannons cannât canné cannée cannées cannés canonial canonisa canonise
+canonisé canonna canonnai canonnas canonne canonner canonnes canonnez canonnât canonné canonnée
+canonnés canons canope canopes canot canota canotai canotas canote canoter canotes canotez canots
+canotât canoté canoë canoës caoutchoucs caoutchouta caoutchoutai caoutchoutas caoutchoute
+caoutchouter caoutchoutes caoutchoutez caoutchoutât caoutchouté caoutchoutée caoutchoutés
+capitainerie capitaines capitales capitalisa capitalisai capitalisais capitalisait capitalisant
+capitalisas capitalisations capitalise capitalisent capitaliser capitalisera capitalises capitalisez
+capitalisiez capitalismes capitalisons capitaliste capitalistes capitalisât capitalisé capitalisée
+capitalisées capitalisés capiteux capitole capiton capitons capitoul capitula capitule capitulé
+capité capitée capitées capités capon caponna caponne caponné capons caporal capota capotage capotai
+capotais capotait capotant capotas capote capotent capoter capotera capotes capotez capotiez
+capotons capots capotât capoté capotée capotées capotés capte captent capter captera capterai
+capteras capterez captes capteur captez caractériel caractériels caractérisa caractérisai
+caractérisais caractérisait caractérisant caractérisas caractérisent caractériser caractérisera
+caractériserai caractériseras caractériserez caractérises caractérisez caractérisiez caractérisons
+caractérisât caractérisé caractérisée caractérisées caractérisés carbonari carbonaro carbonata
+carbonate carbonaté carbones carbonisa carbonise carbonisé carbonyle carboné carbonée carbonées
+carbonés carbura carburai carburais carburait carburants carburas carburasse carbure carburent
+carburer carburera carbures carburez carburiez carburons carburât carburé carburée carburées
+carburés cardia cardial cardiale cardiales cardiaques cardias cardiaux carlin carline carlines
+carlins carlisme carliste carnage carne carneau carneaux carnes carnier carnèle carné carnée carnées
+carnés carolus carra carrai carrais carrait carrant carrare carras carre carreau carrela carrelé
+carrent carrer carrera carres carrez carrick carrier carriez carroie carrons carrosse carrossent
+carrosser carrossera carrosserai carrosserais carrosserait carrosseras carrosserez carrosseries
+carrosseriez carrosserions carrosserons carrosseront carrosses carrossez carroya carroyé carrure
+carry carrys carrât carrée carrées cartel cartels carter carters cartiers cartonna cartonnai
+cartonnas cartonne cartonner cartonnes cartonnez cartonnât cartonné cartonnée cartonnés cartoon
+cartoons cascada cascadai cascadais cascadait cascadant cascadas cascadent cascader cascadera
+cascaderai cascaderas cascaderez cascades cascadeur cascadeurs cascadeuse cascadez cascadiez
+cascadons cascadât cascadé cash-flows casher casier casiers casiez casimir casinos casions casqua
+casquai casquais casquait casquant casquas casquent casquer casquera casquerai casqueras casquerez
+casques casquette casquez casquiez casquons casquât casqué casquée casquées casqués cassa cassage
+cassai cassais cassait cassant cassas cassate cassates cassations casseau casseaux cassent cassera
+casserai casserais casserait casseras casserez casseriez casseroles casserons casseront casses
+cassetin cassetins casseur casseurs casseuse cassez cassier cassiez cassine cassis casson cassons
+cassure cassât cassé cassée cassées cassés catalogne catalognes catalogua cataloguai cataloguais
+cataloguait cataloguant cataloguas cataloguent cataloguer cataloguera cataloguerai catalogueras
+cataloguerez cataloguez cataloguiez cataloguons cataloguât catalogué cataloguée cataloguées
+catalogués catastropha catastrophai catastrophais catastrophait catastrophant catastrophas
+catastrophent catastropher catastrophera catastropherai catastropheras catastropherez catastrophez
+catastrophiez catastrophions catastrophiques catastrophons catastrophât catastrophé catastrophée
+catastrophées catastrophés catherinette cathédrales catégoriel catégorielle catégoriels catégorique
+catégorème cauchemarda cauchemardai cauchemardas cauchemarde cauchemarder cauchemardes cauchemardez
+cauchemardât cauchemardé cauchemars causa causai causais causait causal causale causals causant
+causas causent causer causera causerai causeras causerez causerie causette causeur causeurs causeuse
+causez causiez causons causse causses causât causée causées causés cautionna cautionnai cautionnas
+cautionne cautionner cautionnes cautionnez cautionnât cautionné cautionnée cautionnés cautions
+cautèle cautère caveau caveaux cavent caver cavera caverai caveras caverez caverne cavet cavets
+cavez caviarda caviardai caviardas caviarde caviarder caviardes caviardez caviardât caviardé
+caviardée caviardés caviars caviez cavions caviste cavité cavités ceint ceinte ceintes ceints
+ceintura ceinturage ceinturai ceinturais ceinturait ceinturant ceinturas ceinturent ceinturer
+ceinturera ceinturerai ceintureras ceinturerez ceintures ceinturez ceinturiez ceinturon ceinturons
+ceinturât ceinturé ceinturée ceinturées ceinturés celai celais celait celant celas celasse cella
+cellas celle-là celles-là cellier cellular cellulars cellulite cellulose celluloïd celui-là cens
+censeur censier censura censure censuré censée censées censés centaure centavo centavos centenaires
+centiare centibar centime centième centra centrage centrages centrai centrais centrait centralisa
+centralise centralisé centrant centras centrasse centrent centrer centrera centrerai centreras
+centrerez centreur centreurs centrez centriez centrons centrât centré centrée centrées centrés cerce
+cerceau cerces cercla cerclage cerclai cerclais cerclait cerclant cerclas cerclent cercler cerclera
+cerclerai cercleras cerclerez cerclez cercliez cerclons cerclât cerclé cerclée cerclées cerclés
+cerna cernai cernais cernait cernant cernas cerne cerneau cerneaux cernent cernera cernerai
+cernerais cernerait cerneras cernerez cerneriez cernerons cerneront cernes cernez cerniez cernons
+cernât cerné cernée cernées cernés certifia certifiai certifiais certifiait certifiant certifias
+certificateur certifications certifie certifient certifier certifiera certifies certifiez certifiiez
+certifions certifiât certifié certifiée certifiées certifiés certitudes cerveaux cervelas cervelet
+cervelle cervier cessa cessai cessais cessait cessant cessas cessera cesserai cesserais cesserait
+cesseras cesserez cesseriez cesserons cesseront cesses cessez cessible cessiez cessions cessons
+cessât cessée cessées cessés ceux-là chacal chacals chacone chai chaire chaires chairs chais
+chaisier chaland chalaze chalet chalets chaleureuse chaleureuses chaleurs chaloir chalut chaluts
+chamade chambard chambra chambrai chambrais chambrait chambrant chambras chambrent chambrer
+chambrera chambrerai chambreras chambrerez chambrette chambrez chambrier chambriez chambrons
+chambrât chambré chambrée chambrées chambrés chameau chamois champagnes champagnisa champagnise
+champagnisé champart champarts champi champignon championne championnes champis chancel chancela
+chancelai chancelas chanceler chancelez chancelle chancels chancelât chancelé chanceuse chanceux
+chanci chancir chancira chancis chancit chancre chancres chancît changea changeai changeais
+changeait changeant changeas changeons changera changerai changerais changerait changeras changerez
+changeriez changerons changeront changeur changeurs changez changeât changiez changée changées
+changés chansonna chansonnai chansonnas chansonne chansonner chansonnes chansonnez chansonnât
+chansonné chansonnée chansonnés chanta chantage chantages chantai chantais chantait chantant
+chantante chantants chantas chantasse chanteau chanteaux chantent chantera chanterai chanterais
+chanterait chanteras chanterez chanteriez chanterons chanteront chantes chanteurs chanteuse
+chanteuses chantez chantiez chantilly chantions chantons chantre chantres chants chantât chanté
+chantée chantées chantés chanvre chaouch chape chapeauta chapeautai chapeautas chapeaute chapeauter
+chapeautes chapeautez chapeautât chapeauté chapeautée chapeautés chapeaux chapela chapelai chapelain
+chapelais chapelait chapelant chapelas chapeler chapelet chapelets chapelez chapelier chapeliez
+chapellenie chapellent chapellera chapellerai chapelleras chapellerez chapellerie chapelles
+chapelons chapelure chapelât chapelé chapelée chapelées chapelés chaperon chapes chapiteau chapitra
+chapitrai chapitrais chapitrait chapitrant chapitras chapitrent chapitrer chapitrera chapitrerai
+chapitreras chapitrerez chapitrez chapitriez chapitrons chapitrât chapitré chapitrée chapitrées
+chapitrés chapon chapons chapska chapé chapée chapées chapés char charade charbonna charbonnai
+charbonnas charbonne charbonner charbonnes charbonnez charbonnât charbonné charbonnée charbonnés
+charbons chardon chargea chargeai chargeais chargeait chargeant chargeas chargements chargent
+chargeons chargera chargerai chargerais chargerait chargeras chargerez chargeriez chargerons
+chargeront chargeur chargeurs chargez chargeât chargiez chariot charité charleston charma charmai
+charmais charmait charmant charmas charment charmer charmera charmerai charmeras charmerez charmeur
+charmeurs charmeuse charmez charmiez charmons charmât charmé charmée charmées charmés charnel charnu
+charnue charnus charpie charria charrie charrié charroi charron charrue chars charte charter chartes
+chas chassa chassai chassais chassait chassant chassas chasselas chassent chassepot chasser chassera
+chasserai chasseras chasserez chasses chasseur chasseuse chasseuses chassez chassie chassies
+chassiez chassons chassât chassé chassée chassées chassés chaste chastes chatoie chaton chatons
+chatoya chatoyé chats chatte chattes chaudeau chaudeaux chaudron chauffa chauffages chauffai
+chauffais chauffait chauffant chauffante chauffants chauffard chauffards chauffas chauffasse chauffe
+chauffent chauffer chauffera chaufferai chaufferas chaufferez chaufferie chauffes chauffeuse
+chauffeuses chauffez chauffiez chauffons chauffât chauffé chauffée chauffées chauffés chaula chaulai
+chaulas chaule chauler chaules chaulez chaulât chaulé chaulée chaulés chauma chaumai chaumas chaume
+chaumer chaumes chaumez chaumât chaumé chaumée chaumés chaussa chaussai chaussais chaussait
+chaussant chaussas chausse chaussent chausser chaussera chausses chausseur chaussez chaussiez
+chausson chaussons chaussât chaussé chaussées chaussés chaut chauve chauves chauvi chauvin chauvir
+chauvis chauvit chauvît chaux cheffe cheffes chemina cheminai cheminais cheminait cheminant cheminas
+chemine cheminent cheminer cheminera chemines cheminez cheminiez cheminons cheminot cheminots
+cheminât cheminé cheminée cheminées chemisa chemisage chemisai chemisais chemisait chemisant
+chemisas chemisent chemiser chemisera chemiserai chemiseras chemiserez chemiserie chemisette
+chemisez chemisier chemisiez chemisons chemisât chemisé chemisée chemisées chemisés chercha cherchai
+cherchais cherchait cherchant cherchas cherchera chercherai chercherais chercherait chercheras
+chercherez chercheriez chercherons chercheront cherches chercheuse chercheuses cherchez cherchiez
+cherchons cherchât cherchée cherchées cherchés chergui cherra cherrai cherras cherre cherrer cherres
+cherrez cherrât cherré cherté chertés chervis chevala chevalai chevalais chevalait chevalant
+chevalas chevale chevalent chevaler chevalera chevales chevalet chevalets chevalez chevalier
+chevaliez chevalin chevaline chevalins chevalons chevalât chevalé chevalée chevalées chevalés
+chevaucha chevauche chevauché chevelu chevelue chevelus chevet chevets cheveu chevron chicana
+chicanai chicanas chicane chicaner chicanes chicanez chicanât chicané chicanée chicanés chiche
+chiches chichi chichis chicon chicons chicot chicota chicote chicots chicoté chics chie chienlit
+chienna chiennai chiennas chienne chienner chiennes chiennez chiennât chienné chient chier chiera
+chierai chieras chierez chierie chies chiez chiffe chiffes chiffon chiffons chiffra chiffrage
+chiffrai chiffrais chiffrait chiffrant chiffras chiffrent chiffrer chiffrera chiffrerai chiffreras
+chiffrerez chiffreur chiffreurs chiffreuse chiffrez chiffrier chiffriez chiffrons chiffrât chiffré
+chiffrée chiffrées chiffrés chilien chiliens chimies chimisme chimiste chimère china chinage chinai
+chinais chinait chinant chinas chinent chiner chinera chinerai chineras chinerez chines chineur
+chineurs chineuse chinez chiniez chinoisa chinoisai chinoisais chinoisait chinoisant chinoisas
+chinoisent chinoiser chinoisera chinoiserai chinoiseras chinoiserez chinoiserie chinoisez chinoisiez
+chinoisons chinoisât chinoisé chinons chinook chinooks chintz chinure chinât chiné chinée chinées
+chinés chipa chipai chipais chipait chipant chipas chipe chipent chiper chipera chipes chipez chipie
+chipies chipiez chipons chipota chipote chipoté chipât chipé chipée chipées chipés chirurgical
+chirurgien chirurgienne chirurgiens chirurgies chocolatier chocolats chocolaté chocolatée
+chocolatées chocolatés choie choient choiera choies choir choirai chois choisies choisira choisirai
+choisirais choisirait choisiras choisirent choisirez choisiriez choisirons choisiront choisissais
+choisissait choisissant choisisse choisisses choisissez choisissiez choisissons choisit-il choisît
+choit chrisme chrismes christ christiania christianias christianisa christianise christianisé
+christique christs chroniqua chroniquai chroniquais chroniquait chroniquant chroniquas chroniquent
+chroniquer chroniquera chroniquerai chroniqueras chroniquerez chroniques chroniqueur chroniqueurs
+chroniqueuse chroniquez chroniquiez chroniquons chroniquât chroniqué chrétienne chrétiennes
+chrétiens chrétienté chrétientés chut chuta chutai chutais chutait chutant chutas chutent chutera
+chuterai chuterais chuterait chuteras chuterez chuteriez chuterons chuteront chutez chutiez chutons
+chutât chutée chutées chutés cibles ciels cigarette cime cimenta cimentai cimentais cimentait
+cimentant cimentas cimente cimentent cimenter cimentera cimentes cimentez cimentier cimentiez
+cimentons ciments cimentât cimenté cimentée cimentées cimentés cimes cinquantaines ciné cinéastes
+cinémas cinés cinétir circonstancia circonstanciai circonstancias circonstancie circonstanciel
+circonstancier circonstancies circonstanciez circonstanciât circonstancié circonstanciée
+circonstanciés circula circulai circulaient circulaires circulais circulait circulant circulas
+circulasse circulations circule circulera circulerai circulerais circulerait circuleras circulerez
+circuleriez circulerons circuleront circules circulez circuliez circulons circulât circulé cirques
+citent citera citerai citerais citerait citeras citerez citeriez citerne citernes citerons citeront
+cites citez citoyenne citoyennes citrate citrin citrine citrins citronné citronnée citronnés citrons
+citrus citée civilisa civilisateur civilisations civilise civilisé civilité civique civisme civière
+clabaud clabot clabota clabote clabots claboté claie claies clairet clairets clairette clairon
+clairons clairsemé clandé clandés clans clarine clartés classa classai classais classait classant
+classas classements classent classera classerai classerais classerait classeras classerez classeriez
+classerons classeront classeur classeurs classez classiez classifia classifie classifié classions
+classons classât classée classées claustra claustre claustré clausule clausus clava clavai clavais
+clavait clavant clavas clave claveau clavelé clavent claver clavera claves claveta claveté clavez
+claviers claviez clavions claviste clavons clavât clavé clavée clavées clavés clerc clercs clergie
+clergé clergés clic clicha clichage clichai clichais clichait clichant clichas cliche clichent
+clicher clichera cliches clicheur clichez clichiez clichons clichât cliché clichée clichées clics
+cliente clientes clientèle climatisa climatise climatisé climats climatère clin clinfoc clinicat
+cliniques clins clique cliques cliqueta cliquetai cliquetais cliquetait cliquetant cliquetas
+cliqueter cliquetez cliquetiez cliquetis cliquetons cliquets cliquette cliquettes cliquetât cliqueté
+close closent closes coalitions cocagne cocarde cocas cocasse cocaïne cocker cockers cocktails
+codent coder codera coderai coderas coderez codeur codeurs codeuse codex codez coefficients coeurs
+coffin coffins coffra coffrage coffrai coffrais coffrait coffrant coffras coffrent coffrer coffrera
+coffrerai coffreras coffrerez coffres coffret coffrets coffrez coffriez coffrons coffrât coffré
+coffrée coffrées coffrés cohérences cohérent cohérente cohérentes cohérents cohéreur cohéreurs
+cohésif cohésifs cohésions cohésive cohésives coince coincer coinces coincez coincé coincée coincés
+coing coings coinça coinçai coinças coinçât colibri colineau colinot colinots colins colique colite
+colites colla collabora collaborai collaborais collaborait collaborant collaboras collaborations
+collabore collaborent collaborera collaborerai collaborerais collaborerait collaboreras collaborerez
+collaboreriez collaborerons collaboreront collabores collaborez collaboriez collaborons collaborât
+collaboré collage collages collai collais collait collant collante collantes collas collasse
+collecta collectage collectai collectais collectait collectant collectas collectent collecter
+collectera collecterai collecteras collecterez collectes collecteur collecteurs collectez collectiez
+collectifs collectionna collectionnai collectionnais collectionnait collectionnant collectionnas
+collectionne collectionnent collectionner collectionnera collectionnerai collectionneras
+collectionnerez collectionnes collectionneuse collectionneuses collectionnez collectionniez
+collectionnons collectionnât collectionné collectionnée collectionnées collectionnés collectives
+collectivisa collectivise collectivisé collectivité collectons collectât collecté collectée
+collectées collectés collent coller collera collerai colleras collerez colles collet colleta
+colletai colletas colleter colletez collets collette colletât colleté colletée colletés colleur
+colleurs colleuse colley colleys collez collier colliez collige colligea colligeai colligeas
+colligent colliger colligera colliges colligez colligeât colligiez colligé colligée colligées
+colligés colline collons colloqua colloquai colloquais colloquait colloquant colloquas colloquent
+colloquer colloquera colloquerai colloqueras colloquerez colloques colloquez colloquiez colloquons
+colloquât colloqué colloquée colloquées colloqués colloïde collyre collât collège collé collée
+collées collés colombe colon colonage colonat colonats colonel colonels colonial colonie colonies
+colonisa colonise colonisé colonnade colonnette colons colora colorai colorais colorait colorant
+coloras colore colorent colorer colorera colores colorez coloria coloriage coloriai coloriais
+coloriait coloriant colorias colorie colorient colorier coloriera colories coloriez coloriiez
+colorions coloriste coloristes coloriât colorié coloriée coloriées coloriés colorons colorât coloré
+colorée colorées colosse combatif combatifs combative combats combattais combattait combattant
+combatte combattent combattes combattez combattiez combattis combattit combattons combattra
+combattrai combattrais combattrait combattras combattrez combattriez combattrons combattront
+combattu combattue combattues combattus combattît combe combes combina combinai combinaient
+combinais combinait combinant combinard combinas combinat combinats combinent combinera combinerai
+combinerais combinerait combineras combinerez combineriez combinerons combineront combines combinez
+combiniez combinons combinât combinée combinées combinés combla comblai comblais comblait comblant
+comblas comblent comblera comblerai comblerais comblerait combleras comblerez combleriez comblerons
+combleront combles comblez combliez comblons comblât comblé comblée comblées comblés combustibles
+combustion combustions comice comices comics comique comma commanda commandai commandais commandait
+commandant commandas commandent commandera commanderai commanderais commanderait commanderas
+commanderez commanderie commanderies commanderiez commanderons commanderont commandeur commandeurs
+commandeuse commandez commandiez commandita commandite commandité commando commandons commandos
+commandât commandée commandées commandés commas commencera commencerai commencerais commencerait
+commenceras commencerez commenceriez commencerons commenceront commences commencez commenciez
+commencée commencées commencés commensal commenta commentai commentaient commentais commentait
+commentant commentas commentasse commentent commenter commentera commenterai commenteras commenterez
+commentes commentez commentiez commentons commentât commenté commentée commentées commentés commença
+commençai commenças commençât commercent commercer commercera commercerai commerceras commercerez
+commercez commercialisa commercialisai commercialisais commercialisait commercialisant
+commercialisas commercialisations commercialisent commercialisera commercialiserai commercialiserais
+commercialiserait commercialiseras commercialiserez commercialiseriez commercialiserons
+commercialiseront commercialises commercialisez commercialisiez commercialisons commercialisât
+commercialisée commercialisées commerciez commercions commercé commerça commerçai commerças
+commerçât commet commets commette commise commises commissaires commisse commissent commisses
+commissiez commissionna commissionnai commissionnas commissionne commissionner commissionnes
+commissionnez commissionnât commissionné commissionnée commissionnés commissure commit commode
+commua commuai commuais commuait commuant commuas commue commuent commuer commuera commues commuez
+commuiez communalise communalisé communard communarde communards communia communiai communiais
+communiait communiant communias communicateur communicatif communicatifs communicative
+communicatives communie communient communier communiera communies communiez communiiez communion
+communions communiqua communiquai communiquais communiquait communiquant communiquas communiquent
+communiquera communiquerai communiquerais communiquerait communiqueras communiquerez communiqueriez
+communiquerons communiqueront communiques communiquez communiquiez communiquons communiquât
+communiquée communiquées communiqués communisant communismes communiât communié commuons commuta
+commutai commutas commute commuter commutes commutez commutât commuté commutée commutés commuât
+commué commuée commuées commués commère comméra comméré commît compacité compactage compacte
+compactes compacts compagne compagnes compagnons compara comparai comparaient comparais comparaisse
+comparaisses comparaissez comparait comparant comparas comparasse comparatif comparaît comparent
+comparera comparerai comparerais comparerait compareras comparerez compareriez comparerons
+compareront compares comparez compariez comparons comparse comparses compartimenta compartimentage
+compartimentai compartimentais compartimentait compartimentant compartimentas compartimente
+compartimentent compartimenter compartimentera compartimentes compartimentez compartimentiez
+compartimentons compartimentât compartimenté compartimentée compartimentées compartimentés comparu
+comparue comparues comparus comparut comparât comparée comparées comparés comparût compas compassa
+compasse compassé compati compatibilités compatir compatira compatirai compatiras compatirez
+compatis compatisse compatit compatriote compatît compensa compensai compensais compensait
+compensant compensas compensateur compensations compense compensent compensera compenserai
+compenserais compenserait compenseras compenserez compenseriez compenserons compenseront compenses
+compensez compensiez compensons compensât compensé compensées compensés compila compile compilé
+complais complaît complexa complexai complexais complexait complexant complexas complexent complexer
+complexera complexerai complexeras complexerez complexez complexiez complexifia complexifie
+complexifié complexion complexions complexités complexons complexât complexé complexée complexées
+complexés complicités complies compliqua compliquai compliquais compliquait compliquant compliquas
+complique compliquent compliquer compliquera compliques compliquez compliquiez compliquons
+compliquât compliquées compliqués complot complota complote complots comploté complu complus complut
+complète compléments compléta complétai complétais complétait complétant complétas complétera
+compléterai compléterais compléterait compléteras compléterez compléteriez compléterons compléteront
+complétez complétiez complétif complétifs complétion complétive complétons complétât complétée
+complétées complétés complût componé componée componés comporta comportai comportais comportait
+comportas comportasse comportemental comportementale comportementaux comportera comporterai
+comporterais comporterait comporteras comporterez comporteriez comporterons comporteront comportes
+comportez comportiez comportons comportât comporté comportée comportées comportés composa composai
+composais composait composante composas composasse composera composerai composeras composerât
+composes composeur composeurs composeuse composez composiez composite composites compositeurs
+composons compost composta compostai compostas composte composter compostes compostez composts
+compostât composté compostée compostés composât composées compote compotes compound comprenais
+comprenait comprendra comprendrai comprendrais comprendrait comprendras comprendrez comprendriez
+comprendrons comprendront comprenez compreniez comprenne comprennes comprenons compressa compressai
+compressais compressait compressant compressas compresse compressent compresser compressera
+compresses compresseur compressez compressible compressiez compressif compressifs compressions
+compressive compressives compressons compressât compressé compressée compressées compressés comprima
+comprimai comprimas comprime comprimer comprimes comprimez comprimât comprimé comprimée comprimés
+comprises comprisse comprisses comprit compromet compromets compromise compromises compromisse
+compromisses compromit compromît compréhensible compréhensif compréhensifs compréhensions
+compréhensive compréhensives comprît compta comptabilisa comptabilisai comptabilisas comptabilise
+comptabiliser comptabilises comptabilisez comptabilisât comptabilisé comptabilisée comptabilisés
+comptabilités comptage comptages comptai comptaient comptais comptas comptasse comptera compterai
+compterais compterait compteras compterez compteriez compterons compteront compteur compteurs
+comptez comptiez comptine comptoirs comptons comptât comptée comptées comptés compulsa compulse
+compulsé comput computa computai computais computait computant computas compute computent computera
+computerai computerais computerait computeras computerez computeriez computerons computeront
+computes computez computiez computons computs computât computé computée computées computés compère
+compète compéta compétai compétais compétait compétant compétas compétente compétentes compétents
+compéter compétera compéterai compéteras compéterez compétez compétiez compétions compétiteur
+compétitive compétitives compétitivités compétons compétât compété comtal comtale comtaux comtes
+comtesse comté comtés comédienne comédiennes comédies comédon comédons concave concentra concentrai
+concentrais concentrait concentrant concentras concentrations concentrent concentrera concentrerai
+concentrerais concentrerait concentreras concentrerez concentreriez concentrerons concentreront
+concentres concentrez concentriez concentrons concentrât concentrée concentrées concentrés
+conceptions conceptisme conceptuel concerna concernai concernais concernait concernas concernasse
+concerner concernera concernerai concerneras concernerez concernes concernez concerniez concernons
+concernât concerta concertai concertais concertait concertant concertas concertations concerte
+concertent concerter concertera concertes concertez concertiez concertino concerto concertons
+concertos concertât concerté concertée concertées concertés concessif concessifs concessive
+concessives concetti concevais concevait concevant concevez conceviez concevons concevra concevrai
+concevras concevrez concile concis concise conclave concluais concluait concluant conclue concluent
+conclues concluez concluiez concluons conclura conclurai conclurais conclurait concluras conclurent
+conclurez concluriez conclurons concluront conclusse conclusses conclût concocta concocte concocté
+concorda concorde concordé concourais concourait concourant concoure concourent concoures concourez
+concouriez concourir concourons concourra concourrai concourras concourrez concourt concouru
+concourue concourues concourus concourut concourût concrète concréta concrétiez concrétion
+concrétions concrétisa concrétisai concrétisais concrétisait concrétisant concrétisas concrétise
+concrétisent concrétisera concrétiserai concrétiserais concrétiserait concrétiseras concrétiserez
+concrétiseriez concrétiserons concrétiseront concrétises concrétisez concrétisiez concrétisons
+concrétisât concrétisé concrétisée concrétisées concrétisés concrété concurrencent concurrencera
+concurrencerai concurrencerais concurrencerait concurrenceras concurrencerez concurrenceriez
+concurrencerons concurrenceront concurrences concurrencez concurrenciez concurrencé concurrencée
+concurrencées concurrencés concurrente concurrentielles concurrentiels concurrença concurrençai
+concurrenças concurrençât concède concéda concédé condamna condamnai condamnais condamnait
+condamnant condamnas condamnations condamne condamnent condamner condamnera condamnes condamnez
+condamniez condamnons condamnât condamnée condamnées conditionna conditionnai conditionnas
+conditionne conditionnel conditionnements conditionner conditionnes conditionnez conditionnât
+conditionné conditionnée conditionnés condom condoms condor condors conduction conduira conduirai
+conduirais conduirait conduiras conduirez conduiriez conduirons conduiront conduis conduise
+conduises conduisez conduisis conduisit conduisît conduites conduits condyle condé condés
+confectionna confectionnai confectionnas confectionne confectionner confectionnes confectionnez
+confectionnât confectionné confectionnée confectionnés confections confer confia confiai confiais
+confiait confiances confiante confiantes confiants confias confiasse confient confiera confierai
+confierais confierait confieras confierez confieriez confierons confieront confies confiez
+configurations confiiez confina confinai confinas confine confiner confines confinez confins
+confinât confiné confinée confinés confions confira confirai confirais confirait confiras confire
+confirent confirez confiriez confirma confirmai confirmais confirmait confirmand confirmant
+confirmas confirmatif confirmatifs confirmations confirmative confirmatives confirmera confirmerai
+confirmerais confirmerait confirmeras confirmerez confirmeriez confirmerons confirmeront confirmes
+confirmez confirmiez confirmons confirmât confirmées confirmés confirons confiront confis confise
+confises confisez confisse confit confite confites confits confiât confiées confiés conflua confluai
+confluas conflue confluer conflues confluez confluât conflué confond confondais confondait
+confondant confonde confondent confondes confondez confondiez confondis confondit confondons
+confondra confondrai confondrais confondrait confondras confondrez confondriez confondrons
+confondront confonds confondu confondue confondues confondus confondît conforma conformai conformais
+conformait conformant conformas conforment conformer conformera conformerai conformeras conformerez
+conformez conformiez conformions conformisme conformiste conformités conformons conformât conformé
+conformée conformées conformés conforta confortai confortais confortait confortant confortas
+confortasse conforte confortent conforter confortera confortes confortez confortiez confortons
+conforts confortât conforté confortée confortées confortés confronta confrontai confrontais
+confrontait confrontant confrontas confrontations confronte confrontent confronter confrontera
+confrontes confrontez confrontiez confrontons confrontât confrontées confus confuse confuses
+confusionnel confusions confère conféra conférencier conférer conférera conférerai conféreras
+conférerez conférez conféré confît conga congas congaye congaï congaïs congela congelé congre
+congres congru congrue congrus congrès congréa congrée congréé congèle congère congédia congédie
+congédié congés conjoigne conjoindra conjoindre conjoins conjointe conjointes conjoncteur conjonctif
+conjonctifs conjonction conjonctive conjoncturelles conjoncturels conjonctures connaissable
+connaissaient connaissais connaissant connaisse connaisses connaisseur connaisseurs connaisseuse
+connaissez connaissiez connard connarde connards connasse connaît connecta connectai connectais
+connectait connectant connectas connecte connectent connectera connecterai connecterais connecterait
+connecteras connecterez connecteriez connecterons connecteront connectes connecteur connecteurs
+connectez connectiez connectif connectifs connective connectons connectât connecté connectée
+connectées connectés connexe connexes connexité connexités connota connote connoté connusse
+connusses connut connût conque conques conquiers conquiert conquise conquises conquisse conquisses
+conquit conquière conquérais conquérait conquérant conquérez conquériez conquérions conquérons
+conquéru conquérue conquérues conquérus conquêt conquête conquêts conquît cons consacra consacrai
+consacrais consacrait consacrant consacras consacrera consacrerai consacrerais consacrerait
+consacreras consacrerez consacreriez consacrerons consacreront consacres consacrez consacriez
+consacrons consacrât consacrées consciences consciente conscientes conseilla conseillai conseillais
+conseillait conseillant conseillas conseillent conseillera conseillerai conseillerais conseillerait
+conseilleras conseillerez conseilleriez conseillerons conseilleront conseilles conseilleur
+conseilleurs conseilleuse conseillez conseilliez conseillât conseillère conseillée conseillées
+conseillés consens consent consentais consentait consentant consente consentent consentes consentez
+consentie consenties consentiez consentions consentira consentirai consentirais consentirait
+consentiras consentirent consentirez consentiriez consentirons consentiront consentisse consentisses
+consentit consentons consentît conserva conservai conservais conservait conservas conservasse
+conservations conservatisme conservatoires conservera conserverai conserverais conserverait
+conserveras conserverez conserverie conserveries conserveriez conserverons conserveront conserves
+conservez conserviez conservons conservât conservées conservés considère considéra considérai
+considérais considérait considérant considérante considérants considéras considérasse considérera
+considérerai considérerais considérerait considéreras considérerez considéreriez considérerons
+considéreront considérez considériez considérons considérât consigna consigne consigné consista
+consistai consistaient consistais consistance consistant consistante consistants consistas
+consistasse consistent consister consistera consisterai consisteras consisterez consistes consistez
+consistiez consistons consistât consisté consoeur consola consolai consolais consolait consolant
+consolas consolent consoler consolera consolerai consoleras consolerez consoles consolez consolida
+consolidai consolidais consolidait consolidant consolidas consolidations consolide consolident
+consolidera consoliderai consoliderais consoliderait consolideras consoliderez consolideriez
+consoliderons consolideront consolides consolidez consolidiez consolidons consolidât consolidée
+consolidées consolidés consoliez consolions consolons consolât consolé consolée consolées consolés
+consomma consommai consommais consommait consommant consommas consommations consomment consommera
+consommerai consommerais consommerait consommeras consommerez consommeriez consommerons consommeront
+consommes consommez consommiez consommons consommât consommée consommées consommés consona consonai
+consonas consone consoner consones consonez consonne consonât consoné consort consortiums consorts
+conspua conspue conspué constable constance constances constantan constantans constantes constants
+constata constatai constatais constatait constatant constatas constatations constatent constatera
+constaterai constaterais constaterait constateras constaterez constateriez constaterons constateront
+constates constatez constatiez constatons constats constatât constatée constatées constatés constipa
+constipai constipas constipe constiper constipes constipez constipât constipé constipée constipés
+constitua constituai constituais constituait constituant constituas constituera constituerai
+constituerais constituerait constitueras constituerez constitueriez constituerons constitueront
+constitues constituez constituiez constituons constitutif constitutifs constitutionnel constitutions
+constitutive constitutives constituât constituées constitués constructif constructifs constructive
+constructives construira construirai construirais construirait construiras construirez construiriez
+construirons construiront construis construise construises construisez construisis construisit
+construisît construites consul consulat consulats consuls consulta consultable consultai consultais
+consultait consultante consultantes consultas consultasse consultatif consultatifs consultations
+consultative consultatives consulte consultent consultera consulterai consulterais consulterait
+consulteras consulterez consulteriez consulterons consulteront consultes consultez consultiez
+consultions consultons consultât consulté consultée consultées consultés consuma consume consumé
+consécutif consécutifs consécution consécutions consécutives conséquente conséquentes conséquents
+conta contacta contactai contactais contactait contactant contactas contacte contactent contactera
+contacterai contacterais contacterait contacteras contacterez contacteriez contacterons contacteront
+contactes contacteur contacteurs contactez contactiez contactons contactât contacté contactée
+contactées contactés contage contages contai contais contait contant contas contasse contemporaines
+contenais contenait contenance contenances contenante contenantes contenants conteneur conteneurisa
+conteneurise conteneurisé contenez conteniez contenions contenons contenta contentai contentais
+contentait contentant contentas contentera contenterai contenterais contenterait contenteras
+contenterez contenteriez contenterons contenteront contentes contentez contentiez contentif
+contentifs contention contentive contentons contents contentât contenté contentée contentées
+contentés contenue contenues contenus conter contera conterai conteras conterez contes contesta
+contestai contestais contestait contestant contestas contestations contestent contester contestera
+contesterai contesteras contesterez contestes contestez contestiez contestons contestât contesté
+contestée contestées contestés conteur conteurs conteuse contextes contextuel contexture contez
+contiendra contienne contiennes contiens contiez contigu contigus contiguë continence continences
+continentales continentalité continentaux contins continsse contint continua continuai continuais
+continuait continuant continuas continuel continuelle continuels continuerai continuerais
+continuerait continueras continuerez continueriez continuerons continues continuez continuiez
+continuions continuités continuo continuons continuos continus continuum continuums continuât
+continuée continuées continués contions contons contour contra contracta contracte contracté
+contradicteur contradictions contrai contraient contraigne contraindra contraindre contrains
+contraires contrais contrait contralto contrant contraria contrarie contrarié contras contrasse
+contrasses contrasta contrastai contrastais contrastait contrastant contrastas contrastent
+contraster contrastera contrasterai contrasteras contrasterez contrastes contrastez contrastiez
+contrastons contrastât contrasté contrastée contrastées contrastés contre-ut contrebas contrebat
+contredis contredit contredît contrefis contrefit contrefît contrent contreparties contrera
+contrerai contrerais contrerait contreras contrerez contreriez contrerons contreront contres contrez
+contribua contribuai contribuais contribuait contribuant contribuas contribuasse contribuera
+contribuerai contribuerais contribuerait contribueras contribuerez contribueriez contribuerons
+contribueront contribues contribuez contribuiez contribuons contributif contributifs contributive
+contributives contribuât contriez contrions contrista contriste contristé contrit contrite contrites
+contrits controns contrât contré contrée contrées contrés contrôla contrôle contrôlé contât conté
+contée contées contés contînt convainc convaincant convaincra convaincrai convaincrais convaincrait
+convaincras convaincrez convaincriez convaincrons convaincront convaincs convaincue convaincues
+convainque convenais convenait convenant convenez conveniez convenir convenons conventionna
+conventionnai conventionnas conventionne conventionnel conventionner conventionnes conventionnez
+conventionnât conventionné conventionnée conventionnés conventuel convenue convenues convenus
+converge convergea convergeai convergeais convergeait convergeant convergeas convergences convergent
+convergente convergentes convergents convergeons converger convergera convergerai convergeras
+convergerez converges convergez convergeât convergé convers conversa conversai conversais conversait
+conversant conversas conversationnel converse conversent converser conversera converses conversez
+conversiez conversions conversons conversât conversé converti convertie converties convertira
+convertirai convertirais convertirait convertiras convertirent convertirez convertiriez convertirons
+convertiront convertis convertisse convertit convertît convexe convexes convia conviai conviais
+conviait conviant convias convictions convie conviendra convienne conviennes conviens convier
+conviera convierai convieras convierez convies conviez conviiez convins convint convions convive
+convives conviviale conviviales convivialités conviviaux conviât convié conviée conviées conviés
+convoi convoie convois convola convole convolé convoya convoyé convînt cool coolie coolies
+coopérateur coopératif coopératifs coopérations coopératisme coopératives coordinateur coordinations
+coordonna coordonnai coordonnais coordonnait coordonnant coordonnas coordonne coordonnent coordonner
+coordonnera coordonnes coordonnez coordonniez coordonnons coordonnât coordonné coordonnée coordonnés
+copain copal copals copaïer copia copiage copiai copiais copiait copiant copias copient copier
+copiera copierai copieras copierez copieur copieurs copieuse copieux copiez copiiez copina copinai
+copinas copine copiner copines copinez copinât copiné copions copiste copiât copié copiée copiées
+copiés coquiez coquilla coquillage coquillai coquillais coquillait coquillant coquillart coquillas
+coquillent coquiller coquillera coquillerai coquilleras coquillerez coquillette coquillez coquillier
+coquilliez coquillons coquillât coquillé coquin coquine coquines coquins coquions corda cordage
+cordai cordais cordait cordant cordas cordeau cordeaux cordela cordelai cordelas cordeler cordelez
+cordelle cordelât cordelé cordelée cordelés cordent corder cordera corderai corderas corderez cordez
+cordial cordier cordiez cordon cordons cordât cordé cordée cordées cordés corna cornac cornacs
+cornai cornais cornait cornant cornard cornas corne cornent corner cornera cornerai corneras
+cornerez cornes cornets cornette cornettes cornez cornier corniez cornons cornu cornue cornues
+cornus cornât corné cornée cornéen cornées cornés corporal corporatif corporatifs corporations
+corporatisme corporatiste corporative corporatives corporaux corporel corporels corpus corral
+corrals correctes correcteur correcteurs correctif correctifs correctionnel corrective correctives
+corrects correspondais correspondait correspondances correspondancier correspondante correspondantes
+correspondants corresponde correspondes correspondez correspondiez correspondis correspondit
+correspondons correspondra correspondrai correspondras correspondre correspondrez corresponds
+correspondu correspondue correspondues correspondus correspondît corrida corridas corridor corrige
+corrigea corrigeai corrigeais corrigeait corrigeant corrigeas corrigent corrigeons corrigera
+corrigerai corrigerais corrigerait corrigeras corrigerez corrigeriez corrigerons corrigeront
+corriges corrigez corrigeât corrigiez corrigé corrigée corrigées corrigés corroda corrode corrodé
+corroie corroya corroyé corrupteur corruptible corruptions corrèle corréla corrélatif corrélatifs
+corrélations corrélative corrélatives corrélé coréen coréenne coréens cosmétiqua cosmétiquai
+cosmétiquais cosmétiquait cosmétiquant cosmétiquas cosmétique cosmétiquent cosmétiquer cosmétiquera
+cosmétiquerai cosmétiqueras cosmétiquerez cosmétiquez cosmétiquiez cosmétiquons cosmétiquât
+cosmétiqué cosmétiquée cosmétiquées cosmétiqués costal costale costard costaud costaux costuma
+costumai costumais costumait costumant costumas costument costumer costumera costumerai costumeras
+costumerez costumez costumier costumiez costumons costumât costumé costumée costumées costumés cota
+cotai cotaient cotais cotant cotas cotasse cotations coteau coteaux cotent coter cotera coterai
+coteras coterez coterie cotes cotez cotonna cotonnai cotonnas cotonne cotonner cotonnes cotonnez
+cotonnât cotonné cotonnée cotonnés cotons coucha couchage couchai couchais couchait couchant couchas
+couchent couchera coucherai coucherais coucherait coucheras coucherez coucheriez coucherons
+coucheront couchette coucheur coucheurs coucheuse couchez couchiez couchons couchât couché couchée
+couchées couchés coucou coucous coula coulage coulai coulais coulait coulant coulas coule coulent
+coulera coulerai coulerais coulerait couleras coulerez couleriez coulerons couleront coules
+couleuvre coulez couliez coulis coulissa coulissai coulissais coulissait coulissant coulissas
+coulisse coulissent coulisser coulissera coulisserai coulisseras coulisserez coulissez coulissier
+coulissiez coulissons coulissât coulissé coulissée coulissées coulissés couloir coulomb coulombs
+coulons coulure coulât coulé coulée coulées coulés coupa coupage coupages coupai coupais coupait
+coupant coupante coupants coupas coupasse coupella coupelle coupellé coupent coupera couperai
+couperais couperait couperas couperet couperets couperez couperiez couperons couperont couperose
+couperosé coupez coupiez coupla couplage couplai couplais couplait couplant couplas couplent coupler
+couplera couplerai coupleras couplerez couplet couplets coupleur coupleurs couplez coupliez couplons
+couplât couplé couplée couplées couplés coupole coupoles coupure coupât coupée coupées coupés
+courages courageuse courageux courais courait courba courbai courbais courbait courbant courbas
+courbatu courbent courber courbera courberai courberas courberez courbette courbez courbiez courbons
+courbure courbât courbé courbée courbées courbés coure coures courette coureur coureuse coureuses
+courez courge courges couriez courions courlis couronna couronnai couronnais couronnait couronnant
+couronnas couronnent couronner couronnera couronnerai couronneras couronnerez couronnes couronnez
+couronniez couronnons couronnât couronné couronnée couronnées couronnés courons courra courrai
+courrais courrait courras courrez courriers courriez courrions courroie courrons courront courroux
+coursa coursai coursais coursait coursant coursas coursent courser coursera courserai courseras
+courserez coursez coursier coursiez coursive courson coursons coursât coursé coursée coursées
+coursés courtages courtaud courtauda courtaude courtauds courtaudé courtine courtines courtisa
+courtisai courtisan courtisas courtise courtiser courtises courtisez courtisât courtisé courtisée
+courtisés courtière courtois couru courue courues courus courut courût couteaux coutelas coutil
+coutils coutre coutres coutumes coutumier coutura couturai couturais couturait couturant couturas
+couturent couturer couturera couturerai coutureras couturerez coutures couturez couturier couturiez
+couturons couturât couturé couturée couturées couturés couva couvai couvain couvais couvait couvant
+couvas couve couvent couvents couver couvera couverai couverais couverait couveras couvercle
+couverez couveriez couverons couveront couvertes couvertures couves couveuse couvez couviez couvons
+couvrais couvrait couvrante couvrantes couvrants couvres couvreur couvreurs couvreuse couvrez
+couvriez couvrions couvrira couvrirai couvrirais couvrirait couvriras couvrirent couvrirez
+couvririez couvrirons couvriront couvris couvrisse couvrit couvrons couvru couvrue couvrues couvrus
+couvrît couvât couvé couvée couvées couvés craie craies craignais craignait craignant craigne
+craignes craignez craigniez craignis craignit craignons craignît crailla craille craillé craindra
+craindrai craindrais craindrait craindras craindrez craindriez craindrons craindront crains craintif
+craintifs craintive craints crana cranai cranais cranait cranant cranas crane cranent craner cranera
+cranes cranez craniez cranons crans cranta crantai crantas crante cranter crantes crantez crantât
+cranté crantée crantés cranât crané cranée cranées cranés cravacha cravache cravaché cravata
+cravatai cravatais cravatait cravatant cravatas cravatent cravater cravatera cravaterai cravateras
+cravaterez cravates cravatez cravatiez cravatons cravatât cravaté cravatée cravatées cravatés crave
+craves crayeux crayonna crayonnai crayonnas crayonne crayonner crayonnes crayonnez crayonnât
+crayonné crayonnée crayonnés crayons creusa creusai creusas creuse creuser creuses creuset creusez
+creusât creusé creusée creusés crevette crimes criminalisa criminalisai criminalisas criminalise
+criminaliser criminalises criminalisez criminalisât criminalisé criminalisée criminalisés
+criminalités cris crispa crispai crispas crispe crisper crispes crispez crispât crispé crispée
+crispés crissa crissai crissas crisse crisser crisses crissez crissât crissé cristallin cristaux
+critiqua critiquai critiquais critiquait critiquant critiquas critiquent critiquer critiquera
+critiquerai critiqueras critiquerez critiquez critiquiez critiquons critiquât critiqué critiquée
+critiquées critiqués croie croies croira croirai croirais croirait croiras croirez croiriez croirons
+croiront croisa croisade croisai croisais croisait croisant croisas croise croisent croiser croisera
+croises croiseur croisez croisiez croisons croissais croissait croissances croissantes croissants
+croisse croissent croisses croissez croissiez croissons croisât croisé croisée croisées croisés
+croyable croyaient croyais croyance croyant croyante croyants croyez croyiez croyons cruche cruches
+cruchon cruciale cruciales cruciaux crucifia crucifie crucifix crucifié crusse crusses créa créai
+créais créait créancière créas créasse créatine créatines créative créatives créativités créatrices
+créature crédibilités crédibles crédita créditai créditais créditait créditant créditas crédite
+créditent créditer créditera crédites créditeur créditez créditiez créditons créditât crédité
+créditée créditées crédités crédule créera créerai créerais créerait créeras créerez créeriez
+créerons créeront crées créez créna crénai crénais crénait crénant crénas créneaux crénela crénelai
+crénelas créneler crénelez crénelle crénelât crénelé crénelée crénelés créner crénera crénerai
+créneras crénerez crénez créniez crénons crénât créné crénée crénées crénés cubage cubages cubai
+cubain cubaine cubains cubais cubait cubant cubas cubasse cube cuber cubera cuberai cuberas cuberez
+cubez cuira cuirai cuirais cuirait cuiras cuirez cuiriez cuirons cuiront cuirs cuis cuisais cuisait
+cuisant cuise cuisent cuises cuisez cuisiez cuisina cuisinai cuisinais cuisinait cuisinant cuisinas
+cuisinent cuisiner cuisinera cuisinerai cuisineras cuisinerez cuisines cuisinette cuisinez
+cuisiniers cuisiniez cuisinions cuisinière cuisinons cuisinât cuisiné cuisinée cuisinées cuisinés
+cuisions cuisis cuisisse cuisit cuisons cuissard cuisse cuisseau cuisses cuissons cuissot cuissots
+cuistre cuisît cuita cuitai cuitais cuitait cuitant cuitas cuite cuitent cuiter cuitera cuites
+cuitez cuitiez cuitons cuits cuitât cuité cuivra cuivrai cuivrais cuivrait cuivrant cuivras cuivrent
+cuivrer cuivrera cuivrerai cuivreras cuivrerez cuivres cuivreuse cuivreux cuivrez cuivriez cuivrons
+cuivrât cuivré cuivrée cuivrées cuivrés culpabilisa culpabilisai culpabilisas culpabilise
+culpabiliser culpabilises culpabilisez culpabilisât culpabilisé culpabilisée culpabilisés
+culpabilités cultes cultisme cultiva cultivai cultivais cultivait cultivant cultivas cultivent
+cultiver cultivera cultiverai cultiveras cultiverez cultives cultivez cultiviez cultivons cultivât
+cultivé cultivée cultivées cultivés cultuel cultuels cultural culturale culturaux curent curer
+curera curerai cureras curerez cures cureta curetai curetas cureter curetez cureton curette curetât
+cureté curetée curetés curez curial curiale curiaux curieuse curieuses curiez curions curiosités
+curiste curium curiums cuvé cuvées cuvés cyclane cyclisa cyclisai cyclisais cyclisait cyclisant
+cyclisas cyclise cyclisent cycliser cyclisera cyclises cyclisez cyclisiez cyclisme cyclismes
+cyclisons cyclistes cyclisât cyclisé cyclisée cyclisées cyclisés cyclone cyclope cylindra cylindrage
+cylindrai cylindrais cylindrait cylindrant cylindras cylindraxe cylindre cylindrent cylindrer
+cylindrera cylindrerai cylindreras cylindrerez cylindreur cylindreurs cylindreuse cylindrez
+cylindriez cylindrons cylindrât cylindré cylindrée cylindrées cylindrés cédera céderai céderais
+céderait céderas céderez céderiez céderons céderont cédez cédée cédées cédés céramiques céramiste
+dament damer damera damerai dameras damerez damez danien danienne daniens danoises dansa dansai
+dansais dansait dansant dansas dansent danser dansera danserai danseras danserez danses danseur
+danseurs danseuse dansez dansiez dansons dansât dansé dansée dansées dansés datable datage datages
+datai dataire datais datait datas datasse dater datera daterai dateras daterez daterie dateur
+dateurs dateuse datez davier daviers deltas demains demanda demandai demandaient demandais demandas
+demandasse demandera demanderai demanderais demanderait demanderas demanderez demanderiez
+demanderons demanderont demandeuse demandeuses demandez demandiez demandons demandât demandées
+demeura demeurai demeurais demeurait demeuras demeurasse demeurer demeurera demeurerai demeureras
+demeurerez demeures demeurez demeuriez demeurons demeurât demeuré demeurée demeurées demeurés
+demi-heures demiard demie demies demis denier deniers denses densités dent dental dentale dentaux
+dentela dentelé dentier dentine denture denté dentée dentées dentés dernier-né derny dernys descella
+descelle descellé descendais descendait descendant descende descendent descendes descendeur
+descendez descendiez descendis descendit descendons descendra descendrai descendrais descendrait
+descendras descendrez descendriez descendrons descendront descends descendu descendue descendues
+descendus descendît descentes descriptible descriptif descriptifs descriptions descriptive
+descriptives designs desquama desquame desquamé dessala dessale dessalé dessein desseins dessella
+desselle dessellé desserra desserrai desserras desserre desserrer desserres desserrez desserrât
+desserré desserrée desserrés dessers desserte dessertes desserti dessertie desserties dessertir
+dessertira dessertis dessertit dessertît desserve desserves desservez desservi desservie desservir
+desservis desservit desservît dessilla dessille dessillé dessina dessinai dessinais dessinait
+dessinant dessinas dessinent dessinera dessinerai dessinerais dessinerait dessineras dessinerez
+dessineriez dessinerons dessineront dessines dessinez dessiniez dessinons dessinât dessinées
+dessinés dessola dessolai dessolas dessole dessoler dessoles dessolez dessolât dessolé dessolée
+dessolés dessouda dessoudai dessoudas dessoude dessouder dessoudes dessoudez dessoudât dessoudé
+dessoudée dessoudés dessoula dessoulai dessoulas dessoule dessouler dessoules dessoulez dessoulât
+dessoulé dessoulée dessoulés dessoûla dessoûle dessoûlé dessuita dessuite dessuité destina destinai
+destinais destinait destinant destinas destine destinent destiner destinera destines destinez
+destiniez destinons destins destinât destitue destitué destructeur destructible destructif
+destructifs destructions destructive destructives destructura destructure destructuré deuils devais
+devance devancer devances devancez devancé devancée devancés devants devanture devança devançai
+devanças devançât devenaient devenais devenez deveniez devenions devenons devers deviendrai
+deviendrais deviendrait deviendras deviendrez deviendriez deviendrons deviendront deviennes deviens
+deviez devin devina devinai devinas devine deviner devines devinez devins devint devinât deviné
+devinée devinés devions devis devisa devisai devisais devisait devisant devisas devisent deviser
+devisera deviserai deviseras deviserez devisez devisiez devisons devisât devisé devrai devrais
+devras devrez devriez devrons diablerie diables diablesse diabolo diabète diagnose diagnoses
+diagnostics diagnostiqua diagnostique diagnostiqué dialogua dialoguai dialoguais dialoguait
+dialoguant dialoguas dialoguent dialoguer dialoguera dialoguerai dialogueras dialoguerez dialogues
+dialoguez dialoguiez dialoguons dialoguât dialogué diamanta diamantai diamantais diamantait
+diamantant diamantas diamante diamantent diamanter diamantera diamantes diamantez diamantiez
+diamantin diamantine diamantins diamantons diamantât diamanté diamantée diamantées diamantés diamide
+dictionnaires diesels dieux diffa diffama diffame diffamé diffas diffus diffusa diffusai diffusais
+diffusait diffusant diffusas diffusent diffusera diffuserai diffuserais diffuserait diffuseras
+diffuserez diffuseriez diffuserons diffuseront diffuses diffuseur diffuseurs diffuseuse diffusez
+diffusible diffusiez diffusions diffusons diffusât diffusées diffusés diffère différa différai
+différais différait différant différas différencia différenciai différencias différencie
+différencier différencies différenciez différenciât différencié différenciée différenciés différend
+différends différentielle différentielles différentiels différer différera différerai différeras
+différerez différez différiez différons différât différé différée différées différés digit digitales
+digitaline digitalisa digitalise digitalisé digitaux digits digité digitée digitées digités dignité
+dimanches dimensionna dimensionnai dimensionnas dimensionne dimensionnel dimensionner dimensionnes
+dimensionnez dimensionnât dimensionné dimensionnée dimensionnés diminua diminuai diminuais diminuait
+diminuant diminuas diminuendo diminuera diminuerai diminuerais diminuerait diminueras diminuerez
+diminueriez diminuerons diminueront diminues diminuez diminuiez diminuons diminutif diminutifs
+diminutions diminutive diminutives diminuât diminuée diminuées diminués diorama diorite dirai dirais
+dirait diras directif directifs directivité directoire directorat directorats directorial
+directrices dirent direz diriez dirigea dirigeable dirigeai dirigeais dirigeait dirigeante
+dirigeantes dirigeas dirigeasse dirigent dirigeons dirigera dirigerai dirigerais dirigerait
+dirigeras dirigerez dirigeriez dirigerons dirigeront diriges dirigez dirigeât dirigiez dirigées
+dirigés dirions disaient disais discal discale discaux disciple disciples disciplina disciplinai
+disciplinais disciplinait disciplinant disciplinas disciplinent discipliner disciplinera
+disciplinerai disciplineras disciplinerez disciplinez discipliniez disciplinons disciplinât
+discipliné disciplinée disciplinées disciplinés disco discorda discorde discordé discos discount
+discounts discounté discourais discourait discourant discoure discourent discoures discoureur
+discourez discouriez discourir discourons discourra discourrai discourras discourrez discourt
+discouru discourue discourues discourus discourut discourût discoïde discrets discriminations
+discrète discrétions disculpa disculpe disculpé discuta discutai discutais discutait discutant
+discutas discute discutent discutera discuterai discuterais discuterait discuteras discuterez
+discuteriez discuterons discuteront discutes discuteur discuteurs discuteuse discutez discutiez
+discutons discutât discuté discutée discutées discutés dise disert diserte diserts dises disette
+diseur diseurs diseuse disparais disparaissais disparaissait disparaissant disparaisse disparaisses
+disparaissez disparaissiez disparaissons disparate disparaît disparitions disparité disparités
+disparue disparues disparus disparusse disparut disparût disponibilités dispos disposa disposai
+disposaient disposais disposas disposasse disposera disposerai disposerais disposerait disposeras
+disposerez disposeriez disposerons disposeront disposes disposez disposiez disposions dispositifs
+disposât disposée disposées disputa dispute disputé distal distale distales distancent distancer
+distancera distancerai distanceras distancerez distancez distancia distanciai distancias distancie
+distancier distancies distanciez distanciât distancié distanciée distanciés distancé distancée
+distancées distancés distant distante distantes distants distança distançai distanças distançât
+distaux distinct distincte distinctif distinctifs distinctions distinctive distinctives distincts
+distingua distinguai distinguais distinguait distinguant distinguas distinguent distinguera
+distinguerai distinguerais distinguerait distingueras distinguerez distingueriez distinguerons
+distingueront distingues distinguez distinguiez distinguo distinguons distinguos distinguât
+distingué distinguée distinguées distingués distribua distribuai distribuais distribuait distribuant
+distribuas distribuent distribuera distribuerai distribuerais distribuerait distribueras
+distribuerez distribueriez distribuerons distribueront distribues distribuez distribuiez distribuons
+distributif distributifs distributions distributive distributives distribuât distribuée distribuées
+district districts diverge divergea divergence divergent divergente divergentes divergents diverger
+diverges divergez divergé divergée divergés diverse diversifia diversifiai diversifiais diversifiait
+diversifiant diversifias diversifications diversifie diversifient diversifiera diversifierai
+diversifierais diversifierait diversifieras diversifierez diversifieriez diversifierons
+diversifieront diversifies diversifiez diversifiiez diversifions diversifiât diversifiée
+diversifiées diversifiés diversion diversions diversités diverti divertie divertir divertis divertit
+divertît divette divin divine divines divins divis divisa divisai divisais divisait divisant divisas
+divise divisent diviser divisera divises diviseur divisez divisible divisiez divisons divisât
+divisée divisées divisés divorcent divorcer divorcera divorcerai divorceras divorcerez divorces
+divorcez divorciez divorcé divorcée divorcées divorcés divorça divorçai divorças divorçât dizain
+dizains docte doctes docteurs documenta documentai documentais documentait documentant documentas
+documentations documente documentent documenter documentera documentes documentez documentiez
+documentons documentât documenté documentée documentées documentés doigta doigtai doigtais doigtait
+doigtant doigtas doigte doigtent doigter doigtera doigtes doigtez doigtier doigtiez doigtons doigtât
+doigté doigtée doigtées doigtés doive doives domestiqua domestiquai domestiquais domestiquait
+domestiquant domestiquas domestiquent domestiquer domestiquera domestiquerai domestiqueras
+domestiquerez domestiquez domestiquiez domestiquons domestiquât domestiqué domestiquée domestiquées
+domestiqués domiciles domicilia domiciliai domicilias domicilie domicilier domicilies domiciliez
+domiciliât domicilié domiciliée domiciliés domina dominai dominais dominait dominance dominances
+dominant dominantes dominants dominas dominasse dominent dominer dominera dominerai domineras
+dominerez domines dominez dominical dominiez dominion dominions domino dominons dominos dominât
+dominée dominées dominés domisme donateur donations donatisme donatiste donna donnai donnaient
+donnais donnas donnasse donnerai donnerais donnerait donneras donnerez donneriez donnerons donneront
+donnes donneur donneurs donneuse donnez donniez donnons donnât dormais dormait dormant dorme dorment
+dormes dormeur dormez dormi dormiez dormions dormira dormirai dormirais dormirait dormiras dormirent
+dormirez dormiriez dormirons dormiront dormis dormisse dormit dormitif dormons dormît dorée dorées
+dorés dosent doser dosera doserai doseras doserez doses doseur doseurs dosez dossard dosse dosses
+dossière dote dotent dotera doterai doterais doterait doteras doterez doteriez doterons doteront
+dotes dotez dotées doubla doublage doublai doublais doublait doublant doublas doubleau doubleaux
+doublements doublent doublera doublerai doublerais doublerait doubleras doublerez doubleriez
+doublerons doubleront doublet doublets doubleur doubleurs doubleuse doublez doublier doubliez
+doublon doublons doublure doublât doublée doublées doublés doucet doucets doucette douceurs doucha
+douchai douchais douchait douchant douchas douchent doucher douchera doucherai doucheras doucherez
+douches doucheur doucheurs doucheuse douchez douchiez douchons douchât douché douchée douchées
+douchés douci doucie doucies doucin doucine doucins doucir doucira doucis doucit doucît douloureuse
+douloureuses douta doutai doutais doutait doutant doutas doutent doutera douterai douterais
+douterait douteras douterez douteriez douterons douteront douteur douteurs douteuse doutez doutiez
+doutons doutât douté doutée doutées doutés douzain douzaines douzains dramatiques dramatisa
+dramatisai dramatisas dramatise dramatiser dramatises dramatisez dramatisât dramatisé dramatisée
+dramatisés drames dressa dressage dressai dressais dressait dressant dressas dressent dressera
+dresserai dresserais dresserait dresseras dresserez dresseriez dresserons dresseront dresses
+dresseur dresseurs dresseuse dressez dressiez dressoir dressons dressât dressé dressée dressées
+dressés drogman drogua droguai droguais droguait droguant droguas droguent droguer droguera
+droguerai drogueras droguerez droguerie droguet droguets droguez droguiez droguons droguât drogué
+droguée droguées drogués droites droitier droiture dupons dura durai durais durait duramen duras
+durasse duratif duratifs durative duratives durent durera durerai durerais durerait dureras durerez
+dureriez durerons dureront dures dureté duretés durez dynamisa dynamisai dynamisais dynamisait
+dynamisant dynamisas dynamise dynamisent dynamiser dynamisera dynamises dynamisez dynamisiez
+dynamismes dynamisons dynamiste dynamistes dynamisât dynamisé dynamisée dynamisées dynamisés
+dynamita dynamitai dynamitas dynamite dynamiter dynamites dynamitez dynamitât dynamité dynamitée
+dynamités dysfonctionnement déballa déballe déballé débanda débande débandé débarda débardai
+débardas débarde débarder débardes débardez débardât débardé débardée débardés débarqua débarquai
+débarquais débarquait débarquant débarquas débarquent débarquer débarquera débarquerai débarqueras
+débarquerez débarques débarquez débarquiez débarquons débarquât débarqué débarquée débarquées
+débarqués débarra débarrai débarras débarrassa débarrassai débarrassais débarrassait débarrassant
+débarrassas débarrasse débarrassent débarrassera débarrasserai débarrasserais débarrasserait
+débarrasseras débarrasserez débarrasseriez débarrasserons débarrasseront débarrasses débarrassez
+débarrassiez débarrassons débarrassât débarrassé débarrassée débarrassées débarrassés débarre
+débarrer débarres débarrez débarrât débarré débarrée débarrés débatte débattes débattez débattis
+débattit débattra débattre débattu débattue débattus débattît débile débiles débina débinai débinas
+débine débiner débines débinez débinât débiné débinée débinés débita débitage débitai débitais
+débitait débitant débitas débite débitent débiter débitera débiterai débiteras débiterez débites
+débitez débitiez débitons débits débitât débité débitée débitées débités déboire déboisa déboisai
+déboisas déboise déboiser déboises déboisez déboisât déboisé déboisée déboisés déboucha débouchage
+débouchai débouchais débouchait débouchant débouchas débouchent débouchera déboucherai déboucherais
+déboucherait déboucheras déboucherez déboucheriez déboucherons déboucheront débouches déboucheur
+déboucheurs débouchez débouchiez débouchoir débouchons débouchât débouchée débouchées déboucla
+débouclai débouclas déboucle déboucler déboucles débouclez débouclât débouclé débouclée débouclés
+débouda déboudai déboudas déboude débouder déboudes déboudez déboudât déboudé déboudée déboudés
+déboula déboulai déboulas déboule débouler déboules déboulez déboulât déboulé déboulée déboulés
+débouqua débouque débouqué débourba débourbai débourbas débourbe débourber débourbes débourbez
+débourbât débourbé débourbée débourbés débourra débourrai débourras débourre débourrer débourres
+débourrez débourrât débourré débourrée débourrés débours déboursa déboursai déboursais déboursait
+déboursant déboursas débourse déboursent déboursera débourserai débourserais débourserait
+débourseras débourserez débourseriez débourserons débourseront débourses déboursez déboursiez
+déboursons déboursât déboursé déboursée déboursées déboursés débous débout débouta déboutai déboutas
+déboute débouter déboutes déboutez déboutât débouté déboutée déboutés débucha débuche débuché
+débulla débulle débullé débuta débutai débutais débutait débutant débutas débutent débuter débutera
+débuterai débuteras débuterez débutes débutez débutiez débutons débutât débutée débutées débutés
+décala décalages décalai décalais décalait décalant décalas décalasse décale décalent décaler
+décalera décales décalez décaliez décalons décalqua décalque décalqué décalât décalé décalée
+décalées décalés décela décelai décelais décelait décelant décelas décelez déceliez décelons décelât
+décelé décelée décelées décelés décemvir décence décences décennal décennale décennaux décent
+décente décentes décentra décentre décentré décents déceptions décerna décerne décerné décessa
+décesse décessé décevais décevait décevant décevante décevantes décevez décevra déchanta déchante
+déchanté déchapa déchapai déchapas déchape déchaper déchapes déchapez déchapât déchapé déchapée
+déchapés déchargea déchargeai déchargeais déchargeait déchargeant déchargeas déchargent déchargeoir
+déchargeons décharger déchargera déchargerai déchargeras déchargerez décharges déchargez déchargeât
+déchargiez déchargé déchargée déchargées déchargés décharna décharnai décharnas décharne décharner
+décharnes décharnez décharnât décharné décharnée décharnés déchauma déchaume déchaumé déchaîna
+déchaîne déchaîné déchet déchira déchire déchiré déchoie déchoir déchois déchoit déchu déchue
+déchues déchus déchut déchût déci décibel décida décidai décidais décidait décidant décidas décidera
+déciderai déciderais déciderait décideras déciderez décideriez déciderons décideront décides
+décideur décideuse décideuses décidez décidiez décidons décidât décidées décidés décile déciles
+décima décimai décimal décimas décime décimer décimes décimez décimât décimé décimée décimés décis
+décisif décisifs décisionnel décisive décisives déclama déclamai déclamas déclame déclamer déclames
+déclamez déclamât déclamé déclamée déclamés déclara déclarai déclarais déclarait déclarant déclaras
+déclaratif déclaratifs déclarative déclaratives déclarera déclarerai déclarerais déclarerait
+déclareras déclarerez déclareriez déclarerons déclareront déclares déclarez déclariez déclarons
+déclarât déclarée déclarées déclassa déclasse déclassé déclencha déclenchai déclenchais déclenchait
+déclenchant déclenchas déclenchent déclencher déclenchera déclencherai déclencheras déclencherez
+déclenches déclencheur déclencheurs déclenchez déclenchiez déclenchons déclenchât déclenché
+déclenchée déclenchées déclenchés déclic déclics déclina déclinai déclinais déclinait déclinant
+déclinas déclinent décliner déclinera déclinerai déclineras déclinerez déclines déclinez décliniez
+déclinons déclins déclinât décliné déclinée déclinées déclinés déclive déclives déclora déclore
+déclos déclose déclot décloua décloue décloué décocha décoche décoché décoda décodai décodas décode
+décoder décodes décodez décodât décodé décodée décodés décolla décolle décollé déconna déconne
+déconné décora décorai décorais décorait décorant décoras décorateur décoratif décorations
+décorative décoratives décorda décordai décordas décorde décorder décordes décordez décordât décordé
+décordée décordés décore décorent décorer décorera décores décorez décoriez décorna décornai
+décornas décorne décorner décornes décornez décornât décorné décornée décornés décorons décorum
+décorums décorât décoré décorée décorées décorés décotes découcha découche découché découd découdra
+découdre découds découla découlai découlais découlait découlant découlas découlent découler
+découlera découlerai découleras découlerez découles découlez découliez découlons découlât découlé
+découpa découpage découpai découpais découpait découpant découpas découpent découper découpera
+découperai découperas découperez découpes découpeur découpeurs découpeuse découpez découpiez
+découpla découplai découplas découple découpler découples découplez découplât découplé découplée
+découplés découpoir découpons découpure découpât découpé découpée découpées découpés décours découse
+découses décousez décousis décousit décousu décousue décousus décousît découverts découvrais
+découvrait découvrant découvres découvreur découvreurs découvreuse découvrez découvriez découvrions
+découvrira découvrirai découvrirais découvrirait découvriras découvrirent découvrirez découvririez
+découvrirons découvriront découvris découvrisse découvrit découvrons découvru découvrue découvrues
+découvrus découvrît décrets décreusa décreuse décreusé décri décria décriai décriais décriait
+décriant décrias décrie décrient décrier décriera décries décriez décriiez décrions décrira décrirai
+décrirais décrirait décriras décrirez décririez décrirons décriront décris décrispa décrispe
+décrispé décrite décrites décrits décrive décrives décrivez décrivis décrivit décrivît décriât
+décrié décriée décriées décriés décrocha décrochage décrochai décrochais décrochait décrochant
+décrochas décrochent décrochera décrocherai décrocherais décrocherait décrocheras décrocherez
+décrocheriez décrocherons décrocheront décroches décrochez décrochiez décrochons décrochât décrochée
+décrochées décrochés décrois décroisa décroise décroisé décrotta décrotte décrotté décroît décroûta
+décroûte décroûté décru décrua décruai décruas décrue décruer décrues décruez décrus décrusa décruse
+décrusé décrut décruât décrué décruée décrués décrète décrépi décréta décrété décrêpa décrêpe
+décrêpé décrût décéda décédai décédais décédait décédant décédas décéder décédera décédez décédiez
+décédons décédât décédée décédées décédés dédia dédiai dédiais dédiait dédiant dédias dédie dédient
+dédier dédiera dédies dédiez dédiiez dédions dédira dédirai dédiras dédire dédirez dédis dédise
+dédises dédisse dédit dédite dédites dédits dédiât dédiée dédiées dédiés déductible déductif
+déductifs déductions déductive déductives déduira déduirai déduirais déduirait déduiras déduirez
+déduiriez déduirons déduiront déduis déduise déduises déduisez déduisis déduisit déduisît déduit
+déduite déduites déduits défaille défailli défais défait défaites défaits défarda défarde défardé
+défasse défaussa défausse défaussé défavorables défendais défendait défendant défende défendent
+défendes défendeur défendez défendiez défendis défendit défendons défendra défendrai défendrais
+défendrait défendras défendrez défendriez défendrons défendront défends défendue défendues défendus
+défendît défenses défenseur défensif défensifs défensives défera déferai déferas déferez déferla
+déferle déferlé déferra déferre déferré défia défiai défiais défiait défiant défias défibra défibre
+défibré déficela déficelé déficha défichai défichas défiche déficher défiches défichez défichât
+défiché défichée défichés déficient défie défient défier défiera défies défiez défige défigea
+défiger défiges défigez défigé défigée défigés défiiez défila défilai défilas défile défiler défiles
+défilez défilât défilé défilée défilés définies définira définirai définirais définirait définiras
+définirent définirez définiriez définirons définiront définisse définisses définissez définiteur
+définitifs définitionnel définitions définitives définît défions défisse défisses défit défiât défié
+défiée défiées défiés déflations défunte défuntes défunts dégagea dégageai dégageais dégageait
+dégageant dégageas dégagent dégageons dégagera dégagerai dégagerais dégagerait dégageras dégagerez
+dégageriez dégagerons dégageront dégages dégagez dégageât dégagiez dégagée dégagées dégagés dégaina
+dégaine dégainé déganta dégante déganté dégarni dégaza dégazai dégazas dégaze dégazer dégazes
+dégazez dégazât dégazé dégazée dégazés dégradateur dégradations dégusta dégustai dégustais dégustait
+dégustant dégustas dégustateur dégustations déguste dégustent dégustera dégusterai dégusterais
+dégusterait dégusteras dégusterez dégusteriez dégusterons dégusteront dégustes dégustez dégustiez
+dégustons dégustât dégusté dégustée dégustées dégustés déjeuna déjeunai déjeunais déjeunait
+déjeunant déjeunas déjeune déjeunent déjeunera déjeunerai déjeunerais déjeunerait déjeuneras
+déjeunerez déjeuneriez déjeunerons déjeuneront déjeuners déjeunes déjeunez déjeuniez déjeunons
+déjeunât déjeuné délabra délabre délabré délace délacer délaces délacez délacé délacée délacés
+délaie délaient délaiera délaies délaina délainai délainas délaine délainer délaines délainez
+délainât délainé délainée délainés délaissa délaissai délaissas délaisse délaisser délaisses
+délaissez délaissât délaissé délaissée délaissés délaita délaitai délaitas délaite délaiter délaites
+délaitez délaitât délaité délaitée délaités délarda délarde délardé délassa délasse délassé délatta
+délatte délatté délava délavai délavas délave délaver délaves délavez délavât délavé délavée délavés
+délaya délayai délayas délaye délayer délayes délayez délayât délayé délayée délayés délaça délaçai
+délaças délaçât délia déliai déliais déliait déliant délias délicates délicatesse délicats délice
+délices délicieuse délicieuses délie délient délier déliera délies déliez déliiez délinéa délinée
+délinéé délions délira délirai déliras délire délirer délires délirez délirât déliré délissa délisse
+délissé délita délitage délitai délitais délitait délitant délitas délite délitent déliter délitera
+délites délitez délitiez délitons délits délitât délité délitée délitées délités délivra délivre
+délivré déliât délié déliée déliées déliés délégant délégations délégua déléguai déléguais déléguait
+déléguant déléguas déléguer déléguera déléguez déléguiez déléguons déléguât déléguée déléguées
+démange démangé démarcha démarchage démarchai démarchais démarchait démarchant démarchas démarchent
+démarcher démarchera démarcherai démarcheras démarcherez démarcheur démarcheurs démarcheuse
+démarchez démarchiez démarchons démarchât démarché démarchée démarchées démarchés démaria démariai
+démarias démarie démarier démaries démariez démariât démarié démariée démariés démarqua démarque
+démarqué démarra démarrages démarrai démarrais démarrait démarrant démarras démarrasse démarrent
+démarrera démarrerai démarrerais démarrerait démarreras démarrerez démarreriez démarrerons
+démarreront démarres démarreur démarreurs démarrez démarriez démarrons démarrât démarrée démarrées
+démarrés démisse démissent démisses démissiez démissionna démissionnai démissionnas démissionne
+démissionner démissionnes démissionnez démissionnât démissionné démissionnée démissionnés démissions
+démocrate démocrates démocraties démocratiques démocratisa démocratisai démocratisas démocratise
+démocratiser démocratises démocratisez démocratisât démocratisé démocratisée démocratisés démon
+démons démonstrateur démonstratif démonstratifs démonstrations démonstrative démonstratives démonta
+démontage démontai démontais démontait démontant démontas démonte démontent démonter démontera
+démontes démontez démontiez démontons démontra démontrai démontrais démontrait démontrant démontras
+démontrera démontrerai démontrerais démontrerait démontreras démontrerez démontreriez démontrerons
+démontreront démontres démontrez démontriez démontrons démontrât démontrée démontrées démontrés
+démontât démonté démontée démontées démontés déménagements dénicha dénichai dénichais dénichait
+dénichant dénichas déniche dénichent dénichera dénicherai dénicherais dénicherait dénicheras
+dénicherez dénicheriez dénicherons dénicheront déniches dénicheur dénicheurs dénicheuse dénichez
+dénichiez dénichons dénichât déniché dénichée dénichées dénichés dénoie dénoies dénominateur
+dénominatif dénominatifs dénominations dénominative dénominatives dénomma dénomme dénommé dénoncent
+dénoncera dénoncerai dénoncerais dénoncerait dénonceras dénoncerez dénonceriez dénoncerons
+dénonceront dénonces dénoncez dénonciez dénoncé dénoncée dénoncées dénoncés dénonça dénonçai
+dénonças dénonçât dénota dénotai dénotas dénote dénoter dénotes dénotez dénotât dénoté dénotée
+dénotés dénoua dénouai dénouas dénoue dénouer dénoues dénouez dénouât dénoué dénouée dénoués dénoya
+dénoyai dénoyas dénoyer dénoyez dénoyât dénoyé dénoyée dénoyés dépanna dépanne dépanné dépara
+déparai déparais déparait déparant déparas dépare déparent déparer déparera dépares déparez déparia
+dépariai déparias déparie déparier déparies dépariez dépariât déparié dépariée dépariés déparla
+déparlai déparlas déparle déparler déparles déparlez déparlât déparlé déparons dépars départage
+départagé départais départait départant départe départemental départementale départementaux
+départent départes départez départi départie départies départiez départir départira départis
+départit départons départît déparât déparé déparée déparées déparés dépassa dépassai dépassais
+dépassait dépassante dépassantes dépassants dépassas dépassasse dépassera dépasserai dépasserais
+dépasserait dépasseras dépasserez dépasseriez dépasserons dépasseront dépasses dépassez dépassiez
+dépassons dépassât dépassée dépassées dépassés dépava dépavai dépavas dépave dépaver dépaves dépavez
+dépavât dépavé dépavée dépavés dépaysa dépayse dépaysé dépecer dépecez dépecé dépecée dépecés
+dépeins dépeint dépendais dépendait dépendances dépendante dépendantes dépendants dépende dépendes
+dépendeur dépendeurs dépendeuse dépendez dépendiez dépendis dépendit dépendons dépendrai dépendrais
+dépendrait dépendras dépendre dépendrez dépendriez dépendrons dépendront dépends dépendu dépendue
+dépendues dépendus dépendît dépens dépensa dépensai dépensais dépensait dépensant dépensas dépensent
+dépensera dépenserai dépenserais dépenserait dépenseras dépenserez dépenseriez dépenserons
+dépenseront dépensez dépensier dépensiez dépensons dépensât dépensé dépensée dépensées dépensés
+dépeça dépeçai dépeças dépeçât dépila dépilai dépilas dépile dépiler dépiles dépilez dépilât dépilé
+dépilée dépilés dépiqua dépique dépiqué dépista dépiste dépisté dépita dépitai dépitais dépitait
+dépitant dépitas dépite dépitent dépiter dépitera dépites dépitez dépitiez dépitons dépits dépitât
+dépité dépitée dépitées dépités déplacent déplacera déplacerai déplacerais déplacerait déplaceras
+déplacerez déplaceriez déplacerons déplaceront déplaces déplacez déplaciez déplacé déplacée
+déplacées déplacés déplaira déplaire déplais déplaise déplanta déplante déplanté déplaça déplaçai
+déplaças déplaçât déplaît déplia dépliai déplias déplie déplier déplies dépliez dépliât déplié
+dépliée dépliés déploient déploiera déploierai déploieras déploierez déploies déplomba déplombe
+déplombé déplora déplorai déploras déplore déplorer déplores déplorez déplorât déploré déplorée
+déplorés déploya déployai déployas déployer déployez déployât déployé déployée déployés déplu
+dépluma déplume déplumé déplus déplut déplût dépoli dépolie dépolir dépolis dépolit dépolît déport
+déporta déporte déports déporté déposa déposai déposais déposait déposant déposas dépose déposent
+déposera déposerai déposerais déposerait déposeras déposerez déposeriez déposerons déposeront
+déposes déposez déposiez déposons déposât déposées déposés dépota dépotai dépotas dépote dépoter
+dépotes dépotez dépotât dépoté dépotée dépotés dépressif dépressifs dépressions dépressive
+dépressives dépréciateur dépréciatif dépréciatifs dépréciations dépréciative dépréciatives dépulpa
+dépulpe dépulpé dépura dépurai dépuras dépure dépurer dépures dépurez dépurât dépuré dépurée dépurés
+députa députai députais députait députant députas députe députent députer députera députes députez
+députiez députons députât députée députées dérapa dérapages dérapai dérapais dérapait dérapant
+dérapas dérapasse dérape dérapent déraper dérapera dérapes dérapez dérapiez dérapons dérapât dérapé
+dérida déridai déridas déride dérider dérides déridez déridât déridé déridée déridés dériva dérivai
+dérivais dérivait dérivant dérivas dérivent dériver dérivera dériverai dériveras dériverez dérives
+dériveur dériveurs dérivez dériviez dérivons dérivât dérivé dérivée dérivées déroba dérobai dérobas
+dérobe dérober dérobes dérobez dérobât dérobé dérobée dérobés dérocha déroche déroché déroda dérodai
+dérodas dérode déroder dérodes dérodez dérodât dérodé dérodée dérodés déroge dérogea déroger déroges
+dérogez dérogé déroula déroulage déroulai déroulais déroulait déroulant déroulas déroulements
+dérouler déroulerai déroulerais déroulerait dérouleras déroulerez dérouleriez déroulerons
+dérouleront déroules dérouleur dérouleurs dérouleuse déroulez dérouliez déroulons déroulât déroulé
+déroulée déroulées déroulés dérouta déroutai déroutas déroute dérouter déroutes déroutez déroutât
+dérouté déroutée déroutés désastres désastreuse désastreux déserta désertai désertais désertait
+désertant désertas déserte désertent déserter désertera désertes déserteur désertez désertiez
+désertion désertons déserts désertât déserté désertée désertées désertés désespoirs désespère
+désespéra désespéré désigna désignai désignais désignait désignant désignas désignent désignera
+désignerai désignerais désignerait désigneras désignerez désigneriez désignerons désigneront
+désignes désignez désigniez désignons désignât désignée désignées désignés désira désirai désirais
+désirait désirant désiras désirer désirera désirerai désireras désirerez désires désireuse
+désireuses désirez désiriez désirons désirât désiré désirée désirées désirés désista désiste désisté
+désorba désorbai désorbas désorbe désorber désorbes désorbez désorbât désorbé désorbée désorbés
+désordres détacha détache détachements détaché détailla détaillai détaillais détaillait détaillant
+détaillas détaille détaillent détailler détaillera détailles détaillez détailliez détaillons
+détaillât détaillées détaillés détala détalai détalas détale détaler détales détalez détalla détalle
+détallé détalât détalé détaxa détaxai détaxas détaxe détaxer détaxes détaxez détaxât détaxé détaxée
+détaxés détecta détectai détectais détectait détectant détectas détecte détectent détectera
+détecterai détecterais détecterait détecteras détecterez détecteriez détecterons détecteront
+détectes détecteur détectez détectiez détections détective détectives détectons détectât détecté
+détectée détectées détectés déteins déteint détela dételai dételas dételer dételez dételle dételât
+dételé dételée dételés détenaient détenais détenant détenante détenants détend détende détendes
+détendez détendis détendit détendra détendre détends détendu détendue détendus détendît détenez
+déteniez détenions détenons détentes détentions déterge détergé détermina déterminable déterminai
+déterminais déterminait déterminante déterminantes déterminants déterminas déterminasse déterminatif
+déterminatifs déterminations déterminative déterminatives déterminent déterminera déterminerai
+déterminerais déterminerait détermineras déterminerez détermineriez déterminerons détermineront
+détermines déterminez déterminiez déterminons déterminât déterminés déterra déterre déterré détesta
+déteste détesté détiendra détienne détiennes détiens détins détint détira détirai détiras détire
+détirer détires détirez détirât détiré détirée détirés détissa détisse détissé détona détonai
+détonas détone détoner détones détonez détonna détonne détonné détonât détoné détord détorde détords
+détordu détors détoura détourai détourais détourait détourant détouras détoure détourent détourer
+détourera détoures détourez détouriez détourna détournai détournas détourne détourner détournes
+détournez détournât détourné détournée détournés détourons détours détourât détouré détourée
+détourées détourés détriments détroit détruira détruirai détruirais détruirait détruiras détruirez
+détruiriez détruirons détruiront détruis détruise détruises détruisez détruisis détruisit détruisît
+détruite détruites détruits détrôna détrône détrôné détériorations dévaluations développa
+développable développai développais développait développante développantes développants développas
+développasse développera développerai développerais développerait développeras développerez
+développeriez développerons développeront développes développeur développeurs développez développiez
+développons développât dévoie dévoient dévoiera dévoies dévoila dévoilai dévoilais dévoilait
+dévoilant dévoilas dévoilent dévoilera dévoilerai dévoileras dévoilerât dévoiles dévoilez dévoiliez
+dévoilons dévoilât dévoilé dévoilée dévoilées dévoilés dévolta dévoltai dévoltas dévolte dévolter
+dévoltes dévoltez dévoltât dévolté dévoltée dévoltés dévolue dévolues dévolus dévolutif dévora
+dévorai dévoras dévore dévorer dévores dévorez dévorât dévoré dévorée dévorés dévot dévote dévotes
+dévots dévoua dévouai dévouas dévoue dévouer dévoues dévouez dévouât dévoué dévouée dévoués dévoya
+dévoyai dévoyas dévoyer dévoyez dévoyât dévoyé dévoyée dévoyés effecteur effectives effectua
+effectuai effectuais effectuait effectuant effectuas effectuent effectuera effectuerai effectuerais
+effectuerait effectueras effectuerez effectueriez effectuerons effectueront effectues effectuez
+effectuiez effectuons effectuât effendi efficacités efforcer efforcez efforcé efforcée efforcés
+emballa emballai emballais emballait emballant emballas emballasse emballe emballent emballer
+emballera emballes emballeur emballez emballiez emballons emballât emballé emballée emballées
+emballés empila empilai empilas empile empiler empiles empilez empilât empilé empilée empilés empira
+empirai empirais empirait empirant empiras empirent empirer empirera empirerai empireras empirerez
+empires empirez empiriez empirons empirât empiré empirée empirées empirés empiète empiéta empiété
+empli emplie emplies emplir emplira emplis emplit emploient emploiera emploierai emploieras
+emploierez emploies employa employai employais employait employant employas employer employeuse
+employeuses employez employiez employons employât employée empluma emplume emplumé emplît empocha
+empoche empoché empois emporia emporium emport emporta emportai emportais emportait emportant
+emportas emporte emportent emporter emportera emportes emportez emportiez emportons emports emportât
+emportée emportées emportés empota empotai empotas empote empoter empotes empotez empotât empoté
+empotée empotés emprise emprunta empruntai empruntais empruntait empruntant empruntas empruntent
+empruntera emprunterai emprunterais emprunterait emprunteras emprunterez emprunteriez emprunterons
+emprunteront empruntes emprunteur emprunteurs emprunteuse empruntez empruntiez empruntons empruntât
+empruntée empruntées empruntés encadra encadrai encadrais encadrait encadrant encadras encadre
+encadrent encadrer encadrera encadres encadreur encadrez encadriez encadrons encadrât encadrée
+encadrées encadrés encage encagea encager encages encagez encagé encagée encagés encan encans
+encaqua encaque encaqué encart encarta encarte encarts encarté encas encava encavai encavas encave
+encaver encaves encavez encavât encavé encavée encavés encocha encoche encoché encoda encodai
+encodas encode encoder encodes encodez encodât encodé encodée encodés encolla encolle encollé
+encorda encordai encordas encorde encorder encordes encordez encordât encordé encordée encordés
+encorna encornai encornas encorne encorner encornes encornet encornez encornât encorné encornée
+encornés encourage encouragea encourageai encourageais encourageait encourageant encourageas
+encouragent encourageons encouragera encouragerai encouragerais encouragerait encourageras
+encouragerez encourageriez encouragerons encourageront encourages encouragez encourageât encouragiez
+encouragé encouragée encouragées encouragés encourais encourait encourant encoure encours encourt
+encouru endettements enfances enfanta enfantai enfantais enfantait enfantant enfantas enfante
+enfantent enfanter enfantera enfantes enfantez enfantiez enfantin enfantine enfantins enfantons
+enfantât enfanté enfantée enfantées enfantés enfaîta enfaîte enfaîté enficha enfiche enfiché enfila
+enfilai enfilas enfile enfiler enfiles enfilez enfilât enfilé enfilée enfilés engage engagea
+engageai engageais engageait engageant engageas engagent engageons engagera engagerai engagerais
+engagerait engageras engagerez engageriez engagerons engageront engages engagez engageât engagiez
+engagées engaina engaine engainé engama engamai engamas engame engamer engames engamez engamât
+engamé engamée engamés engava engavai engavas engave engaver engaves engavez engavât engavé engavée
+engavés engendra engendrai engendrais engendrait engendrant engendras engendrent engendrer
+engendrera engendrerai engendreras engendrerez engendres engendrez engendriez engendrons engendrât
+engendrée engendrées engendrés engineerings engouements enjeu enleva enlevage enlevai enlevais
+enlevait enlevant enlevas enlevez enleviez enlevons enlevure enlevât enlevé enlevée enlevées enlevés
+enneige enneigé ennemie ennemies ennemis enregistra enregistrai enregistrais enregistrait
+enregistrant enregistras enregistrera enregistrerai enregistrerais enregistrerait enregistreras
+enregistrerez enregistreriez enregistrerons enregistreront enregistres enregistreur enregistreurs
+enregistreuse enregistrez enregistriez enregistrons enregistrât enseigna enseignai enseignais
+enseignait enseignant enseignante enseignantes enseignas enseignasse enseignements enseignent
+enseigner enseignera enseignerai enseigneras enseignerez enseignez enseigniez enseignons enseignât
+enseigné enseignée enseignées enseignés ensemblier ensuivi ensuivie ensuivis enta entabla entable
+entablé entacha entache entaché entai entais entait entama entamai entamais entamait entamant
+entamas entament entamera entamerai entamerais entamerait entameras entamerez entameriez entamerons
+entameront entames entamez entamiez entamons entamât entamées entamés entant entaque entaqué entas
+entassa entasse entassé ente entendais entendait entendant entende entendent entendes entendeur
+entendez entendiez entendis entendit entendons entendra entendrai entendrais entendrait entendras
+entendrez entendriez entendrons entendront entends entendue entendues entendus entendît entent
+entente ententes enter entera enterai enteras enterez enterra enterre enterré entes entez
+enthousiasma enthousiasmai enthousiasmais enthousiasmait enthousiasmant enthousiasmas enthousiasment
+enthousiasmer enthousiasmera enthousiasmerai enthousiasmeras enthousiasmerez enthousiasmes
+enthousiasmez enthousiasmiez enthousiasmons enthousiasmât enthousiasmé enthousiasmée enthousiasmées
+enthousiasmés enthousiastes entiché entiers entiez entions entière entoila entoile entoilé entoir
+entoirs entonna entonne entonné entons entorse entour entoura entourages entourai entourais
+entourait entourant entouras entourasse entourent entourer entourera entourerai entoureras
+entourerez entoures entourez entouriez entourons entours entourât entourée entourées entourés entra
+entrai entrain entrais entrait entrant entras entrava entrave entravé entrefer entremet entremis
+entremit entremît entrepont entreposa entrepose entreposé entreprenais entreprenait entreprenant
+entreprend entreprendra entreprendrai entreprendrais entreprendrait entreprendras entreprendrez
+entreprendriez entreprendrons entreprendront entreprends entrepreneuse entrepreneuses entreprenez
+entrepreniez entreprenne entreprennes entreprenons entreprisse entreprisses entreprit entreprît
+entrepôt entrepôts entrera entrerai entrerais entrerait entreras entrerez entreriez entrerons
+entreront entres entresol entretenais entretenait entretenant entretenez entreteniez entretenions
+entretenons entretenu entretenue entretenues entretenus entretiendra entretienne entretiennes
+entretins entretint entretînt entrevis entrevit entrevu entrevue entrevus entrevît entrez entriez
+entrons entrât entrés enveloppa enveloppai enveloppais enveloppait enveloppant enveloppas
+enveloppent envelopper enveloppera envelopperai envelopperas envelopperez enveloppes enveloppez
+enveloppiez enveloppons enveloppât enveloppé enveloppée enveloppées enveloppés enverge envergea
+envergeai envergeas envergent enverger envergera enverges envergez envergeât envergiez envergua
+enverguai enverguais enverguait enverguant enverguas envergue enverguent enverguer enverguera
+envergues enverguez enverguiez enverguons envergures enverguât envergué enverguée enverguées
+envergués envergé envergée envergées envergés enverra enverrai enverras enverrez envia enviai
+enviais enviait enviant envias envida envidai envidas envide envider envides envidez envidât envidé
+envidée envidés envient envier enviera envierai envieras envierez envies envieuse envieux enviez
+enviiez enviné envinée envinés envions environna environnai environnas environne environnemental
+environnementale environnementaux environnements environner environnes environnez environnât
+environné environnée environnés envisagea envisageables envisageai envisageais envisageait
+envisageant envisageas envisageasse envisageons envisagera envisagerai envisagerais envisagerait
+envisageras envisagerez envisageriez envisagerons envisageront envisages envisagez envisageât
+envisagiez envisagées envisagés enviât envié enviée enviées enviés envoi envoient envoies envoiler
+envoilez envoilé envoilée envoilés envois envoler envolez envoliez envolons envols envolé envolée
+envolées envolés envoya envoyai envoyais envoyait envoyant envoyas envoyeur envoyeurs envoyeuse
+envoyez envoyiez envoyons envoyât envoyée envoyées envoûta envoûte envoûté erre errent errer errera
+errerai erreras errerez erres errez escompta escomptai escomptais escomptait escomptant escomptas
+escompte escomptent escompter escomptera escomptes escompteur escomptez escomptiez escomptons
+escomptât escomptée escomptées escomptés espacent espacer espacera espacerai espaceras espacerez
+espacez espaciez espacé espacée espacées espacés espada espadas espadon espagnoles espagnolette
+espagnols espar espars espaça espaçai espaças espaçât espéra espérai espérais espérait espérance
+espérances espéranto espéras espérasse espérera espérerai espérerais espérerait espéreras espérerez
+espéreriez espérerons espéreront espérez espériez espérât espéré espérée espérées espérés essaient
+essaiera essaierai essaieras essaierez essaies essaim essaima essaimai essaimas essaime essaimer
+essaimes essaimez essaims essaimât essaimé essange essangé essart essarta essarte essarts essarté
+essaya essayage essayai essayais essayait essayant essayas essaye essayent essayera essayerai
+essayerais essayerait essayeras essayerez essayeriez essayerons essayeront essayes essayeur
+essayeurs essayeuse essayez essayiez essayât essayée essayées essayés esse essences esses esseulé
+essora essorage essorai essorais essorait essorant essoras essore essorent essorer essorera essores
+essorez essoriez essorons essors essorât essoré essorée essorées essorés est-on esthétiques
+esthétisa esthétisai esthétisas esthétise esthétiser esthétises esthétisez esthétisme esthétisât
+esthétisé esthétisée esthétisés estima estimable estimai estimaient estimais estimas estimasse
+estimatif estimatifs estimative estimatives estimera estimerai estimerais estimerait estimeras
+estimerez estimeriez estimerons estimeront estimes estimez estimiez estimât estimées estimés estiva
+estivai estival estivas estive estiver estives estivez estivât estivé estivée estivés europium
+exactes exaction exacts examina examinai examinais examinait examinant examinas examinent examinera
+examinerai examinerais examinerait examineras examinerez examineriez examinerons examineront
+examines examinez examiniez examinons examinât examinée examinées examinés excella excellai
+excellais excellait excellant excellas excelle excellences exceller excellera excellerai excelleras
+excellerez excelles excellez excelliez excellons excellât excellé excepta exceptai exceptais
+exceptait exceptant exceptas excepte exceptent excepter exceptera exceptes exceptez exceptiez
+exceptons exceptât excepté exceptée exceptées exceptés excessifs excessives exclamé excluais
+excluait excluant excluent exclues excluez excluiez excluons exclura exclurai exclurais exclurait
+excluras exclurent exclurez excluriez exclurons excluront exclusifs exclusion exclusions exclusives
+exclusivité exclusse exclusses exclut exclût exempt exempta exemptai exemptas exempte exempter
+exemptes exemptez exempts exemptât exempté exemptée exemptés exercera exercerai exercerais
+exercerait exerceras exercerez exerceriez exercerons exerceront exerces exercez exerciez exercions
+exercées exercés exergue exerça exerçai exerças exerçât exigea exigeai exigeais exigeait exigeante
+exigeantes exigeants exigeas exigeasse exigeons exigera exigerai exigerais exigerait exigeras
+exigerez exigeriez exigerons exigeront exiges exigez exigeât exigiez exigu exigus exiguë exiguës
+exigée exigées exigés exista existai existaient existais existas existasse existences existentiel
+existera existerai existerais existerait existeras existerez existeriez existerons existeront
+existes existez existiez existons existât existé exonérations exotisme expansible expansif expansifs
+expansions expansive expansives expansé expansée expansées expansés experte expertes expertisa
+expertise expertisé explicatif explicatifs explicative explicatives expliqua expliquai expliquais
+expliquait expliquant expliquas expliquera expliquerai expliquerais expliquerait expliqueras
+expliquerez expliqueriez expliquerons expliqueront expliques expliquez expliquiez expliquons
+expliquât expliquée expliquées expliqués exploit exploita exploitai exploitais exploitait exploitant
+exploitas exploitations exploitent exploitera exploiterai exploiterais exploiterait exploiteras
+exploiterez exploiteriez exploiterons exploiteront exploites exploiteur exploiteurs exploiteuse
+exploitez exploitiez exploitons exploits exploitât exploité exploitée exploitées exploités explora
+explorai explorais explorait explorant exploras explore explorent explorera explorerai explorerais
+explorerait exploreras explorerez exploreriez explorerons exploreront explores explorez exploriez
+explorons explorât exploré explorée explorées explorés explosa explosai explosais explosait
+explosant explosas explose explosent exploser explosera exploses exploseur explosez explosible
+explosiez explosif explosifs explosions explosive explosives explosons explosât exporta exportai
+exportais exportait exportant exportas exportateur exportation exportent exporter exportera
+exporterai exporteras exporterez exportes exportez exportiez exportons exportât exporté exportée
+exportées exportés exposa exposai exposais exposait exposant exposas exposent exposer exposera
+exposerai exposeras exposerez exposes exposez exposiez exposons exposât exposée expresse expressif
+expressifs expressions expressive expressives exprima exprimai exprimais exprimait exprimant
+exprimas expriment exprimera exprimerai exprimerais exprimerait exprimeras exprimerez exprimeriez
+exprimerons exprimeront exprimes exprimez exprimiez exprimons exprimât exprimée exprimées exprimés
+exprès extenseur extensible extensif extensifs extensions extensive extensives externat externats
+extra extrada extradai extradas extrade extrader extrades extradez extrados extradât extradé
+extradée extradés extraie extraient extraies extraira extrairai extrairas extraire extrairez extrais
+extraite extraites extrayez extruda extrude extrudé extrême exécra exécrai exécras exécrer exécrez
+exécrât exécré exécrée exécrés exécuta exécutai exécutais exécutait exécutant exécutas exécute
+exécutent exécutera exécuterai exécuterais exécuterait exécuteras exécuterez exécuteriez exécuterons
+exécuteront exécutes exécuteur exécuteurs exécutez exécutiez exécutifs exécution exécutions
+exécutive exécutives exécutons exécutât exécutée exécutées exécutés fabricante fabricantes
+fabricateur fabrications fabricien fabriqua fabriquai fabriquais fabriquait fabriquant fabriquas
+fabriquent fabriquera fabriquerai fabriquerais fabriquerait fabriqueras fabriquerez fabriqueriez
+fabriquerons fabriqueront fabriques fabriquez fabriquiez fabriquons fabriquât fabriquée fabriquées
+fabula fabulai fabulais fabulait fabulant fabulas fabule fabulent fabuler fabulera fabulerai
+fabuleras fabulerez fabules fabuleuse fabuleuses fabulez fabuliez fabulons fabulât fabulé faces
+facetta facettai facettais facettait facettant facettas facette facettent facetter facettera
+facetterai facetteras facetterez facettez facettiez facettons facettât facetté facettée facettées
+facettés facial faciale faciaux facilita facilitai facilitais facilitait facilitant facilitas
+facilitent facilitera faciliterai faciliterais faciliterait faciliteras faciliterez faciliteriez
+faciliterons faciliteront facilites facilitez facilitiez facilitons facilitât facilitée facilitées
+faciès factage factice faction factotum factuel factuels factum factums factura facturai facturais
+facturait facturant facturas facturent facturer facturera facturerai factureras facturerez facturez
+facturier facturiez facturons facturât facturé facturée facturées facturés facultés faiblard faibli
+faiblir faiblira faiblis faiblit faiblît failla faillai faillais faillait faillant faillas faillent
+failler faillera faillerai failleras faillerez failles faillez faillible failliez faillions faillir
+faillira faillirai failliras faillirez faillis faillisse faillit faillons faillât faillé faillée
+faillées faillés faillît faims faisable faisais faisan faisanda faisandai faisandas faisande
+faisander faisandes faisandez faisandât faisandé faisandée faisandés faisans faiseur faisiez faitout
+falloir fallut fallût familier familiers familière famine famines fantaisies fantaisiste
+fantastiques farina farinacé farinai farinais farinait farinant farinas farinent fariner farinera
+farinerai farineras farinerez farines farineuse farineux farinez fariniez farinons farinât fariné
+farinée farinées farinés fascina fascinai fascinais fascinait fascinante fascinantes fascinants
+fascinas fascinasse fascine fascinent fasciner fascinera fascines fascinez fasciniez fascinons
+fascinât fasciné fascinée fascinées fascinés fasses fassiez fatigant fatigua fatiguai fatiguais
+fatiguait fatiguant fatiguas fatiguent fatiguer fatiguera fatiguerai fatigueras fatiguerez fatigues
+fatiguez fatiguiez fatiguons fatiguât fatigué fatiguée fatiguées fatigués faudrai faudraient
+faudrais faudras faudrez faudriez faudrons faudront faussa faussai faussais faussait faussant
+faussas faussent fausser faussera fausserai fausseras fausserez fausset faussets fausseté faussetés
+faussez faussiez faussons faussât faussé faussée faussées faussés fauta fautai fautais fautait
+fautant fautas fautent fauter fautera fauterai fauteras fauterez fauteuils fauteur fauteurs fautez
+fautiez fautif fautifs fautive fautons fautât fauté favela favelas favoris favorisa favorisai
+favorisais favorisait favorisant favorisas favorisent favorisera favoriserai favoriserais
+favoriserait favoriseras favoriserez favoriseriez favoriserons favoriseront favorises favorisez
+favorisiez favorisons favorisât favorisé favorisée favorisées favorisés favorite feindra feindre
+feins feint feinta feintai feintas feinte feinter feintes feintez feints feintât feinté feintée
+feintés ferai feraient ferais feras ferma fermage fermai fermail fermais fermait fermant fermas
+fermaux ferment fermenta fermentatif fermentatifs fermentations fermentative fermentatives fermente
+fermenté fermera fermerai fermerais fermerait fermeras fermerez fermeriez fermerons fermeront
+fermette fermettes fermetures fermetés fermez fermier fermiez fermium fermoir fermons fermât fermées
+ferons ferra ferrade ferrades ferrage ferrages ferrai ferrais ferrait ferrant ferras ferrasse
+ferrate ferrates ferre ferrent ferrer ferrera ferres ferret ferrets ferreur ferreux ferrez ferries
+ferriez ferrite ferrons ferroviaires ferrure ferry ferrât ferré ferrée ferrées ferrés festif festifs
+festin festins festivalier festivals festive festives festivité feuil feuilla feuillage feuillai
+feuillais feuillait feuillant feuillard feuillas feuillent feuiller feuillera feuillerai feuilleras
+feuilleret feuillerez feuillet feuilleta feuilletai feuilletas feuilleter feuilletez feuilletis
+feuilleton feuillets feuillette feuilletât feuilleté feuilletée feuilletés feuillez feuilliez
+feuillons feuillu feuillue feuillues feuillure feuillus feuillât feuillé feuillée feuillées feuillés
+feuils fiabilités fibreuse fibreux fibrine fibrome fibrose ficha fichage fichai fichais fichait
+fichant fichas fichent ficher fichera ficherai ficheras ficherez fichet fichets fichez fichiez
+fichions fichiste fichoir fichons fichtre fichu fichue fichues fichus fichât fiché fichée fichées
+fichés fictif fictifs fictions fictive fictives fidélités fiera fierai fierais fierait fieras fierez
+fieriez fierons fieront fiers fiertés figue figues figuier figura figurai figurais figurait
+figurante figurantes figurants figuras figurasse figuratif figurera figurerai figurerais figurerait
+figureras figurerez figureriez figurerons figureront figurez figuriez figurine figurons figurât
+figuré figurée figurées figurés filent filer filera filerai fileras filerez files fileta filetage
+filetai filetais filetait filetant filetas fileter filetez filetiez filetons filetât fileté filetée
+filetées filetés fileur fileurs fileuse filez filial filiaux filiez filin filins filions filière
+fillette filleul filleule filleuls filma filmage filmai filmais filmait filmant filmas filme filment
+filmer filmera filmes filmez filmiez filmons filmât filmé filmée filmées filmés filtra filtrage
+filtrai filtrais filtrait filtrant filtras filtrat filtrats filtrent filtrer filtrera filtrerai
+filtreras filtrerez filtrez filtriez filtrons filtrât filtré filtrée filtrées filtrés finage finages
+finales finalité finals financements financent financera financerai financerais financerait
+financeras financerez financeriez financerons financeront financez financiez financions financière
+financées financés finança finançai finanças finançât finassa finasse finassé finaud finaude finauds
+finerie finesses finette finie finies finirai finirais finirait finiras finirent finirez finiriez
+finirons finiront finis finish finissage finissais finissait finissant finisse finisses finisseur
+finisseurs finisseuse finissez finissiez finissons finitions finlandais finlandisa finlandise
+finlandisé firman firmans fiscalisa fiscalisai fiscalisas fiscalise fiscaliser fiscalises fiscalisez
+fiscaliste fiscalisât fiscalisé fiscalisée fiscalisés fiscalités fiscs fixateur fixatif fixatifs
+fixations fixative fixatives fixent fixera fixerai fixerais fixerait fixeras fixerez fixeriez
+fixerons fixeront fixez flac flache flaches flamant flamants flamba flambai flambas flambe flamber
+flambes flambez flambât flambé flambée flambés flamine flamme flammes flammé flammée flammés flan
+flanc flancha flanche flanché flancs flandrin flandrins flanqua flanque flanqué flans fleura
+fleurage fleurai fleurais fleurait fleurant fleuras fleure fleurent fleurer fleurera fleures fleuret
+fleurets fleurez fleuri fleurie fleuries fleuriez fleurir fleurira fleuris fleurit fleuron fleurons
+fleurât fleuré fleurée fleurées fleurés fleurît fleuves flexibilités flexibles flexion flexions
+floral florale floraux flore florences florentin flores florès floréal flots flotta flottage flottai
+flottais flottait flottant flottard flottas flottent flotter flottera flotterai flotteras flotterez
+flottes flotteur flotteurs flottez flottiez flottons flottât flotté flottée flottées flottés floua
+flouai flouais flouait flouant flouas floue flouent flouer flouera floues flouez flouiez flouons
+flous flousa flousai flousas flouse flouser flouses flousez flousât flousé flouve flouves flouze
+flouzes flouât floué flouée flouées floués fluctuation fluides fluidisa fluidise fluidisé fluidité
+fluiez fluions fluxa fluxai fluxais fluxait fluxant fluxas fluxe fluxent fluxer fluxera fluxes
+fluxez fluxiez fluxion fluxons fluxât fluxé fluxée fluxées fluxés flécha fléchage fléchai fléchais
+fléchait fléchant fléchas flécher fléchera fléchez fléchie fléchies fléchiez fléchions fléchir
+fléchira fléchirai fléchiras fléchirez fléchis fléchisse fléchit fléchons fléchât fléché fléchée
+fléchées fléchés fléchît foies foira foirade foirai foirail foirais foirait foirant foiras foirent
+foirer foirera foirerai foireras foirerez foireuse foireux foirez foiriez foirons foirât foiré
+foison foliacé folies folio foliole folios foliot foliota foliote foliots folioté folié foliée
+foliées foliés follet follets follette fonctionna fonctionnai fonctionnaient fonctionnais
+fonctionnait fonctionnas fonctionnasse fonctionnel fonctionnelle fonctionnels fonctionnements
+fonctionnera fonctionnerai fonctionnerais fonctionnerait fonctionneras fonctionnerez fonctionneriez
+fonctionnerons fonctionneront fonctionnes fonctionnez fonctionniez fonctionnons fonctionnât
+fonctionné fonda fondai fondais fondait fondant fondas fondations fondent fondera fonderai fonderais
+fonderait fonderas fonderez fonderie fonderies fonderiez fonderons fonderont fondes fondeur fondeurs
+fondeuse fondez fondiez fondis fondit fondoir fondons fondouk fondra fondrai fondrais fondrait
+fondras fondrez fondriez fondrons fondront fondue fondues fondus fondât fondées fondés fondît
+fontaines fontainier fontange fonte fontes fontis footballer footballers footballeur footballs
+footing foots forcent forcené forcenée forcenés forceps forcera forcerai forcerais forcerait
+forceras forcerez forcerie forceries forceriez forcerons forceront forcez forci forciez forcing
+forcir forcira forcis forcit forclos forcée forcées forcés forcît fore forent forer forera forerai
+foreras forerez fores forestier foret forets foreur foreurs foreuse forez forfaire forfais
+forfaitaires forfaite forfaites forfaits forfaiture forfasse forfera forfis forfit forfont forfît
+forge forgea forgeage forgeai forgeais forgeait forgeant forgeas forgent forgeons forger forgera
+forgerai forgeras forgerez forgeron forgeur forgeurs forgeuse forgez forgeât forgiez forgée forgées
+forgés forma formage formages formai formais formait formalisa formalisai formalisas formalise
+formaliser formalises formalisez formalisme formaliste formalisât formalisé formalisée formalisés
+formalité formant formas formasse formateur formatif formatifs formative formatives formel formelle
+formels formera formerai formerais formerait formeras formeret formerets formerez formeriez
+formerons formeront formez formidables formiez formol formola formole formols formolé formons
+formula formulable formulai formulaient formulaires formulais formulait formulant formulas
+formulasse formulent formulera formulerai formulerais formulerait formuleras formulerez formuleriez
+formulerons formuleront formulez formuliez formulons formulât formulé formulée formulées formulés
+formât formène formée formées fortiche fortifia fortifie fortifié fortin fortins fortran fortuit
+fortuite fortuits fortuné fortunée fortunées fortunés forums forure forures fosse fosses fossile
+fossoie fossoir fossoya fossoyé fossés fouets fouetta fouettai fouettas fouette fouetter fouettes
+fouettez fouettât fouetté fouettée fouettés foula foulage foulai foulais foulait foulant foulard
+foulas foulent fouler foulera foulerai fouleras foulerez foulerie foules fouleur fouleurs fouleuse
+foulez fouliez fouloir foulon foulons foulque foulure foulât foulé foulées foulés fourba fourbai
+fourbas fourbe fourber fourbes fourbez fourbi fourbie fourbir fourbis fourbit fourbu fourbue fourbus
+fourbât fourbé fourbée fourbés fourbît fourcha fourche fourchent fourcher fourchera fourcherai
+fourcheras fourcherât fourches fourchet fourchets fourchettes fourchez fourchu fourché fourgon
+fourgua fourgue fourgué fourme fourmes fourmi fourmis fourneau fournier fourniers fournil fournils
+fournira fournirai fournirais fournirait fourniras fournirent fournirez fourniriez fournirons
+fourniront fournissais fournissait fournissant fournisse fournisses fournisseuse fournisseuses
+fournissez fournissiez fournissons fournitures fournière fournée fournées fournît fourra fourrai
+fourras fourre fourrer fourres fourrez fourrât fourré fourrée fourrés fours fractionna fractionnai
+fractionnas fractionne fractionnel fractionner fractionnes fractionnez fractionnât fractionné
+fractionnée fractionnés fractions fractura fracture fracturé fragilisa fragilisai fragilisas
+fragilise fragiliser fragilises fragilisez fragilisât fragilisé fragilisée fragilisés fragilités
+fragon fragons frai fraie fraient fraiera fraies frairie fraisa fraisage fraisai fraisais fraisait
+fraisant fraisas fraise fraisent fraiser fraisera fraises fraiseur fraisez fraisier fraisiez fraisil
+fraisils fraisons fraisure fraisât fraisé fraisée fraisées fraisés franche franches franchie
+franchies franchira franchirai franchirais franchirait franchiras franchirent franchirez franchiriez
+franchirons franchiront franchis franchisage franchises franchisse franchisses franchissez franchit
+franchît francien franciens francique francisa francisai francisais francisait francisant francisas
+franciscain francise francisent franciser francisera francises francisez francisiez francisons
+francisque franciste francistes francisât francisé francisée francisées francisés francité francités
+francium franciums franco francophile francophobe francophobes francophobie francophonie
+francophonies frange frangea franger franges frangez frangin frangé frangée frangés frape frapes
+frappa frappage frappages frappai frappais frappait frappante frappantes frappants frappas frappasse
+frappent frappera frapperai frapperais frapperait frapperas frapperez frapperiez frapperons
+frapperont frappes frappeur frappeurs frappeuse frappez frappiez frappons frappât frappée frappées
+frappés frauda fraudai fraudais fraudait fraudant fraudas fraudent frauder fraudera frauderai
+frauderas frauderez fraudes fraudeur fraudeurs fraudeuse fraudez fraudiez fraudons fraudât fraudé
+fraudée fraudées fraudés freina freinages freinai freinais freinait freinant freinante freinants
+freinas freinasse freine freinent freinera freinerai freinerais freinerait freineras freinerez
+freineriez freinerons freineront freines freinez freiniez freinons freinte freintes freinât freiné
+freinée freinées freinés frigide frigorie frigos frit frite friterie friteuse fritta frittai frittas
+fritte fritter frittes frittez frittât fritté frittée frittés friture fritz froides froideur
+froideurs froidi froidir froidira froidis froidit froids froidure froidît froissa froisse froissé
+fromager fromagerie fromagers fromagère froment fronce froncer fronces froncez froncis froncé
+froncée froncés fronda frondai frondas fronde fronder frondes frondez frondât frondé frondée frondés
+frontail frontal frontale frontaux fronteau fronton frontons fronts fronça fronçai fronças fronçât
+fruitier fruité fruitée fruitées fruités fréquences fréquenta fréquentai fréquentais fréquentait
+fréquentant fréquentas fréquentatif fréquentatifs fréquentations fréquentative fréquentatives
+fréquentent fréquenter fréquentera fréquenterai fréquenteras fréquenterez fréquentes fréquentez
+fréquentiel fréquentiez fréquentons fréquentât fréquenté fréquentée fréquentées fréquentés fuira
+fuirai fuirais fuirait fuiras fuirent fuirez fuiriez fuirons fuiront fuit fuites fumées fumés
+furent-ce furet fureta furetai furetas fureter furetez furets furetât fureté fureur fureurs fusible
+fusiez fusil fusilla fusille fusillé fusils fusionna fusionnai fusionnais fusionnait fusionnant
+fusionnas fusionne fusionnent fusionnera fusionnerai fusionnerais fusionnerait fusionneras
+fusionnerez fusionneriez fusionnerons fusionneront fusionnes fusionnez fusionniez fusionnons
+fusionnât fusionné fusionnée fusionnées fusionnés fédéra fédérai fédérais fédérait fédérales
+fédéralisa fédéralise fédéralisé fédérant fédéras fédérasse fédérateur fédératif fédératifs
+fédérative fédératives fédérer fédérera fédérez fédériez fédérons fédérât fédéré fédérée fédérées
+fédérés féminines féminisa féminisai féminisas féminise féminiser féminises féminisez féminisme
+féministe féminisât féminisé féminisée féminisés féminités férial fériale fériaux férié fériée
+fériées gagea gageai gageais gageait gageant gageas gagent gageons gager gagera gagerai gageras
+gagerez gages gageure gagez gageât gagna gagnable gagnage gagnages gagnai gagnais gagnait gagnante
+gagnantes gagnas gagnasse gagnera gagnerai gagnerais gagnerait gagneras gagnerez gagneriez gagnerons
+gagneront gagnes gagneur gagneurs gagneuse gagnez gagniez gagnons gagnât gagnée gagnées gagnés gaina
+gainage gainai gainais gainait gainant gainas gaine gainent gainer gainera gaines gainez gainier
+gainiez gainons gainât gainé gainée gainées gainés gale galerne galernes gales galet galetas galets
+galette galeuse galeux gamba gambada gambade gambadé gambas gambe gambes gambit gambits gammare
+gammée gammées gandin gandins gandoura gant ganta gantai gantais gantait gantant gantas gante
+gantelé gantent ganter gantera gantes gantez gantier gantiez gantons gantât ganté gantée gantées
+gantés gara garages garai garais garait garance garancer garances garancez garancé garancée garancés
+garant garante garantes garantira garantirai garantirais garantirait garantiras garantirent
+garantirez garantiriez garantirons garantiront garantisse garantisses garantissez garants garantît
+garança garançai garanças garançât garas garasse garda gardai gardais gardait gardas gardasse
+gardera garderai garderais garderait garderas garderez garderie garderies garderiez garderons
+garderont gardes gardeur gardeurs gardeuse gardez gardian gardien gardiez gardon gardons gardât
+gardée gardées gardénal gardénia gardés garenne garent garer garera garerai gareras garerez gares
+garez gastronome gastronomes gastronomies gastronomiques gaucher gaucherie gauchers gauches gauchi
+gauchie gauchies gauchir gauchira gauchis gauchit gaucho gauchos gauchère gauchît gendarma gendarmai
+gendarmais gendarmait gendarmant gendarmas gendarme gendarment gendarmer gendarmera gendarmerai
+gendarmerais gendarmerait gendarmeras gendarmerez gendarmeries gendarmeriez gendarmerions
+gendarmerons gendarmeront gendarmez gendarmiez gendarmons gendarmât gendarmé gendarmée gendarmées
+gendarmés genet genets genette gestions gestuel gibiers gigantesques gille girofle girolle girond
+gironde girondes girondin gironds gironna gironnai gironnas gironne gironner gironnes gironnez
+gironnât gironné gironnée gironnés girons glacent glacer glacera glacerai glaceras glacerez glacerie
+glaces glaceur glaceurs glaceuse glaceux glacez glacial glacier glaciez glacis glacé glacée glacées
+glacés glissa glissade glissage glissai glissais glissait glissant glissas glissements glissent
+glissera glisserai glisserais glisserait glisseras glisserez glisseriez glisserons glisseront
+glisses glisseur glisseurs glisseuse glissez glissiez glissoir glissons glissât glissé glissée
+glissées glissés globales globalisa globalise globalisé globalité globaux globes globine globule
+gloires golden goldens golfes golfeur golfeurs golfeuse golfs gosse gour goura gourai gourais
+gourait gourant gouras gourbi gourbis gourd gourde gourdes gourdin gourds goure gourent gourer
+gourera goures gourez gouriez gourmanda gourmandai gourmandais gourmandait gourmandant gourmandas
+gourmandent gourmander gourmandera gourmanderai gourmanderas gourmanderez gourmandes gourmandez
+gourmandiez gourmandions gourmandises gourmandons gourmands gourmandât gourmandé gourmandée
+gourmandées gourmandés gourme gourmes gourmet gourmets gourmé gourmée gourmées gourmés gourons
+gourous gourât gouré gourée gourées gourés goutta gouttai gouttais gouttait gouttant gouttas goutte
+gouttent goutter gouttera goutterai goutteras goutterez goutteuse goutteux gouttez gouttiez gouttons
+gouttât goutté gouverna gouvernai gouvernail gouvernais gouvernait gouvernant gouvernas gouverne
+gouvernemental gouvernementaux gouvernent gouverner gouvernera gouvernerai gouverneras gouvernerez
+gouvernes gouverneurs gouvernez gouverniez gouvernons gouvernât gouverné gouvernée gouvernées
+gouvernés grailla graille graillé graina grainage grainai grainais grainait grainant grainas graine
+grainent grainer grainera graines grainez grainier grainiez grainons grainât grainé grainée grainées
+grainés graissa graissage graissai graissais graissait graissant graissas graissent graisser
+graissera graisserai graisseras graisserez graisses graisseur graisseurs graisseuse graisseux
+graissez graissiez graissons graissât graissé graissée graissées graissés gramen gramens gramme
+grand-duc grand-ducal grand-ducale grand-ducaux grandelet grandesse grandesses grandet grandets
+grandette grandeurs grandie grandies grandiose grandira grandirai grandirais grandirait grandiras
+grandirent grandirez grandiriez grandirons grandiront grandis grandisse grandit grandît grange
+granges granit granita granite granits granité granula granule granulé graphie graphies graphisme
+graphiste graphita graphitai graphitas graphite graphiter graphites graphitez graphitât graphité
+graphitée graphités grasse grasses grasset gratin gratina gratine gratins gratiné gratis gratta
+grattai grattas gratte gratter grattes grattez grattât gratté grattée grattés gratuité gratuités
+grava gravai gravais gravait gravant gravas gravats gravelle gravelée gravent graver gravera
+graverai graveras graverez graveur graveurs graveuse gravez gravi gravide gravides gravie gravier
+graviers gravies graviez gravions gravir gravira gravirai graviras gravirez gravis gravisse gravit
+gravita gravitai gravitais gravitait gravitant gravitas gravite gravitent graviter gravitera
+gravites gravitez gravitiez gravitons gravitât gravois gravons gravure gravât gravé gravée gravées
+gravés gravît grecqua grecquai grecquais grecquait grecquant grecquas grecquent grecquer grecquera
+grecquerai grecqueras grecquerez grecques grecquez grecquiez grecquons grecquât grecqué grecquée
+grecquées grecqués grecs greens griffa griffade griffai griffais griffait griffant griffas griffent
+griffer griffera grifferai grifferas grifferez griffes griffeur griffeurs griffeuse griffez griffiez
+griffon griffons griffu griffue griffues griffure griffus griffât griffé griffée griffées griffés
+gril grill grilla grillade grillage grillagé grillai grillais grillait grillant grillas grillent
+griller grillera grillerai grilleras grillerez grilles grillez grilliez grilloir grillon grillons
+grills grillât grillé grillée grillées grillés grils grima grimace grimacé grimage grimai grimais
+grimait grimant grimas grimaud grimaça grime griment grimer grimera grimes grimez grimiez grimons
+grimpa grimpai grimpais grimpait grimpant grimpas grimpent grimpera grimperai grimperais grimperait
+grimperas grimpereau grimperez grimperiez grimperons grimperont grimpes grimpette grimpeur grimpeurs
+grimpeuse grimpez grimpiez grimpons grimpât grimpée grimpées grimpés grimât grimé grimée grimées
+grimés grisa grisai grisais grisait grisant grisard grisas grisbi grisbis grisent griser grisera
+griserai griseras griserez griserie grises griset grisets grisette grisez grisiez grisola grisole
+grisolé grison grisons grisou grisous grisât grisé grisée grisées grisés grosserie grossesses
+grosseur grosseurs grossi grossie grossier grossies grossir grossira grossis grossit grossoie
+grossoya grossoyé grossît groulla groupa groupage groupai groupais groupait groupant groupas
+groupent grouper groupera grouperai grouperas grouperez groupez groupie groupies groupiez groupons
+groups groupât groupé groupée groupées groupés grouse grouses guerrier guerroie guerroya guerroyé
+guiche guiches guichetier guichets guida guidage guidai guidais guidait guidant guidas guideau
+guideaux guident guidera guiderai guiderais guiderait guideras guiderez guideriez guiderons
+guideront guiderope guidez guidiez guidon guidons guidât guidé guidée guidées guidés guillaumes guis
+guises gustatif géante géantes génial géniale géniaux génies génisse génital génitif génocides
+génépi génépis généra générai générais générait généralat généralats généralisa généralisai
+généralisais généralisait généralisant généralisas généralise généralisent généraliser généralisera
+généralises généralisez généralisiez généralisons généraliste généralistes généralisât généralisé
+généralisées généralisés généralité généralités générant généras générasse générateur génératif
+génératifs générative génératives générera générerai générerais générerait généreras générerez
+généreriez générerons généreront généreuses générez génériez générions génériques générons
+générosités générât générée générées générés génétiques génétisme géographie géographies géra gérai
+gérais gérait gérance gérances géranium gérante gérantes gérants géras gérasse gérera gérerai
+gérerais gérerait géreras gérerez géreriez gérerons géreront gérez gérées habile habiles habilla
+habille habillé habit habita habitable habitacle habitai habitais habitait habitante habitantes
+habitas habitasse habitat habitats habitent habiter habitera habiterai habiteras habiterez habites
+habitez habitiez habitons habits habitua habituai habituais habituait habituant habituas habitue
+habituelle habituelles habituels habituent habituer habituera habituerai habitueras habituerez
+habitues habituez habituiez habituons habitus habituât habituée habituées habitât habité habitée
+habitées habités haines haineuse haineux hallali halle halles hallier halls hanap hanaps handicapa
+handicapai handicapais handicapait handicapant handicapas handicape handicapent handicaper
+handicapera handicapes handicapeur handicapez handicapiez handicapons handicaps handicapât handicapé
+handicapée handicapées hansart hanse hanses harmonica harmonicas harmonies harmonieuse harmonieux
+harmonique harmonisa harmonisai harmonisas harmonise harmoniser harmonises harmonisez harmonisât
+harmonisé harmonisée harmonisés harmonium harmoniums hasarda hasardai hasardais hasardait hasardant
+hasardas hasarde hasardent hasarder hasardera hasardes hasardeux hasardez hasardiez hasardons
+hasards hasardât hasardé hasardée hasardées hasardés haussa haussai haussais haussait haussant
+haussas haussent hausser haussera hausserai hausseras hausserez haussez haussiers haussiez haussions
+haussière haussons haussât haussé haussée haussées haussés hautain hauteurs hautin hautins hava
+havage havages havai havais havait havane havanes havant havasse havasses hebdomadaires hectare
+henrys herba herbacé herbage herbagé herbai herbais herbait herbant herbas herbe herbent herber
+herbera herberai herberas herberez herberie herbette herbeuse herbeux herbez herbier herbiez herbons
+herbu herbue herbues herbus herbât herbé herbée herbées herbés hermandad hermine hersa hersage
+hersai hersais hersait hersant hersas herse hersent herser hersera herses herseur hersez hersiez
+hersons hersât hersé hersée hersées hersés heur heureuses heurs heurt heurta heurtai heurtais
+heurtait heurtant heurtas heurtent heurter heurtera heurterai heurteras heurterez heurtes heurtez
+heurtiez heurtoir heurtons heurts heurtât heurté heurtée heurtées heurtés historia historiai
+historiais historiait historiant historias historie historien historiens historient historier
+historiera histories historiez historiiez historions historisme historiât historié historiée
+historiées historiés hit-parades hiverna hivernai hivernal hivernas hiverne hiverner hivernes
+hivernez hivernât hiverné hivernée hivernés hivers hiérarchies hiérarchique hiérarchisa hiérarchisai
+hiérarchisas hiérarchise hiérarchiser hiérarchises hiérarchisez hiérarchisât hiérarchisé
+hiérarchisée hiérarchisés hold-up hollandaises hollandes hollywoodien homards homes hommages
+hommasse homologie homologies homologua homologuai homologuais homologuait homologuant homologuas
+homologuent homologuer homologuera homologuerai homologueras homologuerez homologuez homologuiez
+homologuons homologuât homologué homologuée homologuées homologués hongra hongrai hongrais hongrait
+hongrant hongras hongre hongrent hongrer hongrera hongres hongrez hongriez hongrions hongroie
+hongrois hongrons hongroya hongroyé hongrât hongré hongrée hongrées hongrés honneurs honni honnie
+honnies honnir honnira honnis honnit honnête honnît honorai honoraient honoraire honorais honorait
+hontes honteuse honteux horion horions horizons horizontal hormona hormonai hormonais hormonait
+hormonal hormonale hormonant hormonas hormonaux hormone hormonent hormoner hormonera hormonerai
+hormoneras hormonerez hormonez hormoniez hormonons hormonât hormoné hormonée hormonées hormonés
+horst horsts houle houles houlettes houleuse houleux houseau houseaux houssa houssai houssas housse
+housser housses houssez houssât houssé houssée houssés huila huilage huilai huilais huilait huilant
+huilas huilent huiler huilera huilerai huileras huilerez huilerie huileuse huileux huilez huilier
+huiliez huilons huilât huilé huilée huilées huilés huitain huma humage humages humai humaient humais
+humait humanitaires humant humas humasse humons humoral humours hypothécable héla hélai hélais
+hélait hélant hélasse hélasses hérissa hérisse hérissé hérita héritages héritai héritais héritait
+héritant héritas héritasse hérite héritent hériter héritera hérites héritez héritier héritiez
+héritions héritière héritons héritât héritée héritées hérités héron hérons héroïne hésita hésitai
+hésitais hésitait hésitant hésitas hésite hésitent hésitera hésiterai hésiterais hésiterait
+hésiteras hésiterez hésiteriez hésiterons hésiteront hésites hésitez hésitiez hésitons hésitât
+identifia identifiai identifiais identifiait identifiant identifias identifie identifient
+identifiera identifierai identifierais identifierait identifieras identifierez identifieriez
+identifierons identifieront identifies identifiez identifiiez identifions identifiât identifié
+identifiée identifiées identifiés identités idéales idéalisa idéalise idéalisé idéalité idéaux idéel
+idéelle idéels ignoble ignora ignorai ignorais ignorait ignorant ignoras ignorent ignorera ignorerai
+ignorerais ignorerait ignoreras ignorerez ignoreriez ignorerons ignoreront ignores ignorez ignoriez
+ignorons ignorât ignoré ignorée ignorées ignorés illusionna illusionnai illusionnas illusionne
+illusionner illusionnes illusionnez illusionnât illusionné illusionnée illusionnés illusions
+illustra illustrai illustrais illustrait illustrant illustras illustrateur illustrent illustrer
+illustrera illustrerai illustreras illustrerez illustres illustrez illustriez illustrons illustrât
+illustrée illustrées illustrés imagea imageai imageais imageait imageant imageas imagent imageons
+imager imagera imagerai imageras imagerez imagerie imagez imageât imagier imagiers imagiez imagina
+imaginable imaginai imaginaient imaginaires imaginais imaginait imaginant imaginas imaginasse
+imaginatif imaginatifs imaginations imaginative imaginatives imaginent imaginera imaginerai
+imaginerais imaginerait imagineras imaginerez imagineriez imaginerons imagineront imagines imaginez
+imaginiez imaginons imaginât imaginée imaginées imaginés imagions imagière imago imagos imagé imagée
+imagées imagés immenses immensité immerge immergé immobile immobiles immobilisa immobilisai
+immobilisas immobilise immobiliser immobilises immobilisez immobilisme immobiliste immobilisât
+immobilisé immobilisée immobilisés immobilité immobilités immobilière immédiates immédiateté
+immédiatetés immédiats impacta impactai impactais impactait impactant impactas impacte impactent
+impacter impactera impactes impactez impactiez impactons impacts impactât impacté impactée impactées
+impactés impair impaire impairs impala impalas imparti impasse impayé impayée impayés imper impers
+implant implanta implantai implantais implantait implantant implantas implante implantent implanter
+implantera implantes implantez implantiez implantons implants implantât implantées implantés
+implication impliqua impliquai impliquais impliquait impliquant impliquas impliquent impliquer
+impliquera impliquerai impliqueras impliquerez impliques impliquez impliquiez impliquons impliquât
+impliquée impliquées impoli impolie impolis importa importable importai importais importait
+importances importas importasse importation importent importer importera importerai importeras
+importerez importes importez importiez importons importun importuna importune importuns importuné
+importât importé importée importées importés imposa imposai imposais imposait imposante imposantes
+imposants imposas imposasse imposera imposerai imposerais imposerait imposeras imposerez imposeriez
+imposerons imposeront imposes imposeur imposeurs imposez imposiez impositions imposons impossibles
+imposte impostes imposât impressionna impressionnable impressionnai impressionnais impressionnait
+impressionnantes impressionnants impressionnas impressionnasse impressionne impressionnent
+impressionner impressionnera impressionnes impressionnez impressionniez impressionnons impressionnât
+impressionné impressionnée impressionnées impressionnés imprima imprimable imprimai imprimais
+imprimait imprimant imprimants imprimas imprimasse imprimatur imprime impriment imprimera imprimerai
+imprimerais imprimerait imprimeras imprimerez imprimerie imprimeries imprimeriez imprimerons
+imprimeront imprimes imprimeur imprimeurs imprimez imprimiez imprimons imprimât imprimée imprimées
+improbables imprévu impérative impératives inattendue inattendues inattendus inattentif inca incarna
+incarnai incarnais incarnait incarnant incarnas incarnat incarnate incarnats incarnent incarner
+incarnera incarnerai incarneras incarnerez incarnes incarnez incarniez incarnons incarnât incarné
+incarnée incarnées incarnés incas incendia incendiai incendiais incendiait incendiant incendias
+incendient incendier incendiera incendierai incendieras incendierez incendies incendiez incendiiez
+incendions incendiât incendié incendiée incendiées incendiés incertaine incertaines incertains
+incertitude inchangée inchangées inchangés incidence incidences incidente incidentes incidents
+incipit incisa incisai incisas incise inciser incises incisez incisif incisât incisé incisée incisés
+incita incitai incitais incitait incitant incitas incitent incitera inciterai inciterais inciterait
+inciteras inciterez inciteriez inciterons inciteront incites incitez incitiez incitons incitât
+incitée incitées incités incivil inclina incline incliné incluais incluait inclue incluent inclues
+incluez incluiez incluons inclura inclurai incluras inclure inclurez incluse incluses inclusif
+inclusifs inclusion inclusive inclusse inclusses inclût incomba incombe incombé incongru inconnues
+inconnus incontestables incontournables incroyables incroyance incroyant incroyante incroyants
+incuba incubai incubas incube incuber incubes incubez incubât incubé incubée incubés incuit incuits
+inculpa inculpai inculpais inculpait inculpant inculpas inculpe inculpent inculper inculpera
+inculpes inculpez inculpiez inculpons inculpât inculpée inculpées inculpés inculqua inculque
+inculqué inculte incultes incurie incurva incurve incurvé incuse incuses indemne indemnes indemnisa
+indemnisai indemnisas indemnise indemniser indemnises indemnisez indemnisât indemnisé indemnisée
+indemnisés indexa indexage indexai indexais indexait indexant indexas indexe indexent indexer
+indexera indexes indexez indexiez indexons indexât indexée indexées indexés indican indicans
+indicatifs indicative indicatives indicent indicer indicera indicerai indiceras indicerez indicez
+indiciel indiciez indicé indicée indicées indicés indien indienne indiennes indifféra indifférai
+indifférais indifférait indifférant indifféras indifférence indifférences indifférencié indifférente
+indifférentes indifférents indifférer indifférera indifférerai indifféreras indifférerez indifférez
+indiffériez indifférons indifférât indifféré indifférée indifférées indifférés indigna indigne
+indigné indigo indigos indiqua indiquai indiquais indiquait indiquant indiquas indiquera indiquerai
+indiquerais indiquerait indiqueras indiquerez indiqueriez indiquerons indiqueront indiques indiquez
+indiquiez indiquons indiquât indiquée indiquées indiqués indirect indirectes indirects indium
+indiums indivis indivise indivises indiça indiçai indiças indiçât indonésien indonésienne
+indonésiens industrialisa industrialisai industrialisais industrialisait industrialisant
+industrialisas industrialise industrialisent industrialiser industrialisera industrialises
+industrialisez industrialisiez industrialisme industrialismes industrialisons industrialisât
+industrialisé industrialisée industrialisées industrieuse industrieux indéniables indépendances
+indéterminé indéterminées indéterminés inflationniste inflations influe influencent influencera
+influencerai influencerais influencerait influenceras influencerez influenceriez influencerons
+influenceront influences influencez influenciez influencée influencées influencés influent influente
+influentes influents influenza influenzas influença influençai influenças influençât influer
+influera influerai influeras influerez influes influez infondé informa informai informais informait
+informant informas informateur informatif informatifs informationnel informatisa informatisai
+informatisas informatise informatiser informatises informatisez informatisât informatisé
+informatisée informatisés informative informatives informe informel informelle informels informent
+informera informerai informerais informerait informeras informerez informeriez informerons
+informeront informes informez informiez informons informulé informât informée informées infrarouges
+infériez inférions ingrédient ingénier ingénierez ingénierie ingénieuse ingénieuses ingénieux
+ingéniez ingéniiez ingénions ingénié ingéniée ingéniées ingéniés initia initiai initiais initiait
+initiales initialisa initialise initialisé initiant initias initiasse initiateur initiation
+initiations initiatique initiaux initie initient initier initiera inities initiez initiiez initions
+initiât initié initiée initiées injecta injectai injectais injectait injectant injectas injecte
+injectent injecter injectera injectes injecteur injectez injectiez injections injectons injectât
+injecté injectée injectées injectés innombrable innovateur inquiéta inquiétai inquiétais inquiétait
+inquiétante inquiétantes inquiétants inquiétas inquiétasse inquiéter inquiétera inquiétez inquiétiez
+inquiétons inquiétude inquiétât inquiété inquiétée inquiétées inquiétés inscrira inscrirai inscriras
+inscrire inscrirez inscris inscrite inscrites inscrive inscrives inscrivez inscrivis inscrivit
+inscrivît insigne insinua insinue insinué insista insistai insistais insistait insistant insistas
+insistent insister insistera insisterai insisteras insisterez insistes insistez insistiez insistons
+insistât insisté inspira inspirai inspirais inspirait inspirant inspiras inspirateur inspirations
+inspirent inspirer inspirera inspirerai inspireras inspirerez inspires inspirez inspiriez inspirons
+inspirât inspirées inspirés instable installa installai installais installait installant installas
+installateur installent installera installerai installerais installerait installeras installerez
+installeriez installerons installeront installes installez installiez installons installât
+instantané instante instantes instants instar instaura instaure instauré instigua instigue instigué
+instilla instille instillé instinct institua instituai instituais instituait instituant instituas
+institue instituent instituer instituera institues instituez instituiez instituons institutes
+instituteur instituteurs institutionnel institutionnelle institutionnelles instituât institué
+instituée instituées institués instructif instructifs instruction instructive instructives
+instrumenta instrumentai instrumentais instrumentait instrumentant instrumentas instrumente
+instrumentent instrumenter instrumentera instrumentes instrumentez instrumentiez instrumentons
+instrumentât instrumenté instrumentée instrumentées instrumentés insuffisance insuffisances
+insuffisantes insuffisants intellect intellects intellectuelles intelligences intelligentes
+intelligentsia intelligentsias intenses intensif intensifs intensité intensive intenta intentai
+intentais intentait intentant intentas intente intentent intenter intentera intentes intentez
+intentiez intentionnel intentionné intentionnée intentionnés intentons intentât intenté intentée
+intentées intentés inter interactifs interaction interactions interactives intercommunal
+intercommunale intercommunaux interdictions interdira interdirai interdirais interdirait interdiras
+interdirent interdirez interdiriez interdirons interdiront interdis interdise interdises interdisse
+interdites interdits interdît interfaces interfère interféra interféré interna internai internais
+internait internant internas internat internationalisa internationalise internationalisé
+internationalité internats internent interner internera internerai interneras internerez internez
+interniez internons internât interné internée internées internés interprétatif interprétatifs
+interprétations interprétative interprétatives interrogatif interrogatifs interrogation
+interrogative interrogatives interroge interrogea interrogeai interrogeas interrogent interroger
+interrogera interroges interrogez interrogeât interrogiez interrogée interrogés interrompe
+interromps interrompt interrompu intervenais intervenait intervenant intervenante intervenantes
+intervenez interveniez intervenions intervenons intervenues intervenus interverti interviendra
+intervienne interviennes interviens interviewa interviewai interviewais interviewait interviewant
+interviewas interviewe interviewent interviewer interviewera interviewes intervieweur interviewez
+interviewiez interviewons interviews interviewât interviewé interviewée interviewées interviewés
+intervins intervint intervînt inti intima intimai intimais intimait intimant intimas intiment
+intimer intimera intimerai intimeras intimerez intimes intimez intimida intimide intimidé intimiez
+intimité intimons intimât intimé intimée intimées intimés intis intitula intitulai intitulais
+intitulait intitulant intitulas intitule intitulent intituler intitulera intitules intitulez
+intituliez intitulons intitulât intitulée intitulées intitulés intrados introducteur introductif
+introductifs introductive introductives introduira introduirai introduirais introduirait introduiras
+introduirez introduiriez introduirons introduiront introduis introduise introduises introduisez
+introduisis introduisit introduisît introduits intégra intégrai intégrais intégrait intégral
+intégrales intégralité intégrant intégrantes intégrants intégras intégrasse intégrateur intégrations
+intégraux intégrera intégrerai intégrerais intégrerait intégreras intégrerez intégreriez intégrerons
+intégreront intégrez intégriez intégrité intégrons intégrât intéressa intéressai intéressais
+intéressait intéressas intéressasse intéressera intéresserai intéresserais intéresserait
+intéresseras intéresserez intéresseriez intéresserons intéresseront intéresses intéressez
+intéressiez intéressons intéressât intérieures intérim intérimaires intérims intérêt inusité inusuel
+inutilisé inutilité invendu invendue invendus inventa inventai inventais inventait inventant
+inventas invente inventent inventer inventera inventes inventeur inventez inventiez inventif
+inventifs inventions inventive inventives inventons inventât inventée inventées inventés inversa
+inversai inversais inversait inversant inversas inversent inverser inversera inverserai inverseras
+inverserez inverses inverseur inverseurs inversez inversiez inversif inversifs inversion inversive
+inversons inversât inversé inversée inversées inversés inverti invertie invertir invertis invertit
+invertît investira investirai investirais investirait investiras investirent investirez investiriez
+investirons investiront investissais investissait investissant investisse investisses investisseuse
+investisseuses investissez investissiez investissons investiture investît inviolé invita invitai
+invitais invitait invitant invitas invitent inviter invitera inviterai inviteras inviterez invites
+invitez invitiez invitons invitât invitée invitées inédite inédites inédits inévitables irisa irisai
+irisais irisait irisant irisas irise irisent iriser irisera irises irisez irisiez irisons irisât
+irisé irisée irisées irisés irlandaise irlandaises islamiques islamisa islamisai islamisais
+islamisait islamisant islamisas islamise islamisent islamiser islamisera islamises islamisez
+islamisiez islamisme islamismes islamisons islamiste islamisât islamisé islamisée islamisées
+islamisés isola isolai isolais isolait isolant isolas isolat isolats isole isolent isoler isolera
+isoles isolez isoliez isoloir isolons isolât isolée isolées italique jacket jackets jacks jacobin
+jacobine jacobins jacobus jacobée jacobées jaconas jacot jacots jacquard jacquer jacquerie jacquet
+jacquets jacquier jacquot jacquots jacqué jacquée jacquées jacqués jambage jambe jambette jambier
+jambons jamboree jambose jamboses jambé jambée jambées jambés jans janv japonaiserie japonna
+japonnai japonnas japonne japonner japonnes japonnez japonnât japonné japonnée japonnés japons jarde
+jardes jardina jardinage jardinai jardinais jardinait jardinant jardinas jardine jardinent jardiner
+jardinera jardines jardinet jardinets jardineux jardinez jardinier jardiniez jardinons jardinât
+jardiné jardinée jardinées jardinés jardon jardons jargonna jargonnai jargonnas jargonne jargonner
+jargonnes jargonnez jargonnât jargonné jargons jaunet jaunets jaunette jauni jaunie jaunies jaunir
+jaunira jaunis jaunit jaunît javart javarts javas jazzman jazzmen jeannette jerseys jeteur jeteurs
+jeteuse jetez jettent jettera jetterai jetteras jetterez jettes jetée jetées jetés jeudis jeun
+jeunesses jeunet jeunets jeunette jeunot jeunots joies joindra joindrai joindrais joindrait joindras
+joindrez joindriez joindrons joindront joins jointe jointes jointif jointifs jointive jointoie
+jointoya jointoyé joints jointure joliesse joliesses jolis josephs joua jouable jouai jouais jouait
+joual jouas jouasse jouerai jouerais jouerait joueras jouerez joueriez jouerons joueront joues
+joueuse joueuses jouez joui jouiez jouions jouir jouira jouirai jouiras jouirez jouis jouissais
+jouissait jouissant jouisse jouisses jouisseur jouisseurs jouisseuse jouissez jouissiez jouissif
+jouissifs jouissive jouissons journalier journaliers journalisme journalismes journalière jouée
+jouées joués judicieuse judicieuses jugea jugeai jugeais jugeait jugeant jugeas jugements jugeons
+jugeote jugera jugerai jugerais jugerait jugeras jugerez jugeriez jugerons jugeront jugeur jugeurs
+jugeuse jugez jugeât juill julep juleps julien julienne juliens jupes jupette juridisme juriez
+jurions jurisprudences jurys jusqu jusque-là jusques justes justesses justices justicier justifia
+justifiai justifiais justifiait justifiant justifias justifiera justifierai justifierais
+justifierait justifieras justifierez justifieriez justifierons justifieront justifies justifiez
+justifiiez justifions justifiât justifiées justifiés krachs labelle labelles labels labeur labeurs
+lacuneuse lacuneux laina lainage lainai lainais lainait lainant lainas lainent lainer lainera
+lainerai laineras lainerez lainerie laines laineur laineurs laineuse laineux lainez lainier lainiez
+lainons lainât lainé lainée lainées lainés lais laissa laissai laissais laissait laissas laissasse
+laissera laisserai laisserais laisserait laisseras laisserez laisseriez laisserons laisseront
+laisses laissiez laissons laissât laissée laissées laissés laitage laiteux laitier laiton laitons
+laits laitue laitues laité laitée laitées laités lambda lambeau lambeaux lambel lambels lambic
+lambics lambin lambina lambine lambins lambiné lambris lampa lampai lampais lampait lampant lamparo
+lampas lampe lampent lamper lampera lamperai lamperas lamperez lampez lampiez lampion lampons
+lampyre lampât lampé lampée lampées lampés lancements lancera lancerai lancerais lancerait lanceras
+lancerez lanceriez lancerons lanceront lances lancette lanceur lanceurs lanceuse lancez lancier
+lanciez lancina lancine lanciné lancéolé langages langagier lange langea langeai langeas langent
+langer langera langes langez langeât langiez langoustier langoustiers langoustine langoustière
+languette langueur langueurs langueya langueyai langueyas langueye langueyer langueyes langueyez
+langueyât langueyé langueyée langueyés langui languide languie languier languies languir languira
+languis languit languît langé langée langées langés lapsus laque laquent laquer laquera laquerai
+laqueras laquerez laques laqueur laqueurs laqueuse laqueux laquez largage largesse largesses
+largeurs largo largos largua larguai larguas largue larguer largues larguez larguât largué larguée
+largués larme larmier larmoie larmoya larmoyé larron larrons lasers latin latines latinisa latinise
+latinisé latinité latins laurier lauré lauréat laurée laurées laurés lave lavent lavera laverai
+laverais laverait laveras laverez laverie laveries laveriez laverons laveront laves lavette laveur
+laveurs laveuse lavez leaderships leasings lectures lendemains lentes lenteurs lentigo lento lentos
+lents lettone lettrage lettrine lettré lettrée lettrées lettrés leurra leurrai leurras leurre
+leurrer leurres leurrez leurrât leurré leurrée leurrés levez leviers leviez levions levées levés
+liai liaient liais liaisonna liaisonnai liaisonnas liaisonne liaisonner liaisonnes liaisonnez
+liaisonnât liaisonné liaisonnée liaisonnés liait libella libellai libellais libellait libellant
+libellas libelle libellent libeller libellera libelles libellez libelliez libellons libellule
+libellât libellé libellée liber libers libertin libertine libertins liberty libertés libraire
+libraires librairies libretti libretto libéra libérable libérai libérais libérait libéralisa
+libéralisations libéralise libéralisé libéralité libérant libéras libérasse libérateur libérations
+libérera libérerai libérerais libérerait libéreras libérerez libéreriez libérerons libéreront
+libérez libérien libériez libérons libérât libérée libérées libérés lice licencia licenciai
+licenciais licenciait licenciant licencias licencie licencient licencier licenciera licencies
+licencieux licenciez licenciiez licencions licenciât licenciée licenciées licenciés lices lient
+lieudit lieue lieues lieur lieurs lieus lieuse lieuses ligna lignage lignai lignais lignait lignant
+lignard lignas lignent ligner lignera lignerai ligneras lignerez ligneul ligneuls ligneuse ligneux
+lignez ligniez lignine lignite lignons lignât ligné lignée lignées lignés ligua liguai liguais
+liguait liguant liguas liguent liguer liguera liguerai ligueras liguerez ligues ligueur ligueurs
+ligueuse liguez liguiez ligule ligules ligulé ligulée ligulés liguons ligure ligures liguât ligué
+liguée liguées ligués limier limiers limiez liminal limions limita limitable limitai limitais
+limitait limitas limitasse limitatif limitatifs limitations limitative limitatives limitera
+limiterai limiterais limiterait limiteras limiterez limiteriez limiterons limiteront limiteur
+limiteurs limitez limitiez limitons limitât liner liners linette linga lingam lingams lingas lingea
+lingeai lingeais lingeait lingeant lingeas lingent lingeons linger lingera lingerai lingerais
+lingerait lingeras lingerez lingeries lingeriez lingerions lingerons lingeront linges lingez lingeât
+lingiez lingot lingots lingual lingère lingé lingée lingées lingés linéaires linéal linéale linéales
+linéaux lionne lionnes lions liqueur liquida liquidai liquidais liquidait liquidant liquidas
+liquidateur liquidatif liquidatifs liquidations liquidative liquidatives liquident liquider
+liquidera liquiderai liquideras liquiderez liquidez liquidien liquidiens liquidiez liquidions
+liquidons liquidât liquidé liquidée liquidées liquidés lirez lissa lissage lissai lissais lissait
+lissant lissas lissent lisser lissera lisserai lisseras lisserez lisses lisseur lisseurs lisseuse
+lissez lissier lissiez lissoir lissons lissât lissé lissée lissées lissés lista listage listai
+listais listait listant listas listeau listeaux listel listels listent lister listera listerai
+listeras listerez listez listiez listing listons listât listé listée listées listés litiez litions
+litière litron litrons littéraires littéral littérale littérales littérateur littératures littéraux
+livra livrai livraient livrais livrait livrant livras livrera livrerai livrerais livrerait livreras
+livrerez livreriez livrerons livreront livresque livrets livreur livreurs livreuse livrez livriez
+livrons livrât livrée livrées liégea liégeai liégeais liégeait liégeant liégeas liégeoises liégeons
+liéger liégera liégerai liégeras liégerez liégez liégeât localisa localisateur localisations
+localise localisé localité locatif locatifs locations locative locatives loge logea logeai logeais
+logeait logeant logeas logent logeons logera logerai logerais logerait logeras logerez logeriez
+logerons logeront loges logette logeur logeurs logeuse logez logeât logicielle logicielles logicien
+logicienne logiciens logicisme logiez logions logiques logis logiste logistiques logos loisible
+londonien londrès longane longe longea longeai longeas longent longer longera longes longez longeât
+longiez longuet longuets longuette longueurs longé longée longées longés longévités looks lorsqu
+louent louera louerai louerais louerait loueras louerez loueriez louerons loueront loues loueur
+loueurs loueuse louez louiez louions loupa loupage loupai loupais loupait loupant loupas loupe
+loupent louper loupera loupes loupez loupiez loupiot loupons loups loupât loupé loupée loupées
+loupés loura lourai lourais lourait lourant louras lourda lourdai lourdais lourdait lourdant lourdas
+lourdaud lourdent lourder lourdera lourderai lourderas lourderez lourdeur lourdeurs lourdez lourdiez
+lourdons lourdât lourdé lourdée lourdées lourdés loure lourent lourer lourera loures lourez louriez
+lourons lourât louré lourée lourées lourés louva louvai louvaient louvais louvait louvant louvas
+louvasse louve louvent louver louvera louves louvet louveta louvets louveté louvez louviez louvoie
+louvons louvoya louvoyé louvât louvé louvée louvées louvés louée louées loués ludion ludions
+ludiques ludisme lumineuses luncha lunchai lunchais lunchait lunchant lunchas lunche lunchent
+luncher lunchera lunches lunchez lunchiez lunchons lunchs lunchât lunché lundis lunes lunetier
+lunette lunetterie lutta luttai luttais luttait luttant luttas luttent luttera lutterai lutterais
+lutterait lutteras lutterez lutteriez lutterons lutteront luttes lutteur lutteurs lutteuse luttez
+luttiez luttons luttât lutté luxent luxer luxera luxerai luxeras luxerez luxes luxez luxueuse
+luxueuses luxure luxures lyncha lynchage lynchai lynchais lynchait lynchant lynchas lynche lynchent
+lyncher lynchera lynches lyncheur lynchez lynchiez lynchons lynchât lynché lynchée lynchées lynchés
+lyonnaises légalisa légalise légalisé légalité légat légats légaux légendaires légendes légions
+législateurs législatif législatifs législations législative législatures légiste légitima légitimai
+légitimais légitimait légitimant légitimas légitiment légitimer légitimera légitimerai légitimeras
+légitimerez légitimes légitimez légitimiez légitimions légitimiste légitimités légitimons légitimât
+légitimé légitimée légitimées légitimés légua léguai léguais léguait léguant léguas léguer léguera
+léguez léguiez légume légumier légumine léguons léguât légué léguée léguées légués léonard léonin
+léonine léonins léonure léopard mach machaon machin machina machinai machinais machinait machinal
+machinale machinas machinaux machinaît machinent machiner machinera machinerai machineras machinerez
+machinerie machins machinât machiné machinée machinées machinés machisme macho machos madras madrier
+madriers madrigal madré madrée madrées madrés mafias mafiosi mafioso magasina magasinage magasinai
+magasinais magasinait magasinant magasinas magasine magasinent magasiner magasinera magasines
+magasinez magasinier magasiniez magasinons magasinât magasiné magasinée magasinées magasinés magies
+magiques magister magisters magistral magistrale magistrales magistrature magistraux magistère
+magnifia magnifiai magnifiais magnifiait magnifiant magnifias magnificat magnifie magnifient
+magnifier magnifiera magnifies magnifiez magnifiiez magnifions magnifiât magnifié magnifiée
+magnifiées magnifiés magnétiques magnétisa magnétisai magnétisas magnétise magnétiser magnétises
+magnétisez magnétisme magnétisât magnétisé magnétisée magnétisés magnétite magnétites maigrelet
+maigreur maigreurs maigri maigrie maigries maigriot maigrir maigrira maigris maigrit maigrît mail
+mailings mailla maillai maillas maille mailler mailles maillet maillez maillon maillot maillât
+maillé maillée maillés mails mainate maint mainte maintenais maintenait maintenances mainteneur
+maintenez mainteniez maintenions maintenons maintenues maintenus maintes maintiendra maintienne
+maintiennes maintiens maintins maintint maints maintînt maisonnée majesté major majora majorai
+majorais majorait majoral majorant majoras majorat majorations majorats majoraux majore majorent
+majorer majorera majores majorez majoriez majorions majoritaires majorités majorons majors majorât
+majorée majorées majorés malabar maladif maladifs maladive maladives malaga malaire malaires malais
+malaises malaisé malaisée malaisées malaisés malard malards malaria malart malarts malaxa malaxai
+malaxas malaxe malaxer malaxes malaxez malaxât malaxé malaxée malaxés malheureuse malheureuses
+malheurs mali malice malices malien maliens maligne malin malingre malinois malins malique malis
+mamans mana manade manades manage managea manageai manageais manageait manageant manageas
+managements managent manageons managera managerai managerais managerait manageras managerez
+manageriez managerons manageront manages managez manageât managiez managions managé managée managées
+managés manant manants manas mancheron manchette manchon manchons manchot manchote manchots mancie
+mancies manda mandai mandais mandait mandale mandales mandant mandante mandants mandarin mandas
+mandasse mandata mandatai mandatais mandatait mandatant mandatas mandate mandatent mandater
+mandatera mandates mandatez mandatiez mandatons mandatât mandaté mandatée mandatées mandatés mande
+mandent mander mandera mandes mandez mandiez mandons mandore mandrin mandât mandé mandée mandées
+mandés mange mangea mangeai mangeais mangeait mangeant mangeas mangent mangeons mangera mangerai
+mangerais mangerait mangeras mangerez mangeriez mangerons mangeront manges mangeur mangeure mangeurs
+mangeuse mangez mangeât mangiez mangue mangues mangé mangée mangées mangés manifesta manifestai
+manifestais manifestait manifestant manifestas manifestera manifesterai manifesterais manifesterait
+manifesteras manifesterez manifesteriez manifesterons manifesteront manifestes manifestez
+manifestiez manifestons manifestât manifestée manifestées manifestés manipula manipulai manipulais
+manipulait manipulant manipulas manipulateur manipulations manipule manipulent manipulera
+manipulerai manipulerais manipulerait manipuleras manipulerez manipuleriez manipulerons manipuleront
+manipules manipulez manipuliez manipulons manipulât manipulé manipulée manipulées manipulés
+mannequina mannequinai mannequinais mannequinait mannequinant mannequinas mannequine mannequinent
+mannequiner mannequinera mannequines mannequinez mannequiniez mannequinons mannequins mannequinât
+mannequiné mannequinée mannequinées mannequinés mannes mannite mannose manoeuvra manoeuvrai
+manoeuvrais manoeuvrait manoeuvrant manoeuvras manoeuvrent manoeuvrer manoeuvrera manoeuvrerai
+manoeuvreras manoeuvrerez manoeuvrez manoeuvrier manoeuvriez manoeuvrons manoeuvrât manoeuvré
+manoeuvrée manoeuvrées manoeuvrés manqua manquai manquaient manquais manquant manquante manquants
+manquas manquasse manquerai manquerais manquerait manqueras manquerez manqueriez manquerons
+manqueront manques manquez manquiez manquons manquât manquée manquées manqués mante manteaux
+mantelet mantelé mantelée mantelés mantes manuelle manuelles manuels maquilla maquillages maquillai
+maquillais maquillait maquillant maquillante maquillants maquillas maquillasse maquille maquillent
+maquiller maquillera maquilles maquilleur maquillez maquilliez maquillons maquillât maquillé
+maquillée maquillées maquillés marais maranta marante marasmes marasque maraud marauda maraude
+marauds maraudé marbra marbrai marbrais marbrait marbrant marbras marbrent marbrer marbrera
+marbrerai marbreras marbrerez marbrerie marbres marbreur marbreurs marbreuse marbrez marbrier
+marbriez marbrons marbrure marbrât marbré marbrée marbrées marbrés marcha marchai marchais marchait
+marchanda marchandage marchandai marchandais marchandait marchandant marchandas marchande
+marchandent marchander marchandera marchandes marchandez marchandiez marchandions marchandise
+marchandons marchandât marchandé marchandée marchandées marchandés marchant marchante marchantes
+marchantie marchants marchas marchasse marchent marchera marcherai marcherais marcherait marcheras
+marcherez marcheriez marcherons marcheront marches marcheur marcheurs marcheuse marchez marchiez
+marchons marchât marchéage marcs mardis margay margays margea margeai margeais margeait margeant
+margeas margelle margent margeons marger margera margerai margeras margerez margeur margeurs
+margeuse margez margeât margiez margina marginai marginais marginait marginale marginales
+marginalisa marginalise marginalisé marginalité marginant marginas marginasse marginaux margine
+marginent marginer marginera margines marginez marginiez marginons marginât marginé marginée
+marginées marginés margions margis margota margote margoté margé margée margées margés mariable
+mariai mariais mariait marial mariale mariales marials mariant mariante mariantes mariants marias
+mariasse mariaux marient mariera marierai marierais marierait marieras marierez marieriez marierons
+marieront maries marieur marieurs marieuse mariez marigot mariiez marina marinade marinage marinai
+marinais marinait marinant marinas marinent mariner marinera marinerai marineras marinerez marines
+marinez marinier mariniez marinons marins marinât mariné marinée marinées marinés mariole marions
+maris mariste marital maritale maritaux maritimes mariât mariées marketings marocain maronna maronne
+maronné marotte maroute marqua marquage marquai marquais marquait marquant marquas marquent marquera
+marquerai marquerais marquerait marqueras marquerez marqueriez marquerons marqueront marqueta
+marquetai marquetas marqueter marquetez marquette marquetât marqueté marquetée marquetés marqueur
+marqueurs marqueuse marquez marquiez marquis marquise marquoir marquons marquât marquées marqués
+marte marteau martel martela martelé martes martial martiale martiaux martien martiens martinet
+martinets martini martre martres martyr martyre martyrs martèle masculines masculinisa masculinise
+masculinisé masculinité masculins masqua masquage masquai masquais masquait masquant masquas
+masquent masquer masquera masquerai masqueras masquerez masquez masquiez masquons masquât masqué
+masquée masquées masqués massa massage massai massais massait massant massas massent masser massera
+masserai masseras masserez masses massette masseur masseurs masseuse massez massicot massier
+massiers massiez massifia massifiai massifias massifie massifier massifies massifiez massifiât
+massifié massifiée massifiés massions massique massives massière massons massue massues massât massé
+massée massées massés mastaba mastic mastics mastiff mastite mastoc matcha matchai matchais matchait
+matchant matchas matche matchent matcher matchera matches matchez matchiez matchons matchs matchât
+matché matchée matchées matchés mati matie maties matiez matinal matinale matinaux matine matinent
+matines matineux matinier matins matinée matinées mations matir matira matirai matiras matirez matis
+matisse matit matité matités matière matura maturai maturais maturait maturant maturas mature
+maturent maturer maturera matures maturez maturiez maturions maturités maturons maturât maturé
+maturée maturées maturés matérielle matérielles maure maures mauvaiseté mauvaisetés mauve mauves
+mauvis maxille maxima maximal maximales maximalisa maximalise maximalisé maximaux maxime maximes
+maximisa maximise maximisé maximums membrane membron membrons membru membrue membrues membrure
+membrus membré membrée membrées membrés mena menacent menacer menacera menacerai menaceras menacerez
+menacez menaciez menacée menacées menacés menai menais menait menant menas menasse menaça menaçai
+menaças menaçât meneau meneaux meneur meneurs meneuse menez mens mense menses mensuelles mensuels
+mensura mensurai mensuras mensure mensurer mensures mensurez mensurât mensuré mensurée mensurés ment
+mentais mentait mental mentale mentales mentant mentaux mente mentent mentes menteur mentez menthe
+menthes menthol menti mentie menties mentiez mentionna mentionnai mentionnais mentionnait
+mentionnant mentionnas mentionne mentionnent mentionnera mentionnerai mentionnerais mentionnerait
+mentionneras mentionnerez mentionneriez mentionnerons mentionneront mentionnes mentionnez
+mentionniez mentionnons mentionnât mentionné mentionnée mentionnées mentionnés mentions mentir
+mentira mentirai mentiras mentirez mentis mentisme mentisse mentit menton mentons mentor mentors
+mentît menue menues menuet menuets menuisa menuise menuisé menés mercerie mercier merciers mercis
+mercière mercredis mercure merrain merveilles merveilleuse merveilleuses mess messager messagerie
+messagers messagère messe messer messers messes messie messied messier messies messire messiée
+mesura mesurage mesurai mesurais mesurait mesurant mesuras mesurent mesurera mesurerai mesurerais
+mesurerait mesureras mesurerez mesureriez mesurerons mesureront mesureur mesureurs mesurez mesuriez
+mesurons mesurât mesuré mesurée mesurées mesurés mettable mettais mettait mettes metteurs metteuse
+metteuses mettez mettiez mettons mettrai mettrais mettrait mettras mettrez mettriez mettrons
+mettront meubla meublai meublais meublait meublant meublas meublent meubler meublera meublerai
+meubleras meublerez meublez meubliez meublons meublât meublé meublée meublées meublés meure meurent
+meures meurs meurtres meurtri meurtrie meurtrier meurtries meurtrir meurtrira meurtris meurtrit
+meurtrît meus mexicaines mexicains miche micheline michelines miches micheton microprocesseurs
+micros midis miellé miellée miellés miels mignard mignonne mignonnes mignonnet mignons mignota
+mignotai mignotas mignote mignoter mignotes mignotez mignotât mignoté mignotée mignotés milanais
+milans milice milices milita militai militaient militais militait militant militante militantes
+militas militasse milite militer milites militez militât milité millage millas milles millet millets
+milliaire milliasse millibar millième millénaires millésima millésimai millésimais millésimait
+millésimant millésimas millésiment millésimer millésimera millésimerai millésimeras millésimerez
+millésimes millésimez millésimiez millésimons millésimât millésimé millésimée millésimées millésimés
+minces minceur minceurs minci mincir mincira mincis mincit mincît minent miner minera minerai
+mineras minerez minerve minet minets minette mineure mineures minez mini minibus minicar minier
+miniers miniez minima minimal minimales minimaux minimes minimisa minimise minimisé minimums minions
+minis ministère minitel minium minière minora minorai minorais minorait minorant minoras minore
+minorent minorer minorera minores minorez minoriez minorions minorités minorons minorât minoré
+minorée minorées minorés minuit minuits minus minuta minutage minutai minutais minutait minutant
+minutas minutent minuter minutera minuterai minuteras minuterez minuterie minuteur minuteurs minutez
+minutie minutier minuties minutiez minutons minutât minuté minutée minutées minutés mira miracles
+miraculé mirador mirage mirages mirai mirais mirait mirant miras mirasse miro miroita miroitai
+miroitas miroite miroiter miroites miroitez miroitât miroité miroitée miroités mirons miros miroton
+misent miser misera miserai miseras miserez misez miss misse missel missels missent misses missiez
+missile missiles missive missives mixtion mixture mobilisa mobilisai mobilisais mobilisait
+mobilisant mobilisas mobilise mobilisent mobilisera mobiliserai mobiliserais mobiliserait
+mobiliseras mobiliserez mobiliseriez mobiliserons mobiliseront mobilises mobilisez mobilisiez
+mobilisons mobilisât mobilisé mobilisée mobilisées mobilisés mobilités mobilière modalité modela
+modelai modelas modeler modelez modelât modelé modelée modelés moderato modernisa modernisai
+modernisas modernisations modernise moderniser modernises modernisez modernisme moderniste
+modernisât modernisé modernisée modernisés modernités modestie modesties modifia modifiai modifiais
+modifiait modifiant modifias modificateur modificatif modificatifs modificative modificatives
+modifient modifiera modifierai modifierais modifierait modifieras modifierez modifieriez modifierons
+modifieront modifies modifiez modifiiez modifions modifiât modifiées modifiés modique modiste modula
+modulai modulais modulait modulant modulas modulent moduler modulera modulerai moduleras modulerez
+modulez moduliez modulons modulor modulors modulât modulé modulée modulées modulés modus modéra
+modérai modérais modérait modérant modéras modérateur modérations modérer modérera modérez modériez
+modérons modérât modérées modérés moelle moelles moelleuse moelleuses moellon moellons moine moineau
+moines moisa moisai moisais moisait moisant moisas moise moisent moiser moisera moises moisez moisi
+moisiez moisir moisira moisis moisit moisons moisson moisât moisé moisée moisées moisés moisît moita
+moitai moitais moitait moitant moitas moite moitent moiter moitera moites moiteur moitez moiti
+moitie moities moitiez moitions moitir moitira moitirai moitiras moitirez moitis moitisse moitit
+moitiés moitons moitât moité moitît molécule momentané momerie monacal monacale monacaux monade
+monades monda mondai mondain mondais mondait mondant mondas mondent monder mondera monderai monderas
+monderez mondez mondialisa mondialisations mondialise mondialisé mondiez mondions mondons mondât
+mondé mondée mondées mondés monel monels moniteurs monition monitor monitors monnaient monnaiera
+monnaierai monnaieras monnaierez monnaya monnayai monnayas monnaye monnayer monnayes monnayez
+monnayât monnayé monnayée monnayés monoplan monopoles monopolisa monopolise monopolisé monoprix
+monstres mont monta montages montagnard montagnette montagneuse montagneux montai montais montait
+montante montantes montas montasse montera monterai monterais monterait monteras monterez monteriez
+monterons monteront montes monteur monteurs monteuse montez montiez montoir montons montra montrai
+montrais montrait montrant montras montrera montrerai montrerais montrerait montreras montrerez
+montreriez montrerons montreront montreur montreurs montreuse montrez montriez montrons montrât
+montrée montrées montrés monts monture montât montées montés monument monumental monumentale
+monumentaux moraine moralisa moralise moralisé moralité morasse moraux morcela morcelai morcelas
+morceler morcelez morcelle morcelât morcelé morcelée morcelés morgua morguai morguas morgue morguer
+morgues morguez morguât morgué morguée morgués morose moroses morosités mort-né mortel mortelle
+mortels mortier mosan mosanes mosans motel motels motet motets motion motions motiva motivai motivas
+motive motiver motives motivez motivât motivé motivée motivés moto motorisa motorise motorisé
+motorship motos moula moulage moulai moulais moulait moulant moulas moule moulent mouler moulera
+moulerai mouleras moulerez mouleur mouleurs moulez mouliez moulina moulinage moulinai moulinais
+moulinait moulinant moulinas mouline moulinent mouliner moulinera moulines moulinet moulinets
+moulineur moulinez moulinier mouliniez moulinons moulins moulinât mouliné moulinée moulinées
+moulinés moulions moulière moulons moult moulu moulue moulues moulura moulure mouluré moulus moulut
+moulât moulé moulée moulées moulés moulût mourais mourait mourant mourez mouriez mourions mouroir
+mouron mourons mourra mourrai mourras mourre mourres mourrez mourus mourut mourût mous mousmé
+mousmés moussa moussai moussais moussait moussant moussas mousselines moussent mousser moussera
+mousserai mousseras mousserez mousseron mousses mousseuse mousseux moussez moussiez moussoir mousson
+moussons moussu moussue moussues moussus moussât moussé mouvementa mouvementai mouvementais
+mouvementait mouvementant mouvementas mouvemente mouvementent mouvementer mouvementera mouvementes
+mouvementez mouvementiez mouvementons mouvementât mouvementé mouvementée mouvementées mouvementés
+moyenna moyennai moyennais moyennait moyennas moyennasse moyennent moyenner moyennera moyennerai
+moyenneras moyennerez moyennez moyenniez moyennons moyennât moyenné moyennée moyennées moyennés
+moyette moyeu moyeux mozarabe multinational multinationaux multipare multiplex multiplexa
+multiplexai multiplexas multiplexe multiplexer multiplexes multiplexez multiplexât multiplexé
+multiplexée multiplexés multiplia multipliai multipliais multipliait multipliant multiplias
+multiplicateur multiplications multipliera multiplierai multiplierais multiplierait multiplieras
+multiplierez multiplieriez multiplierons multiplieront multiplies multipliez multipliiez multiplions
+multipliât multipliée multipliées multipliés multitube multitubes multitudes municipe munie munies
+munir munira munirai muniras munirez munis munisse munit musc muscade muscari muscat muscats muscla
+musclai musclais musclait musclant musclas muscle musclent muscler musclera musclerai muscleras
+musclerez musclez muscliez musclons musclât musclé musclée musclées musclés muscs muse museau
+museaux musela muselai muselas museler muselet muselez muselle muselât muselé muselée muselés musent
+muser musera muserai museras muserez muses musette musez musicales musicalité musicaux musicienne
+musiciennes musiez musions musiqua musiquai musiquais musiquait musiquant musiquas musiquent
+musiquer musiquera musiquerai musiqueras musiquerez musiquette musiquez musiquiez musiquons musiquât
+musiqué musiquée musiquées musiqués mustang musts musulman musulmane musulmanes musé muséum muséums
+mutations mutuel mutuelles mutuels mystérieuse mystérieuses mythiques mécanisa mécanisai mécanisais
+mécanisait mécanisant mécanisas mécanise mécanisent mécaniser mécanisera mécanises mécanisez
+mécanisiez mécanisons mécaniste mécanistes mécanisât mécanisé mécanisée mécanisées mécanisés
+médailla médaillai médaillais médaillait médaillant médaillas médaillent médailler médaillera
+médaillerai médailleras médaillerez médailles médailleur médailleurs médaillez médaillier médailliez
+médaillon médaillons médaillât médaillé médaillée médaillées médaillés médecines médersa médial
+médiale médiales médian médiane médianes médians médiante médiastin médiat médiation médiations
+médiatiques médiatisa médiatisai médiatisas médiatise médiatiser médiatises médiatisez médiatisât
+médiatisé médiatisée médiatisés médiator médiats médiaux médicalisa médicalise médicalisé
+médicamenta médicamentai médicamentais médicamentait médicamentant médicamentas médicamente
+médicamentent médicamenter médicamentera médicamentes médicamenteux médicamentez médicamentiez
+médicamentons médicamentât médicamenté médicamentée médicamentées médicamentés médina médinas
+médiocrité médique médira médirai médiras médire médirez médis médisa médisai médisas médise médiser
+médises médisez médisse médisât médisé médit médita méditai méditas médite méditer méditerrané
+méditerranéen méditerranéenne méditerranéens méditerranées méditerranés médites méditez médits
+méditât médité méditée médités médium médiums médius méfia méfiai méfiais méfiait méfiances méfiant
+méfiante méfiantes méfiants méfias méfiasse mélaena mélangea mélangeai mélangeais mélangeait
+mélangeant mélangeas mélangent mélangeons mélangera mélangerai mélangerais mélangerait mélangeras
+mélangerez mélangeriez mélangerons mélangeront mélanges mélangeur mélangeurs mélangeuse mélangez
+mélangeât mélangiez mélangé mélangée mélangées mélangés mélanine mélanome mélanose mélasse mélia
+mélias mélilot mélique mélisse mélisses mélitte mélodie mélodieuse mélodieux mélodique mélodiste
+ménade ménades ménagea ménageai ménageais ménageait ménageant ménageas ménagent ménageons ménager
+ménagera ménagerai ménagerais ménagerait ménageras ménagerez ménagerie ménageries ménageriez
+ménagerons ménageront ménagez ménageât ménagiez ménagère ménagé ménagée ménagées ménagés méprend
+méprisa méprisai méprisais méprisait méprisant méprisas méprise méprisent mépriser méprisera
+méprises méprisez méprisiez méprisons méprisse méprisses méprisât méprisé méprisée méprisées
+méprisés méprit méprît mérinos mérita méritai méritais méritait méritant méritas mériter méritera
+mériterai mériteras mériterez mérites méritez méritiez méritons méritât mérité méritée méritées
+mérités méta métallisa métallisai métallisas métallise métalliser métallises métallisez métallisât
+métallisé métallisée métallisés métallo métallos métas métayer méthane méthyle métis métissa métisse
+métissé métra métrage métrai métrais métrait métrant métras métrer métrera métreur métrez métriez
+métrite métrons métros métrât métré métrée métrées métrés naissain naissains naissais naissait
+naissances naissant naissante naissantes naissants napoléonien napoléons nappa nappage nappai
+nappais nappait nappant nappas nappe nappent napper nappera napperai napperas napperez napperon
+nappez nappiez nappons nappât nappé nappée nappées nappés natice natices natif natifs nationalisa
+nationalisai nationalisas nationalise nationaliser nationalises nationalisez nationalisme
+nationaliste nationalisât nationalisé nationalisée nationalisés nationalités native natives natures
+navigable navigant navigante navigants navigateur navigations navigua navigue navigué neigea
+neigeait neiger neigera neiges neigeuse neigeux neigeât neigé nerveuse nerveuses nervi nervin
+nervins nervis nervura nervure nervuré nettes netteté nettetés nettoie nettoies nettoya nettoyages
+nettoyai nettoyais nettoyait nettoyant nettoyante nettoyants nettoyas nettoyasse nettoyeur
+nettoyeurs nettoyeuse nettoyez nettoyiez nettoyons nettoyât nettoyé nettoyée nettoyées nettoyés
+neutres neutrino neutron neutrons nicha nichai nichais nichait nichant nichas nichent nicher nichera
+nicherai nicheras nicherez nichet nichets nichez nichiez nichoir nichon nichons nichât niché nichée
+nichées nichés nickela nickelage nickelai nickelais nickelait nickelant nickelas nickeler nickelez
+nickeliez nickelle nickelles nickelons nickels nickelât nickelé nickelée nickelées nickelés nicol
+nicols niera nierai nierais nierait nieras nierez nieriez nierons nieront nippa nippai nippais
+nippait nippant nippas nippe nippent nipper nippera nippes nippez nippiez nippone nippones nipponnes
+nippât nippé nippée nippées nippés nivela nivelage nivelai nivelais nivelait nivelant nivelas
+niveler niveleur nivelez niveliez nivelle nivellent nivellera nivellerai nivelleras nivellerez
+nivelons nivelât nivelé nivelée nivelées nivelés noblesses nobliau noctule noctules nocturnes
+noiraud noirci noircie noircir noircis noircit noircît nombra nombrai nombrais nombrait nombrant
+nombras nombrent nombrer nombrerai nombres nombreuse nombrez nombriez nombril nombrils nombrons
+nombrât nombré nombrée nombrées nombrés nominal nominales nominalisa nominalise nominalisé nominatif
+nominatifs nominations nominative nominatives nominaux nomma nommai nommais nommait nommant nommas
+nomment nommera nommerai nommerais nommerait nommeras nommerez nommeriez nommerons nommeront nommes
+nommez nommiez nommons nommât nommée nommées nommés nordi nordir nordira nordis nordit nordît
+normalien normalisa normalise normalisé normand normande normands normatif normaux normé normée
+normées normés nostalgies nostalgique nota notable notai notaient notaires notairesse notais notait
+notant notarié notas notasse notent noterai noterais noterait noteras noterez noteriez noterons
+noteront notez notice notices notiez notifia notifie notifié notionnel notoire notoriétés nourrain
+nourri nourrice nourrices nourrie nourries nourrirent nourrirrai nourris nourrisse nourrît
+nouveau-né nove novembres novent nover novera noverai noveras noverez noves novez noya noyade
+noyades noyai noyais noyait noyant noyas noyasse noyauta noyautai noyautas noyaute noyauter noyautes
+noyautez noyautât noyauté noyautée noyautés noyaux nuage nuageuse nuageux nuancent nuancer nuancera
+nuancerai nuanceras nuancerez nuancez nuanciez nuancé nuancée nuancées nuancés nuant nuança nuançai
+nuanças nuançât nucléa nucléai nucléaient nucléais nucléait nucléant nucléas nucléasse nuite nuites
+nuitée nullard nulles nullité numéral numérale numéraux numérisa numérisai numérisas numérise
+numériser numérises numérisez numérisât numérisé numérisée numérisés numérota numérotai numérotas
+numérote numéroter numérotes numérotez numérotât numéroté numérotée numérotés nécessita nécessitai
+nécessitais nécessitait nécessitant nécessitas nécessiter nécessitera nécessiterai nécessiteras
+nécessiterez nécessites nécessiteuse nécessiteux nécessitez nécessitiez nécessitons nécessitât
+nécessitée nécessitées nécessités négateur négation négations négaton négatons néglige négligea
+négligeables négligeai négligeais négligeait négligeant négligeante négligeants négligeas
+négligeasse négligence négligent négligente négligents négligeons négligera négligerai négligerais
+négligerait négligeras négligerez négligeriez négligerons négligeront négliges négligez négligeât
+négligiez négligé négligée négligées négligés négoces négocia négociai négociais négociait négociant
+négocias négociateur négocient négociera négocierai négocierais négocierait négocieras négocierez
+négocieriez négocierons négocieront négocies négociez négociiez négocions négociât négociée
+négociées négociés négondo objecta objectai objectais objectait objectal objectale objectant
+objectas objectaux objecte objectent objecter objectera objectes objecteur objectez objectiez
+objection objections objectiva objectivai objectivais objectivait objectivant objectivas objectivent
+objectiver objectivera objectiverai objectiveras objectiverez objectives objectivez objectiviez
+objectivité objectivons objectivât objectivé objectivée objectivées objectivés objectons objectât
+objecté objectée objectées objectés obligatoires obligea obligeai obligeais obligeait obligeant
+obligeas obligent obligeons obliger obligera obligerai obligeras obligerez obliges obligez obligeât
+obligiez obligées obliqua oblique obliqué observa observai observais observait observant observas
+observateur observent observera observerai observerais observerait observeras observerez observeriez
+observerons observeront observes observez observiez observons observât observée observées observés
+obtenais obtenait obtenant obtenez obteniez obtenions obtenons obtenues obtiendra obtienne obtiennes
+obtiens obtins obtint occase occases occasionna occasionnai occasionnas occasionne occasionnel
+occasionner occasionnes occasionnez occasionnât occasionné occasionnée occasionnés occident
+occidentalisa occidentalise occidentalisé occidents occulta occulte occulté occupa occupai
+occupaient occupais occupante occupantes occupas occupasse occupera occuperai occuperais occuperait
+occuperas occuperez occuperiez occuperons occuperont occupes occupez occupiez occupons occupât
+occupées octroi octroie octroies octrois octroya octroyai octroyais octroyait octroyant octroyas
+octroyer octroyez octroyiez octroyons octroyât octroyée octroyées octroyés oeillet oeuf oeuvra
+oeuvrai oeuvrais oeuvrait oeuvrant oeuvras oeuvrent oeuvrer oeuvrera oeuvrerai oeuvreras oeuvrerez
+oeuvrez oeuvriez oeuvrons oeuvrât oeuvré oeuvé oeuvée oeuvées oeuvés offensa offensai offensais
+offensait offensant offensas offense offensent offenser offensera offenses offenseur offensez
+offensiez offensif offensifs offensions offensives offensons offensât offensé offensée offensées
+offensés offices officia officiai officiais officiait official officiant officias officiaux officie
+officient officier officiera officierai officieras officierez officiers officies officieuse
+officieux officiez officiiez officinal officine officines officions officiât officié offraient
+offrais offrande offrandes offrante offrantes offrants offreur offreurs offreuse offrez offriez
+offrions offrira offrirai offrirais offrirait offriras offrirent offrirez offririez offrirons
+offriront offris offrisse offrit offrons offrît oignit oignon oignonade oiseau oisela oiselai
+oiselas oiseler oiselet oiselez oiselle oiselât oiselé oiselée oiselés oiseuse oiseux olivaie olive
+olives olivette olivettes oliviers olivine olivines olympiade olympien olympiens olympisme ombra
+ombrage ombragé ombrai ombrais ombrait ombrant ombras ombrelle ombrent ombrer ombrera ombrerai
+ombreras ombrerez ombres ombrette ombreuse ombreux ombrez ombrien ombriez ombrine ombrons ombrât
+ombré ombrée ombrées ombrés onde ongle onglet onglets onglette onglier onglon onglons onglé onglée
+onglées onglés onéreuse onéreuses opina opinai opinais opinait opinant opinas opine opinent opiner
+opinera opines opinez opiniez opinons opinât opiné opportune opportunes opportunisme opportuniste
+opportuns opposa opposai opposais opposait opposant opposas opposent opposer opposera opposerai
+opposeras opposerez opposes opposez opposiez opposite oppositionnel oppositions opposons opposât
+opposée opposées opposés optent optera opterai opterais opterait opteras opterez opteriez opterons
+opteront optes optez optiez optima optimal optimales optimalisa optimalise optimalisé optimaux
+optimisa optimisai optimisais optimisait optimisant optimisas optimise optimisent optimiser
+optimisera optimises optimisez optimisiez optimismes optimisons optimisât optimisé optimisée
+optimisées optimisés optimum optimums optionnel opéra opérai opérais opérait opérant opéras
+opérationnelles opérera opérerai opérerais opérerait opéreras opérerez opéreriez opérerons opéreront
+opérette opérez opériez opérons opérât opérée opérées opérés oracles ordinal ordinale ordinales
+ordinand ordinands ordination ordinaux oreillard oreiller oreillers oreillette oreillon oreillons
+organdi organdis organeau organeaux organique organisa organisai organisais organisait organisant
+organisas organisateur organisationnel organisera organiserai organiserais organiserait organiseras
+organiserez organiseriez organiserons organiseront organises organisez organisiez organisons
+organiste organistes organisât organite organites organsin orgasme oriel oriels orient orienta
+orientable orientai orientais orientait oriental orientales orientant orientas orientasse
+orientateur orientations orientaux oriente orientent orienter orientera orientes orienteur orientez
+orientiez orientons orients orientât orientées origan origans originaires originalités originel
+originelle originels orignal oscilla oscillai oscillais oscillait oscillant oscillas oscillent
+osciller oscillera oscillerai oscilleras oscillerez oscilles oscillez oscilliez oscillons oscillât
+oscillé oubli oublia oubliai oubliais oubliait oubliant oublias oublient oubliera oublierai
+oublierais oublierait oublieras oublierez oublieriez oublierons oublieront oublies oubliette
+oublieuse oublieux oubliez oubliiez oublions oublis oubliât oubliée oubliées oubliés outilla
+outillai outillas outille outiller outilles outillez outillât outillé outillée outillés outra
+outrage outragé outrai outrais outrait outrant outras outremer outrent outrer outrera outrerai
+outreras outrerez outres outrez outriez outrons outrât outré outrée outrées outrés ouvertures ouvra
+ouvrable ouvragea ouvrageai ouvrageais ouvrageait ouvrageant ouvrageas ouvragent ouvrageons ouvrager
+ouvragera ouvragerai ouvrageras ouvragerez ouvragez ouvrageât ouvragiez ouvragé ouvragée ouvragées
+ouvragés ouvrai ouvrais ouvrait ouvrante ouvrantes ouvrants ouvras ouvrasse ouvreau ouvreaus ouvrent
+ouvrer ouvrera ouvrerai ouvreras ouvrerez ouvres ouvreur ouvreurs ouvreuse ouvrez ouvriez ouvrions
+ouvrira ouvrirai ouvrirais ouvrirait ouvriras ouvrirent ouvrirez ouvririez ouvrirons ouvriront
+ouvris ouvrisse ouvrit ouvrière ouvroir ouvrons ouvrât ouvré ouvrée ouvrées ouvrés ouvrît pacifia
+pacifiai pacifiais pacifiait pacifiant pacifias pacifie pacifient pacifier pacifiera pacifies
+pacifiez pacifiiez pacifions pacifiques pacifisme pacifiste pacifiât pacifié pacifiée pacifiées
+pacifiés pack packs pactes pactisa pactise pactisé pactole pagea pageai pageais pageait pageant
+pageas pagel pagels pagent pageons pageot pageota pageote pageots pageoté pager pagera pagerai
+pageras pagerez pagez pageât paiera paierai paieras paierez paierie paies pailla paillage paillai
+paillais paillait paillant paillard paillas paillent pailler paillera paillerai pailleras paillerez
+pailles paillet pailleta pailletai pailletas pailleter pailletez paillets paillette pailletât
+pailleté pailletée pailletés pailleuse pailleux paillez pailliez paillis paillon paillons paillot
+paillote paillots paillât paillé paillée paillées paillés paires pairesse pairie pairies pairle
+pairles paisibles palabra palabre palabré palace palaces paladin palan palans palatal palatin pale
+paleron pales palet paletot paletots palets paletta palettai palettais palettait palettant palettas
+palettent paletter palettera paletterai paletteras paletterez palettes palettez palettiez palettisa
+palettise palettisé palettons palettât paletté palettée palettées palettés palma palmai palmais
+palmait palmant palmas palment palmer palmera palmerai palmeras palmerez palmes palmette palmez
+palmier palmiez palmite palmons palmure palmât palmé palmée palmées palmés panic panics paniers
+paniez panifia panifie panifié panions paniqua paniquai paniquais paniquait paniquant paniquard
+paniquas paniquent paniquer paniquera paniquerai paniqueras paniquerez paniques paniquez paniquiez
+paniquons paniquât paniqué paniquée paniquées paniqués panière panna pannai pannais pannait pannant
+pannas panneauta panneautai panneautas panneaute panneauter panneautes panneautez panneautât
+panneauté panneautée panneautés pannent panner pannera pannerai panneras pannerez pannes panneton
+pannez panniez pannons pannât panné pannée pannées pannés panoplies pantalons papable papal papale
+papales papas papauté papaux papaver papaye papayer papayes papaïne papegai papes papesse papi
+papille papion papions papis papisme papiste paquebot paquetage paqueteur para parada paradai
+paradais paradait paradant paradas parade paradent parader paradera parades paradeur paradez
+paradiez paradigme paradions paradisier paradons parados paradoxal paradoxale paradoxaux paradoxes
+paradât paradé parafa parafai parafas parafe parafer parafes parafez parafât parafé parafée parafés
+parage parages parai parais paraissaient paraissais paraissant paraisse paraisses paraissez
+paraissiez paraissons parait parant parapet parapha paraphe paraphé paras parasol parasse paraît
+parcage parcella parcelle parcellé parcourais parcourait parcourant parcoure parcourent parcoures
+parcourez parcouriez parcourions parcourons parcourra parcourrai parcourras parcourrez parcourt
+parcourue parcourues parcourus parcourusse parcourut parcourût pare pareilles pareils parental
+parentale parentaux parente parentes parenté parentés parer parera parerai pareras parerât pares
+paressa paresse paressé pareur pareurs pareuse parez parfaire parfais parfaites parfaits parfasse
+parfera parfila parfile parfilé parfis parfit parfond parfonde parfonds parfondu parfont parfuma
+parfumai parfumais parfumait parfumant parfumas parfume parfument parfumer parfumera parfumes
+parfumeur parfumez parfumiez parfumons parfumât parfumé parfumée parfumées parfumés parfît paria
+pariade pariage pariai pariais pariait parian parians pariant parias parie parient pariera parierai
+parierais parierait parieras parierez parieriez parierons parieront paries parieur parieurs parieuse
+pariez parigot pariiez parions parisiennes parisiens parisis parités pariât parié pariée pariées
+pariés parka parkas parkinson parla parlai parlaient parlais parlante parlantes parlants parlas
+parlasse parlementa parlementai parlementaient parlementais parlementait parlementant parlementas
+parlementasse parlemente parlementent parlementer parlementera parlementes parlementez parlementiez
+parlementons parlements parlementât parlementé parlera parlerai parlerais parlerait parleras
+parlerez parleriez parlerons parleront parles parleur parleurs parleuse parlez parliez parloir
+parlons parlota parlote parloté parlât parlée parlées parlés parme parodia parodie parodié paroi
+parois paroli parolier parons paros parqua parquai parquais parquait parquant parquas parque
+parquent parquer parquera parquerai parqueras parquerez parques parqueta parquetage parquetai
+parquetais parquetait parquetant parquetas parqueter parqueteur parquetez parquetiez parquetons
+parquets parquette parquettes parquetât parqueté parquetée parquetées parquetés parqueur parqueurs
+parqueuse parquez parquiez parquons parquât parqué parquée parquées parqués partagea partageai
+partageais partageait partageant partageas partageons partagera partagerai partagerais partagerait
+partageras partagerez partageriez partagerons partageront partages partageur partageurs partageuse
+partageux partagez partageât partagiez partagée partagées partais partait partance partances
+partante partantes partants parte partenariats parterre partes partez partial partiale partiaux
+participa participai participais participait participante participantes participas participasse
+participatif participatifs participative participatives participera participerai participerais
+participerait participeras participerez participeriez participerons participeront participes
+participez participial participiez participons participât particularisa particularisai
+particularisas particularise particulariser particularises particularisez particularisme
+particulariste particularisât particularisé particularisée particularisés particularités particule
+particulière partielles partiels partiez partions partira partirai partirais partirait partiras
+partirent partirez partiriez partirons partiront partisan partisane partisanes partisse partisses
+partit partitif parton partons partouse partouses partouze partouzes partît parue parues parulie
+parure parures parus parusse parut parutions parvenais parvenait parvenant parvenez parveniez
+parvenions parvenons parvenues parviendra parvienne parviennes parviens parvins parvint parvis
+parvînt pascales pascaux passa passable passade passades passagère passai passaient passais passante
+passantes passants passas passasse passerage passerages passerai passerais passerait passeras
+passereau passerez passeriez passerine passerons passeront passes passeur passeurs passeuse passez
+passible passiez passifs passim passionna passionnai passionnais passionnait passionnante
+passionnantes passionnants passionnas passionnasse passionne passionnel passionnels passionnent
+passionner passionnera passionnes passionnez passionniez passionnons passionnât passionnée
+passionnées passive passives passons passât patiences patienta patientai patientais patientait
+patientant patientas patiente patientent patientera patienterai patienterais patienterait
+patienteras patienterez patienteriez patienterons patienteront patientes patientez patientiez
+patientons patientât patienté patina patinai patinas patine patiner patines patinez patinât patiné
+patinée patinés patio patios patrice patrices patriciat patricien patriclan patrie patries
+patrimoines patriote patriotiques patriotisme patronage patronages patronal patronale patronats
+patronaux patronna patronnai patronnas patronne patronner patronnes patronnez patronnât patronné
+patronnée patronnés patronyme paulien pausa pausai pausais pausait pausant pausas pausent pauser
+pausera pauserai pauseras pauserez pauses pausez pausiez pausons pausât pausé pauvresse pauvresses
+pauvret pauvrets pauvrette pauvrettes pauvretés pavillons pavée pavées pavés paya payable payai
+payais payait payantes payants payas payasse payements payent payera payerai payerais payerait
+payeras payerez payeriez payerons payeront payes payeur payeurs payeuse payez paysager paysagers
+paysagère paysan paysannat paysanne paysannes payse payses peaussa peausse peaussé peina peinai
+peinais peinait peinant peinard peinas peindra peindre peinent peiner peinera peinerai peineras
+peinerez peinez peiniez peinons peins peinte peintes peints peintura peinturai peinturais peinturait
+peinturant peinturas peinturent peinturer peinturera peinturerai peintureras peinturerez peinturez
+peinturiez peinturons peinturât peinturé peinturée peinturées peinturés peinât peiné peinée peinées
+peinés pelons pelota pelotage pelotai pelotais pelotait pelotant pelotari pelotas pelote pelotent
+peloter pelotera pelotes peloteur pelotez pelotiez pelotonna pelotonnai pelotonnas pelotonne
+pelotonner pelotonnes pelotonnez pelotonnât pelotonné pelotonnée pelotonnés pelotons pelotât peloté
+pelotée pelotées pelotés pelouse pencha penchai penchais penchait penchant penchas penchent penchera
+pencherai pencherais pencherait pencheras pencherez pencheriez pencherons pencheront penches penchez
+penchiez penchons penchât penché penchée penchées penchés pend pendable pendage pendages pendais
+pendait pendante pendantes pendants pendard pendards pende pendent pendes pendez pendiez pendis
+pendit pendoir pendons pendra pendrai pendras pendre pendrez pends pendu pendue pendues pendula
+pendule pendulé pendus pendît pensa pensable pensai pensaient pensais pensant pensante pensants
+pensas pensasse pensera penserai penserais penserait penseras penserez penseriez penserons penseront
+penses penseur penseurs penseuse pensiez pensif pensifs pensionna pensionnai pensionnais pensionnait
+pensionnant pensionnas pensionnat pensionnats pensionne pensionnent pensionner pensionnera
+pensionnes pensionnez pensionniez pensionnons pensionnât pensionné pensionnée pensionnées pensive
+pensives pensum pensums pensât pensées pensés pentane pente pentes pentode pentose pentu pentue
+pentues penture pentus percale perce percent percept percepteur perceptibles perceptif perceptifs
+perceptions perceptive perceptives percepts percera percerai percerais percerait perceras percerez
+perceriez percerons perceront perces perceur perceurs perceuse percevais percevait percevant
+percevez perceviez percevons percevra percevrai percevras percevrez percez percha perchai perchas
+perche percher perches perchez perchis perchât perché perchée perchés perciez perclus percuta
+percute percuté percé percées percés perdable perdais perdait perdante perdantes perdants perde
+perdes perdez perdiez perdis perdit perdons perdra perdrai perdrais perdrait perdras perdreau
+perdreaux perdrez perdriez perdrix perdrons perdront perds perdues perdura perdurai perduras perdure
+perdurer perdures perdurez perdurât perduré perdît perfectible perfectif perfectifs perfectionna
+perfectionnai perfectionnas perfectionne perfectionner perfectionnes perfectionnez perfectionnât
+perfectionné perfectionnée perfectionnés perfections perfective perfectives performatif perla perlai
+perlais perlait perlant perlas perlent perler perlera perlerai perleras perlerez perlez perlier
+perliez perlon perlons perlot perlots perlât perlé perlée perlées perlés permanences permanenta
+permanentai permanentais permanentait permanentant permanentas permanentent permanenter permanentera
+permanenterai permanenteras permanenterez permanentes permanentez permanentiez permanentons
+permanentât permanenté permanentée permanentées permanentés permets permettaient permettais permette
+permettes permettez permettiez permettons permettrai permettraient permettrais permettras permettrez
+permettriez permettrons permien permiens permise permises permisse permisses permissif permit
+permuta permute permuté permît perquisition perquisitionna perquisitionnai perquisitionnas
+perquisitionne perquisitionner perquisitionnes perquisitionnez perquisitionnât perquisitionné
+perquisitionnée perquisitionnés pers persan persane persans perse persel persels perses persicot
+persifla persifle persiflé persilla persillai persillas persille persiller persilles persillez
+persillât persillé persillée persillés persils persista persistai persistais persistait persistant
+persistas persistent persister persistera persisterai persisteras persisterez persistes persistez
+persistiez persistons persistât persisté personnalisa personnalisai personnalisas personnalise
+personnaliser personnalises personnalisez personnalisme personnaliste personnalisât personnalisé
+personnalisée personnalisés perspectif perspectifs persuada persuadai persuadais persuadait
+persuadant persuadas persuade persuadent persuader persuadera persuades persuadez persuadiez
+persuadons persuadât persuadée persuadées persuadés persuasif pertinences pertinent pertinente
+pertinentes pertinents pertuis perverse perverses perversion perversité perverti pervertie pervertir
+pervertis pervertit pervertît pesa pesade pesades pesage pesages pesai pesais pesait pesante
+pesantes pesanteur pesants pesas pesasse pesetas pesette pesettes peseur peseurs peseuse pesez peson
+pesons pesos pessimismes pesée pesées pesés petiot petiote petiots petitesse petitesses peupla
+peuplade peuplai peuplais peuplait peuplant peuplas peuplent peupler peuplera peuplerai peupleras
+peuplerez peuplez peuplier peupliez peuplons peuplât peuplé peuplée peuplées peuplés peureux peurs
+pharaon phare pharmacienne pharmaciennes pharmaciens pharmacies pharynx phasme phasmes philippin
+philippine philippins philippique philo philos philosopha philosophai philosophais philosophait
+philosophale philosophant philosophas philosophe philosophent philosopher philosophera philosophes
+philosophez philosophies philosophiez philosophions philosophique philosophisme philosophons
+philosophât philosophé philtre photographia photographiai photographiais photographiait
+photographiant photographias photographient photographier photographiera photographierai
+photographieras photographierez photographiez photographiiez photographions photographiques
+photographiât photographié photographiée photographiées photographiés photon photons photostat
+phrasa phrasai phrasais phrasait phrasant phrasas phrasent phraser phrasera phraserai phraseras
+phraserez phraseur phraseurs phraseuse phrasez phrasiez phrasons phrasât phrasé phrasée phrasées
+phrasés pian pianistes pianos pianota pianotai pianotas pianote pianoter pianotes pianotez pianotât
+pianoté pianotée pianotés pians pica picador picage picages picard picarde picards picarel picas
+pierra pierrai pierrais pierrait pierrant pierras pierrent pierrer pierrera pierrerai pierreras
+pierrerez pierreuse pierreux pierrez pierrier pierriez pierrons pierrot pierrots pierrât pierré
+pierrée pierrées pierrés pilent piler pilera pilerai pileras pilerez pilet pilets pileur pileurs
+pileuse pileux pilez pilier piliez pilions pilon pilonna pilonne pilonné pilons pilori piloris
+pilota pilotages pilotai pilotais pilotait pilotant pilotas pilotasse pilotent piloter pilotera
+piloterai piloteras piloterez pilotez pilotiez pilotin pilotins pilotis pilotons pilotât piloté
+pilotée pilotées pilotés pilou pilous pionna pionnai pionnais pionnait pionnant pionnas pionne
+pionnent pionner pionnera pionnes pionnez pionniez pionnions pionnière pionnons pionnât pionné pires
+piscines pista pistage pistai pistais pistait pistant pistard pistas pistent pister pistera pisterai
+pisteras pisterez pisteur pisteurs pistez pistiez pistil pistils pistole piston pistons pistou
+pistous pistât pisté pistée pistées pistés placage placard placebo placebos placenta placentas
+placera placerai placerais placerait placeras placerez placeriez placerons placeront placet placets
+placette placeur placeurs placeuse placez placide placier placiez plafonds plafonna plafonnai
+plafonnas plafonne plafonner plafonnes plafonnez plafonnât plafonné plafonnée plafonnés plagal
+plagale plagaux plagia plagiai plagias plagiat plagie plagier plagies plagiez plagiât plagié plagiée
+plagiés plaid plaida plaidai plaidais plaidait plaidant plaidas plaident plaider plaidera plaiderai
+plaideras plaiderez plaides plaideur plaideurs plaideuse plaidez plaidiez plaidons plaids plaidât
+plaidé plaidée plaidées plaidés plaie plaies plaignais plaignait plaignant plaigne plaignes plaignez
+plaigniez plaignis plaignit plaignons plaignît plaina plainai plainais plainait plainant plainas
+plaindra plaindrai plaindrais plaindrait plaindras plaindrez plaindriez plaindrons plaindront plaine
+plainent plainer plainera plaines plainez plainiez plainons plains plaint plaintif plaintifs
+plaintive plaints plainât plainé plainée plainées plainés plaira plairai plairais plairait plairas
+plairez plairiez plairons plairont plais plaisais plaisait plaisant plaise plaisent plaises plaisez
+plaisiez plaisions plaisons plana planage planai planais planait planant planas plancha planchai
+planchais planchait planchant planchas planchent planchera plancherai plancherais plancherait
+plancheras plancherez plancheriez plancherons plancheront planchers planchette planchez planchiez
+planchons planchât planché planchéia planchéie planchéié plancton plane planent planer planera
+planes planeur planez planiez planificateur planifications plannings planoir planons planqua planque
+planqué plant planta plantage plantai plantain plantais plantait plantant plantas plantent planter
+plantera planterai planteras planterez planteur planteurs planteuse plantez plantiez plantoir
+planton plantons plants plantule plantât planté plantée plantées plantés planât planète planèze
+plané planée planées planés planétaires plaqua plaquage plaquai plaquais plaquait plaquant plaquas
+plaquent plaquer plaquera plaquerai plaqueras plaquerez plaquette plaqueur plaqueurs plaqueuse
+plaquez plaquiez plaquons plaquât plaqué plaquée plaquées plaqués plastic plastics plastie plasties
+plastifia plastifie plastifié plastigel plastiqua plastiquage plastiquai plastiquais plastiquait
+plastiquant plastiquas plastiquent plastiquer plastiquera plastiquerai plastiqueras plastiquerez
+plastiqueur plastiqueurs plastiquez plastiquiez plastiquons plastiquât plastiqué plastiquée
+plastiquées plastiqués plastisol platane plate plateaux plates platina platine platiné platée
+platées pleines plomba plombage plombai plombais plombait plombant plombas plombe plombent plomber
+plombera plombes plombeur plombez plombier plombiez plomboir plombons plombs plombure plombât plombé
+plombée plombées plombés plommée plongea plongeai plongeais plongeait plongeant plongeas plongent
+plongeoir plongeon plongeons plongera plongerai plongerais plongerait plongeras plongerez plongeriez
+plongerons plongeront plonges plongeur plongeurs plongeuse plongez plongeât plongiez plongées
+plongés pluies pluma plumage plumai plumais plumait plumant plumard plumas plumeau plumeaux plument
+plumer plumera plumerai plumeras plumerez plumet plumetis plumets plumeté plumetée plumetés plumeur
+plumeurs plumeuse plumeux plumez plumier plumiez plumons plumule plumât plumé plumée plumées plumés
+plusse plusses pneu pneumo pneumos pocha pochade pochai pochais pochait pochant pochard pochas
+pochent pocher pochera pocherai pocheras pocherez pochette pochetée pocheuse pochez pochiez pochoir
+pochon pochons pochât poché pochée pochées pochés poignais poignait poignant poignard poigne
+poignent poignes poignet poignets poignez poigniez poignis poignit poignons poignées poignît poila
+poilai poilais poilait poilant poilas poile poilent poiler poilera poiles poilez poiliez poilons
+poils poilu poilue poilues poilus poilât poilé poilée poilées poilés poindra poindre poing poings
+poins pointa pointage pointai pointais pointait pointal pointant pointas pointaux pointeau pointeaux
+pointent pointer pointera pointerai pointeras pointerez pointeur pointeurs pointeuse pointez
+pointiez pointons pointu pointue pointues pointure pointus pointât pointé pointée pointées pointés
+poinçon pois poise poises poison poisons poissa poissai poissais poissait poissant poissard poissas
+poisse poissent poisser poissera poisses poisseux poissez poissiez poissât poissé poissée poissées
+poissés poivra poivrade poivrai poivrais poivrait poivrant poivras poivrent poivrer poivrera
+poivrerai poivreras poivrerez poivres poivrez poivrier poivriez poivron poivrons poivrot poivrote
+poivrots poivrât poivré poivrée poivrées poivrés poli policeman policemen policent policer policera
+policerai policeras policerez policez policiez policions policière policé policée policées policés
+polie polies polio polios polir polira polirai poliras polirez polis polisse polit politicien
+politicienne politiciennes politiqua politiquai politiquais politiquait politiquant politiquas
+politiquent politiquer politiquera politiquerai politiqueras politiquerez politiquez politiquiez
+politiquons politiquât politiqué politiquée politiquées politiqués politisa politisai politisas
+politise politiser politises politisez politisât politisé politisée politisés poliça poliçai poliças
+poliçât pollutions polo polonaise polonaises polonium polos polyesters polémiqua polémiquai
+polémiquais polémiquait polémiquant polémiquas polémiquent polémiquer polémiquera polémiquerai
+polémiqueras polémiquerez polémiques polémiquez polémiquiez polémiquons polémiquât polémiqué
+polémiste pomma pommada pommade pommadé pommai pommais pommait pommant pommard pommas pommeau
+pommeaux pommela pommelai pommelas pommeler pommelez pommelle pommelât pommelé pommelée pommelés
+pomment pommer pommera pommerai pommeras pommerât pommette pommeté pommetée pommetés pommez pommier
+pommiez pommons pommât pommé pompa pompage pompai pompais pompait pompant pompas pompent pomper
+pompera pomperai pomperas pomperez pompette pompeur pompeurs pompeuse pompeux pompez pompier pompiez
+pompile pompon pompons pompât pompé pompée pompées pompés pondérateur pondérations ponta pontage
+pontai pontais pontait pontant pontas ponte pontent ponter pontera pontes pontet pontets pontez
+pontier pontiez pontife pontil pontils ponton pontons pontât ponté pontée pontées pontés populace
+populaces populage populages popularisa popularisai popularisas popularise populariser popularises
+popularisez popularisât popularisé popularisée popularisés popularités porcelaines porcelainier
+porche porcher porches porcin porcine porcins porcs porta portage portages portai portaient portail
+portails portais portance portances portante portantes portants portas portasse portatif porterai
+porterais porterait porteras porterez porterie porteries porteriez porterons porteront porteuse
+porteuses portez portier portiez portion porto portons portor portors portos portraitura portraiture
+portraituré portugaise portugaises portulan portune portunes portât portées posera poserai poserais
+poserait poseras poserez poseriez poserons poseront poses poseur poseurs poseuse posez posiez
+posions positionna positionnai positionnais positionnait positionnant positionnas positionne
+positionnent positionnera positionnerai positionnerais positionnerait positionneras positionnerez
+positionneriez positionnerons positionneront positionnes positionnez positionniez positionnons
+positionnât positionné positionnée positionnées positionnés positon positons positron possesseur
+possessif possessifs possessionnel possessions possessive possessives posséda possédai possédaient
+possédais possédant possédante possédants possédas possédasse possédera posséderai posséderais
+posséderait posséderas posséderez posséderiez posséderons posséderont possédez possédiez possédons
+possédât possédé possédée possédées possédés posta postage postai postais postait postal postale
+postant postas postaux postent poster postera posterai posteras posterez posters postez postier
+postiez postons postula postule postulé posture postât posté postée postées postés posés potentat
+potentats potentielles potentille poucier pouding poudra poudrage poudrai poudrais poudrait poudrant
+poudras poudrent poudrer poudrera poudrerai poudreras poudrerez poudrerie poudres poudrette
+poudreuse poudreux poudrez poudrier poudriez poudroie poudrons poudroya poudroyé poudrât poudré
+poudrée poudrées poudrés poulain poulbot poule poules poulets poulette poulettes poulie poulies
+poulina pouline pouliné pouliot poulot poulote poulots poulpe poulpes pouls poupes poupin poupine
+poupins poupon poupons poupée poupées pourcentages pourpra pourpre pourpré pourrai pourrais pourras
+pourri pourrie pourries pourriez pourrir pourrira pourris pourrit pourrons pourrît poursuis
+poursuivais poursuivait poursuivant poursuive poursuives poursuiveur poursuiveurs poursuivez
+poursuivie poursuivies poursuiviez poursuivions poursuivis poursuivisse poursuivit poursuivons
+poursuivrai poursuivrais poursuivrait poursuivras poursuivrez poursuivriez poursuivrons poursuivront
+poursuivît pourtour pourvoi pourvoie pourvoir pourvois pourvoit pourvue pourvues pourvus pourvusse
+pourvut pourvût poussa poussage poussah poussahs poussai poussais poussait poussant poussas poussera
+pousserai pousserais pousserait pousseras pousserez pousseriez pousserons pousseront pousses
+poussette pousseur pousseurs poussez poussier poussiez poussif poussifs poussin poussine poussins
+poussive poussoir poussons poussât poussées poussés pouvais pouviez poésies poétiques poétisa
+poétisai poétisas poétise poétiser poétises poétisez poétisât poétisé poétisée poétisés pratiqua
+pratiquai pratiquais pratiquait pratiquante pratiquantes pratiquants pratiquas pratiquasse
+pratiquera pratiquerai pratiquerais pratiquerait pratiqueras pratiquerez pratiqueriez pratiquerons
+pratiqueront pratiquez pratiquiez pratiquons pratiquât pratiquées premier-né première prenable
+prenaient prenais prenante prenantes prenants prendrai prendrais prendrait prendras prendrez
+prendriez prendrons prendront preneurs preniez prennes prescripteur prescriptible prescriptions
+pressa pressage pressai pressais pressait pressant pressas pressens pressent pressente pressenti
+presser pressera presserai presseras presserez presses presseur presseurs presseuse pressez pressier
+pressiers pressiez pressing pressings pressoir pressons pressura pressure pressuré pressât pressée
+pressées pressés prestant preste prestes prestiges prestigieuses presto preux prima primage primages
+primai primaient primaires primais primait primant primas primasse primat primate primates primatie
+primats primauté priment primer primera primerai primeras primerez primeur primeurs primez primidi
+primiez primons primordiale primordiales primordiaux primât primé primée primées primés princeps
+princes princesses princier princiers principalat principalats principat principats principauté
+principautés princière prions priorat priorats prioritaires prisa prisai prisais prisait prisant
+prisas prisent priser prisera priserai priseras priserez priseur priseurs priseuse prisez prisiez
+prisme prismes prisons prisse prisses prisât prisé prisée prisées prisés priva privai privais
+privait privant privas prive privent priver privera prives privez priviez privilégia privilégiai
+privilégiais privilégiait privilégiant privilégias privilégient privilégiera privilégierai
+privilégierais privilégierait privilégieras privilégierez privilégieriez privilégierons
+privilégieront privilégies privilégiez privilégiiez privilégions privilégiât privons privât
+probabilisme probabiliste probabilités probables probant probante probants problématiques processif
+processifs procession processive procréa procrée procréé proctite procura procurai procurais
+procurait procurant procuras procurera procurerai procureras procurerât procures procureurs procurez
+procuriez procurons procurât procuré procurée procurées procurés procède procès procéda procédai
+procédais procédait procédant procédas procédera procéderai procéderais procéderait procéderas
+procéderez procéderiez procéderons procéderont procédez procédiez procédons procédurier procédât
+prodige productible productif productifs productive productives productivités produira produirai
+produirais produirait produiras produirez produiriez produirons produiront produis produisais
+produisait produisant produise produises produisez produisiez produisis produisit produisons
+produisît prof profana profane profané professa professai professais professait professant professas
+professe professent professer professera professerai professeras professerez professes professez
+professiez professionnalismes professons professât professé professée professées professés profila
+profilage profilai profilais profilait profilant profilas profilent profiler profilera profilerai
+profileras profilerez profiles profilez profiliez profilons profilât profilé profilée profilées
+profilés profita profitai profitais profitait profitant profitas profiterai profiterais profiterait
+profiteras profiterez profiteriez profiterole profiterons profiteront profites profiteur profiteurs
+profiteuse profitez profitiez profitons profitât profondeurs profonds profs profus profuse profère
+profès proféra proféré programma programmai programmais programmait programmant programmas
+programmateur programmations programment programmer programmera programmerai programmeras
+programmerez programmeur programmeurs programmeuse programmez programmiez programmons programmât
+programmé programmée programmées programmés progressa progressai progressais progressait progressant
+progressas progressent progressera progresserai progresserais progresserait progresseras
+progresserez progresseriez progresserons progresseront progresses progressez progressiez progressifs
+progressions progressisme progressiste progressives progressivité progressons progressât proies
+projeta projetai projetais projetait projetant projetas projeter projeteur projetez projetiez
+projetons projettent projettera projetterai projetteras projetterez projettes projetât projeté
+projetée projetées projetés prolo prologue prolongea prolongeai prolongeais prolongeait prolongeant
+prolongeas prolongent prolongeons prolongera prolongerai prolongerais prolongerait prolongeras
+prolongerez prolongeriez prolongerons prolongeront prolonges prolongez prolongeât prolongiez
+prolongées prolongés prolos promena promenai promenais promenait promenant promenas promenasse
+promener promeneur promenez promeniez promenoir promenons promenât promené promenée promenées
+promenés promets promettais promettait promettant promette promettent promettes prometteuses
+promettez promettiez promettons promettra promettrai promettras promettre promettrez promeus promeut
+promeuve promise promises promisse promisses promit promo promos promotionnel promouvais promouvait
+promouvant promouvez promouviez promouvons promouvra promouvrai promouvras promouvrez prompt prompte
+prompts promu promus promut promène promît promût pronom pronoms prononce prononcent prononcera
+prononcerai prononcerais prononcerait prononceras prononcerez prononceriez prononcerons prononceront
+prononces prononcez prononciez prononcées prononcés prononça prononçai prononças prononçât propage
+propagé propane propices propolis proportionna proportionnai proportionnas proportionne
+proportionnel proportionnelles proportionnels proportionnent proportionner proportionnera
+proportionnerai proportionneras proportionnerez proportionnes proportionnez proportionnât
+proportionné proportionnée proportionnés proposa proposable proposai proposaient proposais proposas
+proposasse proposerai proposerais proposerait proposeras proposerez proposeriez proposerons
+proposeront proposes proposez proposiez propositionnel proposât propret proprets proprette propreté
+propretés proprio proprios propène prospect prospecta prospectai prospectais prospectait prospectant
+prospectas prospecte prospectent prospecter prospectera prospectes prospecteur prospectez
+prospectiez prospectif prospectifs prospection prospective prospectons prospects prospectât
+prospecté prospectée prospectées prospectés prospéra prospérai prospérais prospérait prospérant
+prospéras prospérer prospérera prospérez prospériez prospérions prospérités prospérons prospérât
+prospéré protagoniste protase prote protecteur protections protes protide protocoles protons
+prototypage protège protèle protéase protée protées protégea protégeai protégeais protégeait
+protégeant protégeas protégeons protégera protégerai protégerais protégerait protégeras protégerez
+protégeriez protégerons protégeront protégez protégeât protégiez protégées protéide protéine protêt
+protêts prou proue proues prouva prouvai prouvais prouvait prouvant prouvas prouvent prouvera
+prouverai prouverais prouverait prouveras prouverez prouveriez prouverons prouveront prouves prouvez
+prouviez prouvons prouvât prouvée prouvées prouvés provenais provenait provenances provende
+provendes provenez proveniez provenir provenons provenu provenue provenues provenus provençal
+proviendra provienne proviennes proviens provigna provigne provigné provin provincialat
+provincialats provinciale provinciales provinciaux provins provinsse provint proviseur provisionnel
+provisoires provisorat provo provocateur provocations provoqua provoquai provoquais provoquait
+provoquant provoquas provoquera provoquerai provoquerais provoquerait provoqueras provoquerez
+provoqueriez provoquerons provoqueront provoques provoquez provoquiez provoquons provoquât provoquée
+provoquées provoqués provos proximal proximale proximaux proximités prude prudences prudentes
+pruderie prudes préalables préau préaux préavisa préavisai préavisais préavisait préavisant
+préavisas préavise préavisent préaviser préavisera préavises préavisez préavisiez préavisons
+préavisât préavisé préavisée préavisées préavisés précautionna précautionnai précautionnas
+précautionne précautionner précautionnes précautionnez précautionnât précautionné précautionnée
+précautionnés préciput précisa précisai précisais précisait précisant précisas précisent précisera
+préciserai préciserais préciserait préciseras préciserez préciseriez préciserons préciseront
+précisez précisiez précisions précisons précisât précisée précisées précisés précité précitée
+précités précoces précocité précompta précomptai précomptais précomptait précomptant précomptas
+précomptent précompter précomptera précompterai précompteras précompterez précomptes précomptez
+précomptiez précomptons précomptât précompté précomptée précomptées précomptés préconçu précuit
+précède précéda précédai précédais précédait précédant précédas précéder précédera précéderai
+précéderas précéderez précédez précédiez précédons précédât précédée précédées précédés prédicat
+prédilections prédiqua prédique prédiqué prédira prédirai prédiras prédire prédirez prédis prédise
+prédises prédisse prédite prédites prédits prédécesseurs prédît préface préfacé préfaça préfet
+préfets préfixa préfixe préfixé préfère préféra préférables préférai préférais préférait préférant
+préféras préférasse préférences préférera préférerai préférerais préférerait préféreras préférerez
+préféreriez préférerons préféreront préférez préfériez préférât préférée préférées préférés
+préjudices préjudicia préjudiciai préjudicias préjudicie préjudiciel préjudicier préjudicies
+préjudiciez préjudiciât préjudicié prématurité prématurée prématurées prématurés prénomma prénommai
+prénommas prénomme prénommer prénommes prénommez prénommât prénommé prénommée prénommés prénoms
+préoccupa préoccupai préoccupais préoccupait préoccupant préoccupas préoccupent préoccuper
+préoccupera préoccuperai préoccuperas préoccuperez préoccupes préoccupez préoccupiez préoccupons
+préoccupât préoccupé préoccupée préoccupées préoccupés prépaie prépaies prépara préparai préparais
+préparait préparant préparas préparateur préparatifs préparera préparerai préparerais préparerait
+prépareras préparerez prépareriez préparerons prépareront prépares préparez prépariez préparons
+préparât préparée préparées prépaya prépayai prépayas prépaye prépayer prépayes prépayez prépayât
+prépayé prépayée prépayés préposa prépose préposé prépuce prés présage présagé présences présenta
+présentable présentai présentaient présentais présentas présentasse présentateur présentations
+présenterai présenterais présenterait présenteras présenterez présenteriez présenterons présenteront
+présentez présentiez présentoir présentons présentât préserva préservai préservais préservait
+préservant préservas préserve préservent préservera préserverai préserverais préserverait
+préserveras préserverez préserveriez préserverons préserveront préserves préservez préserviez
+préservons préservât préservé préservée préservées préservés présida présidai présidais présidait
+présidant présidas présidences présidentes présidentiel présidentielles présidentiels présider
+présidera présiderai présideras présiderez présides présidez présidial présidiez présidium présidons
+présidât présidé présidée présidées présidés présuma présume présumé présura présure présuré
+prétendais prétendait prétendant prétende prétendes prétendez prétendiez prétendis prétendit
+prétendons prétendra prétendrai prétendrais prétendrait prétendras prétendrez prétendriez
+prétendrons prétendront prétends prétendu prétendue prétendues prétendus prétendît préteur préteurs
+préteuse prétexta prétextai prétextais prétextait prétextant prétextas prétextent prétexter
+prétextera prétexterai prétexteras prétexterez prétextes prétextez prétextiez prétextons prétextât
+prétexté prétextée prétextées prétextés prévale prévales prévalez prévalu prévalue prévalus prévalut
+prévalût prévaudra prévaux prévenais prévenait prévenant prévenez préveniez prévenions prévenons
+préventif préventifs préventions préventives prévenue prévenues préverbe préviendra prévienne
+préviennes préviens prévins prévint prévis prévisibles prévisionnel prévisse prévisses prévit
+prévoie prévoies prévoira prévoirai prévoirais prévoirait prévoiras prévoirez prévoiriez prévoirons
+prévoiront prévois prévoyaient prévoyais prévoyance prévoyances prévoyante prévoyantes prévoyants
+prévoyez prévoyiez prévînt prévît prévôt prévôts prévôté psychologies psychologiques psychologisme
+psychologues publia publiai publiais publiait publiant publias publicain publiciste publient
+publiera publierai publierais publierait publieras publierez publieriez publierons publieront
+publies publiez publiiez publions publiât puceau puceaux puceron puisa puisage puisai puisais
+puisait puisant puisard puisas puise puisent puiser puisera puises puisez puisiez puisons puissances
+puissantes puisses puissiez puisât puisé puisée puisées puisés pureau pureaux purent pures puretés
+purées putsch putschs pédagogie pédagogies pédagogiques pédophile pédophiles pédophilies pékinois
+pékins pékiné pékinée pékinées pékinés pénales pénalisa pénalise pénalisé pénalité pénard pénarde
+pénards pénates pénaux pénibles péniche pénien péniens pénil pénils pénis pénuries pénétra pénétrai
+pénétrais pénétrait pénétrant pénétras pénétrations pénétrera pénétrerai pénétrerais pénétrerait
+pénétreras pénétrerez pénétreriez pénétrerons pénétreront pénétrez pénétriez pénétrons pénétrât
+pénétré pénétrée pénétrées pénétrés pérenne pérennes pérennisa pérennisai pérennisas pérennise
+pérenniser pérennises pérennisez pérennisât pérennisé pérennisée pérennisés pérennités péri péridot
+périgée périls périma périmai périmas périme périmer périmes périmez périmât périmé périmée périmés
+périnée périoste périphéries périphérique périple périr périra périrai périras périrez péris périsse
+périt péroné péronés pérora pérorai péroras pérore pérorer pérores pérorez pérorât péroré pérot
+pérots pétrel pétrels pétreux pétri pétrie pétries pétrin pétrins pétrir pétrira pétris pétrit
+pétroles pétrolette pétroleuse pétrolière pétré pétrée pétrées pétrés pétrît quais qualifia
+qualifiai qualifiais qualifiait qualifiant qualifias qualificatif qualificatifs qualifications
+qualificative qualificatives qualifient qualifiera qualifierai qualifierais qualifierait qualifieras
+qualifierez qualifieriez qualifierons qualifieront qualifies qualifiez qualifiiez qualifions
+qualifiât qualifiées quanta quantifia quantifie quantifié quantième quantum quarantaines quark
+quarks quarra quarrai quarras quarre quarrer quarres quarrez quarrât quarré quarrée quarrés quarta
+quartage quartagé quartai quartais quartait quartant quartas quartaut quarte quartent quarter
+quartera quartes quartez quartidi quartidis quartiez quartile quartiles quartions quarto quartons
+quartz quartât quarté quartée quartées quartés quasar quasars quasimodo quasis quassia quater
+quatrain quatuor quelconques questeur questionna questionnai questionnas questionne questionner
+questionnes questionnez questionnât questionné questionnée questionnés questure queues queusot
+queuta queutai queutas queute queuter queutes queutez queutât queuté queux quiche quiches quichua
+quinaud quine quines quinine quinoa quinoas quint quintal quinte quintes quinto quinzaines quiné
+quinée quinées quinés quitta quittai quittais quittait quittant quittas quittera quitterai
+quitterais quitterait quitteras quitterez quitteriez quitterons quitteront quittes quittez quittiez
+quittons quittât quittée quittées quittés quitus quoique quota quotas quotidiennes quotidienneté
+quotidiennetés quotient quotités quotta quottai quottas quotte quotter quottes quottez quottât
+quotté racheta rachetable rachetai rachetais rachetait rachetas rachetasse rachetez rachetiez
+rachetons rachetât rachetées rachetés rachis rachète racial raciale raciaux racina racinage racinai
+racinais racinait racinal racinant racinas racinaux racine racinent raciner racinera racinerai
+racineras racinerez racinez racinien raciniez racinons racinât raciné racinée racinées racinés
+racisme raciste racola racolai racolas racole racoler racoles racolez racolât racolé racolée racolés
+raconta racontai racontais racontait racontant racontar racontars racontas racontent racontera
+raconterai raconterais raconterait raconteras raconterez raconteriez raconterons raconteront
+racontes raconteur raconteurs raconteuse racontez racontiez racontons racontât raconté racontée
+racontées racontés racorni radia radiai radiais radiait radial radiale radian radians radiant radias
+radiateur radiatif radiatifs radiations radiative radiatives radiaux radicales radicalisa radicalise
+radicalisé radicant radicante radicants radicaux radie radient radier radiera radies radieux radiez
+radiiez radin radina radinai radinas radine radiner radines radinez radins radinât radiné radinée
+radinés radions radios radis radium radiums radius radiât radié radiée radiées radiés raffina
+raffinages raffinai raffinais raffinait raffinant raffinas raffinasse raffine raffinements raffinent
+raffiner raffinera raffines raffineur raffinez raffiniez raffinons raffinât raffinées raffinés
+raffola raffole raffolé raffut raffuts raffûta raffûte raffûté ragea rageai rageais rageait rageant
+rageas ragent rageons rager ragera ragerai rageras ragerez rages rageur rageurs rageuse ragez rageât
+railla raillai raillas raille railler railles raillez raillât raillé raillée raillés rais raisin
+raisiné raisinés raisonna raisonnai raisonnais raisonnait raisonnant raisonnas raisonnasse raisonne
+raisonnements raisonner raisonnes raisonnez raisonnât raisonné raisonnée raisonnés ralentie
+ralenties ralentira ralentirai ralentirais ralentirait ralentiras ralentirent ralentirez ralentiriez
+ralentirons ralentiront ralentis ralentisse ralentissements ralentit ralentît rame rameau rameaux
+ramena ramenai ramenais ramenait ramenant ramenas ramenda ramendai ramendas ramende ramender
+ramendes ramendez ramendât ramendé ramendée ramendés ramenez rameniez ramenons rament ramenât
+ramenée ramenées ramenés ramer ramera ramerai rameras ramerez ramerot rames ramette rameur rameurs
+rameuse rameuta rameute rameuté rameux ramez range rangea rangeai rangeais rangeait rangeant rangeas
+rangements rangent rangeons rangera rangerai rangerais rangerait rangeras rangerez rangeriez
+rangerons rangeront ranges rangez rangeât rangiez rangé rangée rangées rangés rapiat rapiate rapiats
+rapidités rapin rapina rapinai rapinas rapine rapiner rapines rapinez rapins rapinât rapiné rapinée
+rapinés rapièce rapière rapiécé rapiéça rappela rappelai rappelais rappelait rappelant rappelas
+rappelez rappeliez rappellera rappellerai rappelleras rappellerez rappelles rappels rappelât
+rappelée rappelées rappelés rapporta rapportage rapportai rapportais rapportait rapportant rapportas
+rapportera rapporterai rapporterais rapporterait rapporteras rapporterez rapporteriez rapporterons
+rapporteront rapportes rapporteur rapporteurs rapporteuse rapportez rapportiez rapportons rapportât
+rapportée rapportées rapportés rappris rapprit rapprocha rapprochai rapprochais rapprochait
+rapprochant rapprochas rapprochements rapprochent rapprochera rapprocherai rapprocherais
+rapprocherait rapprocheras rapprocherez rapprocheriez rapprocherons rapprocheront rapproches
+rapprochez rapprochiez rapprochons rapprochât rapproché rapprochée rapprochées rapprochés rapprît
+raretés rassembla rassemblai rassemblais rassemblait rassemblant rassemblas rassemblent rassemblera
+rassemblerai rassemblerais rassemblerait rassembleras rassemblerez rassembleriez rassemblerons
+rassembleront rassembles rassembleur rassembleurs rassembleuse rassemblez rassembliez rassemblons
+rassemblât rassemblé rassemblée rassemblées rassemblés rassura rassurai rassurais rassurait
+rassurante rassurantes rassurants rassuras rassurasse rassure rassurent rassurera rassurerai
+rassurerais rassurerait rassureras rassurerez rassureriez rassurerons rassureront rassures rassurez
+rassuriez rassurons rassurât rassuré rassurée rassurées rassurés rate ratel ratels ratent ratera
+raterai raterais raterait rateras raterez rateriez raterons rateront rates ratez ratier ratiers
+ratiez ratifia ratifie ratifié ratina ratinage ratinai ratinais ratinait ratinant ratinas ratine
+ratinent ratiner ratinera ratines ratinez ratiniez ratinons ratinât ratiné ratinée ratinées ratinés
+ration rational rationalisations rationna rationne rationné rations ratissa ratisse ratissé ratière
+rattrapa rattrapable rattrapages rattrapai rattrapais rattrapait rattrapant rattrapas rattrapasse
+rattrape rattrapent rattrapera rattraperai rattraperais rattraperait rattraperas rattraperez
+rattraperiez rattraperons rattraperont rattrapes rattrapez rattrapiez rattrapons rattrapât rattrapé
+rattrapée rattrapées rattrapés ratée ratées ratés rayonna rayonnai rayonnas rayonne rayonnements
+rayonner rayonnes rayonnez rayonnât rayonné rayonnée rayonnés rebella rebellai rebellais rebellait
+rebellant rebellas rebelle rebellent rebeller rebellera rebellerai rebelleras rebellerez rebellez
+rebelliez rebellons rebellât rebellé rebellée rebellées rebellés reboisa reboise reboisé rebondi
+rebondir rebondira rebondis rebondit rebonds rebondît rebord reborda reborde rebords rebordé rebours
+rebouta reboute rebouté recel recela recelai recelas receler recelez recels recelât recelé recelée
+recelés recensa recense recensé recepa recepai recepas receper recepez recepât recepé recepée
+recepés recevais recevait recevant receveur recevez receviez recevons recevrai recevrais recevrait
+recevras recevrez recevriez recevrons recez rechercha recherchai recherchais recherchait recherchant
+recherchas recherchera rechercherai rechercherais rechercherait rechercheras rechercherez
+rechercheriez rechercherons rechercheront recherchez recherchiez recherchons recherchât recherchée
+recherchées recherchés recoin recoins recola recolai recolas recole recoler recoles recolez recolla
+recolle recollé recolât recolé recolée recolés recommanda recommandai recommandais recommandait
+recommandant recommandas recommandent recommandera recommanderai recommanderais recommanderait
+recommanderas recommanderez recommanderiez recommanderons recommanderont recommandes recommandez
+recommandiez recommandons recommandât recommandées recommandés recommence recommencent recommencera
+recommencerai recommencerais recommencerait recommenceras recommencerez recommenceriez
+recommencerons recommenceront recommences recommencez recommenciez recommencé recommencée
+recommencées recommencés recommença recommençai recommenças recommençât reconnais reconnaissable
+reconnaissais reconnaissait reconnaissances reconnaissant reconnaissante reconnaissantes
+reconnaissants reconnaisse reconnaisses reconnaissez reconnaissiez reconnaissons reconnaît reconnues
+reconnusse reconnusses reconnut reconnût reconstructions reconversions recopia recopie recopié
+recorda recordage recordai recordais recordait recordant recordas recorde recordent recorder
+recordera recordes recordez recordiez recordman recordmen recordons recordât recordé recordée
+recordées recordés recors recoucha recouche recouché recoud recoudra recoudre recouds recoupa
+recoupai recoupas recoupe recouper recoupes recoupez recoupât recoupé recoupée recoupés recourais
+recourait recourant recourba recourbai recourbas recourbe recourber recourbes recourbez recourbât
+recourbé recourbée recourbés recoure recourent recoures recourez recouriez recourions recourons
+recourra recourrai recourras recourrez recourt recouru recourue recourues recourus recourut recourût
+recouse recouses recousez recousis recousit recousu recousue recousus recousît recouvert recouvra
+recouvrage recouvrai recouvrais recouvrait recouvrant recouvras recouvrent recouvrer recouvrera
+recouvrerai recouvreras recouvrerez recouvres recouvrez recouvriez recouvrir recouvrira recouvris
+recouvrit recouvrons recouvru recouvrue recouvrues recouvrus recouvrât recouvré recouvrée recouvrées
+recouvrés recouvrît recrutements rectifia rectifie rectifié rection rections rectite rectites
+recueil recueillais recueillait recueillant recueille recueillent recueillera recueilles recueillez
+recueillie recueillies recueilliez recueillions recueillirent recueillisse recueillisses recueillit
+recueillons recueillît recueils recuira recuire recuis recuise recuit recuite recuits recula
+reculade reculai reculais reculait reculant reculas recule reculent reculera reculerai reculerais
+reculerait reculeras reculerez reculeriez reculerons reculeront recules reculez reculiez reculons
+reculât reculée reculées reculés recycla recyclages recyclai recyclais recyclait recyclant recyclas
+recyclasse recycle recyclent recycler recyclera recycles recyclez recycliez recyclons recyclât
+recyclé recyclée recyclées recyclés redevables redevais redevait redevance redevant redonda redondai
+redondas redonde redonder redondes redondez redondât redondé redonna redonnai redonnais redonnait
+redonnant redonnas redonne redonnent redonnera redonnerai redonnerais redonnerait redonneras
+redonnerez redonneriez redonnerons redonneront redonnes redonnez redonniez redonnons redonnât
+redonné redonnée redonnées redonnés redouta redoutables redoutai redoutais redoutait redoutant
+redoutas redoutasse redressa redressai redressais redressait redressant redressas redresse
+redressements redressent redressera redresserai redresserais redresserait redresseras redresserez
+redresseriez redresserons redresseront redresses redresseur redresseurs redressez redressiez
+redressons redressât redressé redressée redressées redressés refais refaite refaites refaits refasse
+reflets refleuri reflex reflua refluai refluas reflue refluer reflues refluez reflux refluât reflué
+reflète refléta reflété refroidissements refuges refusa refusai refusais refusait refusant refusas
+refusera refuserai refuserais refuserait refuseras refuserez refuseriez refuserons refuseront
+refuses refusez refusiez refusons refusât refusée refusées refusés regagna regagne regagné regains
+regarda regardai regardais regardait regardant regardas regardent regardera regarderai regarderais
+regarderait regarderas regarderez regarderiez regarderons regarderont regardes regardez regardiez
+regardons regardât regardé regardée regardées regardés regarni regarnie regarnir regarnis regarnit
+regarnît registra registrai registrais registrait registrant registras registrent registrer
+registrera registrerai registreras registrerez registres registrez registriez registrons registrât
+registré registrée registrées registrés regrat regrats regreffa regreffe regreffé regrets regretta
+regrettai regrettais regrettait regrettant regrettas regrettent regrettera regretterai regretterais
+regretterait regretteras regretterez regretteriez regretterons regretteront regrettes regrettez
+regrettiez regrettons regrettât regretté regrettée regrettées regrettés regrossi regroupa regroupai
+regroupais regroupait regroupas regroupasse regroupements regroupent regroupera regrouperai
+regrouperais regrouperait regrouperas regrouperez regrouperiez regrouperons regrouperont regroupes
+regroupez regroupiez regroupons regroupât regroupé regroupée regroupées regroupés regréa regréai
+regréas regrée regréer regrées regréez regréât regréé regréée regréés rein reines reinette reins
+rejeta rejetai rejetais rejetait rejetant rejetas rejeter rejetez rejetiez rejeton rejetons rejets
+rejette rejettes rejetât rejetée rejetées rejetés rejoigne rejoindra rejoindrai rejoindrais
+rejoindrait rejoindras rejoindrez rejoindriez rejoindrons rejoindront rejoins rejointe rejointes
+rejointoie rejointoya rejointoyé rejoints rejoua rejouai rejouas rejoue rejouer rejoues rejouez
+rejouât rejoué rejouée rejoués relaie relaient relaiera relaies relaissa relaissai relaissas
+relaisse relaisser relaisses relaissez relaissât relaissé relaissée relaissés relancent relancera
+relancerai relancerais relancerait relanceras relancerez relanceriez relancerons relanceront
+relances relancez relanciez relancé relancée relancées relancés relança relançai relanças relançât
+relaps relapse relata relatai relatais relatait relatant relatas relate relatent relater relatera
+relates relatez relatiez relationnel relativisa relativise relativisé relativité relatons relatât
+relaté relatée relatées relatés relava relavai relavas relave relaver relaves relavez relavât relavé
+relavée relavés relax relaxa relaxai relaxas relaxe relaxer relaxes relaxez relaxât relaxé relaxée
+relaxés relaya relayai relayas relaye relayer relayes relayez relayât relayé relayée relayés relent
+relents releva relevable relevai relevais relevait relevas relevasse releveur releveurs releveuse
+relevez releviez relevons relevât relevée relevées relevés relia reliai reliais reliait reliant
+relias reliefs relient reliera relierai relierais relierait relieras relierez relieriez relierons
+relieront relies relieur relieurs relieuse reliez religieuses religions reliiez relions relique
+relira relirai reliras relire relirez relis relise relises relisez relit reliure reliât reliée
+reliées remarcha remarche remarché remaria remariai remarias remarie remarier remaries remariez
+remariât remarié remariée remariés remarqua remarquai remarquais remarquait remarquant remarquas
+remarquasse remarquent remarquera remarquerai remarquerais remarquerait remarqueras remarquerez
+remarqueriez remarquerons remarqueront remarquez remarquiez remarquons remarquât remarquée
+remarquées remarqués rembouge rembougea rembouger rembouges rembougez rembougé rembougée rembougés
+rembourra rembourrai rembourras rembourre rembourrer rembourres rembourrez rembourrât rembourré
+rembourrée rembourrés remboursa remboursai remboursais remboursait remboursant remboursas rembourse
+remboursent remboursera rembourserai rembourserais rembourserait rembourseras rembourserez
+rembourseriez rembourserons rembourseront rembourses remboursez remboursiez remboursons remboursât
+remboursée remboursées remboursés remets remettais remettait remettant remette remettent remettes
+remettez remettiez remettons remettra remettrai remettrais remettrait remettras remettrez remettriez
+remettrons remettront remisa remisage remisai remisais remisait remisant remisas remisent remiser
+remisera remiserai remiseras remiserez remisez remisier remisiez remisons remisse remisses remisât
+remisé remisée remisées remisés remit remonta remontage remontai remontais remontait remontant
+remontas remontera remonterai remonterais remonterait remonteras remonterez remonteriez remonterons
+remonteront remontes remonteur remonteurs remonteuse remontez remontiez remontoir remontons remontra
+remontrai remontras remontre remontrer remontres remontrez remontrât remontré remontrée remontrés
+remontât remontées remontés remord remorde remords remordu remoucha remouche remouché remoud
+remoudra remoudre remouds remoule remoules remoulez remoulu remoulue remoulus remoulut remoulût
+rempara rempare rempart remparé rempila rempile rempilé remplacements remplacent remplacera
+remplacerai remplacerais remplacerait remplaceras remplacerez remplaceriez remplacerons remplaceront
+remplaces remplacez remplaciez remplacée remplacées remplage remplages remplaça remplaçai remplaças
+remplaçât remplia rempliai rempliais rempliait rempliant remplias remplient remplier rempliera
+remplierai remplieras remplierez remplies rempliez rempliiez remplions remplira remplirai remplirais
+remplirait rempliras remplirent remplirez rempliriez remplirons rempliront remplis remplisse
+rempliât remplié rempliée rempliées rempliés remploi remploie remplois remploya remployé rempluma
+remplume remplumé remplît rempocha rempoche rempoché remporta remportai remportais remportait
+remportant remportas remportent remporter remportera remporterai remporteras remporterez remportes
+remportez remportiez remportons remportât remportée remportées remportés rempota rempotai rempotas
+rempote rempoter rempotes rempotez rempotât rempoté rempotée rempotés remédia remédiai remédiais
+remédiait remédiant remédias remédie remédient remédiera remédierai remédierais remédierait
+remédieras remédierez remédieriez remédierons remédieront remédies remédiez remédiiez remédions
+remédiât remédié renacla renais renaissais renaissait renaissances renaissant renaissante
+renaissantes renaissants renarda renardai renardais renardait renardant renardas renarde renardeau
+renardent renarder renardera renardes renardez renardiez renardons renards renardât renardé renauda
+renaudai renaudas renaude renauder renaudes renaudez renaudât renaudé renaît rencontra rencontrai
+rencontrais rencontrait rencontrant rencontras rencontrera rencontrerai rencontrerais rencontrerait
+rencontreras rencontrerez rencontreriez rencontrerons rencontreront rencontrez rencontriez
+rencontrons rencontrât rencontrée rencontrées rendais rendait rende rendes rendez rendiez rendis
+rendit rendons rendors rendort rendra rendrai rendrais rendrait rendras rendrez rendriez rendrons
+rendront rends rendues rendît renfonce renfoncé renfonça renforcements renforcent renforcera
+renforcerai renforcerais renforcerait renforceras renforcerez renforceriez renforcerons renforceront
+renforces renforcez renforciez renforcées renforcés renformi renformie renformir renformis renfort
+renforts renforça renforçai renforças renforçât renom renomma renommai renommais renommait renommant
+renommas renomme renomment renommer renommera renommes renommez renommiez renommons renommât renommé
+renommées renommés renoms renonce renoncent renoncera renoncerai renoncerais renoncerait renonceras
+renoncerez renonceriez renoncerons renonceront renonces renoncez renonciez renoncule renoncée
+renoncées renoncés renonça renonçai renonças renonçât renoua renouai renouais renouait renouant
+renouas renoue renouent renouera renouerai renouerais renouerait renoueras renouerez renoueriez
+renouerons renoueront renoues renouez renouiez renouons renouveaux renouvela renouvelai renouvelais
+renouvelait renouvelant renouvelas renouvelez renouveliez renouvelle renouvellements renouvelles
+renouvelons renouvelât renouvelé renouvelée renouvelées renouvelés renouât renoué renouée renouées
+renoués renta rentabilisa rentabilisai rentabilisais rentabilisait rentabilisant rentabilisas
+rentabilise rentabilisent rentabilisera rentabiliserai rentabiliserais rentabiliserait
+rentabiliseras rentabiliserez rentabiliseriez rentabiliserons rentabiliseront rentabilises
+rentabilisez rentabilisiez rentabilisons rentabilisât rentabilisé rentabilisée rentabilisées
+rentabilisés rentabilités rentai rentais rentait rentama rentamai rentamas rentame rentamer rentames
+rentamez rentamât rentamé rentamée rentamés rentant rentas rentasse rentent renter rentera renterai
+renteras renterez rentez rentier rentiez rentons rentra rentrai rentrais rentrait rentrant rentras
+rentrent rentrera rentrerai rentrerais rentrerait rentreras rentrerez rentreriez rentrerons
+rentreront rentres rentrez rentriez rentrons rentrât rentré rentrés rentât renté rentée rentées
+rentés renvia renviai renvias renvida renvide renvidé renvie renvier renvies renviez renviât renvié
+renviée renviés renvoi renvoient renvoies renvois renvoya renvoyai renvoyas renvoyer renvoyez
+renvoyât renvoyé renvoyée renvoyés renée renées renégat renés repaie repaies repaira repaire repairé
+repais reparla reparle reparlé repars repart reparte reparti reparu reparue reparus reparut reparût
+repassa repassai repassas repasse repasser repasses repassez repassât repassé repassée repassés
+repava repavai repavas repave repaver repaves repavez repavât repavé repavée repavés repaya repayai
+repayas repaye repayer repayes repayez repayât repayé repayée repayés repaît replace replacé replaça
+replet replets repleut replia repliai repliais repliait repliant replias replie replient replier
+repliera replies repliez repliiez replions replis replissa replisse replissé repliât replié repliée
+repliées repliés reploie reploya reployé replu replut replète replût repoli repolie repolir repolis
+repolit repolît reporta reportages reportai reportais reportait reportant reportas reportasse
+reporte reportent reportera reporterai reporterais reporterait reporteras reporterez reporteriez
+reporterons reporteront reportes reporteur reporteurs reportez reportiez reportons reports reportât
+reporté reportée reportées reportés reposa reposai reposais reposait reposant reposas reposent
+reposera reposerai reposerais reposerait reposeras reposerez reposeriez reposerons reposeront
+reposes reposez reposiez reposoir reposons reposât reposé reposée reposées reposés reprenais
+reprenait reprendra reprendrai reprendrais reprendrait reprendras reprendrez reprendriez reprendrons
+reprendront reprends reprenez repreniez reprenne reprennes reprenons reprisa reprisage reprisai
+reprisais reprisait reprisant reprisas reprisent repriser reprisera repriserai repriseras repriserez
+repriseuse reprisez reprisiez reprisons reprisse reprisses reprisât reprisé reprisée reprisées
+reprisés reprit reprocha reprochai reprochais reprochait reprochant reprochas reprochent reprochera
+reprocherai reprocherais reprocherait reprocheras reprocherez reprocheriez reprocherons reprocheront
+reproches reprochez reprochiez reprochons reprochât reproché reprochée reprochées reprochés
+reproducteur reproductif reproductifs reproductions reproductive reproductives reproduira
+reproduirai reproduirais reproduirait reproduiras reproduirez reproduiriez reproduirons reproduiront
+reproduis reproduise reproduises reproduisez reproduisis reproduisit reproduisît reproduit
+reproduite reproduites reproduits reprouva reprouve reprouvé représenta représentable représentai
+représentais représentante représentantes représentas représentasse représentatifs représentative
+représentatives représentera représenterai représenterais représenterait représenteras représenterez
+représenteriez représenterons représenteront représentes représentez représentiez représentons
+représentât reprît repéra repérage repérai repérais repérait repérant repéras repérera repérerai
+repérerais repérerait repéreras repérerez repéreriez repérerons repéreront repérez repériez repérons
+repérât repéré repérée repérées repérés requiem requiems requiers requin requins requises requisse
+requisses requit requière requéru requête requît respecta respectable respectai respectais
+respectait respectas respectasse respectent respectera respecterai respecterais respecterait
+respecteras respecterez respecteriez respecterons respecteront respectes respectez respectiez
+respectif respections respective respectives respectons respects respectât respectée respectées
+respectés respira respirai respirais respirait respirant respiras respirent respirer respirera
+respirerai respireras respirerez respires respirez respiriez respirons respirât respiré respirée
+respirées respirés responsabilisa responsabilisai responsabilisas responsabilise responsabiliser
+responsabilises responsabilisez responsabilisât responsabilisé responsabilisée responsabilisés
+ressac ressacs ressaie ressaut ressaya ressaye ressayé ressema ressemai ressemais ressemait
+ressemant ressemas ressembla ressemblai ressemblais ressemblait ressemblant ressemblas ressembler
+ressemblera ressemblerai ressembleras ressemblerez ressembles ressemblez ressembliez ressemblons
+ressemblât ressemblé ressemela ressemelé ressemer ressemez ressemiez ressemons ressemât ressemé
+ressemée ressemées ressemés ressens ressentais ressentait ressentant ressente ressentent ressentes
+ressentez ressenti ressentie ressenties ressentiez ressentir ressentira ressentis ressentit
+ressentons ressentît resserra resserre resserré ressers ressert resserve resservi ressors ressortais
+ressortait ressortant ressorte ressortent ressortes ressortez ressorti ressortie ressorties
+ressortiez ressortir ressortira ressortis ressortit ressortons ressorts ressortît ressouda ressoude
+ressoudé ressource ressourcent ressourcer ressourcera ressourcerai ressourceras ressourcerez
+ressourcez ressourciez ressourcé ressourcée ressourcées ressourcés ressourça ressourçai ressourças
+ressourçât ressua ressuai ressuas ressue ressuer ressues ressuez ressui ressuie ressuis ressuya
+ressuyé ressuât ressué ressème resta restai restaient restais restante restantes restas restasse
+restaura restaurai restaurais restaurait restaurante restaurantes restauras restaurasse restaurateur
+restaurations restaure restaurent restaurera restaurerai restaurerais restaurerait restaureras
+restaurerez restaureriez restaurerons restaureront restaures restaurez restauriez restaurons
+restaurât restauré restaurée restaurées restaurés resterai resterais resterait resteras resterez
+resteriez resterons restes restez restiez restreigne restreindra restreindre restreins restreinte
+restreintes restreints restrictif restrictifs restriction restrictive restrictives restât restées
+retable retapa retapai retapas retape retaper retapes retapez retapât retapé retapée retapés retarda
+retardai retardais retardait retardant retardas retarde retardent retarder retardera retardes
+retardez retardiez retardons retardât retardé retardée retardées retardés reteins reteint retenais
+retenait retenant retend retende retendes retendez retendis retendit retendra retendre retends
+retendu retendue retendus retendît retenez reteniez retenions retenons retenta retentai retentas
+retente retenter retentes retentez retenti retentir retentis retentit retentât retenté retentée
+retentés retentît reterce retercé retersa reterse retersé reterça retiendrai retiendrais retiendrait
+retiendras retiendrez retiendriez retiendrons retiendront retienne retiennes retiens retins retint
+retira retirage retirai retirais retirait retirant retiras retirent retirera retirerai retirerais
+retirerait retireras retirerez retireriez retirerons retireront retires retirez retiriez retirons
+retirât retirée retirées retirés retissa retisse retissé retomba retombai retombais retombait
+retombant retombas retombe retombent retombera retomberai retomberais retomberait retomberas
+retomberez retomberiez retomberons retomberont retombes retombez retombiez retombons retombât
+retombée retombés retond retonde retonds retondu retord retorde retords retordu retors retoucha
+retouche retouché retourna retournage retournai retournais retournait retournant retournas
+retournements retournent retournera retournerai retournerais retournerait retourneras retournerez
+retourneriez retournerons retourneront retournes retournez retourniez retournons retournât retourné
+retournée retournées retournés retours retrace retracer retraces retracez retracé retracée retracés
+retraie retraient retraies retraira retrairai retrairas retraire retrairez retrais retraita
+retraitai retraitais retraitait retraitant retraitas retraitent retraiter retraitera retraiterai
+retraiteras retraiterez retraites retraitez retraitiez retraitons retraits retraitât retraité
+retraitée retraitées retraités retrayez retraça retraçai retraças retraçât retroussa retrousse
+retroussé retrouva retrouvai retrouvais retrouvait retrouvant retrouvas retrouverai retrouverais
+retrouverait retrouveras retrouverez retrouveriez retrouverons retrouveront retrouves retrouvez
+retrouviez retrouvons retrouvât retrouvées retrouvés revancha revanchai revanchais revanchait
+revanchant revanchard revanchas revanchent revancher revanchera revancherai revancheras revancherez
+revanches revanchez revanchiez revanchons revanchât revanché revanchée revanchées revanchés revenais
+revenait revenante revenantes revenants revend revendais revendait revendant revende revendent
+revendes revendeur revendeuse revendeuses revendez revendicatif revendicatifs revendication
+revendicative revendicatives revendiez revendis revendit revendons revendra revendrai revendrais
+revendrait revendras revendrez revendriez revendrons revendront revends revendue revendues revendus
+revendît revenez reveniez revenions revenons reventes revenues revercha reverche reverché reverdi
+reverdie reverdir reverdis reverdit reverdît reverni revernie revernir revernis revernit revernît
+reverra reverrai reverras reverrez reversa reversai reversais reversait reversant reversas reverse
+reversent reverser reversera reverses reversez reversiez reversons reversât reversé reversée
+reversées reversés reveut reveux reviendrai reviendrais reviendrait reviendras reviendrez
+reviendriez reviendrons reviendront revienne reviennes reviens revins revint revira revirai reviras
+revire revirements revirer revires revirez revirât reviré revis revissa revisse revissé revit revive
+revives revivez revivra revivre revoie revoient revoies revois revoit revola revolai revolas revole
+revoler revoles revolez revolât revolé revota revotai revotas revote revoter revotes revotez revotât
+revoté revotée revotés revoulu revoyez revus richarde richardes richards ridicules ridiculisa
+ridiculise ridiculisé riens rient rigides rigidité rigoureuses rigueurs rirent rirez risqua risquai
+risquais risquait risquant risquas risquera risquerai risquerais risquerait risqueras risquerez
+risqueriez risquerons risqueront risquez risquiez risquons risquât risquée risquées risqués
+ristourna ristournai ristournais ristournait ristournant ristournas ristournent ristourner
+ristournera ristournerai ristourneras ristournerez ristournes ristournez ristourniez ristournons
+ristournât ristourné ristournée ristournées ristournés rivera riverai riveraient riverain riveraine
+riveraines riveraineté riverais riverait riveras robent rober robera roberai roberais roberait
+roberas roberez roberiez roberons roberont roberts robez robons robotisa robotise robotisé robots
+rochage rocher rochers roches rochet rochets rocheuse rocheux rochier rocker rockers rocket rockets
+rocks romain romaine romains romance romancer romances romancez romanche romancé romancée romancés
+romand romande romandes romands romane romanes romani romanis romanisa romanise romanisé romanité
+romano romanos romantiques romantisme romança romançai romanças romançât romarin rondeau rondeaux
+rondelet rondelle rondes rondeur rondeurs rondi rondie rondier rondies rondin rondins rondir rondira
+rondis rondit rondo rondos ronds rondît roseau roseaux roselet rosent roser rosera roserai roseras
+roserez rosette rosez rosée rosées roséole rosés rotateur rotatif rotatifs rotations rotative
+rotatives rouelle rouent rouer rouera rouerai roueras rouerez rouerie rouet rouets rouette rouez
+rougeaud rougeoie rougeole rougeoya rougeoyé rouget rougets rougeur rougeurs rougi rougie rougies
+rougir rougira rougis rougit rougît roula roulade roulades roulage roulages roulai roulais roulait
+roulante roulantes roulants roulas roulasse rouleau rouleaux roulements roulent roulera roulerai
+roulerais roulerait rouleras roulerez rouleriez roulerons rouleront roules roulette rouleur rouleurs
+roulez roulier rouliez roulis rouloir roulons roulure roulât roulé roulée roulées roulés roumain
+roumaine roumains routa routage routai routais routait routant routard routas routent router routera
+routerai routeras routerez routez routiez routines routinier routions routière routons routât routé
+routée routées routés royales royaumes royauté royautés royaux rubriques rudenta rudente rudenté
+rudes rudesse ruina ruinai ruinais ruinait ruinant ruinas ruine ruinent ruiner ruinera ruinerai
+ruineras ruinerez ruineuse ruineux ruinez ruiniez ruinons ruinure ruinât ruiné ruinée ruinées ruinés
+rumen rumens rumex rupteur ruptures russifia russifie russifié russule rythma rythmai rythmais
+rythmait rythmant rythmas rythment rythmer rythmera rythmerai rythmeras rythmerez rythmez rythmiez
+rythmons rythmât rythmé rythmée rythmées rythmés réacteur réactif réactifs réactionnel réactiva
+réactivai réactivas réactive réactiver réactives réactivez réactivât réactivé réactivée réactivés
+réagira réagirai réagirais réagirait réagiras réagirent réagirez réagiriez réagirons réagiront
+réagis réagisse réagît réal réale réales réalgar réaligna réaligne réaligné réalisa réalisables
+réalisai réalisais réalisait réalisas réalisasse réalisateurs réalisera réaliserai réaliserais
+réaliserait réaliseras réaliserez réaliseriez réaliserons réaliseront réalises réalisez réalisiez
+réalismes réalisons réalisât réalèse réalésa réalésé récepteur réceptif réceptifs réceptionna
+réceptionnai réceptionnas réceptionne réceptionner réceptionnes réceptionnez réceptionnât
+réceptionné réceptionnée réceptionnés réceptions réceptive réceptives récessif récessifs récessions
+récessive récessives récif récifal récifs récita récitai récitais récitait récital récitals récitant
+récitas récite récitent réciter récitera récites récitez récitiez récitons récitât récité récitée
+récitées récités réclama réclamai réclamais réclamait réclamant réclamas réclamations réclamera
+réclamerai réclamerais réclamerait réclameras réclamerez réclameriez réclamerons réclameront
+réclames réclamez réclamiez réclamons réclamât réclamé réclamée réclamées réclamés réclina récline
+récliné récollet récolta récoltai récoltais récoltait récoltant récoltas récoltent récoltera
+récolterai récolterais récolterait récolteras récolterez récolteriez récolterons récolteront
+récoltes récolteur récolteurs récoltez récoltiez récoltons récoltât récolté récoltée récoltées
+récoltés récompensa récompensai récompensais récompensait récompensant récompensas récompensent
+récompenser récompensera récompenserai récompenseras récompenserez récompenses récompensez
+récompensiez récompensons récompensât récompensé récompensée récompensées récompensés récupère
+récupéra récupérai récupérais récupérait récupérant récupéras récupérateur récupérations récupérera
+récupérerai récupérerais récupérerait récupéreras récupérerez récupéreriez récupérerons récupéreront
+récupérez récupériez récupérons récupérât récupérée récupérées récupérés rédacteur rédactionnel
+rédactions rédie rédies rédige rédigea rédigeai rédigeais rédigeait rédigeant rédigeas rédigent
+rédigeons rédigera rédigerai rédigerais rédigerait rédigeras rédigerez rédigeriez rédigerons
+rédigeront rédiges rédigez rédigeât rédigiez rédigée rédigées rédigés rédima rédimai rédimas rédime
+rédimer rédimes rédimez rédimât rédimé rédimée rédimés réductase réducteur réductible réduira
+réduirai réduirais réduirait réduiras réduirez réduiriez réduirons réduiront réduis réduisais
+réduisait réduise réduises réduisez réduisiez réduisis réduisit réduisons réduisît réduve réduves
+réflexes réflexible réflexif réflexifs réflexive réflexives réfléchi réfléchie réfléchies réfléchira
+réfléchirai réfléchirais réfléchirait réfléchiras réfléchirent réfléchirez réfléchiriez réfléchirons
+réfléchiront réfléchis réfléchisse réfléchit réfléchît réforma réformai réformais réformait
+réformant réformas réforment réformer réformera réformerai réformeras réformerez réformette réformez
+réformiez réformons réformât réformé réformée réformées réformés réfugia réfugiai réfugiais
+réfugiait réfugiant réfugias réfugie réfugient réfugier réfugiera réfugies réfugiez réfugiiez
+réfugions réfugiât réfugié réfugiée réfugiées référencent référencer référencera référencerai
+référenceras référencerez référencez référenciez référencé référencée référencées référencés
+référendums référent référents référença référençai référenças référençât référer référera référerai
+référeras référerez référez régi régies régiment régiments régionalisa régionalise régionalisé régir
+régira régirai régiras régirez régis régisse régit régla réglable réglages réglai réglais réglait
+réglant réglas réglasse réglera réglerai réglerais réglerait régleras réglerez régleriez réglerons
+régleront réglet réglets réglette régleur régleurs régleuse réglez régliez réglo régloir réglons
+réglure réglât réglée réglées réglés régressa régressai régressais régressait régressant régressas
+régresse régressent régresser régressera régresses régressez régressiez régressif régressifs
+régressions régressive régressives régressons régressât régressé régulateur régulations régule
+régules régulière réjoui réjouie réjouies réjouira réjouirai réjouirais réjouirait réjouiras
+réjouirent réjouirez réjouiriez réjouirons réjouiront réjouis réjouisse réjouit réjouît rémunérateur
+rénova rénovai rénovais rénovait rénovant rénovas rénovateur rénovations rénove rénovent rénover
+rénovera rénoves rénovez rénoviez rénovons rénovât rénovée rénovées rénovés réorganisateur
+réorganisations répand répandais répandait répandant répande répandent répandes répandez répandiez
+répandis répandit répandons répandra répandrai répandras répandre répandrez répands répandues
+répandus répandît répara réparai réparais réparait réparant réparas réparateur répare réparent
+réparera réparerai réparerais réparerait répareras réparerez répareriez réparerons répareront
+répares réparez répariez réparons répartie répartira répartirai répartirais répartirait répartiras
+répartirent répartirez répartiriez répartirons répartiront répartisse répartisses répartissez
+répartit répartiteur répartitions répartît réparât réparé réparée réparées réparés répercussion
+répertoires répertoria répertorie répertorié répliqua répliquai répliquais répliquait répliquant
+répliquas répliquent répliquer répliquera répliquerai répliqueras répliquerez répliques répliquez
+répliquiez répliquons répliquât répliqué répliquée répliquées répliqués répondais répondait
+répondante répondantes répondants réponde répondes répondeur répondeurs répondeuse répondez
+répondiez répondis répondit répondons répondra répondrai répondrais répondrait répondras répondrez
+répondriez répondrons répondront réponds répondue répondues répondus répondît répressible répressif
+répressifs répressions répressive répressives républiques répudia répudie répudié répugna répugne
+répugné réputa réputai réputais réputait réputant réputas réputations répute réputent réputer
+réputera réputes réputez réputiez réputons réputât réputées répéta répétai répétais répétait
+répétant répétas répétera répéterai répéterais répéterait répéteras répéterez répéteriez répéterons
+répéteront répéteur répéteurs répétez répétiez répétiteur répétitif répétitifs répétitions
+répétitive répétitives répétons répétât répété répétée répétées répétés réserva réservai réservais
+réservait réservant réservas réservations réservent réservera réserverai réserverais réserverait
+réserveras réserverez réserveriez réserverons réserveront réservez réserviez réservoirs réservons
+réservât résida résidai résidais résidait résidant résidas résidences résident résidente résidentes
+résidentielle résidentielles résidentiels résidents résider résidera résiderai résideras résiderez
+résides résidez résidiez résidons résidu résiduel résiduelles résiduels résidus résidât résidé
+résigna résigne résigné résilia résilie résilié résille résina résinai résinas résine résiner
+résines résinez résinât résiné résinée résinés résista résistai résistais résistait résistances
+résistante résistantes résistants résistas résistasse résistent résistera résisterai résisterais
+résisterait résisteras résisterez résisteriez résisterons résisteront résistes résistez résistiez
+résistons résistât résolue résolues résolus résolusse résolut résolutif résolutifs résolutions
+résolutive résolutives résolve résolves résolvez résolût résonna résonne résonné résorba résorbe
+résorbé résoudra résoudrai résoudrais résoudrait résoudras résoudrez résoudriez résoudrons
+résoudront résous résout résoute résoutes résulta résultait résultante résultantes résultants
+résulter résultera résultât résuma résumai résumais résumait résumant résumas résument résumer
+résumera résumerai résumeras résumerez résumes résumez résumiez résumons résumât résumée résumées
+résumés rétabli rétablie rétablies rétablira rétablirai rétablirais rétablirait rétabliras
+rétablirent rétablirez rétabliriez rétablirons rétabliront rétablis rétablisse rétablissements
+rétablit rétablît réticence réticent réticente réticentes réticents rétrospectif rétrospectifs
+rétrospection rétrospections rétrospectives réunie réunifia réunifie réunifié réunira réunirai
+réunirais réunirait réuniras réunirent réunirez réuniriez réunirons réuniront réunissage réunissages
+réunissais réunissait réunisse réunissent réunisses réunissez réunissiez réunissons réunît réussies
+réussira réussirai réussirais réussirait réussiras réussirent réussirez réussiriez réussirons
+réussiront réussis réussisse réussites réussît révisa révisai révisais révisait révisant révisas
+révise révisent réviser révisera révises réviseur révisez révisiez révisions révisons révisât révisé
+révisée révisées révisés révolta révoltai révoltais révoltait révoltant révoltas révoltent révolter
+révoltera révolterai révolteras révolterez révoltes révoltez révoltiez révoltons révoltât révolté
+révoltée révoltées révoltés révolu révolue révolues révolus révolutionna révolutionnai
+révolutionnaient révolutionnaires révolutionnais révolutionnait révolutionnant révolutionnas
+révolutionnasse révolutionne révolutionner révolutionnes révolutionnez révolutionnât révolutionné
+révolutionnée révolutionnés révolutions révoqua révoque révoqué révéla révélai révélais révélait
+révélant révélas révélateurs révélations révélera révélerai révélerais révélerait révéleras
+révélerez révéleriez révélerons révéleront révélez révéliez révélons révélât révélée révélées
+révélés révéra révérai révéras révérer révérez révérât révéré révérée révérés sabelle sabla sablage
+sablai sablais sablait sablant sablas sablent sabler sablera sablerai sableras sablerez sablerie
+sables sableur sableurs sableuse sableux sablez sablier sabliez sablonna sablonnai sablonnas
+sablonne sablonner sablonnes sablonnez sablonnât sablonné sablonnée sablonnés sablons sablât sablé
+sablée sablées sablés sache sachem sachems sachent saches sachet sachets sachiez sachons sacra
+sacrai sacrais sacrait sacral sacrale sacrant sacras sacraux sacre sacrent sacrer sacrera sacres
+sacret sacrets sacrez sacriez sacrons sacrum sacrums sacrât sacrée sacrées sacrés sagace sagaces
+sagaie sagaies sagas sages sagesses sagette saines sains sainte saintes sainteté saints saisies
+saisine saisines saisira saisirai saisirais saisirait saisiras saisirent saisirez saisiriez
+saisirons saisiront saisis saisisse saisit saisonna saisonnai saisonnas saisonne saisonner saisonnes
+saisonnez saisonnât saisonné saisît sala salace salaces saladero saladeros salades saladier salage
+salages salai salaient salais salaison salait salami salamis salant salaria salariai salariais
+salariait salariant salarias salariasse salariat salariats salarie salarient salarier salariera
+salaries salariez salariiez salarions salariât salariée salariées salas salasse salaud salauds
+salent salep saleps saler salera salerai saleras salerez saleron saleté saletés saleur saleurs
+saleuse salez saloir saloirs salol salols salonard saloon saloons salop salopa salopai salopas
+salope saloper salopes salopez salops salopât salopé salopée salopés salua saluai saluais saluait
+saluant saluas salubre salue saluent saluer saluera salues saluez saluiez saluons salure salures
+saluts saluât salué saluée saluées salués salé salées salés samba sambas samedis sanctifia sanctifie
+sanctifié sanctionna sanctionnai sanctionnas sanctionne sanctionner sanctionnes sanctionnez
+sanctionnât sanctionné sanctionnée sanctionnés sanctus sangla sanglai sanglas sangle sangler sangles
+sanglez sanglot sanglât sanglé sanglée sanglés sangria sangs sangsue sanguin santal santals santon
+santons santés satellisa satellisai satellisas satellise satelliser satellises satellisez satellisât
+satellisé satellisée satellisés satina satinage satinai satinais satinait satinant satinas satine
+satinent satiner satinera satines satineur satinez satiniez satinons satins satinât satiné satinée
+satinées satinés satire satires satisfactions satisfais satisfaisais satisfaisait satisfaisant
+satisfaisantes satisfaisants satisfaite satisfaites satisfasse satisfera satisfis satisfit satisfont
+satisfît satiété saturateur saturations saucent saucer saucera saucerai sauceras saucerez sauces
+saucez saucier sauciez saucé saucée saucées saucés saumoneau saumons saumoné saumonée saumonées
+saumonés saumura saumure saumuré saur saurai sauraient saurais saurant sauras saurasse saure saurent
+saurer saurera saures saurez sauri saurie saurien sauries sauriez saurin saurins saurir saurira
+sauris saurit saurons sauront saurs saurât sauré saurée saurées saurés saurît sauta sautai sautais
+sautait sautant sautas saute sautelle sautent sautera sauterai sauterais sauterait sauteras
+sautereau sauterez sauterie sauteries sauteriez sauternes sauterons sauteront sautes sauteur
+sauteurs sauteuse sautez sautiez sautoir sautons sauts sautât sauté sautée sautées sautés sauva
+sauvageon sauvageons sauvagerie sauvagin sauvagine sauvagins sauvai sauvais sauvait sauvant sauvas
+sauvasse sauve sauvegarda sauvegardai sauvegardais sauvegardait sauvegardant sauvegardas
+sauvegardent sauvegarder sauvegardera sauvegarderai sauvegarderas sauvegarderez sauvegardes
+sauvegardez sauvegardiez sauvegardons sauvegardât sauvegardé sauvegardée sauvegardées sauvegardés
+sauvent sauvera sauverai sauverais sauverait sauveras sauverez sauveriez sauverons sauveront sauves
+sauvetages sauveteur sauvette sauveté sauvetés sauveur sauveurs sauvez sauviez sauvons sauvât sauvée
+sauvées sauvés savaient savais savane savanes savant savante savants savarin savart savarts savate
+savates savon savonna savonnai savonnas savonne savonner savonnes savonnez savonnât savonné savonnée
+savonnés savoura savourai savourais savourait savourant savouras savoure savourent savourer
+savourera savourerai savoureras savourerez savoures savoureuse savoureuses savourez savouriez
+savourons savourât savouré savourée savourées savourés scanda scandai scandais scandait scandaleuse
+scandaleux scandalisa scandalise scandalisé scandant scandas scandasse scande scandent scander
+scandera scandes scandez scandiez scandinave scandium scandons scandât scandé scandée scandées
+scandés scanners sceptique schofar schooner schorre schéol schéols scie scient scier sciera scierai
+scieras scierez scierie scies scieur scieurs scieuse sciez scissile scissiles scissionna scissionnai
+scissionnas scissionne scissionner scissionnes scissionnez scissionnât scissionné scissions scissure
+scorbut scores scorie scories scruta scrutai scrutais scrutait scrutant scrutas scrute scrutent
+scruter scrutera scrutes scrutez scrutiez scrutins scrutions scrutons scrutât scruté scrutée
+scrutées scrutés sculpta sculptai sculptais sculptait sculptant sculptas sculpte sculptent sculpter
+sculptera sculpterai sculpteras sculpterez sculptes sculpteurs sculptez sculptiez sculptons
+sculptural sculpturale sculpturaux sculptât sculpté sculptée sculptées sculptés scénariste seconda
+secondai secondaient secondais secondait secondant secondas secondasse secondent seconder secondera
+seconderai seconderas seconderez secondez secondiez secondons secondât secondé secondée secondées
+secondés secoua secouai secouais secouait secouant secouas secoue secouent secouer secouera secoues
+secoueur secouez secouiez secouons secourais secourait secourant secoure secourent secoures
+secoureur secourez secouriez secourir secourons secourra secourrai secourras secourrez secourt
+secouru secourue secourues secourus secourut secourût secousse secouât secoué secouée secouées
+secoués secrète secrétage secrétages secrétairerie secrétaires secrétariats secte sectes sectionna
+sectionnai sectionnas sectionne sectionner sectionnes sectionnez sectionnât sectionné sectionnée
+sectionnés sections segmenta segmentai segmentais segmentait segmental segmentale segmentant
+segmentas segmentations segmentaux segmente segmentent segmenter segmentera segmentes segmentez
+segmentiez segmentons segmentât segmenté segmentée segmentées segmentés seine seines seing seings
+seins sema semai semaient semainier semais semait semant semas semasse sembla semblai semblaient
+semblais semblant semblante semblants semblas semblasse sembler semblera semblerai sembleraient
+semblerais sembleras semblerez sembleriez semblerons sembleront sembles semblez sembliez semblons
+semblât semblé semestres semestriel semestrielle semestrielles semi-conducteur seniors sensass
+sensationnel senseur sensibilisa sensibilisai sensibilisas sensibilise sensibiliser sensibilises
+sensibilisez sensibilisât sensibilisé sensibilisée sensibilisés sensibilités sensiblerie sensitif
+sensualisme sensualiste sensualités sensuel sensé sensée sensées sensés sentais sentait sentant
+sente sentence sentences sentes senteur senteurs sentez senti sentie sentier senties sentiez
+sentimental sentimentale sentimentaux sentine sentines sentions sentira sentirai sentirais sentirait
+sentiras sentirent sentirez sentiriez sentirons sentiront sentis sentisse sentit sentons sentît
+septain septemvir septidi septime septimo septum septuor sera-ce sera-t-on serai serai-je
+seraient-ce serais serait-on seras serein sereine sereins sergent sergents serges sergette sergé
+sergés seriez serin serina serinai serinas serine seriner serines serinez seringa serins serinât
+seriné serinée serinés seront-ce serra serrage serrai serrais serrait serran serrans serrant serras
+serrate serrent serrer serrera serrerai serreras serrerez serres serrez serriez serrons serrure
+serrât serré serrée serrées serrés serte sertes serti sertie serties sertir sertira sertis sertit
+sertît servage servages servaient servait serval servals servante servantes servants serve serves
+serveuse serveuses servez servie servies serviez servile serviles servions servirai servirais
+servirait serviras servirent servirez serviriez servirons serviront servis servisse servit servons
+servît seuils seulet seulets seulette sexes sexualisa sexualisai sexualisas sexualise sexualiser
+sexualises sexualisez sexualisme sexualisât sexualisé sexualisée sexualisés sexualités sexuelles
+sexuels sexué sexuée sexuées sexués shakespearien shoping shoppings sicaire sidérurgies
+sidérurgiques sidérurgistes siennes signa signai signais signait signala signalai signalais
+signalait signalant signalas signalent signalera signalerai signalerais signalerait signaleras
+signalerez signaleriez signalerons signaleront signales signaleur signaleurs signalez signaliez
+signalisa signalise signalisé signalât signalée signalées signalés signant signas signasse signent
+signera signerai signerais signerait signeras signerez signeriez signerons signeront signet signets
+signez signiez signifia signifiai signifiais signifiait signifiant signifias significatifs
+significations significatives signifient signifier signifiera signifierai signifieras signifierez
+signifies signifiez signifiiez signifions signifiât signifié signifiée signifiées signifiés signions
+signons signât signées silences silex silhouetta silhouettai silhouettais silhouettait silhouettant
+silhouettas silhouettent silhouetter silhouettera silhouetterai silhouetteras silhouetterez
+silhouettes silhouettez silhouettiez silhouettons silhouettât silhouetté silhouettée silhouettées
+silhouettés sillages sillet sillets sillon sillons simonie simonies simoun simouns simplet simplets
+simplette simplexe simplexes simplicités simplifia simplifiai simplifiais simplifiait simplifiant
+simplifias simplificateur simplifications simplifie simplifient simplifiera simplifierai
+simplifierais simplifierait simplifieras simplifierez simplifieriez simplifierons simplifieront
+simplifies simplifiez simplifiiez simplifions simplifiât simplifié simplifiée simplifiées simplifiés
+simulateur simulations sinisa sinisai sinisais sinisait sinisant sinisas sinise sinisent siniser
+sinisera sinises sinisez sinisiez sinisons sinistres sinistré sinistrée sinistrées sinistrés sinisât
+sinisé sinisée sinisées sinisés situa situai situaient situais situas situasse situera situerai
+situerais situerait situeras situerez situeriez situerons situeront situes situez situiez situons
+situât slogans smala smalas smalt smalts sobres sobriétés sociable socialisa socialisai socialisais
+socialisait socialisant socialisas socialise socialisent socialiser socialisera socialises
+socialisez socialisiez socialisme socialismes socialisons socialisât socialisé socialisée
+socialisées socialisés softwares soierie soies soifs soigna soignai soignais soignait soignant
+soignas soigne soignent soignera soignerai soignerais soignerait soigneras soignerez soigneriez
+soignerons soigneront soignes soigneur soigneurs soigneuse soigneux soignez soigniez soignons
+soignât soigné soignée soignées soignés soirs soixantaines solda soldai soldais soldait soldant
+soldas soldasse soldat soldate soldates soldent solder soldera solderai solderas solderez soldes
+soldeur soldeurs soldeuse soldez soldiez soldons soldât soldé soldée soldées soldés sole soleils
+solen solens soleret soles solex solidage solidarisa solidarisai solidarisas solidarise solidariser
+solidarises solidarisez solidarisât solidarisé solidarisée solidarisés solidarités solidifia
+solidifie solidifié solidités solin solins soliste solitaires solitudes solive solives sollicita
+sollicitai sollicitais sollicitait sollicitant sollicitas sollicite sollicitent solliciter
+sollicitera sollicites solliciteur sollicitez sollicitiez sollicitons sollicitude sollicitât
+sollicitée sollicitées sollicités solos solutionna solutionnai solutionnas solutionne solutionner
+solutionnes solutionnez solutionnât solutionné solutionnée solutionnés soluté solutés solvable
+solvant solvants sombra sombrai sombrais sombrait sombrant sombras sombrent sombrer sombrera
+sombrerai sombreras sombrerez sombrero sombreros sombrez sombriez sombrons sombrât sombré somma
+sommai sommaient sommaires sommais sommait sommant sommas sommasse sommeilla sommeillai sommeillas
+sommeille sommeiller sommeilles sommeillez sommeillât sommeillé sommeils somment sommer sommera
+sommerai sommeras sommerez sommez sommier sommiez sommité sommons sommât sommé sommée sommées sommés
+somptueuse somptueuses sonda sondai sondais sondait sondant sondas sondasse sonde sondent sonder
+sondera sondes sondeur sondez sondiez sondons sondât sondé sondée sondées sondés songea songeai
+songeais songeait songeant songeas songent songeons songera songerai songerais songerait songeras
+songerez songerie songeries songeriez songerons songeront songes songeur songeurs songeuse songez
+songeât songiez songé sonna sonnai sonnais sonnait sonnant sonnas sonnent sonner sonnera sonnerai
+sonneras sonnerez sonnerie sonnes sonnet sonnets sonnette sonneur sonneurs sonnez sonniez sonnons
+sonnât sonné sonnée sonnées sonnés sono sonorisa sonorise sonorisé sonorité sonos sont-ce sophisme
+sophiste sophistiqua sophistiquai sophistiquais sophistiquait sophistiquant sophistiquas sophistique
+sophistiquent sophistiquer sophistiquera sophistiques sophistiquez sophistiquiez sophistiquons
+sophistiquât sophistiquée sophistiquées sophora sortable sortais sortait sortante sortantes sortants
+sortez sortiez sortions sortirai sortirais sortirait sortiras sortirent sortirez sortiriez sortirons
+sortiront sortis sortisse sortit sortons sorts sortît souche souches souchet soucia souciai souciais
+souciait souciant soucias soucie soucient soucier souciera soucierai soucieras soucierez soucies
+soucieuse soucieuses souciez souciiez soucions souciât soucié souciée souciées souciés souda
+soudable soudage soudages soudai soudaient soudaine soudaines soudaineté soudains soudais soudait
+soudan soudans soudant soudante soudants soudard soudards soudas soudasse soude soudent souder
+soudera soudes soudeur soudez soudier soudiez soudoie soudons soudoya soudoyé soudure soudât soudé
+soudée soudées soudés soufferte souffertes soufferts souffla soufflage soufflai soufflais soufflait
+soufflant soufflard soufflas soufflent souffler soufflera soufflerai souffleras soufflerez
+soufflerie souffles soufflet souffleta souffletai souffletas souffleter souffletez soufflets
+soufflette souffletât souffleté souffletée souffletés souffleur souffleurs souffleuse soufflez
+souffliez soufflons soufflure soufflât soufflé soufflée soufflées soufflés souffrais souffrait
+souffrances souffrant souffrante souffrantes souffrants souffres souffrez souffriez souffrions
+souffrira souffrirai souffrirais souffrirait souffriras souffrirent souffrirez souffririez
+souffrirons souffriront souffris souffrisse souffrit souffrons souffrît soufra soufrai soufras
+soufre soufrer soufres soufrez soufrât soufré soufrée soufrés souhaita souhaitable souhaitai
+souhaitaient souhaitais souhaitant souhaitas souhaitasse souhaiter souhaitera souhaiterai
+souhaiteras souhaiterez souhaites souhaitez souhaitiez souhaitons souhaits souhaitât souhaitée
+souhaitées souhaités soulier souliers souligna soulignage soulignai soulignais soulignait soulignant
+soulignas soulignera soulignerai soulignerais soulignerait souligneras soulignerez souligneriez
+soulignerons souligneront soulignes soulignez souligniez soulignons soulignât soulignée soulignées
+soulignés soumet soumets soumettais soumettait soumettant soumette soumettent soumettes soumettez
+soumettiez soumettons soumettra soumettrai soumettrais soumettrait soumettras soumettrez soumettriez
+soumettrons soumettront soumisse soumisses soumit soumît soupa soupai soupais soupait soupant
+soupape soupas soupasse soupent soupente souper soupera souperai souperas souperez soupes soupesa
+soupesai soupesas soupeser soupesez soupesât soupesé soupesée soupesés soupeur soupeurs soupeuse
+soupez soupiez soupir soupira soupire soupirs soupiré souplesses soupons soupât soupçon soupèse
+soupé sourate sourcier sourcil sourcils sourd sourde sourdes sourds souri souriais souriait souriant
+sourie sourient souries souriez souriiez sourions sourira sourirai sourirais sourirait souriras
+sourirent sourires sourirez souririez sourirons souriront sourisse sourisses sourît sous-bas
+sous-jacentes sous-jacents sous-off sous-sols sous-traita sous-traitai sous-traitais sous-traitait
+sous-traitances sous-traitant sous-traitante sous-traitantes sous-traitas sous-traitasse sous-évalua
+sous-évaluai sous-évaluais sous-évaluait sous-évaluant sous-évaluas sous-évaluations sous-évalue
+sous-évaluent sous-évaluer sous-évaluera sous-évalues sous-évaluez sous-évaluiez sous-évaluons
+sous-évaluât sous-évaluées sous-évalués souscripteurs souscriptions souscrira souscrirai souscrirais
+souscrirait souscriras souscrirez souscririez souscrirons souscriront souscris souscrites souscrits
+souscrive souscrives souscrivez souscrivis souscrivit souscrivît soutane soute soutenais soutenait
+soutenant souteneur soutenez souteniez soutenions soutenons soutenues soutenus soutes soutiendra
+soutienne soutiennes soutiens soutier soutiers soutins soutint soutira soutirai soutiras soutire
+soutirer soutires soutirez soutirât soutiré soutirée soutirés soutînt souvenais souvenait souvenant
+souvenez souveniez souvenions souvenons souvenu souvenue souvenues souvenus souviendra souvienne
+souviennes souviens souvins souvint souvînt soviétiques soviétisa soviétisai soviétisas soviétise
+soviétiser soviétises soviétisez soviétisât soviétisé soviétisée soviétisés soyer soyers soyeuse
+soyeux spadice spatial spatiales spatialisa spatialise spatialisé spatialité spatiaux spectral
+spectrale spectraux spectres spiracle spiral spirales spirant spirante spirants spiraux spire spires
+spirite spirée spirées spitant spitante spitants sponsor sponsorisa sponsorisai sponsorisas
+sponsorise sponsoriser sponsorises sponsorisez sponsorisât sponsorisé sponsorisée sponsorisés spore
+spores sportivité sportsman sportsmen sportule sporula sporule sporulé spécialisa spécialisai
+spécialisais spécialisait spécialisant spécialisas spécialisations spécialise spécialisent
+spécialiser spécialisera spécialises spécialisez spécialisiez spécialisons spécialisât spécieux
+spécifia spécifiai spécifiais spécifiait spécifiant spécifias spécifie spécifient spécifier
+spécifiera spécifies spécifiez spécifiiez spécifions spécifiât spécifié spécifiée spécifiées
+spécifiés spécimen spécula spéculai spéculaire spéculais spéculait spéculant spéculas spéculasse
+spéculateur spéculatifs spéculations spéculatives spécule spéculé stabilisa stabilisai stabilisais
+stabilisait stabilisant stabilisas stabilisateur stabilisations stabilise stabilisent stabilisera
+stabiliserai stabiliserais stabiliserait stabiliseras stabiliserez stabiliseriez stabiliserons
+stabiliseront stabilises stabilisez stabilisiez stabilisons stabilisât stabilisé stabilisée
+stabilisées stabilisés stabilités stades stadia stadias stagna stagnai stagnas stagnations stagne
+stagner stagnes stagnez stagnât stagné stance stances standardisa standardise standardisé standing
+stands starets starie staries starisa starise starisé starter statice statices statif statifs
+stationna stationnai stationnas stationne stationner stationnes stationnez stationnât stationné
+stationnée stationnés statique stative statives stator stators statua statuai statuais statuait
+statuant statuas statuent statuer statuera statuerai statueras statuerez statues statuette statuez
+statufia statufie statufié statuiez statuons stature statures statuât statué statuée statuées
+statués statère steeple sterlet sterlets sternal sterne sternes sternum stimula stimulai stimulais
+stimulait stimulant stimulas stimulent stimulera stimulerai stimulerais stimulerait stimuleras
+stimulerez stimuleriez stimulerons stimuleront stimules stimulez stimuliez stimuline stimulons
+stimulus stimulât stimulé stimulée stimulées stimulés stocka stockages stockai stockais stockait
+stockant stockas stockasse stocke stockent stockera stockerai stockerais stockerait stockeras
+stockerez stockeriez stockerons stockeront stockes stockez stockiez stockons stockât stocké stockée
+stockées stockés strangula strangule strangulé stressa stressai stressais stressait stressant
+stressas stresse stressent stresser stressera stresses stressez stressiez stressons stressât stressé
+stressée stressées stressés stretch strette stria striai striais striait striant strias striction
+stricts stridor strie strient strier striera stries striez strige striges striiez string strings
+strions strippa strippe strippé striqua strique striqué striure strix striât strié striée striées
+striés structura structurai structurais structurait structural structurale structurant structuras
+structuraux structurel structurelle structurels structurent structurer structurera structurerai
+structureras structurerez structurez structuriez structurons structurât structuré structurée
+structurées structurés studieux styla stylai stylais stylait stylant stylas stylent styler stylera
+stylerai styleras stylerez stylet stylets stylez styliez stylisa stylise stylisé stylite stylo
+stylons stylos stylât stylé stylée stylées stylés subie subies subira subirai subirais subirait
+subiras subirent subirez subiriez subirons subiront subis subissais subissait subissant subisse
+subisses subissez subissiez subissons subite subites subito subits subside subsidence subsista
+subsistai subsistais subsistait subsistant subsistas subsister subsistera subsisterai subsisteras
+subsisterez subsistes subsistez subsistiez subsistons subsistât subsisté substantiel substantielles
+substantiels substantif substitut substitutif substitutifs substitutions substitutive substitutives
+substituts subtile subtiles subtilisa subtilise subtilisé subtilité subtils successeurs successible
+successif successions successive succin succins succion succube succède succès succéda succédai
+succédais succédait succédant succédané succédas succéder succédera succédez succédiez succédons
+succédât succédée succédées succédés sucra sucrage sucrai sucrais sucrait sucrant sucras sucrase
+sucrate sucrent sucrer sucrera sucrerai sucreras sucrerez sucrerie sucres sucrez sucrier sucriez
+sucrin sucrins sucrons sucrât sucré sucrée sucrées sucrés sud-africaine sud-africains suffirai
+suffiraient suffirais suffiras suffire suffirent suffirez suffiriez suffirons suffiront suffis
+suffisaient suffisais suffisance suffisances suffisantes suffisants suffise suffises suffisez
+suffisiez suffisons suffisse suffisses suffite suffites suffits suffixa suffixai suffixal suffixas
+suffixe suffixer suffixes suffixez suffixât suffixé suffixée suffixés suffète suffît suggestible
+suggestif suggestifs suggestion suggestionna suggestionnai suggestionnas suggestionne suggestionner
+suggestionnes suggestionnez suggestionnât suggestionné suggestionnée suggestionnés suggestive
+suggestives suicida suicidai suicidais suicidait suicidant suicidas suicident suicider suicidera
+suiciderai suicideras suiciderez suicides suicidez suicidiez suicidons suicidât suicidé suicidée
+suicidées suicidés suis-je suissesse suissesses suitée suitées suivais suivait suive suives suiveur
+suiveurs suiveuse suivez suiviez suivions suivisme suivismes suivisse suivisses suiviste suivistes
+suivit suivons suivra suivrai suivrais suivrait suivras suivrez suivriez suivrons suivront suivît
+sujette sujettes superficiel superficielle superficiels superficies superfin superfine superfines
+superfini superfinie superfinir superfinis superfinit superfins superfinît superflu superman
+supermarché supermen supplia supplie supplié suppléa supplée supplémenta supplémentai
+supplémentaient supplémentais supplémentait supplémentant supplémentas supplémentasse supplémente
+supplémentent supplémenter supplémentera supplémentes supplémentez supplémentiez supplémentons
+suppléments supplémentât supplémenté supplémentée supplémentées supplémentés suppléé supporta
+supportai supportais supportait supportant supportas supportent supportera supporterai supporterais
+supporterait supporteras supporterez supporteriez supporterons supporteront supporters supportes
+supportez supportiez supportons supportât supporté supportée supportées supportés supposa supposai
+supposais supposait supposant supposas supposent supposera supposerai supposerais supposerait
+supposeras supposerez supposeriez supposerons supposeront supposes supposez supposiez supposât
+supposé supposée supposées supposés suppressions supprima supprimai supprimais supprimait supprimant
+supprimas supprime suppriment supprimera supprimerai supprimerais supprimerait supprimeras
+supprimerez supprimeriez supprimerons supprimeront supprimes supprimez supprimiez supprimons
+supprimât supprimée supprimées supprimés suppura suppure suppuré supputa suppute supputé suppôt
+suppôts surf surfa surfacent surfacer surfacera surfacerai surfaceras surfacerez surfacez surfaciez
+surfacé surfacée surfacées surfacés surfai surfaire surfais surfait surfaite surfaits surfant surfas
+surfasse surfaça surfaçai surfaças surfaçât surfe surfent surfer surfera surfes surfez surfiez
+surfil surfila surfile surfils surfilé surfin surfine surfins surfis surfit surfons surfont surfs
+surfât surfé surfît surmonta surmontai surmontais surmontait surmontant surmontas surmonte
+surmontent surmontera surmonterai surmonterais surmonterait surmonteras surmonterez surmonteriez
+surmonterons surmonteront surmontes surmontez surmontiez surmontoir surmontons surmontât surmonté
+surmontée surmontées surmontés surpaie surpaya surpaye surpayé surplace surplis surplomb surprenais
+surprenait surprenantes surprenants surprendra surprendrai surprendrais surprendrait surprendras
+surprendrez surprendriez surprendrons surprendront surprends surprenez surpreniez surprenne
+surprennes surprenons surprime surprimes surprisse surprisses surprit surprît surs sursauta
+sursautai sursautais sursautait sursautant sursautas sursaute sursautent sursauter sursautera
+sursautes sursautez sursautiez sursautons sursauts sursautât sursauté sursema sursemé sursise
+sursises sursisse sursisses sursit sursoie sursois sursoit sursème sursît surtaux surtaxa surtaxe
+surtaxé surtonte surveilla surveillai surveillais surveillait surveillances surveillant surveillante
+surveillantes surveillants surveillas surveillasse surveille surveillent surveillera surveillerai
+surveillerais surveillerait surveilleras surveillerez surveilleriez surveillerons surveilleront
+surveilles surveillez surveilliez surveillons surveillât surveillé surveillée surveillées surveillés
+survenu surviendra survienne surviennes surviens survies survins survint survira survirai surviras
+survire survirer survires survirez survirât surviré survis survit survivais survivait survivance
+survivances survivante survivantes survivants survive survivent survives survivez surviviez
+survivons survivra survivrai survivrais survivrait survivras survivrez survivriez survivrons
+survivront survol survola survole survols survolé survécu survînt suscita suscitai suscitais
+suscitait suscitant suscitas suscitera susciterai susciterais susciterait susciteras susciterez
+susciteriez susciterons susciteront suscites suscitez suscitiez suscitons suscitât suscitée
+suscitées suscités suspect suspecta suspectai suspectais suspectait suspectant suspectas suspecte
+suspectent suspecter suspectera suspectes suspectez suspectiez suspectons suspectât suspecté
+suspectée suspectées suspectés suspend suspende suspends suspendu suspens suspense suspenses
+suspenseur suspensif suspensifs suspensions suspensive suspensives suspensoir suspente suédine
+suédoises suédé suédée suédées suédés symboliques symbolisa symbolisai symbolisas symbolise
+symboliser symbolises symbolisez symbolisme symboliste symbolisât symbolisé symbolisée symbolisés
+sympathies sympathiques sympathisa sympathisai sympathisas sympathise sympathiser sympathises
+sympathisez sympathisât sympathisé syndic syndicalisa syndicalise syndicalisé syndics syndiqua
+syndique syndiqué synergie synergique synonymes synonymie synonymies synthétiques synthétisa
+synthétisai synthétisas synthétise synthétiser synthétises synthétisez synthétisât synthétisé
+synthétisée synthétisés systyle système systématiques systématisa systématisai systématisas
+systématise systématiser systématises systématisez systématisât systématisé systématisée
+systématisés séant séante séantes séants sécurisa sécurisai sécurisas sécurise sécuriser sécurises
+sécurisez sécurisât sécurisé sécurisée sécurisés sécurités séducteur séductions séduira séduirai
+séduirais séduirait séduiras séduirez séduiriez séduirons séduiront séduis séduisais séduisait
+séduisante séduisantes séduisants séduise séduisent séduises séduisez séduisiez séduisis séduisit
+séduisons séduisît séduite séduites séduits séjourna séjournai séjournas séjourne séjourner
+séjournes séjournez séjournât séjourné sélect sélecteur sélectif sélectifs sélectionna sélectionnai
+sélectionnais sélectionnait sélectionnant sélectionnas sélectionne sélectionnent sélectionnera
+sélectionnerai sélectionnerais sélectionnerait sélectionneras sélectionnerez sélectionneriez
+sélectionnerons sélectionneront sélectionnes sélectionneur sélectionneurs sélectionneuse
+sélectionnez sélectionniez sélectionnons sélectionnât sélectionnée sélectionnées sélections
+sélective sélectives sélects séminal séminale séminales séminaux sénateurs sénats sépale sépales
+sépara séparai séparais séparait séparant séparas séparateur séparations séparatisme séparatiste
+séparent séparera séparerai séparerais séparerait sépareras séparerez sépareriez séparerons
+sépareront sépares séparez sépariez séparons séparât séparées séquence séquenceur séquenceurs séria
+sériai sériais sériait sériant sérias sériel sérielle sériels sérient sérier sériera sérierai
+sérieras sérierez sériez sériiez sérine sérines sérions sérique sériât sérié sériée sériées sériés
+sérénade sérénités tabacs tabagie tabar tabard tabards tabars tabassa tabasse tabassé tabla tablai
+tablais tablait tablant tablar tablars tablas tableautin tabler tablera tablerai tableras tablerez
+tablette tableur tableurs tablez tablier tabliez tablons tabloïd tablât tablé tablée tablées tablés
+tabor tabors taboue taboues tabouret tabous taboué taboués tacha tachai tachais tachait tachant
+tachas tachent tacher tachera tacherai tacheras tacherez taches tacheta tachetai tachetas tacheter
+tachetez tachette tachetât tacheté tachetée tachetés tachez tachiez tachine tachons tachyon tachât
+taché tachée tachées tachés tactile tactiles tactiques tactisme tailla taillada taillade tailladé
+taillage taillai taillais taillait taillant taillas taillent tailler taillera taillerai tailleras
+taillerez taillerie tailles tailleurs tailleuse tailleuses taillez tailliez taillis tailloir
+taillole taillons taillât taillé taillée taillées taillés tale taler talera talerai taleras talerez
+tales taleth taleths talez tandems tantale tante tantes tantine tantôt tapi tapie tapies tapiez
+tapin tapina tapinai tapinas tapine tapiner tapines tapinez tapins tapinât tapiné tapioca tapions
+tapir tapira tapirai tapiras tapirez tapissa tapissai tapissas tapisse tapisser tapisses tapissez
+tapissât tapissé tapissée tapissés tapit tarda tardai tardais tardait tardant tardas tarde tardent
+tardera tarderai tarderais tarderait tarderas tarderez tarderiez tarderons tarderont tardes tardez
+tardiez tardif tardifs tardions tardives tardiveté tardivetés tardons tardât tardé tari tarie taries
+tariez tarifa tarifai tarifais tarifait tarifant tarifas tarife tarifent tarifer tarifera tarifes
+tarifez tarifia tarifiai tarifias tarifications tarifie tarifier tarifies tarifiez tarifiât tarifié
+tarifiée tarifiés tarifons tarifât tarifé tarifée tarifées tarifés tarin tarins tarions tarir tarira
+tarirai tariras tarirez taris tarisse tarit tarière taxateur taxatif taxatifs taxations taxative
+taxatives taxent taxera taxerai taxerais taxerait taxeras taxerez taxeriez taxerons taxeront taxez
+technicien technicienne techniciennes technicisa technicisai technicisas technicise techniciser
+technicises technicisez technicisât technicisé technicisée technicisés technicité technicités
+technisa technisai technisas technise techniser technises technisez technisât technisé technisée
+technisés technologiste technologue technologues teindra teindre teins teinta teintai teintais
+teintait teintant teintas teinte teintent teinter teintera teinterai teinteras teinterez teintez
+teintiez teintons teints teinture teintât teinté teintée teintées teintés tell tells tellure telson
+telsons tempe tempes temples templier tempo temporal temporale temporales temporaux tempos tempère
+tempéra tempéraments tempéré tempêta tempête tempêté tenable tenace tenaces tenaient tenailla
+tenaille tenaillé tenais tenante tenantes tenants tendais tendait tendanciel tendant tende tendelle
+tender tenderie tenders tendes tendeur tendeurs tendeuse tendez tendiez tendis tendit tendoir tendon
+tendons tendra tendrai tendrais tendrait tendras tendres tendresses tendreté tendretés tendrez
+tendriez tendron tendrons tendront tends tendu tendue tendues tendus tendît teneurs teneuse teneuses
+tenez teniez tenions tennisman tennismen tenson tensons tenta tentai tentais tentait tentante
+tentantes tentants tentas tentasse tentateur tentations tentera tenterai tenterais tenterait
+tenteras tenterez tenteriez tenterons tenteront tentes tentez tentiez tentons tenture tentât tentée
+tentées tenure tenures tenuto termina terminai terminais terminait terminale terminales terminant
+terminas terminasse terminent terminera terminerai terminerais terminerait termineras terminerez
+termineriez terminerons termineront termines terminez terminiez terminons terminus terminât
+terminées terminés termite termites terra terrage terrages terrai terraient terrais terrait terrant
+terraqué terras terrassa terrassai terrassais terrassait terrassant terrassas terrassent terrasser
+terrassera terrasserai terrasseras terrasserez terrasses terrassez terrassier terrassiez terrassons
+terrassât terrassé terrassée terrassées terrassés terreau terreaux terrent terrer terrera terrerai
+terreras terrerez terrestre terreur terreurs terreuse terreux terrez terri terribles terrien
+terriens terrier terriers terriez terrifia terrifie terrifié terril terrils terrine terrines
+terrions terrir terrira terrirai terriras terrirez terris terrisse territ territoires terroirs
+terrons terrât terré terrée terrées terrés terrît testa testacé testage testai testais testait
+testant testas teste testent testera testerai testerais testerait testeras testerez testeriez
+testerons testeront testes testeur testeurs testez testiez teston testons testât testée testées
+testés texan texane texanes texans textuel textuels textura texturai texturais texturait texturant
+texturas texturent texturer texturera texturerai textureras texturerez textures texturez texturiez
+texturisa texturise texturisé texturons texturât texturé texturée texturées texturés thermidor
+thermie thermies thermiques thermite thermites théorbe théorbes théories théoriques théorisa
+théorisai théorisas théorise théoriser théorises théorisez théorisât théorisé théorisée théorisés
+théorème thérapies tickets tien tiendrai tiendrais tiendrait tiendras tiendrez tiendriez tiendrons
+tiendront tiennes tierce tiercer tierces tiercez tiercé tiercée tiercés tierça tierçai tierças
+tierçât timides timidité timings tint tinta tintai tintais tintait tintant tintas tinte tintent
+tinter tintera tintes tintez tintiez tintins tintions tintons tintât tinté tintée tintées tintés
+tira tirade tirades tirages tirai tirais tirait tirant tiras tirasse tirera tirerai tirerais
+tirerait tireras tirerez tireriez tirerons tireront tires tiret tirets tirette tireur tireurs
+tireuse tirez tiroir tirons tirée tirées tissa tissage tissai tissais tissait tissant tissas tisse
+tissent tisser tissera tisses tisseur tissez tissiez tissons tissure tissures tissât tissé tissée
+tissées tissés titra titrage titrai titrais titrait titrant titras titrent titrer titrera titrerai
+titreras titrerez titrez titriez titrons titrât titré titrée titrées titrés toila toilai toilais
+toilait toilant toilas toilent toiler toilera toilerai toileras toilerez toilerie toiletta
+toilettage toilettai toilettais toilettait toilettant toilettas toilettent toiletter toilettera
+toiletterai toiletteras toiletterez toilettes toilettez toilettiez toilettons toilettât toiletté
+toilettée toilettées toilettés toilez toiliez toilons toilât toilé toilée toilées toilés toits
+toiture toléra tolérable tolérai tolérais tolérait tolérances tolérant tolérante tolérantes
+tolérants toléras tolérasse toma tomai tomais tomait tomant tomas tomasse tomba tombac tombacs
+tombai tombais tombait tombal tombale tombant tombas tombaux tombeau tombeaux tombelle tombera
+tomberai tomberais tomberait tomberas tombereau tomberez tomberiez tomberons tomberont tombes
+tombeur tombeurs tombez tombiez tombola tombons tombât tombées tombés tonna tonnage tonnais tonnait
+tonnant tonneaux tonnelet tonnelle tonnent tonner tonnera tonnerai tonneras tonnerez tonnerre tonnez
+tonniez tonnons tonné tonsura tonsure tonsuré tortil tortils tortis tortora tortore tortoré torts
+tortue tortues tortura torture torturé totales totalisa totalisai totalisas totalise totaliser
+totalises totalisez totalisât totalisé totalisée totalisés totalités totaux toucan toucans toucha
+touchai touchais touchait touchante touchantes touchants touchas touchasse touchau touchaux touchera
+toucherai toucherais toucherait toucheras toucherez toucheriez toucherons toucheront touchette
+toucheur toucheurs touchez touchiez touchons touchât touchée touchées tourba tourbai tourbas tourbe
+tourber tourbes tourbez tourbât tourbé tourd tourds touret tourets tourie tourier touriers touries
+tourismes touriste tourière tourna tournages tournaient tournailla tournaille tournaillé tournais
+tournait tournante tournantes tournants tournas tournassa tournasse tournassé tournedos tournera
+tournerai tournerais tournerait tourneras tournerez tourneriez tournerons tourneront tournes
+tournesol tournette tourneur tourneurs tourneuse tournevis tournez tourniez tournis tournoie
+tournoient tournoiera tournoies tournois tournons tournoya tournoyai tournoyas tournoyer tournoyez
+tournoyât tournoyé tournure tournât tournées tournés touron tourons tourte tourtes toussa toussai
+toussas tousse tousser tousses toussez toussât toussé toutim toutime toutims toutou toutous touts
+toxique trac tracana tracane tracané tracas tracent tracer tracera tracerai traceras traceret
+tracerez traceur traceurs traceuse tracez trachée traciez tracs tract tracta tractai tractas tracte
+tractent tracter tractera tracterai tracteras tracterez tractes tracteur tracteurs tractez tractif
+tracts tractus tractât tracté tractée tractés tracée tracées tracés traditeur traducteur traductions
+traduira traduirai traduirais traduirait traduiras traduirez traduiriez traduirons traduiront
+traduis traduise traduises traduisez traduisis traduisit traduisît traduite traduites traduits
+traficota traficote traficoté trafics trafiqua trafique trafiqué tragiques traie traient traies
+traille training traira trairai trairas traire trairez trais traita traitai traitais traitait
+traitant traitas traitera traiterai traiterais traiterait traiteras traiterez traiteriez traiterons
+traiteront traites traiteur traiteurs traitez traitiez traitons traitât traitée trajets trancha
+tranchage tranchai tranchais tranchait tranchant tranchas tranchent tranchera trancherai trancherais
+trancherait trancheras trancherez trancheriez trancherons trancheront tranchet tranchets trancheur
+trancheurs trancheuse tranchez tranchiez tranchoir tranchons tranchât tranché tranchée tranchées
+tranchés tranquilles tranquillisa tranquillise tranquillisé tranquillité transactionnel transat
+transats transe transept transes transfila transfile transfilé transfini transfo transforma
+transformai transformais transformait transformant transformas transformateur transformationnel
+transformations transforment transformera transformerai transformerais transformerait transformeras
+transformerez transformeriez transformerons transformeront transformes transformez transformiez
+transformons transformât transformées transformés transfos transfuge transfusa transfuse transfusé
+transfère transféra transférai transférais transférait transférant transféras transférera
+transférerai transférerais transférerait transféreras transférerez transféreriez transférerons
+transféreront transférez transfériez transférons transférât transféré transférée transférées
+transférés transi transie transies transige transigé transir transira transis transit transita
+transitai transitais transitait transitant transitas transite transitent transiter transitera
+transites transitez transitiez transitif transitifs transitionnel transitions transitive transitives
+transitons transits transitât transité transitée transitées transités transmets transmettais
+transmettait transmettant transmette transmettent transmettes transmetteur transmettez transmettiez
+transmettons transmettra transmettrai transmettrais transmettrait transmettras transmettrez
+transmettriez transmettrons transmettront transmigra transmigre transmigré transmise transmises
+transmisse transmissent transmisses transmissible transmissiez transmissions transmit transmua
+transmuai transmuas transmue transmuer transmues transmuez transmuta transmute transmuté transmuât
+transmué transmuée transmués transmît transparais transparaît transparences transparentes
+transparents transparu transparue transparues transparus transparut transparût transpira transpire
+transpiré transporta transportai transportais transportait transportant transportas transporte
+transportent transportera transporterai transporterais transporterait transporteras transporterez
+transporteriez transporterons transporteront transportes transporteur transporteuse transporteuses
+transportez transportiez transportons transportât transporté transportée transportées transportés
+transposa transposai transposas transpose transposer transposes transposez transposât transposé
+transposée transposés transît travailla travaillai travaillaient travaillais travaillas travaillasse
+travaillera travaillerai travaillerais travaillerait travailleras travaillerez travailleriez
+travaillerons travailleront travailles travailleuse travailleuses travaillez travailliez travaillât
+travaillée travaillées travaillés travails travelage traveling travelo travelos traversa traversai
+traversais traversait traversant traversas traversent traversera traverserai traverserais
+traverserait traverseras traverserez traverseriez traverserons traverseront traverses traversez
+traversier traversiez traversin traversins traversons traversât traversées traversés travesti travée
+travées treille trentain trentaines trentains triangles triangula triangule triangulé triant tribu
+tribun tribunat tribunats tribune tribunes tribuns tribus tribut tributs trima trimai trimais
+trimait trimant trimard trimas trime triment trimer trimera trimes trimestrielle trimestrielles
+trimez trimiez trimons trimât trimère trimé trimée trimées trimés triode triodes triol triolet
+triols triompha triomphai triomphais triomphait triomphal triomphale triomphant triomphas triomphaux
+triomphent triompher triomphera triompherai triompheras triompherez triomphes triomphez triomphiez
+triomphons triomphât triomphé trions trionyx trios trip tripale tripang tripe tripes tripier tripla
+triplace triplai triplais triplait triplant triplas triplent tripler triplera triplerai tripleras
+triplerez triples triplette triplex triplez tripliez triplons triplure triplât triplée triplées
+triplés tripoli tripot tripota tripote tripots tripoté tripous tripoux trips tris trisme trismes
+trismus trisoc trisocs trissa trissai trissas trisse trisser trisses trissez trissât trissé trissée
+trissés tristes tristesse trombe trombes trommel trompa trompai trompais trompait trompant trompas
+trompent trompera tromperai tromperais tromperait tromperas tromperez tromperie tromperies
+tromperiez tromperons tromperont trompes trompeta trompetai trompetas trompeter trompetez trompette
+trompetât trompeté trompetée trompetés trompeur trompeurs trompeuse trompez trompiez trompons
+trompât trompé trompée trompées trompés trope tropes trophée troua trouai trouais trouait trouant
+trouas troubade troubla troublai troublais troublait troublant troublas troubleau troubleaux
+troublent troubler troublera troublerai troubleras troublerez troublez troubliez troublons troublât
+troublé troublée troublées troublés troue trouent trouer trouera troues trouez trouiez trouons
+troupe troupeau troupeaux troupier troussa troussai troussas trousse trousser trousses troussez
+troussât troussé troussée troussés trouva trouvable trouvai trouvaille trouvais trouvas trouvasse
+trouverai trouverais trouverait trouveras trouveriez trouverons trouves trouveur trouveurs trouveuse
+trouvez trouviez trouvât trouvère trouvées trouvés trouât troué trouée trouées troués trucage
+trucida trucide trucidé truffa truffai truffais truffait truffant truffas truffent truffer truffera
+trufferai trufferas trufferez truffez truffier truffiez truffons truffât truffé truffée truffées
+truffés trusta trustai trustais trustait trustant trustas truste trustent truster trustera trustes
+trusteur trustez trustiez trustons trusts trustât trusté trustée trustées trustés trésoreries
+trésorier tubent tuber tubera tuberai tuberas tuberez tubez tubiez tubifex tubions tubiste tuera
+tuerai tuerais tuerait tueras tuerez tuerie tueries tueriez tuerons tueront tunnelier tunnels turban
+turbans turbe turbeh turbehs turbes turbide turbin turbina turbine turbins turbiné turbith turbot
+turbotin turbots turbulence turbulent turbulente turbulentes turbulents turbé turbés turque turques
+turquin turquins tutelles tuteur tuteura tuteure tuteurs tuteuré tuyau tuyauta tuyautai tuyautas
+tuyaute tuyauter tuyautes tuyautez tuyautât tuyauté tuyautée tuyautés typent typer typera typerai
+typeras typerez typez typiez typions typiques typisa typisai typisas typise typiser typises typisez
+typisât typisé typisée typisés télécopia télécopie télécopié téléga télégas téléphona téléphonage
+téléphonai téléphonais téléphonait téléphonant téléphonas téléphonent téléphonera téléphonerai
+téléphonerais téléphonerait téléphoneras téléphonerez téléphoneriez téléphonerons téléphoneront
+téléphonez téléphonies téléphoniez téléphonions téléphoniste téléphonons téléphonât téléphoné
+téléphonée téléphonées téléphonés télés téléski téléspectateur télétextes télévisa télévisai
+télévisais télévisait télévisant télévisas télévise télévisent téléviser télévisera télévises
+téléviseur télévisez télévisiez télévisions télévisons télévisuel télévisât télévisé télévisées
+télévisés témoigna témoignai témoignais témoignait témoignant témoignas témoignasse témoigner
+témoignera témoignerai témoigneras témoignerez témoignes témoignez témoigniez témoignons témoignât
+témoigné témoignée témoignées témoignés ultimes ultimo ultérieur ultérieures ultérieurs unifolié
+uniformes uniformisa uniformise uniformisé uniformité unions unit unitif unitifs unitive universaux
+universelles universels université urbaines urge urgea urgeait urgences urgente urgentes urgents
+urger urgera urgeât usager usagé usagée usagées usagés usina usinage usinai usinais usinait usinant
+usinas usinent usiner usinera usinerai usineras usinerez usinez usinier usiniez usinons usinât usiné
+usinée usinées usinés usée utilisa utilisable utilisai utilisais utilisait utilisas utilisasse
+utilisations utilisera utiliserai utiliserais utiliserait utiliseras utiliserez utiliseriez
+utiliserons utiliseront utilises utilisez utilisiez utilisons utilisât utilitaire utilité utilités
+va-tout vacance vacancier vacant vacante vacantes vacants vaccina vaccinai vaccinais vaccinait
+vaccinal vaccinale vaccinant vaccinas vaccinaux vaccine vaccinent vacciner vaccinera vaccines
+vaccinez vaccinide vaccinier vacciniez vaccinons vaccins vaccinât vacciné vaccinée vaccinées
+vaccinés vachard vacher vacherie vacherin vachers vachette vachère vagua vaguai vaguais vaguait
+vaguant vaguas vaguent vaguer vaguera vaguerai vagueras vaguerez vaguez vaguiez vaguons vaguât vagué
+vainc vaincra vaincre vaincs vaincu vaincue vaincus vaine vaines vainquais vainquait vainquant
+vainque vainquent vainques vainqueurs vainquez vainquiez vainquis vainquit vainquons vainquît vains
+valaient valais valant valence valences valet valeta valetai valetas valeter valetez valets valette
+valetât valeté valeureux valez valida validai validais validait validant validas valide valident
+valider validera valides validez validiez validions validités validons validât validé validée
+validées validés vallon vallons vallées valoche valons valorisa valorisai valorisais valorisait
+valorisant valorisas valorisations valorise valorisent valorisera valoriserai valoriserais
+valoriserait valoriseras valoriserez valoriseriez valoriserons valoriseront valorises valorisez
+valorisiez valorisons valorisât valorisé valorisée valorisées valorisés valousa valouse valousé
+value values valus valusse valut valériane vanda vandale vandas vanilles vanillier vanilline
+vanillon vanillons vanillé vanillée vanillées vanillés vanité vanités vape vapes vapeurs varia
+variai variais variait variance variances variante variants varias variasse variateur varice varices
+variera varierai varierais varierait varieras varierez varieriez varierons varieront varies variez
+variiez variole variolé varions variât varié variée variées variés variétal variétale variétaux
+vaudois vaudou vaudoue vaudous vaudrai vaudrais vaudrait vaudras vaudrez vaudriez vaudrons vaudront
+vautour vautra vautrai vautras vautre vautrer vautres vautrez vautrât vautré vautrée vautrés veaux
+veilla veillai veillais veillait veillant veillas veillent veillera veillerai veillerais veillerait
+veilleras veillerez veilleriez veillerons veilleront veilles veilleur veilleurs veilleuse veillez
+veilliez veillons veillât veillé veillée veillées veillés veina veinai veinais veinait veinant
+veinard veinas veinent veiner veinera veinerai veineras veinerez veines veinette veineuse veineux
+veinez veiniez veinons veinule veinure veinât veiné veinée veinées veinés veld velds velot velots
+velouta veloutai veloutas veloute velouter veloutes veloutez veloutât velouté veloutée veloutés
+venaient venais venaison vendable vendais vendait vendange vendangea vendanger vendanges vendangez
+vendangé vendangée vendangés vende vendes vendetta vendeuse vendeuses vendez vendiez vendis vendit
+vendons vendra vendrai vendrais vendrait vendras vendredis vendrez vendriez vendrons vendront vends
+vendéen vendît veniez venin venins venions venta ventage ventail ventait venter ventera venteuse
+venteux ventila ventile ventilé ventis ventral ventrale ventraux ventres ventru ventrue ventrues
+ventrus ventrée ventrées vents venturi ventât venté ventôse verbal verbale verbales verbaux verbe
+verbes verbeux verdage verdet verdets verdeur verdi verdict verdie verdier verdies verdir verdira
+verdis verdit verdoie verdoya verdoyé verdures verdît vernal vernale vernaux verni vernie vernier
+verniers vernies vernir vernira vernirai verniras vernirez vernissa vernissai vernissas vernisse
+vernisser vernisses vernissez vernissât vernissé vernissée vernissés vernit vernît verrai verrais
+verrait verranne verras verrat verrats verrerie verrez verrier verriez verrine verrons verrou
+verrous verrue verrues verré verrée verrées verrés versa versai versais versait versant versas
+verseau verseaux versent versera verserai verserais verserait verseras verserez verseriez verserons
+verseront verses verset versets verseur verseurs verseuse versez versiez versifia versifie versifié
+verso versoir versons versos verste verstes versus versât vertex vertical verticales verticalité
+verticaux vertige vertigo vertueux vestale vestes vestige veston vestons veule veulerie veules
+vianda viandai viandais viandait viandant viandas viandent viander viandera vianderai vianderas
+vianderez viandez viandiez viandons viandât viandé viandée viandées viandés vice-présidence
+vice-présidences vice-présidente vice-présidentes vice-présidents vices victoires victoria victorias
+victorien videlle vident vider videra viderai videras viderez videur videurs videuse videz vidé
+vidée vidées vidéotex vidés vieil vieillard vieillerie vieillesse vieillesses vieilli vieillie
+vieillies vieillir vieillira vieillis vieillissements vieillit vieillot vieillots vieillît viendrai
+viendrais viendrait viendras viendrez viendriez viendrons viennes vierges vietnamien vigne vigneau
+vigneaux vigneron vignette vignobles vignot vignots vigoureuses vigoureux viguerie vigueurs viguier
+villageois villas vinai vinaient vinaigra vinaigrai vinaigrais vinaigrait vinaigrant vinaigras
+vinaigrent vinaigrer vinaigrera vinaigrerai vinaigreras vinaigrerez vinaigrerie vinaigres
+vinaigrettes vinaigrez vinaigrier vinaigriez vinaigrons vinaigrât vinaigré vinaigrée vinaigrées
+vinaigrés vinaire vinaires vinais vinait vingtaines vingts vinsse vinsses viol viola violace violacé
+violai violais violait violant violas violat violats violaça viole violences violenta violentai
+violentais violentait violentant violentas violente violentent violenter violentera violentes
+violentez violentiez violentons violents violentât violenté violentée violentées violentés violer
+violera violerai violeras violerez violes violet violets violette violeur violeurs violeuse violez
+violier violiez violine violon violona violone violons violoné viols violât violé violée violées
+violés vira virages virago viragos virai virais virait viral virale virales virant viras virasse
+viraux virginal virginale virginaux virginie virginies virginité virgula virgule virgulé virtuelles
+virtuels virtuose virure virures visai visais visait visas visasse visera viserai viserais viserait
+viseras viserez viseriez viserons viseront vises viseur viseurs viseuse viseux visez visibilités
+visiez visionna visionnai visionnas visionne visionner visionnes visionnez visionnât visionné
+visionnée visionnés visions visita visitai visitais visitait visitant visitas visitent visitera
+visiterai visiterais visiterait visiteras visiterez visiteriez visiterons visiteront visiteuse
+visiteuses visitez visitiez visitons visitât visité visitée visitées visités visière visuelles
+visuels visée visées vitae vitale vitales vitalité vitaminé vitaminée vitaminées vitaminés vitaux
+vitra vitrage vitrai vitrail vitrais vitrait vitrant vitras vitraux vitre vitrent vitrer vitrera
+vitrerai vitreras vitrerez vitrerie vitreuse vitreux vitrez vitrier vitriers vitriez vitrifia
+vitrifie vitrifié vitrines vitriol vitriola vitriole vitriols vitriolé vitrions vitrière vitrons
+vitrât vitré vitrée vitrées vitrés vivable vivace vivaces vivais vivait vivante vivantes vivants
+vivat vivats vivendi viveur viveurs viveuse vivez vivota vivotai vivotas vivote vivoter vivotes
+vivotez vivotât vivoté vivra vivrai vivrais vivrait vivras vivres vivrez vivrier vivriez vivrons
+vivront vivré vivrée vivrées vivrés vocable vocabulaires vocal vocales vocalisa vocalise vocalisé
+vocatif vocatifs vocations vocaux vogua voguai voguais voguait voguant voguas voguent voguer voguera
+voguerai vogueras voguerez vogues voguez voguiez voguons voguât vogué voila voilage voilai voilais
+voilait voilant voilas voilent voiler voilera voilerai voileras voilerez voilerie voiles voilette
+voilez voilier voiliez voilons voilure voilât voilé voilée voilées voilés voirie voiries voisina
+voisinage voisinai voisinais voisinait voisinant voisinas voisinent voisiner voisinera voisinerai
+voisineras voisinerez voisines voisinez voisiniez voisinons voisinât voisiné voitura voiturage
+voiturai voiturais voiturait voiturant voituras voiturent voiturer voiturera voiturerai voitureras
+voiturerez voiturette voiturez voiturier voituriez voiturin voiturins voiturons voiturât voituré
+voiturée voiturées voiturés vola volable volage volages volai volaient volailler volaillers
+volailles volailleur volailleurs volailleuse volais volait volante volantes volants volapük volas
+volasse volatil volatile volatiles volatilisa volatilisai volatilisas volatilise volatiliser
+volatilises volatilisez volatilisât volatilisé volatilisée volatilisés volatilités volatils volent
+volera volerai volerais volerait voleras volerez volerie voleries voleriez volerons voleront voles
+voleta voletai voletais voletait voletant voletas voleter voletez voletiez voletons volets volette
+volettes voletât voleté voleur voleurs voleuse volez volons volontés volupté volute volutes volve
+volves volvox volé volée volées votent votera voterai voterais voterait voteras voterez voteriez
+voterons voteront votes votez votée votées votés voudra voudrai voudras voudrez voudriez voudrons
+voudront voulant vouliez voulue voulues voulus voulusse voulut voulût vousoie vousoya vousoyé
+voyagea voyageai voyageais voyageait voyageant voyageas voyagent voyageons voyagera voyagerai
+voyagerais voyagerait voyageras voyagerez voyageriez voyagerons voyageront voyageuse voyageuses
+voyagez voyageât voyagiez voyagé voyaient voyais voyance voyances voyante voyantes voyants voyelle
+voyer voyers voyeur voyeurs voyeuse voyou voyous vécue vécues vécus vécusse vécut véhicula véhiculai
+véhiculais véhiculait véhiculant véhiculas véhiculent véhiculer véhiculera véhiculerai véhiculeras
+véhiculerez véhiculez véhiculiez véhiculons véhiculât véhiculé véhiculée véhiculées véhiculés véloce
+véloces vélos véloski vérifia vérifiai vérifiais vérifiait vérifiant vérifias vérifie vérifient
+vérifiera vérifierai vérifierais vérifierait vérifieras vérifierez vérifieriez vérifierons
+vérifieront vérifies vérifieur vérifieurs vérifieuse vérifiez vérifiiez vérifions vérifiât vérifié
+vérifiée vérifiées vérifiés vérin vérine vérines vérins vérisme vériste vérités véroniques wallaby
+wallonisme warranta warrantage warrantai warrantais warrantait warrantant warrantas warrante
+warrantent warranter warrantera warrantes warrantez warrantiez warrantons warrantât warranté
+warrantée warrantées warrantés washingtonia washingtonias waters western zincage zincs zonent zoner
+zonera zonerai zoneras zonerez zonez zéros écarta écartai écartais écartait écartant écartas écarte
+écartela écartelé écartent écarter écartera écartes écarteur écartez écartiez écartons écartât
+écartèle écarté écartée écartées écartés échalas échampi échancra échancre échancré échangea
+échangeai échangeais échangeait échangeant échangeas échangent échangeons échangera échangerai
+échangerais échangerait échangeras échangerez échangeriez échangerons échangeront échangeur
+échangeurs échangeuse échangez échangeât échangiez échangé échangée échangées échangés échanson
+échantillonna échantillonnai échantillonnas échantillonne échantillonner échantillonnes
+échantillonnez échantillonnât échantillonné échantillonnée échantillonnés échantillons échappa
+échappai échappais échappait échappant échappas échappera échapperai échapperais échapperait
+échapperas échapperez échapperiez échapperons échapperont échappes échappez échappiez échappons
+échappât échappée échappées échappés écharde écharna écharne écharné écharpa écharpe écharpé échasse
+échauda échaude échaudé échaula échaule échaulé échauma échaume échaumé échelier échelles échelon
+échelons échevin écho échoie échoies échoir échoira échoit échoppa échoppe échoppé échos échoua
+échouage échouai échouais échouait échouant échouas échoue échouent échouer échouera échoues échouez
+échouiez échouons échouât échouée échouées échoués échéancier éclair éclaira éclairages éclairai
+éclairais éclairait éclairant éclairante éclairants éclairas éclairasse éclairci éclaircie éclaircir
+éclaircis éclaircit éclaircît éclaire éclairent éclairer éclairera éclaires éclaireur éclairez
+éclairiez éclairons éclairs éclairât éclairé éclairée éclairées éclairés éclata éclatai éclatais
+éclatait éclatant éclatas éclate éclatent éclater éclatera éclates éclateur éclatez éclatiez
+éclatons éclats éclatât éclaté éclatée éclatées éclatés écolage écolier écologie écologies
+écologiste économat économats économe économes économisa économisai économisais économisait
+économisant économisas économise économisent économiser économisera économises économiseur
+économisez économisiez économisme économismes économisons économisât économisé économisée
+économisées économisés écoula écoulai écoulais écoulait écoulant écoulas écoule écoulent écouler
+écoulera écoules écoulez écouliez écoulons écoulât écoulées écoulés écourta écourte écourté écouta
+écoutai écoutais écoutait écoutant écoutas écoutent écoutera écouterai écouterais écouterait
+écouteras écouterez écouteriez écouterons écouteront écoutes écouteur écouteurs écoutez écoutiez
+écoutons écoutât écouté écoutée écoutées écoutés écrasa écrasai écrasas écrase écraser écrases
+écrasez écrasât écrasé écrasée écrasés écrier écriez écriiez écrins écrions écrira écrirai écrirais
+écrirait écriras écrirez écririez écrirons écriront écris écriteau écriteaux écrites écritures
+écrivaient écrivailla écrivaille écrivaillé écrivais écrivait écrivant écrivassa écrivasse écrivassé
+écrive écrivent écrives écrivez écriviez écrivis écrivit écrivons écrivît écrié écriée écriées
+écriés édit édita éditai éditais éditait éditant éditas édite éditent éditer éditera éditerai
+éditeras éditerez édites éditez éditiez éditionna éditionnai éditionnas éditionne éditionner
+éditionnes éditionnez éditionnât éditionné éditionnée éditionnés éditons édits éditât éditée éditées
+édités éducateur éducatif éducatifs éducationnel éducations éducative éducatives égala égalai
+égalais égalait égalant égalas égalent égaler égalera égalerai égaleras égalerez égalez égaliez
+égalisa égalise égalisé égalité égalons égalât égalé égalée égalées égalés égara égarai égarais
+égarait égarant égaras égards égare égarent égarer égarera égares égarez égariez égarons égarât
+égaré égarée égarées égarés églises élabora élaborai élaborais élaborait élaborant élaboras élabore
+élaborent élaborera élaborerai élaborerais élaborerait élaboreras élaborerez élaboreriez élaborerons
+élaboreront élabores élaborez élaboriez élaborons élaborât élaborées élaborés élance élancer élances
+élancez élancé élancée élancés élans élança élançai élanças élançât élargie élargies élargira
+élargirai élargirais élargirait élargiras élargirent élargirez élargiriez élargirons élargiront
+élargis élargisse élargit élargît électeur électif électifs élection élective électives électorales
+électorat électorats électoraux électrice électrices électricien électriciens électricités
+électrifia électrifie électrifié électrisa électrisai électrisas électrise électriser électrises
+électrisez électrisât électrisé électrisée électrisés électronisa électronisai électronisas
+électronise électroniser électronises électronisez électronisât électronisé électronisée
+électronisés éleva élevage élevai élevais élevait élevant élevas élever éleveur élevez éleviez
+élevons élevât élimiez élimina éliminai éliminais éliminait éliminant éliminas élimine éliminent
+éliminera éliminerai éliminerais éliminerait élimineras éliminerez élimineriez éliminerons
+élimineront élimines éliminez éliminiez éliminons éliminât éliminé éliminée éliminées éliminés
+élimions éloigna éloignai éloignais éloignait éloignant éloignas éloigne éloignent éloigner
+éloignera éloignes éloignez éloigniez éloignons éloignât éloignée éloignées éloignés élusif élusifs
+élusive élusse élusses élégances élégantes élégants élégi élégie élégies élégir élégira élégis émana
+émanai émanais émanait émanas émanasse émanche émanent émaner émanera émanerai émaneras émanerez
+émanes émanez émaniez émanons émanât émané émerge émergea émergeai émergeais émergeait émergeant
+émergeas émergence émergences émergent émergeons émerger émergera émergerai émergeras émergerez
+émerges émergez émergeât émets émettais émettait émette émettent émettes émettez émettiez émettons
+émettra émettrai émettrais émettrait émettras émettrez émettrice émettriez émettrons émettront
+émisse émissent émisses émissiez émissif émissifs émissive émissives émissole émotif émotifs
+émotionna émotionnai émotionnas émotionne émotionnel émotionner émotionnes émotionnez émotionnât
+émotionné émotionnée émotionnés émotive émotives émotta émottai émottas émotte émotter émottes
+émottez émottât émotté émottée émottés énergies énergique énergétiques énerva énervai énervas énerve
+énerver énerves énervez énervât énervé énervée énervés énormité épair épairs épaisse épaisses
+épaissi épaissie épaissir épaissis épaissit épaissît épar épargna épargnai épargnais épargnait
+épargnant épargnante épargnantes épargnas épargnasse épargnent épargner épargnera épargnerai
+épargneras épargnerez épargnes épargnez épargniez épargnons épargnât épargné épargnée épargnées
+épargnés éparque épars éparse éparses épaufra épaufre épaufré épaula épaulai épaulais épaulait
+épaulant épaulard épaulas épaule épaulent épauler épaulera épaulerai épauleras épaulerez épaulette
+épaulez épauliez épaulons épaulât épaulé épaulée épaulées épaulés épice épicent épicer épicera
+épicerai épiceras épicerez épicerie épicez épicier épiciez épicène épicé épicéa épicéas épicée
+épicées épicés épina épinai épinais épinait épinant épinard épinas épince épincer épinces épincez
+épincé épincée épincés épine épinent épiner épinera épines épineux épinez épingla épinglage épinglai
+épinglais épinglait épinglant épinglas épinglent épingler épinglera épinglerai épingleras épinglerez
+épingles épinglette épinglez épinglier épingliez épinglons épinglât épinglé épinglée épinglées
+épinglés épinier épiniez épinons épinât épinça épinçai épinças épinçât épiné épinée épinées épinés
+épis épisodes épissa épissai épissas épisse épisser épisses épissez épissât épissé épissée épissés
+époques épousa épousai épousais épousait épousant épousas épousent épouser épousera épouserai
+épouseras épouserez épouses épouseur épouseurs épousez épousiez épousons épousât épousé épousée
+épousées épousés épouti époutia époutie époutir époutis époutit époutié époutît épreins épreint
+éprenez éprouva éprouvai éprouvais éprouvait éprouvant éprouvas éprouvent éprouver éprouvera
+éprouverai éprouveras éprouverez éprouves éprouvette éprouvez éprouviez éprouvons éprouvât éprouvé
+éprouvée éprouvées éprouvés équidé équidés équilibra équilibrage équilibrai équilibrais équilibrait
+équilibrant équilibras équilibrent équilibrer équilibrera équilibrerai équilibreras équilibrerez
+équilibres équilibrez équilibriez équilibrons équilibrât équilibrées équilibrés équille équin équine
+équines équins équipa équipage équipai équipais équipait équipant équipas équipent équiper équipera
+équiperai équiperas équiperez équipez équipier équipiez équipolé équipons équipât équité équités
+équivalais équivalait équivalant équivalence équivalences équivalentes équivalents équivalez
+équivaliez équivaloir équivalons équivalu équivalus équivalut équivalût équivaudra équivaux établa
+établai établais établait établant établas étable établent établer établera étables établez établiez
+établions établira établirai établirais établirait établiras établirent établirez établiriez
+établirons établiront établisse établisses établissez établons établât établé établée établées
+établés établît étagea étageai étageais étageait étageant étageas étagent étageons étager étagera
+étagerai étageras étagerez étagez étageât étagiez étagère étagé étagée étagées étagés étai étaie
+étaient-ce étaiera étaierai étaieras étaierez étaies étain étains étais était-ce était-il était-on
+étancha étanche étanché étang étangs étançon étend étendage étendais étendait étendant étendard
+étende étendent étendes étendez étendiez étendis étendit étendoir étendons étendra étendrai
+étendrais étendrait étendras étendrez étendriez étendrons étendront étends étendues étendus étendît
+éthiques étiola étiolai étiolas étiole étioler étioles étiolez étiolât étiolé étiolée étiolés étique
+étiques étiqueta étiquetage étiquetai étiquetais étiquetait étiquetant étiquetas étiqueter
+étiqueteur étiquetez étiquetiez étiquetons étiquettent étiquettera étiquetterai étiquetteras
+étiquetterez étiquetât étiqueté étiquetée étiquetées étiquetés étoila étoilai étoilais étoilait
+étoilant étoilas étoilent étoiler étoilera étoilerai étoileras étoilerez étoilez étoiliez étoilons
+étoilât étoilé étoilée étoilées étoilés étonna étonnai étonnais étonnait étonnantes étonnants
+étonnas étonnasse étonne étonnent étonner étonnera étonnes étonnez étonniez étonnons étonnât étonnée
+étonnées étonnés étranges étrangeté étrangetés étrangla étranglai étranglas étrangle étrangler
+étrangles étranglez étranglât étranglé étranglée étranglés étrangère étrave étraves étroites
+étroitesse étroits étron étrons étudia étudiai étudiais étudiait étudiante étudiantes étudias
+étudiasse étudient étudiera étudierai étudierais étudierait étudieras étudierez étudieriez
+étudierons étudieront étudies étudiez étudiiez étudions étudiât étudiée étudiées étudiés évalua
+évaluai évaluais évaluait évaluant évaluas évaluations évaluent évaluera évaluerai évaluerais
+évaluerait évalueras évaluerez évalueriez évaluerons évalueront évalues évaluez évaluiez évaluons
+évaluât évaluées évalués évent éventa éventai éventaient éventails éventaire éventaires éventais
+éventait éventant éventas éventasse évente éventent éventer éventera éventes éventez éventiez
+éventons éventra éventrai éventras éventre éventrer éventres éventrez éventrât éventré éventrée
+éventrés évents éventât éventé éventée éventées éventés évida évidage évidai évidais évidait évidant
+évidas évide évidences évidentes évidents évider évidera éviderai évideras éviderez évides évidez
+évidiez évidons évidât évidé évidée évidées évidés évita évitable évitage évitages évitai évitais
+évitait évitas évitasse évitent évitera éviterai éviterais éviterait éviteras éviterez éviteriez
+éviterons éviteront évites évitez évitiez évitons évitât évité évitée évitées évités évolua évoluai
+évoluais évoluait évoluant évoluas évoluera évoluerai évoluerais évoluerait évolueras évoluerez
+évolueriez évoluerons évolueront évolues évoluez évoluiez évoluons évolutif évolutifs évolutive
+évolutives évoluât évoluée évoluées évolués évoqua évoquai évoquais évoquait évoquas évoquasse
+évoquera évoquerai évoquerais évoquerait évoqueras évoquerez évoqueriez évoquerons évoqueront
+évoques évoquez évoquiez évoquons évoquât évoquée évoquées évoqués événementiel
+`;
@@ -0,0 +1,3354 @@
+// Italian words for OCR correction, lower case, whitespace separated: common spoken words, the
+// 10,000 most frequent words (most-common-words-by-language, MIT), then their inflections from
+// an-array-of-italian-words (MIT).
+export default `
+a abbiamo adesso allora altra altro altri amico amica amore anche ancora andare andiamo anni anno
+avere avete bella bello bene bisogno buona buono c'è casa che chi ci cioè come cosa cose credo da
+dai dal dalla davvero del della delle dei deve devi devo di dice dire dio dopo dove due è e ecco era
+essere fa fare fatto figlio forse fuori gente già giorno giorni gli grande grazie ha hai ho i il in
+io l'ho la lei li lo loro lui ma madre mai male mamma me meglio mi mia mie mio modo molto momento
+mondo morto niente no noi non nostro nostra notte nulla o ogni ok ora padre papà parlare per perché
+però persona piace più poi posso potrebbe prego prima proprio può qua qualcosa qualcuno quando
+quanto quella quello questa questo qui sai sapere sarà se sei sembra sempre senti senza si sì siamo
+signor signora signore sono sta stai stato stare su sua sue suo tanto te ti tra troppo tu tua tuo
+tutti tutto un una uno va vai vedere vero vi via vita voglio voi vuoi con le solo al so ne oh detto
+perche alla piu beh sia nel cosi ehi hanno così quindi sto po ad quel certo tempo nella sul puoi cui
+visto parte ciao lavoro volta gia uomo stata ed posto nessuno fai vuole cazzo qualche dispiace
+dobbiamo penso sarebbe ce fosse favore nuovo sulla successo sa giusto possiamo miei aspetta alle
+farlo facendo abbia aveva ero ragazzi tipo soldi persone appena tre questi oggi vieni avevo siete
+idea guarda ai sicuro puo accordo dentro degli forza queste trovato caso tutte faccio nome pensi
+avuto problema donna tutta okay preso aver ragazza basta faccia ragazzo subito insieme ah volevo
+famiglia sentito sara eh stesso ragione testa capito volte sotto vado tuoi tesoro suoi dato serve
+erano prendere scusa stiamo avrei pensavo moglie porta vorrei succede storia pronto dici cercando
+avanti meno dovuto secondo venire polizia letto capisco avrebbe fino paura dico stanno amici mentre
+domani uomini macchina fine aiuto stavo capo fratello facciamo abbastanza nei ucciso vediamo state
+cio mano lì piano presto comunque trovare nemmeno merda bambino sera diavolo giro andato vedo quelle
+far stati neanche primo buon vostro morte tornare pensato piacere bel perchè papa quasi nessun
+dovrei felice vedi stessa contro colpa quale punto dovrebbe andata finito chiesto sento migliore
+invece figlia quei col dovresti ore almeno minuti terra credi salve strada scusi passato dollari
+nostri stasera settimana sola scuola occhi magari vostra perso uscire mani importante parlato
+bambini ultima stava sapevo potrei significa possibile indietro riesco nelle eri chiama piccolo
+sangue tardi importa cuore messo auto marito viene ieri quelli lasciato venuto spero numero ricordi
+chiamato ascolta veramente fatta parlando pensare fantastico difficile fanno altre serio dovremmo
+fossi acqua entrare stanza pensa possa portato qualsiasi traduzione lascia dietro nessuna roba
+dicendo amo forte problemi corpo piccola agente sentire vicino prendi telefono foto sacco pare poco
+voleva potuto strano donne cinque bravo ragazze stia festa tue andando capire film genere dare parla
+attimo quattro probabilmente morire mesi pure senso vecchio verso ufficio sappiamo ben sorella farti
+signorina ciò dottore domanda unica conosco qual vivere vista guerra paio faro prova ricordo conto
+avessi divertente nuova perdere dimmi sicura mezzo farmi fate piedi be figli sopra unico sapete
+esattamente lavorare capitano parola squadra dottor possono volete motivo avevi finita esatto gioco
+perfetto fortuna siano credere chiamo potresti resto mente mangiare spiace morta cioe passare cena
+cavolo avresti tratta dammi john pistola buongiorno affari sarei dica tizio entrambi là davanti
+puttana citta matrimonio quanti controllo dalle ultimo culo facile fuoco cercare sesso the molti
+fammi vogliono voglia fu potremmo genitori mandato mettere vivo uccidere saranno negli vada
+sicurezza causa inizio faremo re vogliamo potete agli ospedale bere attenzione ricevuto jack sulle
+smettila scritto succedendo avesse farò omicidio musica dicono cura prossima tieni andate lasciare
+arrivato new parole libro capisci revisione pace situazione paese ottimo sbagliato durante oddio
+provato nostre chiunque dirmi wow eravamo immagino entra torna sui diventare verita vede città
+voluto farai fatti settimane portare venuta piuttosto chiedo stupido assolutamente presidente
+aspettare sam scelta scoperto vuol molte dormire lungo dirlo sarai giornata parli giu alcuni bagno
+arrivare avvocato dello guardare aria cane signori realta cielo deciso tornato dieci prigione fra
+prendo messaggio é usare benissimo voce conosci luce giovane minuto chiamare campo giù gran capelli
+cerca restare lontano qualunque bambina saperlo arrivo poter continua finche idiota provare onore
+passo domande cara alto trova pensando credevo fretta morti preoccuparti gruppo prove funziona
+incidente solito camera odio aiutare brava aspetto speciale futuro bocca finalmente allo cibo chiaro
+circa intenzione vera semplice piacerebbe dirti viaggio insomma cambiare oltre giocare ordine
+riguardo permesso chiamata pero dovete venite mattina crede l natale finire direi fondo york occhio
+resta cercato vostri devono verità pronti pronta scusami chiami scusate prossimo arriva saputo
+milioni torno mese sistema michael fermo s soltanto detective ovviamente vecchia metti appuntamento
+vanno charlie colpo tom cristo chiedere armi grandi stronzo pazzo piacciono faceva porto segreto ii
+venga controllare grado vittima pezzo lasci specie completamente libero generale carino fara sogno
+aspetti veloce interessa assassino lista vederti potere sapeva brutto nave zitto giuro centro sole
+zio doveva lasciami oppure semplicemente ormai saro tenere informazioni guardate mille nello
+incredibile scena ve iniziato glielo legge giusta gentile spesso alcune consiglio caro rapporto
+cambiato occhiata mike joe addio addosso volevi errore servizio rispetto poteva sanno sparato
+vestiti sorpresa avrai pagare presa attento medico personale risposta quali schifo fame pieno dovevo
+usato vengo dolore do servono saresti peter incontro ritardo normale george diverso riesci prende
+peggio proposito rimanere sembrava sappia bisogna ricorda chiuso nonna compagnia coraggio david
+avevamo programma dimenticato hey bar migliori terribile fallo impossibile arrivando avevano disse
+frank farà guai vattene farci aereo conosce sembri grosso notizie tante arma finché guardi uscita ia
+studio intorno posizione peccato chiave bastardo fin quante interessante cervello dolce manca stessi
+sente andra tanti vestito parti denaro rubato sette esserci cliente appartamento adoro sarò
+relazione base pranzo sala compleanno seconda questione carta henry diritto qualcun vale conosciuto
+lavora spalle serata saremo tv potevo partita otto nero zona potrebbero trovo tempi negozio riuscito
+stavi aspettando dottoressa video continuare poliziotto linea fronte soli ex silenzio sicuramente
+vinto intendo averlo notizia lettera calma senta possibilita scappare aspettate riguarda paul spazio
+iniziare altrimenti andati realtà diceva ricerca simile canzone esiste stesse vive fossero luogo
+scherzando pezzi scoprire pena parliamo tranquillo vengono corso rimasto sentite pubblico regalo
+buonanotte freddo stamattina stupida santo club farebbe computer entro parlo dura birra james scelto
+ehm lavorando test promesso caccia ballo trovi stanotte max avremmo missione salute triste duro
+casino porti percio alex salvare sarah secondi ultimi america esercito tenente contatto uh lavori
+cellulare jane regole arrivata infatti ascoltami gay pericolo aiutarti vostre droga bellissima oro
+carina guardia esempio certamente cucina palle intendi scommetto arrivati piena dunque colpito forma
+dagli borsa fbi dovrai nonno scarpe anima siediti occasione né comprare incontrato fermati affatto
+ferma ovunque governo paziente braccio spettacolo brutta prometto effetti stavamo fermi aperto
+crimine tornata avremo decisione cavallo diciamo necessario mare viva sinistra visita inferno usa
+chiesa parlarne classe mica salvato dannazione scrivere scorsa mentito attacco lunga reale nick
+intelligente sapevi comprato sergente danny volo contento bianco eccolo rende tavolo diventato rotto
+apri direttore livello dite conoscere passi alcun coi farla cambio uscito lato riesce regina
+arrivederci incinta inglese de caldo luna maggiore farsi hotel giudice destra affare aiuti carne
+rispondere differenza mary pelle processo attraverso codice umano trovata comandante certa
+pomeriggio leggere maledizione lavorato miglior radio pagato precedenti averti vorrebbe passa
+pericoloso vino guardando cerco andrà dia treno interno barca caffe libera figliolo farei lezione
+presente buone uniti sogni temo stagione avrebbero jimmy ordini partire sposato accidenti vederlo
+data nord nuovi possibilità ringrazio star cattivo parlarti chiudi documenti gamba ama episodio
+smettere intero pensate imparato alta rosso venuti pochi lascio calmati congratulazioni gesu belle
+comune segno mostro bomba gambe avrà responsabile sembrare ottima aiutarmi chiedendo biglietto san
+clienti tocca steve quegli mangiato sexy bellissimo jim tony farle abbiano intera caffè vivi posti
+zia farcela ray maestro banca agenti scherzo operazione dovrebbero ufficiale diro ami and fantastica
+vorresti finta energia benvenuto nascosto scorso pressione periodo indirizzo speranza meta
+soprattutto pazza offerta seguito passaggio sarebbero piangere fratelli rischio tale naturalmente
+torni chiavi finestra harry potesse vincere aprire sud entrato avra tommy andremo lasciate pianeta
+esci danno darmi potessi vecchi stronzate segreti inoltre guida uccisa darti vite testimone strana
+messa correre metto portata metri ritorno saltare frega ottenere combattere jake vittime capisce
+molta orribile arrabbiato imparare ryan prezzo colazione esperienza animali bill diversi ragazzino
+destino collo cominciare mossa college vicini blu nomi maggior enorme preoccupare fortunato will
+rumore libri suppongo serie arte edificio laboratorio difesa chiedi sceriffo odore saprei progetto
+perciò ristorante perfetta fiducia nove lingua segnale tranne scegliere bob porca ascolti carriera
+colpevole seduto palla comando don prendendo terzo aiutato avermi naso mette torta immediatamente
+locale aiutarla sembrano amy discorso emergenza muro spirito chiamate contrario verra ie fiori
+notato massimo turno piccoli umani anello controllato dovremo coppia vedrai faranno persino accanto
+dubbio vedete dipartimento prenda aiutami furgone dati costa guardami cominciato evitare ridere
+verrà proteggere you diverse scatola mangia vederla dovevi colonnello riunione stazione andava
+felici londra memoria grave razza punti chiudere praticamente soldato giustizia bianca potrai
+torniamo giovani digli eroe mark sparare cerchi tribunale ferito pesce albero nuove battaglia averla
+pausa professore lee entrambe ferita nemico arresto carte daniel ballare natura uso casi ovvio piede
+dirle johnny inutile miss inizia cani basso colore povero isola storie billy preoccupato fidanzato
+sentimenti andro maria prendiamo diventa kate alzati idee bacio poliziotti chiamano parigi kevin
+dirò utile anzi laggiu corsa buoni cattiva contenta compito richard tranquilla stavolta preferito
+nato andartene bordo denti coltello tengo visti decidere provi verde sensazione laggiù corte resti
+anna piaciuto meraviglioso ascoltare taxi dà giochi aperta retro prendermi legale pensano chris
+conta improvviso guidare stile obiettivo incontrare pantaloni ridicolo sbaglio adam fila saremmo los
+brian accesso breve risolvere continui peso continuo sveglia muoviti francese entrata dipende suona
+chiusa smesso opera vaffanculo bobby ricordare buio tiene avro fianco estate azione arrabbiata
+cadavere affrontare walter centrale angolo funzionato ognuno contratto faresti accettare grandioso
+fede stronza procuratore show vendere innocente latte schiena soldati finisce ultimamente fermare
+malattia bevuto andy fiume buonasera effetto paga ll conti principe scopo mandare andarci sii
+stavano fidati dirtelo assistente nipote fargli robert rispondi risultati matto rose rimasta
+soluzione dimenticare vento project sbrigati stanco americano of fanculo scott claire debole
+troveremo faccenda piaceva tradurre capace peggiore siate scomparsa particolare creato cerchiamo
+principale dna chiederti campagna coglione riuscita andrai stampa gatto braccia condizioni parecchio
+fottuto tenuto troviamo magia metà ponte emily risposto angeles dettagli attenta reso rilassati
+impronte sbagliata importanza drink insegnato washington rovinato malato gesù sindaco seguire
+decisamente convinto campione zitta srt forze salire tanta rachel omicidi prendete dando provo
+charles morendo chiaramente pete immaginare debba valore importanti mantenere spiegare buco eddie
+momenti bellezza piani distrutto mercato pensarci richiesta nonostante ispettore provando pensiero
+villaggio creare camminare bottiglia rimane sedia tiro ghiaccio stella finale riuscire tracce
+vedremo conoscenza pensava usando principessa scusatemi milione crederci passata mr corri chiamami
+cadere palazzo succedere camion martin speravo sguardo dover parco eccola cinema teoria emma angelo
+ln americani stelle propria benvenuti attesa preferisco eccoci preoccupi potevi ubriaco lettere
+conversazione cento dovere dan scuse fidanzata chiede fantasma suono chuck diversa cancro case
+credimi luci privato perdita sistemare terza prenderti dita comincia vince pensiamo caduto trovarlo
+scendere grace sig andarmene pista compagno primi indagine innamorato telefonata annie aspettavo
+desiderio dovreste numeri seduta mentendo accettato aiuta autobus troia magnifico sabato esserlo
+voci occupato controlla pratica sposata tetto genio preoccupata volessi cappello leggi orologio
+direttamente t to bicchiere eppure mezza purtroppo conosciamo liceo voler piaci seriamente pazienti
+facevo infermiera maledetto accusa esame popolo ragazzina esce gara politica entri metta pollo area
+fece diamo spiaggia andrò passati testimoni ted viso cambia altezza eric media segni dirgli
+copertura porte perfettamente doccia vissuto taglio animale eravate giornale distanza vedermi
+guardato ascoltate completo ordinato lasciamo alcuna minaccia bevi sentita super avrò toccare dargli
+jason eta naturale lascialo strade date stanca pagina paradiso quartiere kim certe hank andarsene
+thomas venduto matt rotta sposa nazionale sottotitoli giardino biglietti diventata succedera
+spaventato arrestato partito internet allarme grossa universo girare collega insegnante cavalli c
+vuoto muore merito chiamarmi talento killer rosa spada fan dito uccidermi dovesse tipi umana
+immagini doppio età intendevo fuga amiche domenica immagine vicina dimmelo mostra prenderlo militare
+rabbia rimani mattino corrente rubare nera preparato padrone conoscerti direzione sveglio tette
+ultime potremo potente arrivano gratis calmo amor cantare unita tira velocemente funerale carl
+intende seria lasciatemi dallo erba dritto street domattina alice tantissimo termine venendo regola
+pazzi sali coinvolto lasciata attenti abby spia azienda vacanza manda sposare lasciarmi invitato
+gira jeff medicina abbiate sean zero simon lisa est dave figo sugli mal lupo vittoria dappertutto
+servizi assurdo guardati potra vorra ospiti mentire colpi funzionare vendetta migliaia presi offerto
+suonare macchine sospetto lady chilometri albergo venti potrà presenza azioni roma ottenuto scappato
+parlarle povera discutere starai ruolo volevano chiamava rossa studenti sarete informazione
+distruggere fastidio caduta entrate percento dovro premio speriamo partner andarcene atto danni
+opinione famiglie dormito assieme accaduto dirai giacca cugino sentivo nemici larry luke pensavi
+uova diventando lotta laura ossa libertà trappola josh crescere mettiamo criminale tenga urla pur
+apprezzo pulito violenza fossimo sedere ministro profondo diretto società piccole lily guardo
+sposati commesso fumo pugno presento modi jenny fermato fucile interesse moto santa dicevo gola
+articolo battuta son gestire cresciuto forti puzza pane scomparso arrivi tirato sissignore disturbo
+gas nervoso guardie aeroporto ricco avranno m ione finora scusarmi societa carico protezione cella
+amicizia tornate messaggi gloria veri vorrà jerry orecchie creduto volare sessuale crisi pesante ali
+weekend dirmelo risponde sopravvivere polvere dirglielo terapia francia risposte minimo credito
+mostri falso muoversi aspettiamo traccia parlano ambulanza incendio scherzi quarto stomaco dirci
+svegliati neppure liberta aspettato ucciderlo preparare park capita disastro membro gary city persa
+tè cia raggiungere corpi poche sentirmi motore privata dannato phil morgan trucco maniera totale
+tirare trovate perdono dean calda bravi sicuri cinese nascondere dillo mancato banda mila gioia
+proprietario fatemi costruire diritti recente scale credete dovevamo raccontato licenziato amato
+pavimento chicago leo chiedevo superiore piaccia lucy analisi studiare lord rete nate tentativo
+preferirei ospite imbarazzante amante resynch dovessi rendere bei volesse attorno baby william
+volevamo tolto alan movimento sterline scrivania avessero versione facilmente sorriso divano
+inghilterra mettiti risultato abbandonato compagni errori roger contare smetterla proiettile
+perdendo promessa mancano ferite kyle pizza piatto solamente marina conoscete lavorava posta
+aiutarci traffico calcio avrete famoso lasciati lontana bloccato verranno merita sparo daro simili
+ladro darle regno prestito specialmente poteri file assicuro teatro tornati dovra mettendo
+complicato occhiali ingresso affascinante bugie trovarmi eccoti pilota rapporti comportamento accuse
+telecamere desideri farvi sentiamo sospettato prenderla camicia tagliato avessimo louis comodo prese
+potreste facevi carter tentato innamorata maiale fido membri ascolto giornali uccello sorpreso
+taglia riuscivo chissà esplosione tuttavia fonte lago parcheggio spaventata cazzate taylor amanda
+sito dovrò respirare uccisi ride virus tazza portate respira uscite spara salta divorzio venne
+ricerche smith darò mucchio facciamolo creda pietra debito panico averne soccorso riusciamo montagna
+sapessi agenzia proposta fatte dubito copia modello km neve rimasti spazzatura smetti formaggio
+impressione ricordate tavola terreno pioggia bugiardo pensieri maschio centinaia perfino frattempo
+dovrà rapina seguendo volto affitto piscina diverte pensione folle veniva idioti strega coso
+pazienza intervento stara vorrai coach molly mettermi limite dono costruito possano ombra portarlo
+respiro appartiene kelly bugia salto serviva farne assunto speciali trovarla conoscerla miracolo
+odia lentamente darci sorveglianza ragioni galera evento tyler vergogna costretto nathan pari alberi
+permettere interessi muovetevi julia complimenti carica malata succederà sporco trovati tradito
+ovest petto maggie toccato diretta stan tornando bastardi california muovere indovinare nota
+togliere dichiarazione sonno ginocchio moda meravigliosa fortunata gelato b magazzino parlava
+episode governatore telecamera medici ascoltando castello victor organizzato giocando adorabile
+season punta bosco bianchi metterti pillole suicidio argomento portando portarti auguri portami neri
+stupidi mostrato interessato andiamocene uguale tasca lezioni dimostrare riusciti indovina puntate
+impegnato voti passate contanti presenta abito cercavo clark sentirti patto custodia alba colleghi
+togliti volere opportunita chili senatore artista divertimento troppi champagne muoverti mezzanotte
+socio sbagli esperto anticipo scappa troppe facessi firma cima risolto tenerlo sparire usciamo babbo
+liberi meriti calmi dormi festeggiare rock bersaglio spese preoccupa furto lasciala karen firmato
+passando attaccato preciso sullo stammi caspita epoca sale derek morale concerto susan tomba feste
+band esterno invito personalmente clinica malapena pensaci nazione attivita onesto giuria provarci
+indossare fallito corridoio esistono eccellente familiare conosciuti rendi football avvocati jones
+fase saltato secolo positivo veloci tim parlarmi olivia cercate riposo buttato vedono andrebbe
+occupo fuggire probabile iniziamo firmare sopportare jackson scendi sorelle sparito troverai uccide
+credono vicenda fondi patrick penny europa arthur costume barry autista vantaggio sir van lasciarti
+dorme medicine fattoria venerdi prete single originale vendita terry totalmente impazzire americana
+messi beth trovarti facesse beccato sé cieco incubo lascero personali esca divertiti lasciarlo grida
+assegno jeremy compiti superare presenti materiale foresta ross avendo onda my d criminali
+assicurazione follia amen riposare chloe elena cominciamo coloro mancanza team miglia commissione
+robin gusto spari tratti scienza sembro gioca università scala big belli sufficiente joey mostrare
+elizabeth amare lieto pene rischi passeggiata ascensore mappa certi maschera sezione prendero
+discussione bestia calci filo rompere causato lancio superato scemo conosceva fabbrica passione
+portarla istante giornalista pulire dirvi cercano yo essermi confuso ripeto permette canta furono
+spalla universita dissi voto greg tedesco coscienza veda howard esco regali proprieta federale
+ucciderti legame nata manchi messico carcere oggetto helen n red reparto pochino andrew eccomi
+vorremmo benzina uscendo synch profilo sinceramente tunnel ambiente conoscevo dormendo corda uccelli
+tecnologia tizi reazione casey sfortunatamente farete charlotte motivi lasciar aiutarvi cattivi
+esami tempesta chiamiamo grazia sapesse prendono sincero portarmi diamine titolo u profumo jordan
+dicessi spiegazione jackie impegno fumare visione all angela retta labbra sport disgustoso
+televisione trattato rebecca west significato vederci palco oggetti dosso trovano conseguenze
+crediamo desidera baseball coincidenza vivono lacrime personaggio svegliato oliver rick pulita
+cooper parker professor crimini egli segreta unità fiero partenza butta shawn maestà creatura capite
+ammettere difficili oceano sociale garage zucchero robot sigaretta giudizio dolcezza julie brutte
+ethan palestra usata superiori vincent alcol aiutatemi chiedermi usi raccontare spiega sorta
+supporto figurati seduti direbbe bruce vice talmente specchio canzoni inventato aprite ricevere fidi
+chiederle cioccolato venisse punizione leader proviamo contatti jamie nascita rischiare ammazzo
+piacevole house diario salvo jo marty perdonami tornera tagliare portiamo staro cole urlare perde
+episodi rifugio fico portano influenza pazzesco disposto on distretto fegato attore cambiamento
+ricchi impazzito sieda confine controlli vecchie reputazione scambio ragazzini becco propri gradi
+accusato amava splendida dodici onestamente man incontrati fantasmi continuate orgoglioso maglietta
+vegas conviene marcus levati offesa servire organizzare illegale golf settore pubblica tornerà
+uguali jay rovinare mangi doc esserne fiera antonio facevano incontri adulti pago ricominciare legno
+finiti veleno previsto preferita esplodere nastro darsi studente abiti cammina dille responsabilità
+divertendo farli dolci legato avreste ricordati frankie metterci grasso consegna studi cercava
+biblioteca riso agio orso troppa civile documento pò aspettano inverno fermata aiutarlo stronzi
+soffrire mac parlargli dottori ferro mutande umore frase russo intanto torre doug porno opportunità
+ufficialmente raggio tornero struttura mondiale jessica las potro poveri biscotti grossi guadagnare
+decisioni strane delitto richiamo raggiunto cerimonia deserto incarico metro brillante fredda
+maledetta quadro sally disponibile progetti stop gliene emozioni imbarazzo letteralmente relazioni
+king colpire verrai adatto stretto wilson organizzazione chiacchiere preside zoe prenderemo accada
+sfida splendido cadaveri potevamo vetro falla buffo rossi stupendo indagini elicottero scientifica
+mando piantala teste figura stiano estremamente diventi partecipare prime rapito prendilo
+condividere risorse responsabilita fregato ian eventi succeda jesse inviato crudele istinto lassù
+ricky febbre professionista giovanotto assassini battere cameriera scoprirlo aperti agire junior dì
+appassiona notti gus datemi valigia professionale giocato recuperare droghe mmm olio tedeschi
+pistole pessima aiutando attività caroline cassetta mistero arriviamo alti dubbi convincere giri
+chiara armadio mangio negativo ringraziamento dovuta prodotto tornerò linda coda resistere
+improvvisamente eva dannata dovrete anne racconti penna moltissimo oscar marshall capirlo inizi
+justin tratto gibbs sposarmi harvey miele navi fred jess smettetela circostanze esseri rinforzi
+piange chieda gigante straordinario pesci montagne starà averci it parleremo parlate dl pensavamo
+fingere considerato presentato alibi benvenuta aggressione spinto folla potrò fottuta cretino ron
+katie hannah poterlo carlos offro normali owen johnson sciocchezze orario trasferito fortunati
+blocco sistemi sistemato roy parenti romantico cina condizione marcia sciocco miliardi mettono
+rivederti accetto catherine nudo consigli sentirlo resistenza online simpatico ebrei chissa um
+primavera presentare scritta miller litigare prenditi federali orecchio stress apre black gang
+confronti prenderò morso fottiti lontani servira ditemi tecnicamente disco tragedia mezzi funzioni
+zombie puttane evan arrabbiare viviamo studiato deluso extra proprietà nervosa soggetto vere
+scappata mettilo bruciato bevo avevate texas fiamme destro andar geniale prigionieri oscuro vasca
+dira percorso battute sophie uniforme larga canale cresciuta betty combattimento figlie chiamarti
+occupata prendersi vampiro cassa torto gordon trovero corretto completa commissario campi saggio
+maesta realmente rifiutato disposizione prigioniero noioso urgente sottofondo furbo africa alza
+museo raccogliere usano cucinare cari conferma bassa fidarti lasciarla incastrato todd ascoltato
+muove servito germania boston preoccuparsi lucas precedente el portati contea entriamo tenuta
+pericolosa eccitante jenna identita spencer divisione finto sigarette serva sapevamo fisica costo
+innocenti potenza coraggioso largo argento salutare delizioso vuota conferenza assicurati geloso
+teddy visite preferisci fermarlo miami credeva ritornare vampiri registrato comincio piatti barba
+staremo spagnolo velocita esistenza russi virginia mira quanta cognome tour dacci kenny richiesto
+eli tenete preparando pancia stanze territorio passiamo piangendo stronzata accadere lauren
+chiamando limiti onesta lasciando essersi restate dicevi colloquio attraente nancy marie iscrew
+commerciale diglielo party mettete corto eroina madame salsa lascerò brown chiamarlo sognato
+giocatore conosciuta cittadini udienza vacanze tappeto uccido jules osso marco ricordato accorto
+nozze odi giapponese equipaggio manager offre serpente vergine ellen girato appunto figa colori
+massa sospetti cattive vedevo randy miseria minima apposta andasse amano cavo tramite conoscono
+superficie sconosciuto matematica guardarmi pessimo immaginavo lavorano abbi succo liam sabbia
+coperta fiato scrive ufficiali rivista scegli panino incantesimo italiano metterlo immaginato motel
+gioielli huh na demone inglesi annuncio velocità margaret scelte combinato assicurarmi fisico brad
+notare arrivera usciti segretario proiettili novita by zuppa lottare chiusi ubriaca parto sin versi
+set canto cambiata lunedi holly pura bambine esser adora uccidendo viveva love capi cammino veicolo
+incredibilmente gesto meraviglia leggenda offrire ripreso muori auguro riserva eccezionale prossimi
+burro dopotutto fresca nina travis mister danza plastica lavoriamo mentale bla pianto ann walker
+frutta avventura persi litigato andranno nascosta collegamento cancello grant amavo rinunciare top
+fatelo barbara intervista strani bombe arrestare farmaci cintura segui han traditore cartello pacco
+facciano possesso battuto vorranno gatti julian procedura picchiato calore sposo nascondendo
+raccolto ipotesi curioso adulto mosca bibbia volentieri aggiungere femminile infanzia cavaliere
+dylan finestre quindici scopare tocco busta croce arriverà bagagli email imbecille sano volante
+chance potevano occupa pesca riprendere volontà grato carrie foste peggiori piaccio indossa
+abbandonare sinistro aula preparati branco mettersi resa gabbia edward ahi florida deposito
+programmi creature tradimento denuncia anime alzare catturato richiede dirà comporta lou istruzioni
+orgoglio perdonare bimbo j femmina tornerai italia viaggiare giudicare locali felicità disegno
+ringraziare riley bici sospeso pasto fidarmi scimmia confessione riescono regista impresa patatine
+dritta attrice egoista fresco dennis continuiamo poesia chiamarla hollywood sapevano veniamo
+ammazzare tasse campioni spieghi carro dollaro album wayne concentrati cameriere racconto buttare
+russell booth audrey cabina militari connor truppe patate scrivi dimentica conosca ebbene leslie
+coglioni attacchi andatevene spostati intenzioni stephen temperatura topo earl riesca troverò aaron
+scorta dispiacerebbe addirittura ruota elegante espressione giappone riconosciuto spiegato giurato
+tiri ebreo carol trovarci spiacente paghi produzione sete successa davis x buca giochiamo muoviamoci
+gliela funzionano catena funzionera torneremo rimanga nobile dell coma immagina stavate saluti
+martha scrittore shock accompagno cacciato atmosfera sapore singolo april whisky dara parlami
+minacciato fantasia novità reverendo sms tende ladri fermarmi rivedere capitolo perdoni nuotare
+sessuali pagano rifiuto vicolo spetta infarto tenerla francis uccidi fatica secoli affetto portatelo
+potrete lewis confermato dipinto disagio sensi colpita patente allenamento gomma fiore ossigeno
+finchè fotografia menti autorita confusione nasconde sorprende spezzato acque potessimo spostare
+badare autorità miles comitato investito civili inquietante registrazione finisci nuda liz armato
+possiede quinn tienilo dovevano diamanti trovava morirai condannato chirurgo fermarti gentiluomo
+prostituta standard semplici soci convinta vedervi cancellato dimenticata obiezione white esagerato
+shane linguaggio trauma noto rubata vacci scoperta casini cortesia segue polmoni cassaforte cure
+ministero rapimento mago impegnata premi tema anniversario simbolo mangiamo jacob licenza uovo
+significhi sentirsi polso targa sodo tubo beve brucia mortale parlavo serena conte verrò riportato
+ucciderla francisco pagine cuori chef stupro tono settembre sbirri go controllando tradizione lassu
+mancata coperto spiego seno piaciuta venerdì halloween reato sembrato indizio coniglio bastone
+chiamero coca pugni cappotto pieni telefonate sintomi riportare trenta darà minore scopri dicevano
+neal verro massima tatuaggio sparisci tempio riuscirai spesa portero qualita esperimento bo ripetere
+ellie salva brindisi testimoniare toby schermo taci cavoli leonard sapendo pazzia classico boss
+viaggi occupi insegnare frigo abita castle bloccata togli combattuto mandi fidare saluto prepara
+crema sbagliate tumore wade lois baci michelle entrati steven joseph riavere identificato dick
+angeli capacita tecnica dammelo batteria puro ken attaccare migliorare banco starò profondamente
+tocchi scuole testimonianza ritmo cravatta iniziando armata elezioni rovina guadagnato segreteria
+barney risate restano aumento scherzare evviva clay questioni cowboy finira immaginazione scrivendo
+bionda addestramento popolare informato victoria isolato attentamente francesi battito occupati
+appuntamenti sopporto considerazione jennifer botte diversamente ritrovato preparo portalo
+dispositivo scatole sparita aerei pipi acceso lieta carattere famosa giallo tenda sostegno staff
+collezione resisti cimitero ringraziarti chiederlo collegato uccidera ideale evidente coprire debiti
+mason tengono potenziale andavo insalata atteggiamento sopravvissuto hill piacera uhm cultura suoni
+tenendo logan antica megan fedele continuamente mestiere speranze diventano accade accetta bonnie
+magico spento coinvolta ricompensa hanna comporti portava young eccoli impatto misura desidero
+sperare filmato onde pietà stupenda harris facevamo dichiarato stipendio uccideranno unghie matta
+mangiando stivali rappresenta dispiaciuto finn amber boom violento accento ammetterlo vincitore
+spinta viste trattare patetico cambi eliminare fatevi stupide vestita sí yeah tina esserti metodo
+tracy occuparmi daremo russia storto medica gruppi monica condanna strategia stretta attraversare
+hitler speso matthew campeggio cade abitudine mogli assumere chitarra dettaglio vomitare qualità
+istituto amata demoni trasformato fottuti assomiglia sederti benedica rifiuti ragionevole consegnare
+nucleare progressi mettila spaventoso consulente colui notevole brutti trattamento caos pubblicita
+teniamo interessata sforzo ricca eccellenza monte curare sparatoria neil ehila complice qualcuna
+alicia roccia distintivo movente cancellare confronto temere feci comunicazione svegliata ritorna
+eccetto riusciremo erica pam raccolta guido elettrica cantina lana finisca cauzione apra capisca
+nora normalmente bambola cortile walt mollare jill catturare abbassa stando ashley ammetto piazza
+dimostrato ammiraglio chiudo leone sapremo successe operazioni allison ammazzato villa chiediamo
+avvicina tenerti tensione riusciva anthony asta distrutta metterla wendy pregare termini unici getta
+mickey sparate topi porterò compagna educazione considerando secco seguo aggredito colin perdi
+lasciano flotta teneva difendere grilletto linee eroi elliot continuano abilita cugina accomodi
+capacità williams liberato dimentichi eccome proteggerti raccomando potermi sesto spegni mel diane
+siccome usiamo vodka cotta hamburger lincoln sofferenza dose mandata porco appunti morira servirà
+cerchio marine portafoglio sammy invitati peggior cocaina gentili livelli scrivo collana operatoria
+sebbene rivoluzione segretaria one janet smetta dormo costi politico assistenza telefoni possibili
+liberare alzato muoiono ostaggio balla toccarmi altrove baciato complesso entrano blair volonta
+cambiano registri jonathan fallimento interni joan passaporto blake finirà racconta fratellino
+peccati harold cambiamenti mezzogiorno figata attuale regalato fermatevi little aiutera malattie
+riconosco contenti parlero svegli jean dovranno straordinaria considerare comunicare procedere facce
+usate sacrificio dar emorragia licenziata armati keith valigie riuscite spaziale tagli preoccupati
+infelice zitti tal orgogliosa altrettanto india disperato prezioso magnifica religione
+internazionale bruciare negro macchia natalie difficoltà giocatori unione beneficenza prodotti
+trasferimento dea streghe accendere grayson salvi mitchell interrogatorio riconoscere arriveranno
+sentirai registro confusa pelo cittadino compra cacca sbaglia girati lanciato volerlo lunghi uccise
+rimediare prendila potranno corona diventati comunita sareste gemelli spina tentare genitore
+condotto protetto separati warren ansia ndt girl asilo lanciare cominci sedetevi lupi porterà damon
+rintracciare rispettare rottura merce cameron perduto capitato dale anziani avviso continuato
+generazione sbirro contattare impronta controllate ronnie sociali squadre debbie mollato fango
+serial cacciatore spagna infezione servi scommessa matti spiriti feriti terribili tipa restiamo
+baciare mobili identità undici scopre pietre cinesi maya promozione autopsia produttore sincera
+isolati bentornato scommettere abbraccio bang metallo consigliere whoa trattava principio guanti
+chiedono reali impero boy ordinare rilasciato leggo usarlo your falsa sporca leggendo infermiere
+fascicolo vanessa centesimi spaventa accadra ammesso interrompere euro kit meredith crea cleveland
+economia felix pacchetto abituato armadietto particolarmente luglio gelosa partiamo posteriore
+temporale sfortuna preferisce bandiera indagare risulta terroristi vidi protocollo codardo romanzo
+piacerà tenermi rientrare parere cucciolo tipico giunto lusso tranquilli vedova nervi pensassi
+gabriel martedi nelson prenderci schifoso poterti katherine caramelle ridendo jersey richieste
+sentono privacy diego collina presumo adrian shh sensibile distruzione visitare riprese is apertura
+vende alieni impegni sacro consegnato green autorizzazione albert aspettami stabile indica schiavi
+schema mammina quarta saprai sofferto drago troverete rallenta mo trasmissione mettero tara
+imperatore tigre troveranno impiegato moriremo lama guardalo appetito amministrazione servo record
+forno guidato trasporto violazione lance dozzina ridotto quinto pastore appello avvertito
+associazione profonda congresso continuava chiese entrando portera tramonto desiderato attori
+acciaio cifra lane spegnere saluta dava origine passeggeri puntata certezza motori amiamo miniera
+corre batte sposi lega proprie kurt ruth leggero essendo entusiasta cartella out scene parente
+giovedi fidanzamento dana datti malati duramente cantante allenatore sapra imputato assoluto daisy
+stufo promesse capitale familiari pronte attrezzi materia scappando essi ford terribilmente avverto
+klaus confessato segnali averle bara daranno portatile stadio doppia ridicola suolo vedro
+francamente partite manette cazzone interessano rendo tecnico diretti bugiarda esso cercarlo vedrà
+passano sedile maledetti impedire medaglia murphy morirà invisibile cronaca paesi preghiera vola
+island subsfactory dipendenti chiacchierata passami babysitter corrisponde manhattan dir valle
+contiene pasta incazzare identificare stuart mela manuale robbie burke darvi discorsi sollievo
+averli organi enormi lire craig candidato campanello drew mitch mcgee raymond estero videocamera
+fascino abitanti sembrerebbe leggera lancia dannatamente centimetri sheldon compreso diresti
+osservazione insegna for avervi giornalisti bicicletta scavare lento capirai munizioni risponda
+allontanati clara solare tessuto arti deboli ricetta q giugno indossi sposarti sentiva difficolta
+perdente pallottola sede rita essa impara recitare maschi sposarsi esecuzione dwight riparare
+lesbica fantastici suggerisco felicita chimica drogato tristezza road cavi dí heather indiano hot
+circo bus lunedì mori maggio indiani galleria chiude assenza nè facebook iraq gravidanza alison
+pattuglia uccidero ando dog bay prenotato basket cause guardiamo concesso indossava cam solita
+quartier spedito abbandonata scienziati osi infine melissa innamorati sbattuto tuta berlino madri
+hong intelligenza telefonato antico mafia trono giapponesi cranio sorridere mazza guardano
+bravissimo investigatore sconvolto chiappe christine trevor database connessione modulo realizzato
+vengano meg onesti mrs cuscino stefan sviluppo venissi somma luoghi scordato stufa russa correte
+perdiamo spingi accademia seguitemi rapita trasferita contattato passera riservato responsabili
+orribili lasciatelo saprà ostaggi carini padri jen hunter perdo bailey esercizio lasciarci scarpa
+east malcolm poker obbligato bishop alternativa sorridi grata telefilm monsieur isolamento gettato
+ala gene spasso descrizione confessare hall svelto aspettava paige impressionante gita vedendo
+salvatore avvertimento password diana norma servirebbe guadagno facili personaggi presentazione
+testamento spacciatore alzi gps opzione laser kitty iniziata seth sepolto lemon leon scaricato
+cellule costretta zoo spingere ruote v laurea pagamento norman franklin cazzata strumenti muova
+squalo cardiaco rissa giuste riconosce shaw sere veronica insegnanti irruzione minacce mario svelta
+barista pubblicità valentino turner insetti vedrete ivan dovunque parecchi christopher comunità
+elementi movimenti lavare scuso duri muscoli recupero preda coro rosie mancava coppie won opzioni
+accomodati cellulari strumento ritiro hector stanley lunghe malissimo petrolio boyd kong brandon
+muoio naomi mangiano parlerò stabilire politici abbassare impianto lydia diede logica vedrò
+conclusione sconvolta time domestica potenti ottobre divertirsi negozi pulizie spostato serviranno
+ascoltatemi beviamo sbrigatevi circolo pervertito compro misterioso sorellina bloccati soffre cesso
+stone sfigato prometti permetti terrore cerebrale campus coordinate gina umanità nascere piante
+guerriero carla complicata legali mucca clyde camere doyle brooklyn rinunciato sostanza cassetto
+ambasciatore causare generoso tregua ê zone that straniero muoia graham terre equilibrio
+preoccupatevi gonna guardarti interessanti moneta mandati magica violet arrivate lindsay adatta
+umane cambiando preoccuparmi repubblica situazioni volume carmen gravi giuramento vari arriveremo
+fottere vederli aiuterà quinta riflettere soddisfatto ambasciata troverà aprile cocktail blue vedeva
+scotch fiona carlo becca seguimi sopravvissuti incontrarci zaino salvarti alcool gridare sana
+autorizzato acido coinvolgere spendere tacchino connie leva bellissimi karl nicole cesare
+risparmiare sentiero falsi chiuse scandalo ooh divertitevi psicopatico beach popolazione von may
+franca cin uscirne phoebe boschi up muovi cenare baffi sindrome rimango principi terrorista colpisce
+occuparsi invitata scontro stabilito bevendo mele microfono varie evvai medio chiedero martello
+chiamati adolescente prega vic interrotto chiusura guaio manny cos provarlo mura incidenti viola
+avuta miranda pierce dimensioni fotografie tokyo umorismo bucato bimba banche day copie calibro
+ribelli tortura garcia chiamerò hmm canada birre venivano cinquanta sorte sentiti scopriremo pillola
+collins afghanistan prenderli rimangono sprecare dvd senzatetto pozzo sciocca troy sperando scontato
+metteremo atti funzione fagli eccezione pianta lavoravo scopato madison patria presso anelli
+ucciderà provate combinazione ripresa assegnato corea custode decide accadendo nascosti tac portala
+sandy fermate festival tasche dicci tess sega bagagliaio ucciderò credevi amanti urlando azzardo
+verme concetto supermercato informatore doloroso attrezzatura beckett sostiene elenco industria
+maglia andrei mostrarti andai intelligenti quaggiu autostrada ago dichiaro truffa ra prendera
+sostenere giovanni soggiorno pagata biancheria canna giungla trascorso carburante andre duke noia
+juan bicchieri seminterrato soldo salotto ricevuta andassi muri times chip inutili elementare
+aumentare artie grosse incluso lutto anziano opposto post radiazioni rivelato sperma decidi
+preoccupazione crescendo dieta compassione ginocchia joel giocattoli romantica metterò benedizione
+cacchio bada andrea esperimenti terro duncan evidentemente dimostra riceve finiscono scopa deliziosa
+lascerai positiva effettivamente riconosci grey finite cieca disegni statua zach seattle noah eterno
+fagioli seri kent assistere realizzare fondamentale cal allen garantisco bottiglie h partiti
+addormentato vacca coraggiosa brick confermare peli giunta pub farebbero immobiliare accadrà rivolta
+chirurgia impazzita vomito parete rotelle massaggio guarire riempire finirai patty piene ciclo
+copione detesto harper guardarlo sporchi svelti molla tieniti metodi scopata sharon darei noiosa
+centesimo vagina trovera importava cioccolata ira recentemente valigetta indosso corsi assassinato
+esprimere flynn perfezione shopping guidi promettimi segua freddy aiutata apparire andavano rob
+flash diremo sentenza jeans talpa michele divertenti teresa attirare legata dentista artisti
+debolezza dipendente permettermi monaco fissato sebastian costoso ruby prenderai incontrata rumori
+bingo clown concluso mensa preghiere licenziare vaso lettura crederai rifiuta guardava diventerai
+aperte rapidamente collaborazione wallace autore benjamin articoli yang detta grassa scienziato
+legati forme confini cambiate portafogli psichiatra accedere antichi agosto condotta conflitto gusti
+sbagliavo padrona sorprese opere fuggito aveste fortunatamente lasceremo recita cazzi autunno reid
+sopravvivenza obiettivi spie decesso offrirti ingegnere assurda subspedia coperte usarla malvagio
+becky trasformare pericolosi reed funzionerà matrimoni jin ella nido marchio occupando conoscevi
+salvata proibito accordi maniere rosse incazzato accetti corrotto formazione chiudete avenue
+pianificato quantita f accesa continuazione pieta jet pigiama sfuggire esaminare obitorio costumi
+sorprendente finisco benny studentessa basi comunicazioni vivendo consapevole interna chase philip
+certificato rischioso funzionando scimmie liquido vietato tennis frequenza donald fonti chiarire
+cacciare riuscirci menu ned nolan fossa bruno sforzi prestato perse mettetevi vivente divorziato
+verdi prossime anderson complimento ebbe prospettiva andò appoggio valga curtis prendetelo mick
+vadano divento succedesse raro botta darai vinci giocattolo ciascuno jung odiano caporale r arco
+premere dimenticavo trascinato prenderà riparo esperti long diploma fida impiegati parliamone
+nascondersi vedra agito brennan routine indizi carrozza divisa divertito spera vicepresidente
+nominato quadri escono brave dente beni fidanzati unito ritirare marte liv preferiti gwen salito
+vorrebbero maestra facci nascondi aspettavi comanda specifico duca stark parlarci mandate preoccupo
+sentimento compri joy concorso rivoglio lloyd annullare sid brooke credermi harrison depressione
+valutazione presentarti girando singola diventera raggi indagando probabilita fermarci torte
+fermarsi amministratore attraversato diagnosi novembre mandando note schiavo conseguenza rimanete
+atterraggio tornano contenuto solitario misure bagni vietnam sedermi scaricare denise professionisti
+cresce suonato madonna jan condoglianze lavanderia alieno tucker saperne world satellite rifiutare
+investimento simpatica iniziano accorta favola night indiana coinvolti fidarsi incubi pulsante
+assassina modella riga attivo strappato g programmato regolare porre scout portarci torneranno letti
+foglio dexter romeo hal papino prendeva toro foglie frutto temevo ana marzo diventerà finiamo
+vernice bassi arresti perimetro fissare claudia tali priorita affidamento provaci leggermente
+rappresentante rene nikki cercarla morì proteggendo tempismo perfetti lester bravissima suite nuvole
+bell diranno ninja avversario ralph collaborare svolta valori tagliata pablo quota ispirazione
+nuovamente sembrate porteremo poiché avvicinando sappi alquanto false meccanico angel uffici fuochi
+lenzuola rispondo copertina scopi griffin utili codici insolito professione eve lampada buchi
+irlandese renda vie comprata watson alec puntato hope potessero bastare gemma togliermi lavoratori
+competizione bistecca tentando bones messe mancherai roman riscontro proviene prenderanno denunciato
+siedi astronave penale curva risparmi adorano staranno uccida apro salvataggio concludere correndo
+infranto monroe gil osservare uccidono discusso riunioni dicembre diamoci freccia comportato
+musicale omar jeffrey lena pa succedono ioni rancore puntare sedersi assassinio conoscerlo ritengo
+guerre ginnastica dallas telefonica beverly pat candele preparatevi disperata river cominciando
+dissero assegni rimettere bastano comprendere parecchie adulta dividere nausea judy titoli abituata
+scienze scortese gentilezza rinchiuso capra degno salvarlo mosse kennedy sconosciuta cd pensavano
+multa colonna oscurita disposta fisicamente passerà vide ritratto cambiera guy selvaggio willie
+paraggi quì mediche goccia panini cava mail compromesso pesanti cindy ancor ottimi insistito angie
+chiedete tacere satana vena commettere louise attendere consenso vitale manco spreco abilità
+samantha vendite molo permetta mento divenne pareti fissa matty cercherò fama guadagni
+riabilitazione sognare ottime tremendo elemento rispondete emozione attacca lizzie corruzione
+occorre riporta prepari anton cat salvezza fili perry stranieri round farmaco avery prato costato
+mikey mercoledi favoloso provero affrontato archivio letale nazioni alcolici radar curriculum
+andavamo pisciare thompson nicky fisher stiate campionato commercio alfa clan particolari calmata
+delicato cuoco necessaria ovvero torneo somiglia classica unite compiuto caleb scusarti seguirmi
+durata maggiori presentarvi ridi registrare scaduto maiali mm giovedì moon condurre chad scordatelo
+trovarsi cassie perderai rimuovere metropolitana cicatrice calzini sceso ridono saggezza diamante
+fenomeno orari sindacato sappiate solitudine riviste costante appropriato svenuto ucciderci scarica
+riconoscimento tolga fiamma mangiate dedicato applauso compiere tristi sordo volontario harvard
+spaventare allah costruita miracoli business invitare web commedia candela valido distrettuale
+vergogno nebbia italian improbabile scomparsi dawn famosi guidando sgualdrina volevate esagerando
+barnes holmes animo flusso dee miguel pregato fornito infinite affamato controlliamo barone
+spedizione importi salti arrogante fermiamo esperienze deb bagnato hei bollente ascoltarmi formula
+corse eccitato infinito sun fui amelia christian successivo salite sconfitta pescare rimandare brody
+approvazione intervenire toc umanita scolastico ossessionato fata circondato tosta legami recuperato
+haley muoverci cody raccontami curiosa impulso protagonista supervisore incontriamo adams ubriachi
+stephanie deposizione preziosa chiari presentano silver monete commenti winston accettarlo capaci
+rendono ego pirata grand ritorni eterna dammela bianche asso sospettati comuni sconto dimissioni
+oscurità latino hobby stevie borse bowling iniezione brenda pensai cereali zampe cercata orbita
+sconosciuti pallone gentilmente professoressa sensori mostrano emozionante espresso lotteria
+riferimento nudi panni gennaio urlo frequentare restituire conforto andarvene hammond verdetto
+finiscila uniche butto economico poca private lati scarico guardavo colonia pianoforte austin
+riuscissi sbattere alexander sofia fox circuito occupero amichevole avvicinare aggiustare principali
+comportarti verificare riva leale sconfiggere richiamato ni ordino burt crescita accendi overdose
+serratura edifici scattare server maschile scacchi sedici guadagna melanie votare rispondimi
+infermeria detenuti andrete ruba reagito porter rischiato addormentata fotografo dicesse tolgo
+guardiano tesi perdite lawrence esplosivo permettero unirsi sconfitto costruzione regione sasha
+occasioni budget risata manicomio cieli carine bottone fetta smette chiederò yoga venditore scende
+south ulteriori brividi serpenti progettato avvelenato blog sapranno rubati preferite assicurato
+cecchino conoscenze prostitute trucchi impegnati etichetta impazzendo ava salvarla entusiasmo
+martedì cheerleader reggiseno squali rusty accompagni assistito adolescenti sottile randall conrad
+erede giudici sprecato conoscervi prenderne demonio istruzione carson pianeti incapace bestie moore
+disturbare ignorare sullivan limousine june hawaii colto moderna spirituale saint curato greco
+supplico dannati ricercato grano indicano pop fisso cathy woody raggiungo lupin douglas poiche vuote
+roulotte mh ranch esatta puliti cristallo usati barbecue ingannato mondi mulder verbale provino
+isaac statale alleati cresciuti sequenza alpha orrore nell pompieri with schmidt p scomparse archer
+we gomme paparino omaggio hard seguita comoda procede sandwich api dimenticati bart mamme contano
+pipì gabe perdonatemi hockey oscura look buddy rotte apparentemente missili obbligo postale portiere
+em casco indipendente mona eliminato callie poterla sheila queen ballerina galassia ospedali sire
+force maniaco comportando prudente messicano ritirata biscotto cercarti nerd ritiene lottato
+sentirla allucinazioni cannone axl ellis operai incontrarti domando calmatevi pro dritti ragno
+marinaio cittadina alte bernard morris delicata considera negare bancone banana starei salvarmi
+intesi usava torcia verrebbe starebbe affidabile elvis chiedergli piacesse sirena stranamente
+preavviso innanzitutto ritrovare ari ossessione assicurarsi uccellino moriranno cacciatori
+pubblicato ingannare comandi preoccupazioni dirige catene scorre dipingere venduta samuel reese
+rivedremo glenn decente bellissime esaminato eccetera dischi provocato fotografica daphne richie
+murray lola dipendenza turni disgrazia testo assalto australia canti versato concordo xena campbell
+intimo detenuto fregare freddie soffitto incolpare tienila ottiene orleans marilyn appare mattinata
+quantità wolf secca bussare destinazione jazz terrò perdonato aiutero comportati interrogato pesi
+palo nominare trovarli pugnale piangi inferiore desiderare cerchero kang capiscono concentrato
+girano estranei marijuana dixon vendo proseguire inevitabile mandarmi sapevate disordine estratto
+soffiata liscia dovuti bud piper prenderle riusciro segnato dimostrazione chiamavano avvisato ammiro
+femminuccia paolo proprietari picchiare muovendo y agenda iniziate incasinato meritava centinaio
+trasferire scudo scheda trasportare partecipato houston menzogna peggy ricevi avvicinati valere
+quassu impari analizzare sappiano sceneggiatura morisse peste costole mandano sposarci riscaldamento
+vulnerabile rivelare juliette penserai jedi agitato permetterò funghi grigio capiamo cifre innocenza
+sacchetto lascera bennett unirti ditta ingiusto campana carità comportarsi dimenticarti salita
+preghiamo lenny prezzi piove asciugamano aspettarmi fulmine vene vogliate reynolds esista etero
+efficace rocce ripulire prepararsi semi rituale respiri sosta marrone karma calcoli sandra ranger
+tata senato spariti distante sydney attaccata massacro trasferiti combatti fecero ncis rintracciato
+percy avvenuto jonah colpisci dolori illusione co vermi seguente fucili precisione aspettarti mise
+soffrendo sciopero comprensione vedranno peggiorare wyatt pompa treni incontrarla negato broadway
+riuscirò penseranno rilascio rapido dramma tattica audizione ritirato mutandine cercarmi proteggerla
+saper reagire corde gabinetto ripeti proverò costretti lacey attentato yen finendo partendo offerte
+palmer paula aggiunto dispiaciuta elefante razzista invasione garantire gavin aiuterai spiegazioni
+sollevato ombre gangster nati vogliano rivederla atterrare merlino onorevole grandiosa firmi
+spaghetti apprezzato donato rex ohio cyrus sapone ricevo giochetti visuale combattendo cattura
+concentrarmi bernie registrazioni sfuggito ridurre sol generazioni sottomarino spiegarmi salone
+stellare valeva aspetterò rospo compare gin darebbe stretti meritano omicida garanzia donovan
+prosciutto goditi sinceri toglierti convincente aerea potuta dossier inchiesta esperta musical posa
+raffreddore iris toast sembravano chen ferire prendimi gestisce volerci interessati alternative
+ammazza stanchi delusa sbagliando nere proteggermi mobile boris dimenticate possiate gettare
+sognando resterà legittima mostrami inserito negri ward fantastiche philadelphia tirate elettrico
+piloti pirati tacchi appeso mantenuto frattura volpe esagerare legalmente falli scelgo nicholas
+valida benone milano categoria fermarli onorato tasso giusti vigilata compagnie scommesse sviluppato
+terminato apparecchio italiani erin clarke ritardato valgono parlavi trapianto pierre parlavamo
+jared disturbi bisogni balle attualmente marta riscatto orsi mancia are north chiedervi zack missile
+carbone marea vedesse terrorizzato luca muso approccio radici paure probabilità commento down
+ribelle casse liscio sanguinando thor dawson sospetta creazione olive keller rossetto eseguire
+schianto scappi esistere legate frocio colpevoli volti arrivarci jae scopriamo voluti vigliacco
+guardala guerrieri portale rocky cemento aquila estraneo mancare hans maresciallo liberarsi reggie
+arrestata volgare tonnellate quaggiù teso attenzioni usciva country leggerlo nazisti bestiame timido
+altare venir consideri conquistare impedisce nipoti terremo naturali fragile papi abitudini litri
+fusione filosofia ciccione accadesse ciambelle progresso rifare porterai software bert falco cenere
+perderemo rimosso applausi cambierà silenzioso suggerisce sopportarlo seta mercedes adozione
+iniziativa proposto violenta economica fica penserò mito pan sposta pollice chang accadde finestrino
+stessero toglie limone he calvin accomodatevi rimarra febbraio creando annullato edizione inviare
+santi caviglia fi squillo cagare registrata shakespeare impedito central piccoletto arabo
+incantevole sufficienza digitali costruendo discuterne georgia sfruttare gray kay tae finiremo
+insistere sobrio stupidaggini fallire tequila venute bloccare finch gallina scossa veste sal moriro
+soprannome coltelli divertirci epidemia disperazione sherlock alzarsi votato gelosia bevuta pensero
+visioni polo assoluta gi lenti riferito malinteso senno contadino precisamente tredici smoking
+barche alleanza irene sbagliare semestre vendendo ragionare stacy spettacolare cavalieri
+nascondiglio costano suggerito porteranno finanziario riporto renderlo confraternita pagati delta
+acquisto tecnici studiando recenti incontra side negoziare know val permanente globale produrre
+vendono parlarvi credetemi rara sudore intrappolato high riservata macellaio infantile fc avvertire
+vorreste sedie scritte avvicinarsi can foster protetta gestione bambole íl israele scendo
+presentimento risorsa caduti taco mini ehilà occidentale cancelli faccende giocano antenati frode
+rory osare bum danneggiato generatore tirarti scappati ometto sfigati valley riuniti offrendo
+dibattito frena fidarci accompagnato fuma mettimi pesa spiegarti offeso attaccati incontreremo
+fondazione misteriosa punteggio giubbotto teorie rivisto end dj depresso perderti freno opinioni
+sbarre definizione milo ricordarti decise stradale useremo superman pecore viaggiato like cervo
+sutton poeta divertita altamente inganno simpson collegati scambiato incontrarlo telefonare
+instabile sputa protegge urlato alimentare conduce wes toccata portatemi accompagnare iscritto
+delusione tatuaggi violato gratitudine ritrovo intimi organizzando cagnolino direttrice batman
+contadini poesie mettiamoci renderti suprema operare rimesso clacson farmacia arrabbiati granche
+bruciata edgar piccolino furba penserà settimo cuccioli dovessimo what cestino miglio
+necessariamente valerie vitali chelsea bacon comunista panchina cuba marvin creatore esplosivi
+staccato addestrato butti geni grandezza morfina scotty rilassarti insegno lascerà morirò piccolina
+sorso capiti sasso toccarlo briggs tradire permetterci quassù fingendo emotivo baker riempito hugo
+google amarti metterai cognato intendeva fermarla vivian barriera saltata macchie cha inserire
+portarli immondizia personalita franchi libretto hudson rompe piega incredibili personalità tenerli
+basato disponibili simone odiare fottutamente mindy avvicini orchestra frontiera destinato imparando
+shin jun nadia maglione presentata saul divertirti frutti poltrona gossip chiederglielo minori
+american comunicato pubblici mandy precisa eun tavoli svizzera oriente freni fumetti evans darren
+dichiarazioni dozzine voluta deriva enterprise scomparire affinché dimensione residenza pallida
+laurel scambiare combinando piacevano toglimi lingue mortali sentimentale dimentico bond franco
+scherza dirigere nude democrazia punito batterie tenero sonny ring sostanze yoon aspettero picnic
+alzata imboscata intelligence resterai aspettative vederle mandero jasper iniziale zucca piccante
+faremmo florrick negativa rallentare chandler toglietevi assunta propongo ceneri pope glen lake
+provano calendario procurato composto candidati disegnato approvato capitan alberto disperatamente
+roland dawero gemella ammettilo song vomitato scusare glieli notiziario donatore braccialetto happy
+this min cedere more divina scrittura scudi lotto differenti hills balli estremo uccidilo woo rapida
+passava ascia rimaste sacrifici attraversando aiuterò spade kenneth disegnare tecniche kansas
+baciami defunto permettersi alloggio cavata paranoico mosso soddisfazione get ringrazia steso
+shirley shepherd affinche men legga trasforma insetto riuscirà intenso gates circolazione ivy
+procediamo interrogare esposizione ricominciamo vicine attivato wells scherzavo significare
+liberarmi maurice lite palude sciocchezza manica strappo crane ucciderai convincerlo ricevimento
+marciapiede spiritoso homer dispiaccia perdonarmi sparano tradizionale stima passeggero nasconderti
+chiudiamo drake tessa trovavo terrestre ferie gold restera frequentato mercoledì servivano ferrovia
+des determinato jon avvicinarti terapista ognuna shelby sposarlo inseguendo nonni donnie servisse
+vincente disciplina sponsor crack razzo rodney voli premuto dimenticarlo ricchezza alfred particelle
+rilasciare schifosa esclusiva carrello batti straordinari vedessi color lex guardarla immigrazione
+ahia contessa spiacevole manutenzione fornire allerta scuro marca attiva rimarrà stufato aggredita
+tana discrezione distratto gemelle ristoranti privati inviti abigail oz hayley sushi afferrato
+elettorale femmine roberts lava risonanza usciremo guarigione puttanella vescovo decido ostacolo
+scoppiare arrendo strip spaventati powell fammelo posizioni buttata cambiati vigilia turisti
+sostituire valsa manzo terrificante riuscira delinquente immediato scadenza insopportabile umile
+tenersi detroit hamilton caverna riposati hacker odiava ty giganti pacifico onnipotente politiche
+vega aumenta verremo spiegherebbe camminando uva rudy legna impiccato necessita esther rientra
+pulizia sacchi rischia competere scesa anatra pugnalato spinge dirla corrispondenza chilo chiamalo
+letteratura rovinando venivo pancake lasceranno terremoto chiuda air spogliarellista scopra
+prepararmi corriere condizionata futura appartengono ragazzine conoscessi kathy stessimo barattolo
+eletto gialla pensera kane news sbrigare modelli tedesca stu siedo continueremo glee arnold violenti
+scommesso cylon stronzetto mentirmi divino contratti cristiano monitor incrocio arancia luis
+disposti cercavi abuso christina secchio conclusioni privilegio osservando tartaruga facciate
+tradita apparteneva spike maleducato nuoto cantiere volontari divertirmi libreria audio provocare
+pullman aiutarli segrete ucciderli pulite generosa durare passero domicilio protesta vennero vabbe
+fazzoletto timmy ironia cocco mills baxter condiviso parata tenetevi giornate seguono derubato
+attende mariti sfera chiedertelo tanner rovinata hunt spot preparate rubando raramente seguiamo
+sidney kg bridget addetto graffio cominciano crociera frammenti dolcetto drogata art furia forbici
+tranquillamente individuo metteranno calze crescono sopravvissuta lampo cambiarmi occuparti armate
+reporter colline digitale schemi evitarlo benessere pericolose signorine voltare filmati menta marc
+romani telegramma pasticcio riferisci tirati alt picchiata tessera rimase concentrazione benedetto
+completato estrema visitatori arteria tossico cass decisi cera theo materiali lavoretto torace
+guarito critica indossando succederebbe bastava contemporaneamente illegali wall pubbliche sembravi
+risparmiato mandiamo svenuta naruto nucleari crollare just tosse quarantena medicinali udito
+chiacchierare samurai brandy bonus esibizione cantano seme capanno consegne fort scozia eccitata
+enrico fumi suicida stevens verdure prestare terrorismo shelly griglia sostituto now profitti
+ripulito dani noti finirla doverlo quaranta avergli isabel garrett attrazione scully suv facessimo
+isole osserva colpiti evoluzione archivi evitando rendendo pallottole rilevante operativo psicologo
+arachidi muovermi fini notturno bordello favori afferma profitto baracca fedeli nucleo musicista
+fran vantaggi essenziale aggressivo crollo azzurro martini arrivasse sballo scommetterci
+suggerimento dessert risalire richiamare facciamola interruzione terrorizzata prendertela inchiostro
+surf oca chan psichiatrico ops percentuale carri cospirazione costantemente water intima hugh
+portarle arizona lori aids fareste editore basa merci mantiene aidan investire descrivere litigio z
+feccia mentali ubriacone tenebre gravemente eleanor jessie biologico moduli chiedermelo fritto
+sottovoce pressioni tate ringraziarla critico life pagherai soddisfare ucciderebbe regolamento
+missioni spararmi joshua parcheggiato salvati fienile rovini tubi seguite artu meritato chiameremo
+precisi brutale ramo patti cristina esposto italiana sceglie cliff celebrare hart ricordarmi vendi
+laurie or trofeo significava violino proteggerlo pietro potter tammy lividi whiskey educato alzarti
+fantasie riguardano allegro vaccino jonas camille artificio dovevate infilato rana deficiente
+provviste selvaggi cicatrici seppellire sufficienti agnello completare lasciaci alzate lasciarli
+cartelle disturbato passeremo difetto conversazioni celeste kirk storico maggioranza viaggia
+tantissime scema mais scopro cadendo portarvi bates descritto sylvia pepe nikita tolta scartoffie
+arrosto frasi mama gorilla wu ipocrita tenevo sospensione sella lesioni mettera daccordo janice
+soggetti perquisizione sacra reati legare orgogliosi spiegarlo cho psicologia ringraziarmi muovono
+bimbi rilevato joyce cross pentirai indovinate furioso collegio orientale difetti deputato clima
+aziende signoria pasqua escluso autografo panna bush ash bennet anonima tirarlo claude narcotici
+creata appartamenti dante inventata midollo rispettato leoni khan americane avventure napoli dormono
+lavorarci balena muffin but sophia lavato vuoti svegliare sedute odiato soo convivere siti metterli
+volato bridge riferisce got salendo donazione addison cugini doveri automatico plotone definire
+giuseppe blocca cosciente immaginate scattato cambiamo brindiamo correttamente privo caserma
+preservativo kung lavorate cantando coppa marmellata rimorso perdenti scappate lenta collaterali
+hughes strizzacervelli pranzare trent deprimente furti obama priorità tirar assaggiare preparazione
+nano saggia procura convincermi fattore cupcake rilassi vip vicinanze orologi piombo campane
+occuperò divertire nasce kat spaccio dichiara utilizzare combatte pisello fidato patetica apocalisse
+incastrare ratti lealta marshal seminario divertiremo neonato righe rimaniamo ceduto fascicoli good
+diecimila contabile stewart oxford capitare nascoste ispirato autentico farsa cardinale kara phoenix
+curiosità definito dovessero izzie restero armatura spacco cappella annuale lorenzo capira vinco
+sessualmente solite metteva doni dominic twitter navetta energie seppellito sparando ponti grassi
+occupiamo barbie considero farmelo ammissione sistemo falle insignificante cynthia assicurarci
+maschere irrilevante cristiani aspettavamo spray canali offri mantieni valutare fatale turbato sapro
+tosto specialista apriamo ordina vapore permettimi manderò mucche shannon dorothy sbagliati zoey
+scendete asino susie assicurare caveau cagna affidato arrivò yogurt rispettabile nazionali bacino
+pagate cercheremo peggiorando mosche scriva cantato einstein rimedio comprensibile agnes successiva
+cruz sparargli aah amavi juliet ragazzone parlavano sadie chiamatemi grotta sporche occupare brendan
+andavi bunker distributore bè lesbiche insisto meraviglie sessione esercizi offrirle sennò
+aggressore sfondo bradley profondità fitz marge beccati separazione ca ratto risale polli miserabile
+elaine telegiornale trasporti darcy gardner antidoto avvisare aiutano sino evitato parrucca bauer
+evacuare abbattere fastidioso uscira emozionata architetto jacques disturbarti comico eternità
+valeria rum barzelletta scappiamo assaggio circolare costosa secret officina indicazioni gamma et
+nascondermi casuale rovescia sfugge garantito litigando toni tirarmi scherzetto avvicinato difensore
+nobili anziana liberamente romano archie tirata resi que ingaggiato kira egitto considerata scarlett
+promettere pompino atrio uscirai alzo willy ricostruire mantello moderno provincia dinozzo miliardo
+borsetta liberarti jefferson odiavo materasso tirando vicinato reggere occuperemo rubate fumato
+portland allegra balliamo conigli splendore accosta adrenalina studia bagnata interruttore ripartire
+spaventosa differente padroni ridotta pagando perla turco definitiva facessero patrimonio straccio
+ispezione chilometro eredita pagherò ezra tienimi mandarlo brasile link joo capello aree cercavano
+esaurito lynn danielle prue ritrovata sembrera stringere haven civiltà veterinario gabrielle ciccio
+bentornata dom genetica gail colla cupola accennato frigorifero paghiamo riflesso montgomery ridammi
+baia jj perda suora price spostatevi rimarrai corna dichiarare ugualmente uccidimi giurare dipinti
+postazione cammini mina tragico soda piattaforma roberto arancione capirà damien hulk irritante
+fissando preoccupate ritornato pasti nash pasquale callen robinson spavento sigillo menzionato
+esplorare critiche torres unire poterci scendendo ginger dance contenitore scoprirai bree
+industriale obbligata nam riposa dona caricare morsi spacciatori tanya puzzi laureato richiamami
+lamenti talvolta gocce grido toccarla immortale interrogatori jude sportivo appassionato perfavore
+aiuterebbe furgoncino bam beccare apprezzare rich fogna galla francesca delegato piovere stalker gu
+chiedeva aggiornato artificiale isabelle schiaffo adorato polly folli bruciando zecca buttati
+dimenticherò veicoli lavandino maddie distruggendo rapinato balcone fartelo alzarmi tenerci task
+liberati asciugamani prendine staccare respinta permetto grati vetri evacuazione saprebbe cinture
+battaglie riferisco parlera alloggi preparata marcel pecora balletto nastri svegliarmi scientifico
+reni buffa corretta minacciando bollette helena cucchiaio rio orgasmo recinto stuprata atleta seo
+festeggiamo resteremo uragano pittore fortemente eseguito sloan edith immaginarlo gestito fontana
+uccidiamo trascorrere javier diciotto banale mazzo doverti misero hee pony casinò allontanare
+capodanno pettegolezzi pazzesca care metterà sparagli duecento rifarlo vendicarsi marcio povere
+sirene jenkins francine nazista presentarmi rico contributo decine starmi kid esserle affittato
+banconote farina guidava magro starete fregati regolarmente popcorn square trattata immobile alito
+messicani principalmente malgrado riflettuto granché k buzz sofferenze roll invenzione biliardo
+temporanea preservativi baciata abbattuto orlo promosso poster origini municipio accusata fianchi
+ostile trattenuto rispetti yacht periferia tribù inseguire cm evelyn informata cadono dorsale
+caverai spugna strette beneficio incontrarmi cancelliere squilla produttori espulso tessuti adottato
+disturba solitamente mentore darryl torturato mutuo profondita camminato esse creativo profondi
+superficiale facciamoci sciarpa vigili orfanotrofio violentata imminente corno documentario
+solletico piantato concorrenza presentati impiego dateci logico tiriamo dignità restituito scritti
+scorte portiera aziendale duello originali dirvelo sani drive matteo molestie wesley georgie resterò
+portatela facolta piacerti paramedici verrete dormitorio incendi noccioline setta salsiccia calmarti
+perderlo incirca iniziali pagliaccio procedure celia pisolino ingenuo first suonava nsa ringraziamo
+feloreena bancarotta sollevare confidenza bandito sapersi gilbert when amate guancia determinare
+magliette libere vivevo emozionato doris convinti operato scoprisse ritrovi temporaneo soffitta
+tabacco ferrari chimico guasto ingrid pearl sacrificare patrigno nah perdona wheeler incaricato
+colorado banchetto analizzato maura distrutti agitata phillip scrisse aspetteremo infinita siede
+interferire mandami granchio manuel anomalia trascinare mari aggiornamento rasoio riuscirei tatto
+capanna cyril soffro camper perle frequenti farfalla steroidi dong adesivo cannoni check sistemata
+nanna ji infernale deeks riprendendo pollici eccone levatevi center rientro tenuti controllano
+altrui gliele cucinato anonimo indossato ignorato scoprira migliaio aiden ormoni baltimora corti
+perduta trattenere camino offensivo prigioniera quattordici turk malvagia pedro adori comprati
+cavalcare lucido lisbon bevete osa menzogne gregory renee avermelo fedina back credibile complotto
+avanzata umiliante bizzarro tabulati emotivamente capii suicidato provengono comunisti spaccato
+insinuando favolosa disprezzo medie grecia primario meccanismo controllata vediamoci aborto
+impaziente idraulico lasciali distrugge ricevute precedenza maturo scattata costituzione binari
+cavalleria ostacoli muovo rispetta buck puzzle identificazione stamani nigel daniels peyton pomodori
+irlanda boxe serbatoio difese erezione ollie rush coinvolgimento hayes eugene incastrata în serviti
+pentagono bourbon brett sigaro abbigliamento sonia chiudendo veglia diversivo voltato verifica
+dormiva cominciata soliti capsula mara piazzato intendete etica spettacoli stupidaggine capezzoli
+celebrita modesto buonissimo canyon equipaggiamento figuriamoci stregone rapire curvatura prevedere
+abbracci valvola robaccia ironico way spacca elettronica respinto finisse indipendenza tremenda monk
+telecomando chiare intensiva allontanatevi attraversa attratto national scoprono svedese cartone
+cartolina bagaglio brady formale produce sparite terrà servita dama sentira noci conferenze cellula
+baciarmi interpretare contesto orrendo vedano diviso vaga chiodo accettate straniera grembo judith
+notturna frequenta pittura analista denunciare selvaggia fuso traditori elicotteri marines sung
+tromba alzatevi tantino teme spazi lasciatela degna ave riguardi consigliato crystal caricato cary
+ringraziarvi carolina tornado improvvisa gravita riposi paulie audace durato portaci sembrerà
+riporti scoperte essenza assistenti tiralo allergico visitato ottimista tifo coraggiosi ricordata
+abbandono perlomeno frost ricordavo concedo annunciare elsa pericoli necessarie orecchini uscirà
+ebrea bryce vendiamo account sacca permettete holt ricatto cappelli lealtà lilly rendermi jose
+inaugurazione pratico crichton vorrete foro trasformata mentono separate ignoto cancella godere vali
+estrarre sanchez bancomat migliorando yi timore comprende finocchio choi metafora esemplare
+sviluppare scusarsi marion corrispondono presentarsi eternita discarica ambizione formare
+coinquilino figuri sfilata pestato ciechi richiedere venezia cominciate stoffa bip ansioso
+capolavoro darlo falls sè organo spedire sentirà hood sospira nascondono beccata usero comprate
+incazzata richiami casetta prepararti cattolica culi ziva ta evita calmare significano tonno
+biologia strisce testardo fotta osato pupazzo eccovi allontanato ernie ottieni abile teschio
+sacrificato popolari ergastolo ricordano escludere grammi pochissimo curiosita definitivamente
+bottino trasferirsi yu funzionava diventerò antincendio liberazione esercitazione gare fortezza
+funebre mostrarmi estivo comandare ballando reagan piú intensa dividiamo corro home ripulita pareva
+guardatemi strike comunale formato paghero convincerla profeta pagherà permetterti silas dominio
+damigella wo aprirla capitata necessità muoviamo gialli comprendo marinai guardata inizieremo
+confesso pellicola sherman distinguere sapresti aprilo arbitro kappa solitaria ricognizione
+trattasse holden tiratore controllarlo provoca automobile trattano tentazione culla pelliccia soffia
+chiesi sensazioni chiedigli vergogni entrarci guanto bolle opportuno hale denver montare
+inappropriato pass motto divorziare rito milady parlerà celibato dirsi pamela cuscini sorride
+pagarmi affrontando fieri sentii metterei insiste raccontando katrina bande poverino pulisci
+prendili tener fischio centimetro luigi emmett louie pancetta labirinto ascoltarlo insensibile
+chiedilo ga fax copre dimora trovasse intrappolati compenso lunghezza nuvola disgustosa corta copro
+possiedo sapessero necessari viventi riconosciuta spionaggio dategli passaporti rivediamo foglia
+nottata conquista affar cap bloccate dintorni tentativi dirigente complicazioni benefici allergica
+riportarlo gallo sposiamo brusio du devon affrontarlo diventate coprifuoco tic inventare traguardo
+accendino pienamente stupisce perfette abusi sbronza joanna continente trovassi urgenza barbiere
+levi at tiffany panorama passerai fanciulla aliena metal gomito bea sabrina scenario sgradevole
+skipper giurisdizione sostituito anita jamal intestino dillon cassonetto eredità noleggio alaska lin
+manchera toccate scoperti anteriore cervelli corrono autostima mae elijah kai desiderate aprila
+solido deacon baule nuziale organismo inclusa religioso brooks reggimento distrazione alfredo
+recitazione ereditato velo stalla succedeva buster cogliere nasa resistito pertanto inseguito patata
+hetty preston maratona vialetto giocava dinosauri atlanta misteri federazione salga network eccole
+collegata sepolta nodo rendera assomigli tondo apparso brent microonde magra amarmi negativi an kev
+mah eco abituati mandarti regge comportarmi sprecando accampamento am giura marcire spazzolino
+vagabondo andiate temi parlamento mettici peterson arrivino magnus vizio carlton lavaggio golden
+timothy meravigliosi trovai supponiamo mine eden karate hipopo pubblicare informare rame
+lontanamente facciale signorino allontani fletcher inaccettabile resoconto tenta compresa lucia
+trovarne battesimo schiava presti incrociato svenire turbata crawford salgo guardaroba lnvece
+reception gibson centri visivo rinchiusa nostalgia sotterraneo decenni eddai sanitaria identico cast
+manovra disturbarla bacia scendiamo attivare grana assente disgraziato mars formidabile rimetti
+concentrarti consiste contenere finanziaria carbonio emotiva maggiordomo sembrata bibita depressa
+sanguigno sciroppo puzzolente cola granata estrazione manchester matita nico sterling sbrigarci
+complicate chiesta brien suonano bretagna comodi starmene prescindere combini musicisti sfortunato
+boccone giudicato ictus padrino fae accompagna edwards yankee pennsylvania entrava right grigia
+razionale antidolorifici internazionali quarterback basata osservato giove ginevra ri corsia
+ombrello portò fritte old dinamite agitare credevano giovinezza mack riccardo citazione abe donny
+avuti venirmi dubitare cassidy canadese assai scompare vinceremo giardiniere cassette raccontarmi
+sbrighi chiederei volano sacerdote imbroglione dette dopodomani donare trish investitori
+rappresentare discutendo postino difeso sonda frainteso vincono burton royal bersagli marchese
+esploso teletrasporto esservi utero preoccuparci istruttore prenotazione dammene flebo banditi
+hodgins crowley pratiche tornasse puntuale celle gelatina hassan venere cotto invidio affamati
+igienica pentola bon concentrarci wa insulto accusare avanzato ã insegni schifezza pensasse
+delinquenti documentazione maledettamente game assemblea sbrighiamoci avvicinatevi scatenato
+riprendiamo discesa migliorato spettatori investimenti mannaro ciambella arrabbiarti lasciava
+volando durerà accolta durera corvo starti clarence jeep sookie convento battaglione duemila
+soddisfatta urina congelato stazioni quadra salsicce accompagnatore pallido poliziotta prenderei
+segna guscio renderebbe significherebbe argomenti diciassette cece amichetto spezzare vivevano
+speravamo profezia rifiutata britannico cuoca misericordia ignorante subire aiutiamo gretchen box
+sottoterra pannolini lottando marcello conservato pargolo binario domestico portar fato rispondono
+supera sportello gridando accidentalmente coinquilina biondo prendervi invidia religiosa costerà
+armonia jeannie preferiresti rapine troupe prevede parlerai pila rabbino beva raggiunge rivolto
+gentiluomini nasconderlo passavo ordinanza gravità indicare acconsentito generali roosevelt
+accompagnarmi rotoli brillanti onorare avanguardia truffatore svegliarti crederti master
+segnalazione firenze possedere perdero tuono uniformi indicato canaglia lucky nodi salutarti horror
+jax tassista muto sicure dadi lila anonimi lamentele lamentarti giulia performance allenamenti
+legittimo indirizzi trasferirmi attirato scolastica isubs biologica stupratore mascalzone fascia
+matricola biasimo erik basse bryan carly ditegli comprarmi interessava residui oppa rafael
+grandissimo les proprietaria movies montaggio dicesti discoteca elementari indovinato tesori buffone
+university drone souvenir denny godetevi marziale ingenua tutore impulsi antibiotici us pompiere
+sawyer togliersi registratore abed astuto minestra pubblicamente theresa baciarti catastrofe vivete
+abbandonati annunciato decollo iniziò pensarlo girls competenza laboratori aglio scoiattolo frecce
+cimice vulcano scopriro calo saprò was operatore wally aiutaci diventero afferra conoscermi
+chiarezza indagato pompe palm taglie giorgio barbone point modus marchi domestici bevono erbe
+scopriranno who scuri eccessivo adorabili scenda rivale dimostri stanne madrid tobias
+caratteristiche michigan cotone distribuzione interiore potenziali elettricita picchia checca fish
+credevamo nani tossicologico soglia suonando abba abbachi abbaco abbaia abbaino abbana abbando
+abbandon abbandona abbandonai abbandonammo abbandonando abbandonano abbandonarci abbandonarla
+abbandonarle abbandonarli abbandonarlo abbandonarmi abbandonarono abbandonarsi abbandonarti
+abbandonasse abbandonate abbandonatemi abbandoner abbandoni abbani abbar abbascio abbass abbassai
+abbassando abbassano abbassarci abbassarla abbassarne abbassarono abbassarsi abbassata abbassate
+abbassati abbassato abbassava abbassavo abbasser abbassi abbasso abbate abbatta abbattare abbatte
+abbattendo abbatter abbatterci abbatteremo abbatterla abbatterlo abbatterono abbattersi abbatterti
+abbattete abbattono abbattuta abbattute abbattuti abbazia abbazie abbiam abbian abbina abbit
+abbraccer abbraccia abbracciai abbracciala abbracciamo abbracciane abbracciano abbracciare
+abbracciata abbracciate abbracciati abbracciato abbracciava abbracciom abbracio abigol abila abilio
+abilitando abilitano abilitante abilitanti abilitare abilitarlo abilitata abilitate abilitati
+abilitato abitando abitano abitante abitarci abitare abitarla abitarne abitarvi abitasse abitata
+abitate abitati abitato abitava abitavo abitiamo abitica abitini abitino abits abitua abituale
+abituali abituando abituano abituarci abituare abituarmi abituarsi abituarti abituasse abituate
+abituatevi abituavo abitudinea abituer abitui abituino aborti abortion abortire abortita abortiti
+abortito abortiva abortivi abusa abusano abusare abusata abusate abusati abusato abusavi abusino
+abusiva abusive abusivi abusivo accadano accademica accademiche accademici accademico accademie
+accadendeo accadendl accaderti accadessero accadeva accadono accadr accadut accaduta accadute
+accaduti accadutomi accalca accamo accampa accampamenti accanale accanire accanita accaniti accanito
+accantona accapup accari accaria accarin accaro accatt accatta accatto acceca acceda accedano accede
+accedendo acceder accedervi accedesse accedete accedeva accedi accedono acceduti accelea acceler
+accendano accendendo accender accenderci accenderebbe accendersi accendesse accendeva accendiamo
+accendono accenna accennai accennando accennano accennare accennata accennate accennava accennavi
+accennavo accenni accenno accenta accentare accentate accentra accentua accert accese accesi access
+accessi accessori accessoria accessorie accessorio accett accettai accettale accettando accettano
+accettarci accettareche accettarla accettarle accettarli accettarne accettarsi accettasse accettassi
+accettaste accettata accettatevi accettati accettava accette accetter accettiamo accettino acciajo
+acciani acciari accidentale accidentali accidentata accidentati accidentato accidente accidia
+accieca accinge accingo accinsi accis accisa accise acciuga accodi accodo accolita accoliti accolla
+accolli accomoda accomodammo accomodante accomodanti accomodarci accomodare accomodarmi accomodarsi
+accomodarvi accomodate accomodato accomodo accompagn accompagnala accompagnando accompagnano
+accompagnarci accompagnarla accompagnarle accompagnarli accompagnarlo accompagnarono accompagnarti
+accompagnarvi accompagnasse accompagnata accompagnate accompagnatelo accompagnati accompagnatori
+accompagnava accompagner accompagniamo accomuna accomuni accomuno accone acconi acconsent acconsenta
+acconsente acconsenti acconsentire acconsento acconsentono accor accora accorata accorate accorato
+accorcia accorda accordata accordati accordato accordava accordiamo accorga accorge accorger accorgi
+accorgo accorpa accorre accorsa accorse accorsi accorte accorti accortosi accost accostan accostando
+accostano accostare accostarli accostarsi accostata accostate accostati accostato accostavo
+accostera accosti accostino accosto accoun accouni accounting accudir accumul accus accusando
+accusano accusarli accusarlo accusarmi accusarono accusarvi accusate accusati accusatore accusatori
+accusatoria accusatorio accusava accusavo accusi accuso acid acida acide acidi acidit acidosi
+acidulo acquario acquei acqueo acquer acques acquetta acquinot acquis acquisir acquisire acquisita
+acquisite acquisiti acquisito acquist acquista acquistai acquistano acquistare acquistata acquistate
+acquistati acquistato acquistava acquistavi acquistavo acquister acquistera acquisti acquistino
+acquistre acquosa acquoso adama adat adattala adattando adattano adattarci adattare adattarla
+adattarle adattarli adattarlo adattarmi adattarsi adattarti adattasse adattata adattate adattati
+adattato adatter adatti adattino adattiva adattive adattivi adattivo adattono adden addendi addensa
+addenta adder addestra addestramenti addestrando addestrano addestrare addestrate addestrati addetta
+addette addetti addice addii addita addo addobba addobbi addobbo addolor addome addoo addorment
+addormenta addormentai addormentammo addormentano addormentarci addormentarli addormentarlo
+addormentarmi addormentarti addormentarvi addormentate addormentati addormentava addormentavo
+addormenti addormento addossa addossare addossata addossate addossati addossato addotta addotte
+addotto adesione adesioni adesiva adesive adesivi adesivone adolescenza adolescenzal adorando
+adorante adoranti adorare adorata adorate adoratore adoratori adorava adoravi adoravo adoriamo
+adorino adorna adorne adorno adott adotta adottammo adottando adottano adottare adottarla adottarli
+adottarlo adottarne adottata adottate adottati adottatto adottava adotter adotti adottino adottiva
+adottivi adottivo adozioni adrenalinici adrid adrigal adulano adulare adult adulte adultera adulteri
+adults aeree aeroporti affacci affaele affaire affairs affama affamare affamarlo affamata affamate
+affanna affanni affanno affarel affarella affarista affaroni affascina affascinano affascinanti
+affascinarci affascinare affascinarmi affascinarvi affascinata affascinate affascinati affascinato
+affascinava affatica affei affer afferm affermando affermano affermare affermarla affermarlo
+affermarsi affermarti affermata affermate affermati affermato affermava affermavi affermavo affermer
+affermi affermino afferr afferrami afferrando afferrano afferrare afferrarla afferrarne afferrata
+afferrava afferro affetta affettare affettata affettate affettati affette affettiva affettive
+affettivi affettivo affettoni affianc affiata affibbi affich affid affida affidabili affidabilit
+affidabilita affidali affidando affidano affidarci affidare affidarla affidarle affidarli affidarlo
+affidarmi affidarsi affidarti affidarvi affidasse affidata affidatari affidatasi affidate affidatevi
+affidati affidatisi affidatoci affidava affidavi affider affidi affido affigge affina affinano
+affinch affine affiner affini affinit affiora affioti affisso affitt affitta affittando affittano
+affittare affittarla affittarle affittarti affittasi affittata affittati affittava affitti affront
+affronta affrontai affrontale affrontandola affrontandole affrontano affrontarla affrontarle
+affrontarli affrontarne affrontarono affrontarsi affrontata affrontate affrontati affrontava
+affrontavi affrontavo affronter affronti african africana africane africani africano agen agency
+agende agendine agendo agent agento agenzie aggiorna aggiornamenti aggiornando aggiornano aggiornare
+aggiornarla aggiornarle aggiornarli aggiornarlo aggiornarsi aggiornarvi aggiornata aggiornate
+aggiornati aggiornatoui aggiorner aggiorni aggiorno aggiudic aggiugne aggiungerei aggiungeremmo
+aggiungerne aggiungersi aggiungervi aggiungesti aggiungevi aggiungici aggiungimi aggiuntiva
+aggiuntive aggiuntivi aggiuntivo aggiusta aggiustando aggiustarle aggiustarlo aggiustarmi aggiustata
+aggiustate aggiustato aggiusto aggredire aggredirmi aggredirsi aggredisce aggredite aggrediti
+aggrediva aggressioni aggressiva aggressive aggressivi aggressivit aggressori agioia agioner agir
+agiree agit agita agitando agitano agitarci agitarle agitarmi agitarsi agitarti agitate agitati
+agitatore agitava agite agliari agliaro aglidi agliela aglieri aglioti agliulo aglivo agnelli
+agnellino agnet agneto agnette agnetti agospia agostane agostina aide aideia aider aiut aiutali
+aiutalo aiutandoci aiutandola aiutandoli aiutandolo aiutandosi aiutante aiutanti aiutarle aiutarono
+aiutarsi aiutasse aiutassi aiutate aiutateci aiutati aiutava aiutavo aiuter aiuteranno aiuteremo
+aiuterete aiutiamoli aiutiate aiutini aiutino alande alani alasco alass albagia albani albe albedi
+albedo albera alberata alberate alberati alberato alberga albergano albergare alberghi alberone
+albume albumi albums alcolica alcoliche alcolico alcolismo alcolista alcolm alcom alcon alcova
+alcunch alcunni alcuper alcutta alfr alibano alibri alibur alick aliel alienante alienanti alienare
+alienarne alienata alienati alienato aliene aliment alimenta alimentando alimentano alimentari
+alimentarla alimentarli alimentarsi alimentata alimentate alimentati alimentato alimentava alimenti
+alimento alisco alisei aliseti allacci allai allaj allante allaper allar allara allarate allard
+allarg allarga allarghi allargo allarini allarma allarmare allarmate allarmati allarmato allarmi
+allaro allaroni allarta allas allash allati allatti allea alleanze allearci alleari allearsi alleata
+alleate alleato alleer allegano allegare allegari allegata allegate allegati allegato allego
+allegrato allegre allegri allegria allegrie allegrotta allena allenano allenare allenata allenate
+allenati allenato allenatori allenavo allener alleni alleno alleo allera allergia allergiche
+allergici allergie allers allertando allertare allertati allertato allerte alles allest alleva
+allevia allia alliano allieta allieva allievi allievo alligan alligna allinea allinei alliolo allis
+allocco alloggia alloggiamo alloggiano alloggiare alloggiati alloggiato alloggiava allon allonia
+allontan allontana allontanai allontanando allontanano allontanarci allontanarla allontanarli
+allontanarlo allontanarmi allontanarono allontanarsi allontanarti allontanasse allontanata
+allontanate allontanava allontanavo allontaner allontaniamo allontano allontava allorate allorch
+allori alloro allosse allowed allows allucinazione almenoun almenouna almer almeri alph altari
+altarino altea altech altera alterco altere alteri alterit alterna alternata alternate alternati
+alternativi alternativit alternativo alternato alterne alterni alterno altezze altezzosa altezzosi
+altini altodto alton altorta altr altraci altrain altres altresi altrettanta altrettante altrettanti
+altrey altrieri altroch altroin altronde altrono altroora altrow altruismo altruista altruisti alzac
+alzai alzammo alzani alzarci alzaretti alzargli alzarla alzarvi alzassi alzatosi alzavi alzavo
+alziamo alzoe alzole alzotto alzoun amana amando amandola amandolo amandoti amangi amanna amantes
+amantha amantia amantino amar amara amarci amarda amarena amarezza amarezze amargue amari amarla
+amarle amarli amarlo amarmora amaro amarque amarsi amat amateur amatore amatori amavamo amavano
+ambasciate ambasciatori ambedue ambelli amberini ambero amberti ambesi ambeth ambetti ambient
+ambienta ambientale ambientali ambientare ambientata ambientate ambientati ambientato ambienti
+ambientino ambizioni ambiziosa ambiziose ambiziosi ambizioso ambulante ambulanti ambulanze amela
+ameli amella amelli amellia amelot amena amendo amenit ameno amerai ameras ameremo amerete ameria
+americanate americao americas americhe ameron amerun amiamola amiani amiano amianto amiate amicale
+amicali amichetta amichette amichetti amichevoli amicisi amicizie amicone ammacca ammal ammala
+ammalai ammali ammalia ammalo ammanco ammanta ammassi ammasso ammazue ammazzalo ammazzami ammazzando
+ammazzano ammazzarci ammazzarle ammazzarlo ammazzarmi ammazzata ammazzate ammazzati ammazzava
+ammazzer ammazzi ammazzono ammemi ammenda ammer ammers ammert ammes ammessa ammesse ammessi ammette
+ammettendo ammetter ammetterebbe ammetterei ammetterete ammettete ammetteva ammetti ammettiamo
+ammettono ammicca ammine amministrata amministrate amministrati amministrativa amministrative
+amministrativi amministrativo amministrato amministratori amministrazioni ammira ammiraglia
+ammiragliato ammirano ammirare ammirata ammirate ammirati ammirato ammirava ammiri ammise ammissioni
+amorale amoreper amoresui amorfa amorfo amori amorino amorosa amorose amorosi amoru anald analisiti
+analisti analizz analizzarle analizzarli analizzarlo analizzarne analizzasse analizzata analizzate
+analizzatore analizzava analizzavo analizzer analizzi analizzo analli analoga analogo anatemi anatic
+anatomy anatre anchez ancho anchor ancock ancona ancoraggi ancorai ancorama ancorare ancorarsi
+ancorata ancorate ancorati ancorato ancorava ancorch andace andalf andall andalou andammo andand
+andandoci andandosi andango andanno andarla andarne andas andasnos andassero andassimo andaste
+andasti andateveli andatevi andatura andavate andaye andazzi andazzo anderas anderlei anders andia
+andiamole andini andino andit andola andolfo andomly andor andr andral andrci andrebbero andrelli
+andremmo andressi andreste andresti andreva andri andrigo andrine andrini android androide androidi
+androne androni andyman anela anelano anelare anelata anelate anelato anelavi aneli anelito anellato
+anellini anelo angea angelica angelico angelis angella angemi angeri angers angersi angioma angolana
+angolare angolato angoli angolini angolino angon angone angoon angor angora angos angosce angout
+anim animaldel animalesca animalesco animaletti animaletto animalismo animalista animalisti animals
+animando animano animarca animare animarsi animasse animata animate animati animato animava animede
+animi animosit animum anitoba annacci annaffi annah annali annaoxa annarsa annaspo annavo annego
+anneken annen annero annes annessa annesse annessi annesso annetta annetti annetto annetty annia
+anniamo annibal annida annidi annienta annik anninon annisi anniti anniversari anniversarismo
+anniversary annoi annoia annoier annoio annot annota annotai annoto announo annozzi annu annua
+annuali annualit annuario annucci annui annuii annuire annuito annuiva annuivo annulla annullando
+annullano annullasse annullata annullate annullati annuncia annuncialo annunciamo annunciando
+annunciano annunciante annunciargli annunciarlo annunciata annunciate annunciati annunciatori
+annunciava annunciavo annunzio annuo annurca annus annusa annuso anomal anomala anomale anomali
+anomalie anomalo anonero anonib anonical anonimato anonime anonimia anonimit ansie ansiet ansilla
+ansima ansimo ansiosa ansiose ansiosi antenata antenate antenato antenna anteriori anther anthers
+antiage antiago antiam antibiotica antibiotico anticarro antichit antichita anticima anticip
+anticipa anticipano anticipare anticipata anticipate anticipati anticipato anticipava anticipavi
+anticipi anticorpi anticorpo antidolorifiche antidolorifico antidoti antincendi antire antis antita
+antoan antonino antor antoro antorso antos antova antozzi anziane anzianit anzich anziche anzio
+anzioli aperina aperino aperoga aperol aperon aperone apertosi aperture aperura appaci appaga appaia
+appaio appale appalta appalti appalto appando appanna appanni apparano apparati apparato apparea
+apparecchi apparecchia apparecchiamo apparecchiare apparecchiata apparecchiate apparecchiati
+apparecchiato apparendo apparente apparenti apparenza apparenze apparezza appari apparir apparirci
+apparirebbe apparirmi apparirti apparisce apparisse apparite appariva apparsa apparse appartamentino
+appartenendo appartenente appartenenti appartenenza appartenenze appartenere appartenermi
+appartenersi appartenesse appartenete appartenevamo appartenevano appartenevo appartenga
+appartengano appartengo appartenne appartenuta appartenute appartenuto appartenza appartieni apparve
+appas appassionano appassionante appassionanti appassionare appassionarmi appassionarsi appassionata
+appassionate appassionati appassionatosi appassionava appassioner appassioni appassionino appassire
+appassita appassiti appeal appellaro appellati appellato appellava appelloe appende appendo appenino
+appesa appese appesi appetiti appetitoe appetitosa appetitosi appetitoso applaude appogger appoggi
+appoggia appoggiaci appoggiai appoggiamo appoggiano appoggiare appoggiata appoggiate appoggiati
+appoggiato appoggiava appoggiavo appoggino apponia apporo apporre apport apposita apposite appositi
+apposito appostano appostarsi appostate appostati appostato appostava apposti apposto apprenda
+apprende apprendi apprendo appresa apprese appresi appresso appresta appresti appresto appretto
+apprezz apprezza apprezzai apprezzando apprezzano apprezzarla apprezzarli apprezzarlo apprezzarmi
+apprezzarne apprezzarti apprezzata apprezzate apprezzati apprezzatore apprezzava apprezzavi
+apprezzer apprezzi apprezzino approc approcci approccia approcciamo approcciano approcciare
+approcciata approcciati approcciato appropria appropriano appropriarci appropriare appropriarmi
+appropriarsi appropriata appropriate appropriati approprio approv approva approval approvando
+approvano approvare approvarla approvarli approvarlo approvasse approvata approvate approvati
+approvava approvazioni approver approvi approvino approvo appuntai appuntano appuntare appuntata
+appuntate appuntati appuntato appuntiti aprano apraro aprendo aprera apridal aprie aprii apriiii
+apriin aprili aprilia aprino aprio apriolo aprir aprirai aprirci aprirebbe apriremo aprirlo aprirmi
+aprirne aprirono aprirsi aprirti aprirvi aprisse aprissi apritela apritevi apriva aprivi aprivo
+aprono aprotti aquilano aquile aquilone aquiloni aquinta araba arabag arabba arabe arabi arabia
+arabica arablus arabove arabya arachi arachico aranal arance aranciata aranciati aranciato arancie
+arancino arancio arancioneri arancioni arandon arangio aranh arani aranna arbie arbiero arbini
+arbitrale arbitrali arbitrare arbitrari arbitrati arbitrato arbitri arbitrio archant archena
+archetti archini archiori archisio architect architett architettate architettato architetti
+architettura architetture archive archives archivia archiviare archiviata archiviate archiviati
+archiviato archiviava archiviavo archivist archivisti archiviz archizza arcor areee argello argen
+argentata argentate argentati argentato argentea argentina argentini argentino arger argeras arges
+argeted argetti argomenta argomentano argomentare argomentata argomentate argomentato argomentava
+ariam arian arianna arianne arias ariati armadi armadietti armadillo armalat armano armara armaris
+armarmi armasse armatevi armattan armature armian armiere armiero armin armon armonic armonica
+armoniche armonici armonico armonie armoniosa armoniose armoniosi armonioso armonizza armony armor
+armora armot armotta arno arnoouh arrabbi arrabbia arrabbiai arrabbiamo arrabbiano arrabbiarci
+arrabbiarsi arrabbiate arrabbiatura arrabbiature arrabbiava arrabbiavo arrabbio arreca arreda arredi
+arredo arren arrende arrender arrendere arrendete arrendevo arrendi arrenditi arrendono arrer arrera
+arreri arres arresa arrese arresero arresi arresisi arreso arresomi arrest arresta arrestando
+arrestano arrestarsi arrestasse arrestate arrestati arrestino arret arretr arretra arrett arrey
+arriage arrie arrigle arrillo arrina arringa arrino arrinor arrio arriod arrior arriot arris arrish
+arriue arrivai arrivammo arrivandoci arrivarmi arrivarono arrivassero arrivassi arrivassimo
+arrivaste arrivava arrivavi arrivavo arriver arriverai arriverebbe arriverei arriverete arriviate
+arrivismi arrivismo arrivista arrix arrocca arrocco arrod arroga arrogan arrogano arroganti
+arroganza arrogarsi arrogato arrogo arrol arroll arron arrosa arroso arrossa arrossir arrostire
+arrostita arrostito arrostiva arrot arroto arrow arroz artead artedel artegia artei artel artem
+arten arterie arteriosa arteriosi artesio artha arthe arthes arthez arthly arths arthway arthy artic
+artica artiche artick article articles artico articol articola articolano articolata articolate
+articoler articolino articolista articolisti articolol articolosu articulo artido artifia artifici
+artificial artificiali artificialit artificill artificiosa artificiose artificiosit artificioso
+artifizi artifizio artigli artigny artimon artines artinez artisi artist artiste artistica
+artistiche artistici artistico artists artucci artuja ascensori asciani ascisse asciug asciuga
+asciugo ascolt ascoltai ascoltalo ascoltandolo ascoltano ascoltarci ascoltarla ascoltarle ascoltarli
+ascoltarono ascoltarsi ascoltarti ascoltasse ascoltata ascoltatelo ascoltati ascoltatore ascoltatori
+ascoltava ascoltavi ascoltavo ascolter ascoltiamo ascoltino asil asilea asilina asilino asilldi
+asiloche asilone aspei asper asperi asperit aspett aspettandosi aspettarci aspettarla aspettarli
+aspettarlo aspettarne aspettarsi aspettarvi aspettasse aspettassi aspettata aspettatevi aspettativa
+aspettavano aspettavate aspetter aspetterai aspetterebbe aspetterei aspetteremmo aspettereste
+aspetteresti aspettiamoci aspettino aspettiva assad assage assageti assaggiai assaggiamo assaggiando
+assaggiano assaggiarlo assaggiata assaggiate assaggiati assaggino assaia assaioli assale assalga
+assalire assalita assalite assaliti assalito assaliva assaltare assaltata assaltato assalti assammo
+assan assani assara assari assaro assassinare assassinata assassinati assassination assassine
+assassinii assator assau assauer assedia assedio assegnando assegnar assegnarlo assegnarmi
+assegnatari assegnatogli assegnatoli assei asseig assell assembla assemblai assemblano assemblare
+assemblata assemblate assemblati assemblato assemblee assenger assenso assenta assentato assenti
+assentire assenze assenzio assere asserto assest assesta assesti asset assets assia assiba
+assicurano assicurargli assicurarne assicurarre assicurarvi assicuratevi assicurativa assicurative
+assicurativi assicurativo assicuratomi assicuratore assicurer assicuri assicurino assidua assidui
+assiduo assidy assie assiepa assilla assillo assim assin assine assini assioma assiomi assion assiot
+assira assiro assiry assis assise assist assistant assistemmo assistendo assisteremmo assisteremo
+assisterlo assistette assisteva assistevo assistiamo assistita assistiti assistive assisto assistono
+assiu assius assoc associ associa associazioni associo assolata assolate assolati assolato assolda
+assoli assolo assolta assolti assolto assolute assoluti assolutorie assolutorio assolve assolver
+assomigliando assomigliano assomigliare assomigliarsi assomigliasse assomiglier assomiglino
+assomiglio assomma assomo asson assonia assoon assora assorba assorbe assorta assorti assorto assos
+assotti assover assuef assuma assumano assume assumente assumer assumerci assumerebbe assumerla
+assumerle assumerlo assumermi assumerne assumersi assumerti assumesse assumete assumeva assumiti
+assumo assumono assunse assuntain assunte assunti assuolo assurde assurdi assurdit assurge assurta
+assurti assurto astaaa astadt astaldo astanti astronauta astronaute astronauti astronavi astronoma
+astronomi astronomo astronovo astucci astute astuti astuzia atlante atlanti atlantica atlantici
+atlantico atlete atleti atletica atletico atletiti atmosfere atmosferica atmosferici atmosferico
+atriale atrica atricia atricii atrick atriot atriz atrizio attacc attaccando attaccano attaccante
+attaccanti attaccao attaccarci attaccargli attaccarli attaccarmi attaccarono attaccarsi attaccarti
+attaccate attaccatemi attaccatura attaccature attaccava attaccavi attaccavo attacchiamo attacell
+attachma attack attagli attah attai attaman attaneo attani attardo attaro attea attegat
+atteggiamenti attei atteis attel attelan attell atten attend attendano attendendo attendente
+attender attenderci attenderlo attendermi attenderne attendersi attendervi attendesse attendete
+attendeva attendevi attendevo attendi attendono atteneva attentano attentare attentat attentati
+attentatore attentatori attentio attention attenu attenua attenui attenzionare atteo atteoli atteone
+attered atterr atterra atterraggi atterrando atterrano atterrarono atterrata atterrati atterrato
+atterrer atterri atterriti atterrito atterriva atterro attese attesi atteso attesta attesto attia
+attiato atticon attiene attigua attiguo attimi attimino attinge attingo attinte attinto attir attira
+attirando attirano attirarli attirarlo attirarmi attirata attirate attirati attirava attirer attiri
+attirino attiro attis attista attivai attivando attivano attivarla attivarli attivarmi attivarsi
+attivata attivate attivati attivatore attivatori attiver attivik attivismo attivista attiviste
+attivisti attivsti attogno attoi atton attoriali attotti attouf attozzi attra attracco attrae
+attraenti attraenza attraete attraeva attragga attrai attrarmi attrarne attrarre attratta attratte
+attratti attrattiva attrattive attrattivi attrattivo attrattore attrattori attravero attravers
+attraversammo attraversandoli attraversandolo attraversano attraversanoe attraversarla attraversarle
+attraversarli attraversarlo attraversarono attraversasse attraversata attraversate attraversati
+attraversava attraversavo attraverser attraversi attrazioni attrezza attrezzare attrezzata
+attrezzate attrezzati attrezzato attrezzature attrezzo attribu attriti attrito attua attualele
+attualita attuando attuare attuarli attuarsi attuata attuate attuati attuato attuer atturro attuso
+audaci audacia audato auditel auditor audizioni augurano augurare augurate auguravo auguriamo
+augurio augusta aume aument aumentada aumentando aumentano aumentarla aumentarne aumentarono
+aumentata aumentate aumentati aumentato aumentava aumenter aumentera aumenti aumentino austera
+austere austeri austero austi austine austini austino australe australi australiana australiane
+australiani australiano austro autentica autenticata autentiche autentici autenticit autici autico
+autier autismo autisti autistica autistici autistico autoblu autogol autograf autografa autografata
+autografi autogravit autogrill automa automatica automatiche automatici automation automatismi
+automatismo automi automobili autopsie autor autorale autorete autoriale autoriali autorit
+autoritari autoritaria autoritarie autoritario autorizz autorizza autorizzano autorizzare
+autorizzarlo autorizzarvi autorizzat autorizzata autorizzate autorizzati autorizzativi autorizzava
+autorizzazioni autorizzi autorizzo autostop autostradale autostradali autostrade autumn autunnale
+autunnali autunni autuno avan avance avandou avanguardie avanguardista avanguardisti avani avannah
+avans avant avanz avanza avanzando avanzano avanzare avanzate avanzati avanzava avanzavo avanzi
+avanzo avena avenago avendogli avendola avendole avendoli avendolo avendone avenna avente aventem
+aventi average avercela avercele avercelo avercene averi averio avern avernese avert aveta avevavo
+avre avreau avreil avron avrov avute avutoglu avvelena avvelenano avvelenare avvelenarlo avvelenarvi
+avvelenata avvelenati avvelenatore avvenga avvengo avvenire avveniva avvenne avventa avventata
+avventato avventi avvento avventori avventur avventurarci avventurarmi avventurarsi avventurarti
+avventurati avventurato avventurava avventuri avventurosa avventurosi avventuroso avvenuta avvenute
+avvenuti avvera avverano avverare avverata avverati avverbi avverbio avverer avveri avverr avversa
+avversari avversaria avversarie avversato avverse avverser avversi avversit avverso avvert avverte
+avverti avvertiamo avvertii avvertimenti avvertir avvertirebbe avvertiremo avvertirla avvertirlo
+avvertirmi avvertirti avvertirvi avvertisse avvertita avvertite avvertiti avvertiva avvertivo
+avvertono avvezza avvezze avvezzi avvezzo avvi avviai avviamo avviano avviare avviata avviate
+avviati avviato avviava avviavo avvicin avvicinai avvicinandoci avvicinandoli avvicinandomi
+avvicinandosi avvicinano avvicinarci avvicinarla avvicinarli avvicinarlo avvicinarmi avvicinarono
+avvicinarvi avvicinasse avvicinatasi avvicinatosi avvicinava avvicinavo avviciner avviciniamo
+avvicinino avvicino avvide avviene avvier avvii avviino avvin avvince avvinta avvisando avvisano
+avvisarla avvisarli avvisarlo avvisarmi avvisarti avvisata avvisate avvisatemi avvisati avvisava
+avvista avvita avviva avvocata avvocatura azieda azien aziendali azionari azionate azionel azionista
+azionisti aziono azzagli azzarda azzardano azzardare azzardata azzardate azzardati azzardato
+azzardava azzardi azzardino azzareno azzareto azzarin azzarini azzarino azzuca azzuffa azzuro
+azzurra azzurrate azzurrava azzurre azzurri azzurrina azzurrini azzurrino azzurrite azzurrodi babb
+babbi babbino baciai baciamano baciamo baciando baciano baciarci baciareil baciarla baciarle
+baciarono baciarsi baciate baciati baciav baciava bacilli bacini bacione backend backers backlog
+backup badami badando badano badante badanti badar badasse badate badava badavo baffino baffo
+baffone baffoni baffuta baffuto bagaglioa bagarre bagasce bagna bagnai bagnando bagnano bagnanti
+bagnare bagnarmi bagnarsi bagnate bagnati bagnava bagner bagnini bagnino bail bakers balconata
+balconate balconi balen balenano balenanti balenare balenarmi balenato balene baleno ball ballac
+ballad ballano ballanti ballarom ballate ballava ballella baller balleremo ballerine ballerini
+ballerino balletti balloon balloons ballot ballotta ballotte bamb bambii bambinaia bambinello
+bambinetto bambinoa bambinoche bambinoni bambolina bamboline bambolo bamboo banali banalit banane
+bancale bancali bancari bancaria bancarie bancario banchettare banchetti banchi banchina banchine
+banconi banconota bandana bandanai bandi bandiere bandierina bandierine bandire bandirlo bandita
+bandite bandoli bandolo bands bangla baracche baracco baraccona baraccone barando barano barare
+barato baratro baratta barattai barattare baratti baratto barattoli barbagli barbapap barbare
+barbari barbarici barbarico barbarie barbaro barbe barbetta barbieri barbino barbogi barbona barboni
+barboso barbuta barbuti barbuto barcacce barcammo barcamp barchetta barchette barcone barconi barile
+barili baristi bariyon barnun baro barocca barocco barolo baronessa baronetti baroni baronie barrel
+barriere barrire barzellette basai basale basali basalto basando basano basare basarsi basarvi
+basasse basate basati basava based basetta basette basiamo basic basico basics basisti basita basiti
+basito bass bassezza bassezze bassino bassista bassisti bassotto bast bastante bastarda bastarde
+bastardino bastarmi bastarono bastarsi bastarti bastasse bastata bastate bastati bastato bastauns
+bastavano baster bastien bastino basto bastonare bastonata bastonate bastonati bastonato bastonava
+bastoni bateo batt battage battagliera battaglieri battagliero battaglioni battelli battello
+battemmo battente battenti batteri batterica batteriche batterici batterio batterista batterli
+battermi battery battesimale battesimi battesse battevi battezza battigia battisti battiti battitore
+battitori battitura battutine battutone bauli beacon beccano beccarmi beccarne beccarsi beccarti
+beccate beccavi becchi bellalo bellela belletto belleza bellezze bellica belliche bellici bellico
+bellocci bells benedetta benedette benedetti benedettini benedettino benedice benedici benedicono
+benedire benedite benedizioni benefare benefica beneficer benefiche beneficia beneficiano
+beneficiare beneficiari beneficiata beneficiati beneficiato beneficiava benefico benefit benefits
+benele benesseri benezer benino benito benna bentornate benvenute benzene benzinaio beree berlina
+berline berlinese berlinesi berlo berne bersagliata bersagliati bersagliato bersaglieri best
+bestiale bestiali bestialit bestiari besting bestiole bestione bestma better bettino bettola bettole
+bevanda bevande bevendoli beverage beverini beveroni bevesse bevessi beveteci beveva bevevo
+beviamoci bevute bevuti bianchetto bianchezza bianchicci biancore biasima biasimare biasimati
+biasimato biasimava bibbie bibite bibitone bibliotecari bibliotecaria bibliotecarie bibliotecario
+biblioteche bicchier bicchierini bicchierino biciclett biciclette biciclo biglie bigliettini
+bigliettino biliardino billing bimbe bimbone binaria binarie bing binge biologa biologi biologiche
+biologici biologo bionde biondi biondina biondino bionica bionici bionico birrai birraio birrari
+birraria birrate birreria birrerie birretta biscottate biscottini biso bisoft bisognasse bisognava
+bisogner bisognini bisognosa bisognose bisognosi bisognoso bisogo bisonte bisonti bistecche bizzarra
+bizzarre bizzarri bizzarria bizzarrie bizzatti blackbox blackhat blackout blak bloc bloccai bloccalo
+bloccante bloccarci bloccarle bloccarlo bloccarono bloccarti bloccava blocchi block blocker blogger
+blues bluette boccae boccale boccali boccardi boccata boccate bocce bocche bocci boccio boccola
+boccolo bocconi bollano bollare bollata bollate bollato bolleio bollenti bollete bolletta bollettini
+bollettino bolli bollia bollini bollino bollire bollite bolliti bollito bollo bollore bomb bombagiu
+bombard bombarda bombata bombato bomber bombetta bombo bombola bombole bone boomer boot bordate
+bordato bordeaux bordelli bordino boria boring boriose borsello borsette borsone boschiva boschivo
+boscose boscoso bostik bottega botteghe botti bottiglietta bottigliette bottiglione bottini bottom
+bottoni boxed boxer brac braccare braccate braccato bracciale braccialetti bracciali bracciante
+braccianti bracciata braccine braccino braccioli bracciolo bracciotte bracciowww brace braci bradipo
+brado branca branch branche branchi brand branda brande branded brandina brandine branding brandire
+brandita branditi brandito brands brani brasa brasato brav bravanel bravini bravissime bravissimi
+bravura brevetti brevetto brevi brevit bric bricchi bricole bridging brief briga brigati briglia
+briglie brilla brillano brillantezza brillantini brillare brillasse brillati brillato brillava
+brinda brindare brindisina brindo britannica britanniche britannici brivido broad broadwat broda
+brodi brodini brodino brodo browser brucer bruchi bruci bruciamo bruciano bruciante bruciarne
+bruciarono bruciarsi bruciarti bruciate bruciati bruciatori bruciatura bruciature bruciava brucino
+brucio bruciore bruco bruna brunch brune bruni brunoise brusca brusche bruschi brusco brush brusii
+bruta brutali brutalit brutalone brute bruti bruto bruttezza bruttezze bruttina bruttini bruttino
+bruttura brutture bucan bucare bucate bucature bucava buche buchini buchino buddese budge buffai
+buffe buffer bufferc buffet buffonata buffonate buffoni bugiardi bugiardini bugiardino buiosa
+buonasela buonee buongiorn buongiorni buonino buonismo buonissima buonissime buonissimi buonista
+buoniste buonisti buonora buonosmo burka burkini burraco burrata burrate burri burrone burroni
+businessmen buss bussa bussando bussano bussasse bussate bussato bussava bussi bussino busso bussola
+bussole buste busti bustina bustine butt buttai buttalo buttammi buttando buttano buttar buttarci
+buttarla buttarli buttarlo buttarmi buttarne buttarsi buttarti buttarvi buttassi buttate buttatevi
+buttatici buttava buttavo butter buttiamo buttino button cabinati cabinato cabine cabinet cacce
+cacche cacchisti cacciando cacciarla cacciarli cacciarmi cacciarsi cacciasse cacciati cacciatora
+caccie caccola caccole cadaverino cadeau cademic cademy cadendogli cadenzer caderci cadermi cadervi
+cadeste cadete cadetto cadevi cadevo cado caduca caduche caducit cadutea caff caffeico caffeina caga
+cagando cagarse cagasse cagassi cagata cagate cagati cagato cagava cagavi cagnara cagne cagnolina
+cagnolini cagnolona calca calcano calcare calcari calcata calcato calce calchi calciar calciata
+calciato calciava calcione calcola calcolano calcolare calcolata calcolati calcolato calcolava
+calcoler calcoliamo calcolosi caldaia caldaie caldane calde caldea caldino calendar calendari caler
+calesse caleta calia calibrare calibrata calibrate calibrato calice calici calicot califfo
+californiana californiane californiani californiano calise call calle calli calling callosa callose
+calm calmano calmante calmanti calmarla calmarli calmarmi calmarsi calmate calmato calme calmino
+calorici calorico calorie calorosa caloroso calotta calotte calvi calvizie calvo calzano calzari
+calzava calzino calzoni cambiai cambiar cambiargli cambiarle cambiarlo cambiarne cambiarono
+cambiarti cambiasse cambiatoche cambiavo cambierai cambieremo cambierete cambindo cambino cambusa
+camel camelie cameo camerale cameraman camerata camerate camerati cameretta camerette camerieri
+camerine camerini camerino camerita camice camici camicie camilli camini camionale camisa camm
+cammei cammin camminai camminammo camminandovi camminano camminarci camminarmi camminarti camminata
+camminate camminatore camminatori camminava camminavo camminer camminiamo camminino camp campa
+campagne campagnoli campagnolo campagte campaign campale campali campanaria campanarie campando
+campanella campanelle campanelli campanellino campani campanile campanili campano campanone campate
+campava campegger campeggi campeggia campeggiava campetti campetto campiamo camping campiona
+campionari campionaria campionario campionata campionate campionati campionatore campionessa
+campisti campos canadair canadesi canaglie canalino canalone canap canapa canard canaria cancell
+cancellai cancellando cancellano cancellarci cancellarla cancellarle cancellarlo cancellarsi
+cancellata cancellate cancellati cancellation cancellature cancellava canceller cancelliamo
+cancelliera cancellino cancrena candelina candeline candid candida candidando candidano candidare
+candidarmi candidarsi candidarvi candidasse candidata candidate candidatura candidature candide
+candidi candido candore candpo canea canile canini canino canizie cannabis cannato canne canneti
+canneto canno cannoli cannolo cannonate cannoniera cannoniere cannula cannule cantandogli cantanti
+cantar cantargli cantarla cantarono cantate cantati cantava cantavo canter canthis cantiamo cantiche
+cantieri cantine canton cantone cantoni cantore cantori cantorum canz canza canzano canzi canzon
+canzonare canzonette canzonieri capa capacit capacitarmi capacitava capaciti capacito capanne
+capanni capannone capannoni caparra caparre capate capellino capellone capelloni capellute capelluto
+capendo capetti capezzale capezzolo capia capiamoci capimmo capino capir capiranno capirci capirebbe
+capirei capiremmo capiremo capireste capiresti capirete capirla capirle capirli capirmi capirne
+capirono capirsi capirti capiscano capiscanoo capisciamm capiscon capismo capisse capissi capit
+capitain capital capitali capitalist capitals capitanata capitanate capitanati capitanato capitando
+capitani capitanmo capitargli capitarmi capitarti capitarvi capitasse capitate capitava capitelli
+capitello capiter capitino capitolare capitolata capitolati capitolato capitoli capitolina
+capitoline capitolini capitoni capiva capivi capivo capolav capolavori caporalato caporali
+cappellacci cappellano cappelle cappelliera cappelliere cappellini cappellino capperi cappero
+cappone cappottai cappotti cappottino cappottone capre capri caprico caprina capro caprone caproni
+capsule caracas caramella caramellata caramellate caramelline caramello carano carasau carato
+caratteri caratterino caratteristica caratteristici caratteristico caratterizz caravan carbon
+carbonara carbonaro carbonella carboneria carboni carbonica carburanti carburo carcerate carcerati
+carceri cardiaca cardiache cardiaci cardin cardinali cardine cardini cardinil cardio carello carente
+carenti carenza carenze carezza carezze cariata carib caric caricala caricarci caricarono caricatura
+caricature caricher carie carinaure carineria caring carisma carit carita carlett carlino carmine
+carnaio carnale carnali carnera carnet carnose carny carogna carogne carolingia carota carote
+carozze carrellata carrelli carrellino carrellone carretta carrette carretti carretto carrier
+carriere carriole carrone carrott carrozzato carrozze carrozzina carrozzine carrozzone carrozzoni
+carrube carrubo carsici carsico cartacce cartacea cartacee cartacei cartaceo cartane cartasu
+carteggi cartelli cartellini cartellino cartellone cartelloni cartina cartine cartolari cartoline
+cartonate cartonati cartoni cartoon cartoons casacca casale casaoz casari casas casata casato casca
+cascami cascare cascata cascate cascati cascato caschi cascina cascine cascola casei caseina casella
+caselle casello caserme casermone casermoni casette casin casina casinaro casinista casomai casoni
+cassai cassetti cassettina cassettone cassettoni cassiera cassiere cassieri cassola cassone
+cassonetti cassoni casta castana castani castano caste castel castellano castelli castiga castigo
+casting castit casto castori castoro casual casuali casualit casucce casus catastrofi catastrofica
+catastrofici catastrofico categhi categoa categoriale categoriali categorica categorico categorie
+caterva cateti cattiveria cattiverie cattivit cattivone cattivoni cattoliche cattolici cattolicit
+cattolico cattur catturandi catturando catturano catturarla catturarli catturarlo catturarne
+catturarono catturata catturate catturati catturava catture catturi caus causale causali causalit
+causando causano causarmi causarne causarono causata causate causati causava causer causino cavalca
+cavalcano cavalcarla cavalcarle cavalcarlo cavalcate cavalcavia cavalier cavalierato cavalieresca
+cavallerizza cavallette cavalletto cavallini cavallino cavalloni cavar cavarci cavarne cavati cave
+caveat caveremo caverne cavetti cavetto cavie caviglie cavigliera cavilli cavillo cavino cavit
+cavolata cavolate cazz cazzacci cazzago cazzare cazzari cazzaro cazzia cazziata cazziato cazzilli
+cazzola cazzona cazzoni cazzotti cazzotto cazzute cecchini cede ceder cederai cederci cederebbe
+cederemmo cederemo cedergli cederla cederlo cederne cedete cedette ceduta cedute ceduti celeb celebr
+celebra celebrando celebrano celebrante celebrar celebrarli celebrarlo celebrarsi celebrata
+celebrate celebrati celebrato celebrava celebravo celebre celebrer celebri celebrit celebrities
+celebrity celer celere celeri celerit celesti celestina celiaca celiaci celiaco celino cell cellar
+celluare cellulite cellulosa cellulose cementa cementare cementato cementava cenache cenando cenano
+cenao cenarono cenato cent centered centers centesimale centina centinai centito centodue centone
+centoni centra centrali centralina centraline centralini centralino centralit centrando centrano
+centrare centrata centrate centrati centrato centred centres centriamo centrica centrici centrico
+centrini centrino centrismo centrista centristi cents cerali cerc cercai cercala cercali cercami
+cercandole cercandone cercandosi cercar cercarci cercarei cercarle cercarli cercarmelo cercarne
+cercarono cercarsi cercartelo cercasi cercasse cercassi cercateci cercatele cercati cercavamo
+cercavate cercher cercherai cercherebbe cercherei cerchia cerchiate cerchiava cerchie cerchino
+cereale cerebrali ceres ceretta cerimoniale cerimonie cerimoniere cerimoniosi certezze certific
+certifica certificano certificare certificarsi certificasse certificata certificate certificati
+certificatori certifichi certosa certuni cerveaux cervellino cervellone cerveza cervezas cervi
+cervice cessa cessano cessare cessate cessati cessato cesser cessi cessino cesta cestai ceste cesti
+cestinano cestinare cestinata cestinavo cestini cesto chances chandra changer changing channel chans
+chanson charge charity charmer checch checche cheche checkers checking checks cheerleading cheffe
+chefs chengen chenon chiacchiera chiacchierando chiacchierano chiacchierate chiacchierati
+chiacchierato chiacchierava chiacchierio chiacchiero chiacchierona chiacchierone chiagne chiagni
+chiale chiam chiamaci chiamai chiamala chiamali chiamandoci chiamandola chiamandolo chiamante
+chiamarci chiamarli chiamarono chiamarsi chiamarvi chiamasse chiamassi chiamatela chiamatelo
+chiamavamo chiamavan chiamavi chiamavo chiamer chiamerai chiamerebbe chiameremmo chiamiamola
+chiamiamole chiamiamoli chiamiamolo chiamino chiap chiarendo chiariamo chiarir chiarirlo chiarirvi
+chiarisca chiarisco chiarisse chiariti chiarito chiariva chiaror chiarore chiasso chiats chiatt
+chiatte chiavetta chiavette chiavica chiavitu chiavone chiavoni chiazza chiazze chic chicagoans
+chicca chicche chicchi chicco chick chico chiedano chiedendoci chiedendogli chiedendole chiedendoli
+chiedendolo chiedendomi chiedendone chiedendosi chiedendoti chieder chiederai chiederci chiederebbe
+chiederemo chiedereste chiederete chiederla chiederne chiedersi chiedesse chiedessi chiedeste
+chiedesti chiedetegli chiedetela chiedetele chiedetelo chiedetemi chiedetevi chiedevamo chiedevano
+chiedevi chiediamoci chiediamogli chiediamolo chiediate chiedimi chiediti chief chiei chiele chien
+chiesao chiesero chiesetta chiesette chiestane chiesti child chiller chilometrica chilometriche
+chilometrio chimera chimere chimiche chimici chiocci chiodata chiodate chiodati chiodato chiodi
+chioma chiome chios chiosa chiosco chiose chipa chiphol chips chirurghi chirurgica chirurgiche
+chirurgici chirurgico chiss chissachi chissene chitarre chitarrosa chiudendole chiudendolo chiuder
+chiuderci chiuderebbe chiuderemo chiudergli chiuderla chiuderlo chiudermi chiuderti chiudesse
+chiudessi chiudeva chiudevo chiudiamola chiudiamoli chiuditi chiudono chiusasi chiusero chiusie
+chiusure chucani ciambellone ciaone ciascia ciascun ciascuna cicca ciccare cicche ciccia ciccu
+cicles cicli ciclica ciclici ciclico ciclone ciclope ciclopi cieche ciechesi ciechie ciel cielomi
+cifrano cifrario cifrata cifrati cifrato cimae cimici cimini cimiteri cinereo cinesata cineseria
+cineserie cinquant cinquantanni cinquantasei cinquantatr cinquantatre cinquantina cinquantino
+cinquantone cinquenne cinquina cintola cinturino cinturone cioccolatai cioccolate cioccolatini
+cioccolatino circhi circle circola circolando circolano circolanti circolari circolarit circolasse
+circolata circolate circolati circolato circolava circoler circoli circonda circondano circondarci
+circondare circondario circondarmi circondarsi circondarti circondarvi circondata circondate
+circondati circondava circondi circostances circostante circostanti circostanza circostanzae
+circuire circuiti citazioni citt cittadinanza cittadinanze cittadine cittadinonon civic civica
+civiche civici civico civil civilista civilt civismo civit claim clair clairon class classes classi
+classic classiche classici classicit classicone classiconi classismo classista classza claudio
+client clientela clientele clientes clients climate climax climber climi clin clinic cliniche
+clinici clinico clinton coaching cocchi coccio coccod coccola coccole cocktails codaa codarda
+codardi codardia codi codicillo codine coding codini codino coglier coglierci coglierla coglierli
+coglierlo coglierne cogliete coglionate coglioneria coglionicon cognata cognomee cognomi coincide
+coincidendo coincidente coincidenti coincidentia coincidenze coincider coincidere coincideva
+coinquiline coinquilini coinvole coinvolga coinvolgano coinvolge coinvolgendo coinvolgente
+coinvolgenti coinvolgerli coinvolgerlo coinvolgermi coinvolgersi coinvolgerti coinvolgeva coinvolgi
+coinvolgimeno coinvolgimenti coinvolgono coinvolse coinvolsi coinvolte colando colanlo colate
+colatoi colava colazioni colei colera colibr colina coll collabor collabora collaborando collaborano
+collaborarono collaborati collaborato collaborava collaboravo collaborazioni collaborer collabori
+collaborino collaboro collage collane collanine collant collante collar collare collari collass
+collassa collassi collasso collaterale collateralisi collateralismo collaudo colle collegale
+collegamenti collegammo collegando collegano collegarci collegare collegarli collegarlo collegarmi
+collegarsi collegatevi collegava colleghe collegher colleghiamo colleghino collegi collegiale
+collegiali collego collera colletta colletti colletto collezionano collezionare collezionato
+collezioni colleziono colli collide collier collima collinare collinari collinetta collinosi colloc
+colloca collochi colloqui colloquiale colloquiali colloquiare collosa collose colloso collusa
+collusi colluso colomba colombe colombo colon coloni coloniale coloniali colonica coloniche colonie
+colonizza colonnato colonne colonnelli colonnina colonnine colono colorai colorando colorano
+colorante coloranti colorare colorarne colorarsi colorarti colorata colorate colorati colorato
+colores coloried coloriti colossi colosso colour colp colpe colpevolezza colpevolisti colpevolizza
+colpiiti colpipo colpir colpirci colpirle colpirli colpirlo colpirmi colpirono colpirsi colpirti
+colpisca colpisco colpisse colpitbe colpiva colposo coltan colte coltellata coltellate coltellino
+colti coltiva coltivi coltivo coltre coltri coltura colture columns comandando comandano comandarla
+comandarsi comandata comandati comandato comandava comande comandiamo comari comasca comasco comau
+combaci combacia combat combatta combattendoli combattendolo combattente combattenti combatter
+combatterci combatteremmo combatteremo combatterla combatterle combatterli combatterlo combatterono
+combattesse combatteva combattevo combattiamo combattili combattimenti combattiva combattivo
+combatto combattono combattuta combattute combattuti combattutto combin combina combinano combinar
+combinare combinarli combinarlo combinata combinate combinati combinatorie combinava combinazioni
+combinino combino combo comece comedor comedy comel cometa comete comeuna comic comica comiche
+comici comicit comics comicus comihi comincer cominciammo cominciarne cominciarono cominciasse
+cominciassi cominciati cominciatoa cominciava cominciavi cominciavo comincino coming comit comitati
+comitatini comitiva comitive comix comizi comizii comizio comme commediante commedie comment
+commenta commentale commentano commentare commentata commentate commentati commentato commentava
+commentavo commentiamo commentino commerci commercia commerciali commercialto commerciano
+commerciante commercianti commerciare commerciava commervo commetta commettano commetter
+commetteremmo commetteva commetti commissari commissaria commissariale commissariali commissariata
+commissariati commissariato commission commissiona commissionano commissionare commissionari
+commissionata commissionate commissionati commissionato commissioni commissioning como comodino comp
+compa compact compagine compagini compagne company compara comparano comparare comparata comparate
+comparato compariva comparte compartir compassi compassion compassioni compasso compatta compatte
+compatti compatto compendio compensano compensare compensata compensate compensati compensato
+compera comperar compere compete competente competenti competenze competesse competeva competizioni
+competono compi compia compiace compiamo compiano compie compiendo compier compieri compierle
+compiersi compii compil compila compile compiler compili compilo compio compiono compir compirai
+compisse compitino compiuta compiutasi compiute compiuti compiva complain compleanni complessa
+complesse complessi complessino complessit complessita complessiva complessive complessivi
+complessivo complet completameimo completamenti completamento completando completano completarci
+completarla completarle completarlo completarmi completarsi completata completate completati
+completava complete completer completino compliant compliare complica complicando complicano
+complicanze complicarci complicare complicarla complicarmi complicarsi complicati complicazione
+complici complicit complico compliment complimenta complotta complottano complotti compo componga
+comporle comport comportamentale comportamentali comportamente comportamenti comportandoci
+comportandomi comportandosi comportandoti comportano comportarci comportare comportarono comportasse
+comportata comportate comportatevi comportava comporter comportera comportiamo comportino comporto
+compose composer composero composita compositi composito compost compostela compound compr comprai
+comprammo comprando comprano comprante comprarci comprarla comprarle comprarli comprarlo comprarne
+comprarsi comprarti comprarvi comprateli compratevi compratore compratori comprava compravo
+comprenda comprendano comprendendo comprendente comprendenti comprender comprenderci comprenderete
+comprenderla comprenderle comprenderli comprenderlo comprenderne comprendersi comprendesse
+comprendessi comprendeva comprendevo comprendi comprendono comprenht comprensibili comprensibilit
+comprensioni comprensiva comprensive comprensivi comprensivo comprer comprese compresero compresi
+compressa compresse compressi compresso compriamo comprime comprino compromessa compromesse
+compromessi comprometta compromette comptro compulsa computa computano computare computati computato
+computeo computers computing computo comun comunali comunanza comunarie comunella comunicahe
+comunicai comunicano comunicanti comunicarci comunicargli comunicarla comunicarlo comunicarsi
+comunicata comunicate comunicati comunicativa comunicative comunicativi comunicativo comunicatore
+comunicatori comunicava comunicazio comunicher comunico comunii comunione comunioni comunismo
+comunit comunitari comunitaria comunitarie comunitario comunitivo comunqe comunso conca concat
+concavi concavo conceda concede conceder concedere concedete concedeva concedevo concedi concedimi
+concedono concentra concentraci concentrai concentrando concentrano concentrare concentrarla
+concentrarono concentrarsi concentrarvi concentrasi concentrata concentrate concentratevi
+concentratore concentratori concentrava concentravo concentrazioni concentrer concentri concentrici
+concentro concep concept conceria concerne concertari concerti concertini concertino concertone
+concessa concesse concessi concetti conci concia concili concime concimi concise concisi conciso
+conclave conclavi concluda concludano conclude concludendo concludenza concluder concluderla
+concluderle concludersi concludeva concludi concludo concludono conclusa conclusasi concluse
+conclusero conclusi conclusiva conclusive conclusivi conclusivo conclusosi concorda concordano
+concordare concordata concordate concordati concordato concordi concordia concordino concori
+concorra concorre concorrente concorrenti concorrere concorrervi concorreva concorsi concorsino
+concorsone concozze condannando condannano condannarci condannare condannarla condannarli
+condannarlo condannarmi condannarne condannarti condannassi condannata condannate condannati
+condannava condanne condanni condens condire condite conditi condivida condividano condivide
+condividendo condivider condivideremo condividerla condividerle condividerli condividerlo
+condividerne condividesse condividete condivideva condividevi condividevo condividi condividila
+condividile condividilo condivido condividono condivisa condivise condivisi condivo condiziona
+condizionale condizionali condizionando condizionano condizionante condizionanti condizionarci
+condizionare condizionarti condizionate condizionati condizionato condizionatore condizionatori
+condizioner condom condor condotte condotti conduca conducendo conducente conducenti conducesse
+conduceva conducevo conducimi conduco conducono condurci condurla condurlo condurmi condurne condurr
+condurrebbe condurti condusse conf conferenc conference conferendo conferir conferire conferita
+conferiti conferito conferiva conferm confermache confermando confermano confermar confermarci
+confermarlo confermarne confermarono confermarsi confermata confermate confermati confermativo
+confermava conferme confermi confermino confermo confess confessando confessano confessarlo
+confessarono confessarsi confessarvi confessate confessati confessava confesser confessionale
+confessioni confessore confetti confetto confida confidente confidenze confider confidi confido
+config confinano confinis confino confisca confit conflict confligge confliggo conflitti confonda
+confonde confondi confondo conforma conforme conformes conformi conformit confort conforta
+confortare confortata confraternit confront confronta confrontano confrontare confrontata
+confrontate confrontati confrontato confrontava confrontavo confrontiamo confte confuse confused
+confusi confusing confusionale confusionari confusioni congela congelando congelano congelarlo
+congelata congelate congelati congelatore congelatori congratulazione congrega congressi coni conia
+coniare coniata coniato coniglione conil conio conione coniuga coniuge coniugi connect connesi
+connessioni connota conoscano conoscente conoscenti conoscer conoscerai conoscerci conosceremo
+conoscerete conoscerle conoscerli conoscesse conoscessero conoscessimo conoscevamo conoscevate
+conquist conquistai conquistando conquistano conquistarla conquistarli conquistarlo conquistarmi
+conquistarne conquistarsi conquistarti conquistarvi conquistata conquistate conquistati conquiste
+conquister conquisti conquisto consapevolezza consapevolezze conseglio consegn consegnai consegnamo
+consegnando consegnano consegnarci consegnarla consegnarle consegnarli consegnarlo consegnarsi
+consegnarti consegnasse consegnata consegnate consegnati consegner consegni consegno consegu
+consegue conseguendo conseguente conseguenti conseguerch conseguii conseguir consempi consensi
+consent consenta consente consenti consentir conserte conserto conserv conserva conservale
+conservando conservano conservante conservanti conservare conservarla conservarle conservarli
+conservarlo conservarsi conservata conservate conservatesi conservati conservativa conservative
+conservativi conservativo conservatore conservatori conservatorio conservava conserve conserver
+conservi conservino conservo consessi consesso consi consider consideralo considerandoli
+considerandolo considerandoti considerano considerarci considerarla considerarle considerarli
+considerarlo considerarmi considerarne considerarsi considerarvi considerasse consideratemi
+considerava consideravo considerazioni considerer consideriamo consideriate considerino considervo
+consigliai consigliami consigliamo consigliando consigliante consigliari consigliarlo consigliarmi
+consigliarti consigliarvi consigliasse consigliavo consiglier consigliera consiglierebbe consiglieri
+consigliore consigliouna consista consistano consistente consistenti consistenza consistenze
+consister consistere consistette consisteva consistita consistono consulenti consulenza consulenze
+contabili contabilit contact contadina contadine contagi contagia contagio contale contante contario
+contarle contarli contarono contarsi contasse contatore contatori contatt contatta contattaci
+contattando contattano contattarci contattarla contattarli contattarlo contattarmi contattata
+contattate contattateci contattatemi contattati contattino contava contee conteggi contegno contempo
+contendo contenendo contenente contenenti contenerla contenerle contenerli contenerlo contenermi
+contenerne contenersi contenerti contenesse conteneva contenga contengo contenitive contenitori
+content contente contentini contentuto contenuta contenute contenuti conteo conter conterai conterei
+conterr contesa contese contesi contest contesta contestano contestare contestata contestati
+contestato contestava contester contesti context contigo contigua contigui contiguo contine
+continentale continentali continenti continenza continer contino continu continuai continuam
+continuammo continuando continuarono continuasse continuassi continuata continuati continuativa
+continuative continuativi continuativo continuavano continuavo continue continued continuer
+continuera continuerai continuerebbe continuerei continueresti continuerete continuino continuit
+continuity continuum contoche contollo contorce contorci contorni contorno contorta contorte
+contorti contorto contracts contrade contrae contraeva contrale contrari contraria contrariata
+contrariato contrarie contrariet contrarre contrasta contrasti contrasto contratta contrattare
+contrattato contrattile contrattura contribu contribuir contribuira contribuire contribuite
+contribuito contribuiva contributi contribution contributiva contributive contributivi contributivo
+contributor contributore contributori contrita contrito control controll controllala controllale
+controllandoli controllante controllarci controllareil controllarla controllarle controllarli
+controllarmi controllarne controllarsi controllarsse controllarti controllarvi controllati
+controllava controller controllino controllore controllori controluce controone controra convegni
+convegno convenga convengo convenire conveniva convenne conventi convention convenuti convenuto
+converge converr converra conversa conversazionale conversazionali converse converso converta
+converte convessi convesso convinca convincano convince convincendo convincenti convincer
+convincerai convincerci convincerebbe convincerle convincerli convincermene convincersi convincerti
+convincervi convincesse convinceva convinci convincici convinco convincono convinse convinsi
+convinte convito convitti convitto convivano convive convivente convivenza convivenze conviverci
+convivi convivio convivo convivono cooperano cooperare coordina coordinando coordinano coordinare
+coordinarla coordinarsi coordinates coordinatore coordinatori coordinava coordiner coordini coordino
+copechi copello copertine copertone copertoni coperture copiando copiano copiare copiarle copiarlo
+copiarne copiarsi copiata copiate copiato copio copioni copiosa copiosit copioso coppe coppiere
+coppiette coppola coppole coprente coprilo coprireil coprirgli coprirti coraggiose cordame cordino
+cordoli cordolo cordone cordoni coreana coreane coreani coreano coreo coretti corn cornee corner
+corni cornice cornici cornorci cornuta cornuti cornuto coronale coronando coronare coronarie
+coronata coronate coronato corone corpore corporea corporee corporei corporeo corposa corpose
+corposi corposo corpus corr correct correda corredi corredo corregga correggi correggo correit
+corren correndole correnti correo correrai correrei correremo correreste correrete correttiva
+correttive correttivi correttivo correttore correttori correvi correvo corrida corride corridio
+corridoi corridore corridori corriera corrieri corrisponda corrispondano corrispondente
+corrispondenti corrispondenze corrispondere corrispondesse corrispondeva corrisposta corrisposte
+corrisposti corrisposto corrode corrompe corrosa corrose corrosi corrotta corrotte corrotti
+corruzioni corsara corsari corsaro corsato corsero corsese corsetta corsetto corsie corsisti corsivi
+corsivo cortecce corteggi cortei cortello corteo cortiletto cortili cortina cortine corvi corvina
+corvini cosacco coscienti coscienzadi coscienze coseti cosetta cosette cosicch cosikk cosine cosino
+cost costanza costare costarle costarti costasse costata costate costati costava costeggi costei
+costella coster costera costiamo costiera costiere costiero costine costing costino costitu
+costituzionale costituzionali costituzioni costola costone costoro costose costosi costrette costru
+costruendoci costruendone costruir costruirci costruirebbe costruiremo costruirgli costruirla
+costruirle costruirli costruirlo costruirmi costruirne costruirono costruirsi costruirti costruisca
+costruisci costruisco costruite costruiti costruiva costruivo costrutti costrutto costruzioni costui
+costumer costumers costumino costumista cotonati cotos cottage cottecs cotti cottimo cottu cottura
+cotture county crac cracker crackers craniata craniate cranica cravatte creandola creandomi
+creandone creano crearci creargli crearle crearli crearmi crearne crearono crearsi crearti crearvi
+crease creasse creassi creat creatasi create created createsi creati creatisi creativa creative
+creativi creativit creatori creatosi creaturina creava creazioni credano credemmo credendo credente
+credenti credenza credenze creder crederanno crederebbe crederedi crederesti crederete credergli
+crederla crederle crederlo credersi credervi credesse credessi credette credetti credevate
+crediamoci crediate credibili credibilit credibilita credists credit credita creditano crediti
+creditore creditori credits creduta credute creduti cremano cremati creme cremisi cremosa cremoso
+cresali cresca crescano crescende crescente crescenti crescenza crescer crescerai crescerebbe
+crescerli crescerlo crescermi crescesse crescete cresceva crescevo cresci cresciamo crescit crescite
+cresciute cresco cresima crespe crespi crespo cresta creste creta creteri cretina cretinata
+cretinate cretine cretini criminalit criminalita criminalizzi criminilit criminose criminosi
+criminoso cris crisis crismi crisp cristalli cristallina cristalline cristallini cristallino
+cristallio cristi cristian cristiana cristiane cristianit criteri critical criticando criticano
+criticarci criticare criticarla criticarli criticarlo criticata criticate criticati criticato
+criticava criticher critichi criticit criticoni crititco croceci crocee crocetta crocevia crociahi
+crociano crociata crociate crociati crociato crociere crock crollano crollarono crollati crollava
+crollavo croller crollera crolli crolls cronache cronica cronici crono cronym crossino crosta croste
+crowd crowleyani cruda crude crudeli crudelt crudezza crudi crudo cubana cubani cubano cucchiai
+cucchiaiata cucchiaiate cucchiaini cucchiaino cucciola cucciolone cucin cucinando cucinanel cucinano
+cucinarli cucinarmi cucinarne cucinarsi cucinata cucinate cucinatelo cucinati cucinava cucinavo
+cucine cucini cucino cuciono cucire cucirsi cucita cucite cucito cuciva cugine cuginomi cullare
+cullarti cullati cullato culle culler culley cully culona culone culonia culovia cult culti culto
+cultora culturae cultural culturale culturali culturare cuoce cuocere cuocete cuoche cuochi cuor
+cupo cupole cupolone curala curando curano curanti curarci curarla curarli curarlo curarmi curarne
+curarsi curarti curata curate curatela curation curativa curative curativi curativo curatore
+curatori curava curer curerei curia curiamo curiorit curiosando curiosare curiosato curiose curiosi
+curiosit curiosone curricula curriculari curtain curvare curvato curvava curve curver curvi curvo
+curvy custodendo custodes custodi custodie custodiet custodire custodirle custodirlo custodirsi
+custodisce custodisco custodita custodite custoditi custodito custodiva custodivo custom customer
+dacca daccapo dacch dalet dall dallalle dallu dallva damage damasco dami damigelle damme damocle
+damolto damose danaro dandoci dandogli dandole dandomi dandosi dandoti dandy daniela daniele danna
+dannando dannare dannarvi dannate dannazioni danneggi danneggia danneggiando danneggiano danneggiare
+danneggiarla danneggiarli danneggiarlo danneggiarsi danneggiasse danneggiata danneggiate danneggiati
+danner dannosa dannose dannosi dannosit dannoso dantesco danz danzando danzano danzante danzanti
+danzarci danzare danzato danzava danze danzi danzo daras darebbero daremmo daresti darete dargliela
+darglielo darla darli darling darmene darsela darsele darsena dartela dartene darvela databile
+databili datale dataset datata datate datati datato dateglielo datelo dating datomi datore datori
+datosi datteri dattero davano davanoad davanto davi davidd davveronon debbano debbo debbono debiase
+debita debite debitore debitori debitoria debitorie debo debolezze decennale decennali decennio
+decent decentri decenza decessi decibel decida decidano decidemmo decidendi decidendo decider
+deciderai decideremo deciderete deciderla deciderlo decidermi deciderne decidersi decides decidesse
+decidessi decideste decidesti decidete decideva decidevo decidiamo decidiate decidono decidue decima
+decimi decimo decina decisa decisero decision decisionale decisionali decisionismo decisionista
+decisiva decisive decisivi decisivo decisore decisori decoder decolla decollano decollare decollata
+decollato decoller decolli decora decoro decorso decotta dedic dedica dedicando dedicano dedicar
+dedicarci dedicare dedicarla dedicarlo dedicarmi dedicarsi dedicarti dedicarvi dedicasse dedicat
+dedicata dedicate dedicatene dedicati dedicatogli dedicava dedicavo dediche dedicher dedichi dedico
+deficienti deficienza deficienze defin define definiamo defining definir definirci definirebbe
+definirei definiremmo definireste definiresti definirla definirli definirlo definirmi definirne
+definirsi definisca definisce definisci definisco definita definite definiti definitive definitivi
+definitivo definitoria definitosi definiva definizioni defunta defunti degl degnano degnare degnarti
+degne degner delega delegando delegano delegante delegare delegata delegate delegates delegati
+delegavo deleghe delicate delicati delight delina delinea delinei delinquenza delinquere delio
+deliri delirio delitti delizia deliziano deliziare deliziati deliziato delizie delizier deliziose
+deliziosi dellahe delleden dellesca dellr delto delude deluder deluse delusi delusioni demo
+democracy democrazie demoniaca demoniaci demoniaco demoniche demonico demorde demordo denari denial
+denigra dental dentale denticon dentidad dentiera dentiere dentina dentini dentisti dentistici
+dentistico dento dentri denunce denunci denunciando denunciano denunciarla denunciarli denunciarlo
+denunciarmi denunciarne denunciata denunciate denunciati denunciava depose deposi deposit deposita
+depositano depositare depositari depositata depositate depositati depositato depositava depositi
+depositum deposta deposte deposti deposto depresse depressi depression depressioni depressiva
+depressive depressivi depressivo deprime deprimendo deprimenti deprimere deprimersi deprimevo
+deputare deputata deputate deputati derev deride derido derisa derisci derise derisi deriso
+derivando derivante derivanti derivare derivarne derivasse derivata derivate derivati derivatio
+derivato derivava derive deriver derivi derivino derubano derubare derubarli derubate derubati
+descrisse descritta descritte descritti descrittiva descrittive descrittivi descrittivo descriva
+descrivano descrive descrivendo descriver descriverci descriverei descriveremo descrivereste
+descriveresti descriverla descriverle descriverli descriverlo descrivermi descriverne descriverti
+descrivervi descrivesse descriveva descrivevo descrivi descrivo descrivono descrizioni desert
+deserta deserte deserti desertica desertici desertico desid deside desider desiderai desiderando
+desiderano desiderante desiderarlo desiderarsi desiderasse desiderassi desiderata desideratevi
+desiderati desiderava desideravo desideriamo desiderino desiderose desiderosi desideroso dessa desse
+dessero desserts destano destare destato desti destinare destinarle destinarlo destinarsi destinata
+destinatari destinate destinati destination destinazioni destiner destini destre destroide destrorsi
+destrorso detection detector detenere deteneva detengo detenuta detenute deter determin determina
+determinando determinano determinante determinanti determinarli determinarne determinarono
+determinata determinate determinatesi determinati determination determinativi determinativo
+determinava determiner determini determinino determino deterr detesta detestano detestare detestate
+detestato detestava detrai detriti dettagliare dettagliata dettagliate dettagliati dettagliato
+dettame dettami dettando dettano dettare dettata dettate dettati dettato dettava dettavi detter
+dettero dettoche devia deviamo deviano deviare deviata deviate deviati deviato device devices
+devonono devota devote devoti devoto diagnosti diagnostic diamantino diami diamogli diamond diari
+diarioa diarista diariu diarlos diarrea diavoli dibatte dibatter dibattere dibatteva dibattiamo
+dibattiti dibatto dibattuta dibattute dibattuti dibattuto dicano dicasi diccelo dicembrino dicemmo
+dicendoci dicendogli dicendole dicendolo dicendomi dicendosi dicendoti dicendovi diceria dicerie
+dicesi dicessero dicessimo dicevadi dicevamo dicevate dichi dichiar dichiaralo dichiarando
+dichiarano dichiararci dichiararle dichiararlo dichiararo dichiararono dichiararsi dichiararti
+dichiarata dichiarate dichiarati dichiarativa dichiarativo dichiaratosi dichiarava dichiarer
+dichiari diciamoci diciamola diciamolo diciassettenne diciate diciott dicisti dicon diedero diedi
+diet diete dietroil difendano difende difendendo difender difenderci difenderebbe difenderla
+difenderle difenderli difenderlo difendermi difendersi difenderti difendesse difendeva difendi
+difenditi difendo difendono difensiva difensive difensivi difensivo difensori difesi difetta
+difettano difettosa difettose difettosi difettoso different differenzano differenze differenzi
+differenzia differenzier difficila difficilegua difficle difficolt difficoltosa difficoltose
+difficoltosi difficoltoso digita digital digitando digitano digitare digitate digitato digiti digito
+dignit dignitosa dignitose dignitosi dignitoso dimensiona dimensionali dimensionare dimenticai
+dimenticando dimenticano dimenticanza dimenticanze dimenticarci dimenticarelli dimenticarla
+dimenticarli dimenticarmi dimenticarne dimenticarsi dimenticarvi dimenticassi dimenticatelo
+dimenticatevi dimenticatoio dimenticava dimenticavamo dimenticavano dimenticavi dimenticher
+dimenticherai dimenticheremo dimentichiamo dimentichino dimissionari dimissionato dimmela dimmerda
+dimon dimor dimorando dimorare dimorasse dimorato dimore dimoro dimostr dimostrammo dimostrando
+dimostrano dimostrarla dimostrarle dimostrarlo dimostrarmi dimostrarne dimostrarono dimostrarsi
+dimostrarti dimostrasse dimostrata dimostrate dimostrati dimostrativa dimostrative dimostrativi
+dimostrativo dimostratore dimostratori dimostrava dimostravi dimostrazioni dimostrer dimostriamo
+dimostrino dimostro dinamica dinamiche dinamici dinamicit dinamico dinamismo dinamizza dinamo
+dinolfi dinosauro dipartimentale dipartimenti dipen dipenda dipendano dipendendo dipendenze dipender
+dipendera dipendere dipendesse dipendeva dipendi dipendo dipendono dipeso dipinge dipingendo
+dipingerebbe dipingerla dipingermi dipingeva dipingevo dipingi dipingono dipinse dipinta dipinte
+diplomata diplomati diplomato diplomazia diplomazie diplomi dirada dirama dircelo direbbero direcci
+diremmo direnna diresse direste direte dirette direttice direttiva direttive direttivi direttivit
+direttivo direttori direttorio direttorma direttrici direzionale direzionali direzionare direzioni
+diriga dirigano dirigendo dirigenti dirigenza dirigenze diriger dirigerci dirigerla dirigerle
+dirigerlo dirigermi dirigersi dirigerti dirigervi dirigeva dirigevo dirigi dirigo dirigono diritta
+dirotto dirselo dirtiche dirto dirvela disagi disagiata disagiate disagiati disagiodel disarma
+disarmi disarmo disaster disastrata disastrate disastrati disastri disastrosa disastrose disastrosi
+disastroso disc discariche discenda discende discente discenti discese disceso dischiusa dischiuso
+disciplinando disciplinano disciplinante disciplinare disciplinari disciplinata disciplinate
+disciplinati disciplinato discipline disciplini discogra discolo discolp discolpa discordi discordia
+discordie discorre discorsiva discorsivi discorsivo discosta discoteche discount discre
+discrezionali discus discussa discussant discusse discussi discussioni discuta discute discutendone
+discuter discuterci discuterebbe discuteremo discuterle discutete discuteva discutevo discuti
+discuto discutono disegn disegna disegnai disegnando disegnano disegnargli disegnarla disegnarlo
+disegnarne disegnarono disegnata disegnati disegnatore disegnatori disegnava disegnavi disegnavo
+disegner disegniamo disegnini disegnino disegnjo diserta disesso disgraziate disgraziati disgrazie
+disgusta disgustano disgustata disgustate disgustato disgusto disgustosi disordina disordinata
+disordinate disordinati disordinato disordini dispera disperano disperanza disperare disperarsi
+disperate disperati disperava disperavo disperde disperder dispero dispersa disperse dispersi
+disperso dispiaccio dispiacere dispiaceri dispiacermi dispiacersi dispiaceva dispiaciuti dispiega
+dispiego dispone disponga dispongo disponibilit disponibilita disporle disporli disporne disporr
+disporre disporsi disposero dispositive dispositivi disposizioni dispost disposte disprezza
+disprezzano disprezzare disprezzata disprezzate disprezzati disprezzato disprezzava disprezzi
+dissemi dissenso dissenta dissente dissento disseo disserter dissesti dissesto disset dissidi
+dissidio dissing dissipa disso dista distacca distacco distali distance distano distanti distanze
+distanzia distare distava distingu distingua distingue distinguendo distinguer distinguerci
+distinguerla distinguerle distinguerli distinguerlo distinguermi distinguerne distinguersi
+distinguerti distingueva distinguo distinguono distinta distinte distinti distintiva distintive
+distintivi distinto distintosi distrae distraete distraggo distrai distrarci distrarla distrarlo
+distrarmi distrarre distrarsi distrarti distrarvi distrassi distratta distratte distratti
+distrazioni distretti distrettuali distributed distribution distributiva distributive distributivi
+distributivo distributori distribuzioni distrugga distruggendola distrugger distruggerci
+distruggerla distruggerle distruggerli distruggerlo distruggersi distruggerti distruggessi
+distruggeva distruggono distrurb distrusse distrutte distruttice distruttiva distruttive distruttivi
+distruttivo distruttore distruttori distruzioni disturbance disturbando disturbano disturbante
+disturbarci disturbarli disturbarlo disturbarmi disturbarne disturbarvi disturbasse disturbata
+disturbati disturbatori disturbava disturber disturbiamo ditech diteci ditelo ditone ditores ditors
+ditte dittico diva divago divampa divani divario dive divelte divelti divelto diven divenedo divenga
+divenir divenire diveniva divennero divenni divent diventai diventandolo diventanto diventar
+diventarla diventarlo diventarmi diventarne diventarono diventasse diventassi diventatoe diventava
+diventavi diventavo divente diventer diventeranno diventerei diventeremo diventerete diventiamo
+diventiate diventino divenuta divenute divenuti divenuto diverbi diverbio diverr diverrai divers
+diversamentemi diversioni diversit diversita diversity diversive diversoda diversti diverta
+divertendoci divertendomi divertendosi diverti divertiamo divertiate divertii divertimenti divertir
+divertirai divertirvi divertite divertiva divertivo diverto divertono divida dividano divide
+dividemmo dividendi dividendo divider dividerai dividerci dividerla dividerle dividerli dividerlo
+dividersi dividesse dividete divideva divido dividono diviene divieti divieto divine diving divini
+divinit divinorum divise divisero divisi divisioni divisiva divismo divisore divisori divisoria
+divisorio divor divora divorano divorar divorare divorata divorate divorati divorato divorer divori
+divorino divorzi divorzia divorziasse divorziata divorziati divorzista dobbiate docce docciata
+doccie document documenta documentai documentale documentali documentando documentano documentare
+documentari documentaria documentarie documentarista documentaristi documentarmi documentarono
+documentarsi documentary documentasse documentata documentate documentati documentato documentava
+documentazioni documenter documentero documentino documentri dolcetti dolcezze dolciche dolciumi
+dollar dollaris dolorare dolorini dolorino dolorosa dolorose dolorosi dolosi doloso domada domain
+domand domandai domandando domandano domandante domandar domandarci domandare domandarlo domandarmi
+domandarsi domandarti domandasse domandata domandate domandati domandato domandava domandavo
+domandedi domander domanderai domandi domane domare domarli domarlo domarne domata domati domeni
+domenicale domenicali domenicatel domeniche domestiche domiciliare domiciliari domiciliate
+domiciliati domin domina dominano dominare dominata dominate dominati dominato dominer domini domino
+donanda donando donano donante donar donarci donargli donarla donarle donarlo donarmi donarsi
+donarti donata donataci donatami donate donatea donatevi donatori donava donavo donax donazionee
+donazioni dongle doniamo donis donnae donnesca donnesco donnetta donnine donnola donnone doppi
+doppiaggi doppiata doppiato doppiava doppie doppino doriche dorico dorm dorma dormano dormiamo
+dormii dormir dormirai dormirono dormisse dormita dormite dormitori dormivamo dormivano dormivi
+dormivo dorsali dorso dossi dossierava dottorati dottorato dottorino dovendo doverci dovergli
+doverla doverle doverli dovermi doverne doverosa doverose doverosi doveroso doversi dovertela
+dovervi doveste dovette dovetti dovr dovreb dovrebbeo dovute dozzinale dozzinali drag dragato draghi
+dragola dragona dragone drama dramedy drammi drinking drinks dritte drittoa driven driver driving
+drogano drogare drogarlo drogarsi drogarti drogati drogheria droghino dubbia dubbie dubbiosa
+dubbiose dubbiosi dubbioso dubit dubita dubitando dubitarne dubitate dubitato dubitava dubiti
+ducanda duellare duellato duelli durane durano duranti durasse durate durati duratura durature
+duraturi duraturo durava dure durer dureranno durerei durerete durezza durezze duroam earle early
+easter ebbero ebrezza ecce eccede eccedo eccelle eccellenti eccellenze eccellere eccelsa eccelse
+eccelsi eccelso eccessi eccessiva eccessive eccessivi eccesso eccezion eccezionali eccezionalit
+eccezionalre eccezioni eccita eccitano eccitanti eccitarmi eccitate eccitati eccito eccolini ecconi
+economic economiche economici economicit economics economie economista economisti economizza economo
+economy eddah eddit edificare edificata edificati edificato edifico editavo editing edition editor
+editorali editori editorial editto editup edizi edizioni educa educando educano educarci educare
+educarli educarlo educarsi educata educate educated educati education educativa educative educativi
+educativo educatore educatori educcio educher effect effee effelli effendi effequ effery effet
+effettini effettiva effettive effettivi effettivit effettivo effettu effettua effettuer effettui
+effettuo efficaci efficacia egoica egoismi egoismo egoisti egoistica egoistici egoistico egoit elaia
+elaina elefanti elefantino elegance elegans eleganti eleganza elegasi elegatti elementale
+elementariet elementarinon elen elenca elencare elencate elencati elencato elencava elencher elenchi
+elene elethon eleto eletsky eletta elette eletti elettorali elettorati elettorato elettori
+elettriche elettrici elettricisti elettricit elettro elettrodi elettrone elettroni elettroniche
+elettronici elettronico elezia elimin elimina eliminando eliminano eliminarla eliminarle eliminarli
+eliminarlo eliminarne eliminasse eliminata eliminate eliminati eliminatoria eliminava eliminer
+elimini ellagio ellal ellamy ellan ellenica ellenico elleri ellerio elletri ellicer ellin elliscig
+ellisse ellissi ellitti ellizza elville emails emerge emergente emergenti emergenze emerger
+emergerai emergere emergerne emergeva emilano emmando emmert emmezzo emorragiche emorragico
+emorragie emot emothe emoticon emotiero emotions emotive emotivi emotivit emozion emoziona emozionai
+emozionale emozionali emozionano emozionanti emozionarci emozionare emozionarmi emozionarsi
+emozionarvi emozionati emozionava emoziono eneraci enerals enerba energica energiche energici
+energico energizer eneric enerio enorah enormit enri enriz entrabi entraci entrada entragne entrai
+entral entrammo entrandoci entrante entrarono entrarti entrarvi entrasse entrassi entrateci
+entrature entravamo entravo entrer entries entropia entrum entry entusiamo entusiasimo entusiasm
+entusiasma entusiasmano entusiasmata entusiasmato entusiasmava entusiasmi entusiaste entusiasti
+entusiastica entusiastici epidemica epidemie episodica episodico epocadio epocale epocali epoche
+equilibrano equilibrare equilibrata equilibrate equilibrati equilibrato equilibri equilibrismi
+equilibrismo equilibro equipaggi equipaggiamenti equipaggiare equipaggiata equipaggiate equipaggiati
+equipaggiato erbacce erband erbania erbate erbatim erbelli erberi ered eredi eredit ereditai
+ereditando ereditare ereditari ereditaria ereditarie ereditario ereditarne ereditata ereditate
+ereditati eredith ergastolano ergastoli ericoni ericope erika ernigoj ernik ernina ernini erniola
+eroica eroiche eroici eroico eroine eroismo erron erronea erronei erroneo error errorum erros esager
+esagera esagerano esagerata esagerate esagerati esagero esamina esaminando esaminarla esaminarle
+esaminarlo esaminata esaminate esaminati esaminatore esaminatori esatte esatti esatura esaur
+esauriamo esaurire esaurirli esaurirsi esaurisca esaurisce esaurisse esaurita esaurite esauriti
+esauriva escaia escal escalzi escape escara escine escire esclam esclama esclamo escluda esclude
+escludendo escludente escludenti escluderla escluderlo escluderne escludersi escludete escludi
+escludo escludono esclusa escluse esclusi esclusione esclusioni esclusive esclusivi esclusivit
+esclusivo escogni escort esecuzioni esegua esegue esegui eseguir eseguirai eseguiremo eseguirla
+eseguirle eseguirli eseguirlo eseguirne eseguirono eseguita eseguite eseguiti eseguo eseguono esemio
+esempi esemplari esemplarit eserci esercita esercitado esercitano esercitare esercitata esercitate
+esercitati esercitato esercitava esercitazioni eserciter eserciti eserciziodi esibizioni esistance
+esistano esistera esisterebbe esisteremmo esistesse esistessi esistita esistite espejo espelle esper
+esperi esperienzale esperire esperito esperte espertono espleta esplica esploda esplode esplodendo
+esploder esploderci esplodeva esplodono esplora esplorando esplorano esplorarele esplorarla
+esplorarlo esplorarne esplorata esplorate esplorati esplorato esplorava esplorer esplori esplorino
+esploro esplosa esplose esplosi esplosioni esplosiva esplosive esplosivit espolde espoli espongo
+esponi esporci esporla esporle esporli espormi esporr esporre esporsi esporta esporti espose
+esposizioni esposta esposte esposti espressa espresse espressi espressioni espressiva espressivae
+espressive espressivi espressivit espressivo esprima esprimano esprime esprimendo esprimer
+esprimerci esprimerebbe esprimerei esprimergli esprimerle esprimerlo esprimermi esprimerne
+esprimersi esprimerti esprimesse esprimeva esprimilo esprimo esprimono espucci espugna espulsa
+espulse espulsi essai essanio essari essat essau essay essays essena essendoci essendole essendolo
+essendomi essendone essendosi essendovi esseni esseno essenze essenziali essenzialit essercene
+essergli esserini essermene essersela essersene esservisi essica essicc essie essier essions essoa
+essone essori estadei estali estamos estand estart estasi estatico estek esten estenda estende
+estens estense estensi estere esteri esterna esternare esternato esterne esterni esternoper esteros
+esterrni estesa estese esteso esteta esteti esthetic esties estim estinta estinti estinto estiny
+estirpa estive estrae estraggo estranea estranee estraneit estrange estrarla estrarli estrarlo
+estrarne estrasse estratta estratte estratti estrattiva estrattive estrattivi estrattore estrattori
+estrazioni estreme estremi estremit estrin estrosa estrose estroso estroy estruct estrusa eteran
+eterea eterei etereo etern eternato eterne eterni eternit eternum eterson etha etiche etichettaggi
+etichettando etichettare etichettarli etichettarlo etichettata etichettate etichettati etichettato
+etichette etichetter eticit eugeot eurol euron europea european europee europei europeo eurosci
+evacuano evacuati evacuato evania evant evelli evenant evendra event evenue evenuti evidence
+evidenti evidenze evidenzi evidenzia evitai evitali evitandogli evitandomi evitano evitarci evitarla
+evitarle evitarli evitarmi evitarne evitarsi evitasse evitata evitate evitati evitava evitavo eviter
+evitino evito evitore evoluzioni evvi extrasto extrema extreme extrix fabbri fabbricando fabbricanti
+fabbricar fabbricare fabbricasi fabbricata fabbricate fabbricati fabbricato fabbriche fabbro faccelo
+faccendo faccetta facciae faccialei facciali facciam facciamocene facciamogli facciamone facciazza
+faccina faccine faccini faccino facciona faccione face facemap facemmo facemo facendoci facendogli
+facendola facendole facendoli facendolo facendomi facendone facendosi facendoti facendovi facente
+facenti facet faceto facevate facezie faci facil facilit facilita facility facilone facilt facite
+faciva facolt facoltosi facoltoso fagiolini fagiolo fagiolone faglia faglie faglielo falcata falce
+falchi fallace fallaci fallacia fallacie fallendo falliamo fallici fallimentare fallimentari
+fallimenti fallir fallirai fallirono fallisca fallisce fallisci fallissi fallita fallite falliti
+falloso falsar falsare falsari falsaria falsario falsarla falsate falsato falsetto falsit famedio
+famigia famigli famigliare famigliari famiglio famigliola famigliole familia familiante familiarista
+familiarit familias familismo famme famos famose fanciulle fanciulli fanciullo fancy fanghi fangosa
+fangose fangosi fangoso fanne fanta fantasiosa fantasiose fantasiosi fantasioso fantasista
+fantasmici fantasmino fantasmone fantasticando fantasticano fantasticare fantasticato fantasticavo
+fantasticherie fantasy faraone faraoni farceli farcelo farcene farcia farcita farcite farcito farel
+farenon faretti faretto farfalle farfallino fargliela farglielo farine farinosa farinoso farisei
+fariseo farlocca farlocco farm farmacie farmacista farmacisti farmacopea farmare farmela farmele
+farmeli farmene farmici farseli farselo farsene fartela fartele fartene farvelo farvene farvici fasc
+fasce fasci fasciali fasciarsi fasciata fascie fascinans fascinosa fascinoso fascismi fascismo
+fascista fasciste fascisti fasti fastidi fastidiosa fastidiose fastidiosi fatal fatali fatalit
+fatata fateci fategli fatela fatele fateli fatemelo fatemene fatene fatevela fatevene faticai
+faticando faticano faticare faticato faticava faticavo fatiche faticher fatichi fatico faticosa
+faticose faticosi faticoso fatina fatt fattacci fattasi fattedi fattele fattelo fattene fattezza
+fattezze fattiva fattive fattivo fattoni fattor fattori fattorie fattorini fattorino fattorizzi
+fattura fatture fatturi favole favolosi favolosit favor favorendo favorente favorir favorirei
+favorirne favorisca favorisce favorita favorite favoriti favoriva favorizza fazzoletti fazzolettini
+fazzolettino febbad febbri febbrile febbrili fedelt fedelta federa federalismi federalismo
+federalista federalisti federare federata federati federato federazioni federe fedi fegati felic
+felicidad felicit feliciti felina felini felino femme femmes femminea femminee femmineo femminili
+femminilit femminismo femminista femministe femministi femminucci femmte fenomenale fenomenali
+fenomeni feria feriale feriamo ferinit ferir ferirle ferirli ferirmi ferirono ferirsi ferirti
+ferisce feritoia ferm fermai fermammo fermarne fermarono fermarvi fermasse fermateci fermatelo
+fermatesi fermava fermavo ferme fermer fermiamoci fermino fermioni ferrarese ferraresi ferrea ferree
+ferreo ferroviari ferroviaria ferroviarie ferroviario ferrovie ferroviere ferrovieri festacce
+festanti festeggi festeggia festeggiando festeggiano festeggiarci festeggiarne festeggiati
+festeggiato festeggiava festeggiavo festeggio festini festino festivi festivit festivo festoni
+festosa festose festosi festoso festuca fette fettina fettine fettoni fiama fiammante fiammanti
+fiammata fiammella fiancata fiancate fiat fiatare fiatava fiati fiatone ficata fidanza fidanzarci
+fidanzarmi fidanzarsi fidanzasse fidanzate fidanzatini fidanzatino fidanzi fidasse fidata fidatevi
+fidavo fiduciale fiduciaria fiduciario fiducie fiduciosa fiduciose fiduciosi fiducioso fienili fieno
+fiere fierri figate figatone figliare figliche figliol figliola figlioli figliuol figuracce figuraci
+figurano figuranti figurarsi figurate figuratevi figurativa figurative figurativo figurava figuravo
+figure figures figurina figurine figuro figurone filanda filange filante filanti filari filava filer
+files filetti filetto filiale filiali filiamo filiera filiere filino filma filmando filmano filmare
+filmarla filmarlo filmata filmate filmava filmazzo filme filmica filmico filmil filmini filmo
+filmone filobus filone filoni filosofa filosofale filosofare filosofi filosofica filosofiche
+filosofici filosofico filosofie filosofo filovia fina final finali finalit finalita finalm finance
+financo finanza finanze finanzi finanzia finanziamo finanziando finanziano finanziare finanziari
+finanziarie finanziarli finanziarlo finanziarne finanziarsi finanziarti finanziata finanziate
+finanziati finanziato finanziava fineche finestrella finestrelle finestrini finestrone finestroni
+finezza finezze fingendomi fingendosi finger fingerci fingevo fingi fingica fingo fingono finiamola
+finie finii finimmo finiranno finirebbe finirei finirete finirlo finirmi finirono finirsi finis
+finiscano finissero finissi finissima finissime finissimo finitezza finitura finiture finiva finivi
+finivo finnish finocchi finocchia fintano fintanto finte finti fiond fionda fiondi fiondo fior
+fioraia fioraio fiordi fiordo fiorente fiorenti fioretti fioretto fiorini fiorisca fiorista fiorite
+fioriti fiorito fioriva fire firebug firm firmando firmano firmarla firmarono firmata firmatari
+firmate firmati firmava firme firmiamo firmino firmo fiscale fiscali fischi fischia fischiano
+fischiare fischiate fischiato fischiava fisco fisicate fisiche fisici fisicit fisima fisio fiss
+fissandomi fissandosi fissano fissarci fissargli fissarla fissarli fissarlo fissarmi fissarsi
+fissarti fissata fissate fissatelo fissati fissava fissavo fisse fisser fissi fissit fiumana fiumane
+fiumi flashmob flebile flebite flor flora florae floride floridi florido flottante flotte flussi
+fogli fogliame fogliate foglietti foglietto fognarie fognario fogne folletti folletto follie follow
+followa fond fondale fondali fondamenta fondamentali fondamenti fondamento fondata fondava
+fondazioni fonde fondere fondeva fondina fondini fondino fondomai fondono fonduta font fonta fontane
+fonts forbice forbiciati forbiti forbito forca forcella forche forcine forcone forconi foreign
+forense forest forestale foreste foresti foresto forever forex formaggi formaggiati formaggini
+formai formali formalit formando formante formar formarla formarli formarlo formarmi formarono
+formarti formasse format formata formatasi formati formatisi formative formatori formatosi formava
+former formez formi formica formidabili formino formkey formosa formose forms formu formulando
+formulano formulare formulata formulate formulati formulato formule formuli forn fornace fornaci
+fornai fornaio forni fornir fornirci fornirgli fornirle fornirli fornirmi fornirono fornirti
+fornirvi fornisca fornisce fornisci fornisco fornisse fornita fornite forniti fornitomi fornitore
+fornitori fornitura forniture forniva forseti fortezze fortini fortino fortran fortuiti fortuito
+fortun fortunacon fortunale fortunately fortunose fortunosi forzare forzarle forzarli forzarlo
+forzesco forzosa forzuti forzuto foss fossato fossetta fossette fossile fossili fosso fotogr
+fotografa fotografala fotografano fotografar fotografare fotografata fotografate fotografati
+fotografato fotografavi fotografavo fotografi fotografiamo fotografiche fotografici fotograficit
+fotografico fotogramma fotogrammi fotone fotoni fottano fotte fottendo fotterci fotterebbe fotti
+fotto fottute fragili fragilit fragola fragole fragore fraintenda fraintesa fraintesi frammentano
+frammentare frammentata frammentate frammentati frammentato frammento frana franano franato franava
+france frances francescana francescano francesco francesismi francesone franche franchigie franchise
+franchista francoz frane frange frangia franoso franz frasche fraseggi frasetta fraterno frattale
+frattali fratturata fratturato fratture fratturesi frecand freccette frecciata frecciate freccie
+freddare freddati freddato freddava fredde freddi freddina freddini freddino freddosi freddura
+freddure fregai fregano fregarci fregarmi fregarti fregasse fregata fregate fregatene fregatura
+fregava fregavo fregher freghi frego fren frenando frenano frenare frenarlo frenarti frenati
+frequent frequentando frequentano frequentante frequentanti frequentarla frequentarle frequentarlo
+frequentarmi frequentarsi frequentata frequentate frequentatevi frequentati frequentatore
+frequentatori frequentava frequentavo frequente frequenter frequentiamo frequento frequenzadel
+frequenze fresa fresare fresati fresbee frescante frescanti fresche freschi frescura frese frettae
+frettanon frigge frighi frigio frigorifera frigorifere frigoriferi frites fritta frittata frittelle
+fritti frittura fritture froci froda frodi frodite frodito fronda fronde fronius front frontale
+frontali frontend frontier frontiere frontman frontone frontoni frutte frutteto fruttosio fucilata
+fucilate fucilati fucileria fucilieri fucilone fucina fucine fugace fugaci fugala fugare fuggiamo
+fuggiemi fuggirei fuggirne fuggitiva fuggitivi fuggitivo fulmin fulmina fulminata fulminato fulminea
+fulmineche fulminei fulmineo fulmini fumai fumante fumanti fumar fumaria fumarla fumarola fumarole
+fumarsi fumatore fumatori fumaul fumava fumavo fumenti fumeria fumettaro fumettista fumettiste
+fumettisti fumetto fumettose fumettosi fumiamo fumosa fumose fumosi fumosit fumoso fune funebri
+funerali funeralidi funerari funeraria funerarie funereo funesta funeste funesto funga funge funger
+fungere fungeva fungine fungo fungono funzion funzionale funzionali funzionalit funzionante
+funzionanti funzionari funzionario funzionasse funzionavano funzioner funzioneranno funzioniamo
+funzionino funziono fuochino fuor fuorch fuoriusc furbata furbe furbi furbone furboni furgoncini
+furgoncinos furgoni furie furiosa furiose furiosi furor furore furori furtiva furtive furtivo
+fusilli fusion fusioni fusiva future futures futuri futurona gabbati gabbato gabbiani gabbiano
+gabbie gabelle galassie galee galeone galere galerija gallegas gallerie gallerista galleristi
+gallery gallese gallesi gallette galletti galletto gallico gallinacci galline gallio gallizio
+gallone galloni gamben gamberi gambette gambi gambo gambre gamelle gamer gamers games ganga gangli
+gangsta garan garant garante garanti garantiamo garantir garantirci garantirebbe garantiremo
+garantirgli garantirli garantirlo garantirmi garantirne garantirono garantirsi garantirti garantirvi
+garantisca garantiscano garantisce garantiscono garantismo garantista garantisti garantita garantite
+garantiti garantiva garanzie garcinia garden garre garrota gateway gatta gattara gatte gattina
+gattini gattino gattona gattone gattosit gattyni gelare gelata gelatai gelataio gelate gelati
+gelatiere gelatieri gelatine gelatino gelatinosa gelatinoso gelava gelosi gelosie gemellaggi
+gemellare gemelline gemello gemendo gemente gemere gemme genera general generalista generaliste
+generalisti generalit generalizza generando generano generante generarne generarsi generarti
+generata generate generated generatesi generati generation generativa generativi generativo generato
+generator generatori generava generazionale generazionali genereche generer generi generica generici
+generico generino generis genero generose generosi generosit generosity genesi genetiche genetici
+genetico genetista genia geniali genialit genious genitale genitali genitoriale genitoriali genius
+gentenon gentil gentilezze gentilina gentilizia gentisti georgette georgiano germani germanica
+germanico gest gesta gestalt gesti gestiamo gestio gestionale gestionali gestioni gestirla gestirle
+gestirli gestirlo gestirne gestirsi gestisca gestiscano gestisci gestisco gestiscono gestisse
+gestita gestite gestiti gestiva gestivo gestore gestori gesture gesuita gett gettala gettando
+gettano gettar gettarli gettarmi gettarono gettarsi gettasse gettata gettate gettati gettava getting
+gettiti gettito gettone gettoni ghiaccer ghiacci ghiaccia ghiacciai ghiacciaie ghiacciaio ghiacciata
+ghiacciate ghiacciati ghiaccioli ghiacciolo giacch giacche giaccone giace giacere giaceva giacomo
+gialle giallino giallista gialloblu giardine giardinieri giga gigantesca gigantesco gigantista
+gigaro ginepri ginepro ginnasta ginocchiere gioc giocandolo giocanto giocar giocarci giocarello
+giocarla giocarlo giocarono giocarsi giocarti giocarvi giocasse giocata giocate giocati giocatosi
+giocattolino giocavamo giocavano giocavi giocavo giocher giochetto giochini giochino giochista
+gioconda gioconde giocondo giocosa giocose giocosit giocoso gioie gioiellini gioiellino gioiello
+gioiosa gioiose gioiosi gioioso gioire gioisco gioite gioito gior giore giori giornal giornalaio
+giornaletti giornaletto giornaliera giornaliere giornalieri giornaliero giornalino giornalismo
+giornaliste giornalistica giornalistiche giornalistici giornalistico giornatae giornidi giornie
+giornl giornoe giov giova giovando giovaniin giovanile giovanili giovano giovanotti giovare giovarne
+giovarsi giovata giovato gioved giovent giover giovine giovinetti giovini giraffa girai girandola
+girar girarci girargli girarla girarle girarli girarlo girarmi girarti girasse girata girate
+giratelo giratevi giratubi girava giravi giravo giriamo girino girone gironi gitana giubbotti giuda
+giudei giudeo giudic giudica giudicando giudicano giudicante giudicarci giudicarla giudicarle
+giudicarli giudicarlo giudicarmi giudicarsi giudicarti giudicarvi giudicata giudicate giudicati
+giudicatore giudicava giudicavo giudicher giudichi giudico giudizi giudiziale giudiziali giudiziari
+giuliana giun giunchi giunco giunga giungano giunger giungeva giungle giungono giunon giunte
+giuntura giunture giur giurai giurano giurata giurate giurati giurava giuravo giuri giurie
+giurisdizionale giurisdizionali giurisdizioni giurista giuristi giuso giustezza giustifi giustific
+giustiziami giustiziando giustiziata giustiziati giustiziato giustiziere giustizieri giustra gliel
+global globali globalit globare globish globo globuli glorie gloriosa gloriose gloriosi glorioso
+goccetto goccio gode godendo goderci goderecci godermi goderne godersi goderti godervi godete godeva
+godevo godi godiamo godila goditela goditele golala golfi golfini golfino golfo gomitata gomitate
+gomiti gomitoli gomitolo gommato gommini gommone gommoni gommosa gommose gonne goodbye googlano
+googlare googlata googlate googlato googleato googli googlo gordino gordio gordo gossipari govenro
+govern governa governano governare governata governate governati governativa governative governativi
+governativo governato governatorato governatori governava governer governi governino gracia gracile
+grad grade gradiamo gradie grading gradini gradino gradir gradire gradisce gradito gradone gradoni
+graf grafemi grafene graffi graffiano graffiare graffiati graffiato graffiava graffiti graffito
+grafia grafic grafica grafici grafico grafite grafo gram grama gramma grammar grammo granai granaio
+granch granchi grandeur grandezze grandine grandiose grandiosi grandiosit grandiosita grandissima
+grandissime grandissimi grane grangia grani granita graniti granito granoe granola grasse grassocce
+gratia graticci gratta gratti gratto gratuit grava gravame gravane gravano gravate gravati gravato
+gravava gravidanze gravide gravido gravit gravitando gravitano gravitare gravitato gravito gravosa
+gravoso graziare graziosa graziose graziosi grazioso greca grecale grecata greche greci gregari
+gregge greggio grembi gremita gremite gremiti gremito gridalo gridandogli gridandole gridargli
+gridarlo gridata grifa griffata griffati griffato griffo grifo grige grigi grigie grigiore grigiume
+grigliare grigliata grigliate grigliati grigliato griglie grossine grossista grossisti grotte
+gruppini gruppone guadagn guadagnando guadagnano guadagnar guadagnarci guadagnarmi guadagnarne
+guadagnarsi guadagnarti guadagnasi guadagnata guadagnate guadagnati guadagnava guadagner guadagniamo
+guadagnino guadare guaina guaine guaire guana guance guanci guanciale guanciali guano guantaio
+guantata guantato guantone guantoni guaran guard guardai guardali guardammo guardandoci guardandola
+guardandoli guardandolo guardandomi guardandone guardandosi guardandoti guardar guardarci
+guardarenel guardargli guardarle guardarli guardarne guardarono guardarsi guardarvi guardassi
+guardasti guardatela guardatele guardateli guardatelo guardatevi guardavamo guardavano guardavate
+guardavi guarder guardiamoci guardiane guardiani guardiate guardina guardinga guardingo guardino
+guardiola guardoni guarigioni guarir guarirci guarirla guarirli guarirlo guarirti guarisca guarisce
+guarita guariti guaritori guariva guasta guastano guastati guastato guaster guasti guer guercio
+guerraun guerresca guerresco guerriera guerriere guerrilla guid guidaci guidala guidalo guidami
+guidano guidarci guidarla guidarli guidarlo guidarmi guidarsi guidarti guidasse guidassi guidata
+guidate guidati guidatore guidatori guidavano guidavo guide guider guidiamo guidino guidoben gusci
+gustare gustata gustate gustati gustato gustiamo gustibus gustlio gustosa gustose gustosi gustoso
+hack hackerare hackerato hackers hacking haled haleda haleesi haler hales hallant hamburgher hannara
+hanning hannon happel happens happily harder hardon haron harp harrell harros harton hartoum hasse
+hassol have hawaiano hawaja heatre helet hett hillip hillips hillura hitlerum hobbit hobbysta hocker
+hockley hold holding hollor hotels houses housing hunting ictured ictures ideadi ideali idealit
+idealizz ideare ideari idearne ideati ideato ideava identica identiche identici identific identifica
+identificai identificando identificano identificante identificarci identificarle identificarli
+identificarne identificarsi identificarvi identificata identificate identificati identificativa
+identificativo identificava identificazioni identifichi identifico identify identikit identit
+identitari identitaria identitarie identitario identity idioma idiomi idioms idion idiote idiozia
+idiozie idraulica idrauliche idraulici ieria ierini ierino igiene igieniche igienici igienico
+igienismo ignoni ignorando ignorantee ignoranti ignoranza ignorarla ignorarle ignorarli ignorarlo
+ignorarne ignorarsi ignorarti ignorarvi ignorata ignorate ignorati ignorava ignoravo ignorini ignoro
+ignota ignote ignoti illegalit illegati illegi illusi illusioni illusivo imbarazz imbarazza
+imbarazzai imbarazzando imbarazzano imbarazzanti imbarazzare imbarazzarti imbarazzata imbarazzati
+imbarazzato imbarazzi imbecilli imbecillit imbrogli imbrogliano imbroglio immagi immagin immaginai
+immaginala immaginammo immaginando immaginano immaginar immaginarci immaginari immaginaria
+immaginarie immaginario immaginarla immaginarle immaginarli immaginarmi immaginarne immaginarsi
+immaginarti immaginarvi immaginassi immaginata immaginatela immaginateli immaginatevi immaginati
+immaginativa immaginative immaginativo immaginava immaginavamo immaginavano immaginavi immaginerei
+immaginetta immaginette immaginiamo immaginine immediata immediate immediatei immediati imminenti
+imminenza immobili immobiliari immobilismi immobilismo immobilit immobilizza immondizie immortal
+immortala immortalano immortalare immortalata immortalate immortalati immortalato immortali
+immortalit impacci impacco impana impar imparai imparammo imparano impararla impararli impararlo
+impararne impararono imparassi imparata imparate imparati imparava imparavi imparavo imparer
+impariamo imparino imparo impasse impasta impasti impatta impattano impattare impattato impatter
+impatti impattino impazienti impazienza impazz impazza impazzano impazzata impazzato impazziamo
+impazzirebbe impazziree impazzisce impazzisse impazzite impazziti impazzivo imped impediamo impedir
+impedirai impedirci impedirebbe impedirgli impedirlo impedirmi impedirne impedirono impedirsi
+impedirti impedisca impediscano impedisco impediscono impedissi impedita impediva impegna impegnando
+impegnano impegnarci impegnare impegnarli impegnarmi impegnarsi impegnarti impegnarvi impegnasse
+impegnate impegnatevi impegnativa impegnative impegnativi impegnativo impegnava impegnavi impegnavo
+impegner impegniamo impenna impera imperativa imperativi imperativo imperatori imperava imperer
+imperi imperial imperio imperocch impert impervi impervia impervie impervio impeto impiantare
+impiantate impiantati impianter impiccarmi impiccarsi impiccarti impiccata impiccati impicci
+impiccia impiccio impieg impiega impiegando impieganla impiegano impiegare impiegarli impiegarlo
+impiegarsi impiegassi impiegata impiegate impiegatino impiegatizi impiegatizia impiegava impiegavo
+impiegher impieghi impila imping impodi impone imponga impongo impor imporci imporla imporle imporli
+imporlo impormi imporr imporre imporrei imporsi import importai importammo importan importando
+importano important importanzzie importarci importare importarli importarlo importasse importata
+importate importati importato importer importo importuno impose impossibili impossibilit impossible
+imposta imposte imposti imposto impreca imprechi impreco impregna impren imprende impresari
+impresario imprese impressa impresse impressi impression impressiona impressionalto impressionanti
+impressionare impressionarsi impressionata impressionati impressionato impressioni impressiono
+impresso imprima imprime impro improba improbabili improbabilit improbe improbo improntando
+improntata improntate improntati improntato impropri improvvidi improvvisando improvvisano
+improvvisarci improvvisare improvvisarsi improvvisata improvvisate improvvisati improvvisato
+improvvisavo improvvise improvvisi impugna impugni impugno impulsiva impulsive impulsivit impulsivo
+impunit impunti impunto impura impure impurit imputando imputare imputarsi imputata imputate
+imputati imputatio inaccettabili inaccettabilit inappropriati inaugurazioni incantesimi incantevoli
+incapaci incapacit incapacita incappa incappo incaric incarica incaricare incaricata incaricate
+incaricati incarichi incarna incarni incarta incarti incasina incasinare incasinata incasino
+incastra incastrando incastrano incastrarla incastrarlo incastrarono incastrarsi incastrate
+incastratedi incastrati incastrava incastri incastro incazz incazza incazzando incazzano incazzar
+incazzarci incazzarmi incazzarsi incazzati incazzatura incazzature incazzavo incazzi incazzo
+incazzosa incazzosi incazzoso incendiare incendiata incendiato incendiava incensi incenso incent
+incentra incentro incenz incenza incenzi incenzo inceppa inceppo incerta incerte incerti incerto
+incesti incesto incetta inceve inchieste inchiostri incida incide incidendo incideneta incidentali
+incidenza incider incidere inciderti incidesse incinte incio incipit incisa incise incisi inciso
+incisr inciti incito inciuci inclina incline inclini inclino inclito includa include includo incluse
+inclusi inclusiva inclusive inclusivi inclusivo incolpando inconsce inconsci incont incontare
+incontr incontrai incontrando incontrano incontrar incontrario incontrarle incontrarli incontrarvi
+incontrava incontravo incontrera incontrerai incontrerei incontrino incontrl incontrono
+incredibilione incredibilit incroci incrocia incrociamo incrociando incrociano incrociarci
+incrociare incrociarlo incrociarmi incrociarti incrociata incrociate incrociati incrociava
+incrociavi incrociavo incubare incubate incuria incute indag indaga indagano indagarla indagata
+indagate indagati indagatore indagatori indagava indaghi indago indiane indic indicai indicando
+indicante indicarci indicarlo indicarmi indicarne indicarti indicarvi indicasse indicata indicate
+indicati indicativa indicative indicativo indicatomi indicator indicatore indicatori indicava
+indicavo indicazione indice indicher indichi indico indicono indie indif indigna indipendenti
+indipendenze indire indirizz indirizzano indirizzare indirizzata indirizzate indirizzati indirizzato
+indirizzava indisse individu individua individual individuale individuali individuano individuare
+individuata individuate individuati individuato individuava individui indivisa indiviso indiziata
+indiziato indole indoli indon indona indone indoor indor indossai indossandole indossano indossarla
+indossarle indossarli indossarlo indossarne indossasse indossata indossate indossati indossavamo
+indossavano indossavo indosser indossiamo indotta indotte indotti indotto indovinarne indovinati
+indovino indovio indows industre industrial industriali industrialit industriare industrie industrio
+industry inevitab inevitabili inevitabilit infame infami infamia infamie infanga infanta infante
+infantili infanzie infarti infelici infelicit infeo inferi inferiori inferiorit inferiorita inferma
+infermieri infermit infernali infero inferti inferto infesti infetta infette infetti infetto
+infezioni inficia infida infide infidi infido infil infila infilai infilammo infilando infilano
+infilarci infilare infilarle infilarlo infilarmi infilarne infilarsi infilarti infilarvi infilata
+infilate infilati infilava infili infilo infiltr infiltra infilza infima infime infimo infinit
+infiniti infinitum infinte infinto infisse infissi infisso influencer influendo influente influenti
+influenz influenzale influenzando influenzano influenzarci influenzare influenzarlo influenzata
+influenzate influenzati influenzato influenzava influenze influenzer influenzi influenzino inform
+informa informale informali informalit informami informando informano informarci informarla
+informarli informarlo informarmi informarsi informarti informarvi informasse informassi informate
+informati informatica informatici informatico information informativa informative informativi
+informativo informatori informava informazioe informe informi informo infrange infranger infrangi
+infranse infrante infranti ingaggi ingaggiamo ingaggiando ingaggiano ingaggiare ingaggiarla
+ingaggiata ingaggiati ingaggio ingann inganna ingannama ingannando ingannano ingannarci ingannarmi
+ingannarsi ingannarti ingannata ingannati inganni ingannoun ingaz ingegna ingegnare ingegner
+ingegneri ingegneria ingegni ingegno ingegnosa ingegnosi ingegnoso ingente ingenti ingenue ingenui
+ingenuit ingenuita ingers ingessa ingiunse ingiuria ingiurie ingiusta ingiuste ingiusti inglesismo
+ingloba inglobi ingra ingrano ingrata ingrate ingrato ingreamo ingressi ingrich ingrippo iniezioni
+iniziai iniziammo iniziandosi iniziani iniziarla iniziarle iniziarlo iniziarne iniziarono iniziasse
+iniziati iniziatica iniziatiche iniziatici iniziatico iniziative iniziatore iniziava iniziavo inizie
+inizier inizierai inizierebbe inizierei inizierete iniziero inizino inizto innamor innamora
+innamorai innamorami innamorando innamorano innamorarci innamorare innamorarmi innamorarsi
+innamorarvi innamorate innamoratosi innamorava innamoravo innamorer innamori innamoro innocentisti
+inoli inolina inoltr inoltra inoltrare inoltrata inoltrate inoltrati inoltrato inoltri inquieta
+inquietanti inquietare inquietarmi inquietava insalate insedi insedia insegn insegnagli insegnando
+insegnano insegnantii insegnarci insegnargli insegnarla insegnarle insegnarli insegnarlo insegnarmi
+insegnarne insegnarono insegnarti insegnarvi insegnasse insegnassi insegnata insegnataci insegnate
+insegnatemi insegnati insegnatole insegnava insegnavo insegne insegner insegniamo insegnino insegua
+insegue inseguendole inseguendosi insegui inseguiamo inseguirci inseguirla inseguirlo inseguirsi
+inseguita inseguiti inseguitore inseguitori inseguiva inseguivo inseguo inseguono insella insemie
+insensibili insensibilit inser inseriamo inserii inserir inseriremo inseriresti inserirla inserirle
+inserirli inserirlo inserirmi inserirne inserirono inserirsi inserirti inserisca inserisce inserisci
+inserisco inserisse inserita inserite inseriti inseritlla inseriva inserivo inserti inserto
+insettini insey inside insider insidia insidie insiem insiemi insight insigne insignificanti insinu
+insinua insinuandosi insinuano insinuare insinuarmi insinuarsi insinuasse insinuato insinuava
+insinuo insist insistano insistendo insistente insistenti insistenza insistenze insisteremo
+insistette insistetti insisteva insistevi insistevo insisti insistiamo insistita insistite insistiti
+insistono insite insiti insito insolita insolite insoliti insoluti insoluto insonne insonni
+insopportabili insorge insorti insorto insozza instabili instabilit instabilita insulae insulina
+insulsa insulse insulsi insulso insulta insultano insultare insultati insultato insultava insulti
+insultoria intacca intantogli intasa intatta intatte intatti intatto intech integra integre integri
+integro intei intel intella intelligencija intelligentone intelligenzait intelligenze inten intenda
+intendano intendendo intender intenderci intendere intendersi intendesse intendessi intendevano
+intendevi intendiamo intendono inteno intense intensi intensit intensita intensive intensivi
+intensivo intent intenta intente intenti intento intenzioe intenzionale intenzionali intenzionata
+intenzionate intenzionati intenzionato interagir intere interen interess interessai interessando
+interessarci interessare interessarli interessarmi interessarsi interessarvi interessasse
+interessate interessavano interessavo interesser interessiamo interessino interesso interezza
+interferisca interferisce interferito interferone interi interinit interior interiora interiori
+interiorit interista interisti intern internarne internauta internauti internazional
+internazionalismo internazionalista internazionalisti internazionalit internazionalizza interne
+interner internetto internista internisti internoche internoece interpreta interpretando
+interpretano interpretante interpretarla interpretarle interpretarli interpretarlo interpretasse
+interpretata interpretate interpretati interpretato interpretava interprete interpreter interpretera
+interpreti interpretino interpreto interr interroga interrogando interrogano interrogarci
+interrogarli interrogarlo interrogarmi interrogarono interrogarsi interrogata interrogate
+interrogati interrogatio interrogativa interrogativi interrogativo interrogava interrogher interrogo
+interrompa interrompe interrompendo interromper interromperli interromperlo interrompesse
+interrompeva interrompo interrompono interrotta interrotte interrotti interruttori interruzioni
+inters interson intersta interte intervello intervenga intervengo interveniva intervenne interventi
+intervenuta intervenute intervenuti intervenuto interverr interviene intervist intervistai
+intervistando intervistarci intervistare intervistarlo intervistata intervistate intervistati
+intervistato intervistava interviste intervisto intervita intesa intese intesero inteso intesse
+intestare intestata intestate intestati intestato intestina intestinale intestinali intestine
+intestini intetab intiero intilii intim intimando intimato intimava intime intimismo intimista
+intimit intinse intinte intinto intiq intirty intona intono intonsa intonse intonso intoppi intoppo
+intormo intoro intozza intrappola intrappolando intrappolare intrappolata intrappolate intrappolava
+inutilit inutilizzo inutilt invasi invasioni invasiva invasive invasivi invasivit invasivo invec
+inveire invent inventa inventando inventano inventarci inventario inventarmi inventarne inventarono
+inventarsi inventarvi inventassi inventate inventatevi inventati inventava inventi inventino
+inventio inventiva inventive inventivo invento inventor inventore inventori inventory invenzioni
+invernale invernali inverni invernoe invero inversa inversi inverso inverte inverter invest
+investano investe investi investiamo investigata investigativa investigative investigativi
+investigativo investigato investigatori investimentie investimmo investir investirai investirci
+investirebbe investirle investirli investirlo investirono investita investite investiti investitore
+investitura investiture investiva investono investor invi inviai inviala inviamo inviando inviarci
+inviarle inviarlo inviarmi inviarne inviarti inviateci inviatemi inviatene inviati inviatici
+inviatoci inviava invidi invidiando invidiano invidiare invidiarvi invidiata invidiati invidiato
+invidiava invidiavi invidiavo invidie invidiosa invidiose invidiosi invidioso invier invisa
+invisibili invisibilit inviso invit invita invitalo invitando invitano invitante invitanti invitar
+invitarci invitarle invitarli invitarlo invitarmi invitarono invitarti invitarvi invitasse invitasti
+invitate invitava invitavo inviter invites invitiamo invitino ioneer ionel ionelli ionie ionigi
+ionio ionisio ioniso ionizza ipocris ipocrisia ipocrisie ipocriti ipoteca ipoteche ipotesida
+ipotesto iren irenda irenei irenetta irens irenze irish irisinu irlandesi iron irona ironica
+ironiche ironici ironie ironizz ironizza irrilevanti irrilevanza irrita irritanti irritare irritarsi
+irritarvi irritata irritati irritato irruzioni isabella iscril iscrissi iscrittasi iscritti iscrivi
+islam islanda islandese islandesi islawa isolacce isolana isolando isolane isolani isolano isolante
+isolanti isolarlo isolarmi isolarsi isolarti isolata isolate isolava isoletta isolette isoli isolo
+isolsi ispettori ispeziona ispezionare ispezionate ispezioni ispir ispira ispirando ispirano
+ispirante ispirare ispirarli ispirarsi ispirarti ispirasse ispirata ispirate ispiratevi ispirati
+ispiration ispiratore ispiratori ispirava ispirazioni ispiri ispiro israelita israeliti israelo
+istaaaa istakes istant istas istat istic isticci istiga istighi istile istis istitu istituire
+istituita istituite istituiti istituito istituti istitutore istruttor istruttoria istruttorie
+istruttorio italiane italianismi italianit italianita italica italiche italici italico italicum
+italin italiota italioti italo italy ivanko jackpot janei janic jazzino jazzy jordje jungla jungle
+justeat justo kanect kansen karaoke karmica karmico killa killate killing kingdom kingpin kittata
+labbro labbroni labirinti labirintica laboratoriale laboratoriali laceof lacera laceri lacero
+lacerti laces lacrima lacrimale lacrimare lacrimesi lacrimone lacrimoni ladra ladrona ladrone lagga
+laggi lagod lagoon laked lamade lamath lament lamenta lamentando lamentano lamentarci lamentare
+lamentarmi lamentarono lamentarsi lamentasse lamentate lamentati lamentato lamentava lamentavo
+lamentela lamenter lamenterai lamentiamo lamento lamentoe lamentosa lamentose lamentosi lamentoso
+lametta lamette lametto lampadari lampadario lampade lampadina lampadine lampante lampanti lampi
+lampone lanagan lanc lanca lancer lancetta lancette lancha lanciamo lanciano lanciarci lanciargli
+lanciarla lanciarle lanciarli lanciarmi lanciarne lanciarono lanciarsi lanciarti lanciarvi
+lanciatevi lanciati lanciatogli lanciatore lanciatori lanciava lanciavo lancino lanck lanco lancos
+lanes lanet lanets large larghe larghi lasc lasca lascer lascerebbe lascerei lascerete lasche
+lasciai lasciamela lasciammo lasciamoci lasciamola lasciandoci lasciandogli lasciandola lasciandole
+lasciandoli lasciandolo lasciandomi lasciandone lasciandosi lasciandoti lasciandovi lasciargli
+lasciarle lasciarmela lasciarmelo lasciarne lasciarono lasciarsi lasciartelo lasciarvi lasciasse
+lasciassi lasciateci lasciatele lasciateli lasciatemelo lasciatemene lasciatesu lasciatevi
+lasciatosi lasciavamo lasciavano lasciavo lascier lasciiti lascino lasciti lascito lascive lascivi
+lascivo lassen lassio lassit laticon latin latini latinos latinum latita latone latt latta lattaio
+lattasi latteria lattery latti lattice lattina lattine lattisi lattuga laur laure laureanda
+laureandi laureano laurearci laureare laurearmi laurearsi laurearti laureata laureate laureati
+laureatosi lauree laureer laurei laureo laurico lavabo lavaggi lavagna lavagne lavanda lavanderie
+lavando lavandoci lavano lavante lavar lavarci lavaredo lavarli lavarmi lavarsi lavarti lavarvi
+lavate lavati lavativa lavatore lavatura lavature lavava lavavi lavavo lavo lavoj lavorai lavorammo
+lavorandoci lavoranti lavoranto lavorarla lavorarli lavorarono lavorarsi lavorasse lavorassi
+lavorata lavorateci lavorateli lavorati lavorativa lavorative lavorativi lavorativo lavoratoche
+lavoratore lavoravamo lavoravano lavoravi lavorer lavorerai lavoretti lavorino lavorio lead leaders
+leading leads legacci legacy legai legal legalese legalit legaliwww legamenti legamento legando
+legane legano legarci legarela legarla legarle legarli legarlo legarono legarti legarvi legasse
+legatoria legatorie legatura legava legg leggano leggasi leggeere leggendari leggendaria leggendarie
+leggendario leggende leggendogli leggendolo leggendosi legger leggerai leggerci leggereche leggerei
+leggerete leggerezza leggerezze leggeri leggerla leggerli leggermene leggerne leggersi leggerti
+leggervi leggesi leggesse leggessi leggete leggevi leggiate leggilo leggina leggings leggins
+legittimano legittimare legittimarsi legittimarti legittimata legittimate legittimati legittimato
+legittime legittimi legittimit legittimita legnami legne legni legnosa legnosi legnoso lenn lentejo
+lenzuolata lenzuolo leona leonessa leonino leonora lesbismo lesbo lesiner lesini lesionata lesionati
+lesionato lesione lesiva lesive lesivi lesivo lesto letali letalit letame letami letargo lett
+letteracy letterale letterali letterari letteraria letterarie letterario letterati letterato
+letterina letterine lettering letterndo lettiera lettini lettino lettoche lettone lettra letturali
+letture levami levar levatoio levator levatosi levatura levava leviga levita leziosit libello liber
+liberaci liberal liberale liberali liberalit liberals liberando liberano liberante liberarci
+liberarla liberarli liberarlo liberarmene liberarsene liberartene liberasse liberata liberate
+liberatevi liberatomi liberatore liberatori liberatoria liberatorio liberatosi liberava liberer
+libererei liberiamo liberino liberismo liberista liberiste liberisti liberos liberouna libert
+libertad libertari libertaria libertario liberti libertino liberty librai libraia libraio librano
+librari library libre librerie libretti librino librio libris librone liceale liceali licei liceit
+license licensed licenses licenze licenzia licenziano licenziarci licenziarmi licenziarono
+licenziati licenzioso liete lieti likes lill limit limita limitano limitar limitare limitata
+limitate limitati limitato limitava limitavo limiter limiterei limitiamo limitino limito limits limo
+limon limona limonare limonata limonate limonda limoni linci linding lindo linear lineare lineari
+linearit lineette linejad liners lineup linguaggi linguaggiuo linguala linguetta linguine linka
+linkare linkata linkati linkato linki linko linkpdb liquame liquami liqueur liquid liquida liquidare
+liquidata liquidate liquidato liquide liquidi liquidit liquidita liquore liquori lisci lisciando
+lisciare lisciarsi lisciata lisciate lisciava liscie liscioe list liste listini listino listona
+listone litiga litigandoci litigano litiganti litigarono litigata litigate litigation litigava
+litigavo litighi litigi litigiosa litigiosit litigo litio litro littera littori livellare livellata
+livellato livenza liver liverio lives livida livido lividure livier livieri liviero living lizzard
+lizzy local localetti localini localino localismo localisti localit localita localizza locals
+locanda locata locate locati locato logiche logici logicico login loisa londet londie londies
+londike londo longa longeva longeve longevi longevo lontan lontananza lontane lontanodal lontanoed
+lorde lordi lordo lorence lorent lorenzi loriae loriana loriano lorinda lorio loris lorocon lottano
+lottatore lottavo lottimo lover loves lucana lucane lucano lucenon lucente lucenti lucerna luceti
+lucette lucida lucidare lucidata lucidate lucidato lucidava lucide lucidi lucidit lucina lucine luck
+luigino luisale luisci lunar lunare lunari lunario lune luned lunetta lungarno lungheze lunghezze
+lunghino lungi macch macchian macchiano macchiarsi macchiata macchiate macchiati macchiato macchiavi
+macchietta macchiette macchinare macchinari macchinario macchinate macchinetta macchinette
+macchinina macchinine macchinone macchinoni macchinosa macchinoso macellai macellati macellato
+macelli macello madarmi maddy madido madonne madonnina maest maestosa maestose maestosi maestoso
+maestrale maestranza maestranze maestre maestri maestria maestrina maestrino mafie mafiosa mafiose
+mafiosi mafioso mafiusa mafiusu maga magagna magazzini magazzinioz maggese maggiorana maggioranze
+maggiorare maggiorata maggiorate maggiorato maggiorenne maggiorenni magi magiara magiare magic
+magiche magici magie maging magli magliaia magliana maglie maglieria magliettina magliettine
+maglioni magnamo magnate magnati magnato magnete magneti magnificare magnifiche magnifici magno
+magnum magone magoni magre magri maialina maialini maialino mailbox mailing mala malanni malaora
+malaria malat malate malatt malconci maledette maledizioni maleducati malerba malese malesi maless
+malintesi malvage malvagi malvagie malvagit mamamo mamm mammarie mammario mammella mammola mammut
+managerini managers manc mancando mancante mancanti mancanze mancargli mancaria mancarmi mancarti
+mancasse mancatane mancate mancati mancavamo mancavan mancavano mancavo mancaza manche mancher
+mancheranno mancherei mancheremo manchino manciata manciate mancini mancino mandaci mandala
+mandandola mandandolo mandanti mandar mandarci mandargli mandarini mandarino mandarle mandarli
+mandarmele mandarono mandarsi mandasse mandateci mandategli mandava mandavi mandavo mander manderemo
+mandorla mandorle mandorli mandorlo mandria mandrie manduno manesco manga mangaka mangano manger
+mangiai mangiammo mangiandole mangiandosi mangiante mangiar mangiarane mangiarci mangiarei mangiarla
+mangiarle mangiarli mangiarlo mangiarmi mangiarne mangiarsi mangiarti mangiasse mangiata mangiatevi
+mangiati mangiatoia mangiatoie mangiatori mangiava mangiavi mangiavo mangime mangimi mangino
+maniacale maniacali maniaci maniche manichea manici manicomi manicomiale manicomiali manicure manier
+manieri maniero manif manina manine maniolo mannaia mannano mannari manon manonon manovale manovi
+manovrano manovrare manovrato manovre manteca mantelli mantellini mantenendo mantenerci mantenerla
+mantenerle mantenerli mantenerlo mantenermi mantenerne mantenersi mantenerti mantenesse mantenete
+manteneva mantenevo mantenga mantengo mantenne mantenre mantenuta mantenute mantenuti manterr
+mantide mantienile mantienilo mantiente manualetto manuali manualit manuan manuela manuele manuelino
+manutenzioni mappano mappare mapparle mappata mappate mappati mappato mappe mappina mapping maracas
+maragi marasma marathon maratone maratoneta marcano marcare marcata marcate marcati marcato marce
+marcetta marche marchesa marchesati marchesi marchetta marchette marchiamo marchiani marchiano
+marchiare marchiata marchiato marciamo marciapiedi marciare marcisca marcita marcite marcito
+marciume mareale mareali mareca maree mareed maremma maren marescialli margarina margarine margine
+margini mariage mariana mariani mariapia maries marillo marinara marinare marinari marinava
+marinella marineria marini marino marire marisma maritino maritozzo mariyah marker market markup
+marmellate marmellatine marrani marroni marsala marsidi marted martellare martellata martellate
+martelli martino martire martiri martirio martya marvel marziali marziana marziane marziani marziano
+masca mascalzonata mascalzoni mascara mascherarla mascherarlo mascherarsi mascherava mascheri
+mascherina mascherine mascherone maschili masconi mass massacrano massacrare massacrata massacrate
+massacrati massacrato massacrer massacri massaggi massaggia massaggialo massaggiare massaggiato
+massaie massiano massicce massicci massimale massime massimi massiva massivi massivit massivo masso
+massone massoni mastering mastica mastini mastri mastro matematiche matematici matematico
+matematicoso matematie mater materano materasse materassi materassini materassino materasu material
+materialismo materialista materialiste materialit materializza materials materica materici matericit
+materie materile materna materne materni maternit materno matique matrice matrici matricole
+matrimoniale matrimoniali mattane mattanza matte matters mattimo mattinate mattine mattone mattoni
+matur matura maturano maturare maturata maturate maturati maturato mature maturer maturi maturit
+maturita matusa maury mazzata mazzate mazze mazzonia mazzonis meccanic meccanica meccaniche
+meccanici meccanicit meccanicoche meccanismi meccanizza meccano medagliata medaglie medagliere
+medaglione medaglista mediale mediali mediana mediando mediano mediante medianto mediare medias
+mediaset mediate mediati mediato mediava medical medicale medicali medicare medicea medichessa
+medicinale mediee medieval mediire mediocre mediocri medioevo medion medita medito medium megabit
+megahit melamed melan melanina melanoma melasma melassa melee melensa melensi melio membra membrana
+membrane memo memoir memora memore memori memoriae memoriale memorie memories memorizza memory
+menodi menos menoso mensile mensili mensola mensole mentalit mentee mentiamo mentina mention
+mentirci mentirei mentiremo mentirle mentis mentisco mentitori mentiva mentndo mentolo mentor
+mentori mentors mentos mentrein menzion menziona menzionando menzionano menzionare menzionata
+menzionate menzionati menzionava menzione menzioni menzognero meravigli meravigliai meravigliamo
+meravigliano meravigliarci meravigliare meravigliarmi meravigliarsi meravigliata meravigliati
+meravigliato meraviglio meravigliose merc mercante mercanti mercati mercatine mercatini mercatino
+mercede merceria mercoled merde merdoso merigo meringa merit meritarci meritare meritarlo meritarmi
+meritarsi meritarti meritasse meritassi meritata meritate meritavamo meritavano meritavo meriter
+meritiamo meritino meritoria meritorie meritorio merlo mesetto message messaggeri messaggero
+messaggiamo messaggiano messaggiato messagging messaggini messaging messasi messia messic messicana
+messicane messosi messure mestie mestieri mestizia metafore metaforica metaforici metaforico
+metallari metalli metallic metallica metallici metallico metano metodica metodiche metodici metodico
+metodista metodisti metr metric metrica metriche metrici metrico metrics metropolitane metropolitani
+metropolitano mettava mettemmo mettemo mettendoci mettendole mettendoli mettendolo mettendomi
+mettendone mettendosi mettendoti mettercela mettercele mettercelo metterebbe metterete metterle
+metterndo metterne mettersela metterseli mettertelo mettervi mettes mettessi metteteci mettetele
+metteteli mettetelo mettetemi mettevamo mettiamoceli mettiamogli metticela mettile mettili mettine
+mettitela mettole mezz mezzadri mezze mezzora microfilm microfoni mielosa mieloso migliora
+migliorala migliorandola migliorandoli migliorandolo migliorandone migliorandosi migliorano
+migliorarci migliorarla migliorarle migliorarli migliorarlo migliorarmi migliorarne migliorarono
+migliorarsi migliorarti migliorarvi migliorata migliorate migliorati migliorativa migliorative
+migliorativo migliorava migliorer migliorie milanese milanesi mileu milia miliardari miliardiari
+miliari miliaria milieu milio milionari milionata milionate milionidi milit milita militano
+militante militanti militanza militar militarista militasse militato militava milite militino
+milizia milizie milledue millenio millenni milletre milonga miloni minaccer minacci minacciandone
+minacciandovi minacciano minacciare minacciarlo minacciarmi minacciarti minacciasse minacciata
+minacciate minacciati minacciava minaccino minacciosa minacciose minacciosi minaccioso minando
+minano minarla minarne minasse minato mind mindmap minem minence miner miners minestre minestrina
+minestrone minestroni minet miniati miniere minile minimal minimale minimali minimante minime minimi
+minimizz minimum mining minino minion minisito ministeri ministra ministri minivan minolo minor
+minorenne minorenni minorile minorili minorit minuta minute minutes minuzie miracolati miracolato
+miracolosa miracolose miracolosi miracoloso mirador miraggi mirando mirano miranti mirarle mirata
+mirate mirates mirati mirato misera miserabili miseri misericordiosi misericordioso miserie missed
+missini missionari missions missiva mistaa miste misterica misterico misteriose misteriosi mistica
+mistici mistico misto mistura mistype misurale misuralro misurando misurano misurar misurarci
+misurare misurarla misurarsi misurasse misurati misurava misurer misuri misurino misuro mobi
+mobiletto mobilia mobiliare mobilio mobilit mobilita mobiliti modale modalit modati mode modei model
+modeling modelino modell modellando modellano modellarci modellare modellarla modellarli modellata
+modellate modellati modellato modelle modellii modellini modellino modellismo modellisti modem modeo
+modera moderare moderat moderata moderate moderati moderato moderer modern moderne moderni modernit
+modernita modernizr modesta modesti modestia modica modiche modici modific modino modio modos
+modosuo modula modulare modulari modulata modulati module modulino moduto molesta molestare
+molestata molestate molestato molestava moleste molesti molestia molesto mollai mollala mollallo
+mollando mollano mollarenon mollarlo mollata mollavo molle moller mollica mollo moloch moltel
+moltepli moltissima moltissime moltissimi momen moment momentoin monaca monacale monacali monache
+monaci monadi monarca mondana mondani mondano mondare mondate mondato mondiali mondine mondochi
+mondodel mondoe monello monetari monetaria monetarie monetario monetina monetine moniker monili
+moniti monito monitora monitorano monitorare monitorate monitorati monitorato monitorava monitore
+monitorer monitori monitoring montaggi montagnardo montagnole montagnosa montana montane montani
+montante montarci montarne montarsi montava montavo montone montura mooncup moonzoo mora morali
+moravi moremio moreni morente morenti mores moresca moresco moretta morfica morfici morfico moriamo
+morin morio morir morirono morissi morite moriva morivi morr morsa morse morsino mortacci mortaio
+mortar morted mortee mortem morteper mortila mortis mortorio moscata mosce moschea moschee mosci
+moscia mossero mossette most moster mosto mostr mostrai mostrando mostrante mostrar mostrarci
+mostrargli mostrarla mostrarle mostrarli mostrarne mostrarono mostrarsi mostrarvi mostrasse mostrata
+mostrate mostrateci mostrati mostrava mostravo mostre mostrer mostriamo mostrine mostrino moti
+motion motivano motivare motivata motivate motivati motivato motivava motivavo motiver motoasi
+motoria motorie motorini motorino motorio motta motti move moventi movenza movenze moves movetto
+movi movida movie movimentare movimentata movimentate movimentato movimentiste moving moviola
+moviole mucchi muffa muffe muffiin muffita multare multata multati multato multe multi multicd
+municipale municipali municipi munizione muoiano muort muovano muovemmo muovendoci muovendosi
+muoveremo muoverle muovervi muovesse muovevi muovevo muovilo murale murales murali murari muraria
+murarie murario murati murato murini muros muschi muschio muscolare muscolari muscolo muscolose
+muscolosi muscoloso muse museale museali musei museomix museum musi music musicali musicalit
+musicanti musicare musicato musiche musici musone muta mutanda mutandis mutando mutandoni mutandosi
+mutano mutant mutante mutanti mutar mutare mutarne mutarsi mutata mutate mutati mutatis mutato mutu
+mutua mutuare mutuate mutuato mutubim mutui nanne nanobag nanobot narcotico nasale nasali nasarco
+nasca nascano nascendo nascenti nascer nascesse nascessi nasceva nasci nasciamo nascite nascitura
+nascituri nascituro nasco nasconda nascondano nascondendoli nascondendomi nascondendone
+nascondendosi nascondendoti nasconder nasconderci nasconderla nasconderle nasconderli nasconderselo
+nascondeva nascondevi nascondevo nascondiamo nascondigli nascondino nascondo nascone nascono nascose
+nascosero nastale nastrino natali natalit natalizi natalizia natalizie natalizio natalizzi nathema
+natia natica natiche natio nation nationale nativa native nativi nativit nativo natoli natolia
+natural naturalezza naturalismo naturalista naturaliste naturalisti naturalit nature nausa nauseante
+nauseata nauseati nauseato nausee nausg navette navicar navig naviga navigli navigo naziola nazional
+nazionalismi nazionalismo nazionalista nazionaliste nazionalisti nazionalit naziskin nazismo naziste
+neanke nebbiaaaa nebbiail nebbie nebbiosa nebbiosi nebbioso necessarium necessit necessitando
+necessitano necessitasse necessitatem necessitava necessitavo necessiti necessitino necessito
+necessitt nega negando negano negarci negargli negarla negarle negarlo negarne negarsi negarti
+negata negate negati negative negativit negativoi negatore negava neglig neglio negoziale negoziali
+negozianti negoziasse negoziata negoziate negoziati negoziato negra negroni nellalta nellera nellici
+nemica nemiche nemmen nemmno neon neonata neonate neonati neonazi nerdini nerdoso neretti neretto
+nerie nerini neroi nervo nervodo nervoe nervose nervosi ness nesset nessunopi netwok networking
+networks nevee never nicode nicoletta nidos niene nient nienti nighiri nightley nights nipol
+nipotina nipotine nipotini nobii nobiliare nobiliari nobilit nobilita nobilt nobilta nobis nocciole
+noccioli nociva nocive nocivi nocivit nocivo nodosi nodoso noiose noiosi noleggi noleggiano
+noleggiare noleggiata nomea nomen nomin nomina nominale nominali nominando nominano nominarla
+nominarli nominarlo nominarsi nominassi nominata nominate nominati nomination nominativa nominative
+nominativi nomine nominer nomini nominino nomisma nonne nonnici nonnina nonnismo nordest nordica
+nordici nordico norm normal normaleche normandia normanna normanni normare normata normate normato
+normen normie nost nostalgica nostalgici nostalgico nostalgie nostlo nostos nostrana nostrane
+nostrani nostrano nostroi nostromo notai notaio notando notano notari notarile notarili notarle
+notarli notarne notasse notata notate notati notava notavo noter noterai notes notevoli notiamo
+notino notiziano notiziari notiziole notori notoria notorio nottate nottecon notturne notturni
+noveche novel novella novelli novello novemila novero novit novizi novizio nuclei nudismo nudista
+nudiste nudisti nudit null nulle nulli nullit nullo nume numer numerata numerate numerati numerato
+numerica numeriche numerici numerico numerini numerino numerosa numerose numerosi numeroso nuota
+nuotando nuotano nuotate nuotati nuotato nuotava nuotavo nuov nuovista nuovole nuvoletta nuvolette
+nuvolo nuvolone nuvoloni nuvolosa nuvoloso nuzialit obblia obblig obbliga obbligando obbligano
+obbligarci obbligare obbligasse obbligate obbligati obbligatori obbligatoria obbligatorie
+obbligatorio obbligava obblighi obiett obietta obiettare obiettato obietter obiettiva obiettive
+obiettivit obiettore obiettori obiezioni occasionale occasionali occhia occhiaia occhiaie occhiale
+occhialini occhialoni occhialuta occhialute occhialuti occhialuto occhiate occhiatina occhie
+occhieri occhioe occhiudo occidentali occidente occori occorra occorrano occorrente occorrenza
+occorrenze occorrer occorrera occorresse occorreva occorrono occorta occulta occulte occulti occulto
+occup occupai occupandoci occupandosi occupante occupanti occuparci occuparli occuparlo occuparsene
+occupasse occupate occupatevi occupatoe occupava occupavo occupe occuper occuperai occupiamoci
+occupino ocean oceani oceanica oceanici oceanico oddisfo oddit odiando odiarla odiarli odiarlo
+odiarmi odiarsi odiassi odiata odiate odiati odiavamo odiavano odiosa odiose odiosi odioso odorano
+odorare odorata odorato odorava odori odorino odorosa odorosi odorov offel offenda offende offensiva
+offensive offensivi offertaci offerti offertomi offertosi offese offesi officer official officiel
+officine officino offr offrendoci offrendogli offrendole offrendolo offrendomi offrendosi offrendoti
+offrii offrira offrirci offrirebbe offrirgli offrirlo offrirmi offrirono offrirsi offrirvi offrisse
+offritti oggettini oggettino ognigni ognungo oliva olivaq olivar oliveto olivetti olivi olivinil
+olivo ollided ollider ollins oltr oltrane oltrech omagari omaggi omaggia omaggiare omaggiata
+omaggiato omario omaroff ombrelli ombrellini ombrellino ombrellone ombrelloni ombretti ombretto
+ombrose ombrosi ombroso omet ometown omette ometti omettono omicidale omicon ondaini ondaino ondakov
+ondat ondavi onday ondelet ondelez ondello ondemi ondero onesco onesini onest oneste onlia
+onnipotenti onnipotenza onorando onorano onorari onorario onorarla onorata onorati onorevoli onorino
+onorio operae operaia operaie operaio operaista operandi operano operante operanti operarla operarsi
+operarvi operasse operata operate operati operating operativi operativit operator operatori
+operatorio operava operer operetta operi operino opero operosa operosi operoso opinion opinionista
+opinionisti oppolo oppone oppongo opponi oppor opporci oppormi opporr opporre opporsi opportuna
+opportune opportuni opportunismi opportunismo opportunist opportunista opportunisti opportunit
+oppose opposero opposta opposte opposti oppu oppue opzion opzionale opzionali oraria orarie orbi
+orbis orbitale orbitali orbitando orbitano orbitante orbitanti orbitare orbitati orbitato orbite
+orbiter orchestrale orchestrali orchestrare orchestrati orchestrato orchestre orchestrer orchestrina
+orchestrine ordic ordiera ordigni ordigno ordin ordinai ordinale ordinando ordinano ordinanze
+ordinari ordinaria ordinarie ordinario ordinarle ordinarli ordinarlo ordinarne ordinarono ordinassi
+ordinata ordinatelo ordinatino ordinativi ordinava ordiniamo ordinla ordioli ordito orecchi orecchia
+orecchiato orecchiette orecchino orfanotrofi organ organa organic organica organiche organici
+organicit organico organismi organisti organizer organizz organizza organizzandosi organizzano
+organizzarci organizzarla organizzarli organizzarmi organizzarne organizzarsi organizzarvi
+organizzata organizzate organizzati organizzatisi organizzativa organizzative organizzativi
+organizzativo organizzatore organizzatori organizzava organizzazioni organizzi organizzino organizzo
+organte organti organuli orgaro orgasmico orgato orgoglione orgogliose orgogna oriega oriello orien
+orienata orienta orientai orientali orientando orientano orientarci orientare orientarle orientarlo
+orientarmi orientarsi orientarti orientarvi orientata orientate orientati orientato oriented origami
+origano origin origina originalit originally originando originano originari originaria originarie
+originarii originario originata originati originato originatto origni orleto orletti ormac orman
+ormanda ormani ormonale ormonali ormonati ormone ormont orolla orreani orreddu orrell orrelli
+orrello orrenda orrende orrendi orrento orres orrest orroia orromea orromeo orrona orroreil orrori
+orsiani orsica orsini orsono osar osarelli osarno oscarato oscari oscato oscurando oscurano oscurare
+oscurate oscurati oscurato oscurava oscure oscuri oscurit ospedaletti ospedaliera ospedaliere
+ospedalieri ospedaliero ospit ospita ospitale ospitali ospitano ospitare ospitata ospitate ospitati
+ospitato ospitava ospiter ospitiamo ospitino ospito ospizio ossack ossae ossana ossario ossati ossea
+ossee ossein ossella osselli osseo ossequi osserv osservai osservandolo osservandomi osservano
+osservante osservanti osservanza osservanze osservarla osservarle osservarli osservarlo osservarne
+osservarono osservarsi osservarti osservasse osservassi osservata osservate osservati osservativi
+osservativo osservatore osservatori osservatorio osservava osservavi osservavo osservazioni osservi
+osservo osses ossessa ossesse ossessi ossession ossessiona ossessionano ossessionante ossessionata
+ossessionate ossessionati ossessioni ossessive osset ossiga ossigena ossigenano ossigenare
+ossigenata ossigenati ossoli ossoni ossonia ostacola ostacolano ostacolare ostacolata ostacolato
+ostacolava ostacoler ostafa ostafar ostand ostanzo ostar ostica osticco ostiche ostici ostico ostie
+ostili ostilit ostin ostina ottenemmo ottenendo ottenerla ottenerli ottenerlo ottenerne ottenesse
+ottenete otteneva ottenga ottengo ottenham ottenne ottenuta ottenute ottenuti ottica ottiche ottici
+ottico ottimale ottimali ottimismo ottimiste ottimisti ottimistica ottimistico ottimizza otting
+ottiti ottobrate ottola otton ottos ovesexy ovunqe ovverosia ovvi ovvia ovviare ovvie ovviet owenta
+pacche pacchetti pacchia pacee pacer pacey pacifica pacificare pacificati pacificato pacificava
+pacifiche pacifici pacifismo pacifista pacifisti padrini padrir padronale padronanza padronato
+paesana paesane paesani paesano paesello paesetti paesetto paesini paesino pagaia pagamenti pagana
+pagand pagandolo pagane pagani pagante paganti pagar pagarci pagargli pagari pagarla pagarle pagarli
+pagarlo pagarne pagarono pagarsi pagarti pagarvi pagasse pagava pagavo pagher paghera pagheranno
+pagherei pagherete paghetta paghette paghino paginato paginetta paginette paginone pagliacci
+pagliacciata pagoda pagode paiolo paladin palate palati palatro palazzi palazzina palazzine
+palazzone palazzoni palchi palesa palesano palesare palesata palesato palesi palesino palestina
+palestrati palestrato palestre palladio palleggi pallet palletti pallidi pallino pallium pallonara
+pallonate pallonetto palloni pallore pallosi palloso palmar palmari palme palmetto palmi palola
+paludi paludosa paludose paludoso panca pance panche panchine panciae pancione panciuta panciuti
+panciuto panel panelle panelli panetti panetto pani panic panica panicati paniere panieri paninara
+paninari paninaro panning panno pannolino pannoloni panorami panoramica panoramici panoramico
+pantalone paola paoli paolini papaia papale papali papato papaya papiers papilla papille papiro
+parade paradigma paradigmi paradisi paragona paragone paragoni paragono paraliz parall paranno
+paranoia paranoica paranoiche paranoici paranoide paranoie parap pararli paraste paratassi paratie
+parca parcheggi parcheggia parcheggiai parcheggiamo parcheggiando parcheggiare parcheggiarla
+parcheggiata parcheggiate parcheggiati parcheggiatore parcheggiava parchi parechio paree parental
+parentale parentela parentele parentesi parenting pareo parergli pareri parevano pargete pargoli
+parie parigina parigini parigino parit parka parkfun parking parks parl parlaci parlagli parlai
+parlamentare parlamenti parlamentino parlammo parlan parlandoci parlandogli parlandone parlane
+parlante parlanti parlar parlarcene parlaredi parlareper parlares parlari parlarlo parlarono
+parlarsi parlarvene parlasse parlassi parlata parlategli parlatene parlatevi parlati parlavate parle
+parler parleranno parlerebbe parlerei parleremmo parlereste parliamoci parlino parltto parodia
+parodie parolacce parolee parolina paroline paroloni parruccati parrucche parrucco parrucconi part
+parta partak partan parteche partecip partecipa partecipai partecipando partecipano partecipante
+partecipanti parteciparono parteciparvi partecipata partecipate partecipati partecipation
+partecipativa partecipative partecipativi partecipativo partecipava partecipavo partecipe parteciper
+partecipi partecipino partecipo parteggi partente partenti partenze parterre partes particella
+particellare particellari particolar particolarele particolarismi particolarismo particolarit
+particolarita particolati particolato particole parties partiiti partimmo partirai partirei
+partiremo partirono partissi partit partitella partitiche partitina partititi partitivo partitone
+partitoni partitore partitura partiva partivi partivo partners partono partout partum pasquali
+passaci passaggi passaggiodi passai passail passamano passandoci passandogli passandosi passant
+passante passanti passar passarci passargli passarla passarle passarli passarlo passarmi passarne
+passarono passarsi passarti passarvi passasse passassi passasti passatagli passateli passatemi
+passatempi passatempo passatismo passatisti passatoche passatore passavano passavi passeggera
+passeggere passeggi passeggia passeggiamo passeggiando passeggiano passeggiante passeggiare
+passeggiate passeggiato passeggiava passeggiavo passeggieri passeggini passeggino passeggio passer
+passeranno passerano passerebbe passerei passerella passerelle passeresti passerete passeri
+passerina passerona passerotti passerotto passette passetti passetto passeur passino passionale
+passionali passioni passito passiva passive passivi passivit passivo past paste pastel pasticca
+pasticcere pasticceri pasticche pasticci pasticcia pasticciato pasticciera pasticciere pasticcieri
+pasticcini pasticconi pastiche pastiera pastina pastoia pastoie pastorale pastori pastosa pastosi
+pastry pataro patatas patatina patatone patatrac patella patemi patendo patenti patentini patentino
+pater paterna paterne paterni paterno patetiche patetici patri patriarca patrie patrii patrimoni
+patrimoniale patrimoniali patrio patriota patrioti patrizia patrizie patron patrona patroni patrono
+patta pattern pattini pattino pattugliando pattugliano pattugliare pattuglie pattume paurosa paurosi
+pauroso pauruno pausato pause pavimentato pavimenti pazienta pazientare pazientate pazienze pazze
+pazzesche pazzeschi pazzie pear pears pecca peccare peccatore peccatori pecch pecche pecorai
+pecoraro pecorelle pecorino pecorone peggiora peggiorano peggiorarla peggiorarlo peggiorarono
+peggiorata peggiorate peggiorati peggiorato peggiorava peggiorer peggiorera peggiorino peggioro
+pelino pellet pellicano pellicce pellicine pellicolare pellicole pellman pelosi peloso penali
+penalit penalita penare penetra penne pennuti pennuto pensacci pensammo pensandola pensandolo
+pensanodi pensante pensanti pensao pensar pensareche pensari pensarla pensarle pensarli pensarmi
+pensarono pensarsi pensarti pensassero pensassimo pensaste pensat pensata pensati pensatino
+pensatoio pensatore pensatori pensavate penserei penseremo penserete penserino pensiamoci pensiate
+pensierini pensierino pensierosa pensieroso pensile pensili pensino pensiola pensionata pensionati
+pensionato pensioni pentagonali pentiamo pentii pentir pentirci pentire pentirete pentirsi pentisse
+pentita pentiti pentito pentolame pentole pentoledi pentolina pentolino pentolone pentoloni perc
+percentuali percep percepir perceple perch perci percipi percoli percome percoop percore percorere
+percorra percorrer percorri percorro percorsa percorse percorsi percosse percossi percula perdano
+perdemmo perdendoci perdendomi perdendone perdendosi perder perderanno perderci perderebbe perderei
+perderemmo perderesti perderete perderla perderle perderli perdermi perderne perdertela perdervi
+perdesse perdete perdeva perdevi perdevo perdiamoci perdiamola perdiate perdinci perdio perditempo
+perditi perdolpe perdonali perdonano perdonarci perdonarla perdonarlo perdonarsi perdonata perdonate
+perdonateci perdonati perdoner perdonino perdura perferia perfettamen perfezion perfeziona
+perfezionano perfezionare perfezionata perfezionate perfezionati perfezionato perfida perfidia
+perfido perfin perfora performace performances performante performanti performare pericle
+pericolosit periferica periferiche periferici periferico periferie perigeo perimetrale perimetrali
+perimetrata perimetrato perimetri period periodare periodi periodica periodici periodico periods
+peripli periplo perir perire perisca perisce perisci periti perito perizia perizie perlacei perlata
+perlati perlato perline perling perlopi permane permanent permanenti permanenze permanere permaneva
+permea permeano permeare permeata permeate permeati permeato permeava permeino permessa permesse
+permessi permeto permettano permettava permettendo permetter permettera permetterceli permettercelo
+permetterebbe permetterei permettergli permetterlo permettermelo permetterne permettersela
+permetterselo permettervi permettesse permettetemi permetteva permettevi permettiamo permettici
+permettono perosne perquisizioni perreno persegua persegue persero persiana persiane persiano
+persine persiste person personal personalismi personalit personalizzi personam personas personese
+persons persorsi persoun pervertiti pesano pesantezza pesantezze pesare pesarmi pesarti pesasse
+pesata pesate pesati pesato pesava pescando pescano pescarli pescate pescati pescato pescava pescavo
+pesceal pesche peschi pesco pescoso pesiamo pesino pesos pessime pessimi pessina pesta pestaggi
+pestando pestano pestare pestarli pestarsi pestati pestello pesti pesto petrolati petrolato petroli
+petroliere petrolieri petroliero pettegolezzo pettin pettina pettine petting pettini pettino
+pettoper pezzai pezze piacciano piacendo piacente piacer piacerai piaceranno piacerci piacerebbero
+piacergli piaceri piacerle piacermi piacersi piacervi piacevo piacevoleche piacevolezza piacevolezze
+piaciare piacione piaciute piaciuti piacque pian piane pianete pianetini pianetino pianga piangente
+pianger piangerai piangerci piangerei piangerlo piangermi piangersi piangete piangeva piangevo
+piangiamo piango piangono pianifica pianificando pianificano pianificare pianificarlo pianificata
+pianificate pianificati pianificatori pianifichi pianifico pianin pianino pianista pianisti
+pianofortino pianoro pianse piansi piantai piantalo piantando piantano piantare piantarla piantarmi
+piantarne piantasse piantate piantati piantatore piantatura piantina piantine pianura pianure piatta
+piattafora piattaforme piatte piattino piattume piazz piazzai piazzale piazzali piazzando piazzano
+piazzarci piazzarli piazzarne piazzarsi piazzate piazzavo piazze piazzi piazzola piccanti picccia
+picche picchiamo picchiando picchiarmi picchiarono picchiarsi picchiasse picchiate picchiatelo
+picchiati picchiatori picchiava picchiavi picchier piccina piccini piccino piccol piccoleno
+piccoletta piccolezza piccolia piccolifu piccoline piccolini picconi piedidel piedini piedino piegel
+pieghe pienadi pienare pienarsi pienezza pienone piercing pietanza pietanze pietas pietosa pietose
+pietoso pietraie pietroni pietroso pigiamo pigiano pigiare pigiata pigiati pigiato pigione pilasti
+pilates pillolina pilloline pilogon pilone piloni pilosa pilot pilotano pilotare pilotata pilotati
+pilotato pilotava pilotini pilotis piloto piogge pioggie piomb piomba piombano piombare piombata
+piombate piombati piombato piombavo piombi piova piovendo pioverci piovermi piovesse pioveva piovono
+piovosa piovose piovosi piovoso piovuta piovute piovuti piovuto piovve pipe pipia piral pirami
+piranha piratata piratati piratato piratno piscia pisciando pisciano pisciarsi pisciata pisciato
+pisciava piscine piscio pisella piselli pisolare pisolini pistawww piste pistolero pistone pistoni
+pittoresca pittoresco pittori pittorica pittorici pittorico pittule pitturata pitture pizzata pizze
+pizzi pizzica pizzico pizzino pizzo pizzone plastiche plastici plasticit plastico plasticoso plot
+plotoni plotter pochen pochette pochetto pochezza pochezze pochissima pochissime pochissimi pochne
+pocomi pocoo poeti poetica poetici poetico poich poicon points poke police policy polipi polisem
+polit politic political politically politicame politicanti politichese politichetta politics politie
+politik politique polizie polizza polizze poll pollai pollaio pollame pollicioni polline polling
+pollini polloni polmonare polmonari polmone polmonite polsi polsini polsino poltrire poltrone
+polveri polverina polverino polverizz polverone polveroni polverosa polverose polverosi polveroso
+pomeriggi pomodorini pomodorino pomodoro pompando pompano pompare pompata pompato pompava pompelmo
+pompetta pompini pompon pomposa pompose pomposo pont ponteche ponteggi pontile pontini pontode
+popolana popolarit popolarsi popolazioni popoli popolino popolosa popolosi popolosit popoloso
+porcate porcela porcele porci porcile porcini porr porrebbe porrei porremo portade portai portaledge
+portali portalino portalone portan portandoci portandogli portandola portandole portandoli
+portandolo portandosi portandoti portanome portargli portarmelo portarne portarono portarsi
+portartela portartelo portasse portassi portatene portatili portatori portavamo portavano portavi
+portavoce portele portelle portento porterbbe porterebbe porterei porteremmo porteresti porterete
+portese portiamoli portici portico portieri portiio porting portino portone portoni ports portski
+posarne posavo positive positivi positivit positura posiziona posizionala posizionano posizionare
+posizionata posizionate posizionati posizionato posizionerai posiziono posse possedendo possederla
+possederli possederlo possederne possederti possedessi possedete possedeva possedevo posseduta
+possedute posseduti posseduto possegga posseggo possente possenti possessiva possessivo possessore
+possessori possibilista possibilt possieda possiedano possiedi possiedono possimo posson possonono
+postali postalo postarne poste posteggi postegli postere posteri posteriori posticce posticci
+postilla postille postini postni postoa posts postul postula postuma postume postumi postumo posture
+potei potendo potentati potentato potenzale potenze potenzia potenzialit potenzialita potenziano
+potenziare potenziarmi potenziarne potenziarsi potenziata potenziate potenziati potenziato potercela
+poterenon potergli poterle poterli potermene poterne poterono potersi potervi potest potevate potr
+potreb potrebbesi potti potute potuti pover poveracci poverella poverello poveretta poverette
+poveretti poveretto poverina poverine poverini povert poverta povetti power pozza pozze pozzi pranza
+pranzando pranzato pranzer pranzi pratese pratesi prati pratic praticando praticano praticante
+praticanti praticare praticarla praticarli praticarlo praticata praticate praticati praticato
+praticava praticherai pratichi pratici praticit pratly preavvisi precari precede precedendo
+precedenteio precedenze precedere precedeva precidi precipit precipua precipui precis precisando
+precisano precisare precisarlo precisarne precisata precisato precisava precise precisiamo precisino
+precoce precoci precog precoma prede predere predic predica predice predire predone predoni prefer
+preferiamo preferiate preferir preferirai preferire preferirebbe preferiremmo preferiremo
+preferirgli preferirla preferirle preferirlo preferirono preferirsi preferisca preferiscano
+preferiscono preferiva preferivo preg pregando pregano pregate pregava pregavi pregavo preghi pregi
+pregna pregne pregni pregno premerebbe premerlo premermi premervi premessa premesse premesso premete
+premetto premeva premia premiano premiare premiata premiate premiati premiato premiava premier
+premiere premino premium premur premura premuro pren prena prendano prendendoci prendendola
+prendendole prendendolo prendendomi prendendosi prendendoti prendenn prendercela prendercene
+prenderebbe prenderesti prendermela prendermele prendersela prenderselo prendersene prendervela
+prendesse prendessi prendetemi prendetene prendetevi prendevamo prendevano prendevi prendevo
+prendiamolo prendiamone prendile prenne prenota prenotai prenotando prenotano prenotare prenotarla
+prenotarli prenotata prenotate prenotati prenotazioni prenoti prenoto preoccup preoccupando
+preoccupano preoccupante preoccupanti preoccuparli preoccuparsene preoccupartene preoccuparvi
+preoccupava preoccupavo preoccuper preoccupiamo preoccuppo prepar preparandoci preparandola
+preparandoli preparandomi preparandosi preparano prepararci preparargli prepararla prepararle
+prepararli prepararlo prepararne prepararselo prepararvi preparasse preparatagli preparative
+preparativi preparatola preparatore preparatori preparatoria preparatorio preparatosi preparava
+preparavi preparavo preparazioni preparer preparhe prepariamo pres presagi presagio prescia
+prescinde prescindono present presentando presentarci presentargli presentarla presentarle
+presentarli presentarlo presentarne presentarono presentasse presentate presentatevi presentatore
+presentatori presentava presentavo presentazioni presenter presentiamo presentiate presentino
+presents presenze presenzia presepe presepio presero preserva preservata preservativos preservato
+preset presets presicon president presidentessa presidenti presidenza presidenzi presidi presidia
+presidio presiede presina pressa pressare pressata pressate pressati pressato presse pressi pressing
+pressionewww pressocch pressoch pressoche pressure prest presta prestami prestampa prestando
+prestano prestante prestanti prestanza prestar prestarci prestarli prestarlo prestarmi prestarti
+prestasse prestata prestate prestati prestatore prestatori prestatos prestava prester prestiamo
+prestigio prestiti presuma presume presumere presumono presunta presunte presunti presunto presutan
+pret pretenda pretende pretendi pretendo pretesa pretese pretesi preteso preteste pretesti pretesto
+preti pretino pretzel prevale preveda prevedano prevedendo prevederebbe prevederla prevederlo
+prevederne prevedesse prevedeva prevedevo prevedi prevedo prevedono preveduto preverr previ previa
+previene preview previo prevista previste previsti prezi preziose preziosi preziosit prezzodi prica
+pricing prigioneri prigionia prigionie prim primal primari primaria primariati primarie primati
+primato primauna primavere primaverile primaverili primer primina primis primizie primordi primule
+primum princ princeps princi principal principalmete principati principato principesca principesco
+principesse principessine principie principii principino priore priori priorit prioritari
+prioritaria prioritarie prioritario priority priv privados privando privare privarlo privarmi
+privarsi privarti privatemap privativa prive priver privilegi privilegia privilegiare privilegiata
+privilegiate privilegiati privilegiato privilegino probabilia probabilit probabilmen probabilmete
+probabilt problem problemino problemone probleo problte proceda procedendo proceder procederai
+procederemo procedesse procedete procedette procedeva procedevo procedi procedo procedono procedural
+procedurale procedurali proceduralit proceduto process processa processano processare processata
+processati processato processi processing processor processore processori proclam procur procurami
+procurando procurano procurarci procurare procurarmi procurarsi procurarvi procurata procuratelo
+procurati procuratori procurava procure proda prode prodest prodiga prodige prodigi prodigo prodotte
+produca producano producente producer producete produceva produci produco product products produrla
+produrle produrli produrlo produrne produrr produrrebbe produrremmo produrremo produrrer prodursi
+produsse produttiva produttive produttivi produttivo produtture produttvi produzioni prof profana
+profane profani profano profer proferir profes professa professano professare professata professato
+professava professional professionali professionalit professionalita professioni professionira
+professionismo professioniste professionistica professionistiche professionistico professorali
+professoresse professori professorini professorino professorone professoroni profeti profetica
+profetici profetico profezie proficua proficue proficui proficuo profila profilano profilare
+profilata profilati profilato profile profiler profili profiling profit profonde profondit
+profondono profondopi profuga profughi profugo profuma profumano profumare profumata profumate
+profumati profumato profumava profumi profumoe profusi profuso progenie progett progetta progettando
+progettano progettarla progettarle progettarlo progettarne progettassi progettata progettate
+progettati progettava progetter progettiamo progettino progettista progettiste progettisti
+progettone progettoun progettouno programmai programmando programmano programmare programmarle
+programmarli programmarlo programmarmi programmarne programmata programmate programmati
+programmatica programmatici programmatico programmatore programmatori programme programmiamo
+programmino prograome prograssi progress progressione progressismo progressista progressiste
+progressisti progressiva progressive progressivi progressivit progressivo progressso proib proibire
+proibisce proibita proibite proibiti proibitive proibitivi proibitivo proibizio proiett proietta
+proiettano proiettare proiettata proiettate proiettati proiettato proiettava proietter proiettiamo
+proiettiva proiettore proiettori projects promessagli promessi prometta promette promettendo
+promettente promettenti promettermi prometteva promettiamo promettoche promettono promo promos
+promossa promosse promossero promossi promoted promoter promozional promozionale promozionali
+promozionato promozioni pronao proni pronome prontezza pronu pronubi prop propag propaga propina
+propio propizi propoco propoli propone proponete proponeva proponevo proponga propongano propongono
+proponi propoper proporci proporio proporla proporle proporlo propormi proporne proporr proporre
+proporsi proporti proporvi propose proposero proposi propositi proposition propositiva propositive
+propositivi propositivo propositore propositori proposte proposti propriet proprietarie proprire
+propter propto prosciuga prosciugo prosciuttati prosciutti prosegu prosegua proseguano prosegue
+prosegui proseguiamo proseguir proseguiremo proseguirono proseguisse proseguita proseguite
+proseguito proseguiva proseguivo proseguo proseguono prospetta prospettano prospettata prospettati
+prospettato prospetti prospettica prospettiche prospettici prospettico prospettive prospetto
+prossiama prossimali prossimit prossimita prossimonon prostituita prostituti prostitutivi
+protagonismo protagonistadi protagoniste protagonisti protagonistl protect protegga proteggano
+protegger proteggerci proteggerle proteggerli proteggerne proteggersi proteggete proteggeva proteggi
+proteggici proteggono proteica proteici proteico proteina proteine protende protesa protesero
+protesi protesica proteso protestai protestando protestano protestante protestanti protestare
+protestato protestava proteste protette protetti protettiva protettive protettivi protettivo
+protettore protettori protezioni protocol protocollari protocollata protocollate protocolli prov
+provacci provalo provandoci provane provarla provarle provarli provarmi provarne provarono provasse
+provassi provata provateci provati provava provavi provavo provenga provengano provengo proventi
+prover proverai proverbi proverbio proverei proverete provetta provette provetti provetto proviamoci
+proviate provider provides provieni provinato provinca province provinciale provinciali provincie
+provini provoc provocando provocano provocante provocanti provocarla provocarne provocarono
+provocasse provocata provocate provocati provocatore provocatori provocatoria provocatorie
+provocatorio provocava provocher provochi provoco provola provvido provvisori prude prudenti
+prudenza prudenze prudere pruderie psichiatri psichiatria psichiatrica psichiatriche psichiatrici
+psicologa psicologi psicologica psicologiche psicologici psicologico psicologie psicologsso
+psicopatia psicopatici pubblic pubblicai pubblicale pubblicando pubblicarla pubblicarle pubblicarli
+pubblicarlo pubblicarmi pubblicarne pubblicarono pubblicarsi pubblicarvi pubblicassi pubblicate
+pubblicati pubblicava pubblicavo pubblicher pubblicherai pubblichero pubblichi pubblicista
+pubblicisti pubblicitari pubblicitaria pubblicitarie pubblicitario pubblicizza pubblicizzo
+pubblicnti pugnal pugnalarmi pugnalata pugnalatore pugnali pugnando pugnona puli puliamo pulirci
+pulirlo pulirmi pulirsi pulisca pulisce pulisco puliscono pulitura pull pullmino pullula pulsa
+pulsano pulsanteil pulsanti pulsantino pulsantone pulsar pulsare puniamo punica puniche punici
+punico punirci punire punirla punirlo punirmi punirsi punisce punita puniti punitive punitivo puniva
+punizioni punt puntale puntando puntarle puntasse puntatore puntatori punteggi punteggia punteggiano
+punteggiata punteggiate punteggiato punter puntiamo puntiate puntigli puntina puntuali puntualit
+puntualizz puntura punture puntute puntuti pupa pupazzata pupazzi pupazzosi puranti purea purezza
+puttanelle puttanone puttini putty puzzando puzzano puzzare puzzava puzzavo puzze puzzo puzzolenti
+puzzone quad quador quadrano quadrante quadranti quadrava quadrotta quag quaggi quaglie qualc qualco
+qualcos qualcosina qualcosto qualific qualis qualit quality qualke quallor qualora qualsa
+qualunqueke quan quand quandosi quano quanon quansi quant quantico quantit quantomai quantos quantum
+quarant quarantadue quarantanni quarantasei quarantatr quarantenne quarantenni quarantina quarantun
+quarantuno quarius quark quart quarte quarter quarti quartieri quartierino quarzo quasar quasiasi
+quass quati quatro quatto quattr quattrini quatty queema queer queille quell quelleo quelliche quesi
+quesiti quesito quest question questiona questionare questionari questonon questore questua questura
+questure quindicina quinoa quinox quintale quintali quinte quinti quotata quotate quotati quotato
+quote quoti rabbie rabbini rabbiosa rabbiosi rabbioso rabby racco raccogli raccogliamo raccoglie
+raccogliendo raccoglier raccoglieremo raccoglierle raccoglierli raccoglierlo raccoglierne
+raccogliete raccoglieva raccolga raccolgo raccolse raccolte raccolti raccomanda raccomandali
+raccomandalo raccomandano raccomandare raccomandata raccomandate raccomandati raccomandato
+raccomandava raccomandi raccont raccontaci raccontai raccontamela raccontandoci raccontandogli
+raccontandola raccontandoli raccontandolo raccontandomi raccontandosi raccontandovi raccontano
+raccontante raccontanto raccontar raccontarci raccontargli raccontarla raccontarle raccontarli
+raccontarlo raccontarmelo raccontarne raccontarsi raccontarti raccontarvi raccontasse raccontassi
+raccontata raccontatami raccontate raccontateci raccontati raccontava raccontavo racconter
+raccontero raccontiamo raccordi raccordo rachetti rachetto radam radate radiale radiato radiazione
+radical radicale radicali radicine radioe radiosa radiosi radiosit radioso rafano rafat raffredda
+raffreddalo raffreddano raffreddare raffreddata raffreddate raffreddato raffreddori ragal ragan
+ragazn ragazzetta ragazzette ragazzetti ragazzetto ragazzorno ragazzotti ragazzotto ragg raggiri
+raggiro raggiunga raggiungano raggiungendo raggiunger raggiungerai raggiungerci raggiungerebbe
+raggiungeremo raggiungerete raggiungerla raggiungerle raggiungerli raggiungerlo raggiungermi
+raggiungerti raggiungesse raggiungessi raggiungete raggiungeva raggiungevo raggiungi raggiungono
+raggiunse raggiunsi raggiunta raggiunte raggiunti raggo ragion ragiona ragionando ragionano
+ragionarci ragionarvi ragionata ragionate ragionati ragionava ragionavo ragioneria ragionevolezza
+ragionevoli ragioniamo ragioniere ragionieri ragiono ragnano ragni rallegr rallegra rallegro rallent
+rallentando rallentano rallentarla rallentarlo rallentata rallentate rallentati rallentato
+rallentava rallenter rallenti rallento rallenty rametti ramont ranada ranagh ranary ranc ranchie
+ranchini rancida rancido rancis ranck rancois rancoise rancori rancorosa rancorosi rancoroso randagi
+randagio random randt randuca rangerie ranghi rangler rapiamo rapide rapidi rapidit rapidita
+rapiditi rapimenti rapinando rapinate rapinatore rapinatori rapir rapirla rapirne rapirti rapisca
+rapisce rapisse rapite rapiti rapitori rapiva rapporta rapportata rapportate rapportiamo rappresent
+rappresentai rappresentando rappresentano rappresentanti rappresentanza rappresentanze
+rappresentarci rappresentarla rappresentarle rappresentarlo rappresentarmi rappresentarne
+rappresentarsi rappresentarvi rappresentasse rappresentassi rappresentata rappresentate
+rappresentati rappresentato rappresentava rappresentavo rappresenter rappresentera rappresenti
+rappresentino rappresento raranga raso rasoi rattoppa rattoppi razionali razionalit razionare
+razionata razionato razz razze razzia razziale razziali razziare razzie razzismo razziste razzisti
+reag reagiamo reagii reagir reagirebbe reagirei reagireste reagirono reagisce reagisci reagisco
+reagiva realismo realista realisti reality realizz realizza realizzai realizzando realizzano
+realizzarci realizzarla realizzarle realizzarli realizzarlo realizzarmi realizzarne realizzarsi
+realizzasse realizzata realizzate realizzateli realizzati realizzativa realizzative realizzativi
+realizzatori realizzava realizzavo realizzer realizzi realizzino realizzo really realt realtime
+reatene reath reather reatino reaty reazionari rebemi rece recen recensir receptionist recessi
+recesso recia recibo recintano recintare recintata recintate recintato recinti recipe recipes
+recista recitando recitano recitarti recitata recitate recitati recitato recitava recite recito
+recorder recording recordman records recover recupera recuperando recuperano recuperarla recuperarle
+recuperarli recuperarlo recuperarne recuperarvi recuperasse recuperata recuperate recuperatelo
+recuperatevi recuperati recuperava recuperer recuperi reedom regaeri regal regala regalada regalando
+regalano regalarci regalare regalarlo regalarmi regalarne regalarsi regalarti regalarvi regalasse
+regalassi regalata regalatami regalate regalatelo regalatemi regalati regalatogli regalava regale
+regaler regaliamo regalie regalino reganze regar regards regg regga reggae reggendo reggente
+reggenti regger reggersi reggeva reggia reggiane reggiano reggime reggina reggino reggiseni reggo
+reggono regiert regim regime regimi regine regional regionale regionali regiones regioni regirto
+regist registe registi registica registico registr registra registrai registrando registrano
+registrarci registrarli registrarlo registrarmi registrarono registrarsi registrarti registrate
+registrati registratori registrava registravo registrazi registriamo registrino regnant regnare
+regnato regnava regnino regolamentano regolamentare regolamentari regolamentata regolamentate
+regolamentati regolamentato regolamentava regolamentese regolamenti regolando regolano regolarci
+regolari regolarit regolarlo regolarne regolate regolati regolato regolava regolette regoli regon
+regond regonda regor regori regorio regory regotti reider relaziona relazionale relazionali
+relazionano relazionare relazionate relazionato relazionava relazioner relaziono religio religionari
+religioni religiose religiosi religiosit rendemmo rendendogli rendendoli rendendone rendendovi
+renderebbero renderemmo renderer renderete rendering rendermene rendertene rendeste rendili rendita
+rendite rendt rener reparai reparti repax reporta reportage reporters reporting reports repubblicama
+repubblicana repubblicane repubblicani repubblicano repubbliche reputazionale resalio resicce
+residence residency residenze residua residuale residuali residuare residuati residuato residue
+residuo resine resista resiste resistendo resistente resistenti resistenz resistenze resister
+resisterle resistete resistette resisteva resistevi resistevo resistiamo resistiin resistiti
+resistivit resistivo resisto resistono resoconti resoldi resort resosi resp respect respinge
+respingi respingo respinte respinti respir respirai respirala respirando respirano respirante
+respirarle respirarne respirata respirate respirato respirava respiravi respiravo respiriamo respon
+respond responsabilit restai restammo restarne restarono restarsi restarvi restassi restaste
+restaura restauri restauro restavo restea resteremmo resterete restia restie restii restino restio
+restitu restituiamo restituii restituir restituirci restituirgli restituirla restituirle restituirli
+restituirlo restituirmi restituirono restituisca restituisce restituisco restituisse restituita
+restituite restituiti restituiva restle retr retriva retrive retrno retrovia retrovie rettango
+rettile rettili retton retty reverenti revisiona revisionare revisionate revisionato riabilitazioni
+riaverlo riavvio ribeca ribecca ribella ribellano ribellati ribellato ribellava ribelliamo ribellino
+ribellione ribellioni ribellismo ribera riberto ricada ricade ricalca ricalco ricama ricambi ricami
+ricamo ricart ricas ricattare ricattata ricattati ricattava ricatti ricava ricavi ricavo ricce
+ricchezze ricchione ricci riccia riccio ricconi ricercando ricercano ricercarci ricercare ricercarsi
+ricercata ricercate ricercati ricercatoper ricercatore ricercatori ricercavo ricerchi ricerco
+ricettari ricettario ricette ricettiva ricettive ricettivo ricetto ricettore ricettori ricev riceva
+ricevano ricevendo ricevente riceventi ricever ricevera riceverai riceverebbe riceverei riceveremo
+riceverete riceverla riceverle riceverlo ricevermi riceverne ricevesse ricevete ricevette ricevetti
+riceveun riceveva ricevevi ricevevo riceviamo ricevimenti ricevitor ricevono ricevuti richen richet
+richi richiam richiama richiamando richiamano richiamarla richiamarli richiamarono richiamarsi
+richiamarti richiamata richiamate richiamati richiamava richiamer richiamiamo richieda richiedano
+richiedendo richiedente richiedenti richieder richiederebbe richiedergli richiederli richiederlo
+richiedesse richiedeva richiedo richiedono richiese richiesero richiesti richiude richiusa richiuse
+richiuso richsen richton rickson ricofon ricoli ricolme ricolmo ricominci ricomincia ricominciai
+ricominciando ricominciano ricominciarla ricominciata ricominciati ricominciato ricominciava
+ricominciavo ricomincio ricompensare ricompensarlo ricompensata ricompensati ricompensato ricompense
+riconobbe riconobbi riconosca riconoscano riconoscendo riconoscente riconoscenti riconoscenza
+riconoscer riconoscerai riconoscerci riconoscerei riconoscereste riconoscergli riconoscerla
+riconoscerle riconoscerli riconoscerlo riconoscermi riconoscerne riconoscersi riconoscerti
+riconoscervi riconoscesse riconoscessi riconoscete riconosceva riconoscevo riconosciamo riconosciate
+riconosciet riconoscimenti riconosciute riconosciuti riconoscono riconta ricopra ricopre ricopro
+ricord ricordaa ricordai ricordalo ricordami ricordando ricordar ricordarci ricordaredi ricordargli
+ricordarla ricordarle ricordarli ricordarlo ricordarmelo ricordarne ricordarsi ricordartela
+ricordartelo ricordartene ricordarvi ricordasse ricordatevi ricordava ricordavamo ricordavano
+ricordavate ricordavi ricorder ricordiamo ricordino ricordoche ricorra ricorre ricorrer ricorro
+ricorsa ricorsi ricorso ricostruir ricostruirlo ricostruirmi ricostruirne ricostruirsi ricostruisce
+ricostruisci ricostruisco ricostruita ricostruite ricostruiti ricostruito ricotta ridania ridanno
+ridar ridarle ridarne ridas riday ridella ridelli ridendoci ridenti rideremmo riderne ridesta ridete
+ridette ridetti rideva ridevi ridia ridiamo ridiano ridicole ridicoli ridire ridium ridona ridonare
+ridosso ridotte ridotti riduca riduce riduci riduco ridurci ridurle ridurli ridurmi ridurne ridurr
+ridurrebbe ridursi ridusse riemp riempe riempi riempia riempiamo riempiano riempie riempiere
+riempievo riempii riempio riempioni riempiono riempir riempirci riempirebbe riempirla riempirle
+riempirli riempirlo riempirmi riempirne riempirono riempirsi riempirsto riempirvi riempita riempite
+riempitela riempiti riempitivi riempiva riempivi riempivo riental rientee rientr rientrai rientrando
+rientrano rientranti rientranza rientrarono rientrassi rientrata rientrate rientrati rientrato
+rientrava rientravi rientrer rientri rientrino rienza riescano riese riesi rifanno rifar rifarai
+rifarci rifarei rifaremo rifarla rifarmi rifarsi rifarti rifatta rifatte rifatti rifatto riferiamo
+riferimenti riferir riferirci riferire riferirmi riferirsi riferisca riferiscono riferisse riferissi
+riferita riferite riferiti riferiva riferivo rifida rifiut rifiutai rifiutando rifiutano rifiutarci
+rifiutarlo rifiutarsi rifiutate rifiutati rifiutava rifiuter rifiutiamo riflessa riflesse riflessi
+riflessiva riflessive riflessivi riflessivo rifletta riflettano riflette riflettei riflettendo
+riflettente riflettenti rifletter rifletterai rifletterci rifletterla rifletterono riflettersi
+riflettervi riflettete rifletteva riflettevi riflettevo rifletti rifletto riflettono riflettore
+riflettori riflettutto rifugge rifugi rifugia rifugiamo rifugiata rifugiate rifugiati rifugiato
+rifugiava rifugiavo rifuto rigato righelli righello righine righino righton rights riguard
+riguardando riguardante riguardanti riguardare riguardarle riguardarlo riguardarvi riguardasse
+riguardate riguardato riguardava riguardavo riguarder riguardino rilanci rilascer rilasci rilascia
+rilasciala rilasciando rilasciano rilasciarle rilasciata rilasciate rilasciati rilasciava rilassa
+rilassano rilassante rilassanti rilassarci rilassare rilassarmi rilassarsi rilassata rilassate
+rilassatevi rilassato rilassiamo rilasso rilegge rileggi rileggo rilento riletta rilette riletti
+riletto rilev rileva rilevando rilevano rilevanti rilevanza rilevanze rilevare rilevarli rilevarne
+rilevasse rilevata rilevate rilevati rilevatore rilevatori rilevaun rilevo rimadi rimaldi rimanda
+rimandando rimandano rimandarebbe rimandarle rimandarlo rimandarmi rimandata rimandate rimandati
+rimandato rimandava rimandi rimando rimaneil rimanemmo rimanendo rimanente rimanenti rimanenza
+rimanerci rimanerne rimanervi rimanesse rimanessi rimaneva rimanevi rimanevo rimangano rimaniate
+rimano rimarca rimare rimarr rimarranno rimarremo rimarrete rimasero rimasi rimastoci rimea rimedi
+rimediando rimediato rimes rimessa rimesse rimessi rimetta rimette rimettendo rimetter rimetterci
+rimetterebbe rimetterla rimetterlo rimettermi rimettersi rimetterti rimettesse rimetteva rimettiamo
+rimetto rimettono rimonta rimorchi rimorsi rimoss rimossa rimosse rimossi rimuove rimuovendo
+rimuover rimuoverai rimuoverebbe rimuoverla rimuoverli rimuoverlo rimuoverne rimuovesse rimuovo
+rimuovono rinchiuda rinchiude rinchiuse rinchiusero rinchiusi rinforza rinforzano rinforzare
+rinforzata rinforzate rinforzati rinforzato rinforzo ringgit ringhia ringia ringles ringrazi
+ringraziai ringrazialo ringraziamenti ringraziando ringraziano ringraziarli ringraziarlo ringraziate
+ringraziati ringraziato ringrazier rintraccia rintracciano rintracciarci rintracciarlo rintracciarmi
+rintracciatele rintracciati rinunci rinuncia rinunciai rinunciamo rinunciando rinunciano rinunciarci
+rinunciaread rinunciarvi rinunciate rinuncio ripaga ripaghi ripara riparai riparando riparano
+ripararci ripararla ripararlo ripararmi ripararono ripararsi riparata riparate riparati riparato
+riparava ripari riparla riparler ripart riparta riparte riparti ripartiamo ripartir ripartirebbe
+ripartiremo ripartite ripartito ripartiva riparto ripartono ripassa ripassi ripasso ripensa ripensi
+ripenso ripesca ripet ripeta ripetano ripete ripetei ripetendo ripetenti ripeter ripeteremo
+ripeterla ripeterle ripeterli ripeterlo ripetermi ripetersi ripeterti ripetesse ripetete ripetette
+ripeteva ripetevi ripetevo ripetiamo ripetono ripetuta ripetute ripetuti ripetuto ripodi ripodo
+ripoli ripone ripongo riponi riporla riporle riporli riporlo riporre riporso riport riportami
+riportando riportano riportante riportanti riportarci riportarla riportarle riportarli riportarmi
+riportarsi riportarvi riportata riportate riportati riportava riporter riportiamo ripos riposando
+riposano riposante riposanti riposarci riposarmi riposarsi riposato riposavi ripose riposiamo
+riposino riposta riposte riposti riposto riprenda riprende riprendemmo riprendendone riprender
+riprenderai riprenderci riprenderebbe riprenderemo riprenderla riprenderlo riprendermi riprendersi
+riprenderti riprendesse riprendeva riprendi riprendo riprendono ripresenta ripresenti ripresero
+ripresi ripresosi riprova riprovo ripulii ripulirli ripulirlo ripulirsi ripulitura risacca risaie
+risal risalendo risalente risalenti risalga risalgo risaliamo risalirci risalita risalite risalito
+risaliva risalivo risalta risalti risalto risaluta risana risanto risas risatina risatine riscalda
+riscaldamenti riscatta riscattare riscattata rischiammo rischiamo rischiando rischiano rischiara
+rischiarare rischiarata rischiarono rischiasse rischiate rischiava rischiavo rischier rischiosa
+rischiose rischiosi risci riscito riscoll riscontra riscontrano riscontrare riscontrata riscontrate
+riscontrati riscontrato riscontri rise risen risent risenta risente riserbo risero riserv riservano
+riservarci riservare riservarsi riservate riservati riservava riserve riserver riservo risolino
+risollev risolse risolta risolte risolti risoluta risoluti risoluto risolva risolvano risolve
+risolvendo risolver risolverai risolverebbe risolveremo risolvergli risolverla risolverli risolverlo
+risolverne risolversi risolverti risolveva risolvevo risolvi risolvo risolvono risomia risonanze
+risoni risorge risorger risorta risorto risorura risotti risotto risparmia risparmiaci risparmiamo
+risparmiando risparmiano risparmiarci risparmiargli risparmiarla risparmiarti risparmiata
+risparmiate risparmiati risparmiatore risparmiatori risparmiava risparmiera risparmio rispento
+rispett rispettabili rispettabilit rispettai rispettalo rispettando rispettano rispettarla
+rispettarle rispettarli rispettarlo rispettarne rispettarsi rispettata rispettate rispettati
+rispetter rispettiamo rispettino rispettiva rispettive rispettivi rispettivo rispettosa rispettose
+rispettosi rispettoso rispondano rispondendo rispondente rispondenti rispondenza risponder
+risponderci risponderebbe risponderei risponderemo risponderesti rispondergli risponderle
+rispondermi risponderne rispondero risponderti rispondervi rispondesse rispondeva rispondevi
+rispondevo rispondiamo risposa risposato rispose risposero risposi rispostacce rispostogli riss
+rissom rissoso rissy ristora ristorantini ristorantino ristorarci risul risult risultai risultando
+risultano risultante risultanti risultanze risultare risultarti risultasse risultata risultate
+risultatowow risultava risulter risulti risultino risulto risuon risuona risuoni ritagli ritain
+ritarda ritardano ritardare ritardata ritardatari ritardi ritegno riten ritene ritenere ritenete
+riteneva ritenevo ritenga ritengano ritengono ritenne ritenni ritentai ritenti ritenuta ritenute
+ritenuti ritenuto riterr riticum ritidi ritieni ritinti ritinto ritir ritira ritirami ritirammo
+ritirando ritirano ritirar ritirarci ritirarla ritirarli ritirarne ritirarono ritirarsi ritirarti
+ritirasse ritirate ritiratela ritirati ritirava ritiravo ritirer ritiri ritirino ritirr ritmata
+ritmate ritmati ritmato ritmi ritmici ritocco riton ritone ritorn ritornando ritornano ritornarci
+ritornarono ritornarti ritornasse ritornata ritornate ritornati ritornava ritornavi ritorner
+ritorniamo ritornino ritorta ritorto ritova ritrae ritraeva ritragga ritraggo ritrarla ritrarre
+ritrarsi ritrassi ritratta ritrattare ritrattato ritratte ritratti ritriti ritroso ritrov ritrova
+ritrovai ritrovammo ritrovando ritrovano ritrovarci ritrovarla ritrovarli ritrovarlo ritrovarmi
+ritrovarono ritrovarsi ritrovarti ritrovarvi ritrovassi ritrovate ritrovati ritrovava ritrovavi
+ritrovavo ritrover ritroviamo ritroviate rituali ritualit rituffa riun riuniamo riunir riunirci
+riunire riunirsi riunisce riunita riunitasi riunite riunitesi riunito riuniva riusc riusce riusciate
+riuscii riuscir riusciranno riuscirebbe riusciremmo riusciresti riuscirete riuscirono riuscisse
+riuscissero riuscissimo riusciste riuscivamo riuscivano riuscivi rivago rivali rivalit rivalsa
+rivalse rivaluta rivedano rivede rivedendo riveder rivederle rivederli rivederlo rivederne rivedersi
+rivedervi rivedesse rivedessi rivedete rivedevo rivedi rivedo rivedono rivedr rivedrai rivedrebbe
+rivedrei riveduta riveduto rivel rivela rivelando rivelano rivelarci rivelarla rivelarle rivelarlo
+rivelarmi rivelarne rivelarono rivelarsi rivelarti rivelarvi rivelata rivelatasi rivelate rivelati
+rivelatisi rivelatomi rivelatore rivelatori rivelatosi rivelava riveler riveli rivelino rivelo
+rivende rivento riverire rivers riversa riverso riveste rivide rivier riviera rivisiti rivisti
+riviszie rivive rivivo rivogliono rivoleva rivolga rivolge rivolgi rivolgo rivolle rivolse rivolt
+rivoltarci rivoltare rivoltarsi rivoltata rivoltati rivolte rivolti rivoltosi rivoluzion rivoluziona
+rivoluzionano rivoluzionare rivoluzionari rivoluzionata rivoluzionate rivoluzionato rivoluzioner
+rivoluzioni roadmap roadway robath robba robe roberger robetta robette robiola robotic robotica
+robotici robotico robotics robots rocche rocciosa rocciose rocciosi roccioso rocker rocket rockner
+rocks rollbar rollino rollio rollout romagna romance romane romania romanico romanista romanisti
+romantiche romantici romanticona romanticoni romanus romanza romanzata romanzato romanzi romanzina
+romanzola romena romeni rometeo rompa rompano rompendo romper romperci romperle rompermi rompersi
+romperti rompesse rompete rompeva rompi rompia rompico rompo rompono ronn rosacee rosari rosario
+rosata rosato rosea rosee rosei roseo rosera roses rosico rosina rosper rospi rosseto rossetti
+rossicce rossicci rossing rossini rossman rossobl rossoblu rossore rossori roteano roteare roteava
+rotella rotest rotesto rotolabs rotolano rotoler rotolini rotolo roton rotonda rotonde rotondi
+rotondo rottama rottame rottami rotture route router routing rovescer rovesci rovesciando rovesciare
+rovesciarlo rovesciasse rovesciata rovesciate rovesciati rovesciato rovescio roviam rovin
+rovinandosi rovinano rovinarci rovinarle rovinarlo rovinarmi rovinarsi rovinarti rovinarvi rovinate
+rovinati rovine roviner rovinino rovinosa rovinose rovinza rovist rovista roya royalty rubai rubano
+rubarci rubargli rubarle rubarlo rubarne rubarono rubarti rubasse rubatemi rubava rubavo rumor
+rumoreche rumorosa rumorose rumorosi rumoroso rumors ruol ruoli ruot ruotando ruotano ruotare
+ruotarla ruotata ruotate ruotati ruotato ruotava ruoter ruoti ruotino rusher russando russardi
+russare russavo russe russels russiamo rustava rustic rustica rusts ryant sabati sabauda sabaude
+sabaudo sabbath sabbie sabbiosa sabbiose sabbioso sacche saccheggi sacchetti sacchettino sacerdotale
+sacerdotessa sacerdoti sacerdozio sacrale sacrali sacralit sacrario sacre sacri sacrifi sacrifica
+sacrificale sacrificali sacrificando sacrificano sacrificarci sacrificarli sacrificarsi sacrificarti
+sacrificata sacrificate sacrificati sacrificher sacrifizio sadica sadiche sadici sadico sadismo
+sagge saggezze saggi saggiarne saggiato saggista saggisti sain salacca salama salame salami salare
+salari salario salassi salasso salata salate salati salato sales saletta salgano salgono salice
+salici saliera salii saline salinit salir salirai salirci salirebbe salirgli salirlo salirmi
+salirono salis salisse saliti saliva salivo sall saloni saloon salotti salottini salottino salse
+salsiccee salsina salt saltado saltar saltarci saltarello saltateli saltavo saltiamo salubre salumai
+salumi salut salutai salutami salutando salutano salutarci salutari salutarla salutarle salutarlo
+salutarmi salutarono salutarsi salutarvi salutata salutati salutato saluteme saluter saluterai
+salutiamo salutismo salutista salutisti salv salvale salvami salvando salvano salvarci salvarle
+salvarli salvarne salvarono salvarsi salvataggi salvate salvatica salvatori salvatosi salver salvera
+salvezze salvia salviamo salvino sanare sanata sanati sanc sancire sancita sancite sanciti sancito
+sanciva sancta sandali sandalo sandbox sang sanguee sanguigna sanguigne sanguigni sanguina
+sanguinano sanguinante sanguinare sanguinari sanguinaria sanguinarie sanguinario sanico sanit sanita
+sanitari sanitarie sanitario sant santiato santin santini santino santista santit santone sape
+sapendole sapendolo sapendone sapendosi saperci sapereci saperi saperla saperle saperli sapernedi
+sapersela saperti sapessimo sapeste sapev sapevatelo saponetta saponi saponine sapori saporie
+saporita saporiti saporito sappiateci sappiatelo sappiatemi sappimi sapr saprebbero sapremmo
+sapreste saprete saputa saputi saran sashimi sass sassate sassi sassone satanassi satanasso satanici
+satanico satellitare satellitari satelliti sbagliamo sbagliandomi sbagliano sbagliaredi sbagliarmi
+sbagliarne sbagliatore sbagliava sbagliavamo sbagliavano sbaglier sbaglisi sballare sballata
+sballati sballato sbalzi sbalzo sbarb sbarca sbarchi sbarco sbarr sbarra sbarrare sbarrata sbarrati
+sbarrato sbarrava sbarri sbarro sbatte sbattendo sbatter sbatterci sbatterla sbatterle sbattersi
+sbatteva sbatti sbattila sbatto sbattono sbattuta sbattute sbattuti sbatty sbirci sbircia sbircio
+sbrigarsi sbrigata sbrigate sbrigativa sbrigative sbrighiamo sbrigo sbronzai sbronzarmi sbronze
+sbronzi sbronzo scac scacchiera scacchiere scacchieri scacci scaccia scacciar scaccino scaccio
+scacco scada scade scadendo scadente scadenti scadenze scadere scadeva scadono scadr scaduta scadute
+scaduti scalando scalano scalare scalarla scalarle scalaso scalata scalati scalato scalcia scald
+scalder scaldi scaldo scaletta scalette scaling scalini scalino scalo scalone scalpi scalso scaltra
+scaltre scaltri scaltro scalza scalzo scam scambi scambia scambiammo scambiamo scambiando scambiano
+scambiarci scambiarla scambiarli scambiarsi scambiata scambiate scambiatelo scambiati scambiatore
+scambiava scambismi scampi scampia scampo scandali scandalosa scandalose scandalosi scandaloso
+scandir scandire scandita scandite scanditi scandito scandiva scapito scapola scapole scapolo scapp
+scappano scappar scapparesu scapparne scapparono scappatelle scappatoie scappava scappavo scapper
+scappo scaricamo scaricando scaricano scaricarla scaricarle scaricarli scaricarlo scaricarmi
+scaricarne scaricarsi scaricarvi scaricata scaricate scaricatevi scaricati scaricatone scaricatore
+scaricava scaricavo scariche scarichi scarna scarne scarni scarno scarpata scarpate scarpetta
+scarpette scarpini scarponi scarsa scarse scarsi scarsit scarso scarta scartai scarti scarto scaten
+scatena scatenando scatenano scatenante scatenanti scatenare scatenarla scatenarsi scatenata
+scatenate scatenati scatener scateni scatenpo scati scatolame scatolata scatoletta scatolette
+scatolina scatoline scatolo scatolone scatoloni scatt scatta scattai scattando scattano scattante
+scattanti scattarla scattarle scattarmi scattarsi scattasse scattate scattati scattava scattavi
+scattavo scatter scatti scatur scav scava scavalla scavando scavano scavarsi scavata scavate scavato
+scavava scavi scavo scegliamo scegliendo sceglier sceglierai sceglierci sceglieremmo sceglieremo
+sceglierete sceglierli sceglierlo scegliermi sceglierne scegliersi scegliersii scegliesse scegliete
+sceglieva sceglievo sceglile scegline scelga scelgano scelgono scelse scelsi sceltaun scelti
+scemando scemato sceme scemi scempi scempio scenari scenarios scenata scenate scend scendemmo
+scender scenderebbe scenderemo scenderle scendesse scendeva scendevi scendevo sceneggiata
+sceneggiati sceneggiato sceneggiatore sceneggiatori sceneggiature scenetta scenette scenica scenici
+scentis sceriffi scesoun scheck schedate schede schedina schedine schedula schedule schegge schei
+scherma schermare schermata schermate schermato schermava schermi scherni scherno scherz
+scherzandoci scherzano scherzassi scherzate scherzato scherzava scherzavamo scherzavano scherziamo
+scherzosa scherzose scherzosi scherzoso schiacci schiaffa schiaffi schiaffone schianta schiantano
+schiantare schiantata schiantati schiantato schianter schianti schiappa schiar schiatta schiave
+schiavismo schiavista schiaviste schiavisti schiavit schienale schienali schiene schier schiere
+schierer schiero schietta schietto schifano schifare schifata schifati schifato schifezze schiforma
+schifose schifosi schilo schiude schiudo schiume schiusa schiva schivar schive schivi schivo schizz
+schizza schizzi schizzo schmodo scialba scialbi scialbo scialle scialli sciame sciapa sciapo
+sciarada sciarade sciari sciarpe sciatta sciatte sciatti sciatto sciavi scie scien science scienti
+scientific scientifiche scientifici scientificit scienziata scioccando scioccante scioccanti
+scioccata scioccati scioccato sciocche sciocchi sciogli sciolga sciolgo sciolse sciolta sciolte
+sciolti sciolto scioperano scioperi scirocco sciroppati sciroppato sciroppi sciropposo scoiattoli
+scolastiche scolastici scommessi scommette scommettendo scommetterebbe scommetteremo scommetterlo
+scommettesse scommettono scompaia scompaio scompar scomparendo scompari scomparir scomparirebbe
+scomparisse scomparti scomparto scomparve scompone scomponi scona sconce sconcio sconfigge
+sconfiggendo sconfiggeremo sconfiggerle sconfiggerli sconfiggerlo sconfiggerti sconfina sconfisse
+sconfitte sconfitti sconosciute scont sconta scontando scontano scontanto scontare scontata scontate
+scontati scontr scontra scontrai scontrano scontrare scontrata scontrate scontrati scontrava
+scontrer scontri scontrini scontrino scontrolla scontrosa scontrosi scontroso sconvolge sconvolger
+sconvolti scopando scopano scoparmi scoparsi scoparti scopate scopava scopavo scope scopertosi
+scopetta scopone scoppi scoppia scoppiai scoppiammo scoppiando scoppiano scoppiarono scoppiasse
+scoppiata scoppiate scoppiati scoppiato scoppiava scoppier scoppio scopr scoprano scoprendo
+scopriamolo scoprii scoprile scoprimmo scoprir scoprirci scoprirebbe scopriremmo scoprirete
+scoprirla scoprirle scoprirli scoprirmi scoprirne scoprirono scoprissi scoprissimo scoprite scopriva
+scoprivi scoprivo scorci scorcio scord scorda scordando scordano scordar scordarci scordare
+scordarli scordarlo scordarsi scordarti scordarvi scordata scordate scordatevi scordati scordavo
+scorder scordi scordo score scorer scorge scorgi scorgo scorie scoring scorra scorrano scorregge
+scorrendo scorrer scorrere scorrerie scorrerli scorrermi scorresse scorrete scorretta scorrette
+scorretti scorretto scorreva scorro scorrono scorse scorsoero scortano scortare scortate scortati
+scortato scortesi scorto scorza scosse scossero scossi scosso scossone scossoni scotta scottati
+scottato scotte scotto scouse scouting scoutone scri scriba scribi scrictu scrigni scrigno script
+scripts scrissero scritdel scritivi scrittoio scrittorer scrittori scrittoria scrittra scritturale
+scritturata scritturato scritture scrivanie scrivendoci scrivendogli scrivendola scrivendolo
+scrivendone scrivente scriventi scriverebbe scriverei scriveremmo scriveremo scriverete scrivergli
+scriverla scriverle scriverli scriverlo scriverne scrivero scrivessi scrivete scriveva scrivevi
+scrivevo scriviate scrivici scrivila scrivimi scrizzi scudiero scula scuocee scuote scuoti scuoto
+scurire scurolo scusano scusante scusanti scusarono scusato scuser scuserei scusiamo seas seccano
+seccante seccanti seccare seccarli seccarsi seccata seccato secche secchi secchiata secchiate
+secchione secchioni secola secolare secolari second secondari secondaria secondarie secondario
+secondata seconde secondini secondino secretate secrete secreti secrets sedemmo sedente sederci
+sederemmo sederi sederini sedervi sedete sedette sedetti sedeva sedevo sedi sediamo sedili sedua
+seduce sedurre segacci segale segano segare segate segnai segnal segnala segnalano segnalare
+segnalata segnalate segnalati segnalato segnalava segnalazioni segnaler segnaliamo segnalibri
+segnalibro segnalo segnano segnarci segnarli segnarmi segnarsi segnasse segnata segnati segnatura
+segnava segnavi segner segnico segretari segretarie segretata segreterie segretezza segretino segu
+seguace seguaci seguano seguendole seguendolo seguendomi seguendoti seguenti seguenze segugi segugio
+seguici seguii seguimmo seguirci seguirei seguirete seguirsi seguirti seguirvi seguisse seguissi
+seguitato seguiteci seguitelo seguitl seguiva seguivo segunda sellami sellava seller sellers selling
+sellini sellino selva selvagge selvaggina sembr sembraba sembran sembrando sembrarci sembrarmi
+sembrarti sembrasse sembrati sembravamo sembravo sembrer sembreranno sembrerebbero sembrerei
+sembriamo sembrino semente sementi semenza semenze semestrale semestrali semestri semicit semidei
+semidio semina seminale seminali seminando seminano seminar seminare seminari seminariale
+seminariali seminarlo seminarono seminati seminato seminava semine semino sempe semper semplcit
+semplicememte semplicismo semplicista semplicit semplicita sempr semprato semprecch semprepi senape
+senatori senatur senatus senn senor sensata sensate sensati sensato sensazion sensazionale
+sensazionali sense sensibili sensibilis sensibilit sensibilita sensing sensore sensoria sensoriale
+sensoriali sensorie sensorio sensors sensu sent sentano sentche sentendo sententi sentenze sentenzi
+sentenzia sentepi sentiate sentieri sentila sentiment sentimentali sentimmo sentir sentiranno
+sentirci sentirebbe sentirei sentiremmo sentiremo sentires sentireste sentiresti sentirete sentirgli
+sentirle sentirli sentirloo sentirmela sentirmelo sentirmene sentirne sentirono sentirselo sentirvi
+sentisse sentissi sentisti sentitevi sentivamo sentivano sentivate sentivi sentore sentori senz
+senzatempo separa separalo separammo separando separano separarci separare separarla separarli
+separarlo separarmi separarsi separata separatezza separatismo separatiste separatisti separato
+separatore separatori separava separavo separazioni separi sepolcri sepolcro sepolte sepolti
+sepoltura sepolture seppellir seppellirlo seppellirsi seppellita seppellite seppelliti seppellitori
+sequel sequela sequele sequence sequendo sequentur sequenze seradi serale serali seran serapu
+seratae serate serato seratone serauna serbatoi serenata serenate serene sereni serenit serenita
+sereno seriale seriali serialit serials serico series seriet serif seriosa seriosi serioso serpe
+serpentina serpentone serrata serrate serrati serrato serrature serv servano servant servendo
+serventi serverone service services servigi servigio servii servile servili servir servirci
+servirebbero servirla servirli servirlo servirmi servirono servirsi servirti servissero servit
+servite serviteli servitore servitori servivo sessa sessant sessi session sessioni sessismo sessista
+sessiste sessisti sessuadal sessual sessualit sessuato sesta sestesi setacci sett settaggi settando
+settant settanta settare settari settaria settario settate settato settembrina settemila settima
+settimanae settimanale settimanali setting settori sezionare sezionati sezionato sezioni sfere
+sferica sferici sferico sferr sferza sferze sfidando sfidano sfidante sfidanti sfidare sfidarlo
+sfidarmi sfidarne sfidarsi sfidarvi sfidate sfidati sfidato sfidava sfide sfider sfidi sfido sfiga
+sfigata sfighe sfigura sfil sfila sfilai sfilando sfilano sfilare sfilarle sfilate sfilati sfilatino
+sfilato sfili sfilo sfilza sfonda sfondano sfondare sfondate sfondati sfondato sfondi sfondoni
+sfondp sfonna sforare sfori sforna sfortunata sfortunate sfortunati sfortune sforz sforza sforzai
+sforzano sforzata sforzate sforzati sforzato sforzavo sforzer sfrutt sfrutta sfruttando sfruttano
+sfruttanti sfruttarla sfruttarle sfruttarli sfruttarlo sfruttarne sfruttarono sfruttata sfruttate
+sfruttati sfruttato sfruttava sfruttavo sfrutter sfrutti sfrutto sfugg sfugga sfuggano sfuggendo
+sfuggente sfuggenti sfuggi sfuggir sfuggirci sfuggirete sfuggirle sfuggirmi sfuggisse sfuggita
+sfuggite sfuggiti sfuggiva sfuggono sgradevoli sgualdrine sguardi sguazza sguazzo shant sharare
+share sharia sharing sharq shelf shell sherpa shingar shinobi shirt shockato shocking shoppare
+shower showman siam siamesi siamoa siamola sian siateci siatllo siccit sicurezzdi sicurezze sidecar
+sidente sieder siederai siedono sigari sigill sigilla sigillare sigillate sigillati sigillato
+sigillava sigilli signi signific significando significante significanti significanza significasse
+significati significativa significative significativi significativo significavano significher
+significherebbero significhino signo signorie signorile signorili signorn signors signup silence
+silent silente silenti silenzi silenzia silenziare silenziata silenziato silenzii silenzionso
+silenzioper silenziosa silenziose silenziosi silenziosit silenzo silvio simbol simboli simbolica
+simbolici simbolico simbologia simbologie simil simila similari similes similia similibus similie
+simona simov simpa simpatia simpatiche simpatici simpaticone simpatie simpatizza simpatizzo sincerai
+sincerare sincerarmi sincerarsi sincerato sincere sincerit sincerita sinch sindaca sindacale
+sindacali sindacando sindacare sindacati sindaci sindaic sindromi singap singing singlepic singleton
+singoers singolare singolari singolarit singole singoli singolone sinistre sinistri sinistroide
+sinistrosit sinistto sinopia sinora sinossi sintesi sinti sintomo sintonia sistem sistemacon
+sistemando sistemano sistemarla sistemarle sistemarli sistemarlo sistemarsi sistemarti sistemate
+sistemateli sistemati sistematica sistematici sistematico sistematoria sistemavo sistemer sistemiamo
+sistemica sistemiche sistemici sistemico sistemino sistemisti sistemoni sistems sistendi sistole
+situazionista situazionisti skippare smessi smet smettano smettendo smetter smettera smetterai
+smetterei smetteremmo smetteremo smettereste smetteresti smettesse smettete smetteva smettevi
+smettevo smettiamo smettiate smetto smettono smoke smokes smokey sobre sobri sobria sobrie sobriet
+soccombe soccorre soccorse soccorsi socia socialini socialismo socialista socialiste socialisti
+socializza socializzo socials socie societ societari societaria societarie societario societas
+sociolgo socius sodale sodali soddisfa soddisfano soddisfarla soddisfarle soddisfarlo soddisfarne
+soddisfarvi soddisfate soddisfatte soddisfatti soddisfazioni soddisfer soddisfi soddisfino sodomia
+sofferente sofferenti sofferma soffermer soffermi soffermo sofferta sofferte soffi soffiamo
+soffiando soffiano soffiarci soffiare soffiarle soffiate soffiati soffiato soffiatori soffiava
+soffice soffici soffio soffione soffioni soffitte soffitti soffoca soffoco soffra soffrano
+soffrendone soffri soffriamo soffrir soffriremo soffrirla soffrirne soffrite soffritto soffriva
+soffrivo soffrono soffusa soffuse soffuso sofismi sofismo sofista sofisti softwarr softwere soggetta
+soggette soggettiva soggettive soggettivi soggettivit soggettivo soggettone soggioga soggiorn
+soggiorna soggiornano soggiornare soggiornato soggiornava soggiorner soggiorni soglie soglio
+sogliono sognammo sognano sognante sognanti sognarlo sognassi sognata sognate sognatore sognatori
+sognavi sognavo sogniamo solai solaio solamedio solaredge solari solarit solarium solatia sold
+soldados soldatini soldatino soldini soldino soldoni solea solegni solenne solenni solerte solerti
+soles soletto soleva soliamo solida solidale solidali solide solidi solidit soliito solinga solingo
+solis solista solisti solitari solitarie solitarii solitudini solletica solleticano solleticata
+solleticato solleticava sollev solleva sollevando sollevano sollevarci sollevarlo sollevarne
+sollevarono sollevarsi sollevarti sollevasse sollevata sollevate sollevati sollevava sollever
+sollevi sollevo solola soloni solose soltantoa soluzioni somigli somigliano somigliante somiglianti
+somiglianza somiglianze somigliare somigliasse somiglino sommando sommano sommare sommari sommaria
+sommarie sommario sommarle sommarlo sommarsi sommata sommate sommati sommato sommava sommavo somme
+sommi sommino sommit sommo sondaggi sondato sonde soniche sonni sonola sonora sonore sonori sonorit
+sonoro sopport sopporta sopportando sopportano sopportarla sopportarli sopportarne sopportarsi
+sopportata sopportate sopportati sopportato sopportava sopportavo sopporti soprannomen soprannomi
+soprano soprat soprattuto soprattuttod soprav sopravvissute sopravviva sopravvive sopravvivendo
+sopravviventi sopravviver sopravviverei sopravviveremo sopravviverete sopravviveva sopravvivevo
+sopravvivi sopravvivono sopravvivr sopresa soprese soprusi sopruso sorda sorde sordida sordidi
+sordido sordina sordit sorellanza sorelline sorprenda sorprendendo sorprendenti sorprender
+sorprenderci sorprendere sorprenderlo sorprendermi sorprendersi sorprenderti sorprendervi
+sorprendevo sorprendi sorprendo sorprendono sorpresero sorpresi sorpresona sorreta sorri sorrida
+sorridano sorridendo sorridente sorridenti sorrider sorriderci sorrideremo sorriderete sorriderti
+sorridervi sorrideva sorridevi sorridiamo sorrido sorridono sorrise sorrisero sorrisi sorrisini
+sorrisino sorrisone sorry sorsero sorsi sortami sortare sorteggi sorti sortire sortita sortito
+sorveglia sorvegliano sorvegliante sorveglianzrsi sorvegliare sorvegliarmi sorvegliata sorvegliati
+sorvegliato sorvegliava sospende sospendi sospendo sospensioni sospero sospesa sospese sospesi
+sospettano sospettare sospettata sospettate sospettavo sospette sospettosa sospettosi sospettoso
+sospinge sospinta sospinte sospinti sospinto sospir sospirai sospirando sospirano sospirato sospiri
+sospiro sospirone sostante sostanzedi sostare sostato soste sostegni sostenemmo sostenendo
+sostenerci sostenerla sostenerle sostenerli sostenerlo sostenermi sostenerne sostenerti sostenesse
+sostenete sosteneva sostenga sostengo sostenne sostenta sostenuta sostenute sostenuti sostenuto
+sosterr sostieni sostitu sostituir sostituirci sostituirei sostituirla sostituirli sostituirlo
+sostituirmi sostituirne sostituirsi sostituirvi sostituisca sostituisce sostituisci sostituisco
+sostituita sostituite sostituiti sostituiva sostituta sostituti sostitutiva sostitutive sostitutivi
+sostitutivo sott sotta sottana sottano sotterra sotterranea sotterranee sotterranei sotterrare
+sotterrata sotterrate sotterrati sotterrato sottesa sottesi sotteso sottili sottofondi sottofoni
+sottoforma sottomarca sottomarina sottomarine sottomarini sottoso sottost sottotemi sottotesti
+sottotesto sottotetto sottotitolata sottotitolate sottotitolati sottotitolato sottotitolava
+sottotitolo sottrae souvenirs spaccando spaccano spaccare spaccarla spaccarsi spaccarti spaccata
+spaccate spaccati spaccatura spaccature spaccher spacchi spacci spaccia spacciare spacciata
+spacciate spacciati spacciato spacciatoci spaccini spaccino spaccone space spaces spacio spadella
+spadone spaghettata spaghettini spaghetto spaghi spaglio spagnola spagnole spagnoli spago spala
+spalanc spalare spalato spallacci spallata spallate spalledi spalletta spallina spalline spallini
+spalma spalmer spalmo spalti sparandomi sparaneve spararla spararono spararsi spararvi sparata
+sparategli sparati sparatore sparatorie sparava sparge spariamo sparir sparirebbe sparirmi sparisca
+spariscano sparisce sparisco spariscono spariva sparivan sparla sparsa sparse sparsi sparso sparte
+sparti sparuta sparute sparuti sparuto spasimi spasmi spasmo spassa spassata spassosa spassose
+spassoso spavent spaventano spaventarci spaventarli spaventarmi spaventarti spaventarvi spaventasse
+spaventate spaventatevi spaventava spaventose spaventosi spazia spaziali spazialit spazialita
+spaziamo spaziando spaziano spaziare spaziate spaziato spaziava spaziore spaziosa spazioso spazz
+spazza spazzata spazzate spazzati spazzato spazzer spazzola spazzolano spazzolare spazzole specchi
+specchia specchiano specchiare specchiata specchiate specchiava specchier specchiera specchiere
+specco special specialia specialist specialisti specialistica specialistici specialistico specialit
+specialita specializza specieall species specific specifica specificano specificare specificata
+specificate specificati specificato specifiche specifici specificit specioso speclo spectra spectre
+specula sped spediamo spediremo spedirla spedisce spedisco spedita spedite spediti spediva
+spedizioni spegnare spegne spegnendo spegner spegnerla spegnerli spegnerlo spegnersi spegnesse
+spegnete spegneva spegnevo spegniamo spenda spende spendendo spender spenderci spenderei spenderlo
+spendersi spendete spendeva spendevo spendi spendida spendidi spending spendo spendono spenga
+spenger spengo spense spensi spenta spente spenti sperance sperano speranzosa speranzosi speranzoso
+sperarlo sperata sperate sperava speravano speravate speravi sperde sperger speriando sperone
+speroni spesone spessa spesse spessi spessore spessori spettacolari spettacolino spettai spettami
+spettanti spettatore spettri spettro spezz spezza spezzando spezzano spezzarla spezzarmi spezzarsi
+spezzarti spezzata spezzate spezzati spezzatino spezzava spezzer spezzi spezzo spezzone spezzoni
+spiacevoli spiagge spiaggianti spiaggiate spiaggione spiana spiando spiano spiarli spiarlo spiarmi
+spiarti spiata spiate spiato spiava spiazza spiazzo spiedo spieg spiegagli spiegai spiegale spiegami
+spiegando spiegano spiegar spiegarci spiegargli spiegarla spiegarle spiegarli spiegarmelo spiegarne
+spiegarono spiegarsi spiegartelo spiegarvi spiegasse spiegata spiegate spiegatemi spiegati spiegava
+spiegavo spiegher spiegherebbero spiegheremo spieghiamo spieghino spiegone spiegoni spikes spin
+spinaci spinale spinato spine spinga spingano spingendo spinger spingerci spingerebbe spingerei
+spingerla spingerle spingerli spingerlo spingermi spingersi spingerti spingervi spingesse spingete
+spingeva spingevi spingo spingono spinosa spinose spinosi spinoso spinse spinsi spintone spintoni
+spirale spirali spire spiritati spiritica spiritiche spiritosa spiritose spiritosi spiritual
+spirituali spiritualit spiritus splenda splende splendere splendeva splendide splendidi spogliarelli
+spogliarelliste sponda sponiti sponsale sponsored sponta sponte sporcando sporcano sporcarci
+sporcare sporcarlo sporcarmi sporcarsi sporcarti sporcata sporcati sporcato sporcava sporchedi
+sporcher spore sporga sporge sporgo sportelli sportiva sportive sportivi sportivit spos sposando
+sposano sposarla sposarono sposarvi sposate sposatevi sposava sposer sposiano sposini sposito spost
+spostando spostano spostarci spostarla spostarle spostarlo spostarmi spostarono spostarsi spostarti
+spostassi spostata spostatasi spostate spostatosi spostava spostavi spostavo sposter spostino spoti
+spotify spotter spranga sprawl sprazzi sprazzo spread spreca sprecano sprecarla sprecata sprecate
+sprecati sprechi spree spregio spreli sprelle spremi sprezzo spugne sputando sputano sputare
+sputarle sputarlo sputata sputate sputati sputato sputazza sputi sputino sputo squadr squadrare
+squadrarmi squadrata squadrate squadrati squadrato squadretta squadrette squadri squadro squadrone
+squadroni squame squarci squarcia squarcio squarda squat squawk squilino squillando squillante
+squillanti squillare squillasse squillato squiller squilli stabil stabilendo stabili stabiliamo
+stabilir stabilirlo stabilirne stabilirono stabilirsi stabilisce stabilisci stabilisse stabilit
+stabilite stabiliti stabiliva stabilizza stabilizzi stable stac stacc stacca staccando staccano
+staccarle staccarli staccarmi staccarsi staccarti staccarvi staccasse staccata staccate staccati
+staccatori staccher stacco stack stadi staffe staffer staging stagionale stagionali stagionata
+stagionate stagionato stagioni stagionie stagista stagiste stagisti staing staire stalkerava
+stalking stalle stalli stallo stallone stamane stamina stampalo stampando stampano stampante
+stampanti stampare stamparla stamparle stamparmi stamparne stamparsi stampata stampate stampati
+stampato stampava stampavo stampe stamper stampi stampini stampino stampo stamuta stana stanare
+stanbul stancai stancano stancante stancare stancarmi stancarsi stancata stancati stancato stancava
+stancavi stance stanche stancher stanchiamo standby standing standoci standup stanga stani stannodi
+stantia stantie stantii stantio stanzetta stanzette stanzi stanzia stanzier stanzini stanzino
+stanzona stanzone starci starebbero staremmo staresti stargli starle starli starlo starne starry
+stars startapp started startene starter starting startup startups starvi stassa stasse statali
+statene static statica statiche statici staticit station statista statisti statoun statto statuale
+statuaria statuario statue statuina statuine statuito statuiva statun statura status statuti statuto
+stavoli staziona stazionano stazionare stazionari stazionato stazionava staziono stefanel steli
+stellante stellar stellari stellata stellate stellati stellato stellina stelline stellone stelo
+stelvio step steppa steppe steps sterlina steroid steroidee stesero stessaun steste stesura stesure
+stevia steward stilano stilare stilata stilati stilato stilemi stiletto still stille stilosa stilose
+stiloso stimando stimano stimare stimarti stimata stimate stimati stimato stime stimer stimi stimino
+stimo stimola stimoli stimolo stipendi stipendiale stipendiali stipendiata stipendiati stipendiato
+stivale stivato stoffe stomaci stona stonano stonare stonata stonati stonato stonia stoppa storage
+storce stores storiain storiata storica storiche storici storicit storiella storielle storielo
+stories stormi stormir stormo storno storpi storpio storta storti stortura storture stracci straccia
+stracciare stracciata stracciati stradae stradali stradario stradaun stradetta stradina stradine
+stradone strafe strage stragi strain stralci strambe strambi strambo stranezza stranezze straniere
+stranisce stranito stranon stranote stranoun straor straordinarie straordinariet strapp strappa
+strappando strappano strappar strapparci strappare strapparle strapparmi strapparsi strapparti
+strappasse strappata strappate strappatele strappati strappava strapper strappi strappone strass
+strata stratega strateghi strategic strategica strategiche strategici strategicit strategico
+strategie strategist strategy strati strato strazio stream streap streetart streg stregare stregata
+stregate stregato streghette stregoneria stregoni stregua strem strenna strenua strenui strenuo
+stressa stressare stressata stressate stressati stressato stretch strettezza strettoie strettole
+strettura striate striato strid stride stridio strighe strilda strill strilla strilli strillo
+stringa stringe stringeil stringemmo stringente stringenti stringer stringermi stringersi stringerti
+stringesse stringeva stringevo stringhe stringi stringimi stringo stringono strinse strinsi stripped
+strisc strisci striscia striscie striscio strizz strizza strizzi strizzo strof strofa strofe stroke
+stronca stronchi stronomy stronz stronze stronzetta stronzette stronzetti stronzio stroto strozza
+strumentale strumentali strumentini strutto strutturale strutturali strutturando strutturante
+strutturanti strutturare strutturarlo strutturarsi strutturata strutturate strutturati strutturato
+strutture strutturi stud studen studentato studentelli studentello studentesca studentesche
+studenteschi studentesco studentesse studenteste studiai studialo studiamo studiandomi studiandone
+studiandosi studiandovi studiano studiarla studiarle studiarli studiarlo studiarmi studiarne
+studiarti studiasse studiata studiate studiati studiava studiavo studier studies studios studiosa
+studiose studiosi studioso study stufano stufarmi stufata stufate stufati stufavo stufi stup
+stupende stupendi stupendomi stupi stupiamo stupid stupidate stupidelli stupidini stupidit stupir
+stupirci stupire stupirei stupirmi stupirsi stupirti stupirvi stupisca stupisci stupisco stupiscono
+stupisse stupita stupite stupiti stupito stupivo stupor stupore stupori stupra stuprami stuprano
+stuprare stuprate stuprati stuprato stupratori stupravo stupri subiamo subir subirebbe subiremo
+subirla subirli subirlo subirne subirono subisca subisce subisci subisco subita subite subiti succe
+succedano succeder succederanno succederci succedergli succederlo succedermi succedersi succedessero
+succedevano succeduti success successero successi successibo successione successioni successive
+successivi successone successore successori succhi succhia succhio succone succosa succose succosi
+succoso succube succubi sudo sudoku sudor sudori sugger suggeri suggeriamo suggerimenti suggerir
+suggerirci suggerire suggerirlo suggerirmi suggerirti suggerirvi suggerisca suggerisci suggeriscono
+suggerita suggerite suggeriti suggeritore suggeritori suggeriva suggerivo suicid suicidando
+suicidano suicidare suicidari suicidarsi suicidata suicidatasi suicide suicider suicidi suit sull
+suol suola suole suon suonandolo suonar suonarla suonarono suonata suonate suonati suonatori
+suonavano suonavo suoner suoniamo suor suore suoria suorine superalo superando superano superarci
+superarla superarle superarli superarlo superarmi superarono superarsi superarvi superata superate
+superati superauto superava superba superbe superbi superbia superbo supercar supercl superer
+superfice superfici superficiali superficialit superficialita superficilit superfiga superfuo
+superhot superi superiamo superino superiorit superiorita supermamma supermercati supero superpop
+supervisori supplica supplicare suppliche supplire supplisce supplito supplizi supplizio supply
+suppone supponevo supporre support supporta supportano supportare supportata supportate supportati
+supportato supportava supporter supporti supportino supposta supposte supposti supposto supra
+supremazia supreme supremi supremo surfa surface surfare surfer surfing susino svedesi svedesona
+svegliai svegliamo svegliano svegliarci svegliarlo svegliarono svegliarsi svegliarvi svegliasse
+svegliate svegliatevi svegliatosi svegliava svegliavi svegliavo sveglie sveglier svel svela svelano
+svelare svelata svelate svelati svelato svelava sveler svelero sveli svelino svelo svelte svenano
+svenne sventne sventra svenuti svilupp sviluppa sviluppai sviluppando sviluppano svilupparla
+svilupparli svilupparono svilupparsi svilupparti sviluppasse sviluppata sviluppate sviluppatesi
+sviluppati sviluppatisi sviluppatore sviluppatori sviluppava svilupper sviluppi sviluppino svizzere
+svizzeri svizzero svolga svolge svolger svolgo svolse svolt svoltano svoltare svoltasi svoltati
+svoltato svolte svolto svoltosi tabaccai tabaccaia tabaccaio tabacchi tabashi tabula tacce tacche
+tacchini taccio taccola tace tacer tacerne taceva tacevo tacia taciro tacita taciti tacito taciuta
+taciute taciuti taciuto tagliai taglialo tagliamo taglian tagliandi tagliando tagliar tagliarci
+tagliarla tagliarle tagliarli tagliarlo tagliarmi tagliate tagliatelo tagliati tagliavo tagliente
+taglienti taglier tagliere taglierei taglietti tagline taglino talece talent talenti tales taley
+talians taliao talib taliban talpe talvota talvox tanata tannini tantissima tantissimi tantum
+tappati tappato tappe tapper tapperai tappeti tappetino tappetto tappezza tappo tarando tarare
+tararlo tarata tarati tarato tard tarda tardato tardava tardavo tarde tarder tardio tardiva tardive
+tardivo tardust targare targata targate targati targato target targhe targla tartara tartaro
+tartarugati tartarughe taschino tasking tass tassano tassare tassate tassati tassato tasselli
+tassello tassi tassisti tatemi tates tattiche tattici tattico tattile tattili tattoo tatuare
+tatuarsi tatuarti tatuata tatuate tatuati tatuato tatuava tavolata tavolate tavole tavoliere
+tavolini tavolino tavoloni tavolozza taxing tazze tazzema tazzina tazzine tazzona teamos teams teato
+teatrale teatrali teatrato teatri teatrino tecnicalit tecnicismi tecnicismo tecnicit tecnicos tecno
+tecnolo tecnolog tecnologi tecnologica tecnologiche tecnologici tecnologico tecnologie tedesche
+tedeschina telecomandata telecomandati telecomandi telef telefon telefona telefonami telefonando
+telefonano telefonarci telefonava telefonia telefoniamo telefoniche telefonici telefonico telefonini
+telefonino telegiornali telegra telegram telegrammi teletrasportati televisioni televisiva
+televisive televisivi televisivo temano temendo temerai temerari temerlo temerne temersi temesse
+temete temeva temevano temiamo temiate temilo temine temono tempeh temperate temperato temperature
+temperie tempestano tempestata tempeste tempestiva tempestive tempestivi tempestivo tempestose
+tempestosi tempestoso tempia tempie templ templi temporalit temporanee temporanei temporaneit
+temporary tempore temprer temps tempus tend tendaggi tendamo tendano tendata tendato tendency
+tendente tendenti tendenze tender tenderei tenderle tendermi tendhal tendina tendine tendone tendoni
+tenebra tenebrose tenebroso tenemmo tenendoci tenendola tenendoli tenendomi tenendone tenendosi
+tenera tenercelo tenerezza tenerezze tenergli teneri tenerife tenerle tenermela tenermele tenermeli
+tenermelo tenerne tenerose tenersele tenerselo tenertelo tenervi tenesse tenessi tenetela tenetele
+tenetevela tenetevelo tenevamo tenevano tenevi tengano tengel tenia teniamoci teniamola teniamole
+teniamoli teniamolo tenico tennero tenni tenniste tensioni tentai tentanto tentar tentarono tentasse
+tentassi tentata tentatore tentavo tentazioni tentenn tentero tentino tentoni tenue tenui tenutari
+tenutario tenutasi tenutesi tenutisi tenutosi teorema teoremi teoreta teorica teoriche teorici
+teorico teoril teorizz teorizza terapie terapisti term termale termali terme termica termiche
+termici termico terminal terminale terminali terminano terminanti terminarlo terminarne terminava
+terminepi terminer terminis termino termo termos terr terrae terram terranno terrazza terrazze
+terrazzo terrebbe terrei terremotate terremotati terremotato terremoti terrena terrene terreni
+terresti terrestreche terrestri terrificant terrificanti terris territori territoriale territoriali
+territorini terrona terrone terroni terronia terrorisico terrorisita terrorism terroriste
+terroristica terroristiche terroristici terroristico terrorizza terrorizzano terrorizzante
+terrorizzare terrorizzarne terrorizzate terrorizzati terrosi terze terzi terziet terzini terzino
+teschi tesina tessendo tesserarmi tesserarsi tesserati tesserato tesseratto tessere tesserina
+tesserine tesserino tesserne tessile tessili tessono tessuta testando testano testarda testarde
+testardi testare testarli testarlo testarne testata testate testati tester testi testil testimonia
+testimonial testimoniale testimonialit testimoniando testimoniano testimonianta testimonianze
+testimoniarlo testimoniarono testimoniata testimoniate testimoniato testimoniava testimonino
+testimoninza testimonio testina testing testona testone testoni testura testure tetta tetti tettoia
+tettoie tettoria tettute texani texano theorem theory theos there theremin therese thereum thers
+tienile tienitela tienitelo tienne tient tienti tifone tifosa tifosi tifoso tigrata tigrato tigri
+timeout timida timide timidi timidone timing timone timor timorato timori timorosa timorosi timoroso
+tipicit tipino tirai tiramis tirammo tirandoci tirandolo tirandosi tiranesi tiranna tiranni tirannia
+tirannie tiranno tirarci tirargli tirarla tirarle tirarli tirarne tirartela tiratevi tiratori tirava
+tiravi tiravo tiria tirino tiroide titola titolano titolare titolari titolata titolate titolati
+titolato titolava titolino titolisti titolone titoloni tocc toccando toccano toccante toccanti
+toccar toccarda toccarono toccarsi toccarti toccasse toccasti toccati toccatina toccava toccavi
+toccavo tocche toccher tocchiamo toccolma togliamo togliendo toglier toglierci toglierei toglieremo
+toglierete togliergli toglierle toglierli toglierlo togliermelo togliermene toglierselo togliertela
+togliervi togliesse togliete toglieteci toglietele toglieva toglievi toglievo tolgono tolte tombale
+tombali tombe tombeur tombini tombino tombola tommaso tondi tondini tondino tonic tonica toniche
+tonici tonicit tonico tonnara tonnare tonnellata tonni topic topics topina topini topoi topona topos
+toracica toraro torca torchi torchio torn tornai tornain tornandole tornani tornante tornanti tornar
+tornarci tornarmi tornarono tornarti tornarvi tornasole tornassi tornateci tornava tornavi tornavo
+tornei tornelli tornello tornerebbe tornerei torneremmo torneresti torniano tornino tornio toros
+torrent torrente torrenti torretta torrette torri torrida torride torridi torrido torrone tortini
+tortora tortuosa tortuose tortuosi tortuoso torturando torturare torturata torturati torturatori
+tossica tossiche tossici tossicit tossicologica tossicologici tossicologo tossine tossisce tossisco
+tossiva tost tostando tostata tostato toste tosti total totali totalit touring tourn tracciamo
+tracciando tracciano tracciarlo tracciate tracciato tracciava traccie trachan trache trachea tracima
+tracine tracio track tracks trad trader tradere tradimenti trading tradir tradirci tradirli tradirlo
+tradirmi tradirsi tradisce tradisci tradisco tradisse tradite traditi tradiva tradizionali
+tradizioni traduca traduce traduci traduco tradurle tradurli tradurlo tradurr tradurrebbe tradursi
+tradusse traduzioni traffica trafficare trafficata trafficate trafficati trafficato traffici
+tragedie tragga tragica tragiche tragici tragicit tragitti tragitto traguardato traguardi tram trama
+tramano tramare tramati trame tramo tramonta tramontana tramontano tramontare tramontata tramontati
+tramontato tramontava tramonti tramut tramuta tran trance tranche tranci trancio trand traneo trange
+tranger trangio trango tranquillante tranquille tranquillit tranquillita tranquillizza tranquillizzo
+trans transit tranto tranvie trapiantata trapiantate trapiantati trapiantato trapianti trappole
+trappolina trascin trascina trascinai trascinala trascinando trascinano trascinante trascinanti
+trascinarci trascinarla trascinarle trascinarlo trascinarmi trascinarono trascinarsi trascinarti
+trascinarvi trascinasse trascinata trascinate trascinati trascinatore trascinatori trascinava
+trasciner trascini trascino trascorra trascorre trascorrendo trascorrer trascorrerai trascorreremo
+trascorrevo trascorro trascorrono trascorsa trascorse trascorsi trasfer trasferiamo trasferii
+trasferimenti trasferir trasferirci trasferirgli trasferirle trasferirli trasferirlo trasferirmici
+trasferirono trasferirvi trasferisce trasferisci trasferisco trasferisse trasferite trasferitesi
+trasferitosi trasferiva trasferta trasferte trasfonde trasform trasformala trasformando trasformane
+trasformano trasformarci trasformarla trasformarle trasformarli trasformarlo trasformarmi
+trasformarne trasformarono trasformarsi trasformarvi trasformasse trasformate trasformati
+trasformatore trasformatori trasformava trasformavo trasformer trasformi trasformino trasmissioni
+trasmissiva trasporlo trasporre trasport trasporta trasportando trasportano trasportarle
+trasportarli trasportarlo trasportarmi trasportarti trasportata trasportate trasportati trasportato
+trasportava trasporter trasportino trasposta trasposte trasposto trat tratt trattale trattamenti
+trattando trattarla trattarle trattarli trattarlo trattarmi trattarsi trattarti trattasi trattassero
+trattate trattateci trattati trattativa trattative trattavo tratte trattenendo trattenerla
+trattenerli trattenerlo trattenermi trattenerne trattenersi trattenerti trattenervi trattenete
+tratteneva trattenga trattengo trattenne trattenuta trattenute trattenuti tratter trattiamo
+trattiene trattieni trattini trattino trattopen trattori trattoria trattorie trattosi tratturi
+traumi trauss travai travaso trave travel travi travia traviata traviati traviato travious travisare
+travisate travros tremende tremendi tremendum trench trend trenda trends trendy trenini trenino
+trentadue trentanni trentasei trentatr trentina trentine trentini trentino trentun trentuno treviso
+trib tribale tribali tribolo tribu tribuna tribunali tribuni tributa tributi tributo tristezze
+tristo trofei trofie troiane troie trombare trombata trombati trombato trombe tromboli trombone
+tromboni tronche tronco tronfi tronfia tronfie tronfio tronger tronix tropico tropo trousse trov
+trovami trovammo trovan trovando trovar trovarcisi trovareun trovarle trovarmela trovarmele
+trovarmitra trovarono trovarvi trovassero trovassimo trovaste trovatello trovatelo trovatevi
+trovatori trovavamo trovavano trovavi trover troveraigli trovere troverebbe troverei troveremmo
+trovereste troveresti troviamoci troviamola troviate trovino truccano truccare truccate truce truck
+truffando truffare truffarmi truffati truffato truffatori truffe truppa truppesta tubing tubini
+tubino tuboni tucken tumorale tumorali tumori tunning tuon tuona tuonano tuonato tuonava tuoni turba
+turbano turbante turbare turbarti turbasse turbativa turbative turbava turbe turbi turbin turbina
+turbine turbini turca turche turchi turchia turchie turione turiste turistica turistiche turistici
+turistico turnano turning turnista turnout turnover tutor tutori tutorial tutoring tutt tuttalpi
+tuttesso tuttii tuttila tuttise tuttola tuttoma tuttora tuttoue tuttouna tuttra twitta twittai
+twittano twittare twittato twittava twitteri twitto ubriacano ubriacare ubriacarmi ubriacarsi
+ubriacarti ubriacata ubriacati ubriacato ubriache ubriaconi ubrick ubrik ubrin uccel uccellini
+uccidano uccidendolo uccidendone uccider uccideremo uccidersi uccidervi uccideva uccini uccino uccio
+uccione uccisero uccisione uccisioni udiences udiencia udienze udite udith uditi uditiva uditivi
+uditivo uditori uditorio ufficiala ufficialit ufficializza ufficie ufficioso uffico uffilli uguadra
+ugual ulteriore ultimando ultimare ultimata ultimate ultimato ultimatum ultimetro ultimodal ultimora
+umanae umanicit umanie umanismo umanista umaniste umanisti umanit umanitari umanitaria umanitarie
+umanitario umanji umanoide umanoidi umans umanx umili umiliando umilianti umiliare umiliarla
+umiliata umiliati umiliato umilt umilta ungheno unghia unghiette unghioli unic unich unicipii unicit
+unicita unicorni unicorno unicum uniforma uniformare uniformata uniformato uniformino uniformit
+uniremo uniria unirli unirvi unit unitaria unitarie unitario units unive universale universali
+universi universiadi universit universitari universitaria universitarie universitarii universitario
+universne uominiche uomoe uragani urgenti urgenze urgere urgery urgess urgeva urin uriname urinano
+urinare urinaria urinarie urinava urine uringra urlacci urlai urlandogli urlandole urlano urlante
+urlanti urlargli urlarmi urlarne urlarono urlate urlati urlatore urlatori urlava urlavo urlon usan
+usana usanagi usandola usandolo usani usanna usanowo usanza usanze usar usardi usarle usarli usarne
+usaro usarono usatele usateli usatelo usatti usavamo usavano usavo usavoro uscema uscendone uscente
+uscenti uscetta uscia uscidi uscieri uscii uscirci uscirebbe uscirmi uscirono usciso uscisse
+uscivamo uscivano uscivate uscivi user userai userebbe userei useremmo userete users usiamoli
+usiamolo utera uterte utilita utility utilizz utilizza utilizzai utilizzando utilizzane utilizzano
+utilizzanti utilizzarci utilizzarla utilizzarle utilizzarli utilizzarlo utilizzarne utilizzarsi
+utilizzasse utilizzassi utilizzata utilizzate utilizzati utilizzato utilizzava utilizzavo utilizzer
+utilizzi utilizzino utilizzo vabb vaca vacante vacanti vacche vaccinata vaccinati vaccinato vaccini
+vagabonda vagabondare vagabondato vagabonde vagabondi vagando vagano vagante vaganti vagava vagavo
+vaginale vaginali vagine vagiti vagito valente valenti valentina valentini valenza valer valeriana
+valerne valesse valete valeun valevano valevate valevole valgano valgo valiamo valica valichi valico
+validano validare validarle validata validati validato valide valider validi validit validita valige
+valigiablu valigione vallata vallate vallese valletta vallette vallone valloni valo valor valoriale
+valoriali valorie valorizza valorizzi valorosi valoroso valse valso valut valutano valutaria
+valutarie valutario valutarla valutarle valutarli valutarlo valutarne valute valuter valuti valutino
+valuto valve valvolari valvole valvolina vampa vampata vampe vampire vampirismo vanesi vanesio
+vantaggiosa vantando vantano vantante vantarci vantare vantarmi vantarsi vantarti vantason vantati
+vantava vantavo vapo vapor vaporetto vapori vaporosa vaporose vaporosi vaporoso variamo variano
+variant variava varier variet varieta vario varios variste vasche vascio vecchiagio vecchiaia
+vecchietta vecchiette vecchietti vecchietto vecchina vecchine vecchino vecchiotto vedasi vedemmo
+vedemo vedendola vedendole vedendolo vedendomi vedendosi vedendoti vedente vedenti veder vedercela
+vederceli vederee vederel vedergli vedermela vedermelo vederne vedersi vedessero vedessimo vedeste
+vedetene vedetta vedette vedevamo vedevano vedevi vediate vedica vedici vedila vedove vedovi vedovo
+vedr vedrebbe vedrei vedremmo vedreste vedresti vedretessa vegan vegana vegane vegano vegliardo
+veglione veicola veicolano veicolare veicolari veicolata veicolate veicolati veicolato veicoliamo
+veicolino vele veleni velenosa velenose velenosi velenoso veloceio velocista velocisti velocit
+velocizza venale venata venate venati venato venda vendano vendemmi vendendoci vendendolo vendendone
+vender venderai venderci venderebbe venderemo venderle venderli venderlo vendermi venderti vendete
+vendette vendeva vendevo vendic vendica vendicare vendicarmi vendicata vendicato venditori vendoci
+vendor vendute venendomi venera venerano venerare venerata venerate venerati venerato venerd veneree
+venereo veneri veneta venete veneti veneto veneu veneziana veneziane veneziani veneziano venged
+vengers vengon venia veniale veniamoci veniate venida venimmo vening venirci venirla venirne venirsi
+venirti venissero venitemi venivamo venivi ventic ventidue ventina ventine ventino ventisei ventitr
+ventitre ventole ventolo ventoodo ventosa ventosi ventoso ventotto ventre ventri vents ventun
+ventuno ventur venturo venues venuzze verace veraci veranda verande verano verara verba verbali
+verbi verbo verbosa verboso verbum verdeoro verdetti verdina verdura verdurine verest verg vergare
+verginella vergini verginit vergognai vergognano vergognarci vergognarmi vergognarsi vergognarti
+vergognata vergognato vergognavo vergogne vergogniamo vergognosa vergognose vergognosi vergognoso
+vergona verie verific verificando verificano verificarla verificarle verificarli verificarlo
+verificarne verificarono verificarsi verificata verificate verificati verificato verificava
+verifiche verificher verifichi verifico veris verit vernici vernote veroe verona veronal veronese
+veronesi verr verrano verrebbero verrei verresti versacci versana versando versano versante versanti
+versare versarmi versarti versata versate versati versatile versatili versava versavo verseas verser
+versino version versioni versky versus vescica vescovi vescovile vesta vestendo vestiamo vestigia
+vestii vestir vestirla vestirli vestirlo vestirmi vestirti vestitini vestititi vestitoe vestiva
+vestono veterinari veterinaria veterinarie vetrai vetrata vetrate vetrina vetrine vetrinee vetrini
+vetrino vetriolo viagger viaggiacon viaggiamo viaggiando viaggiano viaggiante viaggianti viaggiarono
+viaggiasse viaggiatore viaggiatori viaggiava viaggiavo viaggino viagra vialetti vicende
+vicepresidench vicepresidenti vicer vicie vicinali vicinanza vicinio vicoli vict victim videata
+videate videnel videocamere videos videro vidic vien vienire vieta vietando vietano vietare vietarlo
+vietarmi vietasse vietata vietate vietati vietava vieter vietino vietnamita vietnamite vietnamiti
+vigila vigilano vigilante vigilanza vigilare vigilas vigile vigliacca vigliacchi vigliana village
+villages villaggi villain villano villas ville villini villino villona villoni vinc vincano vincendo
+vincenti vincer vincerai vincerebbe vincerete vincerla vincerle vincerlo vincesse vinceva vinciale
+vinciamo vincili vincire vincista vincit vincita vincite vincitor vincitori vincola vinos vinosi
+vinta vintage vinte vintooo viol violac violacea violacee violacei violando violano violare violarla
+violas violata violate violati violava violazioni viole violence violentando violentano violentare
+violentarla violentarli violentarmi violentate violentati violentato violentatore violentatori
+violente violenze violetta violette violetti violetto violiamo violini violon virgini visiera visino
+visionare visionari visionati visionato visionee visit visitai visitando visitano visitarla
+visitarle visitarli visitarlo visitarmi visitarne visitarsi visitasse visitata visitate visitati
+visitatore visitatoricon visitava visiter visiti visitina visito visitor visits visiva visive visivi
+visone visori visse vissero vissi vissuta vissute vissuti vistato vistdel vistosa vistose vistosi
+vistoso visual visuali visualit visura visure vitaaa vitae vitaja vital vitala vitalit vitalita
+vitalizi vitalizio vitam vitelli vitello vitt vitto vittoriana vittoriane vittoriano vittorie
+vittoriosa vittoriosi vittorioso vivace vivaci vivacit vivaio vivande vivano vivant vivendi
+vivendola vivendoli vivendolo viver viverci vivereda viverela viveri viverla viverle viverli viverlo
+viverne viversi viverti vivesse vivessi viveteli viveur vivevamo vivevi viviamolo viviate vivida
+vivide vividi vivido vivila vivilo vizi vizia viziano viziata viziati viziato vizier vizioso viziper
+vocette vocevo vociare vociava vocina vocione vogliamoci voglie voglionoe vogliosa vogliosi volant
+volanti volantini volantino volasse volata volate volati volatile volatili volava volavo volendo
+volente volenti volercisi volerebbe volergli volerla volerle volerli volermi volerne volersi volerti
+volessero volessimo voleste volesti voletto volgari volgarit voliamo volino volonari volont
+volontaria volontariato volontarie volontariet volpone voltae voltai voltaico voltame voltammo
+voltarci voltarono voltarsi voltarti voltasse voltassi voltata voltate voltava voltavo voltee
+volteggi volteio volterei voltiate voltri volture volumetti volumetto volumi volumone volumoni
+volutive volutt vomiali vomit vomita vomitano vomitar vomitarli vomitate vomitati vomitava vomiti
+vorr vorremo vostr vota votando votano votante votanti votarli votarlo votarono votarsi votarti
+votasse votassi votata votate votati votava votiamo votino vulcani vulcanica vulnerabili
+vulnerabilit vuoleio vuotae vuotezza vuotoper walk walkie walking walkman wallaby wallet wallow
+warded week weeks western wheel whisper whistle whitout wins winsock worlds zaini zampa zampate
+zampetta zampette zampino zecche zeroth zitt zittaper zitte zittire zittirli zittirmi zittisce
+zittisci zittito zombi zucche zuccherata zuccherati zuccherato zuccheri zuccherina zuccherino
+zuccherose zuccheroso zuccherro zucchine zuccona zuccone zuppati zuppe
+`;
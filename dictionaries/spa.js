@@ -0,0 +1,7321 @@
+// Spanish words for OCR correction, lower case, whitespace separated: common spoken words, the
+// 10,000 most frequent words (most-common-words-by-language, MIT), then their inflections from
+// an-array-of-spanish-words (MIT).
+export default `
+a abajo acá acaso adelante adiós agua ahí ahora al algo alguien algún alguna alguno allí alma amigo
+amiga amigos amor año años antes aquí así aún aunque ayer ayuda ayudar bajo bastante bien bueno
+buena buenas buenos cabeza cada calle cama cambio camino casa casi cinco ciudad claro cómo como con
+conmigo conozco contigo contra corazón cosa cosas creo cree cual cuál cuando cuándo cuánto cuatro
+cuenta cuerpo cuidado dar de debe debemos decir dejar del demasiado dentro desde después día días
+dice dicho diez digo dijo dinero dios donde dónde dos el él ella ellas ellos en entonces entre era
+eres es esa ese eso esos esta está estaba están estar estás este esto estos estoy favor fin fue
+fuera gente gracias gran grande gusta ha haber había hablar hace hacer hacia has hasta hay hecho
+hermano hermana hija hijo hola hombre hora hoy idea importa iba ir jamás juego junto la las le les
+lo los luego lugar madre mal mamá mañana más me mejor menos mi mí mientras mierda mío mis mismo
+momento mucho muchos muerte muerto mujer mundo muy nada nadie necesito ni ninguno niño niña no noche
+nombre nos nosotros nuestro nuestra nueva nuevo nunca o oh otra otro otros padre papá para parece
+pasa pasado pasar pero persona poco poder podemos podría policía por porque qué pregunta primero
+problema pronto puede pueden puedes puedo pues que quién quien quiere quieres quiero razón realmente
+sabe saber sabes salir se sé sea seguro señor señora ser si sí siempre siento sin sobre solo sólo
+somos son soy su sus también tan tanto te tengo tener tiempo tiene tienen tienes todo todos toda tu
+tú tus un una uno unos usted ustedes va vamos van vas veces ver verdad vez vida viejo voy y ya yo he
+tenemos ti sr estamos trabajo mira tal estas espera han tipo dije estado acuerdo crees será haciendo
+buen ven tres tenía sido todas visto haces ve tarde oye parte hombres mas quería hacerlo hizo veo
+quizá debo cierto ud familia hemos chica cariño lado allá minutos serio pasó puerta ves vaya ah
+suerte eh rápido quizás io esas pensé todavía debes forma aqui chico ok sabía muchas hice auto
+primera vi miedo debería niños sería historia hey dijiste espero esposa chicos cualquier deja
+hablando manos da loco problemas mano guerra semana vale viene volver toma caso haré vete entiendo
+horas personas capitán listo noches juntos dame único déjame cerca sigue arriba jefe habla supongo
+manera quieren feliz significa sangre llama venir morir importante hiciste ojos escucha entrar
+ningún diablos necesitamos atrás durante dices nuestros dr necesita llegar hago haya suficiente
+doctor gustaría tierra cara siquiera genial supuesto tomar equipo justo ninguna matar dicen amo
+pequeño algunos clase maldito unas hubiera segundo pueda dime igual comida ay encontrar fuerte
+vuelta venga creer realidad saben puta deberías fui sra primer trabajar e hagas alto maldita comer
+número necesitas john oportunidad punto misma última afuera mujeres pensar fueron difícil vivir paso
+malo estabas vivo haga queda hijos mayor fiesta hacen medio algunas basta ei arma vino meses cuarto
+éste escuela esté dólares tío posible tuve fácil preocupes jack luz eran carajo final lista trata
+armas exactamente chicas podía seguridad pasando esperando teléfono perro fuego murió tampoco sola
+estuvo verte iré tenido culpa veras adónde buscando cuanto padres paz demonios estará perdón asi
+jugar pensando esperar sabemos recuerdo par joven seguir pueblo tenga caballeros idiota dio minuto
+bebé única lejos nuestras plan pienso sentido dormir digas palabra correcto control vemos entiendes
+país seis último ésta diga podrías pequeña cállate trato rey sucede sam muchachos srta acerca di
+falta hospital lleva presidente mil gusto conoces diciendo os ido general extraño semanas coche peor
+mucha disculpe diré anoche perder vámonos nave cielo habrá orden segura querida michael increíble
+además deben libro café piensas hacemos especial queremos ia clark irme perfecto buscar odio piensa
+oficina hablas libre agente york llamar mala detrás viste dile grandes recuerdas real estaban mía
+frente perdido llamo muertos millones asesino sueño quisiera habría hará viaje probablemente peter
+resto estaré maldición lamento muchacho avión ropa fuerza llamado oído frank dado encima negro usar
+información uds preguntas tuvo secreto vuelve miren quieras haría acaba otras incluso sientes
+deberíamos haz decirte boca dolor baño adentro profesor habitación daño tuyo seas noticias demás
+querido duro poner prueba mire tonto campo siendo ése tranquilo asunto acabó quédate derecho placer
+recuerda estuve tratando ejército futuro llevar compañía venido listos haremos sitio verlo puesto
+atención sino cambiar error blanco raro palabras llegó sal pase mente sistema película anda ello
+negocio novia permiso creí suena ocurre oficial espere aire george mató harry regresar vio hazlo
+trasero grupo entendido señorita música perra conoce empezar siente acabo estúpido diferente traje
+modo james encontré mensaje llamada navidad eras pena largo entra piso foto dijeron médico accidente
+fuiste imposible podríamos línea propia barco ganar normal segundos vive mitad quiera tras decirle
+lindo funciona programa vine abre sean pagar fotos centro supone basura situación mejores vienen
+encanta marido personal maestro hambre ataque culo dale pie conseguir trabajando gracioso dejó pudo
+derecha izquierda próxima pobre respuesta tipos sentir tenías pude darle voz gustan vista salvo loca
+hotel hicieron ten temo señal pelo llevo das nena servicio tren tom bonito mes tendrá tendrás edad
+hermosa ben honor simplemente llamas tengas corre baja sol siéntate dan humano divertido sexo vuelto
+peligro mesa jimmy siguiente hablo disculpa decirme joe caja negocios misión silencio sale llegado
+estaría regreso media estan propio charlie oro enseguida linda prometo esposo norte hubo juro muerta
+interesante pensaba busca terminar tendré completamente cita siete cumpleaños abogado alrededor
+cerebro porqué llave santo hermoso necesario edificio irnos aun tendremos vayas doy trae salió ley
+ahi verdadero pelea banco terrible calma cena daré gobierno comprar creen sargento destino bob
+existe hacía novio sala través regalo iglesia decía cualquiera excelente esperen deseo diablo deje
+cuántos espada estábamos carne maravilloso vidas sucedió oí peligroso dirección libertad jesús
+ocurrió veré sueños pudiera detective sorpresa tuya pies club terminado infierno creía luna salvar
+carta estés cielos teniente encuentra david veamos quise escúchame necesitan ambos decisión roma
+enemigo hicimos éi dulce pruebas querías abuelo totalmente mirando vayan carrera vuelo ante
+bienvenido harás encontramos encontrado contacto posición saberlo planeta humanos coronel diría ésa
+base oír suelo pelear ayudarte pistola frío comandante partes llega verás sur iremos rato mar
+espacio asesinato ventana prisa tienda cámara puedas según broma reunión despierta sacar tí segunda
+papel locura departamento horrible enfermo pregunto cárcel órdenes intento isla salida llamó volveré
+usa gato paul hagan dejes duele vengan crimen esperaba causa bar seré ocho temprano río relación
+drogas luces bromeando ojalá hablamos trabaja irse libros radio mary ray bill vienes quedan excepto
+brazo tome rojo conocido universidad investigación batalla reglas cargo hogar dieron vuelva sabías
+respeto estación corte paciente encuentro energía dejado baile fbi abuela caliente vieja viendo
+veremos rayos simple bailar papa triste zona serás guardia canción salud escuchar parar mike estarás
+cenar max soldados caballo serán estaremos interesa volar principio nivel cálmate conocer finalmente
+alegro debajo podrían bosque bonita bolsa pone taxi ocupado amable ryan detente imbécil san
+equivocado viva puso obra consejo público ayúdame animales azul apuesto prisión mirar inteligente
+metros fantástico próximo jugando ojo salga vea llaman entrada duda cerveza unidos matado princesa
+perdí entender santa quedar miles llamaré compañero pensado espalda dejé bomba alex cartas apenas
+leer hermanos darme papi mantener suyo rico verla lee bobby sigues toca olvídalo acción hayas dioses
+mando dejaré llegue formas uh henry cierra damas puente memoria regresa muévanse parecía vestido
+llaves tv camión acabar robot llevó montón estuviste máquina puertas podamos muere trago mayoría
+reina lleno inglés don soldado estrella escuche valor pido delante código héroe fe capaz verme beber
+velocidad darte llevas partido estuviera tony lex dia opinión irte cocina abrir perros tambien sepa
+pareces escribir golpe tenia alta estados tocar vuelvo habían ganas hacerte dejo volvió ejemplo
+robert contar tenían propósito entiende empieza anillo londres tendría pedir estilo ayudarme pista
+cambiado escapar eeuu encontró espíritu viejos molesta nota diferencia tratar precio caballero sirve
+alegra doble agradable embargo tengan tuvimos sube estén mami emergencia cuello boda aprender pete
+té informe blanca experiencia debía podido mentira director mata exacto eddie déjalo defensa tuviste
+confiar color bond hacerle aquel conocí probar príncipe irá sóio ai despacio tiro vacaciones perdió
+fondo chris verde parecen mama bienvenida opción operación jim hablado traer principal demonio
+zapatos leo anna respecto nuevos especie pidió éxito cabrón mírame piernas unidad hielo llegamos
+déjeme ios debí vendrá matrimonio habías podrá piel preocupa quedarme mio tuviera tiempos richard
+quienes oiga últimos oigan fuimos arte necesitaba quiénes común intentando llevaré levántate correr
+brillante calor planes dra visita presión pared esperanza completo subir cansado llame recordar
+trampa monstruo bajar pierna señores tomó pasará mataste grandioso socio herido cayó fuerzas nick
+cine escena tía danny dando puntos teníamos dejaste muévete larga solía tema preparado depende
+policías solos matarme mark pon hubiese bebe tanta oeste parís viento jóvenes hacerme asiento carter
+washington estupendo caminar juicio creerlo carga tranquila banda estarán animal escuchen bush
+encontraron dejas tarjeta ibas podrás nueve seguramente volverá majestad llena caer aeropuerto
+vayamos tommy acabado sigo enorme área muevas haberlo dejen ridículo reloj hagamos flores mapa
+culpable cuentas pareja tomando m laboratorio beso empezó pedí nariz cuestión terminó vengo the
+perdona acuerdas verano prefiero peso billy oscuridad diferentes cliente charles cuántas televisión
+suya prensa johnny vistazo inmediatamente solamente gordo quedarse posibilidad medicina malditos
+pantalones mataron ayude podremos locos nombres superman parecer américa definitivamente cinta desea
+brazos asuntos riesgo escuché lugares i cuento noticia dígame decirlo tonterías sentimientos
+objetivo pasada arreglar casado bote roja leyes millón árbol hable proyecto nervioso lana salido
+pedazo malas joder humana absolutamente evitar corriendo bala vosotros despues debido confianza
+especialmente intenta pequeños paga ganado ama limpio comenzar ángeles robots lleve ruido preocupe
+jason belleza salgan come verá deberían líder preguntar inocente andy lástima red enfermedad
+desgraciado harán dientes maté central ponte felices supe haberte marcha poderes hubieras justicia
+bella dé proteger cabello pedido oscuro sarah embarazada costa dama orgulloso vos tomado digamos
+debió gana cura lengua araña podré voluntad total dedo pago agradezco partir lucha leche luke diste
+copa quedarte seguros destruir bienvenidos llevan jerry ponga lados acceso parker intentar trajo
+desastre deber herida débil naturaleza luchar extraña encontraste vieron llámame imagen pan refieres
+clientes varios show auxilio oyes siguen sentado saliendo responsable olvidado quedó permite aquella
+puse sonido quiso escrito carro preciosa muestra bastardo restaurante huevos fantasma mismos
+profesional amas entero películas cerrado dedos sigan dueño cuchillo turno tormenta caray abierto
+quede verdadera mato doc playa km victoria primo oíste lisa interior hechos piedra jodido militar
+computadora encantaría siga silla movimiento momentos familiar apartamento disparar tesoro perfecta
+refiero motivo dará nuevas mr querer matarlo valiente víctima tendrán estúpida envió steve encantado
+diario abran sentí autobús traído casas apúrate encuentras descanso sheriff mulder mueve inglaterra
+quieto carl matarte calles tamaño colegio usando cabo video toques pelota yendo directo termine
+vivos sombrero tomé estudio grave protección secretos perdiendo pecho sepas enferma cuesta negros
+estrellas lago clases b obviamente inmediato modos irás robo mataré seria laura apoyo cerrar imagino
+amenaza toque larry saca viernes hayan roto lucy piloto marca combate hablé manejar sección profundo
+tantos conocía serie ed contrato americano paseo aviones balas repente cambia tropas llevará uso
+pudiste detener susan sabia llegué negra decidido comienza distancia éramos murieron averiguar
+actuar quedo pulso aguanta oficiales llamaba enemigos saldrá preocupado elección sobrevivir bordo
+sujeto pacientes disculpen época entró pesar habló walter vender piensan ex gratis desapareció
+empleo llamé conocen cerdo puedan comprendo tomo termina aléjate busco contento date tumba matt
+huellas cuerpos absoluto pide kent dura descansar respuestas propiedad llamando dormido castillo
+china datos torre robar americanos malos botella aquellos últimamente testigo s presento periódico
+kate juez historias gustaba créeme necesitar esquina millas llamadas fuente conocemos techo genio
+alerta ideas tomas olvidar menor droga explicar abierta privado miembros joey nacional gustó ross
+discutir evidencia detalles c tardes tomaré presente scott criminal premio vuelvas siéntese viniste
+recibir mires teniendo huele hables guardias enamorado cuidar pocos perdone natural caballos escucho
+enfermera ángel sospechoso local mentiras camisa confía aceptar venganza perdimos cuantos parque
+juegos chloe vives varias harías menudo déjenme barrio virus talento ministro hiciera robó conocerte
+viviendo responsabilidad respira números pertenece desayuno dave campeón controlar maría nieve
+méxico howard dias vergüenza doctora blancos fumar llevamos europa dudo athena pastel quedas cae
+vimos recibido andando agentes fueras asustado perdóname reino clave papeles matando jake efecto r
+plata olvidé iban universo política almuerzo magia lluvia humor autos veía tantas respirar cantar
+trabajas julie disparo conversación olor asesinos muchacha modelo jane curso canal rock llorar
+borracho regresen váyanse sentía resultado william parado olvides mirada inútil california acabas
+ciencia perdiste sociedad regrese camioneta coño revista pareció montaña maravillosa dejarlo máximo
+echar corriente escuchando disculpas cadáver seguimos ron espectáculo frodo mundial francia decirles
+aspecto presencia famoso corto relájate poderoso recuerdos llego carretera pasé oigo esperamos
+escuchado cable rosa bola oferta helen intentarlo habido continuar rachel ladrón humanidad estómago
+entera contó poniendo mercado granja idiotas hablemos estudiante siglo roger relaciones ias hablan
+adam nosotras miembro fortuna libres acciones esperas suficientemente llevaron ocurrido andar
+perfectamente pasan jardín cola resultados francés troya tercera martin entrenamiento doug azúcar
+metido ayudarlo diles coger lunes ey new intención volviendo efectivo chicago dei salgamos
+preguntaba olvida helicóptero fuertes encantador original cadena tarea dispara corta compañeros
+cirugía quítate querían precioso lord sara comenzó truco inspector enojado felicidades desaparecido
+acto pollo elizabeth chocolate adonde resulta merece gas examen vean tonta importantes apuesta jean
+directamente recuperar pongo llegaron cobarde cantidad sucio habia emperador mono encontraremos
+disparen gloria contrario socorro sir escaleras seth pasos nuevamente derechos obtener guste
+búsqueda helado fútbol sexual polvo aseguro rostro robado policia empresa escuchas pones lárgate
+interés discúlpeme dejaron tengamos firma llevaba llegas cristo tercer senador continúa gracia cien
+texas jones des tratado razones caminando urgencias u raymond esperan muñeca firme duerme ambulancia
+limpia habéis flota leyenda encuentre fué arturo romper muriendo encontrarlo rescate quedado
+enfrente comienzo árboles x queso favorito haberme frontera creemos colega jueves alemanes shrek
+sábado limpiar puto poquito cientos muero irak inteligencia funcionar felicitaciones escapó criatura
+milagro deprisa especiales campamento responde escuchaste debiste adios viven recoger preguntarte
+compras cansada will elegir cáncer servir pata huir útil grados atacar sonny recién querría guapo
+alcance smith dejame quedamos llegará seremos desierto t licencia fiona trató proceso llevado
+durmiendo tensión martes kilómetros cartera tráfico guarda impresionante víctimas ricos primeros
+dejamos tomen iguales domingo crear quedará pérdida extra fuese confío sabido análisis llegaste fría
+violencia mate lobo discurso actor sexy orgullo odia libras alli agencia vuelvan rose necesidad
+naves descubrir tira resolver pondré volando pensamos míos errores celular vincent cuantas claire
+verlos ayudarle meter hablaré ésto daniel buscas equivocada dejan vacío trabajaba salón motor
+conducir compré quizas den cerrada cortar ted crea sera mueva hazme bravo alan pregunté promesa
+espejo dígale sienta médicos cero escribió volveremos unidades cheque consigue antiguo regla
+pesadilla enviar podías llevarte entrenador cuida paciencia dilo levanta complicado superior sugiero
+familias dirá pienses temporada suelta jackie corran propios feo dispuesto ayúdenme teoría salvaje
+negativo íbamos hubieran tripulación taza perdida vinieron ponen pasamos parecido brian acepto gay
+cooper señoras quedaré parada niñas conseguí acabamos normalmente muchísimo bruja vegas tuvieron
+traigo matará kevin funeral conseguiste teatro paris medianoche biblioteca estemos túnel encargo
+aparece testigos pensó fueran fantasmas correo vuestro piscina paquete copia alice suicidio molly
+crédito consigo carol vuestra rara legal hablaremos cambió solas salimos ganador estudiantes
+despierto pare invitado guía oso leí explosión dejarme chino stan lois sorprende sistemas nación
+entienden arena mentiroso hablaba veas pura asesinado mintiendo casos vehículo rata importancia
+distinto pintura intenté conciencia miras máquinas traeré revisar veinte seres hablarle disco viktor
+transporte mina labios señoría llamamos doce cuídate pasillo tele podria completa rápida
+precisamente llamaste cumplir servicios señales acaban am suéltame hablarte traté pescado huesos
+daría compra trajiste templo placa posibilidades ira vengas siguiendo podrán llamarme cierta
+permitir condiciones atrapar temperatura explicación enviado contado asistente imperio pidiendo
+notas curioso operaciones mantén tierras creas pez morirá visión montañas jeff d comido construir
+comunidad verán pierde piense felicidad ee diversión salvó thomas quita museo disparó desearía
+misterio buscamos aviso almirante solución pequeñas faltan existen combustible leído tirar responder
+esfuerzo vuelves uu pájaro hermanas guerrero esposas coma abra traes sientas rocky olvide joseph
+bolsillo heridas saco gasolina conexión correcta pedazos líneas estarías convierte ayudará rumbo
+rompió muera mia material diamantes rápidamente mírate fecha escritorio digan registro maten
+incendio deme sois pensamientos dímelo comiendo aparte asesinatos roy lección algun abrigo
+tratamiento julio pene conejo suceder ruta ciego asqueroso súper prisionero odie ocupada llevarlo
+jenny empezamos emily ethan estuvimos decírselo oscar honesto entrevista antigua amante humo gustas
+condado conseguido viajar sombra sabrá refiere lío estáis entrega drácula compartir angeles volvamos
+sonrisa sencillo atrapado aburrido pocas pensaste dragón anne volví planta clima adoro suave ruso
+rodillas marina bolso betty alarma vivía quédese recompensa juega hollywood cigarrillo autoridad
+amigas agujero acabe sacaste orgullosa jackson entendí dijera sótano paredes guapa iría imaginar
+fiebre déjala botón preguntarle leyendo darles uniforme dulces vaso documentos ruego maneras king
+invitados cómodo ayudarnos visitar vigilancia nadar altura todavia preparados gary cuáles mover
+jugador izquierdo alejandro tecnología raza conocerlo conde social gobernador coge pedro cubierta
+chiste celda agarra secreta personalmente miller amistad amaba nació interesado intentado educación
+curiosidad buscan repito pecado mortal manda claramente vía juntas identificación dirige declaración
+alemán tontos mantiene bestia veneno vecinos supiera quieran salgo propias privada jurado golpes
+usan metas lenny garganta invierno fila ricky miel traigan sucedido tranquilos madera burro artista
+sophie pobres louis impresión ganó cruzar cigarrillos scully ó llevarme grial chaqueta alcalde
+vueltas usado reputación pongas oxígeno cajas preocupada matan liz empezando cabezas ponerme experto
+océano maestra cia pieza cargos bombas alcohol trataba salen pizza patrick recibí junta criaturas
+apareció actitud gira cristal bourne amy encuentran dejarte caído ultima j sensación seguido puro
+whisky vernos pantalla bebida estudiar ducha despedido consiguió venía pagan discúlpame artículo
+aparentemente ambas trauma pusieron fiestas contesta contenta ambiente prometí llegando mostraré
+deba berlín nerviosa hallar dudas llegan instrucciones baje vinimos ritmo quédense suponía marcus
+pistas palacio gordon encontraré venta urgente tomamos salí cuerda vendría pasaba instante almas
+suficientes secundaria saltar queria quedarnos molesto colina porquería dean sienten pondrá
+terroristas empecé pongan phoebe moto opinas habilidad entren descubierto convertido asegúrate
+summer quedé kilos florida tomará sufrir mental lograr instituto um serlo rapido plato llorando vd
+váyase sucediendo robaron alemania bolas luthor pasaría ocurra ilegal fresco falso abogados tómalo
+mandó cuán cuales botas tiburones marissa grado deseas archivos adivina cruz campaña asustada
+centavos vivimos galletas frecuencia daños minas emociones dejará regresó ratas pasión julia joel
+hacerse comportamiento pense conocimiento bin sales fiscal decisiones criminales cámaras amanecer
+convirtió aldea abandonar obvio habíamos apesta abandonado volverás preocuparse kim favorita
+lanzamiento difíciles vivido roca peces maravilla espacial conductor camarada trabajado caramba sopa
+numero gritar envía casino alteza karen identidad cambios guardar gatos gané arresto éstas preguntó
+éstos probable seamos importaría firmar federal caras trabajos houston hagámoslo expediente tigre
+intentó harto decidir periódicos casarse lento hecha daba simon ponerte pelotas monstruos ie cruel
+city señoritas gigante dick siglos escalera incidente escenario dirás ciertas casar llamen biblia
+reporte moda casada reacción falla castigo fácilmente caza annie magnífico decidí camina superficie
+procedimiento condición asalto virgen verle conocimos quitar donna tratas noble laden hierba
+excelencia asco white título regresaré ejercicio pasaporte extraños ciento afortunado sacó irán
+sacerdote pedirle impuestos crisis aventura to puestos pánico oz llames ladrones enseñó logramos
+estuvieron últimas página metro grace enterprise alla pudieron mostrar escribe ventaja enamorada
+boston usr gorda vendrán paren xena piedras pesado despertar warren pierdes jesucristo damos treinta
+recuerde earl capacidad soportar senado grant decidió prepárense asusta aquiles aquello and aguantar
+cohen aprendí tenéis parezca alegría territorio física escape tomes sandy excusa estudios arthur
+shaw septiembre personaje fábrica elegido cole tanque salta hablaste conferencia compromiso ayudaré
+salieron rusos parezco llevando exterior punta ponerse pasen puerto decírtelo caro asombroso pasara
+matarán maleta competencia canciones miranda cinturón saint papas marco destrucción terry paraíso
+meta alternativa socios alas w ocasión casarme salsa romano prisioneros fogg encantan encantadora
+comercial primavera metió luther johnson volvemos mandar luce sagrado nacido fabuloso echo
+desaparecer potencia adn traiga permítame mayores regalos pusiste peligrosa militares jodida
+coincidencia bandera adivinar wilson tubo partida opciones llamaron hombro vampiros sabían recibió
+marty jugadores celebrar armario tetas paliza sabor míralo lata héroes aigo serpiente escribí comité
+bendiga terminé oyó imaginación funcionó bello hígado cierre cabina queríamos pasas mantente japón
+deseos cuéntame rastro compró anterior acero desnudo comisario catherine refuerzos preparar perdidos
+pagaré miami huevo entrando armada trate supo bromeas verdaderamente napoleón miro límite esperemos
+sacado diamante secuestro casco ayudó nene marcas francisco pudieras poca jugo heridos congreso
+cementerio prostituta desaparece consecuencias terreno salvado mueren igualmente ganamos
+circunstancias trabajamos marie jill amén katie funcionando evan personalidad muro contestar razon
+peores particular llévame gimnasio garfield emocionante desgracia científico buscado buddy v terapia
+prepara phil patrulla globo despejado creado aprendido nací lanning embajador barcos posiblemente
+malvado dormitorio despacho desagradable viniendo riddick recibo nuclear mensajes mantengan ultimo
+autoridades quedes pasaron gano ayudo aprecio sentimiento popular extrañas detenerlo civiles
+tontería reyes americana vuelven ventanas tiburón seiya peleas organización jedi ayudarla tuvieras
+sally querrás querrá kelly infección decente logrado jersey amar wayne equipos canta bebés pozo
+india esperado enseñar darnos brown tomaste internet habilidades encanto dispararon comprendes
+áfrica adorable rica llegaremos harold reales mismas medios marihuana traidor martha funcione
+clínica preferiría podían olvidó fred entramos ejercito división sector perdedor patrón encontrará
+crema barry planeado mantenga juguete edward técnica nacimiento esperaré tim termino matas entrado
+destruido daremos circo ascensor andrew aca investigar encuentren archivo salve presentar logro
+intentas encargaré armado apuestas maggie arrestado unión permanecer muéstrame móvil louise juan
+dificil casados cañón bruce tribunal sepan satélite recuerden intentaré falsa coca black símbolo
+rocas putas pendejo mátalo judío estando subtítulos gritando dejemos científicos bebiendo saque
+navorski metal despedida golf empiece defender crecer rota sentimos n guerreros echa comunicación
+probado pensarlo háblame detenido sabría muertes movimientos prohibido pájaros kane cargar willie
+podíamos junior imágenes haberse acusado peleando lealtad considera cazador buscarlo apaga objeto
+sofá personales mac homicidio electricidad advertencia rumores mentir fíjate deuda celoso bicicleta
+azules visitas mejorar escudo cueva aérea nathan levantar juguetes ciertamente bajen aaron you temas
+pedirte mcdonalds elegante divorcio depósito concierto calla transmisión mataría flor wyatt viejas
+trabajan onda saldremos preguntado aliento academia sonar recibe patio función conduce benton
+pregúntale palo internacional hueso heather esclavos versión sacrificio judíos increible in
+fotografía delicioso crímenes zorra valle llevaremos lentamente encantada arreglo volvería logró
+romántico preocuparte olvido fascinante cuadro creyó adultos wow sobrino secuencia nicky lleven huh
+entradas decirnos resistencia llamarlo greene ayudas esperanzas disponible civil caos audrey velas
+tenerlo ponerle muestras lógica casualidad sigamos rayo pato pagado máscara gustado buscarte selva
+pm equivoqué condenado cometido west travis tratan pudimos preguntando tragedia poli oliver
+compañías charla mete malditas campos cadáveres básicamente vamonos trucos preparada funcionará
+conté contando construcción ciudadanos agarrar infeliz francesa explica decide vende rutina gustar
+empieces caída almorzar actividad inocentes fondos coraje ayudando aterrizar actuación vietnam suba
+h cynthia ayudante vuela vaca dc cirujano tio olvídate okay entregar encerrado rubia kong joyas
+empecemos buzz amado terminamos romanos piedad llamarte hacían furia detalle admitir tendrías
+respiración prepárate escribiendo confundido vigilando sufrimiento saludos robaste l golpear garaje
+buscaré revolución motel buscaba alianza otto estupidez disparado sangrando quietos miserable ideal
+empiezo controla prometiste heroína empezado dámelo vecindario empleado conociste colores cerebral
+plástico piano pensamiento lewis letra empleados dosis dólar benny apolo agrada tocado tíos super
+rifle renunciar incluyendo hoyo español acepta rueda municiones ciudades béisbol regresado pediste
+ja sesión comprender tocando montar ma familiares espía efectos salto pagó impacto emoción disparos
+comando autorización informes honestamente existencia demasiada coches clara alcanzar volviste
+octubre g conseguimos barato apostar requiere importan grano demasiados casarte tráeme rick progreso
+odias ocurrir hacías serías secretario rusia piénsalo gatito déme colección vais sufrido ningun
+helena harris terror salva salgas sacarte lanza usó quince prometido preciso pirata park moral
+moneda kyle hare haberle estuvieras dijimos cayendo bajas viniera soñando servirá moscú mínimo
+hermosas escondido eric demostrar perrito jordan intente habrán experimento espaldas diseño barra
+anciano alfombra actriz tono sentarse remedio listas gris enviaron entendiste disfrutar contaré
+comen sentada pregunte japonés gritos dolares asegurarme restos piper pierdo motivos josh dimos
+campeonato apúrense unico reír prima maricón actúa periodista luchando estelar escritor encontrarás
+dejando adecuado terrorista lady hierro enterrado big sincero sharon representa positivo mereces
+italia fea acerques petróleo encargado capítulo enseñaré cuentos breve atreves súbete sed patético
+mostrarte doctores carácter tuyos plaza obispo necesite muevan involucrado frankie darán robin
+ingleses usas ruedas prácticamente orejas golpeó costado conducta toman suban médica manzana
+jonathan escuadrón reconozco ordenes gallina cambiando borde ataques actual víctor polly pecados
+invito inconsciente bastardos abrió shaun oyeron intentaba cuartel consciente tranquilízate suyos
+residencia máxima llevarla grasa células retrocedan recepción medicinas explotar corona callate
+calidad ayúdeme asesina absurdo revés producto nancy encontrarla dj descansa copias apagar
+profesionales práctica investigando francamente calvin afganistán vecino trozo tómate tercero sirven
+saquen manual enciende cercano bailando atras usarlo telefono registros ponlo pasta lleguen saliste
+sabrás p morgan limpieza estadounidense enojada desafortunadamente conoció pinta matamos funcionan
+cocinar cima atractivo preguntes necesitaré lleguemos interrumpir haberla apropiado presentimiento
+intentamos finales evitarlo enviaré deporte bajando sucia recibimos pastillas ceremonia tina muelle
+maletas k hijas desconocido conseguiré taylor refugio imagina franceses convertirse arruinado
+vomitar pasajeros normales disfraz continúe arreglado aprende venimos tenerte seguirá razonable
+puesta masaje lágrimas gustaria extranjero dejaremos carlos apellido alguacil tracy temporal rompe
+mayo egoísta aceite platos miércoles indios decimos creasy bolsas anuncio tirado notado mutantes
+imaginas habitaciones grecia entré díselo césar stanley holly comprado cocaína amarillo acabará
+suceda mentes maldad gustará eliminar corbata burke atrapados sabíamos merezco medalla lograste
+lionel jaula dió chofer informado fox fatal enfadado cubierto compañera ronda regina cobra cantante
+abrazo tarjetas sentarme refería indica gravedad ganando estúpidos elecciones collar cincuenta
+programas naturalmente embajada desayunar dejaría vigila quisieras intereses agárrate aéreo traición
+seguiré salvajes prefiere podéis noel mueres molestar italiano dejarla corazones averiguarlo ave
+arreglarlo advierto vendiendo pública newman monje jugamos hablarme escoger andas ví teddy pico
+llevé entro tenias priorato perdemos industria cretino cafetería cabaña aparecer tradición suelto
+publicidad pares oídos medida japoneses hitler dieta capa vendrás sincronizado neil historial guión
+enano devolver solitario misiles hall desnuda bridget brad vaquero únicos trasera sano piezas liga
+gerente cindy caridad armados trajeron religión jon fotografías sentirse rezar protege preparen
+niñera naranja matarnos jugada gandalf espérame enseñarte cohete tanques sombras moverse llegara
+cortó cierren volverán usamos sabremos potter maletín lenguaje jenna invitación cambian rehenes
+margaret freddy encontremos descubrí audiencia agenda wallace sígueme sensible sammy reverendo
+queréis dex cazar bodas seguiremos rosas retiro primeras poderosa matthew deberia cantando antiguos
+teme smallville síganme moviendo juventud equivocas trabajadores seguí salvaste pulmones payaso
+oírlo fama engaño distrito disculparme davis ciudadano robando equipaje ciencias ubicación federales
+tratamos ofrece of junio extremadamente actuando traducción supiste sacarlo preparando mei letras
+típico reserva propuesta plataforma mago linea hank dude busque tabaco principios lou dormida costó
+causar temer subiendo rollo ns hechizo gusano guau grupos discos despierte st ocurriendo horario
+expedientes envié dibujos concurso colt autopista atacó vendedor sigas rebeldes radar madame
+expresión escuchan carla use resultó principe hágalo greg exposición demasiadas cuidando aterrizaje
+apetece tomaron sorprendente responda olvidaste lobos echado deberias cortado citas abiertos zapato
+preso lastimar explosivos colegas telly supieras secretaria queridos morirás mickey cuero confesión
+círculo sabéis química obras llores juegas invisible fase esconde capitan adulto vacía siéntense
+pastor llegada jesse gatillo debamos teléfonos saqué regresará olvidaré lucas límites jovencita hong
+dibujo británico balboa psiquiatra objetos negociar hill formar fiel diosa descubrió ala abril
+saldré mías disfruta atender tomaremos samantha rosie oreja necesitaremos motores intenciones hannah
+cumplido brindis villa trono traen thunderbird sentados samurai salía raras producción medias lavar
+jazz extraordinario causado angie serpientes revisa quedate nervios estable cerdos riesgos pasaste
+michelle madres instinto episodio empezaron aniversario angela anderson viera viajes trabajé rango
+preocupación métete imaginé hayamos fenómeno dolores demanda damien creó asegurar pesadillas niega
+molestia kirk extremo debilidad compasión camiones aproximadamente afecta administración
+reconocimiento recientemente practicar pierdas pandilla miss mates disparando británicos ayudarlos
+abby sueldo siguió significado miente medidas guitarra custodia boletos ayudado sydney sentarte risa
+quemar prometió observando lectura jódete considerado cometer cambié asientos wong shock satisfecho
+saludable lanzar ken hoja conozca concepto colgar apunta renta prefieres pediré mediodía influencia
+hacernos figura ensayo coordenadas casó bart albert político países once matarlos karl graduación
+frase eterna estarlo descuida toalla próximos monedas mirad miraba jesus griegos famosa corredor
+atravesar aguas modales guerras eternidad conocerla charlotte busquen buck acuerda sentirme ralph
+quema poema ordenó espiritual costumbre comencé cabra alquiler williams vencido vela trataré
+sospechosos quinto pilotos philip perdieron norman josé generación formación estructura concéntrate
+complejo voces virginia tragos temor república recursos presentación pirámide oficialmente
+maquillaje guardaespaldas escucharme dejara contiene bendición vuestros semejante pague molestes
+cultura comió antecedentes tendríamos representante prestado posesión oir nubes meterte guantes
+esperabas enseña encontrarme consejos regreses preocupen pistolas jennifer gane dana sos niveles
+lane ganaste considerando capital cambie ánimo utilizar lograrlo llévate gafas espíritus do watson
+ruby preguntaste pagará maíz ho estacionamiento contactos aguja turner trenes soporto sacaré oido
+fortaleza donald corea conversar computadoras cálmese volante sucederá jessica decías data cuente
+civilización cabrones arruinar vampiro tocó regresé pases mitch megan logan fantástica facil
+estabamos diera detenga violación pam hemorragia fianza docena centavo célula carreras callado
+rodilla prometes profundamente posiciones hicieras furioso desperté comes ciega cicatriz bebidas
+acércate tiró policial pasear masa llegues global escapado dinos cuarta bienes aparato steven sostén
+realizar permitiré orgullosos corten comisión vidrio presa ocupados morfina habrían columna sacaron
+patas oírme ocultar objeción myers maneja largas generalmente fuentes cubrir ataca tenis santos
+potencial plano murphy levante escala enfrentar cuánta sobra rumor páginas órganos león entras
+decían chinos brujas barbara admiro voto volvieron suelte reto metes infarto cuyo construyó boleto
+besar portal ponemos monte discusión digno desean darse considerar bancos poción perdóneme pensabas
+mónica generoso estatua convencer conocida comenzamos aceptado woody rob paige importar gabrielle
+fracaso ciertos bomberos zé sorprendido protegido presenta metí entenderlo detengan conflicto
+códigos seco sabiendo hacerla green graves dejarás convencido comprende bromas yeah oyen moleste
+mencionar gastos estaríamos esperaremos encontrarán billetes arco altos actores talvez sitios saluda
+quejas planeando moriremos marica habrías estarían dejarán castle amantes acostumbrado tyler torneo
+planos ordeno morris miré maldicion kg dirías confirmado vacas quirófano ponerlo origen fusión
+deberá verdaderos serían seguía sabrán pasaje necesidades lavado galaxia fresca drake doloroso
+comenzado uñas trajes perfil necesitará manejando lola lentes engañar ellen cállense bud bate
+automático tuyas quedarás profunda piensen permiten heredero entraron diane canadá caminos sintió
+robé porno lejano intercambio hojas dispare cuan champaña atractiva terminal rita poesía pierda
+expertos ensalada convertir calientes autopsia tristeza tiendas rebecca mafia jodas escuchó enormes
+denme atacaron ana almacén sufrió productos productor permitido pegó matarla interno interna
+infantil españa diarios combinación acompañe ropas pondremos metiste esencia brillantes bingo sordo
+sacas rancho objetivos muebles mencionó estupido enterado documento ann vencer sintiendo quieta
+período oportunidades nicholas monsieur monos mercancía lastimado internos hueco golpea evento
+estudiando elige crecido conspiración avenida tremendo tocas sabias raya líos invitar homicidios
+herramientas flecha derrota cervezas weyland terminará llenar líderes ganan fingir estrategia dirán
+confías cómoda comience cenizas capaces wendy temía sonríe quite necesites mostrarle mordió jefa
+fallo empiezan dispositivo detesto aprendiste aman agradecido agáchate terminaste sida mueras mentí
+lujo láser importe físico caes tiros miran lydia hadas ganancias fritas fantasía deténgase déjenlo
+curar comidas ruth quisiste pacífico oler ofreció importaba derek certeza alfred actividades zack
+vestidos sullivan suele submarino podrias pesa judas idioma identificar hubiéramos craig cañones
+beneficios sospecha observación muchachas manejo jodiendo explicarlo divino divertida despegue
+dennis contrató brooklyn volumen trabajó términos morirán hombros hada alegre terribles temes
+sabiduría q prioridad pluma misil mansión detenerme despertó decírmelo cambiará arranca alejado
+soltero samuel pierden mascota kerry empuja dentista cogido batería visual stu sirius reconoce
+pedimos niebla métodos durmió desfile creciendo continua borracha beca adolescente actos mágica
+imbéciles huyendo fotógrafo experimentos edificios deténganse cálmense atmósfera acabaron votos
+tareas presupuesto persecución enseñarle enfermos cortes contaste recuerdan probabilidades núcleo
+multitud moriré eva empresas delta austin asociación verdes santiago profesión pelotón paro
+manhattan largos danos creído cosecha cintas agallas vendido tortura suéltala sexuales retirado
+reconoces pudieran may desorden desarrollo abandonó vodka violento vestida probarlo jay buda balón
+qin población pechos ocurrirá mientes leal jo haley federación dí baker asustaste apártate vinieras
+valioso profesora misericordia mancha ilusión habrás golpeado generador empiezas detuvo despedir
+cuerdas cráneo champán cartel campana amanda vendió spooner rompí revistas ordena krakozhia jennings
+cállese avanzar técnicamente remoto pudiéramos pega parto nido molestando kennedy gota francis
+fracasado ford esperé escúcheme eco duros dispararle desaparecieron darryl contarle cargando caen
+asesinó prométeme políticos plantas oculta mundos fines dueños detén cm bailey asesinar agosto rojas
+pantano opina odian llegaré impresionado dirigir diciembre decidimos conectado toco sinceramente
+relacionado quedaron nikita levanten jin espantoso enseño enfermedades divirtiendo cubre
+confidencial compre cody baúl baila aumento ascenso anthony testimonio saliera resiste preston
+párate ofrecer ocupo merecía jacques jabón hamburguesa gondor f escuelas equivoco caiga bernie
+beneficio suéltalo rusa receta modelos misterioso hoia esconder eche contarte carlyle callejón
+buscarla bonitas toquen rudo pasaré justin extrañé detras detenerlos delito atacado traerlo
+sentencia sácame posibles participar pagas mintió jefes excepción espadas engañado débiles
+corporación cerrados carajos vería seca recibiendo pescar olvidas naciones llevara kit graciosa
+emergencias dylan conviene comunicaciones caí ocuparé noah niñita lizzie hazte estupenda disciplina
+case arriesgado arquitecto vaticano treadstone traerme tiroteo sirvo sentirás ratón quitarme quedaba
+preguntan permíteme masacre infancia indio homosexual chance barba artes acerque susto síntomas
+salvarte sabio romance petición peligrosos orinar marshall macho llevarse lindos rowan protegerte
+profundidad porter pides permanente investigaciones cruzando comenzando atrapada trampas tomemos
+tímido ola narices malcolm diana united presentarles pasaremos observa nacer mona mm increíblemente
+despegar comentario sufre ramera perfume oscura olas obligado noviembre logré llevaría fallado
+escocia destruyó conduciendo camiseta venas riendo resistir pavo pagué nieto melvin liberar hogares
+denle barón aguanto zod woods vicepresidente simón querrías quedara ordenador mel jodidos enfermeras
+despertado comentarios alumnos aburrida superar norma musical lápiz jodan incluye fruta entran
+eléctrica crítica comí chip cargado altas venden superiores sufriendo sacamos lawrence invitó huelo
+harían gastar flint escapa confirmar todd street quitado probando perímetro pegado olviden mentirosa
+incapaz forense félix ésas dignidad detectives deportes delicado cuarenta constante bebes sesos
+seriamente regresemos protegiendo muralla meterse lleves inténtalo huye embarazo detroit debimos
+cuartos copas brooke seattle rehén pisos persiguiendo milagros horror hector emocional comedor cap
+busqué buscarme tumbas subtitulado qaeda plazo pesca muertas mantenerlo llamaremos litros horribles
+harvard deudas detiene compraste comisaría verlas vé vago unica radiación múltiples muchísimas
+equivoca cuya cortinas bo tenerla tapa sorpresas respiro queja preguntarme oyendo ned mordida mmm
+miró marchar mantequilla guardián escándalo causó caleb aléjense acercando vió tinta sindicato
+reuniones pida personajes lees keaton dispuesta descripción calzones brigada ayudaría repugnante
+odiaba misa metrópolis meterme mamita jamón forrest ésos cazadores weaver usarla ronnie retraso
+responsabilidades preocupas pagando linterna kansas inevitable encender distinta compro cacería
+atacan usaba parientes menores jungla ginger dedicado contentos compraré chuck astuto antídoto vivas
+vano sajones raros quemado promesas paulie parejas olvidarlo locales fuga estaciones dispares
+despidieron asesinada artillería apariencia advertí z stone sacarme pueblos monty mágico garantizo
+excusas contratar claus chowder chandler candidato batman anteriormente adicto sello salvarlo
+retrasado placas lucky hermosos galleta escucharon chistoso anillos subió solar robertson píldoras
+pásame moore juegues grito enseñado encontrarte descubrimiento consigues clérigo clásico batallas
+argenteam american uses trates marzo hechas fraude economía disfrute creerme costo consiga condena
+bájate alivio yuri traerá spock quedaremos micrófono matemáticas interesan ida hueles giro gina
+desgraciados arroz andan unido traseros torres seda maria engañando encuentres elliot controles
+choque celos aclarar von totenkopf shelly sentiría santuario queden piratas impulso impedir grita
+envíe entraste debieron creías cobrar audición asesinados afueras tribu testamento postre phileas
+paró ópera jeffrey falló estatal esclavo déjate costillas costará chistes arreglaré apollo alcanza
+valientes privilegio palmer orina lauren jovencito invasión ian halloween estuvieran estupideces
+encaja durará descanse déjanos camas cables bárbara avanzando usualmente sagrada sable retírense
+retirada psicópata preocupo plaga ohh mordor malvada existir entendemos emilio cuái bendito arregla
+supuestamente sméagol residente rescatar pesada oímos locas llegarán hermanito hamburguesas firmado
+entrenar encendido disfruten deseaba conocías cambiaron boxeo autorizado armadura sobrevivió
+preocupados ocasiones necesitarás mutante músculos mantienen justa increíbles incómodo harta
+expedición esfuerzos directa deberes contratado burt usé sentar presentes mierdas merecen llamaban
+ejecución darás créame busquemos afirmativo admito talla rodeado reparar quitó patada lea jugado
+humilde encantó encantará elefante echaré doyle demostración creación compañia camaradas bebido bata
+whoa soga signos sentirte póngase perderé pegar ondas mapas mantenerte llenos intentes informar
+independiente fuéramos eve encontrarnos distintas conque conozcas cometa christine acostado
+pentágono pensaría galería duermo decepcionado blancas bajó ausencia asistencia walt usaste suma
+ogro griego caballería bondad bolsillos avanzada ancestros alturas star puño otoño observar mande
+lily ligera iris horno grosero elementos debías culpo comencemos chase bebo veloz telefónica tatuaje
+sácalo resuelto quedaría pais nocturno mikey líquido lincoln filas estes espías especialidad aves
+amables uniformes sentirlo retrocede reconocer rebelde plena pervertido obedecer mentido matara
+llamarla jade entienda ego echó considero cobardes césped capullo baños supervivencia soñado
+separados respirando nicole negras leonard kirsten keith jorel infantería identificado honesta
+hambriento escribo dodgeball despedirme demos cortesía colonia ayudes amiguito alfa temen suéltenme
+sensacional sacarle prostitutas pondrás literalmente licor juzgar equilibrio envíen entregado
+corazon consulta boxeador bahía alicia vince usen taller sparrow rompiste quitaron patatas operar
+mochila interesada inspiración explicaré estuviese enero cumple claudia bubber lógico lester islas
+insignificante hermandad goma franco duermes chimenea trataron tardará sky sábanas ring polo podia
+perspectiva papás ministerio gesto fumando elena disfrutando diego debas culpar atreve arriesgar
+arabia antonio vital túneles transferencia suicidó sucios seguida regresamos recibirá oculto
+honorable hmm generaciones escolar dámela controlado constantemente cheques bromeo australia
+asegurarnos apetito vivió vías south robbie piden órbita manzanas interesantes herir hawai graham
+exámenes enfadada donnie cuadras cometí colorado asia término síndrome refrigerador randy ofrezco
+natalie mentiste mecanismo manejarlo especialista denny dejarlos crucero bruno avísame ardiendo
+stuart saludar pearl papito oficio metieron kenny harrison hail estadounidenses divertirnos cuentan
+tucker toneladas tobillo técnico saudita salvador sabré presta paula ordenar naciste mostró moderna
+mito juramento island garras dallas consejero confusión christopher aguarda vuestras ventas tiffany
+sirviente sierra serios sawyer pónganse perderte juegan indicado entrenado enteré enhorabuena cuba
+cruce crean contarme cancelar callar aceptarlo suite soñar provisiones preferido normas mitchell
+mientas mandé mandado llámeme huella gilipollas fingiendo eterno escopeta elvis divertirse distintos
+desesperado bailarina alimentar adora simpático ridícula respetar rabia presentó poderosos pito
+perla pendiente maestros humanas estare escuchame entere bésame amelia suicida suelten sobrina
+presentarte padrino fractura explicarte escuches envío enterrar destrozado dejarle connie
+condicional cometió avergonzado artículos amenazas victima val trevor símbolos scotty saltó repetir
+pelos organizado novato localizar lindas intentan estara enamorados discutiendo clem cajón aliados
+águila sugiere sexto retirarse reciente protector presos pike pidieron nemo mide materia hueón
+gentil frankenstein evidente enlace dorado discúlpenme dejare conclusión competir auténtico anuncios
+afortunadamente siesta sentidos principales mátame leland hallé girar extraterrestre egipto
+canciller verne valores vader recibiste quítense protocolo preocuparme pacto nora módulo
+inteligentes imaginaba huracán dejaba canales buscaremos botellas billones atraparlo arrestar acento
+accidentes vientre tomaría tokio timón tabla sacando pintar particularmente palma organizar llevarán
+llamaría irlandés esperes crecí as agarró voluntario vivirá vigilar vestíbulo soltar siguientes
+residentes leíste halliburton hacha felicito enojar ejercicios dwight drogado charley cagar
+traducido suplico sd salario préstamo mensajero jen granjero filosofía faltaba explosivo diagnóstico
+cardíaco cady bosques acabé tomate quitarle magneto lance huyó hilo hablará gemelos eligió doler
+dificultades concentración caroline artistas aceptas acabando vaughn umbrella torpe sobrevivientes
+saldrás región produce post obsesionado descubre cerró cayeron casé bell automóvil atiende world
+voló ruinas orilla nelson mañanas magnífica excitante enseñarles comenzaron cerradas celosa batallón
+atrae apresúrate rojos ofender novela nazis muros limpias espectacular empiecen cortina construido
+comerciales chaval cadenas botones arrogante vendo tuviéramos tocaba situaciones semental
+responsables reportes muestran facultad envidia emocionado disposición diremos dejarnos deberiamos
+conquistar bonitos blake averigua almohada activo abuelita vitales verse traicionado teresa soñé
+roba moderno manta lidiar joda despejen comunista cliff claude aprendiendo tirando suiza pita
+pensaron nudos muestre molestado llora hembra finn eternamente enron duermas disparan creerá colgado
+bishop beach arrestaron archer acusación viajando tremenda thorn spoon simples servirle planea negar
+necesitabas mordido miguel lecciones insectos imaginado harvey habríamos fallar escudos diviértete
+crece combatir canto bichos atacando apestoso alexander aiguien visa times sun retirar persigue ooh
+michigan leerlo judy investigador fan falsos echarle dire cuide comemos broadway brenda transmisor
+servido salchichas récord raíces propongo oficinas neo navegar llevarnos lastima granero ginebra
+genovia evidencias enseñarme dejaras dañado cuentes bandas avancen ángulo ancianos activado acceder
+varón sociales set sake saddam recuperado quedarán porfavor navaja muñeco milord manchas escuchamos
+entremos cosmos conservar condesa ataúd antena anciana ademas toro subido sígame recoge quemando
+preguntaré pondría pensión panel muriera llegarás inversión hablen geniales genética funciones
+filadelfia enfermería ellie destruye destruirlo cargamento calmado cabe billete asustó aparecen
+aléjese ta recuperación portada mojado método masiva martillo hospitales helsing hallaron hallamos
+fax exacta estrés empezaste echaron cuidados creíste conteste avisar atraparon arizona viaja
+terrorismo tarado salchicha pum peste niego morgue misteriosa miseria mantenimiento malentendido
+lake justamente iniciar escondiendo cambiaste caerá bóveda billetera amamos unirse soltera mesas
+marte logra indican imagínate gusanos grabación fuegos firmada experiencias editor asilo venid
+vendrías utiliza tte tórax significan saludo ordenado dales cuchillos beba barril archie algodón
+ajedrez acostarte reno quentin paolo llévenselo ligero inusual gases estadio desee convención
+circuito azar atrapa asumo test termines spiderman rex reunir pratt posee lenta kilo inyección
+ingeniero entres drama derrotar dedica criado consuelo conocidos comeré calzoncillos calmate bobo
+bastantes bajado ayudarles afecto recto rebelión pinturas one murio gus grabar durar culpables
+cómico betsy bendita artificial agradecer adelantado acabemos viki valen talentos separado pusimos
+menú manténganse leigh juguemos janet gral demora democracia cuelga cruzado cristiano chapman
+caramelo aprieta tomarlo tarta tales supremo solucionar sensores retrato prometida pagarle osborne
+musica moon mejorando granada espléndido creando carlo billar acercan yardas volvía vehículos tejido
+signo saturación picnic multa lloviendo literatura ire hood gabriel enviamos cortas corren congelado
+comprobar camarero blade bajos actualmente turistas sumamente perderá pagamos ovejas novias muñecas
+maní madrina llevarás instintos hacíamos enseñé debbie conseguirlo carbón avanzado avance autógrafo
+aumentar aplauso viuda victor vacías universal trabaje tómala sorprendió ríes pulmón próximas pai
+orcos my min mick mezcla meto melanie jessie inglesa independencia huésped extrañar encantar
+destruyendo corresponde correctamente coco asustando andie administrador abogada tierno soledad
+reynolds recuerdes pope perderemos osos oírte jeanie flash escribiste depresión collins caramelos
+basado aventuras aumenta amada agotado agarré trabajador rodar robinson repite recordaré quatermain
+llover jamie führer entendió darcy danielle contactar agradecería usaré truman troy tomaba sujétate
+sospechas soplón skywalker sándwich reunido prepare norteamericanos hallado gustaban festival
+eventos escriba escogió demuestra déjelo carrie barata banquete arreglos alcanzado acostarme
+sentiste plomo perdería noté gibson fuí destruida desperdicio conveniente apártense andrea amarilla
+agarren yate vendré soportarlo sid sencilla regresaremos regimiento quitarte ponme peleamos obiwan
+newport muevanse menelao manicomio lesbiana juzgado jugaba inventó injusto farsa estribor esencial
+encontraba conjunto comprendido comercio chau cazas atado alimentos vagón tranquilidad torta similar
+sauron quedaste mandaron hondo holmes haciéndolo gripe er dirigen diferencias calibre botes borrar
+asquerosa apague ahh abismo zoológico salvación rj querrán propiedades permita matty llevaste llenas
+invento inferior huéspedes hoteles gigantes flujo esperábamos encantaba ebrio duncan dormí decides
+cobertura cigarro acepte traía terminemos susie seguirás reconocí proxima ponle plasma monitor lunar
+hamilton escucharlo descarga cuidaré cometiendo centímetros capturado baby ardiente usaremos traten
+terminaron sacaremos rodando renuncio recomiendo ponía policias papeleo novios medicación klingon
+hans fu escenas equivocados eiia cortaron contratos contaba clinton camilla bla bellas ash adecuada
+viviente thelma secuestrado religioso regresaste permites perfectos pelicula mínima luchador lámpara
+famosos extraterrestres escotilla duane dolió condenada andaba traficante tiras tardaré shane salvé
+regresas recordarlo molestaría long llamará feria febrero eventualmente escondite duerma dijeras
+creció colinas atrevas ataquen apunten antiguas adolescentes acusaciones supuse sgto recado
+programado prince patria pariente necesaria monkey mecánico joya inútiles hara ejecutivo dulzura
+disparé disparaste detendrá desconocidos comprarme bién anakin agamenón videos veredicto trajimos
+tocan tiré tardar suenas sidney reservas reciben invita guy granadas grabado falda extraordinaria
+escondidas direcciones comparado clan besos angel afortunada ácido tiren pongamos planetas perdon
+pañales moriría mexicano marchó man maletero kendall individuo huelga habitual extranjeros deseado
+dada cohetes cocinero científica casaste bigote avanza atrapó ansioso taco stacy soze sana peleen
+pasteles mirado marinero echando descubrieron confesar compartimos casey boy bicho avisa atajo aló
+acostarse voluntarios sue marcador maquina hayes gallinas franklin estallar desafío decida dash
+cuadros contador británica autor arde absoluta vera trece supervisor solitaria rindo paquetes
+oriente lastimarte jeremy inestable habernos fans enseñaron duermen documental divina criar casarnos
+benjamin bandidos agradecerle abdomen tortuga tocarme tire revisen pañuelo little levantarse
+imperial felix deprimido cadera bandeja aparezca visitantes tumor todopoderoso tentación sugerencia
+seguirán seguidores sauniere saldrán record pruebe ponla permitirá permanece on olvidemos nixon
+mueran mariposa hockey fumo firmes echas drew crítico carros caravana bestias beckett barrera
+acerquen velma valentín tráelo satisfacción revelar mueven mosca michel metida mascotas hicks
+hablábamos ejércitos discutimos declarar coop conozcan colocar cinturones ayudara asumir asesinaron
+arnold alquilar agujeros vuelos slim sirvió sirva ruidos rincón quito putos patear paracaídas mear
+irlanda honrado gerry escrita complace cojo cazando capilla america volviera verificar suélteme
+skinner sirvientes senadora semilla salio quinta pertenecen pendientes partidos nazi nate misterios
+instrumento háganlo hacienda fuma explique esparta escribes diseñado cleveland canalla cambias
+vaqueros tronco toallas tendrían significaba sientan salidas políticas passepartout oriental
+mutuamente lila lenning intimidad grabando georgia filmar fenomenal fbl falsas evacuar duelo
+dormiste dinosaurios dados cruza conseguiremos confíe conexiones cómplice cerradura asesor admitirlo
+addison winston vagabundo tomarme tarda sonriendo so revisando prudente postal po pizzas mariscal
+marcos marcharse lava kgb flanco explico escúchenme encárgate decidiste confuso condenados comiencen
+coman cerrando cd vientos traicionó suyas suelen romántica perderás oración occidental mj liberación
+levantado josephine joanna gancho evolución escoge cueste chef árabe adrian venían venda sustancia
+secundario sacarla rubio presentado precisa perteneces palos oscuras lunático lograremos llamados
+leyó inicio héctor docenas directora complicada cogió camara brewster arruinó apuro abro vestuario
+vergonzoso stepford sorprendería sientate rastrear proviene profesores primos premios permitió
+medico marcar mantenlo jueces joan instrumentos incendios imbecil garantía francos especies
+escribiré emboscada educado devolveré danza creería confundida blair asegurado apuntando anormal
+agradecemos tomara televisor suponer salvarme preocupan perdonar perdedores pa margen mandaré lang
+ingeniería id herencia gobernar doncella comprando colonias bases barras bájame sykes solicitud
+sendero sacerdotes roland revisión restaurantes rastros pegarle patrones obtuvo mortales matrícula
+inuyasha instalaciones ernie enojo duras dejarías dawson corrupción controlarlo beverly banks
+apágalo alimento terriblemente solíamos rohan ríe reza promedio pórtate misiones meten merry lotería
+italianos hunt hammy guardianes ganaron fáciles excelentes escritura escapando encontre empacar em
+dunbar doris devuelve convirtiendo contraseña cojones caca bromeaba ayudaste artefacto abras subo
+sentimental semillas sáquenlo sabrías reconocido privacidad portaaviones perry parecerá ocupa lucir
+ii hudson habré estudié enseñe encontraría dolerá dispuestos discreción deberás debate creencias
+crecen comas chiflado aterrador volverse visiones surf software saruman rival registrado pensaré
+ocurren ocuparme obsesión nube nobles milla jamas insisto impide grand gol frágil fermat eramos
+entrará dispararé dispárale derrotado chatarra cálculos caigo by brillo basurero ayuden aquellas
+altamente alienígenas acercó abiertas toqué tomarte senos russell provocar plumas lograron lindsey
+iron inicial femenino extras entrego encontrarlos denise culto cuántica ciaro center calendario
+atracción asustan asegurarse arregló aquél aprendiz aprendes agresión acompaño abuso viví triunfo
+traerte temblando respire owen ocúpate newton llévalo limpiando jefferson hernández haria grandeza
+exhibición evacuación dobla deshazte desgraciadamente crei crack contenido clarence babe arruinaste
+aprobación alumno agresivo zorro terminen sacrificios rompiendo riñón reúne recorrido positiva
+murciélago morimos medicamentos marion marines mantendré insignia halló filete esperad enviaste
+enseñando disfruto determinar desesperada delincuente cristianos chaplin calentamiento agradecerte
+afectado ábrelo sincera shaggy sebastián quedando pila peligrosas nasa mataran lamentablemente labor
+jinete hipoteca hacerles femenina elemento deshacerse defensas cuarentena comete casamos camarera
+callarte baloncesto acabaste vendí tuvieran toby sonidos sirves separación quítame percy penny
+opuesto norteamericano luis llevarle hospitalidad enteró dominique declaro cifras catorce cambies
+brandon ayudame aprendió apagado alambre zeus terremoto separarnos secretas roll quemaduras preparo
+poeta pagarás olvidalo mudo millie meredith magdalena letrero esconderse email conseguirás clay
+christian bagdad terminada táctica sonaba shh sepamos sandra quedaras púdrete peyton patán pareciera
+nucleares moría mírala miento lesiones leones invertir insulto ies grites flotando flechas
+establecer elevador eléctrico dueña determinado cuevas cuadra cortando cambiarlo blue aprovechar
+anual anímate ando suspendido sentirá perras melodía mandan linaje levántese interruptor hills
+harper decidieron conversaciones contrabando cachorro bañera asustar aceptó abren vinos vasos
+sueltes spider scooby ripley profecía pierce morfeo molestarte metiendo madison llueve invitada
+inocencia helicópteros guarde grandiosa físicamente esperándote enrique elegiste diente desarrollar
+construyendo conocieron chicle atlántico acondicionado acercarme abrí tirador thompson saori ruina
+respeta recordaba polis perseguir pégale novedad nikki muévase muerde moscas memorias langosta knox
+japonesa insiste harbor hablaron generales freno existía examinar euros etapa detención cuervos
+convertirá congresista asusté subtitulos sonó separamos reflejo reese navidades moverte mack levantó
+italiana integridad informa hanzo hábil fabulosa demas cofre causando cancha bruto broken brindemos
+ayudarás abandonada vito vestir usaron torpedos sonda relajarte reactor queen pobreza ocupar moverme
+milo localizado llévala kathy insoportable insecto house gretchen explota escondida engañó
+encontrara edgar dinamita desaparición depto debíamos creed corra compramos cercana barro
+arreglaremos valentía tratos shakespeare salmón quitas perdonen nerviosos necesariamente mercedes
+mejora maravillas levantarme intentaron intelectual ingenioso hirieron hablabas frito escapaste
+desactivar concierne cómodos calcetines agradecimiento abriendo tubos tristes texto ritual reservado
+proyectos perpetua observador neville nadando moviéndose mátala mantuvo latín kung it irlandeses
+inaceptable grey golfo exitosa escucharte elle dixon desnudos descansen descansando costar conociera
+comunicarse coja chao borrachos apocalipsis anspaugh adrenalina acompañarme vídeo timbre roban
+provecho panqueques obligación langley helion guardado gemelas fundación ficción fantasías edición
+cavar carguen avion auténtica voladora trineo sword sirvienta siguieron quitaré promete primaria
+previsto pasajero paranoia paramos opus mort monjes molino llévenlo liberado juntar inventar
+interferencia institución infectado ilegar habra gym ganará encargaremos díaz cyrus cortos cooperar
+comiste cogí calvo boyle básico arteria ali alboroto adoran tango tablero sospecho sobreviviente
+renuncia reciba practicando permanezcan pensará ofrecerle mini mejorado marvin marciales manden
+larguémonos isaac fijo explicarle evaluación escogí elfos demente corté consiguen confirmación
+completar categoría bay ayudé atraer zapatillas warp violar vernon theresa sonreír rory pretende
+ordinario olvídelo nuca nietos metan levantes iugar gilbert gallagher favores factor empezaremos
+detengas deseando cuernos criada consentimiento comunistas cla cartuchos cangrejo bonos apreciar
+agárralo vapor trataste tejado semestre sebastian riqueza recibes peterson millonario mecánica
+leyendas jr hobbes halla estimado entiendas eché dirijo destruirá deberán cooperación conklin
+conclusiones comunes brilla basada bandido astronauta aprisa aislado tribus tela reportero químico
+persiguen perfección palanca osborn marrón madrugada hicieran guante gideon firmó et envían desmond
+dañar creerás convertirme confiable comics carmen bernard apretado agarre wells vulnerable vieras
+terminan tenso telegrama shelby sepárense reuben relojes referencia ra quemó periodo nevada
+nebbercracker matón matanza mantenido mantenerse inmortal hermanita frenos disparas despreciable
+dejeme cosita conejos carnicero bodega aragorn aires trey ringo reportar reflejos quinn propina
+prácticas peleado peinado oscuros olvidamos negativa materiales martini mantenerme lesión invencible
+hutch hubieses gratitud film explorador esconderte enviando discutirlo desaparecida cuna cosquillas
+comedia baterías avisado asistir apropiada afortunados acercarse acelera zurich suene snow similares
+respetable planear pippin pajarito malik inspección herr hal habiendo experimentar escolta domingos
+desesperación deseamos dejalo cuestan coro convincente conectados castigado cambiarme ayudan
+atardecer aparecido ambición agarro walker vicky sobredosis rápidos probabilidad perdidas panza
+necesitábamos naval malkovich levantarte leña kurt inesperado hobbits henderson gail fichas
+favoritos explorar espaciales entregue dominio demostrado costumbres charlar certificado cayo
+anteriores alemana activa aceptan zhao violet turnos traidores terrestre sirena sauditas revólver
+refresco precisión permanezca pérdidas perderlo pat neela monasterio mocoso marineros limón lanzó is
+inmenso golpeando escogido deshacerme descenso debiera dándole cubo continúen comarca cj caviar
+brittany bloqueado berlin allison acompaña vístete teorías salvará sacan rio rifles relajate rasguño
+ran quebrado producir presiona peludo patricia operadora obligó nigel mostaza mencionado martín
+kayleigh exige entretenimiento entregó elfo desarrollado cenicienta babor ares anunciar admite
+triple técnicas sobrevivido rotos respóndeme resfriado rana preguntaron periodistas pedo pasto
+pamela madura lárguense langdon kelvin katsumoto judía joyce jodidamente instalación hazle haras
+hacéis fumas farmacia eliminado douglas dígales define cerebros celdas cargada agradecida acaben
+tripas tradicional thunderbirds sandwich romana regresan recorrer rainey preocupaba movernos latas
+kenneth josie habitacion génesis estúpidas escogiste escocés encendida despido delgado cortaré
+convenció carver carnada cargas brutal brandy atrasado atrapen acoso aah zachary us ue tropa sopla
+sangrar presentarme pavos oren niñez necesitaría morty mantengo maddie leve lancha inversiones
+intenso existido enseñaste elegí duende dormía díganme desesperados cúbranse cicatrices cambiamos
+cadillac bailarín acordamos acera wang viviré víbora saques saldría pésimo patética pagarán ojala
+naturales mirarme mg merrin máscaras logre laberinto halcón group frutas fórmula esfera entusiasmo
+enseñan encontrarse encargarme einstein duke desconocida descifrar deliciosa dejaran daban
+conocimientos comenzará boris beth baxter asustados acabaré abrirla abrirá vulgar viena valiosa
+úitima tenés sherman sánchez river quité queriendo protegerme pornografía parecían originales
+obedece mccoy jode inscripción gates enteras encontrarle dupree desear descuento dense déjenos
+darías creerán crecimiento continuación conocerlos coalición cigarros causas cargador calorías
+arqueros armstrong victimas tormentas tiraste soporte rogers retroceder regan pudiese prepararé
+precios músico matarás marilyn luchado implica hombrecito hábitos gorra gorila galáctica corteza
+corleone contéstame comprometido cálculo aseguraré ansiedad amenazó activar abriré ábrela une
+tomarse mudó levanto laboratorios flying financiero encubierto davian crió creador coloca brindo
+apoyar ahorros abres votar verónica velo unirte úitimo ricardo revisado queramos podriamos phillip
+pagaría ignorar gimnasia fronteras etiqueta enojes enemigas definición declarado daniels curado
+cerebrales burton bryan ballet atrapé arnie americanas allie actúas aconsejo abe yang terminaré
+subimos subes stevens starbuck revise quiza químicos querias protegerla plana parris paranoico
+ofrecen nueces montones llevarlos llegaría lancelot inventado ignacio haberlos explotó esclava duró
+desperdiciar delicada cualidades costas contestó constance conecta colgando coartada celebrando
+atentos atascado anfitrión admirador acérquense abeja unir suprema ss sillas sacrificar rudy retorno
+represento pelean pedirme mirarte lazo ivan ino ideales henri habias guarida esposos esperaban
+escondidos dinosaurio conseguirte conocernos conocerle carteles atento arañas alucinaciones zonas
+viajado reggie reeves realista rama quiten paras pagaron mismísimo míreme marcho inventé interesados
+intentaremos ilegales grandote gotas fino estanque estaca esgrima escuchad envuelto elliott edna
+doscientos disfraces delgada decia cuñado cumplí cuidadosamente consiguieron cepillo celebración
+botín arrancar alimenta ajá ahorrar africa vudú vandergeld tuviese salte rehabilitación rechazado
+princeton pasarme osama ordene octavius neski mátenlo llegaba í horizonte harley hacerlos formen
+excepcional entierro energia enanos eliges disculpo digitales dicha desaparecerá desafortunado
+delantera daga creeme contestes atravesó atrapamos asustas artificiales arreglamos arca apurate
+amabas allen acusados abuelos xindi vagina solicito rezando repita reducir querés planeo picard
+perfectas neutral na mueves manny legales lavandería jeep helada futbol fijado feroz edmond debían
+creían cordero consulado círculos caíste áreas virtud únicas técnicos silencioso sencillamente
+selección sabés round reportera reliquia pierre pertenezco penas paisaje ocupación notar migajas
+marcado mantenemos interrogatorio internado hubiesen honestos holanda helados gramos frio estate
+encargará electrónico disculpan defecto dedicas curva cría convierta comprometida caitlin ballenas
+amigable aceptable volverme urgencia tai starla sentarnos roman privados postura ponernos peluca
+parecería palomitas nocturna montgomery moneypenny mercenarios maricas mantendrá lilly kay intenten
+guardas grúa gastado estrelló digital dieran day corría capturar campeones ardilla apaguen amen
+acostumbrada sugerir sucias succión registrar propietario portero perdonarme parados ofrecido
+muevete mueller marcharme marchado li israel informarle hablaban ganadores firmas expresar empezaba
+despierten debra crearon claridad ciegos carson budd bones bloque alterado vestirme velada stella
+serias salvarla reed procedimientos porche ponerla pasemos pala ogros movió molestarme menuda hostil
+epidemia enséñame deténganlo detenernos describir concedido comunicado comparar cogeré callas
+busques acercándose abandona volado ventajas tubería traicionaste traerla timmy suministros
+regresando recientes puñado pretender peggy pasadas guardo girando fugitivo escoba escaparse empleos
+edie echen duran duque dondequiera dibujar destinado dedico cuidadoso cristales creerte clavo
+cápsula bastón atencion aliado agradece adams acepté aceptaré aborten whitney utilizado tranvía
+trágico tequila sostener serviría retira redonda realizado protocolos potente pensábamos monica
+mexicanos manson lré llévatelo lindsay kitty kalel inmortalidad infectada experta ética estancia
+específico empezaré ejecutar echarme denver déjalos comisionado chispas cerramos borg axel atraco
+asignado asesinaste armar aj acuérdate vosotras unidas tránsito suceso presiento patadas omar obtuve
+músculo legalmente lebowski karma izzie imaginarme honores gore gordos furiosa funcionado fallé
+escóndete eliza declaraciones cumplió cuerno comienzan clementina católica carcel cansados burgundy
+brasil bené asado álbum abdominal zach wheeler volvimos supermercado sujeta suavemente salvando
+reventar rastreo quienquiera pretendo pertenecía perdono pequeñín paganos onu ohio obtuviste obliga
+nobel levántense lastime inconveniente flexible favoritas escaparon corres correctas copiado
+convertí burla brendan atrevido alejarme abordar abejas zoe wally vuelan surgió shepard rupert
+rechazar noto negociaciones llamara irónico inmediata incluido happy hábito frederick etc escapé
+entraré encendedor eches dramático dominar demandas decido cumplo corrió conducto choca barish area
+arbusto ajo yankees willy violó valía tijeras sugieres sayid rodea revisé programación privadas
+presidencial necesitaban navegación mo mencioné maravillosos llamarle late hilary hansel habiar
+frecuencias estreno encargue empuje empeorar dormiré desaparecidos dejenme dare culturas concreto
+clayton cesar caía bailas autorizada aleluya abraham yanquis villano superhéroe separar quítese
+preparación preocupaciones porcentaje otis olivia ofendido nina merecido matemática marea márchate
+limpios krypton jinetes ingresos infinito globos gene futura filme estudiado escondes enfoque
+confirma concentrarme casamiento bombardeo bolígrafo atravesando atrapan aproxima antepasados
+anteojos amabilidad aislamiento virgil verga veis universitario traigas tocino tito tires tennessee
+talentoso rodeados riñones quites puños preparé pipa percepción mostrarles mostrador mandy mai
+julian habitantes golpeaste gelatina explicaciones espina enterrada doblar devuelvo descubrimos
+declaró cristiana crío conquista confiado cómics colin churchill bolos beethoven barriga aparecerá
+agradecidos aficionado yace worf sucedería ruptura quítale protegida perdamos negó mantienes
+maniobra jurar impresionar ilusiones ignorante generadores figuras exhausto enfrentarse duelen
+divertirte dirigimos dental cuénteme correos chen carolina campesinos bombarderos bares vendes suero
+sermón puerco provoca prestas pidas pasarán paces oponente oigas maya lucius lastimes jardinero
+interferir importará hablarles glenn ganaremos forzado finch falls explicarme espérenme enamoré eli
+disturbios devuélveme detenerla deb cuanta clásica chaleco cafe ballena bajaré amos altitud
+acontecimientos acababa vigilante vaako tomografía tj strike spike resurrección rencor probemos
+pólvora poe olaf ofensiva nono narcóticos mudar klaus intentaste ganarle forman ficha ferrocarril
+falleció divierte directores dificultad desesperadamente démosle culos creyendo comprador casaré
+candy bilbo bert barnes balance asustes alienígena alcanzo ward ventilación tregua traficantes
+thorne subterráneo simulación secuestradores sangra richards resolverlo realeza presidenta pensaban
+parecida pagarme oraciones marruecos louie levantate lastimé kiddo iniciales imitación hermione
+financiera exquisito esponja entrevistas enterarme entenderá enseñas dementores convertirte cansé
+cambiaría bang arresten argentina adjunto acordado trofeo trayendo seguras satélites sacarlos rezo
+regular pretendes póliza piérdete noodles marqués marcy malvados lori lizzy leia invitarte hagrid
+fanático factura extrañaré escoria décadas cortada considere comprensión codo claras calme cabras
+bors balazo bájala babilonia arruiné arbustos apodo amsterdam alumna aleja albania ahogado acercamos
+abrimos veterinario vecina usada tirith ronald puros puntería públicas pronóstico planeas pasarla
+optimista odiaría obreros mentiría marino luchamos letal kenobi judicial jess hugo for exceso enigma
+dickens dexter connelly chewie chet canasta buscarlos blues apunto aparatos aguante agarramos
+adictos vinci tramando tácticas sostiene signifique significar sato sarcófago reportaje religiosa
+reconstruir propone precaución portland portador popa parlamento ofrecerte ocuparse nombrar molestan
+melissa linux lecturas iríamos herb haríamos guardería francotiradores exista evidentemente enfrenta
+destruya defenderse cotton continente consideran brett ausente anochecer alrededores aduana
+winchester utah ultimamente thornton sospechosa séptimo seguirme sálvame romeo robos ratones
+quitarse publico profeta presentarle paramédicos opiniones mostrado miramos marsellus leslie
+invertido ídolo hijita gwen ganancia eu esperaría esperará dudar destruyeron creek construida
+confíes comeremos bus bienestar beaumont bailamos ayudaremos autodestrucción asher ahogó acercarte
+violentos valga vacíos triángulo traslado tigres supieran strabo spencer sorprendida solían soda
+shannon secundarios secuestrador richie recupera rechazo ramas preciosas ofrecieron missy meg
+locuras lino libera legítimo lastimó huérfanos generosa exijo escáner entenderás desaparecen damon
+cruzó continuará conrad confirmada cocinera claros ciclo caminas bando avergonzada atraviesa
+atentamente arruinando adicción violenta únicamente suéter sudor significaría reemplazo quiebra
+peligros north matare llamare litro irías humillación hawk glorioso gasto faro exley exclusiva
+entrenando empezará diabetes conteo centros captura balcón asegúrese arder apretar aprenderás
+abrieron yankee visitarme verduras venecia vendrían vales tardaste suicidarse simio sensibilidad
+retire respondió rendirse quincy pusiera principalmente preferida oscorp órgano operador náuseas
+mudarse mirame mátalos madam llevare invitaron intruso idiomas hoguera hablara genes entregas
+encontrada echarte echamos devuelva detenerte deshacer cosmo comprarle comenzaremos cerré bloqueando
+asustarte asegura wall vitaminas vengarse valla trozos tímida superado sueña seguidos salvavidas
+remolque prometer proceder prepararme pediatría pagos pagarte ninja nieta motocicleta mostrando
+montana ming miedos mantendremos mandíbula luchas logras levanté lanzado kallen intrusos insistió
+ilama habria gritó ganarme françois decepción cubriendo continuemos consideración conduzco colchón
+chupa camisas buscabas bloqueo armamento amenazando alias virginidad vengar valentine tornado series
+sácala rompan responden reclamar presentaré preguntamos predicador pintor paguen ofreciendo matriz
+maricones libra landy jugó jodió invité inodoro ingresar ignorancia ibamos gustara extiende
+exagerando dewey cuido cuidarte colapso buzón buenísimo bretaña bree bárbaro atlanta asombrosa
+ashford alérgico acostaste abrirlo yyo vip trueno tesoros superhéroes seras rotas recupere quejarte
+pulgar pillado pensemos pausa pandillas pagaremos olvidaba normalidad murray muérete movido
+miligramos meteré matrix honestidad golpearme frasco expulsado espectros cubiertas confié clemencia
+cago bromea brigitte atún ático arreglé ani amnesia acusa trade situacion shirley servidor seran
+recoja ramón psiquiátrico protesto prisiones porquerías pondrán munición mudarnos molesten mentales
+llámalo jurisdicción isabelle informante guardan gray frases fernando estuviéramos estaria enviará
+entorno engañarme enfrentamos donny diviértanse distracción déjale aaronica aaronico aaronita abaja
+abajaba abajad abajada abajado abajais abajan abajar abajara abajare abajas abajase abaje abajeis
+abajen abajera abajes abajeña abajeño abanda abandera abandere abandero abandonaba abandonaban
+abandonabas abandonad abandonadas abandonados abandonais abandonamos abandonan abandonando
+abandonara abandonarais abandonaran abandonaras abandonare abandonareis abandonaren abandonares
+abandonaria abandonarian abandonarias abandonaron abandonas abandonase abandonasen abandonases
+abandonaste abandone abandoneis abandonen abandones abandono abandonos abdomenes abdominales abejar
+abejares abejea abejead abejean abejear abejeas abejee abejeen abejees abejeo abejera abejero abejon
+abejuna abejuno abielda abielde abieldo abiete abisal abisela abisele abiselo abisma abismaba
+abismad abismada abismado abismais abismal abisman abismar abismara abismare abismas abismase abisme
+abismeis abismen abismes abismos abiso aboga abogaba abogaban abogabas abogacia abogad abogadas
+abogadil abogador abogadora abogadores abogais abogamos abogan abogando abogar abogara abogaran
+abogaras abogare abogaren abogares abogaria abogaron abogas abogase abogasen abogases abogaste abogo
+abogue aboguen abogues aboral aborda abordaba abordaban abordabas abordable abordad abordada
+abordadas abordado abordador abordados abordais abordaje abordajes abordamos abordan abordando
+abordara abordarais abordaran abordaras abordare abordareis abordaren abordares abordaria abordarian
+abordarias abordaron abordas abordase abordasen abordases abordaste aborde abordeis aborden abordes
+abordo abordona abordone abordono abordos aborra aborran aborras aborre aborren aborres aborri
+aborria aborrid aborrio aborrir aborris aborro aborso aborta abortaba abortad abortada abortado
+abortais abortan abortar abortara abortare abortas abortase aborte aborteis abortemos abortes
+abortiva abortivo aborto aborton abortos aboruja aboruje aborujo abraca abracad abracan abracar
+abracas abrace abracen abraces abraco abrais abramos abraque abrasa abrasaba abrasad abrasada
+abrasado abrasais abrasan abrasar abrasara abrasare abrasas abrasase abrase abraseis abrasen abrases
+abrasion abrasiva abrasivo abraso abravar abraxas abraza abrazaba abrazad abrazada abrazado abrazais
+abrazan abrazar abrazara abrazare abrazas abrazase abrazos abrece abrecen abreces abrego abregos
+abreva abrevad abrevan abrevar abrevas abreve abreven abreves abrevia abrevie abrevio abrevo abreza
+abrezad abrezan abrezar abrezas abrezo abri abria abriais abrian abrias abrid abridor abriera
+abrierais abrieran abrieras abriere abriereis abrieren abrieres abriese abriesen abrieses abriga
+abrigaba abrigad abrigada abrigado abrigais abrigan abrigar abrigara abrigare abrigas abrigase
+abrigaño abrigos abrigue abriguen abrigues abriles abrileña abrileño abrio abriola abriole abriolo
+abrira abriran abriras abrire abrireis abriria abririan abririas abris abriste abrocha abroche
+abrocho abroga abrogad abrogan abrogar abrogas abrogo abrogue abrojal abrojin abrojo abrojos abroma
+abroman abromar abromas abrome abromen abromes abromo abronca abronco absolutas absolutoria
+absolutorio absolutos absolve absolved absolver absolves absolvi absolvia absolvio absurda absurdas
+absurdos abuelas abuelazon abuena abuenad abuenan abuenar abuenas abuene abuenen abuenes abueno
+aburra aburraba aburrada aburrado aburrais aburran aburrar aburrara aburrare aburras aburrase aburre
+aburreis aburren aburres aburri aburria aburriais aburrian aburrias aburrid aburridas aburridor
+aburridora aburridoras aburridores aburridos aburriera aburriere aburriese aburrimos aburrio aburrir
+aburrira aburriran aburriras aburrire aburriria aburris aburriste aburro abusa abusaba abusad
+abusada abusado abusais abusan abusar abusara abusare abusas abusase abuse abuseis abusen abuses
+abusion abusiva abusivo abuson abusona abusonas abusones abusos acababais acababamos acababan
+acababas acabable acabables acabad acabada acabadas acabador acabadora acabadoras acabadores
+acabados acabadura acabais acabala acabalad acabalan acabalar acabalas acabale acabalen acabales
+acaballa acaballe acaballo acabalo acabanga acabangan acabangar acabangas acabango acabangue acabara
+acabarais acabaran acabaras acabare acabareis acabaren acabares acabaria acabarian acabarias acabase
+acabaseis acabasen acabases acabasteis acabaña acabañad acabañan acabañar acabañas acabañe acabañen
+acabañes acabaño acabeis acabes acabijo acabos acabose academias academica academicas academice
+academicen academices academico academicos academio academista academiza academizad academizan
+academizar academizas academizo acas acasera acasere acasero acasos acceda accedais accedan accedas
+accede acceded accedeis accedemos acceden accedera accederan accederas accedere accedereis accederia
+accederian accederias accedes accedi accedia accedian accedias accedido accedio accedo accesion
+accesit accesits accesoria accesorio accesos accidenta accidentaba accidentad accidentada
+accidentado accidentais accidental accidentan accidentar accidentara accidentare accidentas
+accidentase accidenteis accidentemos accidenten accidento accion acciona accionaba accionad
+accionada accionado accionais accionan accionar accionara accionare accionas accionase accione
+accioneis accionemos accionen acciono aceifa aceifas aceita aceitaba aceitad aceitada aceitado
+aceitais aceitan aceitar aceitara aceitare aceitas aceitase aceitazo aceiteis aceitemos aceiten
+aceitera aceiteras aceiteria aceitero aceiteros aceites aceito aceiton aceitosa aceitoso aceituna
+aceituni aceituno aceleraba aceleraban acelerabas acelerad acelerada aceleradas acelerado acelerador
+acelerados acelerais aceleramos aceleran acelerando acelerar acelerara aceleraran aceleraras
+acelerare aceleraren acelerares aceleraria aceleraron aceleras acelerase acelerasen acelerases
+aceleraste acelere acelereis aceleren aceleres acelero aceleron acelga acelgas acender acendra
+acendre acendro acenefa acensa acensad acensan acensar acensas acense acensen acenses acenso acensua
+acensue acensuo acentos acentua acentuad acentual acentuan acentuar acentuas acentue acentuen
+acentues acentuo acepa acepaba acepad acepado acepais acepan acepar acepara acepare acepas acepase
+acepe acepeis acepen acepes acepo aceptaba aceptabais aceptaban aceptabas aceptables aceptad
+aceptada aceptadas aceptador aceptadora aceptadoras aceptadores aceptados aceptais aceptamos
+aceptando aceptara aceptarais aceptaran aceptaras aceptare aceptareis aceptaren aceptares aceptaria
+aceptarian aceptarias aceptaron aceptase aceptaseis aceptasen aceptases aceptaste acepteis aceptemos
+acepten aceptes aceptor aceptores aceptos aceraba aceraban acerabas aceracea aceraceo acerad acerada
+aceradas acerado acerados acerais aceramos aceran acerando acerar acerara aceraran aceraras acerare
+aceraren acerares aceraria aceraron aceras acerase acerasen acerases aceraste acerba acerbas acerbo
+acerbos acercaba acercaban acercabas acercad acercada acercadas acercado acercador acercados
+acercais acercanza acercar acercara acercarais acercaran acercaras acercare acercareis acercaren
+acercares acercaria acercarian acercarias acercaron acercas acercase acercasen acercases acercaste
+acerco acere acereis aceren aceres aceria acerias acerico acerina acerino acerola acerolas acerolo
+acerolos aceros acerqueis acerquemos acerta acertad acertar acertas acerte acerto acerva acervad
+acervan acervar acervas acerve acerven acerves acervo acervos aclama aclamad aclaman aclamar aclamas
+aclame aclamen aclames aclamo aclara aclaraba aclaraban aclarabas aclarad aclarada aclaradas
+aclarado aclarador aclarados aclarais aclaramos aclaran aclarando aclarara aclararais aclararan
+aclararas aclarare aclarareis aclararen aclarares aclararia aclararian aclararias aclararon aclaras
+aclarase aclarasen aclarases aclaraste aclare aclarece aclareci aclareis aclaren aclareo aclareos
+aclares aclaro acompasa acompasad acompasan acompasar acompasas acompase acompasen acompases
+acompaso acompañaba acompañaban acompañabas acompañad acompañada acompañadas acompañado acompañador
+acompañados acompañais acompañamos acompañan acompañando acompañanta acompañante acompañar
+acompañara acompañarais acompañaran acompañaras acompañare acompañareis acompañaren acompañares
+acompañaria acompañarian acompañarias acompañaron acompañas acompañase acompañasen acompañases
+acompañaste acompañeis acompañemos acompañen acompañes acondiciona acondicionaba acondicionaban
+acondicionabas acondicionad acondicionada acondicionadas acondicionador acondicionadora
+acondicionados acondicionais acondicionamos acondicionan acondicionando acondicionar acondicionara
+acondicionaran acondicionaras acondicionare acondicionaren acondicionares acondicionaria
+acondicionaron acondicionas acondicionase acondicionasen acondicionases acondicionaste acondicione
+acondicioneis acondicionen acondiciones acondiciono aconseja aconsejaba aconsejad aconsejada
+aconsejado aconsejais aconsejan aconsejar aconsejara aconsejare aconsejas aconsejase aconseje
+aconsejeis aconsejen aconsejes acontecimiento acorda acordaba acordaban acordabas acordad acordada
+acordadas acordados acordais acordando acordante acordanza acordar acordara acordaran acordaras
+acordare acordaren acordares acordaria acordaron acordas acordase acordasen acordases acordaste
+acorde acordeis acordela acordele acordelo acordeon acordes acordo acordona acordone acordono acosa
+acosaba acosad acosada acosado acosais acosan acosar acosara acosare acosas acosase acose acoseis
+acosen acoses acosija acosije acosijo acosos acosta acostaba acostaban acostabas acostad acostada
+acostadas acostados acostadota acostadotas acostadote acostadotes acostais acostamos acostan
+acostando acostar acostara acostarais acostaran acostaras acostare acostareis acostaren acostares
+acostaria acostarian acostarias acostaron acostas acostase acostaseis acostasen acostases
+acostasteis acoste acosteis acosten acostes acosto acostumbra acostumbraba acostumbraban
+acostumbrabas acostumbrad acostumbradas acostumbrados acostumbrais acostumbramos acostumbran
+acostumbrando acostumbrar acostumbrara acostumbraran acostumbraras acostumbrare acostumbraren
+acostumbrares acostumbraria acostumbraron acostumbras acostumbrase acostumbrasen acostumbrases
+acostumbraste acostumbre acostumbreis acostumbren acostumbres acostumbro actinia actinio actitudes
+activaba activaban activabas activad activada activadas activador activadora activadoras activadores
+activados activais activamos activan activando activara activarais activaran activaras activare
+activareis activaren activares activaria activarian activarias activaron activas activase activasen
+activases activaste active activeis activen actives activismo activista activos actora actoral
+actoras actrices actua actuaba actuaban actuabas actuacion actuad actuada actuadas actuado actuados
+actuais actuales actualice actualiza actualizo actuamos actuan actuante actuantes actuara actuarais
+actuaran actuaras actuare actuareis actuaren actuares actuaria actuarial actuarian actuarias
+actuario actuarios actuaron actuas actuase actuasen actuases actuaste actue actueis actuen actues
+actuo actuosa actuoso acuea acueas acuelga acuelgo acueo acueos acuerdan acuerde acuerden acuerdes
+acuerdos acuerna acuernan acuernas acuerne acuernen acuernes acuerno acuerpa acuerpad acuerpan
+acuerpar acuerpas acuerpe acuerpen acuerpes acuerpo acuesta acueste acuesto acusaba acusaban
+acusabas acusable acusacion acusad acusada acusadas acusador acusadora acusadoras acusadores acusais
+acusamos acusan acusando acusar acusara acusaran acusaras acusare acusaren acusares acusaria
+acusaron acusas acusase acusasen acusases acusaste acuse acuseis acusen acuses acuseta acusete
+acusica acuso acuson acusona adama adamaba adamad adamada adamado adamais adaman adamar adamara
+adamare adamas adamase adame adameis adamen adames adamica adamico adamita adamo adecua adecuaba
+adecuaban adecuabas adecuad adecuadas adecuados adecuais adecuamos adecuan adecuando adecuar
+adecuara adecuaran adecuaras adecuare adecuaren adecuares adecuaria adecuaron adecuas adecuase
+adecuasen adecuases adecuaste adecue adecueis adecuen adecues adecuo adelanta adelantaba adelantaban
+adelantabas adelantad adelantada adelantadas adelantador adelantadora adelantadoras adelantadores
+adelantados adelantais adelantamos adelantan adelantando adelantar adelantara adelantaran
+adelantaras adelantare adelantaren adelantares adelantaria adelantaron adelantas adelantase
+adelantasen adelantases adelantaste adelanteis adelantemos adelanten adelantes adelanto adelantos
+adema ademaba ademaban ademabas ademad ademada ademadas ademado ademador ademados ademais ademamos
+ademan ademando ademanes ademar ademara ademaran ademaras ademare ademaren ademares ademaria
+ademaron ademase ademaseis ademasen ademases ademaste ademe ademeis ademen ademes ademo adenda
+adendas adenia adenias adenoma adenosa adenoso adensa adensad adensan adensar adensas adense adensen
+adenses adenso adentra adentraba adentrado adentrais adentran adentrar adentrara adentrare adentras
+adentrase adentre adentreis adentren adentres adentros adiccion adicion adicta adictas adictiva
+adictivo adio adioses adiva adivas adive adives adivinaba adivinaban adivinabas adivinad adivinada
+adivinadas adivinado adivinador adivinados adivinais adivinaja adivinajas adivinamos adivinan
+adivinando adivinanza adivinara adivinarais adivinaran adivinaras adivinare adivinareis adivinaren
+adivinares adivinaria adivinarian adivinarias adivinaron adivinas adivinase adivinasen adivinases
+adivinaste adivine adivineis adivinen adivines adivino adivinos adjunta adjuntaba adjuntad adjuntada
+adjuntado adjuntais adjuntan adjuntar adjuntara adjuntare adjuntas adjuntase adjunte adjunteis
+adjunten adjuntes adjuntia adjuntias adjuntos adjurar adjutor administra administraba administraban
+administrabas administracion administrad administrada administradas administrado administradora
+administradoras administradores administrados administrais administramos administran administrando
+administrar administrara administraran administraras administrare administraren administrares
+administraria administraron administras administrase administrasen administrases administraste
+admira admiraba admiraban admirabas admirable admirad admirada admiradas admirado admiradora
+admiradoras admiradores admirados admirais admiramos admiran admirando admirar admirara admiraran
+admiraras admirare admiraren admirares admiraria admiraron admiras admirase admirasen admirases
+admiraste admire admireis admiren admires admita admitais admitan admitas admiten admites admiti
+admitia admitiais admitian admitias admitid admitida admitidas admitido admitidos admitiera
+admitiere admitiese admitimos admitio admitira admitiran admitiras admitire admitireis admitiria
+admitirian admitirias admitis admitiste adolescencia adonada adonado adonar adonece adoneci adonice
+adonico adonio adonios adonis adoniza adonizo ador adoraba adorabais adoraban adorabas adorables
+adorad adorada adoradas adorado adorador adorados adorais adoramos adorando adorar adorara adoraran
+adoraras adorare adoraren adorares adoraria adoraron adoras adorase adorasen adorases adoraste adore
+adoreis adoren adores adormi adormia adormid adormir adormis adorna adornad adornan adornar adornas
+adorne adornen adornes adorno adornos adrenal adrenales adrenalinas adrianes adrice adricen adrices
+adriza adrizad adrizan adrizar adrizas adrizo aduanaba aduanaban aduanabas aduanad aduanada
+aduanadas aduanado aduanados aduanais aduanal aduanales aduanamos aduanan aduanando aduanar aduanara
+aduanaran aduanaras aduanare aduanaren aduanares aduanaria aduanaron aduanas aduanase aduanasen
+aduanases aduanaste aduane aduaneis aduanen aduanera aduanero aduanes aduano aduar aduares adul
+adula adulaba adulad adulada adulado adulais adulan adular adulara adulare adulas adulase adulce
+adulcen adulces adulci adulcia adulcid adulcio adulcir adulcis adule aduleis adulen adules adulete
+adulo adulon adulona adulta adultas adultera adultere adultero adultez adulza adulzad adulzan
+adulzar adulzas adulzo adven advenga advengo adveni advenia advenid advenir advenis advera adveraba
+adverad adverada adverado adverais adveran adverar adverara adverare adveras adverase adverbio
+advere advereis adveren adveres advero adversa adversar adversas adverso adversos advertencias
+adverti advertia advertian advertias advertid advertida advertido advertir advertira advertire
+advertis adviene advienen advienes advierta adviertan adviertas advierte advierten adviertes
+aeropuertos afecha afecho afectaba afectaban afectabas afectable afectad afectada afectadas
+afectador afectadora afectadoras afectadores afectados afectais afectamos afectan afectando afectar
+afectara afectaran afectaras afectare afectaren afectares afectaria afectaron afectas afectase
+afectasen afectases afectaste afecte afecteis afecten afectes afectiva afectivo afectos aficion
+aficiona aficionaba aficionaban aficionabas aficionad aficionada aficionadas aficionador
+aficionadora aficionadoras aficionadores aficionados aficionais aficionamos aficionan aficionando
+aficionar aficionara aficionaran aficionaras aficionare aficionaren aficionares aficionaria
+aficionaron aficionas aficionase aficionasen aficionases aficionaste aficione aficioneis aficionen
+aficiones aficiono afirmativa afirmativas afirmativos afortunadas afortunar africada africadas
+africado africados africana africanas africano africanos africas africo africos afriña afriñan
+afriñas afriñe afriñen afriñes afriño afuella afuelle afuello afueran afuere afueren afueres
+afuereña afuereño afuerina afuerino afuerita afuero agalera agalere agalero agalla agallaba
+agallaban agallabas agallada agalladas agallado agallados agallais agallamos agallan agallando
+agallar agallara agallaran agallaras agallare agallaren agallares agallaria agallaron agallarse
+agallase agallaseis agallasen agallases agallaste agalle agalleis agallen agalles agallo agallon
+agallos agallu agallua agalluas agalluda agalludo agallues agallus agaloco agarba agarban agarbar
+agarbas agarbe agarben agarbes agarbo agarena agareno agarico agarraba agarraban agarrabas agarrad
+agarrada agarradas agarrado agarrador agarrados agarrafa agarrafad agarrafan agarrafar agarrafas
+agarrafe agarrafen agarrafes agarrafo agarrais agarran agarrando agarrante agarrara agarrarais
+agarraran agarraras agarrare agarrareis agarraren agarrares agarraria agarrarian agarrarias
+agarraron agarras agarrase agarrasen agarrases agarraste agarreis agarremos agarres agarrocha
+agarroche agarrocho agarron agarrones agarrota agarrotad agarrotan agarrotar agarrotas agarrote
+agarrotea agarrotee agarroten agarroteo agarrotes agarroto agenciaba agenciaban agenciabas agenciad
+agenciada agenciadas agenciado agenciados agenciais agenciamos agencian agenciando agenciar
+agenciara agenciaran agenciaras agenciare agenciaren agenciares agenciaria agenciaron agencias
+agenciase agenciasen agenciases agenciaste agencie agencieis agencien agenciera agenciero agencies
+agencio agenciosa agencioso agendas agosta agostaba agostad agostada agostado agostais agostan
+agostar agostara agostare agostas agostase agoste agosteis agosten agostera agostero agostes
+agosteña agosteño agostia agostias agostio agostios agostiza agostizo agostos agota agotaba agotaban
+agotabas agotable agotad agotada agotadas agotador agotadora agotadoras agotadores agotados agotais
+agotamos agotan agotando agotar agotara agotaran agotaras agotare agotaren agotares agotaria
+agotaron agotas agotase agotasen agotases agotaste agote agoteis agoten agotes agoto agra agrace
+agracen agraces agracia agracie agracio agradaba agradabais agradaban agradabas agradables agradad
+agradado agradador agradais agradamos agradan agradando agradar agradara agradaran agradaras
+agradare agradaren agradares agradaria agradaron agradas agradase agradasen agradases agradaste
+agrade agradeced agradeceis agradecen agradecera agradeceran agradeceras agradecere agradecereis
+agradeceria agradecerian agradecerias agradeces agradeci agradecia agradeciais agradecian agradecias
+agradecidas agradeciera agradeciere agradeciese agradecimientos agradecimos agradecio agradeciste
+agradeis agrademos agraden agrades agradezca agradezcais agradezcan agradezcas agrado agrados agrafa
+agrafas agrafia agrafo agrafos agrama agramad agraman agramar agramas agrame agramen agrames agramo
+agranda agrande agrando agraria agrario agras agrases agrava agravad agravan agravar agravas agrave
+agraven agraves agravia agravie agravio agravo agraz agraza agrazad agrazan agrazar agrazas agrazo
+agrazon agres agresion agresiva agresivas agresivos agresor agresora agreste agrestes aguaba aguaban
+aguabas aguacal aguace aguacen aguaces aguacha aguache aguacho aguacil aguad aguada aguadad aguadan
+aguadar aguadas aguade aguaden aguades aguado aguadon aguador aguados aguai aguaies aguais aguaita
+aguaite aguaito aguaje aguajes aguaji aguajis aguamar aguamos aguan aguanal aguando aguanosa
+aguanoso aguantaba aguantaban aguantabas aguantable aguantad aguantada aguantadas aguantado
+aguantador aguantados aguantais aguantamos aguantan aguantando aguantara aguantarais aguantaran
+aguantaras aguantare aguantareis aguantaren aguantares aguantaria aguantarian aguantarias aguantaron
+aguantas aguantase aguantasen aguantases aguantaste aguanteis aguantemos aguanten aguantes aguanton
+aguantona aguantonas aguantones aguape aguapes aguapey aguapie aguar aguara aguarais aguaran
+aguarapa aguarape aguarapo aguaras aguardaba aguardaban aguardabas aguardad aguardada aguardadas
+aguardado aguardador aguardados aguardais aguardamos aguardan aguardando aguardar aguardara
+aguardaran aguardaras aguardare aguardaren aguardares aguardaria aguardaron aguardas aguardase
+aguardasen aguardases aguardaste aguarde aguardeis aguarden aguardes aguardo aguardos aguare
+aguareis aguaren aguares aguaria aguarian aguarias aguarico aguaron aguarras aguasal aguase aguaseis
+aguasen aguases aguasol aguaste aguata aguatan aguatar aguatas aguate aguaten aguates aguato aguay
+aguaya aguayas aguayo aguayon aguayos aguaza aguazad aguazal aguazan aguazar aguazas aguazo aguazol
+aguazos aguazul aguazur aguañon agujal agujales agujar agujas agujazo agujazos agujera agujeraba
+agujerad agujerada agujerado agujerais agujeran agujerar agujerara agujerare agujeras agujerase
+agujere agujerea agujeread agujerean agujerear agujereas agujeree agujereen agujerees agujereis
+agujeren agujereo agujeres agujeta agujetas agujita agujon ahoga ahogaba ahogaban ahogabas ahogad
+ahogada ahogadas ahogadera ahogadero ahogadiza ahogadizo ahogador ahogadora ahogadoras ahogadores
+ahogados ahogais ahogamos ahogan ahogando ahogar ahogara ahogaran ahogaras ahogare ahogaren ahogares
+ahogaria ahogaron ahogas ahogase ahogasen ahogases ahogaste ahogo ahogos ahogue ahoguen ahogues
+ahoguio ahorca ahorcad ahorcan ahorcar ahorcas ahorco ahorita ahorma ahormad ahorman ahormar ahormas
+ahorme ahormen ahormes ahormo ahorna ahornad ahornan ahornar ahornas ahorne ahornen ahornes ahorno
+ahorque ahorra ahorraba ahorraban ahorrabas ahorrad ahorrada ahorradas ahorrado ahorrador ahorrados
+ahorrais ahorramos ahorran ahorrando ahorrara ahorrarais ahorraran ahorraras ahorrare ahorrareis
+ahorraren ahorrares ahorraria ahorrarian ahorrarias ahorraron ahorras ahorrase ahorrasen ahorrases
+ahorraste ahorre ahorreis ahorren ahorres ahorria ahorro ahorrosa ahorrosas ahorroso ahorrosos airea
+aireaba airead aireada aireado aireais airean airear aireara aireare aireas airease airee aireeis
+aireen airees aireis airemos airen aireo aireos aisla aislaba aislaban aislabas aislable aislad
+aislada aisladas aislador aisladora aisladoras aisladores aislados aislais aislamientos aislamos
+aislan aislando aislante aislar aislara aislaran aislaras aislare aislaren aislares aislaria
+aislaron aislas aislase aislasen aislases aislaste aisle aisleis aislen aisles aislo ajedrea
+ajedreas ajedreces ajedrezada ajedrezado alama alamar alamas alambar alambica alambico alambor
+alambra alambraba alambrad alambrada alambrado alambrais alambran alambrar alambrara alambrare
+alambras alambrase alambrea alambreaba alambread alambreado alambreais alambrean alambrear
+alambreara alambreare alambreas alambrease alambree alambreeis alambreen alambrees alambreis
+alambremos alambren alambreo alambrera alambreras alambres alambro alameda alamin alamina alamo
+alamos alampa alampad alampan alampar alampas alampe alampen alampes alampo alamud alana alanas
+alance alancea alancee alancen alanceo alances alano alanos alanza alanzad alanzan alanzar alanzas
+alanzo alar alarabe alaraca alaraco alarbe alarbes alarde alardea alardee alardeo alardes alares
+alarga alargad alargan alargar alargas alargo alargue alaria alarias alarida alarido alarife alarije
+alarmaba alarmaban alarmabas alarmad alarmada alarmadas alarmado alarmador alarmados alarmais
+alarmamos alarman alarmando alarmante alarmar alarmara alarmaran alarmaras alarmare alarmaren
+alarmares alarmaria alarmaron alarmas alarmase alarmasen alarmases alarmaste alarme alarmega
+alarmeis alarmen alarmes alarmo alaroz alaroza alasita alaste alastes alastra alastre alastro alba
+albaca albacas albacea albada albadas albahia albahio albaida albala albana albanada albanado
+albanar albanas albanega albanes albanesa albano albanos albar albaran albarca albarda albarde
+albardo albares albarsa albas albazo albazos albañal albañar albañi albañil albañir albea albeaba
+albead albeada albeado albeais albean albear albeara albeare albeas albease albedo albedos albee
+albeeis albeen albees albelda albelde albeldo albenda albeo albera alberca albercas alberga albergad
+albergan albergar albergas alberge alberges albergo albergue albero alberos alberque albor alborada
+alborea alboread alborean alborear alboreas alborece alboree alboreen alborees alboreo alboreos
+albores alborga alborgas albornia alborno albornos albornoz alboroce alborocen alboroces alboronia
+alboroque alborota alborotaba alborotad alborotada alborotado alborotais alborotan alborotar
+alborotara alborotare alborotas alborotase alborote alboroteis alboroten alborotera alborotero
+alborotes alborotos alborotosa alborotosas alborotoso alborotosos alboroza alborozad alborozan
+alborozar alborozas alborozo alborozos alborto albortos alborzo alborzos alca alcabor alcabuz
+alcacel alcacer alcaci alcacil alcacis alcaduz alcafar alcahaz alcaico alcaide alcaldada alcaldes
+alcaldesa alcaldesas alcaldia alcaldias alcali alcalice alcalifa alcalina alcalino alcalis alcaliza
+alcalizo alcaller alcamar alcamiz alcana alcanas alcanceis alcancemos alcancen alcances alcancia
+alcancias alcandia alcanfor alcanzaba alcanzaban alcanzabas alcanzable alcanzad alcanzada alcanzadas
+alcanzadiza alcanzadizo alcanzador alcanzadora alcanzadoras alcanzadores alcanzados alcanzadura
+alcanzais alcanzamos alcanzan alcanzando alcanzara alcanzarais alcanzaran alcanzaras alcanzare
+alcanzareis alcanzaren alcanzares alcanzaria alcanzarian alcanzarias alcanzaron alcanzas alcanzase
+alcanzasen alcanzases alcanzaste alcaria alcas alcauci alcazar alcazuz alcoba alcobas alcofol
+alcohela alcohola alcoholaba alcoholad alcoholada alcoholado alcoholais alcoholan alcoholar
+alcoholara alcoholare alcoholas alcoholase alcoholato alcohole alcoholeis alcoholen alcoholera
+alcoholero alcoholes alcoholica alcoholice alcoholico alcoholiza alcoholizo alcoholo alcolla alcor
+alcorce alcorci alcores alcorza alcorzo alcotan aldeana aldeanas aldeano aldeanos aldeas aldeon
+alega alegaba alegad alegada alegado alegais alegama alegame alegamo alegan alegana alegane alegano
+alegar alegara alegare alegas alegase alegato alego alegon alegona alegraba alegraban alegrabas
+alegrad alegrada alegradas alegrado alegrador alegrados alegrais alegramos alegran alegrando
+alegranza alegrar alegrara alegraran alegraras alegrare alegraren alegrares alegraria alegraron
+alegras alegrase alegrasen alegrases alegraste alegreis alegremos alegren alegres alegreto alegretos
+alegria alegrias alegron alegrones alegros alegrosa alegrosas alegroso alegrosos alegue aleguen
+alegues alejaba alejaban alejabas alejad alejada alejadas alejados alejais alejamos alejan alejando
+alejandrina alejandrino alejandrita alejar alejara alejarais alejaran alejaras alejare alejareis
+alejaren alejares alejaria alejarian alejarias alejaron alejas alejase alejasen alejases alejaste
+aleje alejeis alejen alejes alejija alejo alejur alela alelaba alelad alelada alelado alelais alelan
+alelar alelara alelare alelas alelase alele aleleis alelen aleles alelevi aleli alelica alelico
+alelies alelis alelo alelos aleluyas alema aleman alemanas alemanda alemandas alemanesa alemanesca
+alemanescas alemanesco alemanescos alemanica alemanico alemanicos alemanisca alemanisco alemas
+alerce alerces alergia alero aleron aleros alertaba alertaban alertabas alertad alertada alertadas
+alertado alertados alertais alertamos alertan alertando alertar alertara alertaran alertaras
+alertare alertaren alertares alertaria alertaron alertas alertase alertasen alertases alertaste
+alerte alertea alertead alertean alertear alerteas alertee alerteen alertees alerteis alerten
+alerteo alertes alerto alertos alerzal alexia alexias alfaba alfaban alfabas alfad alfadia alfado
+alfahar alfaida alfais alfaja alfajas alfajia alfajor alfalfa alfalfe alfalfo alfama alfamar alfamos
+alfan alfana alfanas alfando alfanje alfaque alfaqui alfar alfara alfaran alfaras alfaraz alfarda
+alfare alfaren alfares alfaria alfarje alfarma alfaron alfas alfase alfasen alfases alfaste alfaya
+alfombraba alfombraban alfombrabas alfombrad alfombrada alfombradas alfombrado alfombrados
+alfombrais alfombramos alfombran alfombrando alfombrar alfombrara alfombraran alfombraras alfombrare
+alfombraren alfombrares alfombraria alfombraron alfombras alfombrase alfombrasen alfombrases
+alfombraste alfombre alfombreis alfombren alfombrera alfombrero alfombres alfombro algodon algodona
+algodone algodono algol algoles algorfa algorin algorto algorza algos algosa algosas algoso algosos
+algotra algotro alguacila alguacilas alguaciles alguarin alguaza alguazas alguera alguero alguese
+alguinio algund alia aliaba aliaban aliabas aliacan aliacea aliaceo aliad aliada aliadas aliaga
+aliagar aliagas aliais aliamos alian aliando alianzar alianzarse alianzas aliar aliara aliaran
+aliaras aliare aliaren aliares aliaria aliaron aliase aliaseis aliasen aliases aliaste alica alicas
+alicata alicate alicato alicer aliceres alie aliebra aliebre aliebro alieis aliemos alien aliena
+alienaba alienad alienada alienado alienais alienan alienar alienara alienare alienas alienase
+aliende aliene alieneis alienen alienes alieno alienta alientan alientas aliente alienten alientes
+alientos alier alies alimentaba alimentaban alimentabas alimentad alimentada alimentadas alimentado
+alimentador alimentados alimentais alimental alimentales alimentamos alimentan alimentando
+alimentara alimentarais alimentaran alimentaras alimentare alimentareis alimentaren alimentares
+alimentaria alimentarian alimentarias alimentario alimentarios alimentaron alimentas alimentase
+alimentasen alimentases alimentaste alimente alimenteis alimenten alimentes alimentosa alimentosas
+alimentoso alimentosos alivia aliviaba aliviad aliviada aliviado aliviais alivian aliviana aliviane
+aliviano aliviar aliviara aliviare alivias aliviase alivie alivieis alivien alivies alivios aliviosa
+alivioso allana allanad allanan allanar allanas allane allanen allanes allano allariz allega allegad
+allegan allegar allegas allego allegue allende almacen almacena almacene almaceno almaciga almacigo
+almadea almadee almaden almadeo almadia almadie almadio almagra almagre almagro almaizo almaja
+almajal almajar almajas almaje almajes almajo almajos almanac almanta almario almarjo almaro almaros
+almarra almiranta almirantas almirantes almirantesa almirantia almohace almohacen almohaces
+almohadada almohadadas almohadado almohadados almohadas almohadazo almohadazos almohade almohades
+almohadon almohater almohatre almohaza almohazad almohazan almohazar almohazas almohazo almora
+almorabu almoras almorce almorejo almori almories almoris almorron almorta almortas almorza
+almorzaba almorzaban almorzabas almorzad almorzada almorzadas almorzado almorzados almorzais
+almorzamos almorzando almorzara almorzarais almorzaran almorzaras almorzare almorzareis almorzaren
+almorzares almorzaria almorzarian almorzarias almorzaron almorzas almorzase almorzasen almorzases
+almorzaste almorzo almuecin almueden almuerce almuercen almuerces almuerza almuerzan almuerzas
+almuerzos almueza almuezas alquibla alquicel alquicer alquifol alquila alquilaba alquilaban
+alquilabas alquilable alquilad alquilada alquiladas alquilado alquilador alquilados alquilais
+alquilamos alquilan alquilando alquilara alquilarais alquilaran alquilaras alquilare alquilareis
+alquilaren alquilares alquilaria alquilarian alquilarias alquilaron alquilas alquilase alquilasen
+alquilases alquilaste alquilate alquilates alquile alquileis alquilemos alquilen alquileres alquiles
+alquilo alquilon alquilona alquilos alquimia alquinal altaica altaico altamia altana altanez altano
+altanos altar altares altavoz altea alteaba altead alteada alteado alteais altean altear alteara
+alteare alteas altease altee alteeis alteen altees alteo altera alteraba alteraban alterabas
+alterable alterad alterada alteradas alteradiza alteradizo alterador alteradora alteradoras
+alteradores alterados alterais alteramos alteran alterando alterante alterar alterara alteraran
+alteraras alterare alteraren alterares alteraria alteraron alteras alterase alterasen alterases
+alteraste alterca altercad altercan altercar altercas alterco altere altereis alteren alteres
+alterna alternad alternan alternar alternas alternativas alternativo alternativos alterne alternen
+alternes alterno alternos altero alteros alterosa alteroso alterque altezas alteña alteñas alteño
+alteños altillo altiro altitudes altiva altivar altivas altivez altivo altivos altor altores
+alucinacion alumbra alumbre alumbro alumina alumnado alumnados alumnas amabais amabamos amaban
+amabilidades amad amadas amadeo amadeos amador amadora amadoras amadores amados amana amanaba amanad
+amanada amanado amanais amanal amanan amanar amanara amanare amanas amanase amancay amando amane
+amanea amaneaba amanead amaneada amaneado amaneais amanean amanear amaneara amaneare amaneas
+amanease amanece amaneced amaneceis amanecemos amanecen amanecera amaneceran amaneceras amanecere
+amanecereis amaneceres amaneceria amanecerian amanecerias amaneces amaneci amanecia amanecian
+amanecias amanecida amanecido amanecio amanee amaneeis amaneen amanees amaneis amanemos amanen
+amaneo amanera amanerad amaneran amanerar amaneras amanere amaneren amaneres amanero amanes amanezca
+amanezco amano amanoja amanoje amanojo amansa amansad amansan amansar amansas amanse amansen amanses
+amanso amanta amantaba amantad amantada amantado amantais amantan amantar amantara amantare amantas
+amantase amanteis amantemos amanten amantero amanteros amanto amara amaraba amaraco amarad amarado
+amarais amaraje amaran amarar amarara amarare amaras amarase amarca amarcad amarcan amarcar amarcas
+amarco amare amarece amareci amareis amaren amares amarga amargad amargan amargar amargas amargo
+amargon amargor amargos amargue amaria amariais amarian amarias amarice amaricen amarices amarilis
+amarillas amarillea amarillead amarillean amarillear amarilleas amarillece amarilleci amarillee
+amarilleen amarillees amarilleja amarillejo amarilleo amarilleos amarillez amarillor amarillores
+amarillos amarillosa amarillosas amarilloso amarillosos amarillura amarina amarinad amarinan
+amarinar amarinas amarine amarinen amarines amarino amaritud amariza amarizad amarizan amarizar
+amarizas amarizo amaro amaroma amarome amaromo amaron amaros amarque amarra amarrad amarran amarrar
+amarras amarre amarren amarres amarro amarros amasa amasaba amasad amasada amasado amasais amasan
+amasar amasara amasare amasas amasase amase amaseis amasen amases amasia amasias amasijo amasio
+amasios amaso amaste ambages ambar ambarar ambares ambicion ambiciona ambicione ambiciono ambiciosa
+ambicioso ambienta ambientaba ambientad ambientada ambientado ambientais ambiental ambientan
+ambientar ambientara ambientare ambientas ambientase ambienteis ambientemos ambienten ambientes
+ambiento ambo ambon ambones ambulan ambulancias ambulando ambulante ambulantes amel amela amelaba
+amelad amelado amelais amelar amelara amelare amelas amelase amele ameleis ameles amelga amelgad
+amelgan amelgar amelgas amelgo amelgue amelias amella amellad amellan amellar amellas amelle amellen
+amelles amello amelo amelos amena amenace amenacen amenaces amenas amenazaba amenazaban amenazabas
+amenazad amenazada amenazadas amenazado amenazador amenazados amenazais amenazamos amenazan
+amenazante amenazantes amenazar amenazara amenazaran amenazaras amenazare amenazaren amenazares
+amenazaria amenazaron amenazase amenazaseis amenazasen amenazases amenazaste amenazo amencia amenes
+amengua amengue amenguo amenice ameniza amenizo ameno amenora amenore amenoro amenos amente amentes
+amento amentos amera ameraba amerad amerada amerado amerais ameran amerar amerara amerare ameras
+amerase amere amereis ameren ameres americanada americanadas americanice americaniza americanizo
+americe americeis americen americes americio americios americo amerita ameritad ameritan ameritar
+ameritas amerite ameriten amerites amerito ameriza amerizad amerizan amerizar amerizas amerizo amero
+amigaba amigabais amigaban amigabas amigables amigacho amigad amigada amigadas amigado amigados
+amigais amigamos amigan amigando amiganza amigar amigara amigaran amigaras amigare amigaren amigares
+amigaria amigaron amigase amigaseis amigasen amigases amigaste amigote amigotes amigue amigueis
+amiguen amiguera amiguero amigues amiguete amiguismo amis amision amista amistaba amistaban
+amistabas amistada amistadas amistades amistado amistados amistais amistamos amistan amistando
+amistanza amistar amistara amistaran amistaras amistare amistaren amistares amistaria amistaron
+amistas amistase amistasen amistases amistaste amiste amisteis amisten amistes amisto amistosa
+amistoso amnesias amnesica amnesicas amnesico amnesicos amnestia amoraga amorago amoral amorata
+amorate amorato amorbar amorca amorcad amorcan amorcar amorcas amorco amorece amoreci amores amorfa
+amorfas amorfia amorfo amorfos amorio amorios amormio amorosa amoroso amorque amorra amorrad amorran
+amorrar amorras amorre amorrea amorren amorreo amorres amorro amosca amoscad amoscan amoscar amoscas
+amosco amosque amostra amostre amostro ancestral ancestro ancianas ancianato ancianatos anciania
+ancila ancilar ancilas andabais andabamos andaban andabas andabata andabatas andaboba andad andada
+andadas andado andador andados andais andalia andalon andaluz andamio andamos andana andanada
+andanas andancia andancio andaniño andante andantes andanza andanzas andara andaraje andaran andaras
+andare andareis andares andaria andarian andarias andarica andarin andarina andero anderos andina
+andinas andino andinos andito anditos andoba andobal andobas andola andolas andon andona andonas
+andones andorga andorra andosca andosco andrada andrado andrajo andrina andrino anfitrion anfitriona
+angelica angelice angelico angelin angelina angelino angelito angeliza angelizo angelon angelota
+angelote angelus angina anginas angioma angitis anilina anilla anillaba anillad anillada anillado
+anillais anillan anillar anillara anillare anillas anillase anille anilleis anillen anilles anima
+animaba animaban animabas animad animada animadas animado animador animados animais animalada
+animalaje animalero animaleros animalesca animalescas animalesco animalescos animalia animalias
+animalice animaliza animalizo animamos animan animando animante animar animara animaran animaras
+animare animaren animares animaria animaron animas animase animasen animases animaste anime animeis
+animen animero animes animica animice animico animiza animizo animo animos animosa animoso
+aniversaria aniversarias aniversarios anochece anocheced anochecedor anocheceis anochecemos
+anochecen anochecera anocheceran anocheceras anochecere anochecereis anocheceres anocheceria
+anochecerian anochecerias anocheces anocheci anochecia anochecian anochecias anochecida anochecido
+anochecio anochezca anochezco anoria anorias anormales anorza anorzas ansi ansia ansiaba ansiad
+ansiada ansiado ansiais ansian ansiar ansiara ansiare ansias ansiase ansie ansiedades ansieis
+ansiemos ansien ansies ansina ansio ansion ansiones ansiosa ansiosas ansiosos anteada anteado anteca
+antecas anteceden antecedencia antecedente anteco antecos antedia antejo antejos antela antelad
+antelan antelar antelas antele antelen anteles antelo antenada antenadas antenado antenados antenas
+anteojera anteojero anteojo anteojuda anteojudo anteon anteones antepasada antepasadas antepasado
+antepasar antepie antepon antera anteras antero anteros antesala anteseña anteve antevea anteved
+anteven anteveo antever anteves antevi antevio anti antia antias anticua anticue anticuo antier
+antifaz antigas antigeno antigualla antiguana antiguanas antiguano antiguanos antiguar antigueña
+antigueño antis antoja antojan antojar antoje antojen antojo antojos antoniana antoniano antonima
+antonimas antonimia antonimo antonimos antonina antoninas antonino antoninos antosta antozoo anua
+anuales anuario anuas anuncia anunciaba anunciaban anunciabas anunciad anunciada anunciadas
+anunciado anunciador anunciados anunciais anunciamos anuncian anunciando anunciante anunciara
+anunciarais anunciaran anunciaras anunciare anunciareis anunciaren anunciares anunciaria anunciarian
+anunciarias anunciaron anuncias anunciase anunciasen anunciases anunciaste anuncie anuncieis
+anuncien anuncies apagaba apagaban apagabas apagable apagad apagada apagadas apagadiza apagadizo
+apagador apagadora apagadoras apagadores apagados apagais apagamos apagan apagando apagara apagarais
+apagaran apagaras apagare apagareis apagaren apagares apagaria apagarian apagarias apagaron apagas
+apagase apagasen apagases apagaste apago apagon apagona apagueis apaguemos apagues apara aparaba
+aparaban aparabas aparad aparada aparadas aparado aparador aparados aparais aparamos aparan aparando
+aparar aparara apararan apararas aparare apararen aparares apararia apararon aparas aparase aparasen
+aparases aparaste aparata aparataba aparatad aparatado aparatais aparatan aparatar aparatara
+aparatare aparatas aparatase aparate aparateis aparaten aparatera aparatero aparates aparatosa
+aparatosas aparatoso aparatosos aparca aparcad aparcan aparcar aparcas aparco apare aparea apareaba
+aparead apareada apareado apareais aparean aparear apareara apareare apareas aparease apareced
+apareceis aparecemos aparecera apareceran apareceras aparecere aparecereis apareceria aparecerian
+aparecerias apareces apareci aparecia apareciais aparecian aparecias aparecidos apareciera
+apareciere apareciese aparecimos aparecio apareciste aparee apareeis apareen aparees apareis apareja
+aparejad aparejan aparejar aparejas apareje aparejen aparejes aparejo aparejos aparemos aparen
+aparenta aparente aparento apareo apares aparezcais aparezcamos aparezcan aparezcas aparezco
+apariencias aparir aparo aparque aparra aparrad aparran aparrar aparras aparre aparren aparres
+aparro aparta apartaba apartad apartada apartado apartais apartamentos apartan apartar apartara
+apartare apartas apartase aparteis apartemos aparten apartes apartida apartide apartido apartijo
+aparto aparva aparvad aparvan aparvar aparvas aparve aparven aparves aparvo apella apellaba apellad
+apellada apellado apellais apellan apellar apellara apellare apellas apellase apelle apelleis
+apellen apelles apellida apellidaba apellidad apellidada apellidado apellidais apellidan apellidar
+apellidara apellidare apellidas apellidase apellide apellideis apelliden apellidero apellides
+apellidos apello apena apenaba apenaban apenabas apenad apenada apenadas apenado apenados apenais
+apenamos apenan apenando apenar apenara apenaran apenaras apenare apenaren apenares apenaria
+apenaron apenase apenaseis apenasen apenases apenaste apenca apencad apencan apencar apencas apenco
+apene apeneis apenen apenes apeno apenque apesara apesare apesaro apese apesgar apestaba apestaban
+apestabas apestad apestada apestadas apestado apestados apestais apestamos apestan apestando apestar
+apestara apestaran apestaras apestare apestaren apestares apestaria apestaron apestas apestase
+apestasen apestases apestaste apeste apesteis apesten apestes apesto apestosa apestosas apestosos
+apetala apetalo apeteced apetecedor apeteceis apetecemos apetecen apetecer apetecera apeteceran
+apeteceras apetecere apeteceria apeteces apeteci apetecia apetecian apetecias apetecida apetecido
+apetecio apetente apetezca apetezco apetite apetitiva apetitivo apetitos apetitosa apetitosas
+apetitoso apetitosos aplaca aplacad aplacan aplacar aplacas aplace aplaced aplacen aplacer aplaces
+aplaci aplacia aplacio aplaco aplagar aplana aplanad aplanan aplanar aplanas aplane aplanen aplanes
+aplano aplaque aplasia aplasta aplaste aplasto aplauda aplaudan aplaudas aplaude aplauden aplaudes
+aplaudi aplaudia aplaudid aplaudio aplaudir aplaudis aplaudo aplausos aplayar aplaza aplazad aplazan
+aplazar aplazas aplazca aplazco aplazo apoda apodaba apodad apodada apodado apodais apodan apodar
+apodara apodare apodas apodase apode apodeis apoden apodera apodere apodero apodes apodos apodosis
+apola apolaba apolad apolado apolais apolan apolar apolara apolare apolas apolase apole apoleis
+apolen apoles apoleña apoleño apollera apollere apollero apologa apologas apologia apologo apologos
+apos aposa aposaba aposad aposada aposado aposais aposan aposar aposara aposare aposas aposase apose
+aposeis aposen aposes aposito aposo aposta apostaba apostaban apostabas apostad apostada apostadas
+apostado apostados apostais apostamos apostan apostando apostante apostara apostarais apostaran
+apostaras apostare apostareis apostaren apostares apostaria apostarian apostarias apostaron apostas
+apostase apostasen apostases apostasia apostaste apostata apostatad apostatan apostatar apostatas
+apostate apostaten apostates apostato aposte aposteis apostema aposteme apostemo aposten apostes
+apostiza apostizo aposto apostol apostolo apostura apoya apoyaba apoyaban apoyabas apoyad apoyada
+apoyadas apoyado apoyados apoyais apoyamos apoyan apoyando apoyara apoyarais apoyaran apoyaras
+apoyare apoyareis apoyaren apoyares apoyaria apoyarian apoyarias apoyaron apoyas apoyase apoyasen
+apoyases apoyaste apoye apoyeis apoyen apoyes apoyos aprecia apreciaba apreciaban apreciabas
+apreciable apreciad apreciada apreciadas apreciado apreciador apreciados apreciais apreciamos
+aprecian apreciando apreciara apreciarais apreciaran apreciaras apreciare apreciareis apreciaren
+apreciares apreciaria apreciarian apreciarias apreciaron aprecias apreciase apreciasen apreciases
+apreciaste aprecie aprecieis aprecien aprecies aprecios apremia apremie apremio apremir aprenda
+aprendais aprendan aprendas aprended aprendedor aprendeis aprendemos aprenden aprendera aprenderan
+aprenderas aprendere aprendereis aprenderia aprenderian aprenderias aprendi aprendia aprendiais
+aprendian aprendias aprendices aprendida aprendidas aprendidos aprendiente aprendientes aprendiera
+aprendieran aprendieras aprendiere aprendieren aprendieres aprendieron aprendiese aprendiesen
+aprendieses aprendimos aprendio aprendisteis aprendiza aprendizaje aprendizas aprendo aprensa
+aprensad aprensan aprensar aprensas aprense aprensen aprenses aprenso apres apresa apresad apresan
+apresar apresas aprese apresen apreses apreso apresos apresta apreste apresto apreta apretaba
+apretaban apretabas apretad apretada apretadas apretadera apretadero apretadiza apretadizo apretador
+apretadora apretadoras apretadores apretados apretadura apretais apretamos apretando apretara
+apretarais apretaran apretaras apretare apretareis apretaren apretares apretaria apretarian
+apretarias apretaron apretas apretase apretasen apretases apretaste apretazon aprete apreteis apreto
+apreton apretuja apretuje apretujo apretura apreven apriesa aprietan aprietas apriete aprieten
+aprietes aprieto aprietos aprimar aprisca apriscad apriscan apriscar apriscas aprisco apriscos
+aprisque aprobacion apropia apropiaba apropiaban apropiabas apropiable apropiad apropiadas
+apropiador apropiadora apropiadoras apropiadores apropiados apropiais apropiamos apropian apropiando
+apropiar apropiara apropiaran apropiaras apropiare apropiaren apropiares apropiaria apropiaron
+apropias apropiase apropiasen apropiases apropiaste apropie apropieis apropien apropies apropio
+aprovecer aprovecha aprovechaba aprovechaban aprovechabas aprovechable aprovechad aprovechada
+aprovechadas aprovechado aprovechador aprovechados aprovechais aprovechamos aprovechan aprovechando
+aprovechante aprovechara aprovecharais aprovecharan aprovecharas aprovechare aprovechareis
+aprovecharen aprovechares aprovecharia aprovecharian aprovecharias aprovecharon aprovechas
+aprovechase aprovechasen aprovechases aprovechaste aproveche aprovecheis aprovechen aproveches
+aprovecho aproximaba aproximaban aproximabas aproximad aproximada aproximadas aproximado aproximados
+aproximais aproximamos aproximan aproximando aproximar aproximara aproximaran aproximaras aproximare
+aproximaren aproximares aproximaria aproximaron aproximas aproximase aproximasen aproximases
+aproximaste aproxime aproximeis aproximen aproximes aproximo aproxis apuestan apueste apuesten
+apuestes apuestos apuna apunaba apunado apunais apunan apunar apunara apunare apunas apunase apuncha
+apunche apuncho apune apuneis apunen apunes apuno apuntaba apuntaban apuntabas apuntad apuntada
+apuntadas apuntado apuntador apuntados apuntais apuntala apuntalad apuntalan apuntalar apuntalas
+apuntale apuntalen apuntales apuntalo apuntamos apuntan apuntar apuntara apuntaran apuntaras
+apuntare apuntaren apuntares apuntaria apuntaron apuntas apuntase apuntasen apuntases apuntaste
+apunte apunteis apuntemos apuntes apura apuraba apuraban apurabas apurad apurada apuradas apurado
+apurador apurados apurais apuramos apuran apurando apurar apurara apuraran apuraras apurare apuraren
+apurares apuraria apuraron apuras apurase apurasen apurases apuraste apurativa apurativo apure
+apureis apuren apures apurete apureña apureño apuron apurona apuronas apurones apuros apurra apurran
+apurras apurre apurren apurres apurri apurria apurrid apurrio apurrir apurris apurro aque aquea
+aqueas aquedar aqueja aquejad aquejan aquejar aquejas aqueje aquejen aquejes aquejo aquela aquele
+aquellar aquende aquenio aqueo aqueos aquera aqueran aquerar aqueras aquere aqueren aqueres aquero
+aquesa aquesas aquese aqueso aquesos aquesta aqueste aquesto aquieta aquiete aquieto aquilata
+aquilate aquilato aquilea aquileas aquileña aquileño aquilina aquilino aquilon aquista aquiste
+aquisto aquiva aquivas aquivo aquivos araba arabais araban arabas arabe arabes arabi arabica arabice
+arabicen arabices arabico arabiga arabigas arabigo arabigos arabio arabismo arabista arabiza
+arabizad arabizan arabizar arabizas arabizo arable arables arabo arabos aragones arañaba arañaban
+arañabas arañad arañada arañadas arañado arañador arañados arañais arañamos arañan arañando arañar
+arañara arañaran arañaras arañare arañaren arañares arañaria arañaron arañase arañaseis arañasen
+arañases arañaste arañazo arañazos arañe arañeis arañen arañera arañero arañes arañil araño arañon
+araños arbustiva arbustivo arcaba arcaban arcabas arcabuz arcacil arcad arcada arcadas arcade
+arcades arcadia arcadio arcado arcador arcados arcaduz arcaica arcaice arcaico arcais arcaiza
+arcaizo arcamos arcan arcana arcanas arcando arcano arcanos arcar arcara arcaran arcaras arcare
+arcaren arcares arcaria arcaron arcas arcase arcasen arcases arcaste arcazon archa archas archero
+archeros archi archies archis archiva archivaba archivad archivada archivado archivais archivan
+archivar archivara archivare archivas archivase archive archiveis archiven archivera archivero
+archives archivolta arcon arcones arconte arcos arcosa arcosas ardea ardeas arded ardedor ardeis
+ardemos arden ardera arderan arderas ardere ardereis arderia arderian arderias ardero arderos ardes
+ardi ardia ardiais ardian ardias ardicia ardid ardida ardidas ardides ardido ardidos ardientes
+ardiera ardieran ardieras ardiere ardieren ardieres ardieron ardiese ardiesen ardieses ardil ardiles
+ardillas ardilosa ardiloso ardimos ardio ardiste ardita arditas ardite ardites areas aren arenaba
+arenaban arenabas arenacea arenaceo arenad arenada arenadas arenado arenados arenais arenal arenales
+arenamos arenan arenando arenar arenara arenaran arenaras arenare arenaren arenares arenaria
+arenaron arenas arenase arenasen arenases arenaste arenca arencad arencan arencar arencas arenco
+arencon arene areneis arenen arenera arenero arenes arenga arengad arengan arengar arengas arengo
+arengue areno arenosa arenoso arenque aresta arestil arestin argent argenta argentaba argentad
+argentada argentado argentais argentan argentar argentara argentare argentas argentase argente
+argentea argenteas argenteis argentemos argenten argenteo argenteos argenteria argentero argenteros
+argentes argentica argenticas argentico argenticos argentinas argentino argentinos argentita
+argentitas argento argentos argentosa argentoso argentpel argents armaba armaban armabas armable
+armad armadas armadera armadia armadias armadija armadijo armador armadora armadoras armadores
+armaduras armaduria armadurias armais armajal armajo armajos armamentos armamos arman armando armara
+armarais armaran armaras armare armareis armaren armares armaria armariais armarian armarias
+armarios armaron armase armaseis armasen armases armaste armazon armañac arnica arnicas arnillo
+arque arquea arqueaba arquead arqueada arqueado arqueais arqueaje arquean arquear arqueara arqueare
+arqueas arquease arquee arqueeis arqueen arquees arqueis arquemos arquen arqueo arqueos arqueria
+arquerias arquero arques arqueta arquetas arquitecta arquitectas arquitector arquitectos
+arquitectura arra arraba arrabal arrabas arrabio arraces arraez arrafiz arragre arraiga arraigo
+arrala arralad arralan arralar arralas arrale arralen arrales arralo arrana arranaba arranado
+arranais arranan arranar arranara arranare arranas arranase arrancaba arrancaban arrancabas arrancad
+arrancada arrancadas arrancado arrancador arrancados arrancais arrancamos arrancan arrancando
+arrancara arrancarais arrancaran arrancaras arrancare arrancareis arrancaren arrancares arrancaria
+arrancarian arrancarias arrancaron arrancas arrancase arrancasen arrancases arrancaste arrancha
+arranchad arranchan arranchar arranchas arranche arranchen arranches arrancho arranchon arrancia
+arrancian arranciar arrancias arrancie arrancien arrancies arrancio arranco arrancon arrane arraneis
+arranen arranes arrano arranque arrapa arrapad arrapan arrapar arrapas arrape arrapen arrapes arrapo
+arrapos arras arrasa arrasad arrasan arrasar arrasas arrase arrasen arrases arraso arrate arrates
+arrayan arrayaz arraz arre arrea arreaba arread arreada arreado arreais arreala arrean arrear
+arreara arreare arreas arrease arrebol arrecha arreche arrecho arreci arrecia arrecid arrecie
+arrecio arrecir arrecis arredo arredor arredra arredre arredro arree arreeis arreen arrees arregace
+arregaza arregazo arreglaba arreglaban arreglabas arreglad arreglada arregladas arreglador
+arregladora arregladoras arregladores arreglados arreglais arreglan arreglando arreglara arreglarais
+arreglaran arreglaras arreglare arreglareis arreglaren arreglares arreglaria arreglarian arreglarias
+arreglaron arreglas arreglase arreglasen arreglases arreglaste arregle arregleis arreglen arregles
+arreglin arrelde arrenda arrende arrendo arreo arreos arres arresta arrestaba arrestaban arrestabas
+arrestad arrestada arrestadas arrestados arrestais arrestamos arrestan arrestando arrestara
+arrestarais arrestaran arrestaras arrestare arrestareis arrestaren arrestares arrestaria arrestarian
+arrestarias arrestas arrestase arrestasen arrestases arrestaste arreste arresteis arrestemos
+arrestes arrestos arretin arria arriaba arriad arriada arriado arriais arrial arrian arriana arriano
+arriar arriara arriare arrias arriase arriata arriate arriaz arribaba arribaban arribabas arribad
+arribada arribadas arribado arribais arribaje arribajes arribamos arriban arribando arribar arribara
+arribaran arribaras arribare arribaren arribares arribaria arribaron arribas arribase arribasen
+arribases arribaste arribazon arribe arribeis arriben arribes arribeña arribeño arribo arribos
+arrice arricen arrices arrida arridad arridan arridar arridas arride arriden arrides arrido arrie
+arrieis arrien arriera arriero arries arriesga arriesgaba arriesgaban arriesgabas arriesgad
+arriesgada arriesgadas arriesgados arriesgais arriesgamos arriesgan arriesgando arriesgara
+arriesgarais arriesgaran arriesgaras arriesgare arriesgareis arriesgaren arriesgares arriesgaria
+arriesgarian arriesgarias arriesgaron arriesgas arriesgase arriesgasen arriesgases arriesgaste
+arriesgo arriesgon arriesgue arriesguen arriesgues arrife arrifes arrige arrigen arriges arrigi
+arrigia arrigio arrigir arrigis arrija arrijan arrijas arrijo arrima arrimad arriman arrimar arrimas
+arrime arrimen arrimes arrimo arrimon arrimos arrio arrisca arrisco arrita arritad arritan arritar
+arritas arrite arriten arrites arrito arriza arrizad arrizan arrizar arrizas arrizo arroaz arroba
+arrobad arrobal arroban arrobar arrobas arrobe arroben arrobes arrobo arrobos arroces arrocha
+arroche arrocho arrodea arrodee arrodeo arroga arrogaba arrogaban arrogabas arrogad arrogada
+arrogadas arrogado arrogador arrogados arrogais arrogamos arrogan arrogancia arrogando arrogantes
+arrogar arrogara arrogaran arrogaras arrogare arrogaren arrogares arrogaria arrogaron arrogas
+arrogase arrogasen arrogases arrogaste arrogo arrogue arroja arrojad arrojan arrojar arrojas arroje
+arrojen arrojes arrojo arrojos arrolla arrolle arrollo arroma arromad arroman arromar arromas arrome
+arromen arromes arromo arrompa arrompe arrompi arrompo arronce arronza arronzo arropa arropad
+arropan arropar arropas arrope arropen arropes arropia arropo arrosca arrosco arrota arrotan arrotar
+arrotas arrote arroten arrotes arroto arrotos arroya arroyad arroyan arroyar arroyas arroye arroyen
+arroyes arroyo arroyos arrozal arrua arruaba arruad arruado arruais arruan arruar arruara arruare
+arruas arruase arrucha arruche arrucho arrue arrueis arruen arrues arrufa arrufad arrufan arrufar
+arrufas arrufe arrufen arrufes arrufo arrufos arruga arrugad arrugan arrugar arrugas arrugia arrugo
+arrugue arrui arruies arruina arruinaba arruinaban arruinabas arruinad arruinada arruinadas
+arruinador arruinadora arruinadoras arruinadores arruinados arruinais arruinamos arruinan arruinara
+arruinarais arruinaran arruinaras arruinare arruinareis arruinaren arruinares arruinaria arruinarian
+arruinarias arruinaron arruinas arruinase arruinaseis arruinasen arruinases arruinasteis arruine
+arruineis arruinen arruines arruino arruis arrulla arrulle arrullo arruma arrumad arruman arrumar
+arrumas arrumba arrumbe arrumbo arrume arrumen arrumes arrumo arruo arruruz arruta arrutad arrutan
+arrutar arrutas arrute arruten arrutes arruto artefactos artejo artejos artera arteras arterial
+arteriales arterias arteriola arteriosa arterioso arteritis artero arteros artesa artesana artesano
+artesas arteson artesona artesone artesono artica articas artico articos artifice artifices
+artificiar artificiero artificio artificios artificiosa artificioso artiga artigad artigan artigar
+artigas artigo artigue artilla artille artilleis artillemos artillen artillera artilleras artilleria
+artillerias artillero artilleros artilles artillo artimon artina artinas artistica artistico artizar
+arturica arturico artuña artuñas asad asada asadas asadera asadero asador asadora asadoras asadores
+asados asadura asalir asalta asaltaba asaltad asaltada asaltado asaltais asaltan asaltar asaltara
+asaltare asaltas asaltase asalte asalteis asalten asaltes asaltos ascende ascended ascender ascendes
+ascendi ascendia ascendio ascension ascensores ascensos ascesis asceta ascetas asconda asconde
+ascondi ascondo ascos ascosa ascosas ascoso ascosos asegunda asegunde asegundo aseguraba aseguraban
+asegurabas asegurable asegurad asegurada aseguradas asegurador aseguradora aseguradoras aseguradores
+asegurados asegurais aseguramos aseguran asegurando aseguranza asegurara asegurarais aseguraran
+aseguraras asegurare asegurareis aseguraren asegurares aseguraria asegurarian asegurarias aseguraron
+aseguras asegurase asegurasen asegurases aseguraste asegure asegureis aseguren asegures aseguros
+ases asesa asesaba asesad asesada asesado asesais asesan asesar asesara asesare asesas asesase asese
+aseseis asesen aseses asesinaba asesinaban asesinabas asesinad asesinadas asesinais asesinamos
+asesinan asesinando asesinara asesinarais asesinaran asesinaras asesinare asesinareis asesinaren
+asesinares asesinaria asesinarian asesinarias asesinas asesinase asesinaseis asesinasen asesinases
+asesinasteis asesine asesineis asesinen asesines aseso asesora asesoraba asesorad asesorada
+asesorado asesorais asesoran asesorar asesorara asesorare asesoras asesorase asesore asesoreis
+asesoren asesores asesoria asesorias asesoro asesta asestad asestan asestar asestas aseste asesten
+asestes asesto asiais asiamos asian asiana asianas asiano asianos asias asiendo asienta asientan
+asientas asiente asienten asientes asiera asieran asieras asiere asieren asieres asieron asierra
+asierre asierro asiese asiesen asieses asigna asignaba asignaban asignabas asignable asignad
+asignada asignadas asignados asignais asignamos asignan asignando asignar asignara asignaran
+asignaras asignare asignaren asignares asignaria asignaron asignas asignase asignasen asignases
+asignaste asigne asigneis asignen asignes asigno asila asilaba asilad asilada asilado asilais asilan
+asilar asilara asilare asilas asilase asile asileis asilen asiles asilla asillas asilos asis asista
+asistais asistan asistas asiste asisteis asisten asistencial asistenciales asistencias asistenta
+asistentas asistentes asistes asisti asistia asistiais asistian asistias asistid asistida asistidas
+asistido asistidos asistiera asistiere asistiese asistimos asistio asistira asistiran asistiras
+asistire asistireis asistiria asistirian asistirias asistis asististe asisto asociacion asombra
+asombraba asombrad asombrada asombrado asombrais asombran asombrar asombrara asombrare asombras
+asombrase asombre asombreis asombren asombres asombro asombros asombrosas asombrosos aspe aspea
+aspeaba aspeado aspeais aspean aspear aspeara aspeare aspeas aspease aspectada aspectado aspectos
+aspectual aspee aspeeis aspeen aspees aspeis aspemos aspen aspeo aspera asperas asperea asperee
+aspereo asperge aspergi asperja asperje asperjo aspero asperon asperos aspes asquerosas asquerosos
+astronautas astronautica astronautico astronave astronaves astucia astur astures astuta astutas
+astutos asuma asumais asuman asumas asume asumen asumes asumi asumia asumiais asumian asumias asumid
+asumida asumidas asumido asumidos asumiera asumiere asumiese asumimos asumio asumira asumiran
+asumiras asumire asumireis asumiria asumirian asumirias asumis asumiste asunta asuntaba asuntad
+asuntada asuntado asuntais asuntan asuntar asuntara asuntare asuntas asuntase asunte asunteis
+asuntejo asunten asuntes asuntina asuntino asuso asustaba asustaban asustabas asustad asustadas
+asustadiza asustadizo asustais asustamos asustara asustarais asustaran asustaras asustare asustareis
+asustaren asustares asustaria asustarian asustarias asustaron asustase asustaseis asustasen
+asustases asustasteis asuste asusteis asustemos asusten asusto atacaba atacaban atacabas atacable
+atacad atacada atacadas atacadera atacador atacadora atacadoras atacadores atacados atacadura
+atacais atacama atacamas atacamos atacante atacantes atacara atacarais atacaran atacaras atacare
+atacareis atacaren atacares atacaria atacarian atacarias atacas atacase atacasen atacases atacaste
+atacir ataco atacola atad atada atadas atadero atadijo atador atadora atadoras atadores atados
+atadura ataja atajaba atajad atajada atajado atajais atajan atajar atajara atajare atajas atajase
+ataje atajea atajeas atajeis atajen atajes atajia atajias atajos ataqueis ataquemos ataquice
+ataquiza ataquizo atardece atardecen atardecera atardeceran atardeceres atardeceria atardecerian
+atardecia atardecian atardecida atardecido atardecio atardezca atasca atascaba atascaban atascabas
+atascad atascada atascadas atascadero atascados atascais atascamos atascan atascando atascar
+atascara atascaran atascaras atascare atascaren atascares atascaria atascaron atascas atascase
+atascasen atascases atascaste atasco atascos aten atenace atenaza atenazo atenciones atendais
+atendar atende atended atendedor atendeis atendemos atendera atenderan atenderas atendere atendereis
+atenderia atenderian atenderias atendes atendi atendia atendian atendias atendida atendido atendio
+atendra atendran atendras atendre atendria atenea ateneas ateneis ateneo ateneos atener atenes
+atenga atengan atengas atengo atenia atenian atenias atenida atenido atenies atenta atentaba atentad
+atentada atentado atentais atentan atentar atentara atentare atentas atentase atente atenteis
+atenten atentes atenua atenuad atenuan atenuar atenuas atenue atenuen atenues atenuo aterra aterraba
+aterraban aterrabas aterrad aterrada aterradas aterrado aterradora aterradoras aterradores aterrados
+aterrais aterraja aterrajad aterrajan aterrajar aterrajas aterraje aterrajen aterrajes aterrajo
+aterramos aterran aterrando aterrar aterrara aterraran aterraras aterrare aterraren aterrares
+aterraria aterraron aterras aterrase aterrasen aterrases aterraste aterrice aterricen aterrices
+aterriza aterrizaba aterrizaban aterrizabas aterrizad aterrizado aterrizais aterrizajes aterrizamos
+aterrizan aterrizando aterrizara aterrizarais aterrizaran aterrizaras aterrizare aterrizareis
+aterrizaren aterrizares aterrizaria aterrizarian aterrizarias aterrizaron aterrizas aterrizase
+aterrizasen aterrizases aterrizaste aterrizo atienda atiendan atiendas atienden atiendes atiendo
+atiene atienen atienes atienta atientan atientas atiente atienten atientes atiento atierra atierre
+atierro atiesa atiesad atiesan atiesar atiesas atiese atiesen atieses atieso atiesta atieste atiesto
+atlante atlantes atlantica atlantico atlas atraca atracaba atracad atracada atracado atracais
+atracan atracar atracara atracare atracas atracase atraccion atracon atracones atracos atractivas
+atractivos atractriz atraed atraeis atraemos atraen atraera atraeran atraeras atraere atraereis
+atraeria atraerian atraerias atraes atraia atraian atraias atraida atraido atraiga atraigo atraje
+atrajo atrampa atrampe atrampo atramuz atranca atranco atrapaba atrapaban atrapabas atrapad
+atrapadas atrapais atrapamoscas atrapando atrapara atraparais atraparan atraparas atrapare
+atrapareis atraparen atrapares atraparia atraparian atraparias atrapas atrapase atrapasen atrapases
+atrapaste atrape atrapeis atrapemos atrapes atrapo atraque atrasa atrasaba atrasaban atrasabas
+atrasad atrasada atrasadas atrasados atrasais atrasamos atrasan atrasando atrasar atrasara atrasaran
+atrasaras atrasare atrasaren atrasares atrasaria atrasaron atrasas atrasase atrasasen atrasases
+atrasaste atrase atraseis atrasen atrases atraso atrasos atravesa atravesaba atravesaban atravesabas
+atravesad atravesada atravesadas atravesado atravesador atravesados atravesais atravesamos
+atravesara atravesarais atravesaran atravesaras atravesare atravesareis atravesaren atravesares
+atravesaria atravesarian atravesarias atravesaron atravesas atravesase atravesasen atravesases
+atravesaste atravesaño atravesaños atravese atraveseis atravesia atraveso atraviesan atraviesas
+atraviese atraviesen atravieses atravieso atrecha atreche atrecho atregar atrenzo atresia atreva
+atrevais atrevamos atrevan atreveis atrevemos atreven atrever atrevera atreveran atreveras atrevere
+atreveria atrevi atrevia atreviais atrevian atrevias atrevida atrevidas atrevidos atreviera
+atreviere atreviese atrevimos atrevio atreviste atrevo atrezo atrezos audicion audiencias
+audienciero aumentaba aumentaban aumentabas aumentable aumentad aumentada aumentadas aumentado
+aumentador aumentados aumentais aumentamos aumentan aumentando aumentara aumentarais aumentaran
+aumentaras aumentare aumentareis aumentaren aumentares aumentaria aumentarian aumentarias aumentaron
+aumentas aumentase aumentasen aumentases aumentaste aumente aumenteis aumenten aumentes aumentos
+ausencias ausenta ausentaba ausentad ausentada ausentado ausentais ausentan ausentar ausentara
+ausentare ausentas ausentase ausenteis ausentemos ausenten ausentes ausento austera austero austral
+australes australiana australianas australiano australianos austro austros autobaño autobus autocar
+autodestruccion autogol autopistas autopsias autopsida autopsidas autopsido autopsidos autora
+autoras autores autoria autorias autorice autoricen autorices autoriza autorizaba autorizaban
+autorizabas autorizable autorizacion autorizad autorizadas autorizador autorizadora autorizadoras
+autorizadores autorizados autorizais autorizamos autorizan autorizando autorizar autorizara
+autorizaran autorizaras autorizare autorizaren autorizares autorizaria autorizaron autorizas
+autorizase autorizasen autorizases autorizaste autorizo autostop autovia auxilia auxiliaba auxiliad
+auxiliada auxiliado auxiliais auxilian auxiliar auxiliara auxiliare auxilias auxiliase auxilie
+auxilieis auxilien auxilies auxilios auxina auxinas avanceis avancemos avances avanece avaneci
+avantal avante avanzaba avanzaban avanzabas avanzad avanzadas avanzados avanzais avanzamos avanzan
+avanzara avanzarais avanzaran avanzaras avanzare avanzareis avanzaren avanzares avanzaria avanzarian
+avanzarias avanzaron avanzas avanzase avanzasen avanzases avanzaste avanzo avanzos aven avena
+avenaba avenad avenada avenado avenais avenan avenar avenara avenare avenas avenase avenate avendra
+avendre avene aveneis avenen avenena avenene aveneno avenes avenga avengan avengas avengo aveni
+avenia aveniais avenian avenias avenible avenicea aveniceo avenid avenidas avenidera avenidero
+avenido avenidor avenidora avenidos avenimos avenir avenis aveno aventa aventaba aventad aventada
+aventado aventais aventaja aventaje aventajo aventar aventara aventare aventas aventase avente
+aventeis avento aventon aventuraba aventuraban aventurabas aventurad aventurada aventuradas
+aventurado aventurados aventurais aventuramos aventuran aventurando aventurar aventurara aventuraran
+aventuraras aventurare aventuraren aventurares aventuraria aventuraron aventurase aventuraseis
+aventurasen aventurases aventuraste aventure aventureis aventuren aventurera aventurero aventures
+aventuro avergonza avergonzaba avergonzaban avergonzabas avergonzad avergonzadas avergonzados
+avergonzais avergonzamos avergonzando avergonzar avergonzara avergonzaran avergonzaras avergonzare
+avergonzaren avergonzares avergonzaria avergonzaron avergonzas avergonzase avergonzasen avergonzases
+avergonzaste avergonzo averia averiaba averiad averiada averiado averiais averian averiar averiara
+averiare averias averiase averie averieis averien averies averiguaba averiguaban averiguabas
+averiguable averiguad averiguada averiguadas averiguado averiguador averiguados averiguais
+averiguamos averiguan averiguando averiguara averiguarais averiguaran averiguaras averiguare
+averiguareis averiguaren averiguares averiguaria averiguarian averiguarias averiguaron averiguas
+averiguase averiguasen averiguases averiguaste averiguata averiguatas averigue averigueis averiguen
+averigues averiguo averio averios avio avioneta avionetas avionica avios avisaba avisaban avisabas
+avisad avisada avisadas avisador avisadora avisadoras avisadores avisados avisais avisaje avisajes
+avisamos avisan avisando avisara avisarais avisaran avisaras avisare avisareis avisaren avisares
+avisaria avisarian avisarias avisaron avisas avisase avisasen avisases avisaste avise aviseis avisen
+avisero avises avison avisos avispa avispad avispan avispar avispas avispe avispen avispes avispo
+avispon avista avistad avistan avistar avistas aviste avisten avistes avisto ayeres ayerma ayermad
+ayerman ayermar ayermas ayerme ayermen ayermes ayermo ayudaba ayudaban ayudabas ayudad ayudada
+ayudadas ayudador ayudadora ayudadoras ayudadores ayudados ayudais ayudamos ayudanta ayudantas
+ayudantes ayudantia ayudantias ayudarais ayudaramos ayudaran ayudaras ayudare ayudareis ayudaren
+ayudares ayudaria ayudarian ayudarias ayudaron ayudase ayudaseis ayudasen ayudases ayudasteis
+ayudeis ayudemos azara azaraba azarad azarada azarado azarais azaran azarar azarara azarare azaras
+azarase azarbe azarbes azarcon azare azarea azarean azarear azareas azaree azareen azarees azareis
+azaren azareo azares azarja azarjas azaro azarosa azaroso azula azulaba azulad azulada azulado
+azulais azulan azular azulara azulare azulas azulase azule azulea azuleaba azulead azuleado azuleais
+azulean azulear azuleara azuleare azuleas azulease azulee azuleeis azuleen azulees azuleis azuleja
+azulejad azulejan azulejar azulejas azuleje azulejen azulejes azulejo azulejos azulemos azulen
+azulenca azulenco azuleo azulete azuletes azulina azulino azulo azulon azulona azulosa azuloso añosa
+añosas añoso añosos babea babeaba babead babeado babeais babean babear babeara babeare babeas
+babease babee babeeis babeen babees babel babeles babeo babeos babera baberas babero baberol baberos
+babilon babilona babilonas babilones babilonias babilonica babilonicas babilonico babilonicos
+babilonio babilonios babores babosa babosas babosea babosee baboseo baboso babosos bagdadi bagdadies
+bagdadis bailaba bailaban bailabas bailable bailad bailada bailadas bailado bailador bailados
+bailais bailan bailanta bailantas bailante bailantes bailaor bailaora bailara bailarais bailaran
+bailaras bailare bailareis bailaren bailares bailaria bailariais bailarian bailarias bailarin
+bailarinas bailarines bailaron bailase bailaseis bailasen bailases bailaste baileis bailejo bailejos
+bailemos bailen bailes bailete bailetes bailia bailias bailio bailios bailo bailon bailona bajaba
+bajaban bajabas bajad bajada bajadas bajadero bajados bajais bajamar bajamos bajan bajante bajantes
+bajara bajarais bajaran bajaras bajare bajareis bajaren bajares bajaria bajarian bajarias bajaron
+bajase bajaseis bajasen bajases bajaste bajea bajeaba bajead bajeada bajeado bajeais bajean bajear
+bajeara bajeare bajeas bajease bajedad bajee bajeeis bajeen bajees bajeis bajel bajeles bajemos
+bajeo bajera bajeras bajero bajeros bajes bajete bajetes bajez bajeza bajezas bajoca bajocas bajon
+bajonea bajonee bajoneo bajones balaba balaban balabas balaca balacas balacea balacee balaceo balad
+balada baladas baladi baladis balado balador baladra baladre baladro balagar balago balagos balagre
+balais balaj balaje balajes balamo balamos balan balancea balanceaba balancead balanceada balanceado
+balanceais balancean balancear balanceara balanceare balanceas balancease balancee balanceeis
+balanceen balancees balanceo balanceos balancero balanceros balances balancin balando balandra
+balandro balano balanos balante balantes balanza balanzas balanzon balar balara balaran balaras
+balare balaren balares balaria balaron balase balaseis balasen balases balasta balastad balastan
+balastar balastas balaste balasten balastes balasto balastos balastro balata balatas balate balates
+balay balayes balayo balayos balazos balboas balbuce balbuci balche balches balcon ballar ballenato
+ballenatos ballener ballenera ballenero ballesta ballico baloncestos banca bancaba bancad bancada
+bancado bancais bancal bancan bancar bancara bancare bancas bancase bance bances bandada bandadas
+bandarra bandazo bandazos bandea bandeaba bandead bandeada bandeado bandeais bandean bandear
+bandeara bandeare bandeas bandease bandee bandeeis bandeen bandees bandejar bandejas bandeo bandeos
+banderas banderazo banderazos banderea banderean banderear bandereas banderee bandereen banderees
+bandereo banderia banderias banderice banderin banderiza banderizo bandero banderola bandida
+bandidaje bandidas bandin bandines bandir bandola bandolas bandolin bandolon bandos bandujo bandul
+bangaña bangaño banque banqueis banquemos banquen banqueo banqueos banquera banqueras banquero
+banqueros banques banqueta banquetas banquetea banqueteaba banquetead banqueteada banqueteado
+banqueteais banquetean banquetear banqueteara banqueteare banqueteas banquetease banquetee
+banqueteeis banqueteen banquetees banqueteo banquetera banqueteras banquetero banqueteros banquetes
+banquina banquisa baraca baracas baraha baraja barajad barajan barajar barajas baraje barajea
+barajee barajen barajeo barajes barajo barajon barajos baranda baratador baratar baratas baratea
+baratead baratean baratear barateas baratee barateen baratees barateo baratera baratero baratia
+baratias baratija baraton baratona baratonas baratones baratos baratro baratros baratura baraña
+barañas baraño baraños barbaba barbaban barbabas barbacoa barbacua barbad barbada barbadas barbado
+barbados barbais barbaja barbajan barbajas barbamos barban barbando barbar barbarais barbaramos
+barbaran barbaras barbare barbareis barbaren barbares barbaria barbarian barbarias barbarica
+barbarice barbarico barbarie barbaries barbariza barbarizo barbaro barbaron barbaros barbarote
+barbas barbase barbasen barbases barbaste barbato barbatos barbe barbea barbead barbean barbear
+barbeas barbee barbeen barbees barbeis barben barbeo barbera barbero barbes barbeta barbian barbijo
+barbo barbon barbos barbota barbote barboto barbuda barbudo barca barcada barcaje barcal barcas
+barcaza barcena barceno barceo barceos barcia barcias barcina barcine barcino barcon barcones barema
+baremad bareman baremar baremas bareme baremen baremes baremo baremos bareque bareta baretas bari
+baria barias barica baricas barico baricos baries baril bariles barines bario barios baris barita
+baritas baritel barn barnice barniz barniza barnizo barns barraba barraban barrabas barraca barracas
+barracon barrad barrada barradas barrado barrados barragan barrais barral barrales barramos barran
+barranca barranco barrando barrar barrara barraran barraras barrare barraren barrares barraria
+barraron barrasco barrascos barrase barraseis barrasen barrases barraste barre barrea barreaba
+barread barreada barreado barreais barreal barrean barrear barreara barreare barreas barrease barred
+barreda barredas barredor barree barreeis barreen barrees barreis barremos barren barrena barrenad
+barrenan barrenar barrenas barrene barrenen barrenes barreno barrenos barreo barrer barreran
+barreras barrere barrereis barreria barrerian barrerias barrero barreros barres barreta barretas
+barrete barretea barretee barreteo barreton barreña barreñas barreño barreños barri barria barriada
+barriais barrial barrian barrias barrica barricas barrida barridas barrido barridos barriera
+barriere barriese barrigas barrigon barrigona barriguda barrigudo barrila barrilaje barrilas
+barrilero barriles barrilete barrilla barrillar barrillas barrillo barrillos barrimos barrios
+barriosa barrioso barrisco barrista barriste barrita barritad barritan barritar barritas barrite
+barriten barrites barrito barritos barrizal barroca barrocas barrocho barroco barrocos barron
+barrones barros barrosa barrosas barroso barrosos barrote barrotes barrujo bartola basa basaba
+basaban basabas basad basadas basados basais basal basales basalto basamos basan basando basar
+basara basaran basaras basare basaren basares basaria basaron basas basase basasen basases basaste
+baseis basemos basen bastaba bastaban bastabas bastad bastada bastadas bastado bastados bastais
+bastaje bastajes bastamos bastan bastando bastantea bastanteaba bastantead bastanteada bastanteado
+bastanteais bastantean bastantear bastanteara bastanteare bastanteas bastantease bastantee
+bastanteeis bastanteen bastantees bastanteo bastanteos bastar bastara bastarais bastaran bastaras
+bastarda bastardaba bastardad bastardado bastardais bastardan bastardar bastardara bastardare
+bastardas bastardase bastarde bastardea bastardead bastardean bastardear bastardeas bastardee
+bastardeen bastardees bastardeis bastardelo bastarden bastardeo bastardes bastardia bastardias
+bastare bastareis bastaren bastares bastaria bastarian bastarias bastaron bastas bastase bastasen
+bastases bastaste baste bastea bastead bastean bastear basteas bastee basteen bastees basteis basten
+basteo bastero bastes basteza bastida bastion bastir basto baston bastos bastula bastulo basuco
+basucos basural basurales basuras basurea basureaba basuread basureada basureado basureais basurean
+basurear basureara basureare basureas basurease basuree basureeis basureen basurees basureo basurera
+basureras basureros batais batalan batallaba batallaban batallabas batallad batallado batallador
+batallais batallamos batallan batallando batallar batallara batallaran batallaras batallare
+batallaren batallares batallaria batallaron batallase batallaseis batallasen batallases batallaste
+batalle batalleis batallen batalles batallo batallola batallon batallona batallosa batalloso batamos
+batan batana batanad batanan batanar batanas batane batanea batanee batanen bataneo batanes batanga
+batano bataola batas batata batatas batato batatos batava batavas batavo batavos batazo batazos
+batea bateaba batead bateada bateado bateais batean batear bateara bateare bateas batease batee
+bateeis bateen batees batel bateles baten bateo bateos batera bateras bateria baterias batero
+bateros bates batey bateyes bañe bañeis bañemos bañen bañeras bañero bañeros bañes bebais bebamos
+beban bebas bebed bebedor bebeis bebemos beben bebera beberan beberas bebercio bebere bebereis
+beberia beberian beberias beberron bebi bebia bebiais bebian bebias bebiata bebible bebidos bebienda
+bebiendas bebiera bebieran bebieras bebiere bebieren bebieres bebieron bebiese bebiesen bebieses
+bebimos bebio bebiste becaba becaban becabas becad becada becadas becado becados becais becamos
+becan becando becante becar becara becaran becaras becare becaren becares becaria becario becaron
+becas becase becasen becases becaste bellaca bellacas bellaco bellacos bellezas bellida bellido
+bellos bellota bellotas bellote bellotea bellotee belloteo bellotes belloto bellotos bendeci bendice
+bendicen bendicera bendices bendicion bendigais bendigamos bendigan bendigas bendigo bendije bendijo
+benditas benditera benditos benefica beneficas beneficia beneficiaba beneficiad beneficiada
+beneficiado beneficiais beneficial benefician beneficiar beneficiara beneficiare beneficias
+beneficiase beneficie beneficieis beneficien beneficies beneficiosa beneficiosas beneficioso
+beneficiosos benefico beneficos benjamina benjaminas benjamines benjamita benjamitas bentonica
+bentonico bentonita bentos berlina berlinas berlines berlinesa berlinga berlingad berlingan
+berlingar berlingas berlingo berlingue bernarda bernardas bernardina bernardo bernardos bernes
+bernesa bernia bernias berta besa besaba besaban besabas besad besada besadas besado besados besais
+besamel besamos besan besana besanas besando besante besara besarais besaran besaras besare besareis
+besaren besares besaria besarian besarias besaron besas besase besasen besases besaste bestiaje
+bestiajes bestial bestiales bestiario bestion bestiun bestoba bestoga bestola biblias biblica
+biblicas biblico biblicos bibliotecaria bibliotecario bibliotecas biblista bicha bichas biche
+bichero biches bichin bichina bichino bichito bichoca bichocas bichoco bichocos bichorno bichozno
+bicicletas biciclo biciclos bienal biendra biendro bienestares bienio bienios bienvenidas bienza
+bienzas bigotera bigoteras bigotes bigotuda bigotudo billa billalda billarda billardas billares
+billas billetada billetado billetaje billetea billeteaba billetead billeteada billeteado billeteais
+billetean billetear billeteara billeteare billeteas billetease billetee billeteeis billeteen
+billetees billeteo billeteras billetero billeteros billon billonesima billonesimo bingos bingui
+binguis blancal blancales blancarte blancaza blancazas blancazo blancazos blancor blancores blancota
+blancotas blancote blancotes blancura blanda blandan blandas blande blandea blandee blanden blandeo
+blandes blandi blandia blandid blandio blandir blandis blando blandon blandos bloquea bloqueaba
+bloqueaban bloqueabas bloquead bloqueada bloqueadas bloqueador bloqueadora bloqueadoras bloqueadores
+bloqueados bloqueais bloqueamos bloquean bloquear bloqueara bloquearan bloquearas bloqueare
+bloquearen bloqueares bloquearia bloquearon bloqueas bloquease bloqueasen bloqueases bloqueaste
+bloquee bloqueeis bloqueen bloquees bloqueis bloquemos bloquen bloqueos bloques bobore bobores bobos
+bocacaz bocacha bocacho bocaci bocacis bocada bocadas bocadea bocadee bocadeo bocado bocados bocal
+bocales bocana bocanas bocarda bocarte bocas bocata bocatas bocaza bocazas bocazo bocazos bode
+bodegaje bodegajes bodegas bodego bodegon bodegos bodes bolacha bolada boladas bolado bolados bolaga
+bolagar bolagas bolar bolardo bolares bolazo bolazos bolaño bolaños bolea boleaba bolead boleada
+boleado boleais bolean bolear boleara boleare boleas bolease bolee boleeis boleen bolees boleo
+boleos bolera boleras bolero boleros boles boleta boletaba boletad boletada boletado boletais
+boletan boletar boletara boletare boletas boletase bolete boletea boletead boletean boletear
+boleteas boletee boleteen boletees boleteis boleten boleteo boleteos boletera boletero boletes
+boletin boletina boletine boletino bolo bolola bololas bololo bololos bolon bolones bolonio boloñes
+bolsada bolsadas bolsea bolsead bolsean bolsear bolseas bolsee bolseen bolsees bolseo bolsera
+bolsero bolsico bolsicos bolsin bolsines bolsista bolson bolsones bolsor bolsos bombacea bombaceo
+bombacha bombacho bombarda bombardas bombardea bombardeaba bombardead bombardeada bombardeado
+bombardeais bombardean bombardear bombardeara bombardeare bombardeas bombardease bombardee
+bombardeeis bombardeen bombardees bombardeos bombardera bombarderas bombardero bombardino bombardon
+bombasi bombasies bombasis bombazo bombazos bombe bombea bombeaba bombead bombeada bombeado bombeais
+bombean bombear bombeara bombeare bombeas bombease bombee bombeeis bombeen bombees bombeo bombeos
+bombera bomberas bombero bombes bombeta bombetas bombin bombo bombon bombona bombos bondades
+bondadosa bondadoso bondosa bondoso boneta bonetas bonete bonetes boniato bonico bonilla bonillo
+bonina boninas bonista bonitalo bonitalos bonitera bonitero bonitura bonizal bonizo bonizos bono
+bonobus bonote bonotes borda bordaba bordad bordada bordado bordais bordan bordar bordara bordare
+bordas bordase bordea bordeaba bordead bordeada bordeado bordeais bordean bordear bordeara bordeare
+bordeas bordease bordee bordeeis bordeen bordees bordeis bordeles bordemos borden bordeo bordes
+bordon bordona bordonas bordonea bordonee bordoneo bordones bordos bordura borgoña borguil boria
+borias borico boricos boricua borra borraba borraban borrabas borrachada borrachadas borrachales
+borrachas borrachea borrachead borrachean borrachear borracheas borrachee borracheen borrachees
+borracheo borrachera borrachero borrachez borrachin borrachina borrad borrada borradas borrado
+borrador borrados borrais borraj borraja borrajas borrajea borrajee borrajeo borrajes borrajo
+borrajos borramos borran borrando borrara borrarais borraran borraras borrare borrareis borraren
+borrares borraria borrarian borrarias borraron borras borrasca borrase borrasen borrases borraste
+borre borrega borrego borreis borren borrero borres borrica borrico borrina borro borron borros
+borrosa borroso bosqueja bosquejad bosquejan bosquejar bosquejas bosqueje bosquejen bosquejes
+bosquejo bosquejos bosquete bosquetes bosta bostar bostas bostea bostead bostean bostear bosteas
+bostece bostee bosteen bostees bosteo bosteza bostezo bostica bostico bota botaba botaban botabas
+botad botada botadas botado botador botados botagua botaina botais botalon botamay botamen botamos
+botan botana botanas botando botanea botanee botaneo botar botara botaran botaras botare botarel
+botaren botares botarga botaria botaron botase botaseis botasen botases botaste botea boteaba botead
+boteado boteais boteal botean botear boteara boteare boteas botease botee boteeis boteen botees
+boteis boteja botejas botellazo botellazos botellera botellero botellin botellita botellon botemos
+boten boteo boteria botero boteros boto boton botonaza botonazo botonea botoneaba botonead botoneado
+botoneais botonean botonear botoneara botoneare botoneas botonease botonee botoneeis botoneen
+botonees botoneo botonera botoneras botoneria botonero botoneros botor botoral botos botosa botoso
+bototo bototos bourbon boxea boxeaba boxeaban boxeabas boxead boxeado boxeadores boxeais boxeamos
+boxean boxeando boxear boxeara boxearan boxearas boxeare boxearen boxeares boxearia boxearon boxeas
+boxease boxeasen boxeases boxeaste boxee boxeeis boxeen boxees boxeos boxer boxeres boxes bradita
+bran branca brancal brancas brandada brandal brandis branes branque branza branzas brasa brasas
+brasca brascas brasea brasead brasean brasear braseas brasee braseen brasees braseo brasero
+brasilada brasilado brasilera brasilero brasiles brasilete brasileña brasileño brava bravas bravata
+bravato bravea bravead bravean bravear braveas bravee braveen bravees braveo bravera braveza bravia
+bravias bravio bravios bravocea bravocee bravoceo bravonel bravos bravosa bravosas bravosia bravoso
+bravosos bravote bravura braza brazada brazado brazaje brazal brazas braznar brazola brazolas breeis
+breemos breen brees bren brenca brencas brenes bretador bretañas brete bretea bretead bretean
+bretear breteas bretee breteen bretees breteo bretes breton bretona breva breval brevas brevedad
+brevera breveras breves brevete brevetes briaga briagas briago briagos brial briales brida bridas
+bridecu bridon brigadas brigadero brigadier brigola brillaba brillaban brillabas brillad brillado
+brillador brillais brillamos brillan brillando brillanteces brillantez brillantina brillar brillara
+brillaran brillaras brillare brillaren brillares brillaria brillaron brillas brillase brillasen
+brillases brillaste brillazon brille brilleis brillen brilles brillos brillosa brillosas brilloso
+brillosos brin brinca brincad brincan brincar brincas brincho brincia brinco brincos brinda brindaba
+brindad brindada brindado brindais brindan brindar brindara brindare brindas brindase brinde
+brindeis brinden brindes brines brinque brinza brinzas bromaba bromaban bromabas bromad bromada
+bromadas bromado bromados bromais bromamos broman bromando bromar bromara bromaran bromaras bromare
+bromaren bromares bromaria bromaron bromase bromaseis bromasen bromases bromaste bromazo bromazos
+brome bromeabais bromeabamos bromeaban bromeabas bromead bromeado bromeais bromeamos bromean bromear
+bromeara bromearan bromearas bromeare bromearen bromeares bromearia bromearon bromease bromeaseis
+bromeasen bromeases bromeaste bromee bromeeis bromeen bromees bromeis bromemos bromen bromes bromo
+bromos bromosa bromoso bromuro bruceis brucemos brucen brucero bruceros bruces brucita brujais
+brujamos brujan bruje brujea brujead brujean brujear brujeas brujee brujeen brujees brujen brujeo
+brujera brujero brujes brujez bruji brujia brujian brujias brujid brujida brujido brujio brujir
+brujira brujire brujis brujo brujos brujul brujula bruna brunas brunca bruncas brunela bruneta
+brunete brunos brut bruta brutada brutadas brutales brutalice brutaliza brutalizo brutas brutez
+bruteza brutos bruts budare budares budas buenaza buenazas buenazo buenazos burgues burguesa
+burgueña burgueño burgundia burgundias burgundio burgundios burlaba burlaban burlabas burlad burlada
+burladas burlado burlador burlados burlais burlamos burlan burlando burlar burlara burlaran burlaras
+burlare burlaren burlares burlaria burlaron burlas burlase burlasen burlases burlaste burle burleis
+burlen burles burlete burlo burlon burlona burlote burra burrada burrajo burral burras burrera
+burrero burrez burreño burriel burril burrito burros buscabais buscabamos buscaban buscad buscada
+buscadas buscador buscadora buscadoras buscadores buscados buscais buscapie buscara buscarais
+buscaran buscaras buscare buscareis buscaren buscares buscaria buscarian buscarias buscarlas
+buscaron buscase buscaseis buscasen buscases buscaste buscon buscona busconas buscones buscos
+bushido busqueda busquedas busqueis cabal cabala cabalaba cabalad cabalada cabalado cabalais cabalan
+cabalar cabalara cabalare cabalas cabalase cabale cabaleis cabalen cabalero cabales cabalga cabalgad
+cabalgan cabalgar cabalgas cabalgo cabalgue cabalina cabalino caballa caballada caballaje caballar
+caballas caballazo caballea caballeaba caballead caballeado caballeais caballean caballear
+caballeara caballeare caballeas caballease caballee caballeeis caballeen caballees caballejo
+caballejos caballeo caballera caballeras caballerato caballerazo caballerea caballeread caballerean
+caballerear caballereas caballeree caballereen caballerees caballereo caballerete caballeria
+caballerias caballeril caballerito caballeriza caballerizo caballerosa caballerosas caballeroso
+caballerosos caballerote caballerotes caballeta caballetas caballete caballetes caballito caballon
+caballones caballuna caballuno cabalo cabanga cabare cabares cabarga cabarra cabas cabases cabaza
+cabazas cabañal cabañales cabañas cabañera cabañero cabañil cabear cabecar cabecea cabecee cabeceo
+cabed cabeis cabellada cabellado cabellar cabellera cabellos cabelluda cabelludo cabemos caben caber
+cabera caberas cabero caberos cabes cabete cabetes cabezada cabezadas cabezaje cabezal cabezales
+cabezazo cabezazos cabezo cabezon cabezona cabezos cabezota cabezote cabezuda cabezudo cabia cabiais
+cabian cabias cabida cabidas cabido cabidos cabila cabilas cabildo cabilla cabillo cabinas cabinera
+cabio cabios cablea cableaba cablead cableada cableado cableais cablean cablear cableara cableare
+cableas cablease cablee cableeis cableen cablees cableo cablera cableras cablero cableros cablote
+caboral cabos cabracho cabrada cabradas cabrales cabran cabre cabrea cabread cabrean cabrear cabreas
+cabree cabreen cabrees cabreis cabreo cabreos cabrera cabrero cabria cabrian cabrias cabrina cabrio
+cabrios cabrita cabrito cabro cabron cabrona cabronada cabronas cabronazo cabros cabruna cabruno
+cabruña cabruñe cabruño cacabo cacan cacana cacanas cacanes cacao cacaos cacarea cacaree cacareo
+cacaro cacaros cacarro cacas cacaste cacatua cace cacea caceaba cacead caceada caceado caceais
+cacean cacear caceara caceare caceas cacease cacee caceeis caceen cacees caceis cacemos cacen caceo
+caceos cacera caceras cacereña cacereño caceria cacerias cacerina cacerola caces caceta cacetas
+cacho cachola cacholas cachon cachonda cachondo cachones cachopin cachopo cachopos cachorra
+cachorras cachorros cachos cadalso cadarzo cadas cadava cadaval cadavas cadaver cadañal cadejo
+cadejos cadenado cadencia cadenera cadenero cadeneta cadente cadentes caderamen caderas cadete
+cadetes cadillar cadillares cadillo cadillos caena caenas caera caeran caeras caere caereis caeria
+caerian caerias cafeina cafes cafetal cafetea cafeteaba cafetead cafeteada cafeteado cafeteais
+cafetean cafetear cafeteara cafeteare cafeteas cafetease cafetee cafeteeis cafeteen cafetees cafeteo
+cafetera cafeteras cafeteria cafeterias cafetero cafeteros cafetin cafeto cafetos caga cagaba
+cagaban cagabas cagad cagada cagadal cagadas cagado cagados cagais cagajon cagalar cagamos cagan
+cagando cagara cagarais cagaran cagaras cagare cagareis cagaren cagares cagaria cagarian cagarias
+cagaron cagarria cagas cagase cagasen cagases cagaste cagon cagona cagonas cagones caigais caigamos
+caigan caigas caigua caiguas caite caitea caitead caitean caitear caiteas caitee caiteen caitees
+caiteo caites caituda caitudo calcetin cale caled calefon caleis calejo calejos calemos calen
+calenda calendaba calendaban calendabas calendad calendada calendadas calendado calendados calendais
+calendamos calendan calendando calendar calendara calendarais calendaran calendaras calendare
+calendareis calendaren calendares calendaria calendariais calendarian calendarias calendarice
+calendaricen calendarices calendarios calendarista calendariza calendarizad calendarizan
+calendarizar calendarizas calendarizo calendaron calendas calendase calendasen calendases calendaste
+calende calendo calenta calentamientos calente calento caler calera caleras caleria calero caleros
+cales calesa calesas caleses calesin caleta caletas caletea caletee caleteo caletre caleza caleña
+caleñas caleño caleños cali calia caliais calian calias calibe calibes calibo calibra calibraba
+calibrad calibrada calibrado calibrais calibran calibrar calibrara calibrare calibras calibrase
+calibreis calibremos calibren calibres calibro calice calices caliche calico calicos calicud calicut
+calida calidades calidas calidez calido calidos caliendo calienta calientan calientas calienten
+caliento caliera calieran calieras caliere calieren calieres calieron caliese caliesen calieses
+califa califal califas californiana californianas californiano californianos californias californica
+californicas californico californicos californio californios caliga caligas calilla calima calimas
+calimba calimbe calimbo calimos calina calinas calio calipso calis caliste calivo calivos caliz
+caliza calizas calizo calizos callaba callaban callabas callad callada calladas callador calladora
+callados callais callamos callampa callan callana callanas callando callanta callante callanto
+callao callaos callapo callapos callara callarais callaran callaras callare callareis callaren
+callares callaria callarian callarias callaron callase callaseis callasen callases callaste callea
+calleaba callead calleada calleado calleais callean callear calleara calleare calleas callease
+callee calleeis calleen callees calleis calleja callejas callejea callejead callejean callejear
+callejeas callejee callejeen callejees callejeo callejeos callejera callejero callejo callejon
+callejos callemos callen calleo callera calleras calletre callizo callo callon callos callosa
+calloso calmaba calmaban calmabas calmad calmada calmadas calmados calmais calmamos calman calmando
+calmante calmar calmara calmaran calmaras calmare calmaren calmares calmaria calmaron calmas calmase
+calmasen calmases calmaste calmatol calmazo calmazos calmeis calmemos calmen calmeria calmes calmo
+calmos calmosa calmoso calmuca calmuco calmuda calmudo calo caloma calomas calomel calon calones
+calonge calores caloria calorias calorico calorina caloron calorosa caloroso calos calosa calosas
+caloso calosos calote calotea calotee caloteo calotes caloyo caloyos caloña caloñar calva calvaba
+calvad calvada calvado calvais calvan calvar calvara calvare calvas calvase calve calveis calven
+calvero calves calvete calvez calvicie calvijar calvitar calvos calzo calzon calzona calzonas
+calzoncillo calzoneta calzonetas calzonudo calzos camada camadas camafeo camagon camagua camague
+camajan camal camales camama camamas camambu camao camaos camaraje camarajes camaras camareras
+camareria camarerias camareros camareta camaretas camarico camarin camarina camariña camaro camaron
+camarona camaros camarote camaru camarues camarus camastro camaton camaza camazas camba cambaba
+cambad cambada cambado cambais camban cambar cambara cambare cambaro cambas cambase cambe cambeis
+camben cambera cambero cambes cambeta cambeto cambiaba cambiaban cambiabas cambiable cambiad
+cambiada cambiadas cambiadiza cambiadizo cambiador cambiadora cambiadoras cambiadores cambiados
+cambiais cambiante cambiantes cambiara cambiarais cambiaran cambiaras cambiare cambiareis cambiaren
+cambiares cambiaria cambiarian cambiarias cambiario cambiarios cambiase cambiaseis cambiasen
+cambiases cambiasteis cambiavia cambiazo cambice cambicen cambices cambieis cambiemos cambien
+cambija cambijas cambin cambines cambista cambium cambiums cambiza cambizad cambizan cambizar
+cambizas cambizo cambizos cambo cambon cambos cambote cambra cambray cambron cambrun cambuj cambuja
+cambujo cambur cambute camiar camias camibar camillas camillero camilo camilos caminaba caminaban
+caminabas caminad caminada caminadas caminado caminador caminados caminais caminamos caminan
+caminante caminantes caminara caminarais caminaran caminaras caminare caminareis caminaren caminares
+caminaria caminarian caminarias caminaron caminase caminaseis caminasen caminases caminaste caminata
+caminatas camine camineis caminen caminera caminero camines camini caminies caminis camio camion
+camionada camionaje camionera camioneras camionero camioneros camionetas camiseada camiseado
+camisera camiseras camiseria camisero camiseros camisetas camisola camison camisote camita camitas
+campa campaba campaban campabas campad campado campago campagos campais campal campales campamentos
+campamos campan campanada campanadas campanario campanas campanazo campanazos campando campanea
+campanead campanean campanear campaneas campanee campaneen campanees campanela campaneo campaneos
+campanero campanil campano campanos campante campantes campanuda campanudo campanula campar campara
+camparan camparas campare camparen campares camparia camparin camparon campas campase campasen
+campases campaste campañas campañol campe campea campeaba campead campeada campeado campeais campean
+campear campeara campeare campeas campease campeche campee campeeis campeen campees campeis campemos
+campen campeo campeon campeona campeonaba campeonaban campeonabas campeonad campeonado campeonais
+campeonamos campeonan campeonando campeonar campeonara campeonaran campeonaras campeonare
+campeonaren campeonares campeonaria campeonaron campeonas campeonase campeonasen campeonases
+campeonaste campeonatos campeone campeoneis campeonemos campeonen campeono campeos campera camperas
+camperea camperee campereo camperia campero camperos campes campesa campesina campesinado campesinas
+campesino campeña campeñas campeño campeños camping campion campiña camposina camposino campus cana
+canaca canacas canacea canaceo canaco canacos canalada canalado canaleja canalejas canalera
+canaleras canalero canaleros canaleta canaletas canalete canaletes canaleto canaletos canalice
+canaliza canalizo canallada canalladas canallas canalon canana cananas cananea cananeo cananga
+canape canapes canaria canario canas canastada canastadas canastas canastera canastero canastita
+canasto canastos canastro canastros canaula cancamo cancan cancana cancano cancato cancel cancela
+cancelaba cancelaban cancelabas cancelad cancelada canceladas cancelado cancelados cancelais
+cancelamos cancelan cancelando cancelara cancelarais cancelaran cancelaras cancelare cancelareis
+cancelaren cancelares cancelaria cancelarian cancelarias cancelario cancelarios cancelaron cancelas
+cancelase cancelasen cancelases cancelaste cancele canceleis cancelen canceles canceller cancelo
+cancer cancera cancerad canceran cancerar canceras cancere canceren canceres cancero canchal
+canchales canchas canchea canchead canchean canchear cancheas canchee cancheen canchees cancheo
+cancheos canchera canchero cancho canchon canchos cancilla cancillas cancillera cancilleras
+cancilleres cancilleria cancillerias cancin cancina cancinas cancines cancion cancioneril cancionero
+cancioneros cancioneta cancionetas canclon cancon cancona cancos cancro cancros canda candaba candad
+candada candado candais candalo candamo candan candano candar candara candare candas candase cande
+candeal candeda candeis candela canden candes candi candial candida candidado candidas candidata
+candidatas candidatea candidatead candidatean candidatear candidateas candidatee candidateen
+candidatees candidateo candidatos candidatura candidez candido candidos candiel candil candis cando
+candor candray cangre cangreja cangrejal cangrejas cangrejera cangrejero cangrejos cangrena
+cangrenar cangres cangro cangros cangrosa cangroso cansa cansaba cansaban cansabas cansad cansadas
+cansadon cansadona cansadonas cansadones cansais cansamos cansan cansando cansar cansara cansaran
+cansaras cansare cansaren cansares cansaria cansaron cansas cansase cansasen cansases cansaste canse
+canseis cansen cansera canses cansia cansias cansina cansino cansio cansios canso canson cansona
+cansos cantaba cantaban cantabas cantable cantabra cantabro cantad cantada cantadas cantado cantador
+cantados cantais cantal cantalea cantalee cantaleo cantales cantamos cantan cantantes cantaor
+cantaora cantara cantarada cantarais cantaral cantaran cantarano cantaras cantare cantareis
+cantarela cantaren cantarera cantarero cantares cantaria cantarian cantarias cantarida cantarin
+cantarina cantaro cantaron cantaros cantas cantase cantasen cantases cantaste cantata cantatas
+cantazo cantazos cante cantea cantead cantean cantear canteas cantee canteen cantees canteis cantel
+canten canteo cantera cantero cantes cantesa canteña canteño cantia cantica canticio cantico
+canticos cantidades cantiga cantigas cantil cantiles cantillo cantina cantinas cantio cantista
+cantizal cantiña cantiñas canton cantona cantonad cantonal cantonan cantonar cantonas cantone
+cantonea cantonee cantonen cantoneo cantones cantono cantor cantora cantoral cantoras cantores
+cantoria cantos cantosa cantosas cantoso cantosos cantu cantues cantus cantusa cantuse cantuso
+cantuta capaba capaban capabas capacea capaceaba capacead capaceado capaceais capacean capacear
+capaceara capaceare capaceas capacease capacee capaceeis capaceen capacees capaceo capaceta
+capacetas capacete capacetes capacha capachas capacho capachos capacidades capacita capacitad
+capacitan capacitar capacitas capacite capaciten capacites capacito capad capada capadas capado
+capador capados capais capamos capan capando capanga capar capara caparan caparas capare caparen
+capares caparia caparon caparra caparro capas capase capasen capases capaste capataz capaza capazas
+capazo capazon capazos capi capia capias capicua capilar capillada capilladas capillas capilleja
+capillejo capiller capillero capilleta capillo capillos capilluda capilludo capin capines capingo
+capio capios capiron capis capista capita capitales capitaleña capitaleño capitalice capitalina
+capitalino capitaliza capitalizo capitana capitanas capitanea capitanead capitanean capitanear
+capitaneas capitanee capitaneen capitanees capitaneja capitanejo capitaneo capitanes capitania
+capitanias capitas capitel capitol capiton capitone capitosa capitoso capitula capitule capitulo
+capta captaba captad captada captado captais captan captar captara captare captas captase capte
+capteis capten captes captiva captivo capto captor captora capturaba capturaban capturabas capturad
+capturada capturadas capturados capturais capturamos capturan capturando capturara capturarais
+capturaran capturaras capturare capturareis capturaren capturares capturaria capturarian capturarias
+capturaron capturas capturase capturasen capturases capturaste capture captureis capturen captures
+capturo capuana capuano capuca capucas capuce capucen capuces capucha capucho capuera capuleto
+capuli capulido capulies capulin capulina capulis capullina capullos capulo capulos capuz capuza
+capuzad capuzan capuzar capuzas capuzo capuzon caraba carabao carabas carabe carabea carabee carabeo
+carabes carabo carabos caraca caracal caracas caracha carache caracho caracoa caracol caracu caracul
+caracus carada caradas carado carados carago caragos caraipo caraira caraita caraja carajada carajas
+carajazo carajea carajead carajean carajear carajeas carajee carajeen carajees carajeo carajete
+carajita carajito carajon carajones caralla carama caramas carambada carambadas carambano carambanos
+carambas carambola carambolo caramel caramelea caramelead caramelean caramelear carameleas caramelee
+carameleen caramelees carameleo carameleos carameles caramelice carameliza caramelizo caramente
+caramera carameras caramida caramo caramora caramos caramujo caranga carao caraos caraota carapa
+carapas carape carare carares carasol carate carates carato caratos carau caraues caraus carauz
+caravanas caravanero caravasar caraya carayas carayes caraña carañas carba carbali carbas carbaso
+carbizo carbon carbona carbone carbono carbura carbure carburo carca carcaj carcamo carcas carcasa
+carcava carcavo carcax carcaza carcaño carcelaje carcelazo carcelera carcelero carceles carcola
+carcoma carcome carcomi carcomo carcon carcosa carcoso cargaba cargaban cargabas cargad cargadal
+cargadales cargadas cargadera cargadero cargadora cargadoras cargadores cargados cargais cargamentos
+cargamos cargan cargancia cargante cargantes cargara cargarais cargaran cargaras cargare cargareis
+cargareme cargaren cargares cargaria cargarian cargarias cargaron cargase cargaseis cargasen
+cargases cargaste cargazon cargosa cargosas cargosea cargosead cargosean cargosear cargoseas
+cargosee cargoseen cargosees cargoseo cargoso cargosos cargue cargueis carguemos carguera cargueras
+carguerio carguero cargueros cargues carguio carguios cari caria cariaba cariaco cariad cariada
+cariado cariais carian cariar cariara cariare carias cariase caribal caribe caribea caribee caribeo
+caribes caribu caribus carices caricia caridades caridura cariduro carie carieis carien caries
+carilla carillo cario carioca carios cariosa carioso caris carisea carisma carite carites cariz
+cariña cariñaba cariñad cariñado cariñais cariñan cariñana cariñar cariñara cariñare cariñas
+cariñase cariñe cariñeis cariñen cariñena cariñes cariños cariñosa cariñosas cariñoso cariñosos
+carlanca carlanco carlas carlear carleta carlin carlina carlita carlon carlones carlota carlotas
+carme carmel carmeles carmena carmenaba carmenad carmenada carmenado carmenais carmenan carmenar
+carmenara carmenare carmenas carmenase carmene carmeneis carmenen carmenes carmeno carmes carmesi
+carmesis carmin carnadas carnadura carnaje carnajes carnal carnales carnauba carnaval carnaza
+carnazas carnazon carnea carneaba carnead carneada carneado carneais carnean carnear carneara
+carneare carneas carnease carnee carneeis carneen carnees carneo carnerea carneree carnereo carneril
+carnero carneros carnes carnica carnicas carnicera carniceras carniceria carnicerias carniceros
+carnico carnicol carnicos carnios carniza carnosa carnoso carnuda carnudo carnuz carnuza caroba
+carobas caroca carocas carocha caroche carocho carola carolas carolinas carolinensa carolinense
+carolingia carolingio carolino carolinos carolo carolos carolus caron carona caronas carones caronjo
+caros carosis carota carotas caroto carotos carozo carozos carra carraca carraco carrada carrafa
+carral carrao carraon carraos carras carraza carrazo carraña carrear carrejo carrejos carrerea
+carreread carrerean carrerear carrereas carreree carrereen carrerees carrereo carrero carreros
+carreta carretada carretaje carretal carretas carrete carretea carreteaba carretead carreteada
+carreteado carreteais carretean carretear carreteara carreteare carreteas carretease carretee
+carreteeis carreteen carretees carretel carretela carretelas carreteles carreteo carreteos
+carreteras carreteria carreterias carreteril carretero carreteros carretes carretil carreto carreton
+carretos carreña carreñas carric carricar carrics carriego carriegos carriel carrieles carril
+carrilea carrilee carrileo carriles carrillo carriola carriona carrique carriqui carriza carrizal
+carrizas carrizo carrizos carriño carriños carroce carrocen carroces carrocha carroche carrocho
+carrocin carron carrones carroza carrozad carrozan carrozar carrozas carrozo carroña carroñad
+carroñan carroñar carroñas carroñe carroñen carroñes carroño carroños carruca carruco carrujo
+carruna cartabon cartama cartamas cartamo cartamos cartapel cartazo cartazos cartea carteaba cartead
+carteado carteais cartean cartear carteara carteare carteas cartease cartee carteeis carteen cartees
+cartela cartelada cartelado cartelas cartelear cartelera carteleras cartelero carteleros carteo
+carteos carteras carterea carteread carterean carterear cartereas carteree cartereen carterees
+cartereo carteres carteria carterias carterita cartero carteros carteta cartetas carton cartone
+cartuchera cartucho cartuchon cartuchona cartuchonas cartuchones cartuja cartujo carvajo carvayo
+carvi carvis casaba casaban casabas casabe casabes casaca casacas casad casadas casadera casadero
+casais casal casales casamata casamientos casamuro casan casando casara casarais casaran casaras
+casare casareis casaren casares casaria casarian casarias casaron casase casaseis casasen casases
+casasteis casca cascaba cascad cascada cascado cascais cascajo cascan cascar cascara cascare cascas
+cascase cascol cascoles cascorva cascorvo cascos cascote cascotes cascuda cascudo cascue cascues
+casea caseas caseica caseico caseina caseis casemos casen caseo caseos caseosa caseoso casera
+caseras caseria caserio caserna casero caseron caseros cases caseta casetas casete casetes caseto
+caseton casetos casia casias casida casidas casilla casimba casimir casina casinas casineta casinete
+casinita casinos casis cason casona casonas casones casorio casta castas castaña castaño castel
+castidad castiga castigaba castigaban castigabas castigad castigada castigadas castigadera
+castigador castigadora castigadoras castigadores castigados castigais castigamos castigan castigando
+castigar castigara castigaran castigaras castigare castigaren castigares castigaria castigaron
+castigas castigase castigasen castigases castigaste castigos castigue castiguen castigues castilla
+castillada castillado castillaje castillas castillejo castillero castillete castillos castina
+castinas casting castiza castizas castizo castizos casto castor castora castos castra castrad
+castran castrar castras castre castren castres castro castron castros castua castuas castuga castula
+castuo castuos casualidades casualismo casualista categorema categoria categorias categorica
+categorice categorico categoriza categorizo cato catodo catodos caton catones catorceava catorceavo
+catorcena catorcenas catorceno catorcenos catorces catorzal catos causaba causaban causabas causad
+causada causadas causador causadora causadoras causadores causados causais causal causales causamos
+causan causante causantes causara causarais causaran causaras causare causareis causaren causares
+causaria causarian causarias causaron causase causaseis causasen causases causaste cause causea
+causead causean causear causeas causee causeen causees causeis causen causeo causes causeta causo
+causon cava cavaba cavaban cavabas cavad cavada cavadas cavado cavador cavados cavais cavamos cavan
+cavando cavanes cavara cavarais cavaran cavaras cavare cavareis cavaren cavares cavaria cavarian
+cavarias cavaril cavaron cavaros cavas cavase cavasen cavases cavaste cavazon cavi cavia cavial
+caviares cavias cavidad cavies cavila cavilad cavilan cavilar cavilas cavile cavilen caviles cavilo
+cavio cavios cavis cayena cayenas cayente cayentes cayera cayerais cayeran cayeras cayere cayereis
+cayeren cayeres cayeria cayerias cayese cayesen cayeses cayetes cayos cayota cayotas cayote cayotes
+cazaba cazaban cazabas cazabe cazabes cazad cazada cazadas cazadera cazadero cazado cazadora
+cazadoras cazados cazadotes cazais cazalla cazamos cazan cazara cazarais cazaran cazaras cazare
+cazareis cazaren cazares cazarete cazaria cazarian cazarias cazaron cazarra cazarras cazarro
+cazarros cazase cazaseis cazasen cazases cazaste cazata cazatas caño cañocal cañon cañona cañonas
+cañonazo cañonea cañoneaba cañonead cañoneada cañoneado cañoneais cañonean cañonear cañoneara
+cañoneare cañoneas cañonease cañonee cañoneeis cañoneen cañonees cañoneo cañoneos cañonera cañoneras
+cañoneria cañonero cañoneros caños cañota cañotas celebra celebraba celebraban celebrabas
+celebracion celebrad celebrada celebradas celebrado celebrador celebrados celebrais celebramos
+celebran celebrante celebrantes celebrara celebrarais celebraran celebraras celebrare celebrareis
+celebraren celebrares celebraria celebrarian celebrarias celebraron celebras celebrase celebrasen
+celebrases celebraste celebre celebreis celebren celebrero celebres celebro celo celofan celoma
+celomas celosas celosia celosias celosos celula celulada celuladas celulado celulados celulares
+celularia celularias celulario celularios celulas celulita celulosa cemente cementeis cementemos
+cementen cementera cementeras cementerial cementerios cementero cementeros cementes cenaba cenaban
+cenabas cenacho cenad cenada cenadas cenado cenador cenados cenaga cenagal cenagar cenagas cenais
+cenal cenales cenamos cenan cenando cenara cenarais cenaran cenaras cenare cenareis cenaren cenares
+cenaria cenarian cenarias cenaron cenas cenase cenasen cenases cenaste cenata cenatas ceni cenia
+cenias cenicientas ceniciento cenicientos cenies cenis cenit cenital cenits ceniza cenizal cenizales
+cenizaro cenizaros cenizo cenizos cenizosa cenizoso cent centalla centaura centauro centava centavas
+centella centelle centello centen centena centenal centenar centenas centenes centeno centenos
+centima centimo centola centon centona centone centono centra centraba centraban centrabas centrad
+centrada centradas centrado centrados centrais centrales centralice centralita centraliza centralizo
+centramos centran centrando centrar centrara centraran centraras centrarco centrare centraren
+centrares centraria centraron centras centrase centrasen centrases centraste centre centreis centren
+centres centrica centrico centrina centris cents cepilla cepillaba cepillad cepillada cepillado
+cepillais cepillan cepillar cepillara cepillare cepillas cepillase cepille cepilleis cepillen
+cepilles cepillos cepita cepitas cercaba cercaban cercabas cercad cercada cercadas cercado cercador
+cercados cercais cercamos cercan cercanas cercando cercania cercanias cercanos cercar cercara
+cercaran cercaras cercare cercaren cercares cercaria cercaron cercas cercase cercasen cercases
+cercaste cercea cercean cercear cercee cerceen cercen cercena cercene cerceno cerceo cercera cerceta
+cercha cerchad cerchan cerchar cerchas cerche cerchea cerchee cerchen cercheo cerches cercho cerchon
+cerco cercopo cercos cercote cerda cerdada cerdas cerdea cerdead cerdean cerdear cerdeas cerdee
+cerdeen cerdees cerdeo cerdon cerdona cerdonas cerdones cerdosa cerdosas cerdoso cerdosos cerduda
+cerdudo cerea cereal cereas cerebelo cerebrina ceremonial ceremoniales ceremonias ceremoniera
+ceremoniero ceremoniosa ceremonioso cereo cereos cerera cereras cereria cerero cereros cerete
+ceretes cereza cerezal cerezas cerezo cerezos cereña cereñas cereño cereños cerolla cerollo ceroma
+ceromas ceron cerones ceros cerosa cerosas ceroso cerosos cerote cerotea cerotee ceroteo cerotes
+ceroto cerotos cerra cerraba cerraban cerrabas cerrad cerradera cerradero cerradiza cerradizo
+cerrador cerradora cerradoras cerradores cerraduras cerrais cerraja cerrajas cerrajea cerrajee
+cerrajeo cerrajon cerralle cerrara cerrarais cerraran cerraras cerrare cerrareis cerraren cerrares
+cerraria cerrarian cerrarias cerraron cerras cerrase cerrasen cerrases cerraste cerrazon cerre
+cerreis cerrera cerrero cerreta cerreña cerreño cerrica cerril cerrion cerro cerrojo cerron cerros
+cerruma certera certeras certeria certero certeros certezas certifica certificaba certificaban
+certificabas certificable certificad certificada certificadas certificador certificadora
+certificadoras certificadores certificados certificais certificamos certifican certificando
+certificar certificara certificaran certificaras certificare certificaren certificares certificaria
+certificaron certificas certificase certificasen certificases certificaste certifico cerval cervato
+cervecea cervecee cerveceo cervido cervina cervino cerviz cervuna cervuno cesa cesaba cesaban
+cesabas cesad cesado cesais cesamos cesan cesando cesante cesara cesarais cesaran cesaras cesare
+cesarea cesareas cesareis cesaren cesareo cesareos cesares cesaria cesarian cesarias cesarina
+cesarino cesaron cesas cesase cesasen cesases cesaste chal chala chalaba chalaca chalaco chalad
+chalada chalado chalais chalala chalan chalana chalar chalara chalare chalas chalase chalaza chalcha
+chale chalecos chaleis chalemos chalen chales chalet chalets chalina challa challad challan challar
+challas challe challen challes challo chalo chalon chalona chalota chalote chalupa chama chamaba
+chamaca chamaco chamad chamada chamado chamais chamal chaman chamar chamara chamare chamas chamase
+chamba chambas chambea chambee chambel chambeo chambon chambra chambre chame chameis chamela chamele
+chamelo chamen chames chamico chamiza chamizo chamo chamos champa champaba champaban champabas
+champad champada champadas champado champados champais champamos champan champando champanes champar
+champara champaran champaras champare champaren champares champaria champaron champas champase
+champasen champases champaste champañas champañazo champañazos champe champea champead champean
+champear champeas champee champeen champees champeis champen champeo champes champo champola champu
+champuda champudo champus champuz chamuya chamuye chamuyo chan chana chanada chanas chanca chancaba
+chancaca chancad chancada chancado chancais chancan chancar chancara chancare chancas chancase
+chancay chancea chanceaba chancead chanceado chanceais chancean chancear chanceara chanceare
+chanceas chancease chancee chanceeis chanceen chancees chanceo chancera chanceras chancero chanceros
+chances chancha chanchas chanchi chanchis chancho chanchos chancla chanclas chanclo chanclos chanco
+chancoma chancome chancomi chancomo chancon chancona chancro chancros chancuco chanda chandal
+chandas chandosa chandoso chane chanela chanele chanelo chanes chanfa chanfas chanfla chanfle changa
+changad changan changar changas changle chango changos changua changue changui chano chanque chanta
+chantad chantan chantar chantas chante chanten chantes chanto chantos chantre chanza chanzas chaola
+chaolas chapa chapaba chapaca chapaco chapad chapada chapado chapais chapan chapar chapara chapare
+chapas chapase chapata chape chapea chapead chapean chapear chapeas chapeca chapeco chapee chapeen
+chapees chapeis chapel chapela chapelo chapen chapeo chapeos chapera chapero chapes chapeta chapia
+chapias chapico chapin chapina chapiro chaple chaples chapo chapoda chapode chapodo chapola chapon
+chapona chapos chapuce chapul chapupa chapuz chapuza chapuzo chaque chaques chaquetas chaquete
+chaquetea chaquetead chaquetean chaquetear chaqueteas chaquetee chaqueteen chaquetees chaqueteo
+chaqueteos chaquetera chaquetero chaquetes chaqueton chaqueña chaqueñas chaqueño chaqueños chaqui
+chaquira chaquis charada charal charapa charape charata charca charcal charcas charcha charco
+charcon charcos charlaba charlaban charlabas charlad charlada charladas charlado charlador charlados
+charlais charlamos charlan charlando charlara charlarais charlaran charlaras charlare charlareis
+charlaren charlares charlaria charlarian charlarias charlaron charlas charlase charlasen charlases
+charlaste charlatan charle charlea charleaba charlead charleado charleais charlean charlear
+charleara charleare charleas charlease charlee charleeis charleen charlees charleis charlemos
+charlen charleo charleston charleta charletas charlista charlo charlon charlona charlonas charlones
+charlos charlotada charlotea charlotead charlotean charlotear charloteas charlotee charloteen
+charlotees charloteo charloteos charol charola charole charolo charpa charpas charque charqui charra
+charrad charral charran charrar charras charre charren charres charro charros charrua charter chas
+chasca chascad chascan chascar chascas chasco chascon chascos chasis chaspa chaspad chaspan chaspar
+chaspas chaspe chaspea chaspee chaspen chaspeo chaspes chaspo chasque chasqui chata chatarras
+chatarrea chatarread chatarrean chatarrear chatarreas chatarree chatarreen chatarrees chatarreo
+chatarrera chatarrero chatas chauces chaucha chauche chaul chaules chauz chava chavaba chavaban
+chavabas chavad chavada chavadas chavado chavados chavais chavala chavalas chavales chavamos chavan
+chavando chavar chavara chavaran chavaras chavare chavaren chavares chavari chavaria chavaron chavas
+chavasca chavase chavasen chavases chavaste chave chavea chaveas chaveis chaven chaves chaveta
+chaviza chavo chavola chavon chavona chavos chefs chenca chencas chequea chequeaba chequead
+chequeada chequeado chequeais chequean chequear chequeara chequeare chequeas chequease chequee
+chequeeis chequeen chequees chequeis chequemos chequen chequenes chequeo chequeos chequera chequeras
+cheta chetas cheto chetos chic chicada chicadas chicale chicales chicana chicanas chicanea chicanee
+chicaneo chicano chicanos chicarro chicha chichas chiche chichea chichee chicheo chiches chichi
+chichis chicho chichon chichos chiclan chiclano chiclazo chiclea chicleaba chiclead chicleada
+chicleado chicleais chiclean chiclear chicleara chicleare chicleas chiclease chiclee chicleeis
+chicleen chiclees chicleo chiclera chicleras chiclero chicleros chicles chiclosa chicloso chicoca
+chicocas chicoco chicocos chicolea chicolee chicoleo chicora chicoras chicoria chicorro chicota
+chicotas chicote chicotea chicotee chicoteo chicotes chics chicura chifla chiflaba chiflaban
+chiflabas chiflad chiflada chifladas chifladera chiflados chifladura chiflais chiflamos chiflan
+chiflando chiflar chiflara chiflaran chiflaras chiflare chiflaren chiflares chiflaria chiflaron
+chiflas chiflase chiflasen chiflases chiflaste chiflato chiflatos chifle chifleis chiflen chifles
+chifleta chiflete chiflido chiflo chiflon chiflos chime chimeis chimemos chimen chimeneas chimes
+chin chinaba chinaban chinabas chinaca chinacas chinaco chinacos chinad chinada chinadas chinado
+chinados chinais chinama chinamas chinamo chinamos chinampa chinan chinando chinapo chinapos chinar
+chinara chinaran chinaras chinare chinaren chinares chinaria chinaron chinarro chinas chinase
+chinasen chinases chinaste chinata chinatas chinazo chinazos chinazte chincha chinche chincho
+chincol chinda chindas chine chinea chinead chinean chinear chineas chinee chineen chinees chineis
+chinela chinen chineo chineos chinero chines chinga chingad chingan chingar chingas chingla chingle
+chinglo chingo chingon chingos chingua chingue chinin chinita chinito chinola chinolas chinto
+chintos chipa chipas chipe chipea chipead chipean chipear chipeas chipee chipeen chipees chipen
+chipeo chipes chipia chipiad chipian chipiar chipias chipie chipien chipies chipile chipilo chipio
+chipojo chipolo chipote chips chis chisa chisas chisca chiscad chiscan chiscar chiscas chisco
+chiscon chises chisgua chisma chismad chisman chismar chismas chisme chismea chismee chismen chismeo
+chismes chismo chispa chispaba chispaban chispabas chispado chispais chispamos chispan chispando
+chispar chispara chisparan chisparas chispare chisparen chispares chisparia chisparon chisparse
+chispase chispaseis chispasen chispases chispaste chispazo chispazos chispe chispea chispead
+chispean chispear chispeas chispee chispeen chispees chispeis chispen chispeo chispero chispes
+chispo chispos chisposa chisposo chisque chist chista chistaba chistad chistado chistais chistan
+chistar chistara chistare chistas chistase chistata chisteis chistemos chisten chistera chisteras
+chisto chistorra chistosa chistosas chistosos chistu chistus chocaba chocaban chocabas chocad
+chocada chocadas chocado chocador chocados chocais chocallo chocamos chocan chocando chocante chocar
+chocara chocaran chocaras chocare chocaren chocares chocaria chocaron chocas chocase chocasen
+chocases chocaste choces chocha chochad chochan chochar chochas choche chochea chochee chochen
+chocheo choches chochez chochin chocho chochos chocla choclad choclan choclar choclas chocle choclen
+chocles choclo choclon choclos choco chocoe chocoes chocolatada chocolateada chocolateado
+chocolatera chocolateras chocolateria chocolatero chocolateros chocolates chocolatin chocolatina
+chocolia chocolias chocolo chocolos chocon chocona chocos chocoso chocoya chocoyo chofe choferea
+choferead choferean choferear chofereas choferee chofereen choferees chofereo choferes choferesa
+chofes chofeta chofetas chofiro choqueis choquemos choquen choques christmas chuca chucana chucano
+chucao chucaos chucara chucaro chucas chuce chuceis chucen chucero chuces chucha chuchad chuchan
+chuchar chuchas chuche chuchea chuchee chuchen chucheo chuches chucho chuchos chuchuy chuco chucos
+chucua chucuas chucuri chucuta chucuto chupaba chupaban chupabas chupad chupada chupadas chupado
+chupador chupados chupais chupalla chupamos chupan chupando chupar chupara chuparan chuparas chupare
+chuparen chupares chuparia chuparon chupas chupase chupasen chupases chupaste chupe chupeis chupen
+chupes chupeta chupete chupin chupito chuplus chupo chupon chupona chupos churcha churchas ciar
+ciara ciarais ciaran ciaras ciare ciareis ciaren ciares ciaria ciarian ciarias ciaron cicatea
+cicatead cicatean cicatear cicateas cicatee cicateen cicatees cicateo cicatera cicatero cicatrice
+cicatriceis cicatricemos cicatricen cicatricial cicatriza cicatrizaba cicatrizad cicatrizada
+cicatrizado cicatrizais cicatrizal cicatrizan cicatrizar cicatrizara cicatrizare cicatrizas
+cicatrizase cicatrizo cicla ciclaba ciclad ciclada ciclado ciclais ciclan ciclar ciclara ciclare
+ciclas ciclase cicle cicleis ciclen cicles ciclica ciclico cicloide ciclon ciclonal ciclones ciclope
+ciclopea ciclopeo ciclopes ciclos ciegan ciegas ciegue cieguen ciegues cielito cienaga cienago
+cienega cienego cieno cienos cienosa cienoso ciente cierna ciernan ciernas cierne ciernen ciernes
+cierno cierran cierras cierres cierro cierros cierva ciervas ciervo ciervos cierzas cierzo cierzos
+cifra cifraba cifraban cifrabas cifrad cifrada cifradas cifrado cifrados cifrais ciframos cifran
+cifrando cifrar cifrara cifraran cifraras cifrare cifraren cifrares cifraria cifraron cifrase
+cifraseis cifrasen cifrases cifraste cifre cifreis cifren cifres cifro cigala cigalas cigallo
+cigarra cigarral cigarras cigarrera cigarrero cigarron cigarrones cimacio cimar cimarra cimas cimate
+cimates cinc cinca cincada cincado cincas cincel cincela cincele cincelo cincha cinchad cinchan
+cinchar cinchas cinche cinchen cinches cincho cinchon cinchos cincos cincs cincuentaina cincuentas
+cincuentava cincuentavas cincuentavo cincuentavos cincuentañal cincuenten cincuentena cincuenteno
+cincuentin cincuenton cincuentona cincuesma cinema cinemas cinerea cinereo cines cintaba cintaban
+cintabas cintad cintada cintadas cintado cintados cintais cintajo cintajos cintamos cintan cintando
+cintar cintara cintaran cintaras cintare cintarea cintaree cintaren cintareo cintares cintaria
+cintaron cintase cintaseis cintasen cintases cintaste cinte cinteis cinten cintera cintero cintes
+cinteta cintila cintile cintilo cinto cintos cintra cintras cintrel cintura cinturas cinturica
+cinturita cinturon circa circe circes circon circona circonas circones circonio circos circui
+circuia circuiais circuian circuias circuid circuida circuidas circuido circuidos circuimos circuir
+circuira circuiran circuiras circuire circuiria circuis circuiste circuitos circula circulad
+circulan circular circulas circule circulen circules circulo circulos circunda circunde circundo
+circunstancia circunstanciaba circunstanciad circunstanciada circunstanciado circunstanciais
+circunstancial circunstancian circunstanciar circunstanciara circunstanciare circunstanciase
+circunstancie circunstancieis circunstancien circunstancies circunstancio circuya circuyan circuyas
+circuye circuyen circuyes circuyo ciruela ciruelo cirugia cirugias cirujana cirujanas cirujanos
+citaba citaban citabas citad citada citadas citado citador citados citais citamos citan citana
+citanas citando citania citano citanos citar citara citaran citaras citare citaren citares citaria
+citaron citase citaseis citasen citases citaste ciudadana ciudadanas ciudadania ciudadanias
+ciudadela ciudadelas civica civicas civico civicos civilice civiliza civilizacion civilizo civismo
+clanes clanga clangas clangor clarar clarea clareaba claread clareada clareado clareais clarean
+clarear clareara clareare clareas clarease clarece clarecen clarecer clarecia clarecio claree
+clareeis clareen clarees clarens clareo clareos clarete claretes clareza clarezas clarezca
+claridades claridosa claridoso clarilla clarin clarines clarion clariosa clarisa clarisas claror
+clarores clasema clasemas clasica clasico claudias claudica claudicad claudican claudicar claudicas
+claudico claudique claustra claustro clausula clausule clausulo clausura clausure clausuro clava
+clavaba clavad clavada clavado clavais claval clavan clavar clavara clavare clavas clavase clavea
+claveaba clavead claveada claveado claveais clavean clavear claveara claveare claveas clavease
+clavecin clavee claveeis claveen clavees claveis clavel claveles clavelon clavemos claven claveo
+claveque clavera claveras claveria clavero claveros claves claveta clavetas clavete clavetea
+clavetee claveteo clavetes clavija clavito clavos clema clemas clemencias clemente clementes
+clementinas clienta clientas clientela clientelas climas climax clin clineja clinera clinero clines
+clinica clinico clube clubes clubs coalicion coarta coartaba coartaban coartabas coartad coartadas
+coartado coartador coartadora coartados coartais coartamos coartan coartando coartar coartara
+coartaran coartaras coartare coartaren coartares coartaria coartaron coartas coartase coartasen
+coartases coartaste coarte coarteis coarten coartes coarto coba cobalto cobarcho cobardea cobardeaba
+cobardead cobardeado cobardeais cobardean cobardear cobardeara cobardeare cobardeas cobardease
+cobardee cobardeeis cobardeen cobardees cobardeo cobardia cobardias cobardon cobardona cobas cobaya
+cobayas cobayo cobayos cobertera cobertero cobertizo cobertor coberturas cobraba cobraban cobrabas
+cobrable cobrad cobrada cobradas cobrado cobrador cobrados cobrais cobramos cobran cobrando cobranza
+cobrara cobrarais cobraran cobraras cobrare cobrareis cobraren cobrares cobraria cobrarian cobrarias
+cobraron cobras cobrase cobrasen cobrases cobraste cobre cobrea cobread cobrean cobrear cobreas
+cobree cobreen cobrees cobreis cobren cobreo cobres cobreña cobreño cobriza cobrizo cobro cobros
+cocaba cocaban cocabas cocacho cocad cocada cocadas cocado cocador cocados cocaina cocais cocal
+cocales cocama cocamas cocamos cocan cocando cocar cocara cocaran cocarar cocaras cocare cocaren
+cocares cocaria cocaron cocas cocase cocasen cocases cocaste cocavi cocavis cocha cochama cochano
+cochas cochea cocheaba cochead cocheado cocheais cochean cochear cocheara cocheare cocheas cochease
+cochee cocheeis cocheen cochees cocheo cochera cocheras cocheril cochero cocheron cocheros cochevis
+cochi cochia cochias cochina cochino cochio cochios cochite cochizo cocho cochos cochura coci cocia
+cociais cocian cocias cocida cocidas cocido cocidos cociera cociere cociese cocimos cocinaba
+cocinaban cocinabas cocinad cocinada cocinadas cocinado cocinados cocinais cocinamos cocinan
+cocinando cocinara cocinarais cocinaran cocinaras cocinare cocinareis cocinaren cocinares cocinaria
+cocinarian cocinarias cocinaron cocinas cocinase cocinasen cocinases cocinaste cocine cocineis
+cocinemos cocinen cocineras cocineria cocinerias cocineros cocines cocinita cocino cocio cociste
+cococha cocol cocolea cocoles cocolia cocolon cocono coconos cocora cocoras cocos cocosa cocosas
+cocoso cocosos cocota cocotal cocotas cocote cocotes codon codones codorno codorra codorro codos
+cofrada cofrade cofrear cofrera cofreras cofrero cofreros cofres cogecha cogeche cogecho coged
+cogedor cogeis cogemos cogen cogera cogeran cogeras cogere cogereis cogeria cogerian cogerias coges
+cogi cogia cogiais cogian cogias cogida cogidas cogidos cogiera cogiere cogiese cogimos cogio
+cogioca cogiste cogitar cohecha coheche cohecho cohesor cohetazo cohetera coheteras coheteria
+cohetero coheteros coinciden coincidencias coincidente coincidentes cojais cojal cojales cojamos
+cojan cojas cojobo cojobos cojon cojonuda cojonudo cojos colaba colaban colabas colad colada coladas
+colado colador colados colaina colaire colais colamos colan colana colanas colando colapez colapsa
+colapsaba colapsad colapsada colapsado colapsais colapsan colapsar colapsara colapsare colapsas
+colapsase colapse colapseis colapsen colapses colapsos colar colara colaran colaras colare colaren
+colares colaria colaron colas colase colasen colases colaste colayo colayos colaña colañas colcha
+colchaba colchad colchada colchado colchais colchan colchar colchara colchare colchas colchase
+colche colcheis colchen colchera colchero colches colcho colchon colea coleaba colead coleada
+coleado coleais colean colear coleara coleare coleas colease coleccion colecciona coleccione
+colecciono colecta colecte colecto colee coleeis coleen colees colegi colegia colegiaba colegiad
+colegiada colegiado colegiais colegial colegiala colegian colegiar colegiara colegiare colegias
+colegiase colegiata colegid colegida colegidas colegido colegidos colegie colegieis colegien
+colegies colegimos colegios colegir colegira colegiran colegiras colegire colegiria colegis
+colegiste coleis colemia colemos colen colendo coleo coleos colera coleras colero coleros coles
+coleta coletas coleto coleton coletos coletuy colga colgaba colgaban colgabas colgad colgada
+colgadas colgadera colgadero colgadiza colgadizo colgador colgadores colgados colgadura colgais
+colgajo colgajos colgamos colgandera colgandero colgante colgantes colgara colgarais colgaran
+colgaras colgare colgareis colgaren colgares colgaria colgarian colgarias colgaron colgas colgase
+colgasen colgases colgaste colgo colgue colibri colica colicas coliche colico colicos colicua
+colicue colicuo colidir coliga coligan coligar coligas colige coligen coliges coligio coligo coligue
+colihue colija colijan colijas colijo colilla colima colimad coliman colimar colimas colimba colimbo
+colime colimen colimes colimo colinabo colinabos colinda colindad colindan colindar colindas colinde
+colinden colindes colindo colineal colines colineta colino colinos colirio colisa colisas coliseo
+colista colita colitas colitis coliza colizas colla collada colladas colladia collado collados
+collage collalba collareja collares collarin collarino collas collaza collazas collazo collazos
+colleja collera colleta collon collona colo colobo colobos colocaba colocaban colocabas colocad
+colocada colocadas colocado colocados colocais colocamos colocan colocando colocara colocarais
+colocaran colocaras colocare colocareis colocaren colocares colocaria colocarian colocarias
+colocaron colocas colocase colocasen colocases colocasia colocaste colocha colochas colocho colochon
+colochos coloco colocolo colodra colodro colofon coloide colombo colomin colon colona colonas
+colonato colonche colonda colondas colones coloneña coloneño coloniaje coloniajes colonial
+coloniales colonice colonicen colonices coloniza colonizad colonizan colonizar colonizas colonizo
+colono colonos coloque colora coloraba coloraban colorabas colorad colorada coloradas colorados
+colorais coloramos coloran colorando colorante colorar colorara coloraran coloraras colorare
+coloraren colorares coloraria coloraron coloras colorase colorasen colorases coloraste colore
+colorea coloreaba coloread coloreada coloreado coloreais colorean colorear coloreara coloreare
+coloreas colorease coloree coloreeis coloreen colorees coloreis coloremos coloren coloreo colorete
+coloretes colori coloria colorian colorias colorid colorida colorido colorin colorina colorio
+colorir colorira colorire coloris coloro colos colosal coloso colosos colote colotes coloño coloños
+coluda coludan coludas colude coluden coludes coludi coludia coludid coludio coludir coludis coludo
+coludos columbio columbra columbre columbro columnaria columnario columnas columnata columnatas
+columpia columpie columpio coluna colunas coluro coluros colusor coluvie comadre comais comal
+comales comalia comamos comanche comanda comandaba comandaban comandabas comandad comandada
+comandadas comandado comandados comandais comandamos comandan comandancia comandando comandanta
+comandantas comandantes comandar comandara comandaran comandaras comandare comandaren comandares
+comandaria comandaron comandas comandase comandasen comandases comandaste comande comandeis comanden
+comandes comandita comandite comandito comandos comarcaba comarcaban comarcabas comarcad comarcada
+comarcadas comarcado comarcados comarcais comarcal comarcales comarcamos comarcan comarcana
+comarcanas comarcando comarcano comarcanos comarcar comarcara comarcaran comarcaras comarcare
+comarcaren comarcares comarcaria comarcaron comarcas comarcase comarcasen comarcases comarcaste
+comarco comarque comba combaba combaban combabas combad combada combadas combado combados combais
+combamos comban combando combar combara combaran combaras combare combaren combares combaria
+combaron combas combase combasen combases combaste combata combatais combatan combatas combaten
+combates combati combatia combatiais combatian combatias combatible combatid combatida combatidas
+combatido combatidor combatidos combatiera combatiere combatiese combatimos combatio combatira
+combatiran combatiras combatire combatireis combatiria combatirian combatirias combatis combatiste
+combativa combativas combativo combativos combato combazo combazos combe combeis comben combes
+combina combinacion combine combino combo combos combosa comboso combustibles combustion comed
+comedera comedero comedi comediais comediamos comedian comedianta comediante comediar comedias
+comedida comedidas comedido comedidos comedimos comedio comedios comedir comedira comediran
+comediras comedire comediria comedis comediste comedon comedones comedora comedoras comedores comeis
+comejen comelon comence comenceis comensal comenta comentaba comentaban comentabas comentad
+comentada comentadas comentado comentador comentados comentais comentamos comentan comentando
+comentar comentara comentarais comentaran comentaras comentare comentareis comentaren comentares
+comentaria comentariais comentarian comentarias comentarista comentaron comentas comentase
+comentasen comentases comentaste comente comenten comentes comento comentos comenza comenzaba
+comenzaban comenzabas comenzad comenzada comenzadas comenzadera comenzadero comenzador comenzados
+comenzais comenzante comenzantes comenzara comenzarais comenzaran comenzaras comenzare comenzareis
+comenzaren comenzares comenzaria comenzarian comenzarias comenzas comenzase comenzasen comenzases
+comenzaste comenzo comera comeran comeras comercia comerciaba comerciaban comerciabas comerciable
+comerciad comerciado comerciais comercialice comercializa comercializo comerciamos comercian
+comerciando comerciante comerciar comerciara comerciaran comerciaras comerciare comerciaren
+comerciares comerciaria comerciaron comercias comerciase comerciasen comerciases comerciaste
+comercie comercieis comercien comercies comercios comere comereis comeria comerian comerias cometais
+cometamos cometan cometaria cometario cometas cometed cometedor cometeis cometemos cometen cometera
+cometeran cometeras cometere cometereis cometeria cometerian cometerias cometes cometi cometia
+cometiais cometian cometias cometida cometidas cometidos cometiera cometieran cometieras cometiere
+cometieren cometieres cometieron cometiese cometiesen cometieses cometimos cometio cometiste cometo
+comezon comi comia comiais comian comias comible comic comica comicas comichea comichee comicheo
+comicial comicios comico comicos comidais comidamos comidan comide comiden comidera comidero comides
+comidio comidos comiences comienda comiendas comienzas comienzos comiera comieran comieras comiere
+comieren comieres comieron comiese comiesen comieses comigo comilon comimos cominea cominee comineo
+comino cominos comio comis comisa comisaba comisaban comisabas comisad comisada comisadas comisado
+comisados comisais comisamos comisan comisando comisar comisara comisarais comisaran comisaras
+comisare comisareis comisaren comisares comisaria comisariais comisarian comisarias comisariato
+comisarios comisaron comisas comisase comisasen comisases comisaste comisca comiscad comiscan
+comiscar comiscas comisco comise comiseis comisen comises comision comisiona comisionaba
+comisionaban comisionabas comisionad comisionada comisionadas comisionados comisionais comisionamos
+comisionan comisionando comisionar comisionara comisionaran comisionaras comisionare comisionaren
+comisionares comisionaria comisionaron comisionas comisionase comisionasen comisionases comisionaste
+comisione comisioneis comisionen comisiones comisiono comiso comisos comisque comisteis comistion
+comisura comital comite comites comitiva comitre comitres comiza comizas comoda comodas comodin
+comodo comodon comodos compacta compacte compacto compadra compadre compadro compango compara
+comparaba comparaban comparabas comparable comparad comparada comparadas comparador comparadores
+comparados comparais comparamos comparan comparando comparanza comparara compararais compararan
+compararas comparare comparareis compararen comparares compararia compararian compararias compararon
+comparas comparase comparasen comparases comparaste compare comparece compareci compareis comparen
+compares comparo comparsa comparsas comparta compartais compartan compartas comparte comparten
+compartes comparti compartia compartiais compartian compartias compartid compartida compartidas
+compartido compartidor compartidos compartiera compartiere compartiese compartio compartira
+compartiran compartiras compartire compartireis compartiria compartirian compartirias compartis
+compartiste comparto compas compasa compasaba compasad compasada compasado compasais compasan
+compasar compasara compasare compasas compasase compase compasea compasead compasean compasear
+compaseas compasee compaseen compasees compaseis compasen compaseo compaseos compases compasible
+compasillo compasion compasiva compasivas compasivo compasivos compaso compaña compañas compañeras
+compañeria compañias compaño compañon compela compelan compelas compele compeled compelen compeler
+compeles compeli compelia compelid compelio compelir compelis compelo compensa compense compenso
+competa competais competan competas compete competed competeis competen competencial competenciales
+competencias competente competentes competer competera competere competes competi competia
+competiais competian competias competid competido competidor competiera competiere competiese
+competimos competio competira competiran competiras competire competireis competiria competirian
+competirias competis competiste competo compila compile compilo compita compite compito complaced
+complacedor complaceis complacemos complacen complacer complacera complaceran complaceras complacere
+complaceria complaces complaci complacia complacian complacias complacida complacido complacio
+complanar complazca complazco complañir compleja complejas complejos completaba completaban
+completabas completad completada completadas completado completados completais completamos completan
+completando completara completarais completaran completaras completare completareis completaren
+completares completaria completarian completarias completaron completas completase completasen
+completases completaste complete completeis completen completes completez completiva completivo
+completoria completorio completos completud complexa complexas complexo complexos complica
+complicaba complicaban complicabas complicad complicadas complicados complicais complicamos
+complican complicando complicar complicara complicaran complicaras complicare complicaren
+complicares complicaria complicaron complicas complicase complicasen complicases complicaste
+complice complices complico complida complido complot complota complote comploto complots compon
+compone comportamientos compost compota compraba compraban comprabas comprable comprad comprada
+compradas compradera compradero compradiza compradizo compradora compradoras compradores comprados
+comprais compran comprante comprara comprarais compraran compraras comprare comprareis compraren
+comprares compraria comprarian comprarias compraron comprase compraseis comprasen comprases
+comprasteis compreda compredas compreis compremos compren comprenda comprendais comprendan
+comprendas comprended comprendedor comprendeis comprendemos comprenden comprendera comprenderan
+comprenderas comprendere comprendereis comprenderia comprenderian comprenderias comprendi comprendia
+comprendiais comprendian comprendias comprendida comprendidas comprendidos comprendiera comprendiere
+comprendiese comprendimos comprendio comprendiste comprensible comprension comprensiva comprensivas
+comprensivo comprensivos comprensor comprensora comprera compreras comprero compreros compres
+compresa compresas compresor comprima comprime comprimi comprimo comproba comprobaba comprobaban
+comprobabas comprobable comprobad comprobada comprobadas comprobado comprobados comprobais
+comprobamos comprobando comprobante comprobara comprobarais comprobaran comprobaras comprobare
+comprobareis comprobaren comprobares comprobaria comprobarian comprobarias comprobaron comprobas
+comprobase comprobasen comprobases comprobaste comprobe comprobeis comprobo comprometa comprometais
+comprometan comprometas compromete comprometed comprometeis comprometen comprometer comprometera
+comprometere comprometes comprometi comprometia comprometiais comprometian comprometias
+comprometidas comprometidos comprometiera comprometiere comprometiese comprometimos comprometio
+comprometiste comprometo compromisoria compromisorio compromisos compto compuse compuso computa
+computad computada computadas computado computador computadores computadorice computadoriza
+computadorizo computados compute computo comulga comulgo comun comuna comunal comunas comunera
+comuneras comunero comuneros comunica comunicaba comunicaban comunicabas comunicable comunicacion
+comunicacional comunicad comunicada comunicadas comunicador comunicadora comunicadoras comunicadores
+comunicados comunicais comunicamos comunican comunicando comunicante comunicar comunicara
+comunicarais comunicaran comunicaras comunicare comunicareis comunicaren comunicares comunicaria
+comunicarian comunicarias comunicaron comunicas comunicase comunicasen comunicases comunicaste
+comunico comunidades comunion comunique comunismo comunismos comuña comuñas concebi concebia
+concebid concebir concebis conceda concedais concedan concedas concede conceded concedeis conceden
+conceder concedera concedere concedes concedi concedia concediais concedian concedias concedida
+concedidas concedidos concediera concediere concediese concedimos concedio concediste concedo
+concejal concejil concejo concejos concento concentra concentraba concentraban concentrabas
+concentrable concentracion concentrad concentrada concentradas concentrado concentrador concentrados
+concentrais concentramos concentran concentrando concentrar concentrara concentrarais concentraran
+concentraras concentrare concentrareis concentraren concentrares concentraria concentrarian
+concentrarias concentraron concentras concentrase concentrasen concentrases concentraste concepta
+conceptea conceptead conceptean conceptear concepteas conceptee concepteen conceptees concepteo
+conceptiva conceptivo conceptos conceptua conceptuad conceptual conceptuan conceptuar conceptuas
+conceptue conceptuen conceptues conceptuo concerta concerte concerto conceto conceyo concienciaba
+concienciaban concienciabas concienciad concienciada concienciadas concienciado concienciados
+concienciais concienciamos conciencian concienciando concienciar concienciara concienciaran
+concienciaras concienciare concienciaren concienciares concienciaria concienciaron conciencias
+concienciase concienciasen concienciases concienciaste conciencie conciencieis conciencien
+conciencies conciencio concierna conciernan conciernen concierta conciertan conciertas concierte
+concierten conciertes conciertos conclusa conclusas conclusion conclusiva conclusivas conclusivo
+conclusivos concluso conclusos concreada concreado concreta concretaba concretad concretada
+concretado concretais concretan concretar concretara concretare concretas concretase concrete
+concreteis concreten concretera concretes concretice concretiza concretizo concretos concuasa
+concuase concuaso concubio conculca conculco concuna concunas concurra concurran concurras concurre
+concurren concurres concurri concurria concurrid concurrio concurrir concurris concurro concursa
+concursaba concursad concursada concursado concursais concursan concursar concursara concursare
+concursas concursase concurse concurseis concursen concurses concursos concuña concuñas concuño
+concuños condados condal condales condeci condecia condecid condecir condecis condenaba condenaban
+condenabas condenable condenad condenadas condenador condenadora condenadoras condenadores condenais
+condenamos condenan condenando condenar condenara condenaran condenaras condenare condenaren
+condenares condenaria condenaron condenas condenase condenasen condenases condenaste condene
+condeneis condenen condenes condeno condensa condensad condensan condensar condensas condense
+condensen condenses condenso condensos condes condesaba condesaban condesabas condesad condesada
+condesadas condesado condesados condesais condesamos condesan condesando condesar condesara
+condesaran condesaras condesare condesaren condesares condesaria condesaron condesas condesase
+condesasen condesases condesaste condese condeseis condesen condeses condesijo condesil condeso
+condice condicen condices condicho condicion condiciona condicionaba condicionaban condicionabas
+condicionad condicionada condicionadas condicionado condicionados condicionais condicionales
+condicionamos condicionan condicionando condicionante condicionar condicionara condicionaran
+condicionaras condicionare condicionaren condicionares condicionaria condicionaron condicionas
+condicionase condicionasen condicionases condicionaste condicione condicioneis condicionemos
+condicionen condiciono condiga condigo condije condijo condilo condir condira condire condoli condon
+condona condone condono condor condoro conducen conducente conduces conducha conduchad conduchan
+conduchar conduchas conduche conduchen conduches conducho conduchos conduci conducia conduciais
+conducian conducias conducible conducid conducida conducidas conducido conducidor conducidos
+conducimos conducira conduciran conduciras conducire conducireis conduciria conducirian conducirias
+conducis conductas conductero conductiva conductivo conductora conductoras conductores conductos
+conductual conduela conduele conduelo condueño conduje condujo condumio condura condurad conduran
+condurar conduras condure conduren condures conduro conduta condutal conduzca conduzcais conduzcan
+conduzcas conectaba conectaban conectabas conectad conectada conectadas conectador conectadores
+conectais conectamos conectan conectando conectar conectara conectaran conectaras conectare
+conectaren conectares conectaria conectaron conectas conectase conectasen conectases conectaste
+conecte conecteis conecten conectes conectiva conectivo conecto conector conectora coneja conejal
+conejar conejas conejera conejero conejito conejuna conejuno conexa conexas conexidad conexion
+conexiona conexionaba conexionado conexionais conexionan conexionar conexionara conexionare
+conexionas conexionase conexione conexioneis conexionemos conexionen conexiono conexiva conexivas
+conexivo conexivos conexo conexos confer conferenciaba conferenciaban conferenciabas conferenciad
+conferenciado conferenciais conferenciamos conferencian conferenciando conferenciante conferenciar
+conferenciara conferenciaran conferenciaras conferenciare conferenciaren conferenciares
+conferenciaria conferenciaron conferencias conferenciase conferenciasen conferenciases
+conferenciaste conferencie conferencieis conferencien conferencies conferencio conferencista conferi
+conferia conferid conferir conferis confesa confesaba confesaban confesabas confesable confesad
+confesada confesadas confesado confesados confesais confesamos confesando confesante confesara
+confesarais confesaran confesaras confesare confesareis confesaren confesares confesaria confesarian
+confesarias confesaron confesas confesase confesasen confesases confesaste confese confeseis
+confesion confeso confesor confesos confeti confetis confia confiaba confiabais confiaban confiabas
+confiables confiad confiada confiadas confiador confiadora confiadoras confiadores confiados
+confiais confiamos confian confiando confianzas confianzuda confianzudo confiara confiarais
+confiaran confiaras confiare confiareis confiaren confiares confiaria confiarian confiarias
+confiaron confias confiase confiasen confiases confiaste confidencia confidenciales confidencias
+confie confieis confien confiera confiere confiero confies confiesa confiese confieso confin confina
+confinad confinan confinar confinas confine confinen confines confinio confino confio confirais
+confirio confirmaba confirmaban confirmabas confirmacion confirmad confirmadas confirmador
+confirmadora confirmadoras confirmadores confirmados confirmais confirmamos confirman confirmanda
+confirmando confirmante confirmara confirmarais confirmaran confirmaras confirmare confirmareis
+confirmaren confirmares confirmaria confirmarian confirmarias confirmaron confirmas confirmase
+confirmasen confirmases confirmaste confirme confirmeis confirmen confirmes confirmo confisca
+confisco confita confitad confitan confitar confitas confite confiten confites confito conflictiva
+conflictivo conflictos conflictual conflige confligen confliges confligi confligia confligid
+confligio confligir confligis conflija conflijan conflijas conflijo conflui confort confuir confunda
+confundais confundan confundas confunde confunden confundes confundi confundia confundiais
+confundian confundias confundible confundid confundidas confundidor confundidora confundidoras
+confundidores confundidos confundiera confundiere confundiese confundimos confundio confundir
+confundira confundiran confundiras confundire confundiria confundis confundiste confundo confusa
+confusas confusion confusos confuta confutad confutan confutar confutas confute confuten confutes
+confuto congela congelaba congelaban congelabas congelable congelad congelada congeladas congelador
+congeladora congeladoras congeladores congelados congelais congelamos congelan congelando congelar
+congelara congelaran congelaras congelare congelaren congelares congelaria congelaron congelas
+congelase congelasen congelases congelaste congele congeleis congelen congeles congelo congrega
+congregad congregan congregar congregas congrego congregue congresal congresistas congresos
+congresual congri congries congrio congrios congris congrua congruas congruo congruos conjuez
+conjuga conjugad conjugal conjugan conjugar conjugas conjugo conjugue conjunta conjuntaba conjuntad
+conjuntada conjuntado conjuntais conjuntan conjuntar conjuntara conjuntare conjuntas conjuntase
+conjunte conjunteis conjunten conjuntes conjuntiva conjuntivo conjuntos conjuntura conjura conjurad
+conjuran conjurar conjuras conjure conjuren conjures conjuro conjuros conmina conminad conminan
+conminar conminas conmine conminen conmines conmino conmista conmisto conmixta conmixto conmove
+conmovi conmuta conmute conmuto connota connote connoto cono conoced conocedor conoceis conocencia
+conocera conoceran conoceras conocere conocereis conoceria conocerian conocerias conoci conocia
+conociais conocian conocias conocible conocidas conociendo conocierais conocieramos conocieran
+conocieras conociere conociereis conocieren conocieres conociese conociesen conocieses conocio
+conocisteis conoide conopeo conos conoto conotos conozcais conozcamos conquense conquerir conques
+conquibus conquistaba conquistaban conquistabas conquistable conquistad conquistada conquistadas
+conquistado conquistador conquistados conquistais conquistamos conquistan conquistando conquistara
+conquistarais conquistaran conquistaras conquistare conquistareis conquistaren conquistares
+conquistaria conquistarian conquistarias conquistaron conquistas conquistase conquistasen
+conquistases conquistaste conquiste conquisteis conquisten conquistes conquisto conrea conread
+conrean conrear conreas conree conreen conrees conreo conreos consciencia conscientes consecuencia
+consegui conseguia conseguiais conseguian conseguias conseguid conseguida conseguidas conseguidos
+conseguira conseguiran conseguiras conseguire conseguireis conseguiria conseguirian conseguirias
+conseguis conseguisteis conseja consejar consejas consejera consejeras consejeria consejerias
+consejeros consenso consenti consentimientos conserje conserjes conserva conservaba conservaban
+conservabas conservad conservada conservadas conservado conservador conservados conservais
+conservamos conservan conservando conservante conservara conservarais conservaran conservaras
+conservare conservareis conservaren conservares conservaria conservarian conservarias conservaron
+conservas conservase conservasen conservases conservaste conserve conserveis conserven conservera
+conservero conserves conservo conseyo consideraba consideraban considerabas considerable
+consideracion considerad considerada consideradas considerador consideradora consideradoras
+consideradores considerados considerais consideramos considerandos considerara considerarais
+consideraran consideraras considerare considerareis consideraren considerares consideraria
+considerarian considerarias consideraron consideras considerase considerasen considerases
+consideraste considereis consideremos consideren consideres consigais consigamos consigan consigas
+consigna consignad consignan consignar consignas consigne consignen consignes consigno consiguiendo
+consiguiente consiguiera consiguierais consiguieran consiguieras consiguiere consiguiereis
+consiguieren consiguieres consiguiese consiguiesen consiguieses consiguio consista consiste consisti
+consisto consola console consolo consome consona consone consono conspiracion consta constaba
+constaban constabas constable constad constado constais constamos constan constancia constancias
+constando constantes constar constara constaran constaras constare constaren constares constaria
+constaron constas constase constasen constases constaste constata constatad constatan constatar
+constatas constate constaten constates constato conste consten constes consto constreñi constriña
+constriñe constriño construccion construi construia construiais construian construias construid
+construidas construidos construimos construira construiran construiras construire construireis
+construiria construirian construirias construis construiste construya construyais construyan
+construyas construye construyen construyera construyeran construyeras construyere construyeren
+construyeres construyeron construyes construyese construyesen construyeses construyo consuegra
+consuegre consuegro consuela consuelan consuelas consuelda consueldas consuele consuelen consueles
+consuelos consuena consuenan consuenas consuene consuenen consuenes consueno consueta consuetas
+consueto consuetos consuetud consul consulados consular consulares consulazgo consules consulesa
+consultaba consultaban consultabas consultable consultad consultada consultadas consultado
+consultados consultais consultamos consultan consultando consultante consultar consultara
+consultaran consultaras consultare consultaren consultares consultaria consultaron consultas
+consultase consultasen consultases consultaste consulte consulteis consulten consultes consultiva
+consultivo consulto consultor consultora consuma consumad consuman consumar consumas consume
+consumen consumes consumi consumia consumid consumio consumir consumis consumo consumos consuna
+consuno consunta consunto conta contabais contabamos contaban contabas contable contables contacta
+contactaba contactaban contactabas contactad contactada contactadas contactado contactados
+contactais contactamos contactan contactando contactara contactarais contactaran contactaras
+contactare contactareis contactaren contactares contactaria contactarian contactarias contactaron
+contactas contactase contactasen contactases contactaste contacte contacteis contacten contactes
+contad contada contadas contadera contadero contadora contadoras contadores contados contagia
+contagie contagio contais contal contales contamos contante contantes contara contarais contaran
+contaras contare contareis contaren contares contaria contarian contarias contario contarios
+contaron contas contase contaseis contasen contases contasteis conte contecer conteis contemos
+conten contende contended contender contendes contendi contendia contendio contendor contendra
+contendre contene contened conteneis contener contenes contenga contengan contengas contengo
+contenia conteniais contenian contenias contenible contenida contenidas contenidos contentaba
+contentaban contentabas contentad contentada contentadas contentado contentados contentais
+contentamos contentan contentando contentar contentara contentaran contentaras contentare
+contentaren contentares contentaria contentaron contentas contentase contentasen contentases
+contentaste contente contenteis contenten contentes contenteza contentiva contentivo contentura
+conteos contera conteras contero conteros contestaba contestaban contestabas contestable contestad
+contestada contestadas contestado contestador contestados contestais contestamos contestan
+contestana contestanas contestando contestano contestanos contestara contestarais contestaran
+contestaras contestare contestareis contestaren contestares contestaria contestarian contestarias
+contestaron contestas contestase contestasen contestases contestaste contesteis contestemos
+contesten contesto conteston contestona contexto contia contienda contiendan contiendas contiende
+contienden contiendes contiendo contienen contienes contigua contiguas contiguo contiguos contil
+contiles contina continencia continental continentes contino continuaba continuaban continuabas
+continuacion continuad continuada continuadas continuado continuador continuados continuais
+continuamos continuan continuando continuara continuarais continuaran continuaras continuare
+continuareis continuaren continuares continuaria continuarian continuarias continuaron continuas
+continuase continuasen continuases continuaste continue continueis continuen continues continuo
+continuos contiosa contioso conto contrabajo contrabajon contrabajos contrabandado contrabandea
+contrabandead contrabandean contrabandear contrabandeas contrabandee contrabandeen contrabandees
+contrabandeo contrabandeos contrabandos contrabasa contrabasas contrabata contrabatan contrabatas
+contrabate contrabaten contrabates contrabati contrabatia contrabatid contrabatio contrabatir
+contrabatis contrabato contracto contrada contrae contraed contraeis contraen contraer contraera
+contraere contraes contrahaz contraia contraian contraias contraida contraido contraiga contraigo
+contrair contrais contraje contrajo contralla contrallo contralor contralto contraluz contrapar
+contrapas contrapea contrapee contrapeo contrapie contrapon contraria contrariaba contrariad
+contrariada contrariado contrariais contrarian contrariar contrariara contrariare contrarias
+contrariase contraridad contrarie contrarieis contrarien contraries contrarios contras contrasella
+contraselle contrasello contraseñaba contraseñaban contraseñabas contraseñad contraseñada
+contraseñadas contraseñado contraseñados contraseñais contraseñamos contraseñan contraseñando
+contraseñar contraseñara contraseñaran contraseñaras contraseñare contraseñaren contraseñares
+contraseñaria contraseñaron contraseñas contraseñase contraseñasen contraseñases contraseñaste
+contraseñe contraseñeis contraseñen contraseñes contraseño contrasta contrastad contrastan
+contrastar contrastas contraste contrasten contrastes contrasto contrata contrataba contrataban
+contratabas contratad contratada contratadas contratados contratais contratamos contratan
+contratando contratante contratapa contratapas contratara contratarais contrataran contrataras
+contratare contratareis contrataren contratares contrataria contratarian contratarias contrataron
+contratas contratase contratasen contratases contrataste contrate contrateis contratela contraten
+contrates contraven contravia contray contrayes contre contres contrete contri contris contrita
+contrito controlaba controlaban controlabas controlable controlad controlada controladas controlador
+controladora controladoras controladores controlados controlais controlamos controlan controlando
+controlara controlarais controlaran controlaras controlare controlareis controlaren controlares
+controlaria controlarian controlarias controlaron controlas controlase controlasen controlases
+controlaste controle controleis controlemos controlen controlo contusa contuso contuve contuvo
+conven convence convenced convencedor convenceis convencemos convencen convencera convenceran
+convenceras convencere convencereis convenceria convencerian convencerias convences convenci
+convencia convenciais convencian convencias convencida convencidas convencidos convenciera
+convenciere convenciese convencimos convencio convencion convenciste convendra convendre convenga
+convengan convengas convengo conveni convenia convenian convenias convenid convenido conveniencia
+convenientes convenio convenios convenir convenis convento conventos convenza convenzan convenzas
+convenzo converge converged convergen converger converges convergi convergia convergid convergio
+convergir convergis converja converjan converjas converjo conversa conversaba conversaban
+conversabas conversable conversacion conversacional conversad conversada conversadas conversado
+conversador conversados conversais conversamos conversan conversando conversara conversarais
+conversaran conversaras conversare conversareis conversaren conversares conversaria conversarian
+conversarias conversaron conversas conversase conversasen conversases conversaste converse
+converseis conversen converses conversion conversiva conversivo converso conversos converti
+convertia convertiais convertian convertias convertible convertid convertida convertidas convertidor
+convertidores convertidos convertimos convertira convertiran convertiras convertire convertireis
+convertiria convertirian convertirias convertis convertiste convexa convexas convexo convexos
+convicio convicta convicto convida convidad convidan convidar convidas convide conviden convides
+convido convienen convienes conviertan conviertas convierten conviertes convierto convincentes
+convine convino convirtais convirtiera convirtieran convirtieras convirtiere convirtieren
+convirtieres convirtieron convirtiese convirtiesen convirtieses convirtio convite convites conviva
+convival convivan convivas convive conviven convives convivi convivia convivid convivio convivir
+convivis convivo coopera cooperaba cooperaban cooperabas cooperacion cooperad cooperado cooperador
+cooperais cooperamos cooperan cooperando cooperante cooperara cooperarais cooperaran cooperaras
+cooperare cooperareis cooperaren cooperares cooperaria cooperarian cooperarias cooperario
+cooperarios cooperaron cooperas cooperase cooperasen cooperases cooperaste coopere coopereis
+cooperen cooperes coopero coopta cooptad cooptan cooptar cooptas coopte coopten cooptes coopto
+coordenada coordenado coordenados copaba copaban copabas copad copada copadas copado copador copados
+copaiba copaina copais copal copalea copalee copaleo copales copamos copan copando copano copante
+copar copara coparan coparas copare coparen copares coparia coparon copase copaseis copasen copases
+copaste copazo copazos copiaba copiaban copiabas copiad copiada copiadas copiador copiadora
+copiadoras copiadores copiados copiais copiamos copian copiando copiante copiar copiara copiaran
+copiaras copiare copiaren copiares copiaria copiaron copiase copiaseis copiasen copiases copiaste
+copie copieis copien copies copihue copila copilad copilan copilar copilas copile copilen copiles
+copilla copilo copin copina copinad copinan copinar copinas copine copinen copines copino copinol
+copinos copio copion copiona copiosa copioso copista cora coraba coraban corabas coracan coracea
+coraceo coracha corad corada coradas corado corados corais corajes corajina corajosa corajoso
+corajuda corajudo coral corales coramos coran corana coranas corando corar corara coraran coraras
+corare coraren corares coraria coraron coras corase corasen corases coraste coraza corazas
+corazonada corbacho corbatas corbatea corbatead corbatean corbatear corbateas corbatee corbateen
+corbatees corbateo corbatera corbatero corbatin corbato corbatos corbe corbes corbeta corbona corda
+cordada cordado cordaje cordal cordata cordato cordel cordela cordelad cordelan cordelar cordelas
+cordele cordelen cordeles cordelo cordera corderaje corderas corderia corderias corderil corderina
+corderino corderos corderuna cordeta cordetas cordial cordila cordilo cordino cordita cordoba
+cordojo cordon cordula cordura core coreaba coreaban coreabas coread coreada coreadas coreado
+coreados coreais coreamos corean coreana coreanas coreando coreano coreanos corear coreara corearan
+corearas coreare corearen coreares corearia corearon coreas corease coreasen coreases coreaste coree
+coreeis coreen corees corega coregas corego coregos coreis coremos coren coreo coreos cores corete
+coretes coreuta corle corlea corleaba corlead corleada corleado corleais corlean corlear corleara
+corleare corleas corlease corlee corleeis corleen corlees corleis corlemos corlen corleo corles
+corocha corojo corojos corola corolas corolla coronaba coronaban coronabas coronad coronada
+coronadas coronado coronador coronados coronais coronal coronales coronamos coronan coronando
+coronar coronara coronaran coronaras coronare coronaren coronares coronaria coronario coronaron
+coronas coronase coronasen coronases coronaste coronda corondas corondel corone coroneis coroneja
+coronejas coronela coronelas coroneles coronelia coronelias coronemos coronen corones coronica
+coronide coronio coronios corono coronta corontas coros corosol coroto corotos coroza corozal
+corozas corozo corozos corporacion corrais corral corrales corralon corramos corras correa correaba
+corread correada correado correais correaje correal correan correar correara correare correas
+correase correazo correcha correchas correcho correchos correctiva correctivo corrector correctora
+correctoras correctores correctos corred corredera corredero corrediza corredizo corredora
+corredoras corredores corredura corree correeis correen correera correero correes corregi corregia
+corregid corregir corregis correis correjel correlon corremos correncia correntia correntie
+correntio correnton correon correones correosa correosas correoso correosos correra correran
+correras correre correreis correria correrian correrias corresponda correspondais correspondan
+correspondas corresponded correspondeis correspondemos corresponden corresponder correspondera
+corresponderan corresponderas correspondere corresponderia correspondes correspondi correspondia
+correspondian correspondias correspondida correspondido correspondio correspondo corresponsal
+corretea corretee correteo corri corria corriais corrian corrias corrida corridas corrido corridos
+corrientazo corrientes corriera corrieran corrieras corriere corrieren corrieres corrieron corriese
+corriesen corrieses corrige corrigen corriges corrigio corrija corrijan corrijas corrijo corrillo
+corrimos corrio corriste corro corroa corroan corroas corroe corroed corroen corroer corroes corroi
+corroia corroo corros corroya corroyo corrozo corruco corruga corrugo corrupcion cortaba cortaban
+cortabas cortad cortadas cortadera cortador cortadora cortadoras cortadores cortados cortadura
+cortais cortamos cortan cortante cortantes cortao cortaos cortara cortarais cortaran cortaras
+cortare cortareis cortaren cortares cortaria cortarian cortarias cortase cortaseis cortasen cortases
+cortaste cortedad cortega cortegas corteis corteja cortejad cortejan cortejar cortejas corteje
+cortejen cortejes cortejo cortejos cortemos cortero corteros cortesana cortesano corteses corteseña
+corteseño cortesia cortesias cortezas cortezo cortezos cortezosa cortezoso cortezuda cortezudo
+cortical cortijo cortijos cortil cortiles cortinada cortinado cortinados cortinaje cortinajes
+cortinal cortinales cortinon corton cortones cosaca cosacas cosaco cosacos cosais cosamos cosan
+cosante cosaria cosario cose cosechaba cosechaban cosechabas cosechad cosechada cosechadas cosechado
+cosechador cosechados cosechais cosechamos cosechan cosechando cosechar cosechara cosecharan
+cosecharas cosechare cosecharen cosechares cosecharia cosecharon cosechas cosechase cosechasen
+cosechases cosechaste coseche cosecheis cosechen cosechera cosechero coseches cosecho cosechon cosed
+coseis cosemos cosen coseno cosenos coser cosera coseran coseras cosere coseria coses cosi cosia
+cosiaca cosiais cosian cosias cosible cosida cosidas cosido cosidos cosiera cosiere cosiese cosija
+cosijas cosijo cosijos cosimos cosio cosiste cosmica cosmico cosquilla cosquillaba cosquillaban
+cosquillabas cosquillad cosquillada cosquilladas cosquillado cosquillados cosquillais cosquillamos
+cosquillan cosquillando cosquillar cosquillara cosquillaran cosquillaras cosquillare cosquillaren
+cosquillares cosquillaria cosquillaron cosquillase cosquillaseis cosquillasen cosquillases
+cosquillaste cosquille cosquillea cosquillead cosquillean cosquillear cosquilleas cosquillee
+cosquilleen cosquillees cosquilleis cosquillen cosquilleo cosquilleos cosquilles cosquillo
+cosquillosa cosquilloso cosquilluda cosquilludo costaba costaban costabas costad costados costais
+costal costala costalad costalan costalar costalas costale costalea costalee costalen costaleo
+costales costalo costamos costana costanas costando costara costarais costaran costaras costare
+costareis costaren costares costaria costarian costarias costaron costase costaseis costasen
+costases costaste coste costea costead costean costear costeas costee costeen costees costeis costeo
+costera costero costes costeña costeño costil costiles costilla costillaje costillajes costillar
+costillares costiller costilluda costilludo costina costino coston costones costos costosa costosas
+costoso costosos costra costras costro costron costros costumbra costumbraba costumbrad costumbrada
+costumbrado costumbrais costumbran costumbrar costumbrara costumbrare costumbras costumbrase
+costumbreis costumbremos costumbren costumbro costura coñon coñones coños crac cracs creaba creaban
+creabas creable creacion cread creada creadas creadora creadoras creadores creados creais creamos
+creara crearais crearan crearas creare creareis crearen creares crearia crearian crearias crease
+creaseis creasen creases creaste crecal creced creceis crecemos crecencia crecentar crecera creceran
+creceras crecere crecereis creceria crecerian crecerias creces creci crecia creciais crecian crecias
+crecida crecidas crecidos creciente crecientes creciera crecieran crecieras creciere crecieren
+crecieres crecieron creciese creciesen crecieses crecimientos crecimos crecio creciste creedera
+creedero creedor creedora creeis creencia creera creeran creeras creere creereis creeria creerian
+creerias creia creiais creian creias creible creida creidas creido creidos creimos creiste cremaba
+cremaban cremabas cremad cremada cremadas cremado cremados cremais cremamos creman cremando cremar
+cremara cremaran cremaras cremare cremaren cremares cremaria cremaron cremas cremase cremasen
+cremases cremaste creme cremeis cremen cremes cremo cremor cremora cremosa cremoso creta cretas
+cretica creticas cretico creticos cretina cretinas cretinez cretinos cretona creyente creyentes
+creyer creyera creyeran creyeras creyere creyeren creyeres creyeron creyese creyesen creyeses creyo
+cria criaba criaban criabas criad criadas criadera criadero criador criadora criadoras criadores
+criados criais crialo crialos criamos crian criando crianza criara criarais criaran criaras criare
+criareis criaren criares criaria criarian criarias criaron crias criase criasen criases criaste
+criazon crimenes crimina criminaba criminaban criminabas criminad criminada criminadas criminado
+criminador criminados criminais criminalice criminaliza criminalizo criminamos criminan criminando
+criminar criminara criminaran criminaras criminare criminaren criminares criminaria criminaron
+criminas criminase criminasen criminases criminaste crimine crimineis criminen crimines crimino
+criminosa criminoso crimno crimnos crisma crismar crismas crismon crisol crisola crisole crisolo
+crispa crispad crispan crispar crispas crispe crispen crispes crispi crispia crispid crispio crispir
+crispis crispo crista cristalazo cristalera cristaleras cristaleria cristalero cristaleros
+cristalice cristalina cristalino cristaliza cristalizo cristas cristel cristera cristero cristianaba
+cristianaban cristianabas cristianad cristianada cristianadas cristianado cristianados cristianais
+cristianamos cristianan cristianando cristianar cristianara cristianaran cristianaras cristianare
+cristianaren cristianares cristianaria cristianaron cristianas cristianase cristianasen cristianases
+cristianaste cristiandad cristiane cristianega cristianego cristianeis cristianen cristianes
+cristianice cristianiza cristianizo cristina cristinas cristino cristinos cristofue cristos cristus
+cruceiro cruceis crucemos crucen crucera cruceras cruceria crucerias cruceros cruces cruceta
+crucetas cruceña cruceñas cruceño cruceños crucial crueldad crueles cruenta cruento crueza cruzaba
+cruzaban cruzabas cruzad cruzada cruzadas cruzador cruzadora cruzados cruzais cruzamos cruzan
+cruzara cruzarais cruzaran cruzaras cruzare cruzareis cruzaren cruzares cruzaria cruzarian cruzarias
+cruzaron cruzas cruzase cruzasen cruzases cruzaste cruzo cuada cuadas cuado cuados cuadraba
+cuadraban cuadrabas cuadrad cuadrada cuadradas cuadrado cuadrados cuadrais cuadral cuadrales
+cuadramos cuadran cuadrando cuadrante cuadrar cuadrara cuadraran cuadraras cuadrare cuadraren
+cuadrares cuadraria cuadraron cuadrase cuadraseis cuadrasen cuadrases cuadraste cuadratin cuadre
+cuadreis cuadren cuadres cuadrica cuadriga cuadril cuadropea cualidad cualque cualquieras cuantia
+cuantiad cuantian cuantiar cuantias cuantica cuantico cuantie cuantien cuanties cuantio cuarentas
+cuarentava cuarentavas cuarentavo cuarentavos cuarenten cuarentenal cuarentenales cuarentenas
+cuarentenes cuarenteno cuarentenos cuarenton cuarentona cuaresma cuartaba cuartaban cuartabas
+cuartad cuartada cuartadas cuartado cuartados cuartago cuartagos cuartais cuartal cuartales
+cuartamos cuartan cuartana cuartanal cuartanas cuartando cuartanes cuartar cuartara cuartaran
+cuartaras cuartare cuartaren cuartares cuartaria cuartaron cuartas cuartase cuartasen cuartases
+cuartaste cuartazo cuartazos cuarte cuartea cuarteaba cuartead cuarteada cuarteado cuarteais
+cuartean cuartear cuarteara cuarteare cuarteas cuartease cuartee cuarteeis cuarteen cuartees
+cuarteis cuartela cuartelaba cuartelad cuartelada cuartelado cuartelais cuartelan cuartelar
+cuartelara cuartelare cuartelas cuartelase cuartelazo cuartele cuarteleis cuartelen cuartelera
+cuartelero cuarteles cuartelo cuartemos cuarten cuarteo cuarteos cuartera cuarteras cuarteria
+cuartero cuarteron cuarteros cuartes cuarteta cuartetas cuartete cuartetes cuarteto cuartetos
+cuartil cuartizo cuarton cuartones cuarzo cuarzos cuata cuatas cuate cuates cuati cuaties cuatis
+cuatrero cuatreña cuatreño cuatrin cuatropea cuatropeo cuatros cubana cubanas cubano cubanos cubas
+cubata cubatas cubiertos cubos cubra cubrais cubran cubras cubren cubrepan cubres cubri cubria
+cubriais cubrian cubrias cubrid cubriera cubrieran cubrieras cubriere cubrieren cubrieres cubrieron
+cubriese cubriesen cubrieses cubrimos cubrio cubrira cubriran cubriras cubrire cubrireis cubriria
+cubririan cubririas cubris cubriste cubro cuchi cuchichi cuchies cuchilla cuchillada cuchillar
+cuchillas cuchillazo cuchillero cuchis cuela cuelan cuelas cuele cuelen cueles cuelgan cuelgas
+cuelgo cuelgue cuelguen cuelgues cuellos cuelmo cuelmos cuelo cuenca cuencas cuenco cuencos cuenda
+cuendas cuentea cuenteaba cuentead cuenteada cuenteado cuenteais cuentean cuentear cuenteara
+cuenteare cuenteas cuentease cuentee cuenteeis cuenteen cuentees cuenten cuenteo cuentera cuenteras
+cuentero cuenteros cuenton cuentona cuentonas cuentones cuera cueras cuerazo cuerdea cuerdead
+cuerdean cuerdear cuerdeas cuerdee cuerdeen cuerdees cuerdeo cuerdo cuerdos cuerea cueread cuerean
+cuerear cuereas cueree cuereen cuerees cuereo cuerero cuereta cuerina cueriza cuerna cuernago
+cuernas cueros cuerpea cuerpead cuerpean cuerpear cuerpeas cuerpee cuerpeen cuerpees cuerpeo cuerria
+cueruda cuerudo cuerva cuervas cuervera cuervo cues cuesco cuescos cueshte cuestas cuesten cuestes
+cuestion cuestiona cuestione cuestiono cuesto cuestor cuestos cuestura cuevano cuevanos cuevero
+cuevuda cuevudo cuidaba cuidaban cuidabas cuidad cuidada cuidadas cuidador cuidadora cuidadoras
+cuidadores cuidadosa cuidadosas cuidadosos cuidais cuidamos cuidan cuidara cuidarais cuidaran
+cuidaras cuidare cuidareis cuidaren cuidares cuidaria cuidarian cuidarias cuidaron cuidas cuidase
+cuidasen cuidases cuidaste cuideis cuidemos cuiden cuides cuidos cuidosa cuidosas cuidoso cuidosos
+culon culona culonas culones culote culotes culpaba culpabais culpaban culpabas culpad culpada
+culpadas culpado culpados culpais culpamos culpan culpando culpante culpara culparais culparan
+culparas culpare culpareis culparen culpares culparia culparian culparias culparon culpas culpase
+culpasen culpases culpaste culpe culpeis culpen culpeo culpeos culpes culposa culposas culposo
+culposos culta cultas cultera cultero cultiva cultive cultivo cultor cultora cultoras cultores
+cultos cultosa cultoso cultrun cultual culturaba culturaban culturabas culturad culturada culturadas
+culturado culturados culturais cultural culturales culturamos culturan culturando culturar culturara
+culturaran culturaras culturare culturaren culturares culturaria culturaron culturase culturaseis
+culturasen culturases culturaste culture cultureis culturen cultures culturice culturiza culturizo
+culturo culturosa culturoso cumpa cumpas cumpla cumplais cumplan cumplas cumplase cumpleañera
+cumpleañero cumplen cumples cumpli cumplia cumpliais cumplian cumplias cumplid cumplida cumplidas
+cumplidera cumplidero cumplidor cumplidora cumplidoras cumplidores cumplidos cumpliera cumpliere
+cumpliese cumplimos cumplio cumplira cumpliran cumpliras cumplire cumplireis cumpliria cumplirian
+cumplirias cumplis cumpliste cunaba cunaban cunabas cunacho cunad cunada cunadas cunado cunados
+cunais cunamos cunan cunando cunar cunara cunaran cunaras cunare cunaren cunares cunaria cunaron
+cunas cunase cunasen cunases cunaste curaba curaban curabas curable curaca curacas curad curada
+curadas curadera curador curadora curadoras curadores curadoria curados curagua curais cural curales
+curalle curamos curan curando curanto curara curarais curaran curaras curare curareis curaren
+curares curaria curarian curarias curarina curaron curas curasao curase curasen curases curaste
+curato curatos curazao curazgo curi curia curial curiana curiar curiara curias curiche curie curiel
+curiela curies curil curiles curio curios curiosa curiosas curiosea curiosead curiosean curiosear
+curioseas curiosee curioseen curiosees curioseo curioseos curiosidades curiosos curis curita curitas
+cursa cursaba cursad cursada cursado cursais cursan cursar cursara cursare cursas cursase curse
+curseis cursen cursera curses cursi cursis cursiva cursor cursores cursos curvaba curvaban curvabas
+curvad curvada curvadas curvado curvados curvais curvamos curvan curvando curvar curvara curvaran
+curvaras curvare curvaren curvares curvaria curvaron curvas curvase curvasen curvases curvaste
+curvaton curve curveis curven curves curvo curvos custodiaba custodiaban custodiabas custodiad
+custodiada custodiadas custodiado custodiados custodiais custodiamos custodian custodiando custodiar
+custodiara custodiaran custodiaras custodiare custodiaren custodiares custodiaria custodiaron
+custodias custodiase custodiasen custodiases custodiaste custodie custodieis custodien custodies
+custodio custodios cuyada cuyadas cuyamel cuyana cuyanas cuyano cuyanos cuyas cuyos cuña cuñaba
+cuñaban cuñabas cuñad cuñada cuñadas cuñadia cuñadias cuñados cuñais cuñal cuñamos cuñan cuñando
+cuñape cuñapes cuñar cuñara cuñaran cuñaras cuñare cuñaren cuñares cuñaria cuñaron cuñas cuñase
+cuñasen cuñases cuñaste dabais dabamos dabas dadas dador dadora dadoras dadores dagame dagames dagas
+dalla dallaba dallaban dallabas dallad dallada dalladas dallado dallador dallados dallais dallamos
+dallan dallando dallar dallara dallaran dallaras dallare dallaren dallares dallaria dallaron dallase
+dallaseis dallasen dallases dallaste dalle dalleis dallen dalles dallo damasana damasco damascos
+damasina dameria damero dameros damiana damil danaide dandi dandis danica danicas danico danicos
+danzaba danzaban danzabas danzad danzada danzadas danzado danzador danzados danzais danzamos danzan
+danzando danzanta danzante danzar danzara danzaran danzaras danzare danzaren danzares danzaria
+danzarin danzaron danzas danzase danzasen danzases danzaste danzo danzon dareis dares darsena
+darsenas databa databan databas datad datada datadas datado datados datais datamos datan datando
+datar datara dataran dataras datare dataren datares dataria datario dataron datas datase datasen
+datases dataste datea dateaba datead dateada dateado dateais datean datear dateara dateare dateas
+datease datee dateeis dateen datees dateis datemos daten dateo dateos datera dateras datero dateros
+dates dato davideña davideño davidica davidico daña dañaba dañaban dañabas dañable dañad dañada
+dañadas dañador dañadora dañadoras dañadores dañados dañais dañamos dañan dañando dañara dañarais
+dañaran dañaras dañare dañareis dañaren dañares dañaria dañarian dañarias dañaron dañas dañase
+dañasen dañases dañaste dañosa dañosas dañoso dañosos deanato deanes debacle debais debajera
+debajero deban debata debatais debatan debatas debaten debates debati debatia debatian debatias
+debatid debatida debatido debatio debatir debatira debatire debatis debato debed debeis debela
+debelad debelan debelar debelas debele debelen debeles debelo debera deberan deberas debere debereis
+deberemos deberiais deberian debi debia debiais debian debias debida debidas debidos debiendo
+debierais debieramos debieran debieras debiere debiereis debieren debieres debiese debiesen debieses
+debil debiles debilidades debilita debilitad debilitan debilitar debilitas debilite debiliten
+debilites debilito debio debisteis debita debitad debitan debitar debitas debite debiten debites
+debito debitos deboca debocad debocan debocar debocas deboco deboque debos debroca debroco debruce
+debruza debruzo decebir decena decenal decenar decenas decencia decender decenio decenios deceno
+decenos decenso decenta decentaba decentad decentada decentado decentais decentan decentar decentara
+decentare decentas decentase decenteis decentemos decenten decentes decento decenvir decepar
+decepcion decepciona decepcionaba decepcionaban decepcionabas decepcionad decepcionada decepcionadas
+decepcionados decepcionais decepcionamos decepcionan decepcionando decepcionante decepcionar
+decepcionara decepcionaran decepcionaras decepcionare decepcionaren decepcionares decepcionaria
+decepcionaron decepcionas decepcionase decepcionasen decepcionases decepcionaste decepcione
+decepcioneis decepcionen decepciones decepciono deceso decesos deci deciais deciamos decian deciarea
+decias decibel decible decid decidais decidamos decidan decidas deciden decidera decideras decidero
+decideros decidi decidia decidiais decidian decidias decidid decidida decididas decididos decidiendo
+decidiera decidierais decidieran decidieras decidiere decidiereis decidieren decidieres decidiese
+decidiesen decidieses decidio decidira decidiran decidiras decidire decidireis decidiria decidirian
+decidirias decidis decidisteis decidor decidora decidoras decidores decima decimal decimas decimero
+decimo decires decis decision decisiva decisivas decisivo decisivos decitex declama declamad
+declaman declamar declamas declame declamen declames declamo declara declaraba declaraban declarabas
+declarable declaracion declarad declarada declaradas declarador declaradora declaradoras
+declaradores declarados declarais declaramos declaran declarando declarante declarara declararais
+declararan declararas declarare declarareis declararen declarares declararia declararian declararias
+declararon declaras declarase declarasen declarases declaraste declare declareis declaren declares
+declina decline declino declive dedicaba dedicaban dedicabas dedicad dedicada dedicadas dedicados
+dedicais dedicamos dedican dedicando dedicar dedicara dedicaran dedicaras dedicare dedicaren
+dedicares dedicaria dedicaron dedicase dedicaseis dedicasen dedicases dedicaste dedicion dedil
+dediles dedillo dedique dedola dedolad dedolar dedolas dedole dedolo defeca defecaba defecad
+defecada defecado defecais defecan defecar defecara defecare defecas defecase defeco defectiva
+defectivo defectos defendais defende defended defendedor defendeis defendemos defendera defenderan
+defenderas defendere defendereis defenderia defenderian defenderias defendes defendi defendia
+defendian defendias defendida defendido defendio defensable defensar defension defensiva defensivo
+defensor defensora defeque deferi deferia deferid deferir deferis defesa defeso defeña defeñas
+defeño defeños defiar deficit defiera defiere defiero defina definais definan definas definen
+defines defini definia definian definias definicion definid definida definido definio definir
+definira definire definis defino defirio dejabais dejabamos dejaban dejabas dejad dejada dejadas
+dejadera dejadero dejadez dejador dejadora dejadoras dejadores dejados dejais dejante dejarais
+dejaramos dejareis dejaren dejares dejaria dejarian dejarias dejase dejaseis dejasen dejases
+dejasteis dejazon dejeis dejos delado delant delantal delanteras delantero delanteros delata delatad
+delatan delatar delatas delate delaten delates delato delator delaxar delga delgace delgacen
+delgaces delgadas delgadez delgadeza delgados delgas delgaza delgazad delgazan delgazar delgazas
+delgazo delia delias delicadas delicadez delicadeza delicados delicadura delicia deliciar delicias
+delicio deliciosas deliciosos delicto delinca delinco delincuencia delincuentes delinea delinee
+delineo delio delios delira delirad deliran delirar deliras delire deliren delires delirio deliro
+delitos deliñar deltaica deltaico deltana deltanas deltano deltanos deltas demacra demacre demacro
+demandaba demandaban demandabas demandable demandad demandada demandadas demandado demandador
+demandados demandais demandamos demandan demandando demandante demandanza demandar demandara
+demandaran demandaras demandare demandaren demandares demandaria demandaron demandase demandaseis
+demandasen demandases demandaste demande demandeis demanden demandes demando demanial demanio
+demanios demarca demarco demarra demarre demarro demasia demasiaba demasiaban demasiabas demasiais
+demasiamos demasian demasiando demasiar demasiara demasiaran demasiaras demasiare demasiaren
+demasiares demasiaria demasiaron demasiarse demasias demasiase demasiasen demasiases demasiaste
+demasie demasieis demasien demasies demasio demedia demedie demedio demencia dementa dementaba
+dementad dementada dementado dementais dementan dementar dementara dementare dementas dementase
+dementeis dementemos dementen dementes demento demo democracias democrata democratas demode demodes
+demole demoled demoler demoles demoli demolia demolio demonche demoniaca demoniaco demoniada
+demoniado demonial demonismo demontre demoraba demoraban demorabas demorad demorada demoradas
+demorado demorados demorais demoramos demoran demorando demorar demorara demoraran demoraras
+demorare demoraren demorares demoraria demoraron demoras demorase demorasen demorases demoraste
+demore demoreis demoren demores demoro demoron demorona demorosa demoroso demostina demostino
+demostra demostraba demostraban demostrabas demostrable demostracion demostrad demostrada
+demostradas demostrador demostradora demostradoras demostradores demostrados demostrais demostramos
+demostrando demostranza demostrara demostrarais demostraran demostraras demostrare demostrareis
+demostraren demostrares demostraria demostrarian demostrarias demostraron demostras demostrase
+demostrasen demostrases demostraste demostre demostreis demostro demuestran demuestras demuestre
+demuestren demuestres demuestro deniega deniego denigra denigre denigro densa densar densas denso
+densos denta dentaba dentaban dentabas dentad dentada dentadas dentado dentados dentais dentales
+dentamos dentando dentar dentara dentaran dentaras dentare dentaren dentares dentaria dentario
+dentaron dentas dentase dentasen dentases dentaste dente denteis dentera dentina dentinas dentistas
+dento denton dentona dentuda dentudo departamental departamentos dependa dependais dependan dependas
+depended dependeis dependemos dependen dependente depender dependera dependeran dependeras dependere
+dependeria dependes dependi dependia dependian dependias dependida dependido dependio dependo depon
+depone deponed deponen deponer depones deponga depongo deponia deporta deportaba deportad deportada
+deportado deportais deportan deportar deportara deportare deportas deportase deporteis deportemos
+deporten deportiva deportivo deporto deportosa deportoso deposar deprava deprave depravo depreca
+depreco depreda deprede depredo depresion depresiva depresivas depresivo depresivos depresor
+depresora deprima deprimais depriman deprimas deprime deprimen deprimes deprimi deprimia deprimiais
+deprimian deprimias deprimid deprimida deprimidas deprimidos deprimiera deprimiere deprimiese
+deprimimos deprimio deprimir deprimira deprimiran deprimiras deprimire deprimiria deprimis
+deprimiste deprimo derecera derechas derechazo derechazos derechera derechero derechez derecheza
+derechice derechito derechiza derechizo derechura derezar derraba derrabe derrabo derrama derrame
+derramo derrapa derrape derrapo derreti derriba derribe derribo derrita derrite derrito derroca
+derrocad derrocan derrocar derrocas derrocha derroche derrocho derroco derroque derrotaba derrotaban
+derrotabas derrotad derrotada derrotadas derrotados derrotais derrotamos derrotan derrotando
+derrotara derrotarais derrotaran derrotaras derrotare derrotareis derrotaren derrotares derrotaria
+derrotarian derrotarias derrotaron derrotas derrotase derrotasen derrotases derrotaste derrote
+derroteis derroten derrotero derrotes derroto derrui derruia derruid derruir derruis derruya derruye
+derruyo desa desabor desabri desactiva desactivaba desactivaban desactivabas desactivad desactivada
+desactivadas desactivado desactivados desactivais desactivamos desactivan desactivando desactivara
+desactivarais desactivaran desactivaras desactivare desactivareis desactivaren desactivares
+desactivaria desactivarian desactivarias desactivaron desactivas desactivase desactivasen
+desactivases desactivaste desactive desactiveis desactiven desactives desactivo desafea desafead
+desafean desafear desafeas desafee desafeen desafees desafeo desafia desafiad desafian desafiar
+desafias desafie desafien desafies desafila desafile desafilo desafina desafine desafino desafio
+desafios desafora desafore desaforo desafortunada desafortunadas desafortunados desagrada
+desagradaba desagradabais desagradaban desagradabas desagradables desagradad desagradado desagradais
+desagradamos desagradan desagradando desagradar desagradara desagradaran desagradaras desagradare
+desagradaren desagradares desagradaria desagradaron desagradas desagradase desagradasen desagradases
+desagradaste desagua desague desaguo desaina desaine desaino desaira desaire desairo desala desalad
+desalan desalar desalas desalce desale desalen desales desalma desalme desalmo desalo desalza
+desalzo desama desamad desaman desamar desamas desame desamen desames desamo desamor desanda desande
+desando desaoja desaoje desaojo desaparca desaparcad desaparcan desaparcar desaparcas desaparco
+desaparea desapareaba desaparead desapareada desapareado desapareais desaparean desaparear
+desapareara desapareare desapareas desaparease desapareced desapareceis desaparecemos desaparecera
+desapareceran desapareceras desaparecere desaparecereis desapareceria desaparecerian desaparecerias
+desapareces desapareci desaparecia desapareciais desaparecian desaparecias desaparecidas
+desapareciendo desapareciera desaparecierais desaparecieran desaparecieras desapareciere
+desapareciereis desaparecieren desaparecieres desapareciese desapareciesen desaparecieses
+desaparecimos desaparecio desapareciste desaparee desapareeis desapareen desaparees desapareja
+desaparejad desaparejan desaparejar desaparejas desapareje desaparejen desaparejes desaparejo
+desapareo desaparezca desaparezco desaparicion desaparque desaparta desapartad desapartan desapartar
+desapartas desaparte desaparten desapartes desaparto desapta desapto desarma desarme desarmo
+desarrolla desarrollaba desarrollaban desarrollabas desarrollable desarrollad desarrollada
+desarrolladas desarrollados desarrollais desarrollamos desarrollan desarrollando desarrollara
+desarrollarais desarrollaran desarrollaras desarrollare desarrollareis desarrollaren desarrollares
+desarrollaria desarrollarian desarrollarias desarrollaron desarrollas desarrollase desarrollasen
+desarrollases desarrollaste desarrolle desarrolleis desarrollen desarrolles desarrollos desarropa
+desarropad desarropan desarropar desarropas desarrope desarropen desarropes desarropo desasada
+desasado desase desasea desasead desasean desasear desaseas desasee desaseen desasees desasen
+desaseo desaseos desases desasga desasgan desasgas desasgo desasi desasia desasian desasias desasid
+desasida desasido desasio desasir desasira desasire desasis desasna desasnad desasnan desasnar
+desasnas desasne desasnen desasnes desasno desastrada desastrado desastres desastrosa desastroso
+desata desatad desatan desatar desatas desate desaten desates desato desaven desavia desavie desavio
+desayuda desayudad desayudan desayudar desayudas desayude desayuden desayudes desayudo desayuna
+desayunaba desayunaban desayunabas desayunad desayunada desayunadas desayunado desayunador
+desayunados desayunais desayunamos desayunan desayunando desayunara desayunarais desayunaran
+desayunaras desayunare desayunareis desayunaren desayunares desayunaria desayunarian desayunarias
+desayunaron desayunas desayunase desayunasen desayunases desayunaste desayune desayuneis desayunen
+desayunes desayunos desayuntar desazon desca descabal descacha descache descacho descae descaed
+descaeis descaen descaer descaera descaere descaes descai descaia descaian descaias descaido
+descaiga descaigo descalca descalce descalco descalza descalzo descama descamad descaman descamar
+descamas descame descamen descames descamo descampa descampe descampo descansaba descansaban
+descansabas descansad descansada descansadas descansado descansados descansais descansamos descansan
+descansara descansarais descansaran descansaras descansare descansareis descansaren descansares
+descansaria descansarian descansarias descansaron descansas descansase descansasen descansases
+descansaste descanseis descansemos descanses descansos descanta descantad descantan descantar
+descantas descante descantea descantee descanten descanteo descantes descanto descara descaraba
+descarada descarado descarais descaran descarar descarara descarare descaras descarase descare
+descareis descaren descares descargaba descargaban descargabas descargad descargada descargadas
+descargado descargador descargados descargais descargamos descargan descargando descargar descargara
+descargaran descargaras descargare descargaren descargares descargaria descargaron descargas
+descargase descargasen descargases descargaste descargo descargos descargue descarguen descargues
+descariña descariñe descariño descarna descarnad descarnan descarnar descarnas descarne descarnen
+descarnes descarno descaro descaroce descaros descaroza descarozo descarria descarrie descarrio
+descarta descartad descartan descartar descartas descarte descarten descartes descarto descas
+descasa descasad descasan descasar descasas descasca descasco descase descasen descases descaso
+descaspa descaspe descaspo descasta descaste descasto descayo descaña descañad descañan descañar
+descañas descañe descañen descañes descaño desceba descebad desceban descebar descebas descebe
+desceben descebes descebo descende descended descender descendes descendi descendia descendio
+descendir descension descensos descentra descentre descentro descepa descepad descepan descepar
+descepas descepe descepen descepes descepo descera descerad desceran descerar desceras descerca
+descerco descere desceren desceres descero descerra descerre descerro desceñi desceñia desceñid
+desceñir desceñis descifra descifraba descifraban descifrabas descifrable descifrad descifrada
+descifradas descifrado descifrador descifrados descifrais desciframos descifran descifrando
+descifrara descifrarais descifraran descifraras descifrare descifrareis descifraren descifrares
+descifraria descifrarian descifrarias descifraron descifras descifrase descifrasen descifrases
+descifraste descifre descifreis descifren descifres descifro desconoce desconoced desconoceis
+desconocen desconocer desconocera desconocere desconoces desconoci desconocia desconociais
+desconocian desconocias desconocidas desconociera desconociere desconociese desconocimos desconocio
+desconociste descria descriaba descriado descriais descrian descriar descriara descriare descrias
+descriase describa describais describan describas describe describen describes describi describia
+describiais describian describias describid describiera describiere describiese describimos
+describio describira describiran describiras describire describireis describiria describirian
+describirias describis describiste describo descrie descrieis descrien descries descrinar descrio
+descripcion descripta descripto descrisma descrisme descrismo descrita descritas descrito descritos
+descuaja descuaje descuajo descubierta descubiertas descubiertos descubra descubrais descubran
+descubras descubren descubres descubri descubria descubriais descubrian descubrias descubrid
+descubridor descubriendo descubriera descubrierais descubrieran descubrieras descubriere
+descubriereis descubrieren descubrieres descubriese descubriesen descubrieses descubrimientos
+descubrio descubrira descubriran descubriras descubrire descubrireis descubriria descubririan
+descubririas descubris descubriste descubro descuece descuecen descueces descuelga descuelgo
+descuella descuelle descuello descuenta descuentan descuentas descuente descuenten descuentes
+descuentos descuera descuerad descueran descuerar descueras descuerda descuerde descuerdo descuere
+descueren descueres descuerna descuerne descuerno descuero descueve descueves descueza descuezan
+descuezas descuezo descuidaba descuidaban descuidabas descuidad descuidada descuidadas descuidado
+descuidados descuidais descuidamos descuidan descuidando descuidar descuidara descuidaran
+descuidaras descuidare descuidaren descuidares descuidaria descuidaron descuidas descuidase
+descuidasen descuidases descuidaste descuide descuideis descuiden descuidera descuidero descuides
+descuido descuidos descula desculad desculan descular desculas descule desculen descules desculo
+descura descurta descurte descurti descurto desda desdaba desdad desdada desdado desdais desdan
+desdar desdara desdare desdas desdeci desdecia desdecid desdecir desdecis desdeis desdel desdemos
+desden desdende desdenes desdenta desdente desdento desdes desdeña desdeñad desdeñan desdeñar
+desdeñas desdeñe desdeñen desdeñes desdeño desdeños desdi desdice desdiga desdigo desdije desdijo
+desdio desdira desdire desdon desdora desdore desdoro desdoy dese deseabais deseabamos deseaban
+deseabas deseable deseables desead deseada deseadas deseador deseadora deseadoras deseadores
+deseados deseais deseara desearais desearan desearas deseare deseareis desearen deseares desearia
+desearian desearias desearon desease deseaseis deseasen deseases deseaste deseca desecad desecan
+desecar desecas desecha deseche desecho deseco deseeis deseemos deseen desees desella deselle
+desello desend deseosa deseosas deseoso deseosos deseque deserta deserte deserto deses desespera
+desesperaba desesperaban desesperabas desesperacion desesperad desesperadas desesperais desesperamos
+desesperan desesperance desesperando desesperante desesperanza desesperanzo desesperar desesperara
+desesperaran desesperaras desesperare desesperaren desesperares desesperaria desesperaron desesperas
+desesperase desesperasen desesperases desesperaste desespere desespereis desesperen desesperes
+desespero desesperos deseñar deseño desface desfaga desfago desfaja desfaje desfajo desfama desfame
+desfamo desfara desfare desfasa desfase desfaso desfaz desfear desfibra desfibre desfibro desfice
+desfija desfijad desfijan desfijar desfijas desfije desfijen desfijes desfijo desfila desfilaba
+desfilad desfilado desfilais desfilan desfilar desfilara desfilare desfilas desfilase desfileis
+desfilemos desfilen desfiles desfilo desfiuza desfizo desfoga desfogo desgraciaba desgraciaban
+desgraciabas desgraciad desgraciada desgraciadas desgraciadez desgraciais desgraciamos desgracian
+desgraciando desgraciar desgraciara desgraciaran desgraciaras desgraciare desgraciaren desgraciares
+desgraciaria desgraciaron desgracias desgraciase desgraciasen desgraciases desgraciaste desgracie
+desgracieis desgracien desgracies desgracio desgrada desgradad desgradan desgradar desgradas
+desgrade desgraden desgrades desgrado desgrama desgramad desgraman desgramar desgramas desgrame
+desgramen desgrames desgramo desgrana desgranad desgranan desgranar desgranas desgrance desgrane
+desgranen desgranes desgrano desgranza desgranzo desgrasa desgrasad desgrasan desgrasar desgrasas
+desgrase desgrasen desgrases desgraso desgrava desgravad desgravan desgravar desgravas desgrave
+desgraven desgraves desgravo deshace deshaced deshacedor deshaceis deshacemos deshacen deshaces
+deshacia deshacian deshacias deshaga deshagan deshagas deshago deshaldo deshara desharan desharas
+deshare desharia deshaz desierta desiertas desiertos desmama desmame desmamo desman desmana desmane
+desmano desmata desmate desmato desmaya desmaye desmayo desmaña desmaño desmedi desmela desmele
+desmelo desmida desmide desmido desmiga desmigo desmocar desmocha desmoche desmocho desmoga desmogad
+desmogan desmogar desmogas desmogo desmogue desmoler desmonta desmontad desmontan desmontar
+desmontas desmonte desmonten desmontes desmonto desmosta desmoste desmosto desmota desmotad desmotan
+desmotar desmotas desmote desmoten desmotes desmoto desmoña desmoñad desmoñan desmoñar desmoñas
+desmoñe desmoñen desmoñes desmoño desnata desnate desnato desnega desnego desneva desneve desnevo
+desniña desniñe desniño desnuca desnucad desnucan desnucar desnucas desnuco desnudaba desnudaban
+desnudabas desnudad desnudada desnudadas desnudado desnudador desnudados desnudais desnudamos
+desnudan desnudando desnudar desnudara desnudaran desnudaras desnudare desnudaren desnudares
+desnudaria desnudaron desnudas desnudase desnudasen desnudases desnudaste desnude desnudeis desnuden
+desnudes desnudez desnuque desnutra desnutre desnutri desnutro desordena desordenaba desordenad
+desordenada desordenado desordenais desordenan desordenar desordenara desordenare desordenas
+desordenase desordene desordeneis desordenen desordenes desordeno desoreja desoreje desorejo
+despacha despachaba despachad despachada despachado despachais despachan despachar despachara
+despachare despachas despachase despache despacheis despachen despachera despachero despaches
+despachos despaciosa despaciosas despacioso despaciosos despacito despagar despaja despajad despajan
+despajar despajas despaje despajen despajes despajo despajos despalda despalde despaldo despale
+despales despalma despalme despalmo despanca despanco despapa despapad despapan despapar despapas
+despape despapen despapes despapo desparar desparta desparte desparti desparto desparva desparve
+desparvo despasa despasad despasan despasar despasas despase despasen despases despaso despea
+despeaba despeado despeais despean despear despeara despeare despeas despease despece despecha
+despeche despecho despedace despedaza despedazo despedi despedia despediais despedian despedias
+despedid despedidas despedidos despedimos despedira despediran despediras despedire despedireis
+despediria despedirian despedirias despedis despediste despedra despedrad despedrar despedras
+despedre despedro despee despeeis despeen despees despega despegaba despegaban despegabas despegable
+despegad despegada despegadas despegado despegador despegados despegais despegamos despegan
+despegando despegara despegarais despegaran despegaras despegare despegareis despegaren despegares
+despegaria despegarian despegarias despegaron despegas despegase despegasen despegases despegaste
+despego despegos despegueis despeguemos despeguen despegues despeina despeine despeino despeja
+despejaba despejaban despejabas despejad despejada despejadas despejados despejais despejamos
+despejan despejando despejar despejara despejaran despejaras despejare despejaren despejares
+despejaria despejaron despejas despejase despejasen despejases despejaste despeje despejeis
+despejemos despejes despejo despejos despena despenad despenan despenar despenas despene despenen
+despenes despeno despensa despeo despeos desperada desperado desperar desperdicia desperdiciaba
+desperdiciaban desperdiciabas desperdiciad desperdiciada desperdiciadas desperdiciado desperdiciador
+desperdiciados desperdiciais desperdiciamos desperdician desperdiciando desperdiciara
+desperdiciarais desperdiciaran desperdiciaras desperdiciare desperdiciareis desperdiciaren
+desperdiciares desperdiciaria desperdiciarian desperdiciarias desperdiciaron desperdicias
+desperdiciase desperdiciasen desperdiciases desperdiciaste desperdicie desperdicieis desperdicien
+desperdicies desperdicios desperdiga desperdigad desperdigan desperdigar desperdigas desperdigo
+desperdigue desperece despereci despereza desperezo desperna despernad despernar despernas desperne
+desperno desperta despertaba despertaban despertabas despertad despertada despertadas despertador
+despertadora despertadoras despertadores despertados despertais despertamos despertando despertara
+despertarais despertaran despertaras despertare despertareis despertaren despertares despertaria
+despertarian despertarias despertaron despertas despertase despertasen despertases despertaste
+desperte desperteis desperteza desperto despesa despesar despesca despesco despeza despezad despezar
+despezas despezo despezos despeña despeñad despeñan despeñar despeñas despeñe despeñen despeñes
+despeño despeños despica despicad despican despicar despicas despicha despiche despicho despico
+despida despidais despidan despidas despide despiden despides despidida despidiendo despidiente
+despidiera despidierais despidieran despidieras despidiere despidiereis despidieren despidieres
+despidiese despidiesen despidieses despidio despidos despiece despiecen despieces despiedra
+despiedre despiedro despierna despiernan despiernas despierne despiernen despiernes despierno
+despiertan despiertas despiertes despiertos despieza despiezad despiezan despiezar despiezas
+despiezo despiezos despije despijes despince despinta despinte despinto despinza despinzo despioja
+despioje despiojo despiole despipe despipes despique despista despiste despisto despizca despizco
+despoja despoje despojo desposa despose desposo despota despoto desprecia despreciaba despreciabais
+despreciaban despreciabas despreciables despreciad despreciada despreciadas despreciado despreciador
+despreciados despreciais despreciamos desprecian despreciando despreciar despreciara despreciaran
+despreciaras despreciare despreciaren despreciares despreciaria despreciaron desprecias despreciase
+despreciasen despreciases despreciaste desprez despuebla despueble despueblo despueses despuesito
+despulpa despulpe despulpo despulsa despulse despulso despuma despumad despuman despumar despumas
+despume despumen despumes despumo despunta despunte despunto desta destaca destace destaco destaja
+destaje destajo destapa destape destapo destara destare destaro destaza destazo deste desteja
+desteje desteji destejo desteta destete desteto destez desteñi destila destilad destilan destilar
+destilas destile destilen destiles destilo destin destina destinaba destinaban destinabas destinad
+destinada destinadas destinados destinais destinamos destinan destinando destinar destinara
+destinaran destinaras destinare destinaren destinares destinaria destinaron destinas destinase
+destinasen destinases destinaste destine destineis destinen destines destinos destitui destiña
+destiñan destiñar destiñas destiñe destiñen destiñes destiño destiños desto destoca destoco destosa
+destose destosi destoso destraba destrabe destrabo destral destrama destrame destramo destreja
+destreje destrejo destrera destrero destreza destrice destripa destripe destripo destriza destrizo
+destroca destroce destroco destron destrona destrone destrono destroza destrozaba destrozaban
+destrozabas destrozad destrozada destrozadas destrozador destrozadora destrozadoras destrozadores
+destrozados destrozais destrozamos destrozan destrozando destrozar destrozara destrozaran
+destrozaras destrozare destrozaren destrozares destrozaria destrozaron destrozas destrozase
+destrozasen destrozases destrozaste destrozo destrozon destrozona destrozos destruccion destrueca
+destrueco destrui destruia destruiais destruian destruias destruible destruid destruidas destruidor
+destruidora destruidos destruimos destruira destruiran destruiras destruire destruireis destruiria
+destruirian destruirias destruis destruiste destruyais destruyamos destruyan destruyas destruyen
+destruyera destruyerais destruyeran destruyeras destruyere destruyereis destruyeren destruyeres
+destruyes destruyese destruyesen destruyeses destruyo destupa destupe destupi destupo destusa
+destuse destuso detal detales detall detalla detallaba detallad detallada detallado detallais
+detallan detallar detallara detallare detallas detallase detalleis detallemos detallen detallo
+detasa detasas detecta detectaba detectad detectada detectado detectais detectan detectar detectara
+detectare detectas detectase detecte detecteis detecten detectes detectivesca detectivescas
+detectivesco detectivescos detecto detector deten detencion detendra detendran detendras detendre
+detendreis detendria detendrian detendrias detene detened detenedor deteneis detenemos detenes
+detengais detengamos detengo detenia deteniais detenian detenias detenida detenidas detenidos
+detenta detentaba detentad detentada detentado detentais detentan detentar detentara detentare
+detentas detentase detenteis detentemos detenten detentes detento deterge detergi deterja deterjo
+determina determinaba determinaban determinabas determinable determinad determinada determinadas
+determinados determinais determinamos determinan determinando determinante determinara determinarais
+determinaran determinaras determinare determinareis determinaren determinares determinaria
+determinarian determinarias determinaron determinas determinase determinasen determinases
+determinaste determine determineis determinen determines determino detesta detestaba detestad
+detestada detestado detestais detestan detestar detestara detestare detestas detestase deteste
+detesteis detesten detestes detienen detienes detrae detraed detraeis detraen detraer detraera
+detraere detraes detraia detraian detraias detraida detraido detraiga detraigo detraje detrajo
+detrito deturpa deturpe deturpo detuve deudo deudor deudora deudos deudosa deudoso devolvais devolve
+devolved devolveis devolvemos devolvera devolveran devolveras devolvere devolvereis devolveria
+devolverian devolverias devolves devolvi devolvia devolvian devolvias devolvio devuelta devueltas
+devuelto devueltos devuelvan devuelvas devuelven devuelves dextro dextros diabasa diabetica
+diabetico diabeto diabetos diabla diablada diablado diablas diablea diablead diablean diablear
+diableas diablee diableen diablees diableo diablero diablesa diablito diablura diabolo diamanta
+diamantaba diamantad diamantada diamantado diamantais diamantan diamantar diamantara diamantare
+diamantas diamantase diamanteis diamantemos diamanten diamantina diamantino diamanto dianas dianche
+diandra diandro dianense diantre diarera diarero diaria diarias diariera diariero diarismo diarista
+diarrea diasen diaspro dibuja dibujaba dibujaban dibujabas dibujad dibujada dibujadas dibujado
+dibujador dibujados dibujais dibujamos dibujan dibujando dibujante dibujara dibujarais dibujaran
+dibujaras dibujare dibujareis dibujaren dibujares dibujaria dibujarian dibujarias dibujaron dibujas
+dibujase dibujasen dibujases dibujaste dibuje dibujeis dibujen dibujes dicente dicentes diceres
+dichas dichera dichero dicheya dichos dichosa dichosas dichoso dichosos diciembres diciente
+dicientes diegos dienta dientan dientas dientazo dienten diento dienton dientona dientuda dientudo
+dierais dieramos dieras diere diereis dieren dieres dietaba dietaban dietabas dietad dietada
+dietadas dietado dietados dietais dietamos dietan dietando dietar dietara dietaran dietaras dietare
+dietaren dietares dietaria dietario dietaron dietas dietase dietasen dietases dietaste diete dieteis
+dieten dietes dieto diezma diezmad diezmal diezman diezmar diezmas diezme diezmen diezmes diezmo
+diezmos diferecer diferenciaba diferenciaban diferenciabas diferenciad diferenciada diferenciadas
+diferenciado diferenciador diferenciados diferenciais diferencial diferenciales diferenciamos
+diferencian diferenciando diferenciar diferenciara diferenciaran diferenciaras diferenciare
+diferenciaren diferenciares diferenciaria diferenciaron diferenciase diferenciaseis diferenciasen
+diferenciases diferenciaste diferencie diferencieis diferencien diferencies diferencio diferendo
+diferendos dificiles dificulta dificultaba dificultaban dificultabas dificultada dificultadas
+dificultado dificultador dificultadora dificultados dificultais dificultamos dificultan dificultando
+dificultar dificultara dificultaran dificultaras dificultare dificultaren dificultares dificultaria
+dificultaron dificultas dificultase dificultasen dificultases dificultaste dificulte dificulteis
+dificulten dificultes dificulto dificultosa dificultoso difiera difiere difiero difila difilas
+difilo difilos difinir difirio digais digamma digammas digiera digiere digiero digirio digita
+digitaba digitaban digitabas digitad digitada digitadas digitado digitador digitados digitais
+digitalice digitalina digitaliza digitalizo digitamos digitan digitando digitar digitara digitaran
+digitaras digitare digitaren digitares digitaria digitaron digitas digitase digitasen digitases
+digitaste digite digiteis digiten digites digito digitos digna dignaba dignado dignais dignan dignar
+dignara dignare dignas dignase digne digneis dignen dignes dignidades dignos dijerais dijeramos
+dijeran dijere dijereis dijeren dijeres dijes dijese dijesen dijeses dijisteis dilecta dilecto
+dilema dilemas dilogia dimen dimero dimeros dimes dimetro dimo dimorfa dimorfo dinamia dinamias
+dinamica dinamicas dinamice dinamicen dinamices dinamico dinamicos dinamismo dinamista dinamitaba
+dinamitaban dinamitabas dinamitad dinamitada dinamitadas dinamitado dinamitados dinamitais
+dinamitamos dinamitan dinamitando dinamitar dinamitara dinamitaran dinamitaras dinamitare
+dinamitaren dinamitares dinamitaria dinamitaron dinamitas dinamitase dinamitasen dinamitases
+dinamitaste dinamitazo dinamitazos dinamite dinamiteis dinamiten dinamitera dinamitero dinamites
+dinamito dinamiza dinamizad dinamizan dinamizar dinamizas dinamizo dinamo dinamos dinerada dineral
+dineros dinerosa dinerosas dineroso dinerosos dines dino diosas diosma diosmas dioso direccion
+direccional directas directe directiva directivo directoral directorales directoras directoria
+directorias directorio directorios directos directriz direis diria diriais dirian dirias dirigencia
+dirigente dirigentes diriges dirigi dirigia dirigiais dirigian dirigias dirigible dirigid dirigida
+dirigidas dirigido dirigidos dirigiera dirigiere dirigiese dirigio dirigira dirigiran dirigiras
+dirigire dirigireis dirigiria dirigirian dirigirias dirigis dirigismo dirigista dirigiste dirija
+dirijais dirijan dirijas dirima diriman dirimas dirime dirimen dirimes dirimi dirimia dirimid
+dirimio dirimir dirimis dirimo disca discaba discad discada discado discais discal discan discar
+discara discare discas discase disciplinaba disciplinaban disciplinabas disciplinable disciplinad
+disciplinada disciplinadas disciplinado disciplinados disciplinais disciplinal disciplinales
+disciplinamos disciplinan disciplinando disciplinante disciplinar disciplinara disciplinaran
+disciplinaras disciplinare disciplinaren disciplinares disciplinaria disciplinario disciplinaron
+disciplinas disciplinase disciplinasen disciplinases disciplinaste disciplinazo disciplinazos
+discipline disciplineis disciplinen disciplines disciplino discola discolas discolo discolor
+discolos discorda discorde discordo discrecion disculpaba disculpaban disculpabas disculpable
+disculpad disculpada disculpadas disculpado disculpados disculpais disculpamos disculpando disculpar
+disculpara disculparais disculparan disculparas disculpare disculpareis disculparen disculpares
+disculparia disculparian disculparias disculparon disculpase disculpaseis disculpasen disculpases
+disculpaste disculpeis disculpemos disculpes discurra discurran discurras discurre discurren
+discurres discurri discurria discurrid discurrio discurrir discurris discurro discursa discursaba
+discursad discursada discursado discursais discursan discursar discursara discursare discursas
+discursase discurse discursea discursead discursean discursear discurseas discursee discurseen
+discursees discurseis discursen discurseo discursera discursero discurses discursiva discursivo
+discursos discusion discusiva discusivas discusivo discusivos discuta discutais discutan discutas
+discute discuten discutes discuti discutia discutiais discutian discutias discutible discutid
+discutida discutidas discutido discutidor discutidos discutiera discutieran discutieras discutiere
+discutieren discutieres discutieron discutiese discutiesen discutieses discutio discutira discutiran
+discutiras discutire discutireis discutiria discutirian discutirias discutis discutiste discuto
+diseca disecad disecan disecar disecas diseco disenso disenti diseque diserta diserte diserto diseña
+diseñaba diseñaban diseñabas diseñad diseñada diseñadas diseñador diseñadora diseñadoras diseñadores
+diseñados diseñais diseñamos diseñan diseñando diseñar diseñara diseñaran diseñaras diseñare
+diseñaren diseñares diseñaria diseñaron diseñas diseñase diseñasen diseñases diseñaste diseñe
+diseñeis diseñen diseñes diseños disfrace disfraceis disfracemos disfracen disfraza disfrazaba
+disfrazad disfrazada disfrazado disfrazais disfrazan disfrazar disfrazara disfrazare disfrazas
+disfrazase disfrazo disfrez disfrutaba disfrutaban disfrutabas disfrutad disfrutada disfrutadas
+disfrutado disfrutados disfrutais disfrutamos disfrutan disfrutara disfrutarais disfrutaran
+disfrutaras disfrutare disfrutareis disfrutaren disfrutares disfrutaria disfrutarian disfrutarias
+disfrutaron disfrutas disfrutase disfrutasen disfrutases disfrutaste disfruteis disfrutemos
+disfrutes disfuma disfume disfumo dispar disparaba disparaban disparabas disparad disparada
+disparadas disparadero disparador disparadora disparadoras disparadores disparados disparais
+disparamos disparara dispararais dispararan dispararas disparare disparareis dispararen disparares
+dispararia dispararian dispararias disparase disparaseis disparasen disparases disparasteis
+disparata disparatad disparatan disparatar disparatas disparate disparaten disparates disparato
+dispareis dispareja disparejas disparejo disparejos disparemos display dispon dispone disponia
+disponiais disponian disponias disponibles disposicion dispositiva dispositivas dispositivos
+dispuestas dispuse dispuso disputa dispute disputo dista distaba distad distado distais distal
+distan distanciaba distanciaban distanciabas distanciad distanciada distanciadas distanciado
+distanciador distanciados distanciais distanciamos distancian distanciando distanciar distanciara
+distanciaran distanciaras distanciare distanciaren distanciares distanciaria distanciaron distancias
+distanciase distanciasen distanciases distanciaste distancie distancieis distancien distancies
+distancio distando distante distantes distar distara distare distas distase disteis distemos disten
+distende distendi distes distica disticas distico disticos distilar distinga distingan distingas
+distingo distingos distingue distingui distintiva distintivo disto distomo distraccion distrae
+distraed distraen distraer distraes distraia distraje distrajo distribui distritos disturba
+disturbaba disturbad disturbada disturbado disturbais disturban disturbar disturbara disturbare
+disturbas disturbase disturbe disturbeis disturben disturbes disturbio disturbo diversa diversas
+diversidad diversion diversiva diversivas diversivo diversivos diverso diversos diverti divertia
+divertiais divertian divertias divertid divertidas divertidos divertimos divertir divertira
+divertiran divertiras divertire divertireis divertiria divertirian divertirias divertis divertiste
+divida dividan dividas divide dividen divides dividi dividia dividid dividio dividir dividis divido
+divierta diviertan diviertas divierten diviertes divierto divieso diviesos divinaba divinaban
+divinabas divinad divinada divinadas divinado divinador divinados divinais divinal divinales
+divinamos divinan divinando divinar divinara divinaran divinaras divinare divinaren divinares
+divinaria divinaron divinas divinase divinasen divinases divinaste divine divineis divinen divines
+divinice diviniza divinizo divinos divirtiera divirtieran divirtieras divirtiere divirtieren
+divirtieres divirtieron divirtiese divirtiesen divirtieses divisa divisaba divisad divisada divisado
+divisais divisan divisar divisara divisare divisas divisase divise diviseis divisen divises
+divisible division divisiva divisivas divisivo divisivos divismo divismos diviso divisor divisora
+divorcia divorciaba divorciad divorciada divorciado divorciais divorcian divorciar divorciara
+divorciare divorcias divorciase divorcie divorcieis divorcien divorcies divorcios doblaba doblaban
+doblabas doblad doblada dobladas doblado doblador doblados doblais doblaje doblajes doblamos doblan
+doblando doblara doblarais doblaran doblaras doblare doblareis doblaren doblares doblaria doblarian
+doblarias doblaron doblas doblase doblasen doblases doblaste dobleces doblega doblegad doblegan
+doblegar doblegas doblego doblegue dobleis doblemos doblen dobleria doblero dobleros dobles doblete
+dobletes doblez doblo doblon doblos doceava doceavo docenal docenales docenaria docenario docencia
+doceno docenos docente docentes doces doceta docetas doceñal docta doctas docto doctoraba doctoraban
+doctorabas doctorad doctorada doctoradas doctorado doctorados doctorais doctoral doctorales
+doctoramos doctoran doctoranda doctorando doctorar doctorara doctoraran doctoraras doctorare
+doctoraren doctorares doctoraria doctoraron doctoras doctorase doctorasen doctorases doctoraste
+doctore doctoreis doctoremos doctoren doctoro doctos documenta documentaba documentaban documentabas
+documentad documentada documentadas documentado documentados documentais documentales documentamos
+documentan documentando documentar documentara documentaran documentaras documentare documentaren
+documentares documentaria documentario documentaron documentas documentase documentasen documentases
+documentaste documente documenteis documenten documentes dola dolaba dolaban dolabas dolad dolada
+doladas dolado dolador dolados dolais dolaje dolajes dolama dolamas dolame dolames dolamos dolando
+dolar dolara dolarais dolaran dolaras dolare dolareis dolaremos dolaren dolaria dolarian dolarias
+dolarice dolariza dolarizo dolaron dolas dolase dolasen dolases dolaste dole doled doleis dolemos
+dolera doleran doleras dolere dolereis doleria dolerian dolerias doles doli dolia doliais dolian
+dolias dolida dolidas dolido dolidos doliera doliere doliese dolimos dolio doliste dolo dolobre
+dolomia dolope dolopes dolora doloras dolorida dolorido dolorosa dolorosas dolorosos dolos dolosa
+dolosas doloso dolosos domina dominaba dominaban dominabas dominad dominada dominadas dominado
+dominador dominados dominais dominamos dominan dominando dominante dominara dominarais dominaran
+dominaras dominare dominareis dominaren dominares dominaria dominarian dominarias dominaron dominas
+dominase dominasen dominases dominaste domine domineis dominen domines domingada dominica dominical
+dominicas dominico dominicos dominios dominiques dominiquesa dominiquesas dominiqueses domino
+dominos dona donaba donaban donabas donad donada donadas donadio donado donador donados donaire
+donais donamos donan donando donante donar donara donaran donaras donare donaren donares donaria
+donaron donas donase donasen donases donaste doncel donceles doncellas doncellez doncellil dond dora
+doraba doraban dorabas dorace doraces dorad dorada doradas dorador doradores dorados doradura dorais
+doral dorales doramos doran dorando dorar dorara doraran doraras dorare doraren dorares doraria
+doraron doras dorase dorasen dorases doraste doria dorias dorica doricas dorico doricos dorio dorios
+dorman dormi dormia dormiais dormian dormias dormid dormidas dormidera dormidero dormidor dormidora
+dormidoras dormidores dormidos dormilon dormimos dormira dormiran dormiras dormire dormireis
+dormiria dormirian dormirias dormirlas dormis dormisteis dormita dormitad dormitan dormitar dormitas
+dormite dormiten dormites dormito dormitorios doscientas dosillo draga dragaba dragad dragada
+dragado dragais dragan dragar dragara dragare dragas dragase dragea drago dragon dragona dragos
+drague draguen dragues dramas dramon drogaba drogaban drogabas drogad drogada drogadas drogados
+drogais drogamos drogan drogando drogar drogara drogaran drogaras drogare drogaren drogares drogaria
+drogaron drogase drogaseis drogasen drogases drogaste drogata drogatas drogman drogo drogota drogue
+droguen drogues duchaba duchaban duchabas duchad duchada duchadas duchado duchados duchais duchamos
+duchan duchando duchar duchara ducharan ducharas duchare ducharen duchares ducharia ducharon duchas
+duchase duchasen duchases duchaste duchazo duchazos duche ducheis duchen duchero duches ducho duchos
+dudaba dudaban dudabas dudable dudad dudada dudadas dudado dudados dudais dudamos dudan dudando
+dudanza dudara dudarais dudaran dudaras dudare dudareis dudaren dudares dudaria dudarian dudarias
+dudaron dudase dudaseis dudasen dudases dudaste dudeis dudemos duden dudes dudosa dudosas dudoso
+dudosos duela duelaje duelan duelas duelero dueleros dueles duelos duenda duendas duendes duendo
+duendos duerman duerna duernas duerno duernos dueñas dulcera dulceras dulceria dulcero dulceros
+dulceza dulzal dulzon dulzona dulzor dulzora dulzore dulzoro dulzuda dulzudas dulzudo dulzudos
+dulzurar dulzuras duques duquesa duquesas duraba duraban durabas durable durad durado durador durais
+duramen duramos durando durandos durara durarais duraran duraras durare durareis duraren durares
+duraria durarian durarias duraron durase duraseis durasen durases duraste durazno durañon durmais
+durmiente durmientes durmiera durmieran durmieras durmiere durmieren durmieres durmieron durmiese
+durmiesen durmieses durmio ebria ebrias ebrios ebriosa ebriosas ebrioso ebriosos echaba echaban
+echabas echad echada echadas echadera echadero echadiza echadizo echador echadora echadoras
+echadores echados echadura echais echan echara echarais echaran echaras echare echareis echaren
+echares echaria echarian echarias echarpe echarpes echase echaseis echasen echases echaste echazon
+echeis echemos echona echonas economato economia economias economica economice economico economiza
+economizo economo economos edades edicion edicto edictos ediculo edifica edificaba edificad
+edificada edificado edificais edifican edificar edificara edificare edificas edificase edifico
+edifique edita editaba editad editada editado editais editan editar editara editare editas editase
+edite editeis editen edites edito editora editoras editores editorial educa educaba educaban
+educabas educable educacion educad educada educadas educador educadora educadoras educadores
+educados educais educamos educan educanda educando educar educara educaran educaras educare educaren
+educares educaria educaron educas educase educasen educases educaste educe educen educes educi
+educia educian educias educid educida educido educir educira educire educis educo efectismo
+efectista efectiva efectivaba efectivad efectivada efectivado efectivais efectivan efectivar
+efectivara efectivare efectivas efectivase efective efectiveis efectiven efectives efectivos efector
+efectora efectoras efectores efectua efectuad efectuan efectuar efectuas efectue efectuen efectues
+efectuo egipan egipcia egipcio egiptana egiptano einstenio ejecucion ejecuta ejecutaba ejecutaban
+ejecutabas ejecutable ejecutad ejecutada ejecutadas ejecutado ejecutados ejecutais ejecutamos
+ejecutan ejecutando ejecutante ejecutara ejecutarais ejecutaran ejecutaras ejecutare ejecutareis
+ejecutaren ejecutares ejecutaria ejecutarian ejecutarias ejecutaron ejecutas ejecutase ejecutasen
+ejecutases ejecutaste ejecute ejecuteis ejecuten ejecutes ejecutiva ejecutivas ejecutivos ejecuto
+ejecutor ejecutora ejem ejempla ejemplaba ejemplad ejemplada ejemplado ejemplais ejemplan ejemplar
+ejemplara ejemplare ejemplas ejemplase ejemple ejempleis ejemplen ejemples ejemplos ejerce ejerced
+ejerceis ejercen ejercer ejercera ejercere ejerces ejerci ejercia ejerciais ejercian ejercias
+ejercida ejercidas ejercido ejercidos ejerciera ejerciere ejerciese ejercimos ejercio ejerciste
+ejercita ejercitaba ejercitad ejercitada ejercitado ejercitais ejercitan ejercitar ejercitara
+ejercitare ejercitas ejercitase ejercite ejerciteis ejerciten ejercites ejercitos eleccion
+electricidades electricista elefancia elefanta elefantas elefantes elefantina elefantino elega
+elegancia elegantea eleganteaba elegantead eleganteada eleganteado eleganteais elegantean elegantear
+eleganteara eleganteare eleganteas elegantease elegantee eleganteeis eleganteen elegantees eleganteo
+elegantes elegantice elegantiza elegantizo elegantosa elegantoso elegas elegi elegia elegiaca
+elegiaco elegiais elegian elegias elegible elegid elegida elegidas elegidor elegidos elegimos elegio
+elegira elegiran elegiras elegire elegireis elegiria elegirian elegirias elegis elegisteis elego
+elegos elementada elementado elemental elementar elenco elencos eleva elevaba elevaban elevabas
+elevable elevad elevada elevadas elevado elevadora elevadoras elevadores elevados elevais elevamos
+elevan elevando elevar elevara elevaran elevaras elevare elevaren elevares elevaria elevaron elevas
+elevase elevasen elevases elevaste eligen eligible eligiera eligiere eligiese eligio eligir elimina
+eliminaba eliminaban eliminabas eliminad eliminada eliminadas eliminador eliminadora eliminadoras
+eliminadores eliminados eliminais eliminamos eliminan eliminando eliminara eliminarais eliminaran
+eliminaras eliminare eliminareis eliminaren eliminares eliminaria eliminarian eliminarias eliminaron
+eliminas eliminase eliminasen eliminases eliminaste elimine elimineis eliminen elimines elimino
+elles embace embacen embaces embacha embache embacho embai embaia embaian embaias embaid embaida
+embaido embair embaira embaire embais embajadas embajadora embajadoras embajadores embajo embala
+embalad embalan embalar embalas embale embalen embales embalo embalos embalsa embalse embalso
+embanca embanco embarace embaracen embaraces embaraja embarajad embarajan embarajar embarajas
+embaraje embarajen embarajes embarajo embaraza embarazaba embarazaban embarazabas embarazad
+embarazadas embarazado embarazador embarazadora embarazados embarazais embarazamos embarazan
+embarazando embarazar embarazara embarazaran embarazaras embarazare embarazaren embarazares
+embarazaria embarazaron embarazas embarazase embarazasen embarazases embarazaste embarazos
+embarazosa embarazosas embarazoso embarazosos embarca embarcad embarcan embarcar embarcas embarco
+embarcos embarda embardad embardan embardar embardas embarde embarden embardes embardo embarga
+embargaba embargad embargada embargado embargais embargan embargar embargara embargare embargas
+embargase embargos embargosa embargoso embargue embarguen embargues embarque embarra embarrad
+embarran embarrar embarras embarre embarren embarres embarria embarrie embarrio embarro embasta
+embaste embasto embate embates embatir embauca embauco embaula embaule embaulo embaza embazad
+embazan embazar embazas embazo embosca emboscaba emboscaban emboscabas emboscad emboscadas emboscado
+emboscados emboscadura emboscais emboscamos emboscan emboscando emboscar emboscara emboscaran
+emboscaras emboscare emboscaren emboscares emboscaria emboscaron emboscas emboscase emboscasen
+emboscases emboscaste embosco emergen emergente emergentes emocion emociona emocionaba emocionaban
+emocionabas emocionable emocionad emocionada emocionadas emocionados emocionais emocionales
+emocionamos emocionan emocionando emocionantes emocionar emocionara emocionaran emocionaras
+emocionare emocionaren emocionares emocionaria emocionaron emocionas emocionase emocionasen
+emocionases emocionaste emocione emocioneis emocionemos emocionen emociono empaca empacaba empacaban
+empacabas empacad empacada empacadas empacado empacador empacados empacais empacamos empacan
+empacando empacara empacarais empacaran empacaras empacare empacareis empacaren empacares empacaria
+empacarian empacarias empacaron empacarse empacas empacase empacasen empacases empacaste empacha
+empachad empachan empachar empachas empache empachen empaches empacho empachos empaco empacon
+empacona empadra empadre empadro empaja empajad empajan empajar empajas empaje empajen empajes
+empajo empala empalad empalan empalar empalas empale empalen empales empalma empalme empalmo empalo
+empampa empampe empampo empana empanad empanan empanar empanas empance empanda empande empando
+empane empanen empanes empano empanza empanzo empapa empapad empapan empapar empapas empape empapen
+empapes empapo empaque emparda emparde empardo emparra emparre emparro emparva emparve emparvo
+empasta empaste empasto empata empatad empatan empatar empatas empate empaten empates empatia empato
+empatos empava empavad empavan empavar empavas empave empaven empaves empavo empaña empañad empañan
+empañar empañas empañe empañen empañes empaño empece empecedor empeceis empecen empecer empecera
+empeceran empeceria empechar empecia empecian empecina empecine empecino empecio empeda empedan
+empedar empedas empede empeden empedes empedo empedra empedre empedro empega empegad empegan empegar
+empegas empego empegos empegue empeine empela empelad empelan empelar empelas empele empelen empeles
+empella empelle empelli empello empelo empelte empenta empente empento empeora empeoraba empeoraban
+empeorabas empeorad empeorada empeoradas empeorado empeorados empeorais empeoramos empeoran
+empeorando empeorara empeorarais empeoraran empeoraras empeorare empeorareis empeoraren empeorares
+empeoraria empeorarian empeorarias empeoraron empeoras empeorase empeorasen empeorases empeoraste
+empeore empeoreis empeoren empeores empeoro empepa empepan empepar empepas empepe empepen empepes
+empepo emperadora emperadoras emperadores emperna emperne emperno empero emperra emperre emperro
+empesga empesgo empetro empeza empezabais empezabamos empezaban empezabas empezad empezada empezadas
+empezados empezais empezara empezarais empezaran empezaras empezare empezareis empezaren empezares
+empezaria empezarian empezarias empezas empezase empezaseis empezasen empezases empezasteis empezca
+empezcan empezo empeña empeñad empeñan empeñar empeñas empeñe empeñen empeñes empeño empeños empica
+empican empicar empicas empicha empiche empicho empico empiedra empiedre empiedro empiema empiemas
+empiezos empila empilad empilan empilar empilas empile empilen empiles empilo empina empinad empinan
+empinar empinas empine empinen empines empino empinos empiola empiole empiolo empipa empipan empipar
+empipas empipe empipen empipes empipo empique empirea empireo emplace emplaza emplazo emplea
+empleaba empleaban empleabas emplead empleada empleadas empleador empleadora empleadoras empleadores
+empleais empleamos emplean empleando emplear empleara emplearan emplearas empleare emplearen
+empleares emplearia emplearon empleas emplease empleasen empleases empleaste emplee empleeis empleen
+emplees empleita empleite empleito emplenta emploma emplome emplomo empluma emplume emplumo empra
+empraba emprad emprada emprado emprais empran emprar emprara emprare empras emprase empre empreis
+empremos empren emprenda emprende emprendi emprendo emprenta empres empresaria empresario empresta
+emprestad emprestan emprestar emprestas empreste empresten emprestes empresto empreña empreñad
+empreñan empreñar empreñas empreñe empreñen empreñes empreño emprima emprime emprimo empro empucha
+empuche empucho empujaba empujaban empujabas empujad empujada empujadas empujado empujador empujados
+empujais empujamos empujan empujando empujar empujara empujaran empujaras empujare empujaren
+empujares empujaria empujaron empujas empujase empujasen empujases empujaste empujeis empujemos
+empujen empujes empujo empujon empulga empulgo empunta empunte empunto empura empurad empuran
+empurar empuras empure empuren empures empuro empurra empurre empurro emputa emputan emputar emputas
+empute emputen emputes emputo empuyar empuña empuñad empuñan empuñar empuñas empuñe empuñen empuñes
+empuño enamora enamoraba enamoraban enamorabas enamorad enamoradas enamoradiza enamoradizo
+enamorador enamoradora enamoradoras enamoradores enamorais enamoramos enamoran enamorando enamorar
+enamorara enamoraran enamoraras enamorare enamoraren enamorares enamoraria enamoraron enamoras
+enamorase enamorasen enamorases enamoraste enamore enamoreis enamoren enamores enamorica enamorico
+enamoro enana enanar enanas enanca enancan enancar enancas enance enancen enances enancha enanche
+enancho enanco enanque enante enantes enanza enanzad enanzan enanzar enanzas enanzo encaba encabad
+encaban encabar encabas encabe encaben encabes encabo encacha encache encacho encada encadan encadar
+encadas encade encaden encades encado encajaba encajaban encajabas encajad encajada encajadas
+encajado encajador encajados encajais encajamos encajan encajando encajar encajara encajaran
+encajaras encajare encajaren encajares encajaria encajaron encajas encajase encajasen encajases
+encajaste encaje encajeis encajen encajera encajere encajero encajes encajo encajona encajone
+encajono encajosa encajoso encala encalad encalan encalar encalas encalca encalco encale encalen
+encales encalla encalle encallo encalma encalme encalmo encalo encalos encama encamad encaman
+encamar encamas encame encamen encames encamo encana encanaba encanad encanada encanado encanais
+encanala encanale encanalo encanan encanar encanara encanare encanas encanase encane encanece
+encaneci encaneis encanen encanes encanija encanije encanijo encano encantabais encantabamos
+encantaban encantabas encantad encantadas encantadera encantadoras encantadores encantados encantais
+encantamos encantando encantara encantaraba encantarad encantarada encantarado encantarais
+encantaran encantarar encantarara encantarare encantaras encantarase encantare encantareis
+encantaren encantares encantaria encantarian encantarias encantaro encantaron encantas encantase
+encantasen encantases encantaste encante encanteis encanten encantes encantorio encantos encantusa
+encantuse encantuso encanuta encanute encanuto encapa encapad encapan encapar encapas encape encapen
+encapes encapo encara encaraba encarad encarada encarado encarais encarama encarame encaramo encaran
+encarar encarara encarare encaras encarase encare encarece encareci encareis encaren encares encarga
+encargaba encargaban encargabas encargad encargada encargadas encargados encargais encargamos
+encargan encargando encargar encargara encargarais encargaran encargaras encargare encargareis
+encargaren encargares encargaria encargarian encargarias encargaron encargas encargase encargasen
+encargases encargaste encargos encargueis encarguemos encarguen encargues encariña encariñe encariño
+encarna encarnad encarnan encarnar encarnas encarne encarnen encarnes encarno encaro encaros encarta
+encartad encartan encartar encartas encarte encarten encartes encarto encasa encasad encasan encasar
+encasas encasca encasco encase encasen encases encaso encasta encaste encasto encauce encausa
+encause encauso encauza encauzo encava encavan encavar encavas encave encaven encaves encavo encaña
+encañad encañan encañar encañas encañe encañen encañes encaño encenaga encenago encendais encendaja
+encende encended encendedora encendedoras encendedores encendeis encendemos encendera encenderan
+encenderas encendere encendereis encenderia encenderian encenderias encendes encendi encendia
+encendiais encendian encendias encendidas encendidos encendiera encendiere encendiese encendimos
+encendio encendiste encendra encendrad encendran encendrar encendras encendre encendren encendres
+encendro encenega encenego encenice enceniza encenizo encenta encentad encentan encentar encentas
+encente encenten encentes encento encentra encentre encentro encerra encerraba encerraban encerrabas
+encerrad encerrada encerradas encerradero encerrador encerradora encerradoras encerradores
+encerrados encerradura encerrais encerramos encerrando encerrar encerrara encerraran encerraras
+encerrare encerraren encerrares encerraria encerraron encerras encerrase encerrasen encerrases
+encerraste encerre encerreis encerrice encerriza encerrizo encerro encerrona encia encias enciela
+encielad encielan encielar encielas enciele encielen encieles encielo encienda enciendan enciendas
+encienden enciendes enciendo encienso encierra encierre encierro encimaba encimaban encimabas
+encimad encimada encimadas encimado encimados encimais encimamos enciman encimando encimar encimara
+encimaran encimaras encimare encimaren encimares encimaria encimaron encimas encimase encimasen
+encimases encimaste encime encimeis encimen encimera encimero encimes encimo encina encinal encinar
+encinas encino encinos encinta encinte encinto encisma encisme encismo enciso encisos encitar encona
+enconaba enconad enconada enconado enconais enconan enconar enconara enconare enconas enconase
+enconcha enconche enconcho encone enconeis enconen encones enconia encono enconos enconosa enconoso
+enconrea enconree enconreo encontila encontile encontilo encontra encontrabais encontrabamos
+encontraban encontrabas encontrad encontradas encontradiza encontradizo encontrados encontrais
+encontrando encontrarais encontraramos encontraran encontraras encontrare encontrareis encontraren
+encontrares encontraria encontrarian encontrarias encontras encontrase encontraseis encontrasen
+encontrases encontrasteis encontreis encontro encontron encubierta encubiertas encubiertos
+encuentros enema enemas enemiga enemigable enemigar enemista enemiste enemisto energias energica
+energicas energice energicen energices energico energicos energiza energizad energizan energizar
+energizas energizo enerice eneriza enerizo eneros enertar enerva enervad enervan enervar enervas
+enerve enerven enerves enervo enfada enfadaba enfadaban enfadabas enfadad enfadadas enfadadiza
+enfadadizo enfadados enfadais enfadamos enfadan enfadando enfadar enfadara enfadaran enfadaras
+enfadare enfadaren enfadares enfadaria enfadaron enfadas enfadase enfadasen enfadases enfadaste
+enfade enfadeis enfaden enfades enfado enfados enfadosa enfadoso enfermaba enfermaban enfermabas
+enfermad enfermada enfermadas enfermado enfermados enfermais enfermamos enferman enfermando enfermar
+enfermara enfermaran enfermaras enfermare enfermaren enfermares enfermaria enfermaron enfermas
+enfermase enfermasen enfermases enfermaste enferme enfermeis enfermemos enfermen enfermeria
+enfermerias enfermero enfermeros enfermes enfermiza enfermizo enfermosa enfermosas enfermoso
+enfermosos enfeuda enfeude enfeudo enfoca enfocad enfocan enfocar enfocas enfoco enfogar enfoqueis
+enfoquemos enfoquen enfoques enforro enfosca enfosco enfota enfotan enfotar enfotas enfote enfoten
+enfotes enfoto enfrena enfrenaba enfrenad enfrenada enfrenado enfrenais enfrenan enfrenar enfrenara
+enfrenare enfrenas enfrenase enfrene enfreneis enfrenen enfrenes enfreno enfrenon enfrentaba
+enfrentaban enfrentabas enfrentad enfrentada enfrentadas enfrentado enfrentados enfrentais enfrentan
+enfrentando enfrentara enfrentarais enfrentaran enfrentaras enfrentare enfrentareis enfrentaren
+enfrentares enfrentaria enfrentarian enfrentarias enfrentaron enfrentas enfrentase enfrentasen
+enfrentases enfrentaste enfrenteis enfrentemos enfrenten enfrentes enfrento engace engacen engaces
+engafa engafad engafan engafar engafas engafe engafen engafes engafo engaita engaite engaito engalga
+engalgo engalia engalie engalio engalla engalle engallo engarba engarbe engarbo engarce engarma
+engarme engarmo engarra engarre engarro engarza engarzo engasga engasgo engasta engaste engasto
+engata engatad engatan engatar engatas engate engaten engates engato engavia engavie engavio engaza
+engazad engazan engazar engazas engazo engaña engañaba engañaban engañabas engañad engañada
+engañadas engañadiza engañadizo engañador engañadora engañadoras engañadores engañados engañais
+engañamos engañan engañara engañarais engañaran engañaras engañare engañareis engañaren engañares
+engañaria engañarian engañarias engañaron engañas engañase engañasen engañases engañaste engañe
+engañeis engañen engañes engañifa engaños engañosa engañosas engañoso engañosos enhorabuenas enigmas
+enlabia enlabie enlabio enlaceis enlacemos enlacen enlaces enlacia enlaciad enlacian enlaciar
+enlacias enlacie enlacien enlacies enlacio enlama enlamad enlaman enlamar enlamas enlame enlamen
+enlames enlamo enlarda enlarde enlardo enlata enlatad enlatan enlatar enlatas enlate enlaten enlates
+enlato enlaza enlazad enlazan enlazar enlazas enlazo enoja enojaba enojaban enojabas enojad enojadas
+enojadiza enojadizo enojados enojais enojamos enojan enojando enojara enojarais enojaran enojaras
+enojare enojareis enojaren enojares enojaria enojarian enojarias enojaron enojas enojase enojasen
+enojases enojaste enoje enojeis enojemos enojen enojon enojona enojonas enojones enojos enojosa
+enojosas enojoso enojosos enria enriaba enriad enriada enriado enriais enrian enriar enriara enriare
+enrias enriase enrice enricen enrices enridar enrie enrieis enriela enriele enrielo enrien enries
+enrio enripia enripie enripio enriquece enriqueced enriquecen enriquecer enriqueces enriqueci
+enriquecia enriquecio enriques enriquezca enriquezco enriqueña enriqueñas enriqueño enriqueños
+enrisca enrisco enriza enrizad enrizan enrizar enrizas enrizo enroca enrocad enrocan enrocar enrocas
+enroco enroda enrodad enrodar enrodas enrode enrodo enroja enrojad enrojan enrojar enrojas enroje
+enrojen enrojes enrojo enrola enrolad enrolan enrolar enrolas enrole enrolen enroles enrolla enrolle
+enrollo enrolo enroma enromad enroman enromar enromas enrome enromen enromes enromo enrona enronaba
+enronad enronada enronado enronais enronan enronar enronara enronare enronas enronase enroncha
+enronche enroncho enrone enroneis enronen enrones enrono enroque enrosca enrosco enroña enroñad
+enroñan enroñar enroñas enroñe enroñen enroñes enroño ensaca ensacad ensacan ensacar ensacas ensaco
+ensaladas ensaladera ensalce ensalcen ensalces ensaliva ensalive ensalivo ensalma ensalmad ensalman
+ensalmar ensalmas ensalme ensalmen ensalmes ensalmo ensalmos ensalza ensalzad ensalzan ensalzar
+ensalzas ensalzo ensaque ensarta ensarte ensarto ensay ensaya ensayaba ensayad ensayada ensayado
+ensayais ensayala ensayale ensayalo ensayan ensayar ensayara ensayare ensayas ensayase ensaye
+ensayeis ensayen ensayes ensayos ensaña ensañad ensañan ensañar ensañas ensañe ensañen ensañes
+ensaño enseba ensebad enseban ensebar ensebas ensebe enseben ensebes ensebo ensecar enselva enselve
+enselvo ensena ensenad ensenan ensenar ensenas ensene ensenen ensenes enseno ensera enserad enseran
+enserar enseras ensere enseren enseres enseri enseria enserid enserie enserio enserir enseris ensero
+enseñaba enseñaban enseñabas enseñable enseñad enseñada enseñadas enseñadera enseñadero enseñador
+enseñadora enseñadoras enseñadores enseñados enseñais enseñamos enseñante enseñantes enseñanza
+enseñanzas enseñara enseñarais enseñaran enseñaras enseñare enseñareis enseñaren enseñares enseñaria
+enseñarian enseñarias enseñase enseñaseis enseñasen enseñases enseñasteis enseñeis enseñemos enseñen
+enseñes enseñorea enseñoree enseñoreo enseños ente enteca entecan entecar entecas entecha enteche
+entecho enteco entecos enteja entejad entejan entejar entejas enteje entejen entejes entejo entela
+entelad entelan entelar entelas entele entelen enteles entelo entena entenada entenado entenas
+entendais entende entended entendedor entendeis entendera entenderan entenderas entendere
+entendereis entenderes entenderia entenderian entenderias entendes entendi entendia entendiais
+entendian entendias entendible entendida entendidas entendidos entendiera entendiere entendiese
+entendimos entendio entendisteis entenga entengas entente ententes entenzon enteo enteos enteque
+enteraba enteraban enterabas enterad enterada enteradas enterados enterais enteramos enteran
+enterando enterar enterara enterarais enteraran enteraras enterare enterareis enteraren enterares
+enteraria enterarian enterarias enteraron enterase enteraseis enterasen enterases enteraste enterca
+entercan entercar entercas entercia entercie entercio enterco entereis enteremos enteren enteres
+enterez entereza enterezas enterica enterico enteriza enterizo enteros enterque enterra enterraba
+enterraban enterrabas enterrad enterradas enterradero enterrador enterradores enterrados enterrais
+enterramos enterrando enterrara enterrarais enterraran enterraras enterrare enterrareis enterraren
+enterrares enterraria enterrarian enterrarias enterraron enterras enterrase enterrasen enterrases
+enterraste enterre enterreis enterro entes entesa entesad entesan entesar entesas entese entesen
+enteses enteso entesta enteste entesto entiendan entierra entierran entierras entierre entierren
+entierres entierros entiesa entiesad entiesan entiesar entiesas entiese entiesen entieses entieso
+entola entolad entolan entolar entolas entolda entolde entoldo entole entolen entoles entolo entona
+entonaba entonad entonada entonado entonais entonan entonar entonara entonare entonas entonase
+entonce entone entoneis entonela entonele entonelo entonen entones entonga entongad entongan
+entongar entongas entongo entongue entono entonos entora entoraba entorad entorada entorado entorais
+entoran entorar entorara entorare entoras entorase entorca entorcan entorcar entorcas entorcha
+entorche entorcho entorco entore entoreis entoren entores entorila entorile entorilo entorna
+entornaba entornad entornada entornado entornais entornan entornar entornara entornare entornas
+entornase entorne entorneis entornen entornes entornos entoro entorque entorta entortad entortar
+entortas entorte entorto entoña entoñad entoñan entoñar entoñas entoñe entoñen entoñes entoño
+entraba entrabad entraban entrabar entrabas entrabe entraben entrabes entrabo entrad entradero
+entrador entradora entradoras entradores entrados entrais entrama entramaba entramad entramada
+entramado entramais entraman entramar entramara entramare entramas entramase entrambas entrambos
+entrame entrameis entramen entrames entramo entrampa entrampad entrampan entrampar entrampas
+entrampe entrampen entrampes entrampo entrante entrantes entrapa entrapad entrapan entrapar entrapas
+entrape entrapen entrapes entrapo entrara entrarais entraran entraras entrare entrareis entraren
+entrares entraria entrarian entrarias entrase entraseis entrasen entrases entrasteis entraña
+entrañad entrañal entrañan entrañar entrañas entrañe entrañen entrañes entraño entrecot entredi
+entredos entregaba entregaban entregabas entregad entregada entregadas entregador entregadora
+entregadoras entregadores entregados entregais entregamos entregan entregando entregara entregarais
+entregaran entregaras entregare entregareis entregaren entregares entregaria entregarian entregarias
+entregaron entregase entregaseis entregasen entregases entregaste entregos entregueis entreguemos
+entreguen entregues entreis entremes entremeta entremete entremeti entremeto entremijo entremiso
+entremorir entrena entrenaba entrenaban entrenabas entrenad entrenada entrenadas entrenadora
+entrenadoras entrenadores entrenados entrenais entrenamientos entrenamos entrenan entrenara
+entrenarais entrenaran entrenaras entrenare entrenareis entrenaren entrenares entrenaria entrenarian
+entrenarias entrenaron entrenas entrenase entrenasen entrenases entrenaste entrenca entrencad
+entrencan entrencar entrencas entrence entrencen entrences entrenco entrene entreneis entrenen
+entrenes entreno entrenos entrenque entrenudo entrenza entrenzad entrenzan entrenzar entrenzas
+entrenzo entreoi entreoia entreoid entreoir entreois entreoye entreoyo entresaca entresaco entreses
+entreseña entresijo entreten entrevar entreve entrevea entreved entreven entreveo entrever entreves
+entrevi entrevia entrevias entreviera entreviere entreviese entreviga entrevigad entrevigan
+entrevigar entrevigas entrevigo entrevigue entrevimos entrevio entrevistaba entrevistaban
+entrevistabas entrevistad entrevistada entrevistadas entrevistado entrevistador entrevistados
+entrevistais entrevistamos entrevistan entrevistando entrevistar entrevistara entrevistaran
+entrevistaras entrevistare entrevistaren entrevistares entrevistaria entrevistaron entrevistase
+entrevistaseis entrevistasen entrevistases entrevistaste entreviste entrevisteis entrevisten
+entrevistes entrevisto entrevistos entrice entripa entripe entripo entriza entrizo entroja entrojad
+entrojan entrojar entrojas entroje entrojen entrojes entrojo entron entrona entronad entronan
+entronar entronas entronca entronco entrone entronen entrones entrono entropia entruja entruje
+entrujo entusiasma entusiasmaba entusiasmad entusiasmada entusiasmado entusiasmais entusiasman
+entusiasmar entusiasmara entusiasmare entusiasmas entusiasmase entusiasme entusiasmeis entusiasmen
+entusiasmes entusiasmos entusiasta entusiastas envia enviaba enviaban enviabas enviad enviada
+enviadas enviadiza enviadizo enviados enviais envian enviara enviarais enviaran enviaras enviare
+enviareis enviaren enviares enviaria enviarian enviarias envias enviase enviaseis enviasen enviases
+enviasteis envicia envicie envicio envida envidaba envidad envidada envidado envidais envidan
+envidar envidara envidare envidas envidase envide envideis enviden envides envidiaba envidiaban
+envidiabas envidiable envidiad envidiada envidiadas envidiado envidiador envidiados envidiais
+envidiamos envidian envidiando envidiar envidiara envidiaran envidiaras envidiare envidiaren
+envidiares envidiaria envidiaron envidias envidiase envidiasen envidiases envidiaste envidie
+envidieis envidien envidies envidio envidiosa envidioso envido envidos envie envieis envieja envieje
+enviejo envien envies enviga envigad envigan envigar envigas envigo envigue envina envinad envinan
+envinar envinas envine envinen envines envino envio envion envios envira envirad enviran envirar
+enviras envire enviren envires enviro envisa envisca envisco enviso envista enviste envisto envite
+envites enviuda enviude enviudo envuelta envueltas envueltos envuelva envuelvan envuelvas envuelve
+envuelven envuelves envuelvo epidemial epidemiales epidemias epidemica epidemicas epidemico
+epidemicos episodica episodicas episodico episodicos episodios equida equidad equidas equidna equido
+equidos equilibra equilibraba equilibrad equilibrada equilibrado equilibrais equilibran equilibrar
+equilibrara equilibrare equilibras equilibrase equilibre equilibreis equilibren equilibres
+equilibrios equilibrismo equilibrista equilibro equina equinas equino equinos equipa equipaba
+equipaban equipabas equipad equipada equipadas equipado equipados equipais equipajes equipal
+equipales equipamos equipan equipando equipar equipara equiparad equiparan equiparar equiparas
+equipare equiparen equipares equiparia equiparo equiparon equipas equipase equipasen equipases
+equipaste equipe equipeis equipen equipera equipero equipes equis equite equites equivale equivali
+equivocaba equivocaban equivocabas equivocad equivocadas equivocais equivocamos equivocan
+equivocando equivocar equivocara equivocaran equivocaras equivocare equivocaren equivocares
+equivocaria equivocaron equivocase equivocaseis equivocasen equivocases equivocaste equivocos
+equivoque equivoqueis equivoquen equivoques erando erase eraseis erasen erases eraste erice ericeis
+ericen erices erro errona erronea erroneo erros esca escabel escabro escacha escache escacho escaece
+escaeci escais escajo escajos escalaba escalaban escalabas escalable escalabra escalabre escalabro
+escalad escalada escaladas escalado escalador escalados escalafon escalais escalamo escalamos
+escalan escalando escalar escalara escalaran escalaras escalare escalaren escalares escalaria
+escalaron escalas escalase escalasen escalases escalaste escalda escaldad escaldan escaldar escaldas
+escalde escalden escaldes escaldo escaldos escale escalece escaleced escalecen escalecer escaleces
+escaleci escalecia escalecio escaleis escalemos escalen escaleno escalenos escaleron escales
+escaleta escaletas escalezca escalezco escalfa escalfad escalfan escalfar escalfas escalfe escalfen
+escalfes escalfo escalia escaliad escalian escaliar escalias escalie escalien escalies escalio
+escalios escaliva escalive escalivo escalla escallas escalmo escalmos escalo escalon escalona
+escalone escalono escalope escalos escaloña escalplo escama escamad escaman escamar escamas escame
+escamel escamen escames escamo escamol escamon escampa escampe escampo escanda escande escandi
+escando escanea escanee escaneo escaner escapaba escapaban escapabas escapad escapada escapadas
+escapados escapais escapamos escapan escapara escaparais escaparan escaparas escaparate escapare
+escapareis escaparen escapares escaparia escaparian escaparias escapas escapase escapaseis escapasen
+escapases escapasteis escapeis escapemos escapen escapera escaperas escapero escaperos escapes
+escapo escapos escapula escapule escapulo escaque escara escarad escaran escarar escaras escarba
+escarbe escarbo escarce escarda escarde escardo escare escarea escaree escaren escareo escares
+escaria escarie escario escaro escaros escarpa escarpe escarpo escarza escarzo escas escasa escasas
+escasea escasee escaseo escases escasez escaso escasos escava escavad escavan escavar escavas escave
+escaven escaves escavo escay escaña escañan escañar escañas escañe escañen escañes escañil escaño
+escaños escenarios escenica escenico esclafa esclafad esclafan esclafar esclafas esclafe esclafen
+esclafes esclafo esclarea esclavas esclavice esclavina esclaviza esclavizo esclavon esclavona
+esclavonas esclavones esclavonia esclavonio esclusa escoa escoas escobaba escobaban escobabas
+escobace escobacen escobaces escobad escobada escobadas escobado escobados escobais escobajo
+escobajos escobamos escoban escobando escobar escobara escobaran escobaras escobare escobaren
+escobares escobaria escobaron escobas escobase escobasen escobases escobaste escobaza escobazad
+escobazan escobazar escobazas escobazo escobazos escobe escobeis escoben escobera escobero escobes
+escobeta escobina escobino escobio escobios escobizo escobo escobon escobos escoca escocaba escocad
+escocada escocado escocais escocan escocar escocara escocare escocas escocase escoce escoced
+escoceis escocen escocer escocera escocere escoces escocesa escoci escociais escociamos escocian
+escociana escociano escocias escocido escociera escociere escociese escocimos escocio escociste
+escoco escoda escodad escodan escodar escodas escode escoden escodes escodo escofia escoged
+escogedor escogeis escogemos escogen escogera escogeran escogeras escogere escogereis escogeria
+escogerian escogerias escoges escogi escogia escogiais escogian escogias escogida escogidas
+escogidos escogiera escogiere escogiese escogimos escogio escogisteis escoja escojan escojas escojo
+escola escolaba escolaban escolabas escolad escolado escolais escolamos escolan escolando escolanes
+escolania escolano escolanos escolapia escolapio escolara escolarais escolaran escolaras escolarca
+escolarcas escolare escolareis escolaren escolares escolaria escolarian escolarias escolarice
+escolarina escolarino escolariza escolarizo escolaron escolas escolase escolasen escolases escolaste
+escoldo escole escoleis escoleta escolex escolia escoliad escolian escoliar escolias escolie
+escolien escolies escolio escolios escolla escollad escollan escollar escollas escolle escollen
+escolles escollo escollos escolo escoltaba escoltaban escoltabas escoltad escoltada escoltadas
+escoltado escoltados escoltais escoltamos escoltan escoltando escoltar escoltara escoltaran
+escoltaras escoltare escoltaren escoltares escoltaria escoltaron escoltas escoltase escoltasen
+escoltases escoltaste escolte escolteis escolten escoltes escolto escoma escomad escoman escomar
+escomas escome escomen escomer escomes escomi escomia escomio escomo esconce esconcen esconces
+esconda escondais escondan escondas esconded escondeis escondemos esconden escondera esconderan
+esconderas escondere escondereis esconderes esconderia esconderian esconderias escondi escondia
+escondiais escondian escondias escondidijo escondidiza escondidizo escondiera escondieran
+escondieras escondiere escondieren escondieres escondieron escondiese escondiesen escondieses
+escondimos escondio escondiste escondites escondo escontra esconza esconzad esconzan esconzar
+esconzas esconzo escopetada escopetadas escopetado escopetados escopetas escopetazo escopetazos
+escopetea escopetead escopetean escopetear escopeteas escopetee escopeteen escopetees escopeteo
+escopeteos escopetero escopeton escoplea escoplee escopleo escoplo escoplos escopo escopos escoque
+escora escoraba escorad escorada escorado escorais escoran escorar escorara escorare escoras
+escorase escorce escorcen escorces escorcha escorche escorcho escordio escore escoreis escoren
+escores escoriaba escoriaban escoriabas escoriad escoriada escoriadas escoriado escoriados escoriais
+escorial escoriales escoriamos escorian escoriando escoriar escoriara escoriaran escoriaras
+escoriare escoriaren escoriares escoriaria escoriaron escorias escoriase escoriasen escoriases
+escoriaste escorie escorieis escorien escories escorio escoro escorza escorzad escorzan escorzar
+escorzas escorzo escorzon escorzos escosa escosad escosan escosar escosas escosca escosco escose
+escosen escoses escoso escota escotad escotan escotar escotas escote escoten escotes escotillas
+escotillon escotin escotines escotismo escotista escoto escotos escoyo escoyos escoza escozan
+escozar escozas escozo escozor escoña escoñad escoñan escoñar escoñas escoñe escoñen escoñes escoño
+escrepa escribais escribamos escriban escribana escribanas escribania escribanil escribano
+escribanos escribas escriben escribi escribia escribiais escribian escribias escribid escribidor
+escribiente escribientes escribiera escribieran escribieras escribiere escribieren escribieres
+escribieron escribiese escribiesen escribieses escribimos escribio escribira escribiran escribiras
+escribire escribireis escribiria escribirian escribirias escribis escribisteis escripia escripta
+escripto escritas escritora escritoras escritores escritorios escritorista escritos escrituraba
+escrituraban escriturabas escriturad escriturada escrituradas escriturado escriturados escriturais
+escrituramos escrituran escriturando escriturar escriturara escrituraran escrituraras escriturare
+escrituraren escriturares escrituraria escriturario escrituraron escrituras escriturase escriturasen
+escriturases escrituraste escriture escritureis escrituren escritures escrituro escriño escriños
+escroto escruca escruco escruta escrute escruto escuadra escuadraba escuadrad escuadrada escuadrado
+escuadrais escuadran escuadrar escuadrara escuadrare escuadras escuadrase escuadre escuadreis
+escuadren escuadreo escuadreos escuadres escuadria escuadrias escuadro escuadron escuadrona
+escuadrone escuadrono escuadros escualo escuchaba escuchaban escuchabas escuchada escuchadas
+escuchadera escuchador escuchadora escuchadoras escuchadores escuchados escuchais escuchara
+escucharais escucharan escucharas escuchare escuchareis escucharen escuchares escucharia escucharian
+escucharias escuchase escuchaseis escuchasen escuchases escuchasteis escuchaña escuchaño escucheis
+escuchemos escuchon escuchona escuchonas escuchones escuchos escuda escudaba escudad escudada
+escudado escudais escudan escudar escudara escudare escudas escudase escudaño escude escudeis
+escuden escudera escudero escudes escudete escuece escuecen escueces escuelan escuele escuelen
+escueles escuelo escuerzo escueta escuetas escueto escuetos escueza escuezan escuezas escuezo
+esculca esculco esculla esculle esculli escullo esculpa esculpe esculpi esculpo escuna escunas
+escupa escupan escupas escupe escupen escupes escupi escupia escupid escupio escupir escupis escupo
+escupos escura escurad escuran escurar escuras escurca escurco escure escuren escures escuro escuros
+escurra escurre escurri escurro escusa escusar escusas escuso escuson escuyer esenciales esenciar
+esenciarse esencias esenciero esenia esenias esenio esenios esferal esferales esferas esferica
+esferico esfuerce esfuercen esfuerces esfuerza esfuerzan esfuerzas esgrimais esgrimamos esgriman
+esgrimas esgrime esgrimen esgrimes esgrimi esgrimia esgrimian esgrimias esgrimid esgrimida esgrimido
+esgrimio esgrimir esgrimira esgrimire esgrimis esgrimo espacia espaciaba espaciaban espaciabas
+espaciad espaciada espaciadas espaciado espaciador espaciados espaciais espaciamos espacian
+espaciando espaciar espaciara espaciaran espaciaras espaciare espaciaren espaciares espaciaria
+espaciaron espacias espaciase espaciasen espaciases espaciaste espacica espacico espacie espacieis
+espacien espacies espacios espaciosa espaciosas espacioso espaciosos espadaba espadaban espadabas
+espadad espadada espadadas espadado espadador espadados espadais espadamos espadan espadando espadar
+espadara espadaran espadaras espadare espadaren espadares espadaria espadaron espadarte espadase
+espadaseis espadasen espadases espadaste espadaña espadañad espadañal espadañan espadañar espadañas
+espadañe espadañen espadañes espadaño espade espadeis espaden espadero espades espadice espadin
+espado espadon espahi espahis espais espala espalaba espalad espalada espalado espalais espalan
+espalar espalara espalare espalas espalase espaldar espaldares espaldaron espaldea espaldead
+espaldean espaldear espaldeas espaldee espaldeen espaldees espaldeo espalder espaldera espaldero
+espaldon espaldona espaldone espaldono espalduda espaldudo espale espaleis espalen espalera espales
+espalma espalmad espalman espalmar espalmas espalme espalmen espalmes espalmo espalo espalto
+espaltos espanta espantaba espantad espantada espantado espantais espantajo espantan espantar
+espantara espantare espantas espantase espante espanteis espanten espantes espanto espantos
+espantosa espantosas espantosos esparce esparcen esparces esparci esparcia esparcid esparcio
+esparcir esparcis espartaba espartaban espartabas espartad espartada espartadas espartado espartados
+espartais espartal espartales espartamos espartan espartana espartanas espartando espartano
+espartanos espartar espartara espartaran espartaras espartare espartaren espartares espartaria
+espartaron espartas espartase espartasen espartases espartaste esparte esparteis esparten espartera
+espartero espartes esparteña esparto espartos esparva esparvad esparvan esparvar esparvas esparve
+esparvel esparven esparver esparves esparvo esparza esparzan esparzas esparzo espasmo espata espatas
+espato espatos espay española españolaba españolad españolada españolado españolais españolan
+españolar españolara españolare españolas españolase españole españolea españolead españolean
+españolear españoleas españolee españoleen españolees españoleis españolen españoleo españoles
+españoleta españolia españolias españolice españoliza españolizo españolo especia especialice
+especialicen especialices especialidades especialistas especializa especializad especializan
+especializar especializas especializo especias especiera especieras especieria especiero especieros
+especimen especiosa especioso especiota espectaculares espectaculo espectaculos espectral espectro
+especula especule especulo espedir espedo espedos espeja espejaba espejad espejada espejado espejais
+espejan espejar espejara espejare espejas espejase espeje espejea espejead espejean espejear
+espejeas espejee espejeen espejees espejeis espejen espejeo espejeos espejera espejero espejes
+espejos espelta espeque esperabais esperabamos esperable esperables esperada esperadas esperadero
+esperador esperadora esperadoras esperadores esperados esperais esperance esperancen esperances
+esperanto esperantos esperanzaba esperanzaban esperanzabas esperanzad esperanzada esperanzadas
+esperanzado esperanzador esperanzados esperanzais esperanzamos esperanzan esperanzando esperanzar
+esperanzara esperanzaran esperanzaras esperanzare esperanzaren esperanzares esperanzaria
+esperanzaron esperanzase esperanzaseis esperanzasen esperanzases esperanzaste esperanzo esperara
+esperarais esperaran esperaras esperare esperareis esperaren esperares esperaria esperarian
+esperarias esperaron esperase esperaseis esperasen esperases esperaste esperece esperecen espereces
+espereis espereza esperezan esperezar esperezas esperezo esperezos esperida esperido esperma
+espermas espermio esperon esperones esperria esperrie esperrio espesa espesad espesan espesar
+espesas espese espesen espeses espeso espesor espesos espeta espetad espetan espetar espetas espete
+espeten espetes espeto espeton espetos espia espiaba espiad espiada espiado espiais espian espiar
+espiara espiare espias espiase espibia espibio espicha espiche espicho espie espiedo espieis espien
+espies espiga espigad espigan espigar espigas espigo espigon espigos espigue espin espinaba
+espinaban espinabas espinablo espinaca espinacas espinad espinada espinadas espinado espinados
+espinais espinal espinales espinamos espinan espinando espinapez espinar espinara espinaran
+espinaras espinare espinaren espinares espinaria espinaron espinas espinase espinasen espinases
+espinaste espinazo espinazos espine espinea espineas espineis espinel espinela espinen espineo
+espineos espinera espines espineta espino espinos espinosa espinoso espinuda espinudo espio espion
+espiote espira espirad espiral espiran espirar espiras espire espiren espires espirita espiritaba
+espiritad espiritada espiritado espiritais espirital espiritan espiritar espiritara espiritare
+espiritas espiritase espirite espiriteis espiriten espirites espirito espiritosa espiritoso espiritu
+espirituales espiritualice espiritualiza espiritualizo espirituana espirituanas espirituano
+espirituanos espirituosa espirituoso espiritus espiro espita espitad espitan espitar espitas espite
+espiten espites espito espitos espolea espolee espoleo espolia espolie espolin espolio espolon
+espondeo espondil esponjaba esponjaban esponjabas esponjad esponjada esponjadas esponjado esponjados
+esponjais esponjamos esponjan esponjando esponjar esponjara esponjaran esponjaras esponjare
+esponjaren esponjares esponjaria esponjaron esponjas esponjase esponjasen esponjases esponjaste
+esponje esponjeis esponjen esponjera esponjes esponjo esponjosa esponjoso esponton espora esporas
+esporo esporos esposaba esposaban esposabas esposad esposada esposadas esposado esposados esposais
+esposamos esposan esposando esposar esposara esposaran esposaras esposare esposaren esposares
+esposaria esposaron esposase esposaseis esposasen esposases esposaste espose esposeis esposen
+esposes esqueja esqueje esquejo esquela esquema esquena esquero esqui esquia esquiaba esquiad
+esquiado esquiais esquian esquiar esquiara esquiare esquias esquiase esquicia esquicie esquicio
+esquie esquieis esquien esquies esquifa esquifad esquifan esquifar esquifas esquife esquifen
+esquifes esquifo esquil esquila esquilad esquilan esquilar esquilas esquile esquilen esquileo
+esquiles esquilfe esquilma esquilme esquilmo esquilo esquilon esquilos esquimal esquimo esquinaba
+esquinaban esquinabas esquinad esquinada esquinadas esquinado esquinados esquinais esquinal
+esquinales esquinamos esquinan esquinando esquinante esquinanto esquinar esquinara esquinaran
+esquinaras esquinare esquinaren esquinares esquinaria esquinaron esquinas esquinase esquinasen
+esquinases esquinaste esquinazo esquinazos esquince esquincen esquinces esquinco esquincos esquine
+esquineis esquinela esquinen esquinera esquinero esquines esquino esquinza esquinzad esquinzan
+esquinzar esquinzas esquinzo esquio esquirla esquirol esquis esquisar esquisto esquita esquitad
+esquitan esquitar esquitas esquite esquiten esquites esquito esquiva esquivad esquivan esquivar
+esquivas esquive esquiven esquives esquivez esquivo esquivos estabais establea estableaba establead
+estableada estableado estableais establean establear estableara estableare estableas establease
+establece estableced establecedor estableceis establecemos establecen establecera estableceran
+estableceras establecere establecereis estableceria establecerian establecerias estableces estableci
+establecia establecian establecias establecida establecido establecio establee estableeis estableen
+establees estableo establero estableros estables establezca establezco establia establias establir
+establo establos estabon estabula estabule estabulo estacaba estacaban estacabas estacad estacada
+estacadas estacado estacados estacais estacamos estacan estacando estacar estacara estacaran
+estacaras estacare estacaren estacares estacaria estacaron estacas estacase estacasen estacases
+estacaste estacazo estacazos estacha estachas estache estaches estacion estaciona estacionaba
+estacionad estacionada estacionado estacionais estacional estacionan estacionar estacionara
+estacionare estacionas estacionase estacione estacioneis estacionemos estacionen estacionera
+estacioneras estacionero estacioneros estaciono estaco estacon estacte estactes estad estada estadal
+estadas estadero estadia estadias estadidad estadillo estadios estadista estadiza estadizas estadizo
+estadizos estadojo estadojos estadoño estadoños estafa estafad estafan estafar estafas estafe
+estafen estafes estafo estais estaja estajad estajan estajar estajas estaje estajen estajes estajo
+estajos estala estalaje estalas estalla estallaba estallaban estallabas estallad estallado estallais
+estallamos estallan estallando estallara estallarais estallaran estallaras estallare estallareis
+estallaren estallares estallaria estallarian estallarias estallaron estallas estallase estallasen
+estallases estallaste estalle estalleis estallen estalles estallido estallo estallos estalo estalos
+estambra estambre estambro estameña estampa estampad estampan estampar estampas estampe estampen
+estampes estampia estampo estanca estancaba estancad estancada estancado estancais estancan estancar
+estancara estancare estancas estancase estancias estanciera estanciero estanco estancos estandar
+estandorio estanqueis estanquemos estanquen estanquera estanqueras estanquero estanqueros estanques
+estantal estante estantes estantia estantio estanza estanzas estaque estaran estaras estarce
+estarcen estarces estarci estarcia estarcid estarcio estarcir estarcis estareis estariais estariamos
+estarian estarias estarna estarnas estarter estarza estarzan estarzas estarzo estasis estatales
+estatalice estataliza estatalizo estatera estatica estatice estatico estativo estatiza estatizo
+estator estatuaba estatuaban estatuabas estatuad estatuada estatuadas estatuado estatuados estatuais
+estatuamos estatuan estatuando estatuar estatuara estatuaran estatuaras estatuare estatuaren
+estatuares estatuaria estatuario estatuaron estatuas estatuase estatuasen estatuases estatuaste
+estatuder estatue estatueis estatuen estatues estatui estatuia estatuian estatuias estatuid
+estatuida estatuido estatuir estatuira estatuire estatuis estatuo estatura estaturas estatus
+estatuto estatutos estatuya estatuyan estatuyas estatuye estatuyen estatuyes estatuyo estay estayes
+estaña estañad estañan estañar estañas estañe estañen estañes estaño estaños esteba estebad esteban
+estebar estebas estebe esteben estebes estebo estece estecen esteces esteis estela estelado
+estelados estelares estelaria estelarias estelas estelion estelles estelo estelon estelos estema
+estemas estemple esten estepa estepar estepas ester estera esterad esteral esteran esterar esteras
+estere esteren estereo esteres esteril estero esterol esteros esteta estetas esteva estevas estevon
+esteza estezad estezan estezar estezas estezo esteña esteñas esteño esteños estiaje estiba estibad
+estiban estibar estibas estibe estiben estibes estibia estibio estibo estigia estigio estigma estil
+estila estilaba estilad estilada estilado estilais estilan estilar estilara estilare estilas
+estilase estile estileis estilen estiles estilete estilice estilita estiliza estilizo estilos
+estilosa estilosas estiloso estilosos estima estimaba estimaban estimabas estimable estimad estimada
+estimadas estimador estimadora estimadoras estimadores estimados estimais estimamos estiman
+estimando estimar estimara estimaran estimaras estimare estimaren estimares estimaria estimaron
+estimas estimase estimasen estimases estimaste estime estimeis estimen estimes estimo estimula
+estimule estimulo estinco estio estios estique estira estirad estiran estirar estiras estire estiren
+estires estiro estiron estirpe estiva estival estivas estivo estivos estocar estoce estocen estoces
+estofa estofad estofan estofar estofas estofe estofen estofes estofo estofon estofos estoica estoico
+estol estola estolas estoles estolon estoma estomas estonce estonia estonio estopa estopas estopin
+estopon estopor estoque estor estora estoras estorba estorbe estorbo estorda estorde estordi estordo
+estores estotra estotro estova estovad estovan estovar estovas estove estoven estoves estovo estoza
+estozad estozan estozar estozas estozo estrada estrado estraga estrago estral estratega estrategas
+estrategias estrategica estrategicas estrategico estrategicos estratego estrategos estrato estrave
+estraza estrazo estrecha estreche estrecho estrega estregad estregan estregar estregas estrego
+estregon estregue estrellaba estrellaban estrellabas estrellad estrellada estrelladas estrellado
+estrellados estrellais estrellamar estrellamos estrellan estrellando estrellar estrellara
+estrellaran estrellaras estrellare estrellaren estrellares estrellaria estrellaron estrellase
+estrellaseis estrellasen estrellases estrellaste estrellato estrellatos estrelle estrelleis
+estrellen estrellera estrellero estrelles estrello estrellon estrena estrenaba estrenad estrenada
+estrenado estrenais estrenan estrenar estrenara estrenare estrenas estrenase estrene estreneis
+estrenen estrenes estrenos estrenque estrenua estrenuas estrenuo estrenuos estrepa estrepas estres
+estresa estresad estresan estresar estresas estrese estresen estreses estreso estreñi estreñia
+estreñid estreñir estreñis estria estriaba estriad estriada estriado estriais estrian estriar
+estriara estriare estrias estriase estriba estribaba estribad estribado estribais estriban estribar
+estribara estribare estribas estribase estribe estribeis estriben estribera estribero estribes
+estribo estribores estribos estribote estribotes estricar estricia estricta estricto estridor estrie
+estriega estriego estrieis estrien estries estriga estrigas estrige estriges estrigil estringa
+estrio estripa estripad estripan estripar estripas estripe estripen estripes estripo estriña
+estriñan estriñas estriñe estriñen estriñes estriño estro estrobo estrofa estroma estros
+estructuraba estructuraban estructurabas estructurad estructurada estructuradas estructurado
+estructurados estructurais estructural estructurales estructuramos estructuran estructurando
+estructurar estructurara estructuraran estructuraras estructurare estructuraren estructurares
+estructuraria estructuraron estructuras estructurase estructurasen estructurases estructuraste
+estructure estructureis estructuren estructures estructuro estruja estruje estrujo estruma estrupo
+estuca estucad estucan estucar estucas estucha estuche estucho estuco estucos estudia estudiaba
+estudiaban estudiabas estudiad estudiada estudiadas estudiador estudiadora estudiadoras estudiadores
+estudiados estudiais estudiamos estudian estudiantado estudiantil estudiantina estudiantino
+estudianton estudiara estudiarais estudiaran estudiaras estudiare estudiareis estudiaren estudiares
+estudiaria estudiarian estudiarias estudiaron estudias estudiase estudiasen estudiases estudiaste
+estudie estudieis estudien estudies estudiosa estudiosas estudioso estudiosos estufa estufad estufan
+estufar estufas estufe estufen estufes estufo estulta estulto estuosa estuoso estupendas estupendos
+estupida estupidas estupidos estupor estupra estuprad estupran estuprar estupras estupre estupren
+estupres estupro estupros estuque estura esturad esturan esturar esturas esturda esturde esturdi
+esturdo esture esturen estures esturga esturgo esturo estuvierais estuvieramos estuviere estuviereis
+estuvieren estuvieres estuvieseis estuviesemos estuviesen estuvieses estuvisteis etapas eter eterea
+etereas etereo etereos eteres eterice eteriza eterizo eternal eternales eternas eternice eternicen
+eternices eternidades eterniza eternizad eternizan eternizar eternizas eternizo eternos etiqueces
+etiquetaba etiquetaban etiquetabas etiquetad etiquetada etiquetadas etiquetado etiquetados
+etiquetais etiquetaje etiquetajes etiquetamos etiquetan etiquetando etiquetar etiquetara etiquetaran
+etiquetaras etiquetare etiquetaren etiquetares etiquetaria etiquetaron etiquetas etiquetase
+etiquetasen etiquetases etiquetaste etiquete etiqueteis etiqueten etiquetera etiquetero etiquetes
+etiqueto etiquez euro europea europeas europeo europeos europio europios evacua evacuaba evacuaban
+evacuabas evacuacion evacuad evacuada evacuadas evacuado evacuados evacuais evacuamos evacuan
+evacuando evacuante evacuara evacuarais evacuaran evacuaras evacuare evacuareis evacuaren evacuares
+evacuaria evacuarian evacuarias evacuaron evacuas evacuase evacuasen evacuases evacuaste evacue
+evacueis evacuen evacues evacuo evaluacion evanece evaneci eventual evidenciaba evidenciaban
+evidenciabas evidenciad evidenciada evidenciadas evidenciado evidenciados evidenciais evidenciamos
+evidencian evidenciando evidenciar evidenciara evidenciaran evidenciaras evidenciare evidenciaren
+evidenciares evidenciaria evidenciaron evidenciase evidenciaseis evidenciasen evidenciases
+evidenciaste evidencie evidencieis evidencien evidencies evidencio evidentes evita evitaba evitaban
+evitabas evitable evitad evitada evitadas evitado evitados evitais evitamos evitan evitando evitara
+evitarais evitaran evitaras evitare evitareis evitaren evitares evitaria evitarian evitarias
+evitaron evitas evitase evitasen evitases evitaste evite eviteis eviten evites evito evolucion
+evoluciona evolucione evoluciono exactas exactor exactores exactos exagera exageraba exageraban
+exagerabas exagerad exagerada exageradas exagerado exagerador exagerados exagerais exageramos
+exageran exagerar exagerara exageraran exageraras exagerare exageraren exagerares exageraria
+exageraron exageras exagerase exagerasen exagerases exageraste examenes examina examinaba examinaban
+examinabas examinad examinada examinadas examinado examinador examinados examinais examinamos
+examinan examinanda examinando examinante examinara examinarais examinaran examinaras examinare
+examinareis examinaren examinares examinaria examinarian examinarias examinaron examinas examinase
+examinasen examinases examinaste examine examineis examinen examines examino exceda excedan excedas
+excede exceded exceden exceder excedes excedi excedia excedio excedo excelencias excelsa excelso
+excepcion excepciona excepcionaba excepcionaban excepcionabas excepcionad excepcionada excepcionadas
+excepcionado excepcionados excepcionais excepcionales excepcionamos excepcionan excepcionando
+excepcionar excepcionara excepcionaran excepcionaras excepcionare excepcionaren excepcionares
+excepcionaria excepcionaron excepcionas excepcionase excepcionasen excepcionases excepcionaste
+excepcione excepcioneis excepcionen excepciones excepciono excepta exceptar exceptiva exceptivo
+exceptua exceptuad exceptuan exceptuar exceptuas exceptue exceptuen exceptues exceptuo excerta
+excesiva excesivo excesos excita excitaba excitaban excitabas excitable excitad excitada excitadas
+excitado excitador excitados excitais excitamos excitan excitando excitantes excitar excitara
+excitaran excitaras excitare excitaren excitares excitaria excitaron excitas excitase excitasen
+excitases excitaste exclusa exclusion exclusivas exclusive exclusivo exclusivos excluso exculpa
+exculpe exculpo excurso excusaba excusaban excusabas excusable excusad excusada excusadas excusado
+excusador excusados excusais excusali excusalis excusamos excusan excusando excusar excusara
+excusaran excusaras excusare excusaren excusares excusaria excusaron excusase excusaseis excusasen
+excusases excusaste excuse excuseis excusen excuses excusion excuso excusos exhausta exhaustas
+exhaustiva exhaustivo exhaustos exhibicion exigen exigente exiges exigi exigia exigian exigias
+exigid exigida exigido exigio exigir exigira exigire exigis exigua exiguas exiguo exiguos exija
+exijais exijan exijas existais existamos existan existas existencial existenciales existencias
+existente existentes existes existi existia existiais existian existias existid existiera existiere
+existiese existima existimad existiman existimar existimas existime existimen existimes existimo
+existimos existio existira existiran existiras existire existireis existiria existirian existirias
+existis exististe existo exito exitos exitosas exitoso exitosos expedi expedia expedicion expedid
+expedienta expedientaba expedientad expedientada expedientado expedientais expedientan expedientar
+expedientara expedientare expedientas expedientase expedienteis expedientemos expedienten
+expedienteo expedienteos expediento expedir expedis expela expelan expelas expele expeled expelen
+expeler expeles expeli expelia expelio expelo expenda expende expendi expendo experiencial
+experienciales experimenta experimentaba experimentaban experimentabas experimentad experimentada
+experimentadas experimentado experimentador experimentados experimentais experimental experimentales
+experimentamos experimentan experimentando experimentara experimentarais experimentaran
+experimentaras experimentare experimentareis experimentaren experimentares experimentaria
+experimentarian experimentarias experimentaron experimentas experimentase experimentasen
+experimentases experimentaste experimente experimenteis experimenten experimentes expertas explana
+explane explano explaya explaye explayo explicaba explicaban explicabas explicable explicacion
+explicad explicada explicadas explicado explicador explicados explicais explicamos explican
+explicando explicara explicarais explicaran explicaras explicare explicareis explicaren explicares
+explicaria explicarian explicarias explicaron explicas explicase explicasen explicases explicaste
+explicit explicita explicite explicito explicits explicotea explicotee explicoteo expliqueis
+expliquemos expliquen expliques explora exploraba exploraban explorabas explorable explorad
+explorada exploradas explorado exploradora exploradoras exploradores explorados explorais exploramos
+exploran explorando explorara explorarais exploraran exploraras explorare explorareis exploraren
+explorares exploraria explorarian explorarias exploraron exploras explorase explorasen explorases
+exploraste explore exploreis exploren explores exploro explosion explosiona explosione explosiono
+explosiva explosivas explotaba explotaban explotabas explotable explotad explotada explotadas
+explotado explotador explotados explotais explotamos explotan explotando explotara explotarais
+explotaran explotaras explotare explotareis explotaren explotares explotaria explotarian explotarias
+explotaron explotas explotase explotasen explotases explotaste explote exploteis exploten explotes
+exploto exposicion expremir expres expresa expresaba expresaban expresabas expresable expresad
+expresada expresadas expresado expresados expresais expresamos expresan expresando expresara
+expresarais expresaran expresaras expresare expresareis expresaren expresares expresaria expresarian
+expresarias expresaron expresas expresase expresasen expresases expresaste exprese expreseis
+expresen expreses expresion expresiva expresivas expresivo expresivos expreso expresos expulsa
+expulsaba expulsaban expulsabas expulsad expulsada expulsadas expulsados expulsais expulsamos
+expulsan expulsando expulsar expulsara expulsaran expulsaras expulsare expulsaren expulsares
+expulsaria expulsaron expulsas expulsase expulsasen expulsases expulsaste expulse expulseis expulsen
+expulses expulsion expulsiva expulsivo expulso expulsor expulsora expulsos exquisita exquisitas
+exquisitez exquisitos exteriores exteriorice exterioriza exteriorizo externa externad externan
+externar externas externe externen externes externo externos extienda extiendan extiendas extienden
+extiendes extiendo extracta extracte extracto extrados extrae extraed extraeis extraen extraer
+extraera extraere extraes extraia extraian extraias extraida extraido extraiga extraigo extraje
+extrajo extranjera extranjeras extranjeria extranjerias extranjerice extranjeriza extranjerizo
+extranjia extranjias extranjis extraordinarias extraordinarios extravia extravie extravio extrañaba
+extrañaban extrañabas extrañad extrañada extrañadas extrañado extrañados extrañais extrañamos
+extrañan extrañando extrañara extrañarais extrañaran extrañaras extrañare extrañareis extrañaren
+extrañares extrañaria extrañarian extrañarias extrañaron extrañase extrañaseis extrañasen extrañases
+extrañaste extrañe extrañeis extrañen extrañes extrañez extrañeza extrema extremaba extremad
+extremada extremado extremais extreman extremar extremara extremare extremas extremase extreme
+extremeis extremen extremes extremeña extremeño extremos extremosa extremosas extremoso extremosos
+extruda extrude extrudi extrudo fabula fabulaba fabulad fabulada fabulado fabulais fabulan fabular
+fabulara fabulare fabulas fabulase fabule fabuleis fabulen fabules fabulo fabulosas fabulosos facial
+facies faciles facilita facilite facilito facilon facilona facion factica factico facto factora
+factoraje factoras factores factoria factorial factorias factotum factual facturaba facturaban
+facturabas facturad facturada facturadas facturado facturados facturais facturamos facturan
+facturando facturar facturara facturaran facturaras facturare facturaren facturares facturaria
+facturaron facturas facturase facturasen facturases facturaste facture factureis facturen factures
+facturo facula faculas faculta facultaba facultaban facultabas facultada facultadas facultades
+facultado facultados facultais facultamos facultan facultando facultar facultara facultaran
+facultaras facultare facultaren facultares facultaria facultaron facultas facultase facultasen
+facultases facultaste faculte faculteis faculten facultes faculto facultos facultosa facultoso
+faldar faldares faldas faldea faldead faldean faldear faldeas faldee faldeen faldees faldeo faldeos
+faldera faldero faldeta faldon falduda faldudo fallaba fallaban fallabas fallad fallada falladas
+fallador falladora falladoras falladores fallados fallais fallamos fallan fallanca fallando fallara
+fallarais fallaran fallaras fallare fallareis fallaren fallares fallaria fallarian fallarias
+fallaron fallas fallase fallasen fallases fallaste falle falleba fallebas fallece falleced falleceis
+fallecen fallecer fallecera fallecere falleces falleci fallecia falleciais fallecian fallecias
+fallecida fallecido falleciera falleciere falleciese fallecimos fallecio falleciste falleis fallemos
+fallen fallera falleras fallero falleros falles fallezca fallezco fallida fallido fallos falluca
+falluta falluto falsaba falsaban falsabas falsable falsad falsada falsadas falsado falsados falsais
+falsamos falsan falsando falsar falsara falsaran falsaras falsare falsaren falsares falsaria
+falsario falsaron falsase falsaseis falsasen falsases falsaste false falsea falsead falsean falsear
+falseas falsee falseen falsees falseis falsen falseo falseos falses falseta falsete falsia falsias
+faltabais faltabamos faltaban faltabas faltad faltado faltais faltamos faltando faltante faltantes
+faltar faltara faltaran faltaras faltare faltaren faltares faltaria faltaron faltas faltase faltasen
+faltases faltaste falte falteis falten faltes falto falton faltona faltos faltosa faltoso famas
+familiarice familiariza familiarizo familio familion famillo famosas fantasea fantasead fantasean
+fantasear fantaseas fantasee fantaseen fantasees fantaseo fantaseos fantasia fantasias fantasmada
+fantasmadas fantasmal fantasmales fantasmon fantasmona farmacias farmaco farmacos farol farola
+farolas farolea farolee faroleo faroles farolon faron faros farota farotas faroton farsanta farsante
+farsar farsas farseto fascina fascinaba fascinaban fascinabas fascinad fascinada fascinadas
+fascinado fascinador fascinados fascinais fascinamos fascinan fascinando fascinantes fascinar
+fascinara fascinaran fascinaras fascinare fascinaren fascinares fascinaria fascinaron fascinas
+fascinase fascinasen fascinases fascinaste faseolo fases fata fatales fatalice fataliza fatalizo
+fatas favo favonio favorece favoreced favorecen favorecer favoreces favoreci favorecia favorecio
+favorezca favorezco favorida favorido favos febrera febreras febreros febrida febrido febril fechaba
+fechaban fechabas fechad fechada fechadas fechado fechador fechados fechais fechamos fechan fechando
+fechar fechara fecharan fecharas fechare fecharen fechares fecharia fecharon fechas fechase fechasen
+fechases fechaste feche fecheis fechen feches fecho fechos fechura fedega fedegad fedegan fedegar
+fedegas fedego fedegue federa federaba federaban federabas federacion federad federada federadas
+federado federados federais federamos federan federando federar federara federaran federaras
+federare federaren federares federaria federaron federas federase federasen federases federaste
+federe federeis federen federes federica federico federo felibre felice feliciana feliciano felicita
+felicitaba felicitacion felicitad felicitada felicitado felicitais felicitan felicitar felicitara
+felicitare felicitas felicitase felicite feliciteis feliciten felicites felida felidas felido
+felidos felina felinas felino felinos felipe felipes femen femenil femeniles femeninas femeninos
+fenomenales fenomenica fenomenico fenomeno fenomenos feriaba feriaban feriabas feriad feriada
+feriadas feriado feriados feriais ferial feriales feriamos ferian feriando feriante feriar feriara
+feriaran feriaras feriare feriaren feriares feriaria feriaron ferias feriase feriasen feriases
+feriaste ferida feridad feridor ferie ferieis ferien feries ferina ferinas ferino ferinos ferio
+ferir fermata fermatas fermi fermio fermion fermios fermis fermosa fermoso fernandina fernandino
+feroces ferodo ferodos ferrocarrilera ferrocarrilero ferrocarriles festin festina festinad festinan
+festinar festinas festine festinen festines festino festiva festivales festivas festivo festivos
+fian fiana fianas fiando fianzas ficcion fichaba fichaban fichabas fichad fichada fichadas fichado
+fichados fichais fichaje fichajes fichamos fichan fichando fichar fichara ficharan ficharas fichare
+ficharen fichares ficharia ficharon fichase fichaseis fichasen fichases fichaste fiche ficheis
+fichen fichero fiches ficho fiebres fielato fieldad fieles fieltra fieltre fieltro fies fiestea
+fiestead fiestean fiestear fiesteas fiestee fiesteen fiestees fiesteo fiestera fiestero fiestoca
+figuraba figuraban figurabas figurable figurad figurada figuradas figurado figurados figurais
+figural figurales figuramos figuran figurando figuranta figurante figurar figurara figuraran
+figuraras figurare figuraren figurares figuraria figuraron figurase figuraseis figurasen figurases
+figuraste figure figurea figuread figurean figurear figureas figuree figureen figurees figureis
+figuren figureo figureos figurera figurero figures figurin figurita figuro figuron fija fijaba
+fijaban fijabas fijad fijada fijadas fijador fijadora fijadoras fijadores fijados fijais fijamos
+fijan fijando fijante fijar fijara fijaran fijaras fijare fijaren fijares fijaria fijaron fijas
+fijase fijasen fijases fijaste fijon fijona fijonas fijones fijos filaba filaban filabas filad
+filada filadas filadelfa filadelfas filadelfias filadelfio filadelfios filadelfo filadelfos filadiz
+filado filados filais filamos filan filando filar filara filaran filaras filare filaren filares
+filaria filaron filase filaseis filasen filases filaste filazo filazos file fileis fileli filemos
+filen filena filenas fileno filenos filera fileras files filetea fileteaba filetead fileteada
+fileteado fileteais filetean filetear fileteara fileteare fileteas filetease filetee fileteeis
+fileteen filetees fileteo filetes filetica filetico fileton filma filmaba filmaban filmabas filmad
+filmada filmadas filmado filmador filmados filmais filmamos filman filmando filmara filmarais
+filmaran filmaras filmare filmareis filmaren filmares filmaria filmarian filmarias filmaron filmas
+filmase filmasen filmases filmaste filmeis filmemos filmen filmes filmica filmico filmina filmo
+films filoso filosofa filosofaba filosofad filosofado filosofais filosofal filosofan filosofar
+filosofara filosofare filosofas filosofase filosofe filosofeis filosofen filosofes filosofia
+filosofias filosofica filosofico filosofo filosofos filosos fina finaba finaban finabas finable
+finad finada finadas finado finados finais finalice finaliza finalizo finamos finan financia
+financiaba financiad financiada financiado financiais financian financiar financiara financiare
+financias financiase financie financieis financiemos financien financieras financieros financies
+financio financista finando finanza finar finara finaran finaras finare finaren finares finaria
+finaron finas finase finasen finases finaste finca fincaba fincad fincado fincais fincan fincar
+fincara fincare fincas fincase fincha finchaba finchada finchado finchais finchan finchar finchara
+finchare finchas finchase finche fincheis finchen finches fincho finco fine fineis finemos finen
+finesa finesas fineses fineta finetas fineza finezas finge fingen finges fingi fingia fingiais
+fingian fingias fingid fingida fingidas fingido fingidor fingidos fingiera fingieran fingieras
+fingiere fingieren fingieres fingieron fingiese fingiesen fingieses fingimos fingio fingira fingiran
+fingiras fingire fingireis fingiria fingirian fingirias fingis fingiste finoli finolis finos firmaba
+firmaban firmabas firmad firmadas firmados firmais firmal firmales firmamos firman firmando firmanes
+firmante firmara firmarais firmaran firmaras firmare firmareis firmaren firmares firmaria firmarian
+firmarias firmaron firmase firmaseis firmasen firmases firmaste firmeis firmemos firmen firmeza
+firmezas firmo firmon fiscala fiscalas fiscalear fiscales fiscalia fiscalias fiscalice fiscaliza
+fiscalizo fisco fiscos flan flancos flanera flanero flanes flechaba flechaban flechabas flechad
+flechada flechadas flechado flechador flechados flechais flechamos flechan flechando flechar
+flechara flecharan flecharas flechare flecharen flechares flecharia flecharon flechase flechaseis
+flechasen flechases flechaste flechastes flechazo flechazos fleche flecheis flechen flechera
+flechero fleches flecho fleco flecos flecta flectad flectan flectar flectas flecte flecten flectes
+flecto flexibles flexion flexiona flexione flexiono flexiva flexivas flexivo flexivos flora floraba
+florad florada florado florais floral floran florar florara florare floras florase flore florea
+floreaba floread floreada floreado floreais floreal florean florear floreara floreare floreas
+florease florece floreced florecen florecer floreces floreci florecia florecio floree floreeis
+floreen florees floreis floremos floren florense floreo floreos florera floreras floreria florero
+floreros florescer floresta florestas floreta floretas florete floretea floretee floreteo floretes
+florezca florezco floridana floridanas floridano floridanos floridas floridez florido floridos
+florin florines floripon florista floro floron flotaba flotaban flotabas flotable flotad flotado
+flotador flotais flotamos flotan flotante flotantes flotar flotara flotaran flotaras flotare
+flotaren flotares flotaria flotaron flotas flotase flotasen flotases flotaste flote floteis floten
+flotes floto flujos fonda fondac fondacs fondada fondado fondas fondea fondead fondean fondear
+fondeas fondee fondeen fondees fondeo fondeos fondera fondero fondon fondona fondonas fondones
+fondonga fondongo fondue forenses forera foreras forero foreros foresta foreste foresto formaba
+formaban formabas formable formacion formad formada formadas formado formador formados formais
+formaje formajes formal formales formamos formando formante formantes formara formarais formaran
+formaras formare formareis formaren formares formaria formarian formarias formaron formase formaseis
+formasen formases formaste formatea formatee formateo formato formatos forme formeis formemos
+formero formeros formes formica formico formo formol formon formula formule formulo forra forraba
+forrad forrada forrado forrais forraje forran forrar forrara forrare forras forrase forrazo forre
+forrea forreaba forread forreado forreais forrean forrear forreara forreare forreas forrease forree
+forreeis forreen forrees forreis forremos forren forreo forres forro forros fortalece fortaleced
+fortalecen fortalecer fortaleces fortaleci fortalecia fortalecio fortalezas fortalezca fortalezcan
+fortalezcas fortalezco forte fortin fortuita fortuito fortunada fortunado fortunal fortunas fortunio
+fortuno fortunon fortunosa fortunoso forza forzaba forzaban forzabas forzad forzada forzadas
+forzador forzadores forzados forzais forzal forzales forzamos forzando forzar forzara forzaran
+forzaras forzare forzaren forzares forzaria forzaron forzas forzase forzasen forzases forzaste forzo
+forzosa forzoso forzuda forzudo fotograba fotograbad fotograban fotograbar fotograbas fotograbe
+fotograben fotograbes fotograbo fotografa fotografas fotografia fotografiad fotografian fotografiar
+fotografias fotografica fotografico fotografie fotografien fotografies fotografio fotografo
+fotografos fotograma fotogramas foton fotones frac fracasa fracasaba fracasaban fracasabas fracasad
+fracasada fracasadas fracasados fracasais fracasamos fracasan fracasando fracasar fracasara
+fracasaran fracasaras fracasare fracasaren fracasares fracasaria fracasaron fracasas fracasase
+fracasasen fracasases fracasaste fracase fracaseis fracasen fracases fracasos fracatan fracs fractal
+fracturaba fracturaban fracturabas fracturad fracturada fracturadas fracturado fracturados
+fracturais fracturamos fracturan fracturando fracturar fracturara fracturaran fracturaras fracturare
+fracturaren fracturares fracturaria fracturaron fracturas fracturase fracturasen fracturases
+fracturaste fracture fractureis fracturen fractures fracturo franca francas frances francesada
+francesadas francesas francio francios francisca franciscana franciscano franciscas franciscos
+francolin francota francotas francote francotes francotirador francotiradora francotiradoras franela
+frange frangen franges frangi frangia frangid frangio frangir frangis frangle franja franjad franjan
+franjar franjas franje franjea franjee franjen franjeo franjes franjo franjon frasca frascas frascos
+frasea fraseaba frasead fraseada fraseado fraseais frasean frasear fraseara fraseare fraseas
+frasease frasee fraseeis fraseen frasees fraseo fraseos frasis fraudar fraudes frecuenta frecuentad
+frecuentan frecuentar frecuentas frecuente frecuenten frecuentes frecuento fredo frena frenaba
+frenad frenada frenado frenais frenan frenar frenara frenare frenas frenase frenazo frene freneis
+frenen frenero frenes frenesi frental frentazo frentero frenteros frentes frenton frentona fresa
+fresaba fresad fresada fresado fresais fresal fresan fresar fresara fresare fresas fresase frescal
+frescales frescas frescolin frescor frescores frescos frescota frescotas frescote frescotes frescura
+frese freseis fresen fresera fresero freses fresnal fresno fresnos freso freson frior frios frita
+fritaba fritaban fritabas fritad fritada fritadas fritado fritados fritais fritamos fritan fritando
+fritanga fritar fritara fritaran fritaras fritare fritaren fritares fritaria fritaron fritase
+fritaseis fritasen fritases fritaste frite friteis friten fritera fritero frites fritos fritura
+frontal fronte frontenis fronteriza fronterizo frontero fronteros frontil frontina frontino frontis
+fronton frontuda frontudo frutaba frutaban frutabas frutad frutada frutadas frutado frutados frutais
+frutaje frutajes frutal frutales frutamos frutan frutando frutar frutara frutaran frutaras frutare
+frutaren frutares frutaria frutaron frutase frutaseis frutasen frutases frutaste frute frutea
+frutead frutean frutear fruteas frutece fruteci frutee fruteen frutees fruteis fruten fruteo frutera
+frutero frutes frutice frutier fruto frutos fuentada fuer fuerais fueramos fuerce fuercen fuerces
+fuere fuereis fueren fuerera fuerero fueres fuereña fuereño fuero fueros fuerzan fuerzo fuesa
+fueseis fuesemos fuesen fueses fugaba fugaban fugabas fugaces fugada fugadas fugado fugais fugamos
+fugan fugando fugar fugara fugaran fugaras fugare fugaren fugares fugaria fugaron fugas fugase
+fugasen fugases fugaste fugaz fugitiva fugitivas fugitivos fuisca fuisteis fumaba fumaban fumabas
+fumable fumad fumada fumadas fumado fumador fumados fumais fumamos fuman fumante fumantes fumara
+fumarada fumarais fumaran fumaras fumare fumareis fumarel fumaren fumares fumaria fumarian fumarias
+fumarola fumaron fumase fumaseis fumasen fumases fumaste fumata fumatas fumon fumona fumonas fumones
+fumosa fumosas fumoso fumosos funca funcaba funcad funcado funcais funcan funcar funcara funcare
+funcas funcase funche funches funcion funcionaba funcionaban funcionabas funcionad funcionais
+funcional funcionales funcionamos funcionara funcionarais funcionaran funcionaras funcionare
+funcionareis funcionaren funcionares funcionaria funcionarial funcionarian funcionarias funcionario
+funcionarios funcionaron funcionas funcionase funcionasen funcionases funcionaste funcioneis
+funcionemos funcionen funciono funco fundacion funebre funene funenes funerala funerales funeraria
+funerario funerea funereas funereo funereos funesta funesto furias furica furicas furico furicos
+furiosas furiosos fusible fusil fusila fusilad fusilan fusilar fusilas fusile fusilen fusiles fusilo
+fusion fusiona fusione fusiono fusique futbolera futbolero futboles futbolice futbolin futbolito
+futboliza futbolizo futuraria futurario futuras futuriza futurizo futuros fututa fututas fututo
+fututos gabrieles gafa gafaba gafaban gafabas gafad gafada gafadas gafado gafados gafais gafamos
+gafan gafando gafar gafara gafaran gafaras gafare gafaren gafares gafaria gafaron gafase gafaseis
+gafasen gafases gafaste gala galacho galaica galaico galan galana galanas galanes galanga galania
+galano galanos galante galapo galapos galas galata galatas galaxias galayo galayos galea galeana
+galeas galeato galeaza galega galegas galena galenas galeno galenos galeo galeon galeos galeota
+galeote galeoto galera galerada galeras galerero galeria galerias galerin galerita galerna galernas
+galerno galernos galero galeron galeros gales galesa galesas galeses galla gallaba gallad gallada
+gallado gallais gallan gallar gallara gallare gallaro gallas gallase galle gallea galleaba gallead
+galleada galleado galleais gallean gallear galleara galleare galleas gallease gallee galleeis
+galleen gallees gallega gallegas gallego gallegos galleis gallemos gallen galleo galleos gallera
+galleras galleria gallero galleros galles gallete galletera galletero galletes gallillo gallinacea
+gallinaceo gallinaza gallinazas gallinazo gallinazos gallinera gallinero gallineta gallinita gallino
+gallinos gallito gallitos gallo gallofa gallofe gallofo gallon gallos galludo ganaba ganaban ganabas
+ganable ganad ganada ganadas ganadera ganadero ganadora ganadoras ganados ganais ganancial
+gananciales gananciera gananciero gananciosa ganancioso ganapan ganara ganarais ganaran ganaras
+ganare ganareis ganaren ganares ganaria ganarian ganarias ganase ganaseis ganasen ganases ganasteis
+gancha ganchas ganchera ganchero ganchete ganchito ganchos ganchosa ganchosas ganchoso ganchosos
+ganchuda ganchudo gandara gandaras gandaya gandayas gandida gandido gandir gandola ganduja ganduje
+gandujo gandul gandula ganeis ganemos ganen ganes ganeta ganetas ganosa ganosas ganoso ganosos gara
+garaba garabas garajes garama garamas garanta garantais garantan garantas garante garanten garantes
+garanti garantia garantiais garantian garantias garantice garanticen garantices garantid garantida
+garantidas garantido garantidos garantiera garantiere garantiese garantimos garantio garantir
+garantira garantiran garantiras garantire garantiria garantis garantiste garantiza garantizaba
+garantizad garantizada garantizado garantizais garantizan garantizar garantizara garantizare
+garantizas garantizase garanto garas garata garatas garay garayes garañon garfiada garfio garfios
+gargajea gargajee gargajeo gargajo gargajos gargal gargales gargantada gargantas gargantea
+gargantead gargantean gargantear garganteas gargantee garganteen gargantees garganteo garganteos
+gargantera gargantero gargantil garganton gargantona gargara gargaras gargarea gargaree gargareo
+gargaro gargaros garra garraba garraban garrabas garrad garrado garrafa garrafal garrafas garrafon
+garrais garrama garramad garraman garramar garramas garrame garramen garrames garramo garramos
+garrampa garran garrando garrapo garrapos garrar garrara garraran garraras garrare garraren garrares
+garraria garraron garrase garraseis garrasen garrases garrasi garrasies garrasis garraste garre
+garrea garread garrean garrear garreas garree garreen garrees garreis garren garreo garres garri
+garria garrian garrias garrid garrida garrido garrio garrir garrira garrire garris garro garroba
+garrobo garrofa garron garrota garrote garruda garrudo garrula garrulo gasea gaseaba gasead gaseada
+gaseado gaseais gasean gasear gaseara gaseare gaseas gasease gasee gaseeis gaseen gasees gaseo
+gaseosa gaseoso gasoleno gasoleo gasoleos gasolera gasolero gasolinas gasolinera gasta gastaba
+gastaban gastabas gastable gastad gastada gastadas gastadero gastador gastadora gastadoras
+gastadores gastados gastais gastamos gastan gastando gastara gastarais gastaran gastaras gastare
+gastareis gastaren gastares gastaria gastarian gastarias gastaron gastas gastase gastasen gastases
+gastaste gaste gasteis gasten gastes gastiva gastivo gastiza gastizo gastosa gastosas gastoso
+gastosos gatea gateaba gatead gateada gateado gateais gatean gatear gateara gateare gateas gatease
+gatee gateeis gateen gatees gateo gatera gateras gateria gatero gateros gatesca gatescas gatesco
+gatescos gatillazo gatillos gelatinas gelatinosa gelatinoso gemela gemelar gemelares gemelo genera
+generaba generaban generabas generable generacion generacional generad generada generadas generado
+generadora generadoras generados generais generala generalas generalato generalice generaliza
+generalizo generamos generan generando generar generara generaran generaras generare generaren
+generares generaria generaron generas generase generasen generases generaste genere genereis generen
+generes generica generico genero generos generosas generosia generosias generosos genesica genesico
+genesis genesta geniazo geniazos genica genicas genico genicos genilla genios genipa genipas genista
+genital genitor geniuda geniudo geno genol genoles genoli genoma genomas genoves genovesa genovisca
+genovisco gentes gentiles gentileza gentilica gentilice gentilico gentiliza gentilizo gentillal
+gentio gentios gentuza georama georgiana georgianas georgiano georgianos georgica georgicas georgico
+georgicos gerencia gerenta gerentas gerentes gesta gestaba gestad gestada gestado gestais gestan
+gestar gestara gestare gestas gestase geste gestea gestead gestean gestear gesteas gestee gesteen
+gestees gesteis gesten gesteo gestera gestero gestes gestion gestor gestora gestoras gestores
+gestoria gestos gestual gestuda gestudo giga giganta gigantas gigantea giganteas giganteces giganteo
+giganteos gigantesca gigantescas gigantesco gigantescos gigantez gigantica gigantico giganton
+gigantona gigas gilipollez gimnasiada gimnasiadas gimnasias gimnasios gimnasta gimnastas ginea
+ginebrada ginebradas ginebras ginebres ginebresa ginebrina ginebrino gineceo ginesta gineta ginetas
+giraba giraban girabas girad girada giradas girado girador girados girais giralda giramos giran
+girandula girante girantes girara girarais giraran giraras girare girareis giraren girares giraria
+girarian girarias giraron giras girase girasen girases girasol giraste girocha girocho girofle
+girola girolas girones giros globales globalice globaliza globalizo globera globero globosa globosas
+globoso globosos globulo gloriaba gloriaban gloriabas gloriad gloriada gloriadas gloriado gloriados
+gloriais gloriamos glorian gloriando gloriar gloriara gloriaran gloriaras gloriare gloriaren
+gloriares gloriaria gloriaron glorias gloriase gloriasen gloriases gloriaste glorie glorieis glorien
+glories glorieta glorio gloriosa gloriosas gloriosos goberna gobernaba gobernaban gobernabas
+gobernable gobernad gobernada gobernadas gobernado gobernadora gobernadoras gobernadores gobernados
+gobernais gobernalle gobernamos gobernando gobernanta gobernante gobernanza gobernara gobernarais
+gobernaran gobernaras gobernare gobernareis gobernaren gobernares gobernaria gobernarian gobernarias
+gobernaron gobernas gobernase gobernasen gobernases gobernaste goberne goberneis goberno gobernosa
+gobernoso gobierna gobiernan gobiernas gobierne gobiernen gobiernera gobiernero gobiernes gobiernos
+golfa golfan golfas golfea golfead golfean golfear golfeas golfee golfeen golfees golfeo golfin
+golfos golfs golpazo golpeaba golpeaban golpeabas golpead golpeada golpeadas golpeadero golpeador
+golpeadora golpeadoras golpeadores golpeados golpeadura golpeais golpeamos golpean golpeara
+golpearais golpearan golpearas golpeare golpeareis golpearen golpeares golpearia golpearian
+golpearias golpearon golpeas golpease golpeaseis golpeasen golpeases golpeasteis golpee golpeeis
+golpeen golpees golpeo golpeos golpete golpetea golpetee golpeteo golpetes golpiza gomar gomas
+gondola gondolas gordal gordales gordana gordanas gordas gordeza gordor gordores gordura gorilas
+gorrada gorradas gorras gorrea gorread gorrean gorrear gorreas gorree gorreen gorrees gorreo gorrera
+gorrero gorrin gorrina gorrino gorrion gorro gorron gorrona gorros graba grababa grababan grababas
+grabacion grabad grabada grabadas grabador grabadora grabadoras grabadores grabados grabadura
+grabais grabamos graban grabara grabarais grabaran grabaras grabare grabareis grabaren grabares
+grabaria grabarian grabarias grabaron grabas grabase grabasen grabases grabaste grabazon grabe
+grabeis graben grabes grabo graceja gracejad gracejan gracejar gracejas graceje gracejen gracejes
+gracejo gracejos graciable graciada graciado graciana gracianas graciano gracianos gracil graciles
+graciola graciolas graciosas graciosos grada gradaba gradad gradada gradado gradais gradan gradar
+gradara gradare gradas gradase grade gradeis graden gradeo gradeos grades gradosa gradoso gradua
+graduacion graduad gradual graduan graduar graduas gradue graduen gradues graduo grama gramaba
+gramad gramada gramado gramais gramaje gramal graman gramar gramara gramare gramas gramase grame
+grameis gramen grames gramil gramo gramola gramolas gramosa gramosas gramoso gramosos grampa grampas
+grana granaba granaban granabas granad granadal granadales granadera granadero granadi granadies
+granadina granadino granadis granado granados granais granalla granalle granallo granamos granan
+granando granar granara granaran granaras granare granaren granares granaria granaron granas granase
+granasen granases granaste granate granates granatin granazon grance grances granda grandas grandeva
+grandevas grandevo grandevos grandez grandezas grandiosas grandiosos grandon grandona grandonas
+grandones grandor grandores grandura grane granea graneaba granead graneada graneado graneais
+granean granear graneara graneare graneas granease granee graneeis graneen granees graneis granel
+granemos granen graneo graneros granes granice granito graniza granizo granjas granjea granjeaba
+granjead granjeada granjeado granjeais granjean granjear granjeara granjeare granjeas granjease
+granjee granjeeis granjeen granjees granjeo granjeos granjera granjeras granjeria granjerias
+granjeros granos granosa granosas granoso granosos granuja granujo granula granule granulo granza
+granzas granzon grasas grasera grasero graseza graso grasor grasos grasosa grasoso graspo graspos
+grasura grata grataba gratad gratada gratado gratais gratan gratar gratara gratare gratas gratase
+grate grateis graten grates gratil gratiles gratin gratina gratinad gratinan gratinar gratinas
+gratine gratinen gratines gratino gratitudes gratiñan grato gratos gratula gratule gratulo grava
+gravaba gravad gravada gravado gravais gravan gravar gravara gravare gravas gravase gravear
+gravedades gravedosa gravedoso graveis gravemos graven gravera graveras graveza gravida gravido
+gravita gravite gravito gravo gravosa gravoso greca grecas greciana grecianas greciano grecianos
+grecice grecicen grecices grecisca grecisco grecismo greciza grecizad grecizan grecizar grecizas
+grecizo greco grecos gregal greyes griales griega griegas griesgo grieta grietan grietar grietas
+griete grietea grietee grieten grieteo grietes grieto gripa gripaba gripad gripada gripado gripais
+gripal gripan gripar gripara gripare gripas gripase gripeis gripemos gripen gripes gripo gripos
+griposa griposo grisa grisapa grisea grisead grisean grisear griseas grisee griseen grisees griseo
+griseos grises griseta grisma grismas grison grisona grisu grisues grisura grisus gritaba gritaban
+gritabas gritad gritada gritadas gritado gritador gritados gritais gritamos gritan gritara gritarais
+gritaran gritaras gritare gritareis gritaren gritares gritaria gritarian gritarias gritaron gritas
+gritase gritasen gritases gritaste grite griteis gritemos griten griteria griterio griton gritona
+gritonas gritonea gritonee gritoneo gritones gros grosa grosca grosedad grosella grosera groseras
+groseria groserias groseros groses grosez groseza groso grosor grosos grosura grupa grupada grupal
+grupas grupera grupeto grupi grupies grupis guanaba guanaco guanaja guanajo guanana guanche guando
+guandos guandu guandus guanepe guanera guanero guanga guangas guango guangos guanin guanina guano
+guanos guanota guanqui guanta guantada guantas guantazo guantea guanteaba guantead guanteada
+guanteado guanteais guantean guantear guanteara guanteare guanteas guantease guantee guanteeis
+guanteen guantees guanteo guantera guanteras guanteria guantero guanteros guapas guape guapea
+guapead guapean guapear guapeas guapee guapeen guapees guapeo guapes guapeza guapomo guapomos guapos
+guapota guapotas guapote guapotes guapura guapuru guara guaraca guarais guaral guaramo guaran
+guarana guarani guarao guaraos guarapo guaras guarayo guaraña guardaba guardaban guardabas guardable
+guardad guardada guardadas guardador guardadora guardadoras guardadores guardados guardais guardamos
+guardando guardara guardarais guardaran guardaras guardare guardareis guardaren guardares guardaria
+guardarian guardarias guardaron guardarrio guardase guardaseis guardasen guardases guardasol
+guardaste guardavia guardeis guardemos guarden guarderia guarderias guardes guardesa guardesas
+guardeses guardian guardiana guardianas guardiania guardianias guardilla guardin guardines guardon
+guardona guardonas guardones guardosa guardosas guardoso guardosos guare guarea guaread guarean
+guareao guarear guareas guarece guareci guaree guareen guarees guaren guareo guares guareña guari
+guaria guariais guarian guariao guariaos guarias guaricha guarid guaridas guaridera guaridero
+guarido guariera guariere guariese guariman guarimos guarin guarines guario guarir guarira guariran
+guariras guarire guariria guaris guarisma guarismo guariste guarna guarnan guarnas guarne guarnen
+guarnes guarni guarnia guarnid guarnio guarnir guarnis guarno guaro guaros guarosa guaroso guarra
+guarras guarrea guarree guarreo guarro guarros guarte guarumo guarura guaruso guaucho guera gueras
+guercha guercho guero gueros guerrea guerreaba guerread guerreada guerreado guerreais guerrean
+guerrear guerreara guerreare guerreas guerrease guerree guerreeis guerreen guerrees guerreo guerrera
+guerreras guerreria guita guitaba guitaban guitabas guitad guitada guitadas guitado guitados guitais
+guitamos guitan guitando guitar guitara guitarais guitaran guitaras guitare guitareis guitaren
+guitares guitaria guitarian guitarias guitaron guitarras guitarrazo guitarrazos guitarreo guitarreos
+guitarrera guitarrero guitarro guitarron guitarros guitas guitase guitasen guitases guitaste gusanea
+gusanead gusanean gusanear gusaneas gusanee gusaneen gusanees gusaneo gusanera gusanosa gusanosas
+gusanoso gusanosos gustabais gustabamos gustabas gustable gustables gustad gustada gustadas gustados
+gustadura gustais gustamos gustando gustarais gustaramos gustaran gustaras gustare gustareis
+gustaren gustares gustariais gustariamos gustarian gustarias gustaron gustase gustaseis gustasen
+gustases gustaste gustazo gustazos gusteis gustemos gusten gustes gustos gustosa gustosas gustoso
+gustosos habeis haberada haberado haberes haberio haberios haberosa haberoso habiais habiamos habian
+habices habida habidas habidera habidero habidos habiente habientes habil habiles habilidosa
+habilidoso habilita habilitad habilitan habilitar habilitas habilite habiliten habilites habilito
+habillo habita habitaba habitaculo habitad habitada habitado habitais habitan habitando habitante
+habitanza habitar habitara habitare habitas habitase habitat habitats habite habiteis habiten
+habites habito habitos habitua habituaba habituaban habituabas habituad habituada habituadas
+habituado habituados habituais habituales habituamos habituan habituando habituar habituara
+habituaran habituaras habituare habituaren habituares habituaria habituaron habituas habituase
+habituasen habituases habituaste habitud habitudes habitue habitueis habituen habitues habituo habiz
+hablabais hablabamos hablad hablada habladas habladera hablador habladora habladoras habladores
+hablados hablais hablante hablantes hablantin hablarais hablaramos hablaran hablaras hablare
+hablareis hablaren hablares hablaria hablarian hablarias hablase hablaseis hablasen hablases
+hablasteis hableis habran habras habre habreis habriais habriamos habrian habrias haced hacedor
+haceis hacenda hacendad hacendar hacendas hacende hacendo hacera haceras hachaba hachaban hachabas
+hachad hachada hachadas hachado hachados hachais hachamos hachan hachando hachar hachara hacharan
+hacharas hachare hacharen hachares hacharia hacharon hachas hachase hachasen hachases hachaste
+hachazo hachazos hache hachea hachead hachean hachear hacheas hachee hacheen hachees hacheis hachemi
+hachen hacheo hachero haches hachis hacho hachon hachos hachote haciais haciamos hacian hacias
+haciendan haciendas haciende hacienden haciendes haciente hacina hacinad hacinan hacinar hacinas
+hacine hacinen hacines hacino hadada hadadas hadado hadador hadados hadar hadaria hadario hagais
+halcon hale haleche haleis halemos halen hales hallaba hallaban hallabas hallaca hallacas hallad
+hallada halladas hallador halladora halladoras halladores hallados hallais hallan hallando hallara
+hallarais hallaran hallaras hallare hallareis hallaren hallares hallaria hallarian hallarias hallas
+hallase hallasen hallases hallaste hallazgo halle halleis hallen halles hallo hambrea hambreaba
+hambread hambreada hambreado hambreais hambrean hambrear hambreara hambreare hambreas hambrease
+hambree hambreeis hambreen hambrees hambreo hambres hambria hambrias hambrienta hambrientas
+hambrientos hambrina hambrio hambrios hambron hambrona hambruna hamburgues hamburgueses haragan
+haran harapo harapos haraute harba harbaba harbad harbado harbais harban harbar harbara harbare
+harbas harbase harbe harbeis harben harbes harbo hareis harem harems haren harenes harense hariais
+hariamos harian harias harija harijas harina harinas harinea harinee harineo haron harona haronas
+haronea haronee haroneo harones haronia harpa harpada harpado harpas harpia harpias harrado harrapo
+harre harrea harread harrean harrear harreas harree harreen harrees harreo harria harrias harriero
+hartaba hartaban hartabas hartad hartada hartadas hartado hartados hartais hartamos hartan hartando
+hartar hartara hartaran hartaras hartare hartaren hartares hartaria hartaron hartas hartase hartasen
+hartases hartaste hartazga hartazgo hartazon harte harteis harten hartera hartes harton hartona
+hartonas hartones hartos hartura hastia hastiad hastial hastian hastiar hastias hastie hastien
+hasties hastio hastios hayaca hayacas hayais hayal hayales hayedo hayedos hayena hayeno hechice
+hechicen hechices hechiza hechizaba hechizad hechizada hechizado hechizais hechizan hechizar
+hechizara hechizare hechizas hechizase hechizos hechor hechora hechoras hechores hechura hectica
+hectico hectorea hectoreas hectoreo hectoreos hela helaba helaban helabas helable helad heladas
+heladera heladero heladiza heladizo helador heladora heladoras heladores heladura helais helaje
+helajes helamos helando helar helara helaran helaras helare helaren helares helaria helaron helas
+helase helasen helases helaste hele helea heleaba helead heleada heleado heleais helean helear
+heleara heleare heleas helease helecho helee heleeis heleen helees heleis helemos helenas helenica
+helenice helenico helenio helenios heleniza helenizo heleno helenos heleo helera heleras helero
+heleros heliaca heliaco helice helices helicon helio heliones helios heliosis hembraje hembrajes
+hembras hembrea hembread hembrean hembrear hembreas hembree hembreen hembrees hembreo hembron
+hembruna hembruno hemorragias hemorragica hemorragicas hemorragico hemorragicos hender hendera
+henderan henderas hendere hendereis henderia henderian henderias henrio henrios herba herbaba herbad
+herbada herbado herbais herbaja herbaje herbajo herbal herbar herbara herbare herbas herbase herbato
+herbe herbece herbeci herbeis herbera herbero herbo herbola herbole herbolo herbosa herboso hereda
+heredaba heredad heredada heredado heredais heredan heredar heredara heredare heredas heredase
+herede heredeis heredemos hereden heredera herederas herederos heredes heredo herencias heri heria
+heriais herian herias herid heridor heridora heridoras heridores heril heriles herimos herira
+heriran heriras herire herireis heriria heririan heririas heris heriste herma hermanaba hermanaban
+hermanabas hermanable hermanad hermanada hermanadas hermanado hermanados hermanais hermanal
+hermanales hermanamos hermanan hermanando hermanar hermanara hermanaran hermanaras hermanare
+hermanaren hermanares hermanaria hermanaron hermanase hermanaseis hermanasen hermanases hermanaste
+hermanastra hermanastro hermanazgo hermanda hermandaba hermandaban hermandabas hermandades
+hermandado hermandais hermandamos hermandan hermandando hermandar hermandara hermandaran hermandaras
+hermandare hermandaren hermandares hermandaria hermandaron hermandarse hermandas hermandase
+hermandasen hermandases hermandaste hermande hermandeis hermanden hermandes hermandino hermando
+hermane hermanea hermanead hermanean hermanear hermaneas hermanece hermaneci hermanee hermaneen
+hermanees hermaneis hermanen hermaneo hermanes hermanuco hermas hermosea hermosead hermosean
+hermosear hermoseas hermosee hermoseen hermosees hermoseo hermoseos hermosura herodes heroe heroes
+heroica heroico heroida heroina herra herraba herrad herrada herrado herrais herraj herraje
+herramienta herrar herrara herrare herras herrase herre herreis herren herrena herrene herreno
+herrera herrero herrete herreña herreño herrial herrin herriza herro herrojo herron hicierais
+hicieramos hiciere hiciereis hicieren hicieres hiciese hiciesen hicieses hicisteis hiel hiela hielan
+hielas hiele hielen hielera hieles hielos hieltro hiera hieran hieras hierbajo hierbajos hierbal
+hierbales hierban hierbas hierbazal hierbe hierben hierbera hierbero hierbes hierbo hiere hieren
+hieres hiero hieros hierra hierran hierras hierre hierren hierres hierros hierva hiervan hiervas
+hierve hierven hierves hiervo hijastra hijastro hijato hijatos hijole hila hilaba hilaban hilabas
+hilacha hilacho hilad hilada hiladas hilado hilador hilados hilais hilamos hilan hilando hilanza
+hilar hilara hilarais hilaran hilaras hilare hilareis hilaren hilares hilaria hilarian hilarias
+hilaron hilas hilase hilasen hilases hilaste hilaza hilazas hilorio hilos hipotecaba hipotecaban
+hipotecabas hipotecable hipotecad hipotecada hipotecadas hipotecado hipotecados hipotecais
+hipotecamos hipotecan hipotecando hipotecar hipotecara hipotecaran hipotecaras hipotecare
+hipotecaren hipotecares hipotecaria hipotecario hipotecaron hipotecas hipotecase hipotecasen
+hipotecases hipotecaste hipotecnia hipoteco hipotensa hipotenso hipoteque hipotesi hipotesis
+hiriendo hiriente hiriera hirierais hirieran hirieras hiriere hiriereis hirieren hirieres hiriese
+hiriesen hirieses historiaba historiaban historiabas historiable historiad historiada historiadas
+historiado historiador historiados historiais historiales historiamos historian historiando
+historiar historiara historiaran historiaras historiare historiaren historiares historiaria
+historiaron historiase historiaseis historiasen historiases historiaste historica historicas
+historico historicos historie historieis historien histories historieta historio historismo hobby
+hogareña hogareñas hogareño hogareños hogaril hogaza hogazas hogaño hogueras hogueril hojalde holan
+holandas holandes holandesa holandeta holanes holla hollaba hollad hollada hollado hollais hollar
+hollara hollare hollas hollase holle holleca holleis holleja hollejo hollin hollo holmio holmios
+hombrada hombrea hombreaba hombread hombreado hombreais hombrean hombrear hombreara hombreare
+hombreas hombrease hombrecillo hombredad hombree hombreeis hombreen hombrees hombreo hombrera
+hombreras hombria hombrias hombron hombrones hombruna hombruno homiciano homiciar homicida homicidas
+homiciero homicillo homosexuales honda hondada hondas hondazo hondea hondead hondean hondear hondeas
+hondee hondeen hondees hondeo hondero hondijo hondon hondonal hondones hondos hondura honestaba
+honestaban honestabas honestad honestada honestadas honestado honestados honestais honestamos
+honestan honestando honestar honestara honestaran honestaras honestare honestaren honestares
+honestaria honestaron honestas honestase honestasen honestases honestaste honeste honesteis honesten
+honestes honestidades hongo hongos hongosa hongoso honora honoraba honorabais honoraban honorabas
+honorables honorad honorada honoradas honorado honorados honorais honoramos honoran honorando
+honorar honorara honoraran honoraras honorare honoraren honorares honoraria honorario honoraron
+honoras honorase honorasen honorases honoraste honore honoreis honoremos honoren honoro honorosa
+honoroso honra honraba honraban honrabas honrable honrad honrada honradas honradera honradero
+honradez honrador honradora honrados honrais honramos honran honrando honrar honrara honraran
+honraras honrare honraren honrares honraria honraron honras honrase honrasen honrases honraste honre
+honreis honren honres honro honrosa honroso horacar horaco horada horadad horadan horadar horadas
+horade horaden horades horado horados horaria horarias horarios horizontal horizontes horna hornaba
+hornad hornada hornado hornais hornan hornar hornara hornare hornas hornase hornaza hornazo horne
+hornea hornead hornean hornear horneas hornee horneen hornees horneis hornen horneo hornera hornero
+hornes hornia hornias hornija hornos horra horraba horrad horrada horrado horrais horran horrar
+horrara horrare horras horrase horre horreis horren horreo horreos horrero horres horrida horridas
+horridez horrido horridos horro horrores horrorice horroriza horrorizo horrorosa horroroso horros
+horrura hospicio hospitalera hospitaleras hospitalero hospitaleros hospitalice hospitalicen
+hospitalices hospitalicia hospitalicio hospitalidades hospitaliza hospitalizad hospitalizan
+hospitalizar hospitalizas hospitalizo hostaje hostal hoste hostia hostias hostiera hostiero hostiga
+hostigad hostigan hostigar hostigas hostigo hostigos hostigue hostiles hostilice hostiliza hostilizo
+hotelera hoteleras hoteleria hotelero hoteleros hoyos hoyosa hoyosas hoyoso hoyosos hubierais
+hubieramos hubiere hubiereis hubieren hubieres hubieron hubieseis hubiesemos hubimos hubiste hueca
+huecas huecos huela huelan huelas huelen huelgan huelgas huelgo huelgos huelgue huelguen huelgues
+huellan huelle huellen huelles huelliga huello huellos huesa huesas huesera huesero huesosa huesosas
+huesoso huesosos huesped huesque hueste huestea huestee huesteo huestes huesuda huesudo hueva
+huevaba huevad huevada huevado huevais huevan huevar huevara huevare huevas huevase hueve huevea
+huevead huevean huevear hueveas huevee hueveen huevees hueveis hueven hueveo huevera huevero hueves
+huevil huevon huevona huevonas huevonea huevonee huevoneo huevones huira huiran huiras huire huireis
+huiria huirian huirias huiro huiros huma humaba humaban humabas humad humada humadas humado humaina
+humais humamos human humanaba humanaban humanabas humanad humanada humanadas humanado humanados
+humanais humanal humanales humanamos humanan humanando humanar humanara humanaran humanaras humanare
+humanaren humanares humanaria humanaron humanase humanaseis humanasen humanases humanaste humando
+humane humaneis humanen humanes humanice humanicen humanices humanidades humanismo humanista
+humaniza humanizad humanizan humanizar humanizas humanizo humanoide humar humara humaran humaras
+humare humaren humares humaria humaron humas humase humasen humases humaste humaza humazas humazga
+humazo humazon humazos humica humicas humico humicos humida humidad humidas humido humidos humil
+humildad humildes humildosa humildoso humilla humillacion humillad humillan humillar humillas
+humille humillen humilles humillo humillos humita humitas humorada humorado humoral humores humorosa
+humoroso humos humosa humosas humoso humosos hura huracan huracana huracane huracano huraco huracos
+huras huraña hurañas hurañia huraño huraños huyen huyera huyeran huyeras huyere huyeren huyeres
+huyeron huyes huyese huyesen huyeses ideaba ideaban ideabas idead ideada ideadas ideado ideados
+ideais idealice idealiza idealizo ideamos idean ideando idear ideara idearan idearas ideare idearen
+ideares idearia ideario idearon idease ideaseis ideasen ideases ideaste ideay identica identicas
+identico identicos identidades identifica identificaba identificaban identificabas identificable
+identificacion identificad identificada identificadas identificador identificadora identificadoras
+identificadores identificados identificais identificamos identifican identificando identificara
+identificarais identificaran identificaras identificare identificareis identificaren identificares
+identificaria identificarian identificarias identificaron identificas identificase identificasen
+identificases identificaste identifico identifique idiocia idiotez idiotice idiotipo idiotiza
+idiotizo iglesiario iglesias iglesiera iglesiero ignaciana ignaciano ignara ignaras ignaro ignaros
+ignava ignavas ignavia ignavo ignavos ignoble ignora ignoraba ignoraban ignorabas ignorad ignorada
+ignoradas ignorado ignorados ignorais ignoramos ignoran ignorancias ignorando ignorantes ignorara
+ignorarais ignoraran ignoraras ignorare ignorareis ignoraren ignorares ignoraria ignorarian
+ignorarias ignoraron ignoras ignorase ignorasen ignorases ignoraste ignore ignoreis ignoren ignores
+ignoro ignota ignotas ignoto ignotos iguada iguado iguala igualaba igualad igualada igualado
+igualais igualan igualar igualara igualare igualas igualase igualdad iguale igualeis igualemos
+igualen igualeza igualo igualon igualona iguana iguanal iguanas iguar iguaria ilegalice ilegaliza
+ilegalizo ilusa ilusas ilusion ilusiona ilusionaba ilusionad ilusionada ilusionado ilusionais
+ilusionan ilusionar ilusionara ilusionare ilusionas ilusionase ilusione ilusioneis ilusionemos
+ilusionen ilusiono ilusiva ilusivas ilusivo ilusivos iluso ilusos ilustra ilustre ilustro imagenes
+imaginabais imaginabamos imaginaban imaginabas imaginable imaginables imaginacion imaginad imaginada
+imaginadas imaginados imaginais imaginamos imaginan imaginando imaginara imaginarais imaginaran
+imaginaras imaginare imaginareis imaginaren imaginares imaginaria imaginarian imaginarias imaginario
+imaginarios imaginaron imaginase imaginaseis imaginasen imaginases imaginaste imagine imagineis
+imaginen imaginero imagines imbeciles imbele imbeles imberbe imitacion impacta impactaba impactad
+impactada impactado impactais impactan impactar impactara impactare impactas impactase impacte
+impacteis impacten impactes impactos impago impagos impala impalas impar impares imparta imparte
+imparti imparto impedi impedia impediais impedian impedias impedid impedida impedidas impedido
+impedidor impedidos impedimos impedira impediran impediras impedire impedireis impediria impedirian
+impedirias impedis impediste impela impelan impelas impele impeled impelen impeler impeles impeli
+impelia impelio impelo impenda impende impendi impendo impensa impeque impera imperaba imperad
+imperado imperais imperan imperar imperara imperare imperas imperase impere impereis imperen imperes
+imperiales impericia imperios imperiosa imperiosas imperioso imperiosos imperita imperitas imperito
+imperitos impero impertir impeto impetra impetre impetro impetu impetus impia impias impida impidais
+impidan impidas impiden impides impidio impido impio impios impirea impireo impla implaba implad
+implada implado implais implan implar implara implare implas implase imple impleis implen imples
+implicaba implicaban implicabas implicad implicada implicadas implicado implicados implicais
+implicamos implican implicando implicar implicara implicaran implicaras implicare implicaren
+implicares implicaria implicaron implicas implicase implicasen implicases implicaste implicita
+implicito implico implique implo implora implore imploro implume impon impone imponed imponen
+imponer impones imponga impongo imponia importabais importabamos importaban importabas importable
+importables importad importada importadas importado importador importados importais importamos
+importancias importando importara importarais importaran importaras importare importareis importaren
+importares importaria importarian importarias importaron importas importase importasen importases
+importaste importeis importemos importen importes importo importuna importune importuno imposibles
+impositor imposta imposte imposto impresa impresas impresion impresiona impresionaba impresionaban
+impresionabas impresionable impresionad impresionada impresionadas impresionados impresionais
+impresionamos impresionan impresionando impresionantes impresionara impresionarais impresionaran
+impresionaras impresionare impresionareis impresionaren impresionares impresionaria impresionarian
+impresionarias impresionaron impresionas impresionase impresionasen impresionases impresionaste
+impresione impresioneis impresionen impresiones impresiono impresiva impresivas impresivo impresivos
+impreso impresor impresora impresos impuber impudor impuesta impuestas impuesto impugna impugne
+impugno impulsa impulsaba impulsad impulsada impulsado impulsais impulsan impulsar impulsara
+impulsare impulsas impulsase impulse impulseis impulsen impulses impulsion impulsiva impulsivo
+impulsor impulsora impulsoras impulsores impulsos impune impunes impura impuras impuro impuros
+impuse impuso imputa imputad imputan imputar imputas impute imputen imputes imputo inaceptables inca
+incaica incaico incaler incapaces incario incas incasta incasto incauta incaute incauto incendaja
+incendia incendiaba incendiad incendiada incendiado incendiais incendian incendiar incendiara
+incendiare incendias incendiase incendie incendieis incendien incendies incensa incensad incensar
+incensas incense incenso incide inciden incidencia incidental incidentes incides inclin inclina
+incline inclino inclita inclito inclui incluia incluiais incluian incluias incluid incluida
+incluidas incluidos incluimos incluir incluira incluiran incluiras incluire incluiria incluis
+incluiste inclusa inclusas inclusera inclusero inclusion inclusiva inclusive inclusivo inclusos
+incluya incluyais incluyan incluyas incluyen incluyera incluyeran incluyeras incluyere incluyeren
+incluyeres incluyeron incluyes incluyese incluyesen incluyeses incluyo inconsciencia inconscientes
+inconveniencia inconvenientes increibles independencias independente independientes indiada indiadas
+indiana indianas indianes indiano indianos indias indicaba indicaban indicabas indicad indicada
+indicadas indicador indicadora indicadoras indicadores indicados indicais indicamos indicando
+indicante indicantes indicar indicara indicaran indicaras indicare indicaren indicares indicaria
+indicaron indicas indicase indicasen indicases indicaste indice indiceis indicen indices indicia
+indiciad indician indiciar indicias indicie indicien indicies indicio indicios indico indicos
+indigna indigne indigno indigo indigos indilga indilgo indina indinad indinan indinar indinas indine
+indinen indines indino indinos indique individua individuaba individuad individuada individuado
+individuais individual individuan individuar individuara individuare individuas individuase
+individue individueis individuen individues individuos indivisa indivisas indiviso indivisos indiza
+indizad indizan indizar indizas indizo industriaba industriaban industriabas industriad industriada
+industriadas industriado industriados industriais industrial industriales industriamos industrian
+industriando industriar industriara industriaran industriaras industriare industriaren industriares
+industriaria industriaron industrias industriase industriasen industriases industriaste industrie
+industrieis industrien industries industrio industriosa industrioso inesperable inesperada
+inesperadas inesperados inestables inevitables infama infamad infaman infamar infamas infame infamen
+infames infamia infamo infancias infanda infandas infando infandos infanta infantado infantas
+infante infantejo infantejos infanteria infanterias infantes infantesa infantiles infantillo
+infantillos infantina infantinas infantino infanzon infarta infartaba infartad infartada infartado
+infartais infartan infartar infartara infartare infartas infartase infarte infarteis infarten
+infartes infartos infatua infatue infatuo infeccion infecciona infeccione infecciono infecciosa
+infeccioso infecir infecta infectaba infectaban infectabas infectad infectadas infectados infectais
+infectamos infectan infectando infectar infectara infectaran infectaras infectare infectaren
+infectares infectaria infectaron infectas infectase infectasen infectases infectaste infecte
+infecteis infecten infectes infectiva infectivo infecto infectos infelice infelices infera inferas
+inferi inferia inferiais inferian inferias inferid inferida inferidas inferido inferidos inferimos
+inferiores inferir inferira inferiran inferiras inferire inferiria inferis inferiste inferna
+infernad infernal infernar infernas inferne inferno infernos infero inferos infertil infesta infeste
+infesto infeuda infeude infeudo infiel infieles infiera infieran infieras infiere infieren infieres
+infierna infiernan infiernas infierne infiernen infiernes infiernito infiernos infiero infinible
+infinida infinidad infinido infinita infinitas infinitivo infinitos infinitud infinta influenciaba
+influenciaban influenciabas influenciable influenciad influenciada influenciadas influenciado
+influenciados influenciais influenciamos influencian influenciando influenciar influenciara
+influenciaran influenciaras influenciare influenciaren influenciares influenciaria influenciaron
+influencias influenciase influenciasen influenciases influenciaste influencie influencieis
+influencien influencies influencio influente influentes influenza influenzas infolio informaba
+informaban informabas informacion informad informada informadas informador informadora informadoras
+informadores informados informais informal informales informamos informan informando informantes
+informara informarais informaran informaras informare informareis informaren informares informaria
+informarian informarias informaron informas informase informasen informases informaste informeis
+informemos informen informo ingenia ingeniaba ingeniad ingeniada ingeniado ingeniais ingenian
+ingeniar ingeniara ingeniare ingenias ingeniase ingenie ingenieis ingeniemos ingenien ingeniera
+ingenieras ingenieria ingenierias ingenieril ingenieros ingenies ingenio ingenios ingeniosa
+ingeniosas ingeniosos ingenita ingenitas ingenito ingenitos ingle ingles inglesas inglete ingletea
+ingletee ingleteo ingletes ingre ingres ingresa ingresaba ingresaban ingresabas ingresad ingresada
+ingresadas ingresado ingresados ingresais ingresamos ingresan ingresando ingresara ingresarais
+ingresaran ingresaras ingresare ingresareis ingresaren ingresares ingresaria ingresarian ingresarias
+ingresaron ingresas ingresase ingresasen ingresases ingresaste ingrese ingreseis ingresen ingreses
+ingresiva ingresivo ingreso inicia iniciaba iniciaban iniciabas iniciad iniciada iniciadas iniciado
+iniciador iniciados iniciais iniciala inicialaba inicialad inicialada inicialado inicialais
+inicialan inicialar inicialara inicialare inicialas inicialase iniciale inicialeis inicialemos
+inicialen inicialice inicializa inicializo inicialo iniciamos inician iniciando iniciara iniciarais
+iniciaran iniciaras iniciare iniciareis iniciaren iniciares iniciaria iniciarian iniciarias
+iniciaron inicias iniciase iniciasen iniciases iniciaste inicie inicieis inicien inicies inicios
+inicua inicuas inicuo inicuos injuria injurie injurio injusta injustas injustos inmediatas
+inmediatez inmediatos inmensa inmensas inmensos inmersa inmerso inmoral inmortales inmortalice
+inmortalicen inmortalices inmortalidades inmortaliza inmortalizad inmortalizan inmortalizar
+inmortalizas inmortalizo inocencias inocentada inocenton inocentona inodora inodoras inodoros
+inscripcion insectil inseri inseria inserid inserir inseris inserta inserte inserto insidia insidie
+insidio insiera insiere insiero insigne insignes insignias insignida insignido insignificancia
+insignificantes insinia insinua insinue insinuo insirio insista insistais insistan insistas insisten
+insistente insistes insisti insistia insistiais insistian insistias insistid insistido insistiera
+insistiere insistiese insistimos insistio insistir insistira insistiran insistiras insistire
+insistiria insistis insististe insita insitas insito insitos insoportables inspeccion inspecciona
+inspeccione inspecciono inspectora inspectoras inspectores inspectoria inspectorias inspiracion
+insta instaba instaban instabas instable instad instada instadas instado instados instais instala
+instalacion instalad instalan instalar instalas instale instalen instales instalo instamos instan
+instancia instando instantes instar instara instaran instaras instare instaren instares instaria
+instaron instas instase instasen instases instaste instaura instaure instauro instiga instigad
+instigan instigar instigas instigo instigue instila instilad instilan instilar instilas instile
+instilen instiles instilo instintiva instintivo institor institucion institui instituia instituian
+instituias instituid instituida instituido instituir instituira instituire instituis institutor
+institutora institutoras institutores institutos institutriz instituya instituyan instituyas
+instituye instituyen instituyes instituyo instruccion instrumenta instrumentaba instrumentad
+instrumentada instrumentado instrumentais instrumental instrumentan instrumentar instrumentara
+instrumentare instrumentas instrumentase instrumente instrumenteis instrumenten instrumentes insuave
+insuda insudad insudan insudar insudas insude insuden insudes insudo insufla insufle insuflo insula
+insulana insulano insular insulas insulina insulsa insulsas insulsez insulso insulsos insulta
+insultaba insultad insultada insultado insultais insultan insultar insultara insultare insultas
+insultase insulte insulteis insulten insultes insultos insuma insuman insumas insume insumen insumes
+insumi insumia insumid insumio insumir insumis insumo insumos insurge insurgi insurja insurjo
+integra integre integridades integrismo integrista integro intelectiva intelectivo intelecto
+intelectos intelectuales intelectualice intelectualiza intelectualizo inteligenciaba inteligenciaban
+inteligenciabas inteligenciad inteligenciada inteligenciadas inteligenciado inteligenciados
+inteligenciais inteligenciamos inteligencian inteligenciando inteligenciar inteligenciara
+inteligenciaran inteligenciaras inteligenciare inteligenciaren inteligenciares inteligenciaria
+inteligenciaron inteligencias inteligenciase inteligenciasen inteligenciases inteligenciaste
+inteligencie inteligencieis inteligencien inteligencies inteligencio intencion intencionada
+intencionado intencional intender intensa intensaba intensad intensada intensado intensais intensan
+intensar intensara intensare intensas intensase intense intenseis intensen intenses intension
+intensiva intensivo intensos intentabais intentabamos intentaban intentabas intentad intentada
+intentadas intentados intentais intentara intentarais intentaran intentaras intentare intentareis
+intentaren intentares intentaria intentarian intentarias intentase intentaseis intentasen intentases
+intentasteis intenteis intentemos intentona intentonas intentos inter intercambia intercambiaba
+intercambiad intercambiada intercambiado intercambiais intercambian intercambiar intercambiara
+intercambiare intercambias intercambiase intercambie intercambieis intercambien intercambies
+intercambios interes interesaba interesaban interesabas interesable interesad interesadas interesais
+interesal interesales interesamos interesando interesar interesara interesaran interesaras
+interesare interesaren interesares interesaria interesaron interesas interesase interesasen
+interesases interesaste interese intereseis interesemos interesen intereso interfaz interfecta
+interfecto interferencial interferencias interferi interferia interferiais interferian interferias
+interferid interferida interferidas interferido interferidos interferimos interferira interferiran
+interferiras interferire interferireis interferiria interferirian interferirias interferis
+interferiste interferon interiana interiano interin interina interinad interinan interinar interinas
+interine interinen interines interino interinos interiorana interiorano interiores interiorice
+interioriza interiorizo internaba internaban internabas internacion internacionales internaciones
+internad internada internadas internados internais internamos internan internando internar internara
+internaran internaras internare internaren internares internaria internaron internas internase
+internasen internases internaste interne interneis internemos internen internes internodio interpon
+interrogatorios interrumpa interrumpais interrumpan interrumpas interrumpe interrumpen interrumpes
+interrumpi interrumpia interrumpiais interrumpian interrumpias interrumpid interrumpida
+interrumpidas interrumpido interrumpidos interrumpiera interrumpiere interrumpiese interrumpimos
+interrumpio interrumpira interrumpiran interrumpiras interrumpire interrumpireis interrumpiria
+interrumpirian interrumpirias interrumpis interrumpiste interrumpo interruptora interruptoras
+interruptores interven interviu intesta inteste intesto intimida intimidaba intimidaban intimidabas
+intimidada intimidadas intimidades intimidado intimidados intimidais intimidamos intimidan
+intimidando intimidar intimidara intimidaran intimidaras intimidare intimidaren intimidares
+intimidaria intimidaron intimidas intimidase intimidasen intimidases intimidaste intimide intimideis
+intimiden intimides intimido intimismo intimista intrica intrico intriga intrigo intrusa intrusaba
+intrusado intrusais intrusan intrusar intrusara intrusare intrusas intrusase intruse intrusea
+intrusead intrusean intrusear intruseas intrusee intruseen intrusees intruseis intrusen intruseo
+intruses intrusete intrusion inusada inusado inusuales invasion invasiva invasivas invasivo
+invasivos invasor invasora invehir invencibles invencion invenir inventa inventaba inventaban
+inventabas inventad inventada inventadas inventador inventadora inventados inventais inventamos
+inventan inventando inventara inventarais inventaran inventaras inventare inventareis inventaren
+inventares inventaria inventariad inventarian inventariar inventarias inventarie inventarien
+inventaries inventario inventarios inventaron inventas inventase inventasen inventases inventaste
+invente inventeis inventen inventes inventiva inventivo inventor inventora inventoras inventores
+inventos inverna invernad invernal invernan invernar invernas inverne invernen invernes inverno
+inversa inversas inversion inverso inversor inversora inversos inverti invertia invertiais invertian
+invertias invertible invertid invertida invertidas invertidos invertimos invertira invertiran
+invertiras invertire invertireis invertiria invertirian invertirias invertis invertiste investi
+investia investiais investian investias investid investida investidas investido investidos investiga
+investigaba investigaban investigabas investigable investigacion investigad investigada investigadas
+investigado investigadora investigadoras investigadores investigados investigais investigamos
+investigan investigara investigarais investigaran investigaras investigare investigareis
+investigaren investigares investigaria investigarian investigarias investigaron investigas
+investigase investigasen investigases investigaste investigo investigue investiguen investigues
+investimos investir investira investiran investiras investire investiria investis investiste inviar
+invicta invicto invida invidas invidia invido invidos invierna inviernan inviernas invierne
+inviernen inviernes inviernos invierta inviertan inviertas invierte invierten inviertes invierto
+invisibles invista inviste invisto invitaba invitaban invitabas invitacion invitad invitadas
+invitador invitadora invitadoras invitadores invitais invitamos invitan invitando invitara
+invitarais invitaran invitaras invitare invitareis invitaren invitares invitaria invitarian
+invitarias invitas invitase invitasen invitases invitaste invite inviteis inviten invites involucra
+involucraba involucraban involucrabas involucrad involucrada involucradas involucrados involucrais
+involucramos involucran involucrando involucrar involucrara involucraran involucraras involucrare
+involucraren involucrares involucraria involucraron involucras involucrase involucrasen involucrases
+involucraste involucre involucreis involucren involucres involucro involucros inyeccion irisa
+irisaba irisad irisada irisado irisais irisan irisar irisara irisare irisas irisase irise iriseis
+irisen irises iriso irlandas irlandes irlandesa irlandesas irlandesca irlandesco ironia ironias
+ironica ironice ironico ironiza ironizo isabela isabelas isabelina isabelino isabelo isabelos islam
+islams islan islandes islandesa islandica islandico islanes islario israeli israelies israelis
+israelita itala italas italianas italianice italianiza italianizo italica italicas italico italicos
+italo italos izquierdas izquierdea izquierdead izquierdean izquierdear izquierdeas izquierdee
+izquierdeen izquierdees izquierdeo izquierdos izquierdosa izquierdosas izquierdoso izquierdosos
+jadea jadeaba jadead jadeado jadeais jadean jadear jadeara jadeare jadeas jadease jadee jadeeis
+jadeen jadees jadeo jadeos jades jama jamaba jamaban jamabas jamad jamada jamadas jamado jamados
+jamais jamamos jaman jamando jamar jamara jamaran jamaras jamare jamaren jamares jamaria jamaron
+jamase jamaseis jamasen jamases jamaste jame jameis jamelgo jamemos jamen jamerda jamerde jamerdo
+jamete jametes jamierda jamierde jamierdo jamila jamilas janes japon japona japonas japonense
+japones japonesas japonica jarda jardas jardazo jardin jardinea jardineaba jardinead jardineado
+jardineais jardinean jardinear jardineara jardineare jardineas jardinease jardinee jardineeis
+jardineen jardinees jardineo jardinera jardineras jardineria jardinerias jardineros jardines jaso
+jaul jaulas jaulera jaulero jaules jedive jedives jefas jereces jeremias jerez jerseis jesuita
+jesusea jesusead jesusean jesusear jesuseas jesusee jesuseen jesusees jesuseo jine jinebro jines
+jineta jinetada jinetas jinetea jineteaba jinetead jineteada jineteado jineteais jinetean jinetear
+jineteara jineteare jineteas jinetease jinetee jineteeis jineteen jinetees jineteo jinetera
+jineteras jodais jodamos joded jodedor jodeis jodemos joden jodera joderan joderas jodere jodereis
+joderia joderian joderias jodes jodi jodia jodiais jodian jodias jodidas jodienda jodiendas jodiera
+jodieran jodieras jodiere jodieren jodieres jodieron jodiese jodiesen jodieses jodimos jodio jodion
+jodiona jodiste jordana jordanas jordanes jordano jordanos jovenado jovenes jovenete joyante juana
+juanas juanes juanete judaica judaice judaico judaiza judaizo judicar judiciales judicialice
+judicializa judicializo judiciaria judiciario judicio judiciosa judicioso jueceo jueceos juegue
+jueguen jueza juezas juga jugabais jugabamos jugaban jugabas jugad jugadas jugadera jugadora
+jugadoras jugados jugais jugara jugarais jugaran jugaras jugare jugareis jugaren jugares jugaria
+jugarian jugarias jugaron jugas jugase jugasen jugases jugaste jugos jugosa jugosas jugoso jugosos
+jugue jugueis juguera jugueras jugueria juguetea jugueteaba juguetead jugueteado jugueteais
+juguetean juguetear jugueteara jugueteare jugueteas juguetease juguetee jugueteeis jugueteen
+juguetees jugueteo jugueteos juguetera jugueteras jugueteria juguetero jugueteros jugueton juguetona
+juiciero juicios juiciosa juiciosas juicioso juiciosos juliana julianas juliano julianos julias
+julios junglada jungladas junglas juniapa juniores junios juntaba juntaban juntabas juntad juntada
+juntadas juntado juntador juntados juntais juntamos juntan juntando juntara juntarais juntaran
+juntaras juntare juntareis juntaren juntares juntaria juntarian juntarias juntaron juntase juntaseis
+juntasen juntases juntaste junte junteis junten juntera juntero juntes juntorio juntura jura juraba
+juraban jurabas jurad jurada juradas juradera jurador juradora juradoras juradores jurados jurais
+juramenta juramentaba juramentad juramentada juramentado juramentais juramentan juramentar
+juramentara juramentare juramentas juramentase juramente juramenteis juramenten juramentes
+juramentos juramos juran jurando jurara jurarais juraran juraras jurare jurareis juraren jurares
+juraria jurarian jurarias juraron juras jurase jurasen jurases juraste jurisdiccion juros justaba
+justaban justabas justad justado justador justais justamos justan justando justar justara justaran
+justaras justare justaren justares justaria justaron justas justase justasen justases justaste juste
+justeis justen justes justeza justiciaba justiciaban justiciabas justiciable justiciad justiciada
+justiciadas justiciado justiciador justiciados justiciais justiciamos justician justiciando
+justiciar justiciara justiciaran justiciaras justiciare justiciaren justiciares justiciaria
+justiciaron justicias justiciase justiciasen justiciases justiciaste justiciazgo justicie justicieis
+justicien justiciera justiciero justicies justicio justillo justos juvenal juvenca juvenco juvencos
+juvenece juveneci juvenil juventudes juzga juzgaba juzgaban juzgabas juzgad juzgada juzgadas
+juzgador juzgadora juzgadoras juzgadores juzgados juzgais juzgamos juzgan juzgando juzgara juzgarais
+juzgaran juzgaras juzgare juzgareis juzgaren juzgares juzgaria juzgarian juzgarias juzgaron juzgas
+juzgase juzgasen juzgases juzgaste juzgo juzgue juzguen juzgues laberintica laberintico laberintos
+labia labiada labiado labial labias labil labiles labio labiosa labiosas labioso labiosos labora
+laboraba laborad laborada laborado laborais laboral laboran laborar laborara laborare laboras
+laborase laboratorista labore laborea laboread laborean laborear laboreas laboree laboreen laborees
+laboreis laboren laboreo laboreos laborera labores laborio laborios laboro laborosa laboroso ladea
+ladeaba ladead ladeada ladeado ladeais ladean ladear ladeara ladeare ladeas ladease ladee ladeeis
+ladeen ladees ladeo ladeos ladera laderas laderia ladero laderos ladon ladones ladra ladraba ladrad
+ladrado ladrais ladran ladrar ladrara ladrare ladras ladrase ladre ladreis ladren ladres ladrido
+ladro ladron ladrona ladronas ladronea ladroneaba ladronead ladroneado ladroneais ladronean
+ladronear ladroneara ladroneare ladroneas ladronease ladronee ladroneeis ladroneen ladronees
+ladroneo ladronera ladroneras ladroneria ladronesca ladronescas ladronesco ladronescos lagopo
+lagopos lagos lagosta lagotea lagotee lagoteo lame lamed lamedal lamedor lameis lamemos lamen
+lamenta lamentaba lamentad lamentada lamentado lamentais lamentan lamentar lamentara lamentare
+lamentas lamentase lamente lamenteis lamenten lamentes lamentos lamentosa lamentosas lamentoso
+lamentosos lamer lamera lameran lameras lamere lameria lameron lames lametea lametee lameteo lameton
+lanada lanadas lanado lanados lanar lanares lanaria lanas lancan lancea lanceaba lancead lanceada
+lanceado lanceais lancean lancear lanceara lanceare lanceas lancease lancee lanceeis lanceen lancees
+lanceis lancemos lancen lanceo lanceola lancera lanceras lanceria lancero lanceros lances lanceta
+lancetas lanchada lanchadas lanchaje lanchajes lanchar lanchares lanchas lanchazo lanchazos lanchero
+lancho lanchon lancina lancine lancino landa landas lande landes lando landos landra landras landre
+landres lanera laneras laneria lanero laneros langa langara langas langor langostas langostera
+langostero langostin langostino langoston languor lanzaba lanzaban lanzabas lanzad lanzada lanzadas
+lanzadera lanzador lanzadora lanzadoras lanzadores lanzados lanzagua lanzais lanzamientos lanzamos
+lanzan lanzando lanzara lanzarais lanzaran lanzaras lanzare lanzareis lanzaren lanzares lanzaria
+lanzarian lanzarias lanzaron lanzas lanzase lanzasen lanzases lanzaste lanzazo lanzazos lanzo lanzon
+largaba largaban largabas largad largada largadas largado largados largais largamos largan largando
+largar largara largaran largaras largare largaren largares largaria largaron largase largaseis
+largasen largases largaste largona largonas largor largores largue larguen largues largura larra
+larras lasta lastaba lastad lastada lastado lastais lastan lastar lastara lastare lastas lastase
+laste lasteis lasten lastes lastimaba lastimaban lastimabas lastimad lastimada lastimadas lastimador
+lastimadora lastimadoras lastimadores lastimados lastimadura lastimais lastimamos lastiman
+lastimando lastimara lastimarais lastimaran lastimaras lastimare lastimareis lastimaren lastimares
+lastimaria lastimarian lastimarias lastimaron lastimas lastimase lastimasen lastimases lastimaste
+lastimeis lastimemos lastimen lastimera lastimeras lastimero lastimeros lastimo lastimosa lastimoso
+lasto laston lastos lastra lastrad lastran lastrar lastras lastre lastren lastres lastro lataces
+latais latamos latan latania latastro lataz latazo latazos latea lateaba latead lateada lateado
+lateais latean latear lateara lateare lateas latease latebra latee lateeis lateen latees laten
+latente lateo latera lateral lateras lateria laterio latero lateros lates latex lauracea lauraceo
+laurea laureaba lauread laureada laureado laureais laurean laurear laureara laureare laureas
+laurease lauredal lauree laureeis laureen laurees laurel laureles laurencio laurente laurentes
+laureo laureola laureos laurina laurino lauro lauros lavaba lavaban lavabas lavable lavabo lavabos
+lavacro lavad lavada lavadas lavadero lavador lavadora lavadoras lavadores lavados lavadura lavais
+lavaje lavajes lavajo lavajos lavamos lavan lavanco lavanda lavandera lavanderas lavanderia
+lavanderias lavandero lavanderos lavando lavara lavarais lavaran lavaras lavare lavareis lavaren
+lavares lavaria lavarian lavarias lavaron lavas lavase lavasen lavases lavaste lavazas lazos lealdad
+leales lealtades leccion lecha lechaba lechad lechada lechado lechais lechal lechan lechar lechara
+lechare lechas lechase lechaza lechazo lecheis lechemos lechen lechera lecheras lecheria lechero
+lecheron lecheros leches lechiga lechin lechina lechino lecho lechon lechona lechos lechosa lechoso
+lechuga lechuza lechuzo lectiva lectivo lector lectora leera leeran leeras leere leereis leeria
+leerian leerias lega legaba legaban legabas legacia legad legada legadas legado legador legados
+legais legajo legajos legalice legaliza legalizo legamo legamos legan leganal legando legano leganos
+legar legara legaran legaras legare legaren legares legaria legaron legas legase legasen legases
+legaste legaña legañas legañil leiais leiamos leian leias leja lejana lejanas lejania lejanias
+lejanos lejas lejazo lejote lela lelas lenguaces lenguado lenguados lenguajes lenguaraz lenguas
+lenguaton lenguaz lenguaza lenguazas lenguda lengudas lengudo lengudos lenguear lengueta lentas
+lente lentece lenteced lentecen lentecer lenteces lenteci lentecia lentecio lenteja lentejar
+lentejas lenteza lentezas lentezca lentezco lentigo lentor lentores lentos lentura leon leona
+leonada leonadas leonado leonados leonas leonera leoneras leoneria leonero leoneros leonesa leonesas
+leoneses leonica leonina leonino lesbia lesbianas lesbiano lesbianos lesbias lesbica lesbicas
+lesbico lesbicos lesbio lesbios lesion lesiona lesionaba lesionad lesionada lesionado lesionais
+lesionan lesionar lesionara lesionare lesionas lesionase lesione lesioneis lesionemos lesionen
+lesiono lesiva lesivas lesivo lesivos leste lestes letales letame letames letania letargo letrada
+letradas letrado letrados letrear letrera letreros letrina letruda letrudo leva levaba levaban
+levabas levad levada levadas levado levador levados levais levamos levan levando levantaba
+levantaban levantabas levantad levantada levantadas levantador levantadora levantadoras levantadores
+levantados levantais levantamos levantan levantando levantara levantarais levantaran levantaras
+levantare levantareis levantaren levantares levantaria levantarian levantarias levantaron levantas
+levantase levantasen levantases levantaste levanteis levantemos levantina levantino levar levara
+levaran levaras levare levaren levares levaria levaron levas levase levasen levases levaste levedad
+leveis levemos leven levente leves leyendaria leyendario leyera leyeran leyeras leyere leyeren
+leyeres leyeron leyese leyeseis leyesen leyeses leñaba leñaban leñabas leñad leñada leñadas leñado
+leñador leñados leñais leñame leñames leñamos leñan leñando leñar leñara leñaran leñaras leñare
+leñaren leñares leñaria leñaron leñas leñase leñasen leñases leñaste leñatea leñatee leñateo leñazo
+leñazos libe libeis libela libelar libelas libelo libelos libemos liben liber liberaba liberaban
+liberabas liberacion liberad liberada liberadas liberador liberadora liberadoras liberadores
+liberados liberais liberal liberales liberamos liberan liberando liberara liberarais liberaran
+liberaras liberare liberareis liberaren liberares liberaria liberarian liberarias liberaron liberas
+liberase liberasen liberases liberaste libere libereis liberen liberes libero liberos liberta
+libertaba libertaban libertabas libertada libertadas libertades libertado libertador libertadora
+libertados libertais libertamos libertan libertando libertar libertara libertaran libertaras
+libertare libertaren libertares libertaria libertario libertaron libertas libertase libertasen
+libertases libertaste liberte liberteis liberten libertes liberteña liberteño libertina libertino
+liberto libertos libes libraba libraban librabas libracho libraco libracos librad librada libradas
+librado librador librados librais libramos libran librana libranas librando librano libranos
+libranza librar librara libraran libraras librare libraren librares libraria libraron librase
+libraseis librasen librases libraste librazo librazos librea libreaba libread libreada libreado
+libreais librean librear libreara libreare libreas librease libree libreeis libreen librees libreis
+librejo librejos libremos libren libreo librera libreras libreria libreril librero libreros libresca
+librescas libresco librescos libreta libretas librete libretea libretee libreteo libretes libreto
+libretos licenciaba licenciaban licenciabas licenciad licenciada licenciadas licenciado licenciador
+licenciados licenciais licenciamos licencian licenciando licenciar licenciara licenciaran
+licenciaras licenciare licenciaren licenciares licenciaria licenciaron licencias licenciase
+licenciasen licenciases licenciaste licencie licencieis licencien licencies licencio licenciosa
+licencioso licorera licores licorosa licoroso lidia lidiaba lidiaban lidiabas lidiad lidiada
+lidiadas lidiado lidiador lidiados lidiais lidiamos lidian lidiando lidiara lidiarais lidiaran
+lidiaras lidiare lidiareis lidiaren lidiares lidiaria lidiarian lidiarias lidiaron lidias lidiase
+lidiasen lidiases lidiaste lidie lidieis lidien lidies lidio lidios lidiosa lidioso ligaba ligaban
+ligabas ligad ligada ligadas ligado ligador ligados ligais ligamen ligamos ligan ligando ligar
+ligara ligaran ligaras ligare ligaren ligares ligaria ligaron ligarza ligas ligase ligasen ligases
+ligaste ligazon ligeras ligerez ligereza ligeros lilac lilacs lilaila lilao lilaos lilas limpiaba
+limpiaban limpiabas limpiad limpiada limpiadas limpiado limpiador limpiados limpiais limpiamos
+limpian limpiara limpiarais limpiaran limpiaras limpiare limpiareis limpiaren limpiares limpiaria
+limpiarian limpiarias limpiaron limpiase limpiaseis limpiasen limpiases limpiaste limpida limpidas
+limpidez limpido limpidos limpie limpieis limpiemos limpien limpies limpiezas limpion limpiones
+linacea linaceo linajes linajuda linajudo linaloe linamen linao linaos linar linares linaria linaza
+linazas lince lincea lincead lincean lincear linceas lincee linceen lincees linceo linceos linces
+lincha linchad linchan linchar linchas linche linchen linches lincho lindaba lindaban lindabas
+lindad lindado lindais lindamos lindan lindando lindante lindar lindara lindaran lindaras lindare
+lindaren lindares lindaria lindaron lindase lindaseis lindasen lindases lindaste lindazo lindazos
+linde lindeis lindel linden lindera lindero lindes lindeza lindon lindones lindura lineaba lineaban
+lineabas linead lineada lineadas lineado lineados lineais lineal lineales lineamos linean lineando
+linear lineara linearan linearas lineare linearen lineares linearia linearon lineas linease lineasen
+lineases lineaste linee lineeis lineen linees lineo lineos linera lineras linero lineros linoleo
+linon linones linos lintel linteles linternas linternazo linternazos linternea linternead linternean
+linternear linterneas linternee linterneen linternees linterneo linternera linternero linternon
+linuezo liones lionesa lionesas lioneses lisas listaba listaban listabas listad listada listadas
+listado listados listais listamos listan listando listar listara listaran listaras listare listaren
+listares listaria listaron listase listaseis listasen listases listaste liste listeis listel listen
+listera listero listes listeza listin listoco listocos liston listona listonad listonan listonar
+listonas listone listonen listones listono literata literatas literato literatos literaturas litre
+litres litrona litronas llamabais llamabamos llamabas llamad llamadera llamador llamadora llamadoras
+llamadores llamais llamarada llamaradas llamarais llamaramos llamaran llamaras llamareis llamaren
+llamares llamaria llamarian llamarias llamarones llamase llamaseis llamasen llamases llamasteis
+llamea llameaba llamead llameado llameais llamean llamear llameara llameare llameas llamease llamee
+llameeis llameen llamees llameis llamemos llameo llavea llaveaba llavead llaveada llaveado llaveais
+llavean llavear llaveara llaveare llaveas llavease llavee llaveeis llaveen llavees llaveo llavera
+llaveras llavero llaveros llavin llegabais llegabamos llegaban llegabas llegad llegadas llegados
+llegais llegarais llegaramos llegaran llegaras llegare llegareis llegaren llegares llegaria
+llegarian llegarias llegase llegaseis llegasen llegases llegasteis llegueis llenaba llenaban
+llenabas llenad llenada llenadas llenado llenador llenados llenais llenamos llenan llenando llenara
+llenarais llenaran llenaras llenare llenareis llenaren llenares llenaria llenarian llenarias
+llenaron llenase llenaseis llenasen llenases llenaste llenazon llene lleneis llenen llenera llenero
+llenes llenez lleneza llenura llevabais llevabamos llevaban llevabas llevad llevada llevadas
+llevadera llevadero llevador llevadora llevadoras llevadores llevados llevais llevanza llevanzas
+llevarais llevaramos llevaran llevaras llevareis llevaren llevares llevaria llevarian llevarias
+llevase llevaseis llevasen llevases llevasteis lleveis llevemos lloraba lloraban llorabas llorad
+llorada lloradas llorado llorador llorados llorais lloramos lloran llorara llorarais lloraran
+lloraras llorare llorareis lloraren llorares lloraria llorarian llorarias lloraron lloras llorase
+llorasen llorases lloraste llore lloredo lloredos lloreis lloremos lloren llorera lloreras lloreta
+lloretas llorica lloro lloron llorona lloros llorosa lloroso llovais llove lloved lloveis llovemos
+llovera lloveran lloveras llovere llovereis lloveria lloverian lloverias lloves llovi llovia llovian
+llovias llovida llovido lloviera llovieran llovieras lloviere llovieren llovieres llovieron lloviese
+lloviesen llovieses llovio llueca lluecas llueva lluevan lluevas llueven llueves lluevo lluvial
+lluviana lluviano lluvias lluviosa lluvioso lobosa lobosas loboso lobosos localice localicen
+localices localidad localismo localista localiza localizaba localizaban localizabas localizable
+localizad localizada localizadas localizados localizais localizamos localizan localizando localizara
+localizarais localizaran localizaras localizare localizareis localizaren localizares localizaria
+localizarian localizarias localizaron localizas localizase localizasen localizases localizaste
+localizo locata locatas locatis locato locatos locuaz locuela locuelo locuta locutad locutan locutar
+locutas locute locuten locutes locuto locutor logar lograba lograban lograbas lograd lograda
+logradas logrados lograis logran logrando lograra lograrais lograran lograras lograre lograreis
+lograren lograres lograria lograrian lograrias lograse lograseis lograsen lograses lograsteis logrea
+logreaba logread logreado logreais logrean logrear logreara logreare logreas logrease logree
+logreeis logreen logrees logreis logremos logren logreo logrera logreras logreria logrero logreros
+logres logros logroñes loismo loismos loista loistas lolaje lolajes lolas londiga londrina longa
+longar longas longeva longevo longo longor longos longui longuis longura loriga lorigas lorigon lote
+lotea loteaba lotead loteada loteado loteais lotean lotear loteara loteare loteas lotease lotee
+loteeis loteen lotees loteo loteos lotera loteras loteria loterias lotero loteros lotes luca lucana
+lucanas lucano lucanos lucen lucenes lucense lucera luceras lucerio lucerna lucero luceros luceta
+lucetas luchaba luchaban luchabas luchad luchadero luchadora luchadoras luchadores luchais luchan
+luchara lucharais lucharan lucharas luchare luchareis lucharen luchares lucharia lucharian lucharias
+lucharon luchase luchaseis luchasen luchases luchaste luche lucheis luchen luches lucho luci lucia
+luciaca luciaco luciais lucian lucias lucible lucid lucida lucidas lucidez lucido lucidor lucidos
+luciera luciere luciese lucifer lucillo lucilo lucilos lucimos lucina lucio lucion lucios lucira
+luciran luciras lucire lucireis luciria lucirian lucirias lucis luciste luegos lugano luganos
+lugareña lugareñas lugareño lugareños luisa luisas luises luismo luismos luiste lujos lujosa lujosas
+lujoso lujosos lunada lunadas lunado lunados lunanca lunanco lunareja lunarejo lunares lunaria
+lunarias lunario lunarios lunas lunea luneaba lunead luneado luneais lunean lunear luneara luneare
+luneas lunease lunee luneeis luneen lunees lunel luneles luneo luneta lunetas luneto lunetos mach
+macha machaba machaca machaco machad machada machado machais machan machar machara machare machas
+machase machaza machazo mache machea machead machean machear macheas machee macheen machees macheis
+machen macheo machepa machera machero maches macheta machete machi machia machias machica machin
+machina machio machios machis machito machon machona machonas machones machorra machorro machos
+machota machotas machote machotes machuca machuco machuna machuno madama madamas madeja madejas
+maderable maderada maderadas maderaje maderajes maderamen maderar maderas maderera maderero madero
+maderos madras madraza madrazo madrea madreaba madreado madreais madrean madrear madreara madreare
+madreas madrease madree madreeis madreen madrees madrejon madreo madrera madreras madrero madreros
+madreña madreñas madrigal madrilla madrinas madrinazgo madrinera madrinero madriz madrona madrota
+madroño madruga madrugaba madrugaban madrugabas madrugad madrugadas madrugado madrugador madrugadora
+madrugais madrugamos madrugan madrugando madrugar madrugara madrugaran madrugaras madrugare
+madrugaren madrugares madrugaria madrugaron madrugas madrugase madrugasen madrugases madrugaste
+madrugo madrugon madrugona madrugue madruguen madrugues maduraba maduraban madurabas madurad
+madurada maduradas madurado madurador madurados madurais maduramos maduran madurando madurar
+madurara maduraran maduraras madurare maduraren madurares maduraria maduraron maduras madurase
+madurasen madurases maduraste madurazon madure madureis maduren madures madurez madureza maduro
+maduros maesa maesas maese maeses maesil maeso maestrada maestradgo maestrado maestraje maestral
+maestrales maestrante maestranza maestrar maestras maestrazgo maestre maestrea maestread maestrean
+maestrear maestreas maestree maestreen maestrees maestreo maestres maestresa maestria maestrias
+maestril mafias mafiosa mafioso magdalenas magdalenica magdalenico magdaleon magiaba magiaban
+magiabas magiad magiado magiais magiamos magian magiando magiar magiara magiaran magiaras magiare
+magiaren magiares magiaria magiaron magias magiase magiasen magiases magiaste magica magicas magico
+magicos magie magieis magien magies magin maginar magines magio magna magnas magnate magnesia
+magnesio magnetica magnetice magnetico magnetita magnetiza magnetizo magnetofon magnetos magnetron
+magno magnos magnum magnums magolla magos magosta magoste magosto majes majestades majestosa
+majestoso malabar malacia malafa malafas malaga malagas malaire malaje malajes malambo malanga
+malange malar malares malaria malasia malasias malasio malasios malata malatas malatia malato
+malatos malaves malavez malaya malayas malayo malayos malcasa malcase malcaso malcoma malcoman
+malcomas malcome malcomed malcomen malcomer malcomes malcomi malcomia malcomio malcomo malcorte
+malcria malcrie malcrio maldades maldadosa maldadoso maldeci maldice maldicen maldices maldiciones
+maldiga maldigan maldigas maldigo maldije maldijo maldiva maldivas maldivo maldivos maldosa maldoso
+malea maleaba malead maleada maleado maleais malean malear maleara maleare maleas malease malecon
+malee maleeis maleen malees malentendais malentende malentended malentendeis malentender
+malentendera malentendere malentendes malentendi malentendia malentendiais malentendian malentendias
+malentendida malentendidas malentendidos malentendiera malentendiere malentendiese malentendimos
+malentendio malentendiste maleo maleolo malera maleras malero maleros males maletera maleteras
+maleteros maletia maletin maleton maleva malevas malevo malevos maleza malezas mali malicia malicie
+malicio malies maligna maligne maligno malilla malina malino malis maloca malocas malogra malogre
+malogro maloja malojal malojas malojo malojos malon malones malosa malosas maloso malosos malva
+malvaba malvaban malvabas malvacea malvaceo malvad malvadas malvais malvamos malvan malvando malvar
+malvara malvaran malvaras malvare malvaren malvares malvaria malvaron malvas malvase malvasen
+malvases malvasia malvaste malve malvece malveis malven malves malveza malvezo malvis malviva
+malvive malvivi malvivo malviz malvo malvon mamaba mamaban mamabas mamad mamada mamadas mamado
+mamador mamados mamais mamalon mamamos maman mamando mamante mamar mamara mamaran mamaras mamare
+mamaren mamares mamaria mamario mamaron mamas mamase mamasen mamases mamaste mamia mamias mamila
+mamilar mamilas mamitas manca mancaba mancad mancada mancado mancais mancan mancar mancara mancare
+mancas mancase manceba mancebo mancer mancera manchaba manchaban manchabas manchad manchada
+manchadas manchado manchador manchados manchais manchamos manchan manchando manchar manchara
+mancharan mancharas manchare mancharen manchares mancharia mancharon manchase manchaseis manchasen
+manchases manchaste manche manchega manchego mancheis manchen manches mancho manchon manchosa
+manchoso manchu manchues manchus mancipa mancipe mancipo manco mancos mandaba mandaban mandabas
+mandad mandada mandadas mandadera mandadero mandador mandadora mandadoras mandadores mandados
+mandais mandala mandalas mandamas mandamos mandando mandanga mandangas mandante mandantes mandara
+mandarais mandaran mandaras mandare mandareis mandaren mandares mandaria mandarian mandarias
+mandarin mandarina mandarria mandas mandase mandasen mandases mandaste mandato mandatos mandeis
+mandemos mandes mandi mandies mandil mandila mandile mandilo mandis mandoble mandon mandona mandonas
+mandones mandorla mandos mandra mandria mandril mandron manduca manduco mane manea maneaba manead
+maneada maneado maneais manean manear maneara maneare maneas manease manee maneeis maneen manees
+maneis manejaba manejaban manejabas manejable manejad manejada manejadas manejado manejados manejais
+manejamos manejan manejara manejarais manejaran manejaras manejare manejareis manejaren manejares
+manejaria manejarian manejarias manejaron manejas manejase manejasen manejases manejaste maneje
+manejeis manejen manejes manejos manemos manen maneo maneota manero maneros manes maneta manetas
+maneto manetos manicomios manicorta manicorto manio maniobraba maniobraban maniobrabas maniobrad
+maniobrado maniobrais maniobramos maniobran maniobrando maniobrar maniobrara maniobraran maniobraras
+maniobrare maniobraren maniobrares maniobraria maniobraron maniobras maniobrase maniobrasen
+maniobrases maniobraste maniobre maniobreis maniobren maniobrera maniobrero maniobres maniobro
+maniota maniotas manobre manojea manojee manojeo manojo manojos manola manolas manolo manolos
+manopla manosea manosead manosean manosear manoseas manosee manoseen manosees manoseo manoseos
+manotea manotee manoteo manoton mansa mansas mansea mansead mansean mansear manseas mansee manseen
+mansees manseo mansera manseza mansion mansito manso mansos mantas mantea manteaba mantead manteada
+manteado manteais mantean mantear manteara manteare manteas mantease manteca mantecas mantecon
+mantee manteeis manteen mantees mantel manteles mantelo mantelos manten mantendra mantendran
+mantendras mantendre mantendreis mantendria mantendrian mantendrias mantene mantened mantenedor
+manteneis mantenes mantengais mantengamos mantengas mantenia manteniais mantenian mantenias
+mantenida mantenidas mantenidos mantenimientos manteo manteos mantequillas mantequillera
+mantequillero mantera manteras mantero manteros mantes mantesa mantesas manteses manteña manteñas
+manteño manteños mantica manticas mantilla mantillo mantis mantisa mantisas manto manton mantona
+mantos mantra mantras mantuana mantuano mantuda mantudas mantudo mantudos mantuve manuable manuales
+manuda manudas manudo manudos manuela manus manuses manuten manzanal manzanales manzanar manzanares
+manzanera manzanero manzaneta manzanil manzanita manzano manzanos mapache maque maquea maquead
+maquean maquear maqueas maquech maquee maqueen maquees maqueis maquen maqueo maques maqueta maquete
+maqueto maqui maquila maquilad maquilan maquilar maquilas maquile maquilen maquiles maquilla
+maquillaba maquillaban maquillabas maquillad maquillada maquilladas maquillado maquillador
+maquillados maquillais maquillajes maquillamos maquillan maquillando maquillar maquillara
+maquillaran maquillaras maquillare maquillaren maquillares maquillaria maquillaron maquillas
+maquillase maquillasen maquillases maquillaste maquille maquilleis maquillen maquilles maquillo
+maquilo maquilon maquinaba maquinaban maquinabas maquinad maquinada maquinadas maquinado maquinador
+maquinados maquinais maquinal maquinales maquinamos maquinan maquinando maquinar maquinara
+maquinaran maquinaras maquinare maquinaren maquinares maquinaria maquinaron maquinas maquinase
+maquinasen maquinases maquinaste maquine maquineis maquinen maquines maquinice maquiniza maquinizo
+maquino maquis maravillaba maravillaban maravillabas maravillad maravillada maravilladas maravillado
+maravillados maravillais maravillamos maravillan maravillando maravillar maravillara maravillaran
+maravillaras maravillare maravillaren maravillares maravillaria maravillaron maravillase
+maravillaseis maravillasen maravillases maravillaste maraville maravilleis maravillen maravilles
+maravillo maravillosas marcaba marcaban marcabas marcad marcada marcadas marcadora marcadoras
+marcadores marcados marcais marcaje marcajes marcamos marcan marcando marcara marcarais marcaran
+marcaras marcare marcareis marcaren marcares marcaria marcarian marcarias marcaron marcase marcaseis
+marcasen marcases marcasita marcaste marce marcea marcead marcean marcear marceas marcee marceen
+marcees marcen marcena marcene marceno marceo marceos marcera marcero marces marceña marceño
+marchaba marchaban marchabas marchad marchais marchama marchamad marchaman marchamar marchamas
+marchame marchamen marchames marchamo marchamos marchan marchando marchanta marchante marchapie
+marchara marcharais marcharan marcharas marchare marchareis marcharen marchares marcharia marcharian
+marcharias marcharon marchas marchase marchasen marchases marchaste marche marcheis marchen marches
+marchita marchite marchito marchosa marchosas marchoso marchosos marci marcia marciais marcial
+marciamos marcian marciana marcianas marciano marcianos marcias marcid marcida marcido marcio marcir
+marcira marcire marcis marcola marcolas mareaba mareaban mareabas maread mareada mareadas mareado
+mareador mareados mareais mareaje mareajes mareal mareales mareamos marean mareando mareante marear
+mareara marearan marearas mareare marearen mareares marearia marearon mareas marease mareasen
+mareases mareaste maree mareeis mareen marees marengo mareo mareos mareosa mareoso marera mareras
+marero mareros mares mareta maretas marga margaba margaban margabas margad margada margadas margado
+margados margais margal margales margamos margan margando margar margara margarais margaran margaras
+margare margareis margaremos margaren margares margaria margarian margarias margarina margarita
+margaron margas margase margasen margases margaste margena margenaba margenad margenada margenado
+margenais margenan margenar margenara margenare margenas margenase margene margeneis margenen
+margenes margeno margesi margesis margina margine margino margo margosa margoso margue marguen
+margues mariache mariachi marial mariales mariana marianas mariano marianos marias marice mariceis
+maricen marices maricon maricona mariconada mariconas mariconera mariconeras mariconeria marida
+maridaba maridad maridada maridado maridais maridaje maridal maridan maridar maridara maridare
+maridas maridase maridazo maride marideis mariden marides maridos marihuanas marihuanera marihuanero
+marimba marinaba marinaban marinabas marinad marinada marinadas marinado marinados marinais marinaje
+marinajes marinamos marinan marinando marinante marinar marinara marinaran marinaras marinare
+marinaren marinares marinaria marinaron marinas marinase marinasen marinases marinaste marine
+marinea marineaba marinead marineado marineais marinean marinear marineara marineare marineas
+marinease marinee marineeis marineen marinees marineis marinemos marinen marineo marinera marinerada
+marinerado marineras marinerazo marineria marinerias marinesca marinescas marinesco marinescos
+marinos marinovia marinovio mariol marioles mariona marionas mariones marioneta marioso mariosos
+mariposado mariposados mariposas mariposea mariposead mariposean mariposear mariposeas mariposee
+mariposeen mariposees mariposeo mariposeos mariposon marisca mariscaba mariscaban mariscabas
+mariscad mariscada mariscadas mariscado mariscador mariscados mariscais mariscala mariscalato
+mariscales mariscalia mariscalias mariscamos mariscan mariscando mariscar mariscara mariscaran
+mariscaras mariscare mariscaren mariscares mariscaria mariscaron mariscas mariscase mariscasen
+mariscases mariscaste marisco mariscos marisma marismas marismo marismos marisque marista maristas
+marital mariza marizan marizar marizas marizo marque marqueis marquen marqueo marqueos marques
+marquesa marqueta marra marraba marrad marrada marrado marraga marrais marraja marrajo marran
+marrana marrano marrar marrara marrare marras marrase marrazo marre marrea marread marrean marrear
+marreas marree marreen marrees marreis marren marreo marres marrida marrido marro marron marros
+marrueca marruecas marrueco marselles marsellesa marshales marshalesa marta martaga martaja martaje
+martajo martas martelo martelos martiana martiano martilla martillaba martillad martillada
+martillado martillais martillan martillar martillara martillare martillas martillase martillazo
+martille martillea martillead martillean martillear martilleas martillee martilleen martillees
+martilleis martillejo martillen martilleo martilleos martillero martilles martillos martina martinas
+martines martineta martinete martinico martinicos martiniega martir martires martirio marza marzais
+marzal marzan marzas marzos masaba masaban masabas masacra masacraba masacrad masacrada masacrado
+masacrais masacran masacrar masacrara masacrare masacras masacrase masacreis masacremos masacren
+masacres masacro masad masada masadas masado masados masais masajes masamos masan masando masar
+masara masaran masaras masare masaren masares masaria masaron masas masase masasen masases masaste
+masca mascaba mascad mascada mascado mascais mascan mascar mascara mascare mascaro mascas mascase
+masco mascuja mascuje mascujo mascula masculo masia masias masica masicas masico masicos masiena
+masieno masila masilas masilia masilio masilla masilo masilos masita masitas masivas masivo masivos
+mataba mataban matabas matacan matacia mataco matacos matad matada matadas matadero matador matadora
+matadoras matadores matados matadura matais matalon matambre matamoros matamoscas matanzas matarais
+mataramos mataras matareis mataremos mataren matares mataria matarian matarias matarife matarones
+mataronesa matasano matase mataseis matasen matases matasteis matate matates matazon matea mateaba
+matead mateada mateado mateais matean matear mateara mateare mateas matease matee mateeis mateen
+matees mateis matemos mateo mateos matera materas materialice materializa materializo materias
+materna maternal maternas materno maternos matero materos matete matetes matojo matojos maton matona
+matonas matonea matonee matoneo matones matorro matos matosa matosas matoso matosos matraca matraco
+matraz matrera matrero matrices matrimonia matrimoniaba matrimoniad matrimoniado matrimoniais
+matrimonial matrimonian matrimoniar matrimoniara matrimoniare matrimonias matrimoniase matrimonie
+matrimonieis matrimonien matrimonies matrimonios matrimoño matrona mayaba mayaban mayabas mayad
+mayado mayador mayais mayal mayales mayamos mayan mayando mayar mayara mayaran mayaras mayare
+mayaren mayares mayaria mayaron mayarse mayas mayase mayasen mayases mayaste mayate mayates mayombe
+mayora mayoral mayorala mayorana mayorar mayoras mayorea mayoreaba mayoread mayoreado mayoreais
+mayorean mayorear mayoreara mayoreare mayoreas mayorease mayoree mayoreeis mayoreen mayorees mayoreo
+mayoreos mayoria mayorias mayos maña mañanea mañanead mañanean mañanear mañaneas mañanee mañaneen
+mañanees mañaneo mañanera mañanero mañanica mañanita mañas meara mearais mearan mearas meare meareis
+mearen meares mearia mearian mearias mearon mecanica mecanicas mecanice mecanicen mecanices mecanico
+mecanicos mecanismos mecaniza mecanizad mecanizan mecanizar mecanizas mecanizo meda medallas
+medallero medallon medano medanos medas medaño medaños medi mediaba mediaban mediabas mediad mediada
+mediadas mediado mediador mediados mediagua mediais medial mediales mediamos median mediana medianas
+mediando mediania medianil mediano medianoches medianos mediante mediar mediara mediaran mediaras
+mediare mediaren mediares mediaria mediaron mediase mediaseis mediasen mediases mediaste mediata
+mediatas mediato mediator mediatos medible medica medicaba medicacion medicad medicada medicado
+medicais medicamenta medicamentaba medicamentad medicamentada medicamentado medicamentais
+medicamentan medicamentar medicamentara medicamentare medicamentas medicamentase medicamente
+medicamenteis medicamenten medicamentes medicamento medicamentosa medicamentosas medicamentoso
+medicamentosos medican medicar medicara medicare medicas medicase medicinaba medicinaban medicinabas
+medicinable medicinad medicinada medicinadas medicinado medicinados medicinais medicinal medicinales
+medicinamos medicinan medicinando medicinante medicinar medicinara medicinaran medicinaras
+medicinare medicinaren medicinares medicinaria medicinaron medicinase medicinaseis medicinasen
+medicinases medicinaste medicine medicineis medicinen medicines medicino medicion medicos medid
+medido medidor medidora medidos medie medieis medien mediera mediero medies medievo medimos medina
+medinas medines mediocre mediodia mediodias medioevo mediopie medique medir medira mediran mediras
+medire mediria medis mediste medita meditad meditan meditar meditas medite mediten medites medito
+medium mediums mega megano meganos megas megaton mejo mejoraba mejoraban mejorabas mejorable mejorad
+mejorada mejoradas mejorados mejorais mejoramos mejoran mejorana mejoranas mejorara mejorarais
+mejoraran mejoraras mejorare mejorareis mejoraren mejorares mejoraria mejorarian mejorarias
+mejoraron mejoras mejorase mejorasen mejorases mejoraste mejore mejoreis mejoremos mejoren mejoria
+mejorias mejoro mela melaba melaban melabas melad melada meladas melado melados melais melamos
+melampo melando melandro melanica melanicas melanico melanicos melanina melaninas melanita melanitas
+melanoma melapia melar melara melaran melaras melare melaren melares melaria melaron melas melase
+melasen melases melaste melaza melazas melica melicas melico melicos melina melinas melino melinos
+melion melis melisa melisas melisma melismas melito melitos melo melodia melodias melodica melodico
+meloja melojar melojas melojo melojos melon melona melonar melonas melones melopea melosa melosas
+meloso melosos melote melotes melva melvas memo memora memoraba memorad memorada memorado memorais
+memoran memorar memorara memorare memoras memorase memore memoreis memoren memores memorial
+memoriales memorice memoricen memorices memorion memoriosa memorioso memorismo memorista memoriza
+memorizad memorizan memorizar memorizas memorizo memoro memorosa memoroso memos mencieña mencieño
+mencion menciona mencionaba mencionaban mencionabas mencionable mencionad mencionada mencionadas
+mencionados mencionais mencionamos mencionan mencionando mencionara mencionarais mencionaran
+mencionaras mencionare mencionareis mencionaren mencionares mencionaria mencionarian mencionarias
+mencionaron mencionas mencionase mencionasen mencionases mencionaste mencione mencioneis mencionen
+menciones menciono mene menea meneaba menead meneada meneado meneais menean menear meneara meneare
+meneas menease menee meneeis meneen menees meneis menemos menen meneo meneos menes menesa menesas
+meneses meno menonia menorar menoreta menorete menoria menorias mensa mensajera mensajeras
+mensajeria mensajerias mensajeros mensas mensil menso mensos mensu mensual mensues mensula mensura
+mensure mensuro mensus menta mentaba mentaban mentabas mentad mentada mentadas mentado mentados
+mentais mentalice mentaliza mentalizo mentamos mentando mentar mentara mentaran mentaras mentare
+mentaren mentares mentaria mentaron mentas mentase mentasen mentases mentaste menteis mentemos
+mentesana mentesano menti mentia mentiais mentian mentias mentid mentida mentidas mentidero mentidos
+mentimos mentiran mentire mentireis mentiria mentirian mentirias mentirosas mentirosos mentis
+mentises mentisteis mento mentol menton mentor mentora menu menucia menudas menudea menudead
+menudean menudear menudeas menudee menudeen menudees menudeo menudeos menudera menudero menudos
+menus menuza menuzar menuzo menuzos merca mercaba mercaban mercabas mercad mercada mercadas mercadea
+mercadead mercadean mercadear mercadeas mercadee mercadeen mercadees mercadeo mercadeos mercader
+mercadera mercadero mercador mercadora mercadoria mercados mercais mercal mercales mercamos mercan
+mercancear mercancia mercancias mercando mercante mercantes mercantil mercar mercara mercaran
+mercaras mercare mercaren mercares mercaria mercaron mercas mercase mercasen mercases mercaste
+merced mercenaria mercenarias mercenario mercera merceras merceria mercero merceros merchan merco
+mere mereced merecedor mereceis merecemos merecer merecera mereceran mereceras merecere mereceria
+mereci merecia mereciais merecian merecias merecida merecidas merecidos mereciera mereciere
+mereciese merecimos merecio mereciste mereis meremos meren merenda merende merendo meres merey
+mereyes merezca merezcais merezcan merezcas mesaba mesaban mesabas mesad mesada mesadas mesado
+mesados mesais mesamos mesan mesana mesanas mesando mesar mesara mesaran mesaras mesare mesaren
+mesares mesaria mesaron mesase mesaseis mesasen mesases mesaste mese meseis mesemos mesen mesera
+meseras mesero meseros meseta mesetas metad metais metalada metalado metalera metalero metales
+metalica metalice metalico metalina metalino metaliza metalizo metalla metallas metamos metano
+metanos metate metatea metatee metateo metates metazoo meteco metecos meted metedor meteis metemos
+metense metenses meteoro metera meteran meteras metere metereis meterete meteria meterian meterias
+metete metetes meti metia metiais metian metias metical metiche meticon metidas metidos metiera
+metierais metieran metieras metiere metiereis metieren metieres metiese metiesen metieses metijon
+metilo metilos metimos metio metisaca metisteis metodo metodos metopa metopas metra metraje metras
+metreta metrica metrico mexicana mexicanas mezcal mezclaba mezclaban mezclabas mezclable mezclad
+mezclada mezcladas mezclado mezclador mezclados mezclais mezclamos mezclan mezclando mezclar
+mezclara mezclaran mezclaras mezclare mezclaren mezclares mezclaria mezclaron mezclas mezclase
+mezclasen mezclases mezclaste mezcle mezcleis mezclen mezcles mezclo miamos micha michas miche
+michelin miches michina michinas michino michinos micho michos miden mides miedica miedosa miedosas
+miedoso miedosos miedro miedros miela mielan mielas mielazo miele mielen mieles mielga mielgas
+mielgo mielgos mielina mielo mieloma mielsa mielsas miemos mien mienta mientan mienten mientra
+mientre miera mieras mierla mierra mierras miga migaba migaban migabas migad migada migadas migado
+migados migais migaja migajada migajadas migajon migamos migan migando migar migara migaran migaras
+migare migaren migares migaria migaron migas migase migasen migases migaste migue migueis miguelete
+migueleña migueleño miguemos miguen miguera migueras miguero migueros migues milagrea milagread
+milagrean milagrear milagreas milagree milagreen milagrees milagreo milagrera milagrero milagron
+milagrones milagrosa milagrosas milagroso milagrosos milan milanes milano milanos milara milaras
+milena milenas milenio mileno milenos milenta mileon milesia milesias milesima milesimo milesio
+milesios mili miliar milibar milicia milico milicos miligramo milis milita militaba militaban
+militabas militad militado militais militamos militan militando militante militara militarada
+militarais militaran militaras militare militareis militaremos militaren militaria militarian
+militarias militarice militariza militarizo militaron militas militase militasen militases militaste
+milite militeis militen milites milito millaca millacas millaje millajes millar millardo millares
+millo millon millonada millonadas millonaria millonarias millonarios millonesima millonesimo
+millonetis millos miloca milocas milocha milonga milores minaba minaban minabas minad minada minadas
+minado minador minados minais minal minales minamos minan minando minar minara minaran minaras
+minare minaren minares minaria minaron minase minaseis minasen minases minaste minaz minga mingaba
+mingaco mingad mingado mingais mingan mingar mingara mingare mingas mingase mingo mingos mingue
+minguen mingues minia miniaba miniad miniada miniado miniais minian miniar miniara miniare minias
+miniase minibar minie minieis minien minies minima minimas minimo minimos minimum minina mininas
+minino mininos minio minios ministerial ministerios ministra ministraba ministrad ministrada
+ministrado ministrais ministran ministrar ministrara ministrare ministras ministrase ministre
+ministreis ministren ministres ministril ministros mintais mintiera mintieran mintieras mintiere
+mintieren mintieres mintieron mintiese mintiesen mintieses mintio minuana minuano minucia minue
+minues minuete minueto minuta minutaba minutad minutada minutado minutais minutan minutar minutara
+minutare minutas minutase minute minuteis minuten minutero minutes minutisa mirabais mirabamos
+miraban mirabas mirabel mirable miradas miradero mirador miradora miradoras miradores mirados
+miradura miraglo mirais mirandas mirandes mirandesa mirandina mirandino mirara mirarais miraran
+miraras mirare mirareis miraren mirares miraria mirarian mirarias miraron mirase miraseis mirasen
+mirases mirasol miraste mireis miremos miron mirona mironas mirones misaba misaban misabas misad
+misado misais misal misales misamos misan misando misar misara misaran misaras misare misaren
+misares misaria misario misaron misas misase misasen misases misaste mise miseis misemos misen
+misera miserables miseranda miserando miseras miserea miseread miserean miserear misereas miseree
+misereen miserees misereo miserere miserias misericordias misericordiosa misericordioso miseriosa
+miserioso misero miseros mises misia misias misilera misileras misio mision misiona misionaba
+misionad misionada misionado misionais misional misionan misionar misionara misionare misionas
+misionase misione misioneis misionemos misionen misionera misioneras misionero misioneros misiono
+misios misiva misivas misivo misivos miste misteis mistela mistelas mistemos misten mister misteres
+misterial misteriosas misteriosos mistes mita mitades mitan mitanes mitas mitayo mitayos miton
+mitones mitos mitosis mitote mitotes mocha mochaba mochad mochada mochado mochais mochan mochar
+mochara mochare mochas mochase mochazo moche mocheis mochen moches mocheta mochete mochica mochicas
+mochil mochilas mochilea mochilead mochilean mochilear mochileas mochilee mochileen mochilees
+mochileo mochilera mochilero mochiles mocho mochos moco mocoana mocoano mocos mocosa mocosas mocosos
+mocovi mocovis modal modas modejar modela modelaba modelad modelada modelado modelais modelan
+modelar modelara modelare modelas modelase modele modeleis modelen modeles modelica modelico modem
+modems modenes modera moderaba moderad moderada moderado moderais moderan moderar moderara moderare
+moderas moderase moderato modere modereis moderen moderes modernas modernice moderniza modernizo
+modernos modero modesta modesto modorra modorre modorro modosa modosas modoso modosos moja mojaba
+mojaban mojabas mojad mojada mojadas mojadedo mojador mojadora mojadoras mojadores mojados mojadura
+mojais mojama mojamas mojamos mojan mojando mojar mojara mojaran mojaras mojare mojaren mojares
+mojaria mojaron mojarra mojas mojase mojasen mojases mojaste mole moled moledor moleis moleja
+molejon molemos molen moler molera moleran moleras molere moleria molero moleros moles molestaba
+molestaban molestabas molestad molestada molestadas molestador molestadora molestadoras molestadores
+molestados molestais molestamos molestara molestarais molestaran molestaras molestare molestareis
+molestaren molestares molestaria molestarian molestarias molestaron molestas molestase molestasen
+molestases molestaste molesteis molestemos molestias molestos molestosa molestosas molestoso
+molestosos moleta moletas moleña moleñas moleño moleños moli molia moliais molian molias molicie
+molida molidas molido molidos moliera moliere moliese molimos molinada molinar molinera molinero
+molines molinesa molinete molinos molio moliste molla mollar mollas molle mollea mollead mollean
+mollear molleas molledo mollee molleen mollees molleja mollejo molleo mollera mollero molles molleta
+mollete mollez molleza mollina mollino mollir momea momeaba momead momeado momeais momean momear
+momeara momeare momeas momease momee momeeis momeen momees momeo momera momeras momeria momero
+momeros monacal monada monadas monago monagos monarca monas monasterial monasterios monea moneaba
+monead moneada moneado moneais monean monear moneara moneare moneas monease monedaba monedaban
+monedabas monedad monedada monedadas monedado monedados monedais monedaje monedajes monedamos
+monedan monedando monedar monedara monedaran monedaras monedare monedaren monedares monedaria
+monedaron monedase monedaseis monedasen monedases monedaste monede monedea monedead monedean
+monedear monedeas monedee monedeen monedees monedeis moneden monedeo monedero monedes monedo monee
+moneeis moneen monees monema monemas moneo monera moneras moneria monesca monesco moni moniato
+monicaco monicacos monicion monilla monillo monis monises monismo monista monita monitas monito
+monitora monitoras monitores monitoria monitorias monitorice monitorio monitorios monitoriza
+monitorizo monitos monja monjas monjerio monjia monjias monjil monjio monjios monjita monodia
+monoica monoico monomio monona mononas monote monotes monstro monstruosa monstruosas monstruoso
+monstruosos monta montaba montaban montabas montad montada montadas montadgo montado montador
+montados montais montaje montajes montamos montan montanas montando montanea montanead montanean
+montanear montaneas montanee montaneen montanees montaneo montanera montanero montano montanos
+montante montantea montantee montanteo montantes montara montarais montaran montaras montaraz
+montaraza montare montareis montaren montares montaria montarian montarias montaron montas montase
+montasen montases montaste montazal montazga montazgo montañera montañero montañes montañesa
+montañosa montañoso montea monteaba montead monteada monteado monteais montean montear monteara
+monteare monteas montease montee monteeis monteen montees monteis montemos monten monteo montepio
+montera monteras monteria montero monteros montes montesa montesas montesco monteses montiña monto
+monton montonal montonera montoneras montonero montoneros montos montosa montosas montoso montosos
+montuna montuno montura mora moraba moraban morabas moracea moraceo moracha moracho morad morada
+moradas morado morador morados moradux moraga moragas morago moragos morais moraleda moraleja
+morales moralice moralina moraliza moralizo moramos moran morando moranes moranza morapio morar
+morara moraran moraras morare moraren morares moraria moraron moras morase morasen morases moraste
+morato moraton moratos morava moravas moravo moravos mordaga mordais mordaz mordaza morde morded
+mordeis morder mordera mordere mordes mordi mordia mordiais mordian mordias mordica mordicad
+mordican mordicar mordicas mordico mordidas mordidos mordiera mordiere mordiese mordihui mordimos
+mordio mordique mordisca mordisco mordiste morfa morfaba morfad morfada morfado morfais morfan
+morfar morfara morfare morfas morfase morfe morfea morfeas morfeis morfema morfemas morfemos morfen
+morfes morfinas morfo morfos morga morgas morgaño morgaños morgon morguera morgueras morgues mori
+moria moriais morian morias moriche morid moridor moriega moriego moriles morilla morillo moringa
+morira moriran moriras morire morireis moriria moririan moririas moris morisca morisco morisma
+moriste morito moritos morra morrada morral morras morrea morread morrean morrear morreas morree
+morreen morrees morrena morreo morreos morrilla morrillo morrion morriña morriñas morro morron
+morros morroña morroño morruda morrudo mortaja mortajar mortajas mortaldad mortera mortero mortiño
+moscaba moscaban moscabas moscad moscada moscadas moscado moscados moscais moscamos moscan moscando
+moscar moscara moscaran moscaras moscarda moscare moscaren moscares moscaria moscaron moscase
+moscaseis moscasen moscases moscaste moscatel mosco moscon moscona moscos mostacho mostagan mostajo
+mostajos mostazal mostazales mostazas mostazo mostazos moste mostea mostead mostean mostear mosteas
+mostee mosteen mostees mostela mosten mosteo mosto mostos mostra mostraba mostraban mostrabas
+mostrable mostrad mostrada mostradas mostradora mostradoras mostradores mostrados mostrais mostramos
+mostranza mostrara mostrarais mostraran mostraras mostrare mostrareis mostraren mostrares mostraria
+mostrarian mostrarias mostraron mostras mostrase mostrasen mostrases mostraste mostre mostreis
+mostro mote motea moteaba motead moteada moteado moteais motean motear moteara moteare moteas
+motease motee moteeis moteen motees moteja motejad motejan motejar motejas moteje motejen motejes
+motejo motejos moteles moteo motera moteras motero moteros motes motete motetes motil motila motilad
+motilan motilar motilas motile motilen motiles motilo motilon motin motines motiva motivaba motivad
+motivada motivado motivais motivan motivar motivara motivare motivas motivase motive motiveis
+motiven motives motocicletas moton motones motora motoras motorice motoriza motorizo motos motosa
+motosas motoso motosos move moved movedor moveis movemos movera moveran moveras movere movereis
+moveria moverian moverias moves movi movia moviais movian movias movible movida movidas movidos
+movidosa movidosas movidoso movidosos moviente movientes moviera movieran movieras moviere movieren
+movieres movieron moviese moviesen movieses movil moviles movimos movio moviola moviste muchachada
+muchachadas muchachea muchachead muchachean muchachear muchacheas muchachee muchacheen muchachees
+muchacheo muchachera muchachero muchachez muchachil muchin muda mudaba mudaban mudabas mudable mudad
+mudada mudadas mudado mudados mudais mudamos mudan mudando mudanza mudara mudarais mudaran mudaras
+mudare mudareis mudaren mudares mudaria mudarian mudarias mudaron mudas mudase mudasen mudases
+mudaste mudos muebda muebla mueblaba mueblad mueblada mueblado mueblais mueblaje mueblan mueblar
+mueblara mueblare mueblas mueblase mueble muebleis mueblemos mueblen muebleria mueblo muela muelan
+muelar muelas muele muelen mueles muellaje muelles muelo muelos muer muerda muerdago muerdan muerdas
+muerden muerdes muerdo muerdos muergo muergos muermo muermos muertera muerteras muertero muerteros
+mues muesca muescad muescan muescar muescas muesco mueso muesos muesque muestral muestrales
+muestrario muestrea muestreaba muestread muestreada muestreado muestreais muestrean muestrear
+muestreara muestreare muestreas muestrease muestree muestreeis muestreen muestrees muestren muestreo
+muestreos muestres muestro muevedo muevedos muevo mujerea mujereaba mujeread mujereado mujereais
+mujerean mujerear mujereara mujereare mujereas mujerease mujeree mujereeis mujereen mujerees mujereo
+mujerero mujereros mujeril mujerio mujerios mujerona multaba multaban multabas multad multada
+multadas multado multados multais multamos multan multando multar multara multaran multaras multare
+multaren multares multaria multaron multas multase multasen multases multaste multe multeis multen
+multes multipla multiple multiplo multitudes multiuso multo mundana mundano mundiales mundicia
+mundillo municion municiona municionaba municionad municionada municionado municionais municionan
+municionar municionara municionare municionas municionase municione municioneis municionemos
+municionen municionera municioneras municionero municioneros municiono municipal municipe municipes
+municipio mura muraba muraban murabas murad murada muradal muradas murado murador murados murais
+murajes mural murales murallas murallon muramos muran murando murar murara muraran muraras murare
+muraren murares muraria muraron muras murase murasen murases muraste muria murias muriato murice
+murices murido muridos murierais murieramos murieran murieras muriere muriereis murieren murieres
+muriese muriesen murieses murria murriad murrian murriar murrias murrie murrien murries murrina
+murrino murrio murrios murruca murruco muse museal musen museos musepo musepos musequi muses musi
+musia musiais musian musias musicaba musicaban musicabas musicable musicad musicada musicadas
+musicado musicados musicais musicales musicalice musicaliza musicalizo musicamos musican musicando
+musicante musicar musicara musicaran musicaras musicare musicaren musicares musicaria musicaron
+musicas musicase musicasen musicases musicaste musico musicos musido musiera musiere musiese musimos
+musio musique musir musira musiran musiras musire musiria musirse musis musiste musita musitad
+musitan musitar musitas musite musiten musites musito musivo musivos muta mutaba mutaban mutabas
+mutable mutad mutada mutadas mutado mutados mutais mutamos mutan mutando mutar mutara mutaran
+mutaras mutare mutaren mutares mutaria mutaron mutas mutase mutasen mutases mutaste muñe muñecos
+muñeira muñen muñendo muñera muñeran muñeras muñere muñeren muñeres muñeron muñes muñese muñesen
+muñeses nace naced naceis nacela nacelas nacemos nacen nacera naceran naceras nacere nacereis
+naceria nacerian nacerias naces naci nacia naciais nacian nacias nacida nacidas nacidos naciera
+naciere naciese nacimientos nacimos nacio nacion nacionales nacionalice nacionaliza nacionalizo
+nacisteis nadaba nadaban nadabas nadad nadado nadador nadais nadal nadamos nadan nadara nadarais
+nadaran nadaras nadare nadareis nadaren nadares nadaria nadarian nadarias nadaron nadas nadase
+nadasen nadases nadaste nadi nadilla nadir nadires nance nancea nancead nancean nancear nanceas
+nancee nanceen nancees nanceo nancer nances nanche nanches nanchi nanchis nancite napoleon narango
+narangos naranjada naranjadas naranjado naranjados naranjal naranjales naranjas naranjera naranjero
+naranjo naranjos naricea nariceaba naricead nariceada nariceado nariceais naricean naricear
+nariceara nariceare nariceas naricease naricee nariceeis nariceen naricees nariceo naricera
+nariceras narigon narina narinas narizon narizona narizuda narizudo nasal nasales nasardo nasas nata
+natal natales natalicia natalicio natalidad natalina natalinas natalino natalinos natas natatil
+nateron natura naturalezas naturalice naturaliza naturalizo naturas nava navajada navajadas navajas
+navajazo navajazos navajera navajero navajo navajon navajos navales navanco navarca navarra navarro
+navas navazo navazos navega navegaba navegaban navegabas navegable navegacion navegad navegada
+navegadas navegado navegador navegados navegais navegamos navegan navegando navegante navegara
+navegarais navegaran navegaras navegare navegareis navegaren navegares navegaria navegarian
+navegarias navegaron navegas navegase navegasen navegases navegaste navego navegue naveguen navegues
+naveta navetas navideña navideño naviega naviego naviera naviero navio navios nazismo nazismos
+necesarias necesarios neceser necesitabais necesitabamos necesitad necesitada necesitadas necesitado
+necesitados necesitais necesitando necesitara necesitarais necesitaran necesitaras necesitare
+necesitareis necesitaren necesitares necesitaria necesitarian necesitarias necesitaron necesitase
+necesitaseis necesitasen necesitases necesitaste necesiteis necesitemos necesiten nega negaba
+negaban negabas negable negad negada negadas negado negador negados negais negamos negando negara
+negarais negaran negaras negare negareis negaren negares negaria negarian negarias negaron negas
+negase negasen negases negaste negativas negativos negatron nego negocia negociaba negociaban
+negociabas negociable negociacion negociad negociada negociadas negociado negociador negociados
+negociais negociamos negocian negociando negocianta negociante negociara negociarais negociaran
+negociaras negociare negociareis negociaren negociares negociaria negociarian negociarias negociaron
+negocias negociase negociasen negociases negociaste negocie negocieis negocien negocies negociosa
+negociosas negocioso negociosos negrada negradas negraje negrajes negral negrales negrea negread
+negrean negrear negreas negrece negreci negree negreen negrees negrega negrego negreo negrera
+negrero negreta negrete negrita negrito negroide negror negrores negrota negrumo negrura nemon nenas
+neneca nenecas neneco nenecos neneque nenes nervea nerveas nerveo nerveos nervia nerviaba nerviad
+nerviada nerviado nerviais nervian nerviar nerviara nerviare nervias nerviase nervie nervieis
+nervien nervies nervina nervinas nervino nervinos nervio nerviosas nervosa nervoso nervuda nervudo
+nervura neutle neutles neutra neutrales neutralice neutraliza neutralizo neutras neutrino neutro
+neutron neutros neva nevaba nevaban nevabas nevad nevadas nevado nevados nevais nevamos nevando
+nevar nevara nevaran nevaras nevare nevaren nevares nevaria nevaron nevas nevasca nevase nevasen
+nevases nevaste nevazo nevazon nevazos nevisca nevisco neviza nevizas nicho nichos nicol nicoles
+nidos nieblas niegan niegas niegos niegue nieguen niegues nietas nieva nievan nievas nieven nieves
+nievo ningunas ningunea ningunead ningunean ningunear ninguneas ningunee ninguneen ningunees
+ninguneo ninguneos ningunos nivea niveas nivela nivelaba nivelad nivelada nivelado nivelais nivelan
+nivelar nivelara nivelare nivelas nivelase nivele niveleis nivelemos nivelen nivelo niveo niveos
+niñada niñadas niñata niñatas niñato niñatos niñea niñeaba niñead niñeado niñeais niñean niñear
+niñeara niñeare niñeas niñease niñeces niñee niñeeis niñeen niñees niñeo niñeras niñeria niñerias
+niñero niñeros niñeta niñetas nobeles nobelio nobelios noblecer nobleza noblezas noblota noblote
+nochera nocheras nochero nocheros nochizo nocturnal nocturnales nocturnas nocturnina nocturnino
+nocturnos nombra nombraba nombraban nombrabas nombrad nombrada nombradas nombradia nombrado
+nombrados nombrais nombramos nombran nombrando nombrara nombrarais nombraran nombraras nombrare
+nombrareis nombraren nombrares nombraria nombrarian nombrarias nombraron nombras nombrase nombrasen
+nombrases nombraste nombreis nombremos nombren nombro nonos norais noray norayes normaba normaban
+normabas normad normada normadas normado normados normais normalice normalicen normalices
+normalidades normalista normaliza normalizad normalizan normalizar normalizas normalizo normamos
+normana normanas normanda normandas normando normandos normano normanos normar normara normaran
+normaras normare normaren normares normaria normaron normase normaseis normasen normases normaste
+norme normeis normen normes normo nortada nortazo nortea norteaba nortead norteada norteado norteais
+norteamericana norteamericanas nortean nortear norteara norteare norteas nortease nortee norteeis
+norteen nortees norteo nortes norteña norteñas norteño norteños nortino notaba notaban notabas
+notable notad notada notadas notados notais notamos notan notando notara notarais notaran notaras
+notare notareis notaren notares notaria notarial notarian notarias notario notarios notaron notase
+notaseis notasen notases notaste noticiaba noticiaban noticiabas noticiable noticiad noticiada
+noticiadas noticiado noticiados noticiais noticiamos notician noticiando noticiar noticiara
+noticiaran noticiaras noticiare noticiaren noticiares noticiaria noticiario noticiaron noticiase
+noticiaseis noticiasen noticiases noticiaste noticie noticieis noticien noticiera noticiero noticies
+noticio noticion noticiosa noticioso notomia notoria notorio notos nova novaba novaban novabas novad
+novada novadas novado novador novados novais noval novales novamos novan novando novar novara
+novaran novaras novare novaren novares novaria novaron novas novase novasen novases novaste novata
+novatada novatas novator novatora novatoras novatores novatos nove novedades novedosa novedoso
+noveis novel novelaba novelaban novelabas novelable novelad novelada noveladas novelado novelador
+novelados novelais novelamos novelan novelando novelar novelara novelaran novelaras novelare
+novelaren novelares novelaria novelaron novelas novelase novelasen novelases novelaste novele
+noveleis novelen novelera novelero noveles novelice noveliza novelizo novelo novelon novelos novemos
+noven novena novenas novenes noveno novenos noventa noves noviaba noviaban noviabas noviad noviado
+noviais noviamos novian noviando noviar noviara noviaran noviaras noviare noviaren noviares noviaria
+noviaron noviase noviaseis noviasen noviases noviaste noviazgo novicia novicio novie novieis
+noviembres noviemos novien novies novilla novillo nucas nuclearia nuclearias nucleario nuclearios
+nucleico nucleido nucleo nucleolo nucleon nucleos nudo nudosa nudosas nudoso nudosos nuecera
+nueceras nuecero nueceros nuesa nueso nuestrama nuestramo nueves numen numenes numera numeraba
+numerad numerada numerado numerais numeral numeran numerar numerara numerare numeras numerase numere
+numereis numeren numeres numerica numerico numeros numerosa numerosas numeroso numerosos nuncio
+nuncios obedeced obedecedor obedeceis obedecemos obedecen obedecera obedeceran obedeceras obedecere
+obedecereis obedeceria obedecerian obedecerias obedeces obedeci obedecia obedecian obedecias
+obedecida obedecido obedecio obedezca obedezco obispa obispaba obispad obispado obispais obispal
+obispan obispar obispara obispare obispas obispase obispe obispeis obispen obispes obispos objecion
+objecto objeta objetaba objetad objetada objetado objetais objetan objetar objetara objetare objetas
+objetase objete objeteis objeten objetes objetiva objetivaba objetivad objetivada objetivado
+objetivais objetivan objetivar objetivara objetivare objetivas objetivase objetive objetiveis
+objetiven objetives objetor objetora objetoras objetores oblicua oblicue oblicuo obligaba obligaban
+obligabas obligacion obligad obligada obligadas obligados obligais obligamos obligan obligando
+obligar obligara obligaran obligaras obligare obligaren obligares obligaria obligaron obligas
+obligase obligasen obligases obligaste obligo obligue obliguen obligues oblito oblitos obraba
+obraban obrabas obrad obrada obradas obrado obrador obrados obrais obraje obrajes obramos obran
+obrando obrar obrara obraran obraras obrare obraren obrares obraria obraron obrase obraseis obrasen
+obrases obraste obre obregon obreis obremos obren obrera obreras obreria obrerias obrero obres
+observaba observaban observabas observable observacion observad observada observadas observado
+observadora observadoras observadores observados observais observamos observan observancia
+observante observantes observara observarais observaran observaras observare observareis observaren
+observares observaria observarian observarias observaron observas observase observasen observases
+observaste observe observeis observen observes observo obsesa obsesas obsesion obsesiona obsesionaba
+obsesionaban obsesionabas obsesionad obsesionada obsesionadas obsesionados obsesionais obsesionamos
+obsesionan obsesionando obsesionante obsesionar obsesionara obsesionaran obsesionaras obsesionare
+obsesionaren obsesionares obsesionaria obsesionaron obsesionas obsesionase obsesionasen obsesionases
+obsesionaste obsesione obsesioneis obsesionen obsesiones obsesiono obsesiva obsesivas obsesivo
+obsesivos obseso obsesos obten obtendra obtendre obtene obtened obteneis obtenemos obtenes obtenga
+obtengan obtengas obtengo obtenia obtenian obtenias obtenida obtenido obtento obtentor obtentos
+obtura obturad obturan obturar obturas obture obturen obtures obturo obtusa obtusas obtuso obtusos
+obtuviera obtuviere obtuviese obtuvimos obtuvisteis obvia obviaba obviad obviada obviado obviais
+obvian obviar obviara obviare obvias obviase obvie obvieis obvien obvies obvios ocas ocasion
+ocasiona ocasionaba ocasionad ocasionada ocasionado ocasionais ocasional ocasionan ocasionar
+ocasionara ocasionare ocasionas ocasionase ocasione ocasioneis ocasionemos ocasionen ocasiono ocaso
+ocasos occidentales occidente occidentes ochos ochosen octava octavaba octavad octavado octavais
+octavan octavar octavara octavare octavas octavase octave octaveis octaven octaves octaviana
+octaviano octavilla octavin octavines octavo octavos octubres octubrino octupla octuple octuplo
+ocular ocultaba ocultaban ocultabas ocultad ocultada ocultadas ocultado ocultador ocultados ocultais
+ocultamos ocultan ocultando ocultara ocultarais ocultaran ocultaras ocultare ocultareis ocultaren
+ocultares ocultaria ocultarian ocultarias ocultaron ocultas ocultase ocultasen ocultases ocultaste
+oculte oculteis oculten ocultes ocultis ocultos ocupaba ocupaban ocupabas ocupacion ocupad ocupadas
+ocupador ocupadora ocupadoras ocupadores ocupais ocupamos ocupan ocupando ocupante ocupara ocuparais
+ocuparan ocuparas ocupare ocupareis ocuparen ocupares ocuparia ocuparian ocuparias ocuparon ocupas
+ocupase ocupasen ocupases ocupaste ocupe ocupeis ocupen ocupes ocurrais ocurramos ocurran ocurras
+ocurrencia ocurrente ocurrentes ocurres ocurri ocurria ocurriais ocurrian ocurrias ocurrid ocurrida
+ocurridas ocurridos ocurriera ocurrieran ocurrieras ocurriere ocurrieren ocurrieres ocurrieron
+ocurriese ocurriesen ocurrieses ocurrimos ocurrio ocurrira ocurriran ocurriras ocurrire ocurrireis
+ocurriria ocurririan ocurririas ocurris ocurriste ocurro ocurso ocursos odiabais odiabamos odiaban
+odiabas odiad odiada odiadas odiado odiados odiais odiamos odiando odiar odiara odiarais odiaran
+odiaras odiare odiareis odiaren odiares odiaria odiarian odiarias odiaron odiase odiaseis odiasen
+odiases odiaste odieis odiemos odien odies odios odiosa odiosas odioso odiosos oestes ofenda
+ofendais ofendan ofendas ofende ofended ofendedor ofendeis ofendemos ofenden ofendera ofenderan
+ofenderas ofendere ofendereis ofenderia ofenderian ofenderias ofendes ofendi ofendia ofendiais
+ofendian ofendias ofendida ofendidas ofendidos ofendiera ofendiere ofendiese ofendimos ofendio
+ofendiste ofendo ofensa ofensar ofensas ofension ofensivas ofensivo ofensivos ofensor ofensora
+ofertaba ofertaban ofertabas ofertad ofertada ofertadas ofertado ofertados ofertais ofertamos
+ofertan ofertando ofertante ofertar ofertara ofertaran ofertaras ofertare ofertaren ofertares
+ofertaria ofertaron ofertas ofertase ofertasen ofertases ofertaste oferte oferteis oferten ofertes
+oferto oficia oficiaba oficiaban oficiabas oficiad oficiada oficiadas oficiado oficiados oficiais
+oficiala oficialas oficialia oficialias oficialice oficializa oficializo oficiamos ofician oficiando
+oficiante oficiar oficiara oficiaran oficiaras oficiare oficiaren oficiares oficiaria oficiaron
+oficias oficiase oficiasen oficiases oficiaste oficie oficieis oficien oficies oficinal oficinales
+oficios oficiosa oficiosas oficioso oficiosos ofreced ofrecedor ofreceis ofrecemos ofrecera
+ofreceran ofreceras ofrecere ofrecereis ofreceria ofrecerian ofrecerias ofreces ofreci ofrecia
+ofreciais ofrecian ofrecias ofrecida ofrecidas ofrecidos ofreciera ofrecierais ofrecieran ofrecieras
+ofreciere ofreciereis ofrecieren ofrecieres ofreciese ofreciesen ofrecieses ofrecimos ofrecio
+ofreciste ofrenda ofrende ofrendo ofrezca ofrezcais ofrezcan ofrezcas oidor oidora oidoras oidores
+oidoria oidos oigais oigamos ojal ojalaba ojalaban ojalabas ojalad ojalada ojaladas ojalado ojalador
+ojalados ojalais ojalamos ojalan ojalando ojalar ojalara ojalaran ojalaras ojalare ojalaren ojalares
+ojalaria ojalaron ojalas ojalase ojalasen ojalases ojalaste ojale ojaleis ojalen ojales ojalo ojosa
+ojosas ojoso ojosos olera oleran oleras olere olereis oleria olerian olerias oliva olivaba olivad
+olivada olivado olivais olivan olivar olivara olivare olivas olivase olive oliveis olivemos oliven
+olivera oliveras olivero oliveros olives olivillo olivino olivinos olivo olivos olivosa olivoso
+olores olorice oloriza olorizo olorosa olorose oloroso olvidabais olvidabamos olvidaban olvidabas
+olvidad olvidada olvidadas olvidadera olvidadero olvidadiza olvidadizo olvidados olvidais olvidan
+olvidando olvidanza olvidara olvidarais olvidaran olvidaras olvidare olvidareis olvidaren olvidares
+olvidaria olvidarian olvidarias olvidaron olvidase olvidaseis olvidasen olvidases olvidasteis
+olvideis olvidos olvidosa olvidosas olvidoso olvidosos oncea onceaba oncead onceada onceado onceais
+oncean oncear onceara onceare onceas oncease onceava onceavo oncee onceeis onceen oncees oncejo
+oncejos oncemil oncena oncenas onceno oncenos onceo onces opcion opcional opera operaba operaban
+operabas operable operacion operacional operad operada operadas operado operadoras operadores
+operados operais operamos operan operando operante operara operarais operaran operaras operare
+operareis operaren operares operaria operarian operarias operario operarios operaron operas operase
+operasen operases operaste opere opereis operen operes opereta operia operias opero operosa operoso
+opinaba opinaban opinabas opinable opinad opinada opinadas opinado opinados opinais opinamos opinan
+opinando opinante opinar opinara opinaran opinaras opinare opinaren opinares opinaria opinaron
+opinase opinaseis opinasen opinases opinaste opine opineis opinen opines opinion opino opone oponed
+oponeis oponemos oponen oponentes oponer opones oportunismo oportunista optimice optimicen optimices
+optimismo optimismos optimistas optimiza optimizad optimizan optimizar optimizas optimizo opuesta
+opuestas opuestos opuse opuso oracion oracional oracionera oracioneras oracionero oracioneros
+oraculo orco ordenaba ordenaban ordenabas ordenad ordenada ordenadas ordenadora ordenadoras
+ordenadores ordenados ordenais ordenamos ordenan ordenando ordenante ordenanza ordenara ordenarais
+ordenaran ordenaras ordenare ordenareis ordenaren ordenares ordenaria ordenarian ordenarias
+ordenaron ordenas ordenase ordenasen ordenases ordenaste ordeneis ordenemos ordenen ordeña ordeñad
+ordeñan ordeñar ordeñas ordeñe ordeñen ordeñes ordeño ordeños ordinal ordinales ordinar ordinaria
+ordinarias ordinariez ordinarios orejana orejanas orejano orejanos orejea orejead orejean orejear
+orejeas orejee orejeen orejees orejeo orejera orejon orejona orejuda orejudo orenga orengas orense
+orenses orenza orenzas organica organicas organice organicen organices organico organicos organillo
+organismo organista organiza organizaba organizaban organizabas organizacion organizad organizada
+organizadas organizador organizadora organizadoras organizadores organizados organizais organizamos
+organizan organizando organizara organizarais organizaran organizaras organizare organizareis
+organizaren organizares organizaria organizarian organizarias organizaron organizas organizase
+organizasen organizases organizaste organizo orgulleza orgullos orgullosas orienta orientaba
+orientaban orientabas orientad orientada orientadas orientado orientador orientados orientais
+orientales orientamos orientan orientana orientanas orientando orientano orientanos orientar
+orientara orientaran orientaras orientare orientaren orientares orientaria orientaron orientas
+orientase orientasen orientases orientaste orienteis orientemos orienten orientes oriento ories
+origenes origina originaba originaban originabas originad originada originadas originado originados
+originais originamos originan originando originar originara originaran originaras originare
+originaren originares originaria originario originaron originas originase originasen originases
+originaste origine origineis originen origines origino orillaba orillaban orillabas orillad orillada
+orilladas orillado orillados orillais orillamos orillan orillando orillar orillara orillaran
+orillaras orillare orillaren orillares orillaria orillaron orillas orillase orillasen orillases
+orillaste orille orilleis orillen orillera orillero orilles orillo orillos orin orinaba orinaban
+orinabas orinad orinada orinadas orinado orinados orinais orinal orinales orinamos orinan orinando
+orinara orinarais orinaran orinaras orinare orinareis orinaren orinares orinaria orinarian orinarias
+orinaron orinas orinase orinasen orinases orinaste orine orinece orineci orineis orinen orines orino
+orinque osambre osamos osca oscas osco oscos osculo osculos oscurana oscuranas oscurece oscureci
+oscuridades ososa ososas ososo ososos otoña otoñaba otoñad otoñada otoñado otoñais otoñal otoñan
+otoñar otoñara otoñare otoñas otoñase otoñe otoñeis otoñen otoñes otoñiza otoñizo otoños otraño
+otrora otrosi otrosies otrosis oveja ovejera ovejero ovejuna ovejuno oyente oyentes oyera oyerais
+oyeran oyeras oyere oyereis oyeren oyeres oyese oyeseis oyesen oyeses pace paced paceis pacemos
+pacen pacense pacer pacera paceran paceras pacere paceria paceña paceñas paceño paceños paciencias
+paciendo paciera pacieran pacieras paciere pacieren pacieres pacieron paciese paciesen pacieses
+pacta pactaba pactad pactada pactado pactais pactan pactar pactara pactare pactas pactase pacte
+pacteis pacten pactes pactos padrazo padrea padreaba padread padreado padreais padrean padrear
+padreara padreare padreas padrease padree padreeis padreen padrees padrejon padreo padrillo padrina
+padrinaje padrinas padrinos padron padrote pagaba pagaban pagabas pagable pagad pagada pagadas
+pagadera pagadero pagador pagadora pagadoras pagadores pagados pagais pagalo pagalos pagana paganas
+pagania paganias paganice paganiza paganizo pagano pagara pagarais pagaran pagaras pagare pagareis
+pagaren pagares pagaria pagarian pagarias pagase pagaseis pagasen pagases pagaste pagaya pagayas
+pagaza pagazas pagoda pagodas pagote pagotes pagua paguas pagueis paguemos pagues paguro paguros
+paisajes paisana paisanas paisano paisanos paises pajar pajara pajaras pajarea pajaread pajarean
+pajarear pajareas pajaree pajareen pajarees pajarel pajareo pajarera pajarero pajares pajarete
+pajaril pajarilla pajarita pajaritas pajaritos pajaro pajaros pajarota palabrada palabradas palabrea
+palabread palabrean palabrear palabreas palabree palabreen palabrees palabreja palabreo palabreos
+palabrera palabrero palabrita palabro palabron palabrona palabros palabrosa palabroso palabrota
+palacete palacial palaciana palaciano palaciega palaciego palacios palada paladar paladas paladea
+paladee paladeo paladin paladio palado palados palancada palancadas palancana palancanas palancas
+palancazo palancazos palancon palancona palangre palas palasan palatal palay palayes palazo palazon
+palazos pali palia paliaba paliad paliada paliado paliais palian paliar paliara paliare palias
+paliase palida palidas palidez palido palidos palie palieis palien palier palies palilla palillo
+palio palios palique palis palista palito palitos palizada palizadas palizas palizon palmaba
+palmaban palmabas palmacea palmaceo palmad palmada palmadas palmado palmados palmais palmamos palman
+palmando palmar palmara palmaran palmaras palmare palmaren palmares palmaria palmario palmaron
+palmas palmase palmasen palmases palmaste palmazon palme palmea palmeaba palmead palmeada palmeado
+palmeais palmean palmear palmeara palmeare palmeas palmease palmee palmeeis palmeen palmees palmeis
+palmejar palmemos palmen palmenta palmeo palmeos palmera palmeral palmeras palmerita palmero
+palmeros palmes palmeta palmetas palmita palmito palmo palmos paloduz paloma palomar palomas palomea
+palomee palomeo palomilla palomina palominas palomino palominos palomita palomo palomos palon
+palones palor palores palote palotea palotee paloteo palotes pamelas pamema pamemas pamento
+pandillaje pandillajes pandillera pandillero pandina pandinas pandino pandinos panela panelas
+panelera panelero paneles panera paneras panero paneros panes pantalan pantaleta pantallas pantallea
+pantallead pantallean pantallear pantalleas pantallee pantalleen pantallees pantalleo pantalon
+pantalonera pantaloneras pantalonero pantaloneros pantaloneta pantalonetas pantana pantanal pantanas
+pantanos pantanosa pantanosas pantanoso pantanosos panteon pantera panty panzada panzadas panzaleo
+panzas panzon panzona panzuda panzudo papaba papaban papabas papable papaces papad papada papadas
+papadgo papado papados papaina papais papal papales papamos papan papando papar papara paparan
+paparas papare paparen papares paparia paparo paparon paparos papasal papase papaseis papasen
+papases papaste papaya papayal papayas papayo papayos papaz papazgo pape papea papeaba papead
+papeado papeais papean papear papeara papeare papeas papease papee papeeis papeen papees papeis
+papelea papeleaba papelead papeleado papeleais papelean papelear papeleara papeleare papeleas
+papelease papelee papeleeis papeleen papelees papeleos papelera papeleras papeleria papelerio
+papelero papeleros papeleta papeletas papeletea papeletee papeleteo papelina papelon papelona
+papelote papelujo papemos papen papeo papera paperas papero paperos papes papiche papila papilar
+papilas papilla papin papines papion papiro papiros papisa papisas papismo papista paquea paqueaba
+paquead paqueada paqueado paqueais paquean paquear paqueara paqueare paqueas paquease paquebot
+paquee paqueeis paqueen paquees paqueo paqueos paquera paqueras paquero paqueros paqueta paquetas
+paquetazo paquetea paqueteaba paquetead paqueteado paqueteais paquetean paquetear paqueteara
+paqueteare paqueteas paquetease paquetee paqueteeis paqueteen paquetees paqueteo paquetera
+paqueteras paqueteria paquetero paqueteros paquetuda paquetudo paquin paraba paraban parabas paraca
+paracas parad paradas paradera paradero paradina paradoja paradojas paradojo parador paradora
+paradoras paradores paragon parais paraiso paraje parajes paral parales parama paramaba paramada
+paramado paraman paramar paramara paramare paramase parame paramea paramean paramear paramee
+parameen paramen parameo paramera paramero paramo paramosa paramosas paramoso paramosos paran
+parando parangon paranoias paranoica paranoicas paranoicos paranoide paranoides paranza paranzas
+parao paraos parara pararais pararan pararas parare parareis pararen parares pararia pararian
+pararias pararon parase paraseis parasemo parasen parases parasita parasito parasol paraste parata
+paratas parea pareaba paread pareada pareado pareais parean parear pareara pareare pareas parease
+pareced pareceis parecemos parecencia parecera pareceran pareceras parecere parecereis pareceres
+pareceria parecerian parecerias pareci parecia pareciais parecian parecias parecidas parecidos
+pareciendo parecierais parecieramos parecieran parecieras pareciere pareciereis parecieren
+parecieres parecieron pareciese pareciesen parecieses parecimos parecio pareciste paredaña paredaño
+paredina paredon paree pareeis pareen parees pareis parejera parejero parejo parejos parejura parel
+pareles parella paremia paremos parental pareo pareos paresa paresas paresia paresias parezcais
+parezcamos parezcan parezcas pari paria pariais parian parias parid parida paridad paridas parido
+paridos pariendo parienta parientas pariera parieran parieras pariere parieren parieres parieron
+pariese pariesen parieses parietal parimos pario parios paripe paripes parir parira pariran pariras
+parire pariria parisien parisina parisino pariste parlamenta parlamentaba parlamentad parlamentado
+parlamentais parlamentan parlamentar parlamentara parlamentare parlamentas parlamentase parlamente
+parlamenteis parlamenten parlamentes parlamentos parodia parodie parodio parola parolas paroli
+parolis paros parquea parqueaba parquead parqueada parqueado parqueais parquean parquear parqueara
+parqueare parqueas parquease parquedad parquee parqueeis parqueen parquees parqueo parqueos parques
+parqui parquis parra parraba parrad parrada parrado parrafo parrais parral parran parrar parrara
+parrare parras parrase parre parreis parrel parren parres parrilla parriza parrizas parro parroco
+parron parros parta partais partan partas partea parteaba partead parteada parteado parteais partean
+partear parteara parteare parteas partease partee parteeis parteen partees parteluz parten parteo
+partera parteras parteria partero parteros parterre partesana parti partia partiais partian partias
+partible particion participa participaba participaban participabas participad participada
+participadas participado participados participais participamos participan participando participante
+participara participarais participaran participaras participare participareis participaren
+participares participaria participarian participarias participaron participas participase
+participasen participases participaste participe participeis participen participes participial
+participio participios participo particula particulares particularice particulariza particularizo
+particulas partid partidaria partidario partidas partidero partideña partideño partidor partidores
+partidura partiera partiere partiese partija partijas partil partiles partimos partio partira
+partiran partiras partire partireis partiria partirian partirias partis partiste partos partura
+partusa pasabais pasabamos pasaban pasabas pasable pasables pasabola pasad pasadera pasadero pasadia
+pasadias pasadizo pasador pasadora pasadoras pasadores pasados pasadura pasais pasajera pasajeras
+pasajes pasamana pasamane pasamano pasante pasantes pasantia pasanza pasapan pasaporta pasaportaba
+pasaportad pasaportada pasaportado pasaportais pasaportan pasaportar pasaportara pasaportare
+pasaportas pasaportase pasaporteis pasaportemos pasaporten pasaportes pasaporto pasarais pasaramos
+pasaran pasaras pasare pasareis pasarela pasarelas pasaren pasares pasaria pasarian pasarias pasase
+pasaseis pasasen pasases pasasteis pasea paseaba paseaban paseabas pasead paseada paseadas paseado
+paseador paseados paseais paseamos pasean paseando paseante paseara pasearais pasearan pasearas
+paseare paseareis pasearen paseares pasearia pasearian pasearias pasearon paseas pasease paseasen
+paseases paseaste paseata paseatas pasee paseeis paseen pasees paseis paseos pasera paseras pasero
+paseros pasible pasiega pasiego pasil pasiles pasillos pasion pasito pasitos pasiva pasivas pasivo
+pasivos pasosa pasosas pasoso pasosos pasota pasotas pasote pasotes pastaba pastaban pastabas pastad
+pastada pastadas pastado pastador pastados pastais pastamos pastan pastando pastar pastara pastaran
+pastaras pastare pastaren pastares pastaria pastaron pastas pastase pastasen pastases pastaste paste
+pastea pasteaba pastead pasteada pasteado pasteais pastean pastear pasteara pasteare pasteas
+pastease pasteca pastecas pastee pasteeis pasteen pastees pasteis pastelea pasteleaba pastelead
+pasteleado pasteleais pastelean pastelear pasteleara pasteleare pasteleas pastelease pastelee
+pasteleeis pasteleen pastelees pasteleo pasteleos pastelera pasteleras pasteleria pastelero
+pasteleros pastelon pastemos pasten pastenca pastenco pastense pasteo pastero pasteros pastes
+pastilla pastillero pastle pastles paston pastones pastora pastorada pastoral pastoras pastorea
+pastoread pastorean pastorear pastoreas pastoree pastoreen pastorees pastorela pastoreo pastoreos
+pastores pastoria pastorias pastoril pastos pastosa pastosas pastoso pastosos pastral pastura
+pastusa pastuso pataban pataca patacas patache pataco patacon patacos patadion patadura patagon
+patagua pataje patajes pataju patajus patalea patalee pataleo patan patanco patanes patanga patango
+patao pataos patarra patasca patascas patata patatal patatales patatar patatares patatera patatero
+patatin patatus patax patay patayes pate patea pateaba pateaban pateabas patead pateada pateadas
+pateado pateados pateais pateamos patean pateando pateara patearais patearan patearas pateare
+pateareis patearen pateares patearia patearian patearias patearon pateas patease pateasen pateases
+pateaste patee pateeis pateen patees patena patenas patenta patente patento pateo pateos pater
+patera pateras pateres pateria paterna paterno patero pateros pates pateta patetas pati paties
+patilla patin patina patinad patinan patinar patinas patine patinen patines patino patios patis
+patitas patito patitos patiza patizas patoja patojas patojea patojee patojeo patojo patojos paton
+patona patonas patones patos patosa patosas patoso patosos patota patotas patraña patriada patriadas
+patriarca patrias patriciado patriciados patriciana patricianas patriciano patricianos patricias
+patricida patricio patricios patrio patrios patriota patron patrona patronada patronado patronal
+patronas patronato patronea patroneaba patronead patroneada patroneado patroneais patronean
+patronear patroneara patroneare patroneas patronease patronee patroneeis patroneen patronees
+patroneo patronero patronil patrono patronos patrullaba patrullaban patrullabas patrullad patrullada
+patrulladas patrullado patrullados patrullais patrullaje patrullajes patrullamos patrullan
+patrullando patrullar patrullara patrullaran patrullaras patrullare patrullaren patrullares
+patrullaria patrullaron patrullas patrullase patrullasen patrullases patrullaste patrulle patrulleis
+patrullen patrullera patrullero patrulles patrullo paulaba paulaban paulabas paulad paulado paulais
+paulamos paulan paulando paular paulara paularan paularas paulare paularen paulares paularia
+paularon paulas paulase paulasen paulases paulaste paule pauleis paulen paules pauliana paulilla
+paulina paulinas paulinia paulino paulinos paulo pausaba pausaban pausabas pausad pausada pausadas
+pausado pausados pausais pausamos pausan pausando pausar pausara pausaran pausaras pausare pausaren
+pausares pausaria pausaron pausas pausase pausasen pausases pausaste pause pauseis pausen pauses
+pauso pavon pavona pavonad pavonan pavonar pavonas pavone pavonea pavonee pavonen pavoneo pavones
+pavono pavor pavorde pavores paya payaba payaban payabas payad payada payadas payado payador payagua
+payais payamos payan payana payanas payando payanes payar payara payaran payaras payare payaren
+payares payaria payaron payas payasa payasada payasas payase payaseis payasen payases payasos
+payaste payaya payayas pañal pañalon pañanga pañuelos pañusa pañusas pañuso pañusos peca pecaba
+pecaban pecabas pecable pecad pecador pecadora pecadoras pecadores pecais pecamos pecan pecando
+pecanes pecante pecar pecara pecaran pecaras pecare pecaren pecares pecari pecaria pecaris pecaron
+pecas pecase pecasen pecases pecaste pece pecera peceras pecero peceros peceto pecetos peceña
+peceñas peceño peceños pech pecha pechaba pechad pechada pechado pechais pechal pechan pechar
+pechara pechare pechas pechase pechazo peche pechea pechead pechean pechear pecheas pechee pecheen
+pechees pecheis pechen pecheo pechera pechero peches pechil pechin pechina pechoña pechoñas pechoño
+pechoños pechuga pedacea pedacee pedaceo pedal pedalea pedalee pedaleo pedales pedaneo pedania
+pedante pedi pedia pediais pedian pedias pediatra pediatras pediatria pediatrias pediatrica
+pediatrico pediche pedicoj pedid pedida pedidas pedidor pedidora pedidoras pedidores pedidos
+pedidura pedigon pedigri pedilon pedio pedios pedira pediran pediras pedire pedireis pediria
+pedirian pedirias pedis pedisteis pedorra pedorro pedos pedrada pedral pedrea pedreas pedrera
+pedrero pedres pedreta pedriza pedrizo pedroche pedrosa pedrosas pedroso pedrosos pegaba pegaban
+pegabas pegad pegada pegadas pegadiza pegadizo pegador pegadores pegados pegadura pegais pegalon
+pegamos pegan pegando pegante pegara pegarais pegaran pegaras pegare pegareis pegaren pegares
+pegaria pegarian pegarias pegaron pegas pegase pegasea pegasen pegaseo pegases pegaste pegata
+pegatas peina peinaba peinaban peinabas peinad peinada peinadas peinador peinadora peinadoras
+peinadores peinados peinadura peinais peinamos peinan peinando peinar peinara peinaran peinaras
+peinare peinaren peinares peinaria peinaron peinas peinase peinasen peinases peinaste peinazo
+peinazos peindra peine peineis peinen peinera peinero peines peineta peino pele peleaba peleaban
+peleabas pelead peleada peleadas peleadera peleador peleadora peleadoras peleadores peleais peleara
+pelearais pelearan pelearas peleare peleareis pelearen peleares pelearia pelearian pelearias
+pelearon pelease peleaseis peleasen peleases peleaste pelecha peleche pelecho pelee peleeis peleemos
+pelees peleis pelela pelelas pelele peleles pelemos pelen peleo peleon peleona peleria pelero
+peleros peles pelete peletes pelicana pelicano pelicular peliculares peliculas peliculera peliculero
+peliculon peligna pelignas peligno pelignos peligra peligraba peligrad peligrado peligrais peligran
+peligrar peligrara peligrare peligras peligrase peligre peligreis peligren peligres pelillo pelis
+pelitre pelon pelona pelonas pelonea pelonee peloneo pelones pelonia pelosa pelosas peloso pelosos
+pelotari pelotaris pelotazo pelotazos pelote pelotea pelotead pelotean pelotear peloteas pelotee
+peloteen pelotees peloteo peloteos pelotera pelotero pelotes peloto peloton pelotos pelotuda
+pelotudo pelu pelucas peluche peluches pelucona peluda peludas peludea peludead peludean peludear
+peludeas peludee peludeen peludees peludeo peludos pelues pelus pelusa pelusas pelusea pelusee
+peluseo penaba penaban penabas penable penacho penad penada penadas penado penador penados penais
+penal penales penalti pename penames penamos penan penando penante penar penara penaran penaras
+penare penaren penares penaria penaron penase penaseis penasen penases penaste penates penda pendais
+pendan pendas pende pended pendeis pendejada pendejea pendejead pendejean pendejear pendejeas
+pendejee pendejeen pendejees pendejeo pendejez pendejos pendemos penden pender pendera penderan
+penderas pendere penderia pendes pendi pendia pendian pendias pendido pendiendo pendiera pendieran
+pendieras pendiere pendieren pendieres pendieron pendiese pendiesen pendieses pendil pendio pendo
+pendol pendola pendon pendona pendra pendrad pendran pendrar pendras pendre pendren pendres pendro
+pendula pendulo pendura peneca penecas peneira peneire peneiro peneis penemos penen penene penenes
+peneque penera penerad peneran penerar peneras penere peneren peneres penero penes penetra penetre
+penetro pensa pensabais pensabamos pensable pensables pensad pensada pensadas pensador pensadora
+pensadoras pensadores pensados pensais pensante pensantes pensara pensarais pensaran pensaras
+pensare pensareis pensaren pensares pensaria pensarian pensarias pensas pensase pensaseis pensasen
+pensases pensasteis penseis pensel penseles penseque pensier pensil pensiles pension pensiona
+pensione pensiono penso peora peorar peoras peoria peorias peque pequeis pequemos pequen pequenes
+peques pequeñarra pequeñez pequeñeza pequin perca percal percan percas percata percate percato
+percebe percepcion percha perchad perchan perchar perchas perche perchel perchen perches percho
+perchon perciba percibe percibi percibo percola percole percolo percuda percude percudi percudo
+percuta percute percuti percuto perdais perde perded perdedero perdedora perdedoras perdeis perdera
+perderan perderas perdere perdereis perderia perderian perderias perdes perdi perdia perdiais
+perdian perdias perdices perdidiza perdidizo perdidosa perdidosas perdidoso perdidosos perdiera
+perdierais perdieran perdieras perdiere perdiereis perdieren perdieres perdiese perdiesen perdieses
+perdiga perdigad perdigan perdigar perdigas perdigo perdigon perdigue perdio perdis perdisteis
+perdiz perdonaba perdonaban perdonabas perdonable perdonad perdonada perdonadas perdonado perdonador
+perdonados perdonais perdonamos perdonan perdonando perdonanza perdonara perdonarais perdonaran
+perdonaras perdonare perdonareis perdonaren perdonares perdonaria perdonarian perdonarias perdonaron
+perdonas perdonase perdonasen perdonases perdonaste perdoneis perdonemos perdones perdura perdure
+perduro perfeccion perfecciona perfeccione perfecciono perfectiva perfectivo perfeta perfeto perfida
+perfidas perfidia perfido perfidos perfila perfilaba perfilad perfilada perfilado perfilais perfilan
+perfilar perfilara perfilare perfilas perfilase perfile perfileis perfilen perfiles perfilo perfora
+perfore perforo perfuma perfumaba perfumad perfumada perfumado perfumais perfuman perfumar perfumara
+perfumare perfumas perfumase perfumea perfumeaba perfumead perfumeada perfumeado perfumeais
+perfumean perfumear perfumeara perfumeare perfumeas perfumease perfumee perfumeeis perfumeen
+perfumees perfumeis perfumemos perfumen perfumeo perfumera perfumeras perfumeria perfumero
+perfumeros perfumes perfumo perfunda perfunde perfundi perfundo peri perica pericia perico pericon
+pericos perieca perieco perigeo perilla perillo perima periman perimas perime perimen perimes perimi
+perimia perimid perimio perimir perimis perimo perine perineo perines perioca periocas periodica
+periodicas periodice periodicen periodices periodico periodicos periodismo periodismos periodistica
+periodistico periodiza periodizad periodizan periodizar periodizas periodizo periodonto periodos
+periplo peris perista perita peritad peritan peritar peritas perite periten perites perito peritos
+perlaba perlaban perlabas perlad perlada perladas perlado perlados perlais perlamos perlan perlando
+perlar perlara perlaran perlaras perlare perlaren perlares perlaria perlaron perlas perlase perlasen
+perlases perlaste perle perleis perlen perlera perlero perles perlina perlino perlita perlo
+permaneced permaneceis permanecemos permanecen permanecera permaneceran permaneceras permanecere
+permanecereis permaneceria permanecerian permanecerias permaneces permaneci permanecia permanecian
+permanecias permanecido permanecio permanencia permanentes permanezcais permanezcamos permanezcas
+permanezco permea permead permean permear permeas permee permeen permees permeo permica permicas
+permico permicos permision permisiva permisivo permisor permisora permisoras permisores permisos
+permitais permitamos permitan permitas permiti permitia permitiais permitian permitias permitid
+permitida permitidas permitidera permitidero permitidor permitidora permitidoras permitidores
+permitidos permitiera permitiere permitiese permitimos permitio permitira permitiran permitiras
+permitire permitireis permitiria permitirian permitirias permitis permitiste permito permuta permute
+permuto perojo perojos perol perola perolas peroles perone perones perora perorad peroran perorar
+peroras perore peroren perores peroro peros perote perotes perpetra perpetrad perpetran perpetrar
+perpetras perpetre perpetren perpetres perpetro perpetuaba perpetuaban perpetuabas perpetuad
+perpetuada perpetuadas perpetuado perpetuados perpetuais perpetuamos perpetuan perpetuando
+perpetuanes perpetuar perpetuara perpetuaran perpetuaras perpetuare perpetuaren perpetuares
+perpetuaria perpetuaron perpetuas perpetuase perpetuasen perpetuases perpetuaste perpetue perpetueis
+perpetuen perpetues perpetuo perpetuos perrada perradas perraje perrajes perrea perread perrean
+perrear perreas perreda perree perreen perrees perreo perrera perrero perrilla perrillo perrina
+perrinas perritos perrona perronas perruna perruno persa persas persecucion persegui perseguia
+perseguiais perseguian perseguias perseguible perseguid perseguida perseguidas perseguido
+perseguidor perseguidos perseguimos perseguira perseguiran perseguiras perseguire perseguireis
+perseguiria perseguirian perseguirias perseguis perseguiste persiana persiano persica persicas
+persico persicos persiga persigais persigan persigas persigna persignad persignan persignar
+persignas persigne persignen persignes persigno persigo persigos persigues persiguiera persiguieran
+persiguieras persiguiere persiguieren persiguieres persiguieron persiguiese persiguiesen
+persiguieses persiguio persista persiste persisti persisto persogo persogos personaba personaban
+personabas personada personadas personado personados personais personalice personalicen personalices
+personalidades personalismo personalista personaliza personalizad personalizan personalizar
+personalizas personalizo personamos personan personando personar personara personaran personaras
+personare personaren personares personaria personaron personarse personase personaseis personasen
+personases personaste persone personeis personen personera personero persones persono personuda
+personudo perspectivas perspectivo perspectivos perteneced perteneceis pertenecemos pertenecer
+pertenecera perteneceran perteneceras pertenecere perteneceria perteneci pertenecia pertenecian
+pertenecias pertenecido pertenecio pertenezca pertenezcais pertenezcan pertenezcas perverti
+pervertia pervertiais pervertian pervertias pervertid pervertida pervertidas pervertidor
+pervertidora pervertidoras pervertidores pervertidos pervertimos pervertir pervertira pervertiran
+pervertiras pervertire pervertiria pervertis pervertiste pesaba pesaban pesabas pesad pesadas
+pesadez pesador pesadora pesadoras pesadores pesados pesadura pesais pesaje pesajes pesame pesames
+pesamos pesan pesando pesante pesara pesarais pesaran pesaras pesare pesareis pesaren pesares
+pesaria pesarian pesarias pesario pesarios pesaron pesarosa pesaroso pesas pesase pesasen pesases
+pesaste pescaba pescaban pescabas pescad pescada pescadas pescadera pescadero pescador pescadora
+pescadoras pescadores pescados pescais pescamos pescan pescando pescante pescara pescarais pescaran
+pescaras pescare pescareis pescaren pescares pescaria pescarian pescarias pescaron pescas pescase
+pescasen pescases pescaste pesce pesco pescola pescuda pescuño pesol pesoles pesor pesores pesos
+pestana pestano pestaña pestes pestiño pestuga peteis petemos peten petera peteras petes peticano
+peticion peticiona peticione peticiono pian piando pianes pianola pianolas pianos pianta piantad
+piantan piantar piantas piante pianten piantes pianto pica picaba picaban picabas picacho picad
+picada picadas picado picador picados picais picajon pical picales picamos pican picana picanas
+picando picanea picanee picaneo picante picar picara picarais picaran picaras picaraza picarda
+picardas picardea picardead picardean picardear picardeas picardee picardeen picardees picardeo
+picardia picardias picardo picardos picare picareis picaren picares picaria picarian picarias
+picarice picaril picariza picarizo picaro picaron picaros picarote picarro picarros picarua picaruas
+picas picase picasen picases picaste picayos picaza picazas picazo picazon picazos picaña picañas
+picaño picaños picnica picnicas picnico picnicos picofeo picola picolas picon picona piconas picones
+picor picores picos picosa picosas picoso picosos picota picotas picote picotea picotee picoteo
+picotes picotin pidais pidamos pidan pidenes pidiche pidiera pidierais pidieran pidieras pidiere
+pidiereis pidieren pidieres pidiese pidiesen pidieses pidio pidola pidolas pidon pidona pidonas
+pidones piedades piedrero piedrin pielago pielero pieles pielga pielgas pielgo pielgos pien
+piensador piensos pierdan pieria pierias pierio pierios pierrot pierrots piesco piescos piesllo
+piezgo piezgos pilaba pilaban pilabas pilad pilada piladas pilado pilados pilaga pilagas pilais
+pilamos pilan pilando pilar pilara pilaran pilaras pilare pilaren pilares pilaria pilaron pilas
+pilase pilasen pilases pilaste pilla pillaba pillaban pillabas pillad pillada pilladas pillador
+pilladora pilladoras pilladores pillados pillais pillaje pillajes pillamos pillan pillando pillanes
+pillar pillara pillaran pillaras pillare pillaren pillares pillaria pillaron pillas pillase pillasen
+pillases pillaste pille pillea pillead pillean pillear pilleas pillee pilleen pillees pilleis pillen
+pilleo pilles pillo pillos pilo pilon pilones pilonga pilongo piloro piloros pilos pilosa pilosas
+piloso pilosos pilota pilotaba pilotad pilotada pilotado pilotais pilotaje pilotan pilotar pilotara
+pilotare pilotas pilotase pilote pilotea pilotead pilotean pilotear piloteas pilotee piloteen
+pilotees piloteis piloten piloteo pilotes pilotin pintaba pintaban pintabas pintad pintada pintadas
+pintado pintador pintados pintais pintamos pintan pintando pintara pintarais pintaran pintaras
+pintare pintareis pintaren pintares pintaria pintarian pintarias pintaron pintas pintase pintasen
+pintases pintaste pinte pintea pintean pintear pintee pinteen pinteis pinten pinteo pintes pinteña
+pinteño pinto pintoja pintojas pintojo pintojos pinton pintona pintonas pintonea pintonee pintoneo
+pintones pintora pintoras pintores pintorrea pintorree pintorreo pintos pintosa pintosas pintoso
+pintosos pintuda pintudas pintudo pintudos pinturera pinturero pipaba pipaban pipabas pipad pipada
+pipadas pipado pipados pipais pipamos pipan pipando pipar pipara piparan piparas pipare piparen
+pipares piparia piparon pipas pipase pipasen pipases pipaste pipe pipeis pipemos pipen pipera
+piperas piperia piperias piperina pipermin pipero piperos pipes pipeta pipetas pipetea pipetee
+pipeteo pipeño pipeños pira piraba piraban pirabas pirad pirada piradas pirado pirados piragon
+piragua pirais piral pirales piramos piran pirando pirante pirar pirara piraran piraras pirare
+piraren pirares piraria piraron piras pirase pirasen pirases piraste piratea piratead piratean
+piratear pirateas piratee pirateen piratees pirateo pirateos piratica piratico piraña pirañas pisca
+piscas pisciana pisciano piscinas piscis pisco piscola piscos pison pisonea pisonee pisoneo pisones
+pisotea pisotee pisoteo pisoton pistaba pistaban pistabas pistache pistacho pistad pistada pistadas
+pistado pistados pistais pistamos pistan pistando pistar pistara pistaran pistaras pistare pistaren
+pistares pistaria pistaron pistase pistaseis pistasen pistases pistaste piste pistea pistead pistean
+pistear pisteas pistee pisteen pistees pisteis pisten pisteo pistera pistero pistes pistilo pisto
+pistoja pistojas pistojo pistojos pistolea pistolead pistolean pistolear pistoleas pistolee
+pistoleen pistolees pistoleo pistolera pistolero pistolete piston pistonea pistonee pistoneo
+pistones pistos pistura pitaba pitaban pitabas pitaco pitacos pitad pitada pitadas pitado pitados
+pitais pital pitales pitamos pitan pitando pitanga pitanza pitao pitaos pitar pitara pitaran pitaras
+pitare pitaren pitares pitaria pitaron pitarra pitarro pitas pitase pitasen pitases pitaste pitaya
+pitayal pitayar pitayas pitayo pitayos pitazo pitazos pitaña pitañas pitoche piton pitones pitora
+pitoras pitorra pitorro pitos pitote pitotes placaba placaban placabas placable placad placada
+placadas placado placados placais placaje placajes placamos placan placando placar placara placaran
+placaras placare placaren placares placaria placaron placarte placase placaseis placasen placases
+placaste place placea placeaba placead placeada placeado placeais placean placear placeara placeare
+placeas placease placebo placebos placed placee placeeis placeen placees placeis placel placeles
+placeme placemes placemos placen placenta placeo placera placeran placeras placere placereis
+placeres placeria placerian placerias placero placeros places placet placets placi placia placian
+placias placida placido placio placito placo plagaba plagaban plagabas plagad plagada plagadas
+plagado plagados plagais plagal plagales plagamos plagan plagando plagar plagara plagaran plagaras
+plagare plagaren plagares plagaria plagaron plagas plagase plagasen plagases plagaste plagia plagiad
+plagian plagiar plagias plagie plagien plagies plagio plagios plago plagosa plagoso plague plaguea
+plaguee plaguen plagueo plagues planada planadas planador planas planazo planazon planazos plancha
+planche plancho planco plancos planeaba planeaban planeabas planead planeada planeadas planeador
+planeadora planeadoras planeadores planeados planeais planeamos planean planeara planearais
+planearan planearas planeare planeareis planearen planeares planearia planearian planearias
+planearon planease planeaseis planeasen planeases planeaste planee planeeis planeen planees planeos
+planetaria planetario planga plangas plantaba plantaban plantabas plantad plantada plantadas
+plantado plantador plantados plantaina plantais plantaje plantajes plantamos plantan plantando
+plantar plantara plantaran plantaras plantare plantaren plantares plantaria plantario plantaron
+plantase plantaseis plantasen plantases plantaste plante plantea plantead plantean plantear planteas
+plantee planteen plantees planteis plantel planten planteo planteos plantes plantia plantias plantio
+plantios planto planton plantos plantosa plantula planuda planudo plasmaba plasmaban plasmabas
+plasmad plasmada plasmadas plasmado plasmador plasmados plasmais plasmamos plasman plasmando plasmar
+plasmara plasmaran plasmaras plasmare plasmaren plasmares plasmaria plasmaron plasmas plasmase
+plasmasen plasmases plasmaste plasme plasmeis plasmen plasmes plasmo plasta plastas plaste plastes
+plastia platado platados plataformas platal platalea platales platanal platanar platanea plataneo
+platano platanos platas platea platead platean platear plateas platee plateen platees platel plateo
+platera platero platica platico platija platina platine platino platon platones platuda platudo
+platuja platusa playaba playaban playabas playad playada playadas playado playados playais playamos
+playan playando playar playara playaran playaras playare playaren playares playaria playaron playas
+playase playasen playases playaste playazo playazos playe playeis playen playera playero playes
+playo playon playos plazas plazca plazcan plazcas plazco plazos plenamar plenaria plenario plenas
+pleno plenos ploma plomaba plomad plomada plomado plomais ploman plomar plomara plomare plomas
+plomase plomazo plome plomea plomead plomean plomear plomeas plomee plomeen plomees plomeis plomen
+plomeo plomero plomes plomiza plomizo plomos plomosa plomosas plomoso plomosos plumada plumadas
+plumado plumados plumaje plumajes plumaria plumario plumazo plumazon plumazos plumbea plumbeo plumea
+plumead plumean plumear plumeas plumee plumeen plumees plumeo plumeos plumero plumier plumin plumion
+plumon plumosa plumoso plumula poblacho poblachos poblacion pobra pobredad pobreria pobrero pobreros
+pobreta pobretas pobrete pobretea pobretee pobreteo pobretes pobreto pobreton pobrezas pocilga
+pocillo pocima pocimas pocion pocomam pocoton pocoyo pocoyos poda podaba podaban podabas podad
+podada podadas podado podador podados podagra podais podal podales podan podando podar podara
+podaran podaras podare podaren podares podaria podaron podas podase podasen podases podaste podazon
+pode poded podeis poden podenco poderio poderios poderosas podes podiais podiamos podian podias
+podiatra podida podidas podidos podio podios podium podiums podra podran podras podre podrece
+podreced podrecen podrecer podreces podreci podrecia podrecio podreis podres podrezca podrezco
+podriais podrian podrida podridas podrido podridos podrir poemario poemas poesia poesias poetar
+poetas poetica poetice poetico poetisa poetiza poetizo poetria poliban police polices policiaca
+policiacas policiaco policiacos policiales policiva policivas policivo policivos polida polido
+polidor polilla polin polines polio polios polipo polipos polir polison polista polistas poliza
+polizas polizon polla pollada pollas pollea pollead pollean pollear polleas pollee polleen pollees
+polleo pollera pollero pollez pollina pollino pollita pollito pollos pololea pololee pololeo pololo
+pololos polona polones polonio polono polos polvea polvean polvear polveas polvee polveen polvees
+polveo polvera polvero polvora polvoras polvorea polvoree polvoreo polvorin polvoron polvos pondera
+pondere pondero pondra pondran pondras pondre pondreis pondria pondrian pondrias poneca ponecas
+poned ponedor poneis ponencia ponente ponentes poney pongais pongos poniente ponientes ponlevi
+ponlevis pontaje pontana pontea ponteaba pontead ponteada ponteado ponteais pontean pontear ponteara
+ponteare ponteas pontease pontee ponteeis ponteen pontees ponteo pontica pontico pontin ponto ponton
+pontos popaba popaban popabas popad popada popadas popado popados popais popamos popan popando popar
+popara poparan poparas popare poparen popares poparia poparon popas popase popasen popases popaste
+popeis popel popeles popelin popemos popen popes popeses populacho populares popularice populariza
+popularizo populazo populazos populeon populo populosa populoso popurri poquer poqueza poquil
+poquiles poquitera poquitero poquitos porcal porcel porcentajes porcentual porches porcina porcino
+porcion porco porcuna porcuno pornografa pornografas pornografia pornografias pornografica
+pornografico pornografo pornografos pornos porquera porqueras porqueria porquerias porqueriza
+porquerizo porquero porqueron porqueros porques porqueta porquetas porta portaba portaban portabas
+portad portadas portadera portadgo portado portadora portadoras portadores portados portais portaje
+portajes portalada portalero portales portaleña portalira portalon portamos portan portando portante
+portapaz portar portara portaran portaras portare portaren portares portaria portaron portas portase
+portasen portases portaste portatil portavoz portazga portazgo portazo portazos porte portea
+porteaba portead porteada porteado porteais portean portear porteara porteare porteas portease
+portee porteeis porteen portees porteis portemos porten portento porteo porteos portera porteras
+porteria porterias porteril porteros portes porteña porteñas porteño porteños portico portier porto
+porton portor pose posea poseais posean poseas poseed poseedor poseeis poseemos poseen poseer
+poseera poseeran poseeras poseere poseeria posees posei poseia poseian poseias poseida poseido
+poseis posemos posen poseo posera poseras posero poseros poses posesa posesas posesion posesiona
+posesione posesiono posesiva posesivas posesivo posesivos poseso posesor posesora posesos poseyo
+posibilismo posibilista posibilita posibilitad posibilitan posibilitar posibilitas posibilite
+posibiliten posibilites posibilito posicion posiciona posicionaba posicionad posicionado posicionais
+posicional posicionan posicionar posicionara posicionare posicionas posicionase posicione
+posicioneis posicionemos posicionen posiciono positivaba positivaban positivabas positivad
+positivada positivadas positivado positivados positivais positivamos positivan positivando positivar
+positivara positivaran positivaras positivare positivaren positivares positivaria positivaron
+positivas positivase positivasen positivases positivaste positive positiveis positiven positives
+positivos posito positos positron positura posta postaje postajes postales postar postas poste
+postea postead postean postear posteas postee posteen postees postema posteo poster postes posteta
+postigo postila postile postilo postin postiza postizo poston postor postra postraba postrad
+postrada postrado postrais postran postrar postrara postrare postras postrase postreis postrema
+postremas postremo postremos postren postrer postrera postreras postrero postreros postres postro
+postula postulad postulan postular postulas postule postulen postules postulo postuma postumas
+postumo postumos postural posturales posturas pote potea poteaba potead poteado poteais potean
+potear poteara poteare poteas potease potee poteeis poteen potees poteis potemos poten potenciaba
+potenciaban potenciabas potenciad potenciada potenciadas potenciado potenciador potenciados
+potenciais potenciales potenciamos potencian potenciando potenciar potenciara potenciaran
+potenciaras potenciare potenciaren potenciares potenciaria potenciaron potencias potenciase
+potenciasen potenciases potenciaste potencie potencieis potencien potencies potencio potentado
+potentes potenza potenzas poteo potera poteras poterna potero poteros potes pozol pozole pozoles
+pozos practica practicaba practicaban practicabas practicable practicad practicada practicadas
+practicado practicador practicados practicais practicaje practicajes practicamos practican
+practicanta practicantas practicante practicantes practicara practicarais practicaran practicaras
+practicare practicareis practicaren practicares practicaria practicarian practicarias practicaron
+practicas practicase practicasen practicases practicaste practico practicon practicona practicos
+practique precaucion precauciona precaucione precauciono precava precave precavi precavo preceda
+precede precedi precedo preces precia preciaba preciad preciada preciado preciais precian preciar
+preciara preciare precias preciase precie precieis precien precies precinta precinte precinto
+preciosos preciosura precipua precipuo precisaba precisaban precisabas precisad precisada precisadas
+precisado precisados precisais precisamos precisan precisando precisar precisara precisaran
+precisaras precisare precisaren precisares precisaria precisaron precisas precisase precisasen
+precisases precisaste precise preciseis precisen precises precision precisos precita precitas
+precito precitos precoz predica predicaba predicaban predicabas predicable predicad predicada
+predicadas predicadera predicado predicadora predicadoras predicadores predicados predicais
+predicamos predican predicando predicante predicar predicara predicaran predicaras predicare
+predicaren predicares predicaria predicaron predicas predicase predicasen predicases predicaste
+preferi preferia preferiais preferian preferias preferible preferid preferidas preferidos preferimos
+preferir preferira preferiran preferiras preferire preferireis preferiria preferirian preferirias
+preferis preferiste prefiera prefieran prefieras prefieren prefija prefijad prefijan prefijar
+prefijas prefije prefijen prefijes prefijo prefijos prefina prefinan prefinas prefine prefinen
+prefines prefini prefinia prefinid prefinio prefinir prefinis prefino prefirio preguntabais
+preguntabamos preguntaban preguntabas preguntad preguntada preguntadas preguntadera preguntador
+preguntadora preguntadoras preguntadores preguntados preguntais preguntara preguntarais preguntaran
+preguntaras preguntare preguntareis preguntaren preguntares preguntaria preguntarian preguntarias
+preguntase preguntaseis preguntasen preguntases preguntasteis pregunteis preguntemos pregunten
+pregunteo pregunteos pregunton preguntona preguntonas preguntones pregusta preguste pregusto premama
+premia premiaba premiad premiada premiado premiais premian premiar premiara premiare premias
+premiase premie premieis premien premies premiosa premiosas premioso premiosos premir premisa
+premisas premiso premisos premitir premori premuna premune premuni premuno premura prenda prendad
+prendan prendar prendas prende prended prenden prender prendes prendi prendia prendio prendo prendon
+prenota prenote prenoto prensaba prensaban prensabas prensad prensada prensadas prensado prensador
+prensados prensais prensamos prensan prensando prensar prensara prensaran prensaras prensare
+prensaren prensares prensaria prensaron prensas prensase prensasen prensases prensaste prense
+prenseis prensen prensero prenses prensil prension prenso prensor prensora preocupabais
+preocupabamos preocupaban preocupabas preocupacion preocupad preocupadas preocupais preocupamos
+preocupando preocupante preocupantes preocupar preocupara preocuparais preocuparan preocuparas
+preocupare preocupareis preocuparen preocupares preocuparia preocuparian preocuparias preocuparon
+preocupase preocupaseis preocupasen preocupases preocupaste preocupeis preocupemos preparaba
+preparaban preparabas preparacion preparad preparadas preparador preparadora preparadoras
+preparadores preparais preparamos preparan preparara prepararais prepararan prepararas preparare
+preparareis prepararen preparares prepararia prepararian prepararias prepararon preparas preparase
+preparasen preparases preparaste prepareis preparemos prepares prepea prepean prepear prepeas prepee
+prepeen prepees prepeo prepon prepone prepuse prepuso pres presada presadas presado presados presaga
+presagas presagia presagie presagio presago presagos presar presas presea preseas presenciaba
+presenciaban presenciabas presenciad presenciada presenciadas presenciado presenciados presenciais
+presencial presenciales presenciamos presencian presenciando presenciar presenciara presenciaran
+presenciaras presenciare presenciaren presenciares presenciaria presenciaron presencias presenciase
+presenciasen presenciases presenciaste presencie presencieis presencien presencies presencio
+presenil presentaba presentaban presentabas presentable presentacion presentad presentada
+presentadas presentador presentadora presentadoras presentadores presentados presentais presentalla
+presentamos presentan presentando presentanea presentaneo presentara presentarais presentaran
+presentaras presentare presentareis presentaren presentares presentaria presentarian presentarias
+presentaron presentas presentase presentasen presentases presentaste presenteis presentemos
+presenten presentero presenteros presenti presentia presentian presentias presentid presentida
+presentido presentimientos presentir presentira presentire presentis presepio presera preseras
+presero preseros preserva preserve preservo presida presidan presidas preside presiden presidencia
+presidenciales presidencias presidentas presidentes presides presidi presidia presidid presidie
+presidio presidir presidis presido presienta presientan presientas presiente presienten presientes
+presilla presion presionaba presionaban presionabas presionad presionada presionadas presionado
+presionados presionais presionamos presionan presionando presionar presionara presionaran
+presionaras presionare presionaren presionares presionaria presionaron presionas presionase
+presionasen presionases presionaste presione presioneis presionen presiones presiono prest prestaba
+prestaban prestabas prestad prestada prestadas prestadiza prestadizo prestador prestadora
+prestadoras prestadores prestados prestais prestamo prestamos prestan prestando prestante prestar
+prestara prestaran prestaras prestare prestaren prestares prestaria prestaron prestase prestaseis
+prestasen prestases prestaste preste presteis presten prestes presteza prestido prestiño presto
+prestos presuma presume presumi presumo presupuesta presupuestaba presupuestad presupuestada
+presupuestado presupuestais presupuestal presupuestan presupuestar presupuestara presupuestare
+presupuestas presupuestase presupueste presupuesteis presupuesten presupuestes presupuestos presura
+pretenda pretendais pretendan pretendas pretended pretendeis pretendemos pretenden pretendera
+pretenderan pretenderas pretendere pretendereis pretenderia pretenderian pretenderias pretendi
+pretendia pretendian pretendias pretendida pretendido pretendio pretensa pretensas pretenso
+pretensor pretensos preteri preteria preterid preterir preteris pretexta pretexte pretexto previ
+previa previas previene previera previere previese previmos previne previno previo previos prevision
+previsiva previsivo previsor previsora prevista previstas previste previsteis previstos primaba
+primaban primabas primacia primad primada primadas primado primados primais primal primala primalas
+primales primamos priman primando primar primara primarais primaran primaras primare primareis
+primaren primares primariais primariamos primarian primarias primario primarios primaron primas
+primase primasen primases primaste primate primates primaveral primaverales primaveras primaz
+primazgo prime primea primeaba primeado primeais primean primear primeara primeare primeas primease
+primee primeeis primeen primees primeis primemos primen primeo primeria primeriza primerizo primes
+primeva primevas primevo primevos primor primorea primoree primoreo primores primula primus princeps
+princesas principada principadas principado principados principalia principar principela principelas
+principes principesa principesas principesca principesco principia principiaba principiad
+principiada principiado principiais principian principiar principiara principiare principias
+principiase principie principieis principien principies principote pringa pringad pringan pringar
+pringas pringo pringon pringor pringos pringue prior priora prioradgo prioral priorales prioras
+prioratos priorazgo priores prioresa priorice prioricen priorices prioridades prioriza priorizad
+priorizan priorizar priorizas priorizo prisas priscal prisco priscos prision prisionera prisioneras
+prisma prismas priste pristes priva privaba privaban privabas privacidades privacion privad
+privadero privais privamos privan privando privanza privar privara privaran privaras privare
+privaren privares privaria privaron privas privase privasen privases privaste prive priveis priven
+prives privilegia privilegiaba privilegiad privilegiada privilegiado privilegiais privilegian
+privilegiar privilegiara privilegiare privilegias privilegiase privilegie privilegieis privilegien
+privilegies privilegios privo proba probaba probabais probaban probabas probabilismo probabilista
+probables probad probada probadas probador probadora probadoras probadores probados probadura
+probais probamos probana probanas probanza probanzas probara probarais probaran probaras probare
+probareis probaren probares probaria probarian probarias probaron probas probase probasen probases
+probaste probe probeis probeta probetas probo probos procaz proceda procedais procedan procedas
+procede proceded procedeis procedemos proceden procedente procedera procederan procederas procedere
+procedereis procederes procederia procederian procederias procedes procedi procedia procedian
+procedias procedido procedio procedo procela procelas procer procera proceras proceres procero
+proceros procesa procesaba procesad procesada procesado procesais procesal procesan procesar
+procesara procesare procesas procesase procese proceseis procesen proceses procesion procesos proco
+procos procrea procree procreo procura procure procuro prodiga prodigo produccion producen produces
+produci producia produciais producian producias producible producid producida producidas producido
+producidor producidos producimos producira produciran produciras producire producireis produciria
+producirian producirias producis productiva productivo productora productoras productores produje
+produjo produzca produzco profa proface profana profane profano profas profaza profazo profe
+profecia profecias proferi proferia proferid proferir proferis proferta profes profesa profesaba
+profesad profesada profesado profesais profesan profesar profesara profesare profesas profesase
+profese profeseis profesen profeses profesion profesionalice profesionaliza profesionalizo
+profesiones profeso profesorado profesorados profesoral profesorales profesoras profesos profetal
+profetales profetar profetas profetica profetice profetico profetisa profetiza profetizo profuga
+profugas profugo profugos profundaba profundaban profundabas profundad profundada profundadas
+profundado profundados profundais profundamos profundan profundando profundar profundara profundaran
+profundaras profundare profundaren profundares profundaria profundaron profundas profundase
+profundasen profundases profundaste profunde profundeis profunden profundes profundice profundicen
+profundices profundidades profundiza profundizad profundizan profundizar profundizas profundizo
+profundos profusa profusas profuso profusos programaba programaban programabas programable
+programacion programad programada programadas programador programadora programadoras programadores
+programados programais programamos programan programando programar programara programaran
+programaras programare programaren programares programaria programaron programase programaseis
+programasen programases programaste programe programeis programen programes programo progresa
+progresaba progresad progresado progresais progresan progresar progresara progresare progresas
+progresase progrese progreseis progresen progreses progresion progresiva progresivo progresos
+prohiba prohibais prohiban prohibas prohibe prohiben prohibes prohibi prohibia prohibiais prohibian
+prohibias prohibid prohibida prohibidas prohibidos prohibiera prohibiere prohibiese prohibimos
+prohibio prohibir prohibira prohibiran prohibiras prohibire prohibiria prohibis prohibiste prohibo
+promana promane promano promedia promediaba promediad promediada promediado promediais promedian
+promediar promediara promediare promedias promediase promedie promedieis promedien promedies
+promedios promesaba promesaban promesabas promesad promesada promesadas promesado promesados
+promesais promesamos promesan promesando promesante promesar promesara promesaran promesaras
+promesare promesaren promesares promesaria promesaron promesase promesaseis promesasen promesases
+promesaste promese promeseis promesen promeses promeso prometa prometais prometan prometas prometed
+prometedor prometeis prometemos prometen prometera prometeran prometeras prometere prometereis
+prometeria prometerian prometerias prometi prometia prometiais prometian prometias prometidas
+prometidos prometiera prometiere prometiese prometimos prometio prometios prometisteis promove
+promovi prona pronaos pronas prono pronos pronta prontas pronteza prontos pronuba propaga propago
+propala propale propalo propano propao propaos propasa propase propaso propicia propicie propicio
+propienda propietaria propietarias propietarios propileo propinaba propinaban propinabas propinad
+propinada propinadas propinado propinados propinais propinamos propinan propinando propinar
+propinara propinaran propinaras propinare propinaren propinares propinaria propinaron propinas
+propinase propinasen propinases propinaste propincua propincuo propine propineis propinen propines
+propino propon propondra propondre proponed proponedor proponeis proponemos proponen proponente
+proponer propones proponga propongais propongan propongas proponia proponian proponias propria
+proprio propuestas propuesto propuestos propuse propuso prostitui prostituia prostituian prostituias
+prostituid prostituida prostituido prostituir prostituira prostituire prostituis prostituto
+prostitutos prostituya prostituyan prostituyas prostituye prostituyen prostituyes prostituyo
+proteccion protectora protectorado protectoras protectores protectoria protectorias protectorio
+protectorios protectriz proteged protegeis protegemos protegen protegera protegeran protegeras
+protegere protegereis protegeria protegerian protegerias proteges protegi protegia protegiais
+protegian protegias protegidas protegidos protegiera protegieran protegieras protegiere protegieren
+protegieres protegieron protegiese protegiesen protegieses protegimos protegio protegiste proteica
+proteico proteina proteja protejan protejas protejo proteo proteos proterva protervo protesica
+protesico protesis protesta protestaba protestad protestada protestado protestais protestan
+protestar protestara protestare protestas protestase proteste protesteis protesten protestes
+proteston protestona protestonas protestones protestos protido protio protios protocola protocolaba
+protocolad protocolada protocolado protocolais protocolan protocolar protocolara protocolare
+protocolas protocolase protocole protocoleis protocolen protocoles protocolice protocoliza
+protocolizo proton protrui provea proveais provean proveas provecha provechaba provechad provechada
+provechado provechais provechan provechar provechara provechare provechas provechase proveche
+provecheis provechen proveches provechos provechosa provechosas provechoso provechosos provecta
+provectas provecto provectos provee proveed proveeis proveen proveer proveera proveere provees
+provei proveia proveian proveias proveida proveido proven provena provenas provenga provengo proveni
+provenia provenid provenir provenis provento proveo proveyo proveza provida providas provido
+providos provienen provienes provine provino provision provisional proviso provisor provista
+provisto provocaba provocaban provocabas provocad provocada provocadas provocado provocador
+provocados provocais provocamos provocan provocando provocara provocarais provocaran provocaras
+provocare provocareis provocaren provocares provocaria provocarian provocarias provocaron provocas
+provocase provocasen provocases provocaste provoco provoque proximal proximales proximas proximo
+proximos proyecta proyectaba proyectad proyectada proyectado proyectais proyectan proyectar
+proyectara proyectare proyectas proyectase proyecte proyecteis proyecten proyectes proyectil
+proyectiva proyectivo proyector proyectora proyectoras proyectores proyectura prudencia prudentes
+prueban prueben pruebes pruebo psiquiatras psiquiatria psiquiatrias psiquiatrica psiquiatrico
+publica publicaba publicad publicada publicado publicais publican publicano publicar publicara
+publicare publicas publicase publicata publicidades publicista publicos publique pudela pudelad
+pudelan pudelar pudelas pudele pudelen pudeles pudelo pudenda pudendo pudica pudicas pudicia pudico
+pudicos pudiendo pudiente pudierais pudieramos pudiere pudiereis pudieren pudieres pudieseis
+pudiesemos pudiesen pudieses pudin pudines pudinga pudio pudios pudir pudisteis pudor pudores puebla
+pueblan pueblas pueble pueblen pueblera pueblero puebles puen puentea puenteaba puentead puenteada
+puenteado puenteais puentean puentear puenteara puenteare puenteas puentease puentee puenteeis
+puenteen puentees puenteo puentes puerca puercada puercas puercos pueril puerro puerros puertos
+puestas puestera puestero pulga pulgada pulgadas pulgarada pulgares pulgas pulgon pulgosa pulgoso
+pulmon pulmonado pulmonar pulmonia pulmonias pulsa pulsaba pulsad pulsada pulsado pulsais pulsan
+pulsar pulsara pulsare pulsas pulsase pulse pulsea pulsead pulsean pulsear pulseas pulsee pulseen
+pulsees pulseis pulsen pulseo pulsera pulses pulsion pulsos puntaba puntaban puntabas puntad puntada
+puntadas puntado puntador puntados puntais puntaje puntajes puntal puntales puntamos puntan puntana
+puntanas puntando puntano puntanos puntapie puntar puntara puntaran puntaras puntare puntaren
+puntares puntaria puntaron puntas puntase puntasen puntases puntaste puntazo puntazos punte puntea
+punteaba puntead punteada punteado punteais puntean puntear punteara punteare punteas puntease
+puntee punteeis punteen puntees punteis puntel punteles puntemos punten punteo punteos puntera
+punteras punteria punterias puntero punterol punterola punteros puntes puntete puntetes puntido
+puntosa puntosas puntoso puntosos puntua puntuad puntual puntuan puntuar puntuas puntuda puntudo
+puntue puntuen puntues puntuo puntura purana puranas puras puses pusierais pusieramos pusieran
+pusieras pusiere pusiereis pusieren pusieres pusiese pusiesen pusieses pusisteis putada putadas
+putal putales putañea putañee putañeo puton putones puñada puñadas puñados puñal puñales puñar
+quebra quebraba quebraban quebrabas quebracho quebrad quebrada quebradas quebradero quebradiza
+quebradizo quebrador quebradora quebradoras quebradores quebrados quebradura quebrais quebraja
+quebrajad quebrajan quebrajar quebrajas quebraje quebrajen quebrajes quebrajo quebramos quebrando
+quebranta quebrante quebranto quebrar quebrara quebraran quebraras quebrare quebraren quebrares
+quebraria quebraron quebras quebrase quebrasen quebrases quebraste quebraza quebrazar quebrazas
+quebrazon quebre quebreis quebro quedabais quedabamos quedaban quedabas quedad quedada quedadas
+quedadiza quedadizo quedados quedais quedarais quedaramos quedaran quedare quedareis quedaren
+quedares quedaria quedarian quedarias quedase quedaseis quedasen quedases quedasteis quedeis
+quedemos quedito quedos quejaba quejaban quejabas quejad quejada quejadas quejado quejados quejais
+quejamos quejan quejando quejar quejara quejarais quejaran quejaras quejare quejareis quejaren
+quejares quejaria quejarian quejarias quejaron quejase quejaseis quejasen quejases quejaste queje
+quejeis quejen quejes quejica quejido quejigo quejo quejos quejosa quejoso quejura quemaba quemaban
+quemabas quemad quemada quemadas quemadera quemadero quemador quemadora quemadoras quemadores
+quemados quemadura quemais quemamos queman quemante quemantes quemara quemarais quemaran quemaras
+quemare quemareis quemaren quemares quemaria quemarian quemarias quemaron quemas quemase quemasen
+quemases quemaste quemazon queme quemeis quemen quemes quemi quemies quemis quemo quemon quemos
+quena quenas quera querais querandi queras quere quered quereis querella querelle querello querenda
+quereres queres queresa queresas queriais queriamos querian queridas quermes quero queros querque
+querra querran querras querre querreis querria querrian querrias querub querube querubs querva
+quervas quesada quesea quesead quesean quesear queseas quesee queseen quesees queseo quesera quesero
+quesito quesos quiebran quiebras quiebre quiebren quiebres quiebro quiebros quienquier quienquita
+quier quietaba quietaban quietabas quietad quietada quietadas quietado quietador quietados quietais
+quietamos quietan quietando quietar quietara quietaran quietaras quietare quietaren quietares
+quietaria quietaron quietas quietase quietasen quietases quietaste quiete quieteis quieten quietes
+quietud quin quina quinada quinado quinal quinao quinaos quinas quinceava quinceavo quincena
+quincenal quincenas quinceno quincenos quinces quincha quinchad quinchan quinchar quinchas quinche
+quinchen quinches quincho quinchos quinde quindes quines quinete quingo quingos quinina quino
+quinola quinos quinoto quinque quinqui quintaba quintaban quintabas quintad quintada quintadas
+quintado quintador quintados quintais quintal quintales quintamos quintan quintana quintanas
+quintando quintante quintar quintara quintaran quintaras quintare quintaren quintares quintaria
+quintaron quintas quintase quintasen quintases quintaste quintañon quinte quinteis quinten quintero
+quintes quinteto quintil quintin quintonil quintos quintral quinua quinuas quinzal quis quisa
+quisame quisas quisca quiscas quisco quiscos quises quisierais quisieramos quisieran quisiere
+quisiereis quisieren quisieres quisieron quisiese quisiesen quisieses quisimos quisisteis quisnea
+quisnee quisneo quista quistan quistar quistas quiste quisten quistes quisto quistos quitaba
+quitaban quitabas quitad quitada quitadas quitador quitadora quitadoras quitadores quitados quitais
+quitamos quitan quitando quitanza quitapon quitara quitarais quitaran quitaras quitare quitareis
+quitaren quitares quitaria quitarian quitarias quitase quitaseis quitasen quitases quitasol quitaste
+quiteis quitemos quiteña quiteñas quiteño quiteños quitina quiton quitones quitos quitrin quitu
+quitus quizarra rabi rabiaba rabiaban rabiabas rabiad rabiada rabiadas rabiado rabiais rabiamos
+rabian rabiando rabiar rabiara rabiaran rabiaras rabiare rabiaren rabiares rabiaria rabiaron rabias
+rabiase rabiasen rabiases rabiaste rabiata rabiatad rabiatan rabiatar rabiatas rabiate rabiaten
+rabiates rabiato rabica rabican rabicas rabico rabicos rabida rabidas rabido rabidos rabie rabieis
+rabien rabies rabieta rabil rabila rabilad rabilan rabilar rabilas rabile rabilen rabiles rabillo
+rabilo rabino rabinos rabio rabion rabiosa rabioso rabis rabita rabitas rabiza rabizas racha rachaba
+rachad rachada rachado rachais rachan rachar rachara rachare rachas rachase rache rachea racheaba
+rachead racheado racheais rachean rachear racheara racheare racheas rachease rachee racheeis racheen
+rachees racheis rachemos rachen racheo raches racho rada radal radales radares radas radia radiaba
+radiacion radiad radiada radiado radiais radial radian radiar radiara radiare radias radiase radiata
+radica radicad radical radican radicar radicas radico radie radieis radien radies radiola radiolas
+radios radiosa radiosas radioso radiosos radique rain raines ramada ramadan ramadas ramaje ramajes
+ramal ramalea ramalee ramaleo ramales ramasco ramascos ramazon ramea rameaba ramead rameada rameado
+rameais rameal ramean ramear rameara rameare rameas ramease ramee rameeis rameen ramees rameo rameos
+rameras rameria ramerias ramero rameros ranas rancajo rancar rancha ranchaba ranchad ranchado
+ranchais ranchan ranchar ranchara ranchare ranchas ranchase ranche ranchea ranchead ranchean
+ranchear rancheas ranchee rancheen ranchees rancheis ranchen rancheo ranchera ranchero ranches
+ranchos rancia ranciad rancian ranciar rancias rancie rancien rancies rancio rancios rancla ranclan
+ranclar ranclas rancle ranclen rancles ranclo rancor rancura rand randa randada randado randas
+randea randead randean randear randeas randee randeen randees randeo randera rands ranglan rangos
+rangosa rangosas rangoso rangosos rangua ranguas rapida rapidas rapidez rapidito rapidos rapiega
+rapina rapista rapita rapitas rapiña rapiñad rapiñan rapiñar rapiñas rapiñe rapiñen rapiñes rapiño
+rasga rasgaba rasgad rasgada rasgado rasgais rasgan rasgar rasgara rasgare rasgas rasgase rasgo
+rasgon rasgos rasgue rasguea rasguead rasguean rasguear rasgueas rasguee rasgueen rasguees rasgueis
+rasguen rasgueo rasgueos rasgues rasguña rasguñaba rasguñad rasguñada rasguñado rasguñais rasguñan
+rasguñar rasguñara rasguñare rasguñas rasguñase rasguñe rasguñeis rasguñen rasguñes rasguños rastel
+rastra rastraba rastrad rastrada rastrado rastrais rastran rastrar rastrara rastrare rastras
+rastrase rastre rastrea rastreaba rastreaban rastreabas rastread rastreada rastreadas rastreado
+rastreador rastreados rastreais rastreamos rastrean rastreando rastreara rastrearais rastrearan
+rastrearas rastreare rastreareis rastrearen rastreares rastrearia rastrearian rastrearias rastrearon
+rastreas rastrease rastreasen rastreases rastreaste rastree rastreeis rastreen rastrees rastreis
+rastrel rastreles rastremos rastren rastreos rastrera rastreras rastrero rastreros rastres rastroja
+rastrojad rastrojal rastrojan rastrojar rastrojas rastroje rastrojea rastrojee rastrojen rastrojeo
+rastrojes rastrojo rastrojos ratafia ratania raton ratona ratonaba ratonad ratonada ratonado
+ratonais ratonan ratonar ratonara ratonare ratonas ratonase ratone ratoneis ratonemos ratonen
+ratonera ratoneras ratonero ratoneros ratonesca ratonescas ratonesco ratonescos ratonil ratono ratos
+rayaba rayaban rayabas rayad rayada rayadas rayado rayador rayados rayais rayamos rayan rayana
+rayanas rayando rayano rayanos rayar rayara rayaran rayaras rayare rayaren rayares rayaria rayaron
+rayas rayase rayasen rayases rayaste rayon rayones rayosa rayosas rayoso rayosos razada razadas
+razado razados razago razagos razar razas razona razonaba razonabais razonaban razonabas razonables
+razonad razonada razonadas razonado razonador razonados razonais razonal razonamos razonan razonando
+razonar razonara razonaran razonaras razonare razonaren razonares razonaria razonaron razonas
+razonase razonasen razonases razonaste razone razoneis razonemos razonen razono reaccion reacciona
+reaccione reacciono reacia reacias reacio reacios reactiva reactive reactivo reactores reacuña
+reacuñe reacuño reala realas realce realcen realces realdad realegra realegre realegro realejo
+realejos realenga realengo realera realeras realero realeros realete realetes realezas realice
+realicen realices realidades realillo realismo realismos realistas realito realitos realiza
+realizaba realizaban realizabas realizable realizad realizada realizadas realizador realizadora
+realizadoras realizadores realizados realizais realizamos realizan realizando realizara realizarais
+realizaran realizaras realizare realizareis realizaren realizares realizaria realizarian realizarias
+realizaron realizas realizase realizasen realizases realizaste realizo realme realoja realoje
+realojo realza realzad realzan realzar realzas realzo rebeca rebecas rebeco rebecos rebela rebelaba
+rebelad rebelada rebelado rebelais rebelan rebelar rebelara rebelare rebelas rebelase rebeldia
+rebeldias rebele rebeleis rebelen rebeles rebelion rebelo rebelon rebelona recaba recabad recaban
+recabar recabas recabdo recabe recaben recabes recabo recada recadaba recadad recadada recadado
+recadais recadan recadar recadara recadare recadas recadase recade recadeis recaden recadera
+recadero recades recados recae recaed recaeis recaen recaer recaera recaere recaes recai recaia
+recaian recaias recaida recaido recaiga recaigo recala recalad recalan recalar recalas recalca
+recalce recalco recale recalen recales recalo recalza recalzo recama recamad recaman recamar recamas
+recame recamen recames recamo recamos recarga recargo recata recatad recatan recatar recatas recate
+recatea recatee recaten recateo recates recato recaton recatos recauda recaude recaudo recava
+recavad recavan recavar recavas recave recaven recaves recavo recayo recazo recazon recazos rece
+receba recebad receban recebar recebas recebe receben recebes recebo recebos rececha receche rececho
+receis receja recejad recejan recejar recejas receje recejen recejes recejo recejos recel recela
+recelad recelan recelar recelas recele recelen receles recelo recelos recemos recen recenta recente
+recento recepcion recepta recepte recepto recerca recerco reces recesa recesad recesan recesar
+recesas recese recesen receses recesit receso recesos recetaba recetaban recetabas recetad recetada
+recetadas recetado recetador recetados recetais recetamos recetan recetando recetar recetara
+recetaran recetaras recetare recetaren recetares recetaria recetario recetaron recetas recetase
+recetasen recetases recetaste recete receteis receten recetes receto recetor receñi receñia receñid
+receñir receñis rechace rechacen rechaces rechaza rechazaba rechazaban rechazabas rechazable
+rechazad rechazada rechazadas rechazador rechazadora rechazadoras rechazadores rechazados rechazais
+rechazamos rechazan rechazando rechazara rechazarais rechazaran rechazaras rechazare rechazareis
+rechazaren rechazares rechazaria rechazarian rechazarias rechazaron rechazas rechazase rechazasen
+rechazases rechazaste rechazos rechice rechina rechine rechino rechiza rechizo recia recial recias
+recibais recibamos reciban recibas recibi recibia recibiais recibian recibias recibid recibida
+recibidas recibidera recibidero recibidor recibidora recibidoras recibidores recibidos recibiera
+recibieran recibieras recibiere recibieren recibieres recibieron recibiese recibiesen recibieses
+recibio recibira recibiran recibiras recibire recibireis recibiria recibirian recibirias recibis
+recibisteis recibos recicla recicle reciclo recien recienta recientan recientas recienten reciento
+recinto recio recios recipe recipes recita recitad recital recitan recitar recitas recite reciten
+recites recito reciura reciña reciñan reciñas reciñe reciñen reciñes reciño reclama reclamaba
+reclamaban reclamabas reclamad reclamada reclamadas reclamado reclamados reclamais reclamamos
+reclaman reclamando reclamante reclamara reclamarais reclamaran reclamaras reclamare reclamareis
+reclamaren reclamares reclamaria reclamarian reclamarias reclamaron reclamas reclamase reclamasen
+reclamases reclamaste reclame reclameis reclamen reclames reclamo reclamos recobra recobre recobro
+recoce recoced recocer recoces recocha recocho recoci recocia recocio recocta recoda recodad recodan
+recodar recodas recode recoden recodes recodin recodir recodo recodos recoged recogedor recogeis
+recogemos recogen recogera recogeran recogeras recogere recogereis recogeria recogerian recogerias
+recoges recogi recogia recogian recogias recogida recogido recogio recojais recojamos recojan
+recojas recojo recola recolad recolar recolas recole recolo recoma recoman recomas recome recomen
+recomer recomes recomi recomia recomience recomiencen recomiences recomienda recomiendan recomiendas
+recomiende recomienden recomiendes recomienza recomienzan recomienzas recomienzo recomiera
+recomieran recomieras recomiere recomieren recomieres recomieron recomiese recomiesen recomieses
+recomio recomo recompensaba recompensaban recompensabas recompensable recompensad recompensada
+recompensadas recompensado recompensados recompensais recompensamos recompensan recompensando
+recompensar recompensara recompensaran recompensaras recompensare recompensaren recompensares
+recompensaria recompensaron recompensas recompensase recompensasen recompensases recompensaste
+recompense recompenseis recompensen recompenses recompenso reconoced reconocedor reconoceis
+reconocemos reconocen reconocera reconoceran reconoceras reconocere reconocereis reconoceria
+reconocerian reconocerias reconoci reconocia reconociais reconocian reconocias reconocible
+reconocida reconocidas reconocidos reconociera reconociere reconociese reconocimientos reconocimos
+reconocio reconociste reconozca reconozcais reconozcan reconozcas reconstrui reconstruia
+reconstruiais reconstruian reconstruias reconstruid reconstruida reconstruidas reconstruido
+reconstruidos reconstruimos reconstruira reconstruiran reconstruiras reconstruire reconstruireis
+reconstruiria reconstruirian reconstruirias reconstruis reconstruiste reconstruya reconstruyan
+reconstruyas reconstruye reconstruyen reconstruyes reconstruyo reconta recontad recontar recontas
+reconte reconto reconven recorda recordabais recordabamos recordaban recordabas recordable
+recordables recordad recordada recordadas recordado recordador recordados recordais recordamos
+recordando recordara recordarais recordaran recordaras recordare recordareis recordaren recordares
+recordaria recordarian recordarias recordaron recordas recordase recordasen recordases recordaste
+recorde recordeis recordo records recorra recorrais recorran recorras recorre recorred recorreis
+recorremos recorren recorrera recorreran recorreras recorrere recorrereis recorreria recorrerian
+recorrerias recorres recorri recorria recorriais recorrian recorrias recorrida recorridas recorridos
+recorriera recorriere recorriese recorrimos recorrio recorriste recorro recorta recortad recortan
+recortar recortas recorte recorten recortes recorto recorva recorvad recorvan recorvar recorvas
+recorve recorven recorves recorvo recorvos recosa recosan recosas recose recosed recosen recoser
+recoses recosi recosia recosio recoso recosta recoste recosto recotin recova recovad recovan recovar
+recovas recove recoven recoves recovo recta rectaba rectad rectada rectado rectais rectal rectan
+rectar rectara rectare rectas rectase recte recteis recten rectes rector rectora rectorad rectoral
+rectoran rectorar rectoras rectore rectoren rectores rectoria rectoro rectos recuece recuecen
+recueces recuela recuelan recuelas recuele recuelen recueles recuelo recuelos recuenta recuente
+recuento recuero recueros recuesta recueste recuesto recueza recuezan recuezas recuezo recuperaba
+recuperaban recuperabas recuperable recuperacion recuperad recuperada recuperadas recuperador
+recuperadora recuperadoras recuperadores recuperados recuperais recuperamos recuperan recuperando
+recuperara recuperarais recuperaran recuperaras recuperare recuperareis recuperaren recuperares
+recuperaria recuperarian recuperarias recuperaron recuperas recuperase recuperasen recuperases
+recuperaste recupereis recuperemos recuperen recuperes recupero recura recuraba recurad recurada
+recurado recurais recuran recurar recurara recurare recuras recurase recure recureis recuren recures
+recuro recurra recurran recurras recurre recurren recurres recurri recurria recurrid recurrio
+recurrir recurris recurro recurso redo redobla redoble redoblo redol redola redolad redolan redolar
+redolas redole redolen redoles redolo redolon redolor redoma redomas redomon redondas redondea
+redondead redondean redondear redondeas redondee redondeen redondees redondel redondeo redondeos
+redondez redondo redondon redondos redor redora redorad redoran redorar redoras redore redoren
+redores redoro redova redovas reduce reducen reduces reduci reducia reduciais reducian reducias
+reducible reducid reducida reducidas reducido reducidor reducidos reducimos reducira reduciran
+reduciras reducire reducireis reduciria reducirian reducirias reducis reducto reductor reductos
+reduje redujo redunda redunde redundo reduvio reduzca reduzco reedita reedite reedito reeduca
+reeduco reemplace reemplacen reemplaces reemplaza reemplazaba reemplazad reemplazada reemplazado
+reemplazais reemplazan reemplazar reemplazara reemplazare reemplazas reemplazase reemplazos
+referencial referenciales referencias referendo referendos referendum referente referentes referi
+referia referian referias referid referida referido referir referira referire referis refertar refez
+refiera refieran refieras refieren refilon refina refinad refinan refinar refinas refine refinen
+refines refino refinos refirio refirma refirme refirmo refitor reflecta reflecte reflecto refleja
+reflejaba reflejad reflejada reflejado reflejais reflejan reflejar reflejara reflejare reflejas
+reflejase refleje reflejeis reflejen reflejes reflex reflota reflote refloto reflui refluia refluid
+refluir refluis reflujo refluya refluye refluyo refrega refregad refregar refregas refrego refregon
+refregue refrei refreia refreian refreias refreid refreida refreido refreir refreira refreire
+refreis refrena refrenad refrenan refrenar refrenas refrenda refrende refrendo refrene refrenen
+refrenes refreno refresca refrescaba refrescad refrescada refrescado refrescais refrescan refrescar
+refrescara refrescare refrescas refrescase refrescos refresque refrigera refrigeraba refrigeraban
+refrigerabas refrigerad refrigerada refrigeradas refrigerado refrigeradora refrigeradoras
+refrigeradores refrigerados refrigerais refrigeramos refrigeran refrigerando refrigerante refrigerar
+refrigerara refrigeraran refrigeraras refrigerare refrigeraren refrigerares refrigeraria
+refrigeraron refrigeras refrigerase refrigerasen refrigerases refrigeraste refuego refuerce
+refuercen refuerces refuerza refuerzan refuerzas refuerzo refugia refugiaba refugiad refugiada
+refugiado refugiais refugian refugiar refugiara refugiare refugias refugiase refugie refugieis
+refugien refugies refugios refulge refulgi refulja refuljo refunda refunde refundi refundo refuta
+refutad refutan refutar refutas refute refuten refutes refuto rega regaba regaban regabas regable
+regace regacea regacee regacen regaceo regaces regad regada regadas regadia regadio regado regador
+regados regaifa regais regajal regajo regajos regala regalaba regalad regalada regalado regalais
+regalan regalar regalara regalare regalas regalase regale regaleis regalen regalero regales regalia
+regalias regaliz regaliza regalon regalona regalonas regalonea regalonee regaloneo regalones regamos
+regando regante regantes regar regara regaran regaras regare regaren regares regaria regaron regas
+regase regasen regases regaste regata regatas regate regatea regatee regateo regates regato regaton
+regatos regaza regazad regazan regazar regazas regazo regazos regaña regañad regañan regañar regañas
+regañe regañen regañes regañi regañia regañid regañir regañis regaño regañon regaños reggae regi
+regia regiais regian regias regid regida regidas regido regidor regidos regimen regimienta
+regimientan regimientas regimiente regimienten regimientes regimientos regimos regio region regios
+regir regira regiran regiras regire regiria regis registe registeis registra registraba registraban
+registrabas registrad registrada registradas registrador registradora registradoras registradores
+registrados registrais registral registrales registramos registran registrando registrara
+registrarais registraran registraras registrare registrareis registraren registrares registraria
+registrarian registrarias registraron registras registrase registrasen registrases registraste
+registre registreis registren registres reglaba reglaban reglabas reglad reglada regladas reglado
+reglados reglais reglaje reglajes reglamos reglan reglando reglar reglara reglaran reglaras reglare
+reglaren reglares reglaria reglaron reglase reglaseis reglasen reglases reglaste regle regleis
+reglen regles regleta reglo reglon regresaba regresaban regresabas regresad regresada regresadas
+regresados regresais regresara regresarais regresaran regresaras regresare regresareis regresaren
+regresares regresaria regresarian regresarias regresaron regresase regresaseis regresasen regresases
+regresasteis regreseis regresion regresiva regresivo regresos regruña regruñe regruñi regruño regue
+regueis reguera reguero reguila reguile reguilo regula regulaba regulaban regulabas regulable
+regulad regulada reguladas regulado regulador regulados regulais regulamos regulan regulando
+regulara regularais regularan regularas regulare regulareis regularen regulares regularia regularian
+regularias regularice regulariza regularizo regularon regulas regulase regulasen regulases regulaste
+regule reguleis regulen regules regulo regulos regusto rehabilitacion rehecha rehecho rehelea
+rehelee reheleo rehen rehenchi reheri reheria reherid reherir reheris reherra reherre reherro
+rehervi reinaba reinaban reinabas reinad reinada reinadas reinado reinador reinados reinais reinal
+reinales reinamos reinan reinando reinante reinar reinara reinaran reinaras reinare reinaren
+reinares reinaria reinaron reinas reinase reinasen reinases reinaste reine reineis reinen reines
+reineta reinos relace relaceis relacen relaces relacion relaciona relacionaba relacionaban
+relacionabas relacionad relacionada relacionadas relacionados relacionais relacional relacionales
+relacionamos relacionan relacionando relacionar relacionara relacionaran relacionaras relacionare
+relacionaren relacionares relacionaria relacionaron relacionas relacionase relacionasen relacionases
+relacionaste relacione relacioneis relacionemos relacionen relacionero relacioneros relaciono relaja
+relajaba relajaban relajabas relajad relajada relajadas relajado relajador relajados relajais
+relajamos relajan relajando relajante relajar relajara relajarais relajaran relajaras relajare
+relajareis relajaren relajares relajaria relajarian relajarias relajaron relajas relajase relajasen
+relajases relajaste relaje relajea relajead relajean relajear relajeas relajee relajeen relajees
+relajeis relajen relajeo relajes relajo relajon relajona relajos religa religaba religad religada
+religado religais religan religar religara religare religas religase religion religiones religiosas
+religiosos religo religue religuen religues reliquiario reliquias relocha relocho relojea relojeaba
+relojead relojeada relojeado relojeais relojean relojear relojeara relojeare relojeas relojease
+relojee relojeeis relojeen relojees relojeo relojera relojeras relojeria relojero relojeros reme
+remece remeced remecen remecer remeces remeci remecia remecio remeda remedaba remedad remedada
+remedado remedais remedan remedar remedara remedare remedas remedase remede remedeis remeden remedes
+remedi remedia remediaba remediad remediada remediado remediais remedian remediar remediara
+remediare remedias remediase remedid remedida remedidas remedido remedidos remedie remedieis
+remedien remedies remedimos remedion remedios remedir remedira remediran remediras remedire
+remediria remedis remediste remedo remedos remeis remeja remejan remejas remeje remejed remejen
+remejer remejes remeji remejia remejio remejo remella remelle remello rememos remen remenda remende
+remendo remeneo remense remera remeras remero remeros remes remesa remesad remesan remesar remesas
+remese remesen remeses remeso remeson remeta remetan remetas remete remeted remeten remeter remetes
+remeti remetia remetio remeto remeza remezan remezas remezo remezon remo remoce remocen remoces
+remocho remoja remojad remojan remojar remojas remoje remojen remojes remojo remojon remojos
+remolais remolar remolca remolcad remolcan remolcar remolcas remolco remolda remoldad remoldan
+remoldar remoldas remolde remolden remoldes remoldo remole remoled remoleis remoler remolera
+remolere remoles remoli remolia remolian remolias remolida remolido remolina remoline remolino
+remolio remolon remolona remolqueis remolquemos remolquen remolques remonda remonde remondo remonta
+remonte remonto remoque remora remorar remoras remorde remordi remos remosta remoste remosto remota
+remotas remotos remove removed remover removes removi removia removio remoza remozad remozan remozar
+remozas remozo renca rencas renco rencores rencorosa rencoroso rencos rencoso rencosos rencura rendi
+rendia rendiais rendian rendias rendibu rendibus rendid rendida rendidas rendido rendidor rendidos
+rendija rendijas rendimos rendir rendira rendiran rendiras rendire rendireis rendiria rendirian
+rendirias rendis rendiste renos renova renovad renoval renovar renovas renove renovo rentaba
+rentaban rentabas rentable rentad rentada rentadas rentado rentados rentais rentamos rentan rentando
+rentar rentara rentaran rentaras rentare rentaren rentares rentaria rentaron rentas rentase rentasen
+rentases rentaste rente renteis renten rentera rentero rentes rento rentos rentosa rentoso rentoy
+renunciaba renunciaban renunciabas renunciable renunciad renunciada renunciadas renunciado
+renunciados renunciais renunciamos renuncian renunciando renunciante renunciara renunciarais
+renunciaran renunciaras renunciare renunciareis renunciaren renunciares renunciaria renunciarian
+renunciarias renunciaron renuncias renunciase renunciasen renunciases renunciaste renuncie
+renuncieis renuncien renuncies renuncios repace repaced repacen repacer repaces repaci repacia
+repacio repaga repagad repagan repagar repagas repago repague repajo repajos repapo repara reparaba
+reparaban reparabas reparable reparad reparada reparadas reparado reparador reparados reparais
+reparamos reparan reparando reparara repararais repararan repararas reparare reparareis repararen
+reparares repararia repararian repararias repararon reparas reparase reparasen reparases reparaste
+repare repareis reparen repares reparo reparon reparona reparos reparta repartan repartas reparte
+reparten repartes reparti repartia repartid repartio repartir repartis reparto repartos repasa
+repasad repasan repasar repasas repase repasen repases repaso repasos repasta repaste repasto
+repatea repatee repateo repazca repazco repecha repeche repecho repeina repeine repeino repela
+repelad repelan repelar repelas repele repeled repelen repeler repeles repeli repelia repelio
+repella repelle repello repelo repelon repelos repelus repensa repensad repensar repensas repense
+repenso repentes repentice repentina repentino repentir repentiza repentizo repeor repera repesa
+repesad repesan repesar repesas repesca repesco repese repesen repeses repeso repesos repeti repetia
+repetiais repetian repetias repetid repetida repetidas repetido repetidor repetidos repetimos
+repetira repetiran repetiras repetire repetireis repetiria repetirian repetirias repetis repetiste
+repica repicad repican repicar repicas repico repina repinan repinar repinas repine repinen repines
+repino repinta repinte repinto repipi repipis repique repisa repisad repisan repisar repisas repise
+repisen repises repiso repisos repitais repitamos repitan repitas repiten repites repitio repizca
+repizco repo repobla repoble repoblo repoda repodad repodan repodar repodas repode repoden repodes
+repodo repolla repolle repollo repon repone reponed reponen reponer repones reponga repongo reponia
+reporta reportaba reportaban reportabas reportad reportada reportadas reportado reportados reportais
+reportajes reportamos reportan reportando reportara reportarais reportaran reportaras reportare
+reportareis reportaren reportares reportaria reportarian reportarias reportaron reportas reportase
+reportasen reportases reportaste reportea reporteaba reportead reporteada reporteado reporteais
+reportean reportear reporteara reporteare reporteas reportease reportee reporteeis reporteen
+reportees reporteis reportemos reporten reporteo reporteras reporteril reporteros reporto repos
+reposa reposad reposan reposar reposas repose reposen reposes reposo reposos reposta reposte reposto
+repoya repoyad repoyan repoyar repoyas repoye repoyen repoyes repoyo repoyos represe represeis
+represemos represen representaba representaban representabas representable representad representada
+representadas representado representador representados representais representamos representan
+representando representanta representantas representantes representar representara representaran
+representaras representare representaren representares representaria representaron representas
+representase representasen representases representaste represente representeis representen
+representes represes repugna repugnaba repugnaban repugnabas repugnad repugnada repugnadas repugnado
+repugnados repugnais repugnamos repugnan repugnancia repugnando repugnantes repugnar repugnara
+repugnaran repugnaras repugnare repugnaren repugnares repugnaria repugnaron repugnas repugnase
+repugnasen repugnases repugnaste reputacion requiebra requiebre requiebro requiem requiems requiera
+requieran requieras requieren requieres requiero requinta requinte requinto requirio requisa
+requisad requisan requisar requisas requise requisen requises requiso requive requives rescacio
+rescalda rescalde rescaldo rescata rescataba rescataban rescatabas rescatad rescatada rescatadas
+rescatado rescatador rescatados rescatais rescatamos rescatan rescatando rescatara rescatarais
+rescataran rescataras rescatare rescatareis rescataren rescatares rescataria rescatarian rescatarias
+rescataron rescatas rescatase rescatasen rescatases rescataste rescateis rescatemos rescaten
+rescates rescato rescaza rescazas rescaño rescaños rese reseca resecad resecan resecar resecas
+reseco resecos reseda resedas resega resegad resegar resegas resego resegue resegui resella reselle
+resello resenti resepa resepan resepas reseque resera reseras resero reseros reservaba reservaban
+reservabas reservable reservad reservada reservadas reservados reservais reservamos reservan
+reservando reservar reservara reservaran reservaras reservare reservaren reservares reservaria
+reservaron reservase reservaseis reservasen reservases reservaste reserve reserveis reserven
+reserves reservo reservon reservona reses reseña reseñad reseñan reseñar reseñas reseñe reseñen
+reseñes reseño resfria resfriaba resfriaban resfriabas resfriad resfriada resfriadas resfriador
+resfriadora resfriadoras resfriadores resfriados resfriadura resfriais resfriamos resfrian
+resfriando resfriante resfriar resfriara resfriaran resfriaras resfriare resfriaren resfriares
+resfriaria resfriaron resfrias resfriase resfriasen resfriases resfriaste resfrie resfrieis resfrien
+resfries resfrio resfrios resida residan residas reside residen residenciaba residenciaban
+residenciabas residenciad residenciada residenciadas residenciado residenciados residenciais
+residencial residenciales residenciamos residencian residenciando residenciar residenciara
+residenciaran residenciaras residenciare residenciaren residenciares residenciaria residenciaron
+residencias residenciase residenciasen residenciases residenciaste residencie residencieis
+residencien residencies residencio resides residi residia residid residio residir residis resido
+residuo resiega resiego resiga resigan resigas resigna resigne resigno resigo resigue resina resinad
+resinan resinar resinas resine resinen resines resino resisa resisaba resisad resisada resisado
+resisais resisan resisar resisara resisare resisas resisase resise resiseis resisen resises resiso
+resista resistais resistan resistas resisten resistenciana resistencianas resistenciano
+resistencianos resistencias resistente resistentes resistero resisteros resistes resisti resistia
+resistiais resistian resistias resistible resistid resistida resistidas resistido resistidor
+resistidos resistiera resistiere resistiese resistimos resistio resistira resistiran resistiras
+resistire resistireis resistiria resistirian resistirias resistis resististe resistiva resistivas
+resistivo resistivos resisto resistor resol resolana resolano resoles resolga resolgad resolgan
+resolgar resolgas resolgo resolgue resoli resolies resolis resolla resollad resollar resollas
+resolle resollo resoluta resoluto resolvais resolve resolved resolveis resolvemos resolvente
+resolvera resolveran resolveras resolvere resolvereis resolveria resolverian resolverias resolves
+resolvi resolvia resolvian resolvias resolvio respe respecta respectaba respectad respectada
+respectado respectais respectan respectar respectara respectare respectas respectase respecte
+respecteis respecten respectes respectiva respective respectivo respectos resped respede respedes
+respes respetaba respetabais respetaban respetabas respetables respetad respetada respetadas
+respetado respetador respetados respetais respetamos respetan respetando respetara respetarais
+respetaran respetaras respetare respetareis respetaren respetares respetaria respetarian respetarias
+respetaron respetas respetase respetasen respetases respetaste respete respeteis respeten respetes
+respetiva respetivo respetos respetosa respetoso respice respices respiga respigad respigan respigar
+respigas respigo respigon respigos respigue respinga respingo respiraba respiraban respirabas
+respirable respiracion respirad respirada respiradas respirado respirador respirados respirais
+respiramos respiran respirara respirarais respiraran respiraras respirare respirareis respiraren
+respirares respiraria respirarian respirarias respiraron respiras respirase respirasen respirases
+respiraste respireis respiremos respiren respires respiros respondais respondamos respondan
+respondas responded respondedor respondeis respondemos respondencia respondera responderan
+responderas respondere respondereis responderia responderian responderias respondes respondi
+respondia respondiais respondian respondias respondida respondidas respondido respondidos
+respondiera respondiere respondiese respondimos respondio respondiste respondo respondon respondona
+responsa responsaba responsabais responsaban responsabas responsabilice responsabilicen
+responsabilices responsabiliza responsabilizad responsabilizan responsabilizar responsabilizas
+responsabilizo responsad responsado responsais responsamos responsan responsando responsar
+responsara responsaran responsaras responsare responsaren responsares responsaria responsaron
+responsas responsase responsasen responsases responsaste response responsea responsee responsen
+responseo responses responso responsos resta restaba restad restada restado restais restan restar
+restara restare restas restase restaura restauraba restauraban restaurabas restaurad restaurada
+restauradas restaurado restaurador restaurados restaurais restauramos restauran restaurando
+restaurantera restauranteras restaurantero restauranteros restaurar restaurara restauraran
+restauraras restaurare restauraren restaurares restauraria restauraron restauras restaurase
+restaurasen restaurases restauraste restaña restañe restaño reste restea restead restean restear
+resteas restee resteen restees resteis resten resteo restes restojo restojos restoran resuave resuda
+resudad resudan resudar resudas resude resuden resudes resudo resudor resuella resuellan resuellas
+resuelle resuellen resuelles resuello resuellos resuelta resueltas resueltos resuelva resuelvan
+resuelvas resuelve resuelven resuelves resuelvo resuena resuenan resuenas resuene resuenen resuenes
+resueno resultaba resultaban resultabas resultad resultais resultamos resultan resultando resultante
+resultar resultara resultaran resultaras resultare resultaren resultares resultaria resultaron
+resultas resultase resultasen resultases resultaste resulte resulteis resulten resultes resulto
+resulton resultona resuma resuman resumas resume resumen resumes resumi resumia resumid resumio
+resumir resumis resumo resunta resupe resupo resurge resurgi resurja resurjo resurreccion resurta
+resurte resurti resurto retica reticas retico reticos retiene retin retina retinad retinan retinar
+retinas retine retinen retines retino retinol retinta retinte retinto retiraba retiraban retirabas
+retirad retiradas retirados retirais retiramos retiran retirando retirara retirarais retiraran
+retiraras retirare retirareis retiraren retirares retiraria retirarian retirarias retiraron retiras
+retirase retirasen retirases retiraste retireis retiremos retiren retires retiros retiña retiñan
+retiñas retiñe retiñen retiñes retiñi retiñia retiñid retiñir retiñis retiño retoba retobad retoban
+retobar retobas retobe retoben retobes retobo retobos retoca retocad retocan retocar retocas retoce
+retocen retoces retoco retoma retomad retoman retomar retomas retome retomen retomes retomo retoque
+retor retorce retorced retorcer retorces retorci retorcia retorcio retores retorica retorico retorna
+retornaba retornad retornada retornado retornais retornan retornar retornara retornare retornas
+retornase retorne retorneis retornelo retornen retornes retornos retorta retortas retos retosta
+retoste retosto retoza retozad retozan retozar retozas retozo retozon retozos retoña retoñad retoñan
+retoñar retoñas retoñe retoñen retoñes retoño retoños retracta retracte retracto retrae retraed
+retraeis retraen retraer retraera retraere retraes retraher retraia retraian retraias retraida
+retraido retraiga retraigo retraje retrajo retranca retranco retrasa retrasaba retrasaban retrasabas
+retrasad retrasada retrasadas retrasados retrasais retrasamos retrasan retrasando retrasar retrasara
+retrasaran retrasaras retrasare retrasaren retrasares retrasaria retrasaron retrasas retrasase
+retrasasen retrasases retrasaste retrase retraseis retrasen retrases retrasos retrata retrataba
+retratad retratada retratado retratais retratan retratar retratara retratare retratas retratase
+retrate retrateis retraten retrates retratos retrepa retrepe retrepo retreta retrete retril retro
+retrocar retroceda retrocedais retrocedamos retrocedas retroceded retrocedeis retrocedemos
+retroceden retrocedera retrocederan retrocederas retrocedere retrocedereis retrocederia
+retrocederian retrocederias retrocedes retrocedi retrocedia retrocedian retrocedias retrocedido
+retrocedio retrocedo retroceso retrocesos retrona retrone retrono retros retruca retruco reuna
+reunais reunan reunas reunda reundan reundas reunde reunden reundes reundi reundia reundid reundio
+reundir reundis reundo reune reunen reunes reuni reunia reuniais reunian reunias reunid reunida
+reunidas reunidos reuniera reuniere reuniese reunimos reunio reunion reunira reuniran reuniras
+reunire reunireis reuniria reunirian reunirias reunis reuniste reuno reunta reuntad reuntan reuntar
+reuntas reunte reunten reuntes reunto reve revea reveais revean reveas revece revecen reveces reved
+reveia reveian reveias reveis revela revelaba revelaban revelabas revelable revelad revelada
+reveladas revelado revelador revelados revelais revelamos revelan revelando revelara revelarais
+revelaran revelaras revelare revelareis revelaren revelares revelaria revelarian revelarias
+revelaron revelas revelase revelasen revelases revelaste revele reveled reveleis revelen reveler
+revelera revelere reveles reveli revelia revelian revelias revelida revelido revelio revellin revelo
+revemos reven revena revenaba revenad revenado revenais revenan revenar revenara revenare revenas
+revenase revencer revenda revendan revendas revende revended revenden revender revendes revendi
+revendia revendio revendo revendon revendra revendre revene reveneis revenen revenes revenga
+revengan revengas revengo reveni revenia revenian revenias revenid revenido revenir revenis reveno
+revenos reventa reventaba reventaban reventabas reventad reventada reventadas reventado reventador
+reventados reventais reventamos reventando reventara reventarais reventaran reventaras reventare
+reventareis reventaren reventares reventaria reventarian reventarias reventaron reventas reventase
+reventasen reventases reventaste reventazon revente reventeis revento reventon reventona reveo rever
+revera reveran reveras revere revereis reveremos reverencia reverencie reverencio reverenda
+reverendas reverendos reverente reverentes reveria reversa reverso reverte reverti reves revesa
+revesad revesan revesar revesas revese revesen reveses reveso revesti reveza revezad revezan revezar
+revezas revezo revezos revi revida revidad revidan revidar revidas revide reviden revides revido
+revieja reviejo reviene reviera reviere reviese revimos revinar revine revino revio revira revirad
+reviran revirar reviras revire reviren revires reviro revisaba revisaban revisabas revisable revisad
+revisada revisadas revisados revisais revisamos revisan revisara revisarais revisaran revisaras
+revisare revisareis revisaren revisares revisaria revisarian revisarias revisaron revisas revisase
+revisasen revisases revisaste reviseis revisemos revises revision revisita revisitas reviso revisor
+revisora revistaba revistaban revistabas revistad revistada revistadas revistado revistados
+revistais revistamos revistan revistando revistar revistara revistaran revistaras revistare
+revistaren revistares revistaria revistaron revistase revistaseis revistasen revistases revistaste
+reviste revisteis revisten revistera revistero revistes revistio revisto revistos reviva revivan
+revivas revive reviven revives revivi revivia revivid revivio revivir revivis revivo revoluca
+revolucas revolucion revoluciona revolucione revoluciono revoluco revolucos reye reyeis reyemos
+reyen reyerta reyesana reyesano rezaba rezaban rezabas rezad rezada rezadas rezado rezador rezados
+rezaga rezagad rezagan rezagar rezagas rezago rezagos rezague rezais rezamos rezan rezandera
+rezandero rezara rezarais rezaran rezaras rezare rezareis rezaren rezares rezaria rezarian rezarias
+rezaron rezas rezase rezasen rezases rezaste rezon rezones rezonga rezongo rezos ricacha ricacho
+ricas ricota ricotas rien rienda riendas riendazo ries riese rieseis riesen rieses riesgosa
+riesgosas riesgoso riesgosos riestra riflazo riflero rifleros rincon rinda rindais rindan rindas
+rinde rinden rindes rindio ringa ringaba ringad ringada ringado ringais ringan ringar ringara
+ringare ringas ringase ringla ringlas ringle ringles ringue ringuen ringues riquezas risada risadas
+risas ritma ritmaba ritmad ritmada ritmado ritmais ritman ritmar ritmara ritmare ritmas ritmase
+ritme ritmeis ritmen ritmes ritmica ritmico ritmos rituales rivales rivalice rivaliza rivalizo
+rivera riveras riño riñon riñonada riñonera riñoneras riñosa riñoso robaba robaban robabas robad
+robada robadas robadera robadero robadizo robador robadora robadoras robadores robados robais robalo
+robalos robamos robara robarais robaran robaras robare robareis robaren robares robaria robarian
+robarias robas robase robaseis robasen robases robasteis robe robeco robecos robeis robemos roben
+roberia robes robezo robezos robines robinia robinias robinsones robora roborad roboran roborar
+roboras robore roboren robores roboro robotica robotice robotiza robotizo rocada rocadas rocador
+rocalla roda rodaba rodaban rodabas rodad rodada rodadas rodado rodador rodados rodais rodaja
+rodajas rodaje rodajea rodajee rodajeo rodajes rodal rodalan rodales rodamos rodancha rodancho
+rodante rodantes rodao rodaos rodapie rodara rodarais rodaran rodaras rodare rodareis rodaren
+rodares rodaria rodarian rodarias rodaron rodas rodase rodasen rodases rodaste rode rodeaba rodeaban
+rodeabas rodead rodeada rodeadas rodeador rodeadora rodeadoras rodeadores rodeais rodeamos rodean
+rodeando rodear rodeara rodearan rodearas rodeare rodearen rodeares rodearia rodearon rodeas rodease
+rodeasen rodeases rodeaste rodee rodeeis rodeen rodees rodeis rodela rodelas rodemos rodena rodenal
+rodenas rodeno rodenos rodeo rodeon rodeos rodera roderas rodero roderon roderos rodete rodetes
+rodezno rodia rodias rodil rodiles rodillada rodilladas rodillazo rodillazos rodillera rodillero
+rodillo rodillos rodilluda rodilludo rodio rodios rodiota rojal rojales rola rolaba rolaban rolabas
+rolad rolado rolais rolamos rolan rolando rolar rolara rolaran rolaras rolare rolaren rolares
+rolaria rolaron rolas rolase rolasen rolases rolaste rolazo rolazos rolla rollaba rollad rollada
+rollado rollais rollan rollar rollara rollare rollas rollase rolle rolleis rollen rolles rollete
+rollito rolliza rollizo rollon rollona rollonas rollones rollos romaica romaico romanaba romanaban
+romanabas romanad romanada romanadas romanado romanador romanados romanais romanamos romanan
+romanando romanar romanara romanaran romanaras romanare romanaren romanares romanaria romanaron
+romanas romanase romanasen romanases romanaste romanato romanatos romancea romanceaba romancead
+romanceada romanceado romanceais romancean romancear romanceara romanceare romanceas romancease
+romancee romanceeis romanceen romancees romanceis romancemos romancen romanceo romancera romanceras
+romancero romanceros romances romancesca romancesco romanche romanches romane romanea romanead
+romanean romanear romaneas romanee romaneen romanees romaneis romanen romaneo romaneos romanero
+romanes romani romania romanica romanice romanico romanies romanina romanis romaniza romanizo
+romanza romanzad romanzan romanzar romanzas romanzo romas romaza romazas romea romeas romeos romera
+romeral romeras romeria romero romeros rompa rompais rompamos rompas romped rompedor rompeis
+rompelon rompemos rompen rompera romperan romperas rompere rompereis romperia romperian romperias
+rompes rompi rompia rompiais rompian rompias rompible rompido rompidos rompiente rompientes rompiera
+rompieran rompieras rompiere rompieren rompieres rompieron rompiese rompiesen rompieses rompimos
+rompio rompisteis romplon rompo rompon rompope rompopo rondaba rondaban rondabas rondad rondada
+rondadas rondado rondador rondados rondais rondalla rondamos rondan rondana rondanas rondando rondar
+rondara rondaran rondaras rondare rondaren rondares rondaria rondaron rondas rondase rondasen
+rondases rondaste ronde rondeis rondel ronden rondes rondeña rondeño rondin rondis rondiz rondo
+rondon rondos ropaje ropajes rosaba rosaban rosabas rosacea rosaceo rosada rosadas rosado rosados
+rosais rosal rosales rosamos rosan rosando rosar rosara rosaran rosaras rosare rosaren rosares
+rosaria rosario rosaron rosarse rosase rosaseis rosasen rosases rosaste rosea roseaba rosead roseado
+roseais rosean rosear roseara roseare roseas rosease rosedal rosee roseeis roseen rosees roseis
+rosemos rosen roseo roseola roseos rosera roseras rosero roseros roses roseta rosetas roseton rosiga
+rosigad rosigan rosigar rosigas rosigo rosigon rosigos rosigue rosilla rosillo rositas rosta rostais
+rostan rostas roste rosten rostes rosti rostia rostian rostias rostice rostid rostida rostido rostio
+rostir rostira rostire rostis rostiza rostizo rosto rostrada rostrado rostral rostrata rostrizo
+rostros rotaba rotaban rotabas rotad rotado rotais rotaje rotajes rotal rotales rotamos rotan
+rotando rotar rotara rotaran rotaras rotare rotaren rotares rotaria rotario rotaron rotase rotaseis
+rotasen rotases rotaste rotonda rotor rotores rotosa rotosas rotoso rotosos rubi rubiacea rubiaceo
+rubial rubiales rubias rubican rubidio rubiel rubiera rubies rubilla rubin rubines rubiola rubiolas
+rubion rubiones rubios rubis rudos ruedan ruede rueden ruedero ruedes ruedo ruedos ruega ruegan
+ruegas ruegos ruegue rueguen ruegues ruidal ruidero ruidosa ruidosas ruidoso ruidosos ruin ruinaba
+ruinaban ruinabas ruinad ruinada ruinadas ruinado ruinados ruinais ruinamos ruinan ruinando ruinar
+ruinara ruinaran ruinaras ruinare ruinaren ruinares ruinaria ruinaron ruinase ruinaseis ruinasen
+ruinases ruinaste ruindad ruine ruineis ruinen ruinera ruines ruino ruinosa ruinoso rumba rumbaba
+rumbad rumbada rumbado rumbais rumban rumbar rumbara rumbare rumbas rumbase rumbe rumbea rumbead
+rumbean rumbear rumbeas rumbee rumbeen rumbees rumbeis rumben rumbeo rumbera rumbero rumbes rumbon
+rumbona rumbonas rumbones rumbos rumbosa rumbosas rumboso rumbosos rumo rumora rumoraba rumorad
+rumorada rumorado rumorais rumoran rumorar rumorara rumorare rumoras rumorase rumore rumorea
+rumoreaba rumoread rumoreada rumoreado rumoreais rumorean rumorear rumoreara rumoreare rumoreas
+rumorease rumoree rumoreeis rumoreen rumorees rumoreis rumoremos rumoren rumoreo rumoro rumorosa
+rumoroso rumos ruptor rupturas rusalca rusas rusias rutaba rutaban rutabas rutacea rutaceo rutad
+rutado rutais rutamos rutan rutando rutar rutara rutaran rutaras rutare rutaren rutares rutaria
+rutaron rutas rutase rutasen rutases rutaste rutila rutilad rutilan rutilar rutilas rutile rutilen
+rutiles rutilo rutilos rutinaria rutinario rutinas rutinera rutinero sabea sabeas sabed sabedor
+sabeis sabela sabelas sabencia sabeo sabeos saberes sabiais sabiamos sabian sabicu sabicus sabida
+sabidas sabidor sabidora sabidos sabiduria sabidurias sabiendas sabila sabilas sabina sabinar
+sabinas sabino sabinos sabiola sabiolas sabionda sabiondo sabios sabir sabires sablazo sablea
+sableaba sablead sableada sableado sableais sablean sablear sableara sableare sableas sablease
+sablee sableeis sableen sablees sableo sableos sablera sableras sablero sableros sables sablon
+saboga sabogal sabogas saborea saboread saborean saborear saboreas saboree saboreen saborees saboreo
+saboreos sabores saborgar saborosa saboroso sabotea sabotee saboteo sabra sabran sabras sabre
+sabreis sabria sabrian sabrias sabrosa sabroso sacaba sacaban sacabas sacad sacada sacadas sacadera
+sacador sacadora sacadoras sacadores sacados sacadura sacais sacalas sacanabo sacanete sacara
+sacarais sacaran sacaras sacare sacareis sacaren sacares sacaria sacarian sacarias sacarido sacarina
+sacarino sacarosa sacarosas sacase sacasebo sacaseis sacasen sacases sacasteis sacate sacates
+sacerdocio sacerdotal sacerdotisa sacon sacona saconas saconea saconee saconeo sacones sacos
+sacrifica sacrificaba sacrificaban sacrificabas sacrificad sacrificada sacrificadas sacrificado
+sacrificador sacrificados sacrificais sacrificamos sacrifican sacrificando sacrificara sacrificarais
+sacrificaran sacrificaras sacrificare sacrificareis sacrificaren sacrificares sacrificaria
+sacrificarian sacrificarias sacrificaron sacrificas sacrificase sacrificasen sacrificases
+sacrificaste sacrificial sacrifico sacrifique sagradas sagrados sagrario sain saina sainaba sainad
+sainada sainado sainais sainan sainar sainara sainare sainas sainase saine saineis sainen saines
+sainete saino sainos sajo sajon sajona sajonas salaba salaban salabas salabre salaces salacot salad
+salada saladar saladas salado salador salados salagon salais salame salames salami salamin salamis
+salamo salamos salan salando salar salara salarais salaran salaras salare salareis salaren salares
+salaria salariaba salariad salariada salariado salariais salarial salarian salariar salariara
+salariare salarias salariase salarie salarieis salarien salaries salarios salaron salas salase
+salasen salases salaste salaz salazon salchichera salchichero salchichon salda saldaba saldad
+saldada saldado saldais saldan saldar saldara saldare saldas saldase salde saldeis salden saldes
+saldo saldos saldra saldran saldras saldre saldreis saldria saldrian saldrias salea saleaba saleado
+saleais salean salear saleara saleare saleas salease salee saleeis saleen salees salega salegad
+salegan salegar salegas salego salegue saleis salema salemas salemos saleo salep saleps salera
+saleras salero saleron saleros salesa salesas saleta saletas salgaba salgaban salgabas salgad
+salgada salgadas salgado salgados salgais salgando salgar salgara salgaran salgaras salgare salgaren
+salgares salgaria salgaron salgase salgaseis salgasen salgases salgaste salgue salguen salgues sali
+salia saliais salian salias salica salicas salico salicor salicos salid salidera salidero salidizo
+salidos saliente salientes salierais salieramos salieran salieras saliere saliereis salieren
+salieres saliese saliesen salieses salin salina salinas salines salino salinos salios salis
+salisteis salitre saliva salivad salival salivan salivar salivas salive saliven salives salivo salla
+sallaba sallad sallada sallado sallais sallan sallar sallara sallare sallas sallase salle salleis
+sallen salles sallete sallo salma salmaba salmad salmada salmado salmais salman salmar salmara
+salmare salmas salmase salme salmea salmead salmean salmear salmeas salmee salmeen salmees salmeis
+salmen salmeo salmer salmera salmes salmo salmon salmos salsas salsea salsead salsean salsear
+salseas salsee salseen salsees salseo salsera salsero salsifi salsina salso saltaba saltaban
+saltabas saltable saltad saltada saltadas saltado saltador saltados saltais saltamos saltan saltana
+saltanas saltando saltante saltara saltarais saltaran saltaras saltare saltareis saltarel saltarelo
+saltaren saltares saltaria saltarian saltarias saltarin saltarina saltaron saltas saltase saltasen
+saltases saltaste saltea salteaba saltead salteada salteado salteais saltean saltear salteara
+salteare salteas saltease saltee salteeis salteen saltees salteis saltemos salten salteo salteos
+saltera salteras salterio saltero salteros saltes salteña salteñas salteño salteños salton saltona
+saltonas saltones saltos salubre saludaba saludabais saludaban saludabas saludables saludad saludada
+saludadas saludado saludador saludados saludais saludamos saludan saludando saludara saludarais
+saludaran saludaras saludare saludareis saludaren saludares saludaria saludarian saludarias
+saludaron saludas saludase saludasen saludases saludaste salude saludeis saluden saludes salute
+salutes salvaba salvaban salvabas salvable salvachia salvacion salvad salvada salvadas salvadera
+salvadora salvadoras salvadores salvadoreña salvadoreño salvados salvais salvajada salvajeces
+salvajeria salvajez salvajina salvajino salvamos salvan salvante salvara salvarais salvaran salvaras
+salvare salvareis salvaren salvares salvaria salvarian salvarias salvaron salvas salvase salvaseis
+salvasen salvases salvasteis salvavida salvedad salveis salvemos salven salveque salves salvia
+salvias salvos saman samanes samanesa samanta samantas samuelea samuelead samuelean samuelear
+samueleas samuelee samueleen samuelees samueleo samueles samuga samugas samugo samugos samuhu
+samuhus samurais samuray samuro samuros samurra samurrad samurran samurrar samurras samurre samurren
+samurres samurro sanaba sanaban sanabas sanable sanad sanada sanadas sanado sanador sanados sanais
+sanamos sanan sanana sananas sanando sanano sananos sanar sanara sanaran sanaras sanare sanaren
+sanares sanaria sanaron sanas sanase sanasen sanases sanaste sanate sanates sandalo sandez sandia
+sandial sandiar sandias sandino sandio sandios sangley sango sangos sangraba sangraban sangrabas
+sangrad sangrada sangradas sangrado sangrador sangrados sangrais sangramos sangran sangrante
+sangrantes sangrara sangrarais sangraran sangraras sangrare sangrareis sangraren sangrares sangraria
+sangrarian sangrarias sangraron sangras sangrase sangrasen sangrases sangraste sangraza sangrazas
+sangredo sangredos sangreis sangremos sangren sangrerio sangrero sangreros sangres sangria sangrias
+sangrita sangriza sangro sangron sangrona sanguis sanguja sanos sant santas santera santero santeña
+santeño santiagos santiagues santiamen santidad santigua santigue santiguo santol santoles santolio
+santon santona santonas santones santoral santoñes santuarios saquea saqueaba saquead saqueada
+saqueado saqueais saquean saquear saqueara saqueare saqueas saquease saquee saqueeis saqueen saquees
+saqueis saquemos saqueo saqueos saquera saqueras saqueria saquerio saquero saqueros saquete saquetes
+sarama saramas saran sarandi saranes sarao saraos sarape sarapes sarapia sarasa sarasas saraza
+sarazas sarazo sarazos sargenta sargentas sargente sargentea sargentead sargentean sargentear
+sargenteas sargentee sargenteen sargentees sargenteo sargentia sargentias sargentona sargentonas
+sargentos satisfaccion satisfecha satisfechas satisfechos satos saturacion saudade saudi saudies
+saudis saudosa saudoso saurio saurios scooter sebastiano sebastianos secaba secaban secabas secacul
+secad secada secadal secadas secadia secadio secado secador secados secais secamos secan secando
+secano secanos secansa secante secar secara secaral secaran secaras secare secaren secares secaria
+secaron secas secase secasen secases secaste secaton seccion secciona seccione secciono secon
+secones secos secoya secoyas secresto secretaba secretaban secretabas secretad secretada secretadas
+secretado secretados secretais secretamos secretan secretando secretar secretara secretarais
+secretaran secretaras secretare secretareis secretaren secretares secretariado secretariados
+secretariais secretarial secretariales secretariamos secretarian secretarias secretarios secretaron
+secretase secretaseis secretasen secretases secretaste secrete secretea secretead secretean
+secretear secreteas secretee secreteen secretees secreteis secreten secreteo secreteos secreter
+secretes secretor secretora secretoras secretores secretoria secretorio secta sectas sectores
+sectorial secuenciaba secuenciaban secuenciabas secuenciad secuenciada secuenciadas secuenciado
+secuenciados secuenciais secuencial secuenciales secuenciamos secuencian secuenciando secuenciar
+secuenciara secuenciaran secuenciaras secuenciare secuenciaren secuenciares secuenciaria
+secuenciaron secuencias secuenciase secuenciasen secuenciases secuenciaste secuencie secuencieis
+secuencien secuencies secuencio secuestra secuestraba secuestraban secuestrabas secuestrad
+secuestrada secuestradas secuestradora secuestradoras secuestrados secuestrais secuestramos
+secuestran secuestrando secuestrar secuestrara secuestraran secuestraras secuestrare secuestraren
+secuestrares secuestraria secuestrario secuestraron secuestras secuestrase secuestrasen secuestrases
+secuestraste secuestre secuestreis secuestren secuestres secuestros secunda secundaba secundaban
+secundabas secundad secundada secundadas secundado secundados secundais secundamos secundan
+secundando secundar secundara secundarais secundaran secundaras secundare secundareis secundaren
+secundares secundariais secundariamos secundarian secundarias secundaron secundas secundase
+secundasen secundases secundaste sedaba sedaban sedabas sedad sedada sedadas sedado sedados sedais
+sedal sedales sedamos sedan sedando sedanes sedante sedar sedara sedaran sedaras sedare sedaren
+sedares sedaria sedaron sedas sedase sedasen sedases sedaste segudar segue segueis segueta segui
+seguia seguiais seguian seguias seguid seguidas seguidero seguidor seguidora seguidoras seguira
+seguiran seguiras seguire seguireis seguiria seguirian seguirias seguis seguiste segun segundaba
+segundaban segundabas segundad segundada segundadas segundado segundados segundais segundamos
+segundan segundando segundar segundara segundaran segundaras segundare segundaren segundares
+segundaria segundario segundaron segundas segundase segundasen segundases segundaste segunde
+segundeis segunden segundera segundero segundes segundon segundona segundonas segundones segur
+segurador seguranza segurar segureja segures seguridades seisava seisave seisavo seise seisen
+seisena seiseno seises seismo seismos seleccion selecciona seleccione selecciono sella sellaba
+sellad sellada sellado sellais sellan sellar sellara sellare sellas sellase selle selleis sellen
+selles sellos selvaje selvas selvosa selvoso sema semanal semanales semanaria semanario semanera
+semanero semas semeja semejaba semejaban semejabas semejable semejad semejada semejadas semejado
+semejados semejais semejamos semejan semejando semejantes semejanza semejanzas semejar semejara
+semejaran semejaras semejare semejaren semejares semejaria semejaron semejas semejase semejasen
+semejases semejaste semen semenes sementa sementaba sementaban sementabas sementad sementada
+sementadas sementado sementados sementais sementales sementamos sementando sementar sementara
+sementaran sementaras sementare sementaren sementares sementaria sementaron sementas sementase
+sementasen sementases sementaste semente sementeis sementera sementero sementina sementino semento
+semestral semestres semidea semideo semieje semillaba semillaban semillabas semillad semillado
+semillais semillamos semillan semillando semillar semillara semillaran semillaras semillare
+semillaren semillares semillaria semillaron semillase semillaseis semillasen semillases semillaste
+semillazo semillazos semille semilleis semillen semillero semilles semillo seminal semis semita
+semitas sena senada senadas senadoras senadores senados senara senaras senaria senario senas sencida
+sencidas sencido sencidos sencillas sencillez sencillos senda sendas sendera senderaba senderad
+senderada senderado senderais senderan senderar senderara senderare senderas senderase sendere
+senderea senderead senderean senderear sendereas senderee sendereen senderees sendereis senderen
+sendereo senderes senderos sendos seno senojil sensacion sensacionales sensaciones sensibilice
+sensibilicen sensibilices sensibilidades sensibiliza sensibilizad sensibilizan sensibilizar
+sensibilizas sensibilizo sensiblera sensibleras sensibleria sensiblero sensibleros sensibles
+sensismo sensor sensoria sensorial sensorias sensorio sensorios senta sentaba sentaban sentabas
+sentad sentadas sentadero sentais sentamos sentando sentara sentarais sentaran sentaras sentare
+sentareis sentaren sentares sentaria sentarian sentarias sentaron sentas sentase sentasen sentases
+sentaste sente senteis sentenciaba sentenciaban sentenciabas sentenciad sentenciada sentenciadas
+sentenciado sentenciador sentenciados sentenciais sentenciamos sentencian sentenciando sentenciar
+sentenciara sentenciaran sentenciaras sentenciare sentenciaren sentenciares sentenciaria
+sentenciaron sentencias sentenciase sentenciasen sentenciases sentenciaste sentencie sentencieis
+sentencien sentencies sentencio sentencion sentenciosa sentencioso senti sentia sentiais sentian
+sentias sentible senticar sentid sentida sentidas sentidor sentidora sentidoras sentidores
+sentimentales sentina sentinas sentira sentiran sentiras sentire sentireis sentires sentiria
+sentirian sentirias sentis sentisteis sento senton sepais sepalo sepalos separa separaba separaban
+separabas separable separacion separad separada separadas separador separadora separadoras
+separadores separais separan separando separara separarais separaran separaras separare separareis
+separaren separares separaria separarian separarias separaron separas separase separasen separases
+separaste separata separatas separe separeis separen separes separo separos septiembres serado
+serados serafin seraje serajes seranea seranead seranean seranear seraneas seranee seraneen seranees
+seraneo serano seranos sere sereis serena serenad serenan serenar serenas serene serenen serenes
+sereni serenis sereno serenos seresere serete seretes sereña sereñas seriaba seriaban seriabas
+seriad seriada seriadas seriado seriados seriais serial seriales seriamos serian seriando seriar
+seriara seriaran seriaras seriare seriaren seriares seriaria seriaron seriase seriaseis seriasen
+seriases seriaste serica sericas serico sericos seriedad serieis seriemos serien serifia serifio
+serijo serijos serillo seringa sermon servar servato servi servia serviais servian servias servible
+servicia serviciaba serviciad serviciada serviciado serviciais servicial servician serviciar
+serviciara serviciare servicias serviciase servicie servicieis servicien servicies servid servida
+servidas servidera servidero servidora servidoras servidores servidos servil serviles servilla
+servilon servimos servio serviola servios servira serviran serviras servire servireis serviria
+servirian servirias servis serviste servita servitas servitud servo servos sesi sesies sesil sesiles
+sesion sesiona sesione sesiono sesis seso sexos sexta sextas sextava sextave sextavo sexteto sextil
+sextina sextos sextula sexuada sexuadas sexuado sexuados seña señala señalaba señalad señalada
+señalado señalais señalan señalar señalara señalare señalas señalase señale señaleis señalemos
+señalen señalero señaleros señalice señaliza señalizo señalo señas señolea señolee señoleo señorada
+señoradas señoraje señorajes señorea señoreaba señoread señoreada señoreado señoreais señoreaje
+señorean señorear señoreara señoreare señoreas señorease señoree señoreeis señoreen señorees señoreo
+señoria señorial señorias señoril señoriles señorio señorios señorito señoritos señoron señorona
+sherpa sidas sidonia sidonio sidosa sidosas sidoso sidosos siembra siembre siembro siemens sien
+siena sienas sienes sienesa sienita sierpa sierpas sierpe sierpes sierran sierras sierre sierren
+sierres sierro sierros sierva siervas siervo siervos sies sieso siesos siestas sietes sieteñal
+sigais sigla siglas signa signaba signad signada signado signais signan signar signara signare
+signas signase signe signeis signen signes signica signico signifera signifero significabais
+significabamos significaban significabas significad significada significadas significador
+significadora significadoras significadores significados significais significamos significando
+significante significantes significara significarais significaran significaras significare
+significareis significaren significares significaria significarian significarias significaron
+significas significase significasen significases significaste significo signifiqueis signifiquemos
+signifiquen signifiques sigogo sigogos sigua siguapa siguas siguiera siguierais siguieran siguieras
+siguiere siguiereis siguieren siguieres siguiese siguiesen siguieses siguio silencia silenciaba
+silenciad silenciada silenciado silenciais silencian silenciar silenciara silenciare silencias
+silenciase silencie silencieis silencien silenciera silenciero silencies silencios silenciosa
+silenciosas silenciosos silente silentes sillada silladas sillar sillares sillera sillero silleta
+sillete sillico sillin sillon simia simias simica simicas simico simicos simil similes similor
+simios simones simonia simonias simpa simpas simpleza simplezas simplon simplona simulacion
+simulacro simulacros sinceraba sinceraban sincerabas sincerad sincerada sinceradas sincerado
+sincerador sincerados sincerais sinceramos sinceran sincerando sincerar sincerara sinceraran
+sinceraras sincerare sinceraren sincerares sinceraria sinceraron sinceras sincerase sincerasen
+sincerases sinceraste sincere sincereis sinceren sinceres sinceros sincopa sincope sincopo sincro
+sincroniza sincronizaba sincronizaban sincronizabas sincronizad sincronizada sincronizadas
+sincronizados sincronizais sincronizamos sincronizan sincronizando sincronizar sincronizara
+sincronizaran sincronizaras sincronizare sincronizaren sincronizares sincronizaria sincronizaron
+sincronizas sincronizase sincronizasen sincronizases sincronizaste sincronizo sincros sincuya
+sindica sindicaba sindicaban sindicabas sindicable sindicad sindicada sindicadas sindicado
+sindicador sindicados sindicais sindical sindicales sindicamos sindican sindicando sindicar
+sindicara sindicaran sindicaras sindicare sindicaren sindicares sindicaria sindicaron sindicas
+sindicase sindicasen sindicases sindicaste sindicatos sindicatura sindico sindicos sinoble sinoca
+sinocal sinocas sinodal sinodo sinodos sinople sinos sinovia sintais sintiera sintieran sintieras
+sintiere sintieren sintieres sintieron sintiese sintiesen sintieses sintio sintoma siquica siquicas
+siquico siquicos siquier sirenas sirenio sirenios siria siriaca siriaco siriana siriano sirias sirin
+sirines siringa siringe sirio sirios siriri siriris sirvais sirvamos sirvan sirvas sirventes
+sirviendo sirvientas sirviera sirvieran sirvieras sirviere sirvieren sirvieres sirvieron sirviese
+sirviesen sirvieses sirvio sistemica sistemico sistilo sistole sistro sistros sitia sitiaba sitiad
+sitiada sitiado sitiais sitial sitian sitiar sitiara sitiare sitias sitiase sitie sitieis sitien
+sitiera sitiero sities situacional sobraba sobraban sobrabas sobrad sobrada sobradad sobradan
+sobradar sobradas sobrade sobraden sobrades sobrado sobrador sobrados sobrais sobramos sobran
+sobrando sobrante sobrar sobrara sobraran sobraras sobrare sobraren sobrares sobraria sobraron
+sobras sobrasa sobrasad sobrasan sobrasar sobrasas sobrase sobrasen sobrases sobraso sobraste
+sobrazar sobreara sobreare sobrearo sobreasa sobrease sobreaso sobredora sobredorad sobredoran
+sobredorar sobredoras sobredore sobredoren sobredores sobredoro sobrefaz sobrehaz sobreis sobremos
+sobren sobrepie sobrepon sobrera sobreras sobrero sobreros sobres sobresal sobresea sobresee
+sobresei sobreseo sobreven sobreviene sobrevine sobrevino sobrevista sobreviste sobrevisto sobreviva
+sobrevivais sobrevivan sobrevivas sobrevive sobreviven sobrevives sobrevivi sobrevivia sobreviviais
+sobrevivian sobrevivias sobrevivid sobreviviendo sobreviviera sobrevivieran sobrevivieras
+sobreviviere sobrevivieren sobrevivieres sobrevivieron sobreviviese sobreviviesen sobrevivieses
+sobrevivimos sobrevivio sobrevivira sobreviviran sobreviviras sobrevivire sobrevivireis sobreviviria
+sobrevivirian sobrevivirias sobrevivis sobreviviste sobrevivo sobreña sobreñas sobreño sobreños
+sobria sobrias sobrinas sobrinazgo sobrinos sobrio sobrios sobro socia sociable socialice socializa
+socializo socias sociedades socol socola socolad socolan socolar socolas socole socolen socoles
+socolo socolor socoro socoros socorra socorrais socorran socorras socorre socorred socorreis
+socorren socorrer socorrera socorrere socorres socorri socorria socorrian socorrias socorrida
+socorrido socorrio socorros sodas sogas solaba solaban solabas solace solacea solacee solacen
+solaceo solaces solacio solad solada soladas solado solador solados solais solamos solana solanar
+solanas solando solano solanos solapa solapad solapan solapar solapas solape solapea solapee solapen
+solapeo solapes solapo solapos solara solarais solaran solaras solare solareis solaren solares
+solaria solarian solarias solarium solaron solase solaseis solasen solases solaste solaz solaza
+solazad solazan solazar solazas solazo solazos solda soldaba soldaban soldabas soldad soldada
+soldadas soldadera soldadero soldadito soldador soldadores soldadote soldadotes soldadura soldais
+soldamos soldan soldando soldanes soldar soldara soldaran soldaras soldare soldaren soldares
+soldaria soldaron soldas soldase soldasen soldases soldaste solde soldeis soldeo soldeos soldo sole
+solea soleaba solead soleada soleado soleais solean solear soleara soleare soleas solease soledades
+soledosa soledoso solee soleeis soleen solees soleis solejar solejo solejos solemne solemos solen
+soleo soleos soler solera soleras soleres soleria solero soleros solerte soles soleta soletar
+soletas soleva solevad solevan solevar solevas soleve soleven soleves solevo solicita solicitaba
+solicitad solicitada solicitado solicitais solicitan solicitar solicitara solicitare solicitas
+solicitase solicite soliciteis soliciten solicites solicitos solicitudes solita solitarias
+solitarios solitas solomo solomos solta soltaba soltaban soltabas soltad soltada soltadas soltado
+soltador soltados soltais soltamos soltando soltani soltanis soltara soltarais soltaran soltaras
+soltare soltareis soltaren soltares soltaria soltarian soltarias soltaron soltas soltase soltasen
+soltases soltaste solte solteis soltemos solteras solteria solterias solteron solterona solteronas
+solterones solteros solto soltura solucion soluciona solucionaba solucionaban solucionabas
+solucionad solucionada solucionadas solucionado solucionados solucionais solucionamos solucionan
+solucionando solucionara solucionarais solucionaran solucionaras solucionare solucionareis
+solucionaren solucionares solucionaria solucionarian solucionarias solucionaron solucionas
+solucionase solucionasen solucionases solucionaste solucione solucioneis solucionen soluciones
+soluciono sombraba sombraban sombrabas sombrad sombrada sombradas sombrado sombrados sombrais
+sombraje sombrajes sombrajo sombrajos sombramos sombran sombrando sombrar sombrara sombraran
+sombraras sombrare sombraren sombrares sombraria sombraron sombrase sombraseis sombrasen sombrases
+sombraste sombre sombrea sombreaba sombread sombreada sombreado sombreais sombrean sombrear
+sombreara sombreare sombreas sombrease sombree sombreeis sombreen sombrees sombreis sombremos
+sombren sombreo sombrerada sombrerazo sombrerea sombreread sombrerean sombrerear sombrereas
+sombreree sombrereen sombrerees sombrereo sombrerera sombrerero sombrerete sombreros sombreruda
+sombrerudo sombres sombria sombrias sombrio sombrios sombro sombrosa sombroso somo somonte sona
+sonabais sonabamos sonaban sonabas sonable sonables sonad sonada sonadas sonado sonador sonados
+sonais sonaja sonajas sonajea sonajee sonajeo sonamos sonando sonante sonara sonarais sonaran
+sonaras sonare sonareis sonaren sonares sonaria sonarian sonarias sonaron sonas sonase sonasen
+sonases sonaste sonata sonatas sondaba sondaban sondabas sondable sondad sondada sondadas sondado
+sondados sondais sondamos sondan sondando sondar sondara sondaran sondaras sondare sondaren sondares
+sondaria sondaron sondas sondase sondasen sondases sondaste sonde sondea sondead sondean sondear
+sondeas sondee sondeen sondees sondeis sonden sondeo sondeos sondes sondo sonica sonicas soniche
+sonico sonicos sonio sonios sonique sonrei sonreia sonreian sonreias sonreid sonreido sonreir
+sonreira sonreire sonreis sonria sonriais sonrian sonrias sonrie sonrien sonriente sonrientes
+sonriera sonrieran sonrieras sonriere sonrieren sonrieres sonrieron sonries sonriese sonriesen
+sonrieses sonrio sonrisas sonriso sonrisos sonrode sonrodo sonroja sonroje sonrojo sonrosa sonrose
+sonroso sopaba sopaban sopabas sopad sopada sopadas sopado sopados sopaipa sopais sopamos sopan
+sopanda sopando sopapea sopapee sopapeo sopapo sopapos sopar sopara soparan soparas sopare soparen
+sopares soparia soparon sopas sopase sopasen sopases sopaste soplaba soplaban soplabas soplad
+soplada sopladas soplado soplador soplados soplais soplamos soplan soplando soplar soplara soplaran
+soplaras soplare soplaren soplares soplaria soplaron soplas soplase soplasen soplases soplaste
+soplazon sople sopleis soplen soples soplete soplido soplo soplon soplona soplos sopo sopon sopones
+sopor sopores soporosa soporoso soporta soportaba soportaban soportabas soportable soportad
+soportada soportadas soportado soportador soportados soportais soportal soportales soportamos
+soportan soportando soportara soportarais soportaran soportaras soportare soportareis soportaren
+soportares soportaria soportarian soportarias soportaron soportas soportase soportasen soportases
+soportaste soporteis soportemos soporten soportes soportico sorda sordas sordera sordez sordida
+sordido sordina sordino sordon sordones sordos sorprenda sorprendais sorprendan sorprendas
+sorprended sorprendeis sorprendemos sorprenden sorprendentes sorprender sorprendera sorprenderan
+sorprenderas sorprendere sorprendereis sorprenderia sorprenderian sorprenderias sorprendes sorprendi
+sorprendia sorprendiais sorprendian sorprendias sorprendidas sorprendidos sorprendiera sorprendiere
+sorprendiese sorprendimos sorprendio sorprendiste sorprendo sorpresiva sorpresivo sospechaba
+sospechaban sospechabas sospechable sospechad sospechada sospechadas sospechado sospechados
+sospechais sospechamos sospechan sospechando sospechar sospechara sospecharan sospecharas sospechare
+sospecharen sospechares sospecharia sospecharon sospechase sospechaseis sospechasen sospechases
+sospechaste sospeche sospecheis sospechen sospeches sospechosas sospesa sospesad sospesan sospesar
+sospesas sospese sospesen sospeses sospeso sosten sostendra sostendre sostene sostened sostenedor
+sosteneis sostenemos sostenes sostenga sostengan sostengas sostengo sostenia sostenian sostenias
+sostenida sostenido sostienen sostienes sostuve sostuvo soña soñaba soñaban soñabas soñad soñada
+soñadas soñador soñadora soñadoras soñadores soñados soñais soñamos soñara soñarais soñaran soñaras
+soñare soñareis soñaren soñares soñaria soñarian soñarias soñaron soñas soñase soñasen soñases
+soñaste stand suavena suavenas suaves suaveton suavice suaviza suavizo subais subamos subas subasta
+subaste subasto suben subeo subeos subi subia subiais subian subias subid subida subidas subidera
+subidero subidor subidores subidos subienda subiendas subiente subientes subiera subieran subieras
+subiere subieren subieres subieron subiese subiesen subieses subilla subio subira subiran subiras
+subire subireis subiria subirian subirias subis subiste subita subitas subito subitos submarina
+submarinas submarinos subtitula subtitulaba subtitulaban subtitulabas subtitulad subtitulada
+subtituladas subtitulados subtitulais subtitulamos subtitulan subtitulando subtitular subtitulara
+subtitularan subtitularas subtitulare subtitularen subtitulares subtitularia subtitularon subtitulas
+subtitulase subtitulasen subtitulases subtitulaste subtitule subtituleis subtitulen subtitules
+subtitulo succino succinos succion succiona succione succiono sucedais sucedamos sucedan sucedanea
+sucedaneo sucedas suceded sucedeis sucedemos suceden sucedera sucederan sucederas sucedere
+sucedereis sucederia sucederian sucederias sucedes sucedi sucedia sucediais sucedian sucedias
+sucedidos sucediera sucedieran sucedieras sucediere sucedieren sucedieres sucedieron sucediese
+sucediesen sucedieses sucedimos sucedio sucediste sucedo sucesion sucesiva sucesivo sucesor sucesora
+sucesoras sucesores sucesoria sucesorio sucesos sucinda sucinta sucinte sucinto sudo sudoral sudores
+sudorosa sudoroso sudosa sudosas sudoso sudosos suela suelan suelas suelazo suelda sueldan sueldas
+suelde suelden sueldes sueldos sueles suelos sueltan sueltas sueltos suenan suenen suenes sueno
+sueros suerosa suerosas sueroso suerosos suertera suerteras suertero suerteros suertes suertuda
+suertudo sueñan sueñas sueñe sueñen sueñes suficiencia sufra sufraga sufrago sufrais sufran sufras
+sufren sufres sufri sufria sufriais sufrian sufrias sufrible sufrid sufrida sufridas sufridera
+sufridero sufridor sufridora sufridoras sufridores sufridos sufriera sufrieran sufrieras sufriere
+sufrieren sufrieres sufrieron sufriese sufriesen sufrieses sufrimientos sufrimos sufrio sufrira
+sufriran sufriras sufrire sufrireis sufriria sufririan sufririas sufris sufriste sufro sugerencias
+sugerente sugerentes sugeri sugeria sugeriais sugerian sugerias sugerid sugerida sugeridas sugerido
+sugeridor sugeridos sugerimos sugerira sugeriran sugeriras sugerire sugerireis sugeriria sugeririan
+sugeririas sugeris sugeriste sugesto sugiera sugieran sugieras sugieren sugirio suicidaba suicidaban
+suicidabas suicidado suicidais suicidamos suicidan suicidando suicidar suicidara suicidarais
+suicidaran suicidaras suicidare suicidareis suicidaren suicidares suicidaria suicidarian suicidarias
+suicidaron suicidas suicidase suicidasen suicidases suicidaste suicide suicideis suiciden suicides
+suicidios suicido suita suitas suizara suizaro suizas suizo suizon suizos sujetaba sujetaban
+sujetabas sujetad sujetada sujetadas sujetado sujetador sujetados sujetais sujetamos sujetan
+sujetando sujetar sujetara sujetaran sujetaras sujetare sujetaren sujetares sujetaria sujetaron
+sujetas sujetase sujetasen sujetases sujetaste sujete sujeteis sujeten sujetes sujetos sumaba
+sumaban sumabas sumaca sumacas sumad sumada sumadas sumado sumador sumados sumais sumamos suman
+sumando sumar sumara sumaran sumaras sumare sumaren sumares sumaria sumario sumaron sumarro sumas
+sumase sumasen sumases sumaste suministra suministraba suministrad suministrada suministrado
+suministrais suministran suministrar suministrara suministrare suministras suministrase suministre
+suministreis suministren suministres suministro summum supera superaba superaban superabas superable
+superad superada superadas superadita superadito superador superadora superadoras superadores
+superados superais superamos superan superando superante superara superarais superaran superaras
+superare superareis superaren superares superaria superarian superarias superaron superas superase
+superasen superases superaste superavit superba superbia superbo supere superego supereis superen
+superes superficial superficies superfina superfinas superfino superfinos superiora superioras
+superiorato supermercados superna supernas superno supernos supero superos superpon superven
+superviene supervine supervino supervisa supervisaba supervisad supervisada supervisado supervisais
+supervisan supervisar supervisara supervisare supervisas supervisase supervise superviseis
+supervisen supervises supervision superviso supervisora supervisoras supervisores superviva
+supervivan supervivas supervive superviven supervivencias supervives supervivi supervivia supervivid
+supervivio supervivir supervivis supervivo superyo superyos supierais supieramos supiere supiereis
+supieren supieres supieron supiese supiesen supieses supimos supina supinas supino supinos supisteis
+supita supitas supito supitos supla suplais suplan suplas suple suplen suples supli suplia supliais
+suplian suplias suplica suplicaba suplicad suplicada suplicado suplicais suplican suplicar suplicara
+suplicare suplicas suplicase suplicio suplicios suplid suplida suplidas suplido suplidor suplidos
+supliera supliere supliese suplimos suplio suplique suplir suplira supliran supliras suplire
+supliria suplis supliste suplo supon supondra supondre suponed suponedor suponeis suponemos suponen
+supones suponga supongais supongan supongas suponia suponian suponias suporta suporte suporto supra
+supremacia supremas supremos supresor suprima suprime suprimi suprimo suprior supuesta supuestas
+supuestos supura supurad supuran supurar supuras supure supuren supures supuro supuso suputa suputad
+suputan suputar suputas supute suputen suputes suputo surfs surge surgen surges surgi surgia
+surgiais surgian surgias surgid surgido surgidor surgiera surgiere surgiese surgimos surgio surgir
+surgira surgiran surgiras surgire surgiria surgis surgiste susana susano susidio suspenda suspendais
+suspendan suspendas suspende suspended suspendeis suspenden suspender suspendera suspendere
+suspendes suspendi suspendia suspendiais suspendian suspendias suspendida suspendidas suspendidos
+suspendiera suspendiere suspendiese suspendimos suspendio suspendiste suspendo sustanciaba
+sustanciaban sustanciabas sustanciad sustanciada sustanciadas sustanciado sustanciados sustanciais
+sustancial sustanciales sustanciamos sustancian sustanciando sustanciar sustanciara sustanciaran
+sustanciaras sustanciare sustanciaren sustanciares sustanciaria sustanciaron sustancias sustanciase
+sustanciasen sustanciases sustanciaste sustancie sustancieis sustancien sustancies sustancio
+sustanciosa sustancioso sustos sustrae suyate suyates taba tabacal tabachin tabacon tabacones
+tabacos tabacosa tabacosas tabacoso tabacosos tabaiba tabal tabalea tabalee tabaleo tabales tabanco
+tabano tabanos tabaola tabaque tabardo tabarra tabarro tabas tabasco tablaba tablaban tablabas
+tablacho tablad tablada tabladas tablado tablados tablais tablaje tablajes tablamos tablan tablando
+tablao tablaos tablar tablara tablaran tablaras tablare tablaren tablares tablaria tablaron tablas
+tablase tablasen tablases tablaste tablazo tablazon tablazos table tablea tableaba tablead tableada
+tableado tableais tablean tablear tableara tableare tableas tablease tablee tableeis tableen tablees
+tableis tablemos tablen tableo tableos tablera tableras tableria tablerias tableros tables tableta
+tabletas tabletea tabletee tableteo tableña tableñas tableño tableños tablizo tablo tablon tabloza
+tacon taconea taconee taconeo tacones tacos tacotal tale talea taleas taled taledes talega talegas
+talego talegos taleis talemos talen talente talentosa talentosas talentosos talentuda talentudo
+talero taleros talete taletes tallaba tallaban tallabas tallad tallada talladas tallado tallador
+tallados tallais tallamos tallan tallando tallar tallara tallaran tallaras tallare tallaren tallares
+tallaria tallarin tallaron tallas tallase tallasen tallases tallaste talle tallece talleced tallecen
+tallecer talleces talleci tallecia tallecio talleis tallemos tallen tallera talleras talleres
+tallero talleros talles tallezca tallezco tallo tallon tallos talluda talludo talvina tamagas tamal
+tamalea tamalee tamaleo tamales tamango tamara tamaral tamarao tamaras tamariz tamaña tamañas
+tamañita tamañito tamaños tamba tambara tambas tambera tambero tambo tambor tambora tambos tambre
+tambres tampax tampon tampones tanga tangaba tangad tangada tangado tangais tangan tangana tangano
+tangar tangara tangare tangas tangase tange tangen tanges tangi tangia tangian tangias tangid
+tangida tangido tangio tangir tangira tangire tangis tangon tangones tangos tangue tanguea tanguee
+tanguen tangueo tangues tanqueis tanquemos tanquen tanqueta tanquetas tantalio tantalo tantalos
+tantan tantanes tantaran tantea tantead tantean tantear tanteas tantee tanteen tantees tanteo
+tanteos tantica tantico tantra tantras tapaba tapaban tapabas tapad tapada tapadas tapado tapador
+tapados tapais tapalo tapalos tapamos tapan tapando tapar tapara taparan taparas tapare taparea
+taparee taparen tapareo tapares taparia taparo taparon taparos tapas tapase tapasen tapases tapaste
+tapate tapates tapatia tapatio tapazo tapazos tara taraba taraban tarabas tarace taracea taracee
+taracen taraceo taraces taracol tarad tarada taradas taradez tarados tarafe taragon tarais taraje
+tarajes tarama taramas taramos taran tarando taranta tarar tarara tararan tararas tarare tararea
+tararee tararen tarareo tarares tarari tararia tararis tararon taras tarasa tarasas tarasca tarasco
+tarase tarasen tarases tarasi tarasis taraste taray tarayal tarayes taraza tarazad tarazan tarazar
+tarazas tarazo tarazon tardaba tardaban tardabas tardad tardado tardador tardais tardamos tardan
+tardana tardanas tardando tardano tardanos tardanza tardara tardarais tardaran tardaras tardare
+tardareis tardaren tardares tardaria tardarian tardarias tardaron tardas tardase tardaseis tardasen
+tardases tardasteis tardea tardeaba tardead tardeada tardeado tardeais tardean tardear tardeara
+tardeare tardeas tardease tardece tardecen tardecer tardecia tardecio tardee tardeeis tardeen
+tardees tardeis tardemos tarden tardeo tardezca tardia tardias tardio tardios tardo tardon tardona
+tardos tare tarechi tareco tarecos tareero tareis taremos taren tares tarja tarjaba tarjad tarjada
+tarjado tarjais tarjan tarjar tarjara tarjare tarjas tarjase tarje tarjeis tarjemos tarjen tarjera
+tarjeras tarjero tarjeros tarjes tarjetea tarjetean tarjetear tarjeteas tarjetee tarjeteen tarjetees
+tarjeteo tarjeteos tarjetera tarjetero tarjo tartago tartagos tartaja tartajas tartajea tartajee
+tartajeo tartalea tartalee tartaleo tartan tartana tartanas tartanes tartano tartanos tartara
+tartaras tartarea tartareo tartari tartaris tartaro tartaros tartas tartera tartufo tatu tatua
+tatuaba tatuaban tatuabas tatuad tatuada tatuadas tatuado tatuados tatuais tatuajes tatuamos tatuan
+tatuando tatuar tatuara tatuaran tatuaras tatuare tatuaren tatuares tatuaria tatuaron tatuas tatuase
+tatuasen tatuases tatuaste tatue tatueis tatuejo tatuen tatues tatuo tatus taxis taxista tazaba
+tazaban tazabas tazad tazada tazadas tazado tazados tazais tazamos tazan tazando tazar tazara
+tazaran tazaras tazare tazaren tazares tazaria tazaron tazas tazase tazasen tazases tazaste tazaña
+teatina teatino teatral teatrera teatrero teatrica teatrico teatros techa techaba techad techada
+techado techais techan techar techara techare techas techase teche techeis techen teches techos
+tecnologa tecnologas tecnologia tecnologias tecnologica tecnologico tecnologo tecnologos teja tejaba
+tejaban tejabas tejad tejada tejadas tejados tejais tejamos tejan tejana tejanas tejando tejano
+tejanos tejar tejara tejaran tejaras tejare tejaren tejares tejaria tejaron tejaroz tejas tejase
+tejasen tejases tejaste teji tejia tejiais tejian tejias tejida tejidas tejidos tejiera tejiere
+tejiese tejillo tejimos tejio tejiste telamon telar telares telas telefax telefio telefios
+telefonazo telefonea telefonead telefonean telefonear telefoneas telefonee telefoneen telefonees
+telefonema telefoneo telefonia telefonias telefonica telefonico telefonos telefoto telefotos telega
+telegas telegrafia telegrafie telegrafio telegrafo telegrafos telegramas telele teleles telenda
+telendo telera teleras telerin telero teleron teleros teles teleta teletas teleton televisa
+televisaba televisad televisada televisado televisais televisan televisar televisara televisare
+televisas televisase televise televiseis televisen televises television televisiva televisivas
+televisivo televisivos televiso televisores televisual telex teleña teleñas teleño teleños tell
+telles tellina telliz telliza temaba temaban temabas temad temado temais temamos teman temando temar
+temara temaran temaras temare temaren temares temaria temario temaron temascal temase temaseis
+temasen temases temaste tembla temblaba temblaban temblabas temblad temblada tembladal tembladas
+temblado temblador temblados temblais temblamos temblante temblantes temblar temblara temblaran
+temblaras temblare temblaren temblares temblaria temblaron temblas temblase temblasen temblases
+temblaste temed temedor temeis tememos temera temeran temeras temere temereis temeria temerian
+temerias temeron temerona temerosa temeroso temores temosa temosas temoso temosos tempana tempane
+tempano tempate tempera temperaturas tempere tempero templa templaba templad templada templado
+templais templan templar templara templare templas templase temple templeis templen temples templete
+templos tempo tempora temporadas temporales temporalice temporaliza temporalizo temporanea
+temporaneo temporaria temporario temporas temporeja temporeje temporejo temporera temporero
+temporice temporil temporiza temporizo tempos temprana tempranal tempranas tempranea tempranead
+tempranean tempranear tempraneas tempranee tempraneen tempranees tempraneo tempranera tempranero
+tempranito tempranos tendais tendajo tendal tende tendea tendead tendean tendear tendeas tended
+tendee tendeen tendees tendeis tendel tendeo tender tendera tendere tendero tendes tendi tendia
+tendian tendias tendida tendido tendio tendon tendra tendran tendras tendre tendreis tendria
+tendrian tendrias tene tened tenedor teneis teneres teneria tenerias tenes tenesmo tengais tengue
+tengues teniais teniamos tenian teniasis tenida tenidas tenidos tenienta tenientas tenientes tenio
+tenios tenique tenista tenistas tensa tensaba tensad tensada tensado tensais tensan tensar tensara
+tensare tensas tensase tense tenseis tensen tenses tensina tensinas tensino tensinos tension
+tensiona tensione tensiono tenson tensones tensor tensora tensoras tensores tensos tentacion
+tentaculo teorema teoria teorias teorica teorice teorico teoriza teorizo teque teques tequeña
+tequeño tequiche tequilas tequilazo tequilazos tequilea tequilead tequilean tequilear tequileas
+tequilee tequileen tequilees tequileo tequilera tequilero tequio tequios tequiosa tequioso terapea
+terapead terapean terapear terapeas terapee terapeen terapees terapeo terapiaba terapiaban
+terapiabas terapiad terapiada terapiadas terapiado terapiados terapiais terapiamos terapian
+terapiando terapiar terapiara terapiaran terapiaras terapiare terapiaren terapiares terapiaria
+terapiaron terapias terapiase terapiasen terapiases terapiaste terapie terapieis terapien terapies
+terapio terca tercas tercena tercenas tercenca tercenco terceras tercerea terceread tercerean
+tercerear tercereas terceree tercereen tercerees tercereo terceria tercerias tercerol tercerola
+tercerolas terceroles terceros terceto tercetos tercia terciad tercian terciar tercias tercie
+tercien tercies tercio tercios terco tercos teredo teredon teredos terenca terenco terenga terengo
+tereque terere tereres teresas terete teretes terma termal termas termes termia termias termica
+termicas termico termicos termidor terminaba terminaban terminabas terminable terminacho terminad
+terminadas terminador terminadora terminadoras terminadores terminados terminais terminajo
+terminajos terminales terminando terminante terminantes terminara terminarais terminaran terminaras
+terminare terminareis terminaren terminares terminaria terminarian terminarias terminas terminase
+terminaseis terminasen terminases terminasteis termineis terminos terminote terminotes termita
+termitas termite termites termo termos terraba terrada terrado terraja terraje terral terraza
+terrazo terrea terreaba terread terreado terreais terrean terrear terreara terreare terreas terrease
+terrece terreced terrecen terrecer terreces terreci terrecia terrecio terree terreeis terreen
+terrees terregal terremotea terremotead terremotean terremotear terremoteas terremotee terremoteen
+terremotees terremoteo terremotos terrena terrenal terrenas terrenos terreo terreos terrera terreras
+terreria terrero terreros terrestres terrezca terrezco terreña terreñas terreño terreños terribleces
+terriblez terribleza terriblezas terrina terrinas terrino terrinos territorial territorios terriza
+terrizas terrizo terrizos terrollo terron terrones terrores terrorismos terrosa terrosas terroso
+terrosos terruño teso teson tesones tesonia tesorera tesorero tesos testa testaba testad testada
+testado testais testamentos testan testar testara testare testas testase teste testea testead
+testean testear testeas testee testeen testees testeis testen testeo testeos testera testero testes
+testiguar testimonia testimoniaba testimoniad testimoniada testimoniado testimoniais testimonial
+testimonian testimoniar testimoniara testimoniare testimonias testimoniase testimonie testimonieis
+testimonien testimoniera testimoniero testimonies testimonios testo teston testudo testuz testuzo
+teta tetaba tetaban tetabas tetad tetada tetadas tetado tetados tetais tetamen tetamos tetan tetando
+tetania tetano tetanos tetar tetara tetaran tetaras tetare tetaren tetares tetaria tetaron tetase
+tetaseis tetasen tetases tetaste texana texanas texano texanos textal textil textoria textorio
+textos textual textura tiburon tiburoneo tiburoneos tiembla tiemble tiemblo tiempal tiempla tiemplan
+tiemplas tiemple tiemplen tiemples tiemplo tiendan tiende tienden tiendera tiendero tiendes tiendo
+tienta tientan tientas tiente tienten tientes tiento tientos tierna tiernas tiernos tierral
+tierrales tierrero tierrosa tierroso tierruda tierrudo tigra tigras tigresa tigresas tigrito tijera
+tijerada tijeral tijerales tijerazo tijerazos tijerea tijeread tijerean tijerear tijereas tijeree
+tijereen tijerees tijereo tijereta timba timbal timbas timbea timbead timbean timbear timbeas timbee
+timbeen timbees timbeo timbo timbois timbon timbona timbos timboy timbra timbraba timbrad timbrada
+timbrado timbrais timbran timbrar timbrara timbrare timbras timbrase timbrazo timbrea timbreas
+timbreis timbremos timbren timbreo timbreos timbres timbrica timbrico timbro time timeis timemos
+timen tinaco tinacos tinada tinadas tinado tinador tinados tinaja tinajas tinajon tinapa tinapas
+tinas tintaba tintaban tintabas tintad tintada tintadas tintado tintados tintais tintamos tintan
+tintando tintar tintara tintaran tintaras tintare tintaren tintares tintaria tintaron tintas tintase
+tintasen tintases tintaste tinte tinteis tinten tintero tintes tintin tintina tintine tintino tinto
+tintoco tintor tintos tintura tinture tinturo tipoi tipois tipoy tipoyes tiraba tiraban tirabas
+tiracol tirad tirada tiradas tiradera tiradero tiradora tiradoras tiradores tirados tirais tiraje
+tirajes tirajo tirajos tiramos tiran tirana tiranas tirania tiranias tiranica tiranice tiranico
+tiraniza tiranizo tirano tiranos tiranta tirantas tirante tirantea tirantee tiranteo tirantes
+tirantez tirapie tirara tirarais tiraran tiraras tirare tirareis tiraren tirares tiraria tirarian
+tirarias tiraron tirase tiraseis tirasen tirases tirasteis tireis tirela tirelas tiremos tireta
+tiretas tiria tirias tiricia tirilla tirio tirios tirita tiritaba tiritad tiritado tiritais tiritan
+tiritar tiritara tiritare tiritas tiritase tiritaña tiritaño tirite tiriteis tiriten tiritera
+tirites tirito tiriton tiritona tiroles tiron tirona tironas tironea tironee tironeo tirones
+tirosina tirotea tiroteaba tirotead tiroteada tiroteado tiroteais tirotean tirotear tiroteara
+tiroteare tiroteas tirotease tirotee tiroteeis tiroteen tirotees tiroteos titos toallero toalleta
+tobiana tobiano tobillera tobillero tobillos tocabais tocabamos tocaban tocabas tocable tocables
+tocad tocada tocadas tocador tocadora tocadoras tocadores tocados tocadura tocais tocamos tocante
+tocantes tocara tocarais tocaran tocaras tocare tocareis tocaren tocares tocaria tocarian tocarias
+tocario tocarios tocaron tocase tocaseis tocasen tocases tocaste tocata tocatas tocaya tocayas
+tocayo tocayos tocia tocias tocinera tocinero tocineta tocinos tocio tocios tococo tococos tocon
+tocona toconal toconas tocones tocorno tocos tocotin tocoyal todasana todopoderosa todopoderosas
+todopoderosos tomabais tomabamos tomaban tomabas tomad tomada tomadas tomadero tomador tomadora
+tomadoras tomadores tomados tomadura tomaina tomais tomajon tomarais tomaramos tomaran tomaras
+tomare tomareis tomaren tomares tomaria tomarian tomarias tomase tomaseis tomasen tomases tomasteis
+tomatada tomatal tomatazo tomatera tomateras tomatero tomateros tomates tomaza tomazas tomeis
+tomento tomentos tomografia tomografias tomon tomona tomonas tomones tomos tonelada tonelaje
+tonelajes tonos tontada tontadas tontaina tontas tontea tonteaba tontead tonteado tonteais tontean
+tontear tonteara tonteare tonteas tontease tontedad tontee tonteeis tonteen tontees tonteo tontera
+tonteras tonteria tonterias tontina tontito tontuna toqueado toqueis toquemos toquera toqueras
+toqueria toquero toqueros toquetea toquetee toqueteo toqui toquido toquis tormentar tormentaria
+tormentario tormentila tormentin tormento tormentos tormentosa tormentoso tormera tormeras torna
+tornaba tornaban tornabas tornad tornada tornadas tornadera tornadero tornadiza tornadizo tornados
+tornadura tornais tornamos tornan tornando tornar tornara tornaran tornaras tornare tornaren
+tornares tornaria tornaron tornas tornase tornasen tornases tornasol tornaste tornatil tornavoz
+torne tornea torneaba tornead torneada torneado torneais tornean tornear torneara torneare torneas
+tornease tornee torneeis torneen tornees torneis tornemos tornen torneos tornera torneras torneria
+tornero torneros tornes tornesa tornesas torneses tornija torno tornos torogoz toroide toron torondo
+torones toronja toronjo toros torosa torosas toroso torosos torozon torpecer torpedad torpedea
+torpedead torpedean torpedear torpedeas torpedee torpedeen torpedees torpedeo torpedeos torpedera
+torpedero torpedo torpes torpeza torpezas torpida torpido torra torraba torrad torrada torrado
+torrais torran torrar torrara torrare torras torrase torrea torreaba torread torreada torreado
+torreais torrean torrear torreara torreare torreas torrease torree torreeis torreen torrees torreis
+torreja torrejas torrejon torremos torren torrente torreo torreon torrera torreras torrero torreros
+torreta torretas torrezno torrida torrido torrija torro tortada tortadas tortas tortazo tortazos
+tortea tortead tortean tortear torteas tortee torteen tortees tortel torteo tortera tortero tortita
+tortol tortola tortolo tortor tortugas tortuosa tortuoso torturaba torturaban torturabas torturad
+torturada torturadas torturado torturador torturados torturais torturamos torturan torturando
+torturar torturara torturaran torturaras torturare torturaren torturares torturaria torturaron
+torturas torturase torturasen torturases torturaste torture tortureis torturen tortures torturo
+totales totalice totaliza totalizo traba trababa trababan trababas trabad trabada trabadas trabado
+trabador trabados trabais trabajabais trabajabamos trabajaban trabajabas trabajad trabajada
+trabajadas trabajadero trabajadora trabajadoras trabajados trabajais trabajante trabajara
+trabajarais trabajaran trabajaras trabajare trabajareis trabajaren trabajares trabajaria trabajarian
+trabajarias trabajaron trabajase trabajaseis trabajasen trabajases trabajaste trabajeis trabajemos
+trabajen trabajera trabajeras trabajes trabajito trabajosa trabajosas trabajoso trabajosos trabal
+trabales trabamos traban trabanca trabanco trabando trabar trabara trabaran trabaras trabare
+trabaren trabares trabaria trabaron trabas trabase trabasen trabases trabaste trabazon trabe trabea
+trabeas trabeis traben trabes trabina trabo trabon trabuca trabuco traca tracala tracas trace
+traceis tracen traces tracia tracias tracio tracios tracoma tractar tracto tractor tractos tradicion
+tradicionales tradiciones traduccion traduce traducen traduces traduci traducia traduciais traducian
+traducias traducible traducid traducida traducidas traducidos traducimos traducir traducira
+traduciran traduciras traducire traduciria traducis traductor traduje tradujo traed traedor traeis
+traemos traera traeran traeras traere traereis traeres traeria traerian traerias trafica traficaba
+traficaban traficabas traficad traficado traficais traficamos trafican traficando traficar traficara
+traficaran traficaras traficare traficaren traficares traficaria traficaron traficas traficase
+traficasen traficases traficaste traga tragaba tragad tragada tragado tragais tragala tragan tragar
+tragara tragare tragas tragase tragaz tragedias tragica tragico tragon tragona tragonas tragonea
+tragonee tragoneo tragones tragonia trague traguea traguee traguen tragueo tragues traia traiais
+traian traias traicion traiciona traicionaba traicionaban traicionabas traicionad traicionada
+traicionadas traicionados traicionais traicionamos traicionan traicionando traicionar traicionara
+traicionaran traicionaras traicionare traicionaren traicionares traicionaria traicionaron traicionas
+traicionase traicionaseis traicionasen traicionases traicionasteis traicione traicioneis traicionen
+traicionera traicionero traiciones traiciono traida traidas traido traidora traidoras traidos
+traigais traigamos trailer trailla traille traillo traina trainas traite traites traiña traiñas
+trajana trajano trajea trajeaba trajead trajeada trajeado trajeais trajean trajear trajeara trajeare
+trajeas trajease trajee trajeeis trajeen trajees trajela trajelad trajelan trajelar trajelas trajele
+trajelen trajeles trajelo trajeo trajera trajerais trajeran trajeras trajere trajereis trajeren
+trajeres trajese trajeseis trajesen trajeses trajin trajina trajinad trajinan trajinar trajinas
+trajine trajinen trajines trajino trajinos trajisteis trama tramaba tramaban tramabas tramad tramada
+tramadas tramado tramador tramados tramais tramamos traman tramar tramara tramaran tramaras tramare
+tramaren tramares tramaria tramaron tramas tramase tramasen tramases tramaste trame trameis tramen
+trames tramita tramite tramito tramo tramojo tramos tramoya trampal trampales trampazo trampazos
+trampea trampead trampean trampear trampeas trampee trampeen trampees trampeo trampero tramposa
+tramposo tranca trancad trancan trancar trancas trance trancen trances trancha trancho tranco
+trancon trancos tranque tranquea tranquead tranquean tranquear tranqueas tranquee tranqueen
+tranquees tranqueis tranquen tranqueo tranquera tranquero tranques tranquil tranquilaba tranquilaban
+tranquilabas tranquilad tranquilada tranquiladas tranquilado tranquilados tranquilais tranquilamos
+tranquilan tranquilando tranquilar tranquilara tranquilaran tranquilaras tranquilare tranquilaren
+tranquilares tranquilaria tranquilaron tranquilas tranquilase tranquilasen tranquilases tranquilaste
+tranquile tranquileis tranquilen tranquiles tranquilice tranquilicen tranquilices tranquilidades
+tranquiliza tranquilizad tranquilizan tranquilizar tranquilizas tranquilizo tranquilla tranquillas
+tranquillo tranquillon tranquillos tranquiza tranquizas transa transad transan transar transas
+transe transen transes transferencial transferencias transferente transferentes transir transmigra
+transmigre transmigro transmisible transmision transmisora transmisoras transmisores transmita
+transmitan transmitas transmite transmiten transmites transmiti transmitia transmitid transmitio
+transmitir transmitis transmito transo transpolar transpon transpone transponed transponen
+transponer transpones transponga transpongo transponia transporta transportaba transportad
+transportada transportado transportais transportan transportar transportara transportare transportas
+transportase transporteis transportemos transporten transportes transporto tranvia tranvias tranza
+tranzad tranzan tranzar tranzas tranzo tranzon trasca trascas trascol trasdos trasecha traseche
+trasecho trasega trasegad trasegar trasegas trasego trasegue traseras trases trasga trasgas trasgo
+trasgos traslada trasladaba trasladad trasladada trasladado trasladais trasladan trasladar
+trasladara trasladare trasladas trasladase traslade trasladeis trasladen traslades traslados
+traslapa traslapad traslapan traslapar traslapas traslape traslapen traslapes traslapo traslapos
+traslata traslatas traslato traslatos trasloa trasload trasloan trasloar trasloas trasloe trasloen
+trasloes trasloo trasluce trasluci trasluz trasoi trasoia trasoid trasoir trasois trasoye trasoyo
+trasoña trasoñe trasoño traspie traspon traste trastea trastee trasteo trastes trasto trastos
+trasuda trasude trasudo trasve trasvea trasved trasven trasveo trasver trasves trasvi trasvio
+tratabais tratabamos trataban tratabas tratable tratables tratad tratada tratadas tratador tratadora
+tratadoras tratadores tratados tratais tratamientos tratante tratantes tratara tratarais trataran
+trataras tratare tratareis trataren tratares trataria tratarian tratarias tratase trataseis tratasen
+tratases tratasteis trateis tratemos trauco traucos traumas traves travesa travese traveso traviesa
+traviese travieso travista travistan travistas traviste travisten travistes travistio travisto travo
+trayecto treceava treceavo trecen trecena trecenas trecenes treceno trecenos treces trecha trechas
+trechea trechee trechel trecheo trecho trechor trechos treguas treilla treintas treintava treintavas
+treintavo treintavos treintañal treintena treinteno treinton treintona treme tremed tremedal tremeis
+trememos tremen tremendas tremendos tremer tremera tremeran tremeras tremere tremeria tremes
+tremeses trena trenada trenado trenas trenca trencas trence trencen trences treno trenos trenque
+trente trentes trenza trenzad trenzan trenzar trenzas trenzo treses tresna tresnal tresnar tribada
+tribal tribual tribui tribuia tribuian tribuias tribuid tribuida tribuido tribuir tribuira tribuire
+tribuis tribular tribulo tribulos tribuna tribunado tribunados tribunales tribunas tribunica
+tribunico tribuno tribunos tributa tributad tributan tributar tributas tribute tributen tributes
+tributo tributos tribuya tribuyan tribuyas tribuye tribuyen tribuyes tribuyo trina trinaba trinad
+trinado trinais trinan trinar trinara trinare trinas trinase trinca trincad trincan trincar trincas
+trincha trinche trincho trinco trine trineis trinemos trinen trineos trines trino trinos trinque
+tripa tripada tripadas triparta triparte triparti triparto tripastos tripe tripera tripero tripes
+tripie tripies tripili tripla triplano triplas triples tripleta tripletas triplete tripletes triplex
+triplica triplice triplico triplo triplos tripode tripol tripoli tripon tripona tripuda tripudo
+tripula tripulacion tripule tripulo tris trisa trisaba trisad trisado trisais trisan trisar trisara
+trisare trisas trisase trisca triscad triscan triscar triscas trisco trise triseca triseco triseis
+trisen trises trismo trismos triso trisque tristezas triston tristona tristor tristura triunfa
+triunfaba triunfad triunfado triunfais triunfal triunfan triunfar triunfara triunfare triunfas
+triunfase triunfe triunfeis triunfen triunfes triunfos trofeos trofica trofico trona tronaba tronad
+tronada tronado tronais tronar tronara tronare tronas tronase tronca troncaba troncad troncada
+troncado troncais troncal troncan troncar troncara troncare troncas troncase tronce tronceis troncen
+tronces troncha tronchad tronchan tronchar tronchas tronche tronchen tronches troncho tronchos
+troncon troncones troncos trone troneis tronera tronere tronero tronga tronica tronido tronio
+tronios tronos tronque tronza tronzad tronzan tronzar tronzas tronzo tronzos tropece tropel tropero
+tropeza tropezo tropica tropico tropo tropos troyana troyanas troyano troyanos troza trozaba trozad
+trozada trozado trozais trozan trozar trozara trozare trozas trozase truca trucaba trucad trucada
+trucado trucais trucaje trucan trucar trucara trucare trucas trucase trucha truchas trucho truchos
+true trueca truecan truecas trueco truecos truena truenan truenas truene truenen truenes truenos
+trueque trues trumao trumaos tuberia tuberias tuberosa tuberoso tumbaba tumbaban tumbabas tumbad
+tumbada tumbadas tumbado tumbador tumbados tumbaga tumbagas tumbagon tumbais tumbal tumbales
+tumbamos tumban tumbando tumbar tumbara tumbaran tumbaras tumbare tumbaren tumbares tumbaria
+tumbaron tumbase tumbaseis tumbasen tumbases tumbaste tumbazon tumbe tumbeis tumben tumbes tumbo
+tumbon tumbona tumbos tumo tumoral tumores tumorosa tumoroso tumos turismo turismos turista
+turistica turistico turna turnaba turnad turnada turnado turnais turnan turnar turnara turnare
+turnas turnase turne turneis turnemos turnen turnes turnia turnias turnio turnios tuvierais
+tuvieramos tuviere tuviereis tuvieren tuvieres tuvieseis tuviesemos tuviesen tuvieses tuvisteis
+ubicacion ultimaba ultimaban ultimabas ultimad ultimada ultimadas ultimado ultimador ultimados
+ultimais ultimamos ultiman ultimando ultimar ultimara ultimaran ultimaras ultimare ultimaren
+ultimares ultimaria ultimaron ultimas ultimase ultimasen ultimases ultimaste ultimato ultimatum
+ultime ultimeis ultimen ultimes ultimos unicas unicaule unicolor unicos unid unida unidor unidora
+unidoras unidores uniforma uniformaba uniformad uniformada uniformado uniformais uniforman uniformar
+uniformara uniformare uniformas uniformase uniformeis uniformemos uniformen uniformice uniformiza
+uniformizo uniformo unira uniran uniras unire unireis uniria unirian unirias unitiva unitivo
+universa universales universalice universaliza universalizo universas universidades universitaria
+universitarias universitarios universos urge urgen urgentes urges usabais usabamos usaban usabas
+usad usadas usador usadora usadoras usadores usados usanza usanzas usara usarais usaran usaras
+usarce usarced usare usareis usaren usares usaria usarian usarias usase usaseis usasen usases
+usasteis usencia uste util utilera utilero utiles utilice utilicen utilices utilidad utilizaba
+utilizaban utilizabas utilizable utilizad utilizada utilizadas utilizados utilizais utilizamos
+utilizan utilizando utilizara utilizarais utilizaran utilizaras utilizare utilizareis utilizaren
+utilizares utilizaria utilizarian utilizarias utilizaron utilizas utilizase utilizasen utilizases
+utilizaste utilizo vacaba vacaban vacabas vacacion vacaciona vacacionaba vacacionad vacacionado
+vacacionais vacacional vacacionan vacacionar vacacionara vacacionare vacacionas vacacionase
+vacacione vacacioneis vacacionemos vacacionen vacaciono vacad vacada vacadas vacado vacais vacaje
+vacajes vacamos vacan vacando vacante vacar vacara vacarai vacaran vacaras vacaray vacare vacaren
+vacares vacari vacaria vacaris vacaron vacase vacaseis vacasen vacases vacaste vade vadea vadeaba
+vadead vadeada vadeado vadeais vadean vadear vadeara vadeare vadeas vadease vadee vadeeis vadeen
+vadees vadeo vadera vaderas vades vagabunda vagabundas vagabundea vagabundead vagabundean
+vagabundear vagabundeas vagabundee vagabundeen vagabundees vagabundeo vagabundeos vagabundos vagido
+vagidos vaginal vaginales vaginas vagon vagones vagos valed valedor valeis valemos valencia valentia
+valentias valentina valentinas valentino valentinos valenton valentona valenza valer valeres valet
+valets valgais valgamos valgan valgas valgo valgos valgus vali valia valiais valian valias valiato
+valida validad validan validar validas valide validen valides validez valido validos valiendo
+valiera valieran valieras valiere valieren valieres valieron valies valiese valiesen valieses valija
+valijas valimos valio valiosas valiosos valis valiste vallaba vallaban vallabas vallad vallada
+valladar valladas valladea valladee valladeo vallado vallados vallais vallamos vallan vallando
+vallar vallara vallaran vallaras vallare vallaren vallares vallaria vallaron vallas vallase vallasen
+vallases vallaste valleis vallemos vallen vallense valles valleña valleñas valleño valleños vallico
+vallo valluna valluno valon valona valonas valones valora valoraba valorad valorada valorado
+valorais valoran valorar valorara valorare valoras valorase valore valorea valoreaba valoread
+valoreada valoreado valoreais valorean valorear valoreara valoreare valoreas valorease valoree
+valoreeis valoreen valorees valoreis valoremos valoren valoreo valoria valorias valorice valoriza
+valorizo valoro vampiresa vampirica vampirice vampirico vampiriza vampirizo vanos vanova vanovas
+vapora vaporaba vaporad vaporada vaporado vaporais vaporan vaporar vaporara vaporare vaporas
+vaporase vapore vaporea vaporead vaporean vaporear vaporeas vaporee vaporeen vaporees vaporeis
+vaporen vaporeo vapores vaporice vaporiza vaporizo vaporo vaporosa vaporoso vaque vaquea vaqueaba
+vaquead vaqueada vaqueado vaqueais vaquean vaquear vaqueara vaqueare vaqueas vaquease vaquee
+vaqueeis vaqueen vaquees vaqueiro vaqueis vaquemos vaquen vaqueo vaquera vaqueras vaqueria vaquerias
+vaqueriza vaquerizo vaques vaqueta vaquetas vari varia variaba variaban variabas variable variad
+variada variadas variado variados variais variamos varian variando variante varianza variar variara
+variaran variaras variare variaren variares variaria variaron variase variaseis variasen variases
+variaste varice varices varie varieis varien varies varilla vario varis varita varitas variz varizo
+varizos vaticana vaticanas vaticanos vaticina vaticine vaticino vayais vece veceis vecemos vecen
+vecera veceras veceria vecero veceros vecinal vecinales vecinas vecindad vecindades vecindado
+vecindar vecindarios vega vegada vegadas vegana veganas vegano veganos veintava veintavo veinteava
+veinteavo veinten veintena veintenar veintenas veintenes veinteno veintenos veintes veinteñal
+veintiun velaba velaban velabas velacho velad veladas velado velador veladora velados veladura
+velahi velais velaje velajes velamen velamos velan velando velar velara velaran velaras velare
+velaren velares velaria velaron velarte velase velaseis velasen velases velaste velay velmez veloce
+veloces velocidades velocista velon velones velorio velorta velorto velos vena venable venablo
+venada venadas venadea venadee venadeo venado venador venados venaje venajes venal venales vence
+venced vencedor venceis vencejo vencejos vencemos vencen vencera venceran venceras vencere vencereis
+venceria vencerian vencerias vences venci vencia venciais vencian vencias vencible vencida vencidas
+vencidos venciera venciere venciese vencimos vencio venciste vendaba vendaban vendabas vendad
+vendada vendadas vendado vendados vendais vendaje vendajes vendal vendales vendamos vendan vendando
+vendar vendara vendaran vendaras vendare vendaren vendares vendaria vendaron vendas vendase vendasen
+vendases vendaste vendaval vended vendedera vendedora vendedoras vendedores vendeis vendeja vendejas
+vendemos vendera venderan venderas vendere vendereis venderia venderian venderias vendetta vendi
+vendia vendiais vendian vendias vendible vendida vendidas vendidos vendiera vendieran vendieras
+vendiere vendieren vendieres vendieron vendies vendiese vendiesen vendieses vendimia vendimie
+vendimio vendimos vendio vendis vendiste vendos vendra vendran vendras vendre vendreis vendria
+vendrian vendrias venduta veneciana venecianas veneciano venecianos venencia venenos venenosa
+venenosas venenoso venenosos venera venerad veneran venerar veneras venere venerea veneren venereo
+veneres venero veneros veneta venetas veneto venetos vengaba vengaban vengabas vengable vengad
+vengada vengadas vengado vengador vengados vengais vengamos vengando venganzas vengara vengarais
+vengaran vengaras vengare vengareis vengaren vengares vengaria vengarian vengarias vengaron vengase
+vengaseis vengasen vengases vengaste vengue venguen vengues veni venia veniais venial venian venias
+venida venidas venidera venidero venina venino venires venis ventaba ventaban ventabas ventad
+ventada ventadas ventado ventador ventados ventais ventaje ventajea ventajead ventajean ventajear
+ventajeas ventajee ventajeen ventajees ventajeo ventajera ventajero ventajosa ventajoso ventalla
+ventalle ventamos ventanaje ventanajes ventanal ventanales ventanazo ventanazos ventando ventanea
+ventanead ventanean ventanear ventaneas ventanee ventaneen ventanees ventaneo ventaneos ventanera
+ventanero ventanico ventano ventanos ventanuco ventar ventara ventaran ventaras ventare ventaren
+ventares ventaria ventaron ventase ventaseis ventasen ventases ventaste vente ventea ventead ventean
+ventear venteas ventee venteen ventees venteis venteo ventera ventero ventila ventilacion ventile
+ventilo vento ventola ventor ventora ventosa ventoso ventral ventril ventron ventura venturo veraces
+veran verana veranaba veranad veranada veranado veranais veranan veranar veranara veranare veranas
+veranase veranda verandas verane veranea veranead veranean veranear veraneas veranee veraneen
+veranees veraneis veranen veraneo veraneos veranera veranero veranes veranito veranos verata veratas
+verato veratos veraz verdacho verdaderas verdades verdal verdales verdasca verdea verdeaba verdead
+verdeada verdeado verdeais verdean verdear verdeara verdeare verdeas verdease verdece verdeced
+verdecen verdecer verdeces verdeci verdecia verdecio verdee verdeeis verdeen verdees verdegal
+verdegay verdeja verdejas verdejo verdejos verdel verdeles verdemar verdeo verdeos verderol verderon
+verdete verdetes verdezca verdezco verdial verdin verdina verdino verdon verdor verdosa verdoso
+verdoyo verdugal verdugo verdugon verdugos verdura verdusca verdusco vere vereda veredas veredictos
+vereis veres vergaceo vergajo vergajos vergas vergazal vergazo vergazos verge vergel verges vergeta
+vergon vergona vergonzosa vergonzosas vergonzosos vergoña verguea verguee vergueo verguia verguio
+verifica verificaba verificaban verificabas verificable verificad verificada verificadas verificado
+verificador verificados verificais verificamos verifican verificando verificara verificarais
+verificaran verificaras verificare verificareis verificaren verificares verificaria verificarian
+verificarias verificaron verificas verificase verificasen verificases verificaste verifico verificos
+verifique vermes vermu vermus vermut vermuts vernal versa versaba versad versada versado versais
+versal versan versar versara versare versas versase versea verseaba versead verseado verseais
+versean versear verseara verseare verseas versease versee verseeis verseen versees verseis versemos
+versen verseo verseria verses version versista verso versos versta verstas versuta versuto vertais
+vertebra vertebre vertebro verted vertedor verteis vertello vertemos verter vertera verteran
+verteras vertere verteria vertes verti vertia vertian vertias vertice vertida vertido vertigo vertio
+vestal veste vestes vesti vestia vestiais vestian vestias vestid vestidas vestidor vestidores
+vestidura vestigio vestiglo vestimos vestira vestiran vestiras vestire vestireis vestiria vestirian
+vestirias vestis vestiste vestuarios vestugo vetea veteaba vetead veteada veteado veteais vetean
+vetear veteara veteare veteas vetease vetee veteeis veteen vetees veteis vetemos veten veteo
+veterinaria veterinarias veterinarios vetes viajaba viajaban viajabas viajad viajada viajadas
+viajadera viajador viajadora viajadoras viajadores viajados viajais viajamos viajan viajante
+viajantes viajara viajarais viajaran viajaras viajare viajareis viajaren viajares viajaria viajarian
+viajarias viajaron viajas viajase viajasen viajases viajaste viajata viajatas viajeis viajemos
+viajen viajera viajeras viajero viajeros viajo vicepresidencia vicepresidenta vicepresidentas
+vicepresidentes victimaba victimaban victimabas victimad victimada victimadas victimado victimados
+victimais victimamos victiman victimando victimar victimara victimaran victimaras victimare
+victimaren victimares victimaria victimario victimaron victimase victimaseis victimasen victimases
+victimaste victime victimeis victimen victimes victimice victimiza victimizo victimo victo victorea
+victoread victorean victorear victoreas victoree victoreen victorees victoreo victores victoriana
+victorianas victoriano victorianos victorias victoriato victoriatos victoriosa victorioso victos
+vidarra vide vidente vides vidria vidriaba vidriad vidriada vidriado vidriais vidrian vidriar
+vidriara vidriare vidrias vidriase vidrie vidrieis vidrien vidriera vidriero vidries vidrios
+vidriosa vidriosas vidrioso vidriosos vidro viejales viejera viejita vienense vienenses vienesa
+vienesas vieneses vienta vientan vientas viente vienten vientes vientres vierais vieramos vieran
+viere viereis vieren vieres vierta viertan viertas vierte vierten viertes vierto vietnamita vigia
+vigiaba vigiad vigiada vigiado vigiais vigian vigiar vigiara vigiare vigias vigiase vigie vigieis
+vigien vigies vigilaba vigilaban vigilabas vigilad vigilada vigiladas vigilado vigilados vigilais
+vigilamos vigilan vigilancias vigilantes vigilara vigilarais vigilaran vigilaras vigilare vigilareis
+vigilaren vigilares vigilaria vigilarian vigilarias vigilaron vigilas vigilase vigilasen vigilases
+vigilaste vigile vigileis vigilen vigiles vigilia vigilias vigilo vigio vigion vigiona villaje
+villajes villana villanada villanaje villanas villania villanias villanos villar villares villas
+villazgo vinca vincas vincha vinchas vinco vincos vincula vincule vinculo vinica vinicas vinico
+vinicos viniebla viniente vinientes vinierais vinieramos vinieran viniere viniereis vinieren
+vinieres viniese viniesen vinieses vinillo vinilo vinilos vinisteis vinosa vinosas vinoso vinosos
+vinote vinotes viola violaba violaban violabas violacea violaceas violaceo violaceos violacion
+violad violada violadas violado violador violados violais violamos violan violando violara violarais
+violaran violaras violare violareis violaren violares violaria violarian violarias violaron violas
+violase violasen violases violaste viole violeis violemos violen violencias violentaba violentaban
+violentabas violentad violentada violentadas violentado violentados violentais violentamos violentan
+violentando violentar violentara violentaran violentaras violentare violentaren violentares
+violentaria violentaron violentas violentase violentasen violentases violentaste violente violenteis
+violenten violentes violero violeros violes violeta violetas violetera violetero violeto violetos
+violia violias violin violo violon virgaza virgenes virginal virginea virgineas virgineo virgineos
+virginiana virginianas virginiano virginianos virginias virginidades virgo virgos virgula virtual
+virtudes virtuosa virtuoso viruela virule viruta virutas visaba visaban visabas visad visada visadas
+visado visados visais visaje visajes visamos visan visando visar visara visaran visaras visare
+visaren visares visaria visaron visas visase visasen visases visaste visible visillo vision visiona
+visionaba visionad visionada visionado visionais visionan visionar visionara visionare visionas
+visionase visione visioneis visionemos visionen visiono visir visires visitaba visitaban visitabas
+visitad visitada visitadas visitado visitador visitados visitais visitamos visitan visitando
+visitante visitara visitarais visitaran visitaras visitare visitareis visitaren visitares visitaria
+visitarian visitarias visitaron visitase visitaseis visitasen visitases visitaste visite visiteis
+visiten visiteo visiteos visitera visitero visites visito visiton visiva visivas visivo visivos
+vistada vistadas vistais vistamos vistan vistas vistazos vistea visteaba vistead visteado visteais
+vistean vistear visteara visteare visteas vistease vistee visteeis visteen vistees visteis visten
+visteo vistes vistio vistos vistosa vistosas vistoso vistosos visuales visualice visualiza visualizo
+visura visuras vita vitaba vitaban vitabas vitacea vitaceo vitad vitada vitadas vitado vitados
+vitais vitalice vitaliza vitalizo vitamina vitaminada vitaminadas vitaminado vitaminados vitaminica
+vitaminico vitamos vitan vitanda vitando vitar vitara vitaran vitaras vitare vitaren vitares vitaria
+vitaron vitas vitase vitasen vitases vitaste vitola vitolas vitor vitorea vitoree vitoreo vitores
+vitoria vitos viudal viudales viudas viudez viudita viudo viudos vivaba vivaban vivabas vivac
+vivaces vivacs vivad vivada vivadas vivado vivados vivais vivales vivamos vivan vivando vivaque
+vivar vivara vivaran vivaras vivare vivaren vivares vivaria vivaron vivase vivaseis vivasen vivases
+vivaste vivaz viveis vivemos vivencia vivera viveral viveras viveres vivero viveros vivez viveza
+vivezas vivi vivia viviais vivian vivias vivid vivida vividas vividera vividero vividor vividora
+vividoras vividores vividos vivienda viviendas vivientes viviera vivieran vivieras viviere vivieren
+vivieres vivieron viviese viviesen vivieses vivio vivira viviran viviras vivire vivireis vivires
+viviria vivirian vivirias vivis vivismo vivista viviste vivon vivona vivonas vivones vocea voceaba
+vocead voceada voceado voceais vocean vocear voceara voceare voceas vocease vocee voceeis voceen
+vocees vocejon voceo voceos vocera voceras voceria vocerio vocero voceron voceros vola volaba
+volaban volabas volad volada voladas voladera voladero voladita voladito voladiza voladizo volador
+voladoras voladores volados voladura volais volamos volandas volandera volandero volanta volantas
+volantazo volantea volanteaba volantead volanteada volanteado volanteais volantean volantear
+volanteara volanteare volanteas volantease volantee volanteeis volanteen volantees volanteo volantes
+volantin volantina volanton volantona volapie volara volarais volaran volaras volare volareis
+volaren volares volaria volarian volarias volaron volas volase volasen volases volaste volateo
+volatil volatin voluble volumenes volumine voluntades voluntaria voluntariado voluntarias
+voluntariosa voluntariosas voluntarioso voluntariosos voluntarismo voluntarista voluta volutas
+volvais volve volved volvedor volveis volvera volveran volveras volvere volvereis volveria volverian
+volverias volves volvi volvia volviais volvian volvias volvible volvierais volvieramos volvieran
+volvieras volviere volviereis volvieren volvieres volviese volviesen volvieses volvio volvisteis
+volvo volvos volvulo vomica vomicas vomico vomicos vomita vomitaba vomitaban vomitabas vomitad
+vomitada vomitadas vomitado vomitador vomitados vomitais vomitamos vomitan vomitando vomitara
+vomitarais vomitaran vomitaras vomitare vomitareis vomitaren vomitares vomitaria vomitarian
+vomitarias vomitaron vomitas vomitase vomitasen vomitases vomitaste vomite vomiteis vomitel vomiten
+vomitera vomites vomitiva vomitivo vomito vomiton vomitona vomitos vota votaba votaban votabas votad
+votada votadas votado votador votados votais votamos votan votando votante votara votarais votaran
+votaras votare votareis votaren votares votaria votarian votarias votaron votas votase votasen
+votases votaste vuelapie vuelas vuelca vuelcan vuelcas vuelco vuelcos vuele vuelen vueles vuelque
+vueltos vueluda vueludo vuesa vueso vulgacho vulgada vulgadas vulgado vulgados vulgares vulgarice
+vulgariza vulgarizo vulgo vulgos vulnera vulneraba vulnerabais vulneraban vulnerabas vulnerables
+vulnerad vulnerada vulneradas vulnerado vulnerados vulnerais vulneramos vulneran vulnerando vulnerar
+vulnerara vulneraran vulneraras vulnerare vulneraren vulnerares vulneraria vulnerario vulneraron
+vulneras vulnerase vulnerasen vulnerases vulneraste yaced yacedor yaceis yacemos yacen yacente yacer
+yacera yaceran yaceras yacere yaceria yaces yangues yanqui yarda yardero yates zapa zapaba zapaban
+zapabas zapad zapado zapador zapais zapalla zapallo zapamos zapan zapando zapar zapara zaparan
+zaparas zaparda zapare zaparen zapares zaparia zaparon zapas zapase zapasen zapases zapaste zapata
+zapatas zapatazo zapatea zapatead zapatean zapatear zapateas zapatee zapateen zapatees zapateo
+zapateos zapatera zapatero zapateta zapatilla zapatillazo zapatillazos zapatillera zapatillero
+zapatito zapatuda zapatudo zonal zonales zorras zorrea zorread zorrean zorrear zorreas zorree
+zorreen zorrees zorreo zorrera zorrero zorrino zorron zorrones zorronga zorrongo zorros zorruna
+zorruno zurita zuritas zurito zuritos zuriza zurizas
+`;
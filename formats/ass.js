@@ -0,0 +1,64 @@
+// Advanced SubStation Alpha (ASS) writer, for Matroska subtitle tracks
+
+import { TELETEXT_COLOURS } from '../core/teletext.js';
+import { cueLines, styledLines } from './cue.js';
+
+// Script resolution the style sizes are given in; players scale it to the video
+const PLAY_RES_X = 640;
+const PLAY_RES_Y = 360;
+
+// Cues from a region starting above this (percent of the height) are placed at the top with {\an8}
+const TOP_REGION = 50;
+
+// h:mm:ss.cc, ASS timestamps being in centiseconds
+const formatASSTime = (seconds) => {
+  const centiseconds = Math.round(seconds * 100);
+  const h = Math.floor(centiseconds / 360000);
+  const m = Math.floor((centiseconds % 360000) / 6000);
+  const s = Math.floor((centiseconds % 6000) / 100);
+  const cs = centiseconds % 100;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+};
+
+// ASS colours are &HBBGGRR&
+const assColour = (hex) => `&H${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}&`;
+
+// Braces start override blocks, so they cannot appear in the text
+const escapeASS = (text) => text.replace(/\{/g, '(').replace(/\}/g, ')');
+
+const dialogueText = (sub) => {
+  const escaped = { ...sub, lines: cueLines(sub).map(line => ({ ...line, text: escapeASS(line.text) })) };
+  const text = styledLines(escaped, {
+    colour: (line, lineText) => `{\\c${assColour(TELETEXT_COLOURS[line.colour])}}${lineText}{\\r}`,
+    italic: lineText => `{\\i1}${lineText}{\\i0}`
+  }).replace(/\n/g, '\\N');
+  return sub.region && sub.region.y < TOP_REGION ? `{\\an8}${text}` : text;
+};
+
+/**
+ * Subtitles as an ASS script in the teletext look: white text on black boxes,
+ * speaker colours as `\c` overrides, italics as `\i1` and cues from the top of
+ * the screen placed there.
+ */
+export const buildASS = (subtitles, { title = 'Subtitles' } = {}) => {
+  const events = subtitles
+    .map(sub => `Dialogue: 0,${formatASSTime(sub.start)},${formatASSTime(sub.end)},Default,,0,0,0,,${dialogueText(sub)}`)
+    .join('\n');
+
+  return `[Script Info]
+Title: ${escapeASS(title)}
+ScriptType: v4.00+
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+PlayResX: ${PLAY_RES_X}
+PlayResY: ${PLAY_RES_Y}
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,18,&H00FFFFFF,&H00FFFFFF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,3,2,0,2,20,20,16,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+${events}
+`;
+};
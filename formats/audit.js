@@ -0,0 +1,111 @@
+import { TELETEXT_COLOURS } from '../core/teletext.js';
+import { formatTime } from '../core/time.js';
+import { cueLines } from './cue.js';
+
+// Word confidences at or above these are shown as sure or likely; the rest as doubtful
+const SURE_CONFIDENCE = 85;
+const LIKELY_CONFIDENCE = 60;
+
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const confidenceClass = (confidence) => {
+  if (confidence >= SURE_CONFIDENCE) return 'sure';
+  if (confidence >= LIKELY_CONFIDENCE) return 'likely';
+  return 'doubtful';
+};
+
+const settingValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+const thumbnail = (label, shot) => {
+  if (!shot) return `<figure class="missing">No ${label.toLowerCase()} frame</figure>`;
+  return `<figure><img src="${escapeHtml(shot.image)}" alt="${label} frame"><figcaption>${label} ${formatTime(shot.time)}</figcaption></figure>`;
+};
+
+const frameWords = (frame) => {
+  if (!frame.words || frame.words.length === 0) return escapeHtml(frame.text.replace(/\n/g, ' / '));
+  return frame.words
+    .map(word => {
+      const { x0, y0, x1, y1 } = word.bbox;
+      return `<span class="${confidenceClass(word.confidence)}" title="${word.confidence.toFixed(0)}% at ${x0},${y0}-${x1},${y1}">${escapeHtml(word.text)}</span>`;
+    })
+    .join(' ');
+};
+
+const frameRows = (frames) => frames
+  .map(frame => `<tr><td>${formatTime(frame.time)}</td><td>${frame.confidence.toFixed(0)}%</td><td>${frameWords(frame)}</td></tr>`)
+  .join('\n');
+
+const cueSection = (cue, index) => {
+  const text = cueLines(cue)
+    .map(line => `<div style="color: ${TELETEXT_COLOURS[line.colour] || TELETEXT_COLOURS.white}">${escapeHtml(line.text)}</div>`)
+    .join('');
+  const thumbnails = cue.thumbnails || {};
+  const frames = cue.frames || [];
+  const corrections = (cue.corrections || [])
+    .map(({ from, to, rule }) => `<li>${escapeHtml(from)} → ${escapeHtml(to)} (${escapeHtml(rule)})</li>`)
+    .join('');
+
+  return `<section class="cue" id="cue-${index + 1}">
+<h2>${index + 1}. ${formatTime(cue.start)} → ${formatTime(cue.end)}${cue.confidence > 0 ? ` <span class="${confidenceClass(cue.confidence)}">${cue.confidence.toFixed(0)}%</span>` : ''}</h2>
+<div class="shots">${thumbnail('Start', thumbnails.start)}${thumbnail('End', thumbnails.end)}</div>
+<div class="text">${text}</div>
+${corrections ? `<p>Corrected:</p><ul>${corrections}</ul>` : ''}
+${frames.length > 0
+    ? `<details><summary>${frames.length} frame reading${frames.length === 1 ? '' : 's'}</summary><table><tr><th>Time</th><th>Confidence</th><th>Words</th></tr>
+${frameRows(frames)}
+</table></details>`
+    : '<p class="none">No frame readings (edited or imported cue)</p>'}
+</section>`;
+};
+
+/**
+ * A self-contained HTML page for reviewing an extraction without the video:
+ * each cue with its region at its first and last frame, its text in its
+ * teletext colours, the OCR corrections made and every frame reading with
+ * word confidences (hover a word for its confidence and bounding box).
+ */
+export const buildAuditReport = (subtitles, settings, { videoName, savedAt = new Date().toISOString() } = {}) => {
+  const settingRows = Object.entries(settings)
+    .map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(settingValue(value))}</td></tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Subtitle audit${videoName ? ` - ${escapeHtml(videoName)}` : ''}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+h1 { margin-bottom: 0.25rem; }
+h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+table { border-collapse: collapse; font-size: 0.85rem; }
+th, td { text-align: left; padding: 0.15rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+.cue { border: 1px solid #d1d5db; border-radius: 0.5rem; padding: 0.75rem; margin: 1rem 0; }
+.shots { display: flex; gap: 0.5rem; flex-wrap: wrap; }
+figure { margin: 0; font-size: 0.75rem; color: #6b7280; }
+figure img { display: block; max-width: 320px; border: 1px solid #9ca3af; }
+.missing { width: 320px; padding: 1rem 0; text-align: center; background: #f3f4f6; }
+.text { display: inline-block; margin: 0.5rem 0; padding: 0.25rem 0.75rem; background: #000; font-family: monospace; font-size: 1.1rem; }
+.sure { color: #15803d; }
+.likely { color: #b45309; }
+.doubtful { color: #b91c1c; font-weight: bold; }
+.none { color: #9ca3af; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>Subtitle audit</h1>
+<p>${videoName ? `${escapeHtml(videoName)}, ` : ''}${subtitles.length} subtitles, generated ${escapeHtml(savedAt)}</p>
+<details><summary>Extraction settings</summary><table>
+${settingRows}
+</table></details>
+${subtitles.map(cueSection).join('\n')}
+</body>
+</html>
+`;
+};
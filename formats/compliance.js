@@ -0,0 +1,44 @@
+// Guideline compliance reports, from validateSubtitles() results
+
+export const buildComplianceJSON = (subtitles, report, guidelines) => {
+  return JSON.stringify({
+    guidelines,
+    summary: report.summary,
+    cues: subtitles.map((cue, index) => ({
+      index: index + 1,
+      start: cue.start,
+      end: cue.end,
+      text: cue.text,
+      issues: report.results[index]
+    }))
+  }, null, 2);
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : value);
+
+// One row per issue, times in seconds; cues without issues are left out
+export const buildComplianceCSV = (subtitles, report) => {
+  const rows = [['cue', 'start', 'end', 'rule', 'severity', 'value', 'limit', 'message', 'text']];
+  report.results.forEach((issues, index) => {
+    const cue = subtitles[index];
+    issues.forEach(issue => {
+      rows.push([
+        index + 1,
+        round(cue.start),
+        round(cue.end),
+        issue.rule,
+        issue.severity,
+        round(issue.value),
+        issue.limit,
+        issue.message,
+        cue.text.replace(/\n/g, ' / ')
+      ]);
+    });
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+};
@@ -0,0 +1,60 @@
+import { classifyCue } from '../core/classify.js';
+
+// Lines of a cue, falling back to its plain text for cues without line data
+export const cueLines = (sub) => {
+  if (sub.lines && sub.lines.length > 0) return sub.lines;
+  return sub.text.split('\n').map(text => ({ text, colour: 'white' }));
+};
+
+/**
+ * The cue's lines as markup: `label(span)` wraps sound effect and music spans
+ * (see `classifyCue`), `italic(text)` italic lines and `colour(line, text)`
+ * lines in a speaker colour; white is the teletext default, so it gets none.
+ * A styling without a wrapper is written as plain text. `escape(text)` is
+ * applied to the text of every span before it is wrapped.
+ */
+export const styledLines = (sub, { colour, italic, label, escape = text => text }) => {
+  return classifyCue(sub).lines
+    .map(line => {
+      let text = line.spans
+        .map(span => ({ ...span, text: escape(span.text) }))
+        .map(span => (label && span.kind !== 'speech' ? label(span) : span.text))
+        .join('');
+      if (italic && line.italic) text = italic(text);
+      if (colour && line.colour && line.colour !== 'white') text = colour(line, text);
+      return text;
+    })
+    .join('\n');
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+/**
+ * Cue from the text of a parsed SRT or WebVTT block. Tags and `{\an8}`-style
+ * overrides are stripped; `colourOf(line)` names the speaker colour of a
+ * line from its markup, or returns null for white.
+ */
+export const cueFromMarkup = (start, end, markup, colourOf) => {
+  const lines = markup.split('\n')
+    .map(line => ({
+      text: line
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity])
+        .trim(),
+      colour: colourOf(line) || 'white',
+      italic: /<i>/i.test(line)
+    }))
+    .filter(line => line.text);
+  return { start, end, text: lines.map(line => line.text).join('\n'), lines, confidence: 0 };
+};
+
+// Blank-line separated blocks of a subtitle text file, without a byte order mark
+export const textBlocks = (text) => {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/)
+    .map(block => block.trim())
+    .filter(block => block);
+};
@@ -0,0 +1,442 @@
+// EBU STL (EBU Tech 3264) writer and reader for teletext subtitle files
+
+import { LANGUAGE_PROFILES, primaryLanguage } from '../core/languages.js';
+
+import { cueLines } from './cue.js';
+
+const GSI_SIZE = 1024;
+const TTI_SIZE = 128;
+const TEXT_FIELD_SIZE = 112;
+
+// Teletext control codes used in the TTI text field
+const CONTROL = {
+  endBox: 0x0a,
+  startBox: 0x0b,
+  normalHeight: 0x0c,
+  doubleHeight: 0x0d,
+  newLine: 0x8a,
+  unused: 0x8f
+};
+
+const ALPHA_COLOURS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+const JUSTIFICATION = {
+  left: 1,
+  center: 2,
+  right: 3
+};
+
+// Latin code table (CCT 00, ISO 6937) characters outside plain ASCII
+const LATIN_CHARACTERS = {
+  0x24: '¤',
+  0xa1: '¡',
+  0xa2: '¢',
+  0xa3: '£',
+  0xa4: '$',
+  0xa5: '¥',
+  0xa6: '#',
+  0xa7: '§',
+  0xa9: '‘',
+  0xaa: '“',
+  0xab: '«',
+  0xb0: '°',
+  0xb1: '±',
+  0xb2: '²',
+  0xb3: '³',
+  0xb4: '×',
+  0xb5: 'µ',
+  0xb6: '¶',
+  0xb7: '·',
+  0xb8: '÷',
+  0xb9: '’',
+  0xba: '”',
+  0xbb: '»',
+  0xbc: '¼',
+  0xbd: '½',
+  0xbe: '¾',
+  0xbf: '¿',
+  0xd0: '―',
+  0xd5: '♪',
+  0xe1: 'Æ',
+  0xe2: 'Đ',
+  0xe8: 'Ł',
+  0xe9: 'Ø',
+  0xea: 'Œ',
+  0xec: 'Þ',
+  0xf1: 'æ',
+  0xf3: 'ð',
+  0xf8: 'ł',
+  0xf9: 'ø',
+  0xfa: 'œ',
+  0xfb: 'ß',
+  0xfc: 'þ'
+};
+
+// Non-spacing diacritical prefixes and the Unicode combining marks they stand for
+const DIACRITICS = {
+  0xc1: '̀',
+  0xc2: '́',
+  0xc3: '̂',
+  0xc4: '̃',
+  0xc5: '̄',
+  0xc6: '̆',
+  0xc7: '̇',
+  0xc8: '̈',
+  0xca: '̊',
+  0xcb: '̧',
+  0xcd: '̋',
+  0xce: '̨',
+  0xcf: '̌'
+};
+
+const isDiacritic = (byte) => byte >= 0xc1 && byte <= 0xcf;
+
+// Split a cue's text into TTI text fields, never separating a diacritic from its letter
+const textFields = (bytes) => {
+  const fields = [];
+  let start = 0;
+  do {
+    let end = Math.min(start + TEXT_FIELD_SIZE, bytes.length);
+    if (end < bytes.length && isDiacritic(bytes[end - 1])) end -= 1;
+    fields.push(bytes.slice(start, end));
+    start = end;
+  } while (start < bytes.length);
+  return fields;
+};
+
+const invert = (table) => {
+  return Object.fromEntries(Object.entries(table).map(([code, char]) => [char, Number(code)]));
+};
+
+const LATIN_CODES = invert(LATIN_CHARACTERS);
+const DIACRITIC_CODES = invert(DIACRITICS);
+
+const pad = (value, length = 2) => value.toString().padStart(length, '0');
+
+export const parseTimecode = (timecode, frameRate = 25) => {
+  const match = /^(\d{1,2}):?(\d{2}):?(\d{2})[:;.]?(\d{2})$/.exec(String(timecode).trim());
+  if (!match) throw new Error(`Invalid timecode "${timecode}", expected HH:MM:SS:FF`);
+
+  const [h, m, s, f] = match.slice(1).map(Number);
+  if (f >= frameRate) throw new Error(`Frame ${f} is out of range for ${frameRate} fps`);
+  return ((h * 60 + m) * 60 + s) * frameRate + f;
+};
+
+export const formatTimecode = (frames, frameRate = 25, separator = ':') => {
+  const wrapped = ((frames % (24 * 3600 * frameRate)) + 24 * 3600 * frameRate) % (24 * 3600 * frameRate);
+  const f = wrapped % frameRate;
+  const totalSeconds = Math.floor(wrapped / frameRate);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = totalSeconds % 60;
+  return [h, m, s, f].map(n => pad(n)).join(separator);
+};
+
+const encodeText = (text) => {
+  const bytes = [];
+
+  for (const char of text.normalize('NFD')) {
+    const code = char.charCodeAt(0);
+
+    if (DIACRITIC_CODES[char] !== undefined && bytes.length > 0) {
+      // ISO 6937 puts the diacritic before its base letter
+      const base = bytes.pop();
+      bytes.push(DIACRITIC_CODES[char], base);
+    } else if (code >= 0x20 && code < 0x7f && char !== '$') {
+      bytes.push(code);
+    } else if (LATIN_CODES[char] !== undefined) {
+      bytes.push(LATIN_CODES[char]);
+    }
+  }
+
+  return bytes;
+};
+
+const decodeText = (bytes) => {
+  let text = '';
+  let diacritic = '';
+
+  bytes.forEach(byte => {
+    if (DIACRITICS[byte]) {
+      diacritic = DIACRITICS[byte];
+      return;
+    }
+
+    const char = LATIN_CHARACTERS[byte] || (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '');
+    text += char + diacritic;
+    diacritic = '';
+  });
+
+  return text.normalize('NFC');
+};
+
+const writeAscii = (buffer, offset, length, value) => {
+  const text = String(value).slice(0, length).padEnd(length, ' ');
+  for (let i = 0; i < length; i++) {
+    const code = text.charCodeAt(i);
+    buffer[offset + i] = code < 0x80 ? code : 0x20;
+  }
+};
+
+const readAscii = (buffer, offset, length) => {
+  return String.fromCharCode(...buffer.subarray(offset, offset + length)).trim();
+};
+
+// GSI field layout as [name, length], in file order
+const GSI_FIELDS = [
+  ['codePage', 3],
+  ['diskFormat', 8],
+  ['displayStandard', 1],
+  ['characterTable', 2],
+  ['languageCode', 2],
+  ['programmeTitle', 32],
+  ['episodeTitle', 32],
+  ['translatedProgrammeTitle', 32],
+  ['translatedEpisodeTitle', 32],
+  ['translatorName', 32],
+  ['translatorContact', 32],
+  ['subtitleListReference', 16],
+  ['creationDate', 6],
+  ['revisionDate', 6],
+  ['revisionNumber', 2],
+  ['totalTTIBlocks', 5],
+  ['totalSubtitles', 5],
+  ['totalGroups', 3],
+  ['maxCharacters', 2],
+  ['maxRows', 2],
+  ['timecodeStatus', 1],
+  ['startOfProgramme', 8],
+  ['firstInCue', 8],
+  ['totalDisks', 1],
+  ['diskSequence', 1],
+  ['countryOfOrigin', 3],
+  ['publisher', 32],
+  ['editorName', 32],
+  ['editorContact', 32],
+  ['spare', 75],
+  ['userDefinedArea', 576]
+];
+
+// Teletext rows run 1-23; double-height text takes two rows per line
+const rowFor = (sub, lineCount, doubleHeight) => {
+  const step = doubleHeight ? 2 : 1;
+  if (sub.row) return sub.row;
+
+  const region = sub.region || { y: 80, height: 20 };
+  if (region.y + region.height / 2 < 50) {
+    return Math.min(Math.max(1 + Math.round((region.y / 100) * 23), 1), 23);
+  }
+
+  const lastRow = Math.min(Math.max(Math.round(((region.y + region.height) / 100) * 23), 1), 23);
+  return Math.max(lastRow - lineCount * step + 1, 1);
+};
+
+const encodeLines = (lines, doubleHeight) => {
+  const bytes = [];
+
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      bytes.push(CONTROL.newLine);
+      if (doubleHeight) bytes.push(CONTROL.newLine);
+    }
+
+    const colour = ALPHA_COLOURS.indexOf(line.colour);
+    bytes.push(doubleHeight ? CONTROL.doubleHeight : CONTROL.normalHeight);
+    bytes.push(colour > 0 ? colour : ALPHA_COLOURS.indexOf('white'));
+    bytes.push(CONTROL.startBox, CONTROL.startBox);
+    bytes.push(...encodeText(line.text));
+    bytes.push(CONTROL.endBox, CONTROL.endBox);
+  });
+
+  return bytes;
+};
+
+/**
+ * Build an EBU STL file from the extracted subtitles.
+ *
+ * Options:
+ * - frameRate: 25 (STL25.01) or 30 (STL30.01)
+ * - startTimecode: programme start written to the GSI block and added to
+ *   every cue, e.g. '10:00:00:00'
+ * - doubleHeight: wrap each row in teletext double-height codes (default true)
+ * - language: OCR language code used for the GSI language field
+ * - programmeTitle, episodeTitle, publisher: optional GSI text fields
+ * - date: creation and revision date for the GSI block (default today)
+ */
+export const buildEBUSTL = (subtitles, options = {}) => {
+  const {
+    frameRate = 25,
+    startTimecode = '00:00:00:00',
+    doubleHeight = true,
+    language = 'eng',
+    programmeTitle = '',
+    episodeTitle = '',
+    publisher = '',
+    date = new Date()
+  } = options;
+
+  if (frameRate !== 25 && frameRate !== 30) {
+    throw new Error(`EBU STL supports 25 or 30 fps, not ${frameRate}`);
+  }
+
+  const startFrames = parseTimecode(startTimecode, frameRate);
+  const toFrames = (seconds) => startFrames + Math.round(seconds * frameRate);
+
+  const blocks = [];
+  subtitles.forEach((sub, index) => {
+    const lines = cueLines(sub);
+    const fields = textFields(encodeLines(lines, doubleHeight));
+
+    // Text longer than one text field continues in extension blocks
+    fields.forEach((field, chunk) => {
+      const block = new Uint8Array(TTI_SIZE).fill(CONTROL.unused, 16);
+      const tci = toFrames(sub.start);
+      const tco = Math.max(toFrames(sub.end), tci + 1);
+
+      block[0] = 0;
+      block[1] = (index + 1) & 0xff;
+      block[2] = ((index + 1) >> 8) & 0xff;
+      block[3] = chunk === fields.length - 1 ? 0xff : chunk;
+      block[4] = 0;
+      formatTimecode(tci, frameRate).split(':').forEach((part, i) => { block[5 + i] = Number(part); });
+      formatTimecode(tco, frameRate).split(':').forEach((part, i) => { block[9 + i] = Number(part); });
+      block[13] = rowFor(sub, lines.length, doubleHeight);
+      block[14] = JUSTIFICATION[sub.align] || JUSTIFICATION.center;
+      block[15] = 0;
+      block.set(field, 16);
+      blocks.push(block);
+    });
+  });
+
+  const yymmdd = `${pad(date.getFullYear() % 100)}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const maxCharacters = Math.max(40, ...subtitles.flatMap(sub => cueLines(sub).map(line => line.text.length)));
+  const gsiValues = {
+    codePage: '850',
+    diskFormat: frameRate === 30 ? 'STL30.01' : 'STL25.01',
+    displayStandard: '1',
+    characterTable: '00',
+    languageCode: (LANGUAGE_PROFILES[primaryLanguage(language)] || { stlCode: '00' }).stlCode,
+    programmeTitle,
+    episodeTitle,
+    creationDate: yymmdd,
+    revisionDate: yymmdd,
+    revisionNumber: '00',
+    totalTTIBlocks: pad(blocks.length, 5),
+    totalSubtitles: pad(subtitles.length, 5),
+    totalGroups: '001',
+    maxCharacters: pad(Math.min(maxCharacters, 99)),
+    maxRows: '23',
+    timecodeStatus: '1',
+    startOfProgramme: formatTimecode(startFrames, frameRate, ''),
+    firstInCue: formatTimecode(subtitles.length > 0 ? toFrames(subtitles[0].start) : startFrames, frameRate, ''),
+    totalDisks: '1',
+    diskSequence: '1',
+    countryOfOrigin: 'GBR',
+    publisher
+  };
+
+  const file = new Uint8Array(GSI_SIZE + blocks.length * TTI_SIZE);
+  let offset = 0;
+  GSI_FIELDS.forEach(([name, length]) => {
+    writeAscii(file, offset, length, gsiValues[name] || '');
+    offset += length;
+  });
+  blocks.forEach((block, index) => file.set(block, GSI_SIZE + index * TTI_SIZE));
+
+  return file;
+};
+
+/**
+ * Read an EBU STL file back into the subtitle list shape used by the
+ * exporters. Cue times are relative to the GSI start-of-programme timecode.
+ */
+export const parseEBUSTL = (input) => {
+  const buffer = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (buffer.length < GSI_SIZE) throw new Error('File is too short to contain an EBU STL GSI block');
+
+  const gsi = {};
+  let offset = 0;
+  GSI_FIELDS.forEach(([name, length]) => {
+    if (name !== 'spare' && name !== 'userDefinedArea') gsi[name] = readAscii(buffer, offset, length);
+    offset += length;
+  });
+
+  const formatMatch = /^STL(25|30)\.01$/.exec(gsi.diskFormat);
+  if (!formatMatch) throw new Error(`Unsupported EBU STL disk format "${gsi.diskFormat}"`);
+  const frameRate = Number(formatMatch[1]);
+  const startFrames = gsi.startOfProgramme ? parseTimecode(gsi.startOfProgramme, frameRate) : 0;
+
+  // Gather the text field of every block belonging to each subtitle number
+  const cues = new Map();
+  for (let position = GSI_SIZE; position + TTI_SIZE <= buffer.length; position += TTI_SIZE) {
+    const block = buffer.subarray(position, position + TTI_SIZE);
+    const subtitleNumber = block[1] | (block[2] << 8);
+    const extension = block[3];
+    const isComment = block[15] === 1;
+
+    // 0xFE marks user data blocks, which carry no subtitle text
+    if (isComment || extension === 0xfe) continue;
+
+    const toSeconds = (i) => {
+      const frames = ((block[i] * 60 + block[i + 1]) * 60 + block[i + 2]) * frameRate + block[i + 3];
+      return (frames - startFrames) / frameRate;
+    };
+
+    if (!cues.has(subtitleNumber)) {
+      cues.set(subtitleNumber, {
+        start: toSeconds(5),
+        end: toSeconds(9),
+        row: block[13],
+        align: Object.keys(JUSTIFICATION).find(key => JUSTIFICATION[key] === block[14]) || 'center',
+        bytes: []
+      });
+    }
+
+    const textField = [...block.subarray(16)];
+    while (textField.length > 0 && textField[textField.length - 1] === CONTROL.unused) textField.pop();
+    cues.get(subtitleNumber).bytes.push(...textField);
+  }
+
+  const subtitles = [...cues.values()].map(({ bytes, ...cue }) => {
+    const lines = [];
+    let line = null;
+    let pending = [];
+
+    const flush = () => {
+      if (line) {
+        line.text = decodeText(pending).trim();
+        if (line.text) lines.push(line);
+      }
+      line = null;
+      pending = [];
+    };
+
+    bytes.forEach(byte => {
+      if (byte === CONTROL.newLine) {
+        flush();
+        return;
+      }
+      if (!line) line = { text: '', colour: 'white', doubleHeight: false };
+
+      if (byte <= 0x07) {
+        line.colour = ALPHA_COLOURS[byte];
+        pending.push(0x20);
+      } else if (byte === CONTROL.doubleHeight) {
+        line.doubleHeight = true;
+      } else if (byte < 0x20 || (byte >= 0x80 && byte < 0xa0)) {
+        // Remaining spacing attributes and open-subtitle style codes
+      } else {
+        pending.push(byte);
+      }
+    });
+    flush();
+
+    return {
+      ...cue,
+      text: lines.map(l => l.text).join('\n'),
+      lines
+    };
+  });
+
+  return { gsi, frameRate, subtitles };
+};
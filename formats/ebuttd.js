@@ -0,0 +1,160 @@
+// EBU-TT-D (EBU Tech 3380) writer for the extracted subtitle list
+
+import { LANGUAGE_PROFILES, primaryLanguage } from '../core/languages.js';
+import { TELETEXT_COLOURS } from '../core/teletext.js';
+import { cueLines } from './cue.js';
+
+const escapeXml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const pad = (value, length = 2) => value.toString().padStart(length, '0');
+
+// The whole frame rate TTML declares and, for 23.976, 29.97 and 59.94 fps, the 1000/1001 multiplier to the exact rate
+const ttmlFrameRate = (frameRate) => {
+  const nominal = Math.round(frameRate * 1.001);
+  if (Math.abs(frameRate - nominal / 1.001) < 0.005) {
+    return { nominal, multiplier: '1000 1001', exact: nominal / 1.001 };
+  }
+  return { nominal: Math.round(frameRate), multiplier: null, exact: frameRate };
+};
+
+// Media time is hh:mm:ss.mmm; SMPTE time is hh:mm:ss:ff, counting frames at the exact rate in non-drop timecode
+export const formatTTMLTime = (seconds, timeBase = 'media', frameRate = 25) => {
+  if (timeBase === 'smpte') {
+    const { nominal: fps, exact } = ttmlFrameRate(frameRate);
+    const totalFrames = Math.round(seconds * exact);
+    const f = totalFrames % fps;
+    const totalSeconds = Math.floor(totalFrames / fps);
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    return `${pad(h)}:${pad(m)}:${pad(s)}:${pad(f)}`;
+  }
+
+  const totalMs = Math.round(seconds * 1000);
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
+};
+
+const formatPercent = (value) => `${Number(value.toFixed(2))}%`;
+
+/**
+ * Build an EBU-TT-D document from the extracted subtitles.
+ *
+ * Options:
+ * - timeBase: 'media' (default, EBU-TT-D) or 'smpte'. EBU-TT-D only allows
+ *   media time, so 'smpte' writes an EBU-TT Part 1 (Tech 3350) document.
+ * - frameRate: frames per second for the SMPTE timebase (default 25);
+ *   29.97 and the other 1000/1001 rates are written with
+ *   ttp:frameRateMultiplier, so their timecodes do not drift
+ * - language: OCR language code ('eng', 'fra', ...) or a BCP 47 tag
+ * - region: default { x, y, width, height } in percent for cues without one
+ */
+export const buildEBUTTD = (subtitles, options = {}) => {
+  const {
+    timeBase = 'media',
+    frameRate = 25,
+    language = 'eng',
+    region: defaultRegion = { x: 0, y: 80, width: 100, height: 20 }
+  } = options;
+
+  const profile = LANGUAGE_PROFILES[primaryLanguage(language)];
+  const lang = profile ? profile.tag : language;
+  const regions = new Map();
+
+  // One layout region per distinct on-screen position
+  const regionFor = (sub) => {
+    const r = sub.region || defaultRegion;
+    const x = Math.min(Math.max(r.x || 0, 0), 100);
+    const y = Math.min(Math.max(r.y, 0), 100);
+    const width = Math.min(r.width || 100, 100 - x);
+    const height = Math.min(r.height, 100 - y);
+    const key = `${x} ${y} ${width} ${height}`;
+
+    if (!regions.has(key)) {
+      regions.set(key, {
+        id: `region${regions.size + 1}`,
+        origin: `${formatPercent(x)} ${formatPercent(y)}`,
+        extent: `${formatPercent(width)} ${formatPercent(height)}`,
+        // Regions in the top half grow downwards, the rest sit on their bottom edge
+        displayAlign: y + height / 2 < 50 ? 'before' : 'after'
+      });
+    }
+    return regions.get(key).id;
+  };
+
+  const paragraphs = subtitles.map((sub, index) => {
+    const regionId = regionFor(sub);
+    const begin = formatTTMLTime(sub.start, timeBase, frameRate);
+    const end = formatTTMLTime(sub.end, timeBase, frameRate);
+    const spans = cueLines(sub)
+      .map(line => {
+        const colour = TELETEXT_COLOURS[line.colour] ? line.colour : 'white';
+        return `<span style="spanStyle ${colour}">${escapeXml(line.text)}</span>`;
+      })
+      .join('<br/>');
+
+    const alignStyle = sub.align === 'left' || sub.align === 'right' ? ` ${sub.align}Aligned` : '';
+
+    return `      <p xml:id="sub${index + 1}" begin="${begin}" end="${end}" region="${regionId}" style="paragraphStyle${alignStyle}">${spans}</p>`;
+  });
+
+  const { nominal, multiplier } = ttmlFrameRate(frameRate);
+  const timingAttributes = timeBase === 'smpte'
+    ? `ttp:timeBase="smpte" ttp:frameRate="${nominal}"${multiplier ? ` ttp:frameRateMultiplier="${multiplier}"` : ''} ttp:markerMode="discontinuous" ttp:dropMode="nonDrop"`
+    : 'ttp:timeBase="media"';
+
+  const standard = timeBase === 'smpte' ? '' : `
+      <ebuttm:documentMetadata>
+        <ebuttm:conformsToStandard>urn:ebu:tt:distribution:2018-04</ebuttm:conformsToStandard>
+      </ebuttm:documentMetadata>`;
+
+  const colourStyles = Object.entries(TELETEXT_COLOURS)
+    .map(([name, hex]) => `      <style xml:id="${name}" tts:color="${hex}"/>`)
+    .join('\n');
+
+  const layoutRegions = [...regions.values()]
+    .map(r => `      <region xml:id="${r.id}" tts:origin="${r.origin}" tts:extent="${r.extent}" tts:displayAlign="${r.displayAlign}"/>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml"
+    xmlns:ttp="http://www.w3.org/ns/ttml#parameter"
+    xmlns:tts="http://www.w3.org/ns/ttml#styling"
+    xmlns:ttm="http://www.w3.org/ns/ttml#metadata"
+    xmlns:ebuttm="urn:ebu:tt:metadata"
+    xmlns:ebutts="urn:ebu:tt:style"
+    ${timingAttributes}
+    ttp:cellResolution="32 15"
+    xml:lang="${escapeXml(lang)}">
+  <head>
+    <metadata>${standard}
+    </metadata>
+    <styling>
+      <style xml:id="paragraphStyle" tts:textAlign="center" tts:fontFamily="monospaceSansSerif" tts:fontSize="100%" tts:lineHeight="120%" ebutts:linePadding="0.5c"/>
+      <style xml:id="leftAligned" tts:textAlign="left"/>
+      <style xml:id="rightAligned" tts:textAlign="right"/>
+      <style xml:id="spanStyle" tts:color="#FFFFFF" tts:backgroundColor="#000000"/>
+${colourStyles}
+    </styling>
+    <layout>
+${layoutRegions || `      <region xml:id="region1" tts:origin="0% 80%" tts:extent="100% 20%" tts:displayAlign="after"/>`}
+    </layout>
+  </head>
+  <body>
+    <div>
+${paragraphs.join('\n')}
+    </div>
+  </body>
+</tt>
+`;
+};
@@ -0,0 +1,35 @@
+import { buildProject } from './project.js';
+import { buildVTT, buildVTTCue, buildVTTHeader } from './vtt.js';
+
+/**
+ * The output of a live run, growing as cues finish.
+ *
+ * `add(cue)` keeps the cues in start order; the WebVTT text is appended to
+ * while cues come in order and rebuilt when one from another region started
+ * earlier. `json()` is a project file of the cues so far, so a capture saved
+ * part way through opens in the editor like any other run.
+ */
+export const createLiveOutput = (settings, { videoName = 'Live capture' } = {}) => {
+  const cues = [];
+  let vtt = buildVTTHeader();
+
+  return {
+    cues,
+    add(cue) {
+      const at = cues.findIndex(other => other.start > cue.start);
+      if (at === -1) {
+        vtt += buildVTTCue(cue, cues.length);
+        cues.push(cue);
+      } else {
+        cues.splice(at, 0, cue);
+        vtt = buildVTT(cues);
+      }
+    },
+    get vtt() {
+      return vtt;
+    },
+    json() {
+      return buildProject(cues, settings, { videoName });
+    }
+  };
+};
@@ -0,0 +1,39 @@
+// Project files: the cues with the settings (including the glossary) they were made with
+
+// Version 2 cues keep their OCR evidence: per-frame `frames` and start/end `thumbnails`
+export const PROJECT_VERSION = 2;
+
+/**
+ * The project as JSON. Cues are written as they are, so each keeps its
+ * grouped `readings`, its per-sample `frames` (text, confidence and the
+ * confidence and bounding box of every line and word) and, once captured
+ * with `captureThumbnails`, JPEG `thumbnails` of its region at its first and
+ * last frame. Opening the file restores all of it for further editing.
+ */
+export const buildProject = (subtitles, settings, { videoName } = {}) => {
+  return JSON.stringify({
+    format: 'getsubs-project',
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    videoName,
+    settings,
+    subtitles
+  }, null, 2);
+};
+
+// Version 1 projects open too; their cues just have no frames or thumbnails
+export const parseProject = (json) => {
+  const project = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!project || project.format !== 'getsubs-project') {
+    throw new Error('Not a GetSubs project file');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this version of GetSubs supports`);
+  }
+  return {
+    videoName: project.videoName,
+    savedAt: project.savedAt,
+    settings: project.settings || {},
+    subtitles: project.subtitles || []
+  };
+};
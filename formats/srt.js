@@ -0,0 +1,36 @@
+import { TELETEXT_COLOURS } from '../core/teletext.js';
+import { formatTime, parseTime } from '../core/time.js';
+import { cueFromMarkup, styledLines, textBlocks } from './cue.js';
+
+export const buildSRT = (subtitles) => {
+  let srt = '';
+  subtitles.forEach((sub, index) => {
+    srt += `${index + 1}\n`;
+    srt += `${formatTime(sub.start)} --> ${formatTime(sub.end)}\n`;
+    srt += `${styledLines(sub, {
+      colour: (line, text) => `<font color="${TELETEXT_COLOURS[line.colour]}">${text}</font>`,
+      italic: text => `<i>${text}</i>`
+    })}\n\n`;
+  });
+  return srt;
+};
+
+// Teletext colour of a `<font color>` tag, matched against the colours buildSRT writes
+const fontColour = (line) => {
+  const match = /<font[^>]*color="?([^">\s]+)/i.exec(line);
+  if (!match) return null;
+  const hex = match[1].toLowerCase();
+  return Object.keys(TELETEXT_COLOURS).find(name => TELETEXT_COLOURS[name].toLowerCase() === hex || name === hex) || null;
+};
+
+export const parseSRT = (text) => {
+  const subtitles = [];
+  textBlocks(text).forEach(block => {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) return;
+    const [start, end] = lines[timing].split('-->').map(part => parseTime(part.trim().split(/\s+/)[0]));
+    subtitles.push(cueFromMarkup(start, end, lines.slice(timing + 1).join('\n'), fontColour));
+  });
+  return subtitles;
+};
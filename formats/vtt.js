@@ -0,0 +1,81 @@
+import { TELETEXT_COLOURS } from '../core/teletext.js';
+import { formatTime, parseTime } from '../core/time.js';
+import { cueFromMarkup, styledLines, textBlocks } from './cue.js';
+
+// Cue text is markup, so these characters must be written as entities
+const escapeVTT = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const VTT_ALIGN = {
+  left: 'start',
+  center: 'center',
+  right: 'end'
+};
+
+// line:/position:/align: settings placing the cue where its first line was on screen
+const cueSettings = (sub) => {
+  const first = sub.lines && sub.lines.find(line => line.position);
+  if (!first) {
+    return sub.region ? ` line:${sub.region.y}% align:center` : '';
+  }
+
+  const { x, y, width } = first.position;
+  const align = sub.align || first.align;
+  const anchor = align === 'left' ? x : align === 'right' ? x + width : x + width / 2;
+  const percent = (value) => `${Math.round(Math.min(Math.max(value, 0), 100))}%`;
+  return ` line:${percent(y)} position:${percent(anchor)} align:${VTT_ALIGN[align] || 'center'}`;
+};
+
+// The WEBVTT header and colour STYLE block; cues from `buildVTTCue` can be appended to it as they come
+export const buildVTTHeader = () => {
+  let vtt = 'WEBVTT\n\n';
+  vtt += 'STYLE\n';
+  Object.entries(TELETEXT_COLOURS).forEach(([name, hex]) => {
+    vtt += `::cue(.${name}) { color: ${hex}; }\n`;
+  });
+  return `${vtt}\n`;
+};
+
+export const buildVTTCue = (sub, index) => {
+  const startVTT = formatTime(sub.start).replace(',', '.');
+  const endVTT = formatTime(sub.end).replace(',', '.');
+  let vtt = `${index + 1}\n`;
+  vtt += `${startVTT} --> ${endVTT}${cueSettings(sub)}\n`;
+  // Sound effects and music are marked as <c.sound> and <c.music> for players and styling
+  vtt += `${styledLines(sub, {
+    colour: (line, text) => `<c.${line.colour}>${text}</c>`,
+    italic: text => `<i>${text}</i>`,
+    label: span => `<c.${span.kind}>${span.text}</c>`,
+    escape: escapeVTT
+  })}\n\n`;
+  return vtt;
+};
+
+export const buildVTT = (subtitles) => {
+  return buildVTTHeader() + subtitles.map(buildVTTCue).join('');
+};
+
+const classColour = (line) => {
+  const match = /<c((?:\.[\w-]+)+)>/.exec(line);
+  if (!match) return null;
+  return match[1].split('.').find(name => TELETEXT_COLOURS[name]) || null;
+};
+
+// Cues of a WebVTT file; STYLE, REGION and NOTE blocks are skipped
+export const parseVTT = (text) => {
+  const blocks = textBlocks(text);
+  if (blocks.length === 0 || !/^WEBVTT(?:[ \t]|$)/.test(blocks[0])) {
+    throw new Error('Not a WebVTT file: missing WEBVTT header');
+  }
+
+  const subtitles = [];
+  blocks.slice(1).forEach(block => {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1 || timing > 1) return;
+    const [startText, rest] = lines[timing].split('-->');
+    const start = parseTime(startText);
+    const end = parseTime(rest.trim().split(/\s+/)[0]);
+    subtitles.push(cueFromMarkup(start, end, lines.slice(timing + 1).join('\n'), classColour));
+  });
+  return subtitles;
+};
@@ -0,0 +1,83 @@
+// Uncompressed (stored) ZIP archives, enough to bundle subtitle files for download
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields, which have two-second resolution
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive from `files` of `{ name, content }`, content being a
+ * string (written as UTF-8) or a Uint8Array. Entries are stored without
+ * compression; subtitle files are small and this keeps it dependency-free.
+ */
+export const buildZip = (files, date = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date: day } = dosDateTime(date);
+  const entries = files.map(({ name, content }) => {
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    return { name: encoder.encode(name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const zip = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(zip.buffer);
+  let offset = 0;
+
+  // Shared fields of the local and central headers: version, flags (bit 11: UTF-8 names), method, time, sizes
+  const writeCommon = (entry) => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, 0x0800, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, time, true);
+    view.setUint16(offset + 8, day, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+  };
+
+  entries.forEach(entry => {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    offset += 4;
+    writeCommon(entry);
+    offset += 26;
+    zip.set(entry.name, offset);
+    offset += entry.name.length;
+    zip.set(entry.data, offset);
+    offset += entry.data.length;
+  });
+
+  const centralStart = offset;
+  entries.forEach(entry => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true);
+    offset += 6;
+    writeCommon(entry);
+    view.setUint32(offset + 36, entry.offset, true);
+    offset += 40;
+    zip.set(entry.name, offset);
+    offset += entry.name.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return zip;
+};
@@ -0,0 +1,134 @@
+// Remux the uploaded video with subtitle tracks in the browser, using a bundled ffmpeg.wasm
+
+import { FFmpeg } from '@ffmpeg/ffmpeg';
+import { fetchFile } from '@ffmpeg/util';
+import { primaryLanguage } from '../core/languages.js';
+import { buildASS } from '../formats/ass.js';
+import { buildSRT } from '../formats/srt.js';
+import { MUX_CONTAINERS } from './targets.js';
+
+// Where the app serves the @ffmpeg/core files (ffmpeg-core.js and ffmpeg-core.wasm), so muxing works offline
+export const FFMPEG_CORE_URL = '/ffmpeg';
+
+// Subtitle file written for each codec; mov_text is converted from SRT by ffmpeg
+const TRACK_FILES = {
+  srt: { extension: 'srt', build: (subtitles) => buildSRT(subtitles) },
+  ass: { extension: 'ass', build: (subtitles, title) => buildASS(subtitles, { title }) },
+  mov_text: { extension: 'srt', build: (subtitles) => buildSRT(subtitles) }
+};
+
+// Containers are tagged with ISO 639-2/B codes, which differ from Tesseract's for a few languages
+const BIBLIOGRAPHIC_CODES = {
+  fra: 'fre',
+  deu: 'ger',
+  cym: 'wel'
+};
+
+// The stream language for an OCR language; a combined one like eng+fra is tagged with the first
+export const trackLanguage = (language) => {
+  const first = primaryLanguage(language);
+  return BIBLIOGRAPHIC_CODES[first] || first;
+};
+
+/**
+ * The ffmpeg arguments that copy the video and audio of `input` and add one
+ * subtitle stream per entry of `trackFiles` (`{ file, title, hearingImpaired }`),
+ * tagged with `language`. Subtitle streams already in the input are left out,
+ * as their codec may not suit the output container. The first track is the
+ * default; the others have the default flag cleared.
+ */
+export const buildMuxArgs = (input, trackFiles, output, { codec, language }) => {
+  const args = ['-i', input];
+  trackFiles.forEach(track => args.push('-i', track.file));
+  args.push('-map', '0:v?', '-map', '0:a?');
+  trackFiles.forEach((track, index) => args.push('-map', `${index + 1}:0`));
+  args.push('-c:v', 'copy', '-c:a', 'copy', '-c:s', codec);
+  trackFiles.forEach((track, index) => {
+    const dispositions = [index === 0 ? 'default' : null, track.hearingImpaired ? 'hearing_impaired' : null].filter(flag => flag);
+    args.push(
+      `-metadata:s:s:${index}`, `language=${language}`,
+      `-metadata:s:s:${index}`, `title=${track.title}`,
+      `-disposition:s:${index}`, dispositions.length > 0 ? dispositions.join('+') : '-default'
+    );
+  });
+  args.push(output);
+  return args;
+};
+
+let loading = null;
+
+// One ffmpeg instance for the page, as its core is large to load
+const loadFFmpeg = (coreURL) => {
+  if (!loading) {
+    const ffmpeg = new FFmpeg();
+    loading = ffmpeg
+      .load({ coreURL: `${coreURL}/ffmpeg-core.js`, wasmURL: `${coreURL}/ffmpeg-core.wasm` })
+      .then(() => ffmpeg)
+      .catch(error => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+};
+
+/**
+ * Remux `video` (a File or URL) with `tracks`, each `{ subtitles, title,
+ * hearingImpaired }`, into `container` ('mkv' or 'mp4') with the subtitle
+ * `codec` ('srt' or 'ass' for MKV, 'mov_text' for MP4; the first by default), tagged with the OCR
+ * `language`. Video and audio are copied, not re-encoded. Resolves to a Blob
+ * of the new file.
+ *
+ * ffmpeg.wasm holds the whole file in memory, so very long recordings may
+ * not fit.
+ */
+export const muxSubtitles = async (video, tracks, {
+  container = 'mkv',
+  codec,
+  language = 'eng',
+  coreURL = FFMPEG_CORE_URL,
+  onLog = () => {},
+  onProgress = () => {}
+} = {}) => {
+  const target = MUX_CONTAINERS[container];
+  if (!target) throw new Error(`Unknown container: ${container}`);
+  const trackCodec = codec || target.codecs[0];
+  if (!target.codecs.includes(trackCodec)) {
+    throw new Error(`${target.label} cannot carry ${trackCodec} subtitles; use ${target.codecs.join(' or ')}`);
+  }
+  if (tracks.length === 0) throw new Error('No subtitle tracks to add');
+
+  const ffmpeg = await loadFFmpeg(coreURL);
+  const log = ({ message }) => onLog(message);
+  const progress = ({ progress: ratio }) => onProgress(Math.min(Math.max(ratio, 0), 1) * 100);
+  ffmpeg.on('log', log);
+  ffmpeg.on('progress', progress);
+
+  const input = `input${video.name ? video.name.slice(video.name.lastIndexOf('.')) : ''}`;
+  const output = `output.${target.extension}`;
+  const trackFiles = tracks.map((track, index) => ({
+    ...track,
+    file: `track${index + 1}.${TRACK_FILES[trackCodec].extension}`
+  }));
+  const written = [input, ...trackFiles.map(track => track.file), output];
+
+  try {
+    await ffmpeg.writeFile(input, await fetchFile(video));
+    for (const track of trackFiles) {
+      await ffmpeg.writeFile(track.file, TRACK_FILES[trackCodec].build(track.subtitles, track.title));
+    }
+
+    const status = await ffmpeg.exec(buildMuxArgs(input, trackFiles, output, { codec: trackCodec, language: trackLanguage(language) }));
+    if (status !== 0) throw new Error(`ffmpeg could not remux the video (exit code ${status})`);
+
+    const data = await ffmpeg.readFile(output);
+    return new Blob([data.buffer], { type: target.type });
+  } finally {
+    ffmpeg.off('log', log);
+    ffmpeg.off('progress', progress);
+    // Free the in-memory copies before the next export
+    for (const file of written) {
+      await ffmpeg.deleteFile(file).catch(() => {});
+    }
+  }
+};
@@ -0,0 +1,15 @@
+// What a remux can produce, kept apart from remux.js so the app can show the choices without loading ffmpeg.wasm
+
+import { speechOnly } from '../core/classify.js';
+
+// Output containers and the subtitle codecs each can carry
+export const MUX_CONTAINERS = {
+  mkv: { label: 'MKV', extension: 'mkv', type: 'video/x-matroska', codecs: ['srt', 'ass'] },
+  mp4: { label: 'MP4', extension: 'mp4', type: 'video/mp4', codecs: ['mov_text'] }
+};
+
+// Tracks that can go in one file: everything for viewers who need sounds described, or a plain transcript
+export const MUX_TRACKS = {
+  sdh: { label: 'Full (SDH)', titleSuffix: ' SDH', hearingImpaired: true, select: subtitles => subtitles },
+  speech: { label: 'Speech only', titleSuffix: '', hearingImpaired: false, select: speechOnly }
+};
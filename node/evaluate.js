@@ -0,0 +1,85 @@
+// Regression runs: extract every sample clip in a folder and score it against its reference subtitles
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { evaluateSubtitles, summariseOffsets } from '../core/evaluate.js';
+import { parseSRT } from '../formats/srt.js';
+import { parseVTT } from '../formats/vtt.js';
+import { extractFile } from './extract.js';
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.mov', '.avi', '.webm', '.ts', '.m2ts', '.mpg', '.mpeg'];
+
+// Reference names tried for clip.mp4, in order; .ref. keeps them apart from getsubs output
+const REFERENCE_SUFFIXES = ['.ref.srt', '.ref.vtt', '.srt', '.vtt'];
+
+export const readReference = async (file) => {
+  const text = await readFile(file, 'utf8');
+  return /^\uFEFF?WEBVTT/.test(text) ? parseVTT(text) : parseSRT(text);
+};
+
+// Video files in `folder`, each with its reference subtitle file or null
+export const findSampleClips = async (folder) => {
+  const files = await readdir(folder);
+  return files
+    .filter(file => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => {
+      const name = path.parse(file).name;
+      const reference = REFERENCE_SUFFIXES.map(suffix => `${name}${suffix}`).find(candidate => files.includes(candidate));
+      return { video: path.join(folder, file), reference: reference ? path.join(folder, reference) : null };
+    });
+};
+
+/**
+ * Extract and evaluate every clip in `folder` with the same settings.
+ * Returns `{ clips, summary }`: per clip the video, reference and
+ * `evaluateSubtitles` summary, and error rates and timing pooled over all
+ * clips (so long clips weigh more). Clips without a reference are skipped.
+ * `evaluation` options are passed to `evaluateSubtitles`; the rest to `extractFile`.
+ */
+export const evaluateFolder = async (folder, settings, { evaluation = {}, onLog = () => {}, onClip = () => {}, ...extractOptions } = {}) => {
+  const clips = [];
+  const startOffsets = [];
+  const endOffsets = [];
+
+  for (const { video, reference } of await findSampleClips(folder)) {
+    if (!reference) {
+      onLog(`Skipping ${path.basename(video)}: no reference subtitles`);
+      continue;
+    }
+    onLog(`Evaluating ${path.basename(video)} against ${path.basename(reference)}`);
+    const referenceCues = await readReference(reference);
+    const extracted = await extractFile(video, settings, { ...extractOptions, onLog });
+    const result = evaluateSubtitles(referenceCues, extracted, evaluation);
+
+    result.pairs.filter(pair => pair.kind === 'match').forEach(pair => {
+      startOffsets.push(pair.startOffset);
+      endOffsets.push(pair.endOffset);
+    });
+    const clip = { video, reference, summary: result.summary };
+    clips.push(clip);
+    onClip(clip, result);
+  }
+
+  const total = (key) => clips.reduce((sum, clip) => sum + clip.summary[key], 0);
+  const referenceWords = total('referenceWords');
+  const referenceChars = total('referenceChars');
+  return {
+    clips,
+    summary: {
+      clips: clips.length,
+      wer: referenceWords > 0 ? total('wordErrors') / referenceWords : 0,
+      cer: referenceChars > 0 ? total('charErrors') / referenceChars : 0,
+      referenceWords,
+      wordErrors: total('wordErrors'),
+      referenceChars,
+      charErrors: total('charErrors'),
+      referenceCues: total('referenceCues'),
+      extractedCues: total('extractedCues'),
+      matched: total('matched'),
+      missed: total('missed'),
+      spurious: total('spurious'),
+      startOffset: summariseOffsets(startOffsets),
+      endOffset: summariseOffsets(endOffsets)
+    }
+  };
+};
@@ -0,0 +1,50 @@
+// Extract the subtitles of a video file with ffmpeg and Tesseract, as the CLI does
+import { createSubtitleScheduler } from '../core/ocr.js';
+import { extractSubtitlesParallel } from '../core/parallel.js';
+import { detectRegions } from '../core/regions.js';
+import { createFFmpegSource } from '../sources/ffmpeg.js';
+
+/**
+ * Run the parallel extraction over `input` with `settings` (see
+ * `DEFAULT_SETTINGS`). With `detect`, the subtitle regions are detected from
+ * sampled frames first and replace `settings.regions` when any are found.
+ */
+export const extractFile = async (input, settings, { ffmpeg = 'ffmpeg', ffprobe = 'ffprobe', detect = false, onLog = () => {} } = {}) => {
+  const ffmpegOptions = { ffmpeg, ffprobe };
+  const source = await createFFmpegSource(input, ffmpegOptions);
+  let runSettings = settings;
+
+  if (detect) {
+    onLog('Sampling frames to detect subtitle regions...');
+    const regions = await detectRegions(source);
+    if (regions.length > 0) {
+      runSettings = { ...settings, regions };
+      regions.forEach((region, index) => {
+        onLog(`Region ${index + 1}: ${region.x},${region.y},${region.width},${region.height}`);
+      });
+    } else {
+      onLog('No subtitle text found, keeping the configured region');
+    }
+  }
+  onLog(`Initializing Tesseract OCR engine (${runSettings.workers} worker${runSettings.workers === 1 ? '' : 's'})...`);
+  const scheduler = await createSubtitleScheduler(runSettings.language, runSettings.workers, undefined, {
+    fontAttributes: runSettings.fontAttributes
+  });
+
+  // Each segment gets its own ffmpeg source so their frame caches do not fight
+  const sources = [source];
+  while (sources.length < runSettings.workers) {
+    sources.push(await createFFmpegSource(input, ffmpegOptions));
+  }
+
+  try {
+    return await extractSubtitlesParallel(
+      sources,
+      async canvas => (await scheduler.addJob('recognize', canvas.toBuffer('image/png'))).data,
+      runSettings,
+      { onLog }
+    );
+  } finally {
+    await scheduler.terminate();
+  }
+};
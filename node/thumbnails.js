@@ -0,0 +1,9 @@
+// Start and end thumbnails of each cue, decoded from the video file with ffmpeg
+import { captureThumbnails } from '../core/thumbnails.js';
+import { createFFmpegSource, loadCanvas } from '../sources/ffmpeg.js';
+
+export const captureFileThumbnails = async (input, cues, settings, { ffmpeg = 'ffmpeg', ffprobe = 'ffprobe' } = {}) => {
+  const { createCanvas } = await loadCanvas();
+  const source = await createFFmpegSource(input, { ffmpeg, ffprobe });
+  return captureThumbnails(source, cues, settings, { createCanvas });
+};
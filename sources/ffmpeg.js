@@ -0,0 +1,97 @@
+// Frame source for Node that decodes frames with a local ffmpeg into node-canvas
+import { spawn } from 'node:child_process';
+
+// node-canvas is an optional dependency, so load it only when frames are decoded
+export const loadCanvas = async () => {
+  try {
+    return await import('canvas');
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+    throw new Error('Reading video files needs the canvas package: install it with "npm install canvas"');
+  }
+};
+
+const run = (command, args) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    const stdout = [];
+    const stderr = [];
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', error => reject(new Error(`Could not run ${command}: ${error.message}`)));
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        reject(new Error(`${command} exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+      }
+    });
+  });
+};
+
+export const probeVideo = async (file, ffprobe = 'ffprobe') => {
+  const output = await run(ffprobe, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height,r_frame_rate:format=duration',
+    '-of', 'json',
+    file
+  ]);
+  const info = JSON.parse(output.toString());
+  const stream = info.streams && info.streams[0];
+  if (!stream) throw new Error(`No video stream found in ${file}`);
+
+  const [numerator, denominator] = stream.r_frame_rate.split('/').map(Number);
+  return {
+    width: stream.width,
+    height: stream.height,
+    frameRate: denominator ? numerator / denominator : numerator,
+    duration: parseFloat(info.format.duration)
+  };
+};
+
+export const createFFmpegSource = async (file, { ffmpeg = 'ffmpeg', ffprobe = 'ffprobe' } = {}) => {
+  const { createCanvas } = await loadCanvas();
+  const { width, height, frameRate, duration } = await probeVideo(file, ffprobe);
+  const frame = createCanvas(width, height);
+  const frameCtx = frame.getContext('2d');
+  let decodedTime = null;
+
+  // Several regions are read at each sample, so only decode each frame once
+  const decodeFrame = async (time) => {
+    if (decodedTime === time) return;
+
+    // Seeking before the input keeps each grab fast; ffmpeg still decodes to the exact frame
+    const pixels = await run(ffmpeg, [
+      '-v', 'error',
+      '-ss', time.toFixed(3),
+      '-i', file,
+      '-frames:v', '1',
+      '-f', 'rawvideo',
+      '-pix_fmt', 'rgba',
+      'pipe:1'
+    ]);
+
+    // Past the last frame ffmpeg returns nothing, which leaves a blank frame
+    const imageData = frameCtx.createImageData(width, height);
+    imageData.data.set(pixels.subarray(0, imageData.data.length));
+    frameCtx.putImageData(imageData, 0, 0);
+    decodedTime = time;
+  };
+
+  const grab = async (time, region) => {
+    await decodeFrame(time);
+
+    const regionX = Math.floor((region.x / 100) * width);
+    const regionY = Math.floor((region.y / 100) * height);
+    const regionWidth = Math.floor((region.width / 100) * width);
+    const regionHeight = Math.floor((region.height / 100) * height);
+
+    const regionCanvas = createCanvas(regionWidth, regionHeight);
+    regionCanvas.getContext('2d').drawImage(frame, regionX, regionY, regionWidth, regionHeight, 0, 0, regionWidth, regionHeight);
+    return regionCanvas;
+  };
+
+  return { duration, frameRate, width, height, grab };
+};
@@ -0,0 +1,49 @@
+// Video files picked or dropped by the user, walking into dropped folders
+
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mkv|webm|mov|avi|ts|m2ts|mpe?g|ogv)$/i;
+
+export const isVideoFile = (file) => file.type.startsWith('video/') || VIDEO_EXTENSIONS.test(file.name);
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+const entryFiles = async (entry, prefix) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: `${prefix}${file.name}` }];
+  }
+
+  // readEntries hands out a folder's entries in batches until it returns none
+  const reader = entry.createReader();
+  const found = [];
+  for (let batch = await readEntries(reader); batch.length > 0; batch = await readEntries(reader)) {
+    for (const child of batch) found.push(...await entryFiles(child, `${prefix}${entry.name}/`));
+  }
+  return found;
+};
+
+const byPath = (a, b) => a.path.localeCompare(b.path, undefined, { numeric: true });
+
+/**
+ * The video files of a drop as `{ file, path }`, path being relative to the
+ * dropped folder, sorted so episode numbers come in order. Entries must be
+ * taken from the DataTransfer before the drop handler awaits anything, so
+ * this is called synchronously from the handler.
+ */
+export const droppedVideoFiles = (dataTransfer) => {
+  const entries = [...dataTransfer.items]
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(entry => entry);
+  if (entries.length === 0) {
+    return Promise.resolve(pickedVideoFiles(dataTransfer.files));
+  }
+  return Promise.all(entries.map(entry => entryFiles(entry, '')))
+    .then(files => files.flat().filter(({ file }) => isVideoFile(file)).sort(byPath));
+};
+
+// Files from an <input type="file">, with folder-relative paths when a folder was picked
+export const pickedVideoFiles = (fileList) => {
+  return [...fileList]
+    .filter(isVideoFile)
+    .map(file => ({ file, path: file.webkitRelativePath || file.name }))
+    .sort(byPath);
+};
@@ -0,0 +1,23 @@
+// Web Worker: reads and preprocesses grabbed regions on an OffscreenCanvas
+import { preprocessCanvas } from '../core/image.js';
+import { regionSignature } from '../core/change.js';
+
+self.onmessage = async ({ data: { id, bitmap, settings } }) => {
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const rawRegion = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const signature = regionSignature(rawRegion);
+
+    const { scale } = settings.preprocessImage ? preprocessCanvas(canvas, ctx, settings) : { scale: 1 };
+
+    // Tesseract.js takes a Blob from any thread
+    const image = await canvas.convertToBlob({ type: 'image/png' });
+    self.postMessage({ id, rawRegion, signature, image, scale }, [rawRegion.data.buffer, signature.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,37 @@
+// Pool of preprocessing Web Workers, used as the `prepare` step of the pipeline
+export const createPreprocessPool = (size) => {
+  const workers = Array.from({ length: size }, () => new Worker(
+    new URL('./preprocess.worker.js', import.meta.url),
+    { type: 'module' }
+  ));
+  const pending = new Map();
+  let nextId = 0;
+
+  workers.forEach(worker => {
+    worker.onmessage = ({ data }) => {
+      const { resolve, reject } = pending.get(data.id);
+      pending.delete(data.id);
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve({ rawRegion: data.rawRegion, signature: data.signature, getImage: async () => ({ image: data.image, scale: data.scale }) });
+      }
+    };
+  });
+
+  const prepare = (bitmap, settings) => {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      workers[id % workers.length].postMessage({ id, bitmap, settings }, [bitmap]);
+    });
+  };
+
+  const terminate = () => {
+    workers.forEach(worker => worker.terminate());
+    pending.forEach(({ reject }) => reject(new Error('Preprocessing was stopped')));
+    pending.clear();
+  };
+
+  return { prepare, terminate };
+};
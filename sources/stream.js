@@ -0,0 +1,100 @@
+// Frame source reading a MediaStream in real time: a screen share, a capture card or a playing <video>
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)));
+
+// Ask the user for a screen, window or tab to read
+export const openDisplayStream = () => {
+  return navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+};
+
+// A camera or capture card; `deviceId` picks one from enumerateDevices()
+export const openDeviceStream = (deviceId) => {
+  return navigator.mediaDevices.getUserMedia({
+    video: deviceId ? { deviceId: { exact: deviceId } } : true,
+    audio: false
+  });
+};
+
+// The frames of a <video> as it plays, e.g. a stream the page is already showing
+export const captureVideoElement = (videoElement) => {
+  const capture = videoElement.captureStream || videoElement.mozCaptureStream;
+  if (!capture) throw new Error('This browser cannot capture a playing video');
+  return capture.call(videoElement);
+};
+
+/**
+ * Open a live frame source on `stream` for `extractSubtitles`.
+ *
+ * Its duration is infinite and `now()` gives the seconds since it opened, or
+ * since `resetClock()` when reading starts after a preview;
+ * `grab(time, region)` waits until `time` comes round and draws the frame
+ * showing then, once for all regions of a sample. `stop()` ends the stream's
+ * tracks. `clock` (milliseconds) and `sleep` default to `performance.now()`
+ * and a timer; tests pass their own to run without waiting.
+ */
+export const createStreamSource = async (stream, { clock = () => performance.now(), sleep = wait } = {}) => {
+  const element = document.createElement('video');
+  element.muted = true;
+  element.playsInline = true;
+  element.srcObject = stream;
+  await element.play();
+  if (!element.videoWidth) {
+    await new Promise(resolve => {
+      element.onloadedmetadata = resolve;
+    });
+  }
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  let startedAt = clock();
+  const now = () => (clock() - startedAt) / 1000;
+  let drawnTime = null;
+
+  const drawFrame = async (time) => {
+    if (drawnTime === time) return;
+
+    await sleep((time - now()) * 1000);
+    canvas.width = element.videoWidth;
+    canvas.height = element.videoHeight;
+    ctx.drawImage(element, 0, 0, canvas.width, canvas.height);
+    drawnTime = time;
+  };
+
+  const grab = async (time, region) => {
+    await drawFrame(time);
+
+    const regionX = Math.floor((region.x / 100) * canvas.width);
+    const regionY = Math.floor((region.y / 100) * canvas.height);
+    const regionWidth = Math.floor((region.width / 100) * canvas.width);
+    const regionHeight = Math.floor((region.height / 100) * canvas.height);
+
+    const regionCanvas = document.createElement('canvas');
+    regionCanvas.width = regionWidth;
+    regionCanvas.height = regionHeight;
+    const regionCtx = regionCanvas.getContext('2d', { willReadFrequently: true });
+    regionCtx.drawImage(canvas, regionX, regionY, regionWidth, regionHeight, 0, 0, regionWidth, regionHeight);
+    return regionCanvas;
+  };
+
+  const resetClock = () => {
+    startedAt = clock();
+    drawnTime = null;
+  };
+
+  const [track] = stream.getVideoTracks();
+  const stop = () => {
+    stream.getTracks().forEach(streamTrack => streamTrack.stop());
+    element.srcObject = null;
+  };
+
+  return {
+    duration: Infinity,
+    frameRate: track && track.getSettings().frameRate,
+    stream,
+    track,
+    now,
+    resetClock,
+    grab,
+    stop
+  };
+};
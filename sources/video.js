@@ -0,0 +1,138 @@
+// Common frame rates; a measured rate is snapped to the nearest
+const FRAME_RATES = [23.976, 24, 25, 29.97, 30, 50, 59.94, 60];
+
+// Frames to watch, and how long to wait for them, when measuring the frame rate
+const MEASURE_FRAMES = 10;
+const MEASURE_TIMEOUT = 2000;
+
+/**
+ * The frame rate of the video in `videoElement`, from the media times of the
+ * frames `requestVideoFrameCallback` reports while it plays muted for a
+ * moment; the position is restored afterwards. Resolves to null where the
+ * browser cannot report frames or none were shown.
+ */
+export const measureFrameRate = async (videoElement) => {
+  if (!videoElement.requestVideoFrameCallback) return null;
+
+  const { currentTime, muted } = videoElement;
+  const times = [];
+  videoElement.muted = true;
+  try {
+    await new Promise((resolve, reject) => {
+      const onFrame = (now, metadata) => {
+        times.push(metadata.mediaTime);
+        if (times.length >= MEASURE_FRAMES) resolve();
+        else videoElement.requestVideoFrameCallback(onFrame);
+      };
+      videoElement.requestVideoFrameCallback(onFrame);
+      setTimeout(resolve, MEASURE_TIMEOUT);
+      videoElement.play().catch(reject);
+    });
+  } finally {
+    videoElement.pause();
+    videoElement.currentTime = currentTime;
+    videoElement.muted = muted;
+  }
+
+  // Frames can be dropped while playing, so the shortest step between two shown frames is one frame
+  const steps = times.slice(1).map((time, index) => time - times[index]).filter(step => step > 0);
+  if (steps.length === 0) return null;
+  const measured = 1 / Math.min(...steps);
+  return FRAME_RATES.reduce((best, rate) => (Math.abs(rate - measured) < Math.abs(best - measured) ? rate : best));
+};
+
+// Frame source that seeks an HTML <video> element and crops the subtitle region.
+// Without a `frameRate`, boundaries are refined at the Frame Rate setting
+export const createVideoSource = (videoElement, canvas, frameRate) => {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  let drawnTime = null;
+
+  // Several regions are read at each sample, so only seek and draw once per time
+  const drawFrame = async (time) => {
+    if (drawnTime === time) return;
+
+    videoElement.currentTime = time;
+    
+    await new Promise(resolve => {
+      videoElement.onseeked = resolve;
+    });
+
+    canvas.width = videoElement.videoWidth;
+    canvas.height = videoElement.videoHeight;
+
+    // Draw full frame
+    ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
+    drawnTime = time;
+  };
+
+  const grab = async (time, region) => {
+    await drawFrame(time);
+
+    const videoWidth = canvas.width;
+    const videoHeight = canvas.height;
+
+    // Extract subtitle region
+    const regionX = Math.floor((region.x / 100) * videoWidth);
+    const regionY = Math.floor((region.y / 100) * videoHeight);
+    const regionWidth = Math.floor((region.width / 100) * videoWidth);
+    const regionHeight = Math.floor((region.height / 100) * videoHeight);
+    
+    // Create a temporary canvas for the subtitle region
+    const regionCanvas = document.createElement('canvas');
+    regionCanvas.width = regionWidth;
+    regionCanvas.height = regionHeight;
+    const regionCtx = regionCanvas.getContext('2d', { willReadFrequently: true });
+    
+    regionCtx.drawImage(canvas, regionX, regionY, regionWidth, regionHeight, 0, 0, regionWidth, regionHeight);
+    return regionCanvas;
+  };
+
+  return { duration: videoElement.duration, frameRate, grab };
+};
+
+// Hidden <video> elements on the same file, so several segments can be seeked at once
+export const openVideoElements = (url, count) => {
+  return Promise.all(Array.from({ length: count }, () => new Promise((resolve, reject) => {
+    const element = document.createElement('video');
+    element.muted = true;
+    element.preload = 'auto';
+    element.onloadedmetadata = () => resolve(element);
+    element.onerror = () => reject(new Error('Could not open the video for decoding'));
+    element.src = url;
+  })));
+};
+
+export const closeVideoElements = (elements) => {
+  elements.forEach(element => {
+    element.removeAttribute('src');
+    element.load();
+  });
+};
+
+// Frame source that crops regions straight into ImageBitmaps for worker preprocessing
+export const createBitmapVideoSource = (videoElement, frameRate) => {
+  let seekedTime = null;
+
+  const grab = async (time, region) => {
+    if (seekedTime !== time) {
+      videoElement.currentTime = time;
+
+      await new Promise(resolve => {
+        videoElement.onseeked = resolve;
+      });
+      seekedTime = time;
+    }
+
+    const videoWidth = videoElement.videoWidth;
+    const videoHeight = videoElement.videoHeight;
+    return createImageBitmap(
+      videoElement,
+      Math.floor((region.x / 100) * videoWidth),
+      Math.floor((region.y / 100) * videoHeight),
+      Math.floor((region.width / 100) * videoWidth),
+      Math.floor((region.height / 100) * videoHeight)
+    );
+  };
+
+  return { duration: videoElement.duration, frameRate, grab };
+};
@@ -0,0 +1,57 @@
+// Extraction checkpoints in IndexedDB, keyed by a fingerprint of the video file
+
+const DB_NAME = 'getsubs';
+const STORE = 'checkpoints';
+const SAMPLE_BYTES = 1024 * 1024;
+
+const openDatabase = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'fingerprint' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// Name, size and modification time, plus a hash of the first and last megabyte
+export const fingerprintFile = async (file) => {
+  const head = await file.slice(0, SAMPLE_BYTES).arrayBuffer();
+  const tail = await file.slice(Math.max(file.size - SAMPLE_BYTES, 0)).arrayBuffer();
+  const sample = new Uint8Array(head.byteLength + tail.byteLength);
+  sample.set(new Uint8Array(head), 0);
+  sample.set(new Uint8Array(tail), head.byteLength);
+
+  const digest = await crypto.subtle.digest('SHA-256', sample);
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${file.name}:${file.size}:${file.lastModified}:${hash}`;
+};
+
+export const saveCheckpoint = (checkpoint) => {
+  return withStore('readwrite', store => store.put({ ...checkpoint, savedAt: Date.now() }));
+};
+
+export const loadCheckpoint = (fingerprint) => {
+  return withStore('readonly', store => store.get(fingerprint));
+};
+
+export const deleteCheckpoint = (fingerprint) => {
+  return withStore('readwrite', store => store.delete(fingerprint));
+};
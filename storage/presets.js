@@ -0,0 +1,57 @@
+// Named settings presets in localStorage, e.g. one per broadcaster or channel
+
+const PRESETS_KEY = 'getsubs.presets';
+const ACTIVE_KEY = 'getsubs.activePreset';
+const PRESETS_VERSION = 1;
+
+// All saved presets as { name: settings }; an unreadable entry counts as none
+export const loadPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const storePresets = (presets) => {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+};
+
+export const savePreset = (name, settings) => {
+  return storePresets({ ...loadPresets(), [name]: settings });
+};
+
+export const deletePreset = (name) => {
+  const presets = { ...loadPresets() };
+  delete presets[name];
+  if (localStorage.getItem(ACTIVE_KEY) === name) localStorage.removeItem(ACTIVE_KEY);
+  return storePresets(presets);
+};
+
+// The preset applied last, so the page opens with it after a reload
+export const loadActivePreset = () => localStorage.getItem(ACTIVE_KEY);
+
+export const saveActivePreset = (name) => {
+  if (name) {
+    localStorage.setItem(ACTIVE_KEY, name);
+  } else {
+    localStorage.removeItem(ACTIVE_KEY);
+  }
+};
+
+export const buildPresetsJSON = (presets) => {
+  return JSON.stringify({ format: 'getsubs-presets', version: PRESETS_VERSION, presets }, null, 2);
+};
+
+// Presets from an exported file; merged over the saved ones, replacing any with the same name
+export const importPresets = (json) => {
+  const file = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!file || file.format !== 'getsubs-presets' || typeof file.presets !== 'object') {
+    throw new Error('Not a GetSubs presets file');
+  }
+  if (file.version > PRESETS_VERSION) {
+    throw new Error(`Presets version ${file.version} is newer than this version of GetSubs supports`);
+  }
+  return storePresets({ ...loadPresets(), ...file.presets });
+};
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { binariseRegion, findTextBoxes, greyLevels, otsuThreshold } from '../core/binarise.js';
+
+const YELLOW = [255, 255, 0];
+const LIFTED_BLACK = [30, 30, 30];
+const PICTURE = [120, 110, 100];
+
+// An ImageData-shaped image, each pixel coloured by `paint(x, y)`
+const image = (width, height, paint) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set([...paint(x, y), 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+const inside = (x, y, box) => x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height;
+
+// A teletext box on a picture, with 2px wide, 12px tall "letters" every 8px from x = 32
+const BOX = { x: 20, y: 16, width: 120, height: 28 };
+const isStroke = (x, y) => inside(x, y, { x: 28, y: 24, width: 104, height: 12 }) && x % 8 < 2;
+const subtitle = image(160, 60, (x, y) => {
+  if (!inside(x, y, BOX)) return PICTURE;
+  return isStroke(x, y) ? YELLOW : LIFTED_BLACK;
+});
+
+// Black ink on white, as on a dark-on-light burnt-in subtitle
+const inverted = image(64, 24, (x, y) => (inside(x, y, { x: 8, y: 6, width: 48, height: 12 }) && x % 6 < 2 ? [20, 20, 20] : [230, 230, 230]));
+
+// Whether the binarised pixel at (x, y) is text (black)
+const isInk = ({ data, width }, x, y) => data[(y * width + x) * 4] === 0;
+
+const histogramOf = (levels) => {
+  const counts = new Uint32Array(256);
+  Object.entries(levels).forEach(([level, count]) => { counts[level] = count; });
+  return counts;
+};
+
+test('Otsu puts the threshold between the two classes of a histogram', () => {
+  assert.equal(otsuThreshold(histogramOf({ 30: 900, 255: 100 })), 30);
+
+  const threshold = otsuThreshold(histogramOf({ 20: 300, 40: 300, 180: 100, 220: 100 }));
+  assert.ok(threshold >= 40 && threshold < 180, `threshold ${threshold}`);
+});
+
+test('grey levels keep saturated colours bright', () => {
+  const grey = greyLevels(image(2, 1, x => (x === 0 ? YELLOW : [0, 0, 255])));
+  assert.deepEqual([...grey], [255, 255]);
+});
+
+test('a box of lifted black with text in it is found to the cell', () => {
+  assert.deepEqual(findTextBoxes(greyLevels(subtitle), 160, 60), [BOX]);
+});
+
+test('no box is found in a picture without one, or in a dark box with nothing in it', () => {
+  const picture = image(160, 60, (x, y) => [100 + ((x * 7 + y * 3) % 50), 100, 100]);
+  const empty = image(160, 60, (x, y) => (inside(x, y, BOX) ? LIFTED_BLACK : PICTURE));
+
+  assert.deepEqual(findTextBoxes(greyLevels(picture), 160, 60), []);
+  assert.deepEqual(findTextBoxes(greyLevels(empty), 160, 60), []);
+});
+
+test('yellow text in a box becomes black on white, with the picture around it blanked', () => {
+  const result = binariseRegion(subtitle, { binarisation: 'otsu', upscale: 1 });
+
+  assert.equal(result.boxesFound, true);
+  assert.equal(result.scale, 1);
+  assert.deepEqual(result.boxes.map(({ x, y, width, height, textIsLight }) => ({ x, y, width, height, textIsLight })), [{ ...BOX, textIsLight: true }]);
+  assert.ok(result.boxes[0].threshold >= 30 && result.boxes[0].threshold < 255);
+
+  assert.equal(isInk(result, 32, 24), true);
+  assert.equal(isInk(result, 35, 24), false);
+  assert.equal(isInk(result, 5, 5), false);
+  assert.equal(isInk(result, 22, 18), false);
+});
+
+test('dark text on a light background is found by automatic polarity', () => {
+  const result = binariseRegion(inverted, { binarisation: 'otsu', upscale: 1, detectBoxes: false });
+
+  assert.equal(result.boxesFound, false);
+  assert.equal(result.boxes[0].textIsLight, false);
+  assert.equal(isInk(result, 12, 6), true);
+  assert.equal(isInk(result, 14, 6), false);
+  assert.equal(isInk(result, 2, 2), false);
+
+  // Forcing light text inverts it
+  const forced = binariseRegion(inverted, { binarisation: 'otsu', upscale: 1, detectBoxes: false, polarity: 'light' });
+  assert.equal(isInk(forced, 12, 6), false);
+  assert.equal(isInk(forced, 2, 2), true);
+});
+
+test('fixed and adaptive thresholds read the same strokes', () => {
+  ['fixed', 'adaptive'].forEach(binarisation => {
+    const result = binariseRegion(subtitle, { binarisation, upscale: 1 });
+    assert.equal(isInk(result, 32, 30), true, binarisation);
+    assert.equal(isInk(result, 36, 30), false, binarisation);
+  });
+});
+
+test('small text is scaled up towards 32px and single specks are removed', () => {
+  // 12px strokes need three times the size
+  const scaled = binariseRegion(subtitle, { binarisation: 'otsu' });
+  assert.equal(scaled.scale, 3);
+  assert.equal(scaled.width, 480);
+  assert.equal(isInk(scaled, 32 * 3 + 1, 30 * 3), true);
+
+  const specked = image(160, 60, (x, y) => {
+    if (!inside(x, y, BOX)) return PICTURE;
+    return isStroke(x, y) || (x === 100 && y === 20) ? YELLOW : LIFTED_BLACK;
+  });
+  assert.equal(isInk(binariseRegion(specked, { binarisation: 'otsu', upscale: 1 }), 100, 20), false);
+  assert.equal(isInk(binariseRegion(specked, { binarisation: 'otsu', upscale: 1, denoise: false }), 100, 20), true);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyCue, classifyLine, fontItalic, speechOnly } from '../core/classify.js';
+
+test('a bracketed label on its own is a sound effect', () => {
+  assert.deepEqual(classifyLine('(LAUGHTER)'), [{ text: '(LAUGHTER)', kind: 'sound' }]);
+  assert.deepEqual(classifyLine('[door slams]'), [{ text: '[door slams]', kind: 'sound' }]);
+});
+
+test('a speaker label starts speech rather than a sound effect', () => {
+  assert.deepEqual(classifyLine('JOHN:'), [{ text: 'JOHN:', kind: 'speech' }]);
+  assert.deepEqual(classifyLine('JOHN: Where are you?'), [{ text: 'JOHN: Where are you?', kind: 'speech' }]);
+});
+
+test('a line with a music note is music', () => {
+  assert.deepEqual(classifyLine('♪ Theme music ♪'), [{ text: '♪ Theme music ♪', kind: 'music' }]);
+  assert.deepEqual(classifyLine('♪'), [{ text: '♪', kind: 'music' }]);
+});
+
+test('a line in capitals is a sound effect, unless it is a short interjection', () => {
+  assert.deepEqual(classifyLine('GUNSHOTS'), [{ text: 'GUNSHOTS', kind: 'sound' }]);
+  assert.deepEqual(classifyLine('OK!'), [{ text: 'OK!', kind: 'speech' }]);
+});
+
+test('labels inside speech are split out, keeping the punctuation after them', () => {
+  assert.deepEqual(classifyLine('(SIGHS) Fine. [DOOR SLAMS] - (GASPS)'), [
+    { text: '(SIGHS)', kind: 'sound' },
+    { text: ' Fine. ', kind: 'speech' },
+    { text: '[DOOR SLAMS] - ', kind: 'sound' },
+    { text: '(GASPS)', kind: 'sound' }
+  ]);
+});
+
+test('a cue is speech when any line is spoken, otherwise music or sound', () => {
+  assert.equal(classifyCue({ text: '(LAUGHTER)\nJOHN: Stop it.' }).kind, 'speech');
+  assert.equal(classifyCue({ text: '(LAUGHTER)\n♪ La la ♪' }).kind, 'music');
+  assert.equal(classifyCue({ text: '(LAUGHTER)' }).kind, 'sound');
+
+  const { lines } = classifyCue({ text: '', lines: [{ text: '(APPLAUSE)', colour: 'cyan', italic: true }] });
+  assert.deepEqual(lines, [{ text: '(APPLAUSE)', colour: 'cyan', italic: true, spans: [{ text: '(APPLAUSE)', kind: 'sound' }], kind: 'sound' }]);
+});
+
+test('the speech-only track drops sounds and music', () => {
+  const cues = [
+    { start: 0, end: 1, text: '(SIGHS) Fine.\n♪ La la ♪' },
+    { start: 1, end: 2, text: '(LAUGHTER)' }
+  ];
+
+  assert.deepEqual(speechOnly(cues).map(({ text }) => text), ['Fine.']);
+});
+
+test('a line is italic when most of its words are', () => {
+  assert.equal(fontItalic([{ is_italic: true }, { is_italic: true }, { is_italic: false }]), true);
+  assert.equal(fontItalic([{ is_italic: true }, { is_italic: false }]), false);
+  assert.equal(fontItalic([]), false);
+});
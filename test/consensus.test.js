@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildConsensus, groupReadings, voteText } from '../core/consensus.js';
+
+const reading = (text, confidence, lines = [{ text, colour: 'white' }]) => ({ text, confidence, lines });
+
+test('identical readings are grouped with their mean confidence', () => {
+  const groups = groupReadings([reading('Hello', 80), reading('Hello', 90), reading('Hallo', 40)]);
+
+  assert.deepEqual(groups.map(({ text, confidence, count }) => ({ text, confidence, count })), [
+    { text: 'Hello', confidence: 85, count: 2 },
+    { text: 'Hallo', confidence: 40, count: 1 }
+  ]);
+});
+
+test('readings are aligned across inserted and dropped characters', () => {
+  // The pivot drops an l and the other readings add it back in the gap
+  const { text, agreement } = voteText(groupReadings([reading('Helo there', 90), reading('Hello there', 70), reading('Hello there!', 30)]));
+
+  assert.equal(text, 'Hello there');
+  assert.ok(agreement > 0.6 && agreement < 1);
+});
+
+test('a clean later frame outvotes an earlier misread', () => {
+  // The most confident reading is the pivot, but each of its misread characters is outvoted
+  const groups = groupReadings([reading('Good mornlng', 80), reading('Gocd morning', 70), reading('Good morning', 60)]);
+  const { text, agreement } = voteText(groups);
+
+  assert.equal(text, 'Good morning');
+  // 10 characters have every reading behind them, 'o' and 'i' two thirds of the weight
+  assert.equal(agreement, (10 + 130 / 210 + 140 / 210) / 12);
+});
+
+test('unanimous readings agree fully and keep their confidence', () => {
+  const consensus = buildConsensus(groupReadings([reading('Yes', 70), reading('Yes', 90)]));
+
+  assert.deepEqual(consensus, { text: 'Yes', lines: [{ text: 'Yes', colour: 'white' }], confidence: 80 });
+});
+
+test('the layout comes from the best reading with the same number of lines', () => {
+  const groups = groupReadings([
+    reading('Where are\nyou going?', 60, [{ text: 'Where are', colour: 'yellow' }, { text: 'you going?', colour: 'cyan' }]),
+    reading('Where are\nyou going?', 50, [{ text: 'Where are', colour: 'white' }, { text: 'you going?', colour: 'white' }]),
+    reading('Where are you going?', 90, [{ text: 'Where are you going?', colour: 'green' }])
+  ]);
+  const { text, lines } = buildConsensus(groups);
+
+  assert.equal(text, 'Where are\nyou going?');
+  assert.deepEqual(lines.map(line => line.colour), ['yellow', 'cyan']);
+});
+
+test('no readings give an empty consensus', () => {
+  assert.deepEqual(voteText([]), { text: '', agreement: 0 });
+  assert.deepEqual(buildConsensus([]), { text: '', lines: [], confidence: 0 });
+});
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEBUSTL, formatTimecode, parseEBUSTL, parseTimecode } from '../formats/ebustl.js';
+
+const SUBTITLES = [
+  {
+    start: 1.2,
+    end: 3.48,
+    text: 'Où est le café?\nIt costs £5',
+    lines: [{ text: 'Où est le café?', colour: 'yellow' }, { text: 'It costs £5', colour: 'white' }],
+    region: { x: 10, y: 80, width: 80, height: 15 },
+    align: 'center'
+  },
+  {
+    start: 62,
+    end: 64.48,
+    text: '♪ Theme music ♪',
+    lines: [{ text: '♪ Theme music ♪', colour: 'cyan' }],
+    row: 2,
+    align: 'left'
+  }
+];
+
+const OPTIONS = {
+  frameRate: 25,
+  startTimecode: '10:00:00:00',
+  language: 'fra',
+  programmeTitle: 'Round Trip',
+  date: new Date(2024, 2, 9)
+};
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// A GSI field as it sits in the file, by its Tech 3264 byte offsets
+const gsiField = (file, first, last) => String.fromCharCode(...file.subarray(first, last + 1));
+
+// The TTI text field of a block, without the unused-space padding
+const textField = (file, block) => {
+  const field = [...file.subarray(1024 + block * 128 + 16, 1024 + (block + 1) * 128)];
+  while (field[field.length - 1] === 0x8f) field.pop();
+  return field;
+};
+
+test('timecodes convert to frames and back', () => {
+  assert.equal(parseTimecode('10:00:00:00', 25), 900000);
+  assert.equal(parseTimecode('01:02:03:29', 30), 111719);
+  assert.equal(formatTimecode(900031, 25), '10:00:01:06');
+  assert.throws(() => parseTimecode('00:00:00:25', 25), /out of range/);
+});
+
+test('the GSI block parses back to the values written', () => {
+  const { gsi, frameRate } = parseEBUSTL(buildEBUSTL(SUBTITLES, OPTIONS));
+
+  assert.equal(frameRate, 25);
+  assert.deepEqual(
+    {
+      codePage: gsi.codePage,
+      diskFormat: gsi.diskFormat,
+      characterTable: gsi.characterTable,
+      languageCode: gsi.languageCode,
+      programmeTitle: gsi.programmeTitle,
+      creationDate: gsi.creationDate,
+      totalTTIBlocks: gsi.totalTTIBlocks,
+      totalSubtitles: gsi.totalSubtitles,
+      maxRows: gsi.maxRows,
+      startOfProgramme: gsi.startOfProgramme,
+      firstInCue: gsi.firstInCue
+    },
+    {
+      codePage: '850',
+      diskFormat: 'STL25.01',
+      characterTable: '00',
+      languageCode: '0F',
+      programmeTitle: 'Round Trip',
+      creationDate: '240309',
+      totalTTIBlocks: '00002',
+      totalSubtitles: '00002',
+      maxRows: '23',
+      startOfProgramme: '10000000',
+      firstInCue: '10000105'
+    }
+  );
+});
+
+test('the TTI blocks parse back to the cues written', () => {
+  const { subtitles } = parseEBUSTL(buildEBUSTL(SUBTITLES, OPTIONS));
+
+  assert.deepEqual(subtitles, [
+    {
+      start: 1.2,
+      end: 3.48,
+      row: 19,
+      align: 'center',
+      text: 'Où est le café?\nIt costs £5',
+      lines: [
+        { text: 'Où est le café?', colour: 'yellow', doubleHeight: true },
+        { text: 'It costs £5', colour: 'white', doubleHeight: true }
+      ]
+    },
+    {
+      start: 62,
+      end: 64.48,
+      row: 2,
+      align: 'left',
+      text: '♪ Theme music ♪',
+      lines: [{ text: '♪ Theme music ♪', colour: 'cyan', doubleHeight: true }]
+    }
+  ]);
+});
+
+test('the TTI header bytes follow Tech 3264', () => {
+  const file = buildEBUSTL(SUBTITLES, OPTIONS);
+  const block = file.subarray(1024, 1024 + 16);
+
+  // Group, subtitle number (LSB first), extension, cumulative, TCI 10:00:01:05, TCO 10:00:03:12, row, justification, comment
+  assert.deepEqual([...block], [0, 1, 0, 0xff, 0, 10, 0, 1, 5, 10, 0, 3, 12, 19, 2, 0]);
+});
+
+test('the GSI fields sit at the Tech 3264 offsets', () => {
+  const file = buildEBUSTL(SUBTITLES, OPTIONS);
+
+  assert.equal(file.length, 1024 + 2 * 128);
+  assert.equal(gsiField(file, 0, 2), '850');
+  assert.equal(gsiField(file, 3, 10), 'STL25.01');
+  assert.equal(gsiField(file, 11, 11), '1');
+  assert.equal(gsiField(file, 12, 13), '00');
+  assert.equal(gsiField(file, 14, 15), '0F');
+  assert.equal(gsiField(file, 16, 47), 'Round Trip'.padEnd(32));
+  assert.equal(gsiField(file, 224, 229), '240309');
+  assert.equal(gsiField(file, 230, 235), '240309');
+  assert.equal(gsiField(file, 238, 242), '00002');
+  assert.equal(gsiField(file, 243, 247), '00002');
+  assert.equal(gsiField(file, 248, 250), '001');
+  assert.equal(gsiField(file, 253, 254), '23');
+  assert.equal(gsiField(file, 255, 255), '1');
+  assert.equal(gsiField(file, 256, 263), '10000000');
+  assert.equal(gsiField(file, 264, 271), '10000105');
+  assert.equal(gsiField(file, 274, 276), 'GBR');
+
+  const thirty = buildEBUSTL(SUBTITLES, { ...OPTIONS, frameRate: 30 });
+  assert.equal(gsiField(thirty, 3, 10), 'STL30.01');
+  assert.equal(gsiField(thirty, 264, 271), '10000106');
+});
+
+test('the TTI text fields hold teletext codes and ISO 6937 characters', () => {
+  const file = buildEBUSTL(SUBTITLES, OPTIONS);
+
+  // Double height, alpha colour, start box twice, the text, end box twice; a line break is two CR/LFs in double height
+  assert.deepEqual(textField(file, 0), [
+    0x0d, 0x03, 0x0b, 0x0b,
+    ...ascii('O'), 0xc1, ...ascii('u est le caf'), 0xc2, ...ascii('e?'),
+    0x0a, 0x0a, 0x8a, 0x8a,
+    0x0d, 0x07, 0x0b, 0x0b,
+    ...ascii('It costs '), 0xa3, ...ascii('5'),
+    0x0a, 0x0a
+  ]);
+  assert.deepEqual(textField(file, 1), [0x0d, 0x06, 0x0b, 0x0b, 0xd5, ...ascii(' Theme music '), 0xd5, 0x0a, 0x0a]);
+
+  // Without double height each line is a normal-height row and a line break is one CR/LF
+  const single = buildEBUSTL(SUBTITLES.slice(0, 1), { ...OPTIONS, doubleHeight: false });
+  assert.deepEqual(textField(single, 0).slice(0, 4), [0x0c, 0x03, 0x0b, 0x0b]);
+  assert.equal(textField(single, 0).filter(byte => byte === 0x8a).length, 1);
+  assert.equal(single[1024 + 13], 21);
+});
+
+test('long text continues in extension blocks without splitting a diacritic from its letter', () => {
+  // The four control bytes and 107 letters put the acute accent prefix of é at the 112th byte
+  const text = `${'a'.repeat(107)}é${'b'.repeat(20)}`;
+  const file = buildEBUSTL([{ start: 1, end: 3, text, lines: [{ text, colour: 'white' }] }], OPTIONS);
+  const blocks = [0, 1].map(index => file.subarray(1024 + index * 128, 1024 + (index + 1) * 128));
+
+  assert.equal(file.length, 1024 + 2 * 128);
+  assert.equal(gsiField(file, 238, 242), '00002');
+  assert.equal(gsiField(file, 243, 247), '00001');
+
+  // Same subtitle number; extension block numbers 0 then 0xFF for the last
+  assert.deepEqual(blocks.map(block => [block[1], block[2], block[3]]), [[1, 0, 0], [1, 0, 0xff]]);
+  assert.deepEqual(textField(file, 0), [0x0d, 0x07, 0x0b, 0x0b, ...ascii('a'.repeat(107))]);
+  assert.equal(blocks[0][127], 0x8f);
+  assert.deepEqual(textField(file, 1), [0xc2, ...ascii('e'), ...ascii('b'.repeat(20)), 0x0a, 0x0a]);
+
+  assert.equal(parseEBUSTL(file).subtitles[0].text, text);
+});
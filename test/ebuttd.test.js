@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEBUTTD, formatTTMLTime } from '../formats/ebuttd.js';
+
+const BOTTOM = { x: 10, y: 80, width: 80, height: 15 };
+const TOP = { x: 10, y: 5, width: 80, height: 15 };
+
+const SUBTITLES = [
+  {
+    start: 1.2,
+    end: 3.48,
+    text: 'Fish & chips?\nYes <please>',
+    lines: [{ text: 'Fish & chips?', colour: 'yellow' }, { text: 'Yes <please>', colour: 'white' }],
+    region: BOTTOM
+  },
+  { start: 4, end: 6, text: 'Up here', lines: [{ text: 'Up here', colour: 'cyan' }], region: TOP, align: 'left' },
+  { start: 7, end: 9, text: 'Down again', region: BOTTOM }
+];
+
+const attribute = (xml, element, name) => {
+  const match = new RegExp(`<${element}\\b[^>]*\\s${name}="([^"]*)"`).exec(xml);
+  return match && match[1];
+};
+
+test('the root declares the TTML and EBU namespaces, media time and the language', () => {
+  const xml = buildEBUTTD(SUBTITLES, { language: 'fra' });
+
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<tt /);
+  assert.equal(attribute(xml, 'tt', 'xmlns'), 'http://www.w3.org/ns/ttml');
+  assert.equal(attribute(xml, 'tt', 'xmlns:ttp'), 'http://www.w3.org/ns/ttml#parameter');
+  assert.equal(attribute(xml, 'tt', 'xmlns:tts'), 'http://www.w3.org/ns/ttml#styling');
+  assert.equal(attribute(xml, 'tt', 'xmlns:ttm'), 'http://www.w3.org/ns/ttml#metadata');
+  assert.equal(attribute(xml, 'tt', 'xmlns:ebuttm'), 'urn:ebu:tt:metadata');
+  assert.equal(attribute(xml, 'tt', 'xmlns:ebutts'), 'urn:ebu:tt:style');
+  assert.equal(attribute(xml, 'tt', 'ttp:timeBase'), 'media');
+  assert.equal(attribute(xml, 'tt', 'ttp:frameRate'), null);
+  assert.equal(attribute(xml, 'tt', 'xml:lang'), 'fr');
+  assert.match(xml, /<ebuttm:conformsToStandard>urn:ebu:tt:distribution:2018-04<\/ebuttm:conformsToStandard>/);
+});
+
+test('each on-screen position gets one region, shared by the cues shown there', () => {
+  const xml = buildEBUTTD(SUBTITLES);
+  const regions = [...xml.matchAll(/<region xml:id="([^"]+)" tts:origin="([^"]+)" tts:extent="([^"]+)" tts:displayAlign="([^"]+)"\/>/g)]
+    .map(([, id, origin, extent, displayAlign]) => ({ id, origin, extent, displayAlign }));
+
+  assert.deepEqual(regions, [
+    { id: 'region1', origin: '10% 80%', extent: '80% 15%', displayAlign: 'after' },
+    { id: 'region2', origin: '10% 5%', extent: '80% 15%', displayAlign: 'before' }
+  ]);
+  assert.deepEqual([...xml.matchAll(/<p [^>]*region="([^"]+)"/g)].map(match => match[1]), ['region1', 'region2', 'region1']);
+});
+
+test('cues are timed paragraphs with one coloured span per line, separated by <br/>', () => {
+  const paragraphs = buildEBUTTD(SUBTITLES).match(/<p .*<\/p>/g);
+
+  assert.equal(paragraphs[0],
+    '<p xml:id="sub1" begin="00:00:01.200" end="00:00:03.480" region="region1" style="paragraphStyle">' +
+    '<span style="spanStyle yellow">Fish &amp; chips?</span><br/><span style="spanStyle white">Yes &lt;please&gt;</span></p>');
+  assert.equal(paragraphs[1],
+    '<p xml:id="sub2" begin="00:00:04.000" end="00:00:06.000" region="region2" style="paragraphStyle leftAligned">' +
+    '<span style="spanStyle cyan">Up here</span></p>');
+  assert.match(paragraphs[2], /<span style="spanStyle white">Down again<\/span><\/p>$/);
+});
+
+test('SMPTE time counts frames at the exact rate, with the 1000/1001 multiplier for 29.97 fps', () => {
+  assert.equal(formatTTMLTime(3725.48, 'smpte', 25), '01:02:05:12');
+  // An hour at 29.97 fps is 107892 frames, which non-drop timecode at 30 fps writes as 00:59:56:12
+  assert.equal(formatTTMLTime(3600, 'smpte', 29.97), '00:59:56:12');
+  assert.equal(formatTTMLTime(3600, 'smpte', 30), '01:00:00:00');
+
+  const xml = buildEBUTTD(SUBTITLES, { timeBase: 'smpte', frameRate: 29.97 });
+  assert.equal(attribute(xml, 'tt', 'ttp:timeBase'), 'smpte');
+  assert.equal(attribute(xml, 'tt', 'ttp:frameRate'), '30');
+  assert.equal(attribute(xml, 'tt', 'ttp:frameRateMultiplier'), '1000 1001');
+  assert.equal(attribute(xml, 'tt', 'ttp:dropMode'), 'nonDrop');
+  assert.equal(attribute(buildEBUTTD(SUBTITLES, { timeBase: 'smpte', frameRate: 25 }), 'tt', 'ttp:frameRateMultiplier'), null);
+});
+
+test('media time is written to the millisecond', () => {
+  assert.equal(formatTTMLTime(3725.0046), '01:02:05.005');
+  assert.equal(formatTTMLTime(0.1 + 0.2), '00:00:00.300');
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignCues, editOperations, evaluateSubtitles, summariseOffsets } from '../core/evaluate.js';
+
+const cue = (start, end, text) => ({ start, end, text });
+
+const REFERENCE = [
+  cue(0, 2, 'The quick brown fox'),
+  cue(3, 5, 'jumps over'),
+  cue(6, 8, 'the lazy dog.')
+];
+
+const EXTRACTED = [
+  cue(0.1, 2.1, 'The quick brown box'),
+  cue(6.2, 8, 'The lazy dog'),
+  cue(10, 11, 'Hello')
+];
+
+const milliseconds = (seconds) => Math.round(seconds * 1000) / 1000;
+
+test('the edit script has equal, substituted, deleted and inserted steps', () => {
+  assert.deepEqual(editOperations(['a', 'b', 'c'], ['a', 'x', 'c']), [
+    { op: 'equal', reference: 0, extracted: 0 },
+    { op: 'substitute', reference: 1, extracted: 1 },
+    { op: 'equal', reference: 2, extracted: 2 }
+  ]);
+  assert.deepEqual(editOperations(['a', 'b', 'c'], ['a', 'c']), [
+    { op: 'equal', reference: 0, extracted: 0 },
+    { op: 'delete', reference: 1, extracted: null },
+    { op: 'equal', reference: 2, extracted: 1 }
+  ]);
+  assert.deepEqual(editOperations(['a'], ['a', 'b']), [
+    { op: 'equal', reference: 0, extracted: 0 },
+    { op: 'insert', reference: null, extracted: 1 }
+  ]);
+  assert.deepEqual(editOperations([], []), []);
+});
+
+test('extracted cues are paired with the reference cue they overlap most', () => {
+  // The first reference cue was split in two by OCR; the last extracted cue overlaps nothing
+  const extracted = [cue(0, 1.2, 'The quick'), cue(1.2, 2.5, 'brown fox'), cue(2.9, 3.5, 'jumps'), cue(10, 11, 'Hello')];
+
+  assert.deepEqual(alignCues(REFERENCE, extracted), [
+    { reference: 0, extracted: [0, 1] },
+    { reference: 1, extracted: [2] },
+    { reference: 2, extracted: [] },
+    { reference: null, extracted: [3] }
+  ]);
+});
+
+test('one substituted word in four is a word error rate of 0.25', () => {
+  const { summary, pairs } = evaluateSubtitles(REFERENCE.slice(0, 1), EXTRACTED.slice(0, 1));
+
+  assert.equal(summary.wer, 0.25);
+  // 'fox' → 'box' is one of the 19 characters of "the quick brown fox"
+  assert.equal(summary.cer, 1 / 19);
+  assert.deepEqual(pairs[0].diff.map(step => step.op), ['equal', 'equal', 'equal', 'substitute']);
+  assert.deepEqual(pairs[0].diff[3], { op: 'substitute', reference: 'fox', extracted: 'box' });
+});
+
+test('missed cues count as deletions and spurious cues as insertions', () => {
+  const { summary, pairs } = evaluateSubtitles(REFERENCE, EXTRACTED);
+
+  // fox → box, the two words of the missed cue, and the spurious "Hello", over 9 reference words
+  assert.equal(summary.referenceWords, 9);
+  assert.equal(summary.wordErrors, 4);
+  assert.equal(summary.wer, 4 / 9);
+  assert.deepEqual(
+    { referenceCues: summary.referenceCues, extractedCues: summary.extractedCues, matched: summary.matched, missed: summary.missed, spurious: summary.spurious },
+    { referenceCues: 3, extractedCues: 3, matched: 2, missed: 1, spurious: 1 }
+  );
+
+  assert.deepEqual(pairs.map(({ kind, reference, extracted, wordErrors }) => ({ kind, reference, extracted, wordErrors })), [
+    { kind: 'match', reference: 0, extracted: [0], wordErrors: 1 },
+    { kind: 'missed', reference: 1, extracted: [], wordErrors: 2 },
+    { kind: 'match', reference: 2, extracted: [1], wordErrors: 0 },
+    { kind: 'spurious', reference: null, extracted: [2], wordErrors: 1 }
+  ]);
+  assert.deepEqual(pairs[1].diff, [
+    { op: 'delete', reference: 'jumps', extracted: null },
+    { op: 'delete', reference: 'over', extracted: null }
+  ]);
+  assert.deepEqual(pairs[3].diff, [{ op: 'insert', reference: null, extracted: 'Hello' }]);
+});
+
+test('timing offsets are extracted minus reference time, for matched cues only', () => {
+  const { summary, pairs } = evaluateSubtitles(REFERENCE, EXTRACTED);
+
+  assert.deepEqual(pairs.map(pair => [pair.startOffset, pair.endOffset].map(offset => (offset === null ? null : milliseconds(offset)))), [
+    [0.1, 0.1],
+    [null, null],
+    [0.2, 0],
+    [null, null]
+  ]);
+  assert.equal(summary.startOffset.count, 2);
+  assert.equal(milliseconds(summary.startOffset.mean), 0.15);
+  assert.equal(milliseconds(summary.endOffset.max), 0.1);
+});
+
+test('case and punctuation are ignored unless asked for', () => {
+  const reference = [cue(0, 2, 'Hello, World!')];
+  const extracted = [cue(0, 2, 'hello world')];
+
+  assert.equal(evaluateSubtitles(reference, extracted).summary.wer, 0);
+  assert.equal(evaluateSubtitles(reference, extracted, { ignoreCase: false }).summary.wer, 1);
+  assert.equal(evaluateSubtitles(reference, extracted, { ignoreCase: false, ignorePunctuation: false }).summary.wordErrors, 2);
+});
+
+test('an empty reference scores 0 with no extraction and 1 with any', () => {
+  assert.equal(evaluateSubtitles([], []).summary.wer, 0);
+  assert.equal(evaluateSubtitles([], [cue(0, 1, 'Hi')]).summary.wer, 1);
+});
+
+test('offsets are summarised into ±1s histogram buckets with open ends', () => {
+  const summary = summariseOffsets([-1.5, -0.05, 0, 0.04, 0.25, 2]);
+
+  assert.equal(summary.median, 0.02);
+  assert.equal(summary.p90Absolute, 2);
+  assert.equal(summary.histogram.length, 22);
+  assert.deepEqual(summary.histogram[0], { from: null, to: -1, count: 1 });
+  assert.deepEqual(summary.histogram[10], { from: -0.1, to: 0, count: 1 });
+  assert.deepEqual(summary.histogram[11], { from: 0, to: 0.1, count: 2 });
+  assert.deepEqual(summary.histogram[13], { from: 0.2, to: 0.3, count: 1 });
+  assert.deepEqual(summary.histogram[21], { from: 1, to: null, count: 1 });
+  assert.deepEqual(summariseOffsets([]).mean, null);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSRT, parseSRT } from '../formats/srt.js';
+
+const SUBTITLES = [
+  {
+    start: 1.2,
+    end: 3.48,
+    text: 'Where are you going?\nNowhere.',
+    lines: [{ text: 'Where are you going?', colour: 'yellow' }, { text: 'Nowhere.', colour: 'white', italic: true }]
+  },
+  {
+    start: 3725.004,
+    end: 3727.5,
+    text: 'Fish & chips',
+    lines: [{ text: 'Fish & chips', colour: 'cyan' }]
+  }
+];
+
+test('SRT written with colours and italics parses back to the same cues', () => {
+  const srt = buildSRT(SUBTITLES);
+
+  assert.match(srt, /^1\n00:00:01,200 --> 00:00:03,480\n<font color="#[0-9A-Fa-f]{6}">Where are you going\?<\/font>\n<i>Nowhere\.<\/i>\n\n2\n01:02:05,004 --> /);
+  assert.deepEqual(parseSRT(srt), [
+    {
+      start: 1.2,
+      end: 3.48,
+      text: 'Where are you going?\nNowhere.',
+      lines: [
+        { text: 'Where are you going?', colour: 'yellow', italic: false },
+        { text: 'Nowhere.', colour: 'white', italic: true }
+      ],
+      confidence: 0
+    },
+    {
+      start: 3725.004,
+      end: 3727.5,
+      text: 'Fish & chips',
+      lines: [{ text: 'Fish & chips', colour: 'cyan', italic: false }],
+      confidence: 0
+    }
+  ]);
+});
+
+test('SRT from other tools is read despite a BOM, CRLF line ends and position overrides', () => {
+  const srt = '﻿1\r\n00:00:05,000 --> 00:00:06,500 X1:10 X2:20\r\n{\\an8}Top line\r\n&lt;Noise&gt;\r\n\r\n\r\n2\r\n00:00:07,000 --> 00:00:08,000\r\nLast\r\n';
+
+  assert.deepEqual(parseSRT(srt).map(({ start, end, text }) => ({ start, end, text })), [
+    { start: 5, end: 6.5, text: 'Top line\n<Noise>' },
+    { start: 7, end: 8, text: 'Last' }
+  ]);
+});
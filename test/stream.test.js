@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRunControl } from '../core/control.js';
+import { DEFAULT_SETTINGS, extractSubtitles } from '../core/extract.js';
+import { createStreamSource } from '../sources/stream.js';
+
+// Node has no DOM or media pipeline, so these stand in for a canvas animation, its
+// captureStream() and the <video> playing it. A canvas's "pixels" are the caption drawn on it
+const createCanvas = (scene = () => '') => {
+  const canvas = {
+    width: 300,
+    height: 150,
+    drawn: null,
+    crop: null,
+    get caption() {
+      return canvas.drawn === null ? scene() : canvas.drawn;
+    },
+    getContext: () => ({
+      drawImage: (image, ...area) => {
+        canvas.drawn = image.srcObject ? image.srcObject.canvas.caption : image.caption;
+        canvas.crop = area.length === 8 ? area.slice(0, 4) : null;
+      }
+    }),
+    captureStream: (frameRate) => {
+      const track = {
+        kind: 'video',
+        label: 'synthetic canvas',
+        readyState: 'live',
+        getSettings: () => ({ frameRate, width: canvas.width, height: canvas.height }),
+        stop: () => { track.readyState = 'ended'; }
+      };
+      return { canvas, getVideoTracks: () => [track], getTracks: () => [track] };
+    }
+  };
+  return canvas;
+};
+
+const createVideo = () => {
+  const video = {
+    srcObject: null,
+    get videoWidth() {
+      return video.srcObject ? video.srcObject.canvas.width : 0;
+    },
+    get videoHeight() {
+      return video.srcObject ? video.srcObject.canvas.height : 0;
+    },
+    play: async () => {}
+  };
+  return video;
+};
+
+globalThis.document = { createElement: tag => (tag === 'video' ? createVideo() : createCanvas()) };
+
+// A clock that only moves when the source sleeps, so the tests never wait on real time
+const fakeClock = () => {
+  let time = 0;
+  return {
+    clock: () => time,
+    sleep: async (ms) => { time += Math.max(ms, 0); }
+  };
+};
+
+// A 640x360 canvas showing `captions`, each [from, to, text] in seconds since `start()` on `clock`
+const animatedCanvas = (captions, clock) => {
+  let startedAt = clock();
+  const canvas = createCanvas(() => {
+    const seconds = (clock() - startedAt) / 1000;
+    const shown = captions.find(([from, to]) => seconds >= from && seconds < to);
+    return shown ? shown[2] : '';
+  });
+  canvas.width = 640;
+  canvas.height = 360;
+  return { canvas, start: () => { startedAt = clock(); } };
+};
+
+const REGION = { x: 10, y: 80, width: 80, height: 20 };
+
+test('a captureStream source is live, infinite and stops its tracks', async () => {
+  const clock = fakeClock();
+  const { canvas } = animatedCanvas([], clock.clock);
+  const stream = canvas.captureStream(25);
+  const source = await createStreamSource(stream, clock);
+
+  assert.equal(source.duration, Infinity);
+  assert.equal(source.frameRate, 25);
+  assert.equal(source.track.label, 'synthetic canvas');
+  assert.equal(source.now(), 0);
+
+  source.stop();
+  assert.equal(source.track.readyState, 'ended');
+});
+
+test('grab waits for the sample time and crops the region from that frame', async () => {
+  const clock = fakeClock();
+  const { canvas, start } = animatedCanvas([[0.1, 0.3, 'Hello']], clock.clock);
+  const source = await createStreamSource(canvas.captureStream(25), clock);
+  source.resetClock();
+  start();
+
+  const early = await source.grab(0, REGION);
+  const region = await source.grab(0.15, REGION);
+
+  assert.equal(early.caption, '');
+  assert.equal(region.caption, 'Hello');
+  assert.equal(source.now(), 0.15);
+  assert.deepEqual([region.width, region.height], [512, 72]);
+  assert.deepEqual(region.crop, [64, 288, 512, 72]);
+  source.stop();
+});
+
+test('extraction reads cues off the stream as they end, until stopped', async () => {
+  const clock = fakeClock();
+  const { canvas, start } = animatedCanvas([[0.15, 0.35, 'Hello'], [0.55, 0.75, 'World']], clock.clock);
+  const source = await createStreamSource(canvas.captureStream(25), clock);
+  const control = createRunControl();
+  const cues = [];
+
+  // The caption stands in for the binarised region, and OCR reads it back
+  const prepare = async (grabbed) => ({
+    rawRegion: { width: grabbed.width, height: grabbed.height, data: [] },
+    signature: null,
+    getImage: async () => ({ image: grabbed.caption, scale: 1 })
+  });
+  // Stop after the tenth sample, at 0.9s
+  let samples = 0;
+  const recognize = async (caption) => {
+    if (++samples === 10) control.stop();
+    return { text: caption, confidence: caption ? 95 : 0, lines: [] };
+  };
+
+  source.resetClock();
+  start();
+  const result = await extractSubtitles(
+    source,
+    recognize,
+    { ...DEFAULT_SETTINGS, frameInterval: 100, regions: [REGION], changeDetection: false, refineBoundaries: false, correctErrors: false },
+    { control, prepare, onCue: cue => cues.push(cue) }
+  );
+  source.stop();
+
+  assert.equal(control.state, 'stopped');
+  assert.equal(samples, 10);
+  assert.deepEqual(cues.map(cue => [cue.text, Number(cue.start.toFixed(3)), Number(cue.end.toFixed(3))]), [['Hello', 0.2, 0.4], ['World', 0.6, 0.8]]);
+  assert.deepEqual(result, cues);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSubtitles } from '../core/validate.js';
+
+const BOTTOM = { x: 10, y: 80, width: 80, height: 15 };
+const TOP = { x: 10, y: 5, width: 80, height: 15 };
+
+const cue = (start, end, text = 'Hello', region = BOTTOM) => ({ start, end, text, region });
+
+// The rules broken by each cue
+const rulesOf = (subtitles, guidelines) => validateSubtitles(subtitles, guidelines).results.map(issues => issues.map(issue => issue.rule));
+
+test('reading speed is flagged only above the limit', () => {
+  // Three words in exactly one second is 180 words per minute
+  assert.deepEqual(rulesOf([cue(0.7, 1.7, 'One two three')]), [[]]);
+  assert.deepEqual(rulesOf([cue(0.7, 1.7, 'One two three four')]), [['readingSpeed']]);
+
+  const [issue] = validateSubtitles([cue(0, 1, 'One two three four')]).results[0];
+  assert.deepEqual(issue, { rule: 'readingSpeed', severity: 'warning', message: '240 words per minute', value: 240, limit: 180 });
+});
+
+test('punctuation on its own does not count as a word', () => {
+  assert.deepEqual(rulesOf([cue(0, 1, 'One - two - three ...')]), [[]]);
+});
+
+test('each line is checked for its length', () => {
+  const fits = 'x'.repeat(37);
+  const long = 'x'.repeat(38);
+
+  assert.deepEqual(rulesOf([cue(0, 3, `${fits}\n${fits}`)]), [[]]);
+  const { results } = validateSubtitles([cue(0, 3, `${fits}\n${long}`)]);
+  assert.deepEqual(results[0].map(({ rule, message, value }) => ({ rule, message, value })), [
+    { rule: 'lineLength', message: 'Line 2 has 38 characters', value: 38 }
+  ]);
+});
+
+test('more lines than the limit is an error', () => {
+  assert.deepEqual(rulesOf([cue(0, 3, 'One\nTwo')]), [[]]);
+  const { results } = validateSubtitles([cue(0, 3, 'One\nTwo\nThree')]);
+  assert.deepEqual(results[0].map(({ rule, severity }) => ({ rule, severity })), [{ rule: 'lineCount', severity: 'error' }]);
+});
+
+test('durations are flagged outside the minimum and maximum', () => {
+  assert.deepEqual(rulesOf([cue(0.7, 1.7), cue(10.1, 17.1)]), [[], []]);
+  assert.deepEqual(rulesOf([cue(0.7, 1.69), cue(10.1, 17.11)]), [['minDuration'], ['maxDuration']]);
+});
+
+test('the gap to the previous cue is measured within each region', () => {
+  // Exactly the minimum gap passes; a top and a bottom subtitle may be shown together
+  assert.deepEqual(rulesOf([cue(15, 16.92), cue(17, 18.5)]), [[], []]);
+  assert.deepEqual(rulesOf([cue(15, 16.93), cue(17, 18.5)]), [[], ['minGap']]);
+  assert.deepEqual(rulesOf([cue(0, 2), cue(1, 2.5, 'Hello', TOP), cue(2.5, 4)]), [[], [], []]);
+  assert.deepEqual(rulesOf([cue(0, 2), cue(1, 2.5, 'Hello', TOP), cue(2.5, 4, 'Hello', TOP)]), [[], [], ['minGap']]);
+});
+
+test('cues are compared with the previous one in time, not in the list', () => {
+  assert.deepEqual(rulesOf([cue(3, 5), cue(0, 2)]), [[], []]);
+  assert.deepEqual(rulesOf([cue(2, 5), cue(0, 2.04)]), [['overlap'], []]);
+});
+
+test('an overlap is an error and is not also a short gap', () => {
+  const { results } = validateSubtitles([cue(0, 2), cue(1.5, 3)]);
+
+  assert.deepEqual(results[1].map(({ rule, severity, message }) => ({ rule, severity, message })), [
+    { rule: 'overlap', severity: 'error', message: 'Overlaps the previous cue by 0.50s' }
+  ]);
+});
+
+test('a cue that does not end after it starts is zero length, and has no speed or duration issues', () => {
+  assert.deepEqual(rulesOf([cue(2, 2, 'One two three four'), cue(5, 4)]), [['zeroLength'], ['zeroLength']]);
+});
+
+test('a limit set to null, undefined or an empty string is switched off', () => {
+  const subtitles = [cue(0, 0.5, `${'x'.repeat(40)}\nTwo\nThree four five`), cue(0.52, 9)];
+  const off = { maxWordsPerMinute: null, maxCharsPerLine: undefined, maxLines: '', minDuration: null, maxDuration: null, minGap: null };
+
+  assert.deepEqual(rulesOf(subtitles), [['readingSpeed', 'minDuration', 'lineLength', 'lineCount'], ['maxDuration', 'minGap']]);
+  assert.deepEqual(rulesOf(subtitles, off), [[], []]);
+  // Rules left out of the guidelines keep their defaults
+  assert.deepEqual(rulesOf(subtitles, { minGap: null }), [['readingSpeed', 'minDuration', 'lineLength', 'lineCount'], ['maxDuration']]);
+});
+
+test('the summary counts issues per rule and scores the cues that pass', () => {
+  const { summary } = validateSubtitles([cue(0, 2), cue(1.5, 3), cue(4, 4), cue(6, 8)]);
+
+  assert.deepEqual(summary, {
+    cues: 4,
+    passing: 2,
+    issues: 2,
+    issuesByRule: {
+      readingSpeed: 0,
+      lineLength: 0,
+      lineCount: 0,
+      minDuration: 0,
+      maxDuration: 0,
+      minGap: 0,
+      overlap: 1,
+      zeroLength: 1
+    },
+    score: 50
+  });
+  assert.equal(validateSubtitles([]).summary.score, 100);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildVTT, parseVTT } from '../formats/vtt.js';
+
+const SUBTITLES = [
+  {
+    start: 1.2,
+    end: 3.48,
+    text: 'Fish & chips <twice>\nNowhere.',
+    lines: [{ text: 'Fish & chips <twice>', colour: 'yellow' }, { text: 'Nowhere.', colour: 'white', italic: true }],
+    region: { x: 10, y: 80, width: 80, height: 15 }
+  },
+  {
+    start: 3725.004,
+    end: 3727.5,
+    text: '(DOOR SLAMS) Who is it?',
+    lines: [{ text: '(DOOR SLAMS) Who is it?', colour: 'cyan' }]
+  }
+];
+
+test('WebVTT written with colours, italics, labels and settings parses back to the same cues', () => {
+  const vtt = buildVTT(SUBTITLES);
+
+  assert.match(vtt, /^WEBVTT\n\nSTYLE\n/);
+  assert.match(vtt, /\n1\n00:00:01\.200 --> 00:00:03\.480 line:80% align:center\n<c\.yellow>Fish &amp; chips &lt;twice&gt;<\/c>\n<i>Nowhere\.<\/i>\n/);
+  assert.match(vtt, /\n2\n01:02:05\.004 --> 01:02:07\.500\n<c\.cyan><c\.sound>\(DOOR SLAMS\)<\/c> Who is it\?<\/c>\n/);
+  assert.deepEqual(parseVTT(vtt), [
+    {
+      start: 1.2,
+      end: 3.48,
+      text: 'Fish & chips <twice>\nNowhere.',
+      lines: [
+        { text: 'Fish & chips <twice>', colour: 'yellow', italic: false },
+        { text: 'Nowhere.', colour: 'white', italic: true }
+      ],
+      confidence: 0
+    },
+    {
+      start: 3725.004,
+      end: 3727.5,
+      text: '(DOOR SLAMS) Who is it?',
+      lines: [{ text: '(DOOR SLAMS) Who is it?', colour: 'cyan', italic: false }],
+      confidence: 0
+    }
+  ]);
+});
+
+test('WebVTT from other tools is read with short timestamps, NOTE blocks and no cue numbers', () => {
+  const vtt = 'WEBVTT - Episode 1\r\n\r\nNOTE checked by hand\r\n\r\n00:05.000 --> 00:06.500 position:10%\r\n<v Anna>Top line</v>\r\n\r\nintro\r\n00:07.000 --> 00:08.000\r\nLast\r\n';
+
+  assert.deepEqual(parseVTT(vtt).map(({ start, end, text }) => ({ start, end, text })), [
+    { start: 5, end: 6.5, text: 'Top line' },
+    { start: 7, end: 8, text: 'Last' }
+  ]);
+});
+
+test('a file without the WEBVTT header is refused', () => {
+  assert.throws(() => parseVTT('1\n00:00:01.000 --> 00:00:02.000\nHello\n'), /missing WEBVTT header/);
+});
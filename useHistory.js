@@ -0,0 +1,52 @@
+import { useState } from 'react';
+
+const MAX_HISTORY = 100;
+
+// State with undo/redo: `set` records a step, `reset` starts a fresh history
+export default function useHistory(initial) {
+  const [history, setHistory] = useState({ past: [], present: initial, future: [] });
+
+  const set = (next) => {
+    setHistory(h => ({
+      past: [...h.past, h.present].slice(-MAX_HISTORY),
+      present: typeof next === 'function' ? next(h.present) : next,
+      future: []
+    }));
+  };
+
+  const reset = (value) => {
+    setHistory({ past: [], present: value, future: [] });
+  };
+
+  const undo = () => {
+    setHistory(h => {
+      if (h.past.length === 0) return h;
+      return {
+        past: h.past.slice(0, -1),
+        present: h.past[h.past.length - 1],
+        future: [h.present, ...h.future]
+      };
+    });
+  };
+
+  const redo = () => {
+    setHistory(h => {
+      if (h.future.length === 0) return h;
+      return {
+        past: [...h.past, h.present],
+        present: h.future[0],
+        future: h.future.slice(1)
+      };
+    });
+  };
+
+  return {
+    present: history.present,
+    set,
+    reset,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+}